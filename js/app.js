@@ -9,10 +9,32 @@ class MP3CombinerApp {
         this.files = [];
         this.converterFiles = [];
         this.convertedResults = [];
+        this.splitterFile = null;   // 나눌 파일 (한 번에 하나)
+        this.splitMarkers = [];     // 파형에서 선택한 나눌 지점 (초)
+        this.splitPoints = [];      // 현재 옵션으로 계산한 나눌 지점 (초)
+        this.splitResults = [];
         this.audioProcessor = new AudioProcessor();
         this.previewAudio = null;
+        this.previewGain = null;
+        this.previewButton = null;
         this.sortableInstance = null;
-        this.currentTool = 'combiner'; // 'combiner' or 'converter'
+        this.openTrackEditorId = null; // 트랙 편집기가 열린 파일 ID
+        this.selectedFileIds = new Set(); // 클릭/키보드로 선택한 파일 ID (여러 개 이동/삭제)
+        this.focusedFileId = null;        // 목록에서 Tab으로 들어갈 파일 ID (roving tabindex)
+        this.selectionAnchorId = null;    // Shift 범위 선택의 기준 파일 ID
+        this.outputTags = this.createEmptyOutputTags(); // 출력 파일에 기록할 태그
+        this.coverUrl = null;
+        this.combineNotice = null; // 재인코딩 없는 병합을 못 했을 때 결과 화면에 표시할 이유
+        this.currentTool = 'combiner'; // 'combiner', 'converter' or 'splitter'
+        this.projectStore = ProjectStore.isSupported() ? new ProjectStore() : null;
+        this.projectId = null;          // 자동 저장 중인 병합 프로젝트 ID (파일을 처음 추가할 때 생성)
+        this.projectCreatedAt = null;
+        this.projectSaveTimer = null;
+        this.projectSaveFailed = false; // 저장 실패 알림은 한 번만 표시
+        this.restoringProject = false;  // 프로젝트를 여는 동안에는 자동 저장하지 않음
+        this.undoStack = [];            // 파일 목록 변경 기록 ({label, before, after, mergeKey, time})
+        this.redoStack = [];
+        this.recordingChange = false;   // 기록 중인 변경 안에서 호출된 변경은 따로 기록하지 않음
         
         // 설정
         this.config = {
@@ -20,7 +42,22 @@ class MP3CombinerApp {
             maxFileSize: 50 * 1024 * 1024, // 50MB
             maxTotalSize: 200 * 1024 * 1024, // 200MB
             supportedFormats: ['.mp3', '.wav', '.ogg', '.m4a', '.flac'],
-            supportedMimeTypes: ['audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/mp4', 'audio/flac', 'audio/x-m4a']
+            supportedMimeTypes: ['audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/mp4', 'audio/flac', 'audio/x-m4a'],
+            minSplitPartDuration: 0.5, // 나눈 파트의 최소 길이 (초)
+            maxSplitExportAttempts: 3, // 파트가 최대 크기를 넘을 때 더 짧게 다시 나누는 최대 횟수
+            projectVersion: 1,
+            projectSaveDelay: 1000, // 마지막 변경 후 자동 저장까지 (ms)
+            maxRecentProjects: 10,
+            maxHistory: 50,
+            historyMergeDelay: 1000, // 같은 설정을 이 시간 안에 다시 바꾸면 한 번의 변경으로 기록 (ms)
+            // 프로젝트에 저장하는 병합 옵션 (this.elements 키)
+            projectOptions: [
+                'outputFormat', 'combineMode', 'outputQuality', 'outputOggCodec', 'outputOggBitrate',
+                'outputFlacLevel', 'outputBitDepth', 'outputDither', 'outputChannelMode', 'outputSampleRate',
+                'gapDuration', 'crossfadeDuration', 'crossfadeCurve',
+                'silenceTrimMode', 'silenceThreshold', 'silenceMinDuration', 'pauseMaxDuration', 'pauseTargetDuration',
+                'loudnessMode', 'loudnessTarget', 'truePeakCeiling', 'folderGrouping'
+            ]
         };
 
         // DOM 요소
@@ -37,6 +74,7 @@ class MP3CombinerApp {
         this.cacheElements();
         this.bindEvents();
         this.initSortable();
+        this.updateRecentProjects();
     }
 
     /**
@@ -48,13 +86,38 @@ class MP3CombinerApp {
             menuBtns: document.querySelectorAll('.menu-btn'),
             combinerSection: document.getElementById('combinerSection'),
             converterSection: document.getElementById('converterSection'),
+            splitterSection: document.getElementById('splitterSection'),
             
             // Upload Section (Combiner)
             dropZone: document.getElementById('dropZone'),
             fileInput: document.getElementById('fileInput'),
+            folderSelectBtn: document.getElementById('folderSelectBtn'),
+            folderInput: document.getElementById('folderInput'),
+            folderGrouping: document.getElementById('folderGrouping'),
             fileListSection: document.getElementById('fileListSection'),
             fileList: document.getElementById('fileList'),
+            fileListStatus: document.getElementById('fileListStatus'),
+            sortKey: document.getElementById('sortKey'),
+            sortDirection: document.getElementById('sortDirection'),
+            sortBtn: document.getElementById('sortBtn'),
+            reverseBtn: document.getElementById('reverseBtn'),
+            shuffleBtn: document.getElementById('shuffleBtn'),
+            fileSelectionBar: document.getElementById('fileSelectionBar'),
+            fileSelectionCount: document.getElementById('fileSelectionCount'),
+            moveTopBtn: document.getElementById('moveTopBtn'),
+            moveBottomBtn: document.getElementById('moveBottomBtn'),
+            movePositionInput: document.getElementById('movePositionInput'),
+            movePositionBtn: document.getElementById('movePositionBtn'),
+            deleteSelectedBtn: document.getElementById('deleteSelectedBtn'),
+            clearSelectionBtn: document.getElementById('clearSelectionBtn'),
             clearAllBtn: document.getElementById('clearAllBtn'),
+            historyActions: document.getElementById('historyActions'),
+            undoBtn: document.getElementById('undoBtn'),
+            redoBtn: document.getElementById('redoBtn'),
+            projectExportBtn: document.getElementById('projectExportBtn'),
+            recentProjects: document.getElementById('recentProjects'),
+            recentProjectList: document.getElementById('recentProjectList'),
+            projectImportInput: document.getElementById('projectImportInput'),
             fileCount: document.getElementById('fileCount'),
             totalDuration: document.getElementById('totalDuration'),
             optionsSection: document.getElementById('optionsSection'),
@@ -63,8 +126,32 @@ class MP3CombinerApp {
             
             // Options (Combiner)
             outputFormat: document.getElementById('outputFormat'),
+            combineMode: document.getElementById('combineMode'),
             outputQuality: document.getElementById('outputQuality'),
+            outputOggCodec: document.getElementById('outputOggCodec'),
+            outputOggBitrate: document.getElementById('outputOggBitrate'),
+            outputFlacLevel: document.getElementById('outputFlacLevel'),
+            outputBitDepth: document.getElementById('outputBitDepth'),
+            outputDither: document.getElementById('outputDither'),
+            outputChannelMode: document.getElementById('outputChannelMode'),
+            outputSampleRate: document.getElementById('outputSampleRate'),
             gapDuration: document.getElementById('gapDuration'),
+            crossfadeDuration: document.getElementById('crossfadeDuration'),
+            crossfadeCurve: document.getElementById('crossfadeCurve'),
+            silenceTrimMode: document.getElementById('silenceTrimMode'),
+            silenceThreshold: document.getElementById('silenceThreshold'),
+            silenceMinDuration: document.getElementById('silenceMinDuration'),
+            pauseMaxDuration: document.getElementById('pauseMaxDuration'),
+            pauseTargetDuration: document.getElementById('pauseTargetDuration'),
+            loudnessMode: document.getElementById('loudnessMode'),
+            loudnessTarget: document.getElementById('loudnessTarget'),
+            truePeakCeiling: document.getElementById('truePeakCeiling'),
+            
+            // Metadata Editor (Combiner)
+            metaInputs: document.querySelectorAll('.metadata-fields input[data-tag]'),
+            metaCoverPreview: document.getElementById('metaCoverPreview'),
+            metaCoverInput: document.getElementById('metaCoverInput'),
+            metaCoverRemove: document.getElementById('metaCoverRemove'),
             
             // Processing Section (Combiner)
             uploadSection: document.getElementById('uploadSection'),
@@ -84,13 +171,28 @@ class MP3CombinerApp {
             volumeIcon: document.getElementById('volumeIcon'),
             volumeSlider: document.getElementById('volumeSlider'),
             downloadBtn: document.getElementById('downloadBtn'),
+            sidecarBtns: document.querySelectorAll('.sidecar-btn'),
             newCombineBtn: document.getElementById('newCombineBtn'),
             
+            // Split Export (Combiner)
+            splitExport: document.getElementById('splitExport'),
+            splitExportMode: document.getElementById('splitExportMode'),
+            splitExportMaxSize: document.getElementById('splitExportMaxSize'),
+            splitExportMaxDuration: document.getElementById('splitExportMaxDuration'),
+            splitExportBtn: document.getElementById('splitExportBtn'),
+            splitExportHint: document.getElementById('splitExportHint'),
+            
             // Result Info (Combiner)
             infoFileCount: document.getElementById('infoFileCount'),
             infoTotalDuration: document.getElementById('infoTotalDuration'),
             infoFileSize: document.getElementById('infoFileSize'),
             infoFormat: document.getElementById('infoFormat'),
+            infoLoudnessItem: document.getElementById('infoLoudnessItem'),
+            infoLoudness: document.getElementById('infoLoudness'),
+            infoPausesItem: document.getElementById('infoPausesItem'),
+            infoPauses: document.getElementById('infoPauses'),
+            infoNoticeItem: document.getElementById('infoNoticeItem'),
+            infoNotice: document.getElementById('infoNotice'),
             
             // Converter Section Elements
             converterDropZone: document.getElementById('converterDropZone'),
@@ -107,6 +209,12 @@ class MP3CombinerApp {
             // Converter Options
             converterOutputFormat: document.getElementById('converterOutputFormat'),
             converterOutputQuality: document.getElementById('converterOutputQuality'),
+            converterOggCodec: document.getElementById('converterOggCodec'),
+            converterOggBitrate: document.getElementById('converterOggBitrate'),
+            converterFlacLevel: document.getElementById('converterFlacLevel'),
+            converterBitDepth: document.getElementById('converterBitDepth'),
+            converterDither: document.getElementById('converterDither'),
+            converterChannelMode: document.getElementById('converterChannelMode'),
             converterSampleRate: document.getElementById('converterSampleRate'),
             
             // Converter Processing
@@ -119,6 +227,7 @@ class MP3CombinerApp {
             converterResultSection: document.getElementById('converterResultSection'),
             convertedFilesList: document.getElementById('convertedFilesList'),
             downloadAllConvertedBtn: document.getElementById('downloadAllConvertedBtn'),
+            converterZipReport: document.getElementById('converterZipReport'),
             newConvertBtn: document.getElementById('newConvertBtn'),
             
             // Converter Result Info
@@ -126,10 +235,75 @@ class MP3CombinerApp {
             converterInfoFormat: document.getElementById('converterInfoFormat'),
             converterInfoTotalSize: document.getElementById('converterInfoTotalSize'),
             
+            // Splitter Section Elements
+            splitterDropZone: document.getElementById('splitterDropZone'),
+            splitterFileInput: document.getElementById('splitterFileInput'),
+            splitterFileSection: document.getElementById('splitterFileSection'),
+            splitterFileName: document.getElementById('splitterFileName'),
+            splitterFileDuration: document.getElementById('splitterFileDuration'),
+            splitterClearBtn: document.getElementById('splitterClearBtn'),
+            splitWaveform: document.getElementById('splitWaveform'),
+            splitWaveformCanvas: document.getElementById('splitWaveformCanvas'),
+            splitMarkerLayer: document.getElementById('splitMarkerLayer'),
+            splitHint: document.getElementById('splitHint'),
+            splitPartList: document.getElementById('splitPartList'),
+            splitPartCount: document.getElementById('splitPartCount'),
+            splitterOptionsSection: document.getElementById('splitterOptionsSection'),
+            splitButtonSection: document.getElementById('splitButtonSection'),
+            splitBtn: document.getElementById('splitBtn'),
+            
+            // Splitter Options
+            splitMode: document.getElementById('splitMode'),
+            splitInterval: document.getElementById('splitInterval'),
+            splitSilenceThreshold: document.getElementById('splitSilenceThreshold'),
+            splitSilenceMinDuration: document.getElementById('splitSilenceMinDuration'),
+            splitTimestamps: document.getElementById('splitTimestamps'),
+            splitterOutputFormat: document.getElementById('splitterOutputFormat'),
+            splitterOutputQuality: document.getElementById('splitterOutputQuality'),
+            splitterOggCodec: document.getElementById('splitterOggCodec'),
+            splitterOggBitrate: document.getElementById('splitterOggBitrate'),
+            splitterFlacLevel: document.getElementById('splitterFlacLevel'),
+            splitterBitDepth: document.getElementById('splitterBitDepth'),
+            splitterDither: document.getElementById('splitterDither'),
+            splitterChannelMode: document.getElementById('splitterChannelMode'),
+            splitterSampleRate: document.getElementById('splitterSampleRate'),
+            
+            // Splitter Processing
+            splitterUploadSection: document.getElementById('splitterUploadSection'),
+            splitterProcessingSection: document.getElementById('splitterProcessingSection'),
+            splitterProgressBar: document.getElementById('splitterProgressBar'),
+            splitterProgressText: document.getElementById('splitterProgressText'),
+            
+            // Splitter Result
+            splitterResultSection: document.getElementById('splitterResultSection'),
+            splitFilesList: document.getElementById('splitFilesList'),
+            downloadAllSplitBtn: document.getElementById('downloadAllSplitBtn'),
+            newSplitBtn: document.getElementById('newSplitBtn'),
+            splitterInfoPartCount: document.getElementById('splitterInfoPartCount'),
+            splitterInfoFormat: document.getElementById('splitterInfoFormat'),
+            splitterInfoTotalSize: document.getElementById('splitterInfoTotalSize'),
+            
             // Toast
             toast: document.getElementById('toast'),
             toastMessage: document.getElementById('toastMessage')
         };
+        
+        // 도구별 출력 형식/인코딩 옵션 선택 상자
+        const getEncodeSelects = (format, quality, prefix) => ({
+            format: this.elements[format],
+            quality: this.elements[quality],
+            oggCodec: this.elements[`${prefix}OggCodec`],
+            oggBitrate: this.elements[`${prefix}OggBitrate`],
+            flacLevel: this.elements[`${prefix}FlacLevel`],
+            bitDepth: this.elements[`${prefix}BitDepth`],
+            dither: this.elements[`${prefix}Dither`],
+            channelMode: this.elements[`${prefix}ChannelMode`]
+        });
+        this.encodeSelects = {
+            combiner: getEncodeSelects('outputFormat', 'outputQuality', 'output'),
+            converter: getEncodeSelects('converterOutputFormat', 'converterOutputQuality', 'converter'),
+            splitter: getEncodeSelects('splitterOutputFormat', 'splitterOutputQuality', 'splitter')
+        };
     }
 
     /**
@@ -148,9 +322,88 @@ class MP3CombinerApp {
         this.elements.dropZone.addEventListener('drop', (e) => this.handleDrop(e));
         this.elements.fileInput.addEventListener('change', (e) => this.handleFileSelect(e));
         
+        // 폴더 선택 / 하위 폴더 구분 표시 (Combiner)
+        this.elements.folderSelectBtn.addEventListener('click', () => this.elements.folderInput.click());
+        this.elements.folderInput.addEventListener('change', (e) => {
+            this.addFolderFiles(FolderReader.fromFileList(e.target.files));
+            e.target.value = '';
+        });
+        this.elements.folderGrouping.addEventListener('change', () => {
+            this.updateFileListUI();
+            this.scheduleProjectSave();
+        });
+        
         // 파일 관리 (Combiner)
         this.elements.clearAllBtn.addEventListener('click', () => this.clearAllFiles());
         
+        // 목록 정렬 (Combiner)
+        this.elements.sortBtn.addEventListener('click', () => this.sortFiles());
+        this.elements.reverseBtn.addEventListener('click', () => this.reverseFiles());
+        this.elements.shuffleBtn.addEventListener('click', () => this.shuffleFiles());
+        
+        // 키보드 선택/정렬과 선택한 파일 이동/삭제
+        this.elements.fileList.addEventListener('keydown', (e) => this.handleFileListKeydown(e));
+        this.elements.moveTopBtn.addEventListener('click', () => this.moveSelectedFiles('top'));
+        this.elements.moveBottomBtn.addEventListener('click', () => this.moveSelectedFiles('bottom'));
+        this.elements.movePositionBtn.addEventListener('click', () => this.moveSelectedFiles('position'));
+        this.elements.movePositionInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.moveSelectedFiles('position');
+        });
+        this.elements.deleteSelectedBtn.addEventListener('click', () => this.removeFiles(this.getTargetFileIds()));
+        this.elements.clearSelectionBtn.addEventListener('click', () => this.setFileSelection([]));
+        
+        // 실행 취소 / 다시 실행 (Ctrl+Z / Ctrl+Shift+Z)
+        this.elements.undoBtn.addEventListener('click', () => this.undo());
+        this.elements.redoBtn.addEventListener('click', () => this.redo());
+        document.addEventListener('keydown', (e) => this.handleHistoryShortcut(e));
+        
+        // 프로젝트 (옵션/메타데이터 변경 시 자동 저장, 내보내기/가져오기)
+        this.elements.optionsSection.addEventListener('change', () => this.scheduleProjectSave());
+        this.elements.optionsSection.addEventListener('input', () => this.scheduleProjectSave());
+        this.elements.projectExportBtn.addEventListener('click', () => this.exportProject());
+        this.elements.projectImportInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.importProject(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        
+        // 출력 형식에 따른 MP3 옵션 활성화
+        this.elements.outputFormat.addEventListener('change', () => this.updateFormatOptions());
+        this.elements.combineMode.addEventListener('change', () => this.updateFormatOptions());
+        this.elements.converterOutputFormat.addEventListener('change', () => this.updateFormatOptions());
+        this.elements.splitterOutputFormat.addEventListener('change', () => this.updateFormatOptions());
+        Object.values(this.encodeSelects).forEach(selects => {
+            selects.bitDepth.addEventListener('change', () => this.updateFormatOptions());
+        });
+        
+        // 간격/크로스페이드 옵션 변경 시 총 재생시간 갱신
+        this.elements.gapDuration.addEventListener('change', () => this.updateTransitionOptions());
+        this.elements.crossfadeDuration.addEventListener('change', () => this.updateTransitionOptions());
+        
+        // 무음 자르기 옵션 변경 시 파일 목록의 길이 갱신
+        [this.elements.silenceTrimMode, this.elements.silenceThreshold, this.elements.silenceMinDuration].forEach(select => {
+            select.addEventListener('change', () => this.updateSilenceTrimOptions());
+        });
+        this.elements.pauseMaxDuration.addEventListener('change', () => this.updateSilenceTrimOptions());
+        
+        // 음량 정규화 사용 시 목표/상한 옵션 활성화
+        this.elements.loudnessMode.addEventListener('change', () => this.updateLoudnessOptions());
+        
+        // 메타데이터 편집
+        this.elements.metaInputs.forEach(input => {
+            input.addEventListener('input', () => {
+                this.outputTags[input.dataset.tag] = input.value.trim();
+            });
+        });
+        this.elements.metaCoverInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.setCoverFromFile(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        this.elements.metaCoverRemove.addEventListener('click', () => this.setCover(null));
+        
         // 병합
         this.elements.combineBtn.addEventListener('click', () => this.combineFiles());
         
@@ -165,8 +418,17 @@ class MP3CombinerApp {
         
         // 결과 액션 (Combiner)
         this.elements.downloadBtn.addEventListener('click', () => this.downloadResult());
+        this.elements.sidecarBtns.forEach(btn => {
+            btn.addEventListener('click', () => this.downloadSidecar(btn.dataset.type));
+        });
         this.elements.newCombineBtn.addEventListener('click', () => this.startNew());
         
+        // 나누어 내보내기 (Combiner)
+        [this.elements.splitExportMode, this.elements.splitExportMaxSize, this.elements.splitExportMaxDuration].forEach(select => {
+            select.addEventListener('change', () => this.updateSplitExportOptions());
+        });
+        this.elements.splitExportBtn.addEventListener('click', () => this.downloadSplitExport());
+        
         // Converter 드롭존 이벤트
         this.elements.converterDropZone.addEventListener('click', () => this.elements.converterFileInput.click());
         this.elements.converterDropZone.addEventListener('dragover', (e) => this.handleConverterDragOver(e));
@@ -184,12 +446,32 @@ class MP3CombinerApp {
         this.elements.downloadAllConvertedBtn.addEventListener('click', () => this.downloadAllConverted());
         this.elements.newConvertBtn.addEventListener('click', () => this.startNewConvert());
         
+        // Splitter 드롭존 이벤트
+        this.elements.splitterDropZone.addEventListener('click', () => this.elements.splitterFileInput.click());
+        this.elements.splitterDropZone.addEventListener('dragover', (e) => this.handleSplitterDragOver(e));
+        this.elements.splitterDropZone.addEventListener('dragleave', (e) => this.handleSplitterDragLeave(e));
+        this.elements.splitterDropZone.addEventListener('drop', (e) => this.handleSplitterDrop(e));
+        this.elements.splitterFileInput.addEventListener('change', (e) => this.handleSplitterFileSelect(e));
+        this.elements.splitterClearBtn.addEventListener('click', () => this.clearSplitterFile());
+        
+        // 나눌 지점 (옵션 변경, 시간 입력, 파형 클릭)
+        [this.elements.splitMode, this.elements.splitInterval, this.elements.splitSilenceThreshold, this.elements.splitSilenceMinDuration].forEach(select => {
+            select.addEventListener('change', () => this.updateSplitOptions());
+        });
+        this.elements.splitTimestamps.addEventListener('input', () => this.updateSplitPreview());
+        this.elements.splitWaveform.addEventListener('click', (e) => this.handleSplitWaveformClick(e));
+        
+        // 나누기 / 결과 액션
+        this.elements.splitBtn.addEventListener('click', () => this.splitFile());
+        this.elements.downloadAllSplitBtn.addEventListener('click', () => this.downloadAllSplit());
+        this.elements.newSplitBtn.addEventListener('click', () => this.startNewSplit());
+        
         // 페이지 언로드 시 정리
         window.addEventListener('beforeunload', () => this.cleanup());
     }
 
     /**
-     * 도구 전환 (Combiner / Converter)
+     * 도구 전환 (Combiner / Converter / Splitter)
      */
     switchTool(tool) {
         this.currentTool = tool;
@@ -200,12 +482,18 @@ class MP3CombinerApp {
         });
         
         // 섹션 표시/숨김
-        if (tool === 'combiner') {
-            this.elements.combinerSection.style.display = 'block';
-            this.elements.converterSection.style.display = 'none';
-        } else {
-            this.elements.combinerSection.style.display = 'none';
-            this.elements.converterSection.style.display = 'block';
+        const sections = {
+            combiner: this.elements.combinerSection,
+            converter: this.elements.converterSection,
+            splitter: this.elements.splitterSection
+        };
+        Object.entries(sections).forEach(([name, section]) => {
+            section.style.display = name === tool ? 'block' : 'none';
+        });
+        
+        // 숨겨진 상태에서는 파형 크기를 알 수 없으므로 표시한 뒤 다시 그림
+        if (tool === 'splitter' && this.splitterFile) {
+            this.drawWaveform(this.elements.splitWaveformCanvas, this.splitterFile.peaks);
         }
     }
 
@@ -217,6 +505,7 @@ class MP3CombinerApp {
             this.sortableInstance = new Sortable(this.elements.fileList, {
                 animation: 150,
                 handle: '.drag-handle',
+                draggable: '.file-item', // 폴더 구분 머리글은 제외
                 ghostClass: 'sortable-ghost',
                 chosenClass: 'sortable-chosen',
                 onEnd: (evt) => this.onSortEnd(evt)
@@ -250,10 +539,43 @@ class MP3CombinerApp {
         e.stopPropagation();
         this.elements.dropZone.classList.remove('drag-over');
         
+        // 폴더가 있으면 하위 폴더까지 읽음 (항목은 드롭 처리 중에만 꺼낼 수 있음)
+        const entries = FolderReader.getEntries(e.dataTransfer);
+        if (entries.some(entry => entry.isDirectory)) {
+            FolderReader.readEntries(entries)
+                .then(items => this.addFolderFiles(items))
+                .catch(error => {
+                    console.error('Folder read error:', error);
+                    this.showToast('폴더를 읽을 수 없습니다: ' + error.message, 'error');
+                });
+            return;
+        }
+        
         const files = e.dataTransfer.files;
         this.addFiles(files);
     }
 
+    /**
+     * 폴더에서 읽은 파일 추가 (지원하는 형식만 골라 폴더, 파일명 순으로 자연 정렬)
+     * @param {Array<{file: File, folder: string}>} items - 폴더 경로를 포함한 파일 목록
+     */
+    addFolderFiles(items) {
+        const supported = items.filter(({ file }) => {
+            const ext = '.' + file.name.split('.').pop().toLowerCase();
+            return this.config.supportedFormats.includes(ext);
+        });
+        
+        if (supported.length === 0) {
+            this.showToast('폴더에 지원하는 오디오 파일이 없습니다.', 'error');
+            return;
+        }
+        if (supported.length < items.length) {
+            this.showToast(`지원하지 않는 파일 ${items.length - supported.length}개는 건너뜁니다.`);
+        }
+        
+        this.addFiles(FolderReader.sortNatural(supported));
+    }
+
     /**
      * 파일 선택 처리
      */
@@ -266,9 +588,10 @@ class MP3CombinerApp {
 
     /**
      * 파일 추가
+     * @param {FileList|Array<File|{file: File, folder: string}>} fileList - 추가할 파일 (폴더에서 읽은 파일은 폴더 경로 포함)
      */
     async addFiles(fileList) {
-        const newFiles = Array.from(fileList);
+        const newFiles = Array.from(fileList).map(item => item instanceof File ? { file: item, folder: '' } : item);
         
         // 파일 수 검증
         if (this.files.length + newFiles.length > this.config.maxFiles) {
@@ -277,7 +600,8 @@ class MP3CombinerApp {
         }
         
         // 파일 검증 및 추가
-        for (const file of newFiles) {
+        const before = this.captureFileState();
+        for (const { file, folder } of newFiles) {
             // 형식 검증
             const ext = '.' + file.name.split('.').pop().toLowerCase();
             const isValidFormat = this.config.supportedFormats.includes(ext) || 
@@ -301,16 +625,9 @@ class MP3CombinerApp {
                 continue;
             }
             
-            // 오디오 정보 가져오기
+            // 오디오 정보 및 태그 가져오기
             try {
-                const audioInfo = await this.audioProcessor.getAudioInfo(file);
-                this.files.push({
-                    id: Date.now() + Math.random(),
-                    file: file,
-                    duration: audioInfo.duration,
-                    sampleRate: audioInfo.sampleRate,
-                    channels: audioInfo.channels
-                });
+                this.files.push(await this.createFileData(file, folder));
             } catch (error) {
                 this.showToast(`'${file.name}'을(를) 읽을 수 없습니다.`, 'error');
                 console.error('Error reading file:', error);
@@ -323,26 +640,103 @@ class MP3CombinerApp {
             this.showToast('총 파일 크기가 200MB를 초과합니다.', 'error');
         }
         
+        // 실행 취소 후 다시 실행해도 같은 프로젝트에 저장되도록 기록 전에 ID 부여
+        if (this.files.length > 0) {
+            this.ensureProjectId();
+        }
+        
+        this.prefillOutputTags();
         this.updateFileListUI();
         this.updateUI();
+        this.scheduleProjectSave();
+        this.pushHistory('파일 추가', before);
+    }
+
+    /**
+     * 파일 항목 생성 (오디오 정보와 태그를 읽고 파일별 설정은 기본값)
+     * @param {File} file - 오디오 파일
+     * @param {string} folder - 폴더에서 추가한 경우 상대 폴더 경로
+     * @returns {Promise<Object>}
+     */
+    async createFileData(file, folder = '') {
+        const audioInfo = await this.audioProcessor.getAudioInfo(file);
+        const tags = await TagReader.read(file);
+        return {
+            id: Date.now() + Math.random(),
+            file: file,
+            duration: audioInfo.duration,
+            sampleRate: audioInfo.sampleRate,
+            channels: audioInfo.channels,
+            peaks: audioInfo.peaks,
+            levels: audioInfo.levels, // 무음 검출용
+            trimStart: 0,
+            trimEnd: audioInfo.duration,
+            gain: 0,      // dB
+            fadeIn: 0,    // 초
+            fadeOut: 0,   // 초
+            folder: folder,
+            tags: tags
+        };
     }
 
     /**
      * 파일 목록 UI 업데이트
      */
     updateFileListUI() {
+        // 목록 안에 포커스가 있었으면 다시 그린 뒤 같은 파일로 되돌림
+        const hadFocus = document.activeElement && document.activeElement.parentElement === this.elements.fileList;
+        
+        // 목록에서 빠진 파일은 선택/포커스에서 제외
+        this.selectedFileIds = new Set(this.files.filter(f => this.selectedFileIds.has(f.id)).map(f => f.id));
+        if (!this.files.some(f => f.id === this.focusedFileId)) {
+            this.focusedFileId = this.files.length > 0 ? this.files[0].id : null;
+        }
+        
         this.elements.fileList.innerHTML = '';
         
+        // 폴더별 구분이면 폴더가 바뀌는 곳마다 머리글 표시
+        const groupByFolder = this.elements.folderGrouping.value === 'folder' && this.files.some(f => f.folder);
         this.files.forEach((fileData, index) => {
+            if (groupByFolder && (index === 0 || fileData.folder !== this.files[index - 1].folder)) {
+                const header = document.createElement('div');
+                header.className = 'file-group-header';
+                header.setAttribute('aria-hidden', 'true'); // 폴더 경로는 항목 이름에 포함
+                header.textContent = `📁 ${fileData.folder || '(폴더 없음)'}`;
+                this.elements.fileList.appendChild(header);
+            }
+            
             const fileItem = this.createFileItemElement(fileData, index);
             this.elements.fileList.appendChild(fileItem);
         });
         
-        // 파일 정보 업데이트
+        this.updateFileListSummary();
+        this.updateFileSelectionBar();
+        
+        if (hadFocus && this.focusedFileId !== null) {
+            this.focusFileItem(this.focusedFileId);
+        }
+    }
+
+    /**
+     * 파일 수 및 총 재생시간 표시 업데이트
+     */
+    updateFileListSummary() {
         this.elements.fileCount.textContent = `${this.files.length}개 파일`;
+        this.elements.totalDuration.textContent = `총 재생시간: ${this.formatTime(this.calculateTotalDuration())}`;
+    }
+
+    /**
+     * 병합 결과의 예상 총 재생시간 계산 (간격 및 크로스페이드 겹침 반영)
+     */
+    calculateTotalDuration() {
+        const { gapDuration, crossfadeDuration } = this.getCombineOptions();
+        const unit = 1000; // 밀리초 단위로 배치 계산
         
-        const totalDuration = this.files.reduce((sum, f) => sum + f.duration, 0);
-        this.elements.totalDuration.textContent = `총 재생시간: ${this.formatTime(totalDuration)}`;
+        const layout = AudioDSP.getLayout(this.files.map(f => Math.round(this.getTrimmedDuration(f) * unit)), {
+            gapLength: Math.floor(gapDuration * unit),
+            crossfadeLength: Math.floor(crossfadeDuration * unit)
+        });
+        return layout.totalLength / unit;
     }
 
     /**
@@ -350,20 +744,51 @@ class MP3CombinerApp {
      */
     createFileItemElement(fileData, index) {
         const div = document.createElement('div');
+        const isSelected = this.selectedFileIds.has(fileData.id);
         div.className = 'file-item';
+        div.classList.toggle('selected', isSelected);
         div.dataset.id = fileData.id;
+        div.tabIndex = fileData.id === this.focusedFileId ? 0 : -1;
+        // option은 안의 버튼과 트랙 편집기를 화면 낭독기에서 숨기므로 listitem으로 두고 선택 상태는 이름에 포함
+        div.setAttribute('role', 'listitem');
+        div.setAttribute('aria-label', this.getFileItemLabel(fileData, index, isSelected));
         
         div.innerHTML = `
-            <span class="drag-handle">≡</span>
+            <span class="drag-handle" aria-hidden="true">≡</span>
             <span class="file-number">${index + 1}.</span>
-            <span class="file-name" title="${fileData.file.name}">${fileData.file.name}</span>
-            <span class="file-duration">${this.formatTime(fileData.duration)}</span>
+            <div class="file-text">
+                <span class="file-name" title="${fileData.file.name}">${fileData.file.name}</span>
+                <span class="file-meta"></span>
+            </div>
+            <span class="file-adjust"></span>
+            <span class="file-duration"></span>
             <div class="file-actions">
+                <button class="edit-btn" title="트랙 편집 (구간·볼륨·페이드)">🎚️</button>
                 <button class="preview-btn" title="미리듣기">🔊</button>
                 <button class="delete-btn" title="삭제">🗑️</button>
             </div>
         `;
         
+        // 아이콘만 있는 버튼의 화면 낭독기 이름
+        const editBtn = div.querySelector('.edit-btn');
+        editBtn.setAttribute('aria-label', `${fileData.file.name} 트랙 편집`);
+        editBtn.setAttribute('aria-expanded', String(this.openTrackEditorId === fileData.id));
+        div.querySelector('.preview-btn').setAttribute('aria-label', `${fileData.file.name} 미리듣기`);
+        div.querySelector('.delete-btn').setAttribute('aria-label', `${fileData.file.name} 삭제`);
+        this.updateFileDurationLabel(div, fileData);
+        this.updateFileAdjustLabel(div, fileData);
+        
+        // 태그의 아티스트/제목 (파일에서 읽은 값이므로 textContent로 표시)
+        div.querySelector('.file-meta').textContent = [fileData.tags.artist, fileData.tags.title]
+            .filter(Boolean)
+            .join(' - ');
+        
+        // 트랙 편집 버튼 이벤트
+        div.querySelector('.edit-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleTrackEditor(fileData.id);
+        });
+        
         // 미리듣기 버튼 이벤트
         div.querySelector('.preview-btn').addEventListener('click', (e) => {
             e.stopPropagation();
@@ -376,374 +801,2292 @@ class MP3CombinerApp {
             this.removeFile(fileData.id);
         });
         
+        // 클릭 선택 (Ctrl/Cmd: 추가/해제, Shift: 범위), 포커스 위치 기억
+        div.addEventListener('click', (e) => this.handleFileItemClick(e, fileData));
+        div.addEventListener('focus', () => {
+            this.focusedFileId = fileData.id;
+        });
+        
+        // 트랙 편집기 (열려 있는 경우)
+        if (this.openTrackEditorId === fileData.id) {
+            div.classList.add('editing');
+            div.appendChild(this.createTrackEditorElement(fileData));
+        }
+        
         return div;
     }
 
     /**
-     * 파일 미리듣기
+     * 파일 아이템의 화면 낭독기 이름 (순서, 폴더 경로, 파일명, 선택 여부)
      */
-    previewFile(fileData) {
-        // 이전 미리듣기 정지
-        if (this.previewAudio) {
-            this.previewAudio.pause();
-            URL.revokeObjectURL(this.previewAudio.src);
+    getFileItemLabel(fileData, index, isSelected) {
+        const name = `${fileData.folder ? `${fileData.folder}/` : ''}${fileData.file.name}`;
+        return `${index + 1}번째, ${name}${isSelected ? ', 선택됨' : ''}`;
+    }
+
+    /**
+     * 파일 아이템의 재생시간 표시 업데이트 (구간이 설정되거나 앞뒤 무음을 자르면 남는 길이 표시)
+     */
+    updateFileDurationLabel(fileItem, fileData) {
+        const label = fileItem.querySelector('.file-duration');
+        const isTrimmed = this.isTrimmed(fileData);
+        const range = this.getPlayRange(fileData);
+        const leadingSilence = range.start - fileData.trimStart;
+        const trailingSilence = fileData.trimEnd - range.end;
+        const hasSilenceTrim = leadingSilence > 0 || trailingSilence > 0;
+        
+        const details = [];
+        if (isTrimmed) {
+            details.push(`${this.formatTimePrecise(fileData.trimStart)} ~ ${this.formatTimePrecise(fileData.trimEnd)}`);
+        }
+        if (hasSilenceTrim) {
+            details.push(`무음 제거: 앞 ${leadingSilence.toFixed(1)}초 · 뒤 ${trailingSilence.toFixed(1)}초`);
         }
         
-        this.previewAudio = new Audio(URL.createObjectURL(fileData.file));
-        this.previewAudio.play();
-        
-        this.previewAudio.onended = () => {
-            URL.revokeObjectURL(this.previewAudio.src);
-            this.previewAudio = null;
-        };
-        
-        this.showToast(`'${fileData.file.name}' 미리듣기 중...`, 'success');
+        label.textContent = (isTrimmed ? '✂️ ' : '') + (hasSilenceTrim ? '🔇 ' : '') + this.formatTime(this.getTrimmedDuration(fileData));
+        label.title = details.length > 0
+            ? `${details.join(' · ')} (원본 ${this.formatTime(fileData.duration)})`
+            : '';
     }
 
     /**
-     * 파일 제거
+     * 파일 아이템의 볼륨/페이드 표시 업데이트 (예: "+3.0dB · 페이드")
      */
-    removeFile(fileId) {
-        this.files = this.files.filter(f => f.id !== fileId);
-        this.updateFileListUI();
-        this.updateUI();
+    updateFileAdjustLabel(fileItem, fileData) {
+        const parts = [];
+        if (fileData.gain !== 0) {
+            parts.push(this.formatGain(fileData.gain));
+        }
+        if (fileData.fadeIn > 0 || fileData.fadeOut > 0) {
+            parts.push('페이드');
+        }
+        
+        const label = fileItem.querySelector('.file-adjust');
+        label.textContent = parts.join(' · ');
+        label.title = parts.length > 0
+            ? `볼륨 ${this.formatGain(fileData.gain)} · 페이드 인 ${fileData.fadeIn}초 · 페이드 아웃 ${fileData.fadeOut}초`
+            : '';
     }
 
     /**
-     * 모든 파일 삭제
+     * 구간과 앞뒤 무음 자르기 적용 후 재생시간
      */
-    clearAllFiles() {
-        if (this.files.length === 0) return;
-        
-        this.files = [];
-        this.updateFileListUI();
-        this.updateUI();
-        this.showToast('모든 파일이 삭제되었습니다.');
+    getTrimmedDuration(fileData) {
+        const range = this.getPlayRange(fileData);
+        return range.end - range.start;
     }
 
     /**
-     * 정렬 완료 처리
+     * 병합에 사용할 구간 (트랙 편집 구간에서 앞뒤 무음 자르기를 사용하면 무음을 뺀 범위)
+     * @returns {{start: number, end: number}} 초
      */
-    onSortEnd(evt) {
-        const oldIndex = evt.oldIndex;
-        const newIndex = evt.newIndex;
-        
-        if (oldIndex !== newIndex) {
-            const [movedFile] = this.files.splice(oldIndex, 1);
-            this.files.splice(newIndex, 0, movedFile);
-            this.updateFileListUI();
+    getPlayRange(fileData) {
+        const start = fileData.trimStart || 0;
+        const end = fileData.trimEnd || fileData.duration;
+        if (!fileData.levels || this.elements.silenceTrimMode.value === 'off') {
+            return { start, end };
         }
+        return AudioDSP.getSilenceEdges(fileData.levels, this.getSilenceOptions(), start, end);
     }
 
     /**
-     * UI 상태 업데이트
+     * 긴 쉼 줄이기 옵션 읽기
+     * @returns {{threshold: number, maxPause: number, targetPause: number}|null} 사용 안 하면 null
      */
-    updateUI() {
-        const hasFiles = this.files.length > 0;
-        
-        this.elements.fileListSection.style.display = hasFiles ? 'block' : 'none';
-        this.elements.optionsSection.style.display = hasFiles ? 'block' : 'none';
-        this.elements.combineSection.style.display = hasFiles ? 'flex' : 'none';
+    getPauseOptions() {
+        const maxPause = parseFloat(this.elements.pauseMaxDuration.value);
+        if (!(maxPause > 0)) return null;
+        
+        return {
+            threshold: parseFloat(this.elements.silenceThreshold.value),
+            maxPause,
+            targetPause: parseFloat(this.elements.pauseTargetDuration.value)
+        };
     }
 
     /**
-     * 파일 병합 시작
+     * 무음 검출 옵션 읽기
      */
-    async combineFiles() {
-        if (this.files.length === 0) {
-            this.showToast('병합할 파일이 없습니다.', 'error');
-            return;
-        }
-        
-        if (this.files.length < 2) {
-            this.showToast('2개 이상의 파일이 필요합니다.', 'error');
-            return;
-        }
-        
-        // 화면 전환
-        this.showSection('processing');
-        this.updateProgress(0, '파일 로딩 중...');
-        
-        try {
-            const format = this.elements.outputFormat.value;
-            const quality = parseInt(this.elements.outputQuality.value);
-            const gapDuration = parseFloat(this.elements.gapDuration.value);
-            
-            // 오디오 파일 로드
-            const audioFiles = this.files.map(f => f.file);
-            await this.audioProcessor.loadAudioFiles(audioFiles, (progress) => {
-                this.updateProgress(progress, '파일 로딩 중...');
-            });
-            
-            // 오디오 병합
-            this.updateProgress(50, '파일 병합 중...');
-            await this.audioProcessor.combineBuffers(
-                this.audioProcessor.audioBuffers,
-                gapDuration,
-                (progress) => {
-                    this.updateProgress(progress, '파일 병합 중...');
-                }
-            );
-            
-            // 오디오 내보내기
-            this.updateProgress(90, '오디오 인코딩 중...');
-            await this.audioProcessor.exportAudio(format, quality, (progress) => {
-                this.updateProgress(progress, '오디오 인코딩 중...');
-            });
-            
-            // 결과 화면 표시
-            this.showResult(format, quality);
-            
-        } catch (error) {
-            console.error('Combine error:', error);
-            this.showToast('파일 병합 중 오류가 발생했습니다: ' + error.message, 'error');
-            this.showSection('upload');
-        }
+    getSilenceOptions() {
+        return {
+            threshold: parseFloat(this.elements.silenceThreshold.value),
+            minDuration: parseFloat(this.elements.silenceMinDuration.value)
+        };
     }
 
     /**
-     * 진행률 업데이트
+     * 구간이 설정되었는지 여부
      */
-    updateProgress(percent, text) {
-        this.elements.progressBar.style.width = `${percent}%`;
-        this.elements.progressText.textContent = `${Math.round(percent)}% 완료 - ${text}`;
+    isTrimmed(fileData) {
+        return fileData.trimStart > 0 || fileData.trimEnd < fileData.duration;
     }
 
+    // ==================== 트랙 편집 (Track Editor) ====================
+
     /**
-     * 결과 화면 표시
+     * 트랙 편집기 열기/닫기
      */
-    showResult(format, quality) {
-        // 결과 파일명 생성
-        const now = new Date();
-        const timestamp = now.getFullYear().toString() +
-            (now.getMonth() + 1).toString().padStart(2, '0') +
-            now.getDate().toString().padStart(2, '0') + '_' +
-            now.getHours().toString().padStart(2, '0') +
-            now.getMinutes().toString().padStart(2, '0') +
-            now.getSeconds().toString().padStart(2, '0');
-        
-        this.resultFilename = `combined_${timestamp}.${format}`;
-        this.elements.resultFilename.textContent = `🎵 ${this.resultFilename}`;
+    toggleTrackEditor(fileId) {
+        this.stopPreview();
+        this.openTrackEditorId = this.openTrackEditorId === fileId ? null : fileId;
+        this.updateFileListUI();
+    }
+
+    /**
+     * 트랙 편집기 요소 생성 (파형 + 시작/끝 핸들 + 숫자 입력 + 볼륨/페이드 + 구간 듣기)
+     */
+    createTrackEditorElement(fileData) {
+        const editor = document.createElement('div');
+        editor.className = 'track-editor';
+        
+        editor.innerHTML = `
+            <div class="waveform">
+                <canvas class="waveform-canvas"></canvas>
+                <div class="trim-mask trim-mask-start"></div>
+                <div class="trim-mask trim-mask-end"></div>
+                <div class="trim-handle trim-handle-start" title="시작 지점"></div>
+                <div class="trim-handle trim-handle-end" title="끝 지점"></div>
+            </div>
+            <div class="trim-controls">
+                <label class="trim-field">시작(초)
+                    <input type="number" class="trim-start-input" min="0" step="0.1">
+                </label>
+                <label class="trim-field">끝(초)
+                    <input type="number" class="trim-end-input" min="0" step="0.1">
+                </label>
+                <span class="trim-length"></span>
+            </div>
+            <div class="trim-controls">
+                <label class="trim-field gain-field">볼륨 <span class="gain-value"></span>
+                    <input type="range" class="gain-input" min="-24" max="12" step="0.5">
+                </label>
+                <label class="trim-field">페이드 인(초)
+                    <input type="number" class="fade-in-input" min="0" step="0.1">
+                </label>
+                <label class="trim-field">페이드 아웃(초)
+                    <input type="number" class="fade-out-input" min="0" step="0.1">
+                </label>
+                <div class="trim-buttons">
+                    <button class="btn btn-secondary trim-play-btn">▶️ 구간 듣기</button>
+                    <button class="btn btn-text trim-reset-btn">초기화</button>
+                </div>
+            </div>
+        `;
         
-        // 오디오 플레이어 설정
-        const audioUrl = this.audioProcessor.getCombinedAudioUrl();
-        this.elements.audioElement.src = audioUrl;
+        const startInput = editor.querySelector('.trim-start-input');
+        const endInput = editor.querySelector('.trim-end-input');
+        startInput.max = fileData.duration;
+        endInput.max = fileData.duration;
         
-        // 결과 정보 표시
-        this.elements.infoFileCount.textContent = `${this.files.length}개`;
-        this.elements.infoTotalDuration.textContent = this.formatTime(this.audioProcessor.getCombinedDuration());
-        this.elements.infoFileSize.textContent = this.formatFileSize(this.audioProcessor.getCombinedFileSize());
-        this.elements.infoFormat.textContent = `${format.toUpperCase()} (${quality}kbps)`;
+        // 숫자 입력
+        startInput.addEventListener('change', () => {
+            this.setTrim(fileData, parseFloat(startInput.value) || 0, fileData.trimEnd, editor);
+        });
+        endInput.addEventListener('change', () => {
+            // 비워 두면 끝까지, 0처럼 시작보다 앞선 값은 setTrim에서 최소 길이로 맞춤
+            const end = parseFloat(endInput.value);
+            this.setTrim(fileData, fileData.trimStart, isNaN(end) ? fileData.duration : end, editor);
+        });
         
-        // 화면 전환
-        this.showSection('result');
+        // 볼륨 / 페이드
+        const gainInput = editor.querySelector('.gain-input');
+        const fadeInInput = editor.querySelector('.fade-in-input');
+        const fadeOutInput = editor.querySelector('.fade-out-input');
+        gainInput.addEventListener('input', () => {
+            this.setTrackAdjust(fileData, { gain: parseFloat(gainInput.value) }, editor);
+        });
+        fadeInInput.addEventListener('change', () => {
+            this.setTrackAdjust(fileData, { fadeIn: parseFloat(fadeInInput.value) || 0 }, editor);
+        });
+        fadeOutInput.addEventListener('change', () => {
+            this.setTrackAdjust(fileData, { fadeOut: parseFloat(fadeOutInput.value) || 0 }, editor);
+        });
+        
+        // 핸들 드래그
+        this.bindTrimHandle(editor.querySelector('.trim-handle-start'), fileData, editor, 'start');
+        this.bindTrimHandle(editor.querySelector('.trim-handle-end'), fileData, editor, 'end');
+        
+        // 구간 듣기 / 초기화
+        editor.querySelector('.trim-play-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.previewRegion(fileData, e.currentTarget);
+        });
+        editor.querySelector('.trim-reset-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.recordFileChange('트랙 설정 초기화', () => {
+                this.setTrim(fileData, 0, fileData.duration, editor);
+                this.setTrackAdjust(fileData, { gain: 0, fadeIn: 0, fadeOut: 0 }, editor);
+            });
+        });
+        
+        this.updateTrackEditor(editor, fileData);
+        
+        // DOM에 추가된 후 크기가 정해지므로 다음 프레임에 파형 그리기
+        requestAnimationFrame(() => this.drawWaveform(editor.querySelector('.waveform-canvas'), fileData.peaks));
+        
+        return editor;
     }
 
     /**
-     * 섹션 표시 전환
+     * 구간 핸들 드래그 바인딩
      */
-    showSection(section) {
-        this.elements.uploadSection.style.display = section === 'upload' ? 'flex' : 'none';
-        this.elements.processingSection.style.display = section === 'processing' ? 'block' : 'none';
-        this.elements.resultSection.style.display = section === 'result' ? 'flex' : 'none';
+    bindTrimHandle(handle, fileData, editor, edge) {
+        const waveform = editor.querySelector('.waveform');
+        
+        const onMove = (e) => {
+            const rect = waveform.getBoundingClientRect();
+            const ratio = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+            const time = ratio * fileData.duration;
+            
+            if (edge === 'start') {
+                this.setTrim(fileData, time, fileData.trimEnd, editor);
+            } else {
+                this.setTrim(fileData, fileData.trimStart, time, editor);
+            }
+        };
+        
+        handle.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            handle.setPointerCapture(e.pointerId);
+            handle.classList.add('dragging');
+            handle.addEventListener('pointermove', onMove);
+        });
+        
+        const endDrag = (e) => {
+            if (!handle.classList.contains('dragging')) return;
+            handle.releasePointerCapture(e.pointerId);
+            handle.classList.remove('dragging');
+            handle.removeEventListener('pointermove', onMove);
+        };
+        handle.addEventListener('pointerup', endDrag);
+        handle.addEventListener('pointercancel', endDrag);
     }
 
     /**
-     * 재생/일시정지 토글
+     * 구간 설정 (최소 길이 보장 후 편집기/목록 정보 갱신)
      */
-    togglePlay() {
-        if (this.elements.audioElement.paused) {
-            this.elements.audioElement.play();
-            this.elements.playBtn.textContent = '⏸️';
-        } else {
-            this.elements.audioElement.pause();
-            this.elements.playBtn.textContent = '▶️';
-        }
+    setTrim(fileData, start, end, editor) {
+        const minLength = Math.min(0.1, fileData.duration);
+        
+        start = Math.max(0, Math.min(start, fileData.duration - minLength));
+        end = Math.max(start + minLength, Math.min(end, fileData.duration));
+        
+        this.recordFileChange('구간 변경', () => {
+            fileData.trimStart = start;
+            fileData.trimEnd = end;
+        }, `trim:${fileData.id}`);
+        
+        this.updateTrackEditor(editor, fileData);
+        this.updateFileDurationLabel(editor.closest('.file-item'), fileData);
+        this.updateFileListSummary();
+        this.scheduleProjectSave();
     }
 
     /**
-     * 오디오 진행률 업데이트
+     * 볼륨/페이드 설정 (페이드 길이는 0 이상으로 제한, 구간보다 길면 구간 전체에 걸쳐 적용됨)
      */
-    updateAudioProgress() {
-        const audio = this.elements.audioElement;
+    setTrackAdjust(fileData, changes, editor) {
+        const label = changes.gain !== undefined ? '볼륨 변경' : '페이드 변경';
+        this.recordFileChange(label, () => {
+            if (changes.gain !== undefined) {
+                fileData.gain = changes.gain;
+            }
+            if (changes.fadeIn !== undefined) {
+                fileData.fadeIn = Math.max(0, changes.fadeIn);
+            }
+            if (changes.fadeOut !== undefined) {
+                fileData.fadeOut = Math.max(0, changes.fadeOut);
+            }
+        }, `adjust:${fileData.id}:${Object.keys(changes).join(',')}`);
+        
+        this.updateTrackEditor(editor, fileData);
+        this.updateFileAdjustLabel(editor.closest('.file-item'), fileData);
+        this.scheduleProjectSave();
+    }
+
+    /**
+     * 트랙 편집기 표시 갱신 (핸들 위치, 마스크, 입력값)
+     */
+    updateTrackEditor(editor, fileData) {
+        const startPercent = (fileData.trimStart / fileData.duration) * 100;
+        const endPercent = (fileData.trimEnd / fileData.duration) * 100;
+        
+        editor.querySelector('.trim-handle-start').style.left = `${startPercent}%`;
+        editor.querySelector('.trim-handle-end').style.left = `${endPercent}%`;
+        editor.querySelector('.trim-mask-start').style.width = `${startPercent}%`;
+        editor.querySelector('.trim-mask-end').style.width = `${100 - endPercent}%`;
+        
+        editor.querySelector('.trim-start-input').value = fileData.trimStart.toFixed(2);
+        editor.querySelector('.trim-end-input').value = fileData.trimEnd.toFixed(2);
+        editor.querySelector('.trim-length').textContent = `구간 길이: ${this.formatTimePrecise(this.getTrimmedDuration(fileData))}`;
+        
+        editor.querySelector('.gain-input').value = fileData.gain;
+        editor.querySelector('.gain-value').textContent = this.formatGain(fileData.gain);
+        editor.querySelector('.fade-in-input').value = fileData.fadeIn;
+        editor.querySelector('.fade-out-input').value = fileData.fadeOut;
+    }
+
+    /**
+     * 파형 그리기
+     */
+    drawWaveform(canvas, peaks) {
+        if (!canvas || !peaks) return;
+        
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth * ratio;
+        const height = canvas.clientHeight * ratio;
+        canvas.width = width;
+        canvas.height = height;
+        
+        const ctx = canvas.getContext('2d');
+        const style = getComputedStyle(document.documentElement);
+        ctx.fillStyle = style.getPropertyValue('--primary-color').trim() || '#4F46E5';
+        
+        const barWidth = width / peaks.length;
+        const middle = height / 2;
+        for (let i = 0; i < peaks.length; i++) {
+            const barHeight = Math.max(1, peaks[i] * height);
+            ctx.fillRect(i * barWidth, middle - barHeight / 2, Math.max(1, barWidth - ratio * 0.5), barHeight);
+        }
+    }
+
+    /**
+     * 선택 구간 듣기 (다시 누르면 정지)
+     */
+    previewRegion(fileData, button) {
+        if (this.previewAudio && this.previewAudio.dataset.regionId === String(fileData.id)) {
+            this.stopPreview();
+            return;
+        }
+        
+        this.startPreview(fileData);
+        this.previewAudio.dataset.regionId = fileData.id;
+        this.previewButton = button;
+        button.textContent = '⏹️ 정지';
+    }
+
+    /**
+     * 트랙 설정(구간, 볼륨, 페이드)을 반영해 재생
+     * 병합 결과와 같게 들리도록 Web Audio 게인 노드로 볼륨과 페이드를 적용
+     */
+    startPreview(fileData) {
+        this.stopPreview();
+        
+        const track = this.getTrackSettings(fileData);
+        const audio = new Audio(URL.createObjectURL(fileData.file));
+        const context = this.audioProcessor.initAudioContext();
+        if (context.state === 'suspended') {
+            context.resume();
+        }
+        
+        const gainNode = context.createGain();
+        context.createMediaElementSource(audio).connect(gainNode).connect(context.destination);
+        
+        this.previewAudio = audio;
+        this.previewGain = gainNode;
+        
+        audio.addEventListener('loadedmetadata', () => {
+            audio.currentTime = track.trimStart;
+            audio.play();
+        });
+        audio.addEventListener('playing', () => {
+            this.scheduleTrackEnvelope(gainNode.gain, context.currentTime, audio.currentTime - track.trimStart, track);
+        });
+        audio.addEventListener('timeupdate', () => {
+            if (audio.currentTime >= track.trimEnd) {
+                this.stopPreview();
+            }
+        });
+        audio.addEventListener('ended', () => this.stopPreview());
+    }
+
+    /**
+     * 볼륨/페이드 엔벨로프 예약 (AudioDSP.applyTrackEnvelope와 같은 선형 페이드)
+     * @param {AudioParam} param - 게인 파라미터
+     * @param {number} now - 현재 AudioContext 시간
+     * @param {number} position - 구간 시작 기준 현재 재생 위치 (초)
+     * @param {Object} track - 트랙 설정
+     */
+    scheduleTrackEnvelope(param, now, position, track) {
+        const length = track.trimEnd - track.trimStart;
+        const envelopeAt = (time) => AudioDSP.getTrackEnvelopeGain(track, time, length);
+        
+        // 엔벨로프가 꺾이는 지점마다 선형 램프 예약 (페이드 인/아웃이 겹치면 교차 지점 포함)
+        const points = [track.fadeIn, length - track.fadeOut, length];
+        if (track.fadeIn > 0 && track.fadeOut > 0) {
+            points.push(length * track.fadeIn / (track.fadeIn + track.fadeOut));
+        }
+        
+        param.cancelScheduledValues(now);
+        param.setValueAtTime(envelopeAt(position), now);
+        points
+            .filter(time => time > position && time <= length)
+            .sort((a, b) => a - b)
+            .forEach(time => param.linearRampToValueAtTime(envelopeAt(time), now + time - position));
+        
+        // timeupdate 간격만큼 구간을 넘어 재생되지 않도록 끝에서 음소거
+        param.setValueAtTime(0, now + Math.max(0, length - position));
+    }
+
+    /**
+     * 트랙 설정 읽기 (설정이 없는 변환기 파일은 원본 그대로)
+     */
+    getTrackSettings(fileData) {
+        const range = this.getPlayRange(fileData);
+        return {
+            trimStart: range.start,
+            trimEnd: range.end,
+            gain: fileData.gain || 0,
+            fadeIn: fileData.fadeIn || 0,
+            fadeOut: fileData.fadeOut || 0
+        };
+    }
+
+    /**
+     * 미리듣기 정지
+     */
+    stopPreview() {
+        if (this.previewAudio) {
+            this.previewAudio.pause();
+            URL.revokeObjectURL(this.previewAudio.src);
+            this.previewAudio = null;
+        }
+        if (this.previewGain) {
+            this.previewGain.disconnect();
+            this.previewGain = null;
+        }
+        if (this.previewButton) {
+            this.previewButton.textContent = '▶️ 구간 듣기';
+            this.previewButton = null;
+        }
+    }
+
+    /**
+     * 파일 미리듣기 (구간, 볼륨, 페이드 적용)
+     */
+    previewFile(fileData) {
+        this.startPreview(fileData);
+        this.showToast(`'${fileData.file.name}' 미리듣기 중...`, 'success');
+    }
+
+    /**
+     * 파일 제거
+     */
+    removeFile(fileId) {
+        this.removeFiles([fileId]);
+    }
+
+    /**
+     * 여러 파일 제거 (포커스는 지운 자리의 다음 파일로 이동)
+     */
+    removeFiles(fileIds) {
+        if (fileIds.length === 0) return;
+        
+        if (fileIds.includes(this.openTrackEditorId)) {
+            this.stopPreview();
+            this.openTrackEditorId = null;
+        }
+        
+        const firstIndex = this.files.findIndex(f => fileIds.includes(f.id));
+        this.recordFileChange(fileIds.length > 1 ? `파일 ${fileIds.length}개 삭제` : '파일 삭제', () => {
+            this.files = this.files.filter(f => !fileIds.includes(f.id));
+        });
+        
+        const next = this.files[Math.min(firstIndex, this.files.length - 1)];
+        this.focusedFileId = next ? next.id : null;
+        this.updateFileListUI();
+        this.updateUI();
+        this.scheduleProjectSave();
+        this.announce(`${fileIds.length}개 파일을 삭제했습니다. 남은 파일 ${this.files.length}개`);
+    }
+
+    /**
+     * 모든 파일 삭제
+     */
+    clearAllFiles() {
+        if (this.files.length === 0) return;
+        
+        // 지금까지의 작업은 최근 프로젝트에 남기고 새 프로젝트로 시작 (실행 취소하면 같은 프로젝트로 돌아감)
+        this.recordFileChange('전체 삭제', () => {
+            this.startNewProject();
+            this.files = [];
+            this.resetOutputTags();
+        });
+        this.updateFileListUI();
+        this.updateUI();
+        this.showToast('모든 파일이 삭제되었습니다. Ctrl+Z로 되돌릴 수 있습니다.');
+    }
+
+    /**
+     * 정렬 완료 처리
+     */
+    onSortEnd(evt) {
+        // 폴더 구분 머리글을 빼고 센 위치
+        const oldIndex = evt.oldDraggableIndex;
+        const newIndex = evt.newDraggableIndex;
+        
+        if (oldIndex !== newIndex) {
+            const order = [...this.files];
+            const [movedFile] = order.splice(oldIndex, 1);
+            order.splice(newIndex, 0, movedFile);
+            this.setFileOrder(order, [movedFile.id]);
+        }
+    }
+
+    /**
+     * 파일 순서 적용 (드래그, 키보드, 선택 이동 공용) 후 옮긴 파일의 새 위치 알림
+     * @param {Object[]} order - 새 순서의 파일 목록
+     * @param {Array} movedIds - 옮긴 파일 ID
+     */
+    setFileOrder(order, movedIds) {
+        if (order.some((fileData, index) => fileData !== this.files[index])) {
+            this.recordFileChange('순서 변경', () => {
+                this.files = order;
+            });
+            this.updateFileListUI();
+            this.scheduleProjectSave();
+        }
+        
+        const positions = this.files
+            .map((fileData, index) => movedIds.includes(fileData.id) ? index + 1 : null)
+            .filter(position => position !== null);
+        if (positions.length === 1) {
+            const fileData = this.files[positions[0] - 1];
+            this.announce(`'${fileData.file.name}' ${positions[0]}번째 (전체 ${this.files.length}개)`);
+        } else {
+            this.announce(`${positions.length}개 파일 ${positions.join(', ')}번째 (전체 ${this.files.length}개)`);
+        }
+    }
+
+    // ==================== 목록 정렬 (Sort) ====================
+
+    /**
+     * 정렬 메뉴의 기준과 방향으로 전체 목록 정렬 (폴더별 구분 중이면 폴더 안에서만 정렬)
+     */
+    sortFiles() {
+        const key = this.elements.sortKey.value;
+        const descending = this.elements.sortDirection.value === 'desc';
+        const compare = this.getFileComparator(key);
+        const groupByFolder = this.elements.folderGrouping.value === 'folder';
+        
+        const order = [...this.files].sort((a, b) => {
+            if (groupByFolder && a.folder !== b.folder) {
+                return FolderReader.compareNatural(a.folder, b.folder);
+            }
+            // 트랙 번호가 없는 파일은 방향과 관계없이 뒤로
+            if (key === 'track' && (a.tags.track === null) !== (b.tags.track === null)) {
+                return a.tags.track === null ? 1 : -1;
+            }
+            const result = compare(a, b);
+            return (descending ? -result : result) || FolderReader.compareNatural(a.file.name, b.file.name);
+        });
+        
+        const keyLabel = this.elements.sortKey.selectedOptions[0].textContent;
+        const directionLabel = this.elements.sortDirection.selectedOptions[0].textContent;
+        this.applySortedOrder(order, `${keyLabel} ${directionLabel}으로 정렬했습니다.`);
+    }
+
+    /**
+     * 정렬 기준별 비교 함수 (오름차순)
+     * @param {string} key - 'name', 'modified', 'duration', 'track'
+     * @returns {Function}
+     */
+    getFileComparator(key) {
+        switch (key) {
+            case 'modified':
+                return (a, b) => a.file.lastModified - b.file.lastModified;
+            case 'duration':
+                return (a, b) => a.duration - b.duration;
+            case 'track':
+                // 디스크 번호가 없으면 1번 디스크로 취급
+                return (a, b) => ((a.tags.disc || 1) - (b.tags.disc || 1)) || ((a.tags.track || 0) - (b.tags.track || 0));
+            default:
+                return (a, b) => FolderReader.compareNatural(a.file.name, b.file.name);
+        }
+    }
+
+    /**
+     * 목록 순서 뒤집기 (폴더별 구분 중이면 폴더 안에서만)
+     */
+    reverseFiles() {
+        this.applySortedOrder(this.reorderWithinFolders(files => files.reverse()), '순서를 거꾸로 바꿨습니다.');
+    }
+
+    /**
+     * 목록 무작위로 섞기 (Fisher-Yates, 폴더별 구분 중이면 폴더 안에서만)
+     */
+    shuffleFiles() {
+        const order = this.reorderWithinFolders(files => {
+            for (let i = files.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [files[i], files[j]] = [files[j], files[i]];
+            }
+            return files;
+        });
+        this.applySortedOrder(order, '순서를 무작위로 섞었습니다.');
+    }
+
+    /**
+     * 순서 바꾸기를 목록 전체에, 폴더별 구분 중이면 폴더마다 적용 (폴더는 정렬과 같이 자연 정렬 순)
+     * @param {Function} reorder - 파일 배열(복사본)을 받아 새 순서의 배열을 돌려주는 함수
+     * @returns {Object[]} 새 순서의 파일 목록
+     */
+    reorderWithinFolders(reorder) {
+        if (this.elements.folderGrouping.value !== 'folder') {
+            return reorder([...this.files]);
+        }
+        
+        const groups = new Map();
+        this.files.forEach(fileData => {
+            if (!groups.has(fileData.folder)) groups.set(fileData.folder, []);
+            groups.get(fileData.folder).push(fileData);
+        });
+        return [...groups.keys()]
+            .sort((a, b) => FolderReader.compareNatural(a, b))
+            .flatMap(folder => reorder(groups.get(folder)));
+    }
+
+    /**
+     * 정렬 결과 적용 (실행 취소 기록, 자동 저장) 후 화면 낭독기에 알림
+     * @param {Object[]} order - 새 순서의 파일 목록
+     * @param {string} message - 순서가 바뀌었을 때 알릴 내용
+     */
+    applySortedOrder(order, message) {
+        if (order.every((fileData, index) => fileData === this.files[index])) {
+            this.showToast('이미 그 순서로 정렬되어 있습니다.');
+            return;
+        }
+        
+        this.recordFileChange('정렬', () => {
+            this.files = order;
+        });
+        this.updateFileListUI();
+        this.scheduleProjectSave();
+        this.announce(message);
+    }
+
+    // ==================== 선택/키보드 정렬 (Selection) ====================
+
+    /**
+     * 선택 작업 대상 파일 ID (목록 순서, 선택이 없으면 포커스된 파일)
+     */
+    getTargetFileIds() {
+        const selected = this.files.filter(f => this.selectedFileIds.has(f.id)).map(f => f.id);
+        if (selected.length > 0) return selected;
+        return this.focusedFileId !== null ? [this.focusedFileId] : [];
+    }
+
+    /**
+     * 선택한 파일을 한 칸씩 위(-1)/아래(1)로 이동 (앞이 막힌 파일은 그대로)
+     */
+    shiftSelectedFiles(step) {
+        const ids = this.getTargetFileIds();
+        const order = [...this.files];
+        const indices = order.map((f, index) => ids.includes(f.id) ? index : -1).filter(index => index >= 0);
+        if (step > 0) indices.reverse();
+        
+        indices.forEach(index => {
+            const target = index + step;
+            if (target < 0 || target >= order.length || ids.includes(order[target].id)) return;
+            [order[index], order[target]] = [order[target], order[index]];
+        });
+        
+        this.setFileOrder(order, ids);
+    }
+
+    /**
+     * 선택한 파일을 맨 위/맨 아래/지정 위치로 이동 (선택한 파일은 순서를 유지한 채 붙여서 배치)
+     * @param {string} where - 'top', 'bottom', 'position' (위치 입력값, 1부터)
+     */
+    moveSelectedFiles(where) {
+        const ids = this.getTargetFileIds();
+        if (ids.length === 0) return;
+        
+        const moving = this.files.filter(f => ids.includes(f.id));
+        const rest = this.files.filter(f => !ids.includes(f.id));
+        let index = rest.length;
+        if (where === 'top') {
+            index = 0;
+        } else if (where === 'position') {
+            const position = parseInt(this.elements.movePositionInput.value) || 1;
+            index = Math.max(0, Math.min(position - 1, rest.length));
+        }
+        
+        this.setFileOrder([...rest.slice(0, index), ...moving, ...rest.slice(index)], ids);
+    }
+
+    /**
+     * 파일 선택 설정 (목록을 다시 그리지 않고 표시만 갱신)
+     */
+    setFileSelection(fileIds) {
+        this.selectedFileIds = new Set(fileIds);
+        
+        this.elements.fileList.querySelectorAll('.file-item').forEach(item => {
+            const index = this.files.findIndex(f => String(f.id) === item.dataset.id);
+            const isSelected = index >= 0 && this.selectedFileIds.has(this.files[index].id);
+            item.classList.toggle('selected', isSelected);
+            if (index >= 0) {
+                item.setAttribute('aria-label', this.getFileItemLabel(this.files[index], index, isSelected));
+            }
+        });
+        this.updateFileSelectionBar();
+    }
+
+    /**
+     * 선택한 파일 수와 이동/삭제 버튼 표시
+     */
+    updateFileSelectionBar() {
+        const count = this.selectedFileIds.size;
+        this.elements.fileSelectionBar.style.display = count > 0 ? 'flex' : 'none';
+        this.elements.fileSelectionCount.textContent = `${count}개 선택`;
+        this.elements.movePositionInput.max = Math.max(1, this.files.length);
+    }
+
+    /**
+     * 파일 항목에 포커스 (Tab으로 들어올 항목도 이 파일로 변경)
+     */
+    focusFileItem(fileId) {
+        this.focusedFileId = fileId;
+        
+        this.elements.fileList.querySelectorAll('.file-item').forEach(item => {
+            const isFocused = item.dataset.id === String(fileId);
+            item.tabIndex = isFocused ? 0 : -1;
+            if (isFocused) {
+                item.focus();
+                item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    /**
+     * 파일 항목 클릭 선택 (버튼과 트랙 편집기 안의 클릭은 제외)
+     */
+    handleFileItemClick(e, fileData) {
+        if (e.target.closest('button, input, .track-editor')) return;
+        
+        if (e.ctrlKey || e.metaKey) {
+            const ids = new Set(this.selectedFileIds);
+            if (ids.has(fileData.id)) {
+                ids.delete(fileData.id);
+            } else {
+                ids.add(fileData.id);
+            }
+            this.selectionAnchorId = fileData.id;
+            this.setFileSelection(ids);
+        } else if (e.shiftKey) {
+            this.selectFileRange(fileData.id);
+        } else {
+            this.selectionAnchorId = fileData.id;
+            this.setFileSelection([fileData.id]);
+        }
+        
+        this.focusFileItem(fileData.id);
+    }
+
+    /**
+     * 기준 파일부터 지정한 파일까지 범위 선택
+     */
+    selectFileRange(fileId) {
+        const anchorIndex = Math.max(0, this.files.findIndex(f => f.id === this.selectionAnchorId));
+        const index = this.files.findIndex(f => f.id === fileId);
+        const [start, end] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+        this.setFileSelection(this.files.slice(start, end + 1).map(f => f.id));
+    }
+
+    /**
+     * 파일 목록 키보드 조작
+     * ↑↓/Home/End 이동(선택이 따라감), Shift 범위 선택, Ctrl 선택 유지, Space 선택 전환, Ctrl+A 전체 선택,
+     * Alt+↑↓ 한 칸 이동, Alt+Home/End 맨 위/아래로, Delete 삭제, Enter 트랙 편집, Esc 선택 해제
+     */
+    handleFileListKeydown(e) {
+        // 항목 안의 버튼이나 트랙 편집기 입력에서 누른 키는 그대로 둠
+        if (!e.target.classList.contains('file-item')) return;
+        
+        const index = this.files.findIndex(f => f.id === this.focusedFileId);
+        if (index < 0) return;
+        const fileId = this.focusedFileId;
+        
+        switch (e.key) {
+            case 'ArrowUp':
+            case 'ArrowDown': {
+                const step = e.key === 'ArrowUp' ? -1 : 1;
+                if (e.altKey) {
+                    this.shiftSelectedFiles(step);
+                } else {
+                    this.moveFileFocus(Math.max(0, Math.min(index + step, this.files.length - 1)), e);
+                }
+                break;
+            }
+            case 'Home':
+            case 'End':
+                if (e.altKey) {
+                    this.moveSelectedFiles(e.key === 'Home' ? 'top' : 'bottom');
+                } else {
+                    this.moveFileFocus(e.key === 'Home' ? 0 : this.files.length - 1, e);
+                }
+                break;
+            case ' ': {
+                const ids = new Set(this.selectedFileIds);
+                if (ids.has(fileId)) {
+                    ids.delete(fileId);
+                } else {
+                    ids.add(fileId);
+                }
+                this.selectionAnchorId = fileId;
+                this.setFileSelection(ids);
+                break;
+            }
+            case 'a':
+            case 'A':
+                if (!(e.ctrlKey || e.metaKey)) return;
+                this.setFileSelection(this.files.map(f => f.id));
+                this.announce(`${this.files.length}개 파일을 모두 선택했습니다.`);
+                break;
+            case 'Delete':
+                this.removeFiles(this.getTargetFileIds());
+                break;
+            case 'Enter':
+                this.toggleTrackEditor(fileId);
+                break;
+            case 'Escape':
+                if (this.selectedFileIds.size === 0) return;
+                this.setFileSelection([]);
+                break;
+            default:
+                return;
+        }
+        
+        e.preventDefault();
+    }
+
+    /**
+     * 다른 파일로 포커스 이동 (Shift: 범위 선택, Ctrl/Cmd: 선택 유지, 그 외: 해당 파일만 선택)
+     */
+    moveFileFocus(index, e) {
+        const fileId = this.files[index].id;
+        
+        if (e.shiftKey) {
+            if (this.selectionAnchorId === null) {
+                this.selectionAnchorId = this.focusedFileId;
+            }
+            this.selectFileRange(fileId);
+        } else if (!(e.ctrlKey || e.metaKey)) {
+            this.selectionAnchorId = fileId;
+            this.setFileSelection([fileId]);
+        }
+        
+        this.focusFileItem(fileId);
+    }
+
+    /**
+     * 화면 낭독기용 알림 (같은 문장도 다시 읽도록 비운 뒤 설정)
+     */
+    announce(message) {
+        const status = this.elements.fileListStatus;
+        status.textContent = '';
+        requestAnimationFrame(() => {
+            status.textContent = message;
+        });
+    }
+
+    /**
+     * UI 상태 업데이트
+     */
+    updateUI() {
+        const hasFiles = this.files.length > 0;
+        
+        this.elements.fileListSection.style.display = hasFiles ? 'block' : 'none';
+        this.elements.optionsSection.style.display = hasFiles ? 'block' : 'none';
+        this.elements.combineSection.style.display = hasFiles ? 'flex' : 'none';
+    }
+
+    /**
+     * 파일 병합 시작
+     */
+    async combineFiles() {
+        if (this.files.length === 0) {
+            this.showToast('병합할 파일이 없습니다.', 'error');
+            return;
+        }
+        
+        if (this.files.length < 2) {
+            this.showToast('2개 이상의 파일이 필요합니다.', 'error');
+            return;
+        }
+        
+        // 화면 전환
+        this.showSection('processing');
+        this.updateProgress(0, '파일 로딩 중...');
+        
+        try {
+            const format = this.elements.outputFormat.value;
+            const encodeOptions = this.getEncodeOptions(this.encodeSelects.combiner);
+            const combineOptions = this.getCombineOptions();
+            const audioFiles = this.files.map(f => f.file);
+            const metadata = {
+                chapters: this.files.map(f => ({ title: this.getChapterTitle(f), source: f.file.name })),
+                tags: this.outputTags
+            };
+            this.combineNotice = null;
+            
+            // 재인코딩 없이 합치기 (조건이 맞지 않으면 알림 후 디코딩 방식으로 진행)
+            if (this.elements.combineMode.value === 'copy') {
+                if (await this.combineWithoutReencoding(audioFiles, format, encodeOptions, combineOptions, metadata)) {
+                    this.showResult();
+                    return;
+                }
+            }
+            
+            // 오디오 파일 로드
+            await this.audioProcessor.loadAudioFiles(audioFiles, (progress) => {
+                this.updateProgress(progress, '파일 로딩 중...');
+            });
+            
+            // 트랙 안의 긴 쉼 줄이기 (구간이 적용된 버퍼로 바뀜)
+            let buffers = this.audioProcessor.audioBuffers;
+            const pauseOptions = this.getPauseOptions();
+            if (pauseOptions) {
+                const compressed = await this.audioProcessor.compressPauses(buffers, combineOptions.tracks, pauseOptions, (progress) => {
+                    this.updateProgress(50, `긴 쉼 줄이는 중... ${Math.round(progress * 100)}%`);
+                });
+                buffers = compressed.buffers;
+                combineOptions.tracks = compressed.tracks;
+            }
+            
+            // 오디오 병합
+            this.updateProgress(50, '파일 병합 중...');
+            await this.audioProcessor.combineBuffers(
+                buffers,
+                combineOptions,
+                (progress) => {
+                    this.updateProgress(progress, '파일 병합 중...');
+                }
+            );
+            
+            // 오디오 내보내기
+            this.updateProgress(90, '오디오 인코딩 중...');
+            await this.audioProcessor.exportAudio(format, encodeOptions, (progress) => {
+                this.updateProgress(progress, '오디오 인코딩 중...');
+            }, metadata);
+            
+            // 결과 화면 표시
+            this.showResult();
+            
+        } catch (error) {
+            console.error('Combine error:', error);
+            this.showToast('파일 병합 중 오류가 발생했습니다: ' + error.message, 'error');
+            this.showSection('upload');
+        }
+    }
+
+    /**
+     * MP3 프레임을 재인코딩 없이 이어 붙이기
+     * 옵션이나 입력 파일 때문에 불가능하면 this.combineNotice에 이유를 남기고 false 반환
+     * @returns {Promise<boolean>} 병합 완료 여부
+     */
+    async combineWithoutReencoding(audioFiles, format, encodeOptions, combineOptions, metadata) {
+        let reason = this.getCopyModeBlocker(format, combineOptions);
+        
+        if (!reason) {
+            this.updateProgress(0, 'MP3 프레임 분석 중...');
+            const { analyses, reason: incompatibility } = await this.audioProcessor.analyzeMp3Files(audioFiles, (progress) => {
+                this.updateProgress(progress, 'MP3 프레임 분석 중...');
+            });
+            reason = incompatibility;
+            
+            const [reference] = analyses;
+            if (!reason && reference.sampleRate !== combineOptions.sampleRate) {
+                reason = `입력 샘플레이트(${reference.sampleRate / 1000}kHz)가 출력 샘플레이트와 다릅니다.`;
+            } else if (!reason && reference.channels === 2 && encodeOptions.channelMode === 'mono') {
+                reason = '스테레오 입력을 모노로 출력하려면 다시 인코딩해야 합니다.';
+            }
+            
+            if (!reason) {
+                this.updateProgress(90, '프레임 이어 붙이는 중...');
+                this.audioProcessor.concatMp3(audioFiles, analyses, metadata);
+                this.updateProgress(100, '프레임 이어 붙이는 중...');
+                return true;
+            }
+        }
+        
+        this.combineNotice = `재인코딩 없이 합칠 수 없어 다시 인코딩했습니다. ${reason}`;
+        this.showToast(`재인코딩 없이 합칠 수 없습니다. ${reason}`, 'info');
+        return false;
+    }
+
+    /**
+     * 재인코딩 없는 병합을 막는 옵션 확인 (오디오를 바꾸는 처리는 디코딩이 필요함)
+     * @returns {string|null} 이유 (없으면 null)
+     */
+    getCopyModeBlocker(format, combineOptions) {
+        if (format !== 'mp3') {
+            return '출력 형식이 MP3가 아닙니다.';
+        }
+        if (combineOptions.gapDuration > 0 || combineOptions.crossfadeDuration > 0) {
+            return '파일 간 간격이나 크로스페이드가 설정되어 있습니다.';
+        }
+        if (combineOptions.normalization.mode !== 'off') {
+            return '음량 정규화가 설정되어 있습니다.';
+        }
+        if (this.elements.silenceTrimMode.value !== 'off' || this.getPauseOptions()) {
+            return '무음 자르기나 긴 쉼 줄이기가 설정되어 있습니다.';
+        }
+        if (this.files.some(f => this.isTrimmed(f) || f.gain !== 0 || f.fadeIn > 0 || f.fadeOut > 0)) {
+            return '구간·볼륨·페이드가 설정된 파일이 있습니다.';
+        }
+        return null;
+    }
+
+    /**
+     * 진행률 업데이트
+     */
+    updateProgress(percent, text) {
+        this.elements.progressBar.style.width = `${percent}%`;
+        this.elements.progressText.textContent = `${Math.round(percent)}% 완료 - ${text}`;
+    }
+
+    /**
+     * 결과 화면 표시
+     */
+    showResult() {
+        // 실제로 생성된 형식 기준으로 표시
+        const encoding = this.audioProcessor.combinedEncoding;
+        
+        // 결과 파일명 생성
+        this.resultFilename = `combined_${this.formatTimestamp(new Date())}.${encoding.format}`;
+        this.elements.resultFilename.textContent = `🎵 ${this.resultFilename}`;
+        
+        // 오디오 플레이어 설정
+        const audioUrl = this.audioProcessor.getCombinedAudioUrl();
+        this.elements.audioElement.src = audioUrl;
+        
+        // 결과 정보 표시
+        this.elements.infoFileCount.textContent = `${this.files.length}개`;
+        this.elements.infoTotalDuration.textContent = this.formatTime(this.audioProcessor.getCombinedDuration());
+        this.elements.infoFileSize.textContent = this.formatFileSize(this.audioProcessor.getCombinedFileSize());
+        this.elements.infoFormat.textContent = this.formatEncoding(encoding);
+        
+        const loudness = this.audioProcessor.combinedLoudness;
+        this.elements.infoLoudnessItem.style.display = loudness ? '' : 'none';
+        this.elements.infoLoudness.textContent = this.formatLoudness(loudness);
+        
+        const pauseReduction = this.audioProcessor.pauseReduction;
+        this.elements.infoPausesItem.style.display = pauseReduction ? '' : 'none';
+        this.elements.infoPauses.textContent = pauseReduction
+            ? `${pauseReduction.count}곳 · ${this.formatTimePrecise(pauseReduction.removed)} 단축`
+            : '-';
+        
+        this.elements.infoNoticeItem.style.display = this.combineNotice ? '' : 'none';
+        this.elements.infoNotice.textContent = this.combineNotice || '-';
+        
+        this.updateSplitExportOptions();
+        
+        // 화면 전환
+        this.showSection('result');
+    }
+
+    /**
+     * 섹션 표시 전환
+     */
+    showSection(section) {
+        this.elements.uploadSection.style.display = section === 'upload' ? 'flex' : 'none';
+        this.elements.processingSection.style.display = section === 'processing' ? 'block' : 'none';
+        this.elements.resultSection.style.display = section === 'result' ? 'flex' : 'none';
+    }
+
+    /**
+     * 재생/일시정지 토글
+     */
+    togglePlay() {
+        if (this.elements.audioElement.paused) {
+            this.elements.audioElement.play();
+            this.elements.playBtn.textContent = '⏸️';
+        } else {
+            this.elements.audioElement.pause();
+            this.elements.playBtn.textContent = '▶️';
+        }
+    }
+
+    /**
+     * 오디오 진행률 업데이트
+     */
+    updateAudioProgress() {
+        const audio = this.elements.audioElement;
         const percent = (audio.currentTime / audio.duration) * 100;
         this.elements.audioProgress.style.width = `${percent}%`;
         this.elements.currentTime.textContent = this.formatTime(audio.currentTime);
     }
 
     /**
-     * 오디오 로드 완료
+     * 오디오 로드 완료
+     */
+    onAudioLoaded() {
+        this.elements.totalTime.textContent = this.formatTime(this.elements.audioElement.duration);
+    }
+
+    /**
+     * 오디오 재생 완료
+     */
+    onAudioEnded() {
+        this.elements.playBtn.textContent = '▶️';
+        this.elements.audioProgress.style.width = '0%';
+        this.elements.audioElement.currentTime = 0;
+    }
+
+    /**
+     * 오디오 시크
+     */
+    seekAudio(e) {
+        const container = this.elements.audioProgressContainer;
+        const rect = container.getBoundingClientRect();
+        const percent = (e.clientX - rect.left) / rect.width;
+        this.elements.audioElement.currentTime = percent * this.elements.audioElement.duration;
+    }
+
+    /**
+     * 볼륨 변경
+     */
+    changeVolume(e) {
+        const volume = e.target.value / 100;
+        this.elements.audioElement.volume = volume;
+        this.updateVolumeIcon(volume);
+    }
+
+    /**
+     * 음소거 토글
+     */
+    toggleMute() {
+        const audio = this.elements.audioElement;
+        audio.muted = !audio.muted;
+        
+        if (audio.muted) {
+            this.elements.volumeIcon.textContent = '🔇';
+        } else {
+            this.updateVolumeIcon(audio.volume);
+        }
+    }
+
+    /**
+     * 볼륨 아이콘 업데이트
+     */
+    updateVolumeIcon(volume) {
+        if (volume === 0) {
+            this.elements.volumeIcon.textContent = '🔇';
+        } else if (volume < 0.5) {
+            this.elements.volumeIcon.textContent = '🔉';
+        } else {
+            this.elements.volumeIcon.textContent = '🔊';
+        }
+    }
+
+    /**
+     * 결과 다운로드
+     */
+    downloadResult() {
+        const blob = this.audioProcessor.combinedBlob;
+        if (!blob) {
+            this.showToast('다운로드할 파일이 없습니다.', 'error');
+            return;
+        }
+        
+        this.downloadBlob(blob, this.resultFilename);
+        this.showToast('다운로드가 시작되었습니다.', 'success');
+    }
+
+    /**
+     * 챕터/큐 사이드카 파일 다운로드 (cue, txt, vtt, json)
+     */
+    downloadSidecar(type) {
+        const chapters = this.audioProcessor.combinedChapters;
+        if (!this.audioProcessor.combinedBlob || chapters.length === 0) {
+            this.showToast('다운로드할 파일이 없습니다.', 'error');
+            return;
+        }
+        
+        const { content, extension, mimeType } = ChapterExporter.create(type, {
+            audioFilename: this.resultFilename,
+            encoding: this.audioProcessor.combinedEncoding,
+            duration: this.audioProcessor.getCombinedDuration(),
+            chapters: chapters
+        });
+        
+        const baseName = this.resultFilename.replace(/\.[^/.]+$/, '');
+        this.downloadBlob(new Blob([content], { type: `${mimeType};charset=utf-8` }), `${baseName}.${extension}`);
+        this.showToast(`${extension.toUpperCase()} 파일 다운로드가 시작되었습니다.`, 'success');
+    }
+
+    /**
+     * 나누어 내보내기 기준에 따라 옵션 활성화 후 예상 파트 수 표시
+     * 재인코딩 없이 합친 결과는 디코딩한 버퍼가 없어 나눌 수 없음
+     */
+    updateSplitExportOptions() {
+        const canSplit = this.audioProcessor.combinedBuffer !== null;
+        const isSizeMode = this.elements.splitExportMode.value === 'size';
+        
+        this.elements.splitExportMode.disabled = !canSplit;
+        this.elements.splitExportMaxSize.disabled = !canSplit || !isSizeMode;
+        this.elements.splitExportMaxDuration.disabled = !canSplit || isSizeMode;
+        this.elements.splitExportBtn.disabled = !canSplit;
+        
+        if (!canSplit) {
+            this.elements.splitExportHint.textContent = '재인코딩 없이 합친 결과는 나누어 내보낼 수 없습니다.';
+            return;
+        }
+        
+        const partCount = this.audioProcessor.getCombinedSplitPoints(this.getSplitExportMaxDuration()).length + 1;
+        this.elements.splitExportHint.textContent = partCount > 1
+            ? `예상 ${partCount}개 파트 · 트랙 경계나 무음 구간에서 우선 나눕니다.`
+            : '기준을 넘지 않아 나눌 필요가 없습니다.';
+    }
+
+    /**
+     * 나누어 내보낼 파트의 최대 길이 (초, 크기 기준이면 비트레이트로 추정)
+     * 업로드 제한보다 커지지 않도록 MB는 1,000,000바이트로 계산
+     */
+    getSplitExportMaxDuration() {
+        if (this.elements.splitExportMode.value === 'duration') {
+            return parseFloat(this.elements.splitExportMaxDuration.value) * 60;
+        }
+        return this.audioProcessor.getMaxPartDuration(parseFloat(this.elements.splitExportMaxSize.value) * 1000 * 1000);
+    }
+
+    /**
+     * 병합 결과를 나누어 번호를 붙인 파일들로 다운로드
+     * 크기 기준에서 추정보다 커진 파트가 있으면 더 짧게 다시 나누고, 그래도 넘으면 다운로드하지 않음
+     */
+    async downloadSplitExport() {
+        let maxDuration = this.getSplitExportMaxDuration();
+        let points = this.audioProcessor.getCombinedSplitPoints(maxDuration);
+        if (points.length === 0) {
+            this.showToast('기준을 넘지 않아 나눌 필요가 없습니다. 다운로드 버튼을 사용하세요.');
+            return;
+        }
+        
+        const button = this.elements.splitExportBtn;
+        const label = button.textContent;
+        button.disabled = true;
+        
+        try {
+            const baseName = this.resultFilename.replace(/\.[^/.]+$/, '');
+            const isSizeMode = this.elements.splitExportMode.value === 'size';
+            const maxBytes = parseFloat(this.elements.splitExportMaxSize.value) * 1000 * 1000;
+            let parts;
+            
+            for (let attempt = 1; ; attempt++) {
+                parts = await this.audioProcessor.exportParts(points, baseName, (progress) => {
+                    button.textContent = `✂️ 나누는 중... ${Math.round(progress)}%`;
+                });
+                
+                // 추정보다 커진 파트가 있으면 (VBR은 구간마다 비트레이트가 달라질 수 있음) 그 비율만큼 짧게 다시 나눔
+                const largest = Math.max(...parts.map(part => part.size));
+                if (!isSizeMode || largest <= maxBytes) break;
+                if (attempt >= this.config.maxSplitExportAttempts) {
+                    throw new Error(`파트를 ${this.elements.splitExportMaxSize.value}MB 이하로 나누지 못해 다운로드하지 않았습니다. 최대 크기를 늘리거나 품질을 낮춰 주세요.`);
+                }
+                maxDuration *= (maxBytes / largest) * 0.95;
+                points = this.audioProcessor.getCombinedSplitPoints(maxDuration);
+            }
+            
+            await this.downloadZip(parts, `${baseName}_parts.zip`, button);
+            this.showToast(`${parts.length}개 파트를 ZIP으로 다운로드합니다.`, 'success');
+        } catch (error) {
+            console.error('Split export error:', error);
+            this.showToast('나누어 내보내는 중 오류가 발생했습니다: ' + error.message, 'error');
+        } finally {
+            button.textContent = label;
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Blob을 파일로 다운로드
+     */
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * 여러 파일을 ZIP 하나로 묶어 다운로드 (압축 진행률은 버튼에 표시)
+     * @param {Array<{newFilename: string, blob: Blob}>} items - 묶을 파일
+     * @param {string} filename - ZIP 파일명
+     * @param {HTMLButtonElement} button - 진행률을 표시할 버튼
+     * @returns {Promise<void>}
+     */
+    async downloadZip(items, filename, button) {
+        const zip = new ZipWriter();
+        const now = new Date();
+        const totalSize = items.reduce((sum, item) => sum + item.blob.size, 0);
+        let doneSize = 0;
+        
+        for (const item of items) {
+            await zip.addFile(item.newFilename, item.blob, now, (progress) => {
+                const percent = totalSize > 0 ? ((doneSize + progress * item.blob.size) / totalSize) * 100 : 100;
+                button.textContent = `📦 압축 중... ${Math.round(percent)}%`;
+            });
+            doneSize += item.blob.size;
+        }
+        
+        this.downloadBlob(zip.finish(), filename);
+    }
+
+    /**
+     * 새로 시작
+     */
+    startNew() {
+        // 오디오 정지
+        this.elements.audioElement.pause();
+        this.elements.audioElement.src = '';
+        this.elements.playBtn.textContent = '▶️';
+        
+        // 프로세서 정리
+        this.audioProcessor.cleanup();
+        
+        // 파일 및 메타데이터 초기화 (병합한 프로젝트는 최근 프로젝트에 남김)
+        this.startNewProject();
+        this.files = [];
+        this.clearHistory();
+        this.resetOutputTags();
+        this.updateFileListUI();
+        this.updateUI();
+        
+        // 진행률 초기화
+        this.elements.progressBar.style.width = '0%';
+        this.elements.progressText.textContent = '0% 완료';
+        
+        // 오디오 플레이어 초기화
+        this.elements.audioProgress.style.width = '0%';
+        this.elements.currentTime.textContent = '0:00';
+        this.elements.totalTime.textContent = '0:00';
+        
+        // 화면 전환
+        this.showSection('upload');
+    }
+
+    /**
+     * 출력 형식에 따라 형식별 옵션 활성화/비활성화
+     * 채널은 MP3/OGG 공용, 무손실 형식은 원본 채널 구성을 유지
+     * 32비트 실수는 WAV 전용, 디더는 16비트 무손실 출력에만 적용
+     */
+    updateFormatOptions() {
+        Object.values(this.encodeSelects).forEach(selects => {
+            const format = selects.format.value;
+            const isLossless = format === 'wav' || format === 'flac';
+            const floatOption = selects.bitDepth.querySelector('option[value="32"]');
+            floatOption.disabled = format === 'flac';
+            if (format === 'flac' && selects.bitDepth.value === '32') {
+                selects.bitDepth.value = '24';
+            }
+            
+            selects.quality.disabled = format !== 'mp3';
+            selects.oggCodec.disabled = format !== 'ogg';
+            selects.oggBitrate.disabled = format !== 'ogg';
+            selects.flacLevel.disabled = format !== 'flac';
+            selects.bitDepth.disabled = !isLossless;
+            selects.dither.disabled = !isLossless || selects.bitDepth.value !== '16';
+            selects.channelMode.disabled = format !== 'mp3' && format !== 'ogg';
+        });
+        
+        if (this.elements.combineMode.value === 'copy') {
+            this.elements.outputQuality.disabled = true;
+        }
+    }
+
+    /**
+     * 크로스페이드 사용 여부에 따라 간격/곡선 옵션 활성화 후 총 재생시간 갱신
+     */
+    updateTransitionOptions() {
+        const useCrossfade = parseFloat(this.elements.crossfadeDuration.value) > 0;
+        this.elements.gapDuration.disabled = useCrossfade;
+        this.elements.crossfadeCurve.disabled = !useCrossfade;
+        
+        this.updateFileListSummary();
+    }
+
+    /**
+     * 음량 정규화 사용 여부에 따라 목표 라우드니스/트루피크 상한 옵션 활성화
+     */
+    updateLoudnessOptions() {
+        const useNormalization = this.elements.loudnessMode.value !== 'off';
+        this.elements.loudnessTarget.disabled = !useNormalization;
+        this.elements.truePeakCeiling.disabled = !useNormalization;
+    }
+
+    /**
+     * 무음 자르기/긴 쉼 줄이기 사용 시 관련 옵션 활성화 후 파일 목록의 길이 갱신
+     * 무음 기준은 두 기능이 같이 사용함
+     */
+    updateSilenceTrimOptions() {
+        const useSilenceTrim = this.elements.silenceTrimMode.value !== 'off';
+        const usePauseCompression = this.getPauseOptions() !== null;
+        this.elements.silenceThreshold.disabled = !useSilenceTrim && !usePauseCompression;
+        this.elements.silenceMinDuration.disabled = !useSilenceTrim;
+        this.elements.pauseTargetDuration.disabled = !usePauseCompression;
+        
+        this.updateFileListUI();
+    }
+
+    /**
+     * 병합 옵션 읽기 (크로스페이드를 사용하면 간격은 적용되지 않음)
+     */
+    getCombineOptions() {
+        const crossfadeDuration = parseFloat(this.elements.crossfadeDuration.value);
+        
+        return {
+            gapDuration: crossfadeDuration > 0 ? 0 : parseFloat(this.elements.gapDuration.value),
+            crossfadeDuration: crossfadeDuration,
+            crossfadeCurve: this.elements.crossfadeCurve.value,
+            sampleRate: parseInt(this.elements.outputSampleRate.value),
+            normalization: {
+                mode: this.elements.loudnessMode.value,
+                targetLufs: parseFloat(this.elements.loudnessTarget.value),
+                truePeakCeiling: parseFloat(this.elements.truePeakCeiling.value)
+            },
+            tracks: this.files.map(f => this.getTrackSettings(f))
+        };
+    }
+
+    /**
+     * 품질/채널 선택값으로 MP3 인코딩 옵션 생성
+     * 품질 값이 'v'로 시작하면 VBR 품질(V0~V9), 숫자면 CBR 비트레이트
+     */
+    getMp3Options(qualitySelect, channelModeSelect) {
+        const quality = qualitySelect.value;
+        const channelMode = channelModeSelect.value;
+        
+        if (quality.startsWith('v')) {
+            return { mode: 'vbr', vbrQuality: parseInt(quality.slice(1)), channelMode };
+        }
+        return { mode: 'cbr', bitrate: parseInt(quality), channelMode };
+    }
+
+    /**
+     * 도구의 선택 상자로 출력 형식에 맞는 인코딩 옵션 생성
+     * @param {Object} selects - 선택 상자 묶음 (this.encodeSelects 참고)
+     */
+    getEncodeOptions(selects) {
+        switch (selects.format.value) {
+            case 'mp3':
+                return this.getMp3Options(selects.quality, selects.channelMode);
+            case 'ogg':
+                return this.getOggOptions(selects.oggCodec, selects.oggBitrate, selects.channelMode);
+            case 'flac':
+                return {
+                    compressionLevel: parseInt(selects.flacLevel.value),
+                    bitDepth: parseInt(selects.bitDepth.value),
+                    dither: selects.dither.value
+                };
+            case 'wav':
+                return {
+                    bitDepth: parseInt(selects.bitDepth.value),
+                    dither: selects.dither.value
+                };
+            default:
+                return {};
+        }
+    }
+
+    /**
+     * 코덱/비트레이트/채널 선택값으로 OGG 인코딩 옵션 생성
+     */
+    getOggOptions(codecSelect, bitrateSelect, channelModeSelect) {
+        return {
+            codec: codecSelect.value,
+            bitrate: parseInt(bitrateSelect.value),
+            channelMode: channelModeSelect.value
+        };
+    }
+
+    /**
+     * 인코딩 정보 포맷팅 (예: "MP3 VBR V2 · 평균 190kbps · 조인트 스테레오", "Ogg Opus 128kbps · 평균 121kbps · 스테레오")
+     */
+    formatEncoding(encoding) {
+        if (!encoding) return '-';
+        
+        if (encoding.format === 'mp3') {
+            const channelLabel = encoding.channelMode === 'mono' ? '모노' : '조인트 스테레오';
+            const chapterLabel = encoding.chapters ? ` · 챕터 ${encoding.chapters}개` : '';
+            if (encoding.mode === 'copy') {
+                const bitrateLabel = encoding.vbr ? `평균 ${encoding.bitrate}kbps` : `${encoding.bitrate}kbps`;
+                return `MP3 (재인코딩 없음) · ${bitrateLabel} · ${channelLabel}${chapterLabel}`;
+            }
+            if (encoding.mode === 'vbr') {
+                return `MP3 VBR V${encoding.vbrQuality} · 평균 ${encoding.bitrate}kbps · ${channelLabel}${chapterLabel}`;
+            }
+            return `MP3 CBR ${encoding.bitrate}kbps · ${channelLabel}${chapterLabel}`;
+        }
+        
+        if (encoding.format === 'ogg') {
+            const codecLabel = encoding.codec === 'vorbis' ? 'Vorbis' : 'Opus';
+            const channelLabel = encoding.channelMode === 'mono' ? '모노' : '스테레오';
+            const chapterLabel = encoding.chapters ? ` · 챕터 ${encoding.chapters}개` : '';
+            return `Ogg ${codecLabel} ${encoding.targetBitrate}kbps · 평균 ${encoding.bitrate}kbps · ${channelLabel}${chapterLabel}`;
+        }
+        
+        const ditherLabels = { tpdf: 'TPDF 디더', shaped: '노이즈 셰이핑 디더' };
+        const ditherLabel = ditherLabels[encoding.dither] ? ` · ${ditherLabels[encoding.dither]}` : '';
+        if (encoding.format === 'flac') {
+            const chapterLabel = encoding.chapters ? ` · 챕터 ${encoding.chapters}개` : '';
+            return `FLAC ${encoding.bitDepth}-bit · ${encoding.sampleRate / 1000}kHz · 레벨 ${encoding.compressionLevel} · 평균 ${encoding.bitrate}kbps${ditherLabel}${chapterLabel}`;
+        }
+        
+        const depthLabel = encoding.float ? '32-bit float' : `${encoding.bitDepth}-bit`;
+        return `${encoding.format.toUpperCase()} ${depthLabel} · ${encoding.sampleRate / 1000}kHz${ditherLabel}`;
+    }
+
+    /**
+     * 라우드니스 정규화 결과 포맷팅 (예: "-16.0 LUFS · 트루피크 -1.2 dBTP")
+     * 트루피크 상한 때문에 목표에 못 미치면 표시
+     */
+    formatLoudness(loudness) {
+        if (!loudness || !isFinite(loudness.integrated)) return '-';
+        
+        const text = `${loudness.integrated.toFixed(1)} LUFS · 트루피크 ${loudness.truePeak.toFixed(1)} dBTP`;
+        return loudness.limited ? `${text} (상한 제한)` : text;
+    }
+
+    /**
+     * 챕터 제목 (태그 제목, 없으면 파일명에서 확장자 제거)
+     */
+    getChapterTitle(fileData) {
+        return fileData.tags.title || fileData.file.name.replace(/\.[^/.]+$/, '');
+    }
+
+    // ==================== 메타데이터 (Metadata Editor) ====================
+
+    /**
+     * 빈 출력 태그
+     */
+    createEmptyOutputTags() {
+        return { title: '', artist: '', album: '', year: '', genre: '', picture: null };
+    }
+
+    /**
+     * 비어 있는 출력 태그를 입력 파일의 태그로 채우기 (앨범 정보는 첫 번째로 값이 있는 파일 기준)
+     * 제목은 병합 결과에 맞는 값이 따로 없으므로 채우지 않음
+     */
+    prefillOutputTags() {
+        ['artist', 'album', 'year', 'genre'].forEach(key => {
+            if (this.outputTags[key]) return;
+            const source = this.files.find(f => f.tags[key]);
+            if (source) {
+                this.outputTags[key] = source.tags[key];
+            }
+        });
+        
+        if (!this.outputTags.picture) {
+            const source = this.files.find(f => f.tags.picture);
+            if (source) {
+                this.setCover(source.tags.picture);
+            }
+        }
+        
+        this.updateMetadataEditor();
+    }
+
+    /**
+     * 출력 태그 초기화
+     */
+    resetOutputTags() {
+        this.outputTags = this.createEmptyOutputTags();
+        this.setCover(null);
+        this.updateMetadataEditor();
+    }
+
+    /**
+     * 메타데이터 편집기 입력값 갱신
+     */
+    updateMetadataEditor() {
+        this.elements.metaInputs.forEach(input => {
+            input.value = this.outputTags[input.dataset.tag];
+        });
+    }
+
+    /**
+     * 이미지 파일을 표지로 설정
+     */
+    async setCoverFromFile(file) {
+        if (!['image/jpeg', 'image/png'].includes(file.type)) {
+            this.showToast('표지는 JPEG 또는 PNG 이미지만 사용할 수 있습니다.', 'error');
+            return;
+        }
+        
+        const data = new Uint8Array(await file.arrayBuffer());
+        this.setCover({ mimeType: file.type, data: data });
+    }
+
+    /**
+     * 표지 설정 및 미리보기 갱신 (null이면 삭제)
+     */
+    setCover(picture) {
+        this.outputTags.picture = picture;
+        this.scheduleProjectSave();
+        
+        if (this.coverUrl) {
+            URL.revokeObjectURL(this.coverUrl);
+            this.coverUrl = null;
+        }
+        
+        const preview = this.elements.metaCoverPreview;
+        if (picture) {
+            this.coverUrl = URL.createObjectURL(new Blob([picture.data], { type: picture.mimeType }));
+            preview.style.backgroundImage = `url("${this.coverUrl}")`;
+            preview.classList.add('has-image');
+        } else {
+            preview.style.backgroundImage = '';
+            preview.classList.remove('has-image');
+        }
+    }
+
+    /**
+     * 게인 포맷팅 (예: "+3.0dB")
+     */
+    formatGain(gain) {
+        return `${gain > 0 ? '+' : ''}${gain.toFixed(1)}dB`;
+    }
+
+    /**
+     * 시간 포맷팅
+     */
+    formatTime(seconds) {
+        if (!seconds || isNaN(seconds)) return '0:00';
+        
+        const mins = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * 시간 포맷팅 (소수점 첫째 자리까지, 예: 1:05.3)
      */
-    onAudioLoaded() {
-        this.elements.totalTime.textContent = this.formatTime(this.elements.audioElement.duration);
+    formatTimePrecise(seconds) {
+        if (!seconds || isNaN(seconds)) return '0:00.0';
+        
+        const mins = Math.floor(seconds / 60);
+        const secs = (seconds % 60).toFixed(1);
+        return `${mins}:${secs.padStart(4, '0')}`;
     }
 
     /**
-     * 오디오 재생 완료
+     * 파일 크기 포맷팅
      */
-    onAudioEnded() {
-        this.elements.playBtn.textContent = '▶️';
-        this.elements.audioProgress.style.width = '0%';
-        this.elements.audioElement.currentTime = 0;
+    formatFileSize(bytes) {
+        if (bytes === 0) return '0 Bytes';
+        
+        const k = 1024;
+        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
     /**
-     * 오디오 시크
+     * 파일명용 시각 포맷팅 (예: 20240131_235959)
      */
-    seekAudio(e) {
-        const container = this.elements.audioProgressContainer;
-        const rect = container.getBoundingClientRect();
-        const percent = (e.clientX - rect.left) / rect.width;
-        this.elements.audioElement.currentTime = percent * this.elements.audioElement.duration;
+    formatTimestamp(date) {
+        return date.getFullYear().toString() +
+            (date.getMonth() + 1).toString().padStart(2, '0') +
+            date.getDate().toString().padStart(2, '0') + '_' +
+            date.getHours().toString().padStart(2, '0') +
+            date.getMinutes().toString().padStart(2, '0') +
+            date.getSeconds().toString().padStart(2, '0');
     }
 
     /**
-     * 볼륨 변경
+     * 토스트 메시지 표시
      */
-    changeVolume(e) {
-        const volume = e.target.value / 100;
-        this.elements.audioElement.volume = volume;
-        this.updateVolumeIcon(volume);
+    showToast(message, type = 'info') {
+        const toast = this.elements.toast;
+        const toastMessage = this.elements.toastMessage;
+        
+        toast.className = 'toast';
+        if (type === 'error') toast.classList.add('error');
+        if (type === 'success') toast.classList.add('success');
+        
+        toastMessage.textContent = message;
+        toast.classList.add('show');
+        
+        setTimeout(() => {
+            toast.classList.remove('show');
+        }, 3000);
     }
 
     /**
-     * 음소거 토글
+     * 리소스 정리
      */
-    toggleMute() {
-        const audio = this.elements.audioElement;
-        audio.muted = !audio.muted;
+    cleanup() {
+        this.flushProjectSave();
+        this.stopPreview();
+        this.audioProcessor.cleanup();
         
-        if (audio.muted) {
-            this.elements.volumeIcon.textContent = '🔇';
-        } else {
-            this.updateVolumeIcon(audio.volume);
+        // Converter/Splitter 결과 정리
+        [...this.convertedResults, ...this.splitResults].forEach(result => {
+            if (result.blob) {
+                URL.revokeObjectURL(URL.createObjectURL(result.blob));
+            }
+        });
+    }
+
+    // ==================== 실행 취소 (History) ====================
+
+    /**
+     * 파일 목록 상태 (순서와 파일별 설정, 전체 삭제를 되돌릴 때 이어 저장할 프로젝트와 출력 태그)
+     */
+    captureFileState() {
+        return {
+            files: this.files.map(f => ({
+                fileData: f,
+                trimStart: f.trimStart,
+                trimEnd: f.trimEnd,
+                gain: f.gain,
+                fadeIn: f.fadeIn,
+                fadeOut: f.fadeOut
+            })),
+            projectId: this.projectId,
+            projectCreatedAt: this.projectCreatedAt,
+            outputTags: { ...this.outputTags }
+        };
+    }
+
+    /**
+     * 두 파일 목록 상태가 같은지 (프로젝트 ID는 비교하지 않음)
+     */
+    isSameFileState(a, b) {
+        return a.files.length === b.files.length && a.files.every((entry, index) => {
+            const other = b.files[index];
+            return ['fileData', 'trimStart', 'trimEnd', 'gain', 'fadeIn', 'fadeOut'].every(key => entry[key] === other[key]);
+        });
+    }
+
+    /**
+     * 파일 목록 변경을 실행하고 실행 취소 기록에 남김
+     * @param {string} label - 토스트에 표시할 작업 이름
+     * @param {Function} change - 변경 함수
+     * @param {string|null} mergeKey - 같은 키의 연속 변경(핸들 드래그 등)은 한 번으로 기록
+     */
+    recordFileChange(label, change, mergeKey = null) {
+        if (this.recordingChange) {
+            change();
+            return;
+        }
+        
+        const before = this.captureFileState();
+        this.recordingChange = true;
+        try {
+            change();
+        } finally {
+            this.recordingChange = false;
         }
+        this.pushHistory(label, before, mergeKey);
     }
 
     /**
-     * 볼륨 아이콘 업데이트
+     * 변경 전 상태와 현재 상태를 실행 취소 기록에 추가 (바뀐 것이 없으면 무시)
+     * @param {string} label - 작업 이름
+     * @param {Object} before - 변경 전 상태 (captureFileState)
+     * @param {string|null} mergeKey - 연속 변경을 합칠 키
      */
-    updateVolumeIcon(volume) {
-        if (volume === 0) {
-            this.elements.volumeIcon.textContent = '🔇';
-        } else if (volume < 0.5) {
-            this.elements.volumeIcon.textContent = '🔉';
+    pushHistory(label, before, mergeKey = null) {
+        if (this.restoringProject) return;
+        
+        const after = this.captureFileState();
+        const now = Date.now();
+        const last = this.undoStack[this.undoStack.length - 1];
+        
+        if (mergeKey && last && last.mergeKey === mergeKey && now - last.time < this.config.historyMergeDelay) {
+            last.after = after;
+            last.time = now;
+        } else if (!this.isSameFileState(before, after)) {
+            this.undoStack.push({ label, before, after, mergeKey, time: now });
+            if (this.undoStack.length > this.config.maxHistory) {
+                this.undoStack.shift();
+            }
         } else {
-            this.elements.volumeIcon.textContent = '🔊';
+            return;
         }
+        
+        this.redoStack = [];
+        this.updateHistoryButtons();
     }
 
     /**
-     * 결과 다운로드
+     * 마지막 변경 실행 취소
      */
-    downloadResult() {
-        const blob = this.audioProcessor.combinedBlob;
-        if (!blob) {
-            this.showToast('다운로드할 파일이 없습니다.', 'error');
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) {
+            this.showToast('실행 취소할 작업이 없습니다.');
             return;
         }
         
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = this.resultFilename;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        this.redoStack.push(entry);
+        this.applyFileState(entry.before);
+        this.showToast(`실행 취소: ${entry.label}`);
+    }
+
+    /**
+     * 실행 취소한 변경 다시 실행
+     */
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) {
+            this.showToast('다시 실행할 작업이 없습니다.');
+            return;
+        }
         
-        this.showToast('다운로드가 시작되었습니다.', 'success');
+        this.undoStack.push(entry);
+        this.applyFileState(entry.after);
+        this.showToast(`다시 실행: ${entry.label}`);
     }
 
     /**
-     * 새로 시작
+     * 기록된 파일 목록 상태 적용 (목록이 비거나 다시 채워지면 기록된 출력 태그도 복원)
      */
-    startNew() {
-        // 오디오 정지
-        this.elements.audioElement.pause();
-        this.elements.audioElement.src = '';
-        this.elements.playBtn.textContent = '▶️';
+    applyFileState(state) {
+        const wasEmpty = this.files.length === 0;
         
-        // 프로세서 정리
-        this.audioProcessor.cleanup();
+        this.stopPreview();
+        this.flushProjectSave();
+        this.files = state.files.map(({ fileData, ...settings }) => Object.assign(fileData, settings));
+        this.projectId = state.projectId;
+        this.projectCreatedAt = state.projectCreatedAt;
+        
+        if (!this.files.some(f => f.id === this.openTrackEditorId)) {
+            this.openTrackEditorId = null;
+        }
+        // 목록이 비거나 다시 채워질 때(전체 삭제, 첫 파일 추가)는 그때의 출력 태그도 되돌림
+        if (wasEmpty !== (this.files.length === 0)) {
+            this.outputTags = { ...state.outputTags };
+            this.setCover(this.outputTags.picture);
+            this.updateMetadataEditor();
+        }
         
-        // 파일 초기화
-        this.files = [];
         this.updateFileListUI();
         this.updateUI();
+        this.updateHistoryButtons();
+        this.scheduleProjectSave();
+    }
+
+    /**
+     * 실행 취소 기록 비우기 (새로 시작하거나 다른 프로젝트를 열 때)
+     */
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * 실행 취소/다시 실행 버튼 상태 갱신 (기록이 있으면 파일이 없어도 표시)
+     */
+    updateHistoryButtons() {
+        const lastUndo = this.undoStack[this.undoStack.length - 1];
+        const lastRedo = this.redoStack[this.redoStack.length - 1];
+        
+        this.elements.historyActions.style.display = lastUndo || lastRedo ? 'flex' : 'none';
+        this.elements.undoBtn.disabled = !lastUndo;
+        this.elements.redoBtn.disabled = !lastRedo;
+        this.elements.undoBtn.title = lastUndo ? `실행 취소: ${lastUndo.label} (Ctrl+Z)` : '실행 취소 (Ctrl+Z)';
+        this.elements.redoBtn.title = lastRedo ? `다시 실행: ${lastRedo.label} (Ctrl+Shift+Z)` : '다시 실행 (Ctrl+Shift+Z)';
+    }
+
+    /**
+     * Ctrl+Z / Ctrl+Shift+Z 단축키 (Combiner 업로드 화면에서만, 입력 중에는 브라우저 기본 동작 유지)
+     */
+    handleHistoryShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+        if (this.currentTool !== 'combiner' || this.elements.uploadSection.style.display === 'none') return;
+        if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
         
-        // 진행률 초기화
-        this.elements.progressBar.style.width = '0%';
-        this.elements.progressText.textContent = '0% 완료';
+        e.preventDefault();
+        if (e.shiftKey) {
+            this.redo();
+        } else {
+            this.undo();
+        }
+    }
+
+    // ==================== 프로젝트 (Project) ====================
+
+    /**
+     * 현재 병합 작업을 프로젝트 데이터로 변환 (파일 순서, 파일별 설정, 옵션, 출력 태그)
+     * 파일 내용은 포함하지 않고 ID로 참조
+     */
+    getProjectData() {
+        return {
+            version: this.config.projectVersion,
+            files: this.files.map(f => ({
+                id: String(f.id),
+                name: f.file.name,
+                type: f.file.type,
+                size: f.file.size,
+                lastModified: f.file.lastModified,
+                trimStart: f.trimStart,
+                trimEnd: f.trimEnd,
+                gain: f.gain,
+                fadeIn: f.fadeIn,
+                fadeOut: f.fadeOut,
+                folder: f.folder
+            })),
+            options: Object.fromEntries(this.config.projectOptions.map(key => [key, this.elements[key].value])),
+            outputTags: { ...this.outputTags }
+        };
+    }
+
+    /**
+     * 프로젝트 이름 (출력 제목, 없으면 첫 번째 파일명)
+     */
+    getProjectName() {
+        if (this.outputTags.title) return this.outputTags.title;
         
-        // 오디오 플레이어 초기화
-        this.elements.audioProgress.style.width = '0%';
-        this.elements.currentTime.textContent = '0:00';
-        this.elements.totalTime.textContent = '0:00';
+        const firstName = this.files[0].file.name.replace(/\.[^/.]+$/, '');
+        return this.files.length > 1 ? `${firstName} 외 ${this.files.length - 1}개` : firstName;
+    }
+
+    /**
+     * 변경 후 잠시 뒤 자동 저장 (연속된 변경은 한 번만 저장)
+     */
+    scheduleProjectSave() {
+        if (!this.projectStore || this.restoringProject) return;
         
-        // 화면 전환
-        this.showSection('upload');
+        clearTimeout(this.projectSaveTimer);
+        this.projectSaveTimer = setTimeout(() => this.saveProject(), this.config.projectSaveDelay);
     }
 
     /**
-     * 시간 포맷팅
+     * 예약된 자동 저장을 바로 실행
      */
-    formatTime(seconds) {
-        if (!seconds || isNaN(seconds)) return '0:00';
+    flushProjectSave() {
+        if (!this.projectSaveTimer) return Promise.resolve();
+        return this.saveProject();
+    }
+
+    /**
+     * 현재 작업을 새 프로젝트로 시작 (이전 프로젝트는 저장 후 최근 프로젝트에 남김)
+     */
+    startNewProject() {
+        this.flushProjectSave();
+        this.projectId = null;
+        this.projectCreatedAt = null;
+    }
+
+    /**
+     * 새 프로젝트면 ID와 생성 시각 부여
+     */
+    ensureProjectId() {
+        if (!this.projectId) {
+            this.projectId = `project-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+            this.projectCreatedAt = Date.now();
+        }
+    }
+
+    /**
+     * 프로젝트를 IndexedDB에 저장 (파일이 없으면 저장하지 않음)
+     * 저장할 내용은 호출 시점에 읽으므로 호출 직후 파일 목록을 비워도 됨
+     */
+    async saveProject() {
+        clearTimeout(this.projectSaveTimer);
+        this.projectSaveTimer = null;
+        if (!this.projectStore || this.files.length === 0) return;
+        
+        this.ensureProjectId();
+        const project = {
+            id: this.projectId,
+            name: this.getProjectName(),
+            createdAt: this.projectCreatedAt,
+            updatedAt: Date.now(),
+            fileCount: this.files.length,
+            duration: this.calculateTotalDuration(),
+            data: this.getProjectData()
+        };
+        const files = this.files.map(f => ({ id: String(f.id), file: f.file }));
         
-        const mins = Math.floor(seconds / 60);
-        const secs = Math.floor(seconds % 60);
-        return `${mins}:${secs.toString().padStart(2, '0')}`;
+        try {
+            await this.projectStore.save(project, files);
+            await this.projectStore.prune(this.config.maxRecentProjects);
+            this.projectSaveFailed = false;
+        } catch (error) {
+            console.error('Project save error:', error);
+            if (!this.projectSaveFailed) {
+                this.showToast('프로젝트를 저장하지 못했습니다: ' + error.message, 'error');
+            }
+            this.projectSaveFailed = true;
+            return;
+        }
+        
+        await this.updateRecentProjects();
     }
 
     /**
-     * 파일 크기 포맷팅
+     * 최근 프로젝트 목록 표시
      */
-    formatFileSize(bytes) {
-        if (bytes === 0) return '0 Bytes';
+    async updateRecentProjects() {
+        if (!this.projectStore) return;
         
-        const k = 1024;
-        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        let projects;
+        try {
+            projects = await this.projectStore.list();
+        } catch (error) {
+            console.error('Project list error:', error);
+            return;
+        }
+        
+        const list = this.elements.recentProjectList;
+        list.innerHTML = '';
+        this.elements.recentProjects.style.display = 'block';
+        
+        if (projects.length === 0) {
+            list.innerHTML = '<p class="recent-project-empty">파일을 추가하면 작업이 자동으로 저장됩니다.</p>';
+            return;
+        }
+        
+        projects.forEach(project => {
+            list.appendChild(this.createRecentProjectElement(project));
+        });
+    }
+
+    /**
+     * 최근 프로젝트 항목 요소 생성
+     */
+    createRecentProjectElement(project) {
+        const item = document.createElement('div');
+        item.className = 'recent-project-item';
+        item.classList.toggle('current', project.id === this.projectId);
+        
+        item.innerHTML = `
+            <div class="recent-project-info">
+                <span class="recent-project-name"></span>
+                <span class="recent-project-meta">${project.fileCount}개 파일 · ${this.formatTime(project.duration)} · ${new Date(project.updatedAt).toLocaleString()}</span>
+            </div>
+            <button class="btn btn-secondary btn-small project-open-btn">열기</button>
+            <button class="btn btn-text project-delete-btn">삭제</button>
+        `;
+        item.querySelector('.recent-project-name').textContent = project.name;
+        
+        item.querySelector('.project-open-btn').addEventListener('click', () => this.openProject(project.id));
+        item.querySelector('.project-delete-btn').addEventListener('click', () => this.deleteProject(project.id));
+        
+        return item;
+    }
+
+    /**
+     * 최근 프로젝트 열기 (현재 작업은 먼저 저장)
+     */
+    async openProject(id) {
+        if (id === this.projectId) {
+            this.showToast('이미 열려 있는 프로젝트입니다.');
+            return;
+        }
+        
+        await this.flushProjectSave();
+        this.showToast('프로젝트를 여는 중...');
+        
+        try {
+            const saved = await this.projectStore.load(id);
+            if (!saved) {
+                this.showToast('프로젝트를 찾을 수 없습니다.', 'error');
+                this.updateRecentProjects();
+                return;
+            }
+            
+            const missing = await this.restoreProject(saved.project.data, saved.files);
+            this.projectId = saved.project.id;
+            this.projectCreatedAt = saved.project.createdAt;
+            this.updateRecentProjects();
+            
+            if (missing.length > 0) {
+                this.showToast(`${missing.length}개 파일을 불러오지 못했습니다: ${missing[0]}`, 'error');
+            } else {
+                this.showToast(`'${saved.project.name}' 프로젝트를 열었습니다.`, 'success');
+            }
+        } catch (error) {
+            console.error('Project open error:', error);
+            this.showToast('프로젝트를 열지 못했습니다: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * 최근 프로젝트 삭제 (열려 있는 프로젝트면 이후 변경은 새 프로젝트로 저장)
+     */
+    async deleteProject(id) {
+        try {
+            await this.projectStore.remove(id);
+            if (id === this.projectId) {
+                clearTimeout(this.projectSaveTimer);
+                this.projectSaveTimer = null;
+                this.projectId = null;
+                this.projectCreatedAt = null;
+            }
+            this.updateRecentProjects();
+        } catch (error) {
+            console.error('Project delete error:', error);
+            this.showToast('프로젝트를 삭제하지 못했습니다: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * 프로젝트 데이터로 병합 작업 복원 (파일은 다시 읽어 파형/태그 생성)
+     * @param {Object} data - 프로젝트 데이터 (getProjectData 참고)
+     * @param {Map<string, File>} files - 파일 ID → 원본 파일
+     * @returns {Promise<string[]>} 불러오지 못한 파일명
+     */
+    async restoreProject(data, files) {
+        if (!data || data.version !== this.config.projectVersion || !Array.isArray(data.files)) {
+            throw new Error('지원하지 않는 프로젝트 형식입니다.');
+        }
+        
+        this.restoringProject = true;
+        this.stopPreview();
+        this.openTrackEditorId = null;
+        const missing = [];
+        
+        try {
+            // 옵션 (선택 상자에 없는 값은 무시)
+            Object.entries(data.options || {}).forEach(([key, value]) => {
+                const select = this.config.projectOptions.includes(key) ? this.elements[key] : null;
+                if (select && Array.from(select.options).some(option => option.value === value)) {
+                    select.value = value;
+                }
+            });
+            
+            // 파일 (저장된 순서와 파일별 설정)
+            const restored = [];
+            for (const entry of data.files) {
+                const file = files.get(entry.id);
+                if (!file) {
+                    missing.push(entry.name);
+                    continue;
+                }
+                
+                try {
+                    const fileData = await this.createFileData(file, entry.folder || '');
+                    fileData.id = entry.id;
+                    fileData.trimStart = Math.max(0, Math.min(entry.trimStart || 0, fileData.duration));
+                    fileData.trimEnd = Math.max(fileData.trimStart, Math.min(entry.trimEnd ?? fileData.duration, fileData.duration));
+                    fileData.gain = entry.gain || 0;
+                    fileData.fadeIn = entry.fadeIn || 0;
+                    fileData.fadeOut = entry.fadeOut || 0;
+                    restored.push(fileData);
+                } catch (error) {
+                    console.error('Error reading file:', error);
+                    missing.push(entry.name);
+                }
+            }
+            this.files = restored;
+            this.clearHistory();
+            
+            // 출력 태그
+            this.outputTags = { ...this.createEmptyOutputTags(), ...data.outputTags };
+            this.setCover(this.outputTags.picture || null);
+            this.updateMetadataEditor();
+            
+            this.updateFormatOptions();
+            this.updateTransitionOptions();
+            this.updateLoudnessOptions();
+            this.updateSilenceTrimOptions();
+            this.updateUI();
+        } finally {
+            this.restoringProject = false;
+        }
         
-        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+        return missing;
     }
 
     /**
-     * 토스트 메시지 표시
+     * 프로젝트를 ZIP 번들로 내보내기 (project.json + 원본 오디오 + 표지)
      */
-    showToast(message, type = 'info') {
-        const toast = this.elements.toast;
-        const toastMessage = this.elements.toastMessage;
-        
-        toast.className = 'toast';
-        if (type === 'error') toast.classList.add('error');
-        if (type === 'success') toast.classList.add('success');
+    async exportProject() {
+        if (this.files.length === 0) {
+            this.showToast('내보낼 파일이 없습니다.', 'error');
+            return;
+        }
         
-        toastMessage.textContent = message;
-        toast.classList.add('show');
+        const button = this.elements.projectExportBtn;
+        const label = button.textContent;
+        button.disabled = true;
+        button.textContent = '📦 내보내는 중...';
         
-        setTimeout(() => {
-            toast.classList.remove('show');
-        }, 3000);
+        try {
+            const zip = new ZipWriter();
+            const now = new Date();
+            const data = this.getProjectData();
+            data.name = this.getProjectName();
+            
+            // 번호를 붙여 같은 이름의 파일도 구분
+            for (const [index, entry] of data.files.entries()) {
+                const filename = `audio/${String(index + 1).padStart(2, '0')}_${entry.name}`;
+                entry.path = await zip.addFile(filename, this.files[index].file, new Date(entry.lastModified));
+            }
+            
+            const picture = data.outputTags.picture;
+            if (picture) {
+                const extension = picture.mimeType === 'image/png' ? 'png' : 'jpg';
+                const cover = new Blob([picture.data], { type: picture.mimeType });
+                data.outputTags.picture = { mimeType: picture.mimeType, path: await zip.addFile(`cover.${extension}`, cover, now) };
+            }
+            
+            await zip.addFile('project.json', new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), now);
+            this.downloadBlob(zip.finish(), `project_${this.formatTimestamp(now)}.zip`);
+            this.showToast('프로젝트 내보내기가 시작되었습니다.', 'success');
+        } catch (error) {
+            console.error('Project export error:', error);
+            this.showToast('프로젝트를 내보내지 못했습니다: ' + error.message, 'error');
+        } finally {
+            button.textContent = label;
+            button.disabled = false;
+        }
     }
 
     /**
-     * 리소스 정리
+     * ZIP 번들에서 프로젝트 가져오기 (새 프로젝트로 저장)
      */
-    cleanup() {
-        if (this.previewAudio) {
-            this.previewAudio.pause();
-            URL.revokeObjectURL(this.previewAudio.src);
-        }
-        this.audioProcessor.cleanup();
+    async importProject(file) {
+        this.showToast('프로젝트를 가져오는 중...');
         
-        // Converter 결과 정리
-        this.convertedResults.forEach(result => {
-            if (result.blob) {
-                URL.revokeObjectURL(URL.createObjectURL(result.blob));
+        try {
+            const entries = await ZipReader.read(file);
+            const manifest = entries.get('project.json');
+            if (!manifest) {
+                throw new Error('project.json이 없습니다.');
             }
-        });
+            
+            const data = JSON.parse(await manifest.text());
+            const files = new Map();
+            (data.files || []).forEach(entry => {
+                const blob = entries.get(entry.path);
+                if (blob) {
+                    files.set(entry.id, new File([blob], entry.name, { type: entry.type, lastModified: entry.lastModified }));
+                }
+            });
+            
+            const picture = data.outputTags && data.outputTags.picture;
+            if (picture) {
+                const blob = entries.get(picture.path);
+                data.outputTags.picture = blob ? { mimeType: picture.mimeType, data: new Uint8Array(await blob.arrayBuffer()) } : null;
+            }
+            
+            await this.flushProjectSave();
+            const missing = await this.restoreProject(data, files);
+            this.projectId = null;
+            this.projectCreatedAt = null;
+            this.saveProject();
+            
+            if (missing.length > 0) {
+                this.showToast(`${missing.length}개 파일을 불러오지 못했습니다: ${missing[0]}`, 'error');
+            } else {
+                this.showToast(`'${data.name || file.name}' 프로젝트를 가져왔습니다.`, 'success');
+            }
+        } catch (error) {
+            console.error('Project import error:', error);
+            this.showToast('프로젝트를 가져오지 못했습니다: ' + error.message, 'error');
+        }
     }
 
     // ==================== CONVERTER 메서드 ====================
@@ -938,7 +3281,7 @@ class MP3CombinerApp {
         
         try {
             const format = this.elements.converterOutputFormat.value;
-            const quality = parseInt(this.elements.converterOutputQuality.value);
+            const encodeOptions = this.getEncodeOptions(this.encodeSelects.converter);
             const sampleRate = parseInt(this.elements.converterSampleRate.value);
             
             const files = this.converterFiles.map(f => f.file);
@@ -946,15 +3289,21 @@ class MP3CombinerApp {
             this.convertedResults = await this.audioProcessor.convertFiles(
                 files,
                 format,
-                quality,
+                encodeOptions,
                 sampleRate,
                 (progress) => {
                     this.updateConverterProgress(progress, '파일 변환 중...');
                 }
             );
             
+            // 실패한 파일 알림
+            const failedResults = this.convertedResults.filter(r => r.error);
+            if (failedResults.length > 0) {
+                this.showToast(`${failedResults.length}개 파일 변환 실패: ${failedResults[0].error}`, 'error');
+            }
+            
             // 결과 화면 표시
-            this.showConverterResult(format, quality);
+            this.showConverterResult();
             
         } catch (error) {
             console.error('Convert error:', error);
@@ -983,7 +3332,7 @@ class MP3CombinerApp {
     /**
      * Converter 결과 화면 표시
      */
-    showConverterResult(format, quality) {
+    showConverterResult() {
         // 변환된 파일 목록 표시
         this.elements.convertedFilesList.innerHTML = '';
         
@@ -998,7 +3347,7 @@ class MP3CombinerApp {
                     <span class="converted-file-icon">🎵</span>
                     <div class="converted-file-details">
                         <span class="converted-file-name">${result.newFilename}</span>
-                        <span class="converted-file-meta">${this.formatTime(result.duration)} · ${this.formatFileSize(result.size)}</span>
+                        <span class="converted-file-meta">${this.formatTime(result.duration)} · ${this.formatFileSize(result.size)} · ${this.formatEncoding(result.encoding)}</span>
                     </div>
                 </div>
                 <div class="converted-file-actions">
@@ -1015,7 +3364,10 @@ class MP3CombinerApp {
         
         // 결과 정보 표시
         this.elements.converterInfoFileCount.textContent = `${successResults.length}개`;
-        this.elements.converterInfoFormat.textContent = `${format.toUpperCase()} (${quality}kbps)`;
+        // 실제로 생성된 형식 표시 (파일마다 다르면 대표로 첫 번째 결과 기준)
+        this.elements.converterInfoFormat.textContent = successResults.length > 0
+            ? this.formatEncoding(successResults[0].encoding)
+            : '-';
         
         const totalSize = successResults.reduce((sum, r) => sum + r.size, 0);
         this.elements.converterInfoTotalSize.textContent = this.formatFileSize(totalSize);
@@ -1047,9 +3399,9 @@ class MP3CombinerApp {
     }
 
     /**
-     * 모든 변환 파일 다운로드
+     * 모든 변환 파일을 ZIP 하나로 묶어 다운로드 (선택 시 변환 보고서 포함)
      */
-    downloadAllConverted() {
+    async downloadAllConverted() {
         const successResults = this.convertedResults.filter(r => !r.error);
         
         if (successResults.length === 0) {
@@ -1057,12 +3409,68 @@ class MP3CombinerApp {
             return;
         }
         
-        // 개별 파일 순차 다운로드
-        successResults.forEach((result, index) => {
-            setTimeout(() => {
-                this.downloadConvertedFile(index);
-            }, index * 500); // 0.5초 간격으로 다운로드
+        const button = this.elements.downloadAllConvertedBtn;
+        const label = button.textContent;
+        button.disabled = true;
+        
+        try {
+            const zip = new ZipWriter();
+            const now = new Date();
+            const totalSize = successResults.reduce((sum, r) => sum + r.size, 0);
+            let doneSize = 0;
+            
+            for (const result of successResults) {
+                // 같은 이름(예: a.mp3와 a.wav를 MP3로 변환)은 번호를 붙여 구분
+                result.archiveName = await zip.addFile(result.newFilename, result.blob, now, (progress) => {
+                    const percent = totalSize > 0 ? ((doneSize + progress * result.size) / totalSize) * 100 : 100;
+                    button.textContent = `📦 압축 중... ${Math.round(percent)}%`;
+                });
+                doneSize += result.size;
+            }
+            
+            if (this.elements.converterZipReport.value === 'include') {
+                const report = new Blob([this.createConversionReport(now)], { type: 'text/plain;charset=utf-8' });
+                await zip.addFile('conversion_report.txt', report, now);
+            }
+            
+            this.downloadBlob(zip.finish(), `converted_${this.formatTimestamp(now)}.zip`);
+            this.showToast(`${successResults.length}개 파일을 ZIP으로 다운로드합니다.`, 'success');
+        } catch (error) {
+            console.error('ZIP error:', error);
+            this.showToast('ZIP 파일을 만드는 중 오류가 발생했습니다: ' + error.message, 'error');
+        } finally {
+            button.textContent = label;
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * 변환 보고서 텍스트 생성 (성공/실패 파일과 인코딩 정보)
+     * @param {Date} date - 작성 시각
+     * @returns {string}
+     */
+    createConversionReport(date) {
+        const successResults = this.convertedResults.filter(r => !r.error);
+        const failedResults = this.convertedResults.filter(r => r.error);
+        const totalSize = successResults.reduce((sum, r) => sum + r.size, 0);
+        
+        const lines = [
+            '변환 보고서',
+            `작성 시각: ${date.toLocaleString()}`,
+            `성공 ${successResults.length}개 · 실패 ${failedResults.length}개 · 총 ${this.formatFileSize(totalSize)}`,
+            ''
+        ];
+        
+        successResults.forEach(result => {
+            lines.push(`[성공] ${result.originalName} → ${result.archiveName || result.newFilename}`);
+            lines.push(`       ${this.formatTime(result.duration)} · ${this.formatFileSize(result.size)} · ${this.formatEncoding(result.encoding)}`);
+        });
+        failedResults.forEach(result => {
+            lines.push(`[실패] ${result.originalName}`);
+            lines.push(`       ${result.error}`);
         });
+        
+        return lines.join('\r\n') + '\r\n';
     }
 
     /**
@@ -1089,6 +3497,455 @@ class MP3CombinerApp {
         // 화면 전환
         this.showConverterSection('upload');
     }
+
+    // ==================== SPLITTER 메서드 ====================
+
+    /**
+     * Splitter 드래그 오버 처리
+     */
+    handleSplitterDragOver(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        this.elements.splitterDropZone.classList.add('drag-over');
+    }
+
+    /**
+     * Splitter 드래그 떠남 처리
+     */
+    handleSplitterDragLeave(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        this.elements.splitterDropZone.classList.remove('drag-over');
+    }
+
+    /**
+     * Splitter 드롭 처리
+     */
+    handleSplitterDrop(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        this.elements.splitterDropZone.classList.remove('drag-over');
+        
+        this.setSplitterFile(e.dataTransfer.files);
+    }
+
+    /**
+     * Splitter 파일 선택 처리
+     */
+    handleSplitterFileSelect(e) {
+        this.setSplitterFile(e.target.files);
+        e.target.value = '';
+    }
+
+    /**
+     * 나눌 파일 설정 (여러 개를 놓으면 첫 번째 파일만 사용)
+     */
+    async setSplitterFile(fileList) {
+        if (fileList.length === 0) return;
+        
+        const file = fileList[0];
+        if (fileList.length > 1) {
+            this.showToast(`한 번에 하나의 파일만 나눌 수 있어 '${file.name}'만 추가합니다.`);
+        }
+        
+        const ext = '.' + file.name.split('.').pop().toLowerCase();
+        const isValidFormat = this.config.supportedFormats.includes(ext) ||
+                              this.config.supportedMimeTypes.includes(file.type);
+        
+        if (!isValidFormat) {
+            this.showToast(`'${file.name}'은(는) 지원하지 않는 형식입니다.`, 'error');
+            return;
+        }
+        
+        if (file.size > this.config.maxFileSize) {
+            this.showToast(`'${file.name}'의 크기가 50MB를 초과합니다.`, 'error');
+            return;
+        }
+        
+        try {
+            const audioInfo = await this.audioProcessor.getAudioInfo(file);
+            this.splitterFile = {
+                id: Date.now() + Math.random(),
+                file: file,
+                duration: audioInfo.duration,
+                sampleRate: audioInfo.sampleRate,
+                channels: audioInfo.channels,
+                peaks: audioInfo.peaks,
+                levels: audioInfo.levels
+            };
+            this.splitMarkers = [];
+            this.splitPoints = [];
+        } catch (error) {
+            this.showToast(`'${file.name}'을(를) 읽을 수 없습니다.`, 'error');
+            console.error('Error reading file:', error);
+        }
+        
+        this.updateSplitterUI();
+    }
+
+    /**
+     * 나눌 파일 삭제
+     */
+    clearSplitterFile() {
+        if (!this.splitterFile) return;
+        
+        this.splitterFile = null;
+        this.splitMarkers = [];
+        this.updateSplitterUI();
+    }
+
+    /**
+     * Splitter UI 상태 업데이트 (파일 정보, 파형, 나눌 지점)
+     */
+    updateSplitterUI() {
+        const fileData = this.splitterFile;
+        const hasFile = fileData !== null;
+        
+        this.elements.splitterDropZone.style.display = hasFile ? 'none' : 'block';
+        this.elements.splitterFileSection.style.display = hasFile ? 'block' : 'none';
+        this.elements.splitterOptionsSection.style.display = hasFile ? 'block' : 'none';
+        this.elements.splitButtonSection.style.display = hasFile ? 'flex' : 'none';
+        
+        if (!hasFile) return;
+        
+        this.elements.splitterFileName.textContent = fileData.file.name;
+        this.elements.splitterFileName.title = fileData.file.name;
+        this.elements.splitterFileDuration.textContent = `총 재생시간: ${this.formatTime(fileData.duration)}`;
+        this.drawWaveform(this.elements.splitWaveformCanvas, fileData.peaks);
+        this.updateSplitOptions();
+    }
+
+    /**
+     * 나누는 방식에 따라 관련 옵션 활성화 후 나눌 지점 갱신
+     * 파형에서 선택으로 바꿀 때 선택한 지점이 없으면 직전 방식의 지점에서 시작
+     */
+    updateSplitOptions() {
+        const mode = this.elements.splitMode.value;
+        this.elements.splitTimestamps.disabled = mode !== 'manual';
+        this.elements.splitInterval.disabled = mode !== 'interval';
+        this.elements.splitSilenceThreshold.disabled = mode !== 'silence';
+        this.elements.splitSilenceMinDuration.disabled = mode !== 'silence';
+        this.elements.splitWaveform.classList.toggle('marking', mode === 'markers');
+        
+        if (mode === 'markers' && this.splitMarkers.length === 0) {
+            this.splitMarkers = this.splitPoints.slice();
+        }
+        
+        this.updateSplitPreview();
+    }
+
+    /**
+     * 현재 옵션으로 나눌 지점 계산
+     * 파일 끝에 너무 가깝거나 서로 너무 가까운 지점은 최소 파트 길이에 맞게 제외
+     * @returns {{points: number[], invalid: string[]}} 나눌 지점 (초, 오름차순), 인식하지 못한 입력
+     */
+    getSplitPoints() {
+        const { duration, levels } = this.splitterFile;
+        const invalid = [];
+        let points = [];
+        
+        switch (this.elements.splitMode.value) {
+            case 'manual':
+                this.elements.splitTimestamps.value.split(/[\n,]+/)
+                    .map(text => text.trim())
+                    .filter(text => text)
+                    .forEach(text => {
+                        const time = this.parseTimestamp(text);
+                        if (isNaN(time)) {
+                            invalid.push(text);
+                        } else {
+                            points.push(time);
+                        }
+                    });
+                break;
+            case 'markers':
+                points = this.splitMarkers.slice();
+                break;
+            case 'interval': {
+                const interval = parseFloat(this.elements.splitInterval.value) * 60;
+                for (let time = interval; time < duration; time += interval) {
+                    points.push(time);
+                }
+                break;
+            }
+            case 'silence':
+                points = AudioDSP.getSilenceSplitPoints(levels, {
+                    threshold: parseFloat(this.elements.splitSilenceThreshold.value),
+                    minDuration: parseFloat(this.elements.splitSilenceMinDuration.value)
+                }, duration);
+                break;
+        }
+        
+        const minLength = this.config.minSplitPartDuration;
+        const result = [];
+        points.sort((a, b) => a - b).forEach(time => {
+            const previous = result.length > 0 ? result[result.length - 1] : 0;
+            if (time - previous >= minLength && duration - time >= minLength) {
+                result.push(time);
+            }
+        });
+        
+        return { points: result, invalid };
+    }
+
+    /**
+     * 시간 문자열을 초로 변환 (초, 분:초, 시:분:초, 소수점 허용)
+     * @returns {number} 초 (형식이 맞지 않으면 NaN)
+     */
+    parseTimestamp(text) {
+        if (!/^\d+(:\d+){0,2}(\.\d+)?$/.test(text)) {
+            return NaN;
+        }
+        return text.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+    }
+
+    /**
+     * 나눌 지점 표시 갱신 (파형 마커, 파트 목록, 안내 문구)
+     */
+    updateSplitPreview() {
+        const fileData = this.splitterFile;
+        if (!fileData) return;
+        
+        const mode = this.elements.splitMode.value;
+        const { points, invalid } = this.getSplitPoints();
+        this.splitPoints = points;
+        
+        // 파형 마커
+        this.elements.splitMarkerLayer.innerHTML = '';
+        points.forEach(time => {
+            const marker = document.createElement('div');
+            marker.className = 'split-marker';
+            marker.style.left = `${(time / fileData.duration) * 100}%`;
+            this.elements.splitMarkerLayer.appendChild(marker);
+        });
+        
+        // 파트 목록
+        const times = [0, ...points, fileData.duration];
+        this.elements.splitPartList.innerHTML = '';
+        for (let i = 0; i < times.length - 1; i++) {
+            const part = document.createElement('span');
+            part.className = 'split-part';
+            part.textContent = `${i + 1}. ${this.formatTimePrecise(times[i])} – ${this.formatTimePrecise(times[i + 1])}`;
+            this.elements.splitPartList.appendChild(part);
+        }
+        this.elements.splitPartCount.textContent = `${times.length - 1}개 파트`;
+        
+        // 안내 문구
+        let hint;
+        if (invalid.length > 0) {
+            hint = `인식할 수 없는 시간: ${invalid.join(', ')}`;
+        } else if (mode === 'manual') {
+            hint = '입력한 시간마다 나눕니다. 파일 길이를 넘는 시간은 무시됩니다.';
+        } else if (mode === 'markers') {
+            hint = '파형을 클릭하면 나눌 지점이 추가되고, 지점을 다시 클릭하면 삭제됩니다.';
+        } else if (mode === 'interval') {
+            hint = `${this.elements.splitInterval.value}분마다 나눕니다.`;
+        } else if (points.length > 0) {
+            hint = `무음 구간 ${points.length}곳의 가운데에서 나눕니다.`;
+        } else {
+            hint = '조건에 맞는 무음 구간이 없습니다. 무음 기준이나 최소 길이를 바꿔 보세요.';
+        }
+        this.elements.splitHint.textContent = hint;
+        this.elements.splitHint.classList.toggle('error', invalid.length > 0);
+    }
+
+    /**
+     * 파형 클릭으로 나눌 지점 추가/삭제 ('파형에서 선택' 방식일 때만)
+     */
+    handleSplitWaveformClick(e) {
+        if (!this.splitterFile || this.elements.splitMode.value !== 'markers') return;
+        
+        const rect = this.elements.splitWaveform.getBoundingClientRect();
+        const ratio = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+        const time = ratio * this.splitterFile.duration;
+        
+        // 기존 지점 근처(6px 이내)를 누르면 삭제
+        const tolerance = (6 / rect.width) * this.splitterFile.duration;
+        const nearby = this.splitMarkers.findIndex(marker => Math.abs(marker - time) <= tolerance);
+        if (nearby !== -1) {
+            this.splitMarkers.splice(nearby, 1);
+        } else {
+            // 최소 파트 길이보다 가까운 지점은 미리보기에서 빠지므로 보이지 않는 지점이 남지 않게 추가하지 않음
+            const minLength = this.config.minSplitPartDuration;
+            const tooClose = time < minLength || this.splitterFile.duration - time < minLength ||
+                             this.splitMarkers.some(marker => Math.abs(marker - time) < minLength);
+            if (tooClose) {
+                this.showToast(`나눈 파트는 ${minLength}초 이상이어야 합니다. 다른 지점이나 파일 끝에서 조금 더 떨어진 곳을 선택하세요.`, 'error');
+                return;
+            }
+            this.splitMarkers.push(time);
+        }
+        
+        this.updateSplitPreview();
+    }
+
+    /**
+     * 파일 나누기 시작
+     */
+    async splitFile() {
+        if (!this.splitterFile) {
+            this.showToast('나눌 파일이 없습니다.', 'error');
+            return;
+        }
+        
+        const { points, invalid } = this.getSplitPoints();
+        if (invalid.length > 0) {
+            this.showToast(`인식할 수 없는 시간이 있습니다: ${invalid.join(', ')}`, 'error');
+            return;
+        }
+        if (points.length === 0) {
+            this.showToast('나눌 지점이 없습니다.', 'error');
+            return;
+        }
+        
+        // 화면 전환
+        this.showSplitterSection('processing');
+        this.updateSplitterProgress(0, '파일 나누기 준비 중...');
+        
+        try {
+            const format = this.elements.splitterOutputFormat.value;
+            const encodeOptions = this.getEncodeOptions(this.encodeSelects.splitter);
+            const sampleRate = parseInt(this.elements.splitterSampleRate.value);
+            
+            this.splitResults = await this.audioProcessor.splitFile(
+                this.splitterFile.file,
+                points,
+                format,
+                encodeOptions,
+                sampleRate,
+                (progress) => {
+                    this.updateSplitterProgress(progress, '파트 인코딩 중...');
+                }
+            );
+            
+            this.showSplitterResult();
+            
+        } catch (error) {
+            console.error('Split error:', error);
+            this.showToast('파일을 나누는 중 오류가 발생했습니다: ' + error.message, 'error');
+            this.showSplitterSection('upload');
+        }
+    }
+
+    /**
+     * Splitter 진행률 업데이트
+     */
+    updateSplitterProgress(percent, text) {
+        this.elements.splitterProgressBar.style.width = `${percent}%`;
+        this.elements.splitterProgressText.textContent = `${Math.round(percent)}% 완료 - ${text}`;
+    }
+
+    /**
+     * Splitter 섹션 표시 전환
+     */
+    showSplitterSection(section) {
+        this.elements.splitterUploadSection.style.display = section === 'upload' ? 'flex' : 'none';
+        this.elements.splitterProcessingSection.style.display = section === 'processing' ? 'block' : 'none';
+        this.elements.splitterResultSection.style.display = section === 'result' ? 'flex' : 'none';
+    }
+
+    /**
+     * Splitter 결과 화면 표시
+     */
+    showSplitterResult() {
+        this.elements.splitFilesList.innerHTML = '';
+        
+        this.splitResults.forEach((result, index) => {
+            const fileItem = document.createElement('div');
+            fileItem.className = 'converted-file-item';
+            
+            fileItem.innerHTML = `
+                <div class="converted-file-info">
+                    <span class="converted-file-icon">🎵</span>
+                    <div class="converted-file-details">
+                        <span class="converted-file-name">${result.newFilename}</span>
+                        <span class="converted-file-meta">${this.formatTimePrecise(result.startTime)} – ${this.formatTimePrecise(result.endTime)} · ${this.formatFileSize(result.size)}</span>
+                    </div>
+                </div>
+                <div class="converted-file-actions">
+                    <button class="btn btn-primary download-single-btn">📥 다운로드</button>
+                </div>
+            `;
+            
+            fileItem.querySelector('.download-single-btn').addEventListener('click', () => {
+                this.downloadSplitFile(index);
+            });
+            
+            this.elements.splitFilesList.appendChild(fileItem);
+        });
+        
+        // 결과 정보 표시
+        this.elements.splitterInfoPartCount.textContent = `${this.splitResults.length}개`;
+        this.elements.splitterInfoFormat.textContent = this.splitResults.length > 0
+            ? this.formatEncoding(this.splitResults[0].encoding)
+            : '-';
+        
+        const totalSize = this.splitResults.reduce((sum, r) => sum + r.size, 0);
+        this.elements.splitterInfoTotalSize.textContent = this.formatFileSize(totalSize);
+        
+        // 화면 전환
+        this.showSplitterSection('result');
+    }
+
+    /**
+     * 나눈 파일 개별 다운로드
+     */
+    downloadSplitFile(index) {
+        const result = this.splitResults[index];
+        if (!result || !result.blob) {
+            this.showToast('다운로드할 파일이 없습니다.', 'error');
+            return;
+        }
+        
+        this.downloadBlob(result.blob, result.newFilename);
+        this.showToast(`'${result.newFilename}' 다운로드가 시작되었습니다.`, 'success');
+    }
+
+    /**
+     * 나눈 파일 모두 ZIP 하나로 묶어 다운로드
+     */
+    async downloadAllSplit() {
+        if (this.splitResults.length === 0) {
+            this.showToast('다운로드할 파일이 없습니다.', 'error');
+            return;
+        }
+        
+        const button = this.elements.downloadAllSplitBtn;
+        const label = button.textContent;
+        button.disabled = true;
+        
+        try {
+            // 파트 파일명(이름_01.mp3)에서 번호와 확장자를 뺀 이름
+            const baseName = this.splitResults[0].newFilename.replace(/_\d+\.[^/.]+$/, '');
+            await this.downloadZip(this.splitResults, `${baseName}_parts.zip`, button);
+            this.showToast(`${this.splitResults.length}개 파트를 ZIP으로 다운로드합니다.`, 'success');
+        } catch (error) {
+            console.error('ZIP error:', error);
+            this.showToast('ZIP 파일을 만드는 중 오류가 발생했습니다: ' + error.message, 'error');
+        } finally {
+            button.textContent = label;
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Splitter 새로 시작
+     */
+    startNewSplit() {
+        this.splitResults = [];
+        
+        // 파일 초기화 (나누기 옵션과 입력한 시간은 유지)
+        this.splitterFile = null;
+        this.splitMarkers = [];
+        this.updateSplitterUI();
+        
+        // 진행률 초기화
+        this.elements.splitterProgressBar.style.width = '0%';
+        this.elements.splitterProgressText.textContent = '0% 완료';
+        
+        // 화면 전환
+        this.showSplitterSection('upload');
+    }
 }
 
 // 앱 초기화
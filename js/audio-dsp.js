@@ -0,0 +1,1746 @@
+/**
+ * MP3 Combiner - Audio DSP
+ * 병합, 인코딩 등 샘플 단위 연산 (메인 스레드와 Web Worker에서 공용으로 사용)
+ */
+
+/**
+ * AudioBuffer와 같은 인터페이스를 가진 PCM 버퍼
+ * AudioContext가 없는 Worker에서도 생성할 수 있고, 채널 데이터를 그대로 전송(transfer)할 수 있음
+ */
+class PcmBuffer {
+    /**
+     * @param {Float32Array[]} channelData - 채널별 샘플 데이터
+     * @param {number} sampleRate - 샘플레이트
+     */
+    constructor(channelData, sampleRate) {
+        this.channelData = channelData;
+        this.sampleRate = sampleRate;
+    }
+
+    get numberOfChannels() {
+        return this.channelData.length;
+    }
+
+    get length() {
+        return this.channelData.length > 0 ? this.channelData[0].length : 0;
+    }
+
+    get duration() {
+        return this.length / this.sampleRate;
+    }
+
+    /**
+     * 채널 데이터 가져오기
+     * @param {number} channel - 채널 번호
+     * @returns {Float32Array}
+     */
+    getChannelData(channel) {
+        return this.channelData[channel];
+    }
+
+    /**
+     * 빈(무음) 버퍼 생성
+     * @param {number} channels - 채널 수
+     * @param {number} length - 샘플 수
+     * @param {number} sampleRate - 샘플레이트
+     * @returns {PcmBuffer}
+     */
+    static create(channels, length, sampleRate) {
+        const channelData = [];
+        for (let channel = 0; channel < channels; channel++) {
+            channelData.push(new Float32Array(length));
+        }
+        return new PcmBuffer(channelData, sampleRate);
+    }
+
+    /**
+     * AudioBuffer의 채널 데이터를 복사하여 PcmBuffer 생성
+     * (AudioBuffer 내부 메모리는 전송할 수 없으므로 복사본을 만듦)
+     * @param {AudioBuffer} audioBuffer - 원본 오디오 버퍼
+     * @param {number} start - 복사 시작 샘플 (기본: 처음)
+     * @param {number} end - 복사 끝 샘플 (기본: 끝)
+     * @returns {PcmBuffer}
+     */
+    static fromAudioBuffer(audioBuffer, start = 0, end = audioBuffer.length) {
+        const channelData = [];
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            channelData.push(audioBuffer.getChannelData(channel).slice(start, end));
+        }
+        return new PcmBuffer(channelData, audioBuffer.sampleRate);
+    }
+
+    /**
+     * postMessage로 보낼 수 있는 형태로 변환
+     * @returns {{channelData: Float32Array[], sampleRate: number}}
+     */
+    toMessage() {
+        return { channelData: this.channelData, sampleRate: this.sampleRate };
+    }
+
+    /**
+     * postMessage로 받은 데이터에서 복원
+     * @param {{channelData: Float32Array[], sampleRate: number}} message
+     * @returns {PcmBuffer}
+     */
+    static fromMessage(message) {
+        return new PcmBuffer(message.channelData, message.sampleRate);
+    }
+
+    /**
+     * 전송(transfer) 목록 생성
+     * @returns {ArrayBuffer[]}
+     */
+    getTransferList() {
+        return this.channelData.map(data => data.buffer);
+    }
+}
+
+class AudioDSP {
+    /**
+     * 이벤트 루프에 제어권 양보 (진행률 표시 및 메시지 처리용)
+     * @returns {Promise<void>}
+     */
+    static yieldControl() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    /**
+     * 파형 표시용 피크 계산 (구간별 전 채널 절댓값 최대치)
+     * @param {AudioBuffer|PcmBuffer} buffer - 오디오 버퍼
+     * @param {number} bucketCount - 구간 수
+     * @returns {Float32Array}
+     */
+    static getPeaks(buffer, bucketCount = 400) {
+        const peaks = new Float32Array(bucketCount);
+        const bucketSize = buffer.length / bucketCount;
+
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const data = buffer.getChannelData(channel);
+            for (let bucket = 0; bucket < bucketCount; bucket++) {
+                const start = Math.floor(bucket * bucketSize);
+                const end = Math.min(data.length, Math.floor((bucket + 1) * bucketSize));
+                let peak = peaks[bucket];
+                for (let i = start; i < end; i++) {
+                    const value = Math.abs(data[i]);
+                    if (value > peak) peak = value;
+                }
+                peaks[bucket] = peak;
+            }
+        }
+
+        return peaks;
+    }
+
+    /**
+     * 무음 검출용 레벨 계산 (LEVEL_INTERVAL 간격 구간별 전 채널 RMS)
+     * @param {AudioBuffer|PcmBuffer} buffer - 오디오 버퍼
+     * @returns {Float32Array}
+     */
+    static getLevels(buffer) {
+        const windowSize = buffer.sampleRate * AudioDSP.LEVEL_INTERVAL;
+        const levels = new Float32Array(Math.ceil(buffer.length / windowSize));
+        const channels = [];
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            channels.push(buffer.getChannelData(channel));
+        }
+
+        for (let index = 0; index < levels.length; index++) {
+            const start = Math.floor(index * windowSize);
+            const end = Math.min(buffer.length, Math.floor((index + 1) * windowSize));
+            let sum = 0;
+            for (const data of channels) {
+                for (let i = start; i < end; i++) {
+                    sum += data[i] * data[i];
+                }
+            }
+            levels[index] = Math.sqrt(sum / Math.max(1, (end - start) * channels.length));
+        }
+
+        return levels;
+    }
+
+    /**
+     * 레벨이 기준보다 낮은 구간이 최소 길이 이상 이어지는 무음 구간 찾기
+     * @param {Float32Array} levels - getLevels 결과
+     * @param {Object} options - 검출 옵션
+     * @param {number} options.threshold - 무음 기준 (dBFS)
+     * @param {number} options.minDuration - 최소 길이 (초)
+     * @param {number} from - 검색 시작 (초)
+     * @param {number} to - 검색 끝 (초)
+     * @returns {Array<{start: number, end: number}>} 무음 구간 (초)
+     */
+    static findSilences(levels, options, from = 0, to = levels.length * AudioDSP.LEVEL_INTERVAL) {
+        const interval = AudioDSP.LEVEL_INTERVAL;
+        const threshold = Math.pow(10, options.threshold / 20);
+        const first = Math.max(0, Math.floor(from / interval));
+        const last = Math.min(levels.length, Math.ceil(to / interval));
+        const silences = [];
+        let runStart = -1;
+
+        for (let index = first; index <= last; index++) {
+            const isSilent = index < last && levels[index] < threshold;
+            if (isSilent && runStart === -1) {
+                runStart = index;
+            } else if (!isSilent && runStart !== -1) {
+                const start = Math.max(from, runStart * interval);
+                const end = Math.min(to, index * interval);
+                if (end - start >= options.minDuration) {
+                    silences.push({ start, end });
+                }
+                runStart = -1;
+            }
+        }
+
+        return silences;
+    }
+
+    /**
+     * 앞뒤 무음을 뺀 구간 계산 (전체가 무음이면 그대로 둠)
+     * @param {Float32Array} levels - getLevels 결과
+     * @param {Object} options - 검출 옵션 (findSilences 참고)
+     * @param {number} from - 구간 시작 (초)
+     * @param {number} to - 구간 끝 (초)
+     * @returns {{start: number, end: number}} 남길 구간 (초)
+     */
+    static getSilenceEdges(levels, options, from, to) {
+        const silences = AudioDSP.findSilences(levels, options, from, to);
+        const leading = silences.find(silence => silence.start <= from);
+        const trailing = silences.find(silence => silence.end >= to);
+
+        const start = leading ? leading.end : from;
+        const end = trailing ? trailing.start : to;
+        return start < end ? { start, end } : { start: from, end: to };
+    }
+
+    /**
+     * 내부 무음 구간의 가운데를 나눌 지점으로 사용 (앞뒤 무음은 제외)
+     * @param {Float32Array} levels - getLevels 결과
+     * @param {Object} options - 검출 옵션 (findSilences 참고)
+     * @param {number} duration - 전체 길이 (초)
+     * @returns {number[]} 나눌 지점 (초)
+     */
+    static getSilenceSplitPoints(levels, options, duration) {
+        return AudioDSP.findSilences(levels, options, 0, duration)
+            .filter(silence => silence.start > 0 && silence.end < duration)
+            .map(silence => (silence.start + silence.end) / 2);
+    }
+
+    /**
+     * 모든 파트가 최대 길이를 넘지 않도록 나눌 지점 계산
+     * 파트의 뒤쪽 절반 안에서 우선순위가 높은 지점 중 가장 늦은 곳을 고르고, 없으면 최대 길이에서 자름
+     * @param {number} duration - 전체 길이 (초)
+     * @param {number} maxDuration - 파트 최대 길이 (초)
+     * @param {number[][]} preferred - 우선순위별 지점 목록 (초, 예: [트랙 경계, 무음 구간])
+     * @returns {number[]} 나눌 지점 (초, 오름차순)
+     */
+    static getLimitedSplitPoints(duration, maxDuration, preferred = []) {
+        const points = [];
+        let start = 0;
+
+        while (duration - start > maxDuration) {
+            const limit = start + maxDuration;
+            let point = limit;
+
+            for (const candidates of preferred) {
+                const inWindow = candidates.filter(time => time >= start + maxDuration / 2 && time <= limit);
+                if (inWindow.length > 0) {
+                    point = Math.max(...inWindow);
+                    break;
+                }
+            }
+
+            points.push(point);
+            start = point;
+        }
+
+        return points;
+    }
+
+    /**
+     * 트랙 안의 긴 쉼 줄이기 (앞뒤 무음은 제외하고 내부 무음만 처리)
+     * 기준보다 긴 쉼은 앞뒤를 목표 길이의 절반씩 남기고 가운데를 잘라내며,
+     * 잘라낸 지점은 짧은 등전력 크로스페이드로 이어 잡음(클릭)이 생기지 않게 함
+     * @param {PcmBuffer} buffer - 오디오 버퍼
+     * @param {Object} options - 옵션
+     * @param {number} options.threshold - 무음 기준 (dBFS)
+     * @param {number} options.maxPause - 이보다 긴 쉼을 줄임 (초)
+     * @param {number} options.targetPause - 줄인 뒤 쉼 길이 (초)
+     * @returns {{buffer: PcmBuffer, removed: number, count: number}} 처리된 버퍼, 줄어든 길이(초), 줄인 쉼 수
+     */
+    static compressPauses(buffer, options) {
+        const { sampleRate, duration } = buffer;
+        const keepLength = Math.round(options.targetPause * sampleRate / 2);
+        const fadeLength = Math.max(1, Math.min(Math.round(AudioDSP.PAUSE_CROSSFADE * sampleRate), keepLength));
+
+        const cuts = AudioDSP.findSilences(AudioDSP.getLevels(buffer), { threshold: options.threshold, minDuration: options.maxPause }, 0, duration)
+            .filter(silence => silence.start > 0 && silence.end < duration)
+            .map(silence => ({
+                start: Math.round(silence.start * sampleRate) + keepLength,
+                end: Math.round(silence.end * sampleRate) - keepLength
+            }))
+            .filter(cut => cut.end > cut.start);
+
+        if (cuts.length === 0) {
+            return { buffer, removed: 0, count: 0 };
+        }
+
+        const removedLength = cuts.reduce((sum, cut) => sum + cut.end - cut.start, 0);
+        const output = PcmBuffer.create(buffer.numberOfChannels, buffer.length - removedLength, sampleRate);
+
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const input = buffer.getChannelData(channel);
+            const outputData = output.getChannelData(channel);
+            let readPosition = 0;
+            let writePosition = 0;
+
+            cuts.forEach(cut => {
+                const fadeStart = cut.start - fadeLength;
+                outputData.set(input.subarray(readPosition, fadeStart), writePosition);
+                writePosition += fadeStart - readPosition;
+
+                // 잘라낸 구간 앞부분은 줄어들고 뒷부분은 커지도록 겹침
+                for (let i = 0; i < fadeLength; i++) {
+                    const position = (i + 0.5) / fadeLength;
+                    outputData[writePosition + i] =
+                        input[fadeStart + i] * AudioDSP.getFadeGain('equal-power', position, false) +
+                        input[cut.end - fadeLength + i] * AudioDSP.getFadeGain('equal-power', position, true);
+                }
+                writePosition += fadeLength;
+                readPosition = cut.end;
+            });
+
+            outputData.set(input.subarray(readPosition), writePosition);
+        }
+
+        return { buffer: output, removed: removedLength / sampleRate, count: cuts.length };
+    }
+
+    /**
+     * 디코딩된 버퍼에서 인코더 지연/패딩을 뺀 실제 오디오 구간 계산
+     * 브라우저마다 디코더 지연을 처리하는 방식이 달라 길이로 판별: 이미 잘린 길이면 그대로 두고,
+     * 전체 프레임 길이보다 짧으면 앞에서 그만큼 잘린 것으로 보고 나머지만 잘라냄
+     * @param {number} length - 디코딩된 샘플 수
+     * @param {number} sampleRate - 디코딩된 샘플레이트
+     * @param {{sampleRate: number, start: number, length: number, rawLength: number}} info - 원본 샘플레이트 기준 갭리스 정보
+     * @returns {{start: number, end: number}|null} 잘라낼 필요가 없거나 판별할 수 없으면 null
+     */
+    static getGaplessRange(length, sampleRate, info) {
+        const ratio = sampleRate / info.sampleRate;
+        const tolerance = Math.ceil(ratio * 2);
+        const targetLength = Math.round(info.length * ratio);
+        if (Math.abs(length - targetLength) <= tolerance) {
+            return null;
+        }
+
+        // 디코더가 앞에서 이미 버린 샘플 수 (0이면 전체 프레임이 그대로 디코딩됨)
+        const dropped = Math.round(info.rawLength * ratio) - length;
+        const start = Math.round(info.start * ratio) - dropped;
+        if (dropped < -tolerance || start < 0 || start + targetLength > length + tolerance) {
+            return null;
+        }
+
+        return { start: Math.max(0, start), end: Math.min(length, start + targetLength) };
+    }
+
+    /**
+     * K-weighting 필터 계수 계산 (ITU-R BS.1770: 고역 셸빙 + RLB 하이패스)
+     * 48kHz 기준 계수를 임의 샘플레이트에 맞게 다시 설계함
+     * @param {number} sampleRate - 샘플레이트
+     * @returns {Array<{b: number[], a: number[]}>} 2단 바이쿼드 필터
+     */
+    static getKWeightingFilters(sampleRate) {
+        // 1단: 머리 효과를 반영한 고역 셸빙 (+4dB)
+        let f0 = 1681.974450955533;
+        let Q = 0.7071752369554196;
+        let K = Math.tan(Math.PI * f0 / sampleRate);
+        const Vh = Math.pow(10, 3.999843853973347 / 20);
+        const Vb = Math.pow(Vh, 0.4996667741545416);
+        let a0 = 1 + K / Q + K * K;
+        const shelving = {
+            b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+            a: [1, 2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+        };
+
+        // 2단: RLB 하이패스
+        f0 = 38.13547087602444;
+        Q = 0.5003270373238773;
+        K = Math.tan(Math.PI * f0 / sampleRate);
+        a0 = 1 + K / Q + K * K;
+        const highpass = {
+            b: [1, -2, 1],
+            a: [1, 2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+        };
+
+        return [shelving, highpass];
+    }
+
+    /**
+     * 통합 라우드니스 측정 (ITU-R BS.1770-4 / EBU R128)
+     * 400ms 블록(75% 겹침)에 절대 게이트(-70 LUFS)와 상대 게이트(-10 LU)를 적용
+     * @param {AudioBuffer|PcmBuffer} buffer - 오디오 버퍼
+     * @returns {number} 통합 라우드니스 (LUFS, 무음이면 -Infinity)
+     */
+    static measureLoudness(buffer) {
+        const sampleRate = buffer.sampleRate;
+        const stepLength = Math.round(sampleRate * 0.1);
+        const stepCount = Math.ceil(buffer.length / stepLength);
+        const [shelving, highpass] = AudioDSP.getKWeightingFilters(sampleRate);
+
+        // 100ms 단위로 채널 가중치가 적용된 제곱합 누적
+        const stepPower = new Float64Array(stepCount);
+
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            // 5.1 채널 배치(L, R, C, LFE, Ls, Rs)에서 LFE는 제외, 서라운드는 +1.5dB
+            const weight = buffer.numberOfChannels === 6
+                ? [1, 1, 1, 0, 1.41, 1.41][channel]
+                : 1;
+            if (weight === 0) continue;
+
+            const data = buffer.getChannelData(channel);
+            let x1 = 0, x2 = 0, y1 = 0, y2 = 0; // 셸빙 필터 상태
+            let z1 = 0, z2 = 0;                 // 하이패스 필터 상태 (입력은 y)
+
+            for (let i = 0; i < data.length; i++) {
+                const x = data[i];
+                const y = shelving.b[0] * x + shelving.b[1] * x1 + shelving.b[2] * x2
+                    - shelving.a[1] * y1 - shelving.a[2] * y2;
+                x2 = x1; x1 = x;
+
+                const z = y - 2 * y1 + y2 - highpass.a[1] * z1 - highpass.a[2] * z2;
+                y2 = y1; y1 = y;
+                z2 = z1; z1 = z;
+
+                stepPower[Math.floor(i / stepLength)] += weight * z * z;
+            }
+        }
+
+        // 400ms 블록 파워 계산 (1개 블록보다 짧으면 전체를 하나의 블록으로 취급)
+        const blockPowers = [];
+        if (stepCount < 4) {
+            blockPowers.push(stepPower.reduce((sum, power) => sum + power, 0) / Math.max(1, buffer.length));
+        } else {
+            for (let step = 0; step + 4 <= stepCount; step++) {
+                const blockLength = Math.min(buffer.length, (step + 4) * stepLength) - step * stepLength;
+                blockPowers.push((stepPower[step] + stepPower[step + 1] + stepPower[step + 2] + stepPower[step + 3]) / blockLength);
+            }
+        }
+
+        const toLoudness = (power) => -0.691 + 10 * Math.log10(power);
+        const gatedMean = (threshold) => {
+            const gated = blockPowers.filter(power => toLoudness(power) > threshold);
+            return gated.length > 0
+                ? gated.reduce((sum, power) => sum + power, 0) / gated.length
+                : 0;
+        };
+
+        // 절대 게이트 → 상대 게이트
+        const absoluteMean = gatedMean(-70);
+        if (absoluteMean === 0) return -Infinity;
+
+        const relativeMean = gatedMean(Math.max(-70, toLoudness(absoluteMean) - 10));
+        return relativeMean > 0 ? toLoudness(relativeMean) : -Infinity;
+    }
+
+    /**
+     * 트루피크 측정 (4배 오버샘플링, ITU-R BS.1770-4 Annex 2)
+     * 보간은 현재 최대치의 절반(-6dB)을 넘는 봉우리 구간에서만 수행하여 연산량을 줄임
+     * @param {AudioBuffer|PcmBuffer} buffer - 오디오 버퍼
+     * @returns {number} 트루피크 (dBTP, 무음이면 -Infinity)
+     */
+    static measureTruePeak(buffer) {
+        const taps = AudioDSP.getOversamplingTaps();
+        const half = taps.halfLength;
+        let peak = 0;
+
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const data = buffer.getChannelData(channel);
+            const last = data.length - 1;
+
+            for (let i = 0; i < data.length; i++) {
+                const current = Math.abs(data[i]);
+                if (current > peak) peak = current;
+
+                const next = i < last ? Math.abs(data[i + 1]) : 0;
+                if (Math.max(current, next) < peak * 0.5) continue;
+
+                // 샘플 사이 피크는 절댓값이 올라갔다 내려가는 구간에서만 생김
+                const previous = i > 0 ? Math.abs(data[i - 1]) : 0;
+                const afterNext = i + 1 < last ? Math.abs(data[i + 2]) : 0;
+                if (current < previous || next < afterNext) continue;
+
+                // i와 i+1 사이의 1/4, 2/4, 3/4 지점 보간 (버퍼 양 끝은 범위를 벗어난 탭 제외)
+                const first = i - half + 1;
+                const kStart = Math.max(0, -first);
+                const kEnd = Math.min(half * 2, data.length - first);
+                for (let phase = 0; phase < 3; phase++) {
+                    const coefficients = taps.phases[phase];
+                    let value = 0;
+                    for (let k = kStart; k < kEnd; k++) {
+                        value += data[first + k] * coefficients[k];
+                    }
+                    value = Math.abs(value);
+                    if (value > peak) peak = value;
+                }
+            }
+        }
+
+        return peak > 0 ? 20 * Math.log10(peak) : -Infinity;
+    }
+
+    /**
+     * 4배 오버샘플링 보간 필터 (위상별 12탭, 카이저 창 sinc)
+     * @returns {{halfLength: number, phases: Float32Array[]}}
+     */
+    static getOversamplingTaps() {
+        if (AudioDSP.oversamplingTaps) {
+            return AudioDSP.oversamplingTaps;
+        }
+
+        const halfLength = 6;
+        const beta = 6;
+
+        const phases = [];
+        for (let phase = 1; phase <= 3; phase++) {
+            const fraction = phase / 4;
+            const coefficients = new Float32Array(halfLength * 2);
+            for (let k = 0; k < coefficients.length; k++) {
+                // 보간 지점에서 샘플 (i - halfLength + 1 + k)까지의 거리
+                const t = (k - halfLength + 1) - fraction;
+                const sinc = t === 0 ? 1 : Math.sin(Math.PI * t) / (Math.PI * t);
+                const ratio = t / halfLength;
+                const window = Math.abs(ratio) < 1
+                    ? AudioDSP.besselI0(beta * Math.sqrt(1 - ratio * ratio)) / AudioDSP.besselI0(beta)
+                    : 0;
+                coefficients[k] = sinc * window;
+            }
+            phases.push(coefficients);
+        }
+
+        AudioDSP.oversamplingTaps = { halfLength, phases };
+        return AudioDSP.oversamplingTaps;
+    }
+
+    /**
+     * 라우드니스 정규화 게인 계산 (목표 라우드니스를 맞추되 트루피크 상한을 넘지 않도록 제한)
+     * @param {number} loudness - 측정된 라우드니스 (LUFS)
+     * @param {number} truePeak - 측정된 트루피크 (dBTP)
+     * @param {Object} options - 정규화 옵션 ({targetLufs, truePeakCeiling})
+     * @returns {{gainDb: number, limited: boolean}}
+     */
+    static getNormalizationGain(loudness, truePeak, options) {
+        if (!isFinite(loudness)) {
+            return { gainDb: 0, limited: false };
+        }
+
+        const gainDb = options.targetLufs - loudness;
+        const maxGainDb = options.truePeakCeiling - truePeak;
+        return gainDb > maxGainDb
+            ? { gainDb: maxGainDb, limited: true }
+            : { gainDb, limited: false };
+    }
+
+    /**
+     * 트랙 엔벨로프 게인 계산 (볼륨 + 선형 페이드 인/아웃)
+     * 미리듣기의 게인 노드 예약에도 같은 식을 사용함
+     * @param {{gain: number, fadeIn: number, fadeOut: number}} track - 트랙 설정 (dB, 초)
+     * @param {number} time - 구간 시작 기준 시간 (초)
+     * @param {number} length - 구간 길이 (초)
+     * @returns {number}
+     */
+    static getTrackEnvelopeGain(track, time, length) {
+        const level = Math.pow(10, (track.gain || 0) / 20);
+        const fadeIn = track.fadeIn > 0 ? time / track.fadeIn : 1;
+        const fadeOut = track.fadeOut > 0 ? (length - time) / track.fadeOut : 1;
+        return level * Math.max(0, Math.min(1, fadeIn, fadeOut));
+    }
+
+    /**
+     * 트랙에 볼륨과 페이드 인/아웃 적용
+     * @param {PcmBuffer} buffer - 오디오 버퍼 (직접 수정됨)
+     * @param {{gain: number, fadeIn: number, fadeOut: number}} track - 트랙 설정 (dB, 초)
+     */
+    static applyTrackEnvelope(buffer, track = {}) {
+        const { gain = 0, fadeIn = 0, fadeOut = 0 } = track;
+        AudioDSP.applyGain(buffer, gain);
+
+        const sampleRate = buffer.sampleRate;
+        const length = buffer.length;
+        const fadeInLength = Math.min(length, Math.round(fadeIn * sampleRate));
+        const fadeOutLength = Math.min(length, Math.round(fadeOut * sampleRate));
+        const envelope = { gain: 0, fadeIn, fadeOut };
+
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const data = buffer.getChannelData(channel);
+            for (let i = 0; i < fadeInLength; i++) {
+                data[i] *= AudioDSP.getTrackEnvelopeGain(envelope, i / sampleRate, length / sampleRate);
+            }
+            // 페이드 인과 겹치는 부분은 이미 위에서 처리됨
+            for (let i = Math.max(fadeInLength, length - fadeOutLength); i < length; i++) {
+                data[i] *= AudioDSP.getTrackEnvelopeGain(envelope, i / sampleRate, length / sampleRate);
+            }
+        }
+    }
+
+    /**
+     * 버퍼 전체에 게인 적용
+     * @param {PcmBuffer} buffer - 오디오 버퍼 (직접 수정됨)
+     * @param {number} gainDb - 게인 (dB)
+     */
+    static applyGain(buffer, gainDb) {
+        if (gainDb === 0) return;
+
+        const gain = Math.pow(10, gainDb / 20);
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const data = buffer.getChannelData(channel);
+            for (let i = 0; i < data.length; i++) {
+                data[i] *= gain;
+            }
+        }
+    }
+
+    /**
+     * 트랙 배치 계산 (간격 또는 크로스페이드 겹침 반영)
+     * 크로스페이드가 설정되면 간격은 무시되고, 겹침 길이는 인접한 두 트랙 중 짧은 쪽을 넘지 않음
+     * @param {number[]} lengths - 각 트랙 길이 (샘플 수 등 동일 단위)
+     * @param {Object} options - 배치 옵션
+     * @param {number} options.gapLength - 트랙 간 간격 길이
+     * @param {number} options.crossfadeLength - 크로스페이드 길이
+     * @returns {{items: Array<{offset: number, length: number, fadeIn: number, fadeOut: number}>, totalLength: number}}
+     */
+    static getLayout(lengths, options = {}) {
+        const { gapLength = 0, crossfadeLength = 0 } = options;
+
+        const items = lengths.map(length => ({ offset: 0, length, fadeIn: 0, fadeOut: 0 }));
+        let offset = 0;
+        let totalLength = 0;
+
+        for (let i = 0; i < items.length; i++) {
+            const item = items[i];
+            item.offset = offset;
+            totalLength = Math.max(totalLength, offset + item.length);
+
+            if (i === items.length - 1) break;
+
+            if (crossfadeLength > 0) {
+                // 앞 트랙의 페이드인 구간과 겹치지 않도록 남은 길이 내에서만 겹침
+                const overlap = Math.min(crossfadeLength, item.length - item.fadeIn, items[i + 1].length);
+                item.fadeOut = overlap;
+                items[i + 1].fadeIn = overlap;
+                offset += item.length - overlap;
+            } else {
+                offset += item.length + gapLength;
+            }
+        }
+
+        return { items, totalLength };
+    }
+
+    /**
+     * 배치 결과를 트랙별 구간(초)으로 변환 (챕터 등 원본 경계 표시용)
+     * 크로스페이드 구간은 가운데를 경계로 하고, 간격은 앞 트랙에 포함하여 빈틈 없이 이어지게 함
+     * @param {{items: Array, totalLength: number}} layout - getLayout 결과
+     * @param {number} sampleRate - 샘플레이트
+     * @returns {Array<{startTime: number, endTime: number}>}
+     */
+    static getSegments(layout, sampleRate) {
+        const starts = layout.items.map(item => item.offset + item.fadeIn / 2);
+        return starts.map((start, index) => ({
+            startTime: start / sampleRate,
+            endTime: (index + 1 < starts.length ? starts[index + 1] : layout.totalLength) / sampleRate
+        }));
+    }
+
+    /**
+     * 페이드 곡선의 게인 계산
+     * @param {string} curve - 'linear', 'equal-power', 'logarithmic'
+     * @param {number} position - 페이드 구간 내 위치 (0~1)
+     * @param {boolean} fadeIn - true면 페이드인(0→1), false면 페이드아웃(1→0)
+     * @returns {number}
+     */
+    static getFadeGain(curve, position, fadeIn) {
+        const x = fadeIn ? position : 1 - position;
+
+        switch (curve) {
+            case 'equal-power':
+                // 두 트랙의 에너지 합이 일정하게 유지됨
+                return Math.sin(x * Math.PI / 2);
+            case 'logarithmic':
+                // 초반에 빠르게 커지고 끝으로 갈수록 완만함
+                return Math.log10(1 + 9 * x);
+            case 'linear':
+            default:
+                return x;
+        }
+    }
+
+    /**
+     * 입력 데이터를 출력 버퍼의 지정 위치에 믹싱 (페이드 구간은 게인을 적용해 더함)
+     * @param {Float32Array} outputData - 출력 채널 데이터
+     * @param {Float32Array} inputData - 입력 채널 데이터
+     * @param {Object} item - getLayout 항목 ({offset, length, fadeIn, fadeOut})
+     * @param {string} curve - 페이드 곡선
+     */
+    static mixInto(outputData, inputData, item, curve) {
+        const { offset, length, fadeIn, fadeOut } = item;
+
+        // 페이드가 없는 본문 구간은 다른 트랙과 겹치지 않으므로 그대로 복사
+        outputData.set(inputData.subarray(fadeIn, length - fadeOut), offset + fadeIn);
+
+        for (let i = 0; i < fadeIn; i++) {
+            outputData[offset + i] += inputData[i] * AudioDSP.getFadeGain(curve, (i + 0.5) / fadeIn, true);
+        }
+
+        const fadeOutStart = length - fadeOut;
+        for (let i = 0; i < fadeOut; i++) {
+            outputData[offset + fadeOutStart + i] += inputData[fadeOutStart + i] * AudioDSP.getFadeGain(curve, (i + 0.5) / fadeOut, false);
+        }
+    }
+
+    /**
+     * 샘플레이트 변환 후 길이 (병합 배치와 실제 변환 결과가 항상 같도록 한 곳에서 계산)
+     * @param {number} length - 원본 샘플 수
+     * @param {number} sourceSampleRate - 원본 샘플레이트
+     * @param {number} targetSampleRate - 목표 샘플레이트
+     * @returns {number}
+     */
+    static getResampledLength(length, sourceSampleRate, targetSampleRate) {
+        return sourceSampleRate === targetSampleRate
+            ? length
+            : Math.round(length * targetSampleRate / sourceSampleRate);
+    }
+
+    /**
+     * 채널 데이터를 목표 샘플레이트로 변환 (카이저 창 sinc 보간, 대역 제한)
+     * 다운샘플링 시 목표 나이퀴스트의 95%에서 차단하여 에일리어싱을 막음
+     * @param {Float32Array} inputData - 입력 채널 데이터
+     * @param {number} sourceSampleRate - 원본 샘플레이트
+     * @param {number} targetSampleRate - 목표 샘플레이트
+     * @returns {Float32Array}
+     */
+    static resample(inputData, sourceSampleRate, targetSampleRate) {
+        if (sourceSampleRate === targetSampleRate) {
+            return inputData;
+        }
+
+        const step = sourceSampleRate / targetSampleRate;
+        const cutoff = Math.min(1, 1 / step) * 0.95;
+        const inputLength = inputData.length;
+        const outputData = new Float32Array(
+            AudioDSP.getResampledLength(inputLength, sourceSampleRate, targetSampleRate)
+        );
+        const polyphase = AudioDSP.getPolyphaseFilter(sourceSampleRate, targetSampleRate, cutoff);
+
+        if (polyphase) {
+            // 정수비 변환: 위상별 계수를 미리 계산해 곱셈-누적만 수행
+            const { upFactor, downFactor, phases } = polyphase;
+            for (let j = 0; j < outputData.length; j++) {
+                const numerator = j * downFactor;
+                const base = Math.floor(numerator / upFactor);
+                const { offset, coefficients } = phases[numerator - base * upFactor];
+                const first = base + offset;
+                const kStart = Math.max(0, -first);
+                const kEnd = Math.min(coefficients.length, inputLength - first);
+
+                let sum = 0;
+                for (let k = kStart; k < kEnd; k++) {
+                    sum += inputData[first + k] * coefficients[k];
+                }
+                outputData[j] = sum;
+            }
+            return outputData;
+        }
+
+        // 그 외의 비율: 출력 샘플마다 테이블에서 계수 계산
+        const halfWidth = AudioDSP.getSincTable().zeroCrossings / cutoff; // 입력 샘플 단위 필터 반폭
+        for (let j = 0; j < outputData.length; j++) {
+            const center = j * step;
+            const first = Math.max(0, Math.ceil(center - halfWidth));
+            const last = Math.min(inputLength - 1, Math.floor(center + halfWidth));
+
+            let sum = 0;
+            for (let i = first; i <= last; i++) {
+                sum += inputData[i] * AudioDSP.getSincValue((i - center) * cutoff);
+            }
+            outputData[j] = sum * cutoff;
+        }
+
+        return outputData;
+    }
+
+    /**
+     * 정수비 리샘플링용 다위상 필터 (위상 수가 4096을 넘으면 null)
+     * @param {number} sourceSampleRate - 원본 샘플레이트
+     * @param {number} targetSampleRate - 목표 샘플레이트
+     * @param {number} cutoff - 차단 주파수 (원본 나이퀴스트 대비 비율)
+     * @returns {{upFactor: number, downFactor: number, phases: Array<{offset: number, coefficients: Float32Array}>}|null}
+     */
+    static getPolyphaseFilter(sourceSampleRate, targetSampleRate, cutoff) {
+        const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+        const divisor = gcd(sourceSampleRate, targetSampleRate);
+        const upFactor = targetSampleRate / divisor;
+        const downFactor = sourceSampleRate / divisor;
+
+        if (!Number.isInteger(upFactor) || !Number.isInteger(downFactor) || upFactor > 4096) {
+            return null;
+        }
+
+        const halfWidth = AudioDSP.getSincTable().zeroCrossings / cutoff;
+        const phases = [];
+        for (let phase = 0; phase < upFactor; phase++) {
+            // 출력 위치는 base + phase / upFactor, 계수는 입력 샘플 base + offset + k에 대응
+            const fraction = phase / upFactor;
+            const offset = Math.ceil(fraction - halfWidth);
+            const coefficients = new Float32Array(Math.floor(fraction + halfWidth) - offset + 1);
+            for (let k = 0; k < coefficients.length; k++) {
+                coefficients[k] = AudioDSP.getSincValue((offset + k - fraction) * cutoff) * cutoff;
+            }
+            phases.push({ offset, coefficients });
+        }
+
+        return { upFactor, downFactor, phases };
+    }
+
+    /**
+     * 카이저 창 sinc 값 (테이블 선형 보간)
+     * @param {number} t - 영점 교차 단위 위치
+     * @returns {number}
+     */
+    static getSincValue(t) {
+        const { zeroCrossings, resolution, values } = AudioDSP.getSincTable();
+        const position = Math.abs(t) * resolution;
+        if (position >= zeroCrossings * resolution) return 0;
+
+        const index = Math.floor(position);
+        const fraction = position - index;
+        return values[index] + (values[index + 1] - values[index]) * fraction;
+    }
+
+    /**
+     * 리샘플링용 카이저 창 sinc 테이블 (영점 교차 16개, 교차 간격당 512개 값)
+     * @returns {{zeroCrossings: number, resolution: number, values: Float32Array}}
+     */
+    static getSincTable() {
+        if (AudioDSP.sincTable) {
+            return AudioDSP.sincTable;
+        }
+
+        const zeroCrossings = 16;
+        const resolution = 512;
+        const beta = 8.6;
+        const values = new Float32Array(zeroCrossings * resolution + 2);
+
+        for (let i = 0; i <= zeroCrossings * resolution; i++) {
+            const t = i / resolution;
+            const sinc = t === 0 ? 1 : Math.sin(Math.PI * t) / (Math.PI * t);
+            const ratio = t / zeroCrossings;
+            values[i] = sinc * AudioDSP.besselI0(beta * Math.sqrt(Math.max(0, 1 - ratio * ratio))) / AudioDSP.besselI0(beta);
+        }
+
+        AudioDSP.sincTable = { zeroCrossings, resolution, values };
+        return AudioDSP.sincTable;
+    }
+
+    /**
+     * 0차 제1종 수정 베셀 함수 (카이저 창 계산용)
+     * @param {number} x
+     * @returns {number}
+     */
+    static besselI0(x) {
+        let sum = 1;
+        let term = 1;
+        for (let k = 1; k < 25; k++) {
+            term *= (x / (2 * k)) * (x / (2 * k));
+            sum += term;
+        }
+        return sum;
+    }
+
+    /**
+     * 버퍼 전체를 목표 샘플레이트로 변환
+     * @param {AudioBuffer|PcmBuffer} buffer - 오디오 버퍼
+     * @param {number} targetSampleRate - 목표 샘플레이트
+     * @param {Function} onProgress - 진행률 콜백 (0~1)
+     * @returns {Promise<PcmBuffer>}
+     */
+    static async resampleBuffer(buffer, targetSampleRate, onProgress = () => {}) {
+        const channelData = [];
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            channelData.push(AudioDSP.resample(buffer.getChannelData(channel), buffer.sampleRate, targetSampleRate));
+            onProgress((channel + 1) / buffer.numberOfChannels);
+            await AudioDSP.yieldControl();
+        }
+        return new PcmBuffer(channelData, targetSampleRate);
+    }
+
+    /**
+     * 오디오 버퍼들 병합
+     * @param {Array<AudioBuffer|PcmBuffer>} buffers - 병합할 오디오 버퍼 배열
+     * @param {Object} options - 병합 옵션
+     * @param {number} options.gapDuration - 파일 간 간격 (초)
+     * @param {number} options.crossfadeDuration - 크로스페이드 길이 (초, 0이면 사용 안 함)
+     * @param {string} options.crossfadeCurve - 크로스페이드 곡선 ('linear', 'equal-power', 'logarithmic')
+     * @param {number} options.sampleRate - 출력 샘플레이트 (없으면 첫 번째 파일 기준)
+     * @param {Object} options.normalization - 라우드니스 정규화 ({mode: 'off'|'track'|'output', targetLufs, truePeakCeiling})
+     * @param {Array<{gain: number, fadeIn: number, fadeOut: number}>} options.tracks - 트랙별 볼륨(dB)과 페이드(초)
+     * @param {Function} onProgress - 진행률 콜백 (0~1)
+     * @returns {Promise<{buffer: PcmBuffer, loudness: Object|null, segments: Array<{startTime: number, endTime: number}>}>}
+     */
+    static async combine(buffers, options = {}, onProgress = () => {}) {
+        const { gapDuration = 0, crossfadeDuration = 0, crossfadeCurve = 'equal-power' } = options;
+        const normalization = options.normalization || { mode: 'off' };
+        const tracks = options.tracks || [];
+
+        if (buffers.length === 0) {
+            throw new Error('병합할 오디오가 없습니다.');
+        }
+
+        // 출력 샘플레이트(지정하지 않으면 첫 번째 파일 기준)와 채널 수 결정
+        const targetSampleRate = options.sampleRate || buffers[0].sampleRate;
+        const targetChannels = Math.max(...buffers.map(b => b.numberOfChannels));
+
+        // 출력 샘플레이트로 변환했을 때의 길이로 배치 계산
+        const lengths = buffers.map(buffer => AudioDSP.getResampledLength(buffer.length, buffer.sampleRate, targetSampleRate));
+        const layout = AudioDSP.getLayout(lengths, {
+            gapLength: Math.round(gapDuration * targetSampleRate),
+            crossfadeLength: Math.round(crossfadeDuration * targetSampleRate)
+        });
+
+        // 결합된 버퍼 생성
+        const combined = PcmBuffer.create(targetChannels, layout.totalLength, targetSampleRate);
+        const mixWeight = normalization.mode === 'off' ? 1 : 0.8;
+
+        // 각 채널별로 데이터 믹싱
+        for (let bufferIndex = 0; bufferIndex < buffers.length; bufferIndex++) {
+            const buffer = buffers[bufferIndex];
+
+            // 트랙별 정규화: 믹싱 전에 각 트랙을 목표 라우드니스로 맞춤
+            if (normalization.mode === 'track') {
+                const { gainDb } = AudioDSP.getNormalizationGain(
+                    AudioDSP.measureLoudness(buffer),
+                    AudioDSP.measureTruePeak(buffer),
+                    normalization
+                );
+                AudioDSP.applyGain(buffer, gainDb);
+            }
+
+            // 트랙별 볼륨/페이드는 정규화 후 사용자 조정으로 적용
+            AudioDSP.applyTrackEnvelope(buffer, tracks[bufferIndex]);
+
+            // 원본 채널별로 한 번만 변환
+            const resampled = [];
+            for (let channel = 0; channel < targetChannels; channel++) {
+                // 원본 채널이 적은 경우 첫 번째 채널 데이터 사용
+                const sourceChannel = channel < buffer.numberOfChannels ? channel : 0;
+                if (!resampled[sourceChannel]) {
+                    resampled[sourceChannel] = AudioDSP.resample(
+                        buffer.getChannelData(sourceChannel),
+                        buffer.sampleRate,
+                        targetSampleRate
+                    );
+                }
+                AudioDSP.mixInto(combined.getChannelData(channel), resampled[sourceChannel], layout.items[bufferIndex], crossfadeCurve);
+            }
+
+            onProgress((bufferIndex + 1) / buffers.length * mixWeight);
+            await AudioDSP.yieldControl();
+        }
+
+        const loudness = normalization.mode === 'off'
+            ? null
+            : AudioDSP.normalizeOutput(combined, normalization);
+        onProgress(1);
+
+        return { buffer: combined, loudness, segments: AudioDSP.getSegments(layout, targetSampleRate) };
+    }
+
+    /**
+     * 병합 결과의 라우드니스 정규화 및 트루피크 상한 적용
+     * 전체 모드는 결과 전체를 목표 라우드니스로, 트랙별 모드는 크로스페이드 등으로 상한을 넘은 경우만 낮춤
+     * @param {PcmBuffer} buffer - 병합된 버퍼 (직접 수정됨)
+     * @param {Object} normalization - 정규화 옵션 ({mode, targetLufs, truePeakCeiling})
+     * @returns {{mode: string, targetLufs: number, truePeakCeiling: number, integrated: number, truePeak: number, limited: boolean}}
+     */
+    static normalizeOutput(buffer, normalization) {
+        let integrated = AudioDSP.measureLoudness(buffer);
+        let truePeak = AudioDSP.measureTruePeak(buffer);
+        let gain;
+
+        if (normalization.mode === 'output') {
+            gain = AudioDSP.getNormalizationGain(integrated, truePeak, normalization);
+        } else {
+            const overshoot = truePeak - normalization.truePeakCeiling;
+            gain = { gainDb: overshoot > 0 ? -overshoot : 0, limited: overshoot > 0 };
+        }
+
+        if (isFinite(gain.gainDb) && gain.gainDb !== 0) {
+            AudioDSP.applyGain(buffer, gain.gainDb);
+            integrated += gain.gainDb;
+            truePeak += gain.gainDb;
+        }
+
+        return {
+            mode: normalization.mode,
+            targetLufs: normalization.targetLufs,
+            truePeakCeiling: normalization.truePeakCeiling,
+            integrated,
+            truePeak,
+            limited: gain.limited
+        };
+    }
+
+    /**
+     * 오디오 버퍼를 WAV 데이터로 변환 (16/24비트 정수 또는 32비트 실수)
+     * 24비트 이상이나 3채널 이상은 WAVE_FORMAT_EXTENSIBLE 헤더로 기록
+     * @param {AudioBuffer|PcmBuffer} buffer - 오디오 버퍼
+     * @param {Object} options - 인코딩 옵션
+     * @param {number} options.bitDepth - 비트 깊이 (16, 24, 32: 실수)
+     * @param {string} options.dither - 16비트 변환 시 디더 ('tpdf', 'shaped': TPDF + 노이즈 셰이핑, 'none')
+     * @param {Function} onProgress - 진행률 콜백 (0~1)
+     * @returns {Promise<ArrayBuffer>}
+     */
+    static async encodeWav(buffer, options = {}, onProgress = () => {}) {
+        const { bitDepth = 16, dither = 'tpdf' } = options;
+        const numOfChannels = buffer.numberOfChannels;
+        const bytesPerSample = bitDepth / 8;
+        const blockAlign = numOfChannels * bytesPerSample;
+        const length = buffer.length * blockAlign;
+
+        // data 청크가 홀수 길이면(24비트 모노, 프레임 수 홀수) 뒤에 붙는 청크가 짝수 위치에 오도록 패딩 1바이트 (0으로 채워짐)
+        const header = AudioDSP.createWavHeader(numOfChannels, buffer.sampleRate, bitDepth, buffer.length);
+        const arrayBuffer = new ArrayBuffer(header.length + length + (length % 2));
+        const bytes = new Uint8Array(arrayBuffer);
+        const view = new DataView(arrayBuffer);
+        bytes.set(header);
+
+        // 오디오 데이터 작성 (인터리브)
+        const channels = [];
+        const ditherStates = [];
+        for (let channel = 0; channel < numOfChannels; channel++) {
+            channels.push(buffer.getChannelData(channel));
+            ditherStates.push(bitDepth === 16 ? AudioDSP.createDitherState(dither) : null);
+        }
+
+        const blockSize = 65536;
+        let offset = header.length;
+        for (let start = 0; start < buffer.length; start += blockSize) {
+            const end = Math.min(start + blockSize, buffer.length);
+
+            if (bitDepth === 32) {
+                // 실수 형식은 클리핑 없이 그대로 기록
+                for (let i = start; i < end; i++) {
+                    for (let channel = 0; channel < numOfChannels; channel++) {
+                        view.setFloat32(offset, channels[channel][i], true);
+                        offset += 4;
+                    }
+                }
+            } else {
+                const samples = channels.map((data, channel) => AudioDSP.toIntegerSamples(data, start, end, bitDepth, ditherStates[channel]));
+                for (let i = 0; i < end - start; i++) {
+                    for (let channel = 0; channel < numOfChannels; channel++) {
+                        const sample = samples[channel][i];
+                        if (bitDepth === 16) {
+                            view.setInt16(offset, sample, true);
+                        } else {
+                            bytes[offset] = sample & 0xFF;
+                            bytes[offset + 1] = (sample >> 8) & 0xFF;
+                            bytes[offset + 2] = (sample >> 16) & 0xFF;
+                        }
+                        offset += bytesPerSample;
+                    }
+                }
+            }
+
+            onProgress(end / buffer.length);
+            await AudioDSP.yieldControl();
+        }
+
+        return arrayBuffer;
+    }
+
+    /**
+     * WAV 헤더 생성 (RIFF/WAVE, fmt, 실수 형식이면 fact, data 청크 머리)
+     * RIFF 크기에는 홀수 길이 data 청크 뒤의 패딩 바이트도 포함
+     * @param {number} channels - 채널 수
+     * @param {number} sampleRate - 샘플레이트
+     * @param {number} bitDepth - 비트 깊이 (16, 24, 32: 실수)
+     * @param {number} frameCount - 채널당 샘플 수
+     * @returns {Uint8Array}
+     */
+    static createWavHeader(channels, sampleRate, bitDepth, frameCount) {
+        const isFloat = bitDepth === 32;
+        const isExtensible = bitDepth > 16 || channels > 2;
+        const blockAlign = channels * bitDepth / 8;
+        const dataLength = frameCount * blockAlign;
+        const fmtLength = isExtensible ? 40 : 16;
+        const factLength = isFloat ? 12 : 0;
+        const headerLength = 12 + 8 + fmtLength + factLength + 8;
+
+        const header = new Uint8Array(headerLength);
+        const view = new DataView(header.buffer);
+        AudioDSP.writeString(view, 0, 'RIFF');
+        view.setUint32(4, headerLength - 8 + dataLength + (dataLength % 2), true); // 패딩 바이트 포함
+        AudioDSP.writeString(view, 8, 'WAVE');
+
+        AudioDSP.writeString(view, 12, 'fmt ');
+        view.setUint32(16, fmtLength, true);
+        view.setUint16(20, isExtensible ? AudioDSP.WAVE_FORMAT_EXTENSIBLE : AudioDSP.WAVE_FORMAT_PCM, true);
+        view.setUint16(22, channels, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, bitDepth, true);
+
+        let offset = 36;
+        if (isExtensible) {
+            view.setUint16(36, 22, true); // 확장 정보 크기
+            view.setUint16(38, bitDepth, true); // 유효 비트 수
+            view.setUint32(40, AudioDSP.WAV_CHANNEL_MASKS[channels] || 0, true);
+            // SubFormat GUID: 앞 2바이트는 형식 코드, 나머지는 KSDATAFORMAT_SUBTYPE 공통 값
+            view.setUint16(44, isFloat ? AudioDSP.WAVE_FORMAT_IEEE_FLOAT : AudioDSP.WAVE_FORMAT_PCM, true);
+            header.set([0x00, 0x00, 0x00, 0x00, 0x10, 0x00, 0x80, 0x00, 0x00, 0xAA, 0x00, 0x38, 0x9B, 0x71], 46);
+            offset = 60;
+        }
+
+        // PCM이 아닌 형식은 fact 청크에 샘플 수 기록
+        if (isFloat) {
+            AudioDSP.writeString(view, offset, 'fact');
+            view.setUint32(offset + 4, 4, true);
+            view.setUint32(offset + 8, frameCount, true);
+            offset += 12;
+        }
+
+        AudioDSP.writeString(view, offset, 'data');
+        view.setUint32(offset + 4, dataLength, true);
+        return header;
+    }
+
+    /**
+     * DataView에 문자열 쓰기
+     * @param {DataView} view
+     * @param {number} offset
+     * @param {string} string
+     */
+    static writeString(view, offset, string) {
+        for (let i = 0; i < string.length; i++) {
+            view.setUint8(offset + i, string.charCodeAt(i));
+        }
+    }
+
+    /**
+     * WAV 인코딩 정보 생성
+     * @param {AudioBuffer|PcmBuffer} buffer - 오디오 버퍼
+     * @param {Object} options - 인코딩 옵션 (encodeWav 참고)
+     * @returns {Object}
+     */
+    static getWavEncoding(buffer, options = {}) {
+        const { bitDepth = 16, dither = 'tpdf' } = options;
+        return {
+            format: 'wav',
+            bitDepth: bitDepth,
+            float: bitDepth === 32,
+            dither: bitDepth === 16 ? dither : 'none',
+            channels: buffer.numberOfChannels,
+            sampleRate: buffer.sampleRate
+        };
+    }
+
+    /**
+     * 채널별 디더 상태 생성 (노이즈 셰이핑은 이전 양자화 오차를 기억)
+     * @param {string} mode - 'tpdf', 'shaped', 'none'
+     * @returns {{shaped: boolean, errors: Float64Array}|null}
+     */
+    static createDitherState(mode) {
+        if (mode !== 'tpdf' && mode !== 'shaped') return null;
+        return { shaped: mode === 'shaped', errors: new Float64Array(AudioDSP.NOISE_SHAPING_COEFFICIENTS.length) };
+    }
+
+    /**
+     * 실수 샘플을 bitDepth비트 정수로 변환 (클리핑 후 반올림)
+     * 디더 상태가 있으면 TPDF 디더(±1 LSB)를 더하고, 노이즈 셰이핑이면 양자화 오차를 되먹여 잘 들리지 않는 고역으로 보냄
+     * @param {Float32Array} data - 채널 데이터
+     * @param {number} start - 시작 샘플
+     * @param {number} end - 끝 샘플 (포함하지 않음)
+     * @param {number} bitDepth - 비트 깊이
+     * @param {Object|null} dither - 디더 상태 (createDitherState, 채널마다 따로 사용)
+     * @returns {Int32Array}
+     */
+    static toIntegerSamples(data, start, end, bitDepth, dither = null) {
+        const negativeScale = Math.pow(2, bitDepth - 1);
+        const positiveScale = negativeScale - 1;
+        const samples = new Int32Array(end - start);
+
+        if (!dither) {
+            for (let i = start; i < end; i++) {
+                const sample = Math.max(-1, Math.min(1, data[i]));
+                samples[i - start] = Math.round(sample < 0 ? sample * negativeScale : sample * positiveScale);
+            }
+            return samples;
+        }
+
+        const coefficients = AudioDSP.NOISE_SHAPING_COEFFICIENTS;
+        const errors = dither.errors;
+        for (let i = start; i < end; i++) {
+            const sample = Math.max(-1, Math.min(1, data[i]));
+            let target = sample < 0 ? sample * negativeScale : sample * positiveScale;
+            if (dither.shaped) {
+                target -= coefficients[0] * errors[0] + coefficients[1] * errors[1] + coefficients[2] * errors[2];
+            }
+
+            const value = Math.round(target + Math.random() - Math.random());
+            const quantized = Math.max(-negativeScale, Math.min(positiveScale, value));
+            samples[i - start] = quantized;
+
+            if (dither.shaped) {
+                // 클리핑 근처에서 되먹임이 커지지 않도록 오차 제한
+                errors[2] = errors[1];
+                errors[1] = errors[0];
+                errors[0] = Math.max(-2, Math.min(2, quantized - target));
+            }
+        }
+        return samples;
+    }
+
+    /**
+     * 오디오 버퍼를 FLAC으로 인코딩 (원본 채널 구성 유지)
+     * @param {AudioBuffer|PcmBuffer} buffer - 오디오 버퍼
+     * @param {Object} options - 인코딩 옵션
+     * @param {number} options.compressionLevel - 압축 레벨 (0~8, 높을수록 작고 느림)
+     * @param {number} options.bitDepth - 비트 깊이 (16 또는 24)
+     * @param {string} options.dither - 16비트 변환 시 디더 (encodeWav 참고)
+     * @param {Function} onProgress - 진행률 콜백 (0~1)
+     * @returns {Promise<{data: Uint8Array[], encoding: Object}>}
+     */
+    static async encodeFlac(buffer, options = {}, onProgress = () => {}) {
+        const { compressionLevel = 5, bitDepth = 16, dither = 'tpdf' } = options;
+        const encoder = new FlacEncoder(buffer.numberOfChannels, buffer.sampleRate, bitDepth, compressionLevel);
+
+        const channels = [];
+        const ditherStates = [];
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            channels.push(buffer.getChannelData(channel));
+            ditherStates.push(bitDepth === 16 ? AudioDSP.createDitherState(dither) : null);
+        }
+
+        // 프레임은 1MB 정도씩 모아 전달 (작은 버퍼 수만 개를 전송하지 않도록)
+        const chunks = [];
+        let frames = [];
+        let pendingSize = 0;
+        const flushFrames = () => {
+            const chunk = new Uint8Array(pendingSize);
+            let offset = 0;
+            frames.forEach(frame => {
+                chunk.set(frame, offset);
+                offset += frame.length;
+            });
+            chunks.push(chunk);
+            frames = [];
+            pendingSize = 0;
+        };
+
+        const blockSize = encoder.blockSize;
+        for (let start = 0, block = 0; start < buffer.length; start += blockSize, block++) {
+            const end = Math.min(start + blockSize, buffer.length);
+            const frame = encoder.encodeBlock(channels.map((data, channel) => AudioDSP.toIntegerSamples(data, start, end, bitDepth, ditherStates[channel])));
+            frames.push(frame);
+            pendingSize += frame.length;
+            if (pendingSize >= 1024 * 1024) {
+                flushFrames();
+            }
+
+            // 진행률이 화면에 반영되도록 주기적으로 제어권 양보
+            if (block % 64 === 63) {
+                onProgress(end / buffer.length);
+                await AudioDSP.yieldControl();
+            }
+        }
+        if (frames.length > 0) {
+            flushFrames();
+        }
+        onProgress(1);
+
+        // STREAMINFO(전체 샘플 수, MD5)는 모든 프레임을 인코딩한 뒤 완성됨
+        const data = [encoder.getHeader(), ...chunks];
+        const size = data.reduce((sum, chunk) => sum + chunk.length, 0);
+        return {
+            data,
+            encoding: {
+                format: 'flac',
+                bitDepth,
+                dither: bitDepth === 16 ? dither : 'none',
+                compressionLevel,
+                channels: buffer.numberOfChannels,
+                sampleRate: buffer.sampleRate,
+                bitrate: buffer.duration > 0 ? Math.round(size * 8 / buffer.duration / 1000) : 0
+            }
+        };
+    }
+
+    /**
+     * MP3 인코더 가져오기 (번들된 LAME WASM, 최초 1회만 컴파일)
+     * @returns {Promise<Object>}
+     */
+    static async getMp3Encoder() {
+        if (typeof WasmMediaEncoder === 'undefined') {
+            throw new Error('MP3 인코더를 불러오지 못했습니다.');
+        }
+
+        if (!AudioDSP.mp3EncoderPromise) {
+            AudioDSP.mp3EncoderPromise = WasmMediaEncoder.createMp3Encoder();
+        }
+
+        try {
+            return await AudioDSP.mp3EncoderPromise;
+        } catch (error) {
+            AudioDSP.mp3EncoderPromise = null;
+            throw new Error('MP3 인코더 초기화에 실패했습니다.');
+        }
+    }
+
+    /**
+     * 인코더에 넣을 채널 데이터 (모노 선택 또는 모노 원본이면 1채널, 그 외에는 앞의 2채널 사용)
+     * @param {AudioBuffer|PcmBuffer} buffer - 오디오 버퍼
+     * @param {string} channelMode - 'joint' (스테레오) 또는 'mono'
+     * @returns {Float32Array[]}
+     */
+    static getEncoderChannels(buffer, channelMode) {
+        const channels = channelMode === 'mono' || buffer.numberOfChannels === 1 ? 1 : 2;
+        if (channels === 1 && buffer.numberOfChannels > 1) {
+            // 모든 채널을 평균하여 다운믹스
+            const mono = new Float32Array(buffer.length);
+            for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+                const data = buffer.getChannelData(channel);
+                for (let i = 0; i < mono.length; i++) {
+                    mono[i] += data[i] / buffer.numberOfChannels;
+                }
+            }
+            return [mono];
+        }
+
+        const channelData = [];
+        for (let channel = 0; channel < channels; channel++) {
+            channelData.push(buffer.getChannelData(channel));
+        }
+        return channelData;
+    }
+
+    /**
+     * 오디오 버퍼를 MP3로 인코딩
+     * @param {AudioBuffer|PcmBuffer} buffer - 오디오 버퍼
+     * @param {Object} options - 인코딩 옵션
+     * @param {string} options.mode - 'cbr' 또는 'vbr'
+     * @param {number} options.bitrate - CBR 비트레이트 (kbps)
+     * @param {number} options.vbrQuality - VBR 품질 (0: 최고 ~ 9: 최저)
+     * @param {string} options.channelMode - 'joint' (조인트 스테레오) 또는 'mono'
+     * @param {Function} onProgress - 진행률 콜백 (0~1)
+     * @returns {Promise<{data: Uint8Array[], encoding: Object}>}
+     */
+    static async encodeMp3(buffer, options = {}, onProgress = () => {}) {
+        const {
+            mode = 'cbr',
+            bitrate = 192,
+            vbrQuality = 2,
+            channelMode = 'joint'
+        } = options;
+
+        const encoder = await AudioDSP.getMp3Encoder();
+        const channelData = AudioDSP.getEncoderChannels(buffer, channelMode);
+        const channels = channelData.length;
+
+        try {
+            encoder.configure(Object.assign(
+                { channels, sampleRate: buffer.sampleRate },
+                mode === 'vbr' ? { vbrQuality } : { bitrate }
+            ));
+        } catch (error) {
+            throw new Error(`지원하지 않는 MP3 인코딩 설정입니다: ${error.message}`);
+        }
+
+        // 인코더가 반환하는 버퍼는 재사용되므로 반드시 복사
+        const mp3Data = [];
+        const blockSize = 1152 * 64;
+        for (let i = 0; i < buffer.length; i += blockSize) {
+            const chunk = channelData.map(data => data.subarray(i, i + blockSize));
+            const encoded = encoder.encode(chunk);
+            if (encoded.length > 0) {
+                mp3Data.push(encoded.slice());
+            }
+
+            onProgress(Math.min(1, (i + blockSize) / buffer.length));
+            // 진행률이 화면에 반영되도록 주기적으로 제어권 양보
+            if ((i / blockSize) % 16 === 15) {
+                await AudioDSP.yieldControl();
+            }
+        }
+
+        const encodedEnd = encoder.finalize();
+        if (encodedEnd.length > 0) {
+            mp3Data.push(encodedEnd.slice());
+        }
+
+        const size = mp3Data.reduce((sum, data) => sum + data.length, 0);
+        if (size === 0) {
+            throw new Error('MP3 인코딩 결과가 비어 있습니다.');
+        }
+
+        // VBR은 실제 평균 비트레이트를 계산
+        const averageBitrate = buffer.duration > 0
+            ? Math.round(size * 8 / buffer.duration / 1000)
+            : 0;
+        // CBR은 인코더가 샘플레이트에 맞게 바꾼 실제 비트레이트 (22.05kHz에서 320kbps는 MPEG-2 최대인 160kbps로 기록됨)
+        const frameBitrate = AudioDSP.readMp3Bitrate(mp3Data[0]) || bitrate;
+
+        return {
+            data: mp3Data,
+            encoding: {
+                format: 'mp3',
+                mode,
+                bitrate: mode === 'vbr' ? averageBitrate : frameBitrate,
+                vbrQuality: mode === 'vbr' ? vbrQuality : null,
+                channelMode: channels === 1 ? 'mono' : 'joint',
+                sampleRate: buffer.sampleRate
+            }
+        };
+    }
+
+    /**
+     * MP3 데이터의 첫 Layer III 프레임 헤더에서 비트레이트 읽기
+     * @param {Uint8Array} data - MP3 데이터
+     * @returns {number|null} kbps (프레임을 찾지 못하면 null)
+     */
+    static readMp3Bitrate(data) {
+        for (let i = 0; i + 4 <= data.length; i++) {
+            const version = (data[i + 1] >> 3) & 0x3; // 3: MPEG-1, 2: MPEG-2, 0: MPEG-2.5
+            const layer = (data[i + 1] >> 1) & 0x3;   // 1: Layer III
+            const bitrateIndex = data[i + 2] >> 4;
+            if (data[i] !== 0xFF || (data[i + 1] & 0xE0) !== 0xE0 || version === 1 || layer !== 1 ||
+                bitrateIndex === 0 || bitrateIndex === 15) {
+                continue;
+            }
+            return (version === 3 ? AudioDSP.MP3_BITRATES_V1 : AudioDSP.MP3_BITRATES_V2)[bitrateIndex];
+        }
+        return null;
+    }
+
+    /**
+     * Ogg Vorbis 인코더 가져오기 (번들된 libvorbis WASM, 최초 1회만 컴파일)
+     * @returns {Promise<Object>}
+     */
+    static async getVorbisEncoder() {
+        if (typeof WasmMediaEncoder === 'undefined') {
+            throw new Error('Vorbis 인코더를 불러오지 못했습니다.');
+        }
+
+        if (!AudioDSP.vorbisEncoderPromise) {
+            AudioDSP.vorbisEncoderPromise = WasmMediaEncoder.createOggEncoder();
+        }
+
+        try {
+            return await AudioDSP.vorbisEncoderPromise;
+        } catch (error) {
+            AudioDSP.vorbisEncoderPromise = null;
+            throw new Error('Vorbis 인코더 초기화에 실패했습니다.');
+        }
+    }
+
+    /**
+     * 오디오 버퍼를 Ogg(Opus 또는 Vorbis)로 인코딩
+     * @param {AudioBuffer|PcmBuffer} buffer - 오디오 버퍼
+     * @param {Object} options - 인코딩 옵션
+     * @param {string} options.codec - 'opus' 또는 'vorbis'
+     * @param {number} options.bitrate - 목표 비트레이트 (kbps)
+     * @param {string} options.channelMode - 'joint' (스테레오) 또는 'mono'
+     * @param {Function} onProgress - 진행률 콜백 (0~1)
+     * @returns {Promise<{data: Uint8Array[], encoding: Object}>}
+     */
+    static async encodeOgg(buffer, options = {}, onProgress = () => {}) {
+        const { codec = 'opus', bitrate = 128, channelMode = 'joint' } = options;
+        const channelData = AudioDSP.getEncoderChannels(buffer, channelMode);
+
+        const data = codec === 'vorbis'
+            ? await AudioDSP.encodeVorbis(channelData, buffer.sampleRate, bitrate, onProgress)
+            : await AudioDSP.encodeOpus(channelData, buffer.sampleRate, bitrate, onProgress);
+
+        const size = data.reduce((sum, chunk) => sum + chunk.length, 0);
+        return {
+            data,
+            encoding: {
+                format: 'ogg',
+                codec,
+                bitrate: buffer.duration > 0 ? Math.round(size * 8 / buffer.duration / 1000) : 0,
+                targetBitrate: bitrate,
+                channelMode: channelData.length === 1 ? 'mono' : 'joint',
+                // Opus는 항상 48kHz로 디코딩됨
+                sampleRate: codec === 'opus' ? 48000 : buffer.sampleRate
+            }
+        };
+    }
+
+    /**
+     * Vorbis 인코딩 (번들 인코더가 Ogg 페이지까지 생성)
+     * 인코더는 VBR 품질만 받으므로 목표 비트레이트에 가까운 품질을 선택
+     * @param {Float32Array[]} channelData - 채널 데이터 (1~2채널)
+     * @param {number} sampleRate - 샘플레이트
+     * @param {number} bitrate - 목표 비트레이트 (kbps)
+     * @param {Function} onProgress - 진행률 콜백 (0~1)
+     * @returns {Promise<Uint8Array[]>}
+     */
+    static async encodeVorbis(channelData, sampleRate, bitrate, onProgress) {
+        const encoder = await AudioDSP.getVorbisEncoder();
+
+        // 공칭 비트레이트는 스테레오 기준이고 모노는 그 절반 정도이므로 모노는 두 배로 환산
+        const stereoBitrate = channelData.length === 2 ? bitrate : bitrate * 2;
+        const quality = AudioDSP.VORBIS_QUALITY_BITRATES.findIndex(nominal => nominal >= stereoBitrate);
+        const vbrQuality = quality === -1 ? 10 : Math.max(-1, quality - 1);
+
+        try {
+            encoder.configure({ channels: channelData.length, sampleRate, vbrQuality });
+        } catch (error) {
+            throw new Error(`지원하지 않는 Vorbis 인코딩 설정입니다: ${error.message}`);
+        }
+
+        // 인코더가 반환하는 버퍼는 재사용되므로 반드시 복사
+        const oggData = [];
+        const length = channelData[0].length;
+        const blockSize = 1024 * 64;
+        for (let i = 0; i < length; i += blockSize) {
+            const encoded = encoder.encode(channelData.map(data => data.subarray(i, i + blockSize)));
+            if (encoded.length > 0) {
+                oggData.push(encoded.slice());
+            }
+
+            onProgress(Math.min(1, (i + blockSize) / length));
+            if ((i / blockSize) % 16 === 15) {
+                await AudioDSP.yieldControl();
+            }
+        }
+
+        const encodedEnd = encoder.finalize();
+        if (encodedEnd.length > 0) {
+            oggData.push(encodedEnd.slice());
+        }
+        return oggData;
+    }
+
+    /**
+     * Opus 인코딩 (브라우저 WebCodecs AudioEncoder로 패킷을 만들고 Ogg 페이지로 감쌈, RFC 7845)
+     * Opus가 지원하지 않는 샘플레이트는 48kHz로 리샘플링
+     * @param {Float32Array[]} channelData - 채널 데이터 (1~2채널)
+     * @param {number} sampleRate - 샘플레이트
+     * @param {number} bitrate - 목표 비트레이트 (kbps)
+     * @param {Function} onProgress - 진행률 콜백 (0~1)
+     * @returns {Promise<Uint8Array[]>}
+     */
+    static async encodeOpus(channelData, sampleRate, bitrate, onProgress) {
+        if (typeof AudioEncoder === 'undefined' || typeof AudioData === 'undefined') {
+            throw new Error('이 브라우저는 Opus 인코딩(WebCodecs)을 지원하지 않습니다. Vorbis 코덱을 선택해 주세요.');
+        }
+
+        const inputSampleRate = sampleRate;
+        let input = new PcmBuffer(channelData, sampleRate);
+        let encodeStart = 0;
+        if (!AudioDSP.OPUS_SAMPLE_RATES.includes(sampleRate)) {
+            input = await AudioDSP.resampleBuffer(input, 48000, (progress) => onProgress(progress * 0.3));
+            encodeStart = 0.3;
+        }
+
+        const channels = input.numberOfChannels;
+        const config = {
+            codec: 'opus',
+            sampleRate: input.sampleRate,
+            numberOfChannels: channels,
+            bitrate: bitrate * 1000,
+            bitrateMode: 'variable',
+            opus: { frameDuration: 20000 }
+        };
+        const support = await AudioEncoder.isConfigSupported(config);
+        if (!support.supported) {
+            throw new Error(`지원하지 않는 Opus 인코딩 설정입니다 (${bitrate}kbps, ${input.sampleRate}Hz).`);
+        }
+
+        const packets = [];
+        let preSkip = AudioDSP.OPUS_DEFAULT_PRE_SKIP;
+        let encodeError = null;
+        const encoder = new AudioEncoder({
+            output: (chunk, metadata) => {
+                const packet = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(packet);
+                packets.push({ data: packet, duration: chunk.duration });
+
+                // 인코더가 OpusHead를 알려주면 그 값의 pre-skip 사용
+                const description = metadata && metadata.decoderConfig && metadata.decoderConfig.description;
+                if (description && description.byteLength >= 12) {
+                    const head = new Uint8Array(description.buffer || description, description.byteOffset || 0, description.byteLength);
+                    if (OggWriter.matchString(head, 0, 'OpusHead')) {
+                        preSkip = head[10] | (head[11] << 8);
+                    }
+                }
+            },
+            error: (error) => {
+                encodeError = error;
+            }
+        });
+        encoder.configure(config);
+
+        // 1초 단위로 planar 데이터를 만들어 전달 (대기열이 쌓이면 잠시 양보)
+        const length = input.length;
+        const blockSize = input.sampleRate;
+        for (let i = 0; i < length && !encodeError; i += blockSize) {
+            const frames = Math.min(blockSize, length - i);
+            const planar = new Float32Array(frames * channels);
+            for (let channel = 0; channel < channels; channel++) {
+                planar.set(input.getChannelData(channel).subarray(i, i + frames), channel * frames);
+            }
+            encoder.encode(new AudioData({
+                format: 'f32-planar',
+                sampleRate: input.sampleRate,
+                numberOfFrames: frames,
+                numberOfChannels: channels,
+                timestamp: Math.round(i / input.sampleRate * 1e6),
+                data: planar
+            }));
+
+            while (encoder.encodeQueueSize > 4 && !encodeError) {
+                await AudioDSP.yieldControl();
+            }
+            onProgress(encodeStart + (1 - encodeStart) * Math.min(1, (i + frames) / length));
+        }
+
+        // 인코더 지연(pre-skip)만큼 무음을 더 넣어 마지막 샘플까지 패킷으로 나오게 함
+        if (!encodeError) {
+            const tailFrames = Math.ceil(preSkip * input.sampleRate / 48000);
+            encoder.encode(new AudioData({
+                format: 'f32-planar',
+                sampleRate: input.sampleRate,
+                numberOfFrames: tailFrames,
+                numberOfChannels: channels,
+                timestamp: Math.round(length / input.sampleRate * 1e6),
+                data: new Float32Array(tailFrames * channels)
+            }));
+            await encoder.flush().catch(error => { encodeError = error; });
+        }
+        // 오류 콜백이 불린 인코더는 이미 닫혀 있어 close()가 InvalidStateError를 던짐
+        if (encoder.state !== 'closed') {
+            encoder.close();
+        }
+        if (encodeError) {
+            throw new Error(`Opus 인코딩에 실패했습니다: ${encodeError.message}`);
+        }
+        if (packets.length === 0) {
+            throw new Error('Opus 인코딩 결과가 비어 있습니다.');
+        }
+
+        // Ogg 페이지로 감싸기 (위치는 항상 48kHz 샘플 단위, 마지막 페이지 위치로 끝부분 패딩을 표시)
+        const writer = new OggWriter();
+        const vendor = 'WebCodecs Opus';
+        writer.writePacket(OggWriter.createOpusHead(channels, preSkip, inputSampleRate), 0, { flush: true });
+        writer.writePacket(OggWriter.createCommentPacket('opus', VorbisCommentWriter.createComment(vendor)), 0, { flush: true });
+
+        const endPosition = preSkip + Math.round(length * 48000 / input.sampleRate);
+        let granulePosition = 0;
+        packets.forEach((packet, index) => {
+            const isLast = index === packets.length - 1;
+            const frameCount = packet.duration ? Math.round(packet.duration * 48 / 1000) : 960;
+            granulePosition += frameCount;
+            writer.writePacket(packet.data, isLast ? Math.min(granulePosition, endPosition) : granulePosition, { last: isLast });
+        });
+
+        return writer.getPages();
+    }
+
+    /**
+     * 작업 실행 (Worker 메시지와 메인 스레드 대체 실행에서 공용)
+     * 입력으로 받은 PCM 버퍼는 결과와 함께 되돌려주어 호출 측에서 다시 사용할 수 있게 함
+     * @param {string} type - 작업 종류 ('combine', 'resample', 'compress-pauses', 'encode-wav', 'encode-mp3', 'encode-ogg', 'encode-flac')
+     * @param {Object} payload - 작업 데이터
+     * @param {Function} onProgress - 진행률 콜백 (0~1)
+     * @returns {Promise<{result: Object, transfer: ArrayBuffer[]}>}
+     */
+    static async runTask(type, payload, onProgress = () => {}) {
+        switch (type) {
+            case 'combine': {
+                const buffers = payload.buffers.map(message => PcmBuffer.fromMessage(message));
+                const { buffer, loudness, segments } = await AudioDSP.combine(buffers, payload.options, onProgress);
+                return {
+                    result: { buffer: buffer.toMessage(), loudness, segments },
+                    transfer: buffer.getTransferList()
+                };
+            }
+            case 'resample': {
+                const buffer = PcmBuffer.fromMessage(payload.buffer);
+                const resampled = await AudioDSP.resampleBuffer(buffer, payload.sampleRate, onProgress);
+                return {
+                    result: { buffer: resampled.toMessage() },
+                    transfer: resampled.getTransferList()
+                };
+            }
+            case 'compress-pauses': {
+                const buffer = PcmBuffer.fromMessage(payload.buffer);
+                const { buffer: compressed, removed, count } = AudioDSP.compressPauses(buffer, payload.options);
+                onProgress(1);
+                return {
+                    result: { buffer: compressed.toMessage(), removed, count },
+                    transfer: compressed.getTransferList()
+                };
+            }
+            case 'encode-wav': {
+                const buffer = PcmBuffer.fromMessage(payload.buffer);
+                const data = await AudioDSP.encodeWav(buffer, payload.options, onProgress);
+                return {
+                    result: {
+                        data: [data],
+                        encoding: AudioDSP.getWavEncoding(buffer, payload.options),
+                        buffer: buffer.toMessage()
+                    },
+                    transfer: [data, ...buffer.getTransferList()]
+                };
+            }
+            case 'encode-mp3': {
+                const buffer = PcmBuffer.fromMessage(payload.buffer);
+                const { data, encoding } = await AudioDSP.encodeMp3(buffer, payload.options, onProgress);
+                return {
+                    result: { data, encoding, buffer: buffer.toMessage() },
+                    transfer: [...data.map(chunk => chunk.buffer), ...buffer.getTransferList()]
+                };
+            }
+            case 'encode-ogg': {
+                const buffer = PcmBuffer.fromMessage(payload.buffer);
+                const { data, encoding } = await AudioDSP.encodeOgg(buffer, payload.options, onProgress);
+                return {
+                    result: { data, encoding, buffer: buffer.toMessage() },
+                    transfer: [...data.map(chunk => chunk.buffer), ...buffer.getTransferList()]
+                };
+            }
+            case 'encode-flac': {
+                const buffer = PcmBuffer.fromMessage(payload.buffer);
+                const { data, encoding } = await AudioDSP.encodeFlac(buffer, payload.options, onProgress);
+                return {
+                    result: { data, encoding, buffer: buffer.toMessage() },
+                    transfer: [...data.map(chunk => chunk.buffer), ...buffer.getTransferList()]
+                };
+            }
+            default:
+                throw new Error(`알 수 없는 작업입니다: ${type}`);
+        }
+    }
+}
+
+AudioDSP.LEVEL_INTERVAL = 0.01; // 무음 검출 레벨 간격 (초)
+AudioDSP.PAUSE_CROSSFADE = 0.02; // 쉼을 잘라낸 지점의 크로스페이드 길이 (초)
+AudioDSP.WAVE_FORMAT_PCM = 0x0001;
+AudioDSP.WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+AudioDSP.WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+AudioDSP.WAV_CHANNEL_MASKS = { 1: 0x4, 2: 0x3, 3: 0x7, 4: 0x33, 5: 0x37, 6: 0x3F, 8: 0x63F }; // 스피커 배치 (Web Audio 채널 순서 기준)
+AudioDSP.NOISE_SHAPING_COEFFICIENTS = [1.623, -0.982, 0.109]; // 오차 되먹임 계수 (Wannamaker 3탭 F-가중)
+AudioDSP.OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000]; // Opus가 직접 인코딩하는 샘플레이트
+AudioDSP.OPUS_DEFAULT_PRE_SKIP = 312; // libopus 기본 지연 (48kHz 샘플, 인코더가 알려주지 않을 때 사용)
+AudioDSP.MP3_BITRATES_V1 = [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]; // MPEG-1 Layer III (kbps)
+AudioDSP.MP3_BITRATES_V2 = [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160];     // MPEG-2/2.5 Layer III (kbps)
+AudioDSP.VORBIS_QUALITY_BITRATES = [45, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]; // 품질 -1~9의 공칭 비트레이트 (kbps)
+AudioDSP.mp3EncoderPromise = null;
+AudioDSP.vorbisEncoderPromise = null;
+AudioDSP.oversamplingTaps = null;
+AudioDSP.sincTable = null;
+
+// 전역으로 내보내기 (window와 Worker 모두 self 사용)
+self.PcmBuffer = PcmBuffer;
+self.AudioDSP = AudioDSP;
@@ -9,6 +9,20 @@ class AudioProcessor {
         this.audioBuffers = [];
         this.combinedBuffer = null;
         this.combinedBlob = null;
+        this.combinedEncoding = null;
+        this.combinedLoudness = null; // 라우드니스 정규화 결과 (사용 안 하면 null)
+        this.combinedSegments = [];   // 트랙별 구간 (챕터용, 초)
+        this.combinedChapters = [];   // 내보낸 결과의 챕터 (제목, 원본 파일명, 구간)
+        this.combinedDuration = 0;    // 재인코딩 없이 합친 결과의 길이 (초, 디코딩하지 않으므로 버퍼 없음)
+        this.pauseReduction = null;   // 긴 쉼 줄이기 결과 ({count, removed}, 사용 안 하면 null)
+        this.combinedExport = null;   // 결과를 내보낸 형식과 메타데이터 (나누어 내보낼 때 같은 설정 사용)
+        this.combinedLevels = null;   // 병합 결과의 레벨 (나눌 지점의 무음 검출용, 처음 필요할 때 계산)
+
+        // Web Worker (병합/인코딩을 UI 스레드와 분리)
+        this.worker = null;
+        this.workerReady = null;
+        this.workerTasks = new Map();
+        this.nextTaskId = 1;
     }
 
     /**
@@ -21,6 +35,95 @@ class AudioProcessor {
         return this.audioContext;
     }
 
+    /**
+     * 오디오 Worker 초기화
+     * Worker를 사용할 수 없는 환경(file:// 등)에서는 false를 반환하고 메인 스레드에서 처리
+     * @returns {Promise<boolean>}
+     */
+    initWorker() {
+        if (this.workerReady) {
+            return this.workerReady;
+        }
+
+        this.workerReady = new Promise((resolve) => {
+            try {
+                this.worker = new Worker('js/audio-worker.js');
+            } catch (error) {
+                console.warn('Audio worker unavailable, processing on main thread:', error);
+                this.worker = null;
+                resolve(false);
+                return;
+            }
+
+            this.worker.addEventListener('message', (e) => {
+                if (e.data.status === 'ready') {
+                    resolve(true);
+                    return;
+                }
+                this.handleWorkerMessage(e.data);
+            });
+
+            this.worker.addEventListener('error', (e) => {
+                e.preventDefault();
+                console.warn('Audio worker failed, processing on main thread:', e.message);
+                this.worker.terminate();
+                this.worker = null;
+                this.workerReady = Promise.resolve(false);
+                resolve(false);
+
+                // 처리 중이던 작업은 실패 처리
+                this.workerTasks.forEach(task => task.reject(new Error('오디오 처리 Worker가 중단되었습니다.')));
+                this.workerTasks.clear();
+            });
+        });
+
+        return this.workerReady;
+    }
+
+    /**
+     * Worker 응답 처리
+     * @param {Object} message - { id, status, progress | result | message }
+     */
+    handleWorkerMessage(message) {
+        const task = this.workerTasks.get(message.id);
+        if (!task) return;
+
+        if (message.status === 'progress') {
+            task.onProgress(message.progress);
+        } else if (message.status === 'done') {
+            this.workerTasks.delete(message.id);
+            task.resolve(message.result);
+        } else if (message.status === 'error') {
+            this.workerTasks.delete(message.id);
+            const error = new Error(message.message);
+            error.buffer = message.buffer; // 전송했던 PCM 버퍼 (없으면 undefined)
+            task.reject(error);
+        }
+    }
+
+    /**
+     * 오디오 작업 실행 (Worker 우선, 불가 시 메인 스레드)
+     * @param {string} type - 작업 종류 (AudioDSP.runTask 참고)
+     * @param {Object} payload - 작업 데이터
+     * @param {ArrayBuffer[]} transfer - Worker로 전송(transfer)할 버퍼 목록
+     * @param {Function} onProgress - 진행률 콜백 (0~1)
+     * @returns {Promise<Object>}
+     */
+    async runTask(type, payload, transfer = [], onProgress = () => {}) {
+        const hasWorker = await this.initWorker();
+
+        if (!hasWorker) {
+            const { result } = await AudioDSP.runTask(type, payload, onProgress);
+            return result;
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextTaskId++;
+            this.workerTasks.set(id, { resolve, reject, onProgress });
+            this.worker.postMessage({ id, type, payload }, transfer);
+        });
+    }
+
     /**
      * 파일을 ArrayBuffer로 읽기
      * @param {File} file - 오디오 파일
@@ -52,18 +155,70 @@ class AudioProcessor {
     }
 
     /**
-     * 파일의 오디오 정보 가져오기 (duration 등)
+     * 파일을 읽어 디코딩하고 인코더 지연/패딩 샘플 제거 (갭리스)
      * @param {File} file - 오디오 파일
-     * @returns {Promise<{duration: number, sampleRate: number, channels: number}>}
+     * @returns {Promise<AudioBuffer>}
      */
-    async getAudioInfo(file) {
+    async decodeFile(file) {
         const arrayBuffer = await this.readFileAsArrayBuffer(file);
         const audioBuffer = await this.decodeAudioData(arrayBuffer);
+        return this.removeGaplessPadding(audioBuffer, await this.readGaplessInfo(file));
+    }
+
+    /**
+     * 갭리스 정보 읽기 (MP3: LAME/Xing 태그, M4A: iTunSMPB)
+     * 정보가 없거나 읽을 수 없으면 null (오류를 던지지 않음)
+     * @param {File} file - 오디오 파일
+     * @returns {Promise<{sampleRate: number, start: number, length: number, rawLength: number}|null>}
+     */
+    async readGaplessInfo(file) {
+        try {
+            const head = await TagReader.readBytes(file, 0, 12);
+            if (TagReader.decodeLatin1(head.subarray(4, 8)) === 'ftyp') {
+                return await TagReader.readMp4GaplessInfo(file);
+            }
+            if (TagReader.decodeLatin1(head.subarray(0, 3)) === 'ID3' || (head[0] === 0xFF && (head[1] & 0xE0) === 0xE0)) {
+                return Mp3Frames.getGaplessInfo(await Mp3Frames.analyze(file));
+            }
+        } catch (error) {
+            console.warn(`Failed to read gapless info from ${file.name}:`, error);
+        }
+        return null;
+    }
+
+    /**
+     * 디코딩된 버퍼에서 인코더 지연/패딩 구간 잘라내기
+     * @param {AudioBuffer} audioBuffer - 디코딩된 버퍼
+     * @param {Object|null} gaplessInfo - readGaplessInfo 결과
+     * @returns {AudioBuffer} 잘라낼 구간이 없으면 원래 버퍼
+     */
+    removeGaplessPadding(audioBuffer, gaplessInfo) {
+        const range = gaplessInfo && AudioDSP.getGaplessRange(audioBuffer.length, audioBuffer.sampleRate, gaplessInfo);
+        if (!range) {
+            return audioBuffer;
+        }
+
+        const trimmed = this.audioContext.createBuffer(audioBuffer.numberOfChannels, range.end - range.start, audioBuffer.sampleRate);
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            trimmed.copyToChannel(audioBuffer.getChannelData(channel).subarray(range.start, range.end), channel);
+        }
+        return trimmed;
+    }
+
+    /**
+     * 파일의 오디오 정보 가져오기 (duration 등)
+     * @param {File} file - 오디오 파일
+     * @returns {Promise<{duration: number, sampleRate: number, channels: number, peaks: Float32Array, levels: Float32Array}>}
+     */
+    async getAudioInfo(file) {
+        const audioBuffer = await this.decodeFile(file);
         
         return {
             duration: audioBuffer.duration,
             sampleRate: audioBuffer.sampleRate,
-            channels: audioBuffer.numberOfChannels
+            channels: audioBuffer.numberOfChannels,
+            peaks: AudioDSP.getPeaks(audioBuffer),
+            levels: AudioDSP.getLevels(audioBuffer)
         };
     }
 
@@ -75,13 +230,11 @@ class AudioProcessor {
      */
     async loadAudioFiles(files, onProgress = () => {}) {
         this.audioBuffers = [];
+        this.pauseReduction = null;
         const total = files.length;
 
         for (let i = 0; i < files.length; i++) {
-            const file = files[i];
-            const arrayBuffer = await this.readFileAsArrayBuffer(file);
-            const audioBuffer = await this.decodeAudioData(arrayBuffer);
-            this.audioBuffers.push(audioBuffer);
+            this.audioBuffers.push(await this.decodeFile(files[i]));
             onProgress((i + 1) / total * 50); // 로딩은 전체의 50%
         }
 
@@ -101,251 +254,435 @@ class AudioProcessor {
     }
 
     /**
-     * 오디오 버퍼들 병합
-     * @param {AudioBuffer[]} buffers - 병합할 오디오 버퍼 배열
-     * @param {number} gapDuration - 파일 간 간격 (초)
+     * 트랙 안의 긴 쉼 줄이기 (loadAudioFiles와 combineBuffers 사이 처리 단계, Worker에서 실행)
+     * 트랙 구간을 먼저 잘라낸 뒤 처리하므로 반환하는 트랙 설정의 구간은 전체로 바뀜
+     * @param {AudioBuffer[]} buffers - 오디오 버퍼 배열
+     * @param {Array<{trimStart: number, trimEnd: number}>} tracks - 트랙별 설정
+     * @param {Object} options - 옵션 (AudioDSP.compressPauses 참고)
+     * @param {Function} onProgress - 진행률 콜백 (0~1)
+     * @returns {Promise<{buffers: PcmBuffer[], tracks: Object[]}>}
+     */
+    async compressPauses(buffers, tracks, options, onProgress = () => {}) {
+        const results = [];
+        this.pauseReduction = { count: 0, removed: 0 };
+
+        for (let i = 0; i < buffers.length; i++) {
+            const range = this.getTrimRange(buffers[i], tracks[i]);
+            const pcmBuffer = PcmBuffer.fromAudioBuffer(buffers[i], range.start, range.end);
+            const result = await this.runTask(
+                'compress-pauses',
+                { buffer: pcmBuffer.toMessage(), options },
+                pcmBuffer.getTransferList(),
+                (progress) => onProgress((i + progress) / buffers.length)
+            );
+
+            this.pauseReduction.count += result.count;
+            this.pauseReduction.removed += result.removed;
+            results.push(PcmBuffer.fromMessage(result.buffer));
+        }
+
+        return {
+            buffers: results,
+            tracks: tracks.map((track, i) => Object.assign({}, track, { trimStart: 0, trimEnd: results[i].duration }))
+        };
+    }
+
+    /**
+     * 오디오 버퍼들 병합 (Worker에서 실행)
+     * @param {Array<AudioBuffer|PcmBuffer>} buffers - 병합할 오디오 버퍼 배열
+     * @param {Object} options - 병합 옵션 (gapDuration, crossfadeDuration, crossfadeCurve, normalization)
+     * @param {Array<{trimStart: number, trimEnd: number, gain: number, fadeIn: number, fadeOut: number}>} options.tracks - 트랙별 설정 (구간·페이드: 초, 볼륨: dB)
      * @param {Function} onProgress - 진행률 콜백
-     * @returns {AudioBuffer}
+     * @returns {Promise<PcmBuffer>}
      */
-    async combineBuffers(buffers, gapDuration = 0, onProgress = () => {}) {
+    async combineBuffers(buffers, options = {}, onProgress = () => {}) {
         if (buffers.length === 0) {
             throw new Error('병합할 오디오가 없습니다.');
         }
 
-        this.initAudioContext();
+        const { tracks = [], ...combineOptions } = options;
 
-        // 기준 샘플레이트와 채널 수 결정 (첫 번째 파일 기준)
-        const targetSampleRate = buffers[0].sampleRate;
-        const targetChannels = Math.max(...buffers.map(b => b.numberOfChannels));
+        // 구간은 복사할 때 적용하고, 볼륨/페이드는 Worker에서 정규화 이후에 적용
+        combineOptions.tracks = tracks.map(({ gain, fadeIn, fadeOut }) => ({ gain, fadeIn, fadeOut }));
 
-        // 전체 길이 계산
-        let totalLength = 0;
-        for (let i = 0; i < buffers.length; i++) {
-            totalLength += buffers[i].length;
-            if (i < buffers.length - 1 && gapDuration > 0) {
-                totalLength += Math.floor(gapDuration * targetSampleRate);
-            }
-        }
+        // AudioBuffer 메모리는 전송할 수 없으므로 선택 구간만 복사하여 전송
+        const pcmBuffers = buffers.map((buffer, index) => {
+            const range = this.getTrimRange(buffer, tracks[index]);
+            return PcmBuffer.fromAudioBuffer(buffer, range.start, range.end);
+        });
+        const transfer = pcmBuffers.flatMap(buffer => buffer.getTransferList());
 
-        // 결합된 버퍼 생성
-        this.combinedBuffer = this.audioContext.createBuffer(
-            targetChannels,
-            totalLength,
-            targetSampleRate
+        const result = await this.runTask(
+            'combine',
+            { buffers: pcmBuffers.map(buffer => buffer.toMessage()), options: combineOptions },
+            transfer,
+            (progress) => onProgress(50 + progress * 40) // 병합은 50-90%
         );
 
-        // 각 채널별로 데이터 복사
-        let offset = 0;
-        for (let bufferIndex = 0; bufferIndex < buffers.length; bufferIndex++) {
-            const buffer = buffers[bufferIndex];
-            
-            for (let channel = 0; channel < targetChannels; channel++) {
-                const outputData = this.combinedBuffer.getChannelData(channel);
-                // 원본 채널이 적은 경우 첫 번째 채널 데이터 사용
-                const sourceChannel = channel < buffer.numberOfChannels ? channel : 0;
-                const inputData = buffer.getChannelData(sourceChannel);
-                
-                // 샘플레이트가 다른 경우 리샘플링 (간단한 선형 보간)
-                if (buffer.sampleRate !== targetSampleRate) {
-                    const ratio = buffer.sampleRate / targetSampleRate;
-                    const newLength = Math.floor(buffer.length / ratio);
-                    for (let i = 0; i < newLength; i++) {
-                        const srcIndex = i * ratio;
-                        const srcIndexFloor = Math.floor(srcIndex);
-                        const srcIndexCeil = Math.min(srcIndexFloor + 1, inputData.length - 1);
-                        const t = srcIndex - srcIndexFloor;
-                        outputData[offset + i] = inputData[srcIndexFloor] * (1 - t) + inputData[srcIndexCeil] * t;
-                    }
-                } else {
-                    outputData.set(inputData, offset);
-                }
-            }
+        this.combinedBuffer = PcmBuffer.fromMessage(result.buffer);
+        this.combinedLevels = null;
+        this.combinedLoudness = result.loudness;
+        this.combinedSegments = result.segments;
+        return this.combinedBuffer;
+    }
 
-            offset += buffer.length;
+    /**
+     * 트랙 설정의 시작/끝 지점(초)을 샘플 범위로 변환
+     * @param {AudioBuffer} buffer - 오디오 버퍼
+     * @param {{trimStart: number, trimEnd: number}} track - 트랙 설정 (없으면 전체)
+     * @returns {{start: number, end: number}}
+     */
+    getTrimRange(buffer, track = {}) {
+        const { trimStart = 0, trimEnd = buffer.duration } = track;
+        const start = Math.max(0, Math.min(buffer.length, Math.round(trimStart * buffer.sampleRate)));
+        const end = Math.max(start, Math.min(buffer.length, Math.round(trimEnd * buffer.sampleRate)));
+        return { start, end };
+    }
 
-            // 간격 추가 (마지막 파일 제외)
-            if (bufferIndex < buffers.length - 1 && gapDuration > 0) {
-                offset += Math.floor(gapDuration * targetSampleRate);
-            }
+    /**
+     * PCM 버퍼를 Worker로 보내 인코딩
+     * 전송한 채널 데이터는 결과(실패하면 오류)와 함께 돌려받아 원래 버퍼에 복원
+     * @param {string} type - 'encode-wav', 'encode-mp3', 'encode-ogg', 'encode-flac'
+     * @param {AudioBuffer|PcmBuffer} buffer - 오디오 버퍼
+     * @param {Object} payload - 추가 작업 데이터
+     * @param {Function} onProgress - 진행률 콜백 (0~1)
+     * @returns {Promise<{blob: Blob, encoding: Object}>}
+     */
+    async runEncodeTask(type, buffer, payload, onProgress) {
+        const pcmBuffer = buffer instanceof PcmBuffer ? buffer : PcmBuffer.fromAudioBuffer(buffer);
 
-            onProgress(50 + ((bufferIndex + 1) / buffers.length) * 40); // 병합은 50-90%
+        let result;
+        try {
+            result = await this.runTask(
+                type,
+                Object.assign({ buffer: pcmBuffer.toMessage() }, payload),
+                pcmBuffer.getTransferList(),
+                onProgress
+            );
+        } catch (error) {
+            // 인코딩에 실패해도 같은 버퍼로 다시 내보내거나 나눌 수 있도록 복원
+            if (error.buffer) {
+                pcmBuffer.channelData = error.buffer.channelData;
+            }
+            throw error;
         }
 
-        return this.combinedBuffer;
+        pcmBuffer.channelData = result.buffer.channelData;
+
+        return {
+            blob: new Blob(result.data, { type: AudioProcessor.MIME_TYPES[result.encoding.format] }),
+            encoding: result.encoding
+        };
     }
 
     /**
-     * AudioBuffer를 WAV Blob으로 변환
-     * @param {AudioBuffer} audioBuffer - 오디오 버퍼
-     * @returns {Blob}
+     * 오디오 버퍼를 WAV로 인코딩
+     * @param {AudioBuffer|PcmBuffer} buffer - 오디오 버퍼
+     * @param {Object} options - WAV 인코딩 옵션 (AudioDSP.encodeWav 참고)
+     * @param {Function} onProgress - 진행률 콜백 (0~1)
+     * @returns {Promise<{blob: Blob, encoding: Object}>}
      */
-    audioBufferToWav(audioBuffer) {
-        const numOfChannels = audioBuffer.numberOfChannels;
-        const sampleRate = audioBuffer.sampleRate;
-        const format = 1; // PCM
-        const bitDepth = 16;
-        
-        const bytesPerSample = bitDepth / 8;
-        const blockAlign = numOfChannels * bytesPerSample;
-        
-        const buffer = audioBuffer;
-        const length = buffer.length * blockAlign;
-        const arrayBuffer = new ArrayBuffer(44 + length);
-        const view = new DataView(arrayBuffer);
-        
-        // WAV 헤더 작성
-        // RIFF identifier
-        this.writeString(view, 0, 'RIFF');
-        // file length
-        view.setUint32(4, 36 + length, true);
-        // RIFF type
-        this.writeString(view, 8, 'WAVE');
-        // format chunk identifier
-        this.writeString(view, 12, 'fmt ');
-        // format chunk length
-        view.setUint32(16, 16, true);
-        // sample format (PCM)
-        view.setUint16(20, format, true);
-        // channel count
-        view.setUint16(22, numOfChannels, true);
-        // sample rate
-        view.setUint32(24, sampleRate, true);
-        // byte rate (sample rate * block align)
-        view.setUint32(28, sampleRate * blockAlign, true);
-        // block align
-        view.setUint16(32, blockAlign, true);
-        // bits per sample
-        view.setUint16(34, bitDepth, true);
-        // data chunk identifier
-        this.writeString(view, 36, 'data');
-        // data chunk length
-        view.setUint32(40, length, true);
-        
-        // 오디오 데이터 작성 (인터리브)
-        let offset = 44;
-        for (let i = 0; i < buffer.length; i++) {
-            for (let channel = 0; channel < numOfChannels; channel++) {
-                let sample = buffer.getChannelData(channel)[i];
-                // 클리핑 방지
-                sample = Math.max(-1, Math.min(1, sample));
-                // 16비트 정수로 변환
-                sample = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
-                view.setInt16(offset, sample, true);
-                offset += 2;
-            }
+    encodeWav(buffer, options = {}, onProgress = () => {}) {
+        return this.runEncodeTask('encode-wav', buffer, { options }, onProgress);
+    }
+
+    /**
+     * 오디오 버퍼를 MP3로 인코딩
+     * @param {AudioBuffer|PcmBuffer} buffer - 오디오 버퍼
+     * @param {Object} options - MP3 인코딩 옵션 (AudioDSP.encodeMp3 참고)
+     * @param {Function} onProgress - 진행률 콜백 (0~1)
+     * @returns {Promise<{blob: Blob, encoding: Object}>}
+     */
+    async encodeMp3(buffer, options = {}, onProgress = () => {}) {
+        const result = await this.runEncodeTask('encode-mp3', buffer, { options }, onProgress);
+        if (result.blob.size === 0) {
+            throw new Error('MP3 인코딩 결과가 비어 있습니다.');
         }
-        
-        return new Blob([arrayBuffer], { type: 'audio/wav' });
+
+        // 인코더 지연/패딩을 LAME 태그로 기록하여 갭리스 재생 지원
+        result.blob = await Mp3Frames.addInfoFrame(result.blob, buffer.length, result.encoding.mode === 'vbr');
+        return result;
     }
 
     /**
-     * DataView에 문자열 쓰기
-     * @param {DataView} view 
-     * @param {number} offset 
-     * @param {string} string 
+     * 오디오 버퍼를 Ogg(Opus 또는 Vorbis)로 인코딩
+     * @param {AudioBuffer|PcmBuffer} buffer - 오디오 버퍼
+     * @param {Object} options - Ogg 인코딩 옵션 (AudioDSP.encodeOgg 참고)
+     * @param {Function} onProgress - 진행률 콜백 (0~1)
+     * @returns {Promise<{blob: Blob, encoding: Object}>}
      */
-    writeString(view, offset, string) {
-        for (let i = 0; i < string.length; i++) {
-            view.setUint8(offset + i, string.charCodeAt(i));
+    async encodeOgg(buffer, options = {}, onProgress = () => {}) {
+        const result = await this.runEncodeTask('encode-ogg', buffer, { options }, onProgress);
+        if (result.blob.size === 0) {
+            throw new Error('OGG 인코딩 결과가 비어 있습니다.');
         }
+        return result;
+    }
+
+    /**
+     * 오디오 버퍼를 FLAC으로 인코딩
+     * @param {AudioBuffer|PcmBuffer} buffer - 오디오 버퍼
+     * @param {Object} options - FLAC 인코딩 옵션 (AudioDSP.encodeFlac 참고)
+     * @param {Function} onProgress - 진행률 콜백 (0~1)
+     * @returns {Promise<{blob: Blob, encoding: Object}>}
+     */
+    encodeFlac(buffer, options = {}, onProgress = () => {}) {
+        return this.runEncodeTask('encode-flac', buffer, { options }, onProgress);
     }
 
     /**
-     * WAV를 MP3로 변환 (lamejs 사용 시)
-     * 참고: 클라이언트 사이드 MP3 인코딩은 lamejs 라이브러리 필요
-     * 여기서는 WAV를 기본으로 사용하고, MP3는 서버사이드 또는 별도 라이브러리로 처리
-     * @param {Blob} wavBlob 
-     * @param {number} bitrate 
+     * 트랙별 구간과 제목으로 챕터 목록 생성
+     * @param {Array<{title: string, source: string}>} tracks - 트랙별 제목/원본 파일명 (제목이 없으면 "Chapter N")
+     * @returns {Array<{title: string, source: string, startTime: number, endTime: number}>}
+     */
+    getChapters(tracks = []) {
+        return this.combinedSegments.map((segment, index) => ({
+            title: (tracks[index] && tracks[index].title) || `Chapter ${index + 1}`,
+            source: tracks[index] ? tracks[index].source : '',
+            startTime: segment.startTime,
+            endTime: segment.endTime
+        }));
+    }
+
+    /**
+     * 병합된 오디오를 지정된 형식으로 내보내기
+     * @param {string} format - 'mp3', 'wav', 'ogg', 'flac'
+     * @param {Object} encodeOptions - 인코딩 옵션 (encodeAs 참고)
+     * @param {Function} onProgress - 진행률 콜백
+     * @param {Object} metadata - 메타데이터
+     * @param {Array<{title: string, source: string}>} metadata.chapters - 트랙별 챕터 제목과 원본 파일명 (MP3는 CHAP/CTOC 프레임, OGG/FLAC은 CHAPTERxxx 주석으로 기록)
+     * @param {Object} metadata.tags - 출력 태그 (title, artist, album, year, genre, picture)
      * @returns {Promise<Blob>}
      */
-    async wavToMp3(wavBlob, bitrate = 192) {
-        // lamejs가 로드되어 있는지 확인
-        if (typeof lamejs === 'undefined') {
-            console.warn('lamejs not loaded, returning WAV instead');
-            return wavBlob;
+    async exportAudio(format = 'mp3', encodeOptions = {}, onProgress = () => {}, metadata = {}) {
+        if (!this.combinedBuffer) {
+            throw new Error('병합된 오디오가 없습니다.');
         }
 
-        const arrayBuffer = await wavBlob.arrayBuffer();
-        const dataView = new DataView(arrayBuffer);
-        
-        // WAV 헤더 파싱
-        const channels = dataView.getUint16(22, true);
-        const sampleRate = dataView.getUint32(24, true);
-        const dataOffset = 44;
-        const samples = (arrayBuffer.byteLength - dataOffset) / 2 / channels;
-        
-        // 채널 데이터 추출
-        const leftChannel = new Int16Array(samples);
-        const rightChannel = channels === 2 ? new Int16Array(samples) : null;
-        
-        for (let i = 0; i < samples; i++) {
-            const offset = dataOffset + i * channels * 2;
-            leftChannel[i] = dataView.getInt16(offset, true);
-            if (rightChannel) {
-                rightChannel[i] = dataView.getInt16(offset + 2, true);
-            }
+        onProgress(90);
+
+        // 인코딩 (MP3/OGG 실패 시 WAV로 대체하지 않고 오류 전달)
+        const encodeProgress = (ratio) => onProgress(90 + ratio * 10);
+        const { blob, encoding } = await this.encodeAs(this.combinedBuffer, format, encodeOptions, encodeProgress);
+
+        this.combinedChapters = this.getChapters(metadata.chapters);
+        this.combinedBlob = await this.createTaggedOutput(blob, encoding, metadata.tags || {}, this.combinedChapters);
+        if (encoding.format !== 'wav') {
+            encoding.chapters = this.combinedChapters.length;
         }
-        
-        // MP3 인코딩
-        const mp3encoder = new lamejs.Mp3Encoder(channels, sampleRate, bitrate);
-        const mp3Data = [];
-        
-        const sampleBlockSize = 1152;
-        for (let i = 0; i < samples; i += sampleBlockSize) {
-            const leftChunk = leftChannel.subarray(i, i + sampleBlockSize);
-            const rightChunk = rightChannel ? rightChannel.subarray(i, i + sampleBlockSize) : null;
-            
-            let mp3buf;
-            if (channels === 2) {
-                mp3buf = mp3encoder.encodeBuffer(leftChunk, rightChunk);
-            } else {
-                mp3buf = mp3encoder.encodeBuffer(leftChunk);
-            }
-            
-            if (mp3buf.length > 0) {
-                mp3Data.push(mp3buf);
-            }
+        this.combinedEncoding = encoding;
+        this.combinedExport = { format, encodeOptions, metadata };
+
+        onProgress(100);
+        return this.combinedBlob;
+    }
+
+    /**
+     * MP3 데이터 앞에 태그와 챕터를 담은 ID3v2 태그 추가
+     * 원본 파일 경계를 챕터로 기록하여 플레이어에서 이동할 수 있게 함
+     * @param {Array<Blob|Uint8Array>} parts - MP3 데이터
+     * @param {Object} tags - 출력 태그
+     * @param {Object[]} chapters - 챕터 (getChapters 참고)
+     * @returns {Blob}
+     */
+    createTaggedMp3(parts, tags, chapters = this.combinedChapters) {
+        const tag = Id3Writer.createTag(Object.assign({}, tags, { chapters }));
+        return new Blob([tag, ...parts], { type: 'audio/mpeg' });
+    }
+
+    /**
+     * 인코딩 결과에 출력 형식에 맞는 태그 기록
+     * MP3는 ID3v2(챕터 포함), OGG와 FLAC은 Vorbis comment(챕터 포함, FLAC 표지는 PICTURE 블록),
+     * WAV는 텍스트를 LIST/INFO, 표지 이미지를 id3 청크로 기록
+     * @param {Blob} blob - 인코딩 결과
+     * @param {Object} encoding - 인코딩 정보
+     * @param {Object} tags - 출력 태그
+     * @param {Object[]} chapters - 챕터 (MP3/OGG/FLAC만 사용)
+     * @returns {Promise<Blob>}
+     */
+    async createTaggedOutput(blob, encoding, tags, chapters) {
+        if (encoding.format === 'mp3') {
+            return this.createTaggedMp3([blob], tags, chapters);
         }
-        
-        const mp3End = mp3encoder.flush();
-        if (mp3End.length > 0) {
-            mp3Data.push(mp3End);
+        if (encoding.format === 'ogg') {
+            const pages = OggWriter.replaceComment(new Uint8Array(await blob.arrayBuffer()), tags, chapters);
+            return new Blob(pages, { type: AudioProcessor.MIME_TYPES.ogg });
         }
-        
-        return new Blob(mp3Data, { type: 'audio/mp3' });
+        if (encoding.format === 'flac') {
+            const parts = FlacEncoder.replaceMetadata(new Uint8Array(await blob.arrayBuffer()), tags, chapters);
+            return new Blob(parts, { type: AudioProcessor.MIME_TYPES.flac });
+        }
+        return WavInfoWriter.appendChunks(blob, [
+            WavInfoWriter.createInfoChunk(tags),
+            WavInfoWriter.createId3Chunk(tags.picture ? Id3Writer.createTag(tags) : new Uint8Array(0))
+        ]);
     }
 
     /**
-     * 병합된 오디오를 지정된 형식으로 내보내기
-     * @param {string} format - 'mp3' 또는 'wav'
-     * @param {number} bitrate - MP3 비트레이트 (kbps)
-     * @param {Function} onProgress - 진행률 콜백
-     * @returns {Promise<Blob>}
+     * 병합 결과 1초당 예상 바이트 수 (MP3/OGG/FLAC은 평균 비트레이트, WAV는 PCM 크기 기준)
+     * @returns {number}
+     */
+    getCombinedBytesPerSecond() {
+        const encoding = this.combinedEncoding;
+        if (encoding.format !== 'wav') {
+            return encoding.bitrate * 1000 / 8;
+        }
+        return encoding.sampleRate * encoding.channels * encoding.bitDepth / 8;
+    }
+
+    /**
+     * 최대 파일 크기에 맞는 파트 최대 길이 추정
+     * 태그(표지 이미지 포함)와 헤더 몫을 빼고, VBR 비트레이트 변동을 고려해 2% 여유를 둠
+     * @param {number} maxBytes - 최대 파일 크기 (바이트)
+     * @returns {number} 최대 길이 (초)
      */
-    async exportAudio(format = 'mp3', bitrate = 192, onProgress = () => {}) {
+    getMaxPartDuration(maxBytes) {
+        const tags = this.combinedExport.metadata.tags || {};
+        const overhead = (tags.picture ? tags.picture.data.length * 2 : 0) + 16 * 1024;
+        return Math.max(1, (maxBytes * 0.98 - overhead) / this.getCombinedBytesPerSecond());
+    }
+
+    /**
+     * 병합 결과를 나눌 때 우선할 지점 (트랙 경계, 무음 구간 순)
+     * @returns {number[][]} 우선순위별 지점 목록 (초)
+     */
+    getPreferredSplitPoints() {
+        if (!this.combinedLevels) {
+            this.combinedLevels = AudioDSP.getLevels(this.combinedBuffer);
+        }
+
+        const duration = this.combinedBuffer.duration;
+        const boundaries = this.combinedSegments.slice(1).map(segment => segment.startTime);
+        const silences = AudioDSP.getSilenceSplitPoints(this.combinedLevels, {
+            threshold: AudioProcessor.SPLIT_SILENCE_THRESHOLD,
+            minDuration: AudioProcessor.SPLIT_SILENCE_MIN_DURATION
+        }, duration);
+        return [boundaries, silences];
+    }
+
+    /**
+     * 병합 결과를 최대 길이 이하의 파트로 나눌 지점 계산
+     * @param {number} maxDuration - 파트 최대 길이 (초)
+     * @returns {number[]} 나눌 지점 (초, 나눌 필요가 없으면 빈 배열)
+     */
+    getCombinedSplitPoints(maxDuration) {
         if (!this.combinedBuffer) {
             throw new Error('병합된 오디오가 없습니다.');
         }
+        return AudioDSP.getLimitedSplitPoints(this.combinedBuffer.duration, maxDuration, this.getPreferredSplitPoints());
+    }
 
-        onProgress(90);
-        
-        const wavBlob = this.audioBufferToWav(this.combinedBuffer);
-        
-        if (format === 'wav') {
-            this.combinedBlob = wavBlob;
-            onProgress(100);
-            return wavBlob;
+    /**
+     * 병합 결과를 여러 파일로 나누어 내보내기 (결과와 같은 형식·품질·태그)
+     * 파트마다 걸친 챕터만 파트 기준 시간으로 옮겨 기록하고, 제목이 있으면 파트 번호를 붙임
+     * @param {number[]} points - 나눌 지점 (초, 오름차순)
+     * @param {string} baseName - 파일명 (확장자 제외)
+     * @param {Function} onProgress - 진행률 콜백 (0~100)
+     * @returns {Promise<Array<{newFilename: string, blob: Blob, startTime: number, endTime: number, duration: number, size: number, encoding: Object}>>}
+     */
+    async exportParts(points, baseName, onProgress = () => {}) {
+        if (!this.combinedBuffer || !this.combinedExport) {
+            throw new Error('병합된 오디오가 없습니다.');
         }
 
-        // MP3 변환 시도
-        try {
-            this.combinedBlob = await this.wavToMp3(wavBlob, bitrate);
-        } catch (error) {
-            console.warn('MP3 encoding failed, using WAV:', error);
-            this.combinedBlob = wavBlob;
+        const { format, encodeOptions, metadata } = this.combinedExport;
+        const tags = metadata.tags || {};
+        const buffer = this.combinedBuffer;
+        const times = [0, ...points, buffer.duration];
+        const partCount = times.length - 1;
+        const results = [];
+
+        for (let i = 0; i < partCount; i++) {
+            const range = this.getTrimRange(buffer, { trimStart: times[i], trimEnd: times[i + 1] });
+            const part = PcmBuffer.fromAudioBuffer(buffer, range.start, range.end);
+            const startTime = range.start / buffer.sampleRate;
+            const endTime = range.end / buffer.sampleRate;
+
+            const output = await this.encodeAs(part, format, encodeOptions, (progress) => {
+                onProgress(((i + progress) / partCount) * 100);
+            });
+
+            const chapters = this.combinedChapters
+                .filter(chapter => chapter.endTime > startTime && chapter.startTime < endTime)
+                .map(chapter => Object.assign({}, chapter, {
+                    startTime: Math.max(chapter.startTime, startTime) - startTime,
+                    endTime: Math.min(chapter.endTime, endTime) - startTime
+                }));
+            const partTags = tags.title
+                ? Object.assign({}, tags, { title: `${tags.title} (${i + 1}/${partCount})` })
+                : tags;
+            const blob = await this.createTaggedOutput(output.blob, output.encoding, partTags, chapters);
+
+            results.push({
+                newFilename: this.getPartFilename(baseName, i, partCount, output.encoding.format),
+                blob: blob,
+                startTime: startTime,
+                endTime: endTime,
+                duration: part.duration,
+                size: blob.size,
+                encoding: output.encoding
+            });
         }
-        
-        onProgress(100);
+
+        return results;
+    }
+
+    /**
+     * 나눈 파트의 파일명 (자릿수를 맞춘 번호, 예: name_01.mp3)
+     * @param {string} baseName - 파일명 (확장자 제외)
+     * @param {number} index - 파트 순서 (0부터)
+     * @param {number} count - 전체 파트 수
+     * @param {string} extension - 확장자
+     * @returns {string}
+     */
+    getPartFilename(baseName, index, count, extension) {
+        const digits = Math.max(2, String(count).length);
+        return `${baseName}_${String(index + 1).padStart(digits, '0')}.${extension}`;
+    }
+
+    /**
+     * 재인코딩 없이 합치기 위해 MP3 파일 분석
+     * @param {File[]} files - 입력 파일
+     * @param {Function} onProgress - 진행률 콜백
+     * @returns {Promise<{analyses: Object[], reason: string|null}>} 합칠 수 없으면 reason에 이유
+     */
+    async analyzeMp3Files(files, onProgress = () => {}) {
+        const analyses = [];
+        for (let i = 0; i < files.length; i++) {
+            try {
+                analyses.push(await Mp3Frames.analyze(files[i]));
+            } catch (error) {
+                console.warn(`Failed to analyze ${files[i].name}:`, error);
+                analyses.push(null);
+            }
+            onProgress(((i + 1) / files.length) * 50);
+        }
+        return { analyses, reason: Mp3Frames.getIncompatibility(analyses) };
+    }
+
+    /**
+     * MP3 프레임을 재인코딩 없이 이어 붙이기
+     * 파일별 ID3 태그와 Xing/LAME 헤더는 빼고, 전체 프레임 수와 TOC를 담은 새 Xing 헤더를 앞에 기록
+     * @param {File[]} files - MP3 파일
+     * @param {Object[]} analyses - analyzeMp3Files 결과
+     * @param {Object} metadata - 메타데이터 (exportAudio 참고)
+     * @returns {Blob}
+     */
+    concatMp3(files, analyses, metadata = {}) {
+        const { parts, encoding, segments, duration } = Mp3Frames.concat(files, analyses);
+
+        this.combinedBuffer = null;
+        this.combinedLevels = null;
+        this.combinedExport = null;
+        this.combinedLoudness = null;
+        this.pauseReduction = null;
+        this.combinedSegments = segments;
+        this.combinedDuration = duration;
+        this.combinedChapters = this.getChapters(metadata.chapters);
+        this.combinedBlob = this.createTaggedMp3(parts, metadata.tags || {});
+
+        encoding.chapters = this.combinedChapters.length;
+        this.combinedEncoding = encoding;
         return this.combinedBlob;
     }
 
@@ -377,7 +714,7 @@ class AudioProcessor {
      */
     getCombinedDuration() {
         if (!this.combinedBuffer) {
-            return 0;
+            return this.combinedDuration;
         }
         return this.combinedBuffer.duration;
     }
@@ -392,61 +729,125 @@ class AudioProcessor {
             URL.revokeObjectURL(URL.createObjectURL(this.combinedBlob));
             this.combinedBlob = null;
         }
+        this.combinedEncoding = null;
+        this.combinedLoudness = null;
+        this.combinedSegments = [];
+        this.combinedChapters = [];
+        this.combinedDuration = 0;
+        this.pauseReduction = null;
+        this.combinedExport = null;
+        this.combinedLevels = null;
     }
 
     /**
      * 단일 오디오 파일을 다른 형식으로 변환
      * @param {File} file - 변환할 오디오 파일
-     * @param {string} targetFormat - 대상 형식 ('mp3', 'wav', 'ogg')
-     * @param {number} bitrate - 비트레이트 (kbps)
+     * @param {string} targetFormat - 대상 형식 ('mp3', 'wav', 'ogg', 'flac')
+     * @param {Object} encodeOptions - 인코딩 옵션 (encodeAs 참고)
      * @param {number} sampleRate - 샘플레이트 (Hz)
-     * @returns {Promise<{blob: Blob, duration: number}>}
+     * @param {Function} onProgress - 인코딩 진행률 콜백 (0~1)
+     * @returns {Promise<{blob: Blob, duration: number, encoding: Object}>}
      */
-    async convertFile(file, targetFormat = 'mp3', bitrate = 192, sampleRate = 44100) {
-        // 파일 읽기 및 디코딩
-        const arrayBuffer = await this.readFileAsArrayBuffer(file);
-        const audioBuffer = await this.decodeAudioData(arrayBuffer);
+    async convertFile(file, targetFormat = 'mp3', encodeOptions = {}, sampleRate = 44100, onProgress = () => {}) {
+        // 파일 읽기 및 디코딩 (인코더 지연/패딩 제거)
+        const audioBuffer = await this.decodeFile(file);
         
-        // 샘플레이트가 다른 경우 리샘플링
+        // 샘플레이트가 다른 경우 리샘플링 (진행률 0-30%, 인코딩 30-100%)
         let processedBuffer = audioBuffer;
+        let encodeProgress = onProgress;
         if (audioBuffer.sampleRate !== sampleRate) {
-            processedBuffer = await this.resampleBuffer(audioBuffer, sampleRate);
-        }
-        
-        // WAV로 변환
-        const wavBlob = this.audioBufferToWavWithSampleRate(processedBuffer, sampleRate);
-        
-        let outputBlob;
-        
-        // 대상 형식으로 변환
-        if (targetFormat === 'wav') {
-            outputBlob = wavBlob;
-        } else if (targetFormat === 'mp3') {
-            outputBlob = await this.wavToMp3(wavBlob, bitrate);
-        } else if (targetFormat === 'ogg') {
-            // OGG 변환은 브라우저 지원 한계로 WAV로 대체
-            outputBlob = wavBlob;
-            console.warn('OGG encoding not supported, using WAV');
-        } else {
-            outputBlob = wavBlob;
+            processedBuffer = await this.resampleBuffer(audioBuffer, sampleRate, (progress) => onProgress(progress * 0.3));
+            encodeProgress = (progress) => onProgress(0.3 + progress * 0.7);
         }
         
+        const output = await this.encodeAs(processedBuffer, targetFormat, encodeOptions, encodeProgress);
+
         return {
-            blob: outputBlob,
-            duration: processedBuffer.duration
+            blob: output.blob,
+            duration: processedBuffer.duration,
+            encoding: output.encoding
         };
     }
 
+    /**
+     * 대상 형식으로 인코딩 (Worker에서 인코딩)
+     * @param {AudioBuffer|PcmBuffer} buffer - 오디오 버퍼
+     * @param {string} targetFormat - 대상 형식 ('mp3', 'wav', 'ogg', 'flac')
+     * @param {Object} encodeOptions - 인코딩 옵션 (MP3는 encodeMp3, OGG는 encodeOgg, FLAC은 encodeFlac, WAV는 encodeWav 참고)
+     * @param {Function} onProgress - 진행률 콜백 (0~1)
+     * @returns {Promise<{blob: Blob, encoding: Object}>}
+     */
+    encodeAs(buffer, targetFormat, encodeOptions, onProgress) {
+        if (targetFormat === 'mp3') {
+            return this.encodeMp3(buffer, encodeOptions, onProgress);
+        }
+        if (targetFormat === 'ogg') {
+            return this.encodeOgg(buffer, encodeOptions, onProgress);
+        }
+        if (targetFormat === 'flac') {
+            return this.encodeFlac(buffer, encodeOptions, onProgress);
+        }
+        return this.encodeWav(buffer, encodeOptions, onProgress);
+    }
+
+    /**
+     * 한 파일을 여러 지점에서 나누어 각각 인코딩
+     * 디코딩과 리샘플링은 한 번만 하고, 나눈 구간은 번호를 붙인 파일명으로 반환
+     * @param {File} file - 나눌 오디오 파일
+     * @param {number[]} points - 나눌 지점 (초, 오름차순)
+     * @param {string} targetFormat - 대상 형식 ('mp3', 'wav', 'ogg', 'flac')
+     * @param {Object} encodeOptions - 인코딩 옵션 (encodeAs 참고)
+     * @param {number} sampleRate - 샘플레이트 (Hz)
+     * @param {Function} onProgress - 진행률 콜백 (0~100)
+     * @returns {Promise<Array<{newFilename: string, blob: Blob, startTime: number, endTime: number, duration: number, size: number, encoding: Object}>>}
+     */
+    async splitFile(file, points, targetFormat = 'mp3', encodeOptions = {}, sampleRate = 44100, onProgress = () => {}) {
+        // 파일 읽기 및 디코딩 (인코더 지연/패딩 제거)
+        let buffer = await this.decodeFile(file);
+
+        // 샘플레이트가 다른 경우 전체를 먼저 리샘플링 (진행률 0-20%, 인코딩 20-100%)
+        let encodeStart = 0;
+        if (buffer.sampleRate !== sampleRate) {
+            buffer = await this.resampleBuffer(buffer, sampleRate, (progress) => onProgress(progress * 20));
+            encodeStart = 20;
+        }
+
+        const times = [0, ...points, buffer.duration];
+        const partCount = times.length - 1;
+        const baseName = file.name.replace(/\.[^/.]+$/, '');
+        const results = [];
+
+        for (let i = 0; i < partCount; i++) {
+            const range = this.getTrimRange(buffer, { trimStart: times[i], trimEnd: times[i + 1] });
+            const part = PcmBuffer.fromAudioBuffer(buffer, range.start, range.end);
+            const output = await this.encodeAs(part, targetFormat, encodeOptions, (progress) => {
+                onProgress(encodeStart + ((i + progress) / partCount) * (100 - encodeStart));
+            });
+
+            results.push({
+                newFilename: this.getPartFilename(baseName, i, partCount, output.encoding.format),
+                blob: output.blob,
+                startTime: range.start / sampleRate,
+                endTime: range.end / sampleRate,
+                duration: part.duration,
+                size: output.blob.size,
+                encoding: output.encoding
+            });
+        }
+
+        return results;
+    }
+
     /**
      * 여러 파일을 일괄 변환
      * @param {File[]} files - 변환할 파일 배열
      * @param {string} targetFormat - 대상 형식
-     * @param {number} bitrate - 비트레이트
+     * @param {Object} encodeOptions - 인코딩 옵션 (encodeAs 참고)
      * @param {number} sampleRate - 샘플레이트
      * @param {Function} onProgress - 진행률 콜백
-     * @returns {Promise<Array<{originalName: string, blob: Blob, duration: number}>>}
+     * @returns {Promise<Array<{originalName: string, blob: Blob, duration: number, encoding: Object}>>}
      */
-    async convertFiles(files, targetFormat = 'mp3', bitrate = 192, sampleRate = 44100, onProgress = () => {}) {
+    async convertFiles(files, targetFormat = 'mp3', encodeOptions = {}, sampleRate = 44100, onProgress = () => {}) {
         const results = [];
         const total = files.length;
         
@@ -454,18 +855,22 @@ class AudioProcessor {
             const file = files[i];
             
             try {
-                const result = await this.convertFile(file, targetFormat, bitrate, sampleRate);
+                // 파일 내 인코딩 진행률까지 반영
+                const result = await this.convertFile(file, targetFormat, encodeOptions, sampleRate, (progress) => {
+                    onProgress(((i + progress) / total) * 100);
+                });
                 
-                // 새 파일명 생성
+                // 새 파일명 생성 (실제 생성된 형식의 확장자 사용)
                 const originalName = file.name.replace(/\.[^/.]+$/, '');
-                const newFilename = `${originalName}.${targetFormat}`;
+                const newFilename = `${originalName}.${result.encoding.format}`;
                 
                 results.push({
                     originalName: file.name,
                     newFilename: newFilename,
                     blob: result.blob,
                     duration: result.duration,
-                    size: result.blob.size
+                    size: result.blob.size,
+                    encoding: result.encoding
                 });
             } catch (error) {
                 console.error(`Error converting ${file.name}:`, error);
@@ -485,76 +890,28 @@ class AudioProcessor {
      * AudioBuffer를 지정된 샘플레이트로 리샘플링
      * @param {AudioBuffer} audioBuffer - 원본 오디오 버퍼
      * @param {number} targetSampleRate - 목표 샘플레이트
-     * @returns {Promise<AudioBuffer>}
+     * @param {Function} onProgress - 진행률 콜백 (0~1)
+     * @returns {Promise<PcmBuffer>}
      */
-    async resampleBuffer(audioBuffer, targetSampleRate) {
-        // 오프라인 오디오 컨텍스트를 사용한 리샘플링
-        const duration = audioBuffer.duration;
-        const newLength = Math.ceil(duration * targetSampleRate);
-        
-        const offlineContext = new OfflineAudioContext(
-            audioBuffer.numberOfChannels,
-            newLength,
-            targetSampleRate
+    async resampleBuffer(audioBuffer, targetSampleRate, onProgress = () => {}) {
+        // 병합과 같은 대역 제한 리샘플러 사용 (Worker에서 실행)
+        const pcmBuffer = PcmBuffer.fromAudioBuffer(audioBuffer);
+        const result = await this.runTask(
+            'resample',
+            { buffer: pcmBuffer.toMessage(), sampleRate: targetSampleRate },
+            pcmBuffer.getTransferList(),
+            onProgress
         );
-        
-        const source = offlineContext.createBufferSource();
-        source.buffer = audioBuffer;
-        source.connect(offlineContext.destination);
-        source.start(0);
-        
-        return await offlineContext.startRendering();
-    }
-
-    /**
-     * AudioBuffer를 지정된 샘플레이트의 WAV Blob으로 변환
-     * @param {AudioBuffer} audioBuffer - 오디오 버퍼
-     * @param {number} sampleRate - 샘플레이트
-     * @returns {Blob}
-     */
-    audioBufferToWavWithSampleRate(audioBuffer, sampleRate) {
-        const numOfChannels = audioBuffer.numberOfChannels;
-        const format = 1; // PCM
-        const bitDepth = 16;
-        
-        const bytesPerSample = bitDepth / 8;
-        const blockAlign = numOfChannels * bytesPerSample;
-        
-        const buffer = audioBuffer;
-        const length = buffer.length * blockAlign;
-        const arrayBuffer = new ArrayBuffer(44 + length);
-        const view = new DataView(arrayBuffer);
-        
-        // WAV 헤더 작성
-        this.writeString(view, 0, 'RIFF');
-        view.setUint32(4, 36 + length, true);
-        this.writeString(view, 8, 'WAVE');
-        this.writeString(view, 12, 'fmt ');
-        view.setUint32(16, 16, true);
-        view.setUint16(20, format, true);
-        view.setUint16(22, numOfChannels, true);
-        view.setUint32(24, sampleRate, true);
-        view.setUint32(28, sampleRate * blockAlign, true);
-        view.setUint16(32, blockAlign, true);
-        view.setUint16(34, bitDepth, true);
-        this.writeString(view, 36, 'data');
-        view.setUint32(40, length, true);
-        
-        // 오디오 데이터 작성
-        let offset = 44;
-        for (let i = 0; i < buffer.length; i++) {
-            for (let channel = 0; channel < numOfChannels; channel++) {
-                let sample = buffer.getChannelData(channel)[i];
-                sample = Math.max(-1, Math.min(1, sample));
-                sample = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
-                view.setInt16(offset, sample, true);
-                offset += 2;
-            }
-        }
-        
-        return new Blob([arrayBuffer], { type: 'audio/wav' });
+        return PcmBuffer.fromMessage(result.buffer);
     }
 }
 
+// 병합 결과를 나눌 때 우선할 무음 구간의 검출 기준
+AudioProcessor.SPLIT_SILENCE_THRESHOLD = -50; // dBFS
+AudioProcessor.SPLIT_SILENCE_MIN_DURATION = 0.5; // 초
+
+// 출력 형식별 MIME 타입
+AudioProcessor.MIME_TYPES = { mp3: 'audio/mpeg', wav: 'audio/wav', ogg: 'audio/ogg', flac: 'audio/flac' };
+
 // 전역으로 내보내기
 window.AudioProcessor = AudioProcessor;
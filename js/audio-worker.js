@@ -0,0 +1,37 @@
+/**
+ * MP3 Combiner - Audio Worker
+ * 병합/인코딩 작업을 UI 스레드와 분리하여 실행하는 Web Worker
+ *
+ * 메시지 형식
+ *   요청: { id, type, payload }
+ *   응답: { id, status: 'progress', progress } | { id, status: 'done', result } | { id, status: 'error', message, buffer }
+ *   (실패해도 전송받은 PCM 버퍼는 buffer로 돌려보내 요청한 쪽에서 다시 쓸 수 있게 함)
+ */
+
+importScripts('lib/wasm-media-encoders.min.js', 'vorbis-comment-writer.js', 'ogg-writer.js', 'md5.js', 'flac-encoder.js', 'audio-dsp.js');
+
+self.addEventListener('message', async (e) => {
+    const { id, type, payload } = e.data;
+
+    // 진행률 메시지는 1% 단위로만 전송
+    let lastProgress = -1;
+    const onProgress = (progress) => {
+        const rounded = Math.floor(progress * 100);
+        if (rounded !== lastProgress) {
+            lastProgress = rounded;
+            self.postMessage({ id, status: 'progress', progress });
+        }
+    };
+
+    try {
+        const { result, transfer } = await AudioDSP.runTask(type, payload, onProgress);
+        self.postMessage({ id, status: 'done', result }, transfer);
+    } catch (error) {
+        const buffer = payload && payload.buffer;
+        const transfer = buffer ? buffer.channelData.map(data => data.buffer) : [];
+        self.postMessage({ id, status: 'error', message: error.message, buffer }, transfer);
+    }
+});
+
+// 스크립트 로드 완료 알림
+self.postMessage({ status: 'ready' });
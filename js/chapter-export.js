@@ -0,0 +1,135 @@
+/**
+ * MP3 Combiner - Chapter Export
+ * 병합 결과의 트랙 구간으로 챕터/큐 사이드카 파일 생성 (CUE, 타임스탬프 텍스트, WebVTT, JSON)
+ */
+
+class ChapterExporter {
+    /**
+     * 사이드카 파일 생성
+     * @param {string} type - 'cue', 'txt', 'vtt', 'json'
+     * @param {Object} info - 병합 결과 정보
+     * @param {string} info.audioFilename - 오디오 파일명
+     * @param {Object} info.encoding - 인코딩 정보 (format, sampleRate 등)
+     * @param {number} info.duration - 전체 길이 (초)
+     * @param {Array<{title: string, source: string, startTime: number, endTime: number}>} info.chapters - 챕터 목록 (시간: 초)
+     * @returns {{content: string, extension: string, mimeType: string}}
+     */
+    static create(type, info) {
+        switch (type) {
+            case 'cue':
+                return { content: ChapterExporter.toCue(info), extension: 'cue', mimeType: 'application/x-cue' };
+            case 'txt':
+                return { content: ChapterExporter.toTimestamps(info), extension: 'txt', mimeType: 'text/plain' };
+            case 'vtt':
+                return { content: ChapterExporter.toWebVtt(info), extension: 'vtt', mimeType: 'text/vtt' };
+            case 'json':
+                return { content: ChapterExporter.toJson(info), extension: 'json', mimeType: 'application/json' };
+            default:
+                throw new Error(`지원하지 않는 형식입니다: ${type}`);
+        }
+    }
+
+    /**
+     * CUE 시트 (INDEX 시간은 MM:SS:FF, 1초 = 75프레임)
+     */
+    static toCue({ audioFilename, encoding, chapters }) {
+        const quote = (text) => `"${text.replace(/"/g, "'")}"`;
+        const fileType = encoding.format === 'mp3' ? 'MP3' : 'WAVE';
+        const lines = [
+            `TITLE ${quote(audioFilename.replace(/\.[^/.]+$/, ''))}`,
+            `FILE ${quote(audioFilename)} ${fileType}`
+        ];
+
+        chapters.forEach((chapter, index) => {
+            lines.push(`  TRACK ${String(index + 1).padStart(2, '0')} AUDIO`);
+            lines.push(`    TITLE ${quote(chapter.title)}`);
+            lines.push(`    INDEX 01 ${ChapterExporter.formatCueTime(chapter.startTime)}`);
+        });
+
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * 영상 설명란 형식의 타임스탬프 목록 (예: "01:05 제목", 1시간 이상이면 "1:01:05 제목")
+     */
+    static toTimestamps({ duration, chapters }) {
+        const withHours = duration >= 3600;
+        return chapters
+            .map(chapter => `${ChapterExporter.formatTimestamp(chapter.startTime, withHours)} ${chapter.title}`)
+            .join('\n') + '\n';
+    }
+
+    /**
+     * WebVTT 챕터 트랙
+     */
+    static toWebVtt({ chapters }) {
+        const cues = chapters.map((chapter, index) => [
+            String(index + 1),
+            `${ChapterExporter.formatVttTime(chapter.startTime)} --> ${ChapterExporter.formatVttTime(chapter.endTime)}`,
+            chapter.title
+        ].join('\n'));
+
+        return ['WEBVTT', ...cues].join('\n\n') + '\n';
+    }
+
+    /**
+     * JSON 매니페스트 (시간: 초, 밀리초 단위로 반올림)
+     */
+    static toJson({ audioFilename, encoding, duration, chapters }) {
+        const round = (seconds) => Math.round(seconds * 1000) / 1000;
+        return JSON.stringify({
+            audio: audioFilename,
+            format: encoding.format,
+            sampleRate: encoding.sampleRate,
+            duration: round(duration),
+            chapters: chapters.map((chapter, index) => ({
+                index: index + 1,
+                title: chapter.title,
+                source: chapter.source,
+                startTime: round(chapter.startTime),
+                endTime: round(chapter.endTime),
+                duration: round(chapter.endTime - chapter.startTime)
+            }))
+        }, null, 2) + '\n';
+    }
+
+    /**
+     * CUE 시간 (MM:SS:FF)
+     */
+    static formatCueTime(seconds) {
+        const totalFrames = Math.round(seconds * 75);
+        const frames = totalFrames % 75;
+        const totalSeconds = Math.floor(totalFrames / 75);
+        return [Math.floor(totalSeconds / 60), totalSeconds % 60, frames]
+            .map(value => String(value).padStart(2, '0'))
+            .join(':');
+    }
+
+    /**
+     * 타임스탬프 (MM:SS 또는 H:MM:SS)
+     */
+    static formatTimestamp(seconds, withHours) {
+        const total = Math.floor(seconds);
+        const pad = (value) => String(value).padStart(2, '0');
+        const mins = Math.floor(total / 60) % 60;
+        const secs = total % 60;
+        return withHours
+            ? `${Math.floor(total / 3600)}:${pad(mins)}:${pad(secs)}`
+            : `${pad(Math.floor(total / 60))}:${pad(secs)}`;
+    }
+
+    /**
+     * WebVTT 시간 (HH:MM:SS.mmm)
+     */
+    static formatVttTime(seconds) {
+        const totalMs = Math.round(seconds * 1000);
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        const hours = Math.floor(totalMs / 3600000);
+        const mins = Math.floor(totalMs / 60000) % 60;
+        const secs = Math.floor(totalMs / 1000) % 60;
+        return `${pad(hours)}:${pad(mins)}:${pad(secs)}.${pad(totalMs % 1000, 3)}`;
+    }
+}
+
+// 전역으로 내보내기
+window.ChapterExporter = ChapterExporter;
@@ -0,0 +1,750 @@
+/**
+ * MP3 Combiner - FLAC Encoder
+ * 정수 PCM 블록을 FLAC 프레임으로 인코딩 (고정/LPC 예측, 라이스 부호화, 스테레오 상관 제거)
+ * 메타데이터(STREAMINFO, VORBIS_COMMENT, PICTURE) 생성과 교체
+ */
+
+class FlacEncoder {
+    /**
+     * @param {number} channels - 채널 수 (1~8)
+     * @param {number} sampleRate - 샘플레이트
+     * @param {number} bitDepth - 비트 깊이 (16 또는 24)
+     * @param {number} compressionLevel - 압축 레벨 (0~8)
+     */
+    constructor(channels, sampleRate, bitDepth, compressionLevel = 5) {
+        if (channels < 1 || channels > 8) {
+            throw new Error(`FLAC은 1~8채널만 지원합니다 (현재 ${channels}채널).`);
+        }
+
+        const level = FlacEncoder.LEVELS[Math.max(0, Math.min(8, compressionLevel))];
+        this.channels = channels;
+        this.sampleRate = sampleRate;
+        this.bitDepth = bitDepth;
+        this.blockSize = level.blockSize;
+        this.maxLpcOrder = level.maxLpcOrder;
+        this.maxPartitionOrder = level.maxPartitionOrder;
+        this.useStereo = level.stereo && channels === 2;
+
+        this.frameNumber = 0;
+        this.totalSamples = 0;
+        this.minFrameSize = Infinity;
+        this.maxFrameSize = 0;
+        this.md5 = new Md5();
+
+        // 프레임 버퍼 (최악의 경우 VERBATIM: 채널마다 비트 깊이 + 1비트)
+        this.bytes = new Uint8Array(Math.ceil(this.blockSize * channels * (bitDepth + 1) / 8) + 64);
+        this.position = 0;
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+
+        // 예측 잔차와 LPC 계산용 작업 버퍼
+        this.residual = new Int32Array(this.blockSize);
+        this.bestResidual = new Int32Array(this.blockSize);
+        this.window = FlacEncoder.getTukeyWindow(this.blockSize, 0.5);
+        this.windowed = new Float64Array(this.blockSize);
+    }
+
+    /**
+     * 한 블록 인코딩 (마지막 블록만 blockSize보다 짧을 수 있음)
+     * @param {Int32Array[]} samples - 채널별 정수 샘플
+     * @returns {Uint8Array} FLAC 프레임
+     */
+    encodeBlock(samples) {
+        const length = samples[0].length;
+        this.updateMd5(samples, length);
+
+        // 스테레오는 좌/우, 좌/사이드, 사이드/우, 미드/사이드 중 예상 크기가 가장 작은 조합 사용
+        let assignment = this.channels - 1;
+        let subframes = samples.map(data => ({ data, bitDepth: this.bitDepth }));
+        if (this.useStereo && length > 4) {
+            const stereo = this.getStereoSubframes(samples[0], samples[1], length);
+            assignment = stereo.assignment;
+            subframes = stereo.subframes;
+        }
+
+        this.position = 0;
+        this.writeFrameHeader(length, assignment);
+        subframes.forEach(subframe => this.writeSubframe(subframe.data, length, subframe.bitDepth));
+        this.flushBits();
+
+        const crc = FlacEncoder.crc16(this.bytes, 0, this.position);
+        this.bytes[this.position++] = crc >> 8;
+        this.bytes[this.position++] = crc & 0xFF;
+
+        this.frameNumber++;
+        this.totalSamples += length;
+        this.minFrameSize = Math.min(this.minFrameSize, this.position);
+        this.maxFrameSize = Math.max(this.maxFrameSize, this.position);
+        return this.bytes.slice(0, this.position);
+    }
+
+    /**
+     * 원본 샘플을 리틀 엔디언 인터리브 바이트로 만들어 MD5에 추가 (FLAC 사양)
+     */
+    updateMd5(samples, length) {
+        const bytesPerSample = this.bitDepth / 8;
+        const bytes = new Uint8Array(length * this.channels * bytesPerSample);
+        let offset = 0;
+        for (let i = 0; i < length; i++) {
+            for (let channel = 0; channel < this.channels; channel++) {
+                const sample = samples[channel][i];
+                for (let b = 0; b < bytesPerSample; b++) {
+                    bytes[offset++] = (sample >> (b * 8)) & 0xFF;
+                }
+            }
+        }
+        this.md5.update(bytes);
+    }
+
+    /**
+     * 스테레오 상관 제거 방식 선택 (2차 고정 예측 잔차의 절댓값 합으로 추정)
+     * @returns {{assignment: number, subframes: Array<{data: Int32Array, bitDepth: number}>}}
+     */
+    getStereoSubframes(left, right, length) {
+        const mid = new Int32Array(length);
+        const side = new Int32Array(length);
+        for (let i = 0; i < length; i++) {
+            mid[i] = (left[i] + right[i]) >> 1;
+            side[i] = left[i] - right[i];
+        }
+
+        const cost = [left, right, mid, side].map(data => {
+            let sum = 0;
+            for (let i = 2; i < length; i++) {
+                sum += Math.abs(data[i] - 2 * data[i - 1] + data[i - 2]);
+            }
+            return sum;
+        });
+
+        const bitDepth = this.bitDepth;
+        const options = [
+            { assignment: 1, cost: cost[0] + cost[1], subframes: [{ data: left, bitDepth }, { data: right, bitDepth }] },
+            { assignment: 8, cost: cost[0] + cost[3], subframes: [{ data: left, bitDepth }, { data: side, bitDepth: bitDepth + 1 }] },
+            { assignment: 9, cost: cost[3] + cost[1], subframes: [{ data: side, bitDepth: bitDepth + 1 }, { data: right, bitDepth }] },
+            { assignment: 10, cost: cost[2] + cost[3], subframes: [{ data: mid, bitDepth }, { data: side, bitDepth: bitDepth + 1 }] }
+        ];
+        return options.reduce((best, option) => option.cost < best.cost ? option : best);
+    }
+
+    /**
+     * 프레임 헤더 기록 (고정 블록 크기, 프레임 번호는 UTF-8 방식 가변 길이)
+     */
+    writeFrameHeader(length, assignment) {
+        const blockSizeCode = length === this.blockSize && FlacEncoder.BLOCK_SIZE_CODES[length]
+            ? FlacEncoder.BLOCK_SIZE_CODES[length]
+            : (length <= 256 ? 6 : 7);
+        const sampleRateCode = FlacEncoder.getSampleRateCode(this.sampleRate);
+
+        this.writeBits(0xFFF8, 16); // 동기 코드 + 예약 비트 + 고정 블록 크기
+        this.writeBits(blockSizeCode, 4);
+        this.writeBits(sampleRateCode, 4);
+        this.writeBits(assignment, 4);
+        this.writeBits(FlacEncoder.SAMPLE_SIZE_CODES[this.bitDepth], 3);
+        this.writeBits(0, 1);
+        this.writeUtf8Number(this.frameNumber);
+
+        if (blockSizeCode === 6) {
+            this.writeBits(length - 1, 8);
+        } else if (blockSizeCode === 7) {
+            this.writeBits(length - 1, 16);
+        }
+        if (sampleRateCode === 12) {
+            this.writeBits(this.sampleRate / 1000, 8);
+        } else if (sampleRateCode === 13) {
+            this.writeBits(this.sampleRate, 16);
+        }
+
+        this.bytes[this.position] = FlacEncoder.crc8(this.bytes, 0, this.position);
+        this.position++;
+    }
+
+    /**
+     * 서브프레임 기록 (CONSTANT, FIXED, LPC, VERBATIM 중 가장 작은 것)
+     * @param {Int32Array} data - 샘플
+     * @param {number} length - 샘플 수
+     * @param {number} bitDepth - 서브프레임 비트 깊이 (사이드 채널은 1비트 더 큼)
+     */
+    writeSubframe(data, length, bitDepth) {
+        let isConstant = true;
+        for (let i = 1; i < length && isConstant; i++) {
+            isConstant = data[i] === data[0];
+        }
+        if (isConstant) {
+            this.writeBits(0, 8); // 패딩 비트 + CONSTANT + 낭비 비트 없음
+            this.writeSigned(data[0], bitDepth);
+            return;
+        }
+
+        let best = { type: 'verbatim', bits: length * bitDepth };
+
+        const fixed = this.getFixedCandidate(data, length, bitDepth);
+        if (fixed && fixed.bits < best.bits) {
+            best = fixed;
+            this.bestResidual.set(this.residual.subarray(0, length));
+        }
+
+        if (this.maxLpcOrder > 0 && length > this.maxLpcOrder * 2) {
+            const lpc = this.getLpcCandidate(data, length, bitDepth);
+            if (lpc && lpc.bits < best.bits) {
+                best = lpc;
+                this.bestResidual.set(this.residual.subarray(0, length));
+            }
+        }
+
+        if (best.type === 'verbatim') {
+            this.writeBits(0x02, 8);
+            for (let i = 0; i < length; i++) {
+                this.writeSigned(data[i], bitDepth);
+            }
+            return;
+        }
+
+        // 서브프레임 머리: 패딩 비트 + 종류 6비트(FIXED 001xxx, LPC 1xxxxx) + 낭비 비트 없음
+        if (best.type === 'fixed') {
+            this.writeBits(0x10 | (best.order << 1), 8);
+        } else {
+            this.writeBits(0x40 | ((best.order - 1) << 1), 8);
+        }
+        for (let i = 0; i < best.order; i++) {
+            this.writeSigned(data[i], bitDepth);
+        }
+        if (best.type === 'lpc') {
+            this.writeBits(best.precision - 1, 4);
+            this.writeBits(best.shift, 5);
+            best.coefficients.forEach(coefficient => this.writeSigned(coefficient, best.precision));
+        }
+        this.writeResidual(this.bestResidual, length, best.order, best.rice);
+    }
+
+    /**
+     * 고정 예측 후보 (0~4차 중 잔차 절댓값 합이 가장 작은 차수)
+     * @returns {{type: string, order: number, bits: number, rice: Object}|null}
+     */
+    getFixedCandidate(data, length, bitDepth) {
+        const maxOrder = Math.min(4, length - 1);
+        const sums = [0, 0, 0, 0, 0];
+        for (let i = maxOrder; i < length; i++) {
+            const e0 = data[i];
+            const e1 = e0 - data[i - 1];
+            const e2 = e1 - (data[i - 1] - data[i - 2]);
+            const e3 = e2 - (data[i - 1] - 2 * data[i - 2] + data[i - 3]);
+            const e4 = e3 - (data[i - 1] - 3 * data[i - 2] + 3 * data[i - 3] - data[i - 4]);
+            sums[0] += Math.abs(e0);
+            sums[1] += Math.abs(e1);
+            sums[2] += Math.abs(e2);
+            sums[3] += Math.abs(e3);
+            sums[4] += Math.abs(e4);
+        }
+
+        let order = 0;
+        for (let o = 1; o <= maxOrder; o++) {
+            if (sums[o] < sums[order]) order = o;
+        }
+
+        const residual = this.residual;
+        for (let i = order; i < length; i++) {
+            switch (order) {
+                case 0: residual[i] = data[i]; break;
+                case 1: residual[i] = data[i] - data[i - 1]; break;
+                case 2: residual[i] = data[i] - 2 * data[i - 1] + data[i - 2]; break;
+                case 3: residual[i] = data[i] - 3 * data[i - 1] + 3 * data[i - 2] - data[i - 3]; break;
+                default: residual[i] = data[i] - 4 * data[i - 1] + 6 * data[i - 2] - 4 * data[i - 3] + data[i - 4];
+            }
+        }
+
+        const rice = this.getRiceParameters(residual, length, order);
+        return { type: 'fixed', order, rice, bits: 8 + order * bitDepth + rice.bits };
+    }
+
+    /**
+     * LPC 후보 (Tukey 창 자기상관 → Levinson-Durbin, 오차 추정으로 차수 선택 후 계수 양자화)
+     * @returns {{type: string, order: number, precision: number, shift: number, coefficients: number[], bits: number, rice: Object}|null}
+     */
+    getLpcCandidate(data, length, bitDepth) {
+        const windowed = this.windowed;
+        const window = length === this.blockSize ? this.window : FlacEncoder.getTukeyWindow(length, 0.5);
+        for (let i = 0; i < length; i++) {
+            windowed[i] = data[i] * window[i];
+        }
+
+        const maxOrder = this.maxLpcOrder;
+        const autocorrelation = new Float64Array(maxOrder + 1);
+        for (let lag = 0; lag <= maxOrder; lag++) {
+            let sum = 0;
+            for (let i = lag; i < length; i++) {
+                sum += windowed[i] * windowed[i - lag];
+            }
+            autocorrelation[lag] = sum;
+        }
+        if (autocorrelation[0] === 0) return null;
+
+        const { coefficients, errors } = FlacEncoder.levinsonDurbin(autocorrelation, maxOrder);
+        const precision = FlacEncoder.getLpcPrecision(this.blockSize);
+
+        // 잔차 1샘플당 예상 비트 수로 차수 선택
+        let order = 0;
+        let bestBits = Infinity;
+        for (let o = 1; o <= maxOrder; o++) {
+            if (!(errors[o] > 0) || !isFinite(errors[o])) break;
+            const bitsPerSample = Math.max(0, 0.5 * Math.log2(errors[o] * 0.5 / length));
+            const bits = bitsPerSample * (length - o) + o * (bitDepth + precision);
+            if (bits < bestBits) {
+                bestBits = bits;
+                order = o;
+            }
+        }
+        if (order === 0) return null;
+
+        const quantized = FlacEncoder.quantizeCoefficients(coefficients[order], precision);
+        if (!quantized) return null;
+
+        // 잔차 계산 (정수 연산, 32비트를 넘을 수 있어 실수로 계산 후 범위 확인)
+        const { coefficients: q, shift } = quantized;
+        const divisor = Math.pow(2, shift);
+        const residual = this.residual;
+        for (let i = order; i < length; i++) {
+            let sum = 0;
+            for (let j = 0; j < order; j++) {
+                sum += q[j] * data[i - j - 1];
+            }
+            const value = data[i] - Math.floor(sum / divisor);
+            if (value > FlacEncoder.MAX_RESIDUAL || value < -FlacEncoder.MAX_RESIDUAL) return null;
+            residual[i] = value;
+        }
+
+        const rice = this.getRiceParameters(residual, length, order);
+        return {
+            type: 'lpc',
+            order,
+            precision,
+            shift,
+            coefficients: q,
+            rice,
+            bits: 8 + order * bitDepth + 9 + order * precision + rice.bits
+        };
+    }
+
+    /**
+     * 라이스 분할 차수와 분할별 파라미터 선택 (가장 작은 분할의 합을 구한 뒤 둘씩 합치며 비교)
+     * @returns {{partitionOrder: number, parameters: number[], method: number, bits: number}}
+     */
+    getRiceParameters(residual, length, order) {
+        let maxPartitionOrder = this.maxPartitionOrder;
+        while (maxPartitionOrder > 0 && (length % (1 << maxPartitionOrder) !== 0 || (length >> maxPartitionOrder) <= order)) {
+            maxPartitionOrder--;
+        }
+
+        const partitionCount = 1 << maxPartitionOrder;
+        const partitionSize = length >> maxPartitionOrder;
+        let sums = new Float64Array(partitionCount);
+        for (let p = 0; p < partitionCount; p++) {
+            let sum = 0;
+            const end = (p + 1) * partitionSize;
+            for (let i = p === 0 ? order : p * partitionSize; i < end; i++) {
+                const value = residual[i];
+                sum += value >= 0 ? value * 2 : -value * 2 - 1;
+            }
+            sums[p] = sum;
+        }
+
+        let best = null;
+        for (let partitionOrder = maxPartitionOrder; partitionOrder >= 0; partitionOrder--) {
+            const count = 1 << partitionOrder;
+            const size = length >> partitionOrder;
+            const parameters = [];
+            let bits = 6;
+            for (let p = 0; p < count; p++) {
+                const samples = p === 0 ? size - order : size;
+                const parameter = FlacEncoder.getRiceParameter(sums[p], samples);
+                parameters.push(parameter);
+                bits += samples * (parameter + 1) + Math.floor(sums[p] / Math.pow(2, parameter));
+            }
+
+            const method = parameters.some(parameter => parameter > FlacEncoder.MAX_RICE_PARAMETER) ? 1 : 0;
+            bits += count * (method === 1 ? 5 : 4);
+            if (!best || bits < best.bits) {
+                best = { partitionOrder, parameters, method, bits };
+            }
+
+            // 다음(한 단계 큰) 분할 합 계산
+            if (partitionOrder > 0) {
+                const merged = new Float64Array(count / 2);
+                for (let p = 0; p < merged.length; p++) {
+                    merged[p] = sums[p * 2] + sums[p * 2 + 1];
+                }
+                sums = merged;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * 라이스 부호화 잔차 기록
+     */
+    writeResidual(residual, length, order, rice) {
+        const { partitionOrder, parameters, method } = rice;
+        this.writeBits(method, 2);
+        this.writeBits(partitionOrder, 4);
+
+        const size = length >> partitionOrder;
+        parameters.forEach((parameter, p) => {
+            this.writeBits(parameter, method === 1 ? 5 : 4);
+            const end = (p + 1) * size;
+            for (let i = p === 0 ? order : p * size; i < end; i++) {
+                const value = residual[i];
+                this.writeRice(value >= 0 ? value * 2 : -value * 2 - 1, parameter);
+            }
+        });
+    }
+
+    /**
+     * 라이스 부호 하나 기록 (몫은 0의 개수 + 1, 나머지는 parameter 비트)
+     */
+    writeRice(value, parameter) {
+        // 값은 MAX_RESIDUAL * 2 + 1 이하이므로 32비트 연산 사용 가능
+        let quotient = value >>> parameter;
+        while (quotient >= 16) {
+            this.writeBits(0, 16);
+            quotient -= 16;
+        }
+        this.writeBits(1, quotient + 1);
+        if (parameter > 0) {
+            this.writeBits(value & ((1 << parameter) - 1), parameter);
+        }
+    }
+
+    /**
+     * 비트 기록 (큰 값은 16비트씩 나누어 기록)
+     * @param {number} value - 0 이상 2^count 미만의 값
+     * @param {number} count - 비트 수 (최대 32)
+     */
+    writeBits(value, count) {
+        if (count > 16) {
+            this.writeBits(Math.floor(value / 0x10000), count - 16);
+            this.writeBits(value % 0x10000, 16);
+            return;
+        }
+
+        this.bitBuffer = (this.bitBuffer << count) | value;
+        this.bitCount += count;
+        while (this.bitCount >= 8) {
+            this.bitCount -= 8;
+            this.bytes[this.position++] = (this.bitBuffer >>> this.bitCount) & 0xFF;
+        }
+        this.bitBuffer &= (1 << this.bitCount) - 1;
+    }
+
+    /**
+     * 부호 있는 정수를 2의 보수로 기록
+     */
+    writeSigned(value, count) {
+        this.writeBits(value < 0 ? value + Math.pow(2, count) : value, count);
+    }
+
+    /**
+     * 프레임 번호를 UTF-8 방식으로 기록 (최대 36비트)
+     */
+    writeUtf8Number(value) {
+        if (value < 0x80) {
+            this.writeBits(value, 8);
+            return;
+        }
+
+        let byteCount = 2;
+        while (value >= Math.pow(2, 5 * byteCount + 1)) {
+            byteCount++;
+        }
+
+        const prefix = (0xFF << (8 - byteCount)) & 0xFF;
+        this.writeBits(prefix | Math.floor(value / Math.pow(2, 6 * (byteCount - 1))), 8);
+        for (let i = byteCount - 2; i >= 0; i--) {
+            this.writeBits(0x80 | (Math.floor(value / Math.pow(2, 6 * i)) & 0x3F), 8);
+        }
+    }
+
+    /**
+     * 남은 비트를 0으로 채워 바이트 경계 맞추기
+     */
+    flushBits() {
+        if (this.bitCount > 0) {
+            this.writeBits(0, 8 - this.bitCount);
+        }
+    }
+
+    /**
+     * 스트림 머리 생성 ("fLaC" + STREAMINFO + VORBIS_COMMENT), 모든 블록을 인코딩한 뒤 호출
+     * @param {string} vendor - 벤더 문자열
+     * @returns {Uint8Array}
+     */
+    getHeader(vendor = FlacEncoder.VENDOR) {
+        const info = new Uint8Array(34);
+        const view = new DataView(info.buffer);
+        const minFrameSize = this.frameNumber > 0 ? this.minFrameSize : 0;
+        const total = this.totalSamples;
+
+        view.setUint16(0, this.blockSize);
+        view.setUint16(2, this.blockSize);
+        view.setUint32(4, minFrameSize << 8);
+        view.setUint32(7, (this.maxFrameSize << 8) | (this.sampleRate >>> 12));
+        info[11] = (this.sampleRate >> 4) & 0xFF;
+        info[12] = ((this.sampleRate & 0x0F) << 4) | ((this.channels - 1) << 1) | ((this.bitDepth - 1) >> 4);
+        info[13] = (((this.bitDepth - 1) & 0x0F) << 4) | (Math.floor(total / 0x100000000) & 0x0F);
+        view.setUint32(14, total % 0x100000000);
+        info.set(this.md5.digest(), 18);
+
+        return FlacEncoder.createStream([
+            { type: FlacEncoder.BLOCK_STREAMINFO, data: info },
+            { type: FlacEncoder.BLOCK_VORBIS_COMMENT, data: VorbisCommentWriter.createComment(vendor) }
+        ]);
+    }
+
+    /**
+     * "fLaC"와 메타데이터 블록들 (마지막 블록에 표시)
+     * @param {Array<{type: number, data: Uint8Array}>} blocks - 메타데이터 블록
+     * @returns {Uint8Array}
+     */
+    static createStream(blocks) {
+        const length = blocks.reduce((sum, block) => sum + 4 + block.data.length, 4);
+        const stream = new Uint8Array(length);
+        stream.set([0x66, 0x4C, 0x61, 0x43]); // "fLaC"
+
+        let offset = 4;
+        blocks.forEach((block, index) => {
+            const size = block.data.length;
+            stream[offset] = (index === blocks.length - 1 ? 0x80 : 0) | block.type;
+            stream[offset + 1] = (size >> 16) & 0xFF;
+            stream[offset + 2] = (size >> 8) & 0xFF;
+            stream[offset + 3] = size & 0xFF;
+            stream.set(block.data, offset + 4);
+            offset += 4 + size;
+        });
+
+        return stream;
+    }
+
+    /**
+     * FLAC 파일의 태그를 새 Vorbis comment와 PICTURE 블록으로 교체
+     * STREAMINFO 등 나머지 블록과 오디오 프레임은 그대로 유지하고 기존 벤더 문자열을 사용
+     * @param {Uint8Array} bytes - FLAC 파일
+     * @param {Object} tags - 태그 (title, artist, album, year, genre, picture)
+     * @param {Array<{title: string, startTime: number}>} chapters - 챕터 목록
+     * @returns {Uint8Array[]} 새 파일 데이터
+     */
+    static replaceMetadata(bytes, tags = {}, chapters = []) {
+        if (bytes.length < 8 || bytes[0] !== 0x66 || bytes[1] !== 0x4C || bytes[2] !== 0x61 || bytes[3] !== 0x43) {
+            throw new Error('FLAC 스트림을 읽을 수 없습니다.');
+        }
+
+        const blocks = [];
+        let vendor = FlacEncoder.VENDOR;
+        let offset = 4;
+        let isLast = false;
+        while (!isLast && offset + 4 <= bytes.length) {
+            isLast = (bytes[offset] & 0x80) !== 0;
+            const type = bytes[offset] & 0x7F;
+            const size = (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3];
+            const data = bytes.subarray(offset + 4, offset + 4 + size);
+            offset += 4 + size;
+
+            if (type === FlacEncoder.BLOCK_VORBIS_COMMENT) {
+                const vendorLength = new DataView(data.buffer, data.byteOffset, 4).getUint32(0, true);
+                vendor = new TextDecoder().decode(data.subarray(4, 4 + vendorLength));
+            } else if (type !== FlacEncoder.BLOCK_PICTURE && type !== FlacEncoder.BLOCK_PADDING) {
+                blocks.push({ type, data });
+            }
+        }
+
+        // 표지 이미지는 Vorbis comment가 아닌 PICTURE 블록에 기록
+        const textTags = Object.assign({}, tags, { picture: null });
+        blocks.push({ type: FlacEncoder.BLOCK_VORBIS_COMMENT, data: VorbisCommentWriter.createComment(vendor, textTags, chapters) });
+        if (tags.picture) {
+            blocks.push({ type: FlacEncoder.BLOCK_PICTURE, data: VorbisCommentWriter.createPictureBlock(tags.picture) });
+        }
+
+        return [FlacEncoder.createStream(blocks), bytes.subarray(offset)];
+    }
+
+    /**
+     * Levinson-Durbin 재귀로 1~maxOrder차 예측 계수와 예측 오차 계산
+     * @returns {{coefficients: Float64Array[], errors: number[]}}
+     */
+    static levinsonDurbin(autocorrelation, maxOrder) {
+        const coefficients = [new Float64Array(0)];
+        const errors = [autocorrelation[0]];
+        let current = new Float64Array(0);
+        let error = autocorrelation[0];
+
+        for (let order = 1; order <= maxOrder; order++) {
+            let sum = autocorrelation[order];
+            for (let j = 0; j < order - 1; j++) {
+                sum -= current[j] * autocorrelation[order - 1 - j];
+            }
+            const reflection = sum / error;
+
+            const next = new Float64Array(order);
+            for (let j = 0; j < order - 1; j++) {
+                next[j] = current[j] - reflection * current[order - 2 - j];
+            }
+            next[order - 1] = reflection;
+
+            error *= 1 - reflection * reflection;
+            current = next;
+            coefficients.push(next);
+            errors.push(error);
+        }
+
+        return { coefficients, errors };
+    }
+
+    /**
+     * LPC 계수를 precision비트 정수로 양자화 (반올림 오차를 다음 계수로 넘김)
+     * @returns {{coefficients: number[], shift: number}|null}
+     */
+    static quantizeCoefficients(coefficients, precision) {
+        const maxCoefficient = Math.pow(2, precision - 1) - 1;
+        const minCoefficient = -Math.pow(2, precision - 1);
+        const maxAbs = coefficients.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+        if (maxAbs === 0) return null;
+
+        // 가장 큰 계수가 precision비트에 들어가도록 shift 결정 (0~15)
+        const exponent = Math.floor(Math.log2(maxAbs)) + 1;
+        const shift = Math.min(FlacEncoder.MAX_LPC_SHIFT, precision - 1 - exponent);
+        if (shift < 0) return null;
+
+        const scale = Math.pow(2, shift);
+        const quantized = [];
+        let error = 0;
+        for (let i = 0; i < coefficients.length; i++) {
+            error += coefficients[i] * scale;
+            const value = Math.max(minCoefficient, Math.min(maxCoefficient, Math.round(error)));
+            error -= value;
+            quantized.push(value);
+        }
+
+        return { coefficients: quantized, shift };
+    }
+
+    /**
+     * 블록 크기에 맞는 LPC 계수 정밀도 (libFLAC 기본값과 같은 기준)
+     */
+    static getLpcPrecision(blockSize) {
+        if (blockSize <= 192) return 7;
+        if (blockSize <= 384) return 8;
+        if (blockSize <= 576) return 9;
+        if (blockSize <= 1152) return 10;
+        if (blockSize <= 2304) return 11;
+        if (blockSize <= 4608) return 12;
+        return 13;
+    }
+
+    /**
+     * 분할 합과 샘플 수로 라이스 파라미터 추정 (평균 크기의 log2)
+     */
+    static getRiceParameter(sum, count) {
+        if (count <= 0 || sum < count) return 0;
+        return Math.min(FlacEncoder.MAX_RICE2_PARAMETER, Math.floor(Math.log2(sum / count)));
+    }
+
+    /**
+     * Tukey 창 (양 끝 ratio/2 구간만 코사인으로 줄임)
+     */
+    static getTukeyWindow(length, ratio) {
+        const window = new Float64Array(length).fill(1);
+        const taper = Math.floor(ratio * (length - 1) / 2);
+        for (let i = 0; i < taper; i++) {
+            const value = 0.5 - 0.5 * Math.cos(Math.PI * i / taper);
+            window[i] = value;
+            window[length - 1 - i] = value;
+        }
+        return window;
+    }
+
+    /**
+     * 샘플레이트 코드 (표에 없으면 헤더 끝에 kHz 또는 Hz로 기록, 그것도 안 되면 STREAMINFO 참조)
+     */
+    static getSampleRateCode(sampleRate) {
+        if (FlacEncoder.SAMPLE_RATE_CODES[sampleRate]) return FlacEncoder.SAMPLE_RATE_CODES[sampleRate];
+        if (sampleRate % 1000 === 0 && sampleRate <= 255000) return 12;
+        if (sampleRate <= 65535) return 13;
+        return 0;
+    }
+
+    /**
+     * 프레임 헤더 CRC-8 (다항식 0x07)
+     */
+    static crc8(bytes, start, end) {
+        let crc = 0;
+        for (let i = start; i < end; i++) {
+            crc ^= bytes[i];
+            for (let bit = 0; bit < 8; bit++) {
+                crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xFF : (crc << 1) & 0xFF;
+            }
+        }
+        return crc;
+    }
+
+    /**
+     * 프레임 전체 CRC-16 (다항식 0x8005, 표 사용)
+     */
+    static crc16(bytes, start, end) {
+        const table = FlacEncoder.getCrc16Table();
+        let crc = 0;
+        for (let i = start; i < end; i++) {
+            crc = ((crc << 8) ^ table[(crc >> 8) ^ bytes[i]]) & 0xFFFF;
+        }
+        return crc;
+    }
+
+    /**
+     * CRC-16 표 (최초 1회만 생성)
+     */
+    static getCrc16Table() {
+        if (!FlacEncoder.crc16Table) {
+            const table = new Uint16Array(256);
+            for (let i = 0; i < 256; i++) {
+                let crc = i << 8;
+                for (let bit = 0; bit < 8; bit++) {
+                    crc = crc & 0x8000 ? (crc << 1) ^ 0x8005 : crc << 1;
+                }
+                table[i] = crc & 0xFFFF;
+            }
+            FlacEncoder.crc16Table = table;
+        }
+        return FlacEncoder.crc16Table;
+    }
+}
+
+// 압축 레벨별 설정 (libFLAC -0 ~ -8에 맞춤)
+FlacEncoder.LEVELS = [
+    { blockSize: 1152, stereo: false, maxLpcOrder: 0, maxPartitionOrder: 3 },
+    { blockSize: 1152, stereo: true, maxLpcOrder: 0, maxPartitionOrder: 3 },
+    { blockSize: 1152, stereo: true, maxLpcOrder: 0, maxPartitionOrder: 3 },
+    { blockSize: 4096, stereo: false, maxLpcOrder: 6, maxPartitionOrder: 4 },
+    { blockSize: 4096, stereo: true, maxLpcOrder: 8, maxPartitionOrder: 4 },
+    { blockSize: 4096, stereo: true, maxLpcOrder: 8, maxPartitionOrder: 5 },
+    { blockSize: 4096, stereo: true, maxLpcOrder: 8, maxPartitionOrder: 6 },
+    { blockSize: 4096, stereo: true, maxLpcOrder: 12, maxPartitionOrder: 6 },
+    { blockSize: 4096, stereo: true, maxLpcOrder: 12, maxPartitionOrder: 6 }
+];
+FlacEncoder.BLOCK_SIZE_CODES = {
+    192: 1, 576: 2, 1152: 3, 2304: 4, 4608: 5,
+    256: 8, 512: 9, 1024: 10, 2048: 11, 4096: 12, 8192: 13, 16384: 14, 32768: 15
+};
+FlacEncoder.SAMPLE_RATE_CODES = {
+    88200: 1, 176400: 2, 192000: 3, 8000: 4, 16000: 5, 22050: 6, 24000: 7, 32000: 8, 44100: 9, 48000: 10, 96000: 11
+};
+FlacEncoder.SAMPLE_SIZE_CODES = { 8: 1, 12: 2, 16: 4, 20: 5, 24: 6 };
+FlacEncoder.BLOCK_STREAMINFO = 0;
+FlacEncoder.BLOCK_PADDING = 1;
+FlacEncoder.BLOCK_VORBIS_COMMENT = 4;
+FlacEncoder.BLOCK_PICTURE = 6;
+FlacEncoder.MAX_RICE_PARAMETER = 14;   // 4비트 파라미터 (15는 이스케이프)
+FlacEncoder.MAX_RICE2_PARAMETER = 30;  // 5비트 파라미터 (31은 이스케이프)
+FlacEncoder.MAX_LPC_SHIFT = 15;
+FlacEncoder.MAX_RESIDUAL = 0x3FFFFFFF; // 라이스 부호화할 잔차 범위
+FlacEncoder.VENDOR = 'MP3 Combiner FLAC encoder';
+FlacEncoder.crc16Table = null;
+
+// 전역으로 내보내기 (window와 Worker 모두 self 사용)
+self.FlacEncoder = FlacEncoder;
@@ -0,0 +1,96 @@
+/**
+ * MP3 Combiner - Folder Reader
+ * 드롭한 폴더(DataTransfer entries)와 폴더 선택 입력에서 하위 폴더까지 파일 목록 읽기
+ * 파일마다 상대 폴더 경로를 함께 반환하고, 숫자를 크기 순으로 비교하는 자연 정렬 제공
+ */
+
+class FolderReader {
+    /**
+     * 드롭한 항목을 FileSystemEntry로 꺼내기 (드롭 이벤트 처리 중에만 접근 가능하므로 먼저 호출)
+     * @param {DataTransfer} dataTransfer - 드롭 데이터
+     * @returns {FileSystemEntry[]}
+     */
+    static getEntries(dataTransfer) {
+        return Array.from(dataTransfer.items || [])
+            .filter(item => item.kind === 'file' && item.webkitGetAsEntry)
+            .map(item => item.webkitGetAsEntry())
+            .filter(Boolean);
+    }
+
+    /**
+     * 항목을 하위 폴더까지 읽기 (숨김 파일 제외)
+     * @param {FileSystemEntry[]} entries - 드롭한 파일/폴더
+     * @returns {Promise<Array<{file: File, folder: string}>>} folder는 드롭한 폴더부터의 경로 ('앨범/CD1')
+     */
+    static async readEntries(entries) {
+        const results = [];
+        for (const entry of entries) {
+            await FolderReader.readEntry(entry, '', results);
+        }
+        return results;
+    }
+
+    /**
+     * 항목 하나 읽기 (폴더면 재귀)
+     */
+    static async readEntry(entry, folder, results) {
+        if (entry.name.startsWith('.')) return;
+
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            results.push({ file, folder });
+            return;
+        }
+
+        // readEntries는 한 번에 일부(Chrome은 100개)만 돌려주므로 빈 배열이 올 때까지 반복
+        const reader = entry.createReader();
+        const children = [];
+        for (;;) {
+            const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            if (batch.length === 0) break;
+            children.push(...batch);
+        }
+
+        const path = folder ? `${folder}/${entry.name}` : entry.name;
+        for (const child of children) {
+            await FolderReader.readEntry(child, path, results);
+        }
+    }
+
+    /**
+     * 폴더 선택 입력(webkitdirectory)의 파일 목록 (숨김 파일 제외)
+     * @param {FileList} fileList - 선택한 파일
+     * @returns {Array<{file: File, folder: string}>}
+     */
+    static fromFileList(fileList) {
+        return Array.from(fileList)
+            .map(file => {
+                const parts = (file.webkitRelativePath || file.name).split('/');
+                return { file, folder: parts.slice(0, -1).join('/'), hidden: parts.some(part => part.startsWith('.')) };
+            })
+            .filter(item => !item.hidden)
+            .map(({ file, folder }) => ({ file, folder }));
+    }
+
+    /**
+     * 폴더 경로, 파일명 순으로 자연 정렬 ("2.mp3"가 "10.mp3"보다 앞)
+     * @param {Array<{file: File, folder: string}>} items - 파일 목록
+     * @returns {Array<{file: File, folder: string}>} 정렬한 새 배열
+     */
+    static sortNatural(items) {
+        return [...items].sort((a, b) =>
+            FolderReader.compareNatural(a.folder, b.folder) || FolderReader.compareNatural(a.file.name, b.file.name));
+    }
+
+    /**
+     * 자연 정렬 비교 (대소문자 무시, 숫자는 크기 순)
+     */
+    static compareNatural(a, b) {
+        return FolderReader.COLLATOR.compare(a, b);
+    }
+}
+
+FolderReader.COLLATOR = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+// 전역으로 내보내기
+window.FolderReader = FolderReader;
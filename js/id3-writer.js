@@ -0,0 +1,191 @@
+/**
+ * MP3 Combiner - ID3 Writer
+ * MP3 파일 앞에 붙일 ID3v2.3 태그 생성 (기본 정보, 표지 이미지, 챕터: ID3v2 Chapter Frame Addendum의 CHAP/CTOC)
+ */
+
+class Id3Writer {
+    /**
+     * ID3v2.3 태그 생성
+     * @param {Object} options - 태그 내용
+     * @param {string} options.title - 제목
+     * @param {string} options.artist - 아티스트
+     * @param {string} options.album - 앨범
+     * @param {string} options.year - 연도
+     * @param {string} options.genre - 장르
+     * @param {{mimeType: string, data: Uint8Array}} options.picture - 표지 이미지
+     * @param {Array<{title: string, startTime: number, endTime: number}>} options.chapters - 챕터 목록 (시간: 초)
+     * @returns {Uint8Array} 태그 바이트 (프레임이 없으면 빈 배열)
+     */
+    static createTag(options = {}) {
+        const frames = [];
+        const { chapters = [] } = options;
+
+        // 값이 있는 항목만 기록
+        const textFrames = { TIT2: options.title, TPE1: options.artist, TALB: options.album, TYER: options.year, TCON: options.genre };
+        Object.entries(textFrames).forEach(([id, value]) => {
+            if (value) frames.push(Id3Writer.createTextFrame(id, value));
+        });
+
+        if (options.picture) {
+            frames.push(Id3Writer.createPictureFrame(options.picture));
+        }
+
+        if (chapters.length > 0) {
+            frames.push(Id3Writer.createTableOfContentsFrame(chapters.map((chapter, index) => `chp${index}`)));
+            chapters.forEach((chapter, index) => {
+                frames.push(Id3Writer.createChapterFrame(`chp${index}`, chapter));
+            });
+        }
+
+        if (frames.length === 0) {
+            return new Uint8Array(0);
+        }
+
+        const body = Id3Writer.concat(frames);
+        const header = new Uint8Array(10);
+        header.set([0x49, 0x44, 0x33, 0x03, 0x00, 0x00]); // "ID3", v2.3.0, 플래그 없음
+        header.set(Id3Writer.encodeSynchsafe(body.length), 6);
+
+        return Id3Writer.concat([header, body]);
+    }
+
+    /**
+     * CTOC 프레임 (최상위 목차, 챕터 순서 고정)
+     * @param {string[]} childIds - 챕터 요소 ID 목록
+     * @returns {Uint8Array}
+     */
+    static createTableOfContentsFrame(childIds) {
+        return Id3Writer.createFrame('CTOC', Id3Writer.concat([
+            Id3Writer.encodeLatin1('toc'),
+            new Uint8Array([0x03, childIds.length]), // 플래그: top-level | ordered, 항목 수
+            ...childIds.map(id => Id3Writer.encodeLatin1(id))
+        ]));
+    }
+
+    /**
+     * CHAP 프레임 (시작/끝 시간과 제목 하위 프레임)
+     * @param {string} elementId - 챕터 요소 ID
+     * @param {{title: string, startTime: number, endTime: number}} chapter - 챕터 정보 (시간: 초)
+     * @returns {Uint8Array}
+     */
+    static createChapterFrame(elementId, chapter) {
+        const times = new Uint8Array(16);
+        const view = new DataView(times.buffer);
+        view.setUint32(0, Math.round(chapter.startTime * 1000));
+        view.setUint32(4, Math.round(chapter.endTime * 1000));
+        view.setUint32(8, 0xFFFFFFFF);  // 바이트 오프셋 사용 안 함
+        view.setUint32(12, 0xFFFFFFFF);
+
+        return Id3Writer.createFrame('CHAP', Id3Writer.concat([
+            Id3Writer.encodeLatin1(elementId),
+            times,
+            Id3Writer.createTextFrame('TIT2', chapter.title)
+        ]));
+    }
+
+    /**
+     * 텍스트 프레임 (UTF-16, BOM 포함)
+     * @param {string} id - 프레임 ID
+     * @param {string} text - 내용
+     * @returns {Uint8Array}
+     */
+    static createTextFrame(id, text) {
+        return Id3Writer.createFrame(id, Id3Writer.concat([
+            new Uint8Array([0x01]),
+            Id3Writer.encodeUtf16(text)
+        ]));
+    }
+
+    /**
+     * APIC 프레임 (앞표지, 설명 없음)
+     * @param {{mimeType: string, data: Uint8Array}} picture - 이미지
+     * @returns {Uint8Array}
+     */
+    static createPictureFrame(picture) {
+        return Id3Writer.createFrame('APIC', Id3Writer.concat([
+            new Uint8Array([0x00]),                  // 텍스트 인코딩: ISO-8859-1
+            Id3Writer.encodeLatin1(picture.mimeType),
+            new Uint8Array([0x03, 0x00]),            // 그림 종류: 앞표지, 빈 설명
+            picture.data
+        ]));
+    }
+
+    /**
+     * 프레임 헤더 추가 (ID 4바이트 + 크기 4바이트 + 플래그 2바이트)
+     * @param {string} id - 프레임 ID
+     * @param {Uint8Array} content - 프레임 내용
+     * @returns {Uint8Array}
+     */
+    static createFrame(id, content) {
+        const frame = new Uint8Array(10 + content.length);
+        const view = new DataView(frame.buffer);
+        for (let i = 0; i < 4; i++) {
+            frame[i] = id.charCodeAt(i);
+        }
+        view.setUint32(4, content.length);
+        frame.set(content, 10);
+        return frame;
+    }
+
+    /**
+     * 널 종료 ISO-8859-1 문자열
+     * @param {string} text
+     * @returns {Uint8Array}
+     */
+    static encodeLatin1(text) {
+        const bytes = new Uint8Array(text.length + 1);
+        for (let i = 0; i < text.length; i++) {
+            bytes[i] = text.charCodeAt(i) & 0xFF;
+        }
+        return bytes;
+    }
+
+    /**
+     * 널 종료 UTF-16LE 문자열 (BOM 포함)
+     * @param {string} text
+     * @returns {Uint8Array}
+     */
+    static encodeUtf16(text) {
+        const bytes = new Uint8Array(2 + text.length * 2 + 2);
+        bytes[0] = 0xFF;
+        bytes[1] = 0xFE;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            bytes[2 + i * 2] = code & 0xFF;
+            bytes[3 + i * 2] = code >> 8;
+        }
+        return bytes;
+    }
+
+    /**
+     * 28비트 synchsafe 정수 (각 바이트의 최상위 비트는 0)
+     * @param {number} value
+     * @returns {Uint8Array}
+     */
+    static encodeSynchsafe(value) {
+        return new Uint8Array([
+            (value >> 21) & 0x7F,
+            (value >> 14) & 0x7F,
+            (value >> 7) & 0x7F,
+            value & 0x7F
+        ]);
+    }
+
+    /**
+     * 바이트 배열 이어 붙이기
+     * @param {Uint8Array[]} arrays
+     * @returns {Uint8Array}
+     */
+    static concat(arrays) {
+        const result = new Uint8Array(arrays.reduce((sum, array) => sum + array.length, 0));
+        let offset = 0;
+        for (const array of arrays) {
+            result.set(array, offset);
+            offset += array.length;
+        }
+        return result;
+    }
+}
+
+// 전역으로 내보내기
+window.Id3Writer = Id3Writer;
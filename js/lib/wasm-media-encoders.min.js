@@ -0,0 +1,4 @@
+/*! wasm-media-encoders v0.7.0 | MIT License | https://github.com/arseneyr/wasm-media-encoders
+ * LAME MP3 (LGPL) / Ogg Vorbis (BSD) encoders compiled to WebAssembly, WASM binaries inlined.
+ * IIFE bundle exposing the global `WasmMediaEncoder` (createMp3Encoder, createOggEncoder, createEncoder). */
+var WasmMediaEncoder=(()=>{var M=Object.defineProperty;var F=Object.getOwnPropertyDescriptor;var H=Object.getOwnPropertyNames;var U=Object.prototype.hasOwnProperty;var G=(Q,A)=>{for(var C in A)M(Q,C,{get:A[C],enumerable:!0})},c=(Q,A,C,D)=>{if(A&&typeof A=="object"||typeof A=="function")for(let g of H(A))!U.call(Q,g)&&g!==C&&M(Q,g,{get:()=>A[g],enumerable:!(D=F(A,g))||D.enumerable});return Q};var i=Q=>c(M({},"__esModule",{value:!0}),Q);var x={};G(x,{createEncoder:()=>I,createMp3Encoder:()=>P,createOggEncoder:()=>R,jsLibraryVersion:()=>o});function B(Q,A,C){return A in Q?Object.defineProperty(Q,A,{value:C,enumerable:!0,configurable:!0,writable:!0}):Q[A]=C,Q}function L(Q){for(var A=1;A<arguments.length;A++){var C=arguments[A]!=null?arguments[A]:{},D=Object.keys(C);typeof Object.getOwnPropertySymbols=="function"&&(D=D.concat(Object.getOwnPropertySymbols(C).filter(function(g){return Object.getOwnPropertyDescriptor(C,g).enumerable}))),D.forEach(function(g){B(Q,g,C[g])})}return Q}function O(Q,A){var C=Object.keys(Q);if(Object.getOwnPropertySymbols){var D=Object.getOwnPropertySymbols(Q);A&&(D=D.filter(function(g){return Object.getOwnPropertyDescriptor(Q,g).enumerable})),C.push.apply(C,D)}return C}function N(Q,A){return A=A!=null?A:{},Object.getOwnPropertyDescriptors?Object.defineProperties(Q,Object.getOwnPropertyDescriptors(A)):O(Object(A)).forEach(function(C){Object.defineProperty(Q,C,Object.getOwnPropertyDescriptor(A,C))}),Q}var K={mimeType:"audio/mpeg",parseParams:function(Q){var A,C,D;switch(Q.bitrate){case void 0:case 8:case 16:case 24:case 32:case 40:case 48:case 64:case 80:case 96:case 112:case 128:case 160:case 192:case 224:case 256:case 320:break;default:throw Error("Invalid constant bitrate ".concat(Q.bitrate))}switch(Q.outputSampleRate){case void 0:case 8e3:case 11025:case 12e3:case 16e3:case 22050:case 24e3:case 32e3:case 44100:case 48e3:break;default:throw Error("Invalid output sample rate ".concat(Q.outputSampleRate))}if(Q.vbrQuality!==void 0&&(Q.vbrQuality<0||Q.vbrQuality>=10))throw Error("Invalid VBR quality: ".concat(Q.vbrQuality));let g=new Int32Array(3);return g[0]=(A=Q.bitrate)!==null&&A!==void 0?A:0,new Float32Array(g.buffer)[1]=(C=Q.vbrQuality)!==null&&C!==void 0?C:Q.bitrate!==void 0?-1:4,g[2]=(D=Q.outputSampleRate)!==null&&D!==void 0?D:0,g}},k={mimeType:"audio/ogg",parseParams:function(Q){var A;let C=(A=Q.vbrQuality)!==null&&A!==void 0?A:3,D=Q.oggSerialNo!==void 0?Math.min(Math.max(Math.floor(Q.oggSerialNo),-2147483648),2147483647):Math.floor(4294967296*Math.random())+-2147483648;if(C<-1||C>10)throw Error("Invalid VBR quality ".concat(C));let g=new Int32Array(2);return new Float32Array(g.buffer)[0]=C,g[1]=D,g}};async function h(Q){let A={wasi_snapshot_preview1:{proc_exit:g=>{throw Error("fatal error exit(".concat(g,")"))}},env:{emscripten_notify_memory_growth:()=>{}}};typeof Q!="string"||WebAssembly.instantiateStreaming||(Q=typeof fetch=="undefined"?await(function(g){let w=g.split(",");if(w.length!==2||/^data:application\/(octet-stream|wasm);base64$/.test(w[0])===!1)throw Error("Passed non-data URI");return Buffer.from(w[1],"base64")})(Q):await(await fetch(Q)).arrayBuffer());let C=await(typeof Q=="string"?WebAssembly.instantiateStreaming(fetch(Q),A):WebAssembly.instantiate(Q,A)),D=N(L({},(C.instance||C).exports),{module:C.module||Q,getInt32Array(g,w){return new Int32Array(this.memory.buffer,g,w)},getFloat32Array(g,w){return new Float32Array(this.memory.buffer,g,w)},getUint8Array(g,w){return new Uint8Array(this.memory.buffer,g,w)},getString(g){let w=this.getUint8Array(g),E=w.indexOf(0);return String.fromCharCode(...w.slice(0,E))}});return D._initialize(),D}var Y={[K.mimeType]:K,[k.mimeType]:k},S=class J{get_pcm(A){let C=this.module.enc_get_pcm(this.ref,A);if(!C)throw Error("PCM buffer allocation failed");let D=this.module.getInt32Array(C,this.channelCount);return Array.from({length:this.channelCount},(g,w)=>this.module.getFloat32Array(D[w],A))}get_out_buf(A){let C=this.module.enc_get_out_buf(this.ref);return this.module.getUint8Array(C,A)}get_common_params(A){switch(A.channels){case 1:case 2:break;default:throw Error("Invalid channel count: ".concat(A.channels,". ").concat(this.mimeType," supports 1 or 2 channels."))}if(typeof A.sampleRate!="number")throw Error("Invalid sample rate: ".concat(A.sampleRate));return new Uint32Array([A.channels,A.sampleRate])}static async create(A,C,D){return new J(A,await h(C),Y[A].parseParams,D)}configure(A){this.ref&&(this.module.enc_free(this.ref),this.ref=0);let C=this.get_common_params(A),D=this.parseParams(A),g=this.module.malloc(C.byteLength+D.byteLength);if(!g)throw Error("Failed to allocate parameter buffer");this.module.getInt32Array(g,C.length).set(C),this.module.getInt32Array(g+C.byteLength,D.length).set(D),this.channelCount=A.channels;try{if(this.ref=this.module.enc_init(g),!this.ref)throw Error("Encoder initialization failed")}finally{this.module.free(g)}}encode(A){if(A.length!==this.channelCount)throw Error("encode must be called with channel number (".concat(this.channelCount,") of Float32Arrays"));let C=this.get_pcm(A[0].length);C.forEach((g,w)=>g.set(A[w]));let D=this.module.enc_encode(this.ref,C[0].length);if(D<0)throw Error("Error while encoding: ".concat(D));return this.get_out_buf(D)}finalize(){let A=this.module.enc_flush(this.ref);if(A<0)throw Error("Error while encoding: ".concat(A));return this.get_out_buf(A)}constructor(A,C,D,g){B(this,"mimeType",void 0),B(this,"module",void 0),B(this,"parseParams",void 0),B(this,"ref",void 0),B(this,"channelCount",void 0),this.mimeType=A,this.module=C,this.parseParams=D;let w=this.module.version?this.module.getString(this.module.version()):"unknown (< 0.7.0)",E=this.module.getString(this.module.mime_type()),s=o();if(g==null||g(C.module,w,E),s!=w)throw Error("JS and WASM version mismatch. JS version: ".concat(s," WASM version: ").concat(w));if(A!=E)throw Error("Loaded incorrect WASM for MIME type. JS expected ".concat(A,", WASM is ").concat(E))}},I=S.create,o=function(){return"".concat("wasm-media-encoders","-").concat("0.7.0")};function P(){return I("audio/mpeg","data:application/wasm;base64,AGFzbQEAAAABkAM3YAJ/fwBgAX8Bf2ABfwBgAn9/AX9gA39/fwF/YAR/f39/AGADf39/AGAEf39/fwF/YAV/f39/fwBgAX8BfWACf30AYAV/f39/fwF/YAF8AXxgBn9/f39/fwBgAX0BfWAAAGACf30BfWAEf31/fwBgAAF/YAZ/f39/f38Bf2AFf399f38Bf2AHf39/f39/fwBgCX9/f39/f39/fwBgAn98AGAHf39/f39/fwF/YAJ+fwF/YAJ/fwF9YAR9fX19AX1gAnx8AXxgCH9/f39/f39/AGAGf39/f399AGAHf39/f319fwBgBX9/fX9/AGAFf31/f38AYAZ/fX9/f38AYAl/f39/f39/f38Bf2AIf39/f39/f30Bf2AGf399f39/AX9gA35/fwF/YAF9AX9gAn1/AX9gAnx/AX9gA39+fwF+YAR/f39/AX1gBH9/f30BfWACfX8BfWACfX0BfWADfX1/AX1gBH19f38BfWADfX19AX1gAXwBfWACf38BfGACfH8BfGADfHx/AXxgA3x8fAF8AkoCA2Vudh9lbXNjcmlwdGVuX25vdGlmeV9tZW1vcnlfZ3Jvd3RoAAIWd2FzaV9zbmFwc2hvdF9wcmV2aWV3MQlwcm9jX2V4aXQAAgPRAs8CBgQBBAIcAwYGLgADAwMADgwIDhs0AwEBBgQEBwEcNQEHBAwLEAAABAAHCwMAAA0AAwQEARAAAQAHEQwbBwgTERMGKwAEAQIADAMGCw82AQYiCAAJFwEBAQAAAAMHEQ8ABQcFBQQGKQEAAQIDAwYBAgMBJA4BAAAGAwwBAQEBBAMABgUFMhMhMAExHwAJCgIJCgkKCQoJCgkKCQoBAgADAwMMAwsdCAEFFSMFBQUBACcaBgYlKAUFFBQFBgEHBwgGAAIAAg8CAAwvGActDQ8DBBkZJgYDBhISAQEDAQEDAQESAgIEAQceAwICAgMBAgIACwACAgMCBAEHAwMDFwADBQICCQkLAwMOAgUFCBoIDQ0GEBAFBQUIBQ0AFhYAAgECBQUKAAACBAEAAgACAgADBwcOBwcDBAEBACAVACwCAgIFDQUYBgAzBAAICwsIAAYEBQFwAQ8PBQcBAYACgIACBgkBfwFBsIPGAgsHlQEMBm1lbW9yeQIAB3ZlcnNpb24A2AEJbWltZV90eXBlANkBC2VuY19nZXRfcGNtANwBD2VuY19nZXRfb3V0X2J1ZgDdAQhlbmNfZnJlZQBxBGZyZWUABgZtYWxsb2MA2gEIZW5jX2luaXQA2wEKZW5jX2VuY29kZQDfAQllbmNfZmx1c2gA3gELX2luaXRpYWxpemUAYAkhAQBBAQsOYLoBuQG4AbcBrQG3Ap4CyAG1ArQCsgKxAtEBCprDBs8CjwEBA38gACAAQaCXA2ooAgBBMGxqQaS3AmooAgAhAwNAIAJBAUhFBEAgACAAKAKglwNBMGxqIANBA3VqQai3AmoiBCAELQAAIAEgAiACQQggA0EHcWsiBCACIARIGyIFayICdSAEIAVrdHI6AAAgAyAFaiEDDAELCyAAIAAoAqCXA0EwbGpBpLcCaiADNgIAC4IEAQN/IAJBgARPBEAgACABIAIQ0AIgAA8LIAAgAmohAwJAIAAgAXNBA3FFBEACQCACQQFIBEAgACECDAELIABBA3FFBEAgACECDAELIAAhAgNAIAIgAS0AADoAACABQQFqIQEgAkEBaiICIANPDQEgAkEDcQ0ACwsCQCADQXxxIgRBwABJDQAgAiAEQUBqIgVLDQADQCACIAEoAgA2AgAgAiABKAIENgIEIAIgASgCCDYCCCACIAEoAgw2AgwgAiABKAIQNgIQIAIgASgCFDYCFCACIAEoAhg2AhggAiABKAIcNgIcIAIgASgCIDYCICACIAEoAiQ2AiQgAiABKAIoNgIoIAIgASgCLDYCLCACIAEoAjA2AjAgAiABKAI0NgI0IAIgASgCODYCOCACIAEoAjw2AjwgAUFAayEBIAJBQGsiAiAFTQ0ACwsgAiAETw0BA0AgAiABKAIANgIAIAFBBGohASACQQRqIgIgBEkNAAsMAQsgA0EESQRAIAAhAgwBCyADQXxqIgQgAEkEQCAAIQIMAQsgACECA0AgAiABLQAAOgAAIAIgAS0AAToAASACIAEtAAI6AAIgAiABLQADOgADIAFBBGohASACQQRqIgIgBE0NAAsLIAIgA0kEQANAIAIgAS0AADoAACABQQFqIQEgAkEBaiICIANHDQALCyAACxQAIAAEQCAAKAIAQbucYkYPC0EAC/MCAgJ/AX4CQCACRQ0AIAAgAmoiA0F/aiABOgAAIAAgAToAACACQQNJDQAgA0F+aiABOgAAIAAgAToAASADQX1qIAE6AAAgACABOgACIAJBB0kNACADQXxqIAE6AAAgACABOgADIAJBCUkNACAAQQAgAGtBA3EiBGoiAyABQf8BcUGBgoQIbCIBNgIAIAMgAiAEa0F8cSIEaiICQXxqIAE2AgAgBEEJSQ0AIAMgATYCCCADIAE2AgQgAkF4aiABNgIAIAJBdGogATYCACAEQRlJDQAgAyABNgIYIAMgATYCFCADIAE2AhAgAyABNgIMIAJBcGogATYCACACQWxqIAE2AgAgAkFoaiABNgIAIAJBZGogATYCACAEIANBBHFBGHIiBGsiAkEgSQ0AIAGtIgVCIIYgBYQhBSADIARqIQEDQCABIAU3AxggASAFNwMQIAEgBTcDCCABIAU3AwAgAUEgaiEBIAJBYGoiAkEfSw0ACwsgAAvXAgEFfyAABEAgAEF8aiIBKAIAIgQhAyABIQIgAEF4aigCACIFQX9MBEAgASAFaiIAKAIFIgIgACgCCTYCCCAAKAIJIAI2AgQgBCAFQX9zaiEDIABBAWohAgsgASAEaiIAKAIAIgEgACABakF8aigCAEcEQCAAKAIEIgQgACgCCDYCCCAAKAIIIAQ2AgQgASADaiEDCyACIAM2AgAgA0F8cSACakF8aiADQX9zNgIAIAICfyACKAIAQXhqIgBB/wBNBEAgAEEDdkF/agwBCyAAZyEBIABBHSABa3ZBBHMgAUECdGtB7gBqIABB/x9NDQAaIABBHiABa3ZBAnMgAUEBdGtBxwBqIgBBPyAAQT9JGwsiA0EEdCIAQaD7BWo2AgQgAiAAQaj7BWoiACgCADYCCCAAIAI2AgAgAigCCCACNgIEQaiDBkGogwYpAwBCASADrYaENwMACwvODwMIfwJ+CHxEAAAAAAAA8D8hDAJAAkACQCABvSIKQiCIpyIDQf////8HcSICIAqnIgZyRQ0AIAC9IgtCIIinIQUgC6ciCUVBACAFQYCAwP8DRhsNACAFQf////8HcSIEQYCAwP8HSyAEQYCAwP8HRiAJQQBHcXIgAkGAgMD/B0tyRUEAIAZFIAJBgIDA/wdHchtFBEAgACABoA8LAkACQAJ/AkAgBUF/Sg0AQQIgAkH///+ZBEsNARogAkGAgMD/A0kNACACQRR2IQcgAkGAgICKBE8EQEEAIAZBswggB2siCHYiByAIdCAGRw0CGkECIAdBAXFrDAILIAYNAyACQZMIIAdrIgZ2IgcgBnQgAkcNAkECIAdBAXFrIQgMAgtBAAshCCAGDQELIAJBgIDA/wdGBEAgBEGAgMCAfGogCXJFDQIgBEGAgMD/A08EQCABRAAAAAAAAAAAIANBf0obDwtEAAAAAAAAAAAgAZogA0F/ShsPCyACQYCAwP8DRgRAIANBf0oEQCAADwtEAAAAAAAA8D8gAKMPCyADQYCAgIAERgRAIAAgAKIPCyADQYCAgP8DRyAFQQBIcg0AIACfDwsgAJkhDCAFQf////8DcUGAgMD/A0dBACAEGyAJckUEQEQAAAAAAADwPyAMoyAMIANBAEgbIQwgBUF/Sg0BIAggBEGAgMCAfGpyRQRAIAwgDKEiACAAow8LIAyaIAwgCEEBRhsPC0QAAAAAAADwPyENAkAgBUF/Sg0AAkACQCAIDgIAAQILIAAgAKEiACAAow8LRAAAAAAAAPC/IQ0LAnwgAkGBgICPBE8EQCACQYGAwJ8ETwRAIARB//+//wNNBEBEAAAAAAAA8H9EAAAAAAAAAAAgA0EASBsPC0QAAAAAAADwf0QAAAAAAAAAACADQQBKGw8LIARB/v+//wNNBEAgDUScdQCIPOQ3fqJEnHUAiDzkN36iIA1EWfP4wh9upQGiRFnz+MIfbqUBoiADQQBIGw8LIARBgYDA/wNPBEAgDUScdQCIPOQ3fqJEnHUAiDzkN36iIA1EWfP4wh9upQGiRFnz+MIfbqUBoiADQQBKGw8LIAxEAAAAAAAA8L+gIgBEAAAAYEcV9z+iIgwgAERE3134C65UPqIgACAAokQAAAAAAADgPyAAIABEAAAAAAAA0L+iRFVVVVVVVdU/oKKhokT+gitlRxX3v6KgIg+gvUKAgICAcIO/IgAgDKEMAQsgDEQAAAAAAABAQ6IiACAMIARBgIDAAEkiAhshDCAAvUIgiKcgBCACGyIEQf//P3EiBUGAgMD/A3IhAyAEQRR1Qcx3QYF4IAIbaiEEQQAhAgJAIAVBj7EOSQ0AIAVB+uwuSQRAQQEhAgwBCyADQYCAQGohAyAEQQFqIQQLIAJBA3QiBUGw1QFqKwMAIhEgDL1C/////w+DIAOtQiCGhL8iDyAFQZDVAWorAwAiDqEiEEQAAAAAAADwPyAOIA+goyISoiIMvUKAgICAcIO/IgAgACAAoiITRAAAAAAAAAhAoCAMIACgIBIgECAAIANBAXVBgICAgAJyIAJBEnRqQYCAIGqtQiCGvyIQoqEgACAPIBAgDqGhoqGiIg+iIAwgDKIiACAAoiAAIAAgACAAIABE705FSih+yj+iRGXbyZNKhs0/oKJEAUEdqWB00T+gokRNJo9RVVXVP6CiRP+rb9u2bds/oKJEAzMzMzMz4z+goqAiDqC9QoCAgIBwg78iAKIiECAPIACiIAwgDiAARAAAAAAAAAjAoCAToaGioCIMoL1CgICAgHCDvyIARAAAAOAJx+4/oiIOIAVBoNUBaisDACAMIAAgEKGhRP0DOtwJx+4/oiAARPUBWxTgLz6+oqCgIg+goCAEtyIMoL1CgICAgHCDvyIAIAyhIBGhIA6hCyEOIAAgCkKAgICAcIO/IhGiIgwgDyAOoSABoiABIBGhIACioCIAoCIBvSIKpyECAkAgCkIgiKciA0GAgMCEBE4EQCADQYCAwPt7aiACcg0DIABE/oIrZUcVlzygIAEgDKFkQQFzDQEMAwsgA0GA+P//B3FBgJjDhARJDQAgA0GA6Lz7A2ogAnINAyAAIAEgDKFlQQFzDQAMAwtBACECIA0CfCADQf////8HcSIEQYGAgP8DTwR+QQBBgIDAACAEQRR2QYJ4anYgA2oiBEH//z9xQYCAwAByQZMIIARBFHZB/w9xIgVrdiICayACIANBAEgbIQIgACAMQYCAQCAFQYF4anUgBHGtQiCGv6EiDKC9BSAKC0KAgICAcIO/IgFEAAAAAEMu5j+iIg0gACABIAyhoUTvOfr+Qi7mP6IgAUQ5bKgMYVwgvqKgIgygIgAgACAAIAAgAKIiASABIAEgASABRNCkvnJpN2Y+okTxa9LFQb27vqCiRCzeJa9qVhE/oKJEk72+FmzBZr+gokQ+VVVVVVXFP6CioSIBoiABRAAAAAAAAADAoKMgDCAAIA2hoSIBIAAgAaKgoaFEAAAAAAAA8D+gIgC9IgpCIIinIAJBFHRqIgNB//8/TARAIAAgAhAWDAELIApC/////w+DIAOtQiCGhL8LoiEMCyAMDwsgDUScdQCIPOQ3fqJEnHUAiDzkN36iDwsgDURZ8/jCH26lAaJEWfP4wh9upQGiCxsAIAAgAWwiARAZIgAEQCAAQQAgARAFGgsgAAvDAQEDfwNAIAJBAUhFBEAgACgCsAIiA0UEQCAAQQg2ArACIAAgACgCrAJBAWoiAzYCrAIgACAAKAKklwNBMGxqQaC3AmooAgAgACgCqAJGBH8gABCtAiAAKAKsAgUgAwsgACgCoAJqQQA6AAAgACgCsAIhAwsgACADIAIgAyACIANIGyIDayIENgKwAiAAKAKgAiAAKAKsAmoiBSAFLQAAIAEgAiADayICdSAEdHI6AAAgACADIAAoAqgCajYCqAIMAQsLCzsBAX8jAEEQayIDJAACQCAARQ0AIAAoAsyeBUUNACADIAI2AgwgASACIAAoAsyeBREAAAsgA0EQaiQAC+QLAgZ/CH1DAACAPyEJAkACQAJAIAC8IgRBgICA/ANGDQAgAbwiBUH/////B3EiAkUNACAEQf////8HcSIDQYCAgPwHTUEAIAJBgYCA/AdJG0UEQCAAIAGSDwsCfwJAIARBf0oNAEECIAJB////2wRLDQEaIAJBgICA/ANJDQBBACACQZYBIAJBF3ZrIgZ2IgcgBnQgAkcNARpBAiAHQQFxawwBC0EACyEGAkAgAkGAgID8A0cEQCACQYCAgPwHRw0BIANBgICA/ANGDQIgA0GBgID8A08EQCABQwAAAAAgBUF/ShsPC0MAAAAAIAGMIAVBf0obDwsgAEMAAIA/IACVIAVBf0obDwsgBUGAgICABEYEQCAAIACUDwsgBUGAgID4A0cgBEEASHJFBEAgAJEPCyAAiyEIIARB/////wNxQYCAgPwDR0EAIAMbRQRAQwAAgD8gCJUgCCAFQQBIGyEJIARBf0oNASAGIANBgICAhHxqckUEQCAJIAmTIgAgAJUPCyAJjCAJIAZBAUYbDwsCQCAEQX9KDQACQAJAIAYOAgABAgsgACAAkyIAIACVDwtDAACAvyEJCwJ9IAJBgYCA6ARPBEAgA0H3///7A00EQCAJQ8rySXGUQ8rySXGUIAlDYEKiDZRDYEKiDZQgBUEASBsPCyADQYiAgPwDTwRAIAlDyvJJcZRDyvJJcZQgCUNgQqINlENgQqINlCAFQQBKGw8LIAhDAACAv5IiAEMAqrg/lCIIIABDcKXsNpQgACAAlEMAAAA/IAAgAEMAAIC+lEOrqqo+kpSTlEM7qri/lJIiC5K8QYBgcb4iACAIkwwBCyAIQwAAgEuUvCADIANBgICABEkiAxsiBEH///8DcSIGQYCAgPwDciECIARBF3VB6X5BgX8gAxtqIQNBACEEAkAgBkHyiPMASQ0AIAZB1+f2AkkEQEEBIQQMAQsgAkGAgIB8aiECIANBAWohAwsgBEECdCIGQYDVAWoqAgAiDSACviILIAZB8NQBaioCACIKkyIMQwAAgD8gCiALkpUiDpQiCLxBgGBxviIAIAAgAJQiD0MAAEBAkiAIIACSIA4gDCAAIAJBAXVBgOD//31xQYCAgIACciAEQRV0akGAgIACar4iDJSTIAAgCyAMIAqTk5STlCILlCAIIAiUIgAgAJQgACAAIAAgACAAQ0LxUz6UQ1UybD6SlEMFo4s+kpRDq6qqPpKUQ7dt2z6SlEOamRk/kpSSIgqSvEGAYHG+IgCUIgwgCyAAlCAIIAogAEMAAEDAkiAPk5OUkiIIkrxBgGBxviIAQwBAdj+UIgogBkH41AFqKgIAIAggACAMk5NDTzh2P5QgAEPGI/a4lJKSIguSkiADsiIIkrxBgGBxviIAIAiTIA2TIAqTCyEKIAAgBUGAYHG+Ig2UIgggCyAKkyABlCABIA2TIACUkiIAkiIBvCICQYGAgJgETg0BQYCAgJgEIQQCQAJAIAJBgICAmARGBEAgAEM8qjgzkiABIAiTXkEBcw0BDAQLIAAgASAIk19BAXMgAkGAgNiYfEdyRSACQf////8HcSIEQYGA2JgET3INBEEAIQMgBEGBgID4A0kNAQtBAEGAgIAEIARBF3ZBgn9qdiACaiIFQf///wNxQYCAgARyQZYBIAVBF3ZB/wFxIgRrdiIDayADIAJBAEgbIQMgACAIQYCAgHwgBEGBf2p1IAVxvpMiCJK8IQILIAkCfSACQYCAfnG+IgFDAHIxP5QiCSABQ4y+vzWUIAAgASAIk5NDGHIxP5SSIgiSIgAgACAAIAAgAJQiASABIAEgASABQ0y7MTOUQw7q3bWSlENVs4o4kpRDYQs2u5KUQ6uqKj6SlJMiAZQgAUMAAADAkpUgCCAAIAmTkyIBIAAgAZSSk5NDAACAP5IiALwgA0EXdGoiAkH///8DTARAIAAgAxDNAQwBCyACvguUIQkLIAkPCyAJQ8rySXGUQ8rySXGUDwsgCUNgQqINlENgQqINlAvRBwIHfxh9QeCJASEDAkACQCAAEJ0BQX9qDgQBAAABAAtB8IMBIQMLIAFBxABsIANqIgIqAkAhDSACKgI8IQ4gAigCMCEFIAIoAgwhAyACKAIIIQYgAigCBCEHIAIqAoQBIRYgAioCgAEhFyACKAI0IQQgAigCeCEIIAIqAhAhCSACKgJUIRggAioCFCELIAIqAlghGSACKgIYIQ8gAioCXCEaIAIqAhwhECACKgJgIRsgAioCICERIAIqAmQhHCACKgIkIRIgAioCaCEdIAIqAighEyACKgJsIR4gAioCLCEUIAIqAnAhHyACKgI4IRUgAioCfCEgIAAqAqABIQogACACKAIAEKUCAn8gCiAIIARrspQgBLKSIgyLQwAAAE9dBEAgDKgMAQtBgICAgHgLIQIgABBZQX9GBEAgACAHEFsLIAAQWEF/RgRAIAAgBhBaCyADBEAgABAEBEAgACADNgKMAQsLIAAQkQFDAACAP5IiDEMAAAAAXCAMIAxbcUUEQCAAIAkgCiAYIAmTlJIQkgELIAAQjgFDAACAP5IiCUMAAAAAXCAJIAlbcUUEQCAAIAsgCiAZIAuTlJIQjwELIAAQmwEiCUMAAAAAXCAJIAlbcUUEQCAAIA8gCiAaIA+TlJIQnAELIAAQmQEiCUMAAAAAXCAJIAlbcUUEQCAAIBAgCiAbIBCTlJIQmgELAkACQCAAEJ0BQX9qDgQAAQEAAQsgABAEBEAgAEEFNgLcAQsLIAAQlQEiCUMAAAAAXCAJIAlbcUUEQCAAIBEgCiAcIBGTlJIQlgELIAAQlwFDAACAP5IiCUMAAAAAXCAJIAlbcUUEQCAAIBIgCiAdIBKTlJIQmAELAn1DAAAAACAAEARFDQAaIAAqAuwBCyIJQwAAAABcIAkgCVtxRQRAIBMgCiAeIBOTlJIhCSAAEAQEQCAAIAk4AuwBCwsCQCAUIAogHyAUk5SSIgtDAAAAAF5BAXMNACAAEJMBQwAAgD+SIglDAAAAAFwgCSAJW3ENACAAIAsQlAELIAVBAU4EQCAAIAAQOEECchA5CwJAIAJBAUgNACAAEDgiA0GAgMAfcQ0AIAAgAyACQRR0chA5CyAAEFVDAACAP5IiCUMAAAAAXCAJIAlbcUUEQCAAIBUgCiAgIBWTlJK7EFYLIAAgCjgCoAEgACABNgKkASAAKAKgAiIBIA4gCiAXIA6TlJI4ApwCIAEgDSAKIBYgDZOUkrsgACoCFCIKi7sQPEQAAAAAAAAkQKJEAAAAAAAAAAAgCiAKWyAKQwAAAABccRuhtjgC5AELwQEBBX8gAEGwlwNqIAAoAlAiA0ELdEF4aiICIAAoApgBIgUgABAeIgRrIgYgBiACShsiAjYCACAEIAAoAhxBA3RrIANtIQQCQCACQQBOBEAgACgClAFFDQELIABBADYCsJcDQQAhAgsgAEHMpgFqQQA2AgAgAyAEbCAAQayXA2ooAgAiAyACIAMgAkgbaiECIAAoArCeBSIABEAgACADNgLgtQwgACAEQQJtNgLctQwLIAEgBDYCACAFIAIgAiAFShsLMwEBf0EDIQIDQCACQQBIRQRAIAAgAmogAToAACACQX9qIQIgAUEIdiEBDAELCyAAQQRqCwoAIAAgAXFBAEcLEQAgABAEBEAgACABNgKcAQsLTgECf0MAAIA/IAC8IgFB//8AcbJDAACAOJQiAJMgAUEMdkH8D3EiAkHg1QFqKgIAlCAAIAJB5NUBaioCAJSSIAFBF3ZB/wFxQYF/arKSC8EBAQJ/IwBBEGsiASQAAnwgAL1CIIinQf////8HcSICQfvDpP8DTQRARAAAAAAAAPA/IAJBnsGa8gNJDQEaIABEAAAAAAAAAAAQHwwBCyAAIAChIAJBgIDA/wdPDQAaAkACQAJAAkAgACABEGhBA3EOAwABAgMLIAErAwAgASsDCBAfDAMLIAErAwAgASsDCEEBECCaDAILIAErAwAgASsDCBAfmgwBCyABKwMAIAErAwhBARAgCyEAIAFBEGokACAAC20BAX8jAEGAAmsiBSQAIARBgMAEcSACIANMckUEQCAFIAFB/wFxIAIgA2siAkGAAiACQYACSSIBGxAFGiABRQRAA0AgACAFQYACEBogAkGAfmoiAkH/AUsNAAsLIAAgBSACEBoLIAVBgAJqJAALTQAgAEMAAAAAl7tE/Knx0k1iUD+itiIAu0RSuB6F61HoP6IQe0QAAAAAAAAqQKIgACAAlLtEAAAAAAAgTECjEHtEAAAAAAAADECioLYL2AEBBHwgAyACQ3E9WkAgAEMAAHpElSAAu0QzMzMzMzPTv2MbIgAgACACXRsiACAAIANeG7siBESamZmZmZnpvxAHIQcgBEQzMzMzMzMLwKAiBSAFokQzMzMzMzPjv6IQJCEFIAREZmZmZmZmIcCgIgYgBqJEMzMzMzMzw7+iECQhBiABu0R7FK5H4XqkP6JEMzMzMzMz4z+gRPyp8dJNYlA/oiAERAAAAAAAABBAEAeiIAZEAAAAAAAAGECiIAdEH4XrUbgeDUCiIAVEMzMzMzMzG8CioKCgtguoAQACQCABQYAITgRAIABEAAAAAAAA4H+iIQAgAUH/D0gEQCABQYF4aiEBDAILIABEAAAAAAAA4H+iIQAgAUH9FyABQf0XSBtBgnBqIQEMAQsgAUGBeEoNACAARAAAAAAAABAAoiEAIAFBg3BKBEAgAUH+B2ohAQwBCyAARAAAAAAAABAAoiEAIAFBhmggAUGGaEobQfwPaiEBCyAAIAFB/wdqrUI0hr+iCycBAn0Cf0EBIAAqAgAiAiABKgIAIgNeDQAaQX8gAiADXQ0AGkEACwuQAQEDfyAAIQECQAJAIABBA3FFDQAgAC0AAEUEQEEADwsDQCABQQFqIgFBA3FFDQEgAS0AAA0ACwwBCwNAIAEiAkEEaiEBIAIoAgAiA0F/cyADQf/9+3dqcUGAgYKEeHFFDQALIANB/wFxRQRAIAIgAGsPCwNAIAItAAEhAyACQQFqIgEhAiADDQALCyABIABrC9IDAgV/An4CQANAQaiDBikDACIHAn8gAEEDakF8cUEIIABBCEsbIgBB/wBNBEAgAEEDdkF/agwBCyAAZyEBIABBHSABa3ZBBHMgAUECdGtB7gBqIABB/x9NDQAaIABBHiABa3ZBAnMgAUEBdGtBxwBqIgFBPyABQT9JGwsiA62IIgZQRQRAA0AgBiAGeiIHiCEGAn4gAyAHp2oiA0EEdCICQaj7BWooAgAiASACQaD7BWoiBUcEQCABIAAQSyIEDQUgASgCBCIEIAEoAgg2AgggASgCCCAENgIEIAEgBTYCCCABIAJBpPsFaiICKAIANgIEIAIgATYCACABKAIEIAE2AgggA0EBaiEDIAZCAYgMAQtBqIMGQaiDBikDAEJ+IAOtiYM3AwAgBkIBhQsiBkIAUg0AC0GogwYpAwAhBwtBPyAHeadrQQR0IgFBoPsFaiECIAFBqPsFaigCACEBAkAgB0KAgICABFQNAEHjACEDIAEgAkYNAANAIANFDQEgASAAEEsiBA0DIANBf2ohAyABKAIIIgEgAkcNAAsgAiEBCyAAQTBqEGkNAAsgASACRwRAA0AgASAAEEsiBA0CIAEoAggiASACRw0ACwtBACEECyAECxcAIAAtAABBIHFFBEAgASACIAAQswELCy0AA0AgAgRAIAAgAS0AADoAACAAQQFqIQAgAUEBaiEBIAJBf2ohAgwBCwsgAAvpAgEBfwJAIAAgAUYNACABIABrIAJrQQAgAkEBdGtNBEAgACABIAIQAw8LIAAgAXNBA3EhAwJAAkAgACABSQRAIAMEQCAAIQMMAwsgAEEDcUUEQCAAIQMMAgsgACEDA0AgAkUNBCADIAEtAAA6AAAgAUEBaiEBIAJBf2ohAiADQQFqIgNBA3ENAAsMAQsCQCADDQAgACACakEDcQRAA0AgAkUNBSAAIAJBf2oiAmoiAyABIAJqLQAAOgAAIANBA3ENAAsLIAJBA00NAANAIAAgAkF8aiICaiABIAJqKAIANgIAIAJBA0sNAAsLIAJFDQIDQCAAIAJBf2oiAmogASACai0AADoAACACDQALDAILIAJBA00NAANAIAMgASgCADYCACABQQRqIQEgA0EEaiEDIAJBfGoiAkEDSw0ACwsgAkUNAANAIAMgAS0AADoAACADQQFqIQMgAUEBaiEBIAJBf2oiAg0ACwsgAAvECAILfwZ9IAIoAvglIgRBACAEQQBKGyEMIAAoAqieBSEJA0AgByAMRgRAAkBBvwQhBQNAIAVFBEBBACEFDAILIAIgBUECdGoqAgCLQ8y8jCteDQEgBUF/aiEFDAALAAsFQQAhBSACIAdBAnQiBmpBiCZqKAIAIgRBACAEQQBKGyEIIAkqAgggBiAJaioCGCAJKgIUIAAqAuQBED0gACAGakGglgVqKgIAIhSUIhIgBLKVIQ9DAAAAACERQwAAgCUhECAKIQQDQCAFIAhGRQRAIBAgAiAEQQJ0aioCACIQIBCUIhMgDyATIA9dG5IhECAFQQFqIQUgBEEBaiEEIBEgE5IhEQwBCwsCQCARIg8gEl0NACAQIBIiD10NACAQIQ8LIAggCmohCiARIBJeIAtqIQsgAiAHakHcKGogEQJ9IAEgBmoiBCoC9AEiEEPMvIwrXkEBc0UEQCAUIBEgBCoCAJQgEJWUIhAgDyAPIBBdGyEPCyAPC0MAAIAlIA9DAACAJV4bIg9D3CQ0KJJeOgAAIAMgDzgCACAHQQFqIQcgA0EEaiEDDAELCwJ/IAVBAXIgAigCtCUiBkECRw0AGiAFIAVBBnBrQQVqCyEFAkAgAEHkmAVqKAIADQAgACgCRCIEQd/XAkoNACAFAn8gBkECRwRAIABBxABB1AAgBEHBPkgbakH0pgFqKAIADAELIABBJEEwIARBwT5IG2pB0KcBaigCAEEDbAsiBEF/aiAFIARIGyEFCyACIAU2AtgoIAIoAoAmIQ0gAigC9CUhCANAIAcgDU5FBEBBACEGIAIgB0ECdGpBiCZqKAIAIgRBACAEQQBKGyEMIAkqAgggCSAIQQJ0IgVqKgJwIAkqAhQgACoC5AEQPSAAIAVqQfiWBWoiDioCAJQiEiAEspUhEwNAIAZBA0ZFBEBDAACAJSEQQwAAAAAhEUEAIQUgCiEEA0AgBSAMRkUEQCAQIAIgBEECdGoqAgAiDyAPlCIPIBMgDyATXRuSIRAgBUEBaiEFIARBAWohBCARIA+SIREMAQsLAkAgESIPIBJdDQAgECASIg9dDQAgECEPCyAKIAxqIQogESASXiALaiELIAIgBiAHampB3ChqIBECfSABIAhBDGxqIAZBAnRqIgQqAswCIhBDzLyMK15BAXNFBEAgDioCACARIAQqAliUIBCVlCIQIA8gDyAQXRshDwsgDwtDAACAJSAPQwAAgCVeGyIPQ9wkNCiSXjoAACADIA84AgAgBkEBaiEGIANBBGohAwwBCwsCQCAAKAJgRQ0AIANBdGoqAgAiESADQXhqIgQqAgAiD15BAXNFBEAgBCAPIBEgD5MgACgCrJ4FKgLgVpSSIg84AgALIA8gA0F8aiIEKgIAIhFeQQFzDQAgBCARIA8gEZMgACgCrJ4FKgLgVpSSOAIACyAHQQNqIQcgCEEBaiEIDAELCyALC1QBAn8CfyAAQYiWBWooAgAiAQRAIAAoAhQiAkEGdCABQQJ0akHw2ABqDAELIAAoAhQhAiAAQfwAagshASACIAAoAkQgASgCACAAQZCWBWooAgAQXguSAQEDfEQAAAAAAADwPyAAIACiIgJEAAAAAAAA4D+iIgOhIgREAAAAAAAA8D8gBKEgA6EgAiACIAIgAkSQFcsZoAH6PqJEd1HBFmzBVr+gokRMVVVVVVWlP6CiIAIgAqIiAyADoiACIAJE1DiIvun6qL2iRMSxtL2e7iE+oKJErVKcgE9+kr6goqCiIAAgAaKhoKALmQEBA3wgACAAoiIDIAMgA6KiIANEfNXPWjrZ5T2iROucK4rm5Vq+oKIgAyADRH3+sVfjHcc+okTVYcEZoAEqv6CiRKb4EBEREYE/oKAhBSADIACiIQQgAkUEQCAEIAMgBaJESVVVVVVVxb+goiAAoA8LIAAgAyABRAAAAAAAAOA/oiAEIAWioaIgAaEgBERJVVVVVVXFP6KgoQsKACAAQVBqQQpJC0wBAX8DQCACBEAgAkF/aiECIAACfyABRQRAQQAhASADDAELIAFBAWogASABLQAAIgQbIQEgBCADIAQbCzoAACAAQQFqIQAMAQsLIAALQwEBfwJAIAJFDQAgAS8BACEDA0AgAkUNASAAIAMgAS8BABB6OwAAIABBAmohACABQQJqIQEgAkF/aiECDAALAAsgAAu4AwMCfwF+AnwgAL0iA0I/iKchAQJAAkACfAJAIAACfwJAAkAgA0IgiKdB/////wdxIgJBq8aYhARPBEAgAL1C////////////AINCgICAgICAgPj/AFYEQCAADwsgAETvOfr+Qi6GQGRBAXNFBEAgAEQAAAAAAADgf6IPCyAARFEwLdUQSYfAY0UgAETSvHrdKyOGwGNBAXNyDQEMBgsgAkHD3Nj+A0kNAyACQbLFwv8DSQ0BCyAARP6CK2VHFfc/oiABQQN0QcC+AWorAwCgIgCZRAAAAAAAAOBBYwRAIACqDAILQYCAgIB4DAELIAFBAXMgAWsLIgG3IgREAADg/kIu5r+ioCIAIAREdjx5Ne856j2iIgWhDAELIAJBgIDA8QNNDQJBACEBIAALIQQgACAEIAQgBCAEoiIAIAAgACAAIABE0KS+cmk3Zj6iRPFr0sVBvbu+oKJELN4lr2pWET+gokSTvb4WbMFmv6CiRD5VVVVVVcU/oKKhIgCiRAAAAAAAAABAIAChoyAFoaBEAAAAAAAA8D+gIQQgAUUNACAEIAEQFiEECyAEDwsgAEQAAAAAAADwP6ALgQMBDH8CQCABRQRADAELIAFBBHQiBUGwKGooAgAhCiAFQbgoaiENIAVBvChqIQ4gBEGAEmohDCABQRBJIQ8DQCACIANODQEgDCACQQFqQQJ0IhBqKAIAIQZBACELAn8gDCACQQJ0IgFqKAIAIgdFBEBBACEIQQAMAQtB//8DIQggASAEaioCAEMAAAAAXQshAQJAAkACQCAPBEAgCiEFDAELIAEgB0EBdEHi/wdqQf7/B3FBACAHQQ5LIgUbciEBQQ8gByAFGyEHIApBACAFGyELQRAhBSAGQQ9JDQAgBkHx/wNqQf//A3EgASAKdHIhASAKIAtqIQtBDyEGDAELIAYNAEEAIQYMAQsgAUEBdCAEIBBqKgIAQwAAAABdciEBIAhBf2ohCAsgACANKAIAIAUgB2wgBmoiBUEBdGovAQAgCCAOKAIAIAVqLQAAakEQdEEQdSIFEAkgACABIAsgCGtB//8DcSIBEAkgASAJaiAFaiEJIAJBAmohAgwACwALIAkLNABDAAAgQSAAKgK0ASAAIAEQNiAAKgLQASIBjEMAAMjCIAFDAAAAAF4bkpJDzczMPZQQCwvEBgELfyMAQYASayIMJAAgAUEANgKwJSABQoCAgICgGjcCqCUgAUIANwKgJSABQbwlakEAQTQQBRoCfyAAKAJEQcE+SARAQREhBEERIQdBCQwBC0EVIQRBFkEVIABB5JgFaigCABshB0EMCyEDIAEgBzYCgCYgASAHNgL4JSABIAM2AvQlIAEgBDYC8CUgAUELNgKEJiABIAQ2AvwlIABB9KYBaiEJA0AgAkEWRkUEQCAJIAJBAnQiA2ooAgAhBSAJIAJBAWoiAkECdGooAgAhCCABIANqIgNBpCdqQQM2AgAgA0GIJmogCCAFazYCAAwBCwsCQCABKAK0JUECRw0AIAFCADcC8CUCfyABKAK4JUUEQEEADAELIAFBAzYC9CUgASAAKAJQQQF0QQRqIgY2AvAlQQMLIQUCQCAAKAJEQcA+TARAIAFBCSAFa0EDbCAGaiICNgKAJgwBCyABQQ1BDCAAQeSYBWooAgAbIAVrQQNsIAZqNgKAJkEMIAVrQQNsIAZqIQILIAEgAjYC/CUgASAGNgL4JSABIAJBbmo2AoQmIAAgBkECdGpB9KYBaigCACEDIAwgAUGAEhADIQsgASADQQJ0aiEEIABB0KcBaiEKIAUhCANAIAhBDUYEQCAAQdCnAWohBCABQYgmaiEKIAFBpCdqIQsDQCAFQQ1GDQMgBUECdCEDIAogBkECdCIJaiIIIAQgBUEBaiIFQQJ0aigCACADIARqKAIAayICNgIEIAogCUEIaiIDaiACNgIAIAggAjYCACADIAtqQQI2AgAgCSALakKAgICAEDcCACAGQQNqIQYMAAsACyAKIAhBAnRqKAIAIgMgCiAIQQFqIghBAnRqKAIAIgIgAyACShshCUEAIQcDQCAHQQNGDQEgAyECA0AgAiAJRkUEQCAEIAsgAkEDbCAHakECdGoqAgA4AgAgAkEBaiECIARBBGohBAwBCwsgB0EBaiEHDAALAAsACyABQgA3AsgoIAFBkOcANgLEKCABQQA2AsAoIAFBvwQ2AtgoIAFB0ChqQgA3AgAgAUGAJGpBAEGcARAFGiAAKAJsIgNBBE1BACADQQJHG0UEQCAAIAEQxwILIAxBgBJqJAALYAICfwJ9IAAgAUGI0gBsaiEBA0AgAkHABEZFBEAgASACQQJ0aiIAQYQpaiIDIAAqAgAiBCADKgIAIgWTQ/MENT+UOAIAIAAgBCAFkkPzBDU/lDgCACACQQFqIQIMAQsLC8EBAQR/IwBBEGsiAyQAIANBADYCDCABQQA2ApwlIAIgASgC2CgiBUECdCIGakEAQYASIAZrEAUaIAEgAiAFIANBDGogACgCwJ4FEQUAAkAgAyoCDEMI5TweXkEBc0UEQCAAQeiYBWooAgBBAXZBAXEhBEEAIQIDQCACIAEoAoAmTgRAQQEhBAwDBSAAIAJBAnRqQciXBWogBDYCACACQQFqIQIMAQsACwALIAFBgBJqQQBBgBIQBRoLIANBEGokACAEC/YBAgN9BHwgACAAKwMARAAAAAAAAGBBoCIFOQMAIAAgACsDCEQAAAAAAABgQaAiBjkDCCAAIAArAxBEAAAAAAAAYEGgIgc5AxAgACAAKwMYRAAAAAAAAGBBoCIIOQMYIAW2vEECdEGw5oOgfWoqAgAhAiAGtrxBAnRBsOaDoH1qKgIAIQMgB7a8QQJ0QbDmg6B9aioCACEEIAEgCCAItrxBAnRBsOaDoH1qKgIAu6C2vEGAgICoe2o2AgwgASAHIAS7oLa8QYCAgKh7ajYCCCABIAYgA7ugtrxBgICAqHtqNgIEIAEgBSACu6C2vEGAgICoe2o2AgALPwEBfSAAKAIQKgKcJSEEIAAgASACIAMgACgCABEFACAAEEggABBHIQEgACgCECIAIAQ4ApwlIAEgACgC7CVqC7EBAQR/QSchCAJAIAJBAU4EQANAIAhFDQIgASAHQQJ0IgVqIAQgACAFaigCACIFayADbCACbSAFaiIFQf8BIAVB/wFIGyIFQQAgBUEAShsiBTYCACAFIAYgBiAFSRshBiAHQQFqIQcgCEF/aiEIDAALAAsDQCAIRQ0BIAEgB0ECdCICaiAAIAJqKAIAIgI2AgAgAiAGIAYgAkgbIQYgB0EBaiEHIAhBf2ohCAwACwALIAYLFQAgAEECRgRAIAEQuQIPCyABELgCC5IBAQZ/IABBzKYBaiAAQcSmAWoiBSgCACIGQQN0IgIgAEGslwNqIgcoAgAgACgCUCABbGoiASABQQhvIgNrIABBsJcDaigCAGsiBEEAIARBAEobIANqIgMgAiADSBtBCG0iBEEDdCICNgIAIAUgBiAEazYCACAAQdCmAWogAyACayIANgIAIAcgASACayAAazYCAAtIAQJ/An8gAUEfTQRAIAAoAgAhAiAAQQRqDAELIAFBYGohASAACygCACEDIAAgAiABdDYCACAAIAMgAXQgAkEgIAFrdnI2AgQLqgIBAn8jAEHwAWsiBiQAIAYgAjYC7AEgBiAANgIAIAYgATYC6AECQAJAAkACQEEAIAFBAUYgAhsNACAAIAUgA0ECdGooAgBrIgcgABAXQQFIDQAgBEUhBEEBIQIDQCAHIQEgBEEBcUUgA0ECSHJFBEAgAEF8aiIEIAEQF0F/Sg0DIAQgA0ECdCAFakF4aigCAGsgARAXQX9KDQMLIAYgAkECdGogATYCACAGQegBaiAGQegBahBrIgAQMSACQQFqIQIgACADaiEDIAYoAugBQQFGBEAgBigC7AFFDQQLQQEhBCABIQAgASAFIANBAnRqKAIAayIHIAYoAgAQF0EBTg0ACwwCCyAEDQJBASECCyAAIQELIAYgAhBqIAEgAyAFEEwLIAZB8AFqJAALSAECfwJ/IAFBH00EQCAAKAIEIQIgAAwBCyABQWBqIQEgAEEEagsoAgAhAyAAIAIgAXY2AgQgACACQSAgAWt0IAMgAXZyNgIAC5sBAQF/AkACQAJ/AkACQCAAQcA+Rg0AAkACQCAAQZHWAEYNACAAQeDdAEYNASAAQYD9AEYNAiAAQaKsAUYNACAAQcC7AUYNAUEBIQIgAEGA+gFHBEAgAEHE2AJGDQYgAEGA9wJHDQRBASEADAcLQQIhAAwGCwwEC0EBDAILQQIMAQtBfwshAEEAIQIMAQtBACEACyABIAI2AgAgAAtTAQF/QQIgASACQYD9AEgbQQZ0IQEDQAJAIANBD0YEQEF/IQMMAQsgASADQQJ0akHw2ABqKAIAIgJBAU5BACAAIAJGGw0AIANBAWohAwwBCwsgAwt+AQJ/QQIgASACQYD9AEgbQQZ0IgRB9NgAaigCACECQQIhAQNAIAFBD0ZFBEAgBCABQQJ0akHw2ABqKAIAIgNBAU4EQCADIAIgAyAAayIDIANBH3UiA2ogA3MgAiAAayICIAJBH3UiAmogAnNIGyECCyABQQFqIQEMAQsLIAILEgAgAEUEQEEBDwsgACgCoAJFC7kBAAJAAkACQAJAAkACQAJAIAAoAsABDgYAAQIDBAUGCyABQwAAEEFDzczMPUMAAMBBEBUPCyABQwAAgL9DzczMPUMAAMBBEBUPCyABQwAAAABDzczMPUMAAMBBEBUPCyABQwAAgD9DzczMPUMAAMBBEBVDAADAQJIPCyABIAAqArwBQ83MzD1DAADAQRAVDwsgASAAKgK8AUNxPVpAQ83MgEEQFQ8LIAFDAAAAAEPNzMw9QwAAwEEQFQsRACAAEAQEQCAAIAE2AqgBCwsTACAAEARFBEBBAA8LIAAoApQBCxEAIAAQBARAIAAgATYClAELCzwAIANFIAAgASACEKgCIgJBAUhyRQRAIABB/J0FaiABIAIQwQEgAEGgngVqIgAgACgCACACajYCAAsgAguKAwMBfwN9BHwgAEECdiEEA0AgBARAIAIqAgAgAZS7RAAAAAAAAGBBoCIItrxBAnRBsOaDoH1qKgIAIQUgAioCBCABlLtEAAAAAAAAYEGgIgm2vEECdEGw5oOgfWoqAgAhBiACKgIIIAGUu0QAAAAAAABgQaAiCra8QQJ0QbDmg6B9aioCACEHIAMgAioCDCABlLtEAAAAAAAAYEGgIgsgC7a8QQJ0QbDmg6B9aioCALugtrxBgICAqHtqNgIMIAMgCiAHu6C2vEGAgICoe2o2AgggAyAJIAa7oLa8QYCAgKh7ajYCBCADIAggBbugtrxBgICAqHtqNgIAIAJBEGohAiADQRBqIQMgBEF/aiEEDAELCyAAQQJxBEAgAioCACABlLtEAAAAAAAAYEGgIgi2vEECdEGw5oOgfWoqAgAhBSADIAIqAgQgAZS7RAAAAAAAAGBBoCIJIAm2vEECdEGw5oOgfWoqAgC7oLa8QYCAgKh7ajYCBCADIAggBbugtrxBgICAqHtqNgIACwvmAwMDfwF+BnwCQAJAAkACQCAAvSIEQgBZBEAgBEIgiKciAUH//z9LDQELIARC////////////AINQBEBEAAAAAAAA8L8gACAAoqMPCyAEQn9VDQEgACAAoUQAAAAAAAAAAKMPCyABQf//v/8HSw0CQYCAwP8DIQJBgXghAyABQYCAwP8DRwRAIAEhAgwCCyAEpw0BRAAAAAAAAAAADwsgAEQAAAAAAABQQ6K9IgRCIIinIQJBy3chAwsgAyACQeK+JWoiAUEUdmq3IgdEAGCfUBNE0z+iIgggBEL/////D4MgAUH//z9xQZ7Bmv8Daq1CIIaEv0QAAAAAAADwv6AiACAAIABEAAAAAAAA4D+ioiIFob1CgICAgHCDvyIGRAAAIBV7y9s/oiIJoCIKIAkgCCAKoaAgACAGoSAFoSAAIABEAAAAAAAAAECgoyIAIAUgACAAoiIFIAWiIgAgACAARJ/GeNAJmsM/okSveI4dxXHMP6CiRAT6l5mZmdk/oKIgBSAAIAAgAEREUj7fEvHCP6JE3gPLlmRGxz+gokRZkyKUJEnSP6CiRJNVVVVVVeU/oKKgoKKgIgBEAAAgFXvL2z+iIAdENivxEfP+WT2iIAAgBqBE1a2ayjiUuz2ioKCgoCEACyAAC4MBAQF9IAEQESEEQwAAAAAhAUMAACBBIAJDEp60QpJDHqa9QiADIANDAACAP10bkyAEu0R+WMckGBUIQKK2IAKTIAAgAJQiAEMI5TweXkEBcwR9QwAAAAAFIAAQEbtEpuQ9ZhQRoT+iRAAAAAAAAPA/oLYLQwAAAACXlJJDzczMPZQQCwuzAgIGfwF9QaCNBiEEIAIqApwlQwA4AEYgAigCrCVBAnRB8OYFaioCACIKlV4Ef0GgjQYFIAEgAkGAEmogCiACIAMQuwICQCAAQeiYBWotAABBAnFFDQBEmbE6agBO5D8gAigC5CUgAigCrCVqQQJ0QfDmBWoqAgC7o7YhCkEAIQQDQCAFIAIoAvwlTg0BIAIgBUECdCIGakGIJmooAgAhBwJAIAAgBmpByJcFaigCAEUEQCAEIAdqIQQMAQsgBCAEIAdqIgYgBCAGShshBwNAIAQgB0YEQCAGIQQFQQAhCCABIARBAnQiCWoqAgAgCmBBAXNFBEAgAiAJakGAEmooAgAhCAsgAiAJakGAEmogCDYCACAEQQFqIQQMAQsLCyAFQQFqIQUMAAsACyAAIAIgAxBGCwv4BAMJfwV9AXwjAEEQayIGJAAgBkEANgIMIANBADYCECAAQYAkaiELQwAAoMEhEANAAkACQCAHIAAoAoAmSARAIAsoAgAhCCAAKAKsJSIFAn9BACAAKALgJUUNABogB0ECdEGw5gBqKAIACyAIaiAAKALkJUEBanRrIAAgACAHQQJ0Ig1qIglBpCdqKAIAQQJ0akHIJWooAgBBA3RrIQhDAACAPyABKgIAlSEOAkACQCAERQ0AIAQgDWoiCigCCCAIRw0AIAYgBigCDCAJQYgmaigCAGo2AgwgDiAKKgKkAZQhDyAKKgLAAiEODAELIAhBAnRB0PIFaioCACEPIAAgBkEMagJ/IAYoAgwiBSAJQYgmaigCACIJaiAAKALYKCIKTARAIAlBAXUMAQtBACAKIAVrIgVBAWpBAXUgBUEASBsLIA8QvgIhDyAEBEAgBCANaiIFIA84AqQBIAUgCDYCCAsgDiAPlCIPQwjlPB4gD0MI5TweXhsQEbtE/nmfUBNE0z+itiEOIARFDQIgBCANaiAOOALAAiAAKAKsJSEFCyACIA84AgAgBCAFNgIADAILIAMgEjgCBCADIAw2AgwgAyAQOAIIIAMgETgCACAGQRBqJAAPCyACIA84AgALIA5DAAAAAF5BAXNFBEAgAyADKAIQAn8gDkMAACBBlLtEAAAAAAAA4D+gIhOZRAAAAAAAAOBBYwRAIBOqDAELQYCAgIB4CyIFQQEgBUEBShsiBSAFbGo2AhAgDEEBaiEMIBEgDpIhEQsgC0EEaiELIAFBBGohASASIA6SIRIgAkEEaiECIBAgDiAQIA5eGyEQIAdBAWohBwwACwALhQcBCH8jAEHAwABrIgYkACAAIAEgBSAEIAMQzgICQCAAKAIgRQRAQeQAIQQMAQsgBkEYakEAQdwDEAUaIAEgAiAGQZAEaiAGQfgDaiAGQRhqED8gBiABKAKgJTYCjAQgBkG4F2ogAUGEKRADGiAGQbAFaiADQYASEAMaQf+s4gQhCgNAQQAhCEEBIQQDQCAHIQkDQAJAAkACQCAEQQFxBEADQCAALQDomAUhDAJAIAAoAuSYBUUNACAGKAK0PUECdCIEIAZBkARqaioCAEMAAIA/Xg0DIAYoAuw8QQJHDQAgBCAGQZAEamoiBCoCBEMAAIA/Xg0DIAQqAghDAACAP14NAwsgACAGQbgXaiAGQZAEaiADIAkQzQJFDQIgBSAGKAKkPWsiDUEBSA0CQf4BQf8BIAYoApw9GyEEA0AgBiAAIAMgBkG4F2ogBkEYahA+Igc2Atg8IAcgDUwgBigC5DwiByAESnJFBEAgBiAHQQFqNgLkPAwBCwsgByAESg0CIAYoAoQERQRAA0AgBiAAIAMgBkG4F2ogBkEYahA+Igc2Atg8IAcgCkwgBigC5DwiByAESnJFBEAgBiAHQQFqNgLkPAwBCwsgByAESg0DC0EUQQMgDEECcRshByAGQbgXaiACIAZBkARqIAYgBkEYahA/IAYgBigC2Dw2AhQCQCAAQdwAQdgAIAEoArQlQQJGG2ooAgAgBkH4A2ogBiAGQbgXaiAGQZAEahDMAgRAIAEoAqAlIQogBiAGKQMQNwOIBCAGIAYpAwg3A4AEIAYgBikDADcD+AMgASAGQbgXakGEKRADGiAGQbAFaiADQYASEAMaQQAhCAwBCyAAKAI0DQAgCEEBaiEEIAggB04EQCAGKAKEBEUNBQsgCEEeTkEAIAAoAixBA0YgCUEAR3EiBxsNBCAHBEAgBigC5DwgC2tBEE4NBQsgBCEICyAGKAKcPSAGKALkPGpB/wFIDQAMBAsACwJAIAAoAmwiBEEES0EBIAR0QRZxRXJFBEAgAyAGQbAFakGAEhADGgwBCyAALQDomAVBAXFFDQAgACABIAIgAxBiCyAGKAKEBCEEDAYLIAghBAsgBCEIC0EAIQQgACgCLEEDRw0AC0EBIQcgCQ0ACyAGQbgXaiABQYQpEAMaIAMgBkGwBWpBgBIQAxogBigC5DwhCwwACwALIAZBwMAAaiQAIAQL9wECBH8BfAJ/RAAAAAAAAOA/IAG7oUQfhetRuB7VP6IiCCAIoLZDAAAAAJdDAAAAP5a7RAAAAAAAAOA/oiAAKAIEIgQgACgCACIFaiIGt6IiCJlEAAAAAAAA4EFjBEAgCKoMAQtBgICAgHgLIQcCfyAEQf0ATgRAAkAgAAJ/IARB/x8gBWsiBCAHIAQgB0gbIgRBACAEQQBKGyIHayIEQf4ATgRAIAUgAk4NAiAFIAdqDAELQf0AIQQgBkGDf2oLIgU2AgALIAAgBDYCBCAEIAVqIQYLIAYgA0oLBEAgACADIARsIAZtNgIEIAAgAyAFbCAGbTYCAAsLpAQCBX8BfCMAQRBrIgYkACAGQQA2AgwgBkIANwMAIAAgAyAGQQhqIAZBDGogBRDAASADQQNsQQRtIQggBigCDCEHIAYoAgghCSABIARBA3RqIQpBACEEQQAhAQNAIAEgACgCTCIDTkUEQCACIAFBAnQiBWogCSADbSIDQf8fIANB/x9IGyIDNgIAIAUgBmpB/x8gA2sgCAJ/IAUgCmoqAgAgA7KUu0QAAAAAAOCFQKMgA7ehIguZRAAAAAAAAOBBYwRAIAuqDAELQYCAgIB4CyIFIAggBUgbIgVBACAFQQBKGyIFIAMgBWpB/x9KGyIDNgIAIAMgBGohBCABQQFqIQEMAQsLAkAgBCAHTA0AQQAhASAEQQBMDQAgA0EAIANBAEobIQUDQCABIAVGDQEgBiABQQJ0aiIIIAgoAgAgB2wgBG02AgAgAUEBaiEBDAALAAsgByAJaiEFQQAhAQNAIAEgA05FBEAgAiABQQJ0IgNqIgQgBCgCACADIAZqKAIAajYCACABQQFqIQEgACgCTCEDDAELC0EAIQQgA0EAIANBAEobIQdBACEBA0AgASAHRkUEQCACIAFBAnRqKAIAIARqIQQgAUEBaiEBDAELCwJAIARBgTxIDQBBACEBA0AgASADTg0BIAIgAUECdGoiAyADKAIAQYA8bCAEbTYCACABQQFqIQEgACgCTCEDDAALAAsgBkEQaiQAIAVBgDwgBUGAPEgbC1sAIAAgASACIABBtAJqEGQgACgCKEEBRgRAIAAgACABQYjSAGxqIAJBhClsakG0AmoQRQsgACAAIAFBiNIAbGogAkGEKWxqIgBB1CdqKAIAIABBoChqKAIAEGcL+wQDAn8DfQZ8IwBBMGsiBCQAIAJBAnYhBSADQQJ0IgNB8OYFaioCACEGIANB0PIFaioCACEHA0AgBQRAIAQgBiABKgIAlLs5AxAgBCAGIAEqAgSUuzkDGCAEIAYgASoCCJS7OQMgIAQgBiABKgIMlLs5AyggBEEQaiAEECogBCAAKgIAiyAHIAQoAgBBAnRB8OUBaioCAJSTuyILOQMQIAQgACoCBIsgByAEKAIEQQJ0QfDlAWoqAgCUk7siCTkDGCAEIAAqAgiLIAcgBCgCCEECdEHw5QFqKgIAlJO7Igo5AyAgBCAAKgIMiyAHIAQoAgxBAnRB8OUBaioCAJSTuyIMOQMoIAsgC6IgCSAJoqAgCiAKoiAMIAyioKAgCLugtiEIIAFBEGohASAAQRBqIQAgBUF/aiEFDAELCyACQQNxIgIEQCAEQgA3AyggBEIANwMgIARCADcDGCAEQgA3AxACQAJAAkACQCACQX9qIgIOAwIBAAMLIAQgBiABKgIIlLs5AyALIAQgBiABKgIElLs5AxgLIAQgBiABKgIAlLs5AxALIARBEGogBBAqRAAAAAAAAAAAIQxEAAAAAAAAAAAhC0QAAAAAAAAAACEJRAAAAAAAAAAAIQoCQAJAAkACQCACDgMCAQADCyAAKgIIiyAHIAQoAghBAnRB8OUBaioCAJSTuyEMCyAAKgIEiyAHIAQoAgRBAnRB8OUBaioCAJSTuyEOIAwhCwsgACoCAIsgByAEKAIAQQJ0QfDlAWoqAgCUk7shDSALIQkgDiEKCyANIA2iIAogCqKgIAkgCaJEAAAAAAAAAACgoCAIu6C2IQgLIARBMGokACAIC94EAQh/IwBBkCxrIgIkACABQYASaiEHAkACQCABKAK0JSIDQQJGBEAgACgCUEEBRg0CIAJBiANqIAFBhCkQAxoMAQsgAkGIA2ogAUGEKRADGiADDQAgACABQaQlaigCACAHIAJBoAJqIAJBwAFqIAJB4ABqIAIQvAIgACACQYgDaiABIAcgAkGgAmogAkHAAWogAkHgAGogAhCmAQsgAigCrCgiA0UNACABIANBAnRqIgNB/BFqKAIAIANB+BFqKAIAckEBSw0AIAEoAqglIgNBvgRKDQAgAkGIA2ogAUGEKRADGiACIANBAmoiAzYCsCggAigCrCghCSABQYASaiEFA0AgAyAJTEUEQCAEIANBAnQgBWoiCEF0aigCACAFIANBfGoiA0ECdGooAgBBAXRqQQF0IAhBeGooAgBqQQF0IAhBfGooAgBqIghBoChqLQAAaiEEIAYgCEGQKGotAABqIQYMAQsLIAIgAzYCrCggAiAGIARLIgU2AvAoIAIgBCAGIAUbIgQ2AsgrIAIoArwoRQRAIAAgAkGIA2ogASAHIAJBoAJqIAJBwAFqIAJB4ABqIAIQpgEMAQsgAiAENgKoKCACQagoaiEEIAMgAEGUpwFqKAIAIgYgBiADShsiBUEBTgRAIAIgByABIAVBAnRqQYASaiAEIAAoArieBREEADYCxCgLIAMgBkoEQCACQcgoaiABQYASaiIHIAVBAnRqIAcgA0ECdGogBCAAKAK4ngURBAA2AgALIAEoAqAlIAIoAqgoTA0AIAEgAkGIA2pBhCkQAxoLIAJBkCxqJAALjQYBC38jAEEQayIGJAAgASgC2ChBAmpBfnEiA0HABEghBCACBEAgAkEANgIECyADQcAEIAQbIQQgAUGAEmohCgNAIAQiA0ECTgRAIAogA0F+aiIEQQJ0aigCACADQQJ0IApqQXxqKAIAckUNAQsLIAEgAzYCqCUgAUGAEmohCANAAkAgA0EESA0AIANBAnQgCGoiCUF0aigCACILIAggA0F8aiIEQQJ0aigCACIMciAJQXhqKAIAIg1yIAlBfGooAgAiCXJBAUsNACAHIAxBAXQgC2pBAXQgDWpBAXQgCWoiA0GgKGotAABqIQcgBSADQZAoai0AAGohBSAEIQMMAQsLIAYgBTYCDCABQQA2AuglIAUgB0sEQCAGIAc2AgwgAUEBNgLoJSAHIQULIAEgAzYCpCUgASAFNgLAKAJAIANFDQACQAJ/AkACQAJAIAEoArQlDgMBAgACCyADIABB3KcBaigCAEEDbCIEIAQgA0obDAILIAEgACADaiIFQeqYBWosAAAiBDYC2CUgASAFQeuYBWosAAAiBzYC3CUgAEH0pgFqIgggBEECdGooAgQhBSAEIAdqQQJ0IAhqKAIIIgQgA04NAiABQcQlaiABQYASaiIHIARBAnRqIAcgA0ECdGogBkEMaiAAKAK4ngURBAA2AgAMAgsgAUKHgICA0AE3AtglIAMgAEGUpwFqKAIAIgQgBCADShsLIQUgAyEECyAFIAMgBSADSBsiBUEBTgRAIAEgCiABIAVBAnRqQYASaiAGQQxqIAAoArieBREEADYCvCULIAUgBCADIAQgA0gbIgNIBEAgAUHAJWogAUGAEmoiBCAFQQJ0aiAEIANBAnRqIAZBDGogACgCuJ4FEQQANgIACyAAKAIoQQJGBEAgASAGKAIMNgKgJSAAIAEQRSAGIAEoAqAlNgIMCyACRQ0AIAEoArQlDQAgASgCpCUhBEEAIQMDQCADIgFBAWohAyAAIAFBAnRqQfSmAWooAgAgBEgNAAsgAiABNgIECyAGKAIMIQAgBkEQaiQAIAALLgEBfyAAKAIIIAAoAhAQsAEgACgCDCAAKAIQQQAQRiEBIAAoAhAgATYCoCUgAQsmACAAKAIMKAJQIAAoAhAQLUUEQA8LIAAoAgxBxuQAQQAQChBOAAtRAQN/QQEhAwNAIAMEQCADQX9qIQMgACABEKwCQQAhAgNAIAJBgAJGDQIgACACQTBsakGgtwJqIgQgBCgCAEEIajYCACACQQFqIQIMAAsACwsLnQMDA38BfgJ8AkACQAJAAkAgAL0iBEIAWQRAIARCIIinIgFB//8/Sw0BCyAEQv///////////wCDUARARAAAAAAAAPC/IAAgAKKjDwsgBEJ/VQ0BIAAgAKFEAAAAAAAAAACjDwsgAUH//7//B0sNAkGAgMD/AyECQYF4IQMgAUGAgMD/A0cEQCABIQIMAgsgBKcNAUQAAAAAAAAAAA8LIABEAAAAAAAAUEOivSIEQiCIpyECQct3IQMLIAMgAkHiviVqIgFBFHZqtyIFRAAA4P5CLuY/oiAEQv////8PgyABQf//P3FBnsGa/wNqrUIghoS/RAAAAAAAAPC/oCIAIAVEdjx5Ne856j2iIAAgAEQAAAAAAAAAQKCjIgUgACAARAAAAAAAAOA/oqIiBiAFIAWiIgUgBaIiACAAIABEn8Z40Amawz+iRK94jh3Fccw/oKJEBPqXmZmZ2T+goiAFIAAgACAARERSPt8S8cI/okTeA8uWZEbHP6CiRFmTIpQkSdI/oKJEk1VVVVVV5T+goqCgoqAgBqGgoCEACyAAC6UDAQR/IABBC2pBeHEiBCABaiAAIAAoAgAiAmpBfGpNBH8gACgCBCIDIAAoAgg2AgggACgCCCADNgIEIAQgAEEEaiIFRwRAIAAgAEF8aigCACIDQR91IANzayIDIAQgBWsiBCADKAIAaiIFNgIAIAVBfHEgA2pBfGogBTYCACAAIARqIgAgAiAEayICNgIACwJAIAFBGGogAk0EQCAAIAFqQQhqIgMgAiABayICQXhqIgQ2AgAgBEF8cSADakF8akEHIAJrNgIAIAMCfyADKAIAQXhqIgJB/wBNBEAgAkEDdkF/agwBCyACZyEEIAJBHSAEa3ZBBHMgBEECdGtB7gBqIAJB/x9NDQAaIAJBHiAEa3ZBAnMgBEEBdGtBxwBqIgJBPyACQT9JGwsiAkEEdCIEQaD7BWo2AgQgAyAEQaj7BWoiBCgCADYCCCAEIAM2AgAgAygCCCADNgIEQaiDBkGogwYpAwBCASACrYaENwMAIAAgAUEIaiIBNgIAIAFBfHEgAGpBfGogATYCAAwBCyAAIAJqQXxqIAI2AgALIABBBGoFQQALC6YBAQV/IwBB8AFrIgQkACAEIAA2AgBBASEFAkAgAUECSA0AIAAhAwNAIAAgA0F8aiIDIAIgAUF+aiIHQQJ0aigCAGsiBhAXQQBOBEAgACADEBdBf0oNAgsgBCAFQQJ0aiAGIAMgBiADEBdBf0oiABsiAzYCACAFQQFqIQUgAUF/aiAHIAAbIgFBAkgNASAEKAIAIQAMAAsACyAEIAUQaiAEQfABaiQAC+UQAg9/AX4jAEHQAGsiBiQAIAYgATYCTCAGQTdqIRMgBkE4aiEPQQAhAQJAA0ACQEF/IAEgDGogAUH/////ByAMa0obIAwgDEF/ShshDCAGKAJMIgshAQJAAkACQCALLQAAIgUEQANAAkACQCAFQf8BcSIFRQRAIAEhBQwBCyAFQSVHDQEgASEFA0AgAS0AAUElRw0BIAYgAUECaiIHNgJMIAVBAWohBSABLQACIQggByEBIAhBJUYNAAsLIAUgC2shASAABEAgACALIAEQGgsgAQ0HIAYoAkwiBUEBaiEBQX8hDgJAIAUsAAEiBxAhRQ0AIAUtAAJBJEcNACAFQQNqIQEgB0FQaiEOQQEhEAsgBiABNgJMQQAhCAJAIAEsAAAiCkFgaiIHQR9LBEAgASEFDAELIAEhBUEBIAd0IgdBidEEcUUNAANAIAYgAUEBaiIFNgJMIAcgCHIhCCABLAABIgpBYGoiB0EgTw0BIAUhAUEBIAd0IgdBidEEcQ0ACwsCQCAKQSpGBEACfwJAIAUsAAEiARAhRQ0AIAUtAAJBJEcNACABQQJ0IARqQcB+akEKNgIAIAVBA2ohAUEBIRAgBSwAAUEDdCADakGAfWooAgAMAQsgEA0GIAVBAWohASAARQRAIAYgATYCTEEAIRBBACENDAMLIAIgAigCACIFQQRqNgIAQQAhECAFKAIACyENIAYgATYCTCANQX9KDQFBACANayENIAhBgMAAciEIDAELIAZBzABqEHAiDUEASA0EIAYoAkwhAQtBfyEJAkAgAS0AAEEuRw0AIAEtAAFBKkYEQAJAAkAgASwAAiIFECFFDQAgAS0AA0EkRw0AIAVBAnQgBGpBwH5qQQo2AgAgASwAAkEDdCADakGAfWooAgAhCSABQQRqIQEMAQsgEA0GIAFBAmohASAARQRAQQAhCQwBCyACIAIoAgAiBUEEajYCACAFKAIAIQkLIAYgATYCTAwBCyAGIAFBAWo2AkwgBkHMAGoQcCEJIAYoAkwhAQtBACEHA0AgByERQX8hCiABIhIsAABBv39qQTlLDQkgBiASQQFqIgE2AkwgEiwAACARQTpsakGvuAFqLQAAIgdBf2pBCEkNAAsCQAJAIAdBE0cEQCAHRQ0LIA5BAE4EQCAEIA5BAnRqIAc2AgAgBiADIA5BA3RqKQMANwNADAILIABFDQkgBkFAayAHIAIQbwwCCyAOQX9KDQoLQQAhASAARQ0ICyAIQf//e3EiBSAIIAhBgMAAcRshB0EAIQpBwLwBIQ4gDyEIAkAgAEEgIA0CfwJ/AkACQAJAAkACfwJAAkACQCASLAAAIgFBX3EgASABQQ9xQQNGGyABIBEbIgFB4gBMBEAgAUHDAEYNCCABQdMARg0HIAFB2ABGDQEMEQsCQAJAAkAgAUGdf2oOFg0FExMTEwUTExMTAQQCExMIEwATEwMTCyAGKQNAIRRBwLwBDAULQQAhAQJAAkACQAJAAkACQAJAIBFB/wFxDggAAQIDBBoFBhoLIAYoAkAgDDYCAAwZCyAGKAJAIAw2AgAMGAsgBigCQCAMrDcDAAwXCyAGKAJAIAw7AQAMFgsgBigCQCAMOgAADBULIAYoAkAgDDYCAAwUCyAGKAJAIAysNwMADBMLIAlBCCAJQQhLGyEJIAdBCHIhB0H4ACEBCyAGKQNAIhQgDyABQSBxENQBIQsgB0EIcUUgFFByDQMgB0H//3txIAcgCUF/ShshByAUQgBSIQUgAUEEdkHAvAFqIQ5BAiEKDA4LIAYpA0AiFCAPENMBIQsgB0EIcUUNAiAJIA8gC2siAUEBaiAJIAFKGyEJDAILIAYpA0AiFEJ/VwRAIAZCACAUfSIUNwNAQQEhCkHAvAEMAQsgB0GAEHEEQEEBIQpBwbwBDAELQcK8AUHAvAEgB0EBcSIKGwshDiAUIA8Q0gEhCwsgB0H//3txIAcgCUF/ShshByAUQgBSIQUgCSAUUEVyDQpBACEJIA8iCyEIDAsLIAYoAkAiAUHKvAEgARsiCyAJENYBIgEgCSALaiABGyEIIAUhByABIAtrIAkgARshCQwKCyAJBEAgBigCQAwCCyAAQSAgDUEAIAcQE0EADAILIAZBADYCDCAGIAYpA0A+AgggBiAGQQhqNgJAQX8hCSAGQQhqCyILIQVBACEBAkADQCAFKAIAIghFDQEgBkEEaiAIEG4iCEEASCIRIAggCSABa0tyRQRAIAVBBGohBSAJIAEgCGoiAUsNAQwCCwtBfyEKIBENCwsgAEEgIA0gASAHEBNBACIFIAFFDQAaA0ACQCALKAIAIghFDQAgBkEEaiAIEG4iCCAFaiIFIAFKDQAgACAGQQRqIAgQGiALQQRqIQsgBSABSQ0BCwsgAQsiBSAHQYDAAHMQEyANIAUgDSAFShshAQwICyAGIAYpA0A8ADdBASEJIBMhCyAFIQcMBQsgBiABQQFqIgc2AkwgAS0AASEFIAchAQwACwALIAwhCiAADQUgEEUNA0EBIQEDQCAEIAFBAnRqKAIAIgAEQCADIAFBA3RqIAAgAhBvQQEhCiABQQFqIgFBCkcNAQwHCwtBASEKIAFBCk8NBUEAIQUDQCAFDQEgAUEBaiIBQQpGDQYgBCABQQJ0aigCACEFDAALAAtBfyEKDAQLIAkgDyALayAFQQFzaiIBIAkgAUobIQkLIABBICAKIAggC2siCCAJIAkgCEgbIhFqIgUgDSANIAVIGyIBIAUgBxATIAAgDiAKEBogAEEwIAEgBSAHQYCABHMQEyAAQTAgESAIQQAQEyAAIAsgCBAaIABBICABIAUgB0GAwABzEBMMAQsLQQAhCgsgBkHQAGokACAKCxkAQdj6BSgCABBsQdj6BSgCABBsQX8QAQALDQAgASAAoSACoiAAoAshAAJAIABFDQAgACgCAEG7nGJHDQAgACgCBEEASg8LQQALJAEBfyMAQRBrIgMkACADIAI2AgwgACABIAIQ1wEgA0EQaiQAC6gGAwZ/BH0CfCMAQaASayIIJAAgCEEAQYQQEAUhCSACQQJtIQggASACsiIMlSENIAwgA7IiDCAMkiIMlSEPIAEgDJUhDiAJQZAQagJ/A0BBwAAgB0HAAEYNARogDSAGspQiARAUIQwgB0ECdCIKIAlBkBBqaiABOAIAIAYhAwNAAkAgDSADIgKylBAUIQEgAiAISg0AIAJBAWohAyABIAyTu0TD9Shcj8LVP2MNAQsLIAAgCmoiA0G0DWogAiAGayIKNgIAIAMgCkEBSAR9QwAAAAAFQwAAgD8gCrKVCzgCgAQgBiACIAIgBkgbIQIDQCACIAZGRQRAIAkgBkECdGogBzYCACAGQQFqIQYMAQsLIAdBAWohByACIgYgCEwNAAsgCCEGIAcLIgJBAnRqIA0gBrKUOAIAIAAgAjYC5BAgACAENgLoEEEAIQNBACEGA0AgAiAGRgRAIAJBwAAgAkHAAEsbIQMDQCACIANGBEAgD7shEUEAIQYDQCAEIAZGRQRAIAkCfyAFIAZBAnQiC2ooAgAiCrdEAAAAAAAA4L+gIBGiRAAAAAAAAOA/oJwiEJlEAAAAAAAA4EFjBEAgEKoMAQtBgICAgHgLIgJBACACQQBKG0ECdGooAgAhByAAIAtqIgtBjBBqIAkgCAJ/IAUgBkEBaiIGQQJ0aigCACICt0QAAAAAAADgv6AgEaJEAAAAAAAA4D+gnCIQmUQAAAAAAADgQWMEQCAQqgwBC0GAgICAeAsiAyAIIANIG0ECdGooAgAiAzYCACALQbQPaiADIAdqQQJtNgIAQwAAAAAhAQJAIA4gArKUIAlBkBBqIANBAnRqIgIqAgAiDJMgAioCBCAMk5UiDEMAAAAAXQ0AIAwiAUMAAIA/XkEBcw0AQwAAgD8hAQsgC0HYCGogATgCACALQYAIaiAOIAqylLsQhgE4AgAMAQsLIAlBoBJqJAAFIAAgAkECdGpBgICA/AM2AoAGIAJBAWohAgwBCwsFIAAgBkECdGoiByANIAdBtA1qKAIAIgdBAm0gA2qylLsQhgE4AoAGIAZBAWohBiADIAdqIQMMAQsLC90CAgl/A30gACgC6BAiCkEAIApBAEobIQYDQAJAAn8gBiAIRwRAIAUgACAIQQJ0IgtqIgxBjBBqKAIAIgcgACgC5BAiCSAHIAlIGyIHIAUgB0obIQcDQCAFIAdGRQRAIA8gAiAFQQJ0Ig1qKgIAkiEPIA4gASANaioCAJIhDiAFQQFqIQUMAQsLIAcgCUgNAiADIAhBAnQiAGogDjgCACAAIARqIA84AgAgCEEBaiEGCyAGCyAKIAYgCkobIQADQCAAIAZGRQRAIAMgBkECdCIBakEANgIAIAEgBGpBADYCACAGQQFqIQYMAQsLDwsgAiAHQQJ0IgVqIgkqAgAhECADIAtqIA4gDEHYCGoqAgAiDiABIAVqIgUqAgCUkjgCACAEIAtqIA8gDiAQlJI4AgBDAACAPyAOkyIOIAkqAgCUIQ8gDiAFKgIAlCEOIAhBAWohCCAHQQFqIQUMAAsAC88CAAJAAkACQAJAAkACQAJAAkACQAJAAkACQCABQZh4ag4IBAYJAAYJAgIBCyAAQcACNgKYASAAQcACEI0BIABBABAQDwsgACABNgKYASABQfQDRg0IAkACQAJAIAFBpANHBEAgAUGuA0YNASABQbgDRg0CIAFBwgNGDQMgAUHMA0YNBSABQdYDRg0HIAFB4ANGDQkgAUHqA0YNCiABQZoDRw0NIABBCRAMDwsgAEEIEAwPCyAAQQcQDA8LIABBBhAMDwsgAEEFEAwPCyAAQQQQECAAQcwDNgKYAQsgAEEEEAwPCyAAQQQQECAAQdYDNgKYAQsgAEEDEAwPCyAAQQQQECAAQeADNgKYAQsgAEECEAwPCyAAQQEQDA8LIABBBBAQIABB9AM2ApgBCyAAQQAQDA8LIAFBeGpBuAJNBEAgACABEI0BDwsgAEEANgKYAQsWACAAEARFBEBDAAAAAA8LIAAqAvwBCxIAIAAQBARAIAAgAbY4AvwBCwsTACAAEARFBEBBAA8LIAAoAqgBCxMAIAAQBEUEQEEADwsgACgCiAELEwAgABAERQRAQQAPCyAAKAKEAQsRACAAEAQEQCAAIAE2AogBCwsRACAAEAQEQCAAIAE2AoQBCwv2AQECfwJAIAFBCEgNACAAQcwAQQgQCSABQRBIBEAgAUF4aiEBDAELIABBwQBBCBAJIAFBGEgEQCABQXBqIQEMAQsgAEHNAEEIEAkgAUEgSARAIAFBaGohAQwBCyAAQcUAQQgQCSABQWBqIQICQCABQcAASA0AIAFBYGpBA3YiAUEFIAFBBUkbIQNBACEBA0AgASADRg0BIAAgAUGU2wBqLAAAQQgQCSABQQFqIQEgAkF4aiECDAALAAsgAiEBCwNAIAFBAUhFBEAgACAAKAKolwNBARAJIAAgACgCqJcDIAAoApQBRXM2AqiXAyABQX9qIQEMAQsLC0YBAX8gAEEIdCECQQAhAANAIABBCEZFBEAgAUEBdCIBQYWAAnMgASABIAJBAXQiAnNBgIAEcRshASAAQQFqIQAMAQsLIAELGgAgAEHAsgRsQcCyBGogAmwgAW0gA2pBA3QLXwIDfwF9Q7Q3GD8gAZUhAQNAIAQgAE9FBEAgAiAEQQJ0IgVBBHIiBmoqAgAhByADIAVqIAEgAiAFaioCAF5BAXM2AgAgAyAGaiABIAdeQQFzNgIAIARBAmohBAwBCwsLBQAQzwELYgECfyMAQRBrIgMkACAAQYiWBWpBATYCACADIAAQHjYCDEEBIQIDQCACIAAoAnhKRQRAIAAgAjYCiJYFIAEgAkECdGogACADQQxqEA02AgAgAkEBaiECDAELCyADQRBqJAAL2QUDC38FfQF8IwBBwAFrIgkkAAJAIABB6JgFaigCACIEQQRxRQRAIAEoArQlQQJGDQELIARBgAFxDQAgASACIAlBIGogCUEIakEAED8DQCAFQcAERkUEQAJ9QwAAAAAgASAFQQJ0IgRqIgZBgBJqKAIARQ0AGiAGKgIAiwshDyADIARqIA84AgAgBUEBaiEFDAELC0EGQQggASgCtCVBAkYbIQoDQCABIApBAnQiBGpBiCZqKAIAIgcgCCIMaiEIAkAgCUEgaiAEaioCACIQQwAAgD9gDQAgAyAMQQJ0aiAHEM8CAkAgCEECdCADakF8aioCACIPQwAAAABbIgYgDyAPXHJFBEAgD4u7IhREAAAAoPfGsD6iIBRmQQFzDQEMAgsgBg0BC0QAAAAAAADwPyAQu6EgAiAEaioCALuitiEPQQAhBgJAAn0DQEEBIQUgByAGQQFqIgQgByAEShshCyAGIAxqIQ0gAyAGIAhqIAdrQQJ0aiEOA0ACQCAFIAZqIgQgB04EQCALIQQMAQsCQCAOKgIAIhCLIhIgAyAFIA1qQQJ0aioCACIRiyITXkEBc0UEQCASu0QAAACg98awPqIgECARk4u7ZkEBc0UNAQwCCyATu0QAAACg98awPqIgECARk4u7ZkEBcw0BCyAFQQFqIQUMAQsLAkAgDyADIA1BAnRqIgsqAgAiECAQlCAFspQiEF1BAXNFBEAgBkUNASALQXxqKgIADAMLIA8gEJMhDyAEIgYgB0gNAQsLQwAAAAALIg9DAAAAAFsiBCAPIA9cckUEQCAPi7siFEQAAACg98awPqIgFGZBAXMNAQwCCyAEDQELA0AgASAIIAdrQQJ0aiIEKgIAiyAPX0EBc0UEQCAEQYASakEANgIACyAHQQFKIQQgB0F/aiEHIAQNAAsLIApBAWoiCiABKAKAJkgNAAsgASAAIAFBABBGNgKgJQsgCUHAAWokAAujAQIFfwF9IwBBoAFrIgckACAAKAIQKgKcJSEJA0AgBUEnRkUEQCAHIAVBAnQiBGogAiAEaigCACIIIAEgBGooAgAgA2oiBCAEIAhIGyIEQf8BIARB/wFIGyIENgIAIAQgBiAGIARIGyEGIAVBAWohBQwBCwsgACAHIAIgBiAAKAIAEQUAIAAQSCAAEEchASAAKAIQIAk4ApwlIAdBoAFqJAAgAQvPBgEIfyADIAFBiNIAbGogAkGEKWxqIgdB/CVqIQsDQCAFIAsoAgAiBkgEQCAEIAcgBUECdGoiCUGIJmooAgAgBGoiCiAEIApKGyEGA0ACQCAEIAZHBH8gByAEQQJ0akGAEmooAgBFDQEgBAUgBgsgCkYEQCAJQYAkakF+NgIAQX4hCAsgBUEBaiEFIAohBAwDCyAEQQFqIQQMAAsACwsCQCADIAFBiNIAbGogAkGEKWxqIgooAuQlDQAgCigC4CUNACAGQQAgBkEAShshByADIAFBiNIAbGogAkGEKWxqIQlBACEEQQAhBQNAIAQgB0ZFBEAgBSAJIARBAnRqQYAkaigCACIFQQAgBUEAShtyIQUgBEEBaiEEDAELCyAFRSAFQQFxcg0AIApB5CVqIQVBACEEIAMgAUGI0gBsaiACQYQpbGohCANAIAQgBk5FBEAgCCAEQQJ0akGAJGoiBygCACIJQQFOBEAgByAJQQF2NgIAIAsoAgAhBgsgBEEBaiEEDAELC0EBIQggBUEBNgIACwJAIAooAuAlDQAgAyABQYjSAGxqIAJBhClsaigCtCVBAkYNACAAKAJQQQJHDQAgCkHgJWohBUELIQQgAyABQYjSAGxqIAJBhClsaiEHA0ACQCAEQRVGBEBBCyEEIAMgAUGI0gBsaiACQYQpbGohBgNAIARBFUYNAiAGIARBAnQiCGpBgCRqIgcoAgAiCUEBTgRAIAcgCSAIQbDmAGooAgBrNgIACyAEQQFqIQQMAAsACyAEQQJ0IQYgBEEBaiEEIAYgB2pBgCRqKAIAIglBfkYNASAJIAZBsOYAaigCAE4NAQwCCwtBASEIIAVBATYCAAtBACEEA0AgBEEERkUEQCADIAJBBHRqIARBAnRqQaCkAWpBADYCACAEQQFqIQQMAQsLAkAgAUEBRw0AIAAoAlBBAkcNACADIAJBhClsaiIEKAK0JUECRg0AIARBvPcAaigCAEECRg0AIAIgAxC6AkEAIQgLIAMgAUGI0gBsaiACQYQpbGohAUEAIQQDQCAEIAsoAgBIBEAgASAEQQJ0akGAJGoiAigCAEF+RgRAIAJBADYCAAsgBEEBaiEEDAELCyAIBEAgACgCUCAKEC0aCwuWAwEMf0EEQQIgACgC5CUiCBshCSAAKAL8JSEGAkAgACgC4CUiDEUNAEELIQQgBkELIAZBC0obIQcDQCAEIAdGDQEgAiAEQQJ0IgVqIgogCigCACAFQbDmAGooAgAgCWxqNgIAIARBAWohBAwACwALQQJBASAIGyEIIAZBACAGQQBKGyEEQQAhBgNAIAQgBkYEQAJAIARBJyAEQSdLGyEBA0AgASAERg0BIAAgBEECdGpBgCRqQQA2AgAgBEEBaiEEDAALAAsFIAAgACAGQQJ0IgdqIgVBpCdqKAIAQQJ0akHIJWooAgAhDSAAKAKsJSEOIAwEfyAHQbDmAGooAgAFQQALIQoCQCACIAdqKAIAIgtBf0wEQCABIAdqKAIAIQ8gBUGAJGoiByAJIAtBf3NqIAh1IgU2AgAgByADIAZqLQAAIgsgBSAFIAtKGyIFNgIAIAVBAUgNASAFIAh0IA4gDUEDdGsgCSAKbGsgD2siBUwNASAHIAUgCHU2AgAMAQsgBUGAJGpBADYCAAsgBkEBaiEGDAELCwtYACAAIAEgAiAAQbQCahBkIAAoAihBAUYEQCAAIAAgAUGI0gBsaiACQYQpbGpBtAJqEEULIAAgAUGI0gBsaiACQYQpbGoiAEGgKGooAgAgAEHUJ2ooAgBqCxkAIABBrJcDaiIAIAAoAgAgASACams2AgALzAkDBX8BfgR8IwBBMGsiBCQAAkACQAJAIAC9IgdCIIinIgJB/////wdxIgNB+tS9gARNBEAgAkH//z9xQfvDJEYNASADQfyyi4AETQRAIAdCAFkEQCABIABEAABAVPsh+b+gIgBEMWNiGmG00L2gIgg5AwAgASAAIAihRDFjYhphtNC9oDkDCEEBIQIMBQsgASAARAAAQFT7Ifk/oCIARDFjYhphtNA9oCIIOQMAIAEgACAIoUQxY2IaYbTQPaA5AwhBfyECDAQLIAdCAFkEQCABIABEAABAVPshCcCgIgBEMWNiGmG04L2gIgg5AwAgASAAIAihRDFjYhphtOC9oDkDCEECIQIMBAsgASAARAAAQFT7IQlAoCIARDFjYhphtOA9oCIIOQMAIAEgACAIoUQxY2IaYbTgPaA5AwhBfiECDAMLIANBu4zxgARNBEAgA0G8+9eABE0EQCADQfyyy4AERg0CIAdCAFkEQCABIABEAAAwf3zZEsCgIgBEypSTp5EO6b2gIgg5AwAgASAAIAihRMqUk6eRDum9oDkDCEEDIQIMBQsgASAARAAAMH982RJAoCIARMqUk6eRDuk9oCIIOQMAIAEgACAIoUTKlJOnkQ7pPaA5AwhBfSECDAQLIANB+8PkgARGDQEgB0IAWQRAIAEgAEQAAEBU+yEZwKAiAEQxY2IaYbTwvaAiCDkDACABIAAgCKFEMWNiGmG08L2gOQMIQQQhAgwECyABIABEAABAVPshGUCgIgBEMWNiGmG08D2gIgg5AwAgASAAIAihRDFjYhphtPA9oDkDCEF8IQIMAwsgA0H6w+SJBEsNAQsgASAAIABEg8jJbTBf5D+iRAAAAAAAADhDoEQAAAAAAAA4w6AiCUQAAEBU+yH5v6KgIgggCUQxY2IaYbTQPaIiC6EiADkDACADQRR2IgUgAL1CNIinQf8PcWtBEUghAwJ/IAmZRAAAAAAAAOBBYwRAIAmqDAELQYCAgIB4CyECAkAgAw0AIAEgCCAJRAAAYBphtNA9oiIAoSIKIAlEc3ADLooZozuiIAggCqEgAKGhIguhIgA5AwAgBSAAvUI0iKdB/w9xa0EySARAIAohCAwBCyABIAogCUQAAAAuihmjO6IiAKEiCCAJRMFJICWag3s5oiAKIAihIAChoSILoSIAOQMACyABIAggAKEgC6E5AwgMAQsgA0GAgMD/B08EQCABIAAgAKEiADkDACABIAA5AwhBACECDAELIAdC/////////weDQoCAgICAgICwwQCEvyEAQQAhAkEBIQUDQCAEQRBqIAJBA3RqAn8gAJlEAAAAAAAA4EFjBEAgAKoMAQtBgICAgHgLtyIIOQMAIAAgCKFEAAAAAAAAcEGiIQBBASECIAVBAXEhBkEAIQUgBg0ACyAEIAA5AyACQCAARAAAAAAAAAAAYgRAQQIhAgwBC0EBIQUDQCAFIgJBf2ohBSAEQRBqIAJBA3RqKwMARAAAAAAAAAAAYQ0ACwsgBEEQaiAEIANBFHZB6ndqIAJBAWoQzAEhAiAEKwMAIQAgB0J/VwRAIAEgAJo5AwAgASAEKwMImjkDCEEAIAJrIQIMAQsgASAAOQMAIAEgBCsDCDkDCAsgBEEwaiQAIAIL7gMBBn9BwNUBKAIAIgEgAEEDakF8cSIEaiEDAkAgBEEBTkEAIAMgAU0bDQAgAz8AQRB0SwRAIAMQoAJFDQELQcDVASADNgIAIAFBAUgNAEEQIQMgACABaiIEQXBqIgJBEDYCDCACQRA2AgACQAJAAkBBoIMGKAIAIgBFDQAgASAAKAIIRw0AIAEgAUF8aigCACIDQR91IANzayIGQXxqKAIAIQUgACAENgIIQXAhAyAGIAUgBUEfdXNrIgAgACgCAGpBfGooAgBBf0oNASAAKAIEIgEgACgCCDYCCCAAKAIIIAE2AgQgACACIABrIgE2AgAMAgsgAUEQNgIMIAFBEDYCACABIAQ2AgggASAANgIEQaCDBiABNgIACyABIANqIgAgAiAAayIBNgIACyABQXxxIABqQXxqIAFBf3M2AgAgAAJ/IAAoAgBBeGoiAUH/AE0EQCABQQN2QX9qDAELIAFnIQIgAUEdIAJrdkEEcyACQQJ0a0HuAGogAUH/H00NABogAUEeIAJrdkECcyACQQF0a0HHAGoiAUE/IAFBP0kbCyIBQQR0IgJBoPsFajYCBCAAIAJBqPsFaiICKAIANgIIIAIgADYCACAAKAIIIAA2AgRBqIMGQaiDBikDAEIBIAGthoQ3AwBBASECCyACC3ABA38jAEGAAmsiAyQAIAFBAk4EQCAAIAFBAnRqIAM2AgAgAyAAKAIAQQQQAxoDQCAAIAJBAnRqIgQoAgAgACACQQFqIgJBAnRqKAIAQQQQAxogBCAEKAIAQQRqNgIAIAEgAkcNAAsLIANBgAJqJAALJgEBfyAAKAIAQX9qaCIBRQRAIAAoAgRoIgBBIGpBACAAGw8LIAELUwECfwJAIABFDQAgACgCTBogACgCFCAAKAIcSwRAIABBAEEAIAAoAiQRBAAaCyAAKAIEIgEgACgCCCICTw0AIAAgASACa6xBASAAKAIoESoAGgsLUgECfQJ/IAGyIgJDYhCAP5QiA4tDAAAAT10EQCADqAwBC0GAgICAeAsgAEgCfyACQzvffz+UIgKLQwAAAE9dBEAgAqgMAQtBgICAgHgLIABKcgsSACAARQRAQQAPCyAAIAEQ0AELrQIAAkAgAUEUSw0AAkACQAJAAkACQAJAAkACQAJAIAFBd2oOCQABAgMEBQYHCAkLIAIgAigCACIBQQRqNgIAIAAgASgCADYCAA8LIAIgAigCACIBQQRqNgIAIAAgATQCADcDAA8LIAIgAigCACIBQQRqNgIAIAAgATUCADcDAA8LIAIgAigCAEEHakF4cSIBQQhqNgIAIAAgASkDADcDAA8LIAIgAigCACIBQQRqNgIAIAAgATIBADcDAA8LIAIgAigCACIBQQRqNgIAIAAgATMBADcDAA8LIAIgAigCACIBQQRqNgIAIAAgATAAADcDAA8LIAIgAigCACIBQQRqNgIAIAAgATEAADcDAA8LIAIgAigCAEEHakF4cSIBQQhqNgIAIAAgASsDADkDAAsLRAEEfyAAKAIAIgIsAAAiAxAhBEADQCAAIAJBAWoiBDYCACABQQpsIANqQVBqIQEgAiwAASEDIAQhAiADECENAAsLIAELKgEBfyAABEAgACgCHCIBBEAgARDjAQsgACgCABAGIAAoAhQQBiAAEAYLC8UFAQd/IABFBEAgARAZDwsgAUUEQCAAEAZBAA8LIAFBA2pBfHFBCCABQQhLGyIFQQhqIQICQAJAIABBfGoiAyADKAIAIgZqIgQoAgAiCCAEIAhqIgdBfGooAgBHBEAgAiADaiIBQRBqIAdNBEAgBCgCBCIFIAQoAgg2AgggBCgCCCAFNgIEIAEgByABayIENgIAIARBfHEgAWpBfGogBEF/czYCACABAn8gASgCAEF4aiIEQf8ATQRAIARBA3ZBf2oMAQsgBGchBSAEQR0gBWt2QQRzIAVBAnRrQe4AaiAEQf8fTQ0AGiAEQR4gBWt2QQJzIAVBAXRrQccAaiIEQT8gBEE/SRsLIgRBBHQiBUGg+wVqNgIEIAEgBUGo+wVqIgUoAgA2AgggBSABNgIAIAEoAgggATYCBEGogwZBqIMGKQMAQgEgBK2GhDcDACADIAI2AgAgAUF8aiACNgIAIAAPCyABIAdLDQEgBCgCBCIBIAQoAgg2AgggBCgCCCABNgIEIAMgBiAIaiIBNgIAIAFBfHEgA2pBfGogATYCACAADwsgBUEYaiAGTQRAIAMgAjYCACACIANqIgEgBiACayIDNgIAIAFBfGogAjYCACADQXxxIAFqQXxqIANBf3M2AgAgAQJ/IAEoAgBBeGoiAkH/AE0EQCACQQN2QX9qDAELIAJnIQMgAkEdIANrdkEEcyADQQJ0a0HuAGogAkH/H00NABogAkEeIANrdkECcyADQQF0a0HHAGoiAkE/IAJBP0kbCyICQQR0IgNBoPsFajYCBCABIANBqPsFaiIDKAIANgIIIAMgATYCACABKAIIIAE2AgRBqIMGQaiDBikDAEIBIAKthoQ3AwAgAA8LIAYgAk8NAQsgBRAZIgFFBEBBAA8LIAEgACAFIAMoAgBBeGoiAiAFIAJJGxADGiAAEAYgASEACyAACwwAIABBwARsQfAFagt/AQF/QX0hCAJAAkAgABAERQ0AIAAoAqACIgAQUEUNACADRQ0BQX4hCCAAIAMQ6QENAAJAIAAoAkhBAk4EQCABRQ0DQQAhCCACDQEMAgsgASECQQAhCCABRQ0BCyAAIAEgAiADIAYgBxDoASAAIAMgBCAFEOcBIQgLIAgPC0EACzUAAn1DAAAAACAAQwAAgD9eDQAaQwAAgD8gAEMAAAAAXw0AGiAAu0QYLURU+yH5P6IQErYLC2IBBH8CfwNAQRAhAyACIgFBEEYEQEEQIQJBwAIhBEHAAgwCCyABQQFqIgJBAnRB0NoAaigCACIEIABMDQALIAEhAyABQQJ0QdDaAGooAgALIQEgAyACIAQgAGsgACABa0obCxwAIAAgAUH//wNxEHZBA3RBlLcBaigCALc5AwAL7BYCBH8wfSAAQYh+aiEDQXEhBEGoqgEhAgNAIAQEQCAEQQN0IAFqIgUgAkFYaioCACIHIAAqAoAHlCACQVxqKgIAIg4gACoCgAWUkiACQWBqKgIAIgggACoCgAOUkiACQWRqKgIAIgkgACoCgAGUkiACQWhqKgIAIg8gAEGAf2oqAgCUkiACQWxqKgIAIhMgAEGAfWoqAgCUkiACQXBqKgIAIhAgAEGAe2oqAgCUkiACQXRqKgIAIhQgAEGAeWoqAgCUkiACQXhqKgIAIgsgAyoCgAiUkyACQXxqKgIAIhEgAyoCgAaUkyACKgIAIhUgAyoCgASUkyACKgIEIg0gAyoCgAKUkyACKgIIIhIgAyoCAJSTIAIqAgwiFiADQYB+aioCAJSTIAIqAhAiFyADQYB8aioCAJSTIAIqAhQiGCADQYB6aioCAJSTIgogByADQYB5aioCAJQgDiADQYB7aioCAJSSIAggA0GAfWoqAgCUkiAJIANBgH9qKgIAlJIgDyADKgKAAZSSIBMgAyoCgAOUkiAQIAMqAoAFlJIgFCADKgKAB5SSIAsgAEGAeGoqAgCUkiARIABBgHpqKgIAlJIgFSAAQYB8aioCAJSSIA0gAEGAfmoqAgCUkiASIAAqAgCUkiAWIAAqAoAClJIgFyAAKgKABJSSIBggACoCgAaUkiACKgIYlCIHkjgCeCAFIAIqAhwgCiAHk5Q4AnwgBEEBaiEEIANBBGohAyAAQXxqIQAgAkHIAGohAgwBCwsgAkF0aioCACEIIABBwHhqKgIAIQkgAkFwaioCACEPIABBwHlqKgIAIRMgAkFsaioCACEQIABBwHpqKgIAIRQgAkFoaioCACELIABBwHtqKgIAIREgAkFkaioCACEVIABBwHxqKgIAIQ0gAkFgaioCACESIABBwH1qKgIAIRYgAkFcaioCACEXIABBwH5qKgIAIRggAkFYaioCACEKIABBQGoqAgAhLiAAQYB5aioCACElIABBgHtqKgIAISYgAkF4aioCACEZIABBgH9qKgIAIRogAkF8aioCACEbIABBgH1qKgIAIRwgASoCPCEMIAEqAjghByAAKgLABiEdIAAqAsAFIR4gACoCwAQhIiAAKgLAAyEfIAAqAsACISAgACoCwAEhISAAKgJAIS8gACoCgAchIyACKgIQIScgACoCgAUhBiACKgIMISggACoCgAMhKSACKgIIISogACoCgAEhJCACKgIEISsgAioCACEsIAEgASoCcCItIAEqAgAiMJIiDjgCACABIBogGZQgHCAblJIgJiAslJIgJSArlJIgJCAqlJMgKSAolJMgBiAnlJMgI5MiJSAuIAqUIBcgGCAvk5SSIBIgFiAhkpSSIBUgDSAgk5SSIAsgESAfkpSSIBAgFCAik5SSIA8gEyAekpSSIAggCSAdk5SSIgmTIg8gDCAHkyITkiIIOAJ4IAEgByAlIAmSIhCSIgk4AnwgASAPIBOTIg84AjwgASAQIAeTIgc4AjggAkGMf2oiACoCACEQIAEgASoCdCILIAEqAgQiEZIiEzgCBCABIBAgLSAwk5QiEDgCcCAAKgIAIRUgASABKgJoIg0gASoCCCISkiIUOAIIIAEgFSALIBGTlCILOAJ0IAEgDSASkyACQfx9aiIAKgIAlCIROAJoIAEgASoCbCINIAEqAgwiEpIiFTgCDCABIA0gEpMgACoCAJQiDTgCbCABIAEqAmAiFiABKgIQIheSIhI4AhAgASAWIBeTIAJB7HxqIgMqAgCUIhY4AmAgASABKgJkIhggASoCFCIKkiIXOAIUIAEgGCAKkyADKgIAlCIYOAJkIAEgCSABKgJYIiYgASoCGCIZkiIKkiIuOAJ8IAEgCSAKkyIJOAIYIAEgCCABKgJcIhogASoCHCIbkiIcIAqTIgqSIiU4AnggASAIIAqTIgg4AhwgASAPICYgGZO7RM07f2aeoPY/orYgCpMiCpIiJjgCPCABIA8gCpMiDzgCWCABIAcgGiAbk7tEzTt/Zp6g9j+iIBy7obYgCpMiGZIiCjgCOCABIAcgGZMiBzgCXCABIAEqAlAiGiABKgIgIhuSIhk4AiAgASAaIBuTIAJBzHpqIgMqAgCUIho4AlAgASABKgJUIhwgASoCJCIMkiIbOAIkIAEgHCAMkyADKgIAlCIcOAJUIAEgASoCSCIdIAEqAigiHpIiDDgCKCABIB0gHpMgAkG8eWoiAyoCAJQiHTgCSCABIAEqAkwiIiABKgIsIh+SIh44AiwgASAiIB+TIAMqAgCUIiI4AkwgASABKgJAIiAgASoCMCIhkiIfOAIwIAEgICAhkyACQax4aiICKgIAlCIgOAJAIAEgASoCRCIjIAEqAjQiJ5IiITgCNCACKgIAIQYgASAWIBqSIi84AlAgASAGICMgJ5OUIiM4AkQgAyoCACEGIAEgGCAckiInOAJUIAEgBiAWIBqTlCIWOAJgIAMqAgAhBiABIBIgGZIiGjgCECABIAYgGCAck5QiGDgCZCADKgIAIQYgASAXIBuSIhw4AhQgASAGIBIgGZOUIhI4AiAgAyoCACEGIAEgDiAfkiIZOAIAIAEgBiAXIBuTlCIXOAIkIAAqAgAhBiABIBMgIZIiGzgCBCABIAYgDiAfk5QiDjgCMCAAKgIAIQYgASAQICCSIh84AkAgASAGIBMgIZOUIhM4AjQgACoCACEGIAEgCyAjkiIhOAJEIAEgBiAgIBCTlCIQOAJwIAAqAgAhKyABIC4gFCAMkiIgkiIoIBogGZIiBpM4AnwgASAoIAaSOAIAIAEgJSAVIB6SIiogIJMiKJIiKSAcIBuSIiQgBpMiBpM4AnggASApIAaSOAIEIAEgJiARIB2SIiwgKJMiKZIiLSAvIB+SIjAgBpMiBpI4AkAgASAKIA0gIpIiMiAqkyIxICmTIiqSIjMgJyAhkiI0ICSTIjUgBpMiJJI4AkQgASAtIAaTOAI8IAEgMyAkkzgCOCABIAcgFCAMk7tEzTt/Zp6g9j+itiAqkyIUkiIGIBIgDpIiLSAkkyIMkzgCXCABIAYgDJI4AiAgASAPIBUgHpO7RM07f2aeoPY/orYgMZMiHiAUkyIVkiIGIBcgE5IiJCA1kyIxIAyTIgyTOAJYIAEgBiAMkjgCJCABIAggESAdk7tEzTt/Zp6g9j+itiAskyAVkyIRkiIdIBYgEJMiBiAwkyIsIAyTIgySOAJgIAEgHSAMkzgCHCABIAkgDSAik7tEzTt/Zp6g9j+itiAykyAekyARkyINkiIdIBggKyALICOTlCIekiIiIDSTIiMgMZMiKyAMkyILkjgCZCABIB0gC5M4AhggASAJIA2TIg0gGSAak7tEzTt/Zp6g9j+itiALkyIJkzgCbCABIA0gCZI4AhAgASAIIBGTIgsgGyAck7tEzTt/Zp6g9j+itiArkyIRIAmTIgiTOAJoIAEgCyAIkjgCFCABIA8gFZMiCSAfIC+Tu0TNO39mnqD2P6K2ICyTIg8gCJMiCJI4AlAgASAJIAiTOAIsIAEgByAUkyIJICEgJ5O7RM07f2aeoPY/orYgI5MiFCARkyILIAiTIgeSOAJUIAEgCSAHkzgCKCABIAogKpMiCCASIA6Tu0TNO39mnqD2v6K2IC2TIAeTIgeSOAIwIAEgCCAHkzgCTCABICYgKZMiDiAXIBOTu0TNO39mnqD2v6K2ICSTIAuTIgggB5MiB5I4AjQgASAOIAeTOAJIIAEgJSAokyIOIBYgEJK7RM07f2aeoPa/orYgBpMgD5MgB5MiB5I4AnAgASAOIAeTOAIMIAEgLiAgkyIOIBggHpO7RM07f2aeoPa/orYgIpMgFJMgCJMgB5MiB5I4AnQgASAOIAeTOAIIC8EIAhR/BH0jAEHQAGsiDSQAA0ACQCAKIAAoAkxIBEAgAUH4CGohDkEAIQsDQCALIAAoAlAiAU4NAkEBIAtrQYASbCIRIAAgCkGAJGwiEmpqQbDZAWohBEEAIQMDQCADQQlGBEAgACALQYjSAGxqIApBhClsaiIBQewnaiETIAFB6CdqIRQgAUG0AmohBEEAIQkFIA4gBBB4IA5BgAFqIARBgAFqEHggBEGAAmohBEEBIQEDQCABQR9LRQRAIAFBAnQgBGpBgH9qIgkgCSoCAIw4AgAgAUECaiEBDAELCyADQQFqIQMgDkGAAmohDgwBCwsDQAJAIAlBIEcEQEEAIBQoAgAiASATKAIAGyABIAlBAkkbIQ8CQCAAQbDZAWoiASAJQQJ0IgNqQYDIAGoiByoCACIXu0QR6i2BmZdxPWNBAXNFBEAgBEEAQcgAEAUaDAELIANBwKQBaigCAEECdCIFIAEgEmoiASARamohAyABIAtBgBJsaiEGQQAhAQJAIBdDAACAP11BAXMNAANAIAFBEkYNASADIAFBB3RqIgggByoCACAIKgIAlDgCACABQQFqIQEMAAsACyAFIAZqIQdBfSEBIA9BAkYEQANAIAEEQCABQQxsIARqIgUgAUEDaiIIQQJ0QeCnAWoqAgAiFyAHIAFBB3QiBkGACWoiEGoqAgCUIAdBgAggBmsiDGoqAgCTOAIkIAUgFyAHIAZrQYAOaiIVKgIAlCAGIAdqQYAPaiIWKgIAkjgCSCAFIBcgFioCAJQgFSoCAJM4AiggBSAXIAMgBmsiBkGAAmoqAgCUIAMgCEEHdGoiCCoCAJI4AkwgBSAXIAgqAgCUIAYqAoACkzgCLCAFIBcgAyAMaioCAJQgAyAQaioCAJI4AlAgAUEBaiEBDAELCyAEEPQBDAELQXchAQNAIAEEQCANIAFBCWoiCEECdCIFaiABQQJ0IhAgD0GQAWxBwKUBaiIGaiIMKgJsIAMgCEEHdCIIaioCAJQgDCoCkAEgA0GACCABQQd0ayIMaioCAJSSIhcgBUHspwFqKgIAIhggBSAGaioCACAHIAhqKgIAlCAGIBBByABqIgVqKgIAIAcgDGoqAgCUkyIZlJM4AgAgBSANaiAXIBiUIBmSOAIAIAFBAWohAQwBCwsgBCANEPMBCyAJRQ0BQQchASAPQQJGDQEDQCABQQBIDQIgBCABQX9zQQJ0aiIHIAQgAUECdCIDaiIFKgIAIhcgA0GwqAFqKgIAIhiUIAcqAgAiGSADQdCoAWoqAgAiGpSSOAIAIAUgFyAalCAYIBmUkzgCACABQX9qIQEMAAsACyALQQFqIQsMAgsgBEHIAGohBCAJQQFqIQkMAAsACwALIA1B0ABqJAAPCyABQQFGBEAgACAKQYAkbGoiAUGw2QFqIAFBsOsBakGAEhADGgsgCkEBaiEKIAIhAQwACwALGgAgAUEYdCABQQh0ckEQdiABIABB/v8DRhsLhQQDAn8BfgN8IAC9IgNCIIinQf////8HcSIBQYCAwKAESQRAAkACfyABQf//7/4DTQRAIAFBgICA8gNJDQJBfyEBQQEMAQsgAJkhAAJ8IAFB///L/wNNBEAgAUH//5f/A00EQCAAIACgRAAAAAAAAPC/oCAARAAAAAAAAABAoKMhAEEAIQFBAAwDC0EBIQEgAEQAAAAAAADwv6AgAEQAAAAAAADwP6CjDAELIAFB//+NgARNBEBBAiEBIABEAAAAAAAA+L+gIABEAAAAAAAA+D+iRAAAAAAAAPA/oKMMAQtBAyEBRAAAAAAAAPC/IACjCyEAQQALIQIgACAAoiIFIAWiIgQgBCAEIAQgBEQvbGosRLSiv6JEmv3eUi3erb+gokRtmnSv8rCzv6CiRHEWI/7Gcby/oKJExOuYmZmZyb+goiEGIAUgBCAEIAQgBCAERBHaIuM6rZA/okTrDXYkS3upP6CiRFE90KBmDbE/oKJEbiBMxc1Ftz+gokT/gwCSJEnCP6CiRA1VVVVVVdU/oKIhBCACBEAgACAAIAYgBKCioQ8LIAFBA3QiAUGAvgFqKwMAIAAgBiAEoKIgAUGgvgFqKwMAoSAAoaEiACAAmiADQn9VGyEACyAADwsgAEQYLURU+yH5PyAApiAAvUL///////////8Ag0KAgICAgICA+P8AVhsLRgEBfyAARQRAQQAPCyAAKAIQIQEgACgCIEEBRwRAIAAoAhwgAUEMakELIAEbag8LIAAoAhxBAXQgAUEBdEENakELIAEbagtUAQJ/AkAgAEUEQAwBCwJ/QQogACgCECIBRQ0AGiABQQxqIAAoAhRBAUcNABogAUEBdEENagshASAAKAIcIgJFDQAgASACaiAAKAIgQQFGaw8LIAELCAAgABD5AUULSgECfyAARQRAQQAPCyAAKAIQIgFBAXRBEGogAUEPaiAAKAIUQQFGGyEBIAAoAhwhAiAAKAIgQQFHBEAgASACag8LIAJBAXQgAWoLnwUBBn8CQCAAEDUNACAAKAKgAiIFQcCdBWooAgAiA0EEEA8NACADQQoQDyEHIAVByJ0FaigCACIDBEAgAxAYIQQLIAVBzJ0FaigCACIDBEAgAxAYIQYLQQAhAyAHIARBHksgBkEeS3IgBUHQnQVqKAIAIgQEfyAEEBgFQQALQR5LAn8gBUHUnQVqKAIAIgQEQCAEEBghAwsgA0EeSwtycnJFBEBBACEEIAVB2J0FaigCAEUgA0EdSXINAQsgACgCBCIDQX9HBEAgACADuBD+AQtBACEGQQohBAJAIAVB4J0FaigCAEUNACAFQeSdBWooAgAiAEUNACAFQeydBWooAgBBf2oiA0ECSw0AIANBAnRBiKQBaigCACIGEBggAGpBGGohBAsCQCAFQfSdBWooAgAiAEUNAANAIABFDQECfyAAKAIEIgNB0orNqgVHQQAgA0HNmr2aBEcbRQRAIAAQfwwBCyADEH4EQCAAEH0MAQsgABB8CyAEaiEEIAAoAgAhAAwACwALIAVBwJ0FaigCAEEgEA8EQCAFQeidBWooAgAgBGohBAsgBCACSw0AIAFFBEBBAA8LIAFBADsABCABQcmIzRk2AAAgASAEQXZqIgBB/wBxOgAJIAEgAEEHdkH/AHE6AAggASAAQQ52Qf8AcToAByABIABBFXZB/wBxOgAGIAFBCmohAwJAIAUoAvSdBSIARQ0AA0AgAEUNAQJ/IAAoAgQiAkHSis2qBUdBACACQc2avZoERxtFBEAgAyAAEP0BDAELIAIQfgRAIAMgABD8AQwBCyADIAAQ+wELIQMgACgCACEADAALAAsCfyAGBEAgAyAGIAUoAuCdBSAFQeSdBWooAgAQ+gEhAwsgAwtBACABIARqIANrEAUaCyAEC2YBA38gAEUEQEEADwsgACgCABAGIABBADYCAAJAIAFFDQADQCADIgJBAWohAyABIAJqLQAADQALIAJFDQAgACADQQEQCCIANgIAIABFDQAgACABIAIQAyACakEAOgAAIAIhBAsgBAt+AQF/AkACQCABRQ0AIAEtAABFDQADQAJAAkAgAkEDRgRAQQMhAgwBCyABLQAADQELA0AgAkEDRg0EIAAgAmpBIDoAACACQQFqIQIMAAsACyAAIAJqIAEgAmotAAA6AAAgAkEBaiECDAALAAsgAEHnADoAAiAAQeXcATsAAAsLVQECfwJAIABFDQAgACgCoAIiA0UNACADKALAnQUhBCAAIAECf0EAIQECfyAABEAgACgCoAIhAQsgAUHwnQVqC0EAIAEbCyACEIECIAMgBDYCwJ0FCwttAANAIAIEQCABIABBeGoqAgAgAyoCAJQgAEF8aioCACADKgIIlJIgACoCACADKgIQlJIgAUF4aioCACADKgIElCABQXxqKgIAIAMqAgyUkpM4AgAgAEEEaiEAIAFBBGohASACQX9qIQIMAQsLC90CAANAIAIEQCABIABBWGoqAgAgAyoCAJQgAEFcaioCACADKgIElJIgAEFgaioCACADKgIIlJIgAEFkaioCACADKgIMlJIgAEFoaioCACADKgIQlCAAQWxqKgIAIAMqAhSUkiAAQXBqKgIAIAMqAhiUkiAAQXRqKgIAIAMqAhyUkpIgAEF4aioCACADKgIglCAAQXxqKgIAIAMqAiSUkpIgACoCACADKgIolJIgAUFYaioCACADKgIslCABQVxqKgIAIAMqAjCUkiABQWBqKgIAIAMqAjSUIAFBZGoqAgAgAyoCOJSSkiABQWhqKgIAIAMqAjyUIAFBbGoqAgAgAyoCQJSSkiABQXBqKgIAIAMqAkSUIAFBdGoqAgAgAyoCSJSSkiABQXhqKgIAIAMqAkyUIAFBfGoqAgAgAyoCUJSSkpM4AgAgAEEEaiEAIAFBBGohASACQX9qIQIMAQsLC2AARAAAAAAAACRARAAAAAAAAPA/IAC2EBS7IgBEAAAAAAAAL0AgAEQAAAAAAAAvQGMbRAAAAAAAAC9Ao0QYLURU+yEJQKIQEqFEAAAAAAAA9D+iRAAAAAAAAATAoBAHtgvwAwEHfyMAQYCAAWsiBiQAIAZBAEGAgAEQBSEIIAJBACACQQBKGyEKA0AgByAKRgRAIAJBASACQQFIG0F/aiEFQQAhB0EAIQMDQEEAIQYCQCAHIApHBEADQCACIAZGBEAgAiEGDAMLIAggB0EIdGogBkECdGoqAgBDAAAAAF4NAiAGQQFqIQYMAAsACyAAIANBBBAIIgA2AgAgAAR/QQAhAkEAIQQDfyACIApGBH9BAAUgASACQQN0aiIDKAIEIQUgAygCACEGA0AgBiAFSkUEQCAAIARBAnRqIAggAkEIdGogBkECdGoqAgA4AgAgBkEBaiEGIARBAWohBAwBCwsgAkEBaiECDAELCwVBfwshBiAIQYCAAWokACAGDwsgASAHQQN0aiIJIAY2AgAgAiEEA0ACQCAEQQJIBEAgBSEEDAELIAggB0EIdGogBEF/aiIEQQJ0aioCAEMAAAAAXkEBcw0BCwsgCSAENgIEIAdBAWohByADIAZrIARqQQFqIQMMAAsABSAFIAdBAnQiBmohCyADIAZqIQxBACEGA0AgAiAGRkUEQCAGQQJ0IgkgCCAHQQh0amogDCoCACADIAlqKgIAkxCJAiAEIAlqKgIAlCALKgIAlDgCACAGQQFqIQYMAQsLIAdBAWohBwwBCwALAAurAQMEfwF9AXwgACgC5BAiBkEAIAZBAEobIQggASACspUiCbshCkEAIQIDQCACIAhGRQRAIAMgAkECdCIHaiAJIAWylBAUIAkgACAHakG0DWooAgAgBWoiBkF/arKUEBSSQwAAAD+UOAIAIAW3RAAAAAAAAOC/oCAKorYQFCEBIAQgB2ogBrdEAAAAAAAA4L+gIAqithAUIAGTOAIAIAJBAWohAiAGIQUMAQsLC9EBAwJ/AX0BfCABQwAAAACXIQECQCAAQwAAAACXIgBDAAAAAF8EfSABBSABQwAAAABfBEAgAA8LAn0gASAAlSABIABeIgRBAXNFDQAaIAAgAZULIQYgAiACQR91IgVqIAVzIANMBEAgBkMhtmlAYEEBc0UNAiAAIAGSAn8gBhARu0T+eZ9QE0QTQKIiB5lEAAAAAAAA4EFjBEAgB6oMAQtBgICAgHgLQQJ0QbCZAWoqAgCUDwsgBkNy+/xBXUEBc0UNASABIAAgBBsLDwsgACABkgsPACAAQQJ0QeCZAWooAgALQAEBfSACQwAAgD9gBEAgAA8LIAJDAAAAAF8EQCABDwsgAUMAAAAAXkEBcwR9QwAAAAAFIAAgAZUgAhALIAGUCwuQAwIFfwt9IAZBACAGQQBKGyEJIAUgBZIhFgNAAkACQCAHIAlHBEAgASAHQQJ0IghqIgYiCkGABmoqAgAhDCAGKgKABCEOIAAgCGoiCyoCgAYhEiALKgKABCETIAYqAoACIhQgBioCACIQQ3E9yj+UX0EBcyAQIBRDcT3KP5RfQQFzcg0BIAwgDiATIAIgCGoqAgAiD5QiDSAOIA1dGyINIAwgDV4bIQ0gDiAMIBIgD5QiDyAMIA9dGyIMIA4gDF4bIQ4MAgsPCyAMIQ0LIAVDAAAAAF5BAXNFBEACQCAOIAMgCGoqAgAgBJQiDCAOIAxeGyIPIA0gDCANIAxeGyIRkiIVQwAAAABeQQFzDQAgFiAQIAwgECAMXhsiECAUIAwgFCAMXhsiDCAQIAxdG5QiDCAVXUEBcw0AIBEgDCAVlSIMlCERIA8gDJQhDwsgDyAOIA8gDl0bIQ4gESANIBEgDV0bIQ0LIAYgEyAOIA4gE14bOAKABCAKIBIgDSANIBJeGzgCgAYgB0EBaiEHDAALAAv5BAICfwJ9IAFB//8DcRB2IQIgAEEDEBAgACABEDcgACAAEFciAUHAAiABQcACSBsQNyAAIAAQVyIBQQggAUEIShsQNyAAIAAQVxCfASACQXRqQQRNBEAgACAAEDhBAnIQOQsgAkEMTQRAIAAQBARAIABBAjYCVAsLIAAQWUF/RgRAIAAgAkE0bEHUjwFqKAIAEFsLIAAQWEF/RgRAIAAgAkE0bEHYjwFqKAIAEFoLIAAQVUMAAIA/kiIEQwAAAABcIAQgBFtxRQRAIAAgAkE0bEHgjwFqKgIAuxBWCyAAEJEBQwAAgD+SIgRDAAAAAFwgBCAEW3FFBEAgACACQTRsQeSPAWoqAgAQkgELIAAQjgFDAACAP5IiBEMAAAAAXCAEIARbcUUEQCAAIAJBNGxB6I8BaioCABCPAQsCfUMAAAAAIAAiARAERQ0AGiABKgIUCyACQTRsIgNB7I8BaioCAJQhBCAAEAQEQCAAIAQ4AhQLIANB8I8BaioCACEEIAEQmwEiBUMAAAAAXCAFIAVbcUUEQCABIAQQnAELIAEQmQEiBUMAAAAAXCAFIAVbcUUEQCABIAS7RJqZmZmZmfE/orYQmgELIAEQlQEiBEMAAAAAXCAEIARbcUUEQCABIAJBNGxB9I8BaioCABCWAQsgARCXAUMAAIA/kiIEQwAAAABcIAQgBFtxRQRAIAEgAkE0bEH4jwFqKgIAEJgBCyABEJMBQwAAgD+SIgRDAAAAAFwgBCAEW3FFBEAgASACQTRsQfyPAWoqAgAQlAELIAEoAqACIAJBNGxB0I8BaigCALdEAAAAAAAAdECjRAAAAAAAABRAorY4ApwCCxYAIAAQBEUEQEMAAAAADwsgACoCjAILEQAgABAEBEAgACABOAKMAgsL5gEBA38gAARAA0AgAUGBBUcEQCAAIAFBAnRqQciiAmoiAigCACIDBEAgAxAGIAJBADYCAAsgAUEBaiEBDAELCyAAQcCiAmooAgAiAQRAIAEQBiAAQQA2AsCiAgsgAEHEogJqKAIAIgEEQCABEAYgAEEANgLEogILIAAoAqACIgEEQCABEAYgAEEANgKgAgsgAEGYngVqKAIAIgEEQCABEAYgAEGUngVqQgA3AgALIAAoAqieBRAGIAAoAqydBRAGIABBuJcDaigCABAGIABBvJcDaigCABAGIAAQngEgABCfAiAAEAYLCxYAIAAQBEUEQEMAAAAADwsgACoCiAILEQAgABAEBEAgACABOAKIAgsLFgAgABAERQRAQwAAAAAPCyAAKgL4AQsrACAAEARFIAFDAACAP19BAXMgAUMAAAAAYEEBc3JyRQRAIAAgATgC+AELCxYAIAAQBEUEQEMAAAAADwsgACoC5AELEQAgABAEBEAgACABOALkAQsLFgAgABAERQRAQwAAAAAPCyAAKgLgAQsRACAAEAQEQCAAIAE4AuABCwsWACAAEARFBEBDAAAAAA8LIAAqAswBCxEAIAAQBARAIAAgATgCzAELCxYAIAAQBEUEQEMAAAAADwsgACoCyAELEQAgABAEBEAgACABOALIAQsLEwAgABAERQRAQQAPCyAAKAKcAQvmAQEDfyAAQfCdBWpBADoAACAAQcidBWooAgAiAQRAIAEQBiAAQQA2AsidBQsgAEHMnQVqKAIAIgEEQCABEAYgAEEANgLMnQULIABB0J0FaigCACIBBEAgARAGIABBADYC0J0FCyAAQdSdBWooAgAiAQRAIAEQBiAAQQA2AtSdBQsgAEHgnQVqKAIAIgEEQCABEAYgAEHsnQVqQQA2AgAgAEIANwPgnQULIABB9J0FaigCACICBEADQCACKAIAIQEgAigCGCEDIAIoAgwQBiADEAYgAhAGIAEiAg0ACyAAQgA3AvSdBQsLIwACQCAAEARFDQAgACABNgJgIAFBwQJIDQAgAEEBNgKAAQsL0AIBB38gASgC6CVBBHQiAkG8LGohByACQbgsaiEIIAEoAqglIAEoAqQlIgJrQQRtIQUgASACQQJ0aiIDQYASaiEEA0AgBUEBSEUEQEEAIQECQCAEKAIARQRAQQAhAgwBC0EIIQIgAyoCAEMAAAAAXUEBcw0AQQEhAQsCQCAEKAIERQ0AIAFBAXQhASACQQRyIQIgAyoCBEMAAAAAXUEBcw0AIAFBAXIhAQsCQCAEKAIIRQ0AIAFBAXQhASACQQJqIQIgAyoCCEMAAAAAXUEBcw0AIAFBAXIhAQsCQCAEKAIMRQ0AIAFBAXQhASACQQFqIQIgAyoCDEMAAAAAXUEBcw0AIAFBAXIhAQsgACABIAgoAgAgAkEBdGovAQBqIAcoAgAgAmoiAS0AABAJIAVBf2ohBSADQRBqIQMgBEEQaiEEIAYgAS0AAGohBgwBCwsgBguCAQEEfyAAQfSmAWoiAiABKALYJSIFIAEoAtwlakECdGooAgghAyAAIAEoArwlQQAgASgCpCUiBCAFQQJ0IAJqKAIEIgIgAiAEShsiAiABECUgACABQcAlaigCACACIAQgAyADIARKGyIDIAEQJWogACABQcQlaigCACADIAQgARAlagtJAQJ/IAAgASgCvCVBACABKAKkJSICIABB3KcBaigCAEEDbCIDIAMgAkobIgIgARAlIAAgAUHAJWooAgAgAiABKAKkJSABECVqC7MCAwJ/AX4CfAJAAnwgAL0iA0IgiKdB/////wdxIgFBgOC/hARPBEAgAUGAgMCEBEkgA0IAU3JFBEAgAEQAAAAAAADgf6IPCyABQYCAwP8HTwRARAAAAAAAAPC/IACjDwsgAEQAAAAAAMyQwGVBAXMNAkQAAAAAAAAAACADQn9XDQEaDAILIAFB//+/5ANLDQEgAEQAAAAAAADwP6ALDwsgAEQAAAAAAAC4QqAiBL2nQYABaiIBQQR0QfAfcSICQYAIaisDACIFIAUgACAERAAAAAAAALjCoKEgAkEIckGACGorAwChIgCiIAAgACAAIABEdFyHA4DYVT+iRAAE94irsoM/oKJEpqAE1whrrD+gokR1xYL/vb/OP6CiRO85+v5CLuY/oKKgIAFBgH5xQYACbRAWC7sBAQR/IABBpJcDaigCACEFIAEgACAAQaCXA2ooAgAiA0F/akH/ASADGyIEQTBsakGgtwJqKAIAIAAoAqgCayICNgIAIAIhAyACQQBOBEAgAiAAKAIcIAQgBWsiA0GBAmogA0EBaiAEIAVIG2xBA3RrIQMLIAEgABAeIgQgAmoiAkEIbSACQQdxQQBHaiICNgIAIAEgAiAAKAKsAmpBAWo2AgAgAyAEaiIBQX9MBEAgAEH8/gBBABAKCyABC6IBAQR/IANBBHRBsChqKAIAIAJBBHRBsChqKAIAQRB0aiEHA0AgBSAHQQAgACgCACIFQQ5LIggbakEPIAAoAgQiBiAGQQ5LIgYbQfABIAVBBHQgCBtqQQJ0QYDQAGooAgBqIAdBACAGG2ohBSAAQQhqIgAgAUkNAAsgBCAEKAIAIAVB//8DcSIAIAVBEHYiASABIABLIgAbajYCACADIAIgABsLgwIBCX8jAEEQayILJAAgAyABKAKkJSIOQQJ0aiEPQQIhCQNAAkAgCUEXRg0AIAAgCUECdGpB9KYBaigCACIIIA5ODQAgCyABKALAKCAEIAlBfmoiEEECdCIKaigCAGoiDDYCDCACKAKgJSAMTA0AIAMgCEECdGogDyALQQxqIAAoArieBREEACEMIAIoAqAlIAsoAgwiDUoEQCACIAFBhCkQAyIIIA02AqAlIAggBSAKaiINKAIANgLYJSAIIBAgDSgCAGs2AtwlIAggBiAKaigCADYCvCUgByAKaigCACEKIAggDDYCxCUgCCAKNgLAJQsgCUEBaiEJDAELCyALQRBqJAAL0woDFn8FfQF8IwBB4AJrIgckACABKALkJSEFIAAgAiABIAdBwAFqEB0aIAEgB0HAAWogB0EgaiAHQQhqQQAQPyABKALwJSEGAn8gASgCtCUiEUECRwRAIAZBFiABKAK4JRshBgsgBgtBACAGQQBKGyENQwAAgD9DAAAAPyAFGyIfjCEeIABB9KYBaiEOIARBsAFsIQ8gA0HABWwhEiADQeACbCETQQAhBQNAIAUgDUcEQCAIIA4gBUEBaiIUQQJ0aigCACIQIAggEEobIQkgDiAFQQJ0IgtqKAIAIRVDAAAAACEcA0AgCCAJRkUEQCAcIAEgCEECdGoqAgAiGyAblJIhHCAIQQFqIQgMAQsLIAVBA3QiCiAAKAKwngUiCCASaiAPamoiBkH40QtqIBwgECAVa7IiG5UiHUOpX2NYlLs5AwAgCCATaiAPaiAKaiIKQfijDGogB0HAAWogC2oqAgBDqV9jWJQgB0EgaiALaioCAJQgG5W7OQMAQwAAAAAhHAJAIAIgC2oiCCoC9AEiG0MAAAAAXkEBcw0AIAAoAtgBDQAgHSAblSEcCyAGQfjGC2ogHCAIKgIAlCIdIAAoAqieBSALaioCGCIbIB0gG14bQ6lfY1iUuzkDACAKQfiTDGoiBkIANwMARAAAAAAAAAAAISACQCAFQQtJDQAgASgC4CVFDQAgBiAeIAtBsOYAaigCALKUuyIgOQMACyAFQRRLIQogCSEIIBQhBSAKDQEgBiAgIB8gASALakGAJGooAgCylLuhOQMADAELCwJAIBFBAkcNACABKAL0JSIJQQ0gCUENShshCyAAQdCnAWohFiAEQbgCbCEXIANB4AlsIQ4gA0HwBGwhDwNAIAkgC0YNASAWIAlBAnQiBWooAgAiCiAWIAlBAWoiFEECdGooAgAiBiAGIApIGyIQIAprIREgBiAKa7IhHiAJQQNsIRIgACgCqJ4FIAVqKgJwIR0gACgC2AEhEyAAKAKwngUhGEEAIQwDQEMAAAAAIRwgCCEFIAohBiAMQQNGBEAgFCEJDAILA0AgBiAQRkUEQCAGQQFqIQYgHCABIAVBAnRqKgIAIhsgG5SSIRwgBUEBaiEFDAELCyAMIBJqQQN0IgUgDiAYaiAXamoiFUG48AtqIBwgHpUiG0MI5TweIBu7RCNCkgyhnMc7ZBsiG0OpX2NYlLs5AwAgDyAYaiAXaiAFaiIFQbipDGogDUECdCIZIAdBwAFqaioCAEOpX2NYlCAHQSBqIBlqKgIAlCAelbs5AwAgDEECdCIGIAIgCUEMbGpqIRogFUH43AtqAn0CQCATDQAgACgC3AENACAbIBoqAswCIhuVQwAAAAAgG0MAAAAAXhsMAQtDAAAAAAsgGioCWJQiGyAdIBsgHV4bQ6lfY1iUuzkDACAFQbiZDGoiBSABIAZqQcglaigCALdEAAAAAAAAAMCiIiA5AwAgCUEMRwRAIAUgICAfIAEgGWpBgCRqKAIAspS7oTkDAAsgCCARaiEIIAxBAWohDCANQQFqIQ0MAAsACwALIAAoArCeBSIAIANBA3RqIARBAnRqIgJBmKMMaiABKAKsJTYCACACQYi1DGogASgC7CUgASgCoCVqNgIAIAJBmLUMaiABKALsJTYCACACQZizDGogBygCFDYCACAAIANBBHRqIARBA3RqIgBByLMMaiAHKgIQu0QAAAAAAAAkQKI5AwAgAEHoswxqIAcqAgi7RAAAAAAAACRAojkDACAAQaizDGogByoCDLtEAAAAAAAAJECiOQMAIAJBiLQMaiAHKAIYNgIAIAdB4AJqJAALXgEDfyAAKAL8JSICQQAgAkEAShshAgNAIAEgAkYEQEEBDwsgAUECdCEDIAFBAWohASAAIANqIgNBgCRqKAIAQQAgACADQaQnaigCAEECdGpByCVqKAIAa0cNAAtBAAvMAwIGfwJ8A0ACQEEAIQcgBiAAKAJQTg0AA0AgByAAKAJMSARAQQAhBSAAIAZBiNIAbGogB0GEKWxqIghBrChqKAIAIgRBACAEQQBKGyEJIAEgBkG4AmxqIAdBnAFsaiEEA0AgBSAJRkUEQCAEIAW3IgpEGQRWDi2ynT+iIAqiRAAAAAAAADZAo0QAAAAAAAA2QKNEAAAAAAAA8D+gIAQqAgC7orY4AgAgBUEBaiEFIARBBGohBAwBCwsCQCAIQegnaigCAEECRw0AIAhBqChqKAIAIgVBDSAFQQ1KGyEIA0AgBSAIRg0BIAQgBbciCkQZBFYOLbKdP6IgCqJEAAAAAAAAKkCjRAAAAAAAACpAo0QAAAAAAADwP6AiCiAEKgIAu6K2OAIAIAQgCiAEKgIEu6K2OAIEIAQgCiAEKgIIu6K2OAIIIAVBAWohBSAEQQxqIQQMAAsACwJ/IAdBAnQiBSACIAZBA3QiBGpqKAIAtyIKIAMgBGogBWoiBCgCALdEzczMzMzM7D+iIgsgCyAKYxsiCplEAAAAAAAA4EFjBEAgCqoMAQtBgICAgHgLIQUgBCAFNgIAIAdBAWohBwwBCwsgBkEBaiEGDAELCwuUAgEIfyMAQZA7ayIHJAAgAEHkmAVqKAIAIQkgB0GIJGpBAEGAEhAFIQwgBkFWaiENIAUgBmohCAJAA0AgAEEAIAkgCEECbSIIIA1KGzYC5JgFAkACfyAAIAEgAiADIAQgCBBAQQBMBEAgASgCoCUhBiAHQYgSaiABQYQpEAMaIAcgA0GAEhADGiAGQWBqIgYgBWohCCAGIAVrIQtBAQwBCyAIQSBqIgUgBmohCCAGIAVrIQsgCg0BQQALIQogC0EMSg0BIAAgCTYC5JgFDAILIAEgB0GIEmpBhCkQAyEOIAMgB0GAEhADGkECIQogC0EMSg0ACyAAIAk2AuSYBSAOQYASaiAMQYASEAMaCyAHQZA7aiQAC4gFAgx/AXwjAEEQayIQJAAgAEGIlgVqIAAoAng2AgAgACAQQQxqEA0hCSAAKAJQIQogACAFEGEgAEG0AmohEyAJIAptIRFBACEKQQEhDgNAIAogACgCUCILTgRAQQAhASAMQQFIIQIDQEEAIQkgASALTgRAIBBBEGokACAODwUDQCAJIAAoAkxIBEAgCUECdCIDIAcgAUEDdCIEamoiCCgCACELAkAgAg0AIAwgBSAAKAJ4QQJ0aigCACIKTA0AIAggCiALbCAMbSILNgIACyAEIAZqIANqIgMoAgAgC0oEQCADIAs2AgALIAlBAWohCQwBCwsgAUEBaiEBIAAoAlAhCwwBCwALAAsgACABIAcgCkEDdCILaiISIBEgCkEAEEIhCSAAKAKUlgVBAkYEQCATIAoQKCASIAIgCkECdGoqAgAgESAJEEELQQAhCQNAIAkgACgCTE5FBEAgACAKQYjSAGxqIAlBhClsaiIUQbQCaiENIAlBAnQiDyABIAtqaioCALtEAAAAAADAcsCjRAAAAAAAAAxAoBAkRAAAAAAAAPA/oCEVIABEAAAAAAAAJEACfSAUQegnaigCAEECRwRAIAAqArCXBUR7FK5H4Xr0PyAVo0SamZmZmZmpv6C2kwwBCyAAKgK0lwVEexSuR+F6BEAgFaNE7FG4HoXrwb+gtpMLu0SamZmZmZm5P6IQB7Y4AqyXBSAAIA0QJyAIIAtqIA9qIAAgAyAKQdAHbGogCUHoA2xqIA0gBCAKQbgCbGogCUGcAWxqEB0iDTYCACAGIAtqIA9qQf4ANgIAQQAgDiANGyEOIA8gEmooAgAgDGohDCAJQQFqIQkMAQsLIApBAWohCgwACwALgQQBCH8jAEHwF2siBCQAIAAgASACIAMgBEGAE2ogBEEwaiAEQSBqIARBEGogBEHwAGoQqwEhBwNAQQAhAgNAIAUgACgCUE5FBEBBACEBA0AgASAAKAJMTkUEQAJAIAAgACAFQYjSAGxqIAFBhClsaiIDQbQCaiIGIARBgAFqEClFDQAgAUECdCIIIAVBA3QiCSAEQRBqamooAgAiCkUNACAAIAYgBEGAE2ogBUG4AmxqIAFBnAFsaiILIARBgAFqIAEgBEEgaiAJaiAIaigCACAKEKoBIAAtAOiYBUEBcQRAIAAgBiALIARBgAFqEGILIANBoChqKAIAIANB1CdqKAIAIAJqaiECCyABQQFqIQEMAQsLIAVBAWohBQwBCwsgAAJ/AkAgB0UNACAAKAKAAQ0AQQEMAQsgACgCdAsiATYCiJYFIAEgACgCeCIDIAEgA0obIQMDQAJAIAEgA0YNACACIARBMGogAUECdGooAgBMDQAgACABQQFqIgE2AoiWBQwBCwsgAiAAIARBDGoQDUwEQEEAIQUDQEEAIQEgBSAAKAJQTkUEQANAIAEgACgCTE5FBEAgACAFIAEQQyABQQFqIQEMAQsLIAVBAWohBQwBCwsgACAEKAIMEC4gBEHwF2okAAUgACAEQYATaiAEQSBqIARBEGoQqQFBACEFDAELCwt6AwJ/AX0BfCADQQA2AgAgAkF/IAJBf0obQQFqIQIDQCACIARHBEAgAyADKgIAIAAgBEECdCIFaioCAIsiBpI4AgAgASAFaiAGuyIHnyAHop+2IgY4AgAgACoCnCUgBl1BAXNFBEAgACAGOAKcJQsgBEEBaiEEDAELCwuQAQEHf0GABCEGIAAoAhAiCSgCrCUiByEEQYAIIQUgByEIA0AgCCAGTARAAkAgACABIAIgBiAIakEBdSIEIAdrEGMiCgRAIAkoAuwlIApqIANODQELIARBf2ohBiAEIQUMAgsgBCAFIAVBgAhGGyEFIARBAWohCAwBCwsgBCAFRwRAIAAgASACIAUgB2sQYxoLCz0BBH9BJyECA0AgAgRAQf8BIAAgA0ECdGooAgBrIgQgASABIARIGyEBIANBAWohAyACQX9qIQIMAQsLIAEL8QMCDH8BfSMAQTBrIgIkAEF8QX4gASgC5CUbIQogAUGAEmohBCABKALYKCEIA0AgCCAFTwRAIAEgB0ECdCIDaiIGQYAkaigCACELAn9BACABKALgJUUNABogA0Gw5gBqKAIACyEMIAggBWtBAWoiAyAGQYgmaigCACIJIAkgA0sbIg1BAnYhAyABKAKsJSALIAxqIApsIAEgBkGkJ2ooAgBBAnRqQcglaigCAEEDdGtqQf8BcUECdEHw5gVqKgIAIQ4DQCADBEAgAiAOIAAqAgCUuzkDECACIA4gACoCBJS7OQMYIAIgDiAAKgIIlLs5AyAgAiAOIAAqAgyUuzkDKCAAQRBqIQAgA0F/aiEDIAJBEGogBBAqIARBEGohBAwBCwsgB0EBaiEHIAUgCWohBSANQQNxIgNFDQEgAkIANwMgIAJCADcDKCACQgA3AxAgAkIANwMYAkACQAJAAkAgA0F/aiIGDgMCAQADCyACIA4gACoCCJS7OQMgCyACIA4gACoCBJS7OQMYCyACIA4gACoCAJS7OQMQCyACQRBqIAIQKgJAAkACQAJAIAYOAwIBAAMLIAQgAigCCDYCCAsgBCACKAIENgIECyAEIAIoAgA2AgALIAAgA0ECdCIDaiEAIAMgBGohBAwBCwsgAkEwaiQAC3MBBn9BgAEhAUHAACECQf8BIQQDQCADQf8BcUEHS0UEQEEAIAJrIAIgAUH/AXFBAnRB8OYFaioCACAAlEMAOABGXyIFGyEGIAEgBCAFGyEEIANBAWohAyACQf4BcUEBdiECIAEgBmohAQwBCwsgBEH/AXELzQECAn8FfSABQQJ2IQMgACECA0AgAwRAIAIqAgwiBSACKgIIIgYgAioCBCIHIAIqAgAiCCAEIAQgCF0bIgQgBCAHXRsiBCAEIAZdGyIEIAQgBV0bIQQgAkEQaiECIANBf2ohAwwBCwsgACABQfz///8DcUECdGohAAJAAkACQAJAIAFBA3FBf2oOAwIBAAMLIAQgACoCCCIFXUEBcw0AIAUhBAsgBCAAKgIEIgVdQQFzDQAgBSEECyAEIAAqAgAiBV1BAXMNACAFIQQLIAQLqQEBA38CQCACKAIQIgQEfyAEBSACEL0BDQEgAigCEAsgAigCFCIFayABSQRAIAIgACABIAIoAiQRBAAaDwsCQCACLABLQQBIDQAgASEEA0AgBCIDRQ0BIAAgA0F/aiIEai0AAEEKRw0ACyACIAAgAyACKAIkEQQAIANJDQEgACADaiEAIAEgA2shASACKAIUIQULIAUgACABEAMaIAIgAigCFCABajYCFAsLzQQBC39BeUECQQEgACgC5CUbIgN0IQpBcSADdCELIAAoAoAmIgNBEiADQRJJGyEMQQchCANAQegHIQRBACEFAkACQCAJIgNBA0cEQANAIAMgDE8EQEEAIQYDQCADQSZLRQRAQQAgAiADQQJ0aigCAGsiByAEIAQgB0obIQQgByAGIAYgB0gbIQYgA0EDaiEDDAELCyAEQQN2QQAgBEEAShshAyAAIAlBAnQiDWpByCVqIQcCQCAFIAtqIgQgBiAKaiIFIAQgBUobIgRBAUgNACADIARBB2pBA3UiBEoNACAHIAQ2AgAgBCEDDAQLIAcgAzYCACADDQNBACEDDAQFQQAgAiADQQJ0aigCAGsiBiAEIAQgBkobIQQgBiAFIAUgBkgbIQUgA0EDaiEDDAELAAsACyAAKALIJUEDdCEJIABB0CVqKAIAQQN0IQQgAEHMJWooAgBBA3QhBUEAIQMDQCADQSZLRQRAIAIgA0ECdGoiASABKAIAIAlqNgIAIAEgASgCBCAFajYCBCABIAEoAgggBGo2AgggA0EDaiEDDAELCyAIQQFOBEBBACEDA0AgA0EDRkUEQCAAIANBAnRqQcglaiIBIAEoAgAgCGs2AgAgA0EBaiEDDAELCyAAIAAoAqwlIAhBA3RrNgKsJQsPC0EHIAAoAqwlIgQgASANaigCACIFa0EDdSADIAUgBCADQQN0a0oiBRsiBCAEQQdKGyEDIAVFQQAgBEEISBsNACAHIAM2AgALIAMgCCAIIANKGyEIIAlBAWohCQwACwAL8AECAn8BfQJAIAUgBEEDdGoiBigCAARAIAYqAgQhCAwBCyAGQQE2AgAgBiAAIAEgAyAEEEQiCDgCBAsCf0EBIAggAl4NABoCQCAEQf8BRwRAAkAgBSAEQQFqIgdB/wFxQQN0aiIGKAIABEAgBioCBCEIDAELIAZBATYCACAGIAAgASADIAdB/wFxEEQiCDgCBAtBASAIIAJeDQIaIARFDQELAkAgBSAEQX9qIgZB/wFxQQN0aiIEKAIABEAgBCoCBCEIDAELIARBATYCACAEIAAgASADIAZB/wFxEEQiCDgCBAtBASAIIAJeDQEaC0EACws1AAJ/IAAgAbKVELMCQ5OSuUCUQwAAAL+SIgCLQwAAAE9dBEAgAKgMAQtBgICAgHgLQdIBagvIBQEQfyMAQaABayIPJAAgACgCECINKAKAJiIQQQAgEEEAShshEUGQ5QBBsOUAIAAoAgwiEigCUEECRhshDiAAKAIUIQxBACEAA0AgACARRkUEQCADIAEgAEECdCIIaigCAGsiBCAAQZDlAGotAAAiCUECdGsiEyALIAsgE0gbIQsgBCAJQQF0ayIJIAYgBiAJSBshBiAEIAhBsOYAaigCACAAIA5qLQAAaiIIQQJ0ayIJIAogCiAJSBshCiAEIAhBAXRrIgggBSAFIAhIGyEFIAQgByAHIARIGyEHIABBAWohAAwBCwsgDCADIAVrIgAgACAMSBshCEEAIQACQAJAAkADQCAAIgQgEUYNASAEQQFqIQAgCCACIARBAnQiCWooAgBrIAlBsOYAaigCAEEBdGtBAEoNAAsgBiEAIAQgEEgNAQsgDCADIAprIgAgACAMSBshCEEAIQADQCAAIgQgEUYNAiAEQQFqIQAgCCACIARBAnQiCWooAgBrIAlBsOYAaigCAEECdGtBAEoNAAsgBSEAIAQgEE4NAQsgACEFIAshCgsgDCADIAYgBSAGIAVIGyIAIAsgBiASKAIgQQJGIgMbIgQgACAESBsiACAKIAUgAxsiAyAAIANIIgobIgAgByAHIABKG2siAyADIAxIGyEDQZDlACEHQQAhCwJAAkAgACAGRgRAQQAhBgwBC0EBIQYgACAFRgRAIA4hBwwBC0GQ5QAgDiAAIARGIgUbIQcgACAERyEGQQEhCyAFDQAgCg0BCyANIAY2AuAlIA0gCzYC5CUgByEOCyANIAM2AqwlQQAhAAJAIANBAE4EQEH/ASEAIANBgAJIDQELIA0gADYCrCULQQAhAANAIABBJ0ZFBEAgDyAAQQJ0IgVqIAEgBWooAgAgA2s2AgAgAEEBaiEADAELCyANIAIgDyAOEGUgD0GgAWokAAvqAgENfyMAQaABayIJJAAgACgCECIIKAKAJiIEQQAgBEEAShshDSAAKAIUIQsgACgCDCEOQQAhBANAIAQgDUZFBEAgAyABIARBAnRqKAIAayIMQUhqIgogBEHQ5QBqLQAAIg9BAnRrIhAgByAHIBBIGyEHIAogD0EBdGsiCiAFIAUgCkgbIQUgDCAGIAYgDEgbIQYgBEEBaiEEDAELCyADIAUgByAFIAdIGyAFIA4oAiBBAkYbIgMgBiAGIANKG2shBEEAIQYCQCADIAVHBEBBASEGIAMgB0cNAQsgCCAGNgLkJQsgCCALIAQgBCALSBsiAzYCrCVBACEEAkAgA0EATgRAQf8BIQQgA0GAAkgNAQsgCCAENgKsJQtBACEEA0AgBEEnRkUEQCAJIARBAnQiBWogASAFaigCACADazYCACAEQQFqIQQMAQsLIAggAEEYaiAJELQBIAggAiAJQdDlABBlIAlBoAFqJAALuAEBCH8jAEGAEGsiBSQAIAVBAEGAEBAFIQtBgAEhBkH/ASEIQYABIQcDQCAKQf8BcUEHS0UEQCAGQQF2IQYCQCAHQf8BcSIFIARNBEAgBiEFDAELQQAgBmsgBiAAIAEgAiADIAUgCxC1ASIMGyEFIAlBASAMGyEJIAggByAMGyEICyAKQQFqIQogBSAHaiEHDAELCyALQYAQaiQAIAggByAJQf8BcRsiACAEIABB/wFxIARLG0H/AXELIwAgAiADELYBIgAgBE4EQEF/IAAgAEH+AUobQf8BcQ8LIAQLsQIBCX8jAEGgAWsiBCQAIAAoAhAoAqwlIQogARCvASIJIQtBfyEGIAkhBwNAIAdBAm0iBUEBaiAIIAAgBCACIAEgBCAJIAUgChAsECsgA0oiDBsiCCALIAVBf2ogDBsiC2ohByAGIAUgDBshBiAIIAtMDQALAkAgBkEATgRAIAUgBkYNASAAIAQgAiABIAQgCSAGIAoQLBArGgwBC0H/ASEIIApB/wFqIQZBfyEHA0AgBkECbSIFQQFqIAogACAEIAIgASAEIAkgCSAFECwQKyADSiILGyIKIAggBUF/aiALGyIIaiEGIAcgBSALGyEHIAogCEwNAAsgB0EATgRAIAUgB0YNASAAIAQgAiABIAQgCSAJIAcQLBArGgwBCyAAIAQgAiADEK4BCyAEQaABaiQACz8BA39BJyEEA0AgBARAIAEgA0ECdCIFaiAAIAVqKAIAIgUgAiAFIAJIGzYCACADQQFqIQMgBEF/aiEEDAELCwtZAQF/IAAgAC0ASiIBQX9qIAFyOgBKIAAoAgAiAUEIcQRAIAAgAUEgcjYCAEF/DwsgAEIANwIEIAAgACgCLCIBNgIcIAAgATYCFCAAIAEgACgCMGo2AhBBAAvqAwEQfyAAKAIQIgooAoAmIQ8gCigC2CghDiAAQgA3AhQgAEIANwIcIAAoAgghEEF/IQgDQAJAIA4gBkkEQCAFQScgBUEnSxshACAHQf8BcSEGA0AgACAFRg0CIAIgBUECdCIBaiAGNgIAIAEgA2pBADYCACAFQQFqIQUMAAsACyADIAVBAnQiC2ogECAGQQJ0IhFqIhIgDiAGa0EBaiIEIAogC2pBiCZqKAIAIgwgDCAESxsiExCyARCxASIENgIAIAAoAhQgBEgEQCAAIAQ2AhQLIAAgCUECdGoiDUEYaigCACAESARAIA0gBDYCGAsgCUEBaiIJQQJLIQ0CQCAMQQNJIAUgD05yRQRAIAUgCmpB3ChqLQAARQRAQf8BIQdB/wEhBAwCCyAKIBFqIBIgASALaioCACATIAQgACgCBBEUACIEIAcgB0H/AXEgBEkbIQcgCCAIIAQgCCAEThsgBEH/AUYbIQgMAQsgBCAHIAdB/wFxIARJGyIHIQQLQQAgCSANGyEJIAIgC2ogBEH/AXE2AgAgBiAMaiEGIAVBAWohBQwBCwtBACEFIAhBAE4EfwNAIAVBJ0cEQCACIAVBAnRqIgAoAgBB/wFGBEAgACAINgIACyAFQQFqIQUMAQsLIAhB/wFxBSAGCwv7FgIOfwN9IwBBwAtrIgUkACAAKAJMIQ4gACgCUCEPIAVCADcDSCAFQgA3A0AgBUIANwM4IAVB6OMAKQMANwMoIAVB4OMAKQMANwMgIAVCgbyAgJDABzcDGCAPQQAgD0EAShshCyAOQQAgDkEAShshCQNAIAYgC0YEQEEAIQYDQEEAIQQgBiALRgRAQQAhAUEAIQcFA0AgBCAJRwRAIAMgBkEDdGogBEECdGooAgBBAU4EQCAEQZwBbCIHIAZBuAJsIgggBUHgAWpqaiEKIAVB0ABqIAZByABsaiAEQSRsaiIBIAVB0AZqIAhqIAdqIgwgCiABIAIgCGogB2ogDCAKEL4BIAEoAgARBQAgARBICyAEQQFqIQQMAQsLIAZBAWohBgwBCwsDQAJAIAEgC0cEQEEAIQYgBUEYaiABQQJ0aiICQQA2AgBBACEEA0AgBCAJRg0CIARBAnQiCCADIAFBA3QiCmpqKAIAQQFOBEAgBUHQAGogAUHIAGxqIARBJGxqIgwoAhBBgBJqQQBBgBIQBRogDBBHGgsgBUEgaiAKaiAIaiAAIAEgBBBmIgg2AgAgAiAGIAhqIgY2AgAgBEEBaiEEDAALAAsCQCAHIA1MBEBBACEGQQEhAQNAIAYgC0ZFBEBBACEEQQAgASAFQRhqIAZBAnRqKAIAQYA8ShshAQNAIAQgCUZFBEBBACABIAVBIGogBkEDdGogBEECdGooAgBB/x9KGyEBIARBAWohBAwBCwsgBkEBaiEGDAELCyABDQELQQAhCEEAIQYDQAJAIAYgC0cEQEEAIQEgBUE4aiAGQQJ0aiIKQQA2AgBBACEEA0AgBCAJRkUEQCAEQQJ0IgIgBkEDdCIHIAVBQGtqaiAFQSBqIAdqIAJqKAIAIgJB/x8gAkH/H0gbIgI2AgAgCiABIAJqIgE2AgAgBEEBaiEEDAELCyABQYE8SA0BIAVCADcDEEMAAAAAIRJBACEEA0AgBCAJRgRAQQAhBANAIAQgCUZFBEAgBUFAayAGQQN0aiAEQQJ0agJ/QQAgEkMAAAAAXkEBcw0AGiAFQRBqIARBAnRqKgIAQwAA8EWUIBKVIhOLQwAAAE9dBEAgE6gMAQtBgICAgHgLNgIAIARBAWohBAwBCwsCQCAOQQJIDQAgBkEDdCIBIAVBQGtqIgRBBHIhDCAEKAIEIQcCQCAEKAIAIgIgBUEgaiABaiIQKAIAQSBqIgFMBEAgAiEBDAELIAwgAiABayAHaiIHNgIAIAQgATYCAAsCQCAHIBAoAgRBIGoiAkwEQCAHIQIMAQsgBCAHIAJrIAFqIgE2AgAgDCACNgIACyABQYAgTgRAIARB/x82AgALIAJBgCBIDQAgDEH/HzYCAAtBACEBIApBADYCAEEAIQQDQCAEIAlGDQQgCiABIAVBQGsgBkEDdGogBEECdGooAgBqIgE2AgAgBEEBaiEEDAALAAUCQCAEQQJ0IgEgBUFAayAGQQN0amooAgAiAkEBSARAQwAAAAAhEwwBCyASIAK3n5+2IhOSIRILIAVBEGogAWogEzgCACAEQQFqIQQMAQsACwALAkAgCCANTA0AIAVCADcDEEEAIQRDAAAAACESA0AgBCALRgRAIA2yIRNBACEEA0AgBCALRkUEQCAFQThqIARBAnRqAn9BACASQwAAAABeQQFzDQAaIAVBEGogBEECdGoqAgAgE5QgEpUiFItDAAAAT10EQCAUqAwBC0GAgICAeAs2AgAgBEEBaiEEDAELCwJAIA9BAkgNACAFKAI8IQQCQCAFKAI4IgIgBSgCGEH9AGoiAUwEQCACIQEMAQsgBSABNgI4IAUgAiABayAEaiIENgI8CyAEIAUoAhxB/QBqIgJKBEAgBSACNgI8IAUgBCACayABajYCOAtBACEEA0AgBCALRg0BIAVBOGogBEECdGoiASgCAEGBPE4EQCABQYA8NgIACyAEQQFqIQQMAAsAC0EAIQYDQCAGIAtGDQMgBUIANwMQQwAAAAAhEkEAIQQDQCAEIAlGBEAgBUE4aiAGQQJ0aiECQQAhBANAIAQgCUZFBEAgBUFAayAGQQN0aiAEQQJ0agJ/QQAgEkMAAAAAXkEBcw0AGiAFQRBqIARBAnRqKgIAIAIoAgCylCASlSITi0MAAABPXQRAIBOoDAELQYCAgIB4CzYCACAEQQFqIQQMAQsLAkAgDkECSA0AIAZBA3QiASAFQUBraiIHQQRyIQggBygCBCEEAkAgBygCACICIAVBIGogAWoiDygCAEEgaiIBTARAIAIhAQwBCyAIIAIgAWsgBGoiBDYCACAHIAE2AgALIAQgDygCBEEgaiICSgRAIAcgBCACayABajYCACAIIAI2AgALQQAhBANAIAQgCUYNASAHIARBAnRqIgEoAgBBgCBOBEAgAUH/HzYCAAsgBEEBaiEEDAALAAsgBkEBaiEGDAIFIARBAnQiASAFQRBqaiAFQUBrIAZBA3RqIAFqKAIAIgG3n7YiE0MAAAAAIAFBAEoiARs4AgAgEiATkiASIAEbIRIgBEEBaiEEDAELAAsACwAFIARBAnQiASAFQRBqaiAFQThqIAFqKAIAIgG3n7YiE0MAAAAAIAFBAEoiARs4AgAgEiATkiASIAEbIRIgBEEBaiEEDAELAAsAC0EAIQhBASEGQQAhAgNAIAIgC0ZFBEBBACEEQQAhAQNAIAQgCUZFBEBBACAGIAVBQGsgAkEDdGogBEECdGooAgAiB0H/H0obIQYgASAHaiEBIARBAWohBAwBCwtBACAGIAFBgDxKGyEGIAJBAWohAiABIAhqIQgMAQsLQQAhBwJAIAggDUxBACAGGw0AA0AgByALRg0BIAdBA3QhAUEAIQQDQCAEIAlGRQRAIARBAnQiAiAFQUBrIAFqaiABIANqIAJqKAIANgIAIARBAWohBAwBCwsgB0EBaiEHDAALAAtBACEGQQAhBANAIAQgCUYEQEEAIQEDQEEAIQQgBiALRgRAQQAhBwUDQCAEIAlGRQRAIAAgBkGI0gBsaiAEQYQpbGpB5CdqQQA2AgAgBEEBaiEEDAELCyAGQQFqIQYMAQsLA0ACQCABIAtHBEBBACECIAVBGGogAUECdGoiD0EANgIAQQAhBANAIAQgCUYNAiAEQQJ0IgYgAUEDdCIIIAVBIGpqaiIKQQA2AgAgAyAIaiAGaigCAEEBTgRAIARBnAFsIgwgAUG4AmwiECAFQdAGampqIg4gDiAFQdAAaiABQcgAbGogBEEkbGoiESgCECgCrCUQvAEgESAOIAVB4AFqIBBqIAxqIAVBQGsgCGogBmooAgAQuwELIAogACABIAQQZiIGNgIAIA8gAiAGaiICNgIAIARBAWohBAwACwALIAcgDUwNBiAFIAc2AgQgBSANNgIAIABB8OMAIAUQChBOAAsgAUEBaiEBIAIgB2ohBwwACwAFIAAgBEEEdGoiAUHcpgFqQgA3AgAgAUHUpgFqQgA3AgAgBEEBaiEEDAELAAsACyAGQQFqIQYgASAIaiEIDAALAAsgBUHAC2okACAHDwsgAUEBaiEBIAYgB2ohBwwACwAFQQAhCCAFQThqIAZBAnRqIhBBADYCAEEAIQQDQCAEIAlGRQRAIARBAnQiByAGQQN0IgogBUFAa2pqIAMgCmogB2ooAgAiDDYCACAFQSBqIApqIAdqQQA2AgAgECAIIAxqIgg2AgAgACgCNCEKIAVB0ABqIAZByABsaiAEQSRsaiIHIAAgBkGI0gBsaiAEQYQpbGoiEUG0Amo2AhAgByAANgIMIAcgASAGQYAkbGogBEGAEmxqNgIIIAdBAkEDIApBAEgbNgIEIAdBBEEFIBFB6CdqKAIAQQJGGzYCACAMIA1qIQ0gBEEBaiEEDAELCyAGQQFqIQYMAQsACwALhgICBX8BfCAAQeiYBWooAgAiBUEBcSEGAkAgAEGslwNqKAIAIAFBACAEG2oiBEEKbAJ/IABBsJcDaigCACIIt0TNzMzMzMzsP6IiCplEAAAAAAAA4EFjBEAgCqoMAQtBgICAgHgLIAggBhtBCWwiCUoEQCAAIAVBgAFyNgLomAUgCUF2bSAEaiIHIAFqIQEMAQsgACAFQf8AcTYC6JgFIAAoApQBIAZyDQAgAbciCiAKRJqZmZmZmbm/oqAiCplEAAAAAAAA4EFjBEAgCqohAQwBC0GAgICAeCEBCyACIAE2AgAgAyAEIAhBBmxBCm0iACAEIABIGyAHayIAQQAgAEEAShs2AgALQgECfwNAIAIgA0cEQCAAIAAvAQAiBCABIANqLQAAc0H/AXFBAnRB4NsAai8BACAEQQh2czsBACADQQFqIQMMAQsLC6QDAQV/IAFB/wE6AAAgASABLQABQQN0QQdyIgI6AAEgASACQQF0IAAoAkRB//wASnIiAjoAASABIAAoAhRBAXEgAkEBdHJBAnRBAXIiAjoAASABIAAoAqQBRSACQQF0ciIEOgABIAEgAEGIlgVqKAIAQQ9xIAEtAAJBBHRyIgI6AAIgASAAKAIYQQNxIAJBAnRyIgJBAXQ6AAIgASACQQJ0QfwDcSAAKAKwAUEBcXIiBToAAiABIAAoArgBQQNxIAEtAANBAnRyIgI6AAMgASAAQZSWBWooAgBBA3EgAkECdHIiAjoAAyABIAAoAqgBQQFxIAJBAXRyIgI6AAMgASAAKAKsAUEBcSACQQF0ciICOgADIAAoArQBIQMgAUH/AToAACABIANBA3EgAkECdHI6AANBgAEhAiAAKAIUIgNBAUcEQEEgQcAAIAAoAkRBgP0ASBshAgsgACgCbEUEQCAAKAJ8IQILIAEgACgCnAEEf0EABSACIAMgACgCRBAzQQR0CyAFQQ1xcjoAAiABIARBCnIgBEHxAXFBAnIgA0EBRhs6AAELuQIBBH8jAEHAFmsiAyQAQYABIQEgACgCFCICQQFHBEBBIEHAACAAKAJEQYD9AEgbIQELIABBpJ4FaiAAKAJsBH8gAQUgACgCfAsgAkHAsgRsQcCyBGpsIAAoAkRtIgE2AgACQAJAIAFBwBZMBEAgASAAKAIcQZwBak4NAQsgAEEANgKgAQwBCyAAQgA3AoSeBSAAQZyeBWpCADcCACAAQYyeBWpCATcCAAJAIABBmJ4FaigCAEUEQCAAQZADQQQQCCIBNgKYngUgAUUNASAAQZADNgKUngULQQAhASAAIANBAEHAFhAFIgIQwgEgACgCpJ4FIQQDQCABIARGDQIgACABIAJqLQAAEEkgAUEBaiEBDAALAAsgAEEANgKUngUgAEG02wBBABAKIABBADYCoAELIANBwBZqJAAL2gEBAn8gACAAKAIYQQFqNgIYIAAgACgCACABaiIDNgIAIAAgACgCBEEBaiIBNgIEAkAgASAAKAIISA0AIAAoAgwiASAAKAIQIgJIBEAgACgCFCABQQJ0aiADNgIAIABBADYCBCAAIAAoAgxBAWoiATYCDCAAKAIQIQILIAEgAkcNAEEBIQEDQCABIAJORQRAIAAoAhQiAiABQQF0QXxxaiACIAFBAnRqKAIANgIAIAFBAmohASAAKAIQIQIMAQsLIAAgACgCCEEBdDYCCCAAIAAoAgxBAm02AgwLCyoAIABBhJ4FaiAAKAIUQQZ0IABBiJYFaigCAEECdGpB8NgAaigCABDEAQtYAQF/AkBB0NUBLQAADQADQCAAQYEERg0BIABBAnRB4NUBaiAAskMAAAA7lEMAAIA/krsQSkTvOfr+Qi7mP6O2OAIAIABBAWohAAwACwALQdDVAUEBOgAACz0BAX8jAEEQayIBJAACQCAARQ0AIAAoAsSeBUUNACABQQA2AgxByLYBQQAgACgCxJ4FEQAACyABQRBqJAALAwABC8UBAQJ/IwBBEGsiASQAAkAgAL1CIIinQf////8HcSICQfvDpP8DTQRAIAJBgIDA8gNJDQEgAEQAAAAAAAAAAEEAECAhAAwBCyACQYCAwP8HTwRAIAAgAKEhAAwBCwJAAkACQAJAIAAgARBoQQNxDgMAAQIDCyABKwMAIAErAwhBARAgIQAMAwsgASsDACABKwMIEB8hAAwCCyABKwMAIAErAwhBARAgmiEADAELIAErAwAgASsDCBAfmiEACyABQRBqJAAgAAvIAQICfQN8IAG7RBgtRFT7IQlAorYhAQJ8IAG7RBgtRFT7IQlAoyAAIAKyIgOVQwAAAACXQwAAgD+WIgBDAAAAv5IiBLsiBZlEldYm6AsuET5jQQFzRQ0AGiAAQwAAgECUu0QYLURU+yEJQKIQEiEGIAAgAJK7RBgtRFT7IQlAohASIQcgAyABlCAElLsQyQEgBkR7FK5H4Xq0P6IgB0QAAAAAAADgv6JE4XoUrkfh2j+goLa7oiACt0QYLURU+yEJQKIgBaKjC7YLuQgDDH8EfQZ8IAAoAkQiCwJ/IAshCSAAQUBrKAIAIgwhBwNAIAcEQCAJIAdvIQggByEJIAghBwwBCwsgCQttIgdBwAIgB0HAAkgbIQ1BIEEfIAy3IAu3oyIYIBhEAAAAAAAA4D+gnKGZRAAAAAAAAIA+YxsiC0EBaiEJIAAoAhBFBEBEAAAAAAAA8D8gGKO2QwAAgD+WIRQgAEHAogJqIAlBBBAINgIAIABBxKICaiAJQQQQCDYCAEEAIQcgDUEBdEEBciIIQQAgCEEAShshDgNAIAcgDkcEQCAAIAdBAnRqQciiAmogCUEEEAg2AgAgB0EBaiEHDAELCyAAQbiiAmpCADcDACAAQbCiAmpCADcDACANtyIXIBegIRcDQCAKIA5HBEAgACAKQQJ0akHIogJqKAIAIQwgCiANa7cgF6O2IRVBACEIQwAAAAAhE0EAIQcDQCAHIAlHBEAgDCAHQQJ0aiAHsiAVkyAUIAsQygEiFjgCACAHQQFqIQcgEyAWkiETDAELCwNAIAggCUcEQCAMIAhBAnRqIgcgByoCACATlTgCACAIQQFqIQgMAQsLIApBAWohCgwBCwsgAEEBNgIQCyALQX9zIQ8gAEGw2QFqIgcgBkEDdGpBgMkAaiEIIAcgBkECdGpBkMkAaigCACEKIAJBACACQQBKGyEGIAsgC0EBdiIQayEMIAtBAXG3RAAAAAAAAOA/oiEaIA2yIRRBACECA0ACQCACIAZGBEAgDCAOaiEHIBggBreiIRcgCCsDACEZDAELIAwCfyAYIAK3oiIXIAgrAwAiGaEiG5wiHJlEAAAAAAAA4EFjBEAgHKoMAQtBgICAgHgLIg5qIgcgBE4EfyACBSAOIBBrIREgAAJ/IBsgGiAOt6ChtiITIBOSIBSUIBSSu0QAAAAAAADgP6CcIheZRAAAAAAAAOBBYwRAIBeqDAELQYCAgIB4C0ECdGpByKICaigCACESQwAAAAAhE0EAIQcDQCAHIAlHBEAgEyAKIAcgEWoiDSAJakECdGogAyANQQJ0aiANQQBIGyoCACASIAdBAnRqKgIAlJIhEyAHQQFqIQcMAQsLIAEgAkECdGogEzgCACACQQFqIQIMAgshBgsLIAUgBCAHIAcgBEobIgA2AgAgCCAZIAC3IBehoDkDAAJAIAAgC0oEQCAAIA9qIQBBACEHA0AgByAJRg0CIAogB0ECdGogAyAAIAdqQQJ0aioCADgCACAHQQFqIQcMAAsAC0EAIQcgCSAAayIBQQAgAUEAShshCANAIAcgCEYEQEEAIQdBACAJIAhrIgAgACAJSxshAANAIAAgB0YNAyAKIAhBAnRqIAMgB0ECdGoqAgA4AgAgB0EBaiEHIAhBAWohCAwACwAFIAogB0ECdGogCiAAIAdqQQJ0aioCADgCACAHQQFqIQcMAQsACwALIAYLnw4CEX8CfCMAQbAEayIGJAAgAiACQX1qQRhtIgRBACAEQQBKGyIOQWhsaiEHQdS+ASgCACIKIANBf2oiCGpBAE4EQCADIApqIQQgDiAIayECA0AgBkHAAmogBUEDdGogAkEASAR8RAAAAAAAAAAABSACQQJ0QeC+AWooAgC3CzkDACACQQFqIQIgBUEBaiIFIARHDQALCyAHQWhqIQtBACEEIApBACAKQQBKGyENIANBAUghBQNAAkAgBQRARAAAAAAAAAAAIRUMAQsgBCAIaiEJQQAhAkQAAAAAAAAAACEVA0AgFSAAIAJBA3RqKwMAIAZBwAJqIAkgAmtBA3RqKwMAoqAhFSACQQFqIgIgA0cNAAsLIAYgBEEDdGogFTkDACAEIA1GIQIgBEEBaiEEIAJFDQALQS8gB2shEUEwIAdrIQ8gB0FnaiESIAohBAJAA0AgBiAEQQN0aisDACEVQQAhAiAEIQUgBEEBSCIMRQRAA0AgBkHgA2ogAkECdGoCfyAVAn8gFUQAAAAAAABwPqIiFZlEAAAAAAAA4EFjBEAgFaoMAQtBgICAgHgLtyIVRAAAAAAAAHDBoqAiFplEAAAAAAAA4EFjBEAgFqoMAQtBgICAgHgLNgIAIAYgBUF/aiIFQQN0aisDACAVoCEVIAJBAWoiAiAERw0ACwsCfyAVIAsQFiIVIBVEAAAAAAAAwD+inEQAAAAAAAAgwKKgIhWZRAAAAAAAAOBBYwRAIBWqDAELQYCAgIB4CyEIIBUgCLehIRUCQAJAAkACfyALQQFIIhNFBEAgBEECdCAGaiICIAIoAtwDIgIgAiAPdSICIA90ayIFNgLcAyACIAhqIQggBSARdQwBCyALDQEgBEECdCAGaigC3ANBF3ULIglBAUgNAgwBC0ECIQkgFUQAAAAAAADgP2ZBAXNFDQBBACEJDAELQQAhAkEAIQUgDEUEQANAIAZB4ANqIAJBAnRqIhQoAgAhDEH///8HIRACfwJAIAUNAEGAgIAIIRAgDA0AQQAMAQsgFCAQIAxrNgIAQQELIQUgAkEBaiICIARHDQALCwJAIBMNAAJAAkAgEg4CAAECCyAEQQJ0IAZqIgIgAigC3ANB////A3E2AtwDDAELIARBAnQgBmoiAiACKALcA0H///8BcTYC3AMLIAhBAWohCCAJQQJHDQBEAAAAAAAA8D8gFaEhFUECIQkgBUUNACAVRAAAAAAAAPA/IAsQFqEhFQsgFUQAAAAAAAAAAGEEQEEAIQUCQCAEIgIgCkwNAANAIAZB4ANqIAJBf2oiAkECdGooAgAgBXIhBSACIApKDQALIAVFDQAgCyEHA0AgB0FoaiEHIAZB4ANqIARBf2oiBEECdGooAgBFDQALDAMLQQEhAgNAIAIiBUEBaiECIAZB4ANqIAogBWtBAnRqKAIARQ0ACyAEIAVqIQUDQCAGQcACaiADIARqIghBA3RqIARBAWoiBCAOakECdEHgvgFqKAIAtzkDAEEAIQJEAAAAAAAAAAAhFSADQQFOBEADQCAVIAAgAkEDdGorAwAgBkHAAmogCCACa0EDdGorAwCioCEVIAJBAWoiAiADRw0ACwsgBiAEQQN0aiAVOQMAIAQgBUgNAAsgBSEEDAELCwJAIBVBACALaxAWIhVEAAAAAAAAcEFmQQFzRQRAIAZB4ANqIARBAnRqAn8gFQJ/IBVEAAAAAAAAcD6iIhWZRAAAAAAAAOBBYwRAIBWqDAELQYCAgIB4CyICt0QAAAAAAABwwaKgIhWZRAAAAAAAAOBBYwRAIBWqDAELQYCAgIB4CzYCACAEQQFqIQQMAQsCfyAVmUQAAAAAAADgQWMEQCAVqgwBC0GAgICAeAshAiALIQcLIAZB4ANqIARBAnRqIAI2AgALRAAAAAAAAPA/IAcQFiEVIARBAE4EQCAEIQIDQCAGIAJBA3RqIBUgBkHgA2ogAkECdGooAgC3ojkDACAVRAAAAAAAAHA+oiEVQQAhACACQQBKIQMgAkF/aiECIAMNAAsgBCEFA0AgDSAAIA0gAEkbIQNBACECRAAAAAAAAAAAIRUDQCAVIAJBA3RBsNQBaisDACAGIAIgBWpBA3RqKwMAoqAhFSACIANHIQcgAkEBaiECIAcNAAsgBkGgAWogBCAFa0EDdGogFTkDACAFQX9qIQUgACAERyECIABBAWohACACDQALC0QAAAAAAAAAACEVIARBAE4EQCAEIQIDQCAVIAZBoAFqIAJBA3RqKwMAoCEVIAJBAEohACACQX9qIQIgAA0ACwsgASAVmiAVIAkbOQMAIAYrA6ABIBWhIRVBASECIARBAU4EQANAIBUgBkGgAWogAkEDdGorAwCgIRUgAiAERyEAIAJBAWohAiAADQALCyABIBWaIBUgCRs5AwggBkGwBGokACAIQQdxC5oBAAJAIAFBgAFOBEAgAEMAAAB/lCEAIAFB/wFIBEAgAUGBf2ohAQwCCyAAQwAAAH+UIQAgAUH9AiABQf0CSBtBgn5qIQEMAQsgAUGBf0oNACAAQwAAgACUIQAgAUGDfkoEQCABQf4AaiEBDAELIABDAACAAJQhACABQYZ9IAFBhn1KG0H8AWohAQsgACABQRd0QYCAgPwDar6UC+cBAQZ/IAAoAlBBwARsIQcgACgCTCEGIABBxJAFaigCACEKIABBQGsoAgAgACgCRBBtBEAgBkEBIAZBAUobIQhBACEGA0AgACABIAZBAnQiCWooAgAgCkECdGogByACIAlqKAIAIAMgBCAGEMsBIQkgBkEBaiILIQYgCCALRw0ACyAFIAk2AgAPCyAGQQEgBkEBShshCCAHIAMgByADSBsiAEECdCEDQQAhBgNAIAEgBkECdCIHaigCACAKQQJ0aiACIAdqKAIAIAMQAxogBkEBaiIGIAhHDQALIAUgADYCACAEIAA2AgALPQEDfwNAIABBBHQiAUGk+wVqIAFBoPsFaiICNgIAIAFBqPsFaiACNgIAIABBAWoiAEHAAEcNAAtBMBBpGguKAgEBf0EBIQICQAJAIABFDQAgAUH/AE0NAUGE+wUoAgBFBEBBfyECIAFBgH9xQYC/A0YNAgwBCyABQf8PTQRAIAAgAUE/cUGAAXI6AAEgACABQQZ2QcABcjoAAEECDwsgAUGAsANPQQAgAUGAQHFBgMADRxtFBEAgACABQT9xQYABcjoAAiAAIAFBDHZB4AFyOgAAIAAgAUEGdkE/cUGAAXI6AAFBAw8LQX8hAiABQYCAfGpB//8/Sw0AIAAgAUE/cUGAAXI6AAMgACABQRJ2QfABcjoAACAAIAFBBnZBP3FBgAFyOgACIAAgAUEMdkE/cUGAAXI6AAFBBCECCyACDwsgACABOgAAQQELMwEBfyAAKAIUIgMgASACIAAoAhAgA2siASABIAJLGyIBEAMaIAAgACgCFCABajYCFCACC4MBAgN/AX4CQCAAQoCAgIAQVARAIAAhBQwBCwNAIAFBf2oiASAAQgqAIgVCdn4gAHynQTByOgAAIABC/////58BViECIAUhACACDQALCyAFpyICBEADQCABQX9qIgEgAkEKbiIDQXZsIAJqQTByOgAAIAJBCUshBCADIQIgBA0ACwsgAQstACAAUEUEQANAIAFBf2oiASAAp0EHcUEwcjoAACAAQgOIIgBCAFINAAsLIAELNQAgAFBFBEADQCABQX9qIgEgAKdBD3FB4LwBai0AACACcjoAACAAQgSIIgBCAFINAAsLIAELvQIBA38jAEHQAWsiAyQAIAMgAjYCzAFBACECIANBoAFqQQBBKBAFGiADIAMoAswBNgLIAQJAQQAgASADQcgBaiADQdAAaiADQaABahBNQQBIDQAgACgCTEEATgRAQQEhAgsgACgCACEEIAAsAEpBAEwEQCAAIARBX3E2AgALIARBIHEhBQJAIAAoAjAEQCAAIAEgA0HIAWogA0HQAGogA0GgAWoQTRoMAQsgAEHQADYCMCAAIANB0ABqNgIQIAAgAzYCHCAAIAM2AhQgACgCLCEEIAAgAzYCLCAAIAEgA0HIAWogA0HQAGogA0GgAWoQTRogBEUNACAAQQBBACAAKAIkEQQAGiAAQQA2AjAgACAENgIsIABBADYCHCAAQgA3AxALIAAgACgCACAFcjYCACACRQ0ACyADQdABaiQAC7gBAQF/IAFBAEchAgJAAkACQCABRSAAQQNxRXINAANAIAAtAABFDQIgAEEBaiEAIAFBf2oiAUEARyECIAFFDQEgAEEDcQ0ACwsgAkUNAQJAIAAtAABFIAFBBElyDQADQCAAKAIAIgJBf3MgAkH//ft3anFBgIGChHhxDQEgAEEEaiEAIAFBfGoiAUEDSw0ACwsgAUUNAQsDQCAALQAARQRAIAAPCyAAQQFqIQAgAUF/aiIBDQALC0EAC4MBAQJ/IwBBkAFrIgMkACADQfC8AUGQARADIgMgADYCLCADIAA2AhQgA0F+IABrIgRB/////wcgBEH/////B0kbIgQ2AjAgAyAAIARqIgA2AhwgAyAANgIQIAMgASACENUBIAQEQCADKAIUIgAgACADKAIQRmtBADoAAAsgA0GQAWokAAsGAEHAuAELBgBB2rgBCwYAIAAQGQuLAwEDfwJAAkAgACgAACIDQQJLDQAgACgACEUgACoADEMAAAAAXUYNAEEBQSAQCCIBRQ0AIAFB4KbuADYCGCABIAM2AhBB4KbuABAZIQIgASADQQd0NgIMIAEgAjYCFCABIANBCXQQGSICNgIEIAEgAjYCACABIAIgA0EIdGo2AgggARDiASIDNgIcAkAgAwRAIAEhAiABKAIURQ0CIAEoAgANAQsgASECDAELIAMQgwIgACgAACEDIAEoAhwiAhAERSADQX9qQQFLckUEQCACIAM2AggLIAAoAAQhAyABKAIcIgIQBEUgA0EBSHJFBEAgAiADNgIMCyABKAIcIAAoABAQpgIgASgCHCICEAQEQCACQQA2AiQLIAEoAhwhAgJAIAAqAAxDAAAAAGBBAXNFBEAgAkEEEBAgASgCHCAAKgAMEKQCDAELIAJBABAQIAEoAhwgACgACBCfAQsgASgCHCIAEAQEQCAAQQA2AkQLIAEhAiABKAIcEO4BQX9KDQELIAIQcUEAIQELIAELWgAgACgCECABbCIBIAAoAgxLBEAgACABQQF0NgIMIAAgACgCACABQQN0EHIiATYCACABRQRAQQAPCyAAIAE2AgQgACABIAAoAgxBAXRBfHFqNgIICyAAQQRqCwcAIAAoAhQLFAAgACgCHCAAKAIUIAAoAhgQ5QELcQIBfwF8IAG4RAAAAAAAAPQ/okQAAAAAACC8QKAhAwNAIAMgACgCGCICuGRBAXNFBEAgACACQQF0IgI2AhggACAAKAIUIAIQcjYCFAwBCwsgACgCHCAAKAIEIAAoAgggASAAKAIUIAJBA0MA/v9GEHQLxAEBAX8gAEUEQEF/DwsgAEGAgID8ezYCsJ0FIABBADYCjAEgAEKBgICA0AE3AnQgAEHAlwVqQoSAgIDAADcDACAAQbiXBWpCtIGAgMAWNwMAIABCADcChAEgAEGslwVqQYCAgPwDNgIAIABBwJAFakLAjYCAgMIANwMAIABBuJ0FakIANwMAIABBmJYFakLABDcDACAAQQFB1BUQCCIBNgKongUgAUUEQEF+DwsgAEEBQYidCBAIIgA2AqydBUEAQX4gABsL8wIBAn8gAEEEakEAQawCEAUaIABBAjYCfCAAQrucYjcCACAAQQE2AmwgAEKCgICAwIgrNwIIIABBfzYC8AEgAEL/////zwA3AiwgAEEBNgIkIABBfzYCxAEgAEKAgICAcDcCvAEgAEF/NgJYIABCADcCtAEgAEIANwKsASAAQoSAgICAEDcCpAEgAEEANgKcASAAQoCAgPyLgIDAv383AogCIABBgICA/Hs2AvwBIABCfzcChAEgAEGAgID8AzYCHCAAQYCAgPx7NgLgASAAQoCAgPyDgIDAPzcCFCAAQX82AtwBIABC/////w83AugBIABC/////4+AgMC/fzcC9AEgAEEBNgKsAiAAQgA3AjwgAEKBgICAEDcCpAIgAEEANgKYASAAQQE2AkQgAEEJNgKUAiAAQQk2ApgCIABBCTYCkAIgAEEBQdCeBRAIIgI2AqACIAIQ4AFBf0wEfyAAKAKgAhCQASAAQQA2AqACQX8FQQALCy8BAn8QxgFBAUGwAhAIIgAEfyAAEOEBBEAgABAGQQAPCyAAQQE2ApwCIAAFQQALC0sBAX8CQCAARQ0AIAAoAgBBu5xiRw0AIABBADYCACAAKAKgAiIBBEAgAUIANwMAIAEQkAEgAEEANgKgAgsgACgCnAJFDQAgABAGCwu3AgMBfwF9A3wgACgChAEEQCAAKAKsnQUQhQIiAkMAMsBGkou7IQMCQAJAIAK7IgSZIgVEAAAAAEAG2EBkQQFzRQRAIAVEAAAAoPfGsD6iIANmQQFzDQEMAgsgA0QAgLooATGZP2UNAQsgBEQAAAAAAAAkQKJEAAAAAAAA4D+gnCIDmUQAAAAAAADgQWMEQCADqiEBDAELQYCAgIB4IQELIABBuJ0FaiABNgIACyAAKAKIAQRAIABBvJ0FagJ/IABBtJ0FaioCACICu0QAAAAAwP/fQKMQPEQAAAAAAAA0QKJEAAAAAAAAJECimyIDmUQAAAAAAADgQWMEQCADqgwBC0GAgICAeAsiATYCACAAIAFBAUgEfUMAAIC/BUMA/v9GIAKVQwAAyEKUjkMAAMhClQs4ArCdBQsLqQQCCn8CfCMAQYAkayIJJABBfSEDAkAgABAERQ0AIAAoAqACIgUQUEUNACAFQcCQBWooAgAiA0EBSARAQQAhAwwBCyAFKAJQIgQQcyELIAlBAEGAJBAFIQogA0GAd2ohBiAEQcAEbCEHAkAgBUFAaygCACIDIAUoAkQiBBBtRQRARAAAAAAAAPA/IQ4MAQtEAAAAAAAAMEAgA7cgBLejIg6jIAa3oCINmUQAAAAAAADgQWMEQCANqiEGDAELQYCAgIB4IQYLIAVBnJYFaiAHQQAgByAGIAdvayIEQcAESBsgBGoiBDYCACAEIAZqIAdtIQggCkGAEmohDEEAIQZBACEDA0AgCEEBSCADQQBIckUEQCAFKAKMlgUhByAAIAogDAJ/IA4gCyAFKALEkAVrt6IiDZlEAAAAAAAA4EFjBEAgDaoMAQtBgICAgHgLIgRBgAkgBEGACUgbIgRBASAEQQFKGyABIAIgBmtBACACG0EAQwAAgD8QdCIDIAZqIQYgASADaiEBIAggBSgCjJYFIAdrIgRBACAEQQBKG2shCAwBCwsgBUEANgLAkAUgA0EASA0AIAUQrgIgBSABIAIgBmtB/////wcgAhtBARA6IQMgBRDkASADQQBIDQAgAyAGaiEEIAAoAkRFBEAgBCEDDAELIAAQ9QFBACAEIAUgASADaiACIARrQf////8HIAIbQQAQOiIAQQBIGyAAaiEDCyAJQYAkaiQAIAMLgQEBAX9BwD4hAQJAIABBwT5IDQBBkdYAIQEgAEGS1gBIDQBB4N0AIQEgAEHh3QBIDQBBgP0AIQEgAEGB/QBIDQBBoqwBIQEgAEGjrAFIDQBBwLsBIQEgAEHBuwFIDQBBgPoBIQEgAEGB+gFIDQBBgPcCQcTYAiAAQcTYAkobDwsgAQuFBQESfyMAQSBrIgQkAEF9IQgCQCAAKAIAQbucYkcNACAAKAJQIQUCQCAAIAIgA0H/////ByADG0EAEDoiB0EASA0AIAVBwARsIQogAEG8lwNqKAIAIQkgAEG4lwNqKAIAIQsgACgCUBBzIQ8gBCAAQYCUBGoiEDYCHCAEIABBwJcDaiIRNgIYIAVBwHtsIRIgAiAHaiEMA0AgAUEBSA0BIARBADYCDCAEIAk2AhQgBCALNgIQIARBADYCCCAAIARBGGogBEEQaiABIARBDGogBEEIahDOAQJAAkAgACgChAFFDQAgACgCjAENACAAKAKsnQUgACAAKALEkAVBAnRqIgJBwJcDaiACQYCUBGogBCgCCCAAKAJMEIYCDQBBeiEIQQAhDQwBCyAEKAIMIQIgACAEKAIIIgUgACgCxJAFaiIGNgLEkAVBASENIAAgBUHADSAAKALAkAUiDiAOQQFIG2o2AsCQBSAJIAJBAnQiBWogCSAAKAJMQQJGGyEJIAEgAmshASAFIAtqIQsgBiAPSA0AIAAgESAQIAwgAyAHa0H/////ByADGxDyASIFQQBIBEBBACENIAUhCAwBCyAAIAAoAsSQBSICIAprNgLEkAUgACAAKALAkAUgCms2AsCQBUEAIQYgAiASaiICQQAgAkEAShshDiAAKAJMIgJBACACQQBKGyETA0AgBiATRkUEQCAEQRhqIAZBAnRqIRRBACECA0AgAiAORkUEQCAUKAIAIhUgAkECdGogFSACIApqQQJ0aioCADgCACACQQFqIQIMAQsLIAZBAWohBgwBCwsgBSAHaiEHIAUgDGohDAsgDQ0ACwwBCyAHIQgLIARBIGokACAIC4QEAgJ/BX0gACoCmAIgBZQhCiAAKgKUAiAFlCELIAAqApACIAWUIQwgACoCjAIgBZQhBSAAQbyXA2ooAgAhByAAQbiXA2ooAgAhAAJAAkACQAJAAkAgBA4EAAECAwQLQQAhBCADQQAgA0EAShshAwNAIAMgBEYNBCAAIARBAnQiBmogBSABLgEAsiIIlCAMIAIuAQCyIgmUkjgCACAGIAdqIAsgCJQgCiAJlJI4AgAgBEEBaiEEIAJBAmohAiABQQJqIQEMAAsAC0EAIQQgA0EAIANBAEobIQMDQCADIARGDQMgACAEQQJ0IgZqIAUgASgCALIiCJQgDCACKAIAsiIJlJI4AgAgBiAHaiALIAiUIAogCZSSOAIAIARBAWohBCACQQRqIQIgAUEEaiEBDAALAAtBACEEIANBACADQQBKGyEDA0AgAyAERg0CIAAgBEECdCIGaiAFIAEoAgCyIgiUIAwgAigCALIiCZSSOAIAIAYgB2ogCyAIlCAKIAmUkjgCACAEQQFqIQQgAkEEaiECIAFBBGohAQwACwALQQAhBCADQQAgA0EAShshAwNAIAMgBEYNASAAIARBAnQiBmogBSABKgIAIgiUIAwgAioCACIJlJI4AgAgBiAHaiALIAiUIAogCZSSOAIAIARBAWohBCACQQRqIQIgAUEEaiEBDAALAAsLugEBA38CfwJAAkACQCAAQbiXA2ooAgAiAkUNACAAQbSXA2ooAgAgAUgNACAAQbyXA2ooAgAhAwwBCyACEAYgAEG8lwNqIgQoAgAQBiAAIAFBBBAIIgI2AriXAyABQQQQCCEDIABBtJcDaiABNgIAIAQgAzYCACACDQBBACECDAELQQAgAw0BGgsgAhAGIABBvJcDaiIBKAIAEAYgAUEANgIAIABBtJcDakIANwIAIABBmLgBQQAQCkF+CwtfAQF/AkAgABAERQ0AIAAoAqACIgFFDQAgAUGMlgVqQQA2AgAgACgCRARAIAAQ9wELIAFBtJ0FakEANgIAIAFByJAFakEAQcAFEAUaIAEoAqABRQ0AIAAoAqACEMMBCwvPAwEBfyAAKAKgAiEBAkACQAJAAkACQAJAAkACQAJAAkACQAJAAkAgACgCLA4JCAcGBQQKCgIBAAsgAUIANwIoIAFBADYCICABQgA3AjAPCyAAQQc2AiwLIAFCADcCKCABQQA2AiAgAUIANwIwAkAgASgCbEF/ag4EAAcHAAcLIAFBfzYCNA8LAAsgASgCIEUEQCABQQE2AiALIAFCADcCLAwHCyABKAIgRQRAIAFBATYCIAsMBQsgASgCIEUEQCABQQE2AiALIAFB6JgFaigCAEUEQCABQQI2AuiYBQsMBAsgASgCIEUEQCABQQE2AiALIAFB6JgFaigCAEUEQCABQQI2AuiYBQsgAUKCgICAEDcCLAwECyABKAIgRQRAIAFBATYCIAsgAUHomAVqKAIARQRAIAFBAjYC6JgFCyABQoKAgIAQNwIsIAEoAiRBf0YEQCABQQE2AiQLIAFBATYCNCABQQE2AigLDwsgASgCIEUEQCABQQE2AiALIAFCADcCLCABKAIkQX9GBEAgAUEBNgIkCyABQQA2AjQgAUEANgIoDwsgAUKBgICAEDcCLAsgASgCJEF/RgRAIAFBATYCJAsgAUEANgI0IAFBATYCKAvaBAMDfwd9AnwgACoC/AEiBkMAAAAAXkEBc0UEQCAAKgKAAiEEQecHIQJBICEDA0AgAUEgRkUEQCACIAEgAiABSBsgAiAEIAG3RAAAAAAAAD9Ao7YiBV4bIAIgBiAFXRshAiADIAEgAyAEIAVfGyADIAFIGyEDIAFBAWohAQwBCwsgACADt0QAAAAAAAA/QKO2OAKAAiAAIAMgAiACQecHRhu3RAAAAAAAAOi/oEQAAAAAAAA/QKO2OAL8AQsgACoCiAIiBEMAAAAAXkEBcyAEu0RMlr9k+UuWP2NBAXNyRQRAIABCADcChAIgABDHASAAKgKIAiEECyAAKgKEAiEFIARDAAAAAF5BAXNFBEBBfyECQQAhAUF/IQMDQCABQSBGRQRAIAIgASACIAFKGyACIAUgAbdEAAAAAAAAP0CjtiIGXRsgAiAEIAZeGyECIAMgASADIAUgBmAbIAMgAUobIQMgAUEBaiEBDAELCyAAIAO3IgtEAAAAAAAAP0CjtiIFOAKEAiAAIAsgArcgAkF/RhtEAAAAAAAA6D+gRAAAAAAAAD9Ao7YiBDgCiAILIAQgBZO7RCNCkgyhnMc7oCELIAAqAoACIgggACoC/AEiBpO7RCNCkgyhnMc7oCEMQQAhAQNAIAFBIEZFBEAgAbJDAAD4QZUhB0MAAIA/IQlDAACAPyEKIAAgAUECdGpBsKECaiAEIAVeQQFzBH1DAACAPwUgBCAHk7sgC6O2EHULIAggBl5BAXMEfUMAAIA/BSAHIAaTuyAMo7YQdQuUOAIAIAFBAWohAQwBCwsL7wIBAX8Cf0GA9wIgAUH/9gJKDQAaQcTYAiABQcPYAkoNABpBgPoBIAFB//kBSg0AGkHAuwEgAUG/uwFKDQAaQaKsASABQaGsAUoNABpBgP0AIAFB//wASg0AGkHg3QAgAUHf3QBKDQAaQZHWACABQZDWAEoNABpBxNgCQcA+IAFBwD5IGwshAgJAIABBf0YNAEHAPkGR1gBB4N0AQYD9AEGirAFBwLsBQYD6AUHE2AIgAiAAQdn8AEgbIABBk/cASBsgAEHV1wBIGyAAQfPNAEgbIABBvzhIGyAAQa0qSBsgAEGfI0gbIABBgx9IGyICIAFMDQBBgPcCIQIgAUHE2AJKDQBBxNgCIQIgAUGA+gFKDQBBgPoBIQIgAUHAuwFKDQBBwLsBIQIgAUGirAFKDQBBoqwBIQIgAUGA/QBKDQBBgP0AIQIgAUHg3QBKDQBB4N0AIQIgAUGR1gBKDQBBkdYAQcA+IAFBwD5KGw8LIAIL+SMDC38GfQF8IwBBEGsiBiQAQX8hAgJAIAAQBEUNACAAKAKgAiIBRQ0AIAEQUA0AIAFCu5zi/w83AwAgACgCDEEBSA0AIAAoAghBf2pBAUsNACAAKAIQIgMEQCADIAZBDGoQMkEASA0BCyABIAAoArQBNgKAASABIAAoAiAiAzYCkAEgAwRAIABBADYCJAsgASgCsJ4FBEAgAEEANgIkCyABIAAoApACNgLEngUgASAAKAKUAjYCyJ4FIAEgACgCmAI2AsyeBSABAn8gACgCqAIEQCABKAKAngVBfXEMAQsgASgCgJ4FQX1xCyICNgKAngUgASACQXBxNgKAngUgASAAKAKcASICNgJsIAEgACgCeDYCpAEgASAAKAJoNgKoASABIAAoAmw2AqwBIAEgACgCcDYCsAEgASAAKAJ0NgK0ASABIAAoAggiAzYCSCABAn8CQAJAAkAgA0EBRgRAIABBAzYCMAwBCyAAKAIwIgRBA0cNAQtBASEDIAFBzABqIgpBATYCAAwBC0ECIQMgAUHMAGoiCkECNgIAIARBAUcNACAAKAI0DAELIABBADYCNEEACzYCVAJAIAJFBEAgACgCqAEiBEGAAUYNASAAKAJgDQEgACAENgJgDAELAkAgAkF/ag4EAQAAAQALIABBADYCOAsgAUEUaiEIIAEgACgCODYCnAECQAJAIAINACAAKgJkIQ0CQAJAIAAoAmANAAJAIA1DAAAAAFsgDSANXHJFBEAgDYu7IhJEAAAAoPfGsD6iIBJmQQFzRQ0BDAILIA1DAAAAAFwNAQsgAEHmzMGJBDYCZENmZjBBIQ0MAQsgDUMAAAAAXkEBcw0BCyAAKAIQIgJFBEAgAAJ/IAAoAgy3RArXo3A9Cu8/oiISmUQAAAAAAADgQWMEQCASqgwBC0GAgICAeAsQ5gEiAjYCEAsgAAJ/IAIgA2xBBHS3IA27RAAAAAAAQI9AoqMiEplEAAAAAAAA4EFjBEAgEqoMAQtBgICAgHgLNgJgIAEgAiAIEDI2AhggASgCnAENACAAIAAoAmAgCCgCACAAKAIQIgMQNDYCYAwBCyAAKAIQIQMLAkACQAJAIAMEQCADQf/8AEwEQCAAIAAoAqgBIgRBCCAEQQhKGyIEQcAAIARBwABIGzYCqAEMBAsgACgCqAEhBCADQf/5AUoNASAAIARBCCAEQQhKGyIEQaABIARBoAFIGzYCqAEMAwtBACEDAkAgASgCbEF/ag4EAAMDAAMLIAAqAqABIAAoAqQBspIhDCAAKAIMIQlBAiECA0AgAkEJRg0DAkAgCSACQRhsIgdBsLMBaigCACIERw0AIAwgB0G0swFqKgIAIg5dQQFzDQAgAAJ/IAwgDpW7IAdBvLMBaioCALuiIhKZRAAAAAAAAOBBYwRAIBKqDAELQYCAgIB4CyIFNgKkASAAIBIgBbehtjgCoAELAkAgCSAESA0AIAdBtLMBaioCACIOIAxfQQFzDQAgDCAHQbizAWoqAgAiDV1BAXMNACAAIAQ2AhAgAAJ/IAJBGGwiA0G8swFqKgIAIg8gDCAOkyADQcCzAWoqAgAgD5OUIA0gDpOVkiIMi0MAAABPXQRAIAyoDAELQYCAgIB4CyICNgKkASAAIAy7IAK3obY4AqABIAAoArgBDQMgAEF/NgK4AQwDCyACQQFqIQIMAAsACyAAIARBICAEQSBKGyIEQcACIARBwAJIGzYCqAEMAQsgBCEDCwJ/IAAoArgBIgJFBEAgBkKAgICAgIDQ58AANwMAAkACQAJAAkACQAJAIAEoAmwOBQADAgEDBAsgBiAAKAJgEHcMBAsgBiAAKAKoARB3DAMLRAAAAAAAC9NAIRIgBiAAKAKkASIDQQlNBHwgA0ECdCIDQZC1AWooAgC3IANBlLUBaigCALcgACoCoAG7EE8FRAAAAAAAC9NACzkDAAwCC0QAAAAAAP/UQCESIAYgACgCpAEiA0EJTQR8IANBAnQiA0HAtQFqKAIAtyADQcS1AWooAgC3IAAqAqABuxBPBUQAAAAAAP/UQAs5AwAMAQtEAAAAAAAL00AhEiAGIAAoAqQBIgNBCU0EfCADQQJ0IgNB8LUBaigCALcgA0H0tQFqKAIAtyAAKgKgAbsQTwVEAAAAAAAL00ALOQMACwJAIAAoAjBBA0cNAAJAIAEoAmwOBAABAQABCyAGIAYrAwBEAAAAAAAA+D+iOQMACwJ/IAYrAwAiEplEAAAAAAAA4EFjBEAgEqoMAQtBgICAgHgLIQIgACgCECEDCyADRQsEQCAAIAAoAgwiA0ECbSACIAJBAXQgA0obIgIgAxDtASIDNgIQC0HAuwEhBAJAAkAgASgCbEF/aiIFDgQBAAABAAtBlKABIQQLIAAgA0ECbSIHIAIgBCACIARIGyIJIAcgCUgbIgQ2ArgBIAAoAoABIQIgASAENgI4IAEgAjYClAEgASAAKAK8ASICNgI8IAAoAgwhCyABQQFBAiADQcG7AUgbNgJQIAEgAzYCRCABQUBrIAs2AgAgAAJ9AkACQAJAIAUOBAAAAQACCyAAKAKkAUECdEGgtgFqKgIADAILIAMgCigCAGxBBHS3IAAoAqgBt0QAAAAAAECPQKKjtgwBCyADIAooAgBsQQR0tyAAKAJgt0QAAAAAAECPQKKjtgs4AmQgASAAKAIwIgVBBEYEfyAAQQE2AjBBAQUgBQs2ArgBAn0gAkEBSARAQwAAAAAhDEMAAAAADAELIAAoAsQBIgUgAmq3IhIgEqC2IAK3IhIgEqC2Ig4gBUF/ShsgA7IiDZUhDCAOIA2VCyENIAEgDDgCiAIgASANOAKEAiABQgA3AvwBIARBAUggByAJTHJFBEAgASAEtyISIBKgtiINOAKAAiANIQwCQCAAKALAASICQQBOBEBDAAAAACEMIAQgAmu3IhIgEqC2Ig5DAAAAAF1BAXMNAQsgDCEOCyABIA0gA7IiDJU4AoACIAEgDiAMlTgC/AELIAEQ7AEgASABKAJEIAgQMjYCGAJAIAEoAmxFBEAgASgCnAEEQCABQYiWBWpBADYCAAwCCyAAIAAoAmAgASgCFCIDIAEoAkQiBBA0IgI2AmAgAUGIlgVqQQggAiADIAQQMyIDIANBAUgbNgIADAELIAFBiJYFakEBNgIACyABEKcCQQAhAiABKAIYIAEoAhRBA2xqQQZBACABKAJEQYD9AEgbaiIDQcwBbCEEA38gAkEXRgR/QQAhAgNAIAJBB0ZFBEAgASACQQJ0akGIqAFqIAEoAsynASABKALIpwEiBGtBBm0gAmwgBGo2AgAgAkEBaiECDAELCyABQaCoAWpBwAQ2AgBBACECIANBzAFsIQMDfyACQQ5GBH9BACECA0AgAkEHRkUEQCABIAJBAnRqQaSoAWogASgChKgBIAEoAoCoASIDa0EGbSACbCADajYCACACQQFqIQIMAQsLIAFBvKgBakHAATYCACABQRVBJCABKAJMIgNBAUYiBBtBDUEVIAQbIAEoAlAiBEECRhsiAjYCHCABKAKkAQRAIAEgAkECcjYCHAsgAyAEbEG8BWyyIQxBACECA0AgAkETRkUEQCABIAJBAnRqQcy2AmogDDgCACACQQFqIQIMAQsLIAAoAtwBQX9GBEAgAEEENgLcAQsCQAJAAkACQCABKAJsIgNBf2oOBAABAgACCyAAKAJ8QX9MBEAgAEECNgJ8CyAAKAL0AUF/TARAIABBADYC9AELIAAgACgCpAFBdmxB9ANqEFRBACECAkAgACgCLCIDQQVOBEBBByECIANBCEgNAQsgACACNgIsCyAAKAKMAQRAIAFB5JgFakEANgIADAMLIAFB5JgFaiABKAJEQeDXAko2AgAMAgsgACAAKAKkAUF2bEH0A2oQVEEAIQIgAUHkmAVqIAAoAowBBH9BAAUgASgCREHg1wJKCzYCACAAKAIsIgNBB04EQCAAQQY2AiwMAgsgA0F/Sg0BIABBAzYCLAwBCyABQeSYBWpBADYCACAAKAIsQX9MBEAgAEEDNgIsCyADRQRAIAAgACgCYBA3CyAAIAAoAqgBEFQgACABKAJsNgKcAQsgAUGwlwVqIAAqAsgBIgw4AgAgAUG0lwVqIAAqAswBIg44AgAgACgCgAIEQCABIA4gACoChAIiDpI4ArSXBSABIAwgDpI4ArCXBQsCQCABKAJsRQRAIAAoAqgBIQQMAQtBASEDIAFBATYCdCABQQhBDiABKAJEIgJBgP0ASBsiBDYCeCAAKAKsASIFBEAgAUEBIAUgASgCFCIDIAIQNCADIAIQMyIDIANBAEgbIgM2AnQLAkAgACgCsAEiBUUEQCAIKAIAIQUMAQsgASAEIAUgASgCFCIFIAIQNCAFIAIQMyIEIARBAEgbIgQ2AngLIAAgBUEGdEHw2ABqIgIgBEECdGooAgAiBDYCsAEgACACIANBAnRqKAIAIgM2AqwBIAAgAyAEIAAoAqgBIgIgBCACSBsiBCADIARKGyIENgKoAQsgASAAKAKYATYCaCABIAAoAiQ2AqABIAFB6JgFaiAAKAJQNgIAIAEgACgCVDYCICABIAAoAlg2AiQgASAAKAJcNgIoIAAoAmAhAyABIAQ2AnAgASADNgJ8IAEgACoCZDgC+AEgABDrASABKAKongUiA0EDIAAoAugBIgQgBEEASBs2AgAgA0QAAAAAAAAkQCAAKgLsAbtEAAAAAAAAJMCjEAe2OAIEAkACQAJAIAAoAvABIgJBAWoOAgABAgsgAEEANgLwAQtBACECIAEoArgBQQFLDQBBASECIABBATYC8AELIAEgAjYCvAEgABBZQX9MBEAgAEEBEFsLIAAQWEF/TARAIABBABBaCyAAEFVDAAAAAF1BAXNFBEAgAEQAAAAAAAAAABBWCyAAIAAQOEEBchA5IAAoAtwBIgJBf0wEQCAAQQQ2AtwBQQQhAgsgACoC4AEiDUMAAAAAXUEBc0UEQCAAQYCAgIQENgLgAUMAAIBAIQ0LIAAqAvgBIgxDAAAAAF1BAXNFBEAgAEEANgL4AUMAAAAAIQwLIAAoAvQBIgRBf0wEQCAAQQE2AvQBQQEhBAsgASAMOALAASABIAAqAvwBOALEASAAKgLkASEMIAEgAjYC1AEgASANOALQASABQwAAAAAgDJMiDDgCyAEgAUMAACBBIAxDzczMPZQQCzgCzAEgASAAKALQATYC2AEgASAAKALUATYC3AEgASAAKALYATYC4AEgASAAKAKEATYCWCAAKAKIASEDIAEgBDYCYCABIAM2AlxBACECIAEgASgCuAFBAUYEfyAAKAKUAUECcQVBAAs2AmQgASAAKAKUASIDQQ52QT9xIgSyIgxDAACAwpIgDCAEQR9LG0MAAIA+lCIMOALwASABIANBCHZBP3EiBLIiDkMAAIDCkiAOIARBH0sbQwAAgD6UOALoASABIANBAnZBP3EiBLIiDkMAAIDCkiAOIARBH0sbQwAAgD6UOALsASABIANBFHZBP3EiA7IiDkMAAIDCkiAOIANBH0sbQwAAgD6UIAySOAL0ASAAKgIUIg0gACoCHCIPlCEMIA0gACoCGCIQlCEOIA1DAAAAAJQiESAPlCENIBEgEJQhDwJAIAEoAkhBAkcNACAKKAIAQQFHDQAgDyAMkkMAAAA/lCEPIA4gDZJDAAAAP5QhDkMAAAAAIQxDAAAAACENCyABQZi3AmpCADcDACABIAw4ApgCIAEgDTgClAIgASAPOAKQAiABIA44AowCIAEoAmxFBEAgASABKAJ8IAEoAhRBwLIEbEHAsgRqbCABKAJEbyIDNgKctwIgASADNgKYtwILIAAQ6gEgARDBAiAAEIoCIAEgCCAAKAJ8ELACNgKYASABIAAoAjwiAzYChAEgASAAKAJAIgA2AowBIAAEQCABQQE2AogBCwJAIANFDQAgASgCrJ0FIAEoAkQQiAINACABQQA2AoQBCyABQQE2AgRBAAUgASACQQJ0IgRqQdCnAWogAyAEakGM6gBqKAIANgIAIAJBAWohAgwBCwsFIAEgAkECdCIFakH0pgFqIAQgBWpBsOkAaigCADYCACACQQFqIQIMAQsLIQILIAZBEGokACACC9wCAQV/IAAgAEGIlgVqKAIAQRRsakHYkAVqIgEgASgCAEEBajYCACAAQYSTBWoiASABKAIAQQFqNgIAIAAoAkxBAkYEQCAAQciQBWoiASAAKAKIlgVBFGxqIABBlJYFaiICKAIAQQJ0aiIDIAMoAgBBAWo2AgAgASACKAIAQQJ0aiIBQawCaiABKAKsAkEBajYCAAtBACEBIABBiJMFaiEDA0BBACECIAEgACgCUE5FBEADQCACIAAoAkxORQRAQQQgACABQYjSAGxqIAJBhClsaiIEQegnaigCACAEQewnaigCABtBAnQiBCADIAAoAoiWBUEYbGpqIgUgBSgCAEEBajYCACADIAAoAoiWBUEYbGoiBSAFKAIUQQFqNgIUIAMgBGoiBEHoAmogBCgC6AJBAWo2AgAgACAAKAKElgVBAWo2AoSWBSACQQFqIQIMAQsLIAFBAWohAQwBCwsL4wICAX8EfSAAKAKongUiASgCAEUEQCABQYCAgPwDNgIIDwsgACoCoNkBIgQhAiAAQajZAWoqAgAiBSEDIAEqAgQgBCAAKAJMQQJGBH0gAEGs2QFqKgIAIQMgAEGk2QFqKgIABSACC5IiAiAFIAOSIgMgAiADXhsgAiAAKAJQQQJGG0MAAAA/lJQiAkMAAAA9XkEBc0UEQEMAAIA/IQICQCABKgIIIgNDAACAP2BFBEAgAyABKgIMIgJdQQFzDQELIAEgAjgCCAsgAUGAgID8AzYCDA8LAkACQCABKgIIIgMgArtEexSuR+H6P0CiRHsUrkfhekQ/oLYiAmBBAXNFBEAgASACu0QzMzMzMzOzP6JEmpmZmZmZ7T+gIAO7orYiAzgCCCADIAJdQQFzDQIMAQsgASoCDCIEIAJgQQFzRQ0AIAMgBF1BAXMNASABIAQ4AggMAQsgASACOAIICyABIAI4AgwL7QIBCX8jAEGA/gBrIgYkAAJAIAAoAggNACAAQQE2AgggACgCUCEEIAZBgD9qQQBB+D4QBRogBkEAQfg+EAUhBSAEQcAEbCIIQd4GaiICQQAgAkEAShshCUEAIQIDQCACIAlGBEBBACEDIARBACAEQQBKGyEBBQJAIAIgCEgEQCACQQJ0IgcgBUGAP2pqQQA2AgAgACgCTEECRw0BIAUgB2pBADYCAAwBCyACQQJ0IgcgBUGAP2pqIANBAnQiCiABKAIAaioCADgCACAAKAJMQQJGBEAgBSAHaiABKAIEIApqKgIAOAIACyADQQFqIQMLIAJBAWohAgwBCwsDQAJAIAEgA0cEQEEAIQIgACgCTCIEQQAgBEEAShshBANAIAIgBEYNAiAAIANBiNIAbGogAkGEKWxqQegnakECNgIAIAJBAWohAgwACwALIAAgBUGAP2ogBRB5DAILIANBAWohAwwACwALIAZBgP4AaiQAC6cPAgp/An0jAEGwH2siBiQAIAZCgICA+IOAgIA/NwM4IAZCADcDKCAGQgA3AyAgBiACNgJsIAYgATYCaCAGQgA3AxggBkIANwMQIAAoAghFBEAgACAGQegAahDxAQsgAEGQlgVqQQA2AgAgAEGctwJqIgUgBSgCACAAQZi3AmooAgBrIgU2AgAgBUF/TARAIABBATYCkJYFIAAgACgCRCAFajYCnLcCCyAGQgA3AwgDQCAHIAAoAlBORQRAQQAhBSAAKAJMIglBACAJQQBKGyEJIAdBwARsQbACaiEIA0AgBSAJRkUEQCAFQQJ0IgsgBkEIamogBkHoAGogC2ooAgAgCEECdGo2AgAgBUEBaiEFDAELCyAAIAZBCGogByAGQZAQaiAGQfAAaiAHQQN0IgUgBkEgamogBkEQaiAFaiAGQUBrIAdBBHRqIgUgBhCdAgJAIAAoArgBQQFHDQAgBkE4aiAHQQJ0aiIJIAUqAgggBSoCDCIQkiIPOAIAIA9DAAAAAF5BAXMNACAJIBAgD5U4AgALQQAhBSAAKAJMIglBACAJQQBKGyEJA0AgBSAJRkUEQCAGIAVBAnRqKAIAIQggACAHQYjSAGxqIAVBhClsaiILQewnakEANgIAIAtB6CdqIAg2AgAgBUEBaiEFDAELCyAHQQFqIQcMAQsLIAAQ8AEgACABIAIQeSAAQZSWBWpBADYCAAJ/IAAoAlRFBEAgBkGQEGohCSAGQSBqIAAoArgBQQFHDQEaQQAhByAAKAJQIgFBACABQQBKGyECQwAAAAAhD0MAAAAAIRADQCACIAdGRQRAQQAhBSAAKAJMIghBACAIQQBKGyEIA0AgBSAIRkUEQCAQIAVBAnQiCyAHQQN0IgogBkEgampqKgIAkiEQIA8gBkEQaiAKaiALaioCAJIhDyAFQQFqIQUMAQsLIAdBAWohBwwBCwsgBkEgaiAPIBBfQQFzDQEaIAZBIGogAEHoJ2ooAgAgAEHs0ABqKAIARw0BGiAGQSBqIAAgAUF/akGI0gBsaiIBQegnaigCACABQezQAGooAgBHDQEaCyAAQQI2ApSWBSAGQfAAaiEJIAZBEGoLIQICQCAAKAKQAUUNACAAKAKwngVFDQBBACEBA0AgASAAKAJQTg0BIAZBOGogAUECdGohC0EAIQUDQCAFIAAoAkxIBEAgACgCsJ4FIgcgAUEDdCIKaiIIQZjGBWpCADcDACAIQajGBWogCyoCALs5AwAgCCAFQQJ0IgxqQZi0DGogACABQYjSAGxqIAVBhClsaiIIQegnaigCADYCACAFQQN0Ig0gByABQQV0Ig5qakG4xgtqIAIgCmogDGoqAgC7OQMAIAcgAUGAyABsaiAFQYAkbGpBmKYDaiAIQbQCakGAEhADGiAAKAKUlgVBAkYEQCAAKAKwngUiByAOakGYhAxqIgggDWogCCAFQQJqIgpBA3RqKwMAOQMAIAcgAUEPdGpBuMYHaiIHIAVBDXRqIAcgCkENdGpBgMAAEAMaCyAFQQFqIQUMAQsLIAFBAWohAQwACwALAkACQAJAAkACQCAAKAJsIgsOBQABAgABAwtBACEFIABBzLYCaiEBA0AgBUESRgRAQQAhASAAKAJQIgdBACAHQQBKGyEIQwAAAAAhDwNAIAEgCEZFBEBBACEFIAAoAkwiCkEAIApBAEobIQoDQCAFIApGRQRAIA8gAiABQQN0aiAFQQJ0aioCAJIhDyAFQQFqIQUMAQsLIAFBAWohAQwBCwsgAEGUtwJqIA84AgAgAEHwtgJqKgIAIQ9BACEFIABBzLYCaiEBA0AgBUEJRkUEQCAPIAEgBUECdCIKaioCACABQRIgBWtBAnRqKgIAkiAKQYCzAWoqAgCUkiEPIAVBAWohBQwBCwtBACEBIAAoAkwiBUEAIAVBAEobIQogBSAHbEGWGmyyIA+VIQ8DQEEAIQUgASAIRkUEQANAIAUgCkZFBEAgAiABQQN0aiAFQQJ0aiIHIA8gByoCAJQ4AgAgBUEBaiEFDAELCyABQQFqIQEMAQsLAkAgC0F/ag4EAwQAAwULIAAgAiAGQThqIAkQxAIMBQUgASAFQQJ0aiABIAVBAWoiBUECdGoqAgA4AgAMAQsACwALIAAgAiAJEMYCDAILIAAgAiAGQThqIAkQrAEMAQsgACACIAZBOGogCRDCAgsgABCrAiAAIAMgBEEBEDohAyAAKAKgAQRAIAAQxQELAkAgACgCkAFFDQAgACgCsJ4FIgJFDQBBACEBIAAoAkwiBEEAIARBAEobIQQgACgCUEHABGwhBwNAAkBBACEFIAEgBEYNAANAIAVBkAJGBEAgBkHoAGogAUECdGooAgAhCEGQAiEFA0AgBUHADEZFBEAgAiABQYDkAGxqIAVBA3RqIAVBAnQgCGpBwHdqKgIAuzkDGCAFQQFqIQUMAQsLIAFBAWohAQwDBSACIAFBgOQAbGpBGGoiCCAFQQN0aiAIIAUgB2pBA3RqKwMAOQMAIAVBAWohBQwBCwALAAsLIABBrJcFakGAgID8AzYCACAAIAkQvQILIABBjJYFaiIBIAEoAgBBAWo2AgAgABDvASAGQbAfaiQAIAML9gYBC30gASoCMCEFIAEqAjghAiABKgIkIQMgASoCRCEGIAEqAiwhBCABKgI8IQcgACABKgIAIAEqAiCSIgggASoCCCABKgIYkiIKkiABKgIMIAEqAhSSIguTIgwgASoCBCABKgIckiIJIAEqAhCTkzgCRCAAIAYgA5MiAyAHIASTIgaTIAIgBZMiBZND17NdP5QiAiAMQwAAAD+UIAkgASoCEJOSIgSTOAIYIAAgAiAEkjgCFCAAIAZDXBx8P5QgA0NEHa8+lCABKgJAIAEqAiiTQ9ezXT+UIgKTkiAFQ7uNJD+UkyIEIAhDso9wP5QgCUMAAAA/lCABKgIQkiIJkyAKQ9TQMT6UkyALQ30bRD+UkiIHkzgCOCAAIAQgB5I4AjQgACAFQ1wcfD+UIANDu40kP5QgApMgBkNEHa8+lJOSIgQgCEN9G0Q/lCAJkiAKQ7KPcD+UkyALQ9TQMT6UkyIHkzgCKCAAIAQgB5I4AiQgACAFQ0Qdrz6UIAZDu40kP5QgA0NcHHw/lCACkpKSIgMgC0Oyj3A/lCAIQ9TQMT6UIAmSIApDfRtEP5SSkiIIkzgCCCAAIAMgCJI4AgQgASoCDCEFIAEqAhQhAiABKgIAIQMgASoCICEGIAEqAgghBCABKgIYIQcgACABKgJEIAEqAiSSIgggASoCPCABKgIskiIKkiABKgI4IAEqAjCSIguSIgwgASoCQCABKgIokiIJIAEqAjSSkjgCACAAIAxDAAAAP5QgCSABKgI0kpMiDCAGIAOTIgMgByAEkyIGkyACIAWTIgWSQ9ezXT+UIgKTOAIwIAAgAiAMkjgCLCAAIAhD1NAxPpQgASoCNCAJQwAAAD+UkyIJkiAKQ30bRD+UkiALQ7KPcD+UkyIEIAZDu40kP5QgA0NcHHw/lCABKgIcIAEqAgSTQ9ezXT+UIgKTkiAFQ0Qdrz6UkyIHkzgCQCAAIAQgB5I4AjwgACAIQ30bRD+UIAmSIApDso9wP5STIAtD1NAxPpSSIgQgA0O7jSQ/lCACkiAGQ0Qdrz6UkyAFQ1wcfD+UkyIHkzgCICAAIAQgB5I4AhwgACAIQ7KPcD+UIAmTIApD1NAxPpSTIAtDfRtEP5STIgggBUO7jSQ/lCAGQ1wcfD+UIANDRB2vPpQgApKSkiIKkzgCECAAIAggCpI4AgwL5gIDAX8IfQR8A0AgAUEDRkUEQCAAIAAqAgwiAiAAKgIwIgNDzRPUPpSSu0RPnLFseMK2PaK2uyIKIAAqAhgiBCAAKgI8IgVD6s8GPpSSIgYgACoCACIHIAAqAiQiCEOLb0Q/lJIiCZK7IgtEcOVCwjT5tD2iobY4AjwgACAEQ+rPBj6UIAWTIgQgB0OLb0Q/lCAIkyIFkrsiDERw5ULCNPm0PaIgAkPNE9Q+lCADk7tET5yxbHjCtj2itrsiDaC2OAIAIAAgDEQAAAAAAADgP6JEc+VCwjT5tD2iIA2htiICIAkgBpO7RKtMWOh6tus/okRz5ULCNPm0PaK2IgOTOAIwIAAgAyACkjgCJCAAIAQgBZO7RKtMWOh6tus/okRz5ULCNPm0PaK2IgIgC0QAAAAAAADgP6JEc+VCwjT5tD2iIAqgtiIDkjgCGCAAIAIgA5M4AgwgAUEBaiEBIABBBGohAAwBCwsLUAEDfyMAQYABayICJAACQCAAEDUNACAAKAKgAiEDIAAgAhD2ASEAA0AgACABRg0BIAMgASACai0AABBJIAFBAWohAQwACwALIAJBgAFqJAALpQIBA38jAEEQayIEJAACQCAARSABRXINACAAKAKgAiIARQ0AIABBwJ0FaigCACIDQQgQDw0AIANBARAPRQ0AIAFBxwA6AAIgAUHUggE7AAAgAUEDaiAAQcidBWooAgBBHiADQRAQD0EAR0EFdCIBECIgAEHMnQVqKAIAQR4gARAiIABB0J0FaigCAEEeIAEQIiECIAQgAEHEnQVqIgMoAgA2AgAgBEELakG3pAEgBBBRIAIgBEELakEAIAMoAgAbQQQgARAiIABB1J0FaigCAEEcQR4gAEHYnQVqIgMoAgAbIAEQIiECIAMoAgAEfyACQQA6AAAgAiAAKALYnQU6AAEgAkECagUgAgsgAEHcnQVqKAIAOgAAQYABIQILIARBEGokACACC30BBH8CQCAAEDUNACAAKAKgAiIEQcCdBWooAgAiAUEEEA8NACABQQEQD0UNAEEAIQEgAEEAQQAQgAEiA0EBEAgiAkUNAAJAIAAgAiADEIABIgAgA0sNAANAIAAgAUYNASAEIAEgAmotAAAQSSABQQFqIQEMAAsACyACEAYLC3gBAn8CQCACRQ0AIAFBAmogASABLwEAIgQiAUH//QNGIAFB/v8DRnIiARshAyACIAFrIQEDQCABRQ0BIABBICAEIAMvAQAQeiICIAJBYGpB//8DcUHfAUsbOgAAIABBAWohACADQQJqIQMgAUF/aiEBDAALAAsgAAtJAQR/Qf8BIQIDQCADQQRGRQRAIAFBACAAIAJxIgEgASACQYCAgLgFcSIERhtBACAEG3IhASACQQh0IQIgA0EBaiEDDAELCyABC6QBAQF/AkAgA0UgAUUgAkVycg0AIABBw5LBigQQDiABEBggA2pBBGoQDiIAQQA6AAIgAEEAOwAAIABBA2ohAANAIAEtAAAiBARAIAAgBDoAACAAQQFqIQAgAUEBaiEBDAELCyAAQQA6AAIgAEEAOwAAIABBA2ohAANAIANFDQEgACACLQAAOgAAIABBAWohACACQQFqIQIgA0F/aiEDDAALAAsgAAu5AQEBfyABEHwiAkELTwR/IAAgASgCBBAOIAJBdmoQDiIAQQA7AAAgACABKAIgQQFGOgACIABBA2ohACABKAIQIgIEQAJAIAEoAhRBAUcEQCAAIAEoAgwgAhAbIgJBAWohAAwBCyAAIAEoAgwgAhAjIgJBADoAACACQQJqIQAgAkEBaiECCyACQQA6AAALIAEoAiBBAUcEQCAAIAEoAhggASgCHBAbDwsgACABKAIYIAEoAhwQIwUgAAsLywEBAX8gARB9IgJBC08EfyAAIAEoAgQQDiACQXZqEA4iAEEAOwAAAkAgASgCEEUEQCAAQQJqIQAMAQsgACABKAIUQQFGOgACIABBA2ohAAJAIAEoAhRBAUcEQCAAIAEoAgwgASgCEBAbIgJBAWohAAwBCyAAIAEoAgwgASgCEBAjIgJBADoAACACQQJqIQAgAkEBaiECCyACQQA6AAALIAEoAiBBAUcEQCAAIAEoAhggASgCHBAbDwsgACABKAIYIAEoAhwQ+AEFIAALC9MBAQF/IAEQfyICQQtPBH8gACABKAIEEA4gAkF2ahAOIgBBADsAACAAIAEoAiBBAUY6AAIgACABLQAIOgADIAAgAS0ACToABCAAIAEtAAo6AAUgAEEGaiEAAkAgASgCFEEBRwRAIAAgASgCDCABKAIQEBsiAEEBaiECDAELIAAgASgCDCABKAIQECMiAEEAOgAAIABBAmohAiAAQQFqIQALIABBADoAACABKAIgQQFHBEAgAiABKAIYIAEoAhwQGw8LIAIgASgCGCABKAIcECMFIAALC5oBAQF/IwBBkAhrIgIkACACAn9BfyABRAAAAAAAQI9AoiAAKAKgAkFAaygCALejIgFEAADg////70FkDQAaQQAgAUQAAAAAAAAAAGMNABogAUQAAAAAAADwQWMgAUQAAAAAAAAAAGZxBEAgAasMAQtBAAs2AgAgAkEQakGzpAEgAhBRIABBzoqxogUgAkEQahCDASACQZAIaiQACy0BAX8CQCAAKAI4IgIEQCAAKAI0DQELIABBNGohAgsgAiABNgIAIAAgATYCOAsmACAAQTRqIQADQCAAKAIAIgBFBEBBAA8LIAAoAgQgAUcNAAsgAAuuAQECfyMAQRBrIgQkAAJAIABFDQAgACgCoAIiAEUNACAAQcCdBWoiBSABEIACIQAgBEEMaiACEIIBIABFBEBBAUEkEAgiAEUNASAFIAAQ/wELIAAgATYCBCAAQQhqIARBDGoQggEgAEEMakEAEIEBIQEgAEEANgIUIAAgATYCECAAQRhqIAMQgQEhASAAQQA2AiAgACABNgIcIAUgBSgCAEEDcjYCAAsgBEEQaiQAC04BAX8jAEGQCGsiASQAIAFBrdsANgIAIAFBlNsANgIEIAFBmtsANgIIIAFBEGpB8KMBIAEQUSAAQcWmzaIFIAFBEGoQgwEgAUGQCGokAAtEAQF/IAAQNUUEQCAAKAKgAiIBEJ4BIAFBwJ0FakEAQTwQBRogAUHonQVqQYABNgIAIAFB3J0FakH/ATYCACAAEIICCwu0AQIDfwF8A0AgAUHg3QBGRQRAIAAgAUECdGooAgAgAmohAiABQQFqIQEMAQsLIAJFBEBDADLAxg8LAn8gArhEoJmZmZmZqT+imyIERAAAAAAAAPBBYyAERAAAAAAAAAAAZnEEQCAEqwwBC0EACyEDQeDdACEBQQAhAgNAAkAgAUUEQEF/IQEMAQsgACABQX9qIgFBAnRqKAIAIAJqIgIgA0kNAQsLIAGzQwAAyMKVQ9ejgUKSC9gBAgV/AX0gAEGIrwJqEIQCIQYDfSABQeDdAEYEfQNAIAJBCkZFBEAgACACQQJ0aiIBQQA2AgAgAUGImAFqQQA2AgAgAUG44wFqQQA2AgAgAUG0lwFqQQA2AgAgAUGEzABqQQA2AgAgAUEANgJUIAJBAWohAgwBCwsgAEIANwLsrgIgAEH8rgJqQQA2AgAgAEH0rgJqQgA3AgAgBgUgACABQQJ0aiIDQYivAmoiBCgCACEFIARBADYCACADQYimBWoiAyAFIAMoAgBqNgIAIAFBAWohAQwBCwsLigkDEH8CfQJ8AkACQCADRQ0AAkACQCAEQX9qDgIAAQMLIAEhAgsgAEEoaiELAkAgA0EJTQRAIAsgASADQQJ0IgQQAxogAEHclwFqIAIgBBADGgwBCyALIAFBKBADGiAAQdyXAWogAkEoEAMaCyAAQYiYAWohDCAAQdQAaiENIABBuOMBaiEOIABBhMwAaiEPIABB8K4CaiIQIREgAyEKAkADQCAKQQFIDQEgACgC6K4CIAAoAuyuAiIFayIEIAogCiAEShshBwJ/IAlBCUoEQCABIQYgAgwBC0EKIAlrIgQgByAHIARKGyEHIAAoAlAhBiAAKAKEmAELIQQgBiAJQQJ0IghqIAAoAoBMIAVBAnRqIAcgACgCgK8CQeAAbEHwmgFqEIUBIAQgCGogACgCtOMBIAAoAuyuAkECdGogByAAKAKArwJB4ABsQfCaAWoQhQEgACgC7K4CQQJ0IgQgACgCgExqIAAoArCXASAEaiAHIAAoAoCvAkEFdEHQoQFqEIQBIAAoAuyuAkECdCIEIAAoArTjAWogACgC5K4CIARqIAcgACgCgK8CQQV0QdChAWoQhAEgACgC7K4CIgggB0EDcSIFaiESIAAoAuSuAiITIAhBAnQiBmohBCAAKAKwlwEiFCAGaiEGQwAAAAAhFUMAAAAAIRYDQCAFBEAgBUF/aiEFIBUgBCoCACIVIBWUkiEVIBYgBioCACIWIBaUkiEWIARBBGohBCAGQQRqIQYMAQsLIAdBBG0hBiAUIBJBAnQiBGohBSAEIBNqIQQDQCAGBEAgBkF/aiEGIBUgBCoCACIVIBWUIAQqAgQiFSAVlJIgBCoCCCIVIBWUkiAEKgIMIhUgFZSSkiEVIBYgBSoCACIWIBaUIAUqAgQiFiAWlJIgBSoCCCIWIBaUkiAFKgIMIhYgFpSSkiEWIARBEGohBCAFQRBqIQUMAQsLIAAgByAIaiIFNgLsrgIgACAAKwPwrgIgFrugIhc5A/CuAiAAIAArA/iuAiAVu6AiGDkD+K4CIAcgCWohCSAKIAdrIQogACgC6K4CIgggBUYEfyAAAn9EAAAAAAAAAAAgFyAYoCAFt6NEAAAAAAAA4D+iRI+LikKdA0E4oBA8RAAAAAAAQI9AoiIXIBdEAAAAAAAAAABlGyIXRAAAAAAAAPBBYyAXRAAAAAAAAAAAZnEEQCAXqwwBC0EACyIGQd/dACAGQd/dAEkbQQJ0akGIrwJqIgQgBCgCAEEBajYCACARQgA3AwggEEIANwMAIA8gACAFQQJ0aiIEQYTMAGpBKBAcGiAOIARBuOMBakEoEBwaIA0gBEHUAGpBKBAcGiAMIARBiJgBakEoEBwaIABBADYC7K4CQQAFIAULIAhMDQALQQAPCyADQQlNBEAgACAAIANBAnQiA2pBKCADayIAEBxBtJcBaiIEIAMgBGogABAcIQAgCyADayABIAMQAxogACADa0EoaiACIAMQAxoMAQsgACABIANBAnQiAGpBWGpBKBADQbSXAWogACACakFYakEoEAMaC0EBIQULIAULqwIBAX8gAEEAQSgQBSIAQbSXAWpBAEEoEAUaIABB1ABqQQBBKBAFGiAAQYiYAWpBAEEoEAUaIABBhMwAakEAQSgQBRogAEG44wFqQQBBKBAFGgJAAkAgAUHAPkcEQCABQZHWAEcEQCABQeDdAEcEQCABQYD9AEcEQCABQaKsAUcEQCABQcC7AUcEQCABQYD6AUcEQCABQYD3AkYNByABQcTYAkcNCEEBIQIMBwtBAiECDAYLQQMhAgwFC0EEIQIMBAtBBSECDAMLQQYhAgwCC0EHIQIMAQtBCCECCyAAIAI2AoCvAiAAIAFBE2pBFG02AuiuAiAAQYivAmpBAEGA9wIQBRogAEH8rgJqQQA2AgAgAEH0rgJqQgA3AgAgAEIANwLsrgJBASECCyACC3QBAX8gACABEIcCQQFGBH8gACAAQdyXAWo2AoSYASAAIABBKGo2AlAgACAAQbCYAWo2ArTjASAAIABB/ABqNgKATCAAIABB4OMBajYC5K4CIAAgAEGszABqNgKwlwEgAEGIpgVqQQBBgPcCEAUaQQEFQQALC98BAgJ9AnxDAABAQEMAAMA/IABDAAAAAGAbIACUIgC7IQMCfUMAAAAAIABDAAAAP2BBAXMNABpDAAAAACAAQwAAIEBfQQFzDQAaIABDAAAAv5IiACAAlLsgALsiBCAEoKFEAAAAAAAAIECitgshAiADRLx0kxgEVt4/oLYiALtEAAAAAAAAHkCiRBWrBmFuny9AoCAAIACUu0QAAAAAAADwP6CfRAAAAAAAgDHAoqC2IgBDAABwwl8EfUMAAAAABSACIACSu0QjiIhfHHnNP6IQJLa7RGJyWTtAJuU/o7YLC90UAxR/BX0DfCMAQYAGayIQJAACQCAAKAKgAiIDKAKsngUNACADQRRqIQ5DAAAAACADKgKcApMhFiADKAJEsiEXIBBBAEGAAhAFIQYgA0EBQejWABAIIgU2AqyeBSAFIAAoApABNgLkViADQZjZAWpCADcCAANAAkBBACEBIAJBBEYNAANAQQAhBCABQcAARgRAQQAhAQNAIAFBFkZFBEAgAyACQfQBbGogAUECdGoiCEHAyAFqQezxtYUGNgIAIAhBkNABakHs8bWFBjYCACABQQFqIQEMAQsLA0BBACEBAkACQCAEQQNGBEAgAyACQQJ0akGI2QFqQQA2AgADQCABQQlGDQIgAyACQSRsaiABQQJ0akH41wFqQYCAgIkENgIAIAFBAWohAQwACwALA0AgAUENRg0CIAMgAkH0AWxqIAFBDGxqIARBAnRqIghBmMkBakHs8bWFBjYCACAIQejQAWpB7PG1hQY2AgAgAUEBaiEBDAALAAsgAkEBaiECDAULIARBAWohBAwACwAFIAMgAkEIdGogAUECdGoiBEHAsAFqQezxtYUGNgIAIARBwKgBakHs8bWFBjYCACAEQcDAAWpBgICA/AM2AgAgBEHAuAFqQYCAgPwDNgIAIAFBAWohAQwBCwALAAsLIANB4NcBakIANwIAIAVBgCRqIgggF0GACEHABEEWIANB9KYBahBSIAggF0GACCAGQYAEaiAGQYACahCIASAFKALkNCICQQAgAkEAShshBANAIAEgBEZFBEBEAAAAAAAAAAAhGiABQQJ0IgcgBkGABGpqKgIAIhVDAABQQWBBAXNFBEAgFUMAAFDBkkMAAAAAlEMAADBBlUMAAMBBIBWTQwAAAACUQwAAMEGVkrshGgsgBiAHakQAAAAAAAAkQCAaRAAAAAAAACRAoxAHtjgCACABQQFqIQEMAQsLIAVB7DRqIAVBtC1qIhEgAiAGQYAEaiAGQYACaiAGEIcBDQBBACEEIAUoAuQ0IgJBACACQQBKGyEMIAVBgCZqIQ0gBUG0MWohDyAWuyEbQQAhBwNAIAcgDEZFBEBBACEBIA8gB0ECdCIJaigCACIKQQAgCkEAShshC0QAAADg///vRyEaIAQhAgNAIAEgC0ZFBEAgCrJEAAAAAAAAJEAgDiAXIAKylEMAAHpJlUMAAHpElBA2QwAAoMGSu0SamZmZmZm5P6IQB7aUuyIcIBogGiAcZBshGiACQQFqIQIgAUEBaiEBDAELCyADKAKongUgCWogGrY4AtQBIAkgDWpEAAAAAAAAJEBEmpmZmZmZAUAgG0QAAAAAAAA+QCAGQYAEaiAJaioCAEMAACBBlbtEAAAAAAAA8L+gRAAAAAAAADRAoiIaIBpEAAAAAAAAGEBkGyIaIBogG2MbRAAAAAAAACDAoEQAAAAAAAAkQKMgAygCREHg1wJIGxAHIAq3orY4AgAgB0EBaiEHIAQgC2ohBAwBCwsgBUHwNGoiCiAXQYACQcABQQ0gA0HQpwFqIg8QUiAKIBdBgAIgBkGABGogBkGAAmoQiAFBACEEIAUoAtRFIgxBACAMQQBKGyESIAVB8DZqIRMgBUGkwgBqIRRBACEHA0AgByASRkUEQEQAAAAAAIAgwCEaIAdBAnQiCSAGQYAEamoqAgAiFUMAAFBBYEEBc0UEQCAVQwAAUMGSQwAAkMCUQwAAMEGVQwAAwEEgFZNDAAAEwZRDAAAwQZWSuyEaCyAGIAlqRAAAAAAAACRAIBpEAAAAAAAAJECjEAe2OAIAQQAhASAJIBRqKAIAIgtBACALQQBKGyENRAAAAOD//+9HIRogBCECA0AgASANRkUEQCALskQAAAAAAAAkQCAOIBcgArKUQwAAekiVQwAAekSUEDZDAACgwZK7RJqZmZmZmbk/ohAHtpS7IhwgGiAaIBxkGyEaIAJBAWohAiABQQFqIQEMAQsLIAMoAqieBSAJaiAatjgC1AMgFUMAAEBBlbtEAAAAAAAA8L+gRAAAAAAAABxAoiEaIBVDAABAQV5BAXNFBEAgGiAaRAAAAAAAAPA/oBBKRM3MzMzMzAhAokQAAAAAAADwP6CiIRoLIAQgDWohBCAJIBNqRAAAAAAAACRARJqZmZmZmQFAIBtEAAAAAAAAPkACfCAVQwAAQEFdQQFzRQRAIBpEAAAAAAAA8D8gGqEQSkRmZmZmZmYCQKJEAAAAAAAA8D+goiEaCyAaCyAaRAAAAAAAABhAZBsiGiAaIBtjG0QAAAAAAAAgwKBEAAAAAAAAJECjIAMoAkRB4NcCSBsQByALt6K2OAIAIAdBAWohBwwBCwsgBUHcxQBqIAVBpD5qIAwgBkGABGogBkGAAmogBhCHAQ0ARBZVtbuxawLAIBe7IhpEexSuR+F6hD+iRAAAAAAAAGhAo6MQJCEbIAMQoQIgBSAbtjgC4FYgA0MAAIA/QwAAYEAgAygCZBsgAyoCxAEiFSAVQwAAAABbIBUgFVxyGzgCxAFBACEBIAUoAuQ0IgRBACAEQQBKGyECIARBf2ohBgNAIAEgAkcEQCARIAFBA3RqIgcoAgQgBE4EQCAHIAY2AgQLIAFBAWohAQwBCwsgAygCUCEBIAMoAqieBSICQoquj+GDgIDAPzcCCCACRAAAAAAAACRAIAG3RAAAAAAAAIJAoiAao0QzMzMzMzPzv6IQB7Y4AhACQCADKALUAUF/Rg0AIAMoAkSyQwAAgDqUIRhBACEBQwAAAAAhFkMAAAAAIRUDQCABQYAERkUEQCACIAFBAnRqRAAAAAAAAPA/RAAAAAAAACRAIA4gGCAWkiIWEDZDAAAgQZW7EAejtiIZOALUBSABQQFqIQEgFSAZkiEVDAELC0MAAIA/IBWVIRVBgAQhAQNAIAFFDQEgAiABQX9qIgFBAnRqIgNB1AVqIBUgAyoC1AWUOAIADAALAAsgACoCjAIhFSAFQ83MjEAgACoCiAIiFiAWQwAAAABdGyIWOALYViAFIBY4AtRWIAVDAADIQSAVIBVDAAAAAF0bOALcViAFIBY4AtBWIAUoAtRFIQNDzczswCEVIAAoAqQBIgJBBE4EQCACQQJ0IgJBwJoBaioCACIVIAAqAqABIBUgAkHEmgFqKgIAk5SSIRULQQAhAiADQQAgA0EAShshASADsiEWA0AgASACRgRAIAFBwAAgAUHAAEsbIQADQCAAIAFGBEBBACECIARBACAEQQBKGyEBIASyIRYDQCABIAJGBEAgAUHAACABQcAASxshAANAIAAgAUZFBEAgCCABQQJ0akGAgID8AzYCACABQQFqIQEMAQsLIAVB4MUAaiAIQfAQEAMgF0GACEHAAUENIA8QUgUgCCACQQJ0akMAACBBIBUgBCACa7IgFpWUQ83MzD2UEAs4AgAgAkEBaiECDAELCwUgCiABQQJ0akGAgID8AzYCACABQQFqIQEMAQsLBSAKIAJBAnRqQwAAIEEgFSADIAJrsiAWlZRDzczMPZQQCzgCACACQQFqIQIMAQsLCyAQQYAGaiQAC5QEAgZ/BH0gAyACKgIAIAIqAgSSIgtDAAAAAF5BAXMEf0EABQJ/IAEqAgQiDCABKgIAIgogCiAMXRsiCiAKkiALk0MAAKBBlCALIABBpMIAaigCACAAQajCAGooAgBqQX9qspSVIgqLQwAAAE9dBEAgCqgMAQtBgICAgHgLIgRBCCAEQQhIGws6AAAgAEGkwgBqIQZBASEEA0AgAiAEQX9qIgVBAnQiCGoqAgAgAiAEQQJ0IglqKgIAkiELIAQgACgC1EVBf2pORQRAQQAhByADIARqIAsgAiAEQQFqIgRBAnQiBWoqAgCSIg1DAAAAAF5BAXMEf0EABQJ/IAEgBWoqAgAiCyABIAlqKgIAIgwgASAIaioCACIKIAogDF0bIgogCiALXRtDAABAQJQgDZNDAACgQZQgDSAFIAZqKAIAIAYgCGooAgAgBiAJaigCAGpqQX9qspSVIgqLQwAAAE9dBEAgCqgMAQtBgICAgHgLIgdBCCAHQQhIGws6AAAMAQsLQQAhAiADIARqIAtDAAAAAF5BAXMEf0EABQJ/IAEgBEECdCIEaioCACIMIAEgBUECdCICaioCACIKIAogDF0bIgogCpIgC5NDAACgQZQgCyAAQaTCAGoiACACaigCACAAIARqKAIAakF/arKUlSIKi0MAAABPXQRAIAqoDAELQYCAgIB4CyICQQggAkEISBsLOgAAC5AEAgZ/BH0gAyACKgIAIAIqAgSSIgtDAAAAAF5BAXMEf0EABQJ/IAEqAgQiDCABKgIAIgogCiAMXRsiCiAKkiALk0MAAKBBlCALIABBtDFqKAIAIABBuDFqKAIAakF/arKUlSIKi0MAAABPXQRAIAqoDAELQYCAgIB4CyIEQQggBEEISBsLOgAAIABBtDFqIQZBASEEA0AgAiAEQX9qIgVBAnQiCGoqAgAgAiAEQQJ0IglqKgIAkiELIAQgACgC5DRBf2pORQRAQQAhByADIARqIAsgAiAEQQFqIgRBAnQiBWoqAgCSIg1DAAAAAF5BAXMEf0EABQJ/IAEgBWoqAgAiCyABIAlqKgIAIgwgASAIaioCACIKIAogDF0bIgogCiALXRtDAABAQJQgDZNDAACgQZQgDSAFIAZqKAIAIAYgCGooAgAgBiAJaigCAGpqQX9qspSVIgqLQwAAAE9dBEAgCqgMAQtBgICAgHgLIgdBCCAHQQhIGws6AAAMAQsLQQAhAiADIARqIAtDAAAAAF5BAXMEf0EABQJ/IAEgBEECdCIEaioCACIMIAEgBUECdCICaioCACIKIAogDF0bIgogCpIgC5NDAACgQZQgCyAAQbQxaiIAIAJqKAIAIAAgBGooAgBqQX9qspSVIgqLQwAAAE9dBEAgCqgMAQtBgICAgHgLIgJBCCACQQhIGws6AAALyAECCH8DfSAAKALkECIFQQAgBUEAShshCwNAIAYgC0ZFBEBBACEIIAAgBkECdCIJaiIMQbQNaigCACIFQQAgBUEAShshCkMAAAAAIQ0gByEFQwAAAAAhDgNAIAggCkZFBEAgASAFQQJ0aioCACIPIA4gDiAPXRshDiAFQQFqIQUgCEEBaiEIIA0gD5IhDQwBCwsgAiAJaiANOAIAIAMgCWogDjgCACAEIAlqIA0gDCoCgASUOAIAIAZBAWohBiAHIApqIQcMAQsLC0UCAn8BfQNAIAJBgARGRQRAIAQgACACQQJ0IgNqKgIAIAEgA2oqAgCUkiEEIAJBAWohAgwBCwsgBLtE0SKKRWe8oz2itguQAQEBfyMAQYABayIFJAAgACgCrJ4FQfA0aiABIAIgBUFAayAFEFNBACEBIAAgA0H0AWxqIQAgBEECdCECA0AgAUENRkUEQCAAIAFBDGxqIAJqIgNB6NABaiABQQJ0IgQgBUFAa2oqAgA4AgAgA0GYyQFqIAQgBWoqAgA4AgAgAUEBaiEBDAELCyAFQYABaiQAC5IHAg5/BH0jAEHABGsiByQAIABBrJ4FaigCACEKIAdBwAJqQQBBgAIQBRogB0FAa0EAQYACEAUaIApB1MUAaigCACIIQQAgCEEAShshDCABIAVBhARsaiENQQAhCANAIAYgDEZFBEBBACEBIAogBkECdCIJaiIOQaTCAGooAgAiBUEAIAVBAEobIQtDAAAAACEVQwAAAAAhFCAIIQUDQCABIAtGRQRAIA0gBUECdGoqAgAiFiAVIBUgFl0bIRUgFCAWkiEUIAVBAWohBSABQQFqIQEMAQsLIAIgCWogFDgCACAHQcACaiAJaiAVOAIAIAdBQGsgCWogFCAOQfA4aioCAJQ4AgAgBkEBaiEGIAggC2ohCAwBCwsgCiAHQcACaiAHQUBrIAcQiwJBACEGIAooAtRFIgFBACABQQBKGyENIApB8DRqIQsgACAEQQh0aiEOQQAhBQNAAkAgBiANRgRAIAZBwAAgBkHAAEsbIQADQCAAIAZGDQIgAiAGQQJ0IgFqQQA2AgAgASADakEANgIAIAZBAWohBgwACwALIAsgBkEDdGoiAUG0CWooAgAiBCABQbgJaigCACIBIAQgAUobIgxBAWohDyAFIAxqQQFqIRAgBiAHai0AABCKASERIAooAtxFIhIgBUECdGoqAgAgAiAEQQJ0aioCAJQgBCAHai0AACIJQQJ0QYCZAWoqAgCUIRUgCyAGQQJ0IghqKgIAIRQgACoCrJcFIRYgBCEBA0AgASAMRkUEQCAJIAcgAUEBaiIBai0AACITaiEJIBUgEiAFQQFqIgVBAnRqKgIAIAIgAUECdGoqAgCUIBNBAnRBgJkBaioCAJQgASAGayAREIkBIRUMAQsLIAMgCGoiASAVIAlBAXRBAXIgDyAEa0EBdG5BAnRBgJkBaioCAEMAAAA/lCIXlCIVOAIAIAggDmoiBUHAwAFqIAVBwLgBaiIFKgIAOAIAIAUgFTgCACAUIBaUIhUgFyAHQcACaiAIaioCACAIIApqQfA2aioCAJSUIhQgASoCACIWIBYgFF4iBRsiFJQgFCAVQwAAgD9eIgkbIRQgBUVBACAJQQFzG0UEQCABIBQ4AgALIBQgAiAIaioCACIWXiIFRUEAIBVDAACAP11BAXMbRQRAIAEgFSAWIBQgBRsiFJQgFCAVQwAAgD9dGzgCAAsgECAEayEFIAZBAWohBgwBCwsgB0HABGokAAv0AQIBfwJ9AkAgAkEBSiADckUEQCAAIAUgAiABEKMCDAELIAJBAkcNAEH/ASECIAUgA0EKdGohAQNAIAJBAEgNASABIAJBAnRqIgBBgBhqIgYgACoCACIHIAYqAgAiCJND8wQ1P5Q4AgAgACAHIAiSQ/MENT+UOAIAIAJBf2ohAgwACwALIAQgA0GEBGxqIgEgBSADQQp0aiIAKgIAIgcgB5Q4AgBB/wAhAgNAIAJBAEhFBEAgAUGAASACa0ECdCIDaiAAIANqKgIAIgcgB5QgAkECdCAAaioCgAQiByAHlJJDAAAAP5Q4AgAgAkF/aiECDAELCwtkAQF/AkAgAg0AQQAhAiAAKAKsngVB1MUAaigCACIDQQAgA0EAShshAyAAIAFBCHRqIQADQCACIANGDQEgACACQQJ0aiIBQcDAAWogAUHAuAFqKgIAOAIAIAJBAWohAgwACwALC6oBAwN/A30BfENch4xDIQUDQCACQRVGRQRAAkAgACACQQJ0IgNqIgQqAgAiBkMAAAAAXkEBcw0AIAQqAvQBIgcgBiABlCIGXkEBcw0AIANB8JcBaioCALshCCAHIAZD+QIVUJReQQFzRQRAIAhEXKqiKp4GN0CiIAW7oLYhBQwBCyAHIAaVEBG7RP55n1ATRNM/oiAIoiAFu6C2IQULIAJBAWohAgwBCwsgBQvOAQMEfwN9AXxD9oiaQyEGA0AgAkEMRkUEQCACQQJ0QdCYAWohBEEAIQMDQCADQQNGRQRAAkAgACACQQxsaiADQQJ0aiIFKgJYIgdDAAAAAF5BAXMNACAFKgLMAiIIIAcgAZQiB15BAXMNACAEKgIAuyEJIAggB0P5AhVQlF5BAXNFBEAgCURcqqIqngY3QKIgBrugtiEGDAELIAggB5UQEbtE/nmfUBNE0z+iIAmiIAa7oLYhBgsgA0EBaiEDDAELCyACQQFqIQIMAQsLIAYLlgEBBX8gAUEAIAFBAEobIQhBACEBA0AgASAIRkUEQCAAIAFBAnQiB2pB2DBqIgUoAgAhBAJAIAIgB2ooAgAEQEEDQQAgBEECRhshBgwBC0ECIQYCQAJAIAQOBAACAgECC0EBIQQgBUEBNgIADAELQQIhBCAFQQI2AgALIAMgB2ogBDYCACAFIAY2AgAgAUEBaiEBDAELCwu2AQIBfwJ9IwBBgAFrIgQkACAAKAKsngVB4MUAaiABIAIgBEFAayAEEFNBACEBIAAgA0H0AWxqIQIDQCABQQ1GRQRAIAQgAUECdCIAaioCAEMAAIA8lCEFIARBQGsgAGoqAgAhBkEAIQADQCAAQQNGRQRAIAIgAUEMbGogAEECdGoiA0GYyQFqIAU4AgAgA0Ho0AFqIAY4AgAgAEEBaiEADAELCyABQQFqIQEMAQsLIARBgAFqJAALKgAgACgCrJ4FQYAkaiABIAIgACADQfQBbGoiAEGQ0AFqIABBwMgBahBTC/wGAxB/BX0BfCMAQdAEayIGJAAgAEGsngVqIgcoAgAiCkGAJGoiDCABIAIgBkHQAmogBkHQAGoQjQIgBygCACAGQdACaiAGQdAAaiAGEIwCIApB5DRqKAIAIgFBACABQQBKGyEOIAAgBEEBcUECdGpBmNkBaiEPIAAgBEEIdGohC0EAIQEDQAJAIAUgDkYEQCAFQcAAIAVBwABLGyEAA0AgACAFRg0CIAIgBUECdCIBakEANgIAIAEgA2pBADYCACAFQQFqIQUMAAsACyAMIAVBA3RqIgRBtAlqKAIAIgcgBEG4CWooAgAiBCAHIARKGyINQQFqIRAgASANakEBaiERIAwgBUECdCIIaioCACEXIAAqAqyXBSEWIAUgBmotAAAQigEhEiAKKALsNCITIAFBAnRqKgIAIAIgB0ECdGoqAgCUIAYgB2otAAAiCUECdEGAmQFqKgIAlCEVIAchBANAIAQgDUZFBEAgCSAGIARBAWoiBGotAAAiFGohCSAVIBMgAUEBaiIBQQJ0aioCACACIARBAnRqKgIAlCAUQQJ0QYCZAWoqAgCUIAQgBWsgEhCJASEVDAELCyAVIAlBAXRBAXIgECAHa0EBdG5BAnRBgJkBaioCAEMAAAA/lCIZlCEVIBcgFpQhFwJ9IA8oAgAiAUECRgRAIAggC2pBwKgBaioCACIWIBaSIhZDAAAAAF5BAXNFBEAgFSAWIBUgFl0bDAILIBUgAiAIaioCALtEMzMzMzMz0z+iIhq2IBogFbtkGwwBCyAVIBUgCCALaiIEQcCoAWoqAgAiFiAWkiIWIBZDAAAAAF8bIhYgFiAVIARBwLABaioCAEMAAIBBlCIYIBhDAAAAAF8bIhggFiAYXRsgARsiFiAVIBZdGwshFiADIAhqIgEgFjgCACAIIAtqIgRBwLABaiAEQcCoAWoiBCoCADgCACAEIBU4AgAgFyAZIAZB0AJqIAhqKgIAIAggCmpBgCZqKgIAlJQiFSABKgIAIhYgFiAVXiIEGyIVlCAVIBdDAACAP14iCRshFSAERUEAIAlBAXMbRQRAIAEgFTgCAAsgFSACIAhqKgIAIhZeIgRFQQAgF0MAAIA/XUEBcxtFBEAgASAXIBYgFSAEGyIVlCAVIBdDAACAP10bOAIACyARIAdrIQEgBUEBaiEFDAELCyAGQdAEaiQAC0YAIAJBAUwEQCACQQJ0IgIgACABQQN0ampBoNkBaiAAIAJqQeDXAWoiASoCADgCACABIAMgACgCqJ4FQdQFahCOAjgCAAsLnQMCA38CfQJ/QQAgACgCkAFFDQAaIAAoArCeBQshBwJAIAJBAUwEQCAAIAUgAiABEKICDAELIAJBAkcNAEH/ByEBA0AgAUEASA0BIAUgAUECdGoiBkGAIGoiCCAGKgIAIgkgCCoCACIKk0PzBDU/lDgCACAGIAkgCpJD8wQ1P5Q4AgAgAUF/aiEBDAALAAsgBCAFKgIAIgkgCZQ4AgBB/wMhAQNAIAFBAEgEQAJAQwAAAAAhCUELIQEDQCABQYEERg0BIAkgBCABQQJ0aioCAJIhCSABQQFqIQEMAAsACwUgBEGABCABa0ECdCIGaiAFIAZqKgIAIgkgCZQgAUECdCAFakGAEGoqAgAiCSAJlJJDAAAAP5Q4AgAgAUF/aiEBDAELCyAAIAJBAnRqQejXAWogCTgCAAJAIAdFDQBBACEBIAJBDXQiACAHIANBD3RqaiECA0AgAUGBBEYNASACIAFBA3QiA2pBuMYHaiAAIAdqIANqQbjGBWoiAysDADkDACADIAQgAUECdGoqAgC7OQMAIAFBAWohAQwACwALC24BA38CQCAAKAKoASICQQFHDQAgASgCAARAIAEoAgQNAQsgAUIANwIACyACQX5qIQQDQCADIAAoAjhORQRAQQEhAgJAAkACQCAEDgIBAAILQQAhAgsgASADQQJ0aiACNgIACyADQQFqIQMMAQsLC4wNAg9/A30jAEHwJGsiCiQAIAAoApABBEAgACgCsJ4FIQ0LIAAoArgBIQwgACgCTCEJIApB8ABqQQBBgCQQBRogCUEAIAlBAEobIQ8gAyACQdAHbCIQaiERQQQgCSAMQQFGGyIOQQNIIRIDQCALIA9GBEAgDkEAIA5BAEobIQ4gDSACQQV0aiEPQQAhAQNAAkAgASAORwRAIApCADcDCCAKQgA3AwAgAUEBcUGAEmwhA0EAIQkgAUECRw0BA0AgCUHABEYNAiAKQfAAaiAJQQJ0aiICQYASaiIEIAIqAgAiGSAEKgIAIhiTOAIAIAIgGSAYkjgCACAJQQFqIQkMAAsACyAKQfAkaiQADwsgCkHwAGogA2ohA0EAIQlDAAAAACEZA0AgCUEDRkUEQCAJQQJ0IgIgCkEQamogACABQSRsaiACaiIEQZDYAWoqAgAiGDgCACAKQUBrIAJqIBggBEGI2AFqKgIAlTgCACAYIBmSIRkgCUEBaiEJDAELCyAKIBk4AgBBACEEQQAhAgNAQwAAgD8hGEEAIQkgAkEJRkUEQANAIAlBwABGRQRAIAMgCUECdGoqAgCLIhogGCAYIBpdGyEYIAlBAWohCQwBCwsgAkEDakECdCIJIApBEGpqIBg4AgAgACABQSRsaiACQQJ0akH41wFqIBg4AgAgAkEDbkECdCAKaiILQQRqIBggCyoCBJI4AgAgA0GAAmohAyAKQUBrIAlqAn0gGCAKQRBqIAJBAWoiAkECdGoqAgAiGl5BAXNFBEAgGCAalQwBC0MAAAAAIBogGEMAACBBlCIYXkEBcw0AGiAaIBiVCzgCAAwBCwsDQCAEQQNGRQRAIAYgAUEMbGogBEECdGoCfUMAAIA/IApBEGogBEEMbGoiAioCFCIaQwAAwECUIAIqAgwgAioCECIYkiAakiIaXUEBcw0AGkMAAAA/IBhDAADAQJQgGl1BAXMNABpDAACAPgs4AgAgBEEBaiEEDAELCyANBEBBASEJIAoqAkAhGANAIAlBDEZFBEAgCkFAayAJQQJ0aioCACIaIBggGCAaXRshGCAJQQFqIQkMAQsLIA8gAUEDdCICakGYhAxqIAIgDWpB+IMMaiICKwMAOQMAIAIgGLs5AwALIAFBAnQiBCAAKAKsngVqQdDWAGoqAgAhGEEAIQkDQCAJQQxGBEACQCAHIAFBBHRqIgIhC0EBIQkDQCAJQQRGDQEgGSEYIAogCUECdCIDaioCACIZIBhDmpnZP5RdQQFzIBggGUOamdk/lF1BAXNyIBggGSAYIBleG0MAQBxHXUEBc3JFBEACQCAJQQFHDQAgAigCACALKAIESg0AIAJBADYCAAsgAiADakEANgIACyAJQQFqIQkMAAsACwUCQCAHIAFBBHRqIAlB/wFxQQNuIgJBAnRqIgMoAgANACAKQUBrIAlBAnRqKgIAIBheQQFzDQAgAyACQX1sIAlqQQFqQf8BcTYCAAsgCUEBaiEJDAELCyACKAIAIgMgACAEaiIQQYjZAWoiDCgCACIJTARAIAJBADYCACAMKAIAIQlBACEDCyALKAIEIQwCQAJAAkAgCUEDRwRAIAIoAgggAyAMampBACACKAIMa0YNAQsCQAJAIAwEQCADRQ0BIAtBADYCBAsgAigCCEUNASACKAIMRQ0BIAJBADYCDAwBCyACKAIIRQ0AIAJBADYCCAtBACEJIAFBAkkNASAIQgA3AgAMAgtBASEJIAFBAUsNAQsgBCAIaiAJNgIACyAEIAVqIBBB6NcBaioCADgCACABQQFqIQEMAAsACyABIAtBAnRqKAIAQbQMaiEMQQAhAwNAIANBwARGRQRAIANBFWohEyADQQJ0IhQgDGoqAighGEEAIQlDAAAAACEZA0AgCUEIS0UEQCAYIAlBAnQiFUGQmgFqKgIAIAwgAyAJakECdGoiFioCACAMIBMgCWtBAnRqIhcqAgCSlJIhGCAZIBVBBHJBkJoBaioCACAWKgIEIBdBfGoqAgCSlJIhGSAJQQJqIQkMAQsLIApB8ABqIAtBgBJsaiAUaiAZIBiSOAIAIANBAWohAwwBCwsgESALQegDbCIJaiIMQfQBaiAAIAtB9AFsaiIDQZDQAWpB9AEQAxogDCADQcDIAWpB9AEQAxogEkUEQCAEIBBqIAlqIglB9AFqIANB+NMBakH0ARADGiAJIANBqMwBakH0ARADGgsgC0EBaiELDAALAAujDAISfwN9IwBBgKUBayIKJAAgACgCrJ4FIQwCf0EAIAAoApABRQ0AGiAAKAKwngULIRFDAACAPyEbIAAqAsQBQwAAAABeQQFzRQRAIAAqAswBIAAoAqieBSoCCJQhGwsgCkEgakEAQcAAEAUaQQQhCyAAKAK4AUEBRwRAIAAoAkwhCwsgAEHAqAFqIRMgCkGwnQFqIABBwMgBakHQBxADGiAAIAEgAiADIAQgByAKQeAAaiAKQSBqIApBGGoQnAIgAEEUaiAKQRhqEJsCIAtBACALQQBKGyEOA0AgCSAORkUEQCAAIAEgCSACIApBoI0BaiAKQZDBAGogCUEBcUEMdGoQmgIgACACIAkgCkGgjQFqEJkCIAAgCkGgjQFqIAlBCHQiByAKQZAJamogCkGQAWogB2ogCRCYAiAJQQFqIQkMAQsLAkAgACgCuAFBAUcNACAKKAIcIAooAhhqQQJHDQAgCkGQCWogCkGQAWogDEGAKmogACgCqJ4FQdQBaiAbIAAqAsQBIAxB5DRqKAIAEIwBC0EAIQkDQCAJIA5GRQRAIAAgCUEIdCIHIApBkAlqaiILIApBkAFqIAdqIgcgCRCXAiAAIAsgByAJEJYCIAlBAWohCQwBCwsgDEHwOmohD0EAIQcgACgCrJ4FKALkViELIAooAhhBACAKKAIca0chEANAQQAhCSAHQQNGBEBBACEBQQAhDANAIAwgDkYEQANAAkAgASAORg0AIAAgAUECdGpBiNkBaiAKQSBqIAFBBHRqKAIINgIAIAFBAWohAQwBCwsFIAAgDEECdGpBiNkBaiEUQQAhBwNAIAdBDUZFBEAgB0EMbCIPIAxB9AFsIhAgCkGwnQFqamoiCSEVIAlB4ABqIRJBACELQQAhCQNAIAlBA0ZFBEAgCUECdCINIAAgEGogD2pqQZjJAWoqAgC7RJqZmZmZmek/orYhGyAJQX9qIhZBAnQiFyAKQQxqaiASIAkbKgIAIRwCfSAKQSBqIAxBBHRqIhggDWoiGSgCACIaQQFMBEAgGyAZKAIEQQFHDQEaCyAcIBtD7FG4PhCLAQsiHSAbIB0gG10bIR0CQAJAIBpBAUYNACAJRQRAIBQoAgBBA0cNAiAVKgJcIRwMAQsgFyAYaigCAEEDRw0BAkACQCAWDgIAAQILIBIqAgAhHAwBCyAKKgIMIRwLIBwgHUPsUTg+EIsBIRsLIApBDGogDWogCkHgAGogDEEMbGogDWoqAgAgGyAdIBsgHV0blDgCACAJQQFqIQkMAQsLA0AgC0EDRkUEQCALQQJ0IgkgACAQaiAPampBmMkBaiAKQQxqIAlqKgIAOAIAIAtBAWohCwwBCwsgB0EBaiEHDAELCyAMQQFqIQwMAQsLIBMgACgCTCAKQRhqIAgQlQIgBkF4aiEBQQAhCSAEIAJB0AdsIgZqIQQgESACQQV0aiECA0AgCSAORwRAIAAqAqyXBSEbAn8gCUECTwRAAn8gCCgCAEECRwRAQQAgCCgCBEECRw0BGgtBAgshCyAJQegDbCAEakGweGohDCABDAELIAMgBmogCUHoA2xqIQwgCCAJQQJ0aigCACELIAULIAlBAnRqAn0gC0ECRgRAIAwgGxCUAgwBCyAMIBsQkwILIhs4AgAgEQRAIAIgCUEDdGpBuMYLaiAbuzkDAAsgCUEBaiEJDAELCyAKQYClAWokAA8LA0AgCSAORkUEQCAJQQFxIQ0CQAJAIAsNACAKQRhqIA1BAnRqKAIARQ0AIAAgCSAHEJICDAELIAAgASAJIAcgCkGQgQFqIApBkBFqIA1BgBhsahCRAiAAIApBkIEBaiAJQQh0Ig0gCkGQCWpqIApBkAFqIA1qIAkgBxCQAgsgCUEBaiEJDAELCyAAKAK4AUEBRyAQckUEQCAKQZAJaiAKQZABaiAPIAAoAqieBUHUA2ogGyAAKgLEASAMKALURRCMAQtBACEJA0AgCSAORkUEQAJAIAtFBEAgCkEYaiAJQQFxQQJ0aigCAA0BCyAAIAlBCHQiDSAKQZAJamogCkGQAWogDWogCSAHEI8CCyAJQQFqIQkMAQsLIAdBAWohBwwACwALrwYCEX8RfSABQQF0IQ4gACABQQN0aiENQdCXASEFQQQhAwNAIANBAnQhCiADQQNsIQYgACADQQF0IgtqIQEgACECA0AgAiALQQJ0IgxqIgcgAioCACITIAIgCmoiBCoCACIUkiIXIAcqAgAiFSACIAZBAnQiB2oiCCoCACIWkiIYkzgCACACIBcgGJI4AgAgCCATIBSTIhMgFSAWkyIUkzgCACAEIBMgFJI4AgAgASAHaiIEKgIAIRMgASAMaiIIIAEqAgAiFCABIApqIgkqAgAiF5IiFSAIKgIAu0TNO39mnqD2P6K2IhaTOAIAIAEgFSAWkjgCACAEIBQgF5MiFCATu0TNO39mnqD2P6K2IhOTOAIAIAkgFCATkjgCACABIApBAnQiBGohASACIARqIgIgDUkNAAtBASEGIANBACADayIBIAMgAUobQQF2IANBfyADQX9KGyIBQQEgAUEBSBtsIgFBASABQQFKGyELIAAgA0ECdCIDaiEIIAUqAgQhEyAFKgIAIRQDQCAGIAtGRQRAIAggBkECdCICayEBIAAgAmohAiAUIBMgE5IiFZQhF0MAAIA/IBMgFZSTIRUDQCABKgIAIRYgAiAMaiIJIAIqAgAiGCAVIAIgA2oiDyoCACIZlCAXIAEgA2oiECoCACIalJIiHpIiGyAUIAkqAgAiHyAVIAIgB2oiCSoCACIclCAXIAEgB2oiESoCACIdlJIiIJIiIZQgEyABIAxqIhIqAgAiIiAXIByUIBUgHZSTIhyTIh2UkiIjkzgCACACIBsgI5I4AgAgESAWIBcgGZQgFSAalJMiGZMiGiATICGUIBQgHZSTIhuTOAIAIBAgGiAbkjgCACASIBYgGZIiFiATICIgHJIiGZQgFCAfICCTIhqUkiIbkzgCACABIBYgG5I4AgAgCSAYIB6TIhYgFCAZlCATIBqUkyIYkzgCACAPIBYgGJI4AgAgASAEaiEBIAIgBGoiAiANSQ0ACyAUIAUqAgQiF5QhFSAUIAUqAgAiFpQgEyAXlJMhFCAGQQFqIQYgFSATIBaUkiETDAELCyAFQQhqIQUgCiIDIA5IDQALC0YBAX8CQCAARQ0AIAAoAqyeBSIBRQ0AIAFB7DRqKAIAEAYgACgCrJ4FQdzFAGooAgAQBiAAKAKsngUQBiAAQQA2AqyeBQsLIwAgAD8AQRB0a0H//wNqQRB2QABBf0YEQEEADwtBABAAQQEL8wECA38BfCAAKAKsngUhAwNAIAJBgAhGBEADQCABQYABRkUEQCADIAFBAnRqQYAgakQAAAAAAADwPyABt0QAAAAAAADgP6BEGC1EVPshGUCiRAAAAAAAAHA/ohASoUQAAAAAAADgP6K2OAIAIAFBAWohAQwBCwsgAEEINgK8ngUFIAMgAkECdGogArdEAAAAAAAA4D+gIgREGC1EVPshKUCiRAAAAAAAAFA/ohASRHsUrkfherQ/okThehSuR+HaPyAERBgtRFT7IRlAokQAAAAAAABQP6IQEkQAAAAAAADgP6KhoLY4AgAgAkEBaiECDAELCwuUAwIFfwZ9IAFBgBBqIQQgAyACQQJ0aigCACEFIAAoAqyeBSEGQf8AIQMDQCAEQXhqIAYgAyICQdCWAWotAABBAnQiA2oqAgAgAyAFaioCAJQiCSAGIANBgBByIgdqKgIAIAUgB2oqAgCUIgqSIgsgBiADQYAIciIHaioCACAFIAdqKgIAlCIMIAYgA0GAGHIiB2oqAgAgBSAHaioCAJQiDZIiDpM4AgAgBEFwaiIHIAsgDpI4AgAgBEF8aiAJIAqTIgkgDCANkyIKkzgCACAEQXRqIAkgCpI4AgAgBCAGIANBBGoiCGoqAgAgBSAIaioCAJQiCSAGIANBhBBqIghqKgIAIAUgCGoqAgCUIgqSIgsgBiADQYQIaiIIaioCACAFIAhqKgIAlCIMIAYgA0GEGGoiA2oqAgAgAyAFaioCAJQiDZIiDpM4AvgPIAQgCyAOkjgC8A8gBCAJIAqTIgkgDCANkyIKkzgC/A8gBCAJIAqSOAL0DyACQX9qIQMgByEEIAINAAsgAUGABCAAKAK8ngURAAALswMCCn8GfSADIAJBAnRqIQhBACEDA0AgA0EDRkUEQCADQQFqIglBgICABmxBEHYhCiABIANBCnRqQYAEaiEDIAgoAgAhCyAAKAKsngUhDEEfIQIDQCADQXhqIAxBgCBqIgUgAiIHQQJ0QdCWAWotAAAiBEECdGoiBioCACALIAQgCmpBAnRqIgIqAgCUIg4gBUH/ACAEa0ECdGoqAgAgAioCgASUIg+SIhAgBioCgAIgAioCgAKUIhEgBUE/IARrQQJ0aioCACACKgKABpQiEpIiE5M4AgAgA0FwaiINIBAgE5I4AgAgA0F8aiAOIA+TIg4gESASkyIPkzgCACADQXRqIA4gD5I4AgAgAyAGKgIEIAIqAgSUIg4gBUH+ACAEa0ECdGoqAgAgAioChASUIg+SIhAgBioChAIgAioChAKUIhEgBUE+IARrQQJ0aioCACACKgKEBpQiEpIiE5M4AvgDIAMgECATkjgC8AMgAyAOIA+TIg4gESASkyIPkzgC/AMgAyAOIA+SOAL0AyAHQX9qIQIgDSEDIAcNAAsgA0GAASAAKAK8ngURAAAgCSEDDAELCwtWAQF/IAAQBARAIAACf0Pn+x9BIAFDAAAAAJciASABu0RzaJHtfP8jQGQbIgGLQwAAAE9dBEAgAagMAQtBgICAgHgLIgI2AqQBIAAgASACspM4AqABCwsrACAAEAQEQCAAQQA2AqABIAAgAUEAIAFBAEobIgBBCSAAQQlIGzYCpAELCzgBAX8jAEEQayICJAACQCAAEARFDQAgAQRAIAEgAkEMahAyQQBIDQELIAAgATYCEAsgAkEQaiQAC0QBAX8gAEGglwNqQgA3AwAgAEGgtwJqQQA2AgBBgIAJQQEQCCEBIABC/////w83AqwCIAAgATYCoAIgAEKAgAk3AqQCCz8BAn8CQCAAKAKsAiIEQQBIDQBBfyEDIAQgAk4NACABIAAoAqACIARBAWoiAxADGiAAQv////8PNwKsAgsgAwuYBgENfwJAIAAoAhRBAUYEQANAQQAhBCAFQQJGDQIDQCAEIAAoAkxIBEAgACAFQYjSAGxqIARBhClsaiIDQbgoaiEIIANB5CdqKAIAQQJ0IgFBgPwAaigCACEGIAFBwPsAaigCACEHQQAhAkEAIQEDQCABIAgoAgBOBEACQCADQbAoaiEHA0AgASAHKAIATg0BIAMgAUECdGpBtCZqKAIAIghBf0cEQCAAIAggBhAJIAIgBmohAgsgAUEBaiEBDAALAAsFIAMgAUECdGpBtCZqKAIAIgtBf0cEQCAAIAsgBxAJIAIgB2ohAgsgAUEBaiEBDAELCyADQbQCaiEBAn8gA0HoJ2ooAgBBAkYEQCAAIAEQogEMAQsgACABEKEBCyEDIAAgARCgASACIApqIANqaiEKIARBAWohBAwBCwsgBUEBaiEFDAALAAsDQCAHIAAoAkxODQEgACAHQYQpbGoiBkH4KmohCyAGQbQCaiEIQQAhBUEAIQRBACEBQQAhA0EAIQICQCAGQegnaigCAEECRgRAA0AgBUEERkUEQCAGIAVBAnQiAmpB/CpqKAIAIgMgCygCACACaigCAEEDbSICQQAgAkEAShsiAmxBA2whDCABIAJqIQIDQCABIAJGRQRAIAAgBiABQQxsaiIJQbQmaigCACINQQAgDUEAShsgAxAJIAAgCUG4JmooAgAiDUEAIA1BAEobIAMQCSAAIAlBvCZqKAIAIglBACAJQQBKGyADEAkgAUEBaiEBDAELCyAFQQFqIQUgBCAMaiEEIAIhAQwBCwsgACAIEKIBIQEMAQsDQAJAIAVBBEcEQCACIAVBAnQiBCALKAIAaigCACIBQQAgAUEAShsiCWohASAEIAZqQfwqaigCACEEA0AgASACRg0CIAAgBiACQQJ0akG0JmooAgAiDEEAIAxBAEobIAQQCSACQQFqIQIMAAsACyAAIAgQoQEhASADIQQMAgsgBUEBaiEFIAMgBCAJbGohAyABIQIMAAsACyAAIAgQoAEgBCAKaiABamohCiAHQQFqIQcMAAsACyAKC8ELAQV/IAAgAEGglwNqKAIAQTBsaiIDQaS3AmpBADYCACADQai3AmpBACAAKAIcEAUaIABB/h9B/x8gACgCREGA/QBIG0EMEAIgACAAKAIUQQEQAiAAQQFBAhACIAAgACgCpAFFQQEQAiAAIABBiJYFaigCAEEEEAIgACAAKAIYQQIQAiAAIABBkJYFaigCAEEBEAIgACAAKAKwAUEBEAIgACAAKAK4AUECEAIgACAAQZSWBWooAgBBAhACIAAgACgCqAFBARACIAAgACgCrAFBARACIAAgACgCtAFBAhACIAAoAqQBBEAgAEEAQRAQAgsgAEHEpgFqKAIAIQMCQCAAKAIUQQFGBEAgACADQQkQAiAAIABByKYBaigCAEEDQQUgACgCTEECRhsQAgNAQQAhAiAEIAAoAkwiA04EQANAQQAhBCAFQQJGDQQDQCAEIANORQRAIAAgACAFQYjSAGxqIARBhClsaiICQaAoaigCACACQdQnaigCAGpBDBACIAAgAkHYJ2ooAgBBAm1BCRACIAAgAkHgJ2ooAgBBCBACIAAgAkHkJ2ooAgBBBBACIAACfyACQegnaiIDKAIABEAgAEEBQQEQAiAAIAMoAgBBAhACIAAgAkHsJ2ooAgBBARACIAAgAkHwJ2oiBigCACIDQQ5GBH8gBkEQNgIAQRAFIAMLQQUQAiAAIAJB9CdqIgYoAgAiA0EORgR/IAZBEDYCAEEQBSADC0EFEAIgACACQfwnaigCAEEDEAIgACACQYAoaigCAEEDEAIgAkGEKGoMAQsgAEEAQQEQAiAAIAJB8CdqIgYoAgAiA0EORgR/IAZBEDYCAEEQBSADC0EFEAIgACACQfQnaiIGKAIAIgNBDkYEfyAGQRA2AgBBEAUgAwtBBRACIAAgAkH4J2oiBigCACIDQQ5GBH8gBkEQNgIAQRAFIAMLQQUQAiAAIAJBjChqKAIAQQQQAiACQZAoagsoAgBBAxACIAAgAkGUKGooAgBBARACIAAgAkGYKGooAgBBARACIAAgAkGcKGooAgBBARACIARBAWohBCAAKAJMIQMMAQsLIAVBAWohBQwACwAFA0AgAkEERkUEQCAAIAAgBEEEdGogAkECdGpB1KYBaigCAEEBEAIgAkEBaiECDAELCyAEQQFqIQQMAQsACwALIAAgA0EIEAIgACAAQcimAWooAgAgACgCTBACA0AgBCAAKAJMTg0BIAAgACAEQYQpbGoiAkGgKGooAgAgAkHUJ2ooAgBqQQwQAiAAIAJB2CdqKAIAQQJtQQkQAiAAIAJB4CdqKAIAQQgQAiAAIAJB5CdqKAIAQQkQAiAAAn8gAkHoJ2oiAygCAARAIABBAUEBEAIgACADKAIAQQIQAiAAIAJB7CdqKAIAQQEQAiAAIAJB8CdqIgUoAgAiA0EORgR/IAVBEDYCAEEQBSADC0EFEAIgACACQfQnaiIFKAIAIgNBDkYEfyAFQRA2AgBBEAUgAwtBBRACIAAgAkH8J2ooAgBBAxACIAAgAkGAKGooAgBBAxACIAJBhChqDAELIABBAEEBEAIgACACQfAnaiIFKAIAIgNBDkYEfyAFQRA2AgBBEAUgAwtBBRACIAAgAkH0J2oiBSgCACIDQQ5GBH8gBUEQNgIAQRAFIAMLQQUQAiAAIAJB+CdqIgUoAgAiA0EORgR/IAVBEDYCAEEQBSADC0EFEAIgACACQYwoaigCAEEEEAIgAkGQKGoLKAIAQQMQAiAAIAJBmChqKAIAQQEQAiAAIAJBnChqKAIAQQEQAiAEQQFqIQQMAAsACyAAKAKkAQRAIAAoAhwgACAAKAKglwNBMGxqQai3AmoQrwILIAAgACgCoJcDIgJBAWpB/wFxIgM2AqCXAyAAQaC3AmoiBCADQTBsaiAEIAJBMGxqKAIAIAFqNgIAIABBpJcDaigCACADRgRAIABBs4MBQQAQCgsLqwMBCH8jAEEwayIBJAAgABAeIQIgACAAQcymAWooAgAQXCAAIAIQqgIgACgCHCEEIAAQqQIhAyAAIABB0KYBaiIFKAIAEFwgAEHEpgFqIgYgBigCACACIAUoAgAgAyAEQQN0amoiBGtBCG1qNgIAIAAgAUEsahCkASIDIABBrJcDaigCAEcEQCAAQaD/AEEAEAogACgCrJcDIQMLIAMgACgCxKYBQQN0IgZHBEAgACgCzKYBIQcgACgC0KYBIQUgACgCHCEIIAEgAjYCICABIARBCG82AhwgASAENgIYIAEgCEEDdCICNgIQIAEgBCAFayACazYCFCABIAc2AgwgASAFNgIIIAEgAzYCBCABIAY2AgAgAEHV/wAgARAKIABB7IEBQQAQCiAAQaSCAUEAEAogAEHvggFBABAKIABBkIMBQQAQCiAAIAAoAsSmAUEDdDYCrJcDCyAAKAKoAiIEQYGU69wDTgRAQQAhAgNAIAJBgAJGRQRAIAAgAkEwbGpBoLcCaiIDIAMoAgAgBGs2AgAgAkEBaiECDAELCyAAQQA2AqgCCyABQTBqJAALnAEBBH9BCCEDA0AgA0EBSEUEQCAAKAKwAiICRQRAIABBCDYCsAIgACAAKAKsAkEBaiICNgKsAiAAKAKgAiACakEAOgAAIAAoArACIQILIAAgAiADIAIgAyACSBsiAmsiBDYCsAIgACgCoAIgACgCrAJqIgUgBS0AACABIAMgAmsiA3UgBHRyOgAAIAAgAiAAKAKoAmo2AqgCDAELCwtnAQJ/IAAoAqACIAAoAqwCaiAAIABBpJcDaiIBKAIAQTBsakGotwJqIAAoAhwQAxogACAAKAIcIgIgACgCrAJqNgKsAiAAIAAoAqgCIAJBA3RqNgKoAiABIAEoAgBBAWpB/wFxNgIAC0QBAn8jAEEQayIBJAAgACABQQxqEKQBIgJBAE4EQCAAIAIQXCAAQcSmAWpBADYCACAAQayXA2pBADYCAAsgAUEQaiQAC2QBAn9BBiECIABBBiAAQQZKGyEDIAEtAAMgAS0AAkH//wMQXRBdIQADQCACIANGRQRAIAEgAmotAAAgABBdIQAgAkEBaiECDAELCyABIABBCHRBgID8B3EgAEEYdHJBEHY7AAQLjwEBAn8gACgCaCICQcECTgRAIAFBAUYEQCAAKAIAIAAoAjAgAkEAEF4PCyAAKAIAQYA8bEGAPGoPCyAAKAIAIQJBgNoAIQMCQAJAAkAgAUF/ag4CAAECCyACIAAoAjAiACACQQZ0QSBBOCAAQYD9AEgbckHw2ABqKAIAQQAQXg8LIAJBgDxsQYA8aiEDCyADC8kBAQp/IAJBAnRBvP4AaigCACIGQQR0IgJBvChqKAIAIQggAkGwKGooAgAhCSAGQQJqIgpBBHRBvChqKAIAIQsgBkEBaiIMQQR0QbwoaigCACENQQAhAgNAIAIgCyAAKAIEIAAoAgAgCWxqIgdqLQAAaiECIAQgByANai0AAGohBCAFIAcgCGotAABqIQUgAEEIaiIAIAFJDQALIAMgAygCACACIAQgBSAFIARLIgAbIgEgASACSyIBG2o2AgAgCiAMIAYgABsgARsLiwEBA39BgNgAQbDYACACQX9qIgJBAUYbIQQgAkECdEHA/gBqKAIAIgVBBHRBsChqKAIAIQZBACECA0AgBCAAKAIEIAAoAgAgBmxqQQJ0aigCACACaiECIABBCGoiACABSQ0ACyADIAMoAgAgAkH//wNxIgAgAkEQdiIBIAEgAEsiABtqNgIAIAAgBWoLuwICAn8DfQJAAkAgALwiAUGAgIAET0EAIAFBf0obRQRAIAFB/////wdxRQRAQwAAgL8gACAAlJUPCyABQX9MBEAgACAAk0MAAAAAlQ8LIABDAAAATJS8IQFB6H4hAgwBCyABQf////sHSw0BQYF/IQJDAAAAACEAIAFBgICA/ANGDQELIAIgAUGN9qsCaiIBQRd2arIiBUOAIJo+lCABQf///wNxQfOJ1PkDar5DAACAv5IiACAAIABDAAAAP5SUIgOTvEGAYHG+IgRDAGDePpQgACAEkyADkyAAIABDAAAAQJKVIgAgAyAAIACUIgAgACAAlCIAQ+7pkT6UQ6qqKj+SlCAAIABDJp54PpRDE87MPpKUkpKUkiIAQwBg3j6UIAVD2ydUNZQgACAEkkPZ6gS4lJKSkpIhAAsgAAs+AEEAIQIDQCACIAAoAgQgACgCAEEBdGpBgChqLQAAaiECIABBCGoiACABSQ0ACyADIAMoAgAgAmo2AgBBAQsEAEEACz8BA38DQCAAKAIEIgQgAiACIARIGyECIAAoAgAiBCADIAMgBEgbIQMgAEEIaiIAIAFJDQALIAIgAyADIAJIGwvKAQEDfyAAIAEQtgIiBEEPTQRAIAAgASAEIAIgBEECdEGA/gBqKAIAEQcADwsgBEGPwABPBEAgAkGgjQY2AgBBfw8LIARBcWohBUEYIQMDQEEgIQQCQCADQSBHBEAgA0EEdEG0KGooAgAgBUkNASADIQQLIARBeGohAwNAIANBGEYEQCAAIAFBGCAEIAIQpQEPCyADQQR0QbQoaigCACAFTwRAIAAgASADIAQgAhClAQ8FIANBAWohAwwBCwALAAsgA0EBaiEDDAALAAvOBQEMfyMAQRBrIQcgACgC4CUhCgNAIAFBBEZFBEAgByABQQJ0akEANgIAIAFBAWohAQwBCwsgCkEAR0EBdCEIAkAgACgCtCVBAkYEQCAIQTBsIQkDQCADQQRGBEBBASEGDAMFIAIgCSADQQJ0IgFqQaDnAGooAgBBA20iBEEAIARBAEobaiEEIAEgB2ohBgNAIAIgBEZFBEAgAkEDbCELIAYoAgAhBUEAIQEDQCABQQNGRQRAIAAgASALakECdGpBgCRqKAIAIgwgBSAMIAVKGyEFIAFBAWohAQwBCwsgBiAFNgIAIAJBAWohAgwBCwsgA0EBaiEDIAQhAgwBCwALAAsgCEEwbCEFA0AgA0EERg0BIAIgBSADQQJ0IgFqQZDnAGooAgAiBEEAIARBAEobaiEEIAEgB2ohAQNAIAIgBEcEQCAAIAJBAnRqQYAkaigCACIJIAEoAgBKBEAgASAJNgIACyACQQFqIQIMAQsLIANBAWohAyAEIQIMAAsAC0EAIQVBACEBA0AgAUEERkUEQCAFIAcgAUECdCICaigCACAIQQR0IAJqQeD3AGooAgBKaiEFIAFBAWohAQwBCwsCQCAFDQAgACAIQTBsIAZBBHRqQZDnAGo2AsQoQQAhAQNAIAFBBEZFBEAgACABQQJ0IgJqQcgoaiACIAdqKAIAQQJ0QcD4AGooAgA2AgAgAUEBaiEBDAELCyAAQcwoaigCACEBIAAoAsgoIQICQCAKRQRAIABB0ChqKAIAQQJ0IAJBBWwgAWpBBHRqIQMgAEHUKGooAgAhAQwBCyACQQNsQfQDaiEDC0EAIQIgAEEANgLsJSAAIAEgA2o2ArAlIAhBMGwhBEEAIQEDQCABQQRGDQEgACACIAFBAnQiAyAEIAZBBHRqakGQ5wBqKAIAIAAgA2pByChqKAIAbGoiAjYC7CUgAUEBaiEBDAALAAsgBQuwAwEGfwJAIAAoArQlQQJGBEBBwPkAQYD5ACAAKAK4JRshBgwBC0GA+gAhBiAAKALgJQ0AQQshAQNAIAFBFUcEQCABQQJ0IQIgAUEBaiEBIAAgAmpBgCRqKAIAIAJBsOYAaigCAE4NAQwCCwsgAEEBNgLgJUELIQEDQCABQRVGDQEgACABQQJ0IgJqQYAkaiIDIAMoAgAgAkGw5gBqKAIAazYCACABQQFqIQEMAAsACyAAKAKEJiICQQAgAkEAShshAQNAIAEgBEZFBEAgACAEQQJ0akGAJGooAgAiAiAFIAUgAkgbIQUgBEEBaiEEDAELCyABIAAoAvwlIgIgASACShshAkEAIQQDQCABIAJGRQRAIAAgAUECdGpBgCRqKAIAIgMgBCAEIANIGyEEIAFBAWohAQwBCwtBoI0GIQIgAEGgjQY2AuwlQQAhAQNAIAFBEEZFBEACQCAFIAFBAnQiA0HA+gBqKAIATg0AIAQgA0GA+wBqKAIATg0AIAIgAyAGaigCACIDTA0AIAAgATYCsCUgACADNgLsJSADIQILIAFBAWohAQwBCwsgAkGgjQZGC5QEAQl/IAEgAEGEKWxqIQYDQCAFQQRGBEAgASAAQYQpbGohBUEAIQNBACEEA0BBCyECIANBC0YEQEEAIQUgASAAQYQpbGohB0EAIQMFIAQgBSADQQJ0akGI9gBqKAIAIgIgBCAEIAJIGyACQX9GGyEEIAggAkF/R2ohCCADQQFqIQMMAQsLA0AgAkEVRkUEQCADIAcgAkECdGpBiPYAaigCACIGIAMgAyAGSBsgBkF/RhshAyAFIAZBf0dqIQUgAkEBaiECDAELCyABIABBhClsaiIAQbj3AGohBiAAQfT3AGohAUEAIQIDQCACQRBGRQRAAkAgBCACQQJ0IgBBwPoAaigCAE4NACADIABBgPsAaigCAE4NACABKAIAIABBgPwAaigCACAFbCAAQcD7AGooAgAgCGxqIgBMDQAgASAANgIAIAYgAjYCAAsgAkEBaiECDAELCw8LIAVBAnQiCkGw2gBqKAIAIgIgBUEBaiIFQQJ0QbDaAGooAgAiByACIAdKGyEDIAIhBANAAkAgAyAERgRAIAMhBAwBCyAGIARBAnRqIglBgCRqKAIAIAlBiPYAaigCACIJR0EAIAlBf0obDQAgBEEBaiEEDAELCyAEIAdHDQADQCACIANGRQRAIAYgAkECdGpBiPYAakF/NgIAIAJBAWohAgwBCwsgASAAQQR0aiAKakGgpAFqQQE2AgAMAAsAC9AEAQ1/IAQEQCADKAKsJSAEKAIARiEOC0EmQRUgAygCtCVBAkYbIhBBAWohESABIgshCCAAIQwDQAJ/AkACQAJAIAUgEEwEQAJAIA5FBEBBfyENIAMoArQlDQELIAMgBUECdCIGaiIKQYAkaigCACENIAMoAqwlAn9BACADKALgJUUNABogBkGw5gBqKAIACyANaiADKALkJUEBanRrIAMgCkGkJ2ooAgBBAnRqQcglaigCAEEDdGshDSAORQ0AIAQgBmooAgggDUcNACAHBEAgByACIAAgCBA7C0EAIQcgCUUNBCAJIAIgACAIEF8MBAsgAyAFQQJ0akGIJmooAgAiCiAPaiADKALYKCIGSgRAIAEgBkECdCIFakEAQYASIAVrEAUaQQAgBiAPayIFQQFqIAVBAEgbIQogESEFCyAAIAwgByAJciIGGyEAIAggCyAGGyEIAkAgBEUNACAEKAIEIgZBAUggBSAGSHINACAEIAVBAnRqKAIIIgZBAUggDSAGSHINACAHBEAgByACIAAgCBA7IAshCCAMIQALQQAhByAJIApqIgkgCkEBTg0FGgwCCyAJBEAgCSACIAAgCBBfIAshCCAMIQALIAcgCmohB0EAIApBAU4NBBogB0UNAiAHIAIgACAIEDsMAgsgB0UNACAHIAIgACAIEDsLIAlFDQAgCSACIAAgCBBfDwsPC0EACyEJIAUgEEwEQCADIAVBAnRqQYgmaigCACIGIA9qIQ8gDCAGQQJ0IgZqIQwgBiALaiELCyAFQQFqIQUMAAsAC6ACAQp/IwBBEGsiCCQAA0AgB0EXRgRAA0ACQCAKQRBGDQAgACAKQQFqIgxBAnRqQfSmAWooAgAiCSABTg0AQQAhByAIQQA2AgggAiACIAlBAnRqIg0gCEEIaiAAKAK4ngURBAAhDgNAAkAgB0EIRg0AIAcgCmpBAnQiCSAAakH8pgFqKAIAIgsgAU4NACAIIAgoAgg2AgwgDSACIAtBAnRqIAhBDGogACgCuJ4FEQQAIQsgAyAJaiIPKAIAIAgoAgwiEEoEQCAPIBA2AgAgBCAJaiAKNgIAIAUgCWogDjYCACAGIAlqIAs2AgALIAdBAWohBwwBCwsgDCEKDAELCyAIQRBqJAAFIAMgB0ECdGpBoI0GNgIAIAdBAWohBwwBCwsLkwIBC38jAEGgAWsiBiQAA0AgAyAAKAJQSARAQQAhAgNAAkAgAiAAKAJMSARAIAYgAkGEKWwiBCAAIANBiNIAbGpqIgVBtCZqIgdBnAEQAyEIIAVBtAJqIQUgA0EBRwRAIAAgBSABIANB0AdsaiACQegDbGogAyACEKcBDAILIAAgBGoiCUGs+gBqIQpBACEEA0AgBCAKKAIATgRAIAAgBSABIAJB6ANsakHQB2pBASACEKcBDAMLIAkgBEECdGoiC0G8+ABqIgwoAgBBf0wEQCAMIAtBtCZqKAIANgIACyAEQQFqIQQMAAsACyADQQFqIQMMAwsgByAIQZwBEAMaIAJBAWohAgwACwALCyAGQaABaiQAC48DAgZ/AX0jAEEQayEJAkAgASgCACIHIAAoAqglSgRAIAchBCACIQUDQCAFRQ0CIAogACAEQQJ0aiIGKgIAIgMgA5SSIAYqAgQiAyADlJIhCiAEQQJqIQQgBUF/aiEFDAALAAsgByAAKAKkJUwEQCAAQYASaiEIIAchBCACIQUDQCAFRQ0CIAogACAEQQJ0IgZqKgIAiyAGIAhqKAIAQQJ0QfDlAWoqAgAgA5STIgogCpSSIAAgBkEEaiIGaioCAIsgBiAIaigCAEECdEHw5QFqKgIAIAOUkyIKIAqUkiEKIARBAmohBCAFQX9qIQUMAAsACyAJIAM4AgwgCUEANgIIIABBgBJqIQggByEEIAIhBQNAIAVFDQEgCiAAIARBAnQiBmoqAgCLIAlBCGogBiAIaigCAEECdGoqAgCTIgMgA5SSIAAgBkEEaiIGaioCAIsgCUEIaiAGIAhqKAIAQQJ0aioCAJMiAyADlJIhCiAEQQJqIQQgBUF/aiEFDAALAAsgASAHIAJBAXRqNgIAIAoL6gEBBn8gAEEHNgK4ngVBAiECA0BBACEBIAJBwARLRQRAA0AgACABQQFqIgFBAnRqQfSmAWooAgAgAkgNAAsgAUEDdCIEQcD8AGooAgAiBSEBA0AgASIDQX9qIQEgA0ECdCAAakH4pgFqKAIAIAJKDQALIAAgAmoiBkHqmAVqIAUgAyADQQBIGyIBOgAAIAFBGHRBGHVBAmohBSAEQcT8AGooAgAiBCEBA0AgASIDQX9qIQEgACADIAVqQQJ0akH0pgFqKAIAIAJKDQALIAZB65gFaiAEIAMgA0EASBs6AAAgAkECaiECDAELCwuPBwIJfwR9IABBFGohCSAAKAJEsiEMIAAoAqieBSEGIABB9KYBaiEEA0AgB0EWRgRAIABBiKgBaiEEA0ACQCADQQZGBEBBACEHIABB0KcBaiEEDAELIAQgA0ECdCICaigCACEBIAQgA0EBaiIDQQJ0aigCACEFIAIgBmoiCEGkAWpBwvvC5wc2AgAgASAFIAEgBUobIQJDwr3wfCEKA0AgASACRg0CIAggCiAJIAwgAbKUQwAAkESVECYiCyAKIAtdGyIKOAKkASABQQFqIQEMAAsACwsDQAJAAkAgB0ENRgRAIABBhKgBaigCACAAQYCoAWooAgBrsiENQQAhAyAAQaSoAWohBAwBCyAEIAdBAnQiAWooAgAhAiAEIAdBAWoiB0ECdGooAgAhAyABIAZqIgVB8ABqQcL7wucHNgIAIAIgAyADIAJIGyEIQ8K98HwhCiACIQEDQCABIAhGDQIgBSAKIAkgDCABspRDAADAQ5UQJiILIAogC10bIgo4AnAgAUEBaiEBDAALAAsDQAJAIANBBkcEQCAEIANBAnQiAmooAgAhASAEIANBAWoiA0ECdGooAgAhBSACIAZqIghBvAFqQcL7wucHNgIAIAEgBSABIAVKGyECQ8K98HwhCgNAIAEgAkYNAiAIIAogCSAMIAGylEMAAMBDlRAmIgsgCiALXRsiCjgCvAEgAUEBaiEBDAALAAsCQCAAKALgAUUNAEEAIQEDQCABQRZGBEBBACEBA0AgAUEGRgRAQQAhAQNAIAFBDUYEQEEAIQEDQCABQQZGDQcgBiABQQJ0akGIyvPxATYCvAEgAUEBaiEBDAALAAUgBiABQQJ0akGIyvPxATYCcCABQQFqIQEMAQsACwAFIAYgAUECdGpBiMrz8QE2AqQBIAFBAWohAQwBCwALAAUgBiABQQJ0akGIyvPxATYCGCABQQFqIQEMAQsACwALIAYgCUMAAIC/ECa7EDxEAAAAAAAAJECitjgCFA8LIAggCiANlDgCvAEMAAsACyAFIAogAyACa7KUOAJwDAALAAsgBCAHQQJ0IgJqKAIAIQEgBCAHQQFqIgdBAnRqKAIAIQUgAiAGaiIIQRhqQcL7wucHNgIAIAEgBSABIAVKGyECQ8K98HwhCgNAIAEgAkYNASAIIAogCSAMIAGylEMAAJBElRAmIgsgCiALXRsiCjgCGCABQQFqIQEMAAsACwALowYCA38EfSAAKAIMRQRAIABBATYCDCAAQcSmAWpBADYCACAAEMACQfDlAUEANgIAQQEhAQNAIAFBkMAARwRAIAFBAnRB8OUBaiABsrtEVVVVVVVV9T8QB7Y4AgAgAUEBaiEBDAELC0EAIQFBsOYDQQA2AgBBASECA0AgAkGQwABGBEADQCABQYECRgRAQQAhAQNAIAFB9gJHBEAgAUECdEGA7wVqIAFBun1qt0QAAAAAAADQP6IQowG2OAIAIAFBAWohAQwBCwsgABC/AiAAQQY2AsCeBUEAIQFDAAAgQSAAKgLsASIEQwAAAL+SQ83MzD2UEAshBQNAIAFBB0cEQCAAIAFBAnRqQaCWBWogBTgCACABQQFqIQEMAQsLQQchAUMAACBBIAAqAugBIgVDAACAvpJDzczMPZQQCyEGA0AgAUEORwRAIAAgAUECdGpBoJYFaiAGOAIAIAFBAWohAQwBCwtBDiEBQwAAIEEgACoC8AEiBkPNzMy8kkPNzMw9lBALIQcDQCABQRVHBEAgACABQQJ0akGglgVqIAc4AgAgAUEBaiEBDAELCyAAQfSWBWpDAAAgQSAAKgL0AUMAAAA/kkPNzMw9lBALIgc4AgBBACEBQwAAIEEgBEMAAADAkkPNzMw9lBALIQQDQCABQQNHBEAgACABQQJ0akH4lgVqIAQ4AgAgAUEBaiEBDAELC0EDIQFDAAAgQSAFQwAAgL+SQ83MzD2UEAshBANAIAFBB0cEQCAAIAFBAnRqQfiWBWogBDgCACABQQFqIQEMAQsLQQchAUMAACBBIAZDzcxMvZJDzczMPZQQCyEEA0AgAUEMRgRAIABBqJcFaiAHOAIABSAAIAFBAnRqQfiWBWogBDgCACABQQFqIQEMAQsLBSABQQJ0QfDmBWogAUGufmq3RAAAAAAAAMi/ohCjAbY4AgAgAUEBaiEBDAELCwUgAkECdCIDQbDmA2ogArdEAAAAAAAA4L+gIANB7OUBaioCACADQfDlAWoqAgCSu0QAAAAAAADgP6JEAAAAAAAA6D8QB6G2OAIAIAJBAWohAgwBCwsLC84CAQZ/IwBBsBNrIgQkACAAIARBBGoQDRogAEG0AmohCSAEKAIEIQgDQCAFIAAoAlBIBEAgACABIARBCGogCCAFIAUQQiEGIAAoApSWBUECRgRAIAkgBRAoIARBCGogAiAFQQJ0aioCACAIIAYQQQtBACEGA0AgBiAAKAJMSARAIABEAAAAAAAAJEAgAEG0lwVBsJcFIAAgBUGI0gBsaiAGQYQpbGoiB0HoJ2ooAgBBAkYbaioCALtEmpmZmZmZuT+iEAe2OAKslwUgACAHQbQCaiIHECcgACAHIARBEGoQKQRAIAAgAyAFQdAHbGogBkHoA2xqIAcgBEGQEmoQHRogACAHIARBkBJqIARBEGogBiAEQQhqIAZBAnRqKAIAEEAaCyAAIAUgBhBDIAZBAWohBgwBCwsgBUEBaiEFDAELCyAAIAgQLiAEQbATaiQAC8cHAwt/AX0BfCMAQRBrIgwkACAAQYiWBWoiCCAAKAJ4NgIAIAAoAlAhBiAFIAAgDEEMahANNgIAIAhBATYCACAEIAAQHiAAKAIcQQN0ayAAKAJMIAAoAlBsbTYCAAJ/IAYgACgCcGxBgJQjbCIEt0RxPQrXo3DxP6IiEplEAAAAAAAA4EFjBEAgEqoMAQtBgICAgHgLIAQgAEHomAVqLQAAQQFxGyAAKAJEbSAAKAIcQQN0ayAAKAJMIgQgACgCUCIHbG0iC0ECbSENIAtBA2xBAm0hDgJ/Q2ZmZj9EAAAAAAAAJkAgACoC+AG7oUTsUbgeheuxP6JEAAAAAAAAFkCjRMP1KFyPwu0/oLYiESARu0TNzMzMzMzsP2MbQwAAgD+WIAuylCIRi0MAAABPXQRAIBGoDAELQYCAgIB4CyEIA0ACQEEAIQZBACEJIAogB04NAANAIAYgBEgEQCAGQQJ0Ig8gAyAKQQN0IhBqaiIHIAg2AgAgCCEEIAEgEGogD2oqAgAiEUMAAC9EXkEBc0UEQCAHIAg2AgAgByAOIA0CfyARQwAAL8SSu0RmZmZmZmb2P6MiEplEAAAAAAAA4EFjBEAgEqoMAQtBgICAgHgLIgQgDSAEShsgBCAAIApBiNIAbGogBkGEKWxqQegnaigCAEECRhsiBEEAIARBAEobIAQgDkobIAhqIgQ2AgALIAZBAWohBiAEQYAgTgR/IAdB/x82AgBB/x8FIAQLIAlqIQkgACgCTCEEDAELC0EAIQYCQCAJQYE8SA0AA0AgBiAETg0BIAMgCkEDdGogBkECdGoiBCAEKAIAQYA8bCAJbTYCACAGQQFqIQYgACgCTCEEDAALAAsgCkEBaiEKIAAoAlAhBwwBCwsCQCAAQZSWBWooAgBBAkcNAANAIAYgB04NASADIAZBA3RqIAIgBkECdGoqAgAgACgCTCALbEGAPBBBIAZBAWohBiAAKAJQIQcMAAsAC0EAIQRBACEBA0AgASAHTkUEQEEAIQYDQCAGIAAoAkxORQRAIAMgAUEDdGogBkECdGoiAigCACIIQYAgTgRAIAJB/x82AgBB/x8hCAsgBkEBaiEGIAQgCGohBAwBCwsgAUEBaiEBIAAoAlAhBwwBCwsCQCAEQQFIDQAgBCAFKAIATA0AA0BBACEGIAkgB04NAQNAIAYgACgCTE5FBEAgAyAJQQN0aiAGQQJ0aiIBIAEoAgAgBSgCAGwgBG02AgAgBkEBaiEGDAELCyAJQQFqIQkgACgCUCEHDAALAAsgDEEQaiQAC5MDAQV/IwBBwBNrIgQkACAEQQA2AgwgACABIAIgBEEQaiAEQQRqIARBCGoQwwIgAEG0AmohCCAEKAIEIQIDQCAFIAAoAlBIBEAgACgClJYFQQJGBEAgCCAFECgLQQAhAQNAIAEgACgCTEgEQCAARAAAAAAAACRAIABBtJcFQbCXBSAAIAVBiNIAbGogAUGEKWxqIgZB6CdqKAIAQQJGG2oqAgC7RJqZmZmZmbk/ohAHtjgCrJcFIAAgBkG0AmoiBxAnIAAgByAEQSBqECkEQCAEQRBqIAVBA3RqIAFBAnRqIQYgACAHIARBoBJqIARBIGogAQJ/IAAgAyAFQdAHbGogAUHoA2xqIAcgBEGgEmoQHQRAIAYoAgAMAQsgBiACNgIAIAILEEAaCyAAIAUgARBDIAFBAWohAQwBCwsgBUEBaiEFDAELCyAAKAJ0IQEDQAJAIAAgATYCiJYFIAEgACgCeEoNACAAIARBDGoQDUF/Sg0AIAAoAoiWBUEBaiEBDAELCyAAIAQoAgwQLiAEQcATaiQAC/gDAQl/IwBBEGsiCSQAAkAgACgCnAFFBEAgAEGIlgVqIAAoAng2AgAgACAJQQxqEA0aIAYgAEGwlwNqKAIANgIAIAAgBBBhIAQgACgCeEECdGooAgAhDAwBCyAAQYiWBWpBADYCACAEIAAgCUEMahANIgw2AgAgBiAAQbCXA2ooAgA2AgALIABBtAJqIQ0gCSgCDCEOQQEhCgNAIAcgACgCUCILTgRAQQAhASAIIAxKIAhBAEpxIQIDQEEAIQQgASALTgRAIAoEQCAGQQA2AgALIAlBEGokACAKDwUDQCAEIAAoAkxIBEAgAgRAIAUgAUEDdGogBEECdGoiAyADKAIAIAxsIAhtNgIACyAEQQFqIQQMAQsLIAFBAWohASAAKAJQIQsMAQsACwALIAAgASAFIAdBA3RqIgsgDiAHQQAQQhogACgClJYFQQJGBEAgDSAHECgLQQAhBANAIAQgACgCTE5FBEAgAEQAAAAAAAAkQCAAKgKwlwW7RJqZmZmZmbk/ohAHtjgCrJcFIAAgACAHQYjSAGxqIARBhClsakG0AmoiDxAnQQAgCiAAIAIgB0HQB2xqIARB6ANsaiAPIAMgB0G4AmxqIARBnAFsahAdGyEKIAsgBEECdGooAgAgCGohCCAEQQFqIQQMAQsLIAdBAWohBwwACwALtAQBA38jAEHQzQBrIgMkACADQeAAakEAQYDIABAFGiAAIAEgAiADQeDIAGogA0EgaiADQRBqIANBDGoQxQIhBEEAIQIDQEEAIQEgAiAAKAJQTkUEQANAIAEgACgCTEgEQCAAIAAgAkGI0gBsaiABQYQpbGpBtAJqIANB4ABqIAJBgCRsaiABQYASbGoQKUUEQCADQRBqIAJBA3RqIAFBAnRqQQA2AgALIAFBAWohAQwBCwsgAkEBaiECDAELCyAAIANB4ABqIANB4MgAaiADQRBqEL8BIQUCQCAAKAKcAQ0AAn8CQCAERQ0AIAAoAoABDQBBAQwBCyAAKAJ0CyIBIAAoAngiAiABIAJKGyEEA0ACQCACAn8gASAERwRAIAUgA0EgaiABQQJ0aigCAEoNAiABIQQLIAQLIAQgAkobIQEgAygCDCIEQQFIDQIDQCACIAFMDQMgA0EgaiACQQJ0aigCACAFayAETARAIAIhAQwEBSACQX9qIQIMAQsACwALIAFBAWohAQwACwALIABBiJYFaiABNgIAIAUgA0EgaiABQQJ0aigCAEwEQCAAIANBCGoQDRpBACECA0BBACEBIAIgACgCUE5FBEADQCABIAAoAkxORQRAIAAgACACQYjSAGxqIAFBhClsaiIEQdQnaigCACAEQaAoaigCABBnIAFBAWohAQwBCwsgAkEBaiECDAELCyAAIAMoAggQLiADQdDNAGokAA8LIABB9+UAQQAQChBOAAu6AwIHfwJ9IAAoAqieBSEGAkAgASgCtCVBAkcEQEEFIQMDQCACIANBAEhyDQIgACADQQJ0IgJqIgVBjKgBaigCACEEIAVBiKgBaigCACEFIAYqAgggAiAGaioCpAEgBioCFEMAAAAAED0iCSAAKgL0lgUiCpQgCSAKQ8y8jCteGyEJA0ACQCAEIAVMBEBBACECDAELQQEhAiABIARBf2oiBEECdGoiByoCAIsgCV1BAXMNACAHQQA2AgAMAQsLIANBf2ohAwwACwALA0BBBSEDQQAhAiAFQQNGDQEDQAJAIANBAEggAnJFBEAgBioCCCAGIANBAnQiAmoqArwBIAYqAhRDAAAAABA9IgkgACoCqJcFIgqUIAkgCkPMvIwrXhshCSAAIAJqIgJBqKgBaigCACACQaSoAWooAgAiAmsgACgChKgBIAAoAoCoASIEayAFbCAEQQNsaiACIAAoAqSoAWtqIgdqIQQDQCAEIAdMBEBBACECDAMLQQEhAiABIARBf2oiBEECdGoiCCoCAIsgCV1BAXMNAiAIQQA2AgAMAAsACyAFQQFqIQUMAgsgA0F/aiEDDAALAAsACwt+AgF/AXwgASgCgCYiAUEAIAFBAEobIQFEj4uKQp0DQTghAwNAIAEgAkcEQCADIAAgAkECdGoqAgC7IgNE001iEFg55D+iIAOiIAOiRFpkO99Pjdc/oLYQEbtE/nmfUBNE0z+ioCEDIAJBAWohAgwBCwsgA0QjQpIMoZzHO6ULuQUCCn8DfSABKALwJSIEQQAgBEEAShshBANAAkAgAyAERgRAQQAhCUGY7QUqAgAhDkEAIQQDQCAEQQNGDQIgASgC8CUgBGohAyABKAKEJiEHQQAhBQNAIAMgB04EQCABKAL8JSEHQQAhBgNAIAMgB05FBEAgASADQQJ0akGAJGooAgAiCCAGIAYgCEgbIQYgA0EDaiEDDAELCyAFQQ9KIAZBB0pyRQRAIARBAWohBAwDCyABIARBAnRqQcglaiIHKAIAIgNBBkoEQEEBDwsgByADQQFqNgIAQQIgBGshCyAEQQFqIQcgASgC8CUiAyAEaiEEIAAgA0ECdGpB9KYBaigCACEFA0AgBCABKAL8JU5FBEAgASAEQQJ0aiIDQYgmaigCACEIAkAgA0GAJGoiAygCAEEEIAEoAuQldmsiCkEATgRAIAMgCjYCACAIQQNsIQYMAQsgA0EANgIAQQAgCGsiA0EAIANBAEobIQwgByAIbCAFaiEGIAogASgC5CVBAWp0QQJ0QbjtBWoqAgAhDwNAIAMgDEcEQCACIAMgBmpBAnRqIgUgDyAFKgIAlCINOAIAIA0gASoCnCVeQQFzRQRAIAEgDTgCnCULIANBAWohAwwBCwsgCCALbCEFCyAEQQNqIQQgBSAGaiEFDAELC0EAIAEgBEECdGpBiCZqKAIAIgRrIgNBACADQQBKGyEGIAQgB2wgBWohBANAIAMgBkYEQCAHIQQMBAsgAiADIARqQQJ0aiIFIA4gBSoCAJQiDTgCACANIAEqApwlXkEBc0UEQCABIA04ApwlCyADQQFqIQMMAAsABSABIANBAnRqQYAkaigCACIGIAUgBSAGSBshBSADQQNqIQMMAQsACwALAAtBASEJIANBAnQhByADQQFqIQMgASAHakGAJGooAgBBD0wNAQsLIAkL3wECBn8BfQNAIAQgACgC/CVORQRAIAAgBEECdCIGaiICQYAkaiIHKAIAIQMgAkGIJmooAgAiAiAFaiEFIAcCfyAAKALgJQRAIAZBsOYAaigCACADaiEDCyADQQFxCwR/QQAgAmsiAkEAIAJBAEobIQYDQCACIAZHBEAgASACIAVqQQJ0aiIHIAcqAgBD1/6lP5QiCDgCACAIIAAqApwlXkEBc0UEQCAAIAg4ApwlCyACQQFqIQIMAQsLIANBAWoFIAMLQQF1NgIAIARBAWohBAwBCwsgAEKAgICAEDcC4CUL1gMCBn8DfSABKAL8JSIGQQAgBkEAShshByABKALkJSEIA0AgBSAHRkUEQCACIAVBAnRqKgIAIgwgCyALIAxdGyELIAVBAWohBQwBCwsgCyEMAkACQAJAQQJBASAEQQFGGyAAKAIsIgUgBUEDRhtBf2oOAgACAQsgC0MAAIA/XkEBc0UEQEMAAIB/IAuRiyALQwAAgP9bGyEMDAILIAu7RGZmZmZmZu4/orYhDAwBC0MAAIA/IQwgC0MAAIA/Xg0AIAu7RGZmZmZmZu4/orYhDAtD/UTXP0PX/qU/IAgbIQ1BACEHQQAhBANAAkAgByAGTg0AIAEgB0ECdCIIaiIJQYgmaigCACIKIARqIQQgAiAIaioCACAMXUUEQAJAIAAtAOiYBUECcUUNACAAIAhqQciXBWoiBiAGKAIAIgZFNgIAIAVBAkcNACAGDQILIAlBgCRqIgUgBSgCAEEBajYCAEEAIAprIgVBACAFQQBKGyEGA0AgBSAGRwRAIAMgBCAFakECdGoiCCANIAgqAgCUIgs4AgAgCyABKgKcJV5BAXNFBEAgASALOAKcJQsgBUEBaiEFDAELCyAAKAIsIgVBAkYNASABKAL8JSEGCyAHQQFqIQcMAQsLC+4IAgR9A3wCQAJAAkACQAJAAkACQAJAAkACQAJAAkACQAJAAkAgAA4JAgAFBgcICQoDAQsgAioCCCEFDAMLIAEoAgxBAU4EQCACKAIQIgAgASgCECIDRwRAIAAgA0whAAwOCyACKAIUIAEoAhRIIQAMDQtBACEAIAIqAggiBUMAAAAAXUEBcw0MIAVDAAAgQZQgAigCFLKSIAEqAghDAAAgQZQgASgCFLKSXyEADAwLQQEhACACKAIMIgMgASgCDCIESA0LIAMgBEcNCiACKgIAIgUgASoCACIGXQ0LAkAgBYsiByAGiyIIXkEBc0UEQEEAIQAgB7tEAAAAoPfGsD6iIAUgBpOLu2ZBAXNFDQEMDQtBACEAIAi7RAAAAKD3xrA+oiAFIAaTi7tmQQFzDQwLIAIqAgQgASoCBF0hAAwLCyACIAQgAxDIArYiBTgCCAsgBSABKgIIXSEADAkLIAIqAgQgASoCBF0hAAwIC0EAIQAgAioCBCABKgIEXUEBcw0HIAIqAgggASoCCF0hAAwHC0EBIQAgAioCCCIFQwAAAABfQQFzDQMgASoCCCIGuyIJRJqZmZmZmck/ZA0GIAZDAAAAAF1BAXMgBbsiCkSamZmZmZnJv6AiCyAJY0EBc3JFBEAgAioCBCABKgIEXQ0HCyAGQwAAAABeQQFzDQQgCyAJY0EBcw0EIAIqAgQgASoCBCABKgIAkl0NBgwEC0EBIQAgAioCACIFIAEqAgAiBl0NBQJAIAWLIgcgBosiCF5BAXNFBEBBACEAIAe7RAAAAKD3xrA+oiAFIAaTi7tmQQFzRQ0BDAcLQQAhACAIu0QAAACg98awPqIgBSAGk4u7ZkEBcw0GCyACKgIEIAEqAgRdIQAMBQtBASEAIAIqAgAiBSABKgIAIgZdDQQCQCAFiyIHIAaLIgheQQFzRQRAQQAhACAHu0QAAACg98awPqIgBSAGk4u7ZkEBc0UNAQwGC0EAIQAgCLtEAAAAoPfGsD6iIAUgBpOLu2ZBAXMNBQtBASEAIAIqAggiBSABKgIIIgZdDQQCQCAFiyIHIAaLIgheQQFzRQRAQQAhACAHu0QAAACg98awPqIgBSAGk4u7ZkEBc0UNAQwGC0EAIQAgCLtEAAAAoPfGsD6iIAUgBpOLu2ZBAXMNBQsgAioCBCABKgIEXyEADAQLQQEhACACKAIMIAEoAgxIDQMgAioCACABKgIAXSEADAMLIAW7IQoLIAVDAAAAAF5BAXMNAAJAIAEqAgi7IglEmpmZmZmZqb9kQQFzDQAgCkSamZmZmZm5v6AgCWNBAXMNACACKgIEIAIqAgCSIAEqAgQgASoCAJJdDQILIAlEmpmZmZmZub9kQQFzDQBBACEAIApEMzMzMzMzw7+gIAljQQFzDQEgAioCACIFIAUgAioCBJKSIAEqAgAiBSAFIAEqAgSSkl0hAAwBC0EAIQALIAEoAgwiBEEARyAAcSEDIAQgAEVyBH8gAwUgAigCFCABKAIUSAsLkQEAIAAgASACIAMgBBDLAkEAIQICQCABEKgBDQAgACgCUCABEC1FBEBBAQ8LIAAoAiBBAkgNACAAQciXBWpBAEGcARAFGgJAIAEoAuQlRQRAIAEgAxDKAgwBCyABKAK0JUECRw0BIAAoAiRBAUgNASAAIAEgAxDJAg0BIAEQqAENAQsgACgCUCABEC1FIQILIAILswIBB38gACADQQJ0aiIFQcCXBWoiCSgCACEDIAEgBUG4lwVqIgooAgAiCzYCrCUgAiABKALsJWshB0EAIQUDQCADQQFGIAcgACAEIAFBABA+IgJGckUEQCABQf8BQQACfyACIAdKBEAgBkECRiECQQEhBiADQQJtIANBASAFIAIbIgIbIgMMAQsgBkEBRiECQQIhBkEAIANBAm0gA0EBIAUgAhsiAhsiA2sLIAEoAqwlaiIFIAVBAEgiBRsiCCAIQf8BSiIIGzYCrCVBAUEBIAIgCBsgBRshBQwBCwsDQCACIAdMIAEoAqwlIgNB/gFKckUEQCABIANBAWo2AqwlIAAgBCABQQAQPiECDAELCyAJQQJBBCALIANrQQRIGzYCACAKIAEoAqwlNgIAIAEgAjYCoCULrgQBBX8jAEHQAWsiAiQAIAJCATcDCAJAIAFBAnQiBkUNACACQoSAgIDAADcDEEEEIQFBBCEFQQIhAwNAIAJBEGogA0ECdGogBSABIgRqQQRqIgE2AgAgA0EBaiEDIAQhBSABIAZJDQALAn8gACAGakF8aiIEIABNBEBBASEDQQEhAUEADAELQQEhA0EBIQEDQAJ/IANBA3FBA0YEQCAAIAEgAkEQahBMIAJBCGpBAhAxIAFBAmoMAQsCQCACQRBqIAFBf2oiBUECdGooAgAgBCAAa08EQCAAIAMgAigCDCABQQAgAkEQahAwDAELIAAgASACQRBqEEwLIAFBAUYEQCACQQhqQQEQL0EADAELIAJBCGogBRAvQQELIQEgAiACKAIIQQFyIgM2AgggAEEEaiIAIARJDQALIAIoAgwLIQUgACADIAUgAUEAIAJBEGoQMANAAn8CQAJAIAFBAUcgA0EBR3JFBEAgAigCDA0BDAULIAFBAUoNAQsgAkEIaiACQQhqEGsiBBAxIAIoAgghAyABIARqDAELIAJBCGpBAhAvIAIgAigCCEEHczYCCCACQQhqQQEQMSAAQXxqIgUgAkEQaiABQX5qIgRBAnRqKAIAayACKAIIIAIoAgwgAUF/akEBIAJBEGoQMCACQQhqQQEQLyACIAIoAghBAXIiAzYCCCAFIAMgAigCDCAEQQEgAkEQahAwIAQLIQEgAEF8aiEADAALAAsgAkHQAWokAAs7AQF/IAIEQANAIAAgASACQfwDIAJB/ANJGyIDEAMhACABQfwDaiEBIABB/ANqIQAgAiADayICDQALCwsL1MMBbABBgAgLhCBdPX9mnqDmPwAAAAAAiDk9RBd1+lKw5j8AAAAAAADYPP7ZC3USwOY/AAAAAAB4KL2/dtTd3M/mPwAAAAAAwB49KRplPLLf5j8AAAAAAADYvOM6WZiS7+Y/AAAAAAAAvLyGk1H5ff/mPwAAAAAA2C+9oy30ZnQP5z8AAAAAAIgsvcNf7Oh1H+c/AAAAAADAEz0Fz+qGgi/nPwAAAAAAMDi9UoGlSJo/5z8AAAAAAMAAvfzM1zW9T+c/AAAAAACILz3xZ0JW61/nPwAAAAAA4AM9SG2rsSRw5z8AAAAAANAnvThd3k9pgOc/AAAAAAAA3bwAHaw4uZDnPwAAAAAAAOM8eAHrcxSh5z8AAAAAAADtvGDQdgl7sec/AAAAAABAID0zwTAB7cHnPwAAAAAAAKA8Nob/YmrS5z8AAAAAAJAmvTtOzzbz4uc/AAAAAADgAr3ow5GEh/PnPwAAAAAAWCS9Ths+VCcE6D8AAAAAAAAzPRoH0a3SFOg/AAAAAAAADz1+zUyZiSXoPwAAAAAAwCG90EK5Hkw26D8AAAAAANApPbXKI0YaR+g/AAAAAAAQRz28W58X9FfoPwAAAAAAYCI9r5FEm9lo6D8AAAAAAMQyvZWjMdnKeeg/AAAAAAAAI724ZYrZx4roPwAAAAAAgCq9AFh4pNCb6D8AAAAAAADtvCOiKkLlrOg/AAAAAAAoMz36Gda6Bb7oPwAAAAAAtEI9g0O1FjLP6D8AAAAAANAuvUxmCF5q4Og/AAAAAABQIL0HeBWZrvHoPwAAAAAAKCg9Diwo0P4C6T8AAAAAALAcvZb/kQtbFOk/AAAAAADgBb35L6pTwyXpPwAAAAAAQPU8SsbNsDc36T8AAAAAACAXPa6YXyu4SOk/AAAAAAAACb3LUsjLRFrpPwAAAAAAaCU9IW92mt1r6T8AAAAAANA2vSpO3p+Cfek/AAAAAAAAAb2jI3rkM4/pPwAAAAAAAC09BAbKcPGg6T8AAAAAAKQ4vYn/U027suk/AAAAAABcNT1b8aOCkcTpPwAAAAAAuCY9xbhLGXTW6T8AAAAAAADsvI4j4xlj6Ok/AAAAAADQFz0C8weNXvrpPwAAAAAAQBY9TeVde2YM6j8AAAAAAAD1vPa4ju16Huo/AAAAAADgCT0nLkrsmzDqPwAAAAAA2Co9XQpGgMlC6j8AAAAAAPAavZslPrIDVeo/AAAAAABgCz0TYvSKSmfqPwAAAAAAiDg9p7MwE5556j8AAAAAACARPY0uwVP+i+o/AAAAAADABj3S/HlVa57qPwAAAAAAuCm9uG81IeWw6j8AAAAAAHArPYHz079rw+o/AAAAAAAA2TyAJzw6/9XqPwAAAAAAAOQ8o9JamZ/o6j8AAAAAAJAsvWfzIuZM++o/AAAAAABQFj2Qt40pBw7rPwAAAAAA1C89qYmabM4g6z8AAAAAAHASPUsaT7iiM+s/AAAAAABHTT3nR7cVhEbrPwAAAAAAODi9OlnljXJZ6z8AAAAAAACYPGrF8SlubOs/AAAAAADQCj1QXvvydn/rPwAAAAAAgN48skkn8oyS6z8AAAAAAMAEvQMGoTCwpes/AAAAAABwDb1mb5q34LjrPwAAAAAAkA09/8FLkB7M6z8AAAAAAKACPW+h88Np3+s/AAAAAAB4H724HddbwvLrPwAAAAAAoBC96bJBYSgG7D8AAAAAAEARveBShd2bGew/AAAAAADgCz3uZPrZHC3sPwAAAAAAQAm9L9D/X6tA7D8AAAAAANAOvRX9+nhHVOw/AAAAAABmOT3L0Fcu8WfsPwAAAAAAEBq9tsGIiah77D8AAAAAgEVYvTPnBpRtj+w/AAAAAABIGr3fxFFXQKPsPwAAAAAAAMs8lJDv3CC37D8AAAAAAEABPYkWbS4Py+w/AAAAAAAg8DwSxF1VC9/sPwAAAAAAYPM8O6tbWxXz7D8AAAAAAJAGvbyJB0otB+0/AAAAAACgCT36yAgrUxvtPwAAAAAA4BW9hYoNCIcv7T8AAAAAACgdPQOiyurIQ+0/AAAAAACgAT2RpPvcGFjtPwAAAAAAAN88oeZi6HZs7T8AAAAAAKADvU6DyRbjgO0/AAAAAADYDL2QYP9xXZXtPwAAAAAAwPQ8rjLbA+ap7T8AAAAAAJD/PCWDOtZ8vu0/AAAAAACA6TxFtAHzIdPtPwAAAAAAIPW8vwUcZNXn7T8AAAAAAHAdveyaezOX/O0/AAAAAAAUFr1efRlrZxHuPwAAAAAASAs956P1FEYm7j8AAAAAAM5APVzuFjszO+4/AAAAAABoDD20P4vnLlDuPwAAAAAAMAm9aG1nJDll7j8AAAAAAADlvERMx/tReu4/AAAAAAD4B70mt813eY/uPwAAAAAAcPO86JCkoq+k7j8AAAAAANDlPOTKfIb0ue4/AAAAAAAaFj0NaI4tSM/uPwAAAAAAUPU8FIUYoqrk7j8AAAAAAEDGPBNaYe4b+u4/AAAAAACA7rwGQbYcnA/vPwAAAAAAiPq8Y7lrNysl7z8AAAAAAJAsvXVy3UjJOu8/AAAAAAAAqjwkRW5bdlDvPwAAAAAA8PS8/USIeTJm7z8AAAAAAIDKPDi+nK39e+8/AAAAAAC8+jyCPCQC2JHvPwAAAAAAYNS8jpCegcGn7z8AAAAAAAwLvRHVkja6ve8/AAAAAADgwLyUcY8rwtPvPwAAAACA3hC97iMqa9np7z8AAAAAAEPuPAAAAAAAAPA/AAAAAAAAAAC+vFr6GgvwPwAAAAAAQLO8AzP7qT0W8D8AAAAAABcSvYICOxRoIfA/AAAAAABAujxsgHc+mizwPwAAAAAAmO88yrsRLtQ38D8AAAAAAEDHvIl/bugVQ/A/AAAAAAAw2DxnVPZyX07wPwAAAAAAPxq9WoUV07BZ8D8AAAAAAIQCvZUfPA4KZfA/AAAAAABg8Twa990pa3DwPwAAAAAAJBU9LahyK9R78D8AAAAAAKDpvNCbdRhFh/A/AAAAAABA5jzIB2b2vZLwPwAAAAAAeAC9g/PGyj6e8D8AAAAAAACYvDA5H5vHqfA/AAAAAACg/zz8iPlsWLXwPwAAAAAAyPq8imzkRfHA8D8AAAAAAMDZPBZIciuSzPA/AAAAAAAgBT3YXTkjO9jwPwAAAAAA0Pq889HTMuzj8D8AAAAAAKwbPaap31+l7/A/AAAAAADoBL3w0v6vZvvwPwAAAAAAMA29SyPXKDAH8T8AAAAAAFDxPFtbEtABE/E/AAAAAAAA7Dz5Kl6r2x7xPwAAAAAAvBY91TFswL0q8T8AAAAAAEDoPH0E8hSoNvE/AAAAAADQDr3pLamumkLxPwAAAAAA4Og8ODFPk5VO8T8AAAAAAEDrPHGOpciYWvE/AAAAAAAwBT3fw3FUpGbxPwAAAAAAOAM9EVJ9PLhy8T8AAAAAANQoPZ+7lYbUfvE/AAAAAADQBb2TjYw4+YrxPwAAAAAAiBy9Zl03WCaX8T8AAAAAAPARPafLb+tbo/E/AAAAAABIED3jhxP4ma/xPwAAAAAAOUe9VF0EhOC78T8AAAAAAOQkPUMcKJUvyPE/AAAAAAAgCr2yuWgxh9TxPwAAAAAAgOM8MUC0Xufg8T8AAAAAAMDqPDjZ/CJQ7fE/AAAAAACQAT33zTiEwfnxPwAAAAAAeBu9j41iiDsG8j8AAAAAAJQtPR6oeDW+EvI/AAAAAAAA2DxB3X2RSR/yPwAAAAAANCs9IxN5ot0r8j8AAAAAAPgZPedhdW56OPI/AAAAAADIGb0nFIL7H0XyPwAAAAAAMAI9AqayT85R8j8AAAAAAEgTvbDOHnGFXvI/AAAAAABwEj0WfeJlRWvyPwAAAAAA0BE9D+AdNA548j8AAAAAAO4xPT5j9eHfhPI/AAAAAADAFL0wu5F1upHyPwAAAAAA2BO9Cd8f9Z2e8j8AAAAAALAIPZsO0WaKq/I/AAAAAAB8Ir062trQf7jyPwAAAAAANCo9+Rp3OX7F8j8AAAAAAIAQvdkC5KaF0vI/AAAAAADQDr15FWQflt/yPwAAAAAAIPS8zy4+qa/s8j8AAAAAAJgkvSKIvUrS+fI/AAAAAAAwFr0ltjEK/gbzPwAAAAAANjK9C6Xu7TIU8z8AAAAAgN9wvbjXTPxwIfM/AAAAAABIIr2i6ag7uC7zPwAAAAAAmCW9Zhdksgg88z8AAAAAANAePSf642ZiSfM/AAAAAAAA3LwPn5JfxVbzPwAAAAAA2DC9uYjeojFk8z8AAAAAAMgiPTmqOjencfM/AAAAAABgID3+dB4jJn/zPwAAAAAAYBa9ONgFba6M8z8AAAAAAOAKvcM+cRtAmvM/AAAAAAByRL0goOU026fzPwAAAAAAIAg9lW7sv3+18z8AAAAAAIA+PfKoE8Mtw/M/AAAAAACA7zwi4e1E5dDzPwAAAAAAoBe9uzQSTKbe8z8AAAAAADAmPcxOHN9w7PM/AAAAAACmSL2MfqwERfrzPwAAAAAA3Dy9u6BnwyII9D8AAAAAALglPZUu9yEKFvQ/AAAAAADAHj1GRgkn+yP0PwAAAAAAYBO9IKlQ2fUx9D8AAAAAAJgjPeu5hD/6P/Q/AAAAAAAA+jwZiWFgCE70PwAAAAAAwPa8AdKnQiBc9D8AAAAAAMALvRYAHe1BavQ/AAAAAACAEr0mM4tmbXj0PwAAAAAA4DA9ADzBtaKG9D8AAAAAAEAtvQSvkuHhlPQ/AAAAAAAgDD1y09fwKqP0PwAAAAAAUB69Abht6n2x9D8AAAAAAIAHPeEpNtXav/Q/AAAAAACAE70ywRe4Qc70PwAAAAAAgAA92939mbLc9D8AAAAAAHAsPZar2IEt6/Q/AAAAAADgHL0CLZ12svn0PwAAAAAAIBk9wTFFf0EI9T8AAAAAAMAIvSpmz6LaFvU/AAAAAAAA+rzqUT/ofSX1PwAAAAAACEo92k6dVis09T8AAAAAANgmvRqs9vTiQvU/AAAAAABEMr3blF3KpFH1PwAAAAAAPEg9axHp3XBg9T8AAAAAALAkPd4ptTZHb/U/AAAAAABaQT0OxOLbJ371PwAAAAAA4Cm9b8eX1BKN9T8AAAAAAAgjvUwL/ycInPU/AAAAAADsTT0nVEjdB6v1PwAAAAAAAMS89Hqo+xG69T8AAAAAAAgwPQtGWYomyfU/AAAAAADIJr0/jpmQRdj1PwAAAAAAmkY94SCtFW/n9T8AAAAAAEAbvcrr3CCj9vU/AAAAAABwFz243Ha54QX2PwAAAAAA+CY9FffN5ioV9j8AAAAAAAABPTFVOrB+JPY/AAAAAADQFb21KRkd3TP2PwAAAAAA0BK9E8PMNEZD9j8AAAAAAIDqvPqOvP65UvY/AAAAAABgKL2XM1WCOGL2PwAAAAAA/nE9jjIIx8Fx9j8AAAAAACA3vX6pTNRVgfY/AAAAAACA5jxxlJ6x9JD2PwAAAAAAeCm9AQQDBQBBkCgLIAEFBQcFCAcJBQcHCQcJCQoEBQUGBQYGBwUGBgcGBwcIAEHAKAsuAgAAAAAAAABQFgAAABQAAAMAAAAAAAAAYBYAAHIWAAADAAAAAAAAAIAWAACSFgBBgCkLjgEEAAAAAAAAAKAWAADAFgAABAAAAAAAAADQFgAA8BYAAAYAAAAAAAAAABcAAFAXAAAGAAAAAAAAAIAXAADQFwAABgAAAAAAAAAAGAAAUBgAAAgAAAAAAAAAgBgAAAAZAAAIAAAAAAAAAEAZAADAGQAACAAAAAAAAAAAGgAAgBoAABAAAAAAAAAAwBoAAMAcAEGcKguSAsAdAAAQAAAAAAAAAMAeAADAIAAAAQAAAAEAAADAIQAAwCMAAAIAAAADAAAAwCEAAMAjAAADAAAABwAAAMAhAADAIwAABAAAAA8AAADAIQAAwCMAAAYAAAA/AAAAwCEAAMAjAAAIAAAA/wAAAMAhAADAIwAACgAAAP8DAADAIQAAwCMAAA0AAAD/HwAAwCEAAMAjAAAEAAAADwAAAMAkAADAJgAABQAAAB8AAADAJAAAwCYAAAYAAAA/AAAAwCQAAMAmAAAHAAAAfwAAAMAkAADAJgAACAAAAP8AAADAJAAAwCYAAAkAAAD/AQAAwCQAAMAmAAALAAAA/wcAAMAkAADAJgAADQAAAP8fAADAJAAAwCYAQbgsCwbAJwAAEBQAQcgsCw3gJwAAIBQAAAEAAQABAEHgLAvlAQEAAgABAAMAAQABAAMAAgAAAAEEBwQFBwYHCAAAAAAAAwACAAEAAQABAAEAAwACAAAAAgMHBAQHBgcIAAAAAAABAAIABgAFAAMAAQAEAAQABwAFAAcAAQAGAAEAAQAAAAEEBwgEBQgJBwgJCggICQoHAAMABQABAAYAAgADAAIABQAEAAQAAQADAAMAAgAAAAMEBggEBAYHBQYHCAcHCAkBAAIACgATABAACgADAAMABwAKAAUAAwALAAQADQARAAgABAAMAAsAEgAPAAsAAgAHAAYACQAOAAMAAQAGAAQABQADAAIAQdAuCyQBBAcJCQoEBggJCQoHBwkKCgsICQoLCwsICQoLCwwJCgsMDAwAQYAvC0UDAAQABgASAAwABQAFAAEAAgAQAAkAAwAHAAMABQAOAAcAAwATABEADwANAAoABAANAAUACAALAAUAAQAMAAQABAABAAEAQdAvCyQCBAcJCQoEBAYKCgoHBggKCgsJCgoLCwwJCQoLDAwKCgsLDQ0AQYAwC0UHAAUACQAOAA8ABwAGAAQABQAFAAYABwAHAAYACAAIAAgABQAPAAYACQAKAAUAAQALAAcACQAGAAQAAQAOAAQABgACAAYAQdAwCyQDBAYHCQoEBQYHCAoFBgcICQoHBwgJCQoICAkJCgsJCQoKCwsAQYAxC6MnAQACAAoAFwAjAB4ADAARAAMAAwAIAAwAEgAVAAwABwALAAkADwAVACAAKAATAAYADgANABYAIgAuABcAEgAHABQAEwAhAC8AGwAWAAkAAwAfABYAKQAaABUAFAAFAAMADgANAAoACwAQAAYABQABAAkACAAHAAgABAAEAAIAAAABBAcJCgoKCwQGCAkKCwoKBwgJCgsMCwsICQoLDAwLDAkKCwwMDAwMCgsMDA0NDA0JCgsMDAwNDQoKCwwMDQ0NAwAEAAoAGAAiACEAFQAPAAUAAwAEAAoAIAARAAsACgALAAcADQASAB4AHwAUAAUAGQALABMAOwAbABIADAAFACMAIQAfADoAHgAQAAcABQAcABoAIAATABEADwAIAA4ADgAMAAkADQAOAAkABAABAAsABAAGAAYABgADAAIAAAACBAYICQoJCgQFBggKCgkKBgcICQoLCgoICAkLCgwKCwkKCgsLDAsMCQoLDAwNDA0JCQkKCwwMDAkJCgsMDAwMCQAGABAAIQApACcAJgAaAAcABQAGAAkAFwAQABoACwARAAcACwAOABUAHgAKAAcAEQAKAA8ADAASABwADgAFACAADQAWABMAEgAQAAkABQAoABEAHwAdABEADQAEAAIAGwAMAAsADwAKAAcABAABABsADAAIAAwABgADAAEAAAAEBAYICQoKCgQFBgcJCQoKBgYHCAkKCQoHBwgICQoKCggICQkKCgoLCQkKCgoLCgsJCQkKCgsLDAoKCgsLCwsMAQAFAA4AFQAiADMALgBHACoANABEADQAQwAsACsAEwADAAQADAATAB8AGgAsACEAHwAYACAAGAAfACMAFgAOAA8ADQAXACQAOwAxAE0AQQAdACgAHgAoABsAIQAqABAAFgAUACUAPQA4AE8ASQBAACsATAA4ACUAGgAfABkADgAjABAAPAA5AGEASwByAFsANgBJADcAKQAwADUAFwAYADoAGwAyAGAATABGAF0AVABNADoATwAdAEoAMQApABEALwAtAE4ASgBzAF4AWgBPAEUAUwBHADIAOwAmACQADwBIACIAOABfAFwAVQBbAFoAVgBJAE0AQQAzACwAKwAqACsAFAAeACwANwBOAEgAVwBOAD0ALgA2ACUAHgAUABAANQAZACkAJQAsADsANgBRAEIATAA5ADYAJQASACcACwAjACEAHwA5ACoAUgBIAFAALwA6ADcAFQAWABoAJgAWADUAGQAXACYARgA8ADMAJAA3ABoAIgAXABsADgAJAAcAIgAgABwAJwAxAEsAHgA0ADAAKAA0ABwAEgARAAkABQAtABUAIgBAADgAMgAxAC0AHwATAAwADwAKAAcABgADADAAFwAUACcAJAAjADUAFQAQABcADQAKAAYAAQAEAAIAEAAPABEAGwAZABQAHQALABEADAAQAAgAAQABAAAAAQABBQcICQoKCwoLDAwNDQ4OBAYICQoKCwsLCwwMDQ4ODgcICQoLCwwMCwwMDQ0ODw8ICQoLCwwMDAwNDQ0NDg8PCQkLCwwMDQ0MDQ0ODg8PEAoKCwwMDA0NDQ0ODQ8PEBAKCwwMDQ0NDQ0ODg4PDxAQCwsMDQ0NDg4ODg8PDxASEgoKCwwMDQ0ODg4ODw8QERELCwwMDQ0NDw4PDxAQEBIRCwwMDQ0ODg8ODxAPEBESEwwMDA0ODg4ODw8PEBERERIMDQ0ODg8ODxAQEREREhISDQ0ODw8PEBAQEBAREhESEg4ODg8PDxEQEBMRERETEhINDg8QEBAREBEREhIVFBUSAQUHCQoKCwsMDAwNDQ0OCwQGCAkKCwsLDAwMDQ4NDgsHCAkKCwsMDA0MDQ0NDg4MCQkKCwsMDAwNDQ4ODg8PDQoKCwsMDA0NDQ4ODg8PDwwKCgsLDA0NDg0ODg8PDxANCwsLDA0NDQ0ODg4ODw8QDQsLDAwNDQ0ODg8PDw8REQ0LDAwNDQ0ODg8PDw8QEBANDAwMDQ0ODg8PDw8QDxAPDgwNDA0ODg4ODxAQEBEREA0NDQ0NDg4PEBAQEBAQDxAODQ4ODg4PDw8PERAQEBASDg8ODg4PDxAQEBIRERETEQ4ODw0OEBAPEBAREhETERAOCwsLDAwNDQ0ODg4ODg4ODAcADAASADUALwBMAHwAbABZAHsAbAB3AGsAUQB6AD8ADQAFABAAGwAuACQAPQAzACoARgA0AFMAQQApADsAJAATABEADwAYACkAIgA7ADAAKABAADIATgA+AFAAOAAhAB0AHAAZACsAJwA/ADcAXQBMADsAXQBIADYASwAyAB0ANAAWACoAKABDADkAXwBPAEgAOQBZAEUAMQBCAC4AGwBNACUAIwBCADoANABbAEoAPgAwAE8APwBaAD4AKAAmAH0AIAA8ADgAMgBcAE4AQQA3AFcARwAzAEkAMwBGAB4AbQA1ADEAXgBYAEsAQgB6AFsASQA4ACoAQAAsABUAGQBaACsAKQBNAEkAPwA4AFwATQBCAC8AQwAwADUAJAAUAEcAIgBDADwAOgAxAFgATABDAGoARwA2ACYAJwAXAA8AbQA1ADMALwBaAFIAOgA5ADAASAA5ACkAFwAbAD4ACQBWACoAKAAlAEYAQAA0ACsARgA3ACoAGQAdABIACwALAHYARAAeADcAMgAuAEoAQQAxACcAGAAQABYADQAOAAcAWwAsACcAJgAiAD8ANAAtAB8ANAAcABMADgAIAAkAAwB7ADwAOgA1AC8AKwAgABYAJQAYABEADAAPAAoAAgABAEcAJQAiAB4AHAAUABEAGgAVABAACgAGAAgABgACAAAAAwUGCAgJCgoKCwsMDAwNDgUFBwgJCQoKCgsLDAwMDQ0GBwcICQkKCgoLCwwMDQ0NBwgICQkKCgsLCwwMDA0NDQgICQkKCgsLCwsMDAwNDQ0JCQkKCgoLCwsLDAwNDQ0OCgkKCgoLCwsLDAwMDQ0ODgoKCgsLCwsMDAwMDA0NDQ4KCgoLCwsLDAwMDA0NDg4OCgoLCwsLDAwMDQ0NDQ4ODgsLCwsMDAwMDA0NDQ0ODw4LCwsLDAwMDA0NDQ0ODg4PDAwLDAwMDQ0NDQ0NDg4PDwwMDAwMDQ0NDQ4ODg4ODw8NDQ0NDQ0NDQ4ODg4PDw4PDQ0NDQ0NDQ4ODg4ODw8PDwEABQAOACwASgA/AG4AXQCsAJUAigDyAOEAwwB4AREAAwAEAAwAFAAjAD4ANQAvAFMASwBEAHcAyQBrAM8ACQAPAA0AFwAmAEMAOgBnAFoAoQBIAH8AdQBuANEAzgAQAC0AFQAnAEUAQAByAGMAVwCeAIwA/ADUAMcAgwFtARoASwAkAEQAQQBzAGUAswCkAJsACAH2AOIAiwF+AWoBCQBCAB4AOwA4AGYAuQCtAAkBjgD9AOgAkAGEAXoBvQEQAG8ANgA0AGQAuACyAKAAhQABAfQA5ADZAIEBbgHLAgoAYgAwAFsAWAClAJ0AlAAFAfgAlwGNAXQBfAF5A3QDCABVAFQAUQCfAJwAjwAEAfkAqwGRAYgBfwHXAskCxAIHAJoATABJAI0AgwAAAfUAqgGWAYoBgAHfAmcBxgJgAQsAiwCBAEMAfQD3AOkA5QDbAIkB5wLhAtACdQNyA7cBBADzAHgAdgBzAOMA3wCMAeoC5gLgAtECyALCAt8AtAEGAMoA4ADeANoA2ACFAYIBfQFsAXgDuwHDArgBtQHABgQA6wLTANIA0AByAXsB3gLTAsoCxwZzA20DbAODDWEDAgB5AXEBZgC7ANYC0gJmAccCxQJiA8YGZwOCDWYDsgEAAAwACgAHAAsACgARAAsACQANAAwACgAHAAUAAwABAAMAAQUHCQoKCwsMDAwNDQ0OCgQGCAkKCwsLDAwMDQ4NDgoHCAkKCwsMDA0MDQ0NDg4LCQkKCwsMDAwNDQ4ODg8PDAoKCwsMDA0NDQ4ODg8PDwsKCgsLDA0NDg0ODg8PDxAMCwsLDA0NDQ0ODg4ODw8QDAsLDAwNDQ0ODg8PDw8REQwLDAwNDQ0ODg8PDw8QEBAMDAwMDQ0ODg8PDw8QDxAPDQwNDA0ODg4ODxAQEBEREAwNDQ0NDg4PEBAQEBAQDxANDQ4ODg4PDw8PERAQEBASDQ8ODg4PDxAQEBIRERETEQ0ODw0OEBAPEBAREhETERANCgoKCwsMDAwNDQ0NDQ0NCg8ADQAuAFAAkgAGAfgAsgGqAZ0CjQKJAm0CBQIIBFgADgAMABUAJgBHAIIAegDYANEAxgBHAVkBPwEpARcBKgAvABYAKQBKAEQAgAB4AN0AzwDCALYAVAE7AScBHQISAFEAJwBLAEYAhgB9AHQA3ADMAL4AsgBFATcBJQEPARAAkwBIAEUAhwB/AHYAcADSAMgAvABgAUMBMgEdARwCDgAHAUIAgQB+AHcAcgDWAMoAwAC0AFUBPQEtARkBBgEMAPkAewB5AHUAcQDXAM4AwwC5AFsBSgE0ASMBEAEIAgoAswFzAG8AbQDTAMsAxAC7AGEBTAE5ASoBGwETAn0BEQCrAdQA0ADNAMkAwQC6ALEAqQBAAS8BHgEMAQICeQEQAE8BxwDFAL8AvQC1AK4ATQFBATEBIQETAQkCewFzAQsAnAK4ALcAswCvAFgBSwE6ATABIgEVARICfwF1AW4BCgCMAloBqwCoAKQAPgE1ASsBHwEUAQcBAQJ3AXABagEGAIgCQgE8ATgBMwEuASQBHAENAQUBAAJ4AXIBbAFnAQQAbAIsASgBJgEgARoBEQEKAQMCfAF2AXEBbQFpAWUBAgAJBBgBFgESAQsBCAEDAX4BegF0AW8BawFoAWYBZAEAACsAFAATABEADwANAAsACQAHAAYABAAHAAUAAwABAAMABAUHCAkKCgsLDAwMDAwNCgUGBwgJCgoLCwsMDAwMDAoHBwgJCQoKCwsLCwwMDA0JCAgJCQoKCgsLCwsMDAwMCQkJCQoKCgoLCwsMDAwMDQkKCQoKCgoLCwsLDAwMDAwJCgoKCgoLCwsLDAwMDAwNCQsKCgoLCwsLDAwMDAwNDQoLCwsLCwsLCwsMDAwMDQ0KCwsLCwsLCwwMDAwMDQ0NCgwLCwsLDAwMDAwMDQ0NDQoMDAsLCwwMDAwMDA0NDQ0KDAwMDAwMDAwMDA0NDQ0NCgwMDAwMDAwMDQ0NDQ0NDQoNDAwMDAwMDQ0NDQ0NDQ0KCQkJCQkJCQkJCQkKCgoKBgEACgAIABQADAAUABAAIAAOAAwAGAAAABwAEAAYABAADwAcABoAMAAWACgAJABAAA4AGAAUACAADAAQAAgAAAAEAAEABQAFAAcABwAIAAkACQAKAAoACgAKAAsACwALAAsADAAMAAwADAAMAAwADQAMAA0ADAANAA0ADgAKAAoABQAEAAYABgAHAAgACAAJAAkACgAKAAsACgALAAsACwALAAwACwAMAAwADAAMAA0ADAAOAAwADQAMAA4ACgAKAAcABwAHAAgACAAJAAkACgAJAAsACgALAAoADAALAAwACwANAAsADAALAA0ADAANAAwADQAMAA4ADQAOAAkACwAIAAkACAAJAAkACgAJAAsACgALAAoADAAKAAwACwAMAAsADQALAA0ACwAOAAwADgAMAA4ADAAPAAwADwAJAAwACQAKAAkACgAJAAsACgALAAoADAAKAAwACgANAAsADQALAA0ACwAOAAwADgAMAA4ADAAPAAwADwANAA8ACQALAAoACgAJAAoACgALAAoACwAKAAwACgANAAsADQALAA4ACwANAAsADgAMAA4ADAAPAAwADwAMAA8ADAAQAAkADAAKAAsACgALAAoACwAKAAwACgANAAsADQALAA0ACwANAAsADgAMAA4ADAAOAAwADgAMAA8ADAAPAA0AEAAJAAwACwALAAoACwAKAAwACgAMAAsADQALAA0ACwANAAsADgAMAA4ADAAPAAwADwAMAA8ADAAPAA0AEQANABEACgAMAAsACwALAAwACwAMAAsADQALAA0ACwANAAsADgALAA4ACwAPAAwADwAMAA8ADAAPAAwAEAANABAADQAQAAoADAALAAwACwAMAAsADAALAA0ACwANAAsADgALAA4ADAAPAAwADwAMAA8ADAAPAAwAEAANAA8ADQAQAA0ADwAKAA0ADAAMAAsADQALAAwACwANAAsADgAMAA4ADAAOAAwADgAMAA8ADAAQAAwAEAANABAADQARAA0AEQANABAACgAMAAwADQAMAA0ACwANAAsADQALAA4ADAAOAAwADwAMABAADAAQAAwAEAAMABAADQAQAA0AEAANAA8ADQAQAAoADQAMAA0ADAAOAAwADgAMAA4ADAAOAAwADwAMAA8ADAAPAAwADwAMABEADQAQAA0AEAANABAADQAQAA0AEgAKAA0ADAAPAAwADgAMAA4ADAAOAAwADwAMAA8ADAAQAAwAEAANABAADQASAA0AEQANABEADQARAA0AEwANABEACgANAA0ADgAMAA8ADAANAAwADgAMABAADAAQAAwADwANABAADQAQAA0AEQANABIADQARAA0AEwANABEADQAQAAoADQAJAAoACQAKAAkACgAJAAsACQALAAkADAAJAAwACQAMAAkADQAJAA0ACQANAAoADQAKAA0ACgANAAoADQAGAAoAAgABAAMABAAHAAcABAAEAAQABQAHAAcABgAGAAcABwAIAAgAQbDYAAuRAgMAAQAEAAQABgAHAAgACAAEAAQABAAFAAYACAAHAAkABQAHAAYACAAHAAkACAAKAAcACAAHAAgACAAJAAkACgAAAAAACAAAABAAAAAYAAAAIAAAACgAAAAwAAAAOAAAAEAAAABQAAAAYAAAAHAAAACAAAAAkAAAAKAAAAD/////AAAAACAAAAAoAAAAMAAAADgAAABAAAAAUAAAAGAAAABwAAAAgAAAAKAAAADAAAAA4AAAAAABAABAAQAA/////wAAAAAIAAAAEAAAABgAAAAgAAAAKAAAADAAAAA4AAAAQAAAAP////////////////////////////////////8AAAAABgAAAAsAAAAQAAAAFQBB0NoAC4sBCAAAABAAAAAYAAAAIAAAACgAAAAwAAAAOAAAAEAAAABQAAAAYAAAAHAAAACAAAAAoAAAAMAAAADgAAAAAAEAAEABAAAzLjEwMABodHRwOi8vbGFtZS5zZi5uZXQAMzJiaXRzAEVycm9yOiBjYW4ndCBhbGxvY2F0ZSBWYnJGcmFtZXMgYnVmZmVyCgBB5NsAC58JwcAAAIHBAABAAQAAAcMAAMADAACAAgAAQcIAAAHGAADABgAAgAcAAEHHAAAABQAAwcUAAIHEAABABAAAAcwAAMAMAACADQAAQc0AAAAPAADBzwAAgc4AAEAOAAAACgAAwcoAAIHLAABACwAAAckAAMAJAACACAAAQcgAAAHYAADAGAAAgBkAAEHZAAAAGwAAwdsAAIHaAABAGgAAAB4AAMHeAACB3wAAQB8AAAHdAADAHQAAgBwAAEHcAAAAFAAAwdQAAIHVAABAFQAAAdcAAMAXAACAFgAAQdYAAAHSAADAEgAAgBMAAEHTAAAAEQAAwdEAAIHQAABAEAAAAfAAAMAwAACAMQAAQfEAAAAzAADB8wAAgfIAAEAyAAAANgAAwfYAAIH3AABANwAAAfUAAMA1AACANAAAQfQAAAA8AADB/AAAgf0AAEA9AAAB/wAAwD8AAIA+AABB/gAAAfoAAMA6AACAOwAAQfsAAAA5AADB+QAAgfgAAEA4AAAAKAAAwegAAIHpAABAKQAAAesAAMArAACAKgAAQeoAAAHuAADALgAAgC8AAEHvAAAALQAAwe0AAIHsAABALAAAAeQAAMAkAACAJQAAQeUAAAAnAADB5wAAgeYAAEAmAAAAIgAAweIAAIHjAABAIwAAAeEAAMAhAACAIAAAQeAAAAGgAADAYAAAgGEAAEGhAAAAYwAAwaMAAIGiAABAYgAAAGYAAMGmAACBpwAAQGcAAAGlAADAZQAAgGQAAEGkAAAAbAAAwawAAIGtAABAbQAAAa8AAMBvAACAbgAAQa4AAAGqAADAagAAgGsAAEGrAAAAaQAAwakAAIGoAABAaAAAAHgAAMG4AACBuQAAQHkAAAG7AADAewAAgHoAAEG6AAABvgAAwH4AAIB/AABBvwAAAH0AAMG9AACBvAAAQHwAAAG0AADAdAAAgHUAAEG1AAAAdwAAwbcAAIG2AABAdgAAAHIAAMGyAACBswAAQHMAAAGxAADAcQAAgHAAAEGwAAAAUAAAwZAAAIGRAABAUQAAAZMAAMBTAACAUgAAQZIAAAGWAADAVgAAgFcAAEGXAAAAVQAAwZUAAIGUAABAVAAAAZwAAMBcAACAXQAAQZ0AAABfAADBnwAAgZ4AAEBeAAAAWgAAwZoAAIGbAABAWwAAAZkAAMBZAACAWAAAQZgAAAGIAADASAAAgEkAAEGJAAAASwAAwYsAAIGKAABASgAAAE4AAMGOAACBjwAAQE8AAAGNAADATQAAgEwAAEGMAAAARAAAwYQAAIGFAABARQAAAYcAAMBHAACARgAAQYYAAAGCAADAQgAAgEMAAEGDAAAAQQAAwYEAAIGAAABAQAAAABAAAAAQAAAAEAAAABAAAElOVEVSTkFMIEVSUk9SIElOIFZCUiBORVcgQ09ERSAoMTMxMyksIHBsZWFzZSBzZW5kIGJ1ZyByZXBvcnQKbWF4Yml0cz0lZCB1c2VkYml0cz0lZAoASU5URVJOQUwgRVJST1IgSU4gVkJSIE5FVyBDT0RFICg5ODYpLCBwbGVhc2Ugc2VuZCBidWcgcmVwb3J0CgBBkOUACxUPDw8PDw8PDw8PDwcHBwcHBwcHBwcAQbDlAAsLBwcHBwcHAwMDAwMAQdDlAAteDw8PDw8PDw8PDw8PDw8PDw8PBwcHBwcHBwcHBwcHBwcHBwcHAAAASU5URVJOQUwgRVJST1IgSU4gVkJSIE5FVyBDT0RFLCBwbGVhc2Ugc2VuZCBidWcgcmVwb3J0CgBB3OYACyUBAAAAAQAAAAEAAAABAAAAAgAAAAIAAAADAAAAAwAAAAMAAAACAEGQ5wALZQYAAAAFAAAABQAAAAUAAAAJAAAACQAAAAkAAAAJAAAABgAAAAkAAAAJAAAACQAAAAYAAAAFAAAABwAAAAMAAAAJAAAACQAAAAwAAAAGAAAABgAAAAkAAAAMAAAABgAAAAsAAAAKAEGA6AALBRIAAAASAEGQ6AALBQ8AAAASAEGg6AALiQEHAAAABwAAAAcAAAAAAAAADAAAAAwAAAAMAAAAAAAAAAYAAAAPAAAADAAAAAAAAAAGAAAABgAAAAYAAAADAAAADAAAAAkAAAAJAAAABgAAAAYAAAAMAAAACQAAAAYAAAAIAAAACAAAAAUAAAAAAAAADwAAAAwAAAAJAAAAAAAAAAYAAAASAAAACQBBtOkAC40BBgAAAAwAAAASAAAAGAAAAB4AAAAkAAAALAAAADYAAABCAAAAUAAAAGAAAAB0AAAAjAAAAKgAAADIAAAA7gAAABwBAABQAQAAjAEAANABAAAKAgAAQAIAAAAAAAAEAAAACAAAAAwAAAASAAAAGAAAACAAAAAqAAAAOAAAAEoAAABkAAAAhAAAAK4AAADAAEGA6wALjQEGAAAADAAAABIAAAAYAAAAHgAAACQAAAAsAAAANgAAAEIAAABQAAAAYAAAAHIAAACIAAAAogAAAMIAAADoAAAAFgEAAEwBAACKAQAA0AEAABwCAABAAgAAAAAAAAQAAAAIAAAADAAAABIAAAAaAAAAJAAAADAAAAA+AAAAUAAAAGgAAACIAAAAtAAAAMAAQczsAAuNAQYAAAAMAAAAEgAAABgAAAAeAAAAJAAAACwAAAA2AAAAQgAAAFAAAABgAAAAdAAAAIwAAACoAAAAyAAAAO4AAAAcAQAAUAEAAIwBAADQAQAACgIAAEACAAAAAAAABAAAAAgAAAAMAAAAEgAAABoAAAAkAAAAMAAAAD4AAABQAAAAaAAAAIYAAACuAAAAwABBmO4AC40BBAAAAAgAAAAMAAAAEAAAABQAAAAYAAAAHgAAACQAAAAsAAAANAAAAD4AAABKAAAAWgAAAG4AAACGAAAAogAAAMQAAADuAAAAIAEAAFYBAACiAQAAQAIAAAAAAAAEAAAACAAAAAwAAAAQAAAAFgAAAB4AAAAoAAAANAAAAEIAAABUAAAAagAAAIgAAADAAEHk7wALjQEEAAAACAAAAAwAAAAQAAAAFAAAABgAAAAeAAAAJAAAACoAAAAyAAAAPAAAAEgAAABYAAAAagAAAIAAAACcAAAAvgAAAOYAAAAUAQAASgEAAIABAABAAgAAAAAAAAQAAAAIAAAADAAAABAAAAAWAAAAHAAAACYAAAAyAAAAQAAAAFAAAABkAAAAfgAAAMAAQbDxAAuNAQQAAAAIAAAADAAAABAAAAAUAAAAGAAAAB4AAAAkAAAALAAAADYAAABCAAAAUgAAAGYAAAB+AAAAnAAAAMIAAADwAAAAKAEAAGwBAADAAQAAJgIAAEACAAAAAAAABAAAAAgAAAAMAAAAEAAAABYAAAAeAAAAKgAAADoAAABOAAAAaAAAAIoAAAC0AAAAwABB/PIAC40BBgAAAAwAAAASAAAAGAAAAB4AAAAkAAAALAAAADYAAABCAAAAUAAAAGAAAAB0AAAAjAAAAKgAAADIAAAA7gAAABwBAABQAQAAjAEAANABAAAKAgAAQAIAAAAAAAAEAAAACAAAAAwAAAASAAAAGgAAACQAAAAwAAAAPgAAAFAAAABoAAAAhgAAAK4AAADAAEHI9AALjQEGAAAADAAAABIAAAAYAAAAHgAAACQAAAAsAAAANgAAAEIAAABQAAAAYAAAAHQAAACMAAAAqAAAAMgAAADuAAAAHAEAAFABAACMAQAA0AEAAAoCAABAAgAAAAAAAAQAAAAIAAAADAAAABIAAAAaAAAAJAAAADAAAAA+AAAAUAAAAGgAAACGAAAArgAAAMAAQZT2AAuNAQwAAAAYAAAAJAAAADAAAAA8AAAASAAAAFgAAABsAAAAhAAAAKAAAADAAAAA6AAAABgBAABQAQAAkAEAANwBAAA2AgAAOAIAADoCAAA8AgAAPgIAAEACAAAAAAAACAAAABAAAAAYAAAAJAAAADQAAABIAAAAYAAAAHwAAACgAAAAogAAAKQAAACmAAAAwABB4PcACyUPAAAADwAAAAcAAAAHAAAADwAAAA8AAAAHAAAAAAAAAAcAAAADAEGQ+AALJQ8AAAAfAAAAHwAAAAAAAAAHAAAABwAAAAcAAAAAAAAAAwAAAAMAQcT4AAv5AgEAAAACAAAAAgAAAAMAAAADAAAAAwAAAAMAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAAAAAASAAAAJAAAADYAAAA2AAAAJAAAADYAAABIAAAANgAAAEgAAABaAAAASAAAAFoAAABsAAAAbAAAAH4AAAAAAAAAEgAAACQAAAA2AAAAMwAAACMAAAA1AAAARwAAADQAAABGAAAAWAAAAEUAAABXAAAAaQAAAGgAAAB6AAAAAAAAAAoAAAAUAAAAHgAAACEAAAAVAAAAHwAAACkAAAAgAAAAKgAAADQAAAArAAAANQAAAD8AAABAAAAASgAAAAEAAAABAAAAAQAAAAEAAAAIAAAAAgAAAAIAAAACAAAABAAAAAQAAAAEAAAACAAAAAgAAAAIAAAAEAAAABAAAAABAAAAAgAAAAQAAAAIAAAAAQAAAAIAAAAEAAAACAAAAAIAAAAEAAAACAAAAAIAAAAEAAAACAAAAAQAAAAIAEHQ+wALbQMAAAABAAAAAQAAAAEAAAACAAAAAgAAAAIAAAADAAAAAwAAAAMAAAAEAAAABAAAAAAAAAABAAAAAgAAAAMAAAAAAAAAAQAAAAIAAAADAAAAAQAAAAIAAAADAAAAAQAAAAIAAAADAAAAAgAAAAMAQez8AAuJAQEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAIAAAACAAAAAgAAAAIAAAADAAAAAgAAAAMAAAADAAAABAAAAAMAAAAEAAAAAwAAAAQAAAAEAAAABQAAAAQAAAAFAAAABAAAAAYAAAAFAAAABgAAAAUAAAAGAAAABQAAAAcAAAAGAAAABwAAAAYAAAAHAEGA/gAL4wUKAAAACwAAAAwAAAAMAAAADQAAAA0AAAANAAAADQAAAA0AAAANAAAADQAAAA0AAAANAAAADQAAAA0AAAANAAAAAQAAAAIAAAAFAAAABwAAAAcAAAAKAAAACgAAAA0AAAANAAAADQAAAA0AAAANAAAADQAAAA0AAAANAAAAc3RyYW5nZSBlcnJvciBmbHVzaGluZyBidWZmZXIgLi4uIAoASW50ZXJuYWwgYnVmZmVyIGluY29uc2lzdGVuY3kuIGZsdXNoYml0cyA8PiBSZXN2U2l6ZQBiaXQgcmVzZXJ2b2lyIGVycm9yOiAKbDNfc2lkZS0+bWFpbl9kYXRhX2JlZ2luOiAlaSAKUmVzdm9pciBzaXplOiAgICAgICAgICAgICAlaSAKcmVzdiBkcmFpbiAocG9zdCkgICAgICAgICAlaSAKcmVzdiBkcmFpbiAocHJlKSAgICAgICAgICAlaSAKaGVhZGVyIGFuZCBzaWRlaW5mbzogICAgICAlaSAKZGF0YSBiaXRzOiAgICAgICAgICAgICAgICAlaSAKdG90YWwgYml0czogICAgICAgICAgICAgICAlaSAocmVtYWluZGVyOiAlaSkgCmJpdHNwZXJmcmFtZTogICAgICAgICAgICAgJWkgCgBUaGlzIGlzIGEgZmF0YWwgZXJyb3IuICBJdCBoYXMgc2V2ZXJhbCBwb3NzaWJsZSBjYXVzZXM6ADkwJSUgIExBTUUgY29tcGlsZWQgd2l0aCBidWdneSB2ZXJzaW9uIG9mIGdjYyB1c2luZyBhZHZhbmNlZCBvcHRpbWl6YXRpb25zACA5JSUgIFlvdXIgc3lzdGVtIGlzIG92ZXJjbG9ja2VkACAxJSUgIGJ1ZyBpbiBMQU1FIGVuY29kaW5nIGxpYnJhcnkARXJyb3I6IE1BWF9IRUFERVJfQlVGIHRvbyBzbWFsbCBpbiBiaXRzdHJlYW0uYyAKAEH0gwELzAQJAAAACQAAAAAAAABmZqZAAAD6QmZmhsCamcnAmpmZQAAAgD8AAAAAAAAAAAIAAAAVAAAA7FF4PwAAoEAAAMhCAQAAAAkAAAAJAAAAAAAAAJqZqUAAAPpCZmZmwDMzs8AAAJBAAADAPwAAAAAAAAAAAgAAABUAAADNzKw/AACgQAAAyEICAAAACQAAAAkAAAAAAAAAMzOzQAAA+kLNzAzAAABgwDMzM0AAAABAAAAAAAAAAAACAAAAFQAAAFK4vj8AAKBAAADIQgMAAAAJAAAACQAAAAEAAACamblAAAACQ2Zm5r8zMzPAZmYmQAAAQEAAAIDAAAAAAAIAAAAUAAAAhevRPwAAoEAAAMhCBAAAAAkAAAAJAAAAAQAAAAAAwEAAAAdDMzMzv83MjL/NzIw/AABgQAAAAMEAAAAAAgAAAAAAAAC4HuU/AACgQAAAyEIFAAAACQAAAAkAAAABAAAAzczMQAAADEMAAAA/zczMPgAA8MAAAIBAAABAwRe3UTkAAAAAAAAAAJqZ+T8AAKBAAADIQgYAAAAJAAAACQAAAAEAAAAzM9NAAAARQx+FKz9mZiY/MzNrwQAA0EAAAJjBF7fROQAAAAAAAAAAMzMTQAAAoEAAAMhCBwAAAAkAAAAJAAAAAQAAADMz00AAABFDzcxMPwAAQD+amZ3BAAAAQQAAsMFSSR06AAAAAAAAAADNzCxAAACgQAAAyEIIAAAACQAAAAkAAAABAAAAMzPTQAAAEUOamZk/MzOTPwAA3MEAACBBAAC4wTSANzoAQc6IAQs2oEAAAMhCCQAAAAkAAAAJAAAAAQAAADMz00AAABFDzczMP83MzD8AABDCAAAwQQAAyMEXt1E6AEGSiQELNqBAAADIQgoAAAAJAAAACQAAAAEAAAAzM9NAAAARQwAAAEAAAABAAAAQwgAAQEEAAMjBF7dROgBB1okBC+IFoEAAAMhCAAAAAAAAAAAJAAAACQAAAAAAAABmZoZAAADIQZqZ2cCamdnAMzPjQAAAgD8AAAAAAAAAAAIAAAAfAAAAAACAPwAAoEAAAMhCAQAAAAkAAAAJAAAAAAAAAGZmhkAAAMhBmpmZwJqZmcDNzKxAMzOzPwAAgL8AAAAAAgAAABsAAACynY8/AACgQAAAxEICAAAACQAAAAkAAAAAAAAAZmaGQAAAyEFmZibAZmYmwM3MbEAAAABAAABAwAAAAAACAAAAFwAAAC/dpD8AAKBAAADCQgMAAAAJAAAACQAAAAEAAABmZoZAAADIQc3MzL/NzMy/AAAAQAAAAEAAAKDAAAAAAAIAAAASAAAA30+9PwAAoEAAAMBCBAAAAAkAAAAJAAAAAQAAAGZmhkAAAMhBAAAAgAAAAIAAAAAAAAAAQAAAAMEAAAAAAgAAAAwAAAAQWNk/AACgQAAAvkIFAAAACQAAAAkAAAABAAAAZmaGQAAAyEFmZqY/ZmamPwAAwMAAAGBAAAAwwQAAAAACAAAACAAAAJqZ+T8AAKBAZma8QgYAAAAJAAAACQAAAAEAAAAAAJBAAADIQs3MDEAzMxNAAABAwQAAwEAAAGDBAAAAAAIAAAAEAAAAx0sPQAAAQEDNzLtCBwAAAAkAAAAJAAAAAQAAAJqZmUAAAEhDzcwsQM3MLEAAAJDBAAAQQQAAiMEAAAAAAgAAAAAAAADheiRAAACAPzMzu0IIAAAACQAAAAkAAAABAAAAmpmpQAAAlkMzMzNAMzMzQAAAqMEAACBBAAC4wRe3UTkAAAAAAAAAAC/dPEAAAAAAmpm6QgkAAAAJAAAACQAAAAEAAAAzM9NAAACWQzMzM0AzMzNAAAC4wQAAMEEAAMjBUkkdOgAAAAAAAAAA/tRYQAAAAACambpCCgAAAAkAAAAJAAAAAQAAAAAAyEEAAJZDMzMzQDMzM0AAAMjBAABAQQAA2MEK1yM7AEHCjwELF2BAAAAAAJqZukIAAAAACAAAAAkAAAAJAEHkjwELKTMz00AAABFDMzNzPwAAAAAAAPDBAAAwQVJJnToBAAAAEAAAAAkAAAAJAEGYkAELKTMz00AAABFDMzNzPwAAAAAAAMjBAAAwQW8SgzoBAAAAGAAAAAkAAAAJAEHMkAELKTMz00AAABFDMzNzPwAAAAAAAKDBAAAwQW8SgzoBAAAAIAAAAAkAAAAJAEGAkQELKTMz00AAABFDMzNzPwAAAAAAAHDBAAAwQW8SgzoBAAAAKAAAAAkAAAAJAEG0kQELKTMz00AAABFDMzNzPwAAAAAAACDBAAAwQfrtazoBAAAAMAAAAAkAAAAJAEHokQELKTMz00AAABFDMzNzPwAAAAAAACDBAAAwQfrtazoBAAAAOAAAAAkAAAAJAEGckgELKTMz00AAABFDMzNzPwAAAAAAAMDAAAAwQRe3UToBAAAAQAAAAAkAAAAJAEHQkgELKTMz00AAABFDMzNzPwAAAAAAAADAAAAwQRe3UToBAAAAUAAAAAkAAAAJAEGEkwELDDMz00AAABFDMzNzPwBBm5MBCxJBNIA3OgEAAABgAAAACQAAAAkAQbaTAQsrIEAzM9NAAAARQzMzcz8AAAAAAACAPwAAsEBSSR06AQAAAHAAAAAJAAAACQBB6pMBC+oBEEAzM9NAAAARQzMzcz8AAAAAAAAAQAAAkEBvEgM6AQAAAIAAAAAJAAAACQAAAAAAAACamfk/zczMQAAADEMzM3M/AAAAAAAAQEAAAIBAF7dROQEAAACgAAAACQAAAAkAAAABAAAAuB7lPwAAwEAAAAdDMzNzPwAAAMAAAKBAAABgQAAAAAABAAAAwAAAAAkAAAAJAAAAAQAAAFK4vj8zM7NAAAD6QuxReD8AAIDAAADgQAAAQEAAAAAAAAAAAOAAAAAJAAAACQAAAAEAAAAAAKA/ZmamQAAA+kJI4Xo/AADAwAAAEEEAAABAAEHdlQELWwEAAAkAAAAJAAAAAQAAAOxReD9mZqZAAAD6QgAAgD8AAADBAAAgQQAAgD8AAAAAAAAAAEABAAAJAAAACQAAAAEAAABmZmY/ZmamQAAA+kIAAIA/AAAgwQAAQEEAQdGWAQvzAYBAwCCgYOAQkFDQMLBw8AiISMgoqGjoGJhY2Di4ePgEhETEJKRk5BSUVNQ0tHT0DIxMzCysbOwcnFzcPLx8/AKCQsIiomLiEpJS0jKycvIKikrKKqpq6hqaWto6unr6BoZGxiamZuYWllbWNrZ29g6OTs4urm7uHp5e3j6+fv5eg2w/Fe/DPm3Efj82vcg9Q+x/P7AKyTzE/n8/iA/JO5qZ2UCamblAmpm5QM3MzEAAANBAZmYeQZqZQUFmZmZBAABwQTMzl0HNzKxBMzPXQc3MCELNzCBCMzM7QgAAYkLNzHJCzcyTQmZmq0LNzLpCMzP8QgBB0JgBC1TNzDxBmplZQZqZiUEAAABCAAA6QjMzTUIAAGZCMzOGQgAAj0IzM6lCMzPDQgAAAkMAAIA/NllLP5iGIT+YhiE/mIYhP5iGIT+YhiE/+puAPpme8D0AQbCZAQtFiZ7jP+VT7D+nXvU/mxT5Pw7Z/D97j+o/2pfZP+KEvz98kag/AACAPwAAAAAAAAAAAgAAAAIAAAACAAAAAQAAAAEAAAABAEGAmgELBP////8AQZCaAQu0ASuYn6Mbhou8qPF4owc+Kz1RP5uknnizvYszDqTo0T4+sKn+pOKsIL8AAAAAAAAAAM3M7MDNzOzAzczswAAAGMHNzOzAMzPDwAAAsMBmZpbAZmaWwGZmlsBmZpbAAAAAAC0MPTt1MPw4F9JIO1a9wjvh56m8gRKxPFOZh7xR3MK4mbyhui/6sLzdAR49pogOPhWuXr9UTDBAKuy7wB26F0EBmkTBdOFQQZ53NcGeFPpAcy92wABB0JsBC1QSG/a6sw7dO8zcHbvjG4U8KrHUvDbvtzwPzgi8enQLvHQNC7xCeO68u/JdPSamBj5bREC/Lo0MQHehjMAYVNtAMAoNwYihF0GfwgjBJ5/LQBWfXsAAQbCcAQtUCGcQvCB11TuM1WO8xgICPd2xETtr2UM9jeZkvcM8sTzG6X+9khm/vWJIHj76VsA8KR1OvWC2Jz4eSOu+SMOAPxvz1b+gKg9AU1QpwMxQNkBYQRjAAEGQnQELVNGs8bzl6QY7Du4Kt9mIgD26g7+7oqvBvF0HFrwFeAY9T96vvTeRZ77DHps+3DRGO8NRpDxjVDg9zrFivmpMyD6A0me+cawmvixcg74RNoo//m3OvwBB8J0BC1SUMZC8b/iFvHRSCDzidmo93SrBu5sAmrtKc6C9JyX0PcY/8r0M7oK+pD+sPpDk8zzQjy294ayqPfCaJr39C/+9PQT1PqvITr949fk94J1fP8rRv78AQdCeAQtUhJKxO4bNAr2PsJi8iZnWPRbWJz0V6v29rwsnPQ2DaLzsT2m+RfYSvlP35T4HAQQ9PfJsPfcwij3EAck7DVNjPlMx175MGAw7rMC+vkvelz4f0iC/AEGwnwELVBa/wLtiMhu90xmxPVsc1DtTH42+6F6ePmyNQb4Idis+ylEmPmMwQb8j8hA/LQ+UPFxXhjyL9kO9swWKPTsgqb4kruY+R1kGPCk/ib7DR5U++SSGvwBBkKABC1SVovW77W8YvS+7jT1VZ4U87MOBvopRHz4gzcI8emkzPtpTEr61IAi/vrwUPwb/lDzyE8g81EnNvH/gVr1Yum6+AXDHPvnQFj75bE++NiSjvoOmAr8AQfCgAQtUgrG1vMwkRD2LTCa9ZWzlvRuDybzWaBU+TzPRvZLPLj1V2TS779/XvkVXCT9QsUA9EF5gPWS/QL5LxzO+KsIaPuM1hz7Vnz+9YkYMvSon3b5eQYC+AEHQoQELFGJ4fD87/Xg/Ynj8vyhy/L9ieHw/AEHwoQELFBMpfD/lYHg/Eyn8v7Qh/L8TKXw/AEGQogELFEK5ej9cjnU/Qrn6v1ar+r9CuXo/AEGwogELFHiueT/ehHM/eK75v4Ga+b94rnk/AEHQogELFFsheT/qcXI/WyH5v8IJ+b9bIXk/AEHwogELFG7sdj9FK24/buz2vzrD9r9u7HY/AEGQowELFI3IdT+G+Ws/jcj1v1eU9b+NyHU/AEGwowELFMpkdT8fOms/ymT1v4Us9b/KZHU/AEHQowELFIorcj98FmU/iivyv9bL8b+KK3I/AEHwowELSUxBTUUgJXMgdmVyc2lvbiAlcyAoJXMpABRSAAAfUgAAKVIAAGltYWdlL2pwZWcAaW1hZ2UvcG5nAGltYWdlL2dpZgAlbHUAJWQAQcSkAQv4AgEAAAAQAAAAEQAAAAgAAAAJAAAAGAAAABkAAAAEAAAABQAAABQAAAAVAAAADAAAAA0AAAAcAAAAHQAAAAIAAAADAAAAEgAAABMAAAAKAAAACwAAABoAAAAbAAAABgAAAAcAAAAWAAAAFwAAAA4AAAAPAAAAHgAAAB8AAAAAG4YqzMw0KyFOhCv8950rWJymK/z3nSshToQrzMw0KwAbhipT+L8s/qmrLJIylSyfgXos7x1JLD66Fyx0rc8rhZ9rK7dZkipT+L+s/qmrrJIylayfgXqs7x1JrD66F6x0rc+rhZ9rq7dZkqoAG4aqzMw0qyFOhKv8952rWJymq/z3nashToSrzMw0qwAbhqoAG4YqzMw0KyFOhCv8950rWJymK/z3nSshToQrzMw0KwAbhipT+L8s/qmrLJIylSyfgXos7x1JLD66Fyx0rc8rhZ9rK7dZkiolJ8CsMyWtrOrRmKzjVIOs+a9ZrAsOK6xmIvSryTGJq0p7naoAQdSnAQucAUiQgKquT+OqBa5xqurPBj7NE9Q+i29EP/+viz8X0KY/devIP77i9T96ghpAaftKQLlXkEBrEPNA6Tq3QVwcfD+7jSQ/RB2vPrKPcD/U0DG+fRtEv9ezXT8AAAA//rUDv9qG8b4Cc6C+dEc6vh2wwb2Hyye9HaFovEZ7cruohFs/2LlhP90acz+Buns/Qdp+P/3Ifz9l+X8/jf9/PwBBiKkBC+wJSJCAKq5P4yoFrnEqJSfALDMlrSzq0Zgs41SDLPmvWSwLDissZiL0K8kxiStKe50qU/i/rP6pq6ySMpWsn4F6rO8dSaw+uhesdK3Pq4Wfa6u3WZKqABuGqszMNKshToSr/Pedq1icpqv8952rIU6Eq8zMNKsAG4aqec8Xvoo7AUKkM5RDm8hcRMqnLUavKIREwN6YQ4Gb9kHHnHZATbdtQsJlMURKD6VFUi22xUdoTMRJ1ZnCQgSTwF4GaD82vUg+A2EevixMCUJE55ZDYGZMRC/XNEYRqJNEdcygQy7b+UFEfG1AkppWQrcKK0SIRKNFI/PGxYE+Y8RQqbPCKyqtwAEYUj/Cxcc+35AkvpCWEEIgD5hDjC83RHFWO0ZlgKJEeKSnQ8Hn+0GV7VdA0e08Qi4vI0RQY6BFsujXxfB/esRkPs/CeVvDwM/cPT8xoBQ/PVsqvrEBF0JqgZdDYv4cRA4bQUbliLBE9l+tQ0vJ/EE0O0pArVAiQrIKGkSqfpxFU/DoxXn5iMT9fOzC5zDawMENKz8V70M/i7wvvkt2HEKxK5VDUcP7Q1weRkahkr1EF/6xQ3Qp+0GlpjpATTAHQj65D0ThqZdFkOz5xWa4lMT9pAXDggz3wMRwGT/qWnE/eLE0vgvgIELF/5BDS6mzQwlZSkY/g8lE42y1Qwxe+EFJnzRAMenXQZR5BET6+pFFmV8FxuBSoMTmlRXDwUsKwbnVCD/aOY4/9Da5vl0tJELuxYpDe6NDQ8HFTUaWNNREdrS3Q9B09EGpAyJArY+gQUTA8EPDh4tFeqUNxhy0q8SCKibDiFMZwXAo8j6ZZ6I/N0q9vqeSJUKUpYJDtvdOQYdgUEZHkN1E9+G4Q7YC7kGZvxlAceBUQeJH10N0aIRFurcVxiC2tsSZIDfD+Hwrwc0T1D7zBLU/u+jAvlt6JkLjDXFDWPI7w0EoUkbthOVE1b64Q8kD6EEQkwRAafLYQG7jvEMvZnlF1oYdxlE+wcRVYEjD69Q9wVAytz4D5MU/RxDEvkmbJEISelhDFxTLw4wcU0bY+etEuaa3Q/cW4UEL+vQ/RxDEPkXtoUNbAmlF7wQlxnwmy8QQoFnDNj9QwUJQmz4x29Q/Lg8Vv/JsIUJiMzxDUxEgxNw8U0ZG8/BE7mi1QybA10Fwid8/WAy0wJ2mhkMv1ldFlSAsxgZV1MQQxGrDwZ1iwdQ/gD6YxeE/ObYWv+rvHELOwhtD9E9exOKNUka2YfRE+TiyQ90oz0F85cg/OekywRDPVkOgEkZFSc0yxhWl3MRosHvDAfZ3wa+vSz5eg+w/5o9KvySTFUIjZu9CEOOPxMkRUUamTPZEggKuQxbaxUEcSLE/DF+DweAMIUNR5TNF9/s4xoz/48SLJIbDuImGwWTlFz4L+vQ/38pLv8ntDELfCaBCrgCyxC3PTka7ufZE1f6oQzNQukHFW7I/IMyowYv32EI2eyFF6J4+xuZI6sSUH47D2uiQwdy1yT2+FPs/D7F/v5hAAkJe1RNCakLVxCbNS0ZCrPVERjejQ3BmsUH7bJk/UfjKwecjZkK0Bg9Fs6pDxuJa78SXoZXDQgabwTw5ST1txP4/NtMlRkSxpUWvcWhERTM2RIAMkEO01YFCAgDxQSI/g0AxE0hGpzHzRFa2nEOqaaZB+2T5RHADEEERnunBAEGAswELJFTg1L1Zv0G++Gxdvi+oH77+wzMkRnxvPjAqAT9Iv0E/RnxvPwBBsLMBC9YBgLsAAAAAAAAAANBAAAAAAAAA0ECUXAAARKwAAAAAAAAAANBAAAAAAAAA0EAUVQAAAH0AAAAA0EAAAABBZmamQAAA0EC4PQAAwF0AAAAAAEEAAAhBZmamQAAAwEBKLgAAIlYAAAAACEH2KBBBZmamQAAA0ECMKgAAgD4AAPYoEEFmZhZBzcycQAAA0EDfHgAA4C4AAGZmFkGamRlBAACQQAAAwEAoFwAAESsAAJqZGUFmZh5BMzOjQAAA0EBGFQAAQB8AAGZmHkEAACBBzcycQAAA0EBwDwBBkLUBC9QDLEwAADhKAACoSAAAUEYAAFxEAACAPgAA8DwAADQ6AADUMAAAECcAAG4PAAAAAAAAwF0AACxMAABESAAAUEYAAFxEAABoQgAAdEAAAPA8AABgOwAAPhwAAG4PAAAAAAAALEwAADhKAABESAAAUEYAAFxEAAB0QAAAjDwAAKQ4AADUMAAAHCUAAG4PAAAAAAAAZma2QAAA0ECamelAMzMDQQAAIEFmZj5BAABQQQAAYEEAAHBBAACEQVdhcm5pbmc6IGhpZ2hwYXNzIGZpbHRlciBkaXNhYmxlZC4gIGhpZ2hwYXNzIGZyZXF1ZW5jeSB0b28gc21hbGwKAAAAAAAAAAgAAADQBwAAEAAAAHQOAAAYAAAAPA8AACAAAAB8FQAAKAAAAFgbAAAwAAAATB0AADgAAAAQJwAAQAAAAPgqAABQAAAAvDQAAGAAAAD8OgAAcAAAAPA8AACAAAAAaEIAAKAAAABcRAAAwAAAAKhIAADgAAAAyEsAAAABAAD0TAAAQAEAABRQAABFcnJvcjogY2FuJ3QgYWxsb2NhdGUgaW5fYnVmZmVyIGJ1ZmZlcgoAd2FzbS1tZWRpYS1lbmNvZGVycy0wLjcuMABhdWRpby9tcGVnAEHwuAELQREACgAREREAAAAABQAAAAAAAAkAAAAACwAAAAAAAAAAEQAPChEREQMKBwABAAkLCwAACQYLAAALAAYRAAAAERERAEHBuQELIQsAAAAAAAAAABEACgoREREACgAAAgAJCwAAAAkACwAACwBB+7kBCwEMAEGHugELFQwAAAAADAAAAAAJDAAAAAAADAAADABBtboBCwEOAEHBugELFQ0AAAAEDQAAAAAJDgAAAAAADgAADgBB77oBCwEQAEH7ugELHg8AAAAADwAAAAAJEAAAAAAAEAAAEAAAEgAAABISEgBBsrsBCw4SAAAAEhISAAAAAAAACQBB47sBCwELAEHvuwELFQoAAAAACgAAAAAJCwAAAAAACwAACwBBnbwBCwEMAEGpvAELJwwAAAAADAAAAAAJDAAAAAAADAAADAAALSsgICAwWDB4AChudWxsKQBB4LwBCxAwMTIzNDU2Nzg5QUJDREVGAEGUvQELAQ4AQbu9AQsF//////8AQYC+AQunFk+7YQVnrN0/GC1EVPsh6T+b9oHSC3PvPxgtRFT7Ifk/4mUvIn8rejwHXBQzJqaBPL3L8HqIB3A8B1wUMyamkTwAAAAAAADgPwAAAAAAAOC/AwAAAAQAAAAEAAAABgAAAIP5ogBETm4A/CkVANFXJwDdNPUAYtvAADyZlQBBkEMAY1H+ALveqwC3YcUAOm4kANJNQgBJBuAACeouAByS0QDrHf4AKbEcAOg+pwD1NYIARLsuAJzphAC0JnAAQX5fANaROQBTgzkAnPQ5AItfhAAo+b0A+B87AN7/lwAPmAUAES/vAApaiwBtH20Az342AAnLJwBGT7cAnmY/AC3qXwC6J3UA5evHAD178QD3OQcAklKKAPtr6gAfsV8ACF2NADADVgB7/EYA8KtrACC8zwA29JoA46kdAF5hkQAIG+YAhZllAKAUXwCNQGgAgNj/ACdzTQAGBjEAylYVAMmocwB74mAAa4zAABnERwDNZ8MACejcAFmDKgCLdsQAphyWAESv3QAZV9EApT4FAAUH/wAzfj8AwjLoAJhP3gC7fTIAJj3DAB5r7wCf+F4ANR86AH/yygDxhx0AfJAhAGokfADVbvoAMC13ABU7QwC1FMYAwxmdAK3EwgAsTUEADABdAIZ9RgDjcS0Am8aaADNiAAC00nwAtKeXADdV1QDXPvYAoxAYAE12/ABknSoAcNerAGN8+AB6sFcAFxXnAMBJVgA71tkAp4Q4ACQjywDWincAWlQjAAAfuQDxChsAGc7fAJ8x/wBmHmoAmVdhAKz7RwB+f9gAImW3ADLoiQDmv2AA78TNAGw2CQBdP9QAFt7XAFg73gDem5IA0iIoACiG6ADiWE0AxsoyAAjjFgDgfcsAF8BQAPMdpwAY4FsALhM0AIMSYgCDSAEA9Y5bAK2wfwAe6fIASEpDABBn0wCq3dgArl9CAGphzgAKKKQA05m0AAam8gBcd38Ao8KDAGE8iACKc3gAr4xaAG/XvQAtpmMA9L/LAI2B7wAmwWcAVcpFAMrZNgAoqNIAwmGNABLJdwAEJhQAEkabAMRZxADIxUQATbKRAAAX8wDUQ60AKUnlAP3VEAAAvvwAHpTMAHDO7gATPvUA7PGAALPnwwDH+CgAkwWUAMFxPgAuCbMAC0XzAIgSnACrIHsALrWfAEeSwgB7Mi8ADFVtAHKnkABr5x8AMcuWAHkWSgBBeeIA9N+JAOiUlwDi5oQAmTGXAIjtawBfXzYAu/0OAEiatABnpGwAcXJCAI1dMgCfFbgAvOUJAI0xJQD3dDkAMAUcAA0MAQBLCGgALO5YAEeqkAB05wIAvdYkAPd9pgBuSHIAnxbvAI6UpgC0kfYA0VNRAM8K8gAgmDMA9Ut+ALJjaADdPl8AQF0DAIWJfwBVUikAN2TAAG3YEAAySDIAW0x1AE5x1ABFVG4ACwnBACr1aQAUZtUAJwedAF0EUAC0O9sA6nbFAIf5FwBJa30AHSe6AJZpKQDGzKwArRRUAJDiagCI2YkALHJQAASkvgB3B5QA8zBwAAD8JwDqcagAZsJJAGTgPQCX3YMAoz+XAEOU/QANhowAMUHeAJI5nQDdcIwAF7fnAAjfOwAVNysAXICgAFqAkwAQEZIAD+jYAGyArwDb/0sAOJAPAFkYdgBipRUAYcu7AMeJuQAQQL0A0vIEAEl1JwDrtvYA2yK7AAoUqgCJJi8AZIN2AAk7MwAOlBoAUTqqAB2jwgCv7a4AXCYSAG3CTQAtepwAwFaXAAM/gwAJ8PYAK0CMAG0xmQA5tAcADCAVANjDWwD1ksQAxq1LAE7KpQCnN80A5qk2AKuSlADdQmgAGWPeAHaM7wBoi1IA/Ns3AK6hqwDfFTEAAK6hAAz72gBkTWYA7QW3ACllMABXVr8AR/86AGr5uQB1vvMAKJPfAKuAMABmjPYABMsVAPoiBgDZ5B0APbOkAFcbjwA2zQkATkLpABO+pAAzI7UA8KoaAE9lqADSwaUACz8PAFt4zQAj+XYAe4sEAIkXcgDGplMAb27iAO/rAACbSlgAxNq3AKpmugB2z88A0QIdALHxLQCMmcEAw613AIZI2gD3XaAAxoD0AKzwLwDd7JoAP1y8ANDebQCQxx8AKtu2AKMlOgAAr5oArVOTALZXBAApLbQAS4B+ANoHpwB2qg4Ae1mhABYSKgDcty0A+uX9AInb/gCJvv0A5HZsAAap/AA+gHAAhW4VAP2H/wAoPgcAYWczACoYhgBNveoAs+evAI9tbgCVZzkAMb9bAITXSAAw3xYAxy1DACVhNQDJcM4AMMu4AL9s/QCkAKIABWzkAFrdoAAhb0cAYhLSALlchABwYUkAa1bgAJlSAQBQVTcAHtW3ADPxxAATbl8AXTDkAIUuqQAdssMAoTI2AAi3pADqsdQAFvchAI9p5AAn/3cADAOAAI1ALQBPzaAAIKWZALOi0wAvXQoAtPlCABHaywB9vtAAm9vBAKsXvQDKooEACGpcAC5VFwAnAFUAfxTwAOEHhgAUC2QAlkGNAIe+3gDa/SoAayW2AHuJNAAF8/4Aub+eAGhqTwBKKqgAT8RaAC34vADXWpgA9MeVAA1NjQAgOqYApFdfABQ/sQCAOJUAzCABAHHdhgDJ3rYAv2D1AE1lEQABB2sAjLCsALLA0ABRVUgAHvsOAJVywwCjBjsAwEA1AAbcewDgRcwATin6ANbKyADo80EAfGTeAJtk2ADZvjEApJfDAHdY1ABp48UA8NoTALo6PABGGEYAVXVfANK99QBuksYArC5dAA5E7QAcPkIAYcSHACn96QDn1vMAInzKAG+RNQAI4MUA/9eNAG5q4gCw/cYAkwjBAHxddABrrbIAzW6dAD5yewDGEWoA98+pAClz3wC1yboAtwBRAOKyDQB0uiQA5X1gAHTYigANFSwAgRgMAH5mlAABKRYAn3p2AP39vgBWRe8A2X42AOzZEwCLurkAxJf8ADGoJwDxbsMAlMU2ANioVgC0qLUAz8wOABKJLQBvVzQALFaJAJnO4wDWILkAa16qAD4qnAARX8wA/QtKAOH0+wCOO20A4oYsAOnUhAD8tKkA7+7RAC41yQAvOWEAOCFEABvZyACB/AoA+0pqAC8c2ABTtIQATpmMAFQizAAqVdwAwMbWAAsZlgAacLgAaZVkACZaYAA/Uu4AfxEPAPS1EQD8y/UANLwtADS87gDoXcwA3V5gAGeOmwCSM+8AyRe4AGFYmwDhV7wAUYPGANg+EADdcUgALRzdAK8YoQAhLEYAWfPXANl6mACeVMAAT4b6AFYG/ADlea4AiSI2ADitIgBnk9wAVeiqAIImOADK55sAUQ2kAJkzsQCp1w4AaQVIAGWy8AB/iKcAiEyXAPnRNgAhkrMAe4JKAJjPIQBAn9wA3EdVAOF0OgBn60IA/p3fAF7UXwB7Z6QAuqx6AFX2ogAriCMAQbpVAFluCAAhKoYAOUeDAInj5gDlntQASftAAP9W6QAcD8oAxVmKAJT6KwDTwcUAD8XPANtargBHxYYAhUNiACGGOwAseZQAEGGHACpMewCALBoAQ78SAIgmkAB4PIkAqMTkAOXbewDEOsIAJvTqAPdnigANkr8AZaMrAD2TsQC9fAsApFHcACfdYwBp4d0AmpQZAKgplQBozigACe20AESfIABOmMoAcIJjAH58IwAPuTIAp/WOABRW5wAh8QgAtZ0qAG9+TQClGVEAtfmrAILf1gCW3WEAFjYCAMQ6nwCDoqEAcu1tADmNegCCuKkAazJcAEYnWwAANO0A0gB3APz0VQABWU0A4HGAAEGz1AELVUD7Ifk/AAAAAC1EdD4AAACAmEb4PAAAAGBRzHg7AAAAgIMb8DkAAABAICV6OAAAAIAiguM2AAAAAB3zaTUAAIA/AADAPwAAAADcz9E1AAAAAADAFT8AQZbVAQsa8D8AAAAAAAD4PwAAAAAAAAAABtDPQ+v9TD4AQbvVAQsFQAO44j8AQcDVAQsDsIFR")}function R(){return I("audio/ogg","data:application/wasm;base64,AGFzbQEAAAAB0QIsYAJ/fwF/YAF/AGACf38AYAF/AX9gA39/fwBgBH9/f38Bf2AFf39/f38Bf2AFf39/f38AYAR/f39/AGADf39/AX9gAXwBfGAGf39/f39/AGAHf39/f39/fwBgBH98f38AYAh/f39/f39/fwF/YAAAYAl/f39/f39/f38AYAZ/fH9/f38AYAABf2AHf39/f39/fwF/YAR/f399AX9gAX8BfWACfHwBfGAKf39/f39/f39/fwBgCH9/f39/f319AGAGf39/f399AGAGf39/f31/AGAEf39/fgBgBX9/f319AGAHf399f39/fQBgAn99AGAIf319f39/f38AYAN/fH8AYAV/fH9/fwBgB398f39/f3wAYAZ/f39/f38Bf2AEf398fwF/YAV/fX99fQF/YAF9AX9gAnx/AX9gA31/fwF9YAF/AXxgAnx/AXxgA3x8fwF8AkoCA2Vudh9lbXNjcmlwdGVuX25vdGlmeV9tZW1vcnlfZ3Jvd3RoAAEWd2FzaV9zbmFwc2hvdF9wcmV2aWV3MQlwcm9jX2V4aXQAAQPUAdIBBAEDAAAACQADCgAKCgoKKgQVAAIAFisECQMACQEBAgwCACINIRERAgEBAgEEDAAIAgMmBgYFDwEHCAECFwcMBAEBAAEQGh4CJwMCAwIBAQkJAQMHBwMGExUBAgACAQILBAcCAgIDBgMBAggIAQQIIwUFBQMAAgAfECgEHQQZHAQBAiUHBQ8DEhIDAAMDAwACFAQkFAgpAiAEDQcBDQMAAAAbARYCAAIABwEDBAYOBQYGBQYABQ4GAAACAQMLBQAAAAACCwYAEwQFAAEAABgAAQAEBAUBcAEfHwUHAQGAAoCAAgYJAX8BQbDe4gILB5UBDAZtZW1vcnkCAAd2ZXJzaW9uAIkBCW1pbWVfdHlwZQCKAQtlbmNfZ2V0X3BjbQCMAQ9lbmNfZ2V0X291dF9idWYAjQEIZW5jX2ZyZWUATwZtYWxsb2MAvQEEZnJlZQADCGVuY19pbml0AIsBCmVuY19lbmNvZGUAkAEJZW5jX2ZsdXNoAI4BC19pbml0aWFsaXplADgJOgEAQQELHjh4wgF0c84BzQEfzAHLAcoBxAHDAcEBHx/AAb8BugG5AR+8AbgBuwG0AbcBsgGxAa8BrgEKu78E0gHHAgECfwJAAkAgAkEgSw0AIAAoAgwhAyAAKAIAIAAoAhAiBEF8ak4EQCADRQ0CIARB//3//wdKDQEgACgCCCAEQYACahAMIgNFDQEgACADNgIIIAAgACgCEEGAAmo2AhAgACADIAAoAgBqIgM2AgwLIAMgAy0AACACQQJ0QcC+AWooAgAgAXEiAyAAKAIEIgF0cjoAAAJAIAEgAmoiAUEISA0AIAAoAgwgA0EIIAAoAgRrdjoAASABQRBIDQAgACgCDCADQRAgACgCBGt2OgACIAFBGEgNACAAKAIMIANBGCAAKAIEa3Y6AAMgAUEgSA0AIAAoAgQiAgRAIAAoAgwgA0EgIAJrdjoABAwBCyAAKAIMQQA6AAQLIAAgAUEHcTYCBCAAIAFBCG0iASAAKAIAajYCACAAIAAoAgwgAWo2AgwPCyAAEB4LC9cCAQV/IAAEQCAAQXxqIgEoAgAiBCEDIAEhAiAAQXhqKAIAIgVBf0wEQCABIAVqIgAoAgUiAiAAKAIJNgIIIAAoAgkgAjYCBCAEIAVBf3NqIQMgAEEBaiECCyABIARqIgAoAgAiASAAIAFqQXxqKAIARwRAIAAoAgQiBCAAKAIINgIIIAAoAgggBDYCBCABIANqIQMLIAIgAzYCACADQXxxIAJqQXxqIANBf3M2AgAgAgJ/IAIoAgBBeGoiAEH/AE0EQCAAQQN2QX9qDAELIABnIQEgAEEdIAFrdkEEcyABQQJ0a0HuAGogAEH/H00NABogAEEeIAFrdkECcyABQQF0a0HHAGoiAEE/IABBP0kbCyIDQQR0IgBBoNYiajYCBCACIABBqNYiaiIAKAIANgIIIAAgAjYCACACKAIIIAI2AgRBqN4iQajeIikDAEIBIAOthoQ3AwALC9IDAgV/An4CQANAQajeIikDACIHAn8gAEEDakF8cUEIIABBCEsbIgBB/wBNBEAgAEEDdkF/agwBCyAAZyEBIABBHSABa3ZBBHMgAUECdGtB7gBqIABB/x9NDQAaIABBHiABa3ZBAnMgAUEBdGtBxwBqIgFBPyABQT9JGwsiA62IIgZQRQRAA0AgBiAGeiIHiCEGAn4gAyAHp2oiA0EEdCICQajWImooAgAiASACQaDWImoiBUcEQCABIAAQMCIEDQUgASgCBCIEIAEoAgg2AgggASgCCCAENgIEIAEgBTYCCCABIAJBpNYiaiICKAIANgIEIAIgATYCACABKAIEIAE2AgggA0EBaiEDIAZCAYgMAQtBqN4iQajeIikDAEJ+IAOtiYM3AwAgBkIBhQsiBkIAUg0AC0Go3iIpAwAhBwtBPyAHeadrQQR0IgFBoNYiaiECIAFBqNYiaigCACEBAkAgB0KAgICABFQNAEHjACEDIAEgAkYNAANAIANFDQEgASAAEDAiBA0DIANBf2ohAyABKAIIIgEgAkcNAAsgAiEBCyAAQTBqEEsNAAsgASACRwRAA0AgASAAEDAiBA0CIAEoAggiASACRw0ACwtBACEECyAECxkAIAAgAWwiARAEIgAEQCAAIAEQBxoLIAALlwIBBX8CQCABQSFPBEAgACgCECEDDAELIAAoAgQiBCABaiECAkAgACgCACIFIAAoAhAiA0F8akgNACAFIAMgAkEHakEDdWtKDQEgAg0AQQAPCyABQQJ0QcC+AWooAgAhBgJ/IAAoAgwiAy0AACAEdiIBIAJBCUgNABogAy0AAUEIIARrdCABciIBIAJBEUgNABogAy0AAkEQIARrdCABciIBIAJBGUgNABogAy0AA0EYIARrdCABciIBIARFIAJBIUhyDQAaIAMtAARBICAEa3QgAXILIQEgACACQQdxNgIEIAAgAkEIbSICIAVqNgIAIAAgAiADajYCDCABIAZxDwsgAEEBNgIEIAAgAzYCACAAQQA2AgxBfwvYAgECfwJAIAFFDQAgACABaiICQX9qQQA6AAAgAEEAOgAAIAFBA0kNACACQX5qQQA6AAAgAEEAOgABIAJBfWpBADoAACAAQQA6AAIgAUEHSQ0AIAJBfGpBADoAACAAQQA6AAMgAUEJSQ0AIABBACAAa0EDcSIDaiICQQA2AgAgAiABIANrQXxxIgNqIgFBfGpBADYCACADQQlJDQAgAkEANgIIIAJBADYCBCABQXhqQQA2AgAgAUF0akEANgIAIANBGUkNACACQQA2AhggAkEANgIUIAJBADYCECACQQA2AgwgAUFwakEANgIAIAFBbGpBADYCACABQWhqQQA2AgAgAUFkakEANgIAIAMgAkEEcUEYciIDayIBQSBJDQAgAiADaiECA0AgAkIANwMYIAJCADcDECACQgA3AwggAkIANwMAIAJBIGohAiABQWBqIgFBH0sNAAsLIAALggQBA38gAkGABE8EQCAAIAEgAhDTASAADwsgACACaiEDAkAgACABc0EDcUUEQAJAIAJBAUgEQCAAIQIMAQsgAEEDcUUEQCAAIQIMAQsgACECA0AgAiABLQAAOgAAIAFBAWohASACQQFqIgIgA08NASACQQNxDQALCwJAIANBfHEiBEHAAEkNACACIARBQGoiBUsNAANAIAIgASgCADYCACACIAEoAgQ2AgQgAiABKAIINgIIIAIgASgCDDYCDCACIAEoAhA2AhAgAiABKAIUNgIUIAIgASgCGDYCGCACIAEoAhw2AhwgAiABKAIgNgIgIAIgASgCJDYCJCACIAEoAig2AiggAiABKAIsNgIsIAIgASgCMDYCMCACIAEoAjQ2AjQgAiABKAI4NgI4IAIgASgCPDYCPCABQUBrIQEgAkFAayICIAVNDQALCyACIARPDQEDQCACIAEoAgA2AgAgAUEEaiEBIAJBBGoiAiAESQ0ACwwBCyADQQRJBEAgACECDAELIANBfGoiBCAASQRAIAAhAgwBCyAAIQIDQCACIAEtAAA6AAAgAiABLQABOgABIAIgAS0AAjoAAiACIAEtAAM6AAMgAUEEaiEBIAJBBGoiAiAETQ0ACwsgAiADSQRAA0AgAiABLQAAOgAAIAFBAWohASACQQFqIgIgA0cNAAsLIAALfwEDfyAAKAJEIQMgACgCSCICIAFBB2pBeHEiAWogACgCTEoEQCADBEBBCBAEIQQgACAAKAJQIAJqNgJQIAAoAlQhAiAEIAM2AgAgBCACNgIEIAAgBDYCVAsgACABNgJMIAAgARAEIgM2AkRBACECCyAAIAEgAmo2AkggAiADagseAQF/A0AgAARAIAFBAWohASAAQQF2IQAMAQsLIAELhQQDAn8BfgN8IAC9IgNCIIinQf////8HcSIBQYCAwKAESQRAAkACfyABQf//7/4DTQRAIAFBgICA8gNJDQJBfyEBQQEMAQsgAJkhAAJ8IAFB///L/wNNBEAgAUH//5f/A00EQCAAIACgRAAAAAAAAPC/oCAARAAAAAAAAABAoKMhAEEAIQFBAAwDC0EBIQEgAEQAAAAAAADwv6AgAEQAAAAAAADwP6CjDAELIAFB//+NgARNBEBBAiEBIABEAAAAAAAA+L+gIABEAAAAAAAA+D+iRAAAAAAAAPA/oKMMAQtBAyEBRAAAAAAAAPC/IACjCyEAQQALIQIgACAAoiIFIAWiIgQgBCAEIAQgBEQvbGosRLSiv6JEmv3eUi3erb+gokRtmnSv8rCzv6CiRHEWI/7Gcby/oKJExOuYmZmZyb+goiEGIAUgBCAEIAQgBCAERBHaIuM6rZA/okTrDXYkS3upP6CiRFE90KBmDbE/oKJEbiBMxc1Ftz+gokT/gwCSJEnCP6CiRA1VVVVVVdU/oKIhBCACBEAgACAAIAYgBKCioQ8LIAFBA3QiAUHgviJqKwMAIAAgBiAEoKIgAUGAvyJqKwMAoSAAoaEiACAAmiADQn9VGyEACyAADwsgAEQYLURU+yH5PyAApiAAvUL///////////8Ag0KAgICAgICA+P8AVhsLxQUBB38gAEUEQCABEAQPCyABRQRAIAAQA0EADwsgAUEDakF8cUEIIAFBCEsbIgVBCGohAgJAAkAgAEF8aiIDIAMoAgAiBmoiBCgCACIIIAQgCGoiB0F8aigCAEcEQCACIANqIgFBEGogB00EQCAEKAIEIgUgBCgCCDYCCCAEKAIIIAU2AgQgASAHIAFrIgQ2AgAgBEF8cSABakF8aiAEQX9zNgIAIAECfyABKAIAQXhqIgRB/wBNBEAgBEEDdkF/agwBCyAEZyEFIARBHSAFa3ZBBHMgBUECdGtB7gBqIARB/x9NDQAaIARBHiAFa3ZBAnMgBUEBdGtBxwBqIgRBPyAEQT9JGwsiBEEEdCIFQaDWImo2AgQgASAFQajWImoiBSgCADYCCCAFIAE2AgAgASgCCCABNgIEQajeIkGo3iIpAwBCASAErYaENwMAIAMgAjYCACABQXxqIAI2AgAgAA8LIAEgB0sNASAEKAIEIgEgBCgCCDYCCCAEKAIIIAE2AgQgAyAGIAhqIgE2AgAgAUF8cSADakF8aiABNgIAIAAPCyAFQRhqIAZNBEAgAyACNgIAIAIgA2oiASAGIAJrIgM2AgAgAUF8aiACNgIAIANBfHEgAWpBfGogA0F/czYCACABAn8gASgCAEF4aiICQf8ATQRAIAJBA3ZBf2oMAQsgAmchAyACQR0gA2t2QQRzIANBAnRrQe4AaiACQf8fTQ0AGiACQR4gA2t2QQJzIANBAXRrQccAaiICQT8gAkE/SRsLIgJBBHQiA0Gg1iJqNgIEIAEgA0Go1iJqIgMoAgA2AgggAyABNgIAIAEoAgggATYCBEGo3iJBqN4iKQMAQgEgAq2GhDcDACAADwsgBiACTw0BCyAFEAQiAUUEQEEADwsgASAAIAUgAygCAEF4aiICIAUgAkkbEAgaIAAQAyABIQALIAALuAMDAn8BfgJ8IAC9IgNCP4inIQECQAJAAnwCQCAAAn8CQAJAIANCIIinQf////8HcSICQavGmIQETwRAIAC9Qv///////////wCDQoCAgICAgID4/wBWBEAgAA8LIABE7zn6/kIuhkBkQQFzRQRAIABEAAAAAAAA4H+iDwsgAERRMC3VEEmHwGNFIABE0rx63SsjhsBjQQFzcg0BDAYLIAJBw9zY/gNJDQMgAkGyxcL/A0kNAQsgAET+gitlRxX3P6IgAUEDdEGgvyJqKwMAoCIAmUQAAAAAAADgQWMEQCAAqgwCC0GAgICAeAwBCyABQQFzIAFrCyIBtyIERAAA4P5CLua/oqAiACAERHY8eTXvOeo9oiIFoQwBCyACQYCAwPEDTQ0CQQAhASAACyEEIAAgBCAEIAQgBKIiACAAIAAgACAARNCkvnJpN2Y+okTxa9LFQb27vqCiRCzeJa9qVhE/oKJEk72+FmzBZr+gokQ+VVVVVVXFP6CioSIAokQAAAAAAAAAQCAAoaMgBaGgRAAAAAAAAPA/oCEEIAFFDQAgBCABEBEhBAsgBA8LIABEAAAAAAAA8D+gC50DAwN/AX4CfAJAAkACQAJAIAC9IgRCAFkEQCAEQiCIpyIBQf//P0sNAQsgBEL///////////8Ag1AEQEQAAAAAAADwvyAAIACiow8LIARCf1UNASAAIAChRAAAAAAAAAAAow8LIAFB//+//wdLDQJBgIDA/wMhAkGBeCEDIAFBgIDA/wNHBEAgASECDAILIASnDQFEAAAAAAAAAAAPCyAARAAAAAAAAFBDor0iBEIgiKchAkHLdyEDCyADIAJB4r4laiIBQRR2arciBUQAAOD+Qi7mP6IgBEL/////D4MgAUH//z9xQZ7Bmv8Daq1CIIaEv0QAAAAAAADwv6AiACAFRHY8eTXvOeo9oiAAIABEAAAAAAAAAECgoyIFIAAgAEQAAAAAAADgP6KiIgYgBSAFoiIFIAWiIgAgACAARJ/GeNAJmsM/okSveI4dxXHMP6CiRAT6l5mZmdk/oKIgBSAAIAAgAEREUj7fEvHCP6JE3gPLlmRGxz+gokRZkyKUJEnSP6CiRJNVVVVVVeU/oKKgoKKgIAahoKAhAAsgAAvBAQECfyMAQRBrIgEkAAJ8IAC9QiCIp0H/////B3EiAkH7w6T/A00EQEQAAAAAAADwPyACQZ7BmvIDSQ0BGiAARAAAAAAAAAAAEBcMAQsgACAAoSACQYCAwP8HTw0AGgJAAkACQAJAIAAgARBKQQNxDgMAAQIDCyABKwMAIAErAwgQFwwDCyABKwMAIAErAwhBARAYmgwCCyABKwMAIAErAwgQF5oMAQsgASsDACABKwMIQQEQGAshACABQRBqJAAgAAvFAQECfyMAQRBrIgEkAAJAIAC9QiCIp0H/////B3EiAkH7w6T/A00EQCACQYCAwPIDSQ0BIABEAAAAAAAAAABBABAYIQAMAQsgAkGAgMD/B08EQCAAIAChIQAMAQsCQAJAAkACQCAAIAEQSkEDcQ4DAAECAwsgASsDACABKwMIQQEQGCEADAMLIAErAwAgASsDCBAXIQAMAgsgASsDACABKwMIQQEQGJohAAwBCyABKwMAIAErAwgQF5ohAAsgAUEQaiQAIAALqAEAAkAgAUGACE4EQCAARAAAAAAAAOB/oiEAIAFB/w9IBEAgAUGBeGohAQwCCyAARAAAAAAAAOB/oiEAIAFB/RcgAUH9F0gbQYJwaiEBDAELIAFBgXhKDQAgAEQAAAAAAAAQAKIhACABQYNwSgRAIAFB/gdqIQEMAQsgAEQAAAAAAAAQAKIhACABQYZoIAFBhmhKG0H8D2ohAQsgACABQf8Haq1CNIa/ogvWAgEBfwJAIAAgAUYNACABIABrIAJrQQAgAkEBdGtNBEAgACABIAIQCBoPCyAAIAFzQQNxIQMCQAJAIAAgAUkEQCADDQIgAEEDcUUNAQNAIAJFDQQgACABLQAAOgAAIAFBAWohASACQX9qIQIgAEEBaiIAQQNxDQALDAELAkAgAw0AIAAgAmpBA3EEQANAIAJFDQUgACACQX9qIgJqIgMgASACai0AADoAACADQQNxDQALCyACQQNNDQADQCAAIAJBfGoiAmogASACaigCADYCACACQQNLDQALCyACRQ0CA0AgACACQX9qIgJqIAEgAmotAAA6AAAgAg0ACwwCCyACQQNNDQADQCAAIAEoAgA2AgAgAUEEaiEBIABBBGohACACQXxqIgJBA0sNAAsLIAJFDQADQCAAIAEtAAA6AAAgAEEBaiEAIAFBAWohASACQX9qIgINAAsLCxsAIAAoAgBB/////wdxs0PBqEA1lENwJz/EkgsNACABQQdqQQhtIABqCzQAIAAoAhwiACABQQJ0akGkFmooAgAiASAAQagbaisDALY4AgQgASAAQbAbaisDALY4AggLkAIBBn8gACgCKCEDAkACQCABIAAoAiQQRCIEQQBOBEAgACgCICAEQQJ0aigCACICQQBOBEAgAkF/aiIDIAAoAhxqLAAAIQQMAwsgACgCCCACQf//AXFrIQQgAkEPdkH//wFxIQIMAQsgACgCCCEECwNAIANBAkggASADEEQiBUF/SnJFBEAgA0F/aiEDDAELCyAFQQBIBEBBfw8LIAUQdSEGA0AgBCACayIFQQJIRQRAIAQgBUEBdiIFQQAgACgCFCACIAVqQQJ0aigCACAGSyIHG2shBEEAIAUgBxsgAmohAgwBCwsgAyAAKAIcIAJqLAAAIgAgAyAASCIAGyEEQX8gAiAAGyEDCyABIAQQdyADC5IBAQN8RAAAAAAAAPA/IAAgAKIiAkQAAAAAAADgP6IiA6EiBEQAAAAAAADwPyAEoSADoSACIAIgAiACRJAVyxmgAfo+okR3UcEWbMFWv6CiRExVVVVVVaU/oKIgAiACoiIDIAOiIAIgAkTUOIi+6fqovaJExLG0vZ7uIT6gokStUpyAT36SvqCioKIgACABoqGgoAuZAQEDfCAAIACiIgMgAyADoqIgA0R81c9aOtnlPaJE65wriublWr6goiADIANEff6xV+Mdxz6iRNVhwRmgASq/oKJEpvgQERERgT+goCEFIAMgAKIhBCACRQRAIAQgAyAFokRJVVVVVVXFv6CiIACgDwsgACADIAFEAAAAAAAA4D+iIAQgBaKhoiABoSAERElVVVVVVcU/oqChCyUAA0AgAgRAIAAgASwAAEEIEAIgAUEBaiEBIAJBf2ohAgwBCwsLNwAgASACQQJ0IgJqKAIAIQEgACACaigCACIAQQBOBH8gAUEASARAIAAPCyAAIAFqQQF1BSABCwsNACAAKAJoKAJQQQBHCzQBAX9BfyECAkAgACgCCEEBSA0AIAAgARAWIgFBAEgNACAAKAIYIAFBAnRqKAIAIQILIAILTAECfwJAIAFBAEgNACAAKAIMIgQoAgQgAUwNACACIAAoAhQgAUECdGooAgAgBCgCCCABaiwAABACIAAoAgwoAgggAWosAAAhAwsgAwseACAAKAIIEAMgAEEANgIQIABCADcCCCAAQgA3AgALBgAgABADC0gBAn8CfyABQR9NBEAgACgCACECIABBBGoMAQsgAUFgaiEBIAALKAIAIQMgACACIAF0NgIAIAAgAyABdCACQSAgAWt2cjYCBAu8AgECfyMAQfABayIHJAAgByADNgLsASAHIAA2AgAgByACNgLoAQJAAkACQAJAQQAgAkEBRiADGw0AIAAgBiAEQQJ0aigCAGsiCCAAIAERAABBAUgNACAFRSEFQQEhAwNAIAghAiAFQQFxRSAEQQJIckUEQCAEQQJ0IAZqQXhqKAIAIQUgAEF8aiIIIAIgAREAAEF/Sg0DIAggBWsgAiABEQAAQX9KDQMLIAcgA0ECdGogAjYCACAHQegBaiAHQegBahBNIgAQIiADQQFqIQMgACAEaiEEIAcoAugBQQFGBEAgBygC7AFFDQQLQQEhBSACIQAgAiAGIARBAnRqKAIAayIIIAcoAgAgAREAAEEBTg0ACwwCCyAFDQJBASEDCyAAIQILIAcgAxBMIAIgASAEIAYQMQsgB0HwAWokAAtIAQJ/An8gAUEfTQRAIAAoAgQhAiAADAELIAFBYGohASAAQQRqCygCACEDIAAgAiABdjYCBCAAIAJBICABa3QgAyABdnI2AgALTwEDfyAAKAIYIgNBACADQQBKGyEEA0AgAiAERwRAIAEgACACQQJ0akGgDmooAgBGBEAgAg8FIAJBAWohAgwCCwALCyAAIANBAWo2AhggAwuEAwMEfwJ9AXwgACgCHCACQQJ0akGkFmooAgAiB0QAAAAAAADwPyABAn8gAZlEAAAAAAAA4EFjBEAgAaoMAQtBgICAgHgLIgi3oSIBoSINIAMgCEECdGooAgC3oiABIAMgCEEBaiIKQQJ0aigCALeioLY4AmwgByAFIAJBDGxqIgAoAgA2AnggByAAKAIENgJ8IAcgACgCCDYCgAFBACEDQQAhAANAQQAhAiAAQQNGRQRAA0AgAkERRkUEQCACQQJ0IgUgByAAQcQAbCIJamogDSAEIAhBzAFsaiAJaiAFaigCALeiIAEgBCAKQcwBbGogCWogBWooAgC3oqC2OAKEASACQQFqIQIMAQsLIABBAWohAAwBCwsDQAJAIANBA0cEQCAHIANBxABsaiIAKgKEAUMAAMBAkiELQQAhAgNAIAJBEUYNAiAAIAJBAnRqIgRBhAFqIAsgBCoChAG7IAagtiIMIAsgDF4bOAIAIAJBAWohAgwACwALDwsgA0EBaiEDDAALAAthACAAKAIcIAJBAnRqQaQWaigCAEQAAAAAAADwPyABAn8gAZlEAAAAAAAA4EFjBEAgAaoMAQtBgICAgHgLIgC3oSIBoSADIABBAnRqIgAoAgC3oiABIAAoAgS3oqC2OAIgC5ACAgJ/AXwCf0QAAAAAAADwPyABAn8gAZlEAAAAAAAA4EFjBEAgAaoMAQtBgICAgHgLIgW3oSIBoSAEIAVBA3RqIgQrAwCiIAEgBCsDCKKgIgGZRAAAAAAAAOBBYwRAIAGqDAELQYCAgIB4CyEEQQAhBUQAAAAAAADwP0QAAAAAAADwPyABIAS3oSIBIARBAEogAUQAAAAAAAAAAGFxIgYbIgGhIQcgACgCHCACQQJ0akGkFmooAgAhAiADIAQgBmsiBEEBakGgAWxqIQYDQCAFQShGRQRAIAIgBUECdCIAaiAHIAMgBEGgAWxqIABqKAIAt6IgASAAIAZqKAIAt6KgtjgC0AIgBUEBaiEFDAELCwvGAgICfwF8IAAoAhwgAkECdGpBpBZqKAIAIgJEAAAAAAAA8D8gAQJ/IAGZRAAAAAAAAOBBYwRAIAGqDAELQYCAgIB4CyIGt6EiAaEiCCADIAZBFGxqIgAoAgC3oiABIAAoAhS3oqC2OAIMIAIgCCAAKAIEt6IgASAAKAIYt6KgtjgCECACIAggACgCCLeiIAEgACgCHLeioLY4AhQgAiAIIAAqAgy7oiABIAAqAiC7oqC2OAIYIAIgCCAAKgIQu6IgASAAKgIku6KgtjgCHCACIAggBCAGQQJ0aigCALeiIAEgBCAGQQFqIgdBAnRqKAIAt6KgtjgC8ANBACEAA0AgAEERRkUEQCACIABBAnQiA2ogCCAFIAZBxABsaiADaigCALeiIAEgBSAHQcQAbGogA2ooAgC3oqC2OAIkIABBAWohAAwBCwsLxQEBBH8gACgCHCIGKAIcIAVKIQggBiAFQQJ0akGkFmoiCSgCACEAAn8gAZlEAAAAAAAA4EFjBEAgAaoMAQtBgICAgHgLIQcgCEUEQCAGIAVBAWo2AhwLIABFBEAgCUEBQYgEEAUiADYCAAsgAEGgiQRBiAQQCCIAIAVBAXU2AgAgBkGEG2ooAgAEQCAAQQE2AvQDIAAgAiAHQQJ0IgVqKAIANgL4AyAAIAMgBWooAgA2AvwDIAAgBCAHQQN0aisDADkDgAQLCzwBAX8jAEEQayICJAAgAiABKAIANgIIIAIgASgCBDYCDCAAIAJBCGogASgCDCABKQMQEKMBIAJBEGokAAskACAABEAgACgCABADIAAoAhAQAyAAKAIUEAMgAEHoAhAHGgsLKgAgAARAIAAoAggQAyAAKAIMEAMgAEEANgIQIABCADcCCCAAQgA3AgALC4cEAwh/AX0DfCABQQRtIgNBAnQQBCEIIAEgA2pBAnQQBCEEIAAgCDYCDCAAIAQ2AgggACABNgIAIAACfyABsiIKuxAORO85+v5CLuY/o54iC5lEAAAAAAAA4EFjBEAgC6oMAQtBgICAgHgLIgc2AgQgA0EAIANBAEobIQMgAUEBdSEFRBgtRFT7IQlAIAG3oyELRBgtRFT7IQlAIAFBAXS3oyEMA0AgAiADRgRAQQAhAiABQQhtIgNBACADQQBKGyEDA0AgAiADRwRAIAQgAkEBdCABakECdGoiBSALIAJBAnRBAnK3oiIMEBBEAAAAAAAA4L+itjgCBCAFIAwQD0QAAAAAAADgP6K2OAIAIAJBAWohAgwBCwtBASAHQX5qdCEFQX8gB0F/anQhB0EAIQEDQEEAIQJBACEEIAEgA0cEQANAIAUgAnUiBgRAQQEgAnRBACABIAZxGyAEciEEIAJBAWohAgwBCwsgCCABQQN0IgJqQX4gBCAHcms2AgAgCCACQQRyaiAENgIAIAFBAWohAQwBCwsgAEMAAIBAIAqVOAIQBSAEIAJBA3RqIAsgAkECdLeiIg0QD7Y4AgAgBCACQQF0IgZBAXIiCUECdGogDRAQtow4AgAgBCAFIAZqQQJ0aiIGIAwgCbeiIg0QELY4AgQgBiANEA+2OAIAIAJBAWohAgwBCwsLJgEBfyAAKAIMBEAgACAAKAIIIgE2AgwgAUEAOgAAIABCADcCAAsLugQBBX8jAEHQAWsiAyQAIANCATcDCAJAIAFBAnQiB0UNACADQoSAgIDAADcDEEEEIQFBBCEGQQIhBANAIANBEGogBEECdGogBiABIgVqQQRqIgE2AgAgBEEBaiEEIAUhBiABIAdJDQALAn8gACAHakF8aiIFIABNBEBBASEEQQEhAUEADAELQQEhBEEBIQEDQAJ/IARBA3FBA0YEQCAAIAIgASADQRBqEDEgA0EIakECECIgAUECagwBCwJAIANBEGogAUF/aiIGQQJ0aigCACAFIABrTwRAIAAgAiAEIAMoAgwgAUEAIANBEGoQIQwBCyAAIAIgASADQRBqEDELIAFBAUYEQCADQQhqQQEQIEEADAELIANBCGogBhAgQQELIQEgAyADKAIIQQFyIgQ2AgggAEEEaiIAIAVJDQALIAMoAgwLIQYgACACIAQgBiABQQAgA0EQahAhA0ACfwJAAkAgAUEBRyAEQQFHckUEQCADKAIMDQEMBQsgAUEBSg0BCyADQQhqIANBCGoQTSIFECIgAygCCCEEIAEgBWoMAQsgA0EIakECECAgAyADKAIIQQdzNgIIIANBCGpBARAiIABBfGoiBiADQRBqIAFBfmoiBUECdGooAgBrIAIgAygCCCADKAIMIAFBf2pBASADQRBqECEgA0EIakEBECAgAyADKAIIQQFyIgQ2AgggBiACIAQgAygCDCAFQQEgA0EQahAhIAULIQEgAEF8aiEADAALAAsgA0HQAWokAAunAgMFfwR9AnwgACgCACIIQQAgCEEAShshCCAAKAIEIgkgA0ECdCIKaioCDCENIAAqAjC7IRAgA0EBRyELA0AgByAIRwRAIAQgB0ECdCIDaiANIAIgA2oqAgCSIg4gCSoCbCIMIAEgA2oqAgAgACgCDCAKaigCACADaioCAJIiDyAPIAxeGyIMIAwgDl0bOAIAIAtFBEAgDCADIAZqKgIAkyIMQ5qZiUGSuyERAkAgDEOamYnBXkEBc0UEQCARRHsUrkfhenS/oiAQokQAAAAAAADwP6C2IgxDAAAAAF1BAXMNAUMXt9E4IQwMAQsgEURhMlUwKqkzv6IgEKJEAAAAAAAA8D+gtiEMCyADIAVqIgMgDCADKgIAlDgCAAsgB0EBaiEHDAELCwulAwEEfyAAQQtqQXhxIgQgAWogACAAKAIAIgJqQXxqTQR/IAAoAgQiAyAAKAIINgIIIAAoAgggAzYCBCAEIABBBGoiBUcEQCAAIABBfGooAgAiA0EfdSADc2siAyAEIAVrIgQgAygCAGoiBTYCACAFQXxxIANqQXxqIAU2AgAgACAEaiIAIAIgBGsiAjYCAAsCQCABQRhqIAJNBEAgACABakEIaiIDIAIgAWsiAkF4aiIENgIAIARBfHEgA2pBfGpBByACazYCACADAn8gAygCAEF4aiICQf8ATQRAIAJBA3ZBf2oMAQsgAmchBCACQR0gBGt2QQRzIARBAnRrQe4AaiACQf8fTQ0AGiACQR4gBGt2QQJzIARBAXRrQccAaiICQT8gAkE/SRsLIgJBBHQiBEGg1iJqNgIEIAMgBEGo1iJqIgQoAgA2AgggBCADNgIAIAMoAgggAzYCBEGo3iJBqN4iKQMAQgEgAq2GhDcDACAAIAFBCGoiATYCACABQXxxIABqQXxqIAE2AgAMAQsgACACakF8aiACNgIACyAAQQRqBUEACwuvAQEFfyMAQfABayIFJAAgBSAANgIAQQEhBgJAIAJBAkgNACAAIQQDQCAAIARBfGoiBCADIAJBfmoiCEECdGooAgBrIgcgAREAAEEATgRAIAAgBCABEQAAQX9KDQILIAUgBkECdGogByAEIAcgBCABEQAAQX9KIgAbIgQ2AgAgBkEBaiEGIAJBf2ogCCAAGyICQQJIDQEgBSgCACEADAALAAsgBSAGEEwgBUHwAWokAAvFAQEFfyMAQRBrIgIkACAAQaACaiEEA0ACfyABBEAgBCACQQEQUQwBCyAEIAIQoAELBEADQCAAKAIYIgMgAigCDCACKAIEIgUgACgCHCIGampJBEAgACADQQF0IgM2AhggACAAKAIUIAMQDDYCFAwBCwsgACgCFCAGaiACKAIAIAUQCBogACAAKAIcIAIoAgRqIgM2AhwgACgCFCADaiACKAIIIAIoAgwQCBogACAAKAIcIAIoAgxqNgIcDAELCyACQRBqJAALFAAgAARAQQBBfyAAKAIAGw8LQX8LQwEBfwJ/IABDoQ7qQJRDAOB/RJIiAItDAAAAT10EQCAAqAwBC0GAgICAeAsiAUH/B0wEQCABQQAgAUEAShsPC0H/Bws8AEEAIAQgAGsgA0H//wFxIAJB//8BcSIDayICIAJBH3UiBGogBHNsIAEgAGttIgBrIAAgAkEASBsgA2oL6QQCBn8GfCABQQAgAUEAShshCSABQThsIABqQUxqKAIAIQYgACgCACEHA0AgBSAJRkUEQCAMIAQqAtQIIAAgBUE4bGoiASgCHCIIIAEoAjQiCmqylCAIQQFqspW7RAAAAAAAAPA/oCIQIAi3oiAKt6CgIQwgDiAQIAEoAhi3oiABKAIwt6CgIQ4gDSAQIAEoAhC3oiABKAIot6CgIQ0gDyAQIAEoAgy3oiABKAIkt6CgIQ8gCyAQIAEoAgi3oiABKAIgt6CgIQsgBUEBaiEFDAELCyACKAIAIgBBAE4EQCAMRAAAAAAAAPA/oCEMIA8gALegIQ8gDiAAIAdst6AhDiANIAcgB2y3oCENIAsgB7egIQsLIAMoAgAiAEEATgRAIAxEAAAAAAAA8D+gIQwgDyAAt6AhDyAOIAAgBmy3oCEOIA0gBiAGbLegIQ0gCyAGt6AhCwtBASEFAkACQCAMIA2iIAsgC6KhIhBEAAAAAAAAAABkQQFzRQRAIAICfyANIA+iIA4gC6KhIBCjIg0gDCAOoiAPIAuioSAQoyILIAe3oqCeIgyZRAAAAAAAAOBBYwRAIAyqDAELQYCAgIB4CzYCACADAn8gDSALIAa3oqCeIguZRAAAAAAAAOBBYwRAIAuqDAELQYCAgIB4CyIBNgIAAn8gAigCACIFQYAITgRAQf8HIQUgAkH/BzYCACADKAIAIQELIAFBgAhOCwRAIANB/wc2AgAgAigCACEFQf8HIQELIAVBf0wEQCACQQA2AgAgAygCACEBC0EAIQUgAUEASA0BDAILIAJBADYCAAsgA0EANgIACyAFC8wKARB/IwBB8CZrIgQkACABKAKECiILQQAgC0EAShshBiABKAKICiEIIAEoApAKIQwDQCAGIAdGBEADQCAFIAZGBEACQEEAIQVBACEHA0AgBSAGRgRAA0AgBiAHRgRAAkBBACEFA0AgBSAGRwRAIARBIGogBUECdGpBfzYCACAFQQFqIQUMAQsLAkAgCwRAQQAhBSALQX9qIgZBACAGQQBKGyENQQAhBgNAIAYgDUYNAiADIAIgASAGQQJ0aigCACABIAZBAWoiB0ECdGooAgAgBEHwCmogBkE4bGogCCAMEFkgBWohBSAHIQYMAAsACyADIAJBACAIIARB8ApqIAggDBBZIQULIAVFBEBBACEFDAYLIARBuH42AhwgBEG4fjYCGCAEQfAKaiALQX9qIARBHGogBEEYaiAMEDYaIAQgBCgCHCIGNgLgCCAEIAY2AtAGIAQgBCgCGCIGNgLUBiAEIAY2AuQIIAtBAiALQQJKGyEQIAxBxAZqIRFBAiEFA0AgBSAQRwRAAkAgASAFQQJ0IgdqKAKIBCIGQQJ0IgggBEHABGpqKAIAIg1BAnQiCSAEQSBqaiIOKAIAIARBsAJqIAhqKAIAIghGDQAgAUGIBGoiCiAIQQJ0IhJqKAIAIQ8gCSAKaigCACEKIA4gCDYCACAEQeAIaiAEQdAGaiANEBoiDkF/RiAEQeAIaiAEQdAGaiAIEBoiE0F/RnINAyAJIBFqKAIAIBEgEmooAgAgDiATIAMgAiAMEMgBBEAgBEG4fjYCFCAEQbh+NgIQIARBuH42AgwgBEG4fjYCCCAEQfAKaiAKQThsaiAGIAprIARBFGogBEEQaiAMEDYhCiAEQfAKaiAGQThsaiAPIAZrIARBDGogBEEIaiAMEDYhDyAKBEAgBCAONgIUIAQgBCgCDDYCEAsCQCAPRQ0AIAQgBCgCEDYCDCAEIBM2AgggCkUNACAEQdAGaiAHakG4fjYCACAEQeAIaiAHakG4fjYCAAwCCyAEQdAGaiAJaiAEKAIUIgk2AgAgDUUEQCAEIAk2AuAICyAEQeAIaiAHaiAEKAIQIgk2AgAgBEHQBmogB2ogBCgCDCIKNgIAIARB4AhqIBJqIAQoAggiBzYCACAIQQFGBEAgBCAHNgLUBgsgBiEHIAkgCnFBAEgNAQNAAkAgB0EATA0AIARBsAJqIAdBf2oiB0ECdGoiCSgCACAIRw0AIAkgBTYCAAwBCwsDQCAGQQFqIgYgC04NAiAEQcAEaiAGQQJ0aiIHKAIAIA1HDQIgByAFNgIADAALAAsgBEHQBmogB2pBuH42AgAgBEHgCGogB2pBuH42AgALIAVBAWohBQwBCwsgACALQQJ0EAkiBSAEQeAIaiAEQdAGakEAEBo2AgAgBSAEQeAIaiAEQdAGakEBEBo2AgQgDEHEBmohAEECIQYDQCAGIBBGDQYgBSAGQQJ0IgJqIAAgASACaiIDQYAIaigCAEECdCIHaigCACAAIAMoAoQGQQJ0IgNqKAIAIAUgB2ooAgAgAyAFaigCACAAIAJqKAIAEDUiA0GAgAJyIgIgAiAEQeAIaiAEQdAGaiAGEBoiAiACIANGGyACQQBIGzYCACAGQQFqIQYMAAsACwUgBEGwAmogB0ECdGpBATYCACAHQQFqIQcMAQsLQQEQAQAFIARBwARqIAVBAnRqQQA2AgAgBUEBaiEFDAELAAsACwUgBEHQBmogBUECdGpBuH42AgAgBUEBaiEFDAELCwUgBEHgCGogB0ECdGpBuH42AgAgB0EBaiEHDAELCyAEQfAmaiQAIAULBQAQhwELcgECfyAAKAJUIQEDQCABBEAgASgCBCECIAEoAgAQAyABEAMgAiEBDAELCyAAKAJQIgIEQCAAIAAoAkQgACgCTCACahAMNgJEIAAoAlAhAiAAQQA2AlAgACACIAAoAkxqNgJMCyAAQQA2AlQgAEEANgJIC/kBAgR/AX0jACACIARqQQJ0QQ9qQXBxayEHAkAgAUUEQANAIAIgBUYNAiAHIAVBAnRqQQA2AgAgBUEBaiEFDAALAAsDQCACIAVGDQEgByAFQQJ0IgZqIAEgBmoqAgA4AgAgBUEBaiEFDAALAAtBACEGIARBACAEQQBKGyEIIAIhAQNAQwAAAAAhCSACIQQgCCAGIgVGRQRAA0AgASAFRkUEQCAJIAcgBUECdGoqAgAgACAEQX9qIgRBAnRqKgIAlJMhCSAFQQFqIQUMAQsLIAcgAUECdGogCTgCACADIAZBAnRqIAk4AgAgAUEBaiEBIAZBAWohBgwBCwsL6AQCBn8EfCMAIgYhCSAGIANBAWoiBkEDdEEPakFwcWsiCCIFJAAgBSADQQN0QQ9qQXBxayIHJAADQEQAAAAAAAAAACEKIAZBf2oiBSEEIAYEQANAIAQgAk5FBEAgCiAAIARBAnRqKgIAuyAAIAQgBWtBAnRqKgIAu6KgIQogBEEBaiEEDAELCyAIIAVBA3RqIAo5AwAgBSEGDAELCyAIKwMAIgpEON8GAAAA8D+iIQsgCkSV1iboCy4RPqJEu73X2d982z2gIQ1BACEAA0ACQCAAIANHBEAgCyANY0EBcw0BIAcgAEEDdGogAyAAa0EDdBAHGgtBACEEQQAhAESuR+F6FK7vPyEKA0AgACADRgRAA0ACQCADIARGDQAgASAEQQJ0aiAHIARBA3RqKwMAtjgCACAEQQFqIQQMAQsLBSAHIABBA3RqIgIgCiACKwMAojkDACAAQQFqIQAgCkSuR+F6FK7vP6IhCgwBCwsgCSQADwsgAEEBdiEGIAggAEEBaiICQQN0aisDAJohCkEAIQQDQCAAIARGRQRAIAogByAEQQN0aisDACAIIAAgBGtBA3RqKwMAoqEhCiAEQQFqIQQMAQsLIAcgAEEDdGogCiALoyIKOQMAQQAhBANAIAQgBkZFBEAgByAEQQN0aiIFIAUrAwAiDCAKIAcgACAEQX9zakEDdGoiBSsDAKKgOQMAIAUgCiAMoiAFKwMAoDkDACAEQQFqIQQMAQsLIABBAXEEQCAHIAZBA3RqIgAgACsDACIMIAogDKKgOQMACyALRAAAAAAAAPA/IAogCqKhoiELIAIhAAwACwALIwAgAARAIAAoAgQQAyAAKAIIEAMgAEEANgIIIABCADcCAAsLPgEBfyAAIAE2AgAgACABQQNsQQQQBSICNgIEIABBIEEEEAUiADYCCCABQQFHBEAgASACIAFBAnRqIAAQYgsLnBcDFH8HfQJ8IAAgAmwhFSAAQX9qQQF1IRwgAUEBakEBdSEaQ9sPyUAgAbKVuyIlEBAhJiAlEA8hJQJAIABBAUYNACADQQAgA0EAShshCwNAIAogC0YEQCABQQEgAUEBShshFkEAIQwgAkEAIAJBAEobIRhBASENA0AgDSAWRkUEQEEAIQogDCAVaiIMIQsDQCAKIBhGRQRAIAcgC0ECdCIOaiAFIA5qKgIAOAIAIApBAWohCiAAIAtqIQsMAQsLIA1BAWohDQwBCwtBACAAayETQQEhDwJAIBwgAkoEQANAIA8gFkYNAiAAIBNqIhNBf2ohDiARIBVqIhEgAGshEkEAIRADQCAQIBhGRQRAQQIhCiAAIBJqIhIhCyAOIQwDQCAKIABORQRAIAcgC0ECdEEEaiINaiAMQQJ0IAlqIhdBBGoqAgAgBSANaiINKgIAlCAJIAxBAmoiDEECdGoiFCoCACAFIAtBAmoiC0ECdCIZaiIbKgIAlJI4AgAgByAZaiAXKgIEIBsqAgCUIBQqAgAgDSoCAJSTOAIAIApBAmohCgwBCwsgEEEBaiEQDAELCyAPQQFqIQ8MAAsACwNAIA8gFkYNASAAIBNqIhNBf2ohCkECIQ4gESAVaiIRIRADQCAOIABORQRAIAkgCkECaiIMQQJ0aiESIApBAnQgCWohDUEAIQogEEECaiIQIQsDQCAKIBhGRQRAIAcgC0ECdCIXQXxqIhRqIA0qAgQgBSAUaiIUKgIAlCASKgIAIAUgF2oiGSoCAJSSOAIAIAcgF2ogDSoCBCAZKgIAlCASKgIAIBQqAgCUkzgCACAKQQFqIQogACALaiELDAELCyAOQQJqIQ4gDCEKDAELCyAPQQFqIQ8MAAsAC0EBIQ8gGkEBIBpBAUobIRYgASAVbCETQQAhESAcIAJIBEADQCAPIBZGDQRBAiEQIBMgFWsiEyESIBEgFWoiESEOA0AgECAATkUEQCASQQJqIhIgAGshCSAOQQJqIg4gAGshDUEAIQoDQCAKIBhGRQRAIAUgACANaiINQQJ0IgtBfGoiDGogByAMaiIXKgIAIAcgACAJaiIJQQJ0IgxBfGoiFGoiGSoCAJI4AgAgBSAUaiAHIAtqIhQqAgAgByAMaiIbKgIAkzgCACAFIAtqIBQqAgAgGyoCAJI4AgAgBSAMaiAZKgIAIBcqAgCTOAIAIApBAWohCgwBCwsgEEECaiEQDAELCyAPQQFqIQ8MAAsACwNAIA8gFkYNA0EAIRAgEyAVayITIRIgESAVaiIRIQ4DQEECIQogDiELIBIhDCAQIBhGRQRAA0AgCiAATkUEQCAFIAtBAnRBBGoiCWogByAJaiIJKgIAIAcgDEECdEEEaiINaiIXKgIAkjgCACAFIA1qIAcgC0ECaiILQQJ0Ig1qIhQqAgAgByAMQQJqIgxBAnQiGWoiGyoCAJM4AgAgBSANaiAUKgIAIBsqAgCSOAIAIAUgGWogFyoCACAJKgIAkzgCACAKQQJqIQoMAQsLIBBBAWohECAAIBJqIRIgACAOaiEODAELCyAPQQFqIQ8MAAsABSAIIApBAnQiDGogBiAMaioCADgCACAKQQFqIQoMAQsACwALIAAgAWwhGCAmtiEiICW2ISNBACEKIANBACADQQBKGyEZA0AgCiAZRkUEQCAGIApBAnQiCWogCCAJaioCADgCACAKQQFqIQoMAQsLIBpBASAaQQFKGyEXQQAhECACQQAgAkEAShshFCABIANsIhIhDkEBIQ8DQCAPIBdGRQRAIA4gFWsiDiAAayELIBAgFWoiECAAayEMQQAhCgNAIAogFEZFBEAgBSAAIAxqIgxBAnQiCWogByAJaiIJKgIAIAcgACALaiILQQJ0Ig1qIhEqAgCSOAIAIAUgDWogESoCACAJKgIAkzgCACAKQQFqIQoMAQsLIA9BAWohDwwBCwsgAUF/aiADbCENQQEhE0EAIRtDAACAPyEfQQAhDkEBIREDQCARIBdHBEAgHiAjlCAfICKUkiEgIB8gI5QgHiAilJMhH0EAIQUgEiADayISIQogDSELIAMhDCADIA5qIg4hCQNAIAUgGUYEQEECIRYgDSEPIAMhECAgISEgHyEeA0AgFiAaRkUEQCAfICGUICAgHpSSISQgHyAelCAgICGUkyEeQQAhBSAOIQogEiELIAMgEGoiECEMIA8gA2siDyEJA0AgBSAZRkUEQCAIIApBAnRqIh0gHSoCACAeIAYgDEECdGoqAgCUkjgCACAIIAtBAnRqIh0gHSoCACAkIAYgCUECdGoqAgCUkjgCACAFQQFqIQUgC0EBaiELIAlBAWohCSAKQQFqIQogDEEBaiEMDAELCyAWQQFqIRYgJCEhDAELCyARQQFqIREgICEeDAMFIAggCUECdGogBiAFQQJ0aioCACAfIAYgDEECdGoqAgCUkjgCACAIIApBAnRqICAgBiALQQJ0aioCAJQ4AgAgBUEBaiEFIApBAWohCiALQQFqIQsgCUEBaiEJIAxBAWohDAwBCwALAAsLA0ACQCATIBdHBEBBACEFIAMgG2oiGyEKA0AgBSAZRg0CIAggBUECdGoiCSAGIApBAnRqKgIAIAkqAgCSOAIAIAVBAWohBSAKQQFqIQoMAAsAC0EAIQkgAEEAIABBAEobIQMCQCAAIAJIBEADQEEAIQUgCSIKIQsgAyAKRg0CA0AgBSAURkUEQCAEIApBAnRqIAcgC0ECdGoqAgA4AgAgBUEBaiEFIAogGGohCiAAIAtqIQsMAQsLIAlBAWohCQwACwALQQAhBkEAIQgDQEEAIQUgCSEKIAYhCyAIIBRGDQEDQCADIAVGRQRAIAQgCkECdGogByALQQJ0aioCADgCACAFQQFqIQUgCkEBaiEKIAtBAWohCwwBCwsgCEEBaiEIIAkgGGohCSAAIAZqIQYMAAsACyAAQQF0IRpBACEIIAEgFWwiECEJQQAhDUEBIQYDQAJAIAYgF0cEQEEAIQUgDSAaaiINIQogCCAVaiIIIQsgCSAVayIJIQwDQCAFIBRGDQIgBCAKQQJ0aiIBQXxqIAcgC0ECdGoqAgA4AgAgASAHIAxBAnRqKgIAOAIAIAVBAWohBSAAIAxqIQwgACALaiELIAogGGohCgwACwALQQEhEQJAIABBAUYNAEEAIRJBACAAayETIBwgAkgEQEEAIQ4DQCARIBdGDQIgECAVayEQIBIgFWohEiAOIBpqIQ4gEyAaaiITIABqIQZBAiEDA0ACQCADIABIBEAgAyAQaiEKIAMgEmohCyADIA5qIQwgBiADayEJQQAhBQNAIAUgFEYNAiAEIAxBAnRqIghBfGogByALQQJ0aiIBQXxqIg0qAgAgByAKQQJ0aiICQXxqIg8qAgCSOAIAIAQgCUECdGoiFkF8aiANKgIAIA8qAgCTOAIAIAggASoCACACKgIAkjgCACAWIAIqAgAgASoCAJM4AgAgBUEBaiEFIAAgCmohCiAAIAtqIQsgDCAYaiEMIAkgGGohCQwACwALIBFBAWohEQwCCyADQQJqIQMMAAsACwALQQAhDgNAIBEgF0YNAUEAIQMgEyAaaiITIQkgDiAaaiIOIQ0gEiAVaiISIRYgECAVayIQIQ8DQEECIQUgAyAURkUEQANAIAUgAE5FBEAgBCAFIA1qQQJ0aiIGQXxqIAcgBSAWakECdGoiAUF8aiIIKgIAIAcgBSAPakECdGoiAkF8aiILKgIAkjgCACAEIAAgBWsgCWpBAnRqIgpBfGogCCoCACALKgIAkzgCACAGIAEqAgAgAioCAJI4AgAgCiACKgIAIAEqAgCTOAIAIAVBAmohBQwBCwsgA0EBaiEDIAAgD2ohDyAAIBZqIRYgDSAYaiENIAkgGGohCQwBCwsgEUEBaiERDAALAAsPCyAGQQFqIQYMAAsACyATQQFqIRMMAAsAC7YEAg9/BX0gAUEAIAFBAEobIQkgAEEBdCIPQX9qIQcgACABbCIOIQEDQCAFIAlGRQRAIAMgBkEDdGogAiAGQQJ0aiIIKgIAIAIgAUECdGoiCioCAJI4AgAgAyAHIAZBAXRqQQJ0aiAIKgIAIAoqAgCTOAIAIAVBAWohBSAAIAFqIQEgACAGaiEGDAELCwJAIABBAkgNACAAQQJHBEBBACEFIA4hCANAIAkgC0ZFBEAgBUEBdCEBIAAgBWoiCkEBdCEHQQIhBiAIIQwDQCAGIABORQRAIAxBAnQhDSADIAFBAmoiEEECdGogAiAFQQJqIhFBAnRqIhIqAgAgBkECdCAEaiITQXhqKgIAIhQgAiAMQQJqIgxBAnRqKgIAIhWUIAIgDWoqAgQiFiATQXxqKgIAIheUkyIYkjgCACADIAdBfmoiDUECdGogGCASKgIAkzgCACADIAFBAnRBBHJqIBQgFpQgFyAVlJIiFCAFQQJ0IAJqIgFBBGoqAgCSOAIAIAdBAnQgA2pBdGogASoCBCAUkzgCACAGQQJqIQYgDSEHIBEhBSAQIQEMAQsLIAtBAWohCyAAIAhqIQggCiEFDAELCyAAQQJvQQFGDQELIA4gAEF/aiIFaiEBQQAhBiAAIQcDQCAGIAlGDQEgAyAHQQJ0aiIEIAIgAUECdGoqAgCMOAIAIARBfGogAiAFQQJ0aioCADgCACAGQQFqIQYgACAFaiEFIAAgAWohASAHIA9qIQcMAAsACwvZBwIOfxR9IAFBACABQQBKGyESIABBAXQhDyAAIAFsIgxBA2whCSAMQQF0IhQhByAMIQpBACEBA0AgASASRkUEQCADIAhBBHRqIAIgCkECdGoiESoCACACIAlBAnRqIg4qAgCSIhYgAiAIQQJ0IgtqIhAqAgAgAiAHQQJ0aiINKgIAkiIVkjgCACAAIAhqIghBBHQgA2pBfGogFSAWkzgCACADIAsgD2pBAnRqIgtBfGogECoCACANKgIAkzgCACALIA4qAgAgESoCAJM4AgAgAUEBaiEBIAAgB2ohByAAIAlqIQkgACAKaiEKDAELCwJAIABBAkgNACAAQQJHBEBBACELA0AgEiATRkUEQEECIQggC0ECdCIBIA9qIQkgCyEHA0AgCCAATkUEQCACIAdBAmoiCkECdGoqAgAhGyADIAFBAnRBBHJqIAQgCEECdCIOQXhqIhFqKgIAIhwgAiAKIAxqIhBBAnRqIg1BfGoqAgAiHZQgBCAOQXxqIg5qKgIAIh4gDSoCACIflJIiICAGIBFqKgIAIiEgAiAMIBBqIhAgDGpBAnRqIg1BfGoqAgAiIpQgBiAOaioCACIjIA0qAgAiJJSSIiWSIiYgBSARaioCACIYIAIgEEECdGoiDUF8aioCACIZlCAFIA5qKgIAIhYgDSoCACIVlJIiGiAHQQJ0IAJqKgIEIheSIieSOAIAIAMgAUECaiIBQQJ0aiAbIBggFZQgGSAWlJMiKJIiGCAcIB+UIB0gHpSTIhYgISAklCAiICOUkyIVkiIZkjgCACAJQQJ0IANqQXRqIBcgGpMiGiAWIBWTIheTOAIAIAMgCUF+aiIJQQJ0aiAlICCTIhYgGyAokyIVkzgCACADIAEgD2pBAnRqIgcgFSAWkjgCACAHQXxqIBcgGpI4AgAgAyAJIA9qQQJ0aiIHIBkgGJM4AgAgB0F8aiAnICaTOAIAIAhBAmohCCAKIQcMAQsLIBNBAWohEyAAIAtqIQsMAQsLIABBAXENAQsgAEECdCELIAAgDGpBf2oiCCAUaiEHQQAhCSAAIgohAQNAIAkgEkYNASADIAFBAnRqIgZBfGogCkECdCACakF8aiIEKgIAIAIgCEECdGoqAgAiFyACIAdBAnRqKgIAIhaTQ/MENT+UIhWSOAIAIAMgASAPakECdGoiBUF8aiAEKgIAIBWTOAIAIAYgFyAWkkPzBDW/lCIVIAIgCCAMakECdGoiBCoCAJM4AgAgBSAVIAQqAgCSOAIAIAlBAWohCSAAIApqIQogASALaiEBIAAgB2ohByAAIAhqIQgMAAsACwu+BQIPfwJ9IwAiAyEQIAEgACgCACIHQQF1IgtBAnQiBGogB0F8cWoiBkEEaiEFIAMgB0ECdEEPakFwcWsiCSAEaiEIIAkkACAAKAIIIhEgBGohBCAHQQN1IQogB0ECdSEPQQAhAwNAIAMgCk5FBEAgBkF4aiEMIAggA0ECdCINaiAGQXBqIgYqAgAgBSoCCJIiEiAEQXxqIg4qAgCUIAwqAgAgBSoCAJIiEyAEQXhqIgQqAgCUkjgCACAIIA1BBHJqIBIgBCoCAJQgEyAOKgIAlJM4AgAgA0ECaiEDIAVBEGohBQwBCwsgCyAKayEKIAFBBGohBQNAIAMgCk5FBEAgBkF4aiEMIAggA0ECdCINaiAGQXBqIgYqAgAgBSoCCJMiEiAEQXxqIg4qAgCUIAwqAgAgBSoCAJMiEyAEQXhqIgQqAgCUkjgCACAIIA1BBHJqIBIgBCoCAJQgEyAOKgIAlJM4AgAgA0ECaiEDIAVBEGohBQwBCwsgASAHQQJ0aiEGA0AgAyALTkUEQCAGQXhqIQEgCCADQQJ0IgdqIAZBcGoiBioCAIwgBSoCCJMiEiAEQXxqIgoqAgCUIAEqAgCMIAUqAgCTIhMgBEF4aiIEKgIAlJI4AgAgCCAHQQRyaiASIAQqAgCUIBMgCioCAJSTOAIAIANBAmohAyAFQRBqIQUMAQsLIAAoAgQgESAIIAsQcCAAKAIAIAAoAgggACgCDCAJEGwgC0ECdCIBIAAoAghqIQNBACEEIA9BACAPQQBKGyEGIAEgAmohBQNAIAQgBkZFBEAgAiAEQQJ0aiAAKgIQIAkqAgAiEiADKgIAlCAJKgIEIhMgAyoCBJSSlDgCACAFQXxqIgUgACoCECASIAMqAgSUIBMgAyoCAJSTlDgCACAEQQFqIQQgA0EIaiEDIAlBCGohCQwBCwsgECQAC6QBAQp9IAAgACoCGCICIAAqAggiA5IiASAAKgIQIgQgACoCACIGkiIFkjgCGCAAIAEgBZM4AhAgACAAKgIcIgEgACoCDCIFkiIHIAAqAhQiCCAAKgIEIgmSIgqTOAIUIAAgASAFkyIBIAQgBpMiBJM4AgQgACAKIAeSOAIcIAAgBCABkjgCDCAAIAIgA5MiAiAIIAmTIgOTOAIIIAAgAiADkjgCAAuxAgEIfSAAIAAqAgQiAiAAKgIkIgOSOAIkIAAgACoCACIEIAAqAiAiBZI4AiAgACoCDCEBIAAgACoCKCIGIAAqAggiB5M4AgwgACABIAAqAiwiCJI4AiwgACAGIAeSOAIoIAAgASAIkzgCCCAAIAIgA5MiASAEIAWTIgKTQ/MENT+UOAIEIAAgASACkkPzBDU/lDgCACAAIAAqAjAiASAAKgIQIgKSOAIwIAAgACoCNCIDIAAqAhQiBJI4AjQgACABIAKTIgEgAyAEkyICkkPzBDU/lDgCFCAAIAEgApND8wQ1P5Q4AhAgACoCGCEBIAAqAjghAiAAIAAqAjwiAyAAKgIcIgSSOAI8IAAgAiABkjgCOCAAIAMgBJM4AhwgACACIAGTOAIYIAAQQiAAQSBqEEIL1gEBBX9BfyEEAkAgAUEgSw0AIAAoAgQiAiABaiEDAkAgACgCACIFIAAoAhAiBkF8akgNACAFIAYgA0EHakEDdWtKDQEgAw0AQQAPCyABQQJ0QcC+AWooAgAhBAJ/IAAoAgwiAS0AACACdiIAIANBCUgNABogAS0AAUEIIAJrdCAAciIAIANBEUgNABogAS0AAkEQIAJrdCAAciIAIANBGUgNABogAS0AA0EYIAJrdCAAciIAIAJFIANBIUhyDQAaIAEtAARBICACa3QgAHILIARxIQQLIAQLLQEBfyAAQgA3AgAgAEGAAhAEIgE2AgwgACABNgIIIAFBADoAACAAQYACNgIQC/sEAwZ/A30BfCMAIgkhDiAJIAdBAnRBD2pBcHFrIgwkACAHIgkCfyAAKAL0AwRAIAAoAvgDIAZrIQkLIAkLIAkgB0obIglBACAJQQBKGyEJA0AgCSAKRgRAIAkgByAJIAdKGyEKIAEgBmshC0EAIQcgBUEARyENA0AgCSAKRwRAAkAgBQRAIAUgCUECdGooAgANAQsgCSALSCANcSADIAlBAnQiAWoiBioCACABIARqKgIAIhGVIg9DAACAPl1BAXNyRQRAIAwgB0ECdGogBjYCACAHQQFqIQcgECAPkiEQDAELIAEgCGoCfyAPu5+eIhKaIBIgASACaioCAEMAAAAAXRsiEplEAAAAAAAA4EFjBEAgEqoMAQtBgICAgHgLIgE2AgAgBiARIAEgAWyylDgCAAsgCUEBaiEJDAELCwJAIAdFDQAgDCAHQQIQLkEAIQkgB0EAIAdBAEobIQEDQCABIAlGDQEgCCAMIAlBAnRqKAIAIgUgA2tBAnUiBkECdGoCfyAAKwOABCAQu2VBAXMEQEMAAAAAIQ9BAAwBCyAEIAZBAnQiBmoqAgAhDyAQQwAAgL+SIRACfyACIAZqKgIAvEGAgICAeHFBgICA/ANyviIRi0MAAABPXQRAIBGoDAELQYCAgIB4Cws2AgAgBSAPOAIAIAlBAWohCQwACwALIA4kAAUCQCAFBEAgBSAKQQJ0aigCAA0BCwJ/IAMgCkECdCILaioCACAEIAtqKgIAlbufniISmiASIAIgC2oqAgBDAAAAAF0bIhKZRAAAAAAAAOBBYwRAIBKqDAELQYCAgIB4CyENIAggC2ogDTYCAAsgCkEBaiEKDAELCwvkCwIKfwl9IwAgAEECdEEPakFwcSIGayIKIAZrIgsgBmsiDCAGayINIAZrIQ4gCiACKgIAIASSQwAAgD+XIhEgEZRDAAAAP5QiE0MAAAAAkiISOAIAIAsgEjgCACAMQQA2AgAgDSARIBOUQwAAAACSIhY4AgAgDkEANgIAIABBASAAQQFKGyEGIBIhE0EBIQdDAACAPyEQA0AgBiAHRgRAAkAgAEEAIABBAEobIQJBACEHQwAAAAAhFkMAAAAAIRFDAACAPyESQwAAAAAhEANAIAIgB0YEQCACIQcMAgsgASAHQQJ0IglqKAIAIgZBf0oNAUEAIAZBEHVrIgggAE4NASAGQf//A3EiBiAATg0BIAMgCWogDCAGQQJ0IglqKgIAIAwgCEECdCIGaioCAJIiFSAJIA1qKgIAIAYgDWoqAgCSIhGUIAkgC2oqAgAgBiALaioCAJMiFCAJIA5qKgIAIAYgDmoqAgCTIhKUkyIWIBAgCSAKaioCACAGIApqKgIAkiITIBKUIBQgEZSTIhGUkiATIBWUIBQgFJSTIhKVQwAAAACXIASTOAIAIBBDAACAP5IhECAHQQFqIQcMAAsACwUgCiAHQQJ0IghqIBIgAiAIaioCACAEkkMAAIA/lyIXIBeUIhWSIhI4AgAgCCALaiATIBAgFZQiEZIiEzgCACAIIAxqIBggECARlJIiGDgCACAIIA1qIBYgFyAVlJIiFjgCACAIIA5qIBQgFyARlJIiFDgCACAQQwAAgD+SIRAgB0EBaiEHDAELCyAHIAAgByAAShshBgJAA0AgBiAHRg0BAkAgASAHQQJ0Ig9qKAIAIghB//8DcSIJIABOIAhBAEhyDQAgCEEQdSIIIABODQAgAyAPaiAMIAlBAnQiCWoqAgAgDCAIQQJ0IghqKgIAkyIVIAkgDWoqAgAgCCANaioCAJMiEZQgCSALaioCACAIIAtqKgIAkyIUIAkgDmoqAgAgCCAOaioCAJMiEpSTIhYgECAJIApqKgIAIAggCmoqAgCTIhMgEpQgFCARlJMiEZSSIBMgFZQgFCAUlJMiEpVDAAAAAJcgBJM4AgAgEEMAAIA/kiEQIAdBAWohBwwBCwsgByEGCyAGIAAgBiAAShshAQNAIAEgBkZFBEAgAyAGQQJ0aiAWIBEgEJSSIBKVQwAAAACXIASTOAIAIBBDAACAP5IhECAGQQFqIQYMAQsLAkAgBUEBSA0AIAVBAXYhCEMAAAAAIRBBACEGAkADQCACIAZGDQECQCAGIAhqIgcgAE4NACAHIAVrIgFBf0oNACAMIAdBAnQiB2oqAgAgDCABQQJ0IgFrKgIAkiIVIAcgDWoqAgAgDSABayoCAJIiEZQgByALaioCACALIAFrKgIAkyIUIAcgDmoqAgAgDiABayoCAJMiEpSTIhYgECAHIApqKgIAIAogAWsqAgCSIhMgEpQgFCARlJMiEZSSIBMgFZQgFCAUlJMiEpUgBJMiEyADIAZBAnRqIgEqAgBdQQFzRQRAIAEgEzgCAAsgEEMAAIA/kiEQIAZBAWohBgwBCwsgBiECCyACIAAgAiAAShshBgJAA0AgAiAGRg0BAkAgAiAIaiIHIABODQAgByAFayIBQQBIDQAgDCAHQQJ0IgdqKgIAIAwgAUECdCIBaioCAJMiFSAHIA1qKgIAIAEgDWoqAgCTIhGUIAcgC2oqAgAgASALaioCAJMiFCAHIA5qKgIAIAEgDmoqAgCTIhKUkyIWIBAgByAKaioCACABIApqKgIAkyITIBKUIBQgEZSTIhGUkiATIBWUIBQgFJSTIhKVIASTIhMgAyACQQJ0aiIBKgIAXUEBc0UEQCABIBM4AgALIBBDAACAP5IhECACQQFqIQIMAQsLIAIhBgsgBiAAIAYgAEobIQEDQCABIAZGDQEgFiARIBCUkiASlSAEkyITIAMgBkECdGoiACoCAF1BAXNFBEAgACATOAIACyAQQwAAgD+SIRAgBkEBaiEGDAALAAsLLgECfwNAIAJBOEZFBEAgACACQQJ0aiIDIAMqAgAgAZI4AgAgAkEBaiECDAELCwtCAgJ/AX0DQCACQThHBEAgASACQQJ0IgNqKgIAIgQgACADaiIDKgIAXUEBc0UEQCADIAQ4AgALIAJBAWohAgwBCwsLzAkDBX8BfgR8IwBBMGsiBCQAAkACQAJAIAC9IgdCIIinIgJB/////wdxIgNB+tS9gARNBEAgAkH//z9xQfvDJEYNASADQfyyi4AETQRAIAdCAFkEQCABIABEAABAVPsh+b+gIgBEMWNiGmG00L2gIgg5AwAgASAAIAihRDFjYhphtNC9oDkDCEEBIQIMBQsgASAARAAAQFT7Ifk/oCIARDFjYhphtNA9oCIIOQMAIAEgACAIoUQxY2IaYbTQPaA5AwhBfyECDAQLIAdCAFkEQCABIABEAABAVPshCcCgIgBEMWNiGmG04L2gIgg5AwAgASAAIAihRDFjYhphtOC9oDkDCEECIQIMBAsgASAARAAAQFT7IQlAoCIARDFjYhphtOA9oCIIOQMAIAEgACAIoUQxY2IaYbTgPaA5AwhBfiECDAMLIANBu4zxgARNBEAgA0G8+9eABE0EQCADQfyyy4AERg0CIAdCAFkEQCABIABEAAAwf3zZEsCgIgBEypSTp5EO6b2gIgg5AwAgASAAIAihRMqUk6eRDum9oDkDCEEDIQIMBQsgASAARAAAMH982RJAoCIARMqUk6eRDuk9oCIIOQMAIAEgACAIoUTKlJOnkQ7pPaA5AwhBfSECDAQLIANB+8PkgARGDQEgB0IAWQRAIAEgAEQAAEBU+yEZwKAiAEQxY2IaYbTwvaAiCDkDACABIAAgCKFEMWNiGmG08L2gOQMIQQQhAgwECyABIABEAABAVPshGUCgIgBEMWNiGmG08D2gIgg5AwAgASAAIAihRDFjYhphtPA9oDkDCEF8IQIMAwsgA0H6w+SJBEsNAQsgASAAIABEg8jJbTBf5D+iRAAAAAAAADhDoEQAAAAAAAA4w6AiCUQAAEBU+yH5v6KgIgggCUQxY2IaYbTQPaIiC6EiADkDACADQRR2IgUgAL1CNIinQf8PcWtBEUghAwJ/IAmZRAAAAAAAAOBBYwRAIAmqDAELQYCAgIB4CyECAkAgAw0AIAEgCCAJRAAAYBphtNA9oiIAoSIKIAlEc3ADLooZozuiIAggCqEgAKGhIguhIgA5AwAgBSAAvUI0iKdB/w9xa0EySARAIAohCAwBCyABIAogCUQAAAAuihmjO6IiAKEiCCAJRMFJICWag3s5oiAKIAihIAChoSILoSIAOQMACyABIAggAKEgC6E5AwgMAQsgA0GAgMD/B08EQCABIAAgAKEiADkDACABIAA5AwhBACECDAELIAdC/////////weDQoCAgICAgICwwQCEvyEAQQAhAkEBIQUDQCAEQRBqIAJBA3RqAn8gAJlEAAAAAAAA4EFjBEAgAKoMAQtBgICAgHgLtyIIOQMAIAAgCKFEAAAAAAAAcEGiIQBBASECIAVBAXEhBkEAIQUgBg0ACyAEIAA5AyACQCAARAAAAAAAAAAAYgRAQQIhAgwBC0EBIQUDQCAFIgJBf2ohBSAEQRBqIAJBA3RqKwMARAAAAAAAAAAAYQ0ACwsgBEEQaiAEIANBFHZB6ndqIAJBAWoQhgEhAiAEKwMAIQAgB0J/VwRAIAEgAJo5AwAgASAEKwMImjkDCEEAIAJrIQIMAQsgASAAOQMAIAEgBCsDCDkDCAsgBEEwaiQAIAIL7gMBBn9BnNYiKAIAIgEgAEEDakF8cSIEaiEDAkAgBEEBTkEAIAMgAU0bDQAgAz8AQRB0SwRAIAMQiAFFDQELQZzWIiADNgIAIAFBAUgNAEEQIQMgACABaiIEQXBqIgJBEDYCDCACQRA2AgACQAJAAkBBoN4iKAIAIgBFDQAgASAAKAIIRw0AIAEgAUF8aigCACIDQR91IANzayIGQXxqKAIAIQUgACAENgIIQXAhAyAGIAUgBUEfdXNrIgAgACgCAGpBfGooAgBBf0oNASAAKAIEIgEgACgCCDYCCCAAKAIIIAE2AgQgACACIABrIgE2AgAMAgsgAUEQNgIMIAFBEDYCACABIAQ2AgggASAANgIEQaDeIiABNgIACyABIANqIgAgAiAAayIBNgIACyABQXxxIABqQXxqIAFBf3M2AgAgAAJ/IAAoAgBBeGoiAUH/AE0EQCABQQN2QX9qDAELIAFnIQIgAUEdIAJrdkEEcyACQQJ0a0HuAGogAUH/H00NABogAUEeIAJrdkECcyACQQF0a0HHAGoiAUE/IAFBP0kbCyIBQQR0IgJBoNYiajYCBCAAIAJBqNYiaiICKAIANgIIIAIgADYCACAAKAIIIAA2AgRBqN4iQajeIikDAEIBIAGthoQ3AwBBASECCyACC3ABA38jAEGAAmsiAyQAIAFBAk4EQCAAIAFBAnRqIAM2AgAgAyAAKAIAQQQQCBoDQCAAIAJBAnRqIgQoAgAgACACQQFqIgJBAnRqKAIAQQQQCBogBCAEKAIAQQRqNgIAIAEgAkcNAAsLIANBgAJqJAALJgEBfyAAKAIAQX9qaCIBRQRAIAAoAgRoIgBBIGpBACAAGw8LIAELcQEBfwJAIAAoAgAiAgRAIAAoAgwgAU8NAQsgACABNgIMIAAgAiABIAAoAhBsQQJ0EAw2AgAgACgCECECQQAhAQNAIAEgAkYNASAAIAFBAnRqIAAoAgAgACgCDCABbEECdGo2AgQgAUEBaiEBDAALAAsLOAAgAARAIABBIGoQUyAAQaACahAqIABBQGsQ0QEgAEGwAWoQXyAAKAIUEAMgACgCABADIAAQAwsLUQEEfyMAQSBrIgEkACAAQaACaiEDIABBsAFqIQIgAEFAayEEA0AgBCACENABQQFHRQRAIAIgARCRASADIAEQKSAAQQAQMgwBCwsgAUEgaiQAC9wFAgl/AX4gACgCHCEHAkAgABAzDQAgB0H/ASAHQf8BSBsiBUUNAAJAAkAgACgCzAIiCgRAIAVBACAFQQBKGyEFQn8hDANAAkACQCADIAVGBEAgBSEDDAELIARBgSBJIAZBA0xyDQFBASECC0H/ASEFIANB/wFGDQQMAwtBACEGIAAoAhAgA0ECdGotAAAiC0H/AUcEQCAJQQFqIgkhBiAAKAIUIANBA3RqKQMAIQwLIAQgC2ohBCADQQFqIQMMAAsACyAFQQAgBUEAShshAwNAIAMgBEYNASAEQQJ0IQYgBEEBaiIFIQQgBiAAKAIQai0AAEH/AUYNAAsgBSEDCyADIQUgAkUNAQsgAEHPzp2bBTYCKCAAQQA7ASwgACAAKAIQIgItAAFBf3NBAXEiAyADQQJyIAobIgM6AC0CQCAFIAdHDQAgACgCyAJFDQAgACADQQRyOgAtCyAAQShqIQYgAEEBNgLMAkEGIQMDQCADQQ5GRQRAIAAgA2ogDDwAKCADQQFqIQMgDEIIhyEMDAELCyAAKALQAiEEQQ4hAwNAIANBEkZFBEAgACADaiAEOgAoIANBAWohAyAEQQh1IQQMAQsLIABBACAAKALUAiIDIANBf0YbIgRBAWo2AtQCQRIhAwNAIANBFkZFBEAgACADaiAEOgAoIANBAWohAyAEQQh1IQQMAQsLIAAgBToAQkEAIQMgAEEANgE+QQAhBANAIAMgBUZFBEAgACADaiACIANBAnRqKAIAIgg6AEMgA0EBaiEDIAhB/wFxIARqIQQMAQsLIAEgBjYCACAAIAVBG2oiAzYCxAIgASADNgIEIAAoAgwhAyAAKAIAIQYgASAENgIMIAEgAyAGajYCCCAAIAcgBWsiAzYCHCACIAIgBUECdGogA0ECdBASIAAoAhQiAiACIAVBA3RqIAAoAhxBA3QQEiAAIAAoAgwgBGo2AgwgARCkAUEBIQgLIAgLjQIAA38gAkEISAR/A0AgAgRAIAEtAAAgAEEYdnNBAnRBgMkDaigCACAAQQh0cyEAIAFBAWohASACQX9qIQIMAQsLIAAFIAEtAAdBAnRBgMkDaigCACABLQAGQQJ0QYDRA2ooAgAgAS0ABUECdEGA2QNqKAIAIAEtAARBAnRBgOEDaigCACAAIAEoAAAiAEEYdCAAQQh0QYCA/AdxciAAQQh2QYD+A3EgAEEYdnJycyIAQQ52QfwHcUGA+QNqKAIAIABBFnZB/AdxQYCBBGooAgBzIABBBnZB/AdxQYDxA2ooAgBzIABB/wFxQQJ0QYDpA2ooAgBzc3NzcyEAIAJBeGohAiABQQhqIQEMAQsLC+gDAQZ/AkAgACgCHCICRQ0AIAJBIGohAwNAIAEgAigCCE4EQCACQaAEaiEDQQAhAQNAIAEgAigCDE4EQCACQaAGaiEDIAJBoAhqIQRBACEBA0AgASACKAIQTgRAIAJBoApqIQMgAkGgDGohBEEAIQEDQAJAIAEgAigCFE4EQCACQaAOaiEEQQAhAQNAIAEgAigCGE4NAiAEIAFBAnRqKAIAIgMEQCADKAIkBEAgAygCIBADIAMoAggQAyADEAMLCyACKAKgFiIDBEAgAyABQThsahCdAQsgAUEBaiEBDAALAAsgBCABQQJ0IgVqKAIAIgYEQCAGIAMgBWooAgBBAnRBuMgDaigCACgCDBEBAAsgAUEBaiEBDAELCyACKAKgFhADIAJBpBZqIQNBACEBA0AgASACKAIcSARAIAMgAUECdGooAgAQAyABQQFqIQEMAQsLIAIQAwwGCyAEIAFBAnQiBWooAgAiBgRAIAYgAyAFaigCAEECdEGwyANqKAIAKAIMEQEACyABQQFqIQEMAAsACyADIAFBAnRqKAIAIgQEQCAEEAMLIAFBAWohAQwACwAFIAMgAUECdGooAgAQAyABQQFqIQEMAQsACwALIABCADcCACAAQgA3AhggAEIANwIQIABCADcCCAvhAQIGfwF8AkAgACgCBCIBQQFIBEAMAQsCfyABsrtDAACAPyAAKAIAIgCylbsQpQGcIgeZRAAAAAAAAOBBYwRAIAeqDAELQYCAgIB4CyIDQQEgA0EBShshBCAAQQAgAEEAShshBgNAIAQiAkEBaiEEQQEhAEEBIQVBACEDAkADQCADIAZHBEAgASACbSAASA0CQf////8HIAQgBWxB/////wcgBG0gBUgbIQUgA0EBaiEDIAAgAmwhAAwBCwsgACABTEEAIAUgAUobDQIgACABTA0BCyACQX9qIQQMAAsACyACC7IEARJ/IwBBgAhrIgckACABKAIAIgkoAgwhESAJKAIIIQsgCSgCACEGIAkoAgQhBSABKAIQKAIAIQwgB0GABGpBgAQQBxogB0GABBAHIQ0gA0EAIANBAEobIRAgDEEBIAxBAUobIRIgBSAGayALbSEOA0AgCCABKAIISARAQQEgCHQhE0EAIQcDQCAHIA5IBEACQCAIDQBBACEFA0AgBSAQRg0BIAQgBUECdGooAgAiDyAHQQJ0aigCACEGQQEhAwNAIAMgEkZFBEAgBiARbCEGIAMgB2oiCiAOSARAIA8gCkECdGooAgAgBmohBgsgA0EBaiEDDAELCyAGIAEoAhAiAygCBEgEQCABIAMgBiAAEB0gASgCJGo2AiQLIAVBAWohBQwACwALQQAhBgNAIAYgDE4gByAOTnINAiAJKAIAIAcgC2xqIQ9BACEDA0AgAyAQRwRAIAdBAnQiCiAEIANBAnQiFGoiFSgCAGooAgAhBSAIRQRAIA0gBUECdGoiFiAWKAIAIAtqNgIACwJAIAkgBUECdCIFaigCGCATcUUNACABKAIUIAVqKAIAIAhBAnRqKAIAIgVFDQAgASAAIAIgFGooAgAgD0ECdGogCyAFELYBIgUgASgCIGo2AiAgDUGABGogFSgCACAKaigCAEECdGoiCiAFIAooAgBqNgIACyADQQFqIQMMAQsLIAdBAWohByAGQQFqIQYMAAsACwsgCEEBaiEIDAELCyANQYAIaiQAC4AEAQ9/IwAiByEQAkAgASgCACIIKAIEIgUgACgCJEEBdSIGIAUgBkgbIAgoAgBrIgZBAUgNAEEAIQUgA0EAIANBAEobIQkgASgCECgCACIMIAYgCCgCCCINbSIOakF/aiAMbUECdCEGIAcgA0ECdEEPakFwcWsiCiQAA0AgBSAJRgRAIABBBGohD0EAIQADQCAAIAEoAghODQNBASAAdCERQQAhB0EAIQMDQCADIA5IBEACQCAADQBBACEFA0AgBSAJRg0BIAEoAhAgDxAcIgZBf0YNByAGIAgoAhBODQcgCiAFQQJ0aigCACAHQQJ0aiABKAIcIAZBAnRqKAIAIgY2AgAgBUEBaiEFIAYNAAsMBgtBACEGA0AgBiAMTiADIA5OckUEQCADIA1sIRJBACEFA0AgBSAJRwRAAkAgCCAKIAVBAnQiE2ooAgAgB0ECdGooAgAgBkECdGooAgBBAnQiC2ooAhggEXFFDQAgASgCFCALaigCACAAQQJ0aigCACILRQ0AIAsgAiATaigCACAIKAIAIBJqQQJ0aiAPIA0gBBEFAEF/Rg0KCyAFQQFqIQUMAQsLIANBAWohAyAGQQFqIQYMAQsLIAdBAWohBwwBCwsgAEEBaiEADAALAAUgCiAFQQJ0aiAAIAYQCTYCACAFQQFqIQUMAQsACwALIBAkAAshAQF/A0AgAARAIAEgAEEBcWohASAAQQF2IQAMAQsLIAELqwEBBn8CQCACRSADRXINACABQQAgAUEAShshB0GAgAQgBGshCCAAIAFBAnQQCSEGA0AgBSAHRg0BIAYgBUECdCIAaiIBIAAgAmoiCSgCAEH//wFxIAhsIAAgA2oiACgCAEH//wFxIARsakGAgAJqQRB1Igo2AgACQCAJLQABQYABcUUNACAALQABQYABcUUNACABIApBgIACcjYCAAsgBUEBaiEFDAALAAsgBgu2AgINfwF9IARBEGpBKBAHGiAEIAM2AgQgBCACNgIAIAMgBUF/aiADIAVIGyESQQAhBQNAIAIgEkpFBEACQCAAIAJBAnQiE2oqAgAiFBA0IgNFDQAgASATaioCACAGKgLYCJIgFGBBAXNFBEAgBUEBaiEFIAMgCGohCCACIAdqIQcgAiADbCALaiELIAMgA2wgCmohCiAJIAIgAmxqIQkMAQsgEUEBaiERIAMgDWohDSACIAxqIQwgAiADbCAQaiEQIAMgA2wgD2ohDyAOIAIgAmxqIQ4LIAJBAWohAgwBCwsgBCARNgI0IAQgEDYCMCAEIA82AiwgBCAONgIoIAQgDTYCJCAEIAw2AiAgBCAFNgIcIAQgCzYCGCAEIAo2AhQgBCAJNgIQIAQgCDYCDCAEIAc2AgggBQtAAQF8IABB////AHG3IgEgAZogAEF/ShsgAEEVdkH/B3EiAEHTBiAAQdMGSRsiAEHVBSAAQdUFShtB7HlqEBG2C7QCAQZ/IwBBQGoiASEFIAEkACABIAAoAhQiAkECdEEPakFwcWsiBCQAIABBATYCHAJAIAIgACgCMGtBIUgNAANAIAMgACgCBCgCBE4NAUEAIQEgAkEAIAJBAEobIQYDQCABIAZGRQRAIAQgAUECdGogACgCCCADQQJ0aigCACACIAFBf3NqQQJ0aioCADgCACABQQFqIQEMAQsLIAQgBSACIAAoAjBrQRAQOyAFIAQgACgCFEECdGogACgCMCIBQQJ0ayICQUBqQRAgAiABEDpBACEBIAAoAhQiAkEAIAJBAEobIQYDQCABIAZGRQRAIAAoAgggA0ECdGooAgAgAiABQX9zakECdGogBCABQQJ0aioCADgCACABQQFqIQEMAQsLIANBAWohAwwACwALIAVBQGskAAvIAgEHfyMAIgIhBiAAKAIEIgcoAhwhAwJAIAFBAEwEQCACQYB/aiIFJAAgACgCHEUEQCAAEFsLIAAgAygCBEEDbBBdGiAAIAAoAhQiATYCICAAIAEgAygCBEEDbGo2AhRBACEBA0AgASAHKAIETg0CAkAgACgCICICQcEATgRAIAFBAnQiBCAAKAIIaigCACACQQJ0aiADKAIEIgggAiACIAhKGyICQQJ0ayAFIAJBIBA7IAUgACgCCCAEaigCACAAKAIgIgJBAnRqIgRBgH9qQSAgBCAAKAIUIAJrEDoMAQsgACgCCCABQQJ0aigCACACQQJ0aiAAKAIUIAJrQQJ0EAcaCyABQQFqIQEMAAsACyAAKAIUIAFqIgEgACgCEEoNACAAIAE2AhQgACgCHA0AIAEgACgCMGsgAygCBEwNACAAEFsLIAYkAAv2AQEDfyAAKAIEIQQgACgCaCICKAJAEAMgAkEANgJAIAIoAkQQAyACQQA2AkQgAigCSBADIAJBADYCSAJAIAAoAhQiAiABaiAAKAIQSARAIAQoAgQhAQwBCyAAIAIgAUEBdGo2AhADQCADIAQoAgQiAU4NASADQQJ0IgEgACgCCGooAgAgACgCEEECdBAMIQIgACgCCCABaiACNgIAIANBAWohAwwACwALQQAhAyABQQAgAUEAShshAQNAIAEgA0ZFBEAgA0ECdCICIAAoAgxqIAAoAgggAmooAgAgACgCFEECdGo2AgAgA0EBaiEDDAELCyAAKAIMC0MBAn8gACABENIBRQRAIAAoAmgiAiABEI8BNgI8IAJBAUG0ARAFIgM2AgAgAyABEGsgASACQdAAahBlIABCAzcDQAsLYAEEfyAAKAJoIQIgABA5IAAoAkQQAyACBEAgAkEMaiEDA0AgAUEPRwRAIAMgAUECdGoiBCgCABAeIAFBB0cEQCAEKAIAEAMLIAFBAWohAQwBCwsgAhADCyAAQfAAEAcaC5UBAQN/IAFB8AAQByIBQQA2AkwgASAANgJAIAFBADYCRAJAIAAoAgBFDQAgAUEBQcgAEAUiAzYCaCADQYD48LB8NgIEIAFBBGohACADQQxqIQQDQAJAIAJBB0cEQCACQQ9GDQMgBCACQQJ0akEBQRQQBSIBNgIADAELIAMgADYCKCAAIQELIAEQRSACQQFqIQIMAAsACwv5AgEHfyACIARBAnRqKAIAIgdBBG0iCSACIANBACAEG0ECdCIIaigCACIKQXxtaiIGQQAgBkEAShshAyACIAVBACAEG0ECdCIEaigCACIFQXxtIQsgASAEaigCAEECdEHgvwFqKAIAIQwgASAIaigCAEECdEHgvwFqKAIAIQhBACECA0AgAiADRgRAQQAhBEEAIAYgCkECbWoiASADayABIANIGyEGIAVBAm0hASAHQQJtIAlqIAtqIQIDQCAEIAZGBEAgASACaiEDA0AgAiADTgRAIAIgByACIAdKGyEBA0AgASACRkUEQCAAIAJBAnRqQQA2AgAgAkEBaiECDAELCwUgACACQQJ0aiIEIAwgAUF/aiIBQQJ0aioCACAEKgIAlDgCACACQQFqIQIMAQsLBSAAIANBAnRqIgUgCCAEQQJ0aioCACAFKgIAlDgCACAEQQFqIQQgA0EBaiEDDAELCwUgACACQQJ0akEANgIAIAJBAWohAgwBCwsLvQMDDH8DfQF8QX8hBCAAIQgDQCAEQQFqIQkCfyAEQQJMBEAgCUECdEHQvwFqKAIADAELIAVBAmoLIQUDQCADIgZBACAGQQBKGyIOQQFqIQsgCCIDIAMgBW0iCCAFbEcEQCAJIQQgAyEIIAYhAwwCCyAGQQJ0IAJqIAU2AghBASEHIAZBAWohAyAGRSAFQQJHckUEQANAIAcgC0ZFBEAgAyAHa0ECdCACaiIEIAQoAgQ2AgggB0EBaiEHDAELCyACQQI2AggLIAhBAUcNAAsLIAIgAzYCBCACIAA2AgACQCAGRQ0AQ9sPyUAgALKVIRBBACEFQQEhBgNAIAogDkYNAUEAIQggCkECdCACaigCCCIEQX9qIgNBACADQQBKGyELIAAgBCAGbCIDbSENQQAhDANAIAsgDEZFBEAgECAGIAhqIgiylCERQwAAAAAhD0ECIQcgBSEEA0AgByANTkUEQCABIARBAnRqIgkgESAPQwAAgD+SIg+UuyISEBC2OAIEIAkgEhAPtjgCACAHQQJqIQcgBEECaiEEDAELCyAMQQFqIQwgBSANaiEFDAELCyAKQQFqIQogAyEGDAALAAsLngMBC38gBCgCBCIFQQAgBUEAShshDiADQXxqIQogBUEBaiEPQQEhByAAIgMhBQNAIAsgDkZFBEAgACAFbSEGIAUgBCAPIAtrQQJ0aigCACIIbSEFIAMgBiAIQX9qbGshA0EBIAdrIQwCfwJAAkACQAJAIAhBfmoOAwECAAILIAogA0ECdGohByAKIAMgBmoiCUECdGohCCAKIAYgCWpBAnRqIQkgDARAIAYgBSACIAEgByAIIAkQQEEBDAQLIAYgBSABIAIgByAIIAkQQAwCCyAKIANBAnRqIQcgDEUEQCAGIAUgASACIAcQPwwCCyAGIAUgAiABIAcQP0EBDAILIAUgBmwhCSAKIANBAnRqIQ0gByAMIAZBAUYbRQRAIAYgCCAFIAkgASABIAEgAiACIA0QPkEBDAILIAYgCCAFIAkgAiACIAIgASABIA0QPgtBAAshByALQQFqIQsMAQsLAkAgBw0AQQAhBSAAQQAgAEEAShshAANAIAAgBUYNASABIAVBAnQiA2ogAiADaioCADgCACAFQQFqIQUMAAsACwsrAQF/IAAoAgAiAkEBRwRAIAIgASAAKAIEIgEgASACQQJ0aiAAKAIIEGMLC7sCAgR/A3wgACgCHCECIAFBMBAHIQEgAkGsGmooAgAiA0EBTgRAIAAoAgghBCACKAIEIQUgAigCACEAIAFBATYCACABIAUgAG02AhggAQJ/IABBAXW3IgYgAigCoBq3oiAEtyIIo54iB5lEAAAAAAAA4EFjBEAgB6oMAQtBgICAgHgLNgIMIAECfyAGIAJBpBpqKAIAt6IgCKOeIgeZRAAAAAAAAOBBYwRAIAeqDAELQYCAgIB4CzYCECACQagaaigCACEAIAFCgICAgICAgI7AADcDICABAn8gBiAAt6IgCKOeIgaZRAAAAAAAAOBBYwRAIAaqDAELQYCAgIB4CzYCFCABAn8gAkGwGmorAwAgA7eiIgaZRAAAAAAAAOBBYwRAIAaqDAELQYCAgIB4CyIANgIEIAEgADYCCAsLaQEDfyAAKAKgASICIAIgASAAKAIIIgNtIgRBAnRqIAAoAqgBIANtIARrQQJ0QQhqEBIgACAAKAKoASABazYCqAEgACgCrAEiAkEATgRAIAAgAiABazYCrAELIAAgACgCsAEgAWs2ArABC+sBAQV/IAAoAgQoAhwiASAAKAIoIgJBAnRqKAIAQQRtIgQgACgCMCIDaiEFIAMgBGshAyAAKAJoKAIAIQQCfyACBEAgASAAKAIsQQJ0aigCAEEEbSECIAEgACgCJEECdGooAgBBBG0MAQsgASgCAEEEbSICCyEBIAIgBWohACAEKAKsASICIAMgAWsiAU5BACACIABIG0UEQCABIAQoAggiAm0iASAAIAJtIgMgASADShshAgNAAkAgAiABIgBGBEAgAiEADAELIABBAWohASAEKAKgASAAQQJ0aigCAEUNAQsLIAAgA0gPC0EBC6UHAwh/Bn0BfCMAQRBrIgchCSAHJAAgACgCBCIGQQAgBkEAShshCiAAKgIMIQ8gByAGQQJ0QQ9qQXBxayIHJAAgASoCPCIQIAAoApwBIgtBAm0iDEF+arKTQwAAAACXIREDQCAFIApGRQRAIAcgBUECdCIIaiACIAhqKgIAIAAoAiQgCGoqAgCUOAIAIAVBAWohBQwBCwsgAEEQaiAHIAcQQSAHKgIEuyITRGZmZmZmZuY/oiAToiAHKgIAIg0gDZS7oCAHKgIIuyITRJqZmZmZmck/oiAToqC2IQ0gESAQXiECIAtBBUohBQJAIAQoAowBIgBFBEAgBCoCiAEhDiAEIA04AogBIAQgDiANkiIOOAKEAQwBCyAEIAQqAoQBIA2SIg44AoQBIAQgBCoCiAEgDZI4AogBCyAQIBEgAhshEiAMQQIgBRshAiAEIA4gBCAAQQJ0aiIFQcgAaioCAJM4AoQBIAUgDTgCSCAJIA5DAACAPZQ4AgxBACEFIARBACAAQQFqIABBDUobNgKMASAGQQJtIQAgCUEMahATu0QAAAAAAADgP6JEAAAAAAAALsCgtiENA38gBSAATgR/IAJBACACQQBKGyEMQQAhAEEAIQIDQCAAQQdGRQRAQQAhBSADIABBBHRqIgooAgQiBkEAIAZBAEobIQZDAAAAACENA0AgBSAGRkUEQCANIAcgCigCACAFakECdGoqAgAgCigCCCAFQQJ0aioCAJSSIQ0gBUEBaiEFDAELCyAEIABBkAFsaiIGQRBBfyAGKAJEIghBAUgbIAhqIgtBAnRqKgIAIQ4gDSAKKgIMlCENQ4BPw0chD0OAT8PHIRBBACEFA0AgBSAMRkUEQCAGQRBBfyALQQFIGyALaiILQQJ0aioCACIRIA8gDyARXhshDyARIBAgECARXRshECAFQQFqIQUMAQsLIAYgCEECdGogDTgCACAGQQAgCEEBaiAIQQ9KGzYCRCACQQVyIAIgDiANIA0gDl0bIBCTIBIgASAAQQJ0aiICKgIEkl4bIgVBAnIgBSAOIA0gDSAOXhsgD5MgAioCICASk10bIQIgAEEBaiEADAELCyAJQRBqJAAgAgUgCSAHIAVBAnQiBmoqAgAiDiAOlCAHIAZBBHJqKgIAIg4gDpSSOAIIIAcgBUEBdGogDyANIAlBCGoQE0MAAAA/lCIOIA4gDV0bIg4gDiAPXRs4AgAgBUECaiEFIA1DAAAAwZIhDQwBCwsL/QMBCH8gACgCaCgCACICKAKoASACKAIIIgFtIgNBAEohBCAAKAIEKAIcIQUgACgCFCABbSIGQQJqIgEgAigCpAFKBEAgAiABNgKkASACIAIoAqABIAFBAnQQDDYCoAELIANBACAEGyEDIAVBtBZqIQcgBkF8aiEGIAJBKGohCANAIAMgBkgEQCACIAIoApwBIgFBAWpBGCABQRhIGzYCnAFBACEEQQAhAQNAIAEgAigCAE5FBEAgAiAHIAAoAgggAUECdGooAgAgAigCCCADbEECdGogCCACKAKYASABQfAHbGoQaCAEciEEIAFBAWohAQwBCwsgAigCoAEgA0ECdGoiAUEANgIIIARBAXEEQCABQoGAgIAQNwIACwJAIARBAnFFDQAgAUEBNgIAIANFDQAgAUF8akEBNgIACyAEQQRxBEAgAkF/NgKcAQsgA0EBaiEDDAELCyACIAIoAggiAyAGbCIBNgKoASAAKAIwIgQgBSAAKAIoQQJ0aigCAEEEbWogBSgCBEECbWogBSgCAEEEbWohACABIANrIQUgAigCsAEhAQNAIAEgBU4EQEF/DwsgASAATgRAQQEPCyACIAE2ArABIAEgA20hBgJAIAEgBEwNACACKAKgASAGQQJ0aigCAEUNACACIAE2AqwBQQAPCyABIANqIQEMAAsAC0wBAX8gAEEQahArA0AgAUEHRkUEQCAAIAFBBHRqKAIwEAMgAUEBaiEBDAELCyAAKAIkEAMgACgCmAEQAyAAKAKgARADIABBtAEQBxoLxgMDBn8BfQF8IAEoAgQhBSABKAIcIQEgAEKAgYCAgAg3AgQgAUH0FmoqAgAhCCAAIAU2AgAgAEGAATYCpAEgACAIOAIMIAAgASgCBEECbTYCsAEgAEGAAUEEEAU2AiQgAEEQakGAARAsIAAoAiQhAkEAIQEDQCABQYABRwRAIAIgAUECdGogAbdEAAAAAADAX0CjRBgtRFT7IQlAohAQtiIIIAiUOAIAIAFBAWohAQwBCwsgAEKCgICAwAA3AiggAEKWgICAgAE3AogBIABCkYCAgIABNwJ4IABCjYCAgIABNwJoIABCiYCAgIABNwJYIABChoCAgOAANwJIIABChICAgNAANwI4A0AgA0EHRwRAIAAgA0EEdGoiAiACKAIsIgRBAnQQBCIGNgIwQQAhASAEQQAgBEEAShshByAEtyEJA0AgASAHRwRAIAYgAUECdGogAbdEAAAAAAAA4D+gIAmjRBgtRFT7IQlAohAQtiIIOAIAIAIgAioCNCAIkjgCNCABQQFqIQEMAQsLIAJDAACAPyACKgI0lTgCNCADQQFqIQMMAQsLIAAgBUEHbEGQARAFNgKYASAAIAAoAqQBQQQQBTYCoAEL8AICA38IfSABIABBAnRqIQEgAyAAQQF0QXxxaiIFIQADQCADIAUgAigCAEECdGoiBCoCBCIHIAUgAigCBEECdGoiBioCBCIIkkMAAAA/lCIJIAQqAgAiCiAGKgIAIguSIgwgASoCACINlCAHIAiTIgcgASoCBCIIlJIiDpI4AgAgAEF4aiAJIA6TOAIAIAMgCiALk0MAAAA/lCIJIAwgCJQgByANlJMiB5I4AgQgAEF8aiAHIAmTOAIAIAMgBSACKAIIQQJ0aiIEKgIEIgcgBSACKAIMQQJ0aiIGKgIEIgiSQwAAAD+UIgkgBCoCACIKIAYqAgAiC5IiDCABKgIIIg2UIAcgCJMiByABKgIMIgiUkiIOkjgCCCAAQXBqIgQgCSAOkzgCACADIAogC5NDAAAAP5QiCSAMIAiUIAcgDZSTIgeSOAIMIABBdGogByAJkzgCACACQRBqIQIgAUEQaiEBIANBEGoiAyAEIgBJDQALC4QEAgJ/BH0gASACQQJ0aiEEIAEgAkEBdEF8cWpBYGohAiADQQJ0IQUDQCACKgIcIQYgBEF4aiIDIAMqAgAiByACKgIYIgiSOAIAIARBfGoiAyADKgIAIgkgAioCHJI4AgAgAiAJIAaTIgYgACoCBJQgByAIkyIHIAAqAgCUkjgCGCACIAYgACoCAJQgByAAKgIElJM4AhwgAioCFCEGIARBcGoiAyADKgIAIgcgAioCECIIkjgCACAEQXRqIgMgAyoCACIJIAIqAhSSOAIAIAIgCSAGkyIGIAAgBWoiACoCBJQgByAIkyIHIAAqAgCUkjgCECACIAYgACoCAJQgByAAKgIElJM4AhQgAioCDCEGIARBaGoiAyADKgIAIgcgAioCCCIIkjgCACAEQWxqIgMgAyoCACIJIAIqAgySOAIAIAIgCSAGkyIGIAAgBWoiACoCBJQgByAIkyIHIAAqAgCUkjgCCCACIAYgACoCAJQgByAAKgIElJM4AgwgAioCBCEGIARBYGoiAyADKgIAIgcgAioCACIIkjgCACAEQWRqIgQgBCoCACIJIAIqAgSSOAIAIAIgCSAGkyIGIAAgBWoiACoCBJQgByAIkyIHIAAqAgCUkjgCACACIAYgACoCAJQgByAAKgIElJM4AgQgACAFaiEAIAMhBCACQWBqIgIgAU8NAAsLtwUBBH0gACAAKgJ8IgEgACoCPCICkjgCfCAAIAAqAngiAyAAKgI4IgSSOAJ4IAAgASACkzgCPCAAIAMgBJM4AjggACAAKgJwIgEgACoCMCICkjgCcCAAIAAqAnQiAyAAKgI0IgSSOAJ0IAAgASACkyIBQ16DbD+UIAMgBJMiAkMV78M+lJM4AjAgACABQxXvwz6UIAJDXoNsP5SSOAI0IAAgACoCaCIBIAAqAigiApI4AmggACAAKgJsIgMgACoCLCIEkjgCbCAAIAEgApMiASADIASTIgKSQ/MENT+UOAIsIAAgASACk0PzBDU/lDgCKCAAKgIgIQEgACoCYCECIAAgACoCZCIDIAAqAiQiBJI4AmQgACACIAGSOAJgIAAgAiABkyIBQ16DbD+UIAMgBJMiAkMV78M+lJI4AiQgACABQxXvwz6UIAJDXoNsP5STOAIgIAAqAhghASAAKgJYIQIgACAAKgIcIgMgACoCXCIEkjgCXCAAIAIgAZI4AlggACACIAGTOAIcIAAgAyAEkzgCGCAAKgJQIQEgACoCECECIAAgACoCFCIDIAAqAlQiBJI4AlQgACACIAGSOAJQIAAgAyAEkyIDQxXvwz6UIAIgAZMiAUNeg2w/lJM4AhQgACABQxXvwz6UIANDXoNsP5SSOAIQIAAqAkghASAAKgIIIQIgACAAKgIMIgMgACoCTCIEkjgCTCAAIAIgAZI4AkggACADIASTIgMgAiABkyIBk0PzBDU/lDgCDCAAIAEgA5JD8wQ1P5Q4AgggACoCQCEBIAAqAgAhAiAAIAAqAgQiAyAAKgJEIgSSOAJEIAAgAiABkjgCQCAAIAMgBJMiA0Neg2w/lCACIAGTIgFDFe/DPpSTOAIEIAAgAUNeg2w/lCADQxXvwz6UkjgCACAAEEMgAEFAaxBDC+4DAgJ/BH0gASACQQJ0aiEEIAEgAkEBdEF8cWpBYGohAgNAIAIqAhwhBSAEQXhqIgMgAyoCACIHIAIqAhgiCJI4AgAgBEF8aiIDIAMqAgAiBiACKgIckjgCACACIAYgBZMiBSAAKgIElCAHIAiTIgYgACoCAJSSOAIYIAIgBSAAKgIAlCAGIAAqAgSUkzgCHCACKgIUIQUgBEFwaiIDIAMqAgAiByACKgIQIgiSOAIAIARBdGoiAyADKgIAIgYgAioCFJI4AgAgAiAGIAWTIgUgACoCFJQgByAIkyIGIAAqAhCUkjgCECACIAUgACoCEJQgBiAAKgIUlJM4AhQgAioCDCEFIARBaGoiAyADKgIAIgcgAioCCCIIkjgCACAEQWxqIgMgAyoCACIGIAIqAgySOAIAIAIgBiAFkyIFIAAqAiSUIAcgCJMiBiAAKgIglJI4AgggAiAFIAAqAiCUIAYgACoCJJSTOAIMIAIqAgQhBSAEQWBqIgMgAyoCACIHIAIqAgAiCJI4AgAgBEFkaiIEIAQqAgAiBiACKgIEkjgCACACIAYgBZMiBSAAKgI0lCAHIAiTIgYgACoCMJSSOAIAIAIgBSAAKgIwlCAGIAAqAjSUkzgCBCAAQUBrIQAgAyEEIAJBYGoiAiABTw0ACwurAQEFfyAAQQdOBEAgASACIAMQbwsgAEF6aiEGQQEhBANAIAZBAkgEQAJAQQAhAANAIAAgA04NASACIABBAnRqEG4gAEEgaiEADAALAAsFIAZBf2ohBkEAIQBBASAEdCIFQQAgBUEAShshB0EEIAR0IQggAyAEdSEFA0AgACAHRkUEQCABIAIgACAFbEECdGogBSAIEG0gAEEBaiEADAELCyAEQQFqIQQMAQsLC7oBAQV/An8CQCAAKAIIQQFIDQAgAiADbSEGIAIgBWogA20hCUEAIQUDQCAGIAlODQFBfyAAIAQQFiIHQX9GDQIaIAAoAhAgByAAKAIAIgdsQQJ0aiEKQQAhAgNAIAIgB04gBiAJTnINASABIAVBAnRqKAIAIAZBAnRqIgggCiACQQJ0aioCACAIKgIAkjgCAEEAIAVBAWoiBSADIAVGIggbIQUgAkEBaiECIAYgCGohBgwACwALAAtBAAsLrwEBBH8CfwJAIAAoAghBAEwEQCADQQAgA0EAShshAANAIAAgBEYNAiABIARBAnRqQQA2AgAgBEEBaiEEDAALAAsDQCAFIANODQFBfyAAIAIQFiIGQX9GDQIaIAAoAhAgBiAAKAIAIgZsQQJ0aiEHQQAhBANAIAQgBk4gBSADTnINASABIAVBAnRqIAcgBEECdGoqAgA4AgAgBUEBaiEFIARBAWohBAwACwALAAtBAAsLiQEBBX8CfwJAIAAoAghBAUgNAANAIAQgA04NAUF/IAAgAhAWIgZBf0YNAhogACgCECAGIAAoAgAiBmxBAnRqIQdBACEFA0AgBSAGTiAEIANOcg0BIAEgBEECdGoiCCAHIAVBAnRqKgIAIAgqAgCSOAIAIARBAWohBCAFQQFqIQUMAAsACwALQQALC5ACAQd/IwAiBiEKAkAgACgCCEEBSARAQQAhBgwBCyADIAAoAgAiBW0iCEEAIAhBAEobIQcgBiAIQQJ0QQ9qQXBxayIJJAADQCAEIAdGBEBBACEGIAVBACAFQQBKGyEFQQAhAEEAIQIDQEEAIQQgACAFRg0DA0ACQCAEIAhODQAgAiAEaiIHIANODQAgASAHQQJ0aiIHIAkgBEECdGooAgAgAEECdGoqAgAgByoCAJI4AgAgBEEBaiEEDAELCyACIAhqIQIgAEEBaiEADAALAAtBfyEGIAAgAhAWIgVBf0YNASAJIARBAnRqIAAoAhAgBSAAKAIAIgVsQQJ0ajYCACAEQQFqIQQMAAsACyAKJAAgBgtvACAAQQh0QYCA/AdxIABBGHRyIABBCHZBgP4DcSAAQRh2cnIiAEEEdkGPnrz4AHEgAEEEdEHw4cOHf3FyIgBBAnZBs+bMmQNxIABBAnRBzJmz5nxxciIAQQF2QdWq1aoFcSAAQQF0QarVqtV6cXILzQUBBX8gAUHChtkCQRgQAiABIAAoAgBBEBACIAEgACgCBEEYEAIgACgCBCIEQQEgBEEBShshA0EBIQICQANAIAIgA0YNAQJAIAIgACgCCGoiBUF/aiwAACIGRQ0AIAUsAAAgBkgNACACQQFqIQIMAQsLIAIhAwsCQAJAIAMgBEYEQCABQQFBARACIAEgACgCCCwAAEF/akEFEAJBACEDQQEhBANAIAQgACgCBCICTg0CAkAgACgCCCAEaiICLAAAIgUgAkF/aiwAACICTA0AA0AgAiAFRg0BIAEgBCADayAAKAIEIANrEAoQAiACQQFqIQIgBCEDDAALAAsgBEEBaiEEDAALAAtBACECIAFBAEEBEAIgACgCBCIEQQAgBEEAShshAwNAAkAgAiADRwR/IAAoAgggAmotAAANASACBSADCyAERgRAQQAhAiABQQBBARACA0AgAiAAKAIETg0FIAEgACgCCCACaiwAAEF/akEFEAIgAkEBaiECDAALAAsgAUEBQQEQAkEAIQIDQCACIAAoAgRODQQCQCAAKAIIIAJqLQAARQRAIAFBAEEBEAIMAQsgAUEBQQEQAiABIAAoAgggAmosAABBf2pBBRACCyACQQFqIQIMAAsACyACQQFqIQIMAAsACyABIAQgA2sgAiADaxAKEAILIAEgACgCDEEEEAJBfyECAkACQAJAIAAoAgwOAwEAAAILIAAoAiBFDQEgASAAKAIQQSAQAiABIAAoAhRBIBACIAEgACgCGEF/akEEEAIgASAAKAIcQQEQAkEAIQJBACEEAkACfwJAAkAgACgCDEF/ag4CAAEDCyAAEFQMAQsgACgCACAAKAIEbAsiA0EAIANBAEobIQQLA0AgAiAERg0BIAEgACgCICACQQJ0aigCACIDIANBH3UiA2ogA3MgACgCGBACIAJBAWohAgwACwALQQAhAgsgAgtiAQJ/IAACfyAAKAIAIgIgACgCECIDIAAoAgQgAWoiAUEHakEDdWtMBEAgACACIAFBCG0iAmo2AgAgACAAKAIMIAJqNgIMIAFBB3EMAQsgACADNgIAIABBADYCDEEBCzYCBAsfAQJ9IAAoAgAqAgAiAiABKAIAKgIAIgNdIAIgA15rC1kBAX8gB0EAIAdBAEobIQcgACAGayEGA0AgByAIRkUEQCAFIAhBAnQiAGogACADaioCAIsgACAEaioCAJUgASACIAggBkgbXUEBczYCACAIQQFqIQgMAQsLC8gOAyJ/BX0CfCMAIgwhJCACKAIAIRcCf0EQIAIoAgQiCigC9ANFDQAaIAooAvwDCyESIABBAnQiACABIAooAgBBPGxqaigChAEhGCAAIAFqIgAoAvwBIQEgACgCuAIhCiAMIAhBAnQiHkEPakFwcSIAayIUIgwkACAMIABrIhUiDCQAIAwgAGsiFiIMJAAgDCAAayIMIgkkACAJIABrIiUiACQAIAAgEiAebCImQQ9qQXBxIgBrIgkiECQAIBQgCTYCACAQIABrIgkiECQAIBUgCTYCACAQIABrIgkiECQAIBYgCTYCACAQIABrIgAkACAMIAA2AgAgCkEDdEHwvQFBoL0BIBdB6AdKG2orAwAhMCAIQQEgCEEBShshCSABQQN0QaC9AWorAwAhMUEBIQEDQCABIAlGBEACQEEAIRAgCEEAIAhBAEobIScgMLYhLCAxtiEtIBchAEEAIQoDQCAXIApMBEADQCAQIAMoAoQJTg0DAkAgBiADIBBBAnRqIgBBiAlqKAIAQQJ0aiIBKAIARQRAIAYgAEGIEWooAgBBAnRqKAIARQ0BCyABQQE2AgAgBiAAQYgRaigCAEECdGpBATYCAAsgEEEBaiEQDAALAAsgEiAAIAAgEkobIgFBACABQQBKGyEZICUgBiAeEAghGkEAIQkgDCgCACAmEAcaIBcgCmsiASASIBIgAUobIRwDQCAJICdGBEAgGCAKayEoIAcgCmshKUEAIRMDQCATIAMoAoQJTkUEQCAFIAMgE0ECdGoiCEGIEWooAgBBAnQiAWooAgAhCSAFIAhBiAlqKAIAQQJ0IghqKAIAIQsgASAMaigCACEbIAggDGooAgAhHyABIBZqKAIAISogCCAWaigCACEgIAEgFWooAgAhISAIIBVqKAIAIQ4gASAUaigCACEPIAggFGooAgAhDQJAIAggGmoiCCgCAEUEQCABIBpqKAIARQ0BCyAJIApBAnQiEWohIiALIBFqISMgASAaakEBNgIAIAhBATYCAEEAIQEDQCABIBlGRQRAAkAgASApTg0AAkAgHyABQQJ0IghqIgkoAgBFBEAgCCAbaiILKAIARQ0BCyAIIA1qIgsgCyoCAIsgCCAPaioCAIuSOAIAIAggDmoiCyALKgIAIAggIWoqAgCSOAIAIAggG2pBATYCACAJQQE2AgACfyAIICNqIgsoAgAiCSAJQR91IhFqIBFzIAggImoiESgCACIIIAhBH3UiHWogHXNKBEAgESAJIAhrIAggCWsgCUEAShsiCTYCAEEAIAsoAgAiCGsMAQsgESAJIAhrIAggCWsgCEEAShs2AgAgCyAINgIAIBEoAgAhCUEAIAhrCyEdIAkgHSAIIAhBAEgbQQF0SA0BIBFBACAJazYCACALQQAgCygCAGs2AgAMAQsCQCABIChIBEAgCCANaiIJIAggD2oqAgAgCSoCAJIiKzgCACAIIA5qICuLOAIADAELIAggDmogCCANaiIJKgIAIi6LIAggD2oqAgAiL4uSIis4AgAgLiAvkkMAAAAAXUEBc0UEQCAJICuMOAIADAELIAkgKzgCAAsgCCAhakEANgIAIAggD2pBADYCACALQQE2AgAgCCAiakEANgIACyAqIAFBAnQiCGoiCSAIICBqIggqAgAgCSoCAJIiKzgCACAIICs4AgAgAUEBaiEBDAELCyACKAIEIBggDSAOICAgHyAKIBwgIxBGCyATQQFqIRMMAQsLIAAgEmshACAKIBJqIQoMAgsgCkECdCIPIAUgCUECdCIIaigCAGohEyAIIBZqIQ5BACEBAkAgCCAaaigCAEUEQCAIIAxqIQ8gCCAVaiENIAggFGohC0EAIQgDQCAIIBlGDQIgCEECdCIBIA4oAgBqQf/N7/YCNgIAIAsoAgAgAWpBADYCACANKAIAIAFqQQA2AgAgDygCACABakEANgIAIAEgE2pBADYCACAIQQFqIQgMAAsACwNAIAEgGUZFBEAgAUECdCINIA4oAgBqIA0gE2ooAgBBAnRBwL8DaioCADgCACABQQFqIQEMAQsLIBggLSAsIAQgCGoiESgCACAPaiAOKAIAIg4gCCAMaigCACAKIBwQeSAIIBVqIQ8gCCAUaiEIQQAhAQNAIAEgGUcEQCABQQJ0Ig0gCCgCAGoiCyARKAIAIAEgCmpBAnRqIhsqAgAiKyArlCIrOAIAIA8oAgAgDWogKzgCACAbKgIAQwAAAABdQQFzRQRAIAsgCyoCAIw4AgALIA0gDmoiDSANKgIAIisgK5Q4AgAgAUEBaiEBDAELCyACKAIEIBggCCgCACAPKAIAIA5BACAKIBwgExBGCyAJQQFqIQkMAAsACwALBSAUIAFBAnQiAGogASASbEECdCIKIBQoAgBqNgIAIAAgFWogFSgCACAKajYCACAAIBZqIBYoAgAgCmo2AgAgACAMaiAMKAIAIApqNgIAIAFBAWohAQwBCwsgJCQACzIBAX8gASgCHCIDQfgWaioCACADIAJBAnRqKAIAQQJtsiABKAIIspWUIACSQwA8HMaXC9sDAgh/An0gAkEAIAJBAEobIQkjACACQQJ0QQ9qQXBxIgRrIgYgBGshBwNAAkACQAJAIAUgCUYEQEEAIQQgA0EAIANBAEobIQkgAUEBaiEIIANBf2ohCkEAIQMMAQsgA0ECSA0BIAAgBUECdGoqAgAhCwNAIAsgByADIgRBf2oiA0ECdCIIaioCACIMXUEBc0UEQCAGIARBAnRqIAU2AgAMBAsCQCAEQQJIDQAgBSAGIAhqKAIAIAFqTg0AIAwgByAEQX5qQQJ0IghqKgIAX0EBcw0AIAUgBiAIaigCACABakgNAQsLIAYgBEECdGogBTYCAAwCCwNAAkAgAyAJRwRAIAQgAgJ/AkAgAyAKTg0AIAcgA0EBakECdCIBaioCACAHIANBAnRqKgIAXkEBcw0AIAEgBmooAgAMAQsgCCAGIANBAnRqKAIAagsiBSAFIAJKGyIBIAQgAUobIQEgByADQQJ0aiEFA0AgASAERg0CIAAgBEECdGogBSoCADgCACAEQQFqIQQMAAsACw8LIANBAWohAyABIQQMAAsACyAGIANBAnRqIAU2AgAgACAFQQJ0aioCACELIAMhBAsgByAEQQJ0aiALOAIAIAVBAWohBSAEQQFqIQMMAAsAC7cCAgN/AXwCfyABAn8gAiAGkrtEAAAAAAAAPsCgRAAAAKCZmbk/oiIKmUQAAAAAAADgQWMEQCAKqgwBC0GAgICAeAsiB0EAIAdBAEobIgdBByAHQQdIG0ECdGooAgAiCCoCBCIGi0MAAABPXQRAIAaoDAELQYCAgIB4CyEBAn8gCCoCACIGi0MAAABPXQRAIAaoDAELQYCAgIB4CyIHIAFKIQkCfyAGQwAAgMGSIAWylCADspIgBUEBdbKTIgaLQwAAAE9dBEAgBqgMAQtBgICAgHgLIQMgByABIAkbIQEgCEEIaiEIA0AgASAHRwRAAkAgA0EBSA0AIAAgA0ECdGoiCSoCACAIIAdBAnRqKgIAIAKSIgZdQQFzDQAgCSAGOAIACyAHQQFqIQcgAyAFaiIDIARIDQELCwuGAwIIfwJ9IAEgACgCJCIEIAAoAigQfCAAKAIUIgcoAgAgBEEBdWsgACgCHCIJayEEIAAoAgAhBgNAIANBAWoiBSAGSARAIAQgByAFQQJ0aigCACAHIANBAnRqKAIAakEBdSAJayIFIAQgBUobIQUgACgCBCoCICILIAEgBEECdGoqAgAiDCAMIAteGyELA0AgBCAFRkUEQCABIARBAWoiBEECdGoqAgAiDCAMIAsgDCALXRsgCyAMQwA8HMZeGyALQwA8HMZbGyELDAELCyADIAYgAyAGShshCiAFIAlqIQQDQCADIApGBEAgBSEEIAohAwwDCyAHIANBAnQiCGooAgAgBEoEQCAFIQQMAwsgAiAIaiIIKgIAIAtdQQFzRQRAIAggCzgCAAsgA0EBaiEDDAALAAsLIAMgBiADIAZKGyEEIAAoAihBAnQgAWpBfGoqAgAhCwNAIAMgBEcEQCACIANBAnRqIgAqAgAgC11BAXNFBEAgACALOAIACyADQQFqIQMMAQsLC/4BAgd/An0gACgCACIJQX9qIQogACgCBCoC8AMgBZMhDQNAIAcgCUgEQCAAKAIUIgsgB0ECdCIIaigCACEMIAIgCGoqAgAhBQNAAkACfyAHIApGBEAgCiEGIAkMAQsgCyAHQQFqIghBAnQiBmooAgAgDEYNASAHIQYgCAshByAFQwAAwECSIAMgBkECdCIIaioCAF5BAXMNAyAEIAEgDCAAKAIgdSIGQRAgBkEQSBsiBkEAIAZBAEobQQJ0aigCACAFIAggC2ooAgAgACgCHGsgACgCKCAAKAIkIA0QfQwDCyACIAZqKgIAIg4gBSAOIAVeGyEFIAghBwwACwALCwvbAQIGfwJ9IwAiByEJIAAoAigiBkEAIAZBAEobIQogACgCACEIIAcgBkECdEEPakFwcWsiBiQAIAAoAgQiByoCBCELA0AgBSAKRkUEQCAGIAVBAnRqQYD48LB8NgIAIAVBAWohBQwBCwsgByoCCCIMIAsgBJIiBCAEIAxdGyEEQQAhBSAIQQAgCEEAShshCANAIAUgCEZFBEAgAiAFQQJ0IgdqIAQgACgCECAHaioCAJI4AgAgBUEBaiEFDAELCyAAIAAoAgggASACIAYgAxB/IAAgBiACEH4gCSQAC9ECAgd/AXwjACIEIQggBCAAKAIAIgNBAnRBD2pBcHFrIgYkACADIAAoAhggASACQwAADENBfxBHQQAhBCADQQAgA0EAShshBwNAIAQgB0ZFBEAgBiAEQQJ0IgVqIAEgBWoqAgAgAiAFaioCAJM4AgAgBEEBaiEEDAELCyADIAAoAhggBiACQwAAAAAgACgCBCgCgAEQR0EAIQRBACEDA0AgAyAHRgRAA0AgBCAHRkUEQAJ/IAIgBEECdCIBaiIFKgIAu0QAAAAAAADgP6AiCplEAAAAAAAA4EFjBEAgCqoMAQtBgICAgHgLIQMgBSABIAZqKgIAIAAoAgQgA0EnIANBJ0gbIgFBACABQQBKG0ECdGoqAtACkjgCACAEQQFqIQQMAQsLIAgkAAUgBiADQQJ0IgVqIgkgASAFaioCACAJKgIAkzgCACADQQFqIQMMAQsLC7oBAQN/IAAEQCAAKAIQEAMgACgCFBADIAAoAhgQAyAAKAIIBEADQEEAIQEgAkERRkUEQANAIAAoAgggAkECdGohAyABQQhGRQRAIAMoAgAgAUECdGooAgAQAyABQQFqIQEMAQsLIAMoAgAQAyACQQFqIQIMAQsLIAAoAggQAwsgACgCDARAA0AgAUEDRkUEQCAAKAIMIAFBAnRqKAIAEAMgAUEBaiEBDAELCyAAKAIMEAMLIABBNBAHGgsLQgICfwF9A0AgAkE4RwRAIAEgAkECdCIDaioCACIEIAAgA2oiAyoCAF5BAXNFBEAgAyAEOAIACyACQQFqIQIMAQsLC+kRAxB/An0FfCMAQeD9AWsiCiQAIAogAkECdEEPakFwcWsiDyQAQcQAEAQhECAKQYAOakGA7gEQBxoDQCAGQRFGBEAgAkEAIAJBAEobIREgAbshGEEAIQADQCAAQRFHBEAgECAAQQJ0akEgEAQiEjYCAEEAIQsgAAJ/An8gALdEAAAAAAAA4D+iIhpEAAAAgPbcF0CgRAAAAKBCLuY/ohANIBijnCIXmUQAAAAAAADgQWMEQCAXqgwBC0GAgICAeAsiCLIgAZRDAACAP5K7EA5EAAAAYEcV9z+iRAAAAID23BfAoCIXIBegmyIXmUQAAAAAAADgQWMEQCAXqgwBC0GAgICAeAsiBiAAIAZIGyIGQQBKIQ0gBkEAIA0bIQ0CfyAIQQFqsiABlLsQDkQAAABgRxX3P6JEAAAAgPbcF8CgIhcgF6CcIheZRAAAAAAAAOBBYwRAIBeqDAELQYCAgIB4CyIIQRAgCEEQSBshEyAAQQFqIQgDQCALQQhGBEAgCCEADAMLIBIgC0ECdGpB6AEQBCIMNgIAQQAhBQNAIAUgEUYEQAJAIA0hBgNAIAYgE0wEQCAGt0QAAAAAAADgP6IhF0EAIQdBACEFA0AgB0E4RgRAAkAgBkGADmwgCmogC0HgAWxqQdwPaiEHIAUgAiAFIAJKGyEJA0AgBSAJRg0BIA8gBUECdGoiDioCACAHKgIAIgNeQQFzRQRAIA4gAzgCAAsgBUEBaiEFDAALAAsFIAICfyAXIAe3RAAAAAAAAMA/oqAiGUQAAAAAAIAAwKBEAAAAgPbcF0CgRAAAAKBCLuY/ohANIBijIhuZRAAAAAAAAOBBYwRAIBuqDAELQYCAgIB4CyIJQQAgCUEAShsiCSAJIAJKGyIJIAVIIQ4gCSAFIA4bIQUgAgJ/IBlEAAAAAAAA/7+gRAAAAID23BdAoEQAAACgQi7mP6IQDSAYo0QAAAAAAADwP6AiGZlEAAAAAAAA4EFjBEAgGaoMAQtBgICAgHgLIglBACAJQQBKGyIJIAkgAkobIQkgCkGADmogBkGADmxqIAtB4AFsaiAHQQJ0aiEOA0AgBSAJTiAFIAJOckUEQCAPIAVBAnRqIhQqAgAgDioCACIDXkEBc0UEQCAUIAM4AgALIAVBAWohBQwBCwsgB0EBaiEHDAELCyAGQQFqIQYMAQsLQQAhB0EAIQUgAEEQRg0AA0AgB0E4RgRAIAhBgA5sIApqIAtB4AFsakHcD2ohBiAFIAIgBSACShshBwNAIAUgB0YNAyAPIAVBAnRqIgkqAgAgBioCACIDXkEBc0UEQCAJIAM4AgALIAVBAWohBQwACwAFIAICfyAaIAe3RAAAAAAAAMA/oqAiF0QAAAAAAIAAwKBEAAAAgPbcF0CgRAAAAKBCLuY/ohANIBijIhmZRAAAAAAAAOBBYwRAIBmqDAELQYCAgIB4CyIGQQAgBkEAShsiBiAGIAJKGyIGIAVIIQkgBiAFIAkbIQUgAgJ/IBdEAAAAAAAA/7+gRAAAAID23BdAoEQAAACgQi7mP6IQDSAYo0QAAAAAAADwP6AiF5lEAAAAAAAA4EFjBEAgF6oMAQtBgICAgHgLIgZBACAGQQBKGyIGIAYgAkobIQYgCkGADmogCEGADmxqIAtB4AFsaiAHQQJ0aiEJA0AgBSAGTiAFIAJOckUEQCAPIAVBAnRqIg4qAgAgCSoCACIDXkEBc0UEQCAOIAM4AgALIAVBAWohBQwBCwsgB0EBaiEHDAELAAsACwUgDyAFQQJ0akGAgOejBDYCACAFQQFqIQUMAQsLQQAhBkEAIQUDQCAFQThHBEAgBUECdCAMagJ/IBogBbdEAAAAAAAAwD+ioEQAAAAAAAAAwKBEAAAAgPbcF0CgRAAAAKBCLuY/ohANIBijIheZRAAAAAAAAOBBYwRAIBeqDAELQYCAgIB4CyIHQQBIIAcgAk5yBH1DAMB5xAUgDyAHQQJ0aioCAAs4AgggBUEBaiEFDAELCyAMAn8DQEEQIAZBEEYNARogBkECdCAMaioCCEMAAEjDXkUEQCAGQQFqIQYMAQsLIAYLsjgCAEE3IQUDQAJAIAVBEkkEQEERIQUMAQsgBUECdCAMaioCCEMAAEjDXg0AIAVBf2ohBQwBCwsgDCAFsjgCBCALQQFqIQsMAAsACwsgCkHg/QFqJAAgEA8LIAZBAnQhC0EAIQdBACEIA0AgCEE4RwRAIAggC2ohDUEAIQVDAMB5RCEVA0AgBUEERwRAAkAgBSANaiIMQdcATQRAIBUgDEECdEGACGoqAgAiFl5BAXMNASAWIRUMAQsgFUMAAPDBXkEBcw0AQwAA8MEhFQsgBUEBaiEFDAELCyAKQYD8AWogCEECdGogFTgCACAIQQFqIQgMAQsLA0AgB0EGRwRAIAdB4AFsIgggBkGADmwgCmpqQcARaiAGQcAKbCAIakHgCmpB4AEQCBogB0EBaiEHDAELCyAKQYAOaiAGQYAObGogBkHACmxB4ApqIghB4AEQCCINQeABaiAIQeABEAgaQQAhCANAQQAhBSAIQQhGBEAgACALaiEIA0AgBUEIRgRAAkBBASEFA0AgBUEIRg0BIAogBUHgAWwiB2oiCCAIQaB+ahBJIAcgDWogCBBJIAVBAWohBQwACwALBSANIAVB4AFsIgdqIgsgCCoCALtEAAAAAAAAWUCgIAVBAiAFQQJLG7dEAAAAAAAAJMCioEQAAAAAAAA+wKC2EEggByAKaiAKQYD8AWpB4AEQCCIHIAWyQwAAIMGUu0QAAAAAAABZQKBEAAAAAAAAPsCgthBIIAcgCxCDASAFQQFqIQUMAQsLIAZBAWohBgwCBQNAIAVBOEcEQCANIAhB4AFsaiAFQQJ0aiIHQwAAAABDAAAAAEEQIAVrIgwgDEEfdSIMaiAMc7IgBJQgA5IiFSAVQwAAAABdGyAVIANDAAAAAF4bIhUgFUMAAAAAXhsgFSADQwAAAABdGyAHKgIAkjgCACAFQQFqIQUMAQsLIAhBAWohCAwBCwALAAsAC5gMAwt/An0DfCAAQTQQByIFIAIoAgAiADYCJCAFAn8gALJDAAAAQZS7EA5E7zn6/kIu5j+jnkQAAAAAAADwv6AiE5lEAAAAAAAA4EFjBEAgE6oMAQtBgICAgHgLIgI2AiAgBQJ/IASyIhBDAACAPpS7RAAAAAAAAOA/oiADtyIToxAORAAAAGBHFfc/okQAAACA9twXwKBBASACQQFqdLciFKIgALehIhKZRAAAAAAAAOBBYwRAIBKqDAELQYCAgIB4CyIANgIcIAUCfyADskMAAIA+kiAQlLtEAAAAAAAA4D+iIBOjEA5EAAAAYEcV9z+iRAAAAID23BfAoCAUokQAAAAAAADgP6AiFJlEAAAAAAAA4EFjBEAgFKoMAQtBgICAgHgLIABrQQFqNgIoIAUgA0ECdCIKEAQiBzYCECAFIAoQBCINNgIUIAoQBCELIAUgATYCBCAFIAs2AhggBUGAgID8AzYCMCAFIAQ2AiwgBSADNgIAQwAAAAAhEAJAAkAgBEGQywFIDQBD16NwPyEQIARB8KgCSA0AQzMzoz8hECAEQbHnAkgNAQsgBSAQOAIwCyAEtyEUQQAhAgNAAkAgBiIAQdcARgRAIAIgAyACIANKGyEADAELIAICfyAAQQFqIga3RAAAAAAAAMA/okQAAAAAAAAAwKBEAAAAgPbcF0CgRAAAAKBCLuY/ohANIhIgEqAgE6IgFKOeIhKZRAAAAAAAAOBBYwRAIBKqDAELQYCAgIB4CyIJTg0BIAZBAnRBgAhqKgIAIABBAnRBgAhqKgIAIhCTIAkgAmuylSERA0AgAiAJTiACIANOcg0CIAcgAkECdGogEEMAAMhCkjgCACACQQFqIQIgESAQkiEQDAALAAsLA0AgACACRwRAIAcgAkECdGoiBiAGQXxqKgIAOAIAIAJBAWohAgwBCwtBACEHIANBACADQQBKGyEJIANBAXQhDkGdfyEAQQEhAkEAIQYDQCAGIAlGBEADQCAHIAlHBEAgDSAHQQJ0agJ/IAeyQwAAgD6Su0QAAAAAAADgP6IgFKIgE6MQDkQAAABgRxX3P6JEAAAAgPbcF8CgQQEgBSgCIEEBanS3okQAAAAAAADgP6AiEplEAAAAAAAA4EFjBEAgEqoMAQtBgICAgHgLNgIAIAdBAWohBwwBCwsgBSABQSRqIBREAAAAAAAA4D+iIBOjtiADIAEqAhggASoCHBCEATYCCCAFQQwQBDYCDEEAIQIDQCACQQNGBEAgEyAToCETQQAhAQNAIAEgCUcEQAJ/IAG3RAAAAAAAAOA/oCAUoiAToxAORAAAAGBHFfc/okQAAACA9twXwKAiEiASoLZDAAAAAJdDAACAQZYiEItDAAAAT10EQCAQqAwBC0GAgICAeAshAEQAAAAAAADwPyAQIACykyIQu6EhEiAAQQFqIQMgBSgCDCEEIAUoAgQhBkEAIQIDQCACQQNHBEAgBCACQQJ0aigCACABQQJ0aiASIAYgAkHEAGxqQYQBaiIHIABBAnRqKgIAu6IgECAHIANBAnRqKgIAlLugtjgCACACQQFqIQIMAQsLIAFBAWohAQwBCwsFIAoQBCEAIAUoAgwgAkECdGogADYCACACQQFqIQIMAQsLBSAEIA5tIgwgBmwiCLIiEEOP/EE6lLsQC0QAAABAMzMqQKIgCCAIbLJD7umeMpS7EAtEAAAAIIXrAUCioCAQQxe30TiUu6C2IRAgASgCeCEPA0ACQCAAIA9qIAZODQAgACAMbCIIsiIRQ4/8QTqUuxALRAAAAEAzMypAoiAIIAhsskPu6Z4ylLsQC0QAAAAghesBQKKgIBFDF7fROJS7oCAQIAEqAnCTu2NFDQAgAEEBaiEADAELCwNAAkAgAiADSg0AIAIgASgCfCAGak4EQCACIAxsIgiyIhFDj/xBOpS7EAtEAAAAQDMzKkCiIAggCGyyQ+7pnjKUuxALRAAAACCF6wFAoqAgEUMXt9E4lLugIAEqAnQgEJK7Y0EBcw0BCyACQQFqIQIMAQsLIAsgBkECdGogAEEQdCACakH//3tqNgIAIAZBAWohBgwBCwsLnw4CEX8CfCMAQbAEayIGJAAgAiACQX1qQRhtIgRBACAEQQBKGyIOQWhsaiEHQbS/IigCACIKIANBf2oiCGpBAE4EQCADIApqIQQgDiAIayECA0AgBkHAAmogBUEDdGogAkEASAR8RAAAAAAAAAAABSACQQJ0QcC/ImooAgC3CzkDACACQQFqIQIgBUEBaiIFIARHDQALCyAHQWhqIQtBACEEIApBACAKQQBKGyENIANBAUghBQNAAkAgBQRARAAAAAAAAAAAIRUMAQsgBCAIaiEJQQAhAkQAAAAAAAAAACEVA0AgFSAAIAJBA3RqKwMAIAZBwAJqIAkgAmtBA3RqKwMAoqAhFSACQQFqIgIgA0cNAAsLIAYgBEEDdGogFTkDACAEIA1GIQIgBEEBaiEEIAJFDQALQS8gB2shEUEwIAdrIQ8gB0FnaiESIAohBAJAA0AgBiAEQQN0aisDACEVQQAhAiAEIQUgBEEBSCIMRQRAA0AgBkHgA2ogAkECdGoCfyAVAn8gFUQAAAAAAABwPqIiFZlEAAAAAAAA4EFjBEAgFaoMAQtBgICAgHgLtyIVRAAAAAAAAHDBoqAiFplEAAAAAAAA4EFjBEAgFqoMAQtBgICAgHgLNgIAIAYgBUF/aiIFQQN0aisDACAVoCEVIAJBAWoiAiAERw0ACwsCfyAVIAsQESIVIBVEAAAAAAAAwD+inEQAAAAAAAAgwKKgIhWZRAAAAAAAAOBBYwRAIBWqDAELQYCAgIB4CyEIIBUgCLehIRUCQAJAAkACfyALQQFIIhNFBEAgBEECdCAGaiICIAIoAtwDIgIgAiAPdSICIA90ayIFNgLcAyACIAhqIQggBSARdQwBCyALDQEgBEECdCAGaigC3ANBF3ULIglBAUgNAgwBC0ECIQkgFUQAAAAAAADgP2ZBAXNFDQBBACEJDAELQQAhAkEAIQUgDEUEQANAIAZB4ANqIAJBAnRqIhQoAgAhDEH///8HIRACfwJAIAUNAEGAgIAIIRAgDA0AQQAMAQsgFCAQIAxrNgIAQQELIQUgAkEBaiICIARHDQALCwJAIBMNAAJAAkAgEg4CAAECCyAEQQJ0IAZqIgIgAigC3ANB////A3E2AtwDDAELIARBAnQgBmoiAiACKALcA0H///8BcTYC3AMLIAhBAWohCCAJQQJHDQBEAAAAAAAA8D8gFaEhFUECIQkgBUUNACAVRAAAAAAAAPA/IAsQEaEhFQsgFUQAAAAAAAAAAGEEQEEAIQUCQCAEIgIgCkwNAANAIAZB4ANqIAJBf2oiAkECdGooAgAgBXIhBSACIApKDQALIAVFDQAgCyEHA0AgB0FoaiEHIAZB4ANqIARBf2oiBEECdGooAgBFDQALDAMLQQEhAgNAIAIiBUEBaiECIAZB4ANqIAogBWtBAnRqKAIARQ0ACyAEIAVqIQUDQCAGQcACaiADIARqIghBA3RqIARBAWoiBCAOakECdEHAvyJqKAIAtzkDAEEAIQJEAAAAAAAAAAAhFSADQQFOBEADQCAVIAAgAkEDdGorAwAgBkHAAmogCCACa0EDdGorAwCioCEVIAJBAWoiAiADRw0ACwsgBiAEQQN0aiAVOQMAIAQgBUgNAAsgBSEEDAELCwJAIBVBACALaxARIhVEAAAAAAAAcEFmQQFzRQRAIAZB4ANqIARBAnRqAn8gFQJ/IBVEAAAAAAAAcD6iIhWZRAAAAAAAAOBBYwRAIBWqDAELQYCAgIB4CyICt0QAAAAAAABwwaKgIhWZRAAAAAAAAOBBYwRAIBWqDAELQYCAgIB4CzYCACAEQQFqIQQMAQsCfyAVmUQAAAAAAADgQWMEQCAVqgwBC0GAgICAeAshAiALIQcLIAZB4ANqIARBAnRqIAI2AgALRAAAAAAAAPA/IAcQESEVIARBAE4EQCAEIQIDQCAGIAJBA3RqIBUgBkHgA2ogAkECdGooAgC3ojkDACAVRAAAAAAAAHA+oiEVQQAhACACQQBKIQMgAkF/aiECIAMNAAsgBCEFA0AgDSAAIA0gAEkbIQNBACECRAAAAAAAAAAAIRUDQCAVIAJBA3RBkNUiaisDACAGIAIgBWpBA3RqKwMAoqAhFSACIANHIQcgAkEBaiECIAcNAAsgBkGgAWogBCAFa0EDdGogFTkDACAFQX9qIQUgACAERyECIABBAWohACACDQALC0QAAAAAAAAAACEVIARBAE4EQCAEIQIDQCAVIAZBoAFqIAJBA3RqKwMAoCEVIAJBAEohACACQX9qIQIgAA0ACwsgASAVmiAVIAkbOQMAIAYrA6ABIBWhIRVBASECIARBAU4EQANAIBUgBkGgAWogAkEDdGorAwCgIRUgAiAERyEAIAJBAWohAiAADQALCyABIBWaIBUgCRs5AwggBkGwBGokACAIQQdxCz0BA38DQCAAQQR0IgFBpNYiaiABQaDWImoiAjYCACABQajWImogAjYCACAAQQFqIgBBwABHDQALQTAQSxoLIwAgAD8AQRB0a0H//wNqQRB2QABBf0YEQEEADwtBABAAQQELBgBBsL4iCwYAQcq+IguWAgEGfyMAQfAAayICJAACQAJ/QQAgACgAACIDQQJLDQAaQQBBAUGIBRAFIgFFDQAaIAEgAzYCECABQSBqIgUQqwECQCAFIAAoAAAgACgABCAAKgAIu0SamZmZmZm5P6K2EJIBQQBIDQAgAUGgAmoiBCAAKAAMEKYBIAFBQGsiAyAFEF4gAyABQbABahBgIAFBgIDAADYCGCABQYCAwAAQBCIANgIUIABFDQAgAUGAgAQQTiACQgA3AgAgAkIANwIIIAMgAiACQdAAaiACQTBqIAJBEGoQqgEgBCACQdAAahApIAFBARAyIAQgAkEwahApIAQgAkEQahApIAFBARAyIAEhBgwCCyABCxBPCyACQfAAaiQAIAYLDQAgACABEE4gAEEEagsHACAAKAIUCxQAIABBQGtBABBcIAAQUCAAKAIcCzkBAn8gACgCHCECQQFBJBAFIQEgACgCBCEAIAEgAkG0Fmo2AgggAUGA+PCwfDYCACABIAA2AgQgAQuYAQEHfyAAQUBrIQUDQCADIAFJBEAgASADayICQYCABCACQYCABEkbIgRBAnQhBkEAIQIgBSAEEF0hBwNAIAIgACgCEE8EQCAFIAQQXCAAEFAgAyAEaiEDDAMFIAcgAkECdCIIaigCACAAIAhqKAIEIANBAnRqIAYQEiACQQFqIQIMAQsACwALCyAAKAIcIQEgAEEANgIcIAELnQEBAn8gAEIANwNYIABCADcDYCAAKAJoIQMDQCACQQ9GRQRAIAMgAkECdGooAgwQLSACQQFqIQIMAQsLAkAgABCsASABRXINACAAQUBrKAIAEBsNACABIAAoAgw2AgAgACgCCCECIAAoAgQhAyABQQA2AgggASADIAIQFDYCBCABIAAoAiw2AgwgASAAKQMwNwMQIAEgACkDODcDGAsLJgACQCAAIAEgAiADEJUBIgENACAAEJ8BIgENAEEADwsgABBTIAELoQMCAn8DfCAAKAIcIgNBxBpqKAIAIQQgACACNgIIIAAgATYCBCAAQQA2AgAgA0GAG2pCgYCAgBA3AwAgA0GQG2ogA0HIGmorAwAiBTkDACAFAn8gBZlEAAAAAAAA4EFjBEAgBaoMAQtBgICAgHgLIgC3oSEGAkAgA0GgG2ooAgAEQCAAQQFqIQFEAAAAAAAA8D8gBqEhBwwBCyADQZgbakQAAAAAAADwPyAGoSIHIAQoAngiAiAAQQN0aisDAKIgBiACIABBAWoiAUEDdGorAwCioDkDAAsgA0GoG2ogByAEKAJwIgIgAEECdCIAaigCALeiIAYgAiABQQJ0IgFqKAIAt6KgOQMAIAAgBCgCdCIAaigCACECIAAgAWooAgAhACADQcAbaiAFOQMAIANBuBtqQoCAgICAgICMQDcDACADQbAbaiAHIAK3oiAGIAC3oqA5AwBBACEAA0AgAEEERkUEQCADIABBBXRqIgFB4BtqIAU5AwAgAUHYG2ogBTkDACABQdAbaiAFOQMAIAFByBtqIAU5AwAgAEEBaiEADAELCwuQAgIEfwF9A0AgBEERRgRAQQAPCwJAIARBAnRBsI0EaigCACIGKAIMIgVBf0dBACAAIAVHGw0AIAYoAhAgAUoNACAGKAIUIAFIDQAgBigCCCIFKwMAIAJkDQAgBSAGKAIAIgdBA3RqKwMAIAJjDQBBACEAIAdBACAHQQBKGyEBA0ACQCABIAAiBEYEQCABIQQMAQsgBEEBaiEAIAUgBEEDdGorAwAgAmVBAXMNASAFIABBA3RqKwMAIAJkQQFzDQELCyADIAQgB0YEfCAHt0T8qfHSTWJQv6AFIASyIAIgBSAEQQN0aiIAKwMAtiIIu6EgACsDCLYgCJO7o7aSuws5AwAgBg8LIARBAWohBAwACwALhAEBAn8gAkEBSARAQf1+DwsgACgCHCIEQdgaakNy+X8/IAO7REivvJry13o+oLYiAyADQwAAgD9gGyIDOAIAIARBxBpqIAEgAiADuyAEQcgaahCUASIFNgIAIAVFBEBB/n4PCyAAIAEgAhCTASAEQYgbakEBNgIAIARB3BpqQQA2AgBBAAuuCgIKfwR8IAAoAhwiByABQQJ0aiIEQaAMakGYFhAEIgU2AgAgBSADKAIMQZgWEAghCCAHKAIUIAFMBEAgByABQQFqNgIUCyAIIAMoAgg2AgggBEGgCmoiDSADKAIANgIAAkAgB0HcGmooAgAEQCAIKAIMIgRBACAEQQBKGyEJIAhBGGohCgNAIAYgCUcEQCAKIAZBAnRqIQUgAygCHCELQQAhBANAIARBBEcEQCALIAZBBHRqIARBAnRqKAIABEAgBSAFKAIAQQEgBHRyNgIACyAEQQFqIQQMAQsLIAZBAWohBgwBCwsgCCAHIAMoAhQQIyIENgIUIAcgBEECdGpBoA5qIAMoAhQ2AgAgCEGYAmohCUEAIQVBACEGA0BBACEEIAYgCCgCDE4NAgNAIARBBEcEQCAEQQJ0IgogBkEEdCILIAMoAhxqaigCACIMBEAgCSAFQQJ0aiAHIAwQIyIMNgIAIAcgDEECdGpBoA5qIAMoAhwgC2ogCmooAgA2AgAgBUEBaiEFCyAEQQFqIQQMAQsLIAZBAWohBgwACwALIAgoAgwiBEEAIARBAEobIQkgCEEYaiEKA0AgBiAJRwRAIAogBkECdGohBSADKAIYIQtBACEEA0AgBEEERwRAIAsgBkEEdGogBEECdGooAgAEQCAFIAUoAgBBASAEdHI2AgALIARBAWohBAwBCwsgBkEBaiEGDAELCyAIIAcgAygCEBAjIgQ2AhQgByAEQQJ0akGgDmogAygCEDYCACAIQZgCaiEJQQAhBUEAIQYDQEEAIQQgBiAIKAIMTg0BA0AgBEEERwRAIARBAnQiCiAGQQR0IgsgAygCGGpqKAIAIgwEQCAJIAVBAnRqIAcgDBAjIgw2AgAgByAMQQJ0akGgDmogAygCGCALaiAKaigCADYCACAFQQFqIQULIARBAWohBAwBCwsgBkEBaiEGDAALAAsCfyAAKAIIt0QAAAAAAADgP6IiDiAHQZgbaisDAEQAAAAAAECPQKIiDyAPIA5kGyIPIA6jIAcgAkECdGoiBCgCAEEBdSICtyIQoiIRmUQAAAAAAADgQWMEQCARqgwBC0GAgICAeAshBiAEQaAIaigCACAGNgLcCAJAAkACQCADKAIEQX9qDgIAAQILIAdBtBdBmBcgBygC3BobaigCALdEAAAAAABAj0CiIg8gDmRBAXMNASAOIQ8MAQtEAAAAAABAb0AhDwsCQAJ/IA0oAgBBAkYEQCAHKAIMIQlBACEDQQAhBgNAIAMgBiAJTnJFBEAgByAGQQJ0aigCoAQiDSgCACEKQQAhBUEAIQMDQCADIAUgCk5yRQRAQQAhAwJAIA0gBUECdGpBxAhqKAIAIAFHDQBBACEEIAAoAgQiA0EAIANBAEobIQtBACEDA0AgBCALRg0BIAMgDSAEQQJ0aigCBCAFRmohAyAEQQFqIQQMAAsACyAFQQFqIQUMAQsLIAZBAWohBgwBCwsgCAJ/IA8gDqMgEKIgA7eiIAgoAggiBbejRM3MzMzMzOw/oCIOmUQAAAAAAADgQWMEQCAOqgwBC0GAgICAeAsgBWwiBDYCBCAIQQRqIQYgBCACIANsIgBMDQIgACAAIAVvawwBCyAIAn8gDyAOoyAQoiAIKAIIIgW3o0TNzMzMzMzsP6AiDplEAAAAAAAA4EFjBEAgDqoMAQtBgICAgHgLIAVsIgQ2AgQgCEEEaiEGIAQgAkwNASACIAIgBW9rCyEEIAYgBDYCAAsgBEUEQCAGIAU2AgALC4ABAgJ/AXwCfyAAKAIcIgJByBpqKwMAIgOZRAAAAAAAAOBBYwRAIAOqDAELQYCAgIB4CyEBIAJBxBpqKAIAKAIEIgJFBEBEAAAAAAAA8L8PC0QAAAAAAADwPyADIAG3oSIDoSACIAFBA3RqIgErAwCiIAMgASsDCKKgIAAoAgS3oguaAQIBfwF9IABBEGpBKBAHGiAAIAE2AgwgACABKAIEIgI2AgggACACNgIEIAAgASgCADYCACAAIAEoAgggAhDHATYCFCAAIAEQVDYCLCAAAn8gASgCEBBakCIDi0MAAABPXQRAIAOoDAELQYCAgIB4CzYCMCAAAn8gASgCFBBakCIDi0MAAABPXQRAIAOoDAELQYCAgIB4CzYCNAuwAgEIf0EBQQIgACgCHCIEKAIAIAQoAgRGGyEHIAICfyABmUQAAAAAAADgQWMEQCABqgwBC0GAgICAeAtBA3RqIgIoAgQhCCACKAIAIQkDQCADIAdHBEAgBCADQQJ0aiICIgZBoARqQQFBiBkQBTYCACACQQFBEBAFIgU2AiAgBSADQQR0IgpBiIkEaikCADcCCCAFIApBgIkEaikCADcCACADIAQoAghOBEAgBCADQQFqNgIICyACQQA2AqACIAYoAqAEIAkgA0GIGWxqIgVBiBkQCBogAyAEKAIMTgRAIAQgA0EBajYCDAtBACECA0AgAiAFKAIATkUEQCAAIAUgAkECdGpBxAhqKAIAIgYgAyAIIAZBBXRqEJYBIAJBAWohAgwBCwsgA0EBaiEDDAELCwvZBwMGfwF9B3wCfyABKwNQtiIJi0MAAABPXQRAIAmoDAELQYCAgIB4CyEEIAAoAhwhAwJAIAJFBEAgAygCBCEAIAMoAgAhAkEAIQEDQCABQQ9GDQIgAyABQQJ0aiIGQeQZaiAANgIAIAZBqBlqIAI2AgAgAUEBaiEBDAALAAsgCSAEspO7IQsgA0GwGGogAiAEQfABbGoiBUE8EAgaIANB7BhqIAVBPGpBPBAIGiABKAIcBEBEAAAAAAAA8D8gC6EhDCADKAIEtyEOIAMoAgC3IQ0gACgCCLchD0EAIQAgAiAEQQFqQfABbGohAgNAIABBD0YNAgJ/IAwgBSAAQQJ0IgFqIgcqAni7oiALIAEgAmoiBCoCeLuioLYiCYtDAAAAT10EQCAJqAwBC0GAgICAeAshBiABIANqIgFB/BZqIAY2AgAgAUH0F2oCfyAJu0QAAAAAAECPQKIgD6MiCiAOoiIQmUQAAAAAAADgQWMEQCAQqgwBC0GAgICAeAs2AgAgAUG4F2oCfyAKIA2iIgqZRAAAAAAAAOBBYwRAIAqqDAELQYCAgIB4CzYCACABQeQZagJ/IAwgByoCtAG7oiALIAQqArQBu6KgtrtEAAAAAABAj0CiIA+jIgogDqIiEJlEAAAAAAAA4EFjBEAgEKoMAQtBgICAgHgLNgIAIAFBqBlqAn8gCiANoiIKmUQAAAAAAADgQWMEQCAKqgwBC0GAgICAeAs2AgAgAEEBaiEADAALAAsCf0QAAAAAAADwPyALoSIMIAUqApQBu6IgCyAFKgKEA7uioLYiCYtDAAAAT10EQCAJqAwBC0GAgICAeAshBwJ/IAm7RAAAAAAAQI9AoiAAKAIItyIOoyINIAMoAgS3Ig+iIgqZRAAAAAAAAOBBYwRAIAqqDAELQYCAgIB4CyEAAn8gDSADKAIAtyINoiIKmUQAAAAAAADgQWMEQCAKqgwBC0GAgICAeAshBiAEQQFqIQhBACEBA0AgAUEPRkUEQCADIAFBAnRqIgVB9BdqIAA2AgAgBUG4F2ogBjYCACAFQfwWaiAHNgIAIAFBAWohAQwBCwsCfyAMIAIgBEHwAWxqKgLQAbuiIAsgAiAIQfABbGoqAtABu6KgtrtEAAAAAABAj0CiIA6jIgsgD6IiDJlEAAAAAAAA4EFjBEAgDKoMAQtBgICAgHgLIQcCfyALIA2iIguZRAAAAAAAAOBBYwRAIAuqDAELQYCAgIB4CyEAQQAhAQNAIAFBD0YNASADIAFBAnRqIgJB5BlqIAc2AgAgAkGoGWogADYCACABQQFqIQEMAAsACwvwAgIFfwF8IAAoAhwiBEG0FmogAgJ/IAMCfyABmUQAAAAAAADgQWMEQCABqgwBC0GAgICAeAsiAEEDdGoiAysDACIJmUQAAAAAAADgQWMEQCAJqgwBC0GAgICAeAtB7ANsakHsAxAIGgJ/RAAAAAAAAPA/IAEgALehIgGhIAMrAwCiIAEgAysDCKKgIgGZRAAAAAAAAOBBYwRAIAGqDAELQYCAgIB4CyEDQQAhAEQAAAAAAADwP0QAAAAAAADwPyABIAO3oSIBIANBAEogAUQAAAAAAAAAAGFxIgUbIgGhIQkgAiADIAVrIgVBAWpB7ANsaiEGA0AgAEEERkUEQCAEIABBAnQiA2oiB0G4FmogCSACIAVB7ANsaiADaiIIKgIEu6IgASADIAZqIgMqAgS7oqC2OAIAIAdB1BZqIAkgCCoCILuiIAEgAyoCILuioLY4AgAgAEEBaiEADAELCyAEQfgWaiAEQbgbaisDALY4AgAL2AMBCn9BAUHgCBAFIQUgACgCHCEGQQAhACAFIAMgBCABQQJ0aiIIKAIAQeAIbGpB4AgQCCIBKAIAIgNBACADQQBKGyEEIAFBBGohBUF/IQMDQCAAIARGBEAgAUHAAmohByABQcABaiEJIAFBgAJqIQpBfyEEIANBfyADQX9KG0EBaiELQQAhAwNAIAMgC0YEQAJAIARBfyAEQX9KG0EBaiEDQQAhAANAIAAgA0YNASACIAgoAgBBAnRqKAIAIABBAnRqKAIAIQQgBiAGKAIYIgVBAWo2AhggBiAFQQJ0akGgDmogBDYCACAAQQFqIQAMAAsACwUgCiADQQJ0IgVqIgAgACgCACIAIAYoAhhqNgIAIAAgBCAAIARKGyEEIAUgCWohDEEAIQADQCAAQQEgDCgCAHRIBEAgByADQQV0aiAAQQJ0aiINKAIAIgUgBEohDiAFQQBOBEAgDSAGKAIYIAVqNgIACyAFIAQgDhshBCAAQQFqIQAMAQsLIANBAWohAwwBCwsgBiAGKAIQQQJ0akEBNgKgBiAGIAYoAhAiAEECdGpBoAhqIAE2AgAgBiAAQQFqNgIQBSAFIABBAnRqKAIAIgcgAyAHIANKGyEDIABBAWohAAwBCwsLLAAgACgCEBADIAAoAhQQAyAAKAIYEAMgACgCHBADIAAoAiAQAyAAQTgQBxoLSAEBfyACAn8gAZlEAAAAAAAA4EFjBEAgAaoMAQtBgICAgHgLQQJ0IgRqKAIAIQIgACgCHCIAIAMgBGooAgA2AgQgACACNgIAC+YKAgp/AnxB/X4hAwJAIAAoAhwiAkUNACAAKAIEQX9qQf4BSw0ARAAAAAAAAFTAIQsgAkGAG2ooAgAhBAJAIAJBqBtqKwMAIgxEAAAAAAAAVMBkRQRARAAAAAAAAGnAIQsgDEQAAAAAAABpwGNBAXMNAQsgAiALOQOoGwtEAAAAAAAAAAAhCwJAIAJBuBtqKwMAIgxEAAAAAAAAAABkRQRARAAAAADwafjAIQsgDEQAAAAA8Gn4wGNBAXMNAQsgAiALOQO4GwsgAkHEGmooAgAiAUUNACACQcAaaiEHIAJBATYCwBogACACQcgaaisDACABKAIYIAEoAhwQngEgAigCBCEGIAIoAgAhCEEAIQMDQCADIAEoApABTkUEQCABKAKUASADQQJ0aigCACEFIAEoAowBIQkgASgCiAEhCiAAAn8gAisDyBoiC5lEAAAAAAAA4EFjBEAgC6oMAQtBgICAgHgLIAogCSAFEJwBIANBAWohAwwBCwsgACACQcAbaisDACABKAJ8IAEoAoABEJsBIAAgByABKAKEARCaASAAIAIrA8gaIAEoAlwgASgCZCABKAJsQQAQKCAAIAIrA8gaIAEoAlwgASgCZCABKAJsQQEQKCAGIAhGIgNFBEAgACACKwPIGiABKAJgIAEoAmggASgCbEECECggACACKwPIGiABKAJgIAEoAmggASgCbEEDECgLIAAgAiAERSIFQQV0aiIHQcgbaisDAEEAIAEoAiAgASgCJCABKAIsECcgACACQegbaisDAEEBIAEoAiAgASgCJCABKAI0ECcgA0UEQCAAIAJBiBxqKwMAQQIgASgCICABKAIkIAEoAjQQJyAAIAJBqBxqKwMAQQMgASgCICABKAIkIAEoAjAQJwsgACAHQeAbaisDAEEAIAEoAlAgASgCVBAmIAAgAkGAHGorAwBBASABKAJQIAEoAlQQJiADRQRAIAAgAkGgHGorAwBBAiABKAJQIAEoAlgQJiAAIAJBwBxqKwMAQQMgASgCUCABKAJYECYLIAAgAiAFQQV0aiIFQdAbaisDAEEAIAEoAigQJSAAIAJB8BtqKwMAQQEgASgCKBAlIANFBEAgACACQZAcaisDAEECIAEoAigQJSAAIAJBsBxqKwMAQQMgASgCKBAlC0QAAAAAAAAAACELIAAgBUHYG2orAwBBACABKAJMIAEoAjwgASgCOCAEBHwgAkHQGmorAwAFRAAAAAAAAAAACxAkIAAgAkH4G2orAwBBASABKAJMIAEoAkAgASgCOEQAAAAAAAAAABAkAkAgBiAIRgRAIABBABAVIABBARAVDAELIAAgAkGYHGorAwBBAiABKAJMIAEoAkQgASgCOEQAAAAAAAAAABAkIAAgAkG4HGorAwBBAyABKAJMIAEoAkggASgCOEQAAAAAAAAAABAkIABBABAVIABBARAVIABBAhAVIABBAxAVCyAAIAIrA8gaIAEoApgBEJkBQQAhAyACQeQaaigCACIBIQQCQCABQQBKDQAgABCXASILmUQAAAAAAADgQWMEQCALqiEEDAELQYCAgIB4IQQLIAAgBDYCECAAIAJB4BpqKAIAIgQ2AhQgACACQfAaaigCACIGNgIMAkAgAUUNACACQfQaaigCALcgAbejIguZRAAAAAAAAOBBYwRAIAuqIQMMAQtBgICAgHghAwsgACADNgIYQQAhAyACQdwaaigCAEUNACACIAE2AqAaIAJBqBpqIAY2AgAgAkGkGmogBDYCACACQawaaiACQfQaaigCADYCACACQbAaaiACQfgaaisDADkDACACQbgaaiACQegaaisDADkDAAsgAwtDAQJ/IAAQMwR/QQAFIAAoAhwhAwJAAkAgACgCyAIEQCADDQEMAgsgA0UNASAAKALMAg0BC0EBIQILIAAgASACEFELC34BAX8CQCAAKAIYIgIgAWsgACgCHEwEQCACQf////8HIAFrSg0BIAAoAhAgASACaiIBQSBqIAEgAUHf////B0gbIgFBAnQQDCICRQ0BIAAgAjYCECAAKAIUIAFBA3QQDCICRQ0BIAAgATYCGCAAIAI2AhQLQQAPCyAAECpBfwtkAQF/AkAgACgCBCICIAFrIAAoAghMBEAgAkH/////ByABa0oNASAAKAIAIAEgAmoiAUGACGogASABQf/3//8HSBsiARAMIgJFDQEgACACNgIAIAAgATYCBAtBAA8LIAAQKkF/C4gDAQV/AkAgABAzIAFFcg0AA0AgBEEBcUUEQCABKAIEIgRBAEggBUH/////ByAEa0pyDQIgBCAFaiEFQQEhBAwBCwsgBUH/AW0hByAAKAIMIgQEQCAAIAAoAgggBGsiCDYCCCAIBEAgACgCACIGIAQgBmogCBASCyAAQQA2AgwLIAAgBRCiAQ0AIAAgB0EBaiIIEKEBDQAgACgCACAAKAIIaiABKAIAIAEoAgQQCBogACAAKAIIIAEoAgRqNgIIQQAhBCAHQQAgB0EAShshAQNAIAEgBEZFBEAgACgCECAAKAIcIARqIgZBAnRqQf8BNgIAIAAoAhQgBkEDdGogACkD4AI3AwAgBEEBaiEEDAELCyAAKAIQIgQgASAAKAIcIgFqIgZBAnRqIAdBgX5sIAVqNgIAIAAoAhQgBkEDdGogAzcDACAAIAM3A+ACIAQgAUECdGoiBCAEKAIAQYACcjYCACAAIAEgCGo2AhwgACAAKQPYAkIBfDcD2AIgAkUNACAAQQE2AsgCCwt7AQF/IAAEQCAAKAIAQQA6ABYgACgCAEEAOgAXIAAoAgBBADoAGCAAKAIAQQA6ABkgACgCACIBQQAgASAAKAIEEFIgACgCCCAAKAIMEFIiAToAFiAAKAIAIAFBCHY6ABcgACgCACABQRB2OgAYIAAoAgAgAUEYdjoAGQsLzg8DCH8Cfgh8RAAAAAAAAPA/IQwCQAJAAkAgAb0iCkIgiKciA0H/////B3EiAiAKpyIGckUNACAAvSILQiCIpyEFIAunIglFQQAgBUGAgMD/A0YbDQAgBUH/////B3EiBEGAgMD/B0sgBEGAgMD/B0YgCUEAR3FyIAJBgIDA/wdLckVBACAGRSACQYCAwP8HR3IbRQRAIAAgAaAPCwJAAkACfwJAIAVBf0oNAEECIAJB////mQRLDQEaIAJBgIDA/wNJDQAgAkEUdiEHIAJBgICAigRPBEBBACAGQbMIIAdrIgh2IgcgCHQgBkcNAhpBAiAHQQFxawwCCyAGDQMgAkGTCCAHayIGdiIHIAZ0IAJHDQJBAiAHQQFxayEIDAILQQALIQggBg0BCyACQYCAwP8HRgRAIARBgIDAgHxqIAlyRQ0CIARBgIDA/wNPBEAgAUQAAAAAAAAAACADQX9KGw8LRAAAAAAAAAAAIAGaIANBf0obDwsgAkGAgMD/A0YEQCADQX9KBEAgAA8LRAAAAAAAAPA/IACjDwsgA0GAgICABEYEQCAAIACiDwsgA0GAgID/A0cgBUEASHINACAAnw8LIACZIQwgBUH/////A3FBgIDA/wNHQQAgBBsgCXJFBEBEAAAAAAAA8D8gDKMgDCADQQBIGyEMIAVBf0oNASAIIARBgIDAgHxqckUEQCAMIAyhIgAgAKMPCyAMmiAMIAhBAUYbDwtEAAAAAAAA8D8hDQJAIAVBf0oNAAJAAkAgCA4CAAECCyAAIAChIgAgAKMPC0QAAAAAAADwvyENCwJ8IAJBgYCAjwRPBEAgAkGBgMCfBE8EQCAEQf//v/8DTQRARAAAAAAAAPB/RAAAAAAAAAAAIANBAEgbDwtEAAAAAAAA8H9EAAAAAAAAAAAgA0EAShsPCyAEQf7/v/8DTQRAIA1EnHUAiDzkN36iRJx1AIg85Dd+oiANRFnz+MIfbqUBokRZ8/jCH26lAaIgA0EASBsPCyAEQYGAwP8DTwRAIA1EnHUAiDzkN36iRJx1AIg85Dd+oiANRFnz+MIfbqUBokRZ8/jCH26lAaIgA0EAShsPCyAMRAAAAAAAAPC/oCIARAAAAGBHFfc/oiIMIABERN9d+AuuVD6iIAAgAKJEAAAAAAAA4D8gACAARAAAAAAAANC/okRVVVVVVVXVP6CioaJE/oIrZUcV97+ioCIPoL1CgICAgHCDvyIAIAyhDAELIAxEAAAAAAAAQEOiIgAgDCAEQYCAwABJIgIbIQwgAL1CIIinIAQgAhsiBEH//z9xIgVBgIDA/wNyIQMgBEEUdUHMd0GBeCACG2ohBEEAIQICQCAFQY+xDkkNACAFQfrsLkkEQEEBIQIMAQsgA0GAgEBqIQMgBEEBaiEECyACQQN0IgVB8NUiaisDACIRIAy9Qv////8PgyADrUIghoS/Ig8gBUHQ1SJqKwMAIg6hIhBEAAAAAAAA8D8gDiAPoKMiEqIiDL1CgICAgHCDvyIAIAAgAKIiE0QAAAAAAAAIQKAgDCAAoCASIBAgACADQQF1QYCAgIACciACQRJ0akGAgCBqrUIghr8iEKKhIAAgDyAQIA6hoaKhoiIPoiAMIAyiIgAgAKIgACAAIAAgACAARO9ORUoofso/okRl28mTSobNP6CiRAFBHalgdNE/oKJETSaPUVVV1T+gokT/q2/btm3bP6CiRAMzMzMzM+M/oKKgIg6gvUKAgICAcIO/IgCiIhAgDyAAoiAMIA4gAEQAAAAAAAAIwKAgE6GhoqAiDKC9QoCAgIBwg78iAEQAAADgCcfuP6IiDiAFQeDVImorAwAgDCAAIBChoUT9AzrcCcfuP6IgAET1AVsU4C8+vqKgoCIPoKAgBLciDKC9QoCAgIBwg78iACAMoSARoSAOoQshDiAAIApCgICAgHCDvyIRoiIMIA8gDqEgAaIgASARoSAAoqAiAKAiAb0iCqchAgJAIApCIIinIgNBgIDAhAROBEAgA0GAgMD7e2ogAnINAyAARP6CK2VHFZc8oCABIAyhZEEBcw0BDAMLIANBgPj//wdxQYCYw4QESQ0AIANBgOi8+wNqIAJyDQMgACABIAyhZUEBcw0ADAMLQQAhAiANAnwgA0H/////B3EiBEGBgID/A08EfkEAQYCAwAAgBEEUdkGCeGp2IANqIgRB//8/cUGAgMAAckGTCCAEQRR2Qf8PcSIFa3YiAmsgAiADQQBIGyECIAAgDEGAgEAgBUGBeGp1IARxrUIghr+hIgygvQUgCgtCgICAgHCDvyIBRAAAAABDLuY/oiINIAAgASAMoaFE7zn6/kIu5j+iIAFEOWyoDGFcIL6ioCIMoCIAIAAgACAAIACiIgEgASABIAEgAUTQpL5yaTdmPqJE8WvSxUG9u76gokQs3iWvalYRP6CiRJO9vhZswWa/oKJEPlVVVVVVxT+goqEiAaIgAUQAAAAAAAAAwKCjIAwgACANoaEiASAAIAGioKGhRAAAAAAAAPA/oCIAvSIKQiCIpyACQRR0aiIDQf//P0wEQCAAIAIQEQwBCyAKQv////8PgyADrUIghoS/C6IhDAsgDA8LIA1EnHUAiDzkN36iRJx1AIg85Dd+og8LIA1EWfP4wh9upQGiRFnz+MIfbqUBogtpAQN/IAAEQCAAQQhqQeACEAcaIABBgAg2AhggAEGAgAE2AgQgAEGAgAEQBCICNgIAIABBgCAQBCIDNgIQIABBgMAAEAQiBDYCFCACRSAERXJFQQAgAxtFBEAgABAqDwsgACABNgLQAgsLiwQBBH8gASgCHCIDRQRAQf9+DwsgAEEFQQgQAiAAQcTIA0EGEBkgACADKAIYQX9qQQgQAgJAA0AgAiADKAIYSARAIAJBAnQhBCACQQFqIQIgAyAEakGgDmooAgAgABB2RQ0BDAILC0EAIQIgAEEAQQYQAiAAQQBBEBACIAAgAygCEEF/akEGEAIDQCACIAMoAhBIBEAgACADIAJBAnRqIgQiBUGgBmooAgBBEBACIAUoAqAGQQJ0QbDIA2ooAgAoAgAiBUUNAiAEQaAIaigCACAAIAURAgAgAkEBaiECDAELCyAAIAMoAhRBf2pBBhACQQAhAgNAIAIgAygCFE5FBEAgACADIAJBAnRqIgRBoApqIgUoAgBBEBACIARBoAxqKAIAIAAgBSgCAEECdEG4yANqKAIAKAIAEQIAIAJBAWohAgwBCwsgACADKAIMQX9qQQYQAkEAIQIDQCACIAMoAgxORQRAIAAgAyACQQJ0aiIEKAKgAkEQEAIgASAEKAKgBCAAEK0BIAJBAWohAgwBCwsgACADKAIIQX9qQQYQAkEAIQIDQCACIAMoAghORQRAIAAgAyACQQJ0aiIBQSBqKAIAKAIAQQEQAiAAIAEoAiAoAgRBEBACIAAgASgCICgCCEEQEAIgACABKAIgKAIMQQgQAiACQQFqIQIMAQsLIABBAUEBEAJBAA8LQX8LrgEBAn8gAEEDQQgQAiAAQcTIA0EGEBkgAEE0QSAQAiAAQcvIA0E0EBkgACABKAIIQSAQAgJAIAEoAggiAkUNAANAIAMgAk4NAQJAIANBAnQiAiABKAIAaigCAARAIAAgASgCBCACaigCAEEgEAIgACABKAIAIAJqKAIAIAEoAgQgAmooAgAQGQwBCyAAQQBBIBACCyADQQFqIQMgASgCCCECDAALAAsgAEEBQQEQAgusAQEDf0H/fiEDAkAgASgCHCICRQ0AIAIoAgAiBEHAAEgNACACKAIEIARIDQAgAEEBQQgQAiAAQcTIA0EGEBlBACEDIABBAEEgEAIgACABKAIEQQgQAiAAIAEoAghBIBACIAAgASgCDEEgEAIgACABKAIQQSAQAiAAIAEoAhRBIBACIAAgAigCAEF/ahAKQQQQAiAAIAIoAgRBf2oQCkEEEAIgAEEBQQEQAgsgAwunBAEEfyMAQSBrIgUkACAAKAIEIQcCQAJAIAAoAmgiAEUNACAHKAIEQX9qQf8BSw0AIAVBCGoQRQJAIAVBCGogBxCpAQ0AIAAoAkAQAyAAIAUoAgggBSgCDBAUIgYQBCIINgJAIAggBSgCECAGEAgaIAAoAkAhCCACQgA3AgwgAkEBNgIIIAIgBjYCBCACIAg2AgAgAkIANwIUIAJBADYCHCAFQQhqEC0gBUEIaiABEKgBIAAoAkQQAyAAIAUoAgggBSgCDBAUIgEQBCIGNgJEIAYgBSgCECABEAgaIAAoAkQhBiADQgA3AwggAyABNgIEIAMgBjYCACADQgA3AxAgA0IBNwMYIAVBCGoQLSAFQQhqIAcQpwENACAAKAJIEAMgACAFKAIIIAUoAgwQFBAEIgE2AkggASAFKAIQIAUoAgggBSgCDBAUEAgaIAQgACgCSDYCACAFKAIMIQAgBSgCCCEBIARCADcDCCAEIAEgABAUNgIEIARCADcDECAEQgI3AxggBUEIahAeDAILIAAhBgsgAkIANwMAIAJCADcDGCACQgA3AxAgAkIANwMIIANCADcDGCADQgA3AxAgA0IANwMIIANCADcDACAEQgA3AxggBEIANwMQIARCADcDCCAEQgA3AwAgBkUNACAHKAIEQQFOBEAgBUEIahAeCyAGKAJAEAMgBigCRBADIAYoAkgQAyAGQQA2AkggBkIANwNACyAFQSBqJAALKgAgAEIANwIAIABBADYCGCAAQgA3AhAgAEIANwIIIABBAUHQHBAFNgIcC5YPAhx/BX0jAEEQayIBIQ8gASQAIABBQGsoAgAiCSgCaCEHIAkoAgQiCSgCHCEOIAAoAiQhAiAAKAJoIRQgASAJKAIEQQJ0IgFBD2pBcHFrIhciCiQAIAAgARAJIRggACAJKAIEQQJ0EAkhECAAIAkoAgRBAnQQCSEbIBQqAgQhHyAKIAkoAgQiAUECdEEPakFwcWsiFSIRJAAgDiAAKAIcIhZBAnRqKAKgBCEKIAcoAjghCyAUKAIIIQMgACAWNgIoIAJBf2ohDSACQQJtIhJBAnQhBUMAAIBAIAKylSEgIAdBBGohBgNAIAQgAU5FBEAgDyAgOAIMIARBAnQiASAAKAIAaigCACECIAEgEGogACAFEAk2AgAgASAYaiIMIAAgBRAJNgIAIA9BDGoQEyEdIAIgBiAOIAAoAhggACgCHCAAKAIgEGEgByAAKAIcQQJ0aigCDCgCACACIAwoAgAQQSAHIAAoAhxBDGxqQRRqIAIQZCACIAIQEyAdu0QUrkfhehTWP6C2IiGSu0QUrkfhehTWP6C2Ih04AgAgASAVaiIMIB04AgBBASEBA0AgASANTkUEQCAPIAIgAUECdGoqAgAiHiAelCACIAFBAWoiCEECdGoqAgAiHiAelJI4AgggAiAIQQF0QXxxaiAPQQhqEBNDAAAAP5QgIZK7RBSuR+F6FNY/oLYiHjgCACAdIB5dQQFzRQRAIAwgHjgCACAeIR0LIAFBAmohAQwBCwsCfSAdQwAAAABeQQFzRQRAIAxBADYCAEMAAAAAIR0LIB0LIB8gHSAfXhshHyAEQQFqIQQgCSgCBCEBDAELCyALIANBNGxqQegAQQAgFhtqIQwgEkEAIBJBAEobIRMgACAFEAkhCyAAIAUQCSEDIABBQGshGUEAIQ0DQAJAAkAgDSAJKAIEIgFIBEAgGCANQQJ0IgZqKAIAIQggBiAKaigCBCEaIAAoAgAgBmooAgAhAiAAIBY2AiggBiAbaiIFIABBPBAJIgQ2AgBBACEBIARBPBAHGiACIBJBAnRqIQQDQCABIBNGRQRAIAQgAUECdCIcaiAIIBxqEBO7RBSuR+F6FNY/oLY4AgAgAUEBaiEBDAELCyAMIAQgCxCBASAMIAIgAyAfIAYgFWoqAgAQgAEgDCALIANBASACIAggBBAvIA4gCiAaQQJ0akGECGoiBigCAEECdCIBaigCoAZBAUcEQEF/IQYMAwsgACAHKAIwIAFqKAIAIAQgAhA3IQEgBSgCACABNgIcIBkoAgAQG0UNASAFKAIAKAIcRQ0BIAwgCyADQQIgAiAIIAQQLyAAIAcoAjAgBigCAEECdGooAgAgBCACEDchASAFKAIAIAE2AjggDCALIANBACACIAggBBAvIAAgBygCMCAGKAIAQQJ0aigCACAEIAIQNyEBIAUoAgAgATYCAEEBIQEDQCABQQdGBEBBCCEBA0AgAUEORg0EIAAgBygCMCAGKAIAQQJ0aigCAEGECmooAgAgBSgCACICKAIcIAIoAjggAUEQdEGAgGRqQQduEFghAiAFKAIAIAFBAnRqIAI2AgAgAUEBaiEBDAALAAUgACAHKAIwIAYoAgBBAnRqKAIAQYQKaigCACAFKAIAIgIoAgAgAigCHCABQRB0QQduEFghAiAFKAIAIAFBAnRqIAI2AgAgAUEBaiEBDAELAAsACyAUIB84AgQgESABQQJ0QQ9qQXBxIgFrIgsiAiQAIAIgAWsiDSQAQQAhBkEAQQcgAEFAayISKAIAIgEQGxshBSAOQbQWaiEVA0AgBUEOQQcgARAbG0sNAiAUIAVBAnQiA2ooAgwiBEEAQQEQAiAEIBYgBygCLBACIAAoAhwEQCAEIAAoAhhBARACIAQgACgCIEEBEAILQQAhAQNAIAEgCSgCBCICTkUEQCAXIAFBAnQiAmogBCAAIAcoAjAgCiACIApqKAIEQQJ0akGECGooAgBBAnRqKAIAIAIgG2ooAgAgA2ooAgAgAiAQaigCABDGATYCACABQQFqIQEMAQsLIAUgFSAMIAogGCAQIBcgDiAAKAIcQTxsaiADakGoGWooAgAgAhB6QQAhAgNAIAIgCigCAE5FBEAgCiACQQJ0akHECGooAgAhEUEAIQFBACEDA0AgASAJKAIETkUEQCACIAogAUECdCIIaigCBEYEQCANIANBAnQiE2ogCCAXaigCAEEARzYCACALIBNqIAggEGooAgA2AgAgA0EBaiEDCyABQQFqIQEMAQsLIAAgEUECdCIIIAcoAjRqKAIAIAsgDSADIAggDmpBoApqIhEoAgBBAnRBuMgDaigCACgCFBEGACETQQAhASAJKAIEIgNBACADQQBKGyEZQQAhAwNAIAEgGUZFBEAgAiAKIAFBAnQiGmooAgRGBEAgCyADQQJ0aiAQIBpqKAIANgIAIANBAWohAwsgAUEBaiEBDAELCyAEIAAgBygCNCAIaigCACALIA0gAyATIAIgESgCAEECdEG4yANqKAIAKAIYEQ4AGiACQQFqIQIMAQsLIAVBAWohBSASKAIAIQEMAAsACyANQQFqIQ0MAQsLIA9BEGokACAGC9YCAQR/AkAgASgCAEECTgRAIAJBAUEBEAIgAiABKAIAQX9qQQQQAgwBCyACQQBBARACCwJAIAEoAoQJQQFOBEAgAkEBQQEQAiACIAEoAoQJQX9qQQgQAiABQYgRaiEEIAFBiAlqIQUDQCADIAEoAoQJTg0CIAIgBSADQQJ0IgZqKAIAIAAoAgRBf2oQChACIAIgBCAGaigCACAAKAIEQX9qEAoQAiADQQFqIQMMAAsACyACQQBBARACCyACQQBBAhACAkAgASgCAEECSA0AIAFBBGohBEEAIQMDQCADIAAoAgRODQEgAiAEIANBAnRqKAIAQQQQAiADQQFqIQMMAAsACyABQcQIaiEAIAFBhAhqIQRBACEDA0AgAyABKAIATkUEQCACQQBBCBACIAIgBCADQQJ0IgVqKAIAQQgQAiACIAAgBWooAgBBCBACIANBAWohAwwBCwsLowMBC38CQCABKAIAIggoAgQiBSAAKAIkIARsQQF1IgYgBSAGSBsgCCgCAGsiCkEBSA0AQQAhBSAEQQAgBEEAShshBiAAIAEoAhAoAgAiCyAKIAgoAggiDG0iDWpBf2ogC21BAnQQCSEOA0ACQCAFIAZHBH8gAyAFQQJ0aigCAEUNASAFBSAGCyAERg0CIABBBGohDwNAIAcgASgCCE4NA0EBIAd0IQpBACEJQQAhBgNAIAYgDUgEQCAHRQRAIAEoAhAgDxAcIgBBf0YNBiAAIAgoAhBODQYgDiAJQQJ0aiABKAIcIABBAnRqKAIAIgA2AgAgAEUNBgsgDiAJQQJ0aiEDQQAhBQNAIAUgC04gBiANTnJFBEACQCAIIAMoAgAgBUECdGooAgBBAnQiAGooAhggCnFFDQAgASgCFCAAaigCACAHQQJ0aigCACIARQ0AIAAgAiAIKAIAIAYgDGxqIAQgDyAMEHFBf0YNCAsgBkEBaiEGIAVBAWohBQwBCwsgCUEBaiEJDAELCyAHQQFqIQcMAAsACyAFQQFqIQUMAAsAC0EAC9MBAQh/IwBBEGsiCCQAIAggASAFIAEoAiRBAm0iAWxBAnQQCSILNgIMIAFBACABQQBKGyEMIAVBACAFQQBKGyENQQAhBwNAIAcgDUZFBEAgBCAHQQJ0IgFqKAIAIQ4gASADaigCACEPQQAhASAHIQoDQCABIAxGRQRAIAsgCkECdGogDyABQQJ0aigCADYCACAFIApqIQogAUEBaiEBDAELCyAHQQFqIQcgCSAOQQBHaiEJDAELCyAJBEAgACACIAhBDGpBASAGEFULIAhBEGokAEEAC5cDAQ5/IAEoAgAiCCgCACEEIAgoAgQhBSAIKAIIIQwgCCgCDCEGIABBBBAJIg0gACAFIARrIAxtIgBBAnQiBBAJIgc2AgBBACEFIAcgBBAHGiAGQX9qIgRBACAEQQBKGyEEIABBACAAQQBKGyEPIANBASADQQFKGyEQIAgoAgAgA20hCwNAQQAhCUEAIQZBACEHAkAgBSAPRwRAA0AgCSAMTgRAQQAhAANAIAAgBEYEQCAEIQAMBQsgBiAIIABBAnRqIglBmBJqKAIATARAIAcgCUGYFGooAgBMDQULIABBAWohAAwACwAFIAtBAnQiESACKAIAaigCACIAIABBH3UiAGogAHMhDkEBIQADQCAAIBBGRQRAIAIgAEECdGooAgAgEWooAgAiCiAKQR91IgpqIApzIgogByAKIAdKGyEHIABBAWohAAwBCwsgDiAGIA4gBkobIQYgAyAJaiEJIAtBAWohCwwBCwALAAsgASABKAIoQQFqNgIoIA0PCyANKAIAIAVBAnRqIAA2AgAgBUEBaiEFDAALAAtMAQN/IARBACAEQQBKGyEHA0AgBSAHRkUEQCAGIAMgBUECdGooAgBBAEdqIQYgBUEBaiEFDAELCyAGRQRAQQAPCyAAIAEgAiAEELABC2YBA38gBEEAIARBAEobIQZBACEEA0AgBSAGRkUEQCADIAVBAnQiB2ooAgAEQCACIARBAnRqIAIgB2ooAgA2AgAgBEEBaiEECyAFQQFqIQUMAQsLIAQEQCAAIAEgAiAEQQUQVgtBAAvnAwMOfwJ9AXwgA0EAIANBAEobIQwgASgCACIIKAIEIAgoAgBrIAgoAggiCm0iBUECdCEJIAgoAgwhBiAKtyEUIAAgA0ECdBAJIQtBACEDA0AgAyAMRgRAAkAgBkF/aiIAQQAgAEEAShshCSAFQQAgBUEAShshDSAKQQAgCkEAShshDkQAAAAAAABZQCAUo7YhEkEAIQUDQCAFIA1GDQEgCCgCACAFIApsaiEPQQAhBgNAAkAgBiAMRwRAIAIgBkECdCIQaiERQQAhA0EAIQdBACEAA0AgAyAORkUEQCARKAIAIAMgD2pBAnRqKAIAIgQgBEEfdSIEaiAEcyIEIAcgBCAHShshByAAIARqIQAgA0EBaiEDDAELCwJ/IBIgALKUIhOLQwAAAE9dBEAgE6gMAQtBgICAgHgLIQBBACEDA0AgAyAJRgRAIAkhAwwDCyAHIAggA0ECdGoiBEGYEmooAgBMBEAgBEGYFGooAgAiBEEASCAEIABKcg0DCyADQQFqIQMMAAsACyAFQQFqIQUMAgsgCyAQaigCACAFQQJ0aiADNgIAIAZBAWohBgwACwALAAsFIAsgA0ECdGogACAJEAkiBzYCACAHIAkQBxogA0EBaiEDDAELCyABIAEoAihBAWo2AiggCwtnAQN/IARBACAEQQBKGyEGQQAhBANAIAUgBkZFBEAgAyAFQQJ0IgdqKAIABEAgAiAEQQJ0aiACIAdqKAIANgIAIARBAWohBAsgBUEBaiEFDAELCyAERQRAQQAPCyAAIAEgAiAEELMBC5sGAQ9/IAAoAjAhCyAAKAIAIQYgACgCNCEMIAAoAiwhAyMAQUBqIgRCADcDOCAEQgA3AzAgBEIANwMoIARCADcDICADQQF1IQkCQCAMQQFHBEAgBkEAIAZBAEobIQ0gA0F/aiEOIAxBAXUgC2shDyAGIQgDQCAFIA1GDQICfyAPIAEgCEF/aiIIQQJ0IhBqKAIAaiAMbSIKIAlIBEAgCSAKa0EBdEF/agwBCyAKIAlrQQF0CyECIARBIGogEGogCiAMbCALajYCACADIAdsQQAgAiAOIAIgA0gbIAJBAEgbaiEHIAVBAWohBQwACwALIAZBACAGQQBKGyEKIANBf2ohDSAGIQgDQCAFIApGDQECfyABIAhBf2oiCEECdCIOaigCACIPIAtrIgIgCUgEQCAJIAJrQQF0QX9qDAELIAIgCWtBAXQLIQIgBEEgaiAOaiAPNgIAIAMgB2xBACACIA0gAiADSBsgAkEASBtqIQcgBUEBaiEFDAALAAsCQCAAKAIMKAIIIgkgB2osAABBAEoNACAEQgA3AxggBEIANwMQIARCADcDCCAEQgA3AwAgBkEAIAZBAEobIQogACgCBCIAQQAgAEEAShshDSADQX9qIAxsIAtqIQtBfyEIQQAhAANAIAAgDUYNAUEAIQNBACECAkAgACAJaiwAAEEBSA0AA0AgAyAKRkUEQCACIAQgA0ECdCICaigCACABIAJqKAIAayICIAJsaiECIANBAWohAwwBCwsgCEF/R0EAIAIgCE4bDQAgBCAEKQMYNwM4IAQgBCkDEDcDMCAEIAQpAwg3AyggBCAEKQMANwMgIAAhByACIQgLQQAhAwNAIAQgA0ECdGoiBSgCACICIAtIRQRAIAVBADYCACADQQFqIQMMAQsLIAJBAE4EQCAFIAIgDGoiAjYCAAsgBUEAIAJrNgIAIABBAWohAAwACwALAkAgB0EASA0AQQAhAyAGQQAgBkEAShshAANAIAAgA0YNASABIAEoAgAgBEEgaiADQQJ0aigCAGs2AgAgA0EBaiEDIAFBBGohAQwACwALIAcLUAEDfyACIAMoAgAiBW0iAkEAIAJBAEobIQZBACECA0AgAiAGRkUEQCADIAMgASACIAVsQQJ0ahC1ASAAEB0gBGohBCACQQFqIQIMAQsLIAQLagEBf0EAIQEgBUEAIAVBAEobIQdBACEFA0AgASAHRkUEQCAEIAFBAnQiCGooAgAEQCADIAVBAnRqIAMgCGooAgA2AgAgBUEBaiEFCyABQQFqIQEMAQsLIAUEQCAAIAIgAyAFIAYQVQtBAAtmAQN/IARBACAEQQBKGyEGQQAhBANAIAUgBkZFBEAgAyAFQQJ0IgdqKAIABEAgAiAEQQJ0aiACIAdqKAIANgIAIARBAWohBAsgBUEBaiEFDAELCyAEBEAgACABIAIgBEEEEFYLQQAL7gMBDn9BAUEsEAUhAiAAKAIEKAIcIQ8gAiABNgIAIAIgASgCDCIGNgIEIAIgDygCoBYiADYCDCACIAAgASgCFEE4bGoiADYCECAAKAIAIQkgAiAGQQQQBSIINgIUQQAhACAGQQAgBkEAShshCiABQZgCaiELIAFBGGohDANAIAUgCkcEQCAMIAVBAnQiAWoiDSgCABAKIgcEQCABIAhqIg4gB0EEEAU2AgBBACEBIAdBACAHQQBKGyEEA0AgASAERwRAIA0oAgAgAXZBAXEEQCAOKAIAIAFBAnRqIA8oAqAWIAsgAEECdGooAgBBOGxqNgIAIABBAWohAAsgAUEBaiEBDAELCyAHIAMgByADShshAwsgBUEBaiEFDAELCyACQQE2AhhBACEBIAlBACAJQQBKGyEIQQEhBANAIAEgCEcEQCACIAQgBmwiBDYCGCABQQFqIQEMAQsLIAIgAzYCCCACIARBAnQQBCIKNgIcQQAhAyAEQQAgBEEAShshCyAJQQJ0IQwDQCADIAtHBEAgCiADQQJ0aiAMEAQiDTYCAEEAIQAgAyEFIAQhAQNAIAEgBm0hASAAIAhHBEAgDSAAQQJ0aiAFIAFtIg42AgAgAEEBaiEAIAUgASAObGshBQwBCwsgA0EBaiEDDAELCyACC70DAQZ/QQFBmBYQBSECIAAoAhwhByACIAFBGBAGNgIAIAIgAUEYEAY2AgQgAiABQRgQBkEBajYCCCACIAFBBhAGQQFqIgA2AgwgAiABQQgQBiIDNgIUAkACQCADQQBIDQAgAkEYaiEFQQAhAwNAAkAgAyAATgRAIARBACAEQQBKGyEDIAJBmAJqIQRBACEAA0AgACADRg0CIAFBCBAGIgVBAEgNBCAEIABBAnRqIAU2AgAgAEEBaiEADAALAAsgAUEDEAYhACABQQEQBiIGQQBIDQIgBgRAIAFBBRAGIgZBAEgNAyAGQQN0IAByIQALIAUgA0ECdGogADYCACADQQFqIQMgABBXIARqIQQgAigCDCEADAELCyACKAIUIgEgBygCGCIFTg0AQQAhAANAIAAgA0cEQCAEIABBAnRqKAIAIgYgBU4NAiAAQQFqIQAgByAGQQJ0akGgDmooAgAoAgwNAQwCCwtBASEDIAcgAUECdGpBoA5qKAIAIgEoAgAiAEEBSA0AIAEoAgQhAQNAIABBAUgNAiAAQX9qIQAgAigCDCADbCIDIAFMDQALCyACEANBAA8LIAIgAzYCECACC+4BAQV/IAEgACgCAEEYEAIgASAAKAIEQRgQAiABIAAoAghBf2pBGBACIAEgACgCDEF/akEGEAIgASAAKAIUQQgQAiAAQRhqIQYDQCACIAAoAgxOBEACQEEAIQIgA0EAIANBAEobIQMgAEGYAmohAANAIAIgA0YNASABIAAgAkECdGooAgBBCBACIAJBAWohAgwACwALBQJAIAYgAkECdGoiBCgCACIFEApBBE4EQCABIAVBAxACIAFBAUEBEAIgASAEKAIAQQN1QQUQAgwBCyABIAVBBBACCyACQQFqIQIgBCgCABBXIANqIQMMAQsLC28BAX8gAARAA0AgASAAKAIETkUEQCAAKAIUIAFBAnRqKAIAEAMgAUEBaiEBDAELCyAAKAIUEANBACEBA0AgASAAKAIYTkUEQCAAKAIcIAFBAnRqKAIAEAMgAUEBaiEBDAELCyAAKAIcEAMgABADCwsGACAAEAQLxAEBBH8gBCADayIEIAIgAWsiBm0hBwJ/QQAgAiAAIAAgAkobIgkgAUoNABpBAQshAgNAIAJFBEAgBSABQQJ0aiIAIANBAnRBwL8DaioCACAAKgIAlDgCAEEBIQIMAQsCQCABQQFqIgEgCUgEQCADIAdqQQBBAUF/IARBf0obIAQgBEEfdSIAaiAAcyAGIAdsIgBBACAAayAAQQBIG2ogCGoiACAGSCICG2ohAyAAQQAgBiACG2shCAwBCw8LQQAhAgwACwALsAIBCH8gACgCQCgCBCgCHCAAKAIcQQJ0aigCAEECbSEGAkAgAgRAIAEoApAKIggoAsAGIAIoAgBsIgBB/wEgAEH/AUgbIgBBACAAQQBKGyEEIAFBhAJqIQlBASEHQQAhAANAIAcgASgChApOBEAgACAGIAAgBkobIQIgBEECdEHAvwNqIQRBASEBA0AgACACRg0EIAMgAEECdGoiBSAEKgIAIAUqAgCUOAIAIABBAWohAAwACwAFIAIgCSAHQQJ0aigCAEECdCIKaigCACILQf//AU0EQCAGIAUgCCAKaigCxAYiACAEIAgoAsAGIAtsIgRB/wEgBEH/AUgbIgRBACAEQQBKGyIEIAMQvgEgACEFCyAHQQFqIQcMAQsACwALQQAhASADIAZBAnQQBxoLIAELjgUBDX8gASgCkAohAiAAKAJAKAIEKAIcKAKgFiEKAkAgAEEEaiIGQQEQBkEBRw0AIAAgASgChApBAnQQCSIDIAYgASgCjApBf2oQChAGNgIAIAMgBiABKAKMCkF/ahAKEAY2AgRBAiEEA0AgByACKAIATgRAIAFBjAZqIQkgAUGICGohCiACQcQGaiEGQQIhBQNAIAUgASgChApODQMgBiAKIAVBAnQiAkF4aiIAaiIIKAIAQQJ0IgRqKAIAIAYgACAJaiILKAIAQQJ0IgBqKAIAIAMgBGooAgAgACADaigCACACIAZqKAIAEDUhAAJAIAIgA2oiBygCACICBEAgBwJ/IAIgASgCjAogAGsiBCAAIAQgAEgbQQF0TgRAIAIgAGsgBCAASg0BGiAEIAJBf3NqDAELQQAgAkEBakEBdWsgAkEBcQ0AGiACQQF1CyAAakH//wFxNgIAIAMgCCgCAEECdGoiACAAKAIAQf//AXE2AgAgAyALKAIAQQJ0aiIAIAAoAgBB//8BcTYCAAwBCyAHIABBgIACcjYCAAsgBUEBaiEFDAALAAsgAiACIAdBAnRqKAIEIg1BAnRqIggoAoABIQlBACEAQQAhBQJAIAgoAsABIgsEQCAKIAgoAoACQThsaiAGEBwiBUF/Rg0BCyAJQQAgCUEAShshCEF/IAt0QX9zIQ4DQCAAIAhHBEACQCACIA1BBXRqIAUgDnFBAnRqKALAAiIMQQBOBEAgAyAAIARqQQJ0aiAKIAxBOGxqIAYQHCIMNgIAIAxBf0YNBAwBCyADIAAgBGpBAnRqQQA2AgALIAUgC3UhBSAAQQFqIQAMAQsLIAdBAWohByAEIAlqIQQMAQsLQQAhAwsgAwv8BAEPfyMAQZACayIIJABBAUGgChAFIgUgATYCkAogBSABKALIBjYCiAogASgCACIAQQAgAEEAShshByABQQRqIQIgAUGAAWohA0EAIQADQCAAIAdGRQRAIAMgAiAAQQJ0aigCAEECdGooAgAgBmohBiAAQQFqIQAMAQsLIAUgBkECaiIDNgKECkEAIQAgA0EAIANBAEobIQIgAUHEBmohBwNAIAAgAkZFBEAgCCAAQQJ0IgRqIAQgB2o2AgAgAEEBaiEADAELCyAIIANBAxAuIAVBhAJqIQNBACEAA38gACACRgR/IAVBiARqIQRBACEAA38gACACRgR/QQAhAANAIAAgAkZFBEAgBSAAQQJ0IgRqIAcgAyAEaigCAEECdGooAgA2AgAgAEEBaiEADAELCyABKALABkF/aiIAQQNNBEAgBSAAQQJ0QcDHA2ooAgA2AowKC0EAIQMgBkEAIAZBAEobIQ0gBUGMBmohDiAFQYgIaiEPQQIhBANAIAMgDUZFBEAgA0ECdCILIAdqKAIIIQwgBSgCiAohCUEBIQpBACEBQQAhBkEAIQADQCAAIARGRQRAIAcgAEECdGooAgAiAiAJIAIgCUggAiAMSnEiEBshCSAAIAogEBshCiACIAYgAiAMSCACIAZKcSICGyEGIAAgASACGyEBIABBAWohAAwBCwsgCyAPaiABNgIAIAsgDmogCjYCACAEQQFqIQQgA0EBaiEDDAELCyAIQZACaiQAIAUFIAQgAyAAQQJ0aigCAEECdGogADYCACAAQQFqIQAMAQsLBSADIABBAnQiBGogBCAIaigCACAHa0ECdTYCACAAQQFqIQAMAQsLCxMAIAAoAgAoAgAgASgCACgCAGsL2QUBDH8jAEGQAmsiByQAIAAoAhwhBUEBQeAIEAUiBCABQQUQBiICNgIAIARBBGohC0F/IQNBACEAAkACQANAAkAgACACTgRAIARBwAJqIQggBEGAAmohBiAEQcABaiEJIARBgAFqIQwgA0F/IANBf0obQQFqIQpBACEDDAELIAsgAEECdGogAUEEEAYiAjYCACACQQBIDQIgAiADIAMgAkgbIQMgAEEBaiEAIAQoAgAhAgwBCwsDQAJAIAMgCkcEQCAMIANBAnQiAGogAUEDEAZBAWo2AgAgACAJaiINIAFBAhAGIgI2AgAgAkEASA0DAkAgAkUEQCAAIAZqKAIAIQIMAQsgACAGaiABQQgQBiICNgIACyACQQBIDQNBACEAIAIgBSgCGE4NAwNAIABBASANKAIAdE4NAiAIIANBBXRqIABBAnRqIAFBCBAGIgJBf2o2AgAgAkEASA0EIABBAWohACACIAUoAhhMDQALDAMLIAQgAUECEAZBAWo2AsAGIAFBBBAGIgZBAEgNAkEBIAZ0IQggBEHEBmohCUEAIQJBACEAQQAhBQNAIAUgBCgCAEgEQCAMIAsgBUECdGooAgBBAnRqKAIAIAJqIgJBP0oNBCAAIAIgACACShshAwNAIAAgA0cEQCAAQQJ0IAlqIAEgBhAGIgo2AgggCkEASA0GIABBAWohACAKIAhIDQEMBgsLIAVBAWohBSADIQAMAQsLIAQgCDYCyAZBACEAIARBADYCxAYgAkECaiIBQQAgAUEAShshAwNAIAAgA0cEQCAHIABBAnQiAmogAiAJajYCACAAQQFqIQAMAQsLIAcgAUEDEC4gAUEBIAFBAUobIQFBASEAA0AgACABRg0EIABBAnQhAyAAQQFqIQAgAyAHaiIDQXxqKAIAKAIAIAMoAgAoAgBHDQALDAILIANBAWohAwwACwALIAQQA0EAIQQLIAdBkAJqJAAgBAuxAwELfyAAKALIBiELIAEgACgCAEEFEAIgAEEEaiEIQX8hAwNAIAIgACgCAE4EQCAAQcACaiEFIABBgAJqIQYgAEHAAWohByAAQYABaiEJIABBxAZqIQwgA0F/IANBf0obQQFqIQRBACEDA0AgAyAERwRAIAEgCSADQQJ0IgJqKAIAQX9qQQMQAiABIAIgB2oiCigCAEECEAIgCigCAARAIAEgAiAGaigCAEEIEAILQQAhAgNAIAJBASAKKAIAdE5FBEAgASAFIANBBXRqIAJBAnRqKAIAQQFqQQgQAiACQQFqIQIMAQsLIANBAWohAwwBCwsgASAAKALABkF/akECEAIgASALQX9qEAoiB0EEEAJBACEGQQAhAkEAIQUDQCAFIAAoAgBORQRAIAIgBiAJIAggBUECdGooAgBBAnRqKAIAaiIGIAIgBkobIQQDQCACIARGRQRAIAEgAkECdCAMaigCCCAHEAIgAkEBaiECDAELCyAFQQFqIQUgBCECDAELCwUgASAIIAJBAnRqIgQoAgBBBBACIAQoAgAiBCADIAMgBEgbIQMgAkEBaiECDAELCwuxAQEEfyAEIANrIgQgAiABayIGbSEHAn9BACACIAAgACACShsiCSABSg0AGkEBCyECA0AgAkUEQCAFIAFBAnRqIAM2AgBBASECDAELAkAgAUEBaiIBIAlIBEAgAyAHakEAQQFBfyAEQX9KGyAEIARBH3UiAGogAHMgBiAHbCIAQQAgAGsgAEEASBtqIAhqIgAgBkgiAhtqIQMgAEEAIAYgAhtrIQgMAQsPC0EAIQIMAAsAC+0KARF/IwBB0AJrIggkAAJAIAMEQCACKAKQCiENIAEoAkAoAgQoAhwiESgCoBYhEiACKAKECiIFQQAgBUEAShshCQNAIAYgCUZFBEAgAyAGQQJ0aiILKAIAIgpB//8BcSEHAkACQAJAAkACQCANKALABkF/ag4EAAECAwQLIAdBAnYhBwwDCyAHQQN2IQcMAgsgB0EMbiEHDAELIAdBBHYhBwsgCyAHIApBgIACcXI2AgAgBkEBaiEGDAELCyAIIAMoAgA2AkAgCCADKAIENgJEIAVBAiAFQQJKGyEOIA1BxAZqIQtBAiEGA0AgBiAORkUEQAJAQQAgAyAGQQJ0IgdqIgkoAgAiCiALIAIgB2oiBUGACGooAgBBAnQiDGooAgAgCyAFKAKEBkECdCIFaigCACADIAxqIg8oAgAiECADIAVqIgwoAgAgByALaigCABA1IgVHIApBgIACcRtFBEAgCSAFQYCAAnI2AgAgCEFAayAHakEANgIADAELIAIoAowKIAVrIgkgBSAJIAVIGyEJIAhBQGsgB2oCfyAKIAVrIgVBf0wEQCAJIAVBf3NqIAVBACAJa0gNARogBUEBdEF/cwwBCyAFIAlqIAkgBUwNABogBUEBdAs2AgAgDyAQQf//AXE2AgAgDCAMKAIAQf//AXE2AgALIAZBAWohBgwBCwsgAEEBQQEQAiACIAIoApwKQQFqNgKcCiACIAIoApgKIAIoAowKQX9qEAoiBkEBdGo2ApgKIAAgCCgCQCAGEAIgACAIKAJEIAIoAowKQX9qEAoQAkECIQlBACELA0ACQCALIA0oAgBIBEAgDSANIAtBAnRqKAIEIg9BAnRqIhAoAoABIQcgECgCwAEhCiAIQgA3AzggCEIANwMwIAhCADcDKCAIQgA3AyAgCkUNASAIQgA3AxggCEIANwMQIAhCADcDCCAIQgA3AwBBACEGQQEgCnQiBUEAIAVBAEobIRMDQCAGIBNGBEBBACEMIAdBACAHQQBKGyEUQQAhDkEAIQUDQCAFIBRGRQRAIAhBQGsgBSAJakECdGohFUEAIQYCQANAIAYgE0cEQCAVKAIAIAggBkECdGooAgBIBEAgCEEgaiAFQQJ0aiAGNgIADAMFIAZBAWohBgwCCwALCyAIQSBqIAVBAnRqKAIAIQYLIAVBAWohBSAGIA50IAxyIQwgCiAOaiEODAELCyACIBIgECgCgAJBOGxqIAwgABAdIAIoApQKajYClAoMAwUCf0EBIAZBAnQiDCANIA9BBXRqaigCwAIiBUEASA0AGiARIAVBAnRqQaAOaigCACgCBAshBSAIIAxqIAU2AgAgBkEBaiEGDAELAAsACyANKALABiADKAIAbCEFIBEgASgCHEECdGooAgBBAm0hCUEAIQZBASEHQQAhAANAIAcgAigChApOBEBBASEHA0AgBiABKAIkQQJtTg0GIAQgBkECdGogBTYCACAGQQFqIQYMAAsABSADIAIgB0ECdGooAoQCQQJ0IgtqKAIAIgpB//8BTQRAIAkgACALIA1qKALEBiIGIAUgDSgCwAYgCmwiBSAEEMUBIAYhAAsgB0EBaiEHDAELAAsAC0EAIQYgB0EAIAdBAEobIQUDQCAFIAZGRQRAAkAgDSAPQQV0aiAIQSBqIAZBAnRqKAIAQQJ0aigCwAIiCkEASA0AIAhBQGsgBiAJakECdGooAgAiDCASIApBOGxqIgooAgRODQAgAiAKIAwgABAdIAIoApgKajYCmAoLIAZBAWohBgwBCwsgC0EBaiELIAcgCWohCQwACwALIABBAEEBEAIgBCABKAIkQQJtQQJ0EAcaCyAIQdACaiQAIAcL+AMBCX8jAEGQAWsiAiQAIAFBAnQQBCEHIAJBhAEQByEEIAFBACABQQBKGyEJAkACQAJAA0AgAyAJRwRAAkAgACADaiwAACIBQQFIDQAgAUEfTEEAIAQgAUECdGooAgAiBSABdhsNAyAHIANBAnRqIAU2AgAgASECAkADQCACQQFIDQECQCAEIAJBAnQiCGoiBigCACIKQQFxBEAgAkEBRw0BIAQgBCgCBEEBajYCBAwDCyAGIApBAWo2AgAgAkF/aiECDAELCyAGIAQgCGpBfGooAgBBAXQ2AgALIAFBICABQSBKGyEGA0AgASAGRg0BIAUgBCABQQFqIgJBAnRqIggoAgAiBUEBdkcNASAIIAQgAUECdGooAgBBAXQ2AgAgAiEBDAALAAsgA0EBaiEDDAELCyADQQFGBEAgBCgCCEECRg0CC0EBIQEDQCABQSFGDQJBICABayECIAFBAnQhAyABQQFqIQEgAyAEaigCACACdEUNAAsLIAcQA0EAIQcMAQtBACEDA0AgAyAJRg0BQQAhASAAIANqLAAAIgJBACACQQBKGyEGIAcgA0ECdGohBUEAIQIDQCABIAZHBEAgBSgCACABdkEBcSACQQF0ciECIAFBAWohAQwBCwsgBSACNgIAIANBAWohAwwACwALIARBkAFqJAAgBwuTAwIIfwN9IAMgAmsiByABIABrIgptIQsgBCAAQQJ0IglqKgIAIg8QNCEIQQEhAwJAIAUgCWoqAgAgBioC2AgiEZIgD2BBAXNFBEAgBioCyAggArIiD5IgCLIiEF0NASAPIAYqAswIkyAQXg0BCyAHIAdBH3UiA2ogA3MgCiALbCIDQQAgA2sgA0EASBtqIQ1BAUF/IAdBf0obIQ4gAiAIayIDIANsIQhBACEJQQEhBwNAIABBAWoiACABSARAIAkgDWoiA0EAIAogAyAKSCIDG2shCSAIIAIgC2pBACAOIAMbaiICIAQgAEECdCIDaioCACIPEDQiDGsiCCAIbGohCCAHQQFqIQcgDEUNASARIAMgBWoqAgCSIA9gQQFzDQFBASEDIAYqAsgIIAKyIg+SIAyyIhBdDQIgDyAGKgLMCJMgEF5FDQEMAgsLQQAhAyAGKgLICCIPIA+UIAeyIhGVIAYqAtAIIg9eDQAgBioCzAgiECAQlCARlSAPXg0AQQEhAyAPIAggB26yXQ0AQQAhAwsgAwv6AgMFfwJ9AnwgACgCHCIGQQJ0IgUgAigCCGoiAygCAEUEQCACKAIAIQQgASgCBLJDAAAAP5QiCEOP/EE6lLsQCyEKIAggCJRD7umeMpS7EAshCyADIAAoAkAoAgQoAhwgBWooAgBBAm0iAUECdEEEahAENgIAQQAhACABQQAgAUEAShshAyAIIAGylSEJIAS3IApEAAAAQDMzKkCiIAtEAAAAIIXrAUCioCAIQxe30TiUu6CjtrshCgNAIAAgA0cEQAJ/IAkgALKUIghDj/xBOpS7EAtEAAAAQDMzKkCiIAggCJRD7umeMpS7EAtEAAAAIIXrAUCioCAIQxe30TiUu6AgCqKcIguZRAAAAAAAAOBBYwRAIAuqDAELQYCAgIB4CyEEIAIoAgggBWooAgAgAEECdGogBCACKAIAIgdBf2ogByAEShs2AgAgAEEBaiEADAELCyAGQQJ0IgAgAigCCGooAgAgA0ECdGpBfzYCACAAIAJqIAE2AgwLC3EBAX8gACABKAIUIgQgARDJASACBEAgAyAAKAIcQQJ0IgAgASgCCGooAgAgACABaigCDCABKAIAIAIgASgCBCIAIAIgAEECdGoqAgAgBCgCELIQzwFBAQ8LIAMgASAAKAIcQQJ0aigCDEECdBAHGkEAC7ICAgd/An0CQCAAQQRqIgUgASgCFCICKAIMEAYiBkEBSA0AIAIoAgwhByACKAIQIQggBSACKAIUEAoQBiIEQX9GDQAgBCACKAIUTg0AIAAoAkAoAgQoAhwoAqAWIAIgBEECdGooAhhBOGxqIgQgACAEKAIAIAEoAgRqQQJ0QQRqEAkiACAFIAEoAgQQckF/Rg0AIAayQX8gB3RBf3OylSAIspQhCiABKAIEIQNBACEBA0ACQCADIAFKBEAgAyABayEFQQAhAgNAIAIgBUYEQCADIQEMAwsgAiAEKAIATg0CIAAgAUECdGoiBiAJIAYqAgCSOAIAIAFBAWohASACQQFqIQIMAAsACyAAIANBAnRqIAo4AgAgACEDDAILIAFBAnQgAGpBfGoqAgAhCQwACwALIAMLLwEBfyAABEAgACgCCCIBBEAgASgCABADIAAoAggoAgQQAyAAKAIIEAMLIAAQAwsLNgEBf0EBQSAQBSIAIAEoAgA2AgQgASgCCCECIAAgATYCFCAAIAI2AgAgAEECQQQQBTYCCCAAC/MBAQZ/IAAoAhwhBUHgABAEIgAgAUEIEAYiAzYCACAAIAFBEBAGIgQ2AgQgACABQRAQBiIGNgIIIAAgAUEGEAY2AgwgACABQQgQBjYCECAAIAFBBBAGIgdBAWoiAjYCFAJAAkAgA0EBSCAEQQFIciAHQQBIIAZBAUhycg0AIABBGGohBEEAIQMDQCADIAJODQIgBCADQQJ0aiABQQgQBiICNgIAIAJBAEgNASACIAUoAhhODQEgBSACQQJ0akGgDmooAgAiAigCDEUNASACKAIAQQFIDQEgA0EBaiEDIAAoAhQhAgwACwALIAAQA0EAIQALIAAL+AIDBH8DfQN8IAVBACAFQQBKGyEJIAO3IQ8DQCAIIAlGBEAgBUECdCAEakF8aiEJRBgtRFT7IQlAIA+jtiEOIAe7IQ8gBrshEEEAIQMDQCADIAJORQRAIA4gASADQQJ0aigCACIKspS7EA8iESARoLYhBkMAAAA/IQdBASEIQwAAAD8hDANAIAggBU5FBEAgByAGIAQgCEECdGoiCyoCAJOUIQcgDCAGIAtBfGoqAgCTlCEMIAhBAmohCAwBCwsgEAJ9IAUgCEYEQEMAAIBAIAYgBpSTIQ0gDCAGIAkqAgCTlCIGIAaUDAELQwAAAEAgBpMhDSAMIAZDAAAAQJIgDJSUCyAHIAcgDZSUkrufoyAPoUQAAABAHHm9P6IQDbYhBgNAIAAgA0ECdGoiCCAIKgIAIAaUOAIAIAEgA0EBaiIDQQJ0aigCACAKRg0ACwwBCwsFIAQgCEECdGoiAyADKgIAuxAPIhAgEKC2OAIAIAhBAWohCAwBCwsLxAYDC38BfgJ9IAAoAgQiCCgCHCIFIAAoAihBAnRqKAIAQX5tIQYCQCAAKAIcRQ0AIAAoAiBBf0YNACAAKAIwIQkgASgCaCEDIAAoAmgiCigCPCEHAkACQCAAEGkiBEF/RgRAIAAoAiBFDQMMAQsgBSgCACAFKAIERw0BC0EAIQQLIAAgBDYCLCAAKAIUIAAoAjAgBSAAKAIoQQJ0aigCAEEEbWogBSAEQQJ0aigCACIEQQRtaiILIARBAm1qSA0AIAEQOSABIAAoAiQiBDYCGCABIAAoAigiAjYCHCABIAAoAiwiDDYCIAJAIAIEQCAEQQAgDBtFBEAgA0EANgIIDAILIANBATYCCAwBCyAAEGcEQCADQQA2AggMAQsgA0EBNgIICyABIAA2AkAgACAAKQNAIg1CAXw3A0AgASANNwM4IAEgACkDODcDMCABIAUgAkECdGooAgA2AiQgBiAJaiEGIAcgAyoCBCIOIAcqAgAiD15BAXMEfSAPBSAHIA44AgAgDgsgACgCBCACEHsiDjgCACADIA44AgQgASABIAgoAgRBAnQQCTYCACADIAEgCCgCBEECdBAJNgIAQQAhBANAIAQgCCgCBE5FBEAgASABKAIkIAZqQQJ0EAkhByAEQQJ0IgIgAygCAGogBzYCACADKAIAIAJqKAIAIAAoAgggAmooAgAgASgCJCAGakECdBAIGiABKAIAIAJqIAMoAgAgAmooAgAgBkECdGo2AgAgBEEBaiEEDAELCwJAIAAoAiAiA0UNACAAKAIwIANIDQAgAEF/NgIgIAFBATYCLEEBDwtBASECIAsgBSgCBEECbSIDayIBQQFIDQAgCigCACABEGYgACAAKAIUIAFrNgIUQQAhAgNAIAIgCCgCBE5FBEAgACgCCCACQQJ0aigCACIEIAQgAUECdGogACgCFEECdBASIAJBAWohAgwBCwsgACADNgIwIAAgACkDKDcCJCAAKAIgIgIEQCAAQX8gAiABayICIAJBAUgbIgI2AiAgAiADTARAIAAgACkDOCABIANrIAJqrHw3AzhBAQ8LIAAgACkDOCABrHw3AzhBAQ8LIAAgACkDOCABrHw3AzhBASECCyACC5wEAQV/IAAEQAJ/QQAgACgCBCIERQ0AGiAEKAIcCyEDIAAoAmgiAgRAIAIoAgAiAQRAIAEQaiACKAIAEAMLIAIoAgwiAQRAIAEoAgAQKyACKAIMKAIAEAMgAigCDBADCyACKAIQIgEEQCABKAIAECsgAigCECgCABADIAIoAhAQAwsgAigCMCIBBEAgAwR/QQAhAQNAIAEgAygCEEgEQCABQQJ0IgUgAigCMGooAgAgAyAFaigCoAZBAnRBsMgDaigCACgCEBEBACABQQFqIQEMAQsLIAIoAjAFIAELEAMLIAIoAjQiAQRAIAMEf0EAIQEDQCABIAMoAhRIBEAgAUECdCIFIAIoAjRqKAIAIAMgBWpBoApqKAIAQQJ0QbjIA2ooAgAoAhARAQAgAUEBaiEBDAELCyACKAI0BSABCxADCyACKAI4IgEEQCADBH9BACEBA0AgASADKAIcSARAIAIoAjggAUE0bGoQggEgAUEBaiEBDAELCyACKAI4BSABCxADCyACKAI8IgEEQCABEAMLIAJB0ABqQTAQBxogAkEUahA8IAJBIGoQPAsgACgCCCIBBEAgBAR/QQAhAQNAIAEgBCgCBEgEQCAAKAIIIAFBAnRqKAIAEAMgAUEBaiEBDAELCyAAKAIIBSABCxADIAAoAgwQAwsgAgRAIAIoAkAQAyACKAJEEAMgAigCSBADIAIQAwsgAEHwABAHGgsLkAYBBn8CQCABKAIcIgJFBEBBASEEDAELQQEhBCACKAIIQQFIDQAgAigCACIDQcAASA0AIAIoAgQgA0gNACACKALIHCEEQQAhAyAAQfAAEAchBUEBQYgBEAUhACAFIAE2AgQgBSAANgJoIAAgAigCCEF/ahAKNgIsIABBAUEEEAUiBjYCDCAAQQFBBBAFIgc2AhAgBkEBQRQQBSIGNgIAIAdBAUEUEAU2AgAgBiACKAIAIAR1ECwgACgCECgCACACKAIEIAR1ECwgACACKAIAIgQQCkF5ajYCBCAAIAIoAgQQCkF5ajYCCCAAQRRqIAQQPSAAQSBqIAIoAgQQPQJAIAIoAqAWDQAgAiACKAIYQTgQBTYCoBZBACEEA0AgBCACKAIYTg0BIAIoAqAWIARBOGxqIAIgBEECdGpBoA5qKAIAEJgBIARBAWohBAwACwALIAAgAigCHEE0EAU2AjggAkG0FmohBANAIAMgAigCHEgEQCAAKAI4IANBNGxqIAIgA0ECdGpBpBZqKAIAIgYgBCACIAYoAgBBAnRqKAIAQQJtIAEoAggQhQEgA0EBaiEDDAELCyAFQQE2AgAgBSACKAIEIgQ2AhAgBSABKAIEIgFBAnQiAxAENgIIIAUgAxAENgIMQQAhAyABQQAgAUEAShshAQNAIAEgA0cEQCAEQQQQBSEGIAUoAgggA0ECdGogBjYCACADQQFqIQMMAQsLIAVCADcCJCAFIAIoAgRBAm0iATYCFCAFIAE2AjAgACACKAIQQQQQBTYCMCAAIAIoAhRBBBAFNgI0QQAhAwNAIAMgAigCEE4EQEEAIQRBACEDA0AgAyACKAIUTg0DIAUgAiADQQJ0IgFqIgZBoAxqKAIAIAZBoApqKAIAQQJ0QbjIA2ooAgAoAggRAAAhBiAAKAI0IAFqIAY2AgAgA0EBaiEDDAALAAUgBSACIANBAnQiAWoiBEGgCGooAgAgBCgCoAZBAnRBsMgDaigCACgCCBEAACEEIAAoAjAgAWogBDYCACADQQFqIQMMAQsACwALIAQLOwEBfyACBEADQCAAIAEgAkH8AyACQfwDSRsiAxAIIQAgAUH8A2ohASAAQfwDaiEAIAIgA2siAg0ACwsLC+z5FvcNAEGCCAuetQFMwgAAUMIAAFTCAABYwgAAXMIAAGDCAABkwgAAaMIAAGzCAABwwgAAdMIAAHjCAAB8wgAAgMIAAILCAACEwgAAhsIAAIjCAACKwgAAjMIAAI7CAACQwgAAksIAAJTCAACWwgAAmMIAAJrCAACcwgAAoMIAAKLCAACkwgAApsIAAKjCAACqwgAArMIAAK7CAACwwgAAsMIAALLCAACywgAAtMIAALbCAAC2wgAAuMIAALrCAAC8wgAAvsIAAMDCAADAwgAAwsIAAMTCAADEwgAAxsIAAMbCAADIwgAAyMIAAMrCAADMwgAAzsIAANDCAADUwgAA1sIAANbCAADWwgAA1sIAANLCAADOwgAAzMIAAMrCAADGwgAAxMIAAMDCAAC+wgAAvsIAAMDCAADCwgAAwMIAAL7CAAC6wgAAtMIAAKDCAACMwgAASMIAACDCAADwwQAA8MEAAPDBAADwwQAAcMIAAHDCAABwwgAAcMIAAHDCAABwwgAAcMIAAHDCAABwwgAAcMIAAHDCAABwwgAAeMIAAHjCAACCwgAAksIAAIrCAACIwgAAiMIAAIbCAACMwgAAjMIAAJDCAACUwgAAlsIAAJ7CAACewgAAoMIAAKbCAACwwgAAusIAAMjCAADcwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAABAwgAAQMIAAEDCAABAwgAAQMIAAEDCAABAwgAAQMIAAEDCAABAwgAAQMIAAEDCAABAwgAAVMIAAHTCAACEwgAAhMIAAIjCAACGwgAAjMIAAJjCAACYwgAAkMIAAJLCAACWwgAAmMIAAJzCAACewgAApsIAALDCAAC6wgAAyMIAANzCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAABTCAAAUwgAAFMIAABTCAAAUwgAAFMIAABTCAAAUwgAAGMIAACDCAAAowgAAOMIAAEDCAABUwgAAXMIAAHjCAACCwgAAaMIAAGDCAABgwgAAdMIAAHDCAACCwgAAhsIAAIrCAACOwgAAmsIAAJrCAACcwgAAoMIAAKTCAACowgAAsMIAALrCAADEwgAA1MIAAODCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAAyMEAAMjBAADIwQAAyMEAAMjBAADIwQAAyMEAAMjBAADIwQAA0MEAANjBAADowQAAAMIAABjCAABAwgAAUMIAAFDCAABIwgAAQMIAAEDCAABMwgAAUMIAAFjCAABwwgAAhsIAAIbCAACEwgAAiMIAAIrCAACSwgAAksIAAJjCAACgwgAAosIAAKLCAACqwgAAqsIAAKzCAACwwgAAusIAAMjCAADcwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAACAwQAAgMEAAIDBAACAwQAAgMEAAIDBAACAwQAAgMEAAIjBAACYwQAAoMEAALDBAADQwQAA4MEAAPjBAAAgwgAAPMIAABzCAAAcwgAAIMIAACjCAAAswgAAPMIAAEzCAABkwgAAUMIAAFzCAABcwgAAcMIAAGjCAAB4wgAAfMIAAIzCAACGwgAAisIAAJDCAACSwgAAmsIAAKDCAACkwgAApsIAAK7CAAC0wgAAvMIAAMTCAADQwgAA5sIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAAADBAAAAwQAAAMEAAADBAAAAwQAAAMEAAADBAAAAwQAAAMEAAADBAAAgwQAAMMEAAHDBAACYwQAAyMEAAPDBAAAIwgAA+MEAAPDBAAD4wQAA6MEAAADCAAAMwgAAKMIAAEDCAAAowgAAMMIAADjCAABIwgAASMIAAEzCAABQwgAAbMIAAFjCAABcwgAAXMIAAGjCAAB4wgAAfMIAAITCAACQwgAAksIAAJjCAACWwgAAnMIAAKDCAACgwgAAosIAAKjCAACwwgAAtMIAALzCAADEwgAAysIAANTCAADcwgAAhMIAAITCAACEwgAAhMIAAITCAACEwgAAhMIAAITCAACEwgAAhMIAAITCAACEwgAAhMIAAIbCAACGwgAAhsIAAJjCAACQwgAAjsIAAJTCAACYwgAAmMIAAJbCAACcwgAAnsIAAJ7CAACiwgAApsIAAKzCAACywgAAusIAAMLCAADIwgAA0sIAANzCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAAA8wgAAPMIAADzCAAA8wgAAPMIAADzCAAA8wgAAPMIAADzCAAA8wgAAPMIAAEDCAABMwgAAXMIAAGzCAACEwgAAhMIAAITCAACGwgAAhMIAAIjCAACKwgAAjMIAAJTCAACewgAAmsIAAJrCAACcwgAAoMIAAKLCAACkwgAAqMIAAKzCAACwwgAAtsIAAL7CAADIwgAA2MIAAOjCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAABDCAAAQwgAAEMIAABDCAAAQwgAAEMIAABDCAAAQwgAAEMIAABTCAAAUwgAAJMIAADDCAABAwgAATMIAAGjCAAB4wgAAcMIAAGTCAABswgAAbMIAAHDCAAB8wgAAgsIAAJDCAACOwgAAjMIAAJDCAACUwgAAmsIAAJjCAACcwgAAosIAAKLCAACgwgAApsIAAKzCAAC2wgAAwMIAAMjCAADSwgAA3MIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAA4MEAAODBAADgwQAA4MEAAODBAADgwQAA4MEAAODBAADgwQAA8MEAAADCAAAAwgAABMIAAAzCAAAkwgAARMIAAEjCAABEwgAAPMIAAEDCAABAwgAAUMIAAEzCAABkwgAAgsIAAHTCAABswgAAdMIAAIDCAACKwgAAjMIAAJTCAACawgAAmsIAAJzCAACiwgAAqMIAAKrCAACuwgAAtMIAALjCAADAwgAAyMIAANbCAADgwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAACYwQAAmMEAAJjBAACYwQAAmMEAAJjBAACYwQAAmMEAAKDBAACowQAAuMEAANjBAADwwQAADMIAABDCAAAkwgAAOMIAADDCAAAowgAAIMIAACTCAAAkwgAALMIAAEDCAABcwgAAVMIAAFDCAABUwgAAYMIAAGzCAABowgAAcMIAAIbCAACEwgAAisIAAI7CAACQwgAAlsIAAJ7CAACiwgAAqMIAAK7CAAC0wgAAusIAAMLCAADKwgAA1sIAAOTCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAABDBAAAQwQAAEMEAABDBAAAQwQAAEMEAABDBAAAQwQAAMMEAAEDBAABAwQAAcMEAAIDBAACgwQAAuMEAAPDBAAAUwgAACMIAAATCAAAIwgAA+MEAAADCAAAAwgAAGMIAADzCAAAwwgAAJMIAACDCAAA8wgAARMIAADjCAAA4wgAAaMIAAEjCAABIwgAAWMIAAGjCAAB4wgAAgMIAAIbCAACGwgAAjMIAAJDCAACYwgAAnsIAAKbCAACuwgAAtsIAAMDCAADIwgAA0MIAANzCAMB5xADAecQAwHnEAMB5xAAAeMIAAHjCAAB4wgAAeMIAAHjCAAB4wgAAeMIAAHjCAAB4wgAAeMIAAHzCAACAwgAAhMIAAIbCAACEwgAAiMIAAJbCAACQwgAAmMIAAJbCAACYwgAAnMIAAJ7CAACkwgAAqMIAAKrCAAC0wgAAvMIAAMrCAADcwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAABswgAAbMIAAGzCAABswgAAbMIAAGzCAABswgAAbMIAAGzCAABswgAAbMIAAHDCAABwwgAAdMIAAHzCAACEwgAAjsIAAIjCAACMwgAAjMIAAI7CAACQwgAAkMIAAJbCAACiwgAAnMIAAJ7CAACkwgAApsIAAKzCAAC0wgAAwsIAAM7CAADiwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAAFTCAABUwgAAVMIAAFTCAABUwgAAVMIAAFTCAABUwgAAVMIAAFjCAABcwgAAZMIAAGDCAABkwgAAXMIAAHTCAACCwgAAcMIAAHDCAAB4wgAAfMIAAHzCAACEwgAAiMIAAJTCAACSwgAAlsIAAJbCAACcwgAAoMIAAKDCAACkwgAAqsIAALTCAADAwgAAysIAANjCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAAOMIAADjCAAA4wgAAOMIAADjCAAA4wgAAOMIAADjCAAA4wgAAOMIAADzCAAA8wgAAPMIAADzCAABAwgAATMIAAGTCAABMwgAARMIAAEjCAABMwgAAVMIAAFjCAABswgAAhMIAAHDCAAB4wgAAhsIAAIbCAACMwgAAkMIAAJbCAACYwgAAnMIAAKLCAACqwgAAsMIAALzCAADCwgAA0MIAAODCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAAAQwgAAEMIAABDCAAAQwgAAEMIAABDCAAAQwgAAEMIAABzCAAAkwgAAKMIAACjCAAAcwgAAGMIAACTCAAAswgAAUMIAADDCAAAgwgAAHMIAABTCAAAUwgAAIMIAADzCAABYwgAASMIAAEDCAABIwgAAXMIAAHTCAABswgAAeMIAAITCAACEwgAAhMIAAIrCAACKwgAAksIAAJTCAACUwgAAlsIAAJrCAACewgAApMIAAK7CAAC2wgAAvsIAAMjCAADYwgAA5sIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAAODBAADQwQAAwMEAALDBAACgwQAAoMEAALjBAADowQAA8MEAAPjBAADgwQAA2MEAAODBAADgwQAA4MEAAAzCAAAgwgAABMIAAADCAADowQAA8MEAAPDBAADwwQAAFMIAADTCAAAkwgAAFMIAABjCAAA0wgAAPMIAADzCAABAwgAAVMIAAETCAABAwgAASMIAAETCAABEwgAATMIAAFDCAABowgAAYMIAAGTCAABgwgAAcMIAAHTCAAB4wgAAjMIAAJDCAACUwgAAnMIAAKbCAACwwgAAusIAAMjCAADUwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAA3MIAANLCAADIwgAAvsIAALbCAACuwgAApsIAAKDCAACcwgAAmMIAAJzCAACcwgAAosIAAKbCAACqwgAArMIAAKrCAACswgAArsIAALTCAADCwgAA1sIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAADcwgAA0sIAAMjCAAC+wgAAtMIAAKrCAACiwgAAmsIAAJLCAACMwgAAhsIAAIbCAACIwgAAlsIAAJLCAACMwgAAisIAAIzCAACQwgAAlsIAAJ7CAACowgAApsIAAKjCAACswgAAsMIAALLCAACywgAAusIAAMTCAADSwgAA4MIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAANLCAADIwgAAvsIAALTCAACqwgAAoMIAAJjCAACOwgAAiMIAAIjCAACCwgAAfMIAAHzCAAB4wgAAeMIAAIDCAACCwgAAgMIAAHTCAAB4wgAAfMIAAIDCAACEwgAAiMIAAJLCAACSwgAAlMIAAJbCAACYwgAAosIAAKbCAACqwgAAsMIAALLCAAC4wgAAvsIAAMjCAADYwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAAoMIAAJbCAACOwgAAiMIAAILCAAB8wgAAeMIAAHTCAAB0wgAAdMIAAHTCAABswgAAYMIAAGTCAABUwgAASMIAAGjCAABQwgAASMIAAEjCAABQwgAAVMIAAFjCAABowgAAhsIAAHzCAACGwgAAiMIAAJDCAACWwgAAnMIAAKDCAACiwgAAosIAAKTCAACqwgAAssIAALTCAAC6wgAAwsIAAMrCAADWwgAA5MIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAACCwgAAdMIAAGzCAABkwgAAYMIAAFzCAABcwgAAYMIAAGDCAABkwgAAXMIAAFTCAABQwgAAPMIAADDCAAAwwgAASMIAADDCAAAkwgAAHMIAABzCAAAowgAAIMIAADjCAABMwgAARMIAAEjCAABUwgAAWMIAAHzCAABwwgAAdMIAAHjCAACEwgAAhMIAAITCAACMwgAAksIAAJTCAACWwgAAmMIAAJbCAACewgAAqsIAALLCAAC2wgAAwMIAAMzCAADcwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAAFDCAABIwgAARMIAAETCAABAwgAAQMIAAEDCAABEwgAASMIAAEjCAABEwgAAOMIAACzCAAAcwgAADMIAAATCAAAYwgAAEMIAAADCAADowQAAAMIAAADCAAAAwgAADMIAADDCAAAcwgAAGMIAABjCAAA4wgAASMIAADTCAAA4wgAAVMIAAEjCAABIwgAASMIAAFjCAABYwgAAVMIAAFTCAABgwgAAZMIAAGzCAACEwgAAjMIAAJDCAACUwgAAnsIAAKbCAACqwgAAtMIAAMLCAADkwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAA3MIAANLCAADIwgAAvsIAALTCAACswgAAoMIAAJbCAACWwgAAnsIAAKDCAACewgAAoMIAAKLCAACkwgAAsMIAAL7CAADOwgAA3MIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAA2MIAAM7CAADEwgAAusIAALDCAACmwgAAnsIAAJzCAACWwgAAjsIAAIbCAACIwgAAksIAAJLCAACQwgAAksIAAJbCAACawgAAoMIAAKTCAACwwgAAusIAAMjCAADWwgAA5MIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAANzCAADSwgAAysIAAMDCAAC0wgAArMIAAKLCAACawgAAksIAAIrCAACEwgAAdMIAAHjCAACEwgAAgMIAAHjCAACCwgAAhMIAAIzCAACQwgAAmMIAAKLCAACgwgAAqMIAALTCAAC+wgAAzMIAANzCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAA1sIAAM7CAADCwgAAuMIAALDCAACmwgAAnsIAAJTCAACMwgAAhMIAAGzCAABUwgAAaMIAAHjCAABcwgAAWMIAAFjCAABYwgAAaMIAAHTCAAB4wgAAkMIAAIzCAACQwgAAlsIAAJzCAACgwgAAosIAAKDCAACmwgAApsIAALDCAAC6wgAAyMIAANbCAADmwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAADSwgAAyMIAAL7CAAC0wgAAqsIAAKDCAACWwgAAjMIAAITCAAB4wgAAYMIAAEDCAAAwwgAAQMIAADjCAAA4wgAALMIAADjCAABAwgAAQMIAAEzCAABowgAAaMIAAGzCAABwwgAAeMIAAHjCAAB0wgAAdMIAAILCAACAwgAAgsIAAIjCAACMwgAAlMIAAJbCAACcwgAAosIAAKzCAAC+wgAA3MIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAA0sIAAMjCAAC+wgAAtMIAAKrCAACgwgAAlsIAAIzCAACCwgAAdMIAAFzCAABEwgAAHMIAAATCAAAgwgAADMIAAADCAAAYwgAAIMIAAATCAAAMwgAAFMIAADjCAAAkwgAANMIAADDCAAA4wgAAKMIAADTCAAA4wgAAUMIAAEjCAABIwgAASMIAAFjCAABYwgAAXMIAAGTCAAB4wgAAgMIAAITCAACIwgAAjMIAAJjCAACiwgAAtMIAAMjCAADcwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAADSwgAAxMIAALTCAACqwgAApMIAAKbCAACgwgAAnMIAAKjCAACewgAAoMIAAKbCAACuwgAAssIAALbCAAC6wgAAxsIAANTCAADqwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAANLCAADEwgAAtMIAAKrCAACgwgAAlsIAAIzCAACIwgAAlMIAAJDCAACUwgAAmsIAAKDCAACkwgAAqsIAAK7CAAC4wgAAssIAALbCAAC+wgAAyMIAANTCAADgwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAA0sIAAMTCAAC0wgAApsIAAJbCAACOwgAAfMIAAIDCAACGwgAAeMIAAIDCAACGwgAAjMIAAJLCAACawgAAosIAAKjCAACmwgAAqsIAALLCAAC0wgAAusIAAMTCAADQwgAA2sIAAOTCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAADOwgAAwMIAALDCAACiwgAAlsIAAIjCAABowgAAWMIAAGDCAABYwgAAYMIAAGDCAABowgAAcMIAAHzCAACEwgAAlMIAAIrCAACQwgAAkMIAAJbCAACUwgAAmsIAAKLCAACiwgAApMIAAKjCAACuwgAAusIAAMDCAADGwgAA0MIAANzCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAANjCAADMwgAAwMIAALbCAACqwgAAoMIAAJTCAACIwgAAcMIAAEzCAAA4wgAAQMIAADjCAAAswgAANMIAADzCAAA8wgAARMIAAEDCAABgwgAAVMIAAFzCAABowgAAZMIAAHzCAABowgAAcMIAAITCAACAwgAAhsIAAIzCAACMwgAAlMIAAJrCAACowgAArMIAALLCAAC2wgAAusIAALzCAADKwgAA2sIAAOzCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAANjCAADOwgAAxMIAALrCAACwwgAApsIAAJzCAACSwgAAiMIAAHDCAABUwgAAMMIAAAzCAAAYwgAAGMIAAAjCAAAIwgAAEMIAACDCAAAkwgAAMMIAAEzCAAA0wgAAOMIAADzCAAA4wgAAWMIAAEjCAABEwgAASMIAAEjCAABIwgAATMIAAFjCAABkwgAAaMIAAHDCAACEwgAAhMIAAITCAACAwgAAgsIAAIjCAACawgAApMIAAK7CAAC+wgAA3MIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAADWwgAAzMIAAMLCAAC4wgAArsIAAKbCAACcwgAAlsIAAKTCAACewgAApsIAAKrCAACywgAAuMIAAL7CAADEwgAAysIAANLCAADawgAA4sIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAA1MIAAMjCAAC+wgAAtMIAAKzCAACiwgAAnMIAAJTCAACKwgAAlMIAAJTCAACYwgAAnsIAAKbCAACowgAArMIAALLCAAC4wgAAwsIAALrCAADIwgAAzsIAANbCAADcwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAANTCAADIwgAAvsIAALTCAACuwgAApsIAAKDCAACWwgAAisIAAHDCAACEwgAAhMIAAIjCAACMwgAAlMIAAJzCAACewgAAosIAAKLCAACmwgAAqMIAAK7CAAC6wgAAwMIAAMbCAADOwgAA1sIAANzCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAADYwgAAzsIAAMTCAAC6wgAAssIAAKrCAACkwgAAnMIAAI7CAAB4wgAAXMIAAGjCAABowgAAWMIAAFjCAABcwgAAbMIAAHTCAAB4wgAAjMIAAITCAACEwgAAhsIAAIzCAACQwgAAlsIAAJzCAACowgAAqMIAAKjCAACwwgAAtsIAALTCAAC+wgAAxMIAAMzCAADOwgAA1MIAANzCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAA2MIAAM7CAADEwgAAvMIAALTCAACuwgAApMIAAJ7CAACSwgAAhsIAAGjCAAA8wgAASMIAADTCAAAkwgAANMIAAEDCAAAwwgAAMMIAAETCAABYwgAATMIAAEDCAAA8wgAARMIAAEjCAABMwgAAZMIAAGjCAABwwgAAfMIAAIrCAACMwgAAisIAAI7CAACUwgAAnMIAAKTCAAC0wgAAvsIAAMrCAADSwgAA3MIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAANLCAADKwgAAwsIAALrCAAC0wgAAqsIAAKDCAACawgAAkMIAAILCAABgwgAAQMIAABTCAAAgwgAAEMIAAAjCAAAgwgAASMIAADzCAAAYwgAAJMIAADzCAAAYwgAADMIAABzCAAAYwgAALMIAACDCAAA0wgAASMIAADTCAAAwwgAAPMIAAEjCAABcwgAAQMIAAEDCAABQwgAAhMIAAIzCAACYwgAApMIAALTCAADCwgAA0sIAANzCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAA2MIAAM7CAADEwgAAusIAAKzCAACewgAAmMIAAKbCAACiwgAAqsIAAK7CAACywgAAusIAAMTCAADMwgAA1sIAAODCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAADYwgAAzsIAAMTCAAC6wgAArMIAAJ7CAACOwgAAmsIAAJTCAACawgAAnsIAAKLCAACowgAAqsIAALTCAAC4wgAAusIAALjCAADEwgAAysIAANjCAADgwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAA2MIAAM7CAADEwgAAusIAAK7CAACcwgAAiMIAAILCAACEwgAAeMIAAILCAACGwgAAjMIAAJLCAACWwgAAnMIAAKTCAACkwgAApsIAAKjCAAC2wgAAusIAAMTCAADMwgAA1MIAANzCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAADSwgAAyMIAAL7CAAC0wgAApMIAAJTCAAB4wgAAZMIAAGjCAABgwgAATMIAAFDCAABQwgAAWMIAAFjCAABowgAAhMIAAGzCAABwwgAAfMIAAITCAACKwgAAksIAAJ7CAACmwgAAqMIAAKDCAACiwgAAosIAAKTCAACwwgAAuMIAAMTCAADSwgAA4sIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAA1sIAAMzCAADCwgAAuMIAAKjCAACewgAAisIAAGTCAAA8wgAAUMIAADzCAAAwwgAANMIAAEjCAABQwgAAKMIAACjCAABUwgAALMIAACzCAABAwgAATMIAAGDCAABcwgAAUMIAAGTCAABswgAAdMIAAHjCAACGwgAAjsIAAJzCAACmwgAArMIAALzCAADEwgAAzsIAANzCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAANLCAADIwgAAvsIAALTCAACowgAAnMIAAIzCAAB0wgAATMIAACTCAAAgwgAAGMIAACDCAAA4wgAAUMIAAEzCAAAkwgAAIMIAADjCAAAgwgAAGMIAABjCAAAkwgAAOMIAACTCAAA4wgAAPMIAACzCAAAswgAANMIAACTCAAA0wgAAYMIAAIbCAACIwgAApsIAAK7CAAC0wgAAvsIAAMzCAADWwgAA4sIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAA2sIAANLCAADKwgAAwMIAALbCAACowgAAmsIAAKTCAACkwgAAqsIAALLCAAC8wgAAyMIAANTCAADcwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAADUwgAAzsIAAMTCAAC4wgAAqsIAAKDCAACOwgAAlsIAAJDCAACYwgAAoMIAAKjCAACswgAAssIAALrCAADIwgAA1sIAAOLCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAADWwgAA0MIAAMrCAADCwgAAuMIAALDCAACowgAAoMIAAIDCAACEwgAAfMIAAIDCAACEwgAAisIAAJLCAACawgAApsIAAKbCAACswgAAtsIAAMTCAADQwgAA3sIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAANbCAADQwgAAysIAAMLCAAC4wgAAtMIAAKjCAACUwgAAZMIAAGjCAABQwgAAXMIAAFjCAABIwgAAUMIAAEjCAABQwgAAfMIAAHjCAACKwgAAmMIAAJrCAACcwgAAnMIAAJ7CAACkwgAAsMIAALzCAADIwgAA1MIAAN7CAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAADUwgAAzMIAAMTCAAC+wgAAtMIAAKrCAACmwgAAnMIAAIzCAABIwgAASMIAACTCAAAwwgAARMIAADzCAABIwgAASMIAADDCAABcwgAAOMIAADzCAABAwgAAQMIAAFjCAABEwgAARMIAAGjCAAB4wgAAjsIAAKLCAACuwgAAuMIAAMLCAADMwgAA2MIAAOTCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAANTCAADMwgAAxMIAAL7CAAC0wgAAqsIAAKbCAACcwgAAjMIAADTCAAAswgAAJMIAADzCAABIwgAATMIAAEjCAABEwgAANMIAADzCAAAkwgAAMMIAACTCAAAcwgAALMIAABjCAAAUwgAAIMIAACTCAAAwwgAASMIAAGjCAACCwgAAksIAAJ7CAACqwgAAuMIAAMLCAADKwgAA0sIAANrCAADiwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAADWwgAAyMIAAL7CAACuwgAAosIAAKrCAACmwgAAsMIAALrCAADIwgAA1sIAAOTCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAA1sIAAMrCAAC+wgAAsMIAAKbCAACYwgAAksIAAJDCAACewgAAqMIAALTCAAC+wgAAyMIAANLCAADcwgAA5sIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAADQwgAAxMIAALjCAACuwgAAosIAAIzCAACCwgAAeMIAAIbCAACOwgAAlMIAAKDCAACqwgAAtsIAAL7CAADGwgAAzsIAANjCAADewgAA5MIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAAM7CAADCwgAAtMIAAKrCAACYwgAAcMIAAGDCAABYwgAAcMIAAHjCAAB0wgAAYMIAAHzCAACCwgAAksIAAJTCAACawgAAlsIAAJzCAACiwgAArMIAAK7CAACwwgAAtsIAALzCAADEwgAAzsIAANzCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAA0sIAAMjCAADCwgAAuMIAAKzCAACiwgAAnsIAAIzCAABkwgAATMIAADzCAABMwgAAaMIAAHDCAABgwgAAVMIAAEjCAABowgAAUMIAAEjCAABIwgAAVMIAAFzCAACAwgAAisIAAI7CAACqwgAApMIAAJzCAACiwgAAqsIAAL7CAADMwgAA4MIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAADSwgAAyMIAAMLCAAC4wgAAqsIAAKbCAACewgAAkMIAAETCAAAgwgAALMIAACzCAABYwgAAYMIAAEzCAABIwgAAIMIAACzCAAAYwgAAEMIAAAzCAAAUwgAAGMIAABTCAAAwwgAAWMIAAHDCAABkwgAAcMIAAIzCAACWwgAAqMIAALjCAADOwgAA4MIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAADcwgAAzMIAAL7CAACywgAApMIAAKbCAACowgAAtMIAALjCAADGwgAA1sIAAOLCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAA1sIAAMrCAAC+wgAAssIAAKbCAACQwgAAlMIAAJzCAACqwgAAsMIAALDCAAC0wgAAuMIAAMTCAADSwgAA3sIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAANrCAADOwgAAwsIAALrCAACuwgAAosIAAIzCAACMwgAAhsIAAJbCAACSwgAAmMIAAJ7CAACiwgAApsIAALDCAACywgAAwsIAAM7CAADcwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAA1sIAAMjCAAC8wgAAsMIAAKbCAACWwgAAfMIAAGzCAABswgAAfMIAAITCAABwwgAAeMIAAIbCAACGwgAAmsIAAJjCAACiwgAAsMIAAKzCAAC4wgAAwMIAAMzCAADawgAA6MIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAADSwgAAxMIAALjCAACswgAAosIAAJLCAABgwgAAUMIAADzCAABcwgAAcMIAAGjCAABQwgAATMIAADTCAABEwgAASMIAAFTCAABYwgAAdMIAAI7CAACMwgAAisIAAJzCAACewgAArsIAALTCAADAwgAA0MIAAODCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAAM7CAADAwgAAtMIAAKzCAACcwgAAjMIAAEzCAAAowgAAPMIAAEDCAABcwgAAWMIAAFjCAABUwgAAKMIAAAzCAADgwQAABMIAABjCAAAUwgAAMMIAADzCAABEwgAAWMIAAHzCAACIwgAAnMIAAKTCAACywgAAvMIAAMbCAADQwgAA2sIAAOTCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAA3MIAAMjCAAC0wgAAnsIAAKrCAACiwgAApMIAAKTCAACywgAAvMIAAMbCAADOwgAA2sIAAObCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAADSwgAAwsIAAKrCAACQwgAAlMIAAIzCAACMwgAAjMIAAJjCAACqwgAAtsIAALrCAADCwgAAzsIAANrCAADmwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAAODCAAC6wgAAosIAAIjCAAB4wgAAcMIAAHDCAABkwgAAfMIAAIzCAACawgAApMIAALTCAAC6wgAAxMIAANDCAADawgAA4sIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAADiwgAAyMIAALrCAACowgAAfMIAAGjCAABAwgAAVMIAAFjCAABQwgAAUMIAAGTCAACAwgAAhMIAAJjCAACmwgAAosIAAKrCAACqwgAAtMIAAL7CAADEwgAAysIAAM7CAADUwgAA2MIAAN7CAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAANLCAAC+wgAArMIAAJTCAABUwgAASMIAABjCAAAswgAARMIAACzCAAAowgAAHMIAABzCAAA4wgAAUMIAAGTCAABgwgAAkMIAAIrCAACUwgAAosIAAK7CAAC4wgAAvMIAAMLCAADGwgAAzMIAANLCAADYwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAADYwgAAxsIAALTCAACYwgAAhMIAADTCAAAswgAAJMIAADDCAAA8wgAALMIAADzCAAAgwgAA8MEAAPjBAAD4wQAAHMIAAATCAAAgwgAAJMIAACzCAABUwgAAbMIAAIzCAACSwgAAmsIAAJ7CAACkwgAAqMIAAK7CAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAANzCAAC2wgAAmMIAAJbCAACqwgAAusIAAMTCAADQwgAA3MIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAA3MIAALbCAACMwgAAjMIAAJbCAACswgAAssIAALzCAADEwgAAysIAANTCAADcwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAANzCAAC+wgAAoMIAAHDCAACCwgAAgMIAAJTCAACmwgAAsMIAALbCAAC+wgAAxsIAAM7CAADWwgAA3MIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAA3MIAAL7CAACgwgAAaMIAAFzCAABEwgAAhMIAAIjCAACOwgAAnMIAAJzCAACgwgAAsMIAAKrCAACywgAAwsIAAMjCAADSwgAA3MIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAADcwgAAvsIAAKDCAABUwgAAUMIAACTCAABswgAAbMIAAETCAABowgAAYMIAAHzCAACswgAAnsIAALTCAAC6wgAAxMIAAM7CAADWwgAA4MIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAA3MIAAMLCAAC2wgAAksIAADTCAAAgwgAABMIAAFTCAAB0wgAARMIAAFjCAABIwgAASMIAAHDCAABQwgAAhsIAAJTCAACiwgAAuMIAAMDCAADIwgAA0sIAANzCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAADiwgAA1MIAAMbCAAC4wgAAmsIAAKDCAACwwgAAwsIAANTCAADmwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAA6MIAANrCAADMwgAAvsIAALLCAACUwgAAkMIAALDCAACuwgAAvsIAAMzCAADawgAA6MIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAADowgAA2sIAAMzCAAC+wgAAssIAAJbCAACEwgAAlMIAAJrCAACcwgAArMIAAK7CAAC0wgAAwMIAANLCAADmwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAAObCAADYwgAAysIAALzCAACwwgAAhMIAAGDCAAB0wgAAjMIAAILCAACcwgAAkMIAAKbCAACowgAAusIAAMTCAADSwgAA3MIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAA3MIAANLCAAC+wgAAssIAAKTCAABkwgAAUMIAAFDCAABswgAAYMIAAGzCAABowgAAisIAAIbCAACwwgAApMIAAKTCAACywgAAvMIAAMjCAADYwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAANzCAADKwgAAwMIAALTCAACmwgAAmsIAAFjCAAAswgAAGMIAAEjCAABAwgAAUMIAAEDCAAAowgAAKMIAAEzCAABQwgAAVMIAAGzCAACCwgAAjsIAAJzCAACqwgAAvsIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAA8MIAANLCAACswgAAiMIAAJzCAACewgAAtMIAAMjCAADcwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAADwwgAA0sIAAKzCAACEwgAAksIAAJrCAACwwgAAwMIAANLCAADmwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAA8MIAANLCAAC4wgAAoMIAAHTCAACAwgAAiMIAAKDCAACuwgAAuMIAAMjCAADcwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAADwwgAA0MIAALbCAACewgAAUMIAAHDCAABYwgAAgMIAAIrCAACawgAAoMIAAKTCAACowgAAqsIAAK7CAACwwgAAtMIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAAOzCAADIwgAArsIAAJrCAABEwgAASMIAADDCAABowgAAdMIAAHTCAACGwgAAgsIAAHjCAAB4wgAAeMIAAILCAACIwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAA5sIAAMTCAACowgAAeMIAAETCAAAwwgAAGMIAADjCAABEwgAARMIAADjCAAAcwgAAFMIAABzCAAAgwgAAKMIAACzCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAANzCAACwwgAAlMIAAJrCAACkwgAApMIAAKrCAAC0wgAAvMIAAMbCAADQwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAA3MIAALDCAACEwgAAjMIAAKLCAACgwgAAosIAAKjCAACwwgAAtsIAALrCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAADcwgAAsMIAAHTCAAB8wgAAjMIAAI7CAACUwgAAmsIAAKDCAACmwgAAqsIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAANzCAACswgAAeMIAAHzCAAB4wgAAeMIAAGjCAABQwgAASMIAAEjCAABQwgAAWMIAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAADswgAA2MIAAKjCAABUwgAASMIAAEjCAABIwgAAXMIAADzCAAA0wgAAIMIAACDCAAAgwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAAOzCAADIwgAAksIAACzCAAAUwgAAKMIAACzCAABUwgAAGMIAABTCAAAMwgAADMIAABjCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAADcwgAAyMIAALbCAACowgAAlMIAAKDCAACgwgAAoMIAAKDCAACgwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAANzCAADIwgAAtsIAAKjCAACUwgAAiMIAAIjCAACIwgAAiMIAAIjCAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAA3MIAAMjCAACswgAAnMIAAIzCAABwwgAANMIAAPDBAACowQDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAADcwgAAyMIAAK7CAACcwgAAhsIAAEDCAAAYwgAA6MEAAKjBAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAANzCAADIwgAArMIAAIrCAABgwgAANMIAAAzCAAAEwgAA6MEAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xAAA3MIAAMjCAACmwgAAjsIAAEDCAADYwQAAGMIAABTCAAAIwgDAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xADAecQAwHnEAMB5xABBrr0BCzrgPwAAAAAAAPA/AAAAAAAA+D8AAAAAAAAEQAAAAAAAABJAAAAAAAAAIUAAAAAAAIAwQAAAAARr9DRCAEH+vQELOuA/AAAAAAAA8D8AAAAAAAD4PwAAAAAAAABAAAAAAAAABEAAAAAAAAASQAAAAAAAACFAAAAABGv0NEIAQcS+AQuAAQEAAAADAAAABwAAAA8AAAAfAAAAPwAAAH8AAAD/AAAA/wEAAP8DAAD/BwAA/w8AAP8fAAD/PwAA/38AAP//AAD//wEA//8DAP//BwD//w8A//8fAP//PwD//38A////AP///wH///8D////B////w////8f////P////3//////AEHQvwEL5f8BBAAAAAIAAAADAAAABQAAAABgAACAYAAAgGEAAIBjAACAZwAAgG8AAIB/AACAnwAAGAB4OkxGCzzyzMA8dPw7PVZJmj3xXeQ9+KMdPrTnTj42nYI+TtyfPsGuvj5BhN4+rcL+PrplDz/4AB8/HektP/nbOz8tokg/oBFUPyYPXj8uj2Y/cJVtP64zcz+fh3c/Qrh6P8TyfD9LZ34/xEV/P/G6fz/Z7X8/ov1/P/j/fz+oCXg5EXcLO4eLwTtKcT08lFKcPF4I6TwqUyI9SnZXPYrjiT0HjKs9IprQPWzv+D2kNBI+ZHApPkEVQj5DC1w+Lzh3PsW/iT5cYZg+h3CnPgTctj68kcY+537WPjCQ5j7jsfY+DWgDP3lrCz9iWRM/KigbP4nOIj+mQyo/MX8xP355OD+ZKz8/XI9FP3+fSz+lV1E/aLRWP1mzWz8IU2A//JJkP7FzaD+K9ms/xh1vP23scT8+ZnQ/mo92P2hteD8DBXo/Glx7P5l4fD+PYH0/ERp+Pyerfj+wGX8/Smt/P0Slfz+EzH8/e+V/PxH0fz+e+38/2/5/P9r/fz8AAIA/BQx4ODKDCzp2usE64ss9OybPnDuLIOo79WYjPD9kWTy4f4s8OxeuPO9y1DxgjP48LS4WPXLtLj2bf0k93N9lPXsEgj2f+pE9R8+iPSZ/tD2tBsc9EGLaPT+N7j30wQE+uaAMPoDgFz62fiM+pngvPnTLOz4idEg+jW9VPmu6Yj5TUXA+tDB+Pm4qhj78XI0+Ca6UPoobnD5ko6M+cEOrPnf5sj42w7o+XZ7CPpOIyj52f9I+moDaPo6J4j7Zl+o+AqnyPou6+j77ZAE/Y2oFP0FsCT9ZaQ0/dGARP15QFT/nNxk/5xUdPzrpID/FsCQ/dGsoPz4YLD8jti8/K0QzP23BNj8KLTo/MIY9PxrMQD8R/kM/axtHP44jSj/uFU0/D/JPP4S3Uj/vZVU/A/1XP4F8Wj885Fw/FTRfP/5rYT/2i2M/DpRlP2KEZz8hXWk/hR5rP9XIbD9nXG4/m9lvP+BAcT+sknI/g89zP/H3dD+LDHY/7w13P8H8dz+s2Xg/Y6V5P5tgej8PDHs/fKh7P6M2fD9Ht3w/KSt9Pw2TfT+3730/5UF+P1mKfj/NyX4/+wB/P5Ywfz9OWX8/zXt/P7aYfz+nsH8/NcR/P+/Tfz9b4H8/9el/PzPxfz9/9n8/O/p/P778fz9U/n8/QP9/P7r/fz/u/38//v9/PwAAgD+pDHg3NoYLOSbGwTle4j066u2cOlVl6jo4qiM7z9tZO6niizsqsq47DVvVO8zb/ztbGRc8+i4wPMItSzycFGg8LnGDPOHKkzy5FqU8AVS3PPWByjzGn948m6zzPMfTBD3VRxA9+jEcPa6RKD1lZjU9ja9CPYxsUD3BnF49hT9tPSlUfD387IU9GuiNPQ0blj1uhZ491CanPdL+rz31DLk9yFDCPdHJyz2Sd9U9i1nfPTNv6T0CuPM9aTP+PWpwBD7W3wk+q2cPPpkHFT5Nvxo+dI4gPrV0Jj64cSw+IoUyPpWuOD6y7T4+FUJFPlyrSz4eKVI+87pYPnBgXz4oGWY+quRsPoTCcz5Esno+udmAPstihD4a9Ic+aY2LPngujz4G15I+04aWPpw9mj4d+50+E7+hPjmJpT5HWak++S6tPgUKsT4k6rQ+Dc+4PnW4vD4SpsA+mZfEPr6MyD40hcw+r4DQPuF+1D59f9g+NILcPriG4D65jOQ+6ZPoPvib7D6WpPA+da30PkO2+D6yvvw+OWMAP5lmAj9SaQQ/PGsGPzBsCD8GbAo/l2oMP7xnDj9OYxA/J10SPyFVFD8VSxY/3j4YP1cwGj9cHxw/xwseP3X1Hz9C3CE/DMAjP7CgJT8Mfic//lcpP2guKz8nAS0/HdAuPyubMD8zYjI/FyU0P7zjNT8Enjc/1lM5PxcFOz+tsTw/gFk+P3j8Pz9+mkE/fDNDP13HRD8MVkY/d99HP4pjST824ko/aFtMPxHPTT8jPU8/kaVQP0wIUj9LZVM/grxUP+cNVj9yWVc/Gp9YP9reWT+sGFs/ikxcP3F6XT9dol4/TsRfP0PgYD869mE/NgZjPzgQZD9DFGU/XBJmP4UKZz/G/Gc/JeloP6jPaT9ZsGo/QItrP2ZgbD/YL20/n/ltP8m9bj9hfG8/djVwPxfpcD9Rl3E/NUByP9Tjcj89gnM/gxt0P7ivdD/uPnU/OMl1P6tOdj9az3Y/Wkt3P8DCdz+iNXg/FaR4PzAOeT8IdHk/ttV5P08zej/rjHo/ouJ6P4s0ez+/gns/Vc17P2YUfD8JWHw/WJh8P2rVfD9YD30/OkZ9Pyl6fT8+q30/j9l9PzYFfj9LLn4/5FR+Pxt5fj8Hm34/vrp+P1jYfj/s834/kA1/P1slfz9jO38/vE9/P31ifz+5c38/h4N/P/mRfz8kn38/Gqt/P+61fz+zv38/esh/P1XQfz9U138/iN1/PwDjfz/M538/+et/P5bvfz+x8n8/VfV/P5D3fz9t+X8/9vp/Pzb8fz83/X8/Af5/P5z+fz8S/38/Z/9/P6P/fz/M/38/5f9/P/T/fz/8/38///9/PwAAgD8AAIA/PAx4Nv2GCzgTycE4+Oc9OZT1nDlzduo57rojOnH5WTog+4s6YNiuOiKU1ToDFwA70VIXO0F9MDsVlks7CJ1oO+nIgzsUOpQ72qGlOxAAuDuIVMs7EJ/fO3bf9DvCigU8gCARPNkwHTysuyk828A2PENARDzCOVI8NK1gPHOabzxYAX883nCHPLqdjzwqB5g8Ga2gPHCPqTwXrrI89gi8PPOfxTz1cs884YHZPJzM4zwKU+48DhX5PEYJAj2xpQc9u18NPVE3Ez1mLBk95j4fPcNuJT3puys9RyYyPcqtOD1hUj899xNGPXnyTD3S7VM98AVbPbs6Yj0gjGk9CPpwPV2EeD2EFYA9+faDPYLmhz0T5Is9n++PPRoJlD13MJg9qWWcPaOooD1Y+aQ9ulepPbrDrT1MPbI9X8S2PeZYuz3R+r89EqrEPZhmyT1VMM49OAfTPTDr1z0v3Nw9ItrhPfjk5j2h/Os9CyHxPSNS9j3Zj/s9DW0APmkYAz73yQU+roEIPoU/Cz5xAw4+aM0QPmCdEz5PcxY+Kk8ZPugwHD58GB8+3QUiPv/4JD7X8Sc+WvAqPn30LT4z/jA+cg00Pi0iNz5YPDo+6Fs9PtCAQD4Dq0M+dtpGPhoPSj7lSE0+x4dQPrXLUz6iFFc+f2JaPj+1XT7VDGE+MmlkPknKZz4MMGs+bJpuPlwJcj7LfHU+rfR4PvFwfD6K8X8+NLuBPr5/gz5bRoU+BA+HPrDZiD5Zpoo+9XSMPn5Fjj7qF5A+MuyRPk7Ckz42mpU+4HOXPkZPmT5dLJs+HwudPoLrnj5/zaA+C7GiPh+WpD6xfKY+umSoPi9Oqj4JOaw+PiWuPsYSsD6WAbI+p/GzPu7itT5k1bc+/si5PrO9uz56s70+Sqq/PhmiwT7dmsM+jpTFPiKPxz6Oisk+y4bLPs2DzT6Mgc8+/X/RPhh/0z7SftU+IX/XPvx/2T5Ygds+LYPdPnCF3z4XiOE+GYvjPmyO5T4Fkuc+25XpPuSZ6z4Vnu0+ZqLvPsum8T47q/M+ra/1PhW09z5ruPk+pLz7PrXA/T6WxP8+HuQAP8/lAT9Y5wI/tugDP+LpBD/X6gU/kusGPwzsBz9C7Ag/LewJP8rrCj8T6ws/BOoMP5foDT/I5g4/keQPP+/hED/c3hE/VNsSP1HXEz/Q0hQ/ys0VPz3IFj8iwhc/dbsYPzK0GT9VrBo/16MbP7aaHD/skB0/dYYeP017Hz9ubyA/1mIhP35VIj9kRyM/gjgkP9QoJT9XGCY/BQcnP9v0Jz/V4Sg/780pPyS5Kj9xoys/0YwsP0B1LT+8XC4/P0MvP8coMD9ODTE/0/AxP1DTMj/DtDM/J5U0P3p0NT+4UjY/3C83P+ULOD/O5jg/lcA5PzaZOj+ucDs/+UY8PxUcPT//7z0/s8I+PzCUPz9xZEA/dDNBPzcBQj+2zUI/75hDP+BiRD+GK0U/3vJFP+a4Rj+cfUc//UBIPwcDST+4w0k/DoNKPwZBSz+f/Us/17hMP6xyTT8cK04/JuJOP8eXTz/9S1A/yf5QPyewUT8WYFI/lg5TP6S7Uz8/Z1Q/ZxFVPxq6VT9WYVY/HAdXP2mrVz8+Tlg/mO9YP3iPWT/dLVo/xspaPzJmWz8hAFw/k5hcP4YvXT/7xF0/8lheP2nrXj9ifF8/2wtgP9WZYD9QJmE/TLFhP8k6Yj/HwmI/RkljP0fOYz/KUWQ/0NNkP1hUZT9k02U/9FBmPwnNZj+jR2c/w8BnP2s4aD+armg/UiNpP5OWaT9gCGo/uHhqP53naj8QVWs/E8FrP6YrbD/LlGw/hPxsP9FibT+0x20/MCtuP0SNbj/07W4/QE1vPyqrbz+1B3A/4WJwP7G8cD8mFXE/Q2xxPwrCcT97FnI/m2lyP2q7cj/qC3M/H1tzPwmpcz+s9XM/CUF0PyOLdD/803Q/lxt1P/VhdT8ap3U/COt1P8Etdj9Ib3Y/n692P8rudj/JLHc/oWl3P1Sldz/k33c/VRl4P6hReD/iiHg/A794PxD0eD8LKHk/91p5P9eMeT+tvXk/fe15P0kcej8USno/4nZ6P7Wiej+QzXo/dvd6P2sgez9wSHs/im97P7qVez8Fu3s/bd97P/UCfD+gJXw/cUd8P2xofD+TiHw/6ad8P3LGfD8w5Hw/JgF9P1kdfT/JOH0/fFN9P3NtfT+yhn0/PJ99PxO3fT88zn0/uOR9P4v6fT+4D34/QiR+Pyw4fj94S34/K15+P0Zwfj/MgX4/wpJ+Pymjfj8Es34/VsJ+PyPRfj9t334/N+1+P4P6fj9VB38/rxN/P5Qffz8HK38/CjZ/P6BAfz/NSn8/klR/P/Jdfz/vZn8/jW9/P853fz+1f38/Q4d/P3yOfz9ilX8/95t/Pz2ifz84qH8/6a1/P1Ozfz94uH8/Wr1/P/zBfz9fxn8/hsp/P3TOfz8p0n8/qNV/P/TYfz8N3H8/995/P7Phfz9D5H8/qOZ/P+Xofz/86n8/7ex/P7zufz9p8H8/9vF/P2Xzfz+39H8/7vV/Pwv3fz8Q+H8//vh/P9b5fz+b+n8/TPt/P+z7fz98/H8//Px/P279fz/T/X8/LP5/P3n+fz+9/n8/9/5/Pyr/fz9U/38/eP9/P5b/fz+v/38/w/9/P9P/fz/g/38/6v9/P/H/fz/2/38/+v9/P/3/fz/+/38///9/PwAAgD8AAIA/AACAPwAAgD+rD3g1GIcLN+HJwTdr6T04gPecOLt66jgYvyM51QBaOTgBjDnl4a45WKLVOTwhADoYYRc6r5AwOvOvSzrUvmg6n96DOo9VlDowxKU6dyq4OlqIyzrM3d86vyr1OpS3BTt8VRE7EG8dO0kEKjsfFTc7iqFEO4GpUjv8LGE78StwO1imfzsTzoc7qQaQO+l8mDvMMKE7TyKqO2pRszsavrw7VmjGOxpQ0Dtfddo7H9jkO1N47zv0Vfo7frgCPLFkCDyRLw48GRkUPEYhGjwTSCA8fo0mPIHxLDwZdDM8QRU6PPbUQDwys0c8869OPDLLVTzrBF08Gl1kPLrTazzGaHM8Ohx7PAd3gTwhb4U8ZnaJPNSMjTxpspE8IeeVPPsqmjzzfZ48BuCiPDJRpzxz0as8x2CwPCv/tDyarLk8E2m+PJI0wzwUD8g8lfjMPBPx0TyJ+NY89Q7cPFM04TygaOY816vrPPb98Dz5XvY83M77PM2mAD2ZbQM9zzsGPW0RCT1y7gs93NIOPae+ET3TsRQ9XqwXPUSuGj2Ftx09HsggPQzgIz1O/yY94SUqPcRTLT3ziDA9bcUzPS8JNz03VDo9gqY9PQ8AQT3aYEQ94shHPSM4Sz2crk49SSxSPSixVT03PVk9c9BcPdlqYD1nDGQ9GbVnPe5kaz3jG2899NlyPR6fdj1ga3o9tj5+PY8MgT1J/YI9ivGEPU/phj2W5Ig9XuOKPafljD1t6449r/SQPW0Bkz2kEZU9UyWXPXg8mT0RV5s9HnWdPZuWnz2Iu6E94uOjPakPpj3aPqg9dHGqPXSnrD3a4K49oh2xPc1dsz1XobU9Pui3PYIyuj0ggLw9FtG+PWIlwT0CfcM99dfFPTk2yD3Ll8o9qfzMPdNkzz1E0NE9/D7UPfmw1j04Jtk9uJ7bPXUa3j1vmeA9oxvjPQ6h5T2vKeg9hLXqPYpE7T2/1u89IWzyPa4E9T1joPc9Pj/6PT3h/D1dhv89ThcBPvxsAj44xAM+/xwFPlF3Bj4t0wc+kTAJPn2PCj7u7ws+5FENPl61Dj5ZGhA+1oARPtLoEj5NUhQ+Rb0VPrgpFz6mlxg+DQcaPux3Gz5B6hw+C14ePknTHz76SSE+HMIiPq07JD6stiU+GDMnPvCwKD4yMCo+3LArPu4yLT5lti4+QDswPn7BMT4eSTM+HdI0PntcNj426Dc+THU5PrsDOz6Dkzw+oiQ+Pha3Pz7eSkE++N9CPmJ2RD4cDkY+I6dHPnVBST4S3Uo+93lMPiMYTj6Vt08+SlhRPkL6Uj55nVQ+8EFWPqPnVz6Sjlk+ujZbPhrgXD6xil4+fDZgPnrjYT6pkWM+B0FlPpPxZj5Lo2g+LFZqPjYKbD5mv20+u3VvPjMtcT7M5XI+hJ90Plpadj5LFng+VdN5PniRez6wUH0+/RB/Pi5pgD5lSoE+JCyCPmkOgz408YM+gtSEPlS4hT6pnIY+f4GHPtVmiD6rTIk+/zKKPtEZiz4gAYw+6eiMPi7RjT7suY4+IqOPPtCMkD70dpE+jmGSPpxMkz4dOJQ+ESSVPnYQlj5M/ZY+kOqXPkPYmD5jxpk+77SaPuajmz5Hk5w+EYOdPkNznj7bY58+2lSgPjxGoT4DOKI+KyqjPrUcpD6gD6U+6QKmPpH2pj6V6qc+9d6oPrDTqT7FyKo+Mr6rPvazrD4Rqq0+gaCuPkWXrz5bjrA+xIWxPn19sj6FdbM+3G20PoBmtT5wX7Y+q1i3Pi9SuD78S7k+EUa6PmxAuz4LO7w+7zW9PhYxvj5+LL8+JijAPg0kwT4zIMI+lhzDPjQZxD4MFsU+HhPGPmgQxz7pDcg+nwvJPooJyj6pB8s++QXMPnsEzT4sA84+CwLPPhgB0D5RANE+tf/RPkL/0j74/tM+1f7UPtj+1T7//tY+S//XPrj/2D5HANo+9QDbPsMB3D6tAt0+tAPePtYE3z4RBuA+ZQfhPtAI4j5RCuM+5wvkPpAN5T5MD+Y+GRHnPvUS6D7gFOk+2RbqPt0Y6z7sGuw+BR3tPicf7j5PIe8+fSPwPrAl8T7mJ/I+HyrzPlgs9D6RLvU+yDD2Pv0y9z4tNfg+WDf5Pnw5+j6ZO/s+rD38PrU//T6zQf4+o0P/PsMiAD+towA/jiQBP2alAT81JgI/+qYCP7QnAz9jqAM/BSkEP5upBD8kKgU/n6oFPwwrBj9pqwY/tysHP/SrBz8gLAg/O6wIP0QsCT86rAk/HCwKP+urCj+kKws/SasLP9gqDD9Qqgw/sSkNP/uoDT8sKA4/RacOP0QmDz8ppQ8/8yMQP6KiED81IRE/rJ8RPwUeEj9BnBI/XxoTP16YEz89FhQ//JMUP5sRFT8YjxU/dAwWP62JFj/DBhc/toMXP4UAGD8ufRg/s/kYPxJ2GT9K8hk/W24aP0XqGj8GZhs/n+EbPw5dHD9U2Bw/b1MdP1/OHT8kSR4/vMMePyg+Hz9muB8/dzIgP1qsID8OJiE/kp8hP+YYIj8KkiI//QojP76DIz9N/CM/qXQkP9PsJD/IZCU/itwlPxZUJj9uyyY/j0InP3q5Jz8vMCg/rKYoP/EcKT/+kik/0ggqP2x+Kj/N8yo/82grP9/dKz+PUiw/A8csPzs7LT82ry0/9CIuP3SWLj+2CS8/uXwvP33vLz8BYjA/RdQwP0hGMT8KuDE/iykyP8qaMj/GCzM/f3wzP/bsMz8oXTQ/Fs00P788NT8krDU/Qhs2PxuKNj+u+DY/+WY3P/7UNz+7Qjg/L7A4P1sdOT8/ijk/2fY5PyljOj8wzzo/7Do7P12mOz+CETw/XXw8P+vmPD8sUT0/Ibs9P8kkPj8jjj4/MPc+P+5fPz9eyD8/fjBAP1CYQD/R/0A/A2dBP+TNQT91NEI/tZpCP6MAQz9AZkM/i8tDP4MwRD8plUQ/fPlEP3tdRT8nwUU/fyRGP4SHRj8z6kY/jkxHP5SuRz9EEEg/n3FIP6TSSD9TM0k/rJNJP67zST9ZU0o/rbJKP6kRSz9NcEs/ms5LP48sTD8rikw/budMP1lETT/qoE0/Iv1NPwBZTj+FtE4/sA9PP4BqTz/2xE8/Eh9QP9J4UD840lA/QitRP/KDUT9F3FE/PTRSP9mLUj8Y41I//DlTP4OQUz+u5lM/ezxUP+yRVD8A51Q/tztVPxCQVT8M5FU/qjdWP+uKVj/O3VY/UzBXP3mCVz9C1Fc/rCVYP7h2WD9lx1g/tBdZP6RnWT81t1k/aAZaPztVWj+vo1o/xfFaP3s/Wz/SjFs/ydlbP2EmXD+aclw/c75cP+0JXT8HVV0/wp9dPx3qXT8YNF4/s31eP+/GXj/LD18/SFhfP2SgXz8h6F8/fi9gP3t2YD8YvWA/VQNhPzNJYT+xjmE/z9NhP40YYj/sXGI/66BiP4rkYj/KJ2M/qmpjPyqtYz9L72M/DTFkP29yZD9ys2Q/FfRkP1o0ZT8/dGU/xbNlP+zyZT+0MWY/HXBmPyeuZj/T62Y/IClnPw9mZz+fomc/0d5nP6QaaD8aVmg/MZFoP+vLaD9HBmk/RUBpP+Z5aT8qs2k/EOxpP5kkaj/FXGo/lJRqPwfMaj8dA2s/1jlrPzRwaz81pms/2ttrPyQRbD8SRmw/pHpsP9yubD+44mw/ORZtP2BJbT8sfG0/na5tP7XgbT9zEm4/1kNuP+F0bj+SpW4/6dVuP+gFbz+ONW8/22RvP9GTbz9uwm8/s/BvP6AecD82THA/dXlwP12mcD/v0nA/Kf9wPw4rcT+cVnE/1YFxP7iscT9G13E/fwFyP2Mrcj/zVHI/Ln5yPxWncj+pz3I/6fdyP9Yfcz9xR3M/uG5zP62Vcz9QvHM/ouJzP6EIdD9QLnQ/rlN0P7t4dD93nXQ/5MF0PwHmdD/OCXU/TC11P3tQdT9cc3U/7pV1PzO4dT8q2nU/0/t1PzAddj9APnY/A192P3p/dj+mn3Y/hr92Pxvfdj9l/nY/ZR13Pxs8dz+HWnc/qXh3P4OWdz8TtHc/W9F3P1vudz8UC3g/hCd4P65DeD+RX3g/Lnt4P4SWeD+VsXg/YMx4P+fmeD8pAXk/Jht5P980eT9VTnk/iGd5P3iAeT8lmXk/kLF5P7nJeT+h4Xk/SPl5P64Qej/UJ3o/uT56P2BVej/Ga3o/7oF6P9iXej+DrXo/8cJ6PyHYej8U7Xo/ygF7P0QWez+CKns/hT57P01Sez/ZZXs/K3l7P0SMez8in3s/yLF7PzTEez9o1ns/Y+h7Pyf6ez+0C3w/CR18PygufD8RP3w/xE98P0FgfD+JcHw/nIB8P3yQfD8noHw/nq98P+K+fD/0zXw/09x8P4DrfD/7+Xw/RQh9P14WfT9HJH0//zF9P4g/fT/hTH0/C1p9PwdnfT/Uc30/c4B9P+WMfT8qmX0/QqV9Py6xfT/uvH0/gsh9P+vTfT8p330/Pep9Pyb1fT/m/30/fAp+P+oUfj8vH34/Syl+P0Azfj8NPX4/tEZ+PzNQfj+MWX4/v2J+P81rfj+1dH4/eH1+PxeGfj+Sjn4/6ZZ+Pxyffj8sp34/Gq9+P+W2fj+Ovn4/FsZ+P3zNfj/C1H4/59t+P+vifj/Q6X4/lfB+Pzv3fj/D/X4/LAR/P3YKfz+jEH8/sxZ/P6Ucfz97In8/NCh/P9Itfz9TM38/ujh/PwU+fz81Q38/S0h/P0hNfz8qUn8/81Z/P6Nbfz86YH8/uWR/PyBpfz9vbX8/pnF/P8d1fz/QeX8/xH1/P6GBfz9ohX8/GYl/P7aMfz89kH8/sJN/Pw6Xfz9Zmn8/j51/P7Ogfz/Do38/wKZ/P6upfz+ErH8/Sq9/P/+xfz+jtH8/Nbd/P7e5fz8ovH8/ib5/P9nAfz8aw38/TMV/P2/Hfz+CyX8/h8t/P37Nfz9mz38/QdF/Pw7Tfz/N1H8/gNZ/PybYfz+/2X8/TNt/P8zcfz9B3n8/qt9/Pwjhfz9b4n8/o+N/P+Dkfz8T5n8/O+d/P1rofz9u6X8/eup/P3zrfz907H8/ZO1/P0vufz8q738/AfB/P8/wfz+V8X8/VPJ/Pwzzfz+8838/ZfR/Pwf1fz+i9X8/N/Z/P8b2fz9O938/0fd/P034fz/E+H8/Nvl/P6L5fz8J+n8/bPp/P8n6fz8i+38/dvt/P8b7fz8S/H8/Wfx/P538fz/d/H8/Gv1/P1P9fz+I/X8/u/1/P+r9fz8W/n8/QP5/P2f+fz+L/n8/rf5/P8z+fz/q/n8/Bf9/Px7/fz81/38/Sv9/P17/fz9w/38/gP9/P4//fz+d/38/qf9/P7T/fz+//38/yP9/P9D/fz/X/38/3f9/P+P/fz/o/38/7P9/P+//fz/z/38/9f9/P/j/fz/5/38/+/9/P/z/fz/9/38//v9/P///fz///38///9/PwAAgD8AAIA/AACAPwAAgD8AAIA/AACAPwAAgD8AAIA/zAh4NKuGCzZPysE2vuk9N+73nDfAe+o3K8AjOKECWji9Aow4TOSuOOOl1TjHIwA5qGQXOYaVMDlotks5QMdoOQfkgzlpXJQ5v8ylOQY1uDlBlcs5ae3fOXg99Tm4wgU6pmIROoZ+HTpRFio6CSo3Oqy5RDo2xVI6pUxhOvpPcDovz386IuWHOpogkDr/mZg6UFGhOotGqjquebM6uuq8OquZxjqBhtA6OrHaOtQZ5TpPwO86p6T6Om3jAjt1kwg7aWIOO0lQFDsTXRo7x4ggO2TTJjvoPC07U8UzO6RsOjvaMkE78xdIO+8bTzvMPlY7ioBdOybhZDuhYGw7+f5zOy28ezsdzIE7kcmFO3HWiTu88o07cR6SO5FZljsapJo7DP6eO2Znozso4Kc7UGisO97/sDvRprU7KF26O+QivzsC+MM7g9zIO2XQzTuo09I7SubXO0wI3TusOeI7aXrnO4PK7Dv5KfI7ypj3O/UW/Ts8UgE8qiAEPMT2BjyJ1Ak8+bkMPBOnDzzYmxI8RZgVPFycGDwaqBs8gbsePI/WITxF+SQ8oCMoPKJVKzxJjy48ldAxPIUZNTwaajg8UcI7PCwiPzyoiUI8x/hFPIZvSTzm7Uw853NQPIYBVDzFllc8ojNbPBzYXjw0hGI86DdmPDjzaTwjtm08qoBxPMpSdTyDLHk81g19PGB7gDyhc4I8rm+EPIZvhjwoc4g8lXqKPM2FjDzOlI48mKeQPCy+kjyI2JQ8rfaWPJoYmTxOPps8ymedPA2VnzwXxqE85/qjPH0zpjzZb6g8+a+qPN/zrDyJO68894axPCjWszwdKbY81X+4PFDaujyMOL08ipq/PEoAwjzKacQ8C9fGPAxIyTzNvMs8TTXOPIyx0DyJMdM8RbXVPL082Dzzx9o85lbdPJXp3zwAgOI8JxrlPAi45zykWeo8+v7sPAmo7zzSVPI8UwX1PI259zx+cfo8Jy39PIbs/zzOVwE9NLsCPXUgBD2QhwU9hfAGPVRbCD39xwk9gDYLPdumDD0QGQ49HY0PPQMDET3BehI9V/QTPcVvFT0K7RY9J2wYPRrtGT3kbxs9hPQcPft6Hj1HAyA9aY0hPWAZIz0tpyQ9zjYmPUPIJz2NWyk9q/AqPZyHLD1gIC49+LovPWNXMT2g9TI9r5U0PZA3Nj1D2zc9x4A5PRwoOz1B0Tw9OHw+Pf4oQD2U10E9+odDPS86RT0z7kY9BaRIPaZbSj0UFUw9UNBNPVqNTz0xTFE91AxTPUTPVD2Ak1Y9h1lYPVohWj346ls9YbZdPZSDXz2RUmE9WCNjPej1ZD1BymY9ZKBoPU54aj0BUmw9ey1uPbwKcD3F6XE9lMpzPSmtdT2FkXc9pnd5PYxfez03SX09pjR/Pe2QgD1piIE9xoCCPQV6gz0ldIQ9J2+FPQlrhj3MZ4c9cGWIPfRjiT1YY4o9nWOLPcFkjD3EZo09p2mOPWptjz0LcpA9i3eRPep9kj0ohZM9Q42UPT2WlT0UoJY9yaqXPVy2mD3Lwpk9GNCaPULemz1I7Zw9Kv2dPekNnz2EH6A9+jGhPUxFoj16WaM9gm6kPWWEpT0jm6Y9vLKnPS/LqD185Kk9ov6qPaMZrD18Na09L1KuPbtvrz0fjrA9XK2xPXHNsj1e7rM9IxC1PcAytj00Vrc9f3q4PaCfuT2Zxbo9aOy7PQ0UvT2IPL492WW/Pf+PwD36usE9yubCPW8TxD3pQMU9N2/GPVmexz1Ozsg9F//JPbMwyz0jY8w9ZZbNPXnKzj1g/889GTXRPaRr0j0Ao9M9LdvUPSwU1j37Tdc9mojYPQrE2T1KANs9WT3cPTh73T3mud49Y/nfPa454T3IeuI9sLzjPWb/5D3pQuY9OofnPVjM6D1CEuo9+VjrPXyg7D3L6O095jHvPcx78D19xvE9+RHzPT9e9D1Pq/U9Kvn2Pc5H+D08l/k9cuf6PXI4/D06iv09ytz+PREYAD4hwgA+lWwBPmwXAj6mwgI+RG4DPkUaBD6oxgQ+b3MFPpggBj4jzgY+EXwHPmIqCD4U2Qg+KIgJPp03Cj515wo+rZcLPkdIDD5C+Qw+nqoNPltcDj54Dg8+9sAPPtVzED4TJxE+sdoRPq+OEj4NQxM+yvcTPuesFD5jYhU+PhgWPnjOFj4QhRc+BzwYPlzzGD4Qqxk+IWMaPpEbGz5e1Bs+iY0cPhFHHT72AB4+OLsePtd1Hz7TMCA+K+wgPuCnIT7xYyI+XSAjPibdIz5KmiQ+ylclPqUVJj7b0yY+bJInPlhRKD6fECk+QNApPjuQKj6QUCs+PxEsPkjSLD6qky0+ZlUuPnoXLz7o2S8+r5wwPs5fMT5FIzI+FecyPj2rMz69bzQ+lDQ1PsP5NT5JvzY+JoU3PltLOD7mETk+x9g5Pv+fOj6NZzs+cS88Pqv3PD47wD0+H4k+PllSPz7oG0A+zOVAPgWwQT6SekI+c0VDPqgQRD4x3EQ+DqhFPj50Rj7CQEc+mA1IPsHaSD49qEk+DHZKPixESz6fEkw+ZOFMPnqwTT7hf04+mk9PPqQfUD7/71A+qsBRPqaRUj7yYlM+jTRUPnkGVT602FU+P6tWPhl+Vz5BUVg+uSRZPn74WT6TzFo+9aBbPqV1XD6jSl0+7h9ePof1Xj5ty18+n6FgPh54YT7pTmI+ASZjPmT9Yz4T1WQ+Dq1lPlSFZj7lXWc+wTZoPucPaT5Y6Wk+E8NqPhidaz5nd2w+/1FtPuAsbj4LCG8+fuNvPjq/cD4+m3E+i3dyPh9Ucz77MHQ+Hw51PorrdT47yXY+NKd3PnOFeD74Y3k+xEJ6PtUhez4sAXw+yOB8PqrAfT7QoH4+O4F/PvUwgD5voYA+CxKBPsmCgT6o84E+qWSCPszVgj4PR4M+dbiDPvsphD6im4Q+aw2FPlR/hT5d8YU+iGOGPtLVhj49SIc+yLqHPnQtiD4/oIg+KhOJPjSGiT5e+Yk+qGyKPhHgij6ZU4s+QMeLPgY7jD7rrow+7yKNPhGXjT5SC44+sX+OPi70jj7JaI8+gt2PPllSkD5Ox5A+YDyRPo+xkT7cJpI+RpySPs0Rkz5xh5M+Mv2TPhBzlD4J6ZQ+IF+VPlLVlT6hS5Y+DMKWPpI4lz41r5c+8yWYPsycmD7BE5k+0YqZPvwBmj5CeZo+o/CaPh9omz6135s+ZVecPjDPnD4VR50+FL+dPi03nj5gr54+rCefPhKgnz6RGKA+KZGgPtoJoT6lgqE+iPuhPoR0oj6Y7aI+xWajPgrgoz5nWaQ+3NKkPmlMpT4OxqU+yj+mPp65pj6JM6c+i62nPqQnqD7Voag+GxypPnmWqT7tEKo+d4uqPhgGqz7OgKs+m/urPn12rD518aw+gmytPqXnrT7dYq4+Kt6uPoxZrz4C1a8+jlCwPi7MsD7iR7E+qsOxPoc/sj53u7I+fDezPpSzsz6/L7Q+/qu0PlAotT61pLU+LSG2Pridtj5VGrc+BZe3PscTuD6ckLg+gg25PnuKuT6FB7o+oYS6Ps4Buz4Nf7s+Xfy7Pr55vD4w97w+snS9PkbyvT7pb74+ne2+PmJrvz426b8+GmfAPg7lwD4RY8E+JOHBPkZfwj533cI+uFvDPgfawz5kWMQ+0dbEPktVxT7U08U+a1LGPhDRxj7DT8c+hM7HPlJNyD4tzMg+FUvJPgvKyT4NSco+HcjKPjhHyz5hxss+lUXMPtbEzD4iRM0+e8PNPt9Czj5Pws4+ykHPPlHBzz7iQNA+f8DQPiZA0T7Yv9E+lD/SPlu/0j4sP9M+B7/TPus+1D7avtQ+0j7VPtO+1T7ePtY+8r7WPg8/1z41v9c+Yz/YPpq/2D7ZP9k+IMDZPnBA2j7HwNo+JkHbPozB2z76Qdw+cMLcPuxC3T5ww90++kPePovE3j4iRd8+wMXfPmRG4D4Ox+A+vUfhPnPI4T4uSeI+78niPrVK4z5/y+M+T0zkPiTN5D79TeU+287lPr5P5j6k0OY+jlHnPn3S5z5vU+g+ZNToPl1V6T5Z1uk+WVfqPlvY6j5gWes+aNrrPnJb7D5+3Ow+jV3tPp7e7T6wX+4+xODuPtph7z7x4u8+CmTwPiPl8D4+ZvE+WefxPnRo8j6R6fI+rWrzPsrr8z7mbPQ+A+70Ph9v9T478PU+VnH2PnDy9j6Jc/c+ofT3Prh1+D7O9vg+4nf5PvT4+T4Eevo+Evv6Ph58+z4o/fs+L378PjT//D42gP0+NAH+PjCC/j4oA/8+HYT/PocCAD/+QgA/c4MAP+bDAD9WBAE/xUQBPzGFAT+bxQE/AwYCP2dGAj/KhgI/KscCP4cHAz/hRwM/OIgDP43IAz/eCAQ/LEkEP3eJBD+/yQQ/AwoFP0RKBT+CigU/vMoFP/IKBj8kSwY/U4sGP37LBj+lCwc/x0sHP+aLBz8BzAc/FwwIPylMCD82jAg/P8wIP0MMCT9DTAk/PowJPzTMCT8lDAo/EkwKP/mLCj/bywo/uAsLP5BLCz9iiws/L8sLP/YKDD+4Sgw/dIoMPyvKDD/bCQ0/hkkNPyuJDT/KyA0/YggOP/VHDj+Bhw4/B8cOP4cGDz8ARg8/coUPP97EDz9DBBA/oUMQP/mCED9JwhA/kwERP9VAET8RgBE/Rb8RP3L+ET+XPRI/tXwSP8u7Ej/a+hI/4TkTP+F4Ez/YtxM/yPYTP7A1FD+PdBQ/Z7MUPzbyFD/9MBU/vG8VP3KuFT8g7RU/xSsWP2JqFj/2qBY/gecWPwMmFz99ZBc/7aIXP1ThFz+yHxg/B14YP1OcGD+V2hg/zhgZP/1WGT8jlRk/P9MZP1IRGj9aTxo/WY0aP07LGj85CRs/GUcbP/CEGz+8whs/fgAcPzY+HD/jexw/hrkcPx73HD+sNB0/L3IdP6evHT8U7R0/dioeP85nHj8apR4/W+IeP5EfHz+8XB8/25kfP+/WHz/3EyA/9FAgP+aNID/LyiA/pQchP3NEIT81gSE/670hP5b6IT80NyI/xnMiP0uwIj/F7CI/MikjP5JlIz/moSM/Lt4jP2kaJD+XViQ/uZIkP83OJD/VCiU/0EYlP76CJT+eviU/cvolPzg2Jj/xcSY/na0mPzvpJj/MJCc/T2AnP8WbJz8t1yc/hxIoP9NNKD8SiSg/QsQoP2X/KD95Oik/gHUpP3iwKT9i6yk/PiYqPwthKj/Kmyo/etYqPxwRKz+vSys/NIYrP6rAKz8Q+ys/aTUsP7JvLD/sqSw/F+QsPzMeLT9AWC0/PZItPyvMLT8KBi4/2j8uP5p5Lj9Ksy4/6+wuP3wmLz/+Xy8/cJkvP9LSLz8kDDA/ZkUwP5h+MD+6tzA/zPAwP80pMT+/YjE/oJsxP3HUMT8xDTI/4UUyP4B+Mj8PtzI/je8yP/snMz9XYDM/o5gzP97QMz8ICTQ/IkE0Pyp5ND8hsTQ/B+k0P9sgNT+fWDU/UZA1P/LHNT+B/zU//zY2P2xuNj/GpTY/EN02P0cUNz9tSzc/gYI3P4O5Nz908Dc/Uic4Px5eOD/ZlDg/gcs4PxcCOT+bODk/DW85P2ylOT+52zk/9BE6PxxIOj8yfjo/NbQ6PybqOj8EIDs/z1U7P4eLOz8twTs/wPY7P0AsPD+tYTw/B5c8P07MPD+CAT0/ozY9P7FrPT+roD0/ktU9P2YKPj8nPz4/1HM+P26oPj/03D4/ZxE/P8ZFPz8Rej8/Sa4/P23iPz9+FkA/ekpAP2N+QD84skA/+OVAP6UZQT8+TUE/w4BBPzS0QT+Q50E/2BpCPw1OQj8sgUI/OLRCPy/nQj8SGkM/4ExDP5p/Qz9AskM/0ORDP00XRD+0SUQ/B3xEP0WuRD9v4EQ/gxJFP4NERT9udkU/RKhFPwXaRT+xC0Y/SD1GP8puRj83oEY/j9FGP9ICRz//M0c/F2VHPxqWRz8Ix0c/4PdHP6MoSD9RWUg/6YlIP2u6SD/Y6kg/MBtJP3JLST+ee0k/tatJP7XbST+hC0o/djtKPzZrSj/gmko/dMpKP/L5Sj9aKUs/rVhLP+mHSz8Pt0s/IOZLPxoVTD/+Q0w/zHJMP4ShTD8m0Ew/sf5MPyYtTT+FW00/zolNPwC4TT8c5k0/IhROPxFCTj/qb04/rJ1OP1jLTj/u+E4/bCZPP9VTTz8mgU8/Ya5PP4bbTz+TCFA/ijVQP2tiUD80j1A/57tQP4PoUD8IFVE/d0FRP85tUT8PmlE/OcZRP0zyUT9HHlI/LEpSP/p1Uj+xoVI/Uc1SP9r4Uj9MJFM/pk9TP+p6Uz8WplM/LNFTPyr8Uz8RJ1Q/4FFUP5l8VD86p1Q/xNFUPzb8VD+SJlU/1lBVPwJ7VT8YpVU/Fs9VP/z4VT/MIlY/g0xWPyR2Vj+sn1Y/HslWP3jyVj+6G1c/5URXP/htVz/0llc/2L9XP6XoVz9aEVg/+DlYP35iWD/silg/Q7NYP4LbWD+pA1k/uStZP7FTWT+Re1k/WqNZPwvLWT+k8lk/JRpaP49BWj/haFo/G5BaPz63Wj9I3lo/OwVbPxYsWz/ZUls/hXlbPxigWz+Uxls/+OxbP0QTXD94OVw/lV9cP5mFXD+Gq1w/W9FcPxj3XD+9HF0/SkJdP79nXT8cjV0/YrJdP4/XXT+l/F0/oiFeP4hGXj9Wa14/C5BeP6m0Xj8v2V4/nf1eP/MhXz8xRl8/WGpfP2aOXz9csl8/O9ZfPwH6Xz+vHWA/RkFgP8RkYD8riGA/eqtgP7DOYD/P8WA/1hRhP8U3YT+bWmE/Wn1hPwGgYT+QwmE/COVhP2cHYj+uKWI/3UtiP/VtYj/0j2I/3LFiP6vTYj9j9WI/AxdjP4s4Yz/7WWM/U3tjP5OcYz+8vWM/zN5jP8X/Yz+mIGQ/bkFkPyBiZD+5gmQ/OqNkP6TDZD/142Q/LwRlP1IkZT9cRGU/TmRlPymEZT/so2U/l8NlPyvjZT+nAmY/CyJmP1dBZj+LYGY/qH9mP66eZj+bvWY/cdxmPy/7Zj/WGWc/ZThnP9xWZz87dWc/hJNnP7SxZz/Nz2c/zu1nP7gLaD+KKWg/RUdoP+lkaD90gmg/6Z9oP0W9aD+L2mg/ufdoP88UaT/PMWk/tk5pP4draT9AiGk/4aRpP2zBaT/f3Wk/O/ppP38Waj+sMmo/w05qP8Fqaj+phmo/eaJqPzO+aj/V2Wo/YPVqP9QQaz8wLGs/dkdrP6Viaz+8fWs/vZhrP6ezaz95zms/NelrP9oDbD9oHmw/3zhsPz9TbD+IbWw/u4dsP9ahbD/bu2w/ydVsP6HvbD9hCW0/CyNtP588bT8bVm0/gW9tP9GIbT8Jom0/LLttPzjUbT8t7W0/DAZuP9Qebj+GN24/IVBuP6Zobj8VgW4/bpluP7Cxbj/cyW4/8eFuP/H5bj/aEW8/rSlvP2pBbz8QWW8/oXBvPxyIbz+An28/z7ZvPwfObz8q5W8/NvxvPy0TcD8OKnA/2UBwP45XcD8ubnA/uIRwPyubcD+KsXA/0sdwPwXecD8j9HA/KgpxPx0gcT/5NXE/wUtxP3JhcT8Pd3E/loxxPweicT9jt3E/qsxxP9zhcT/59nE/AAxyP/Igcj/PNXI/l0pyP0lfcj/nc3I/cIhyP+Occj9CsXI/jMVyP8HZcj/h7XI/7AFzP+MVcz/FKXM/kj1zP0pRcz/uZHM/fXhzP/iLcz9en3M/r7JzP+zFcz8V2XM/KexzPyn/cz8VEnQ/7CR0P683dD9eSnQ/+Fx0P39vdD/xgXQ/UJR0P5qmdD/QuHQ/8sp0PwHddD/77nQ/4gB1P7USdT90JHU/HzZ1P7dHdT87WXU/q2p1Pwh8dT9RjXU/h551P6mvdT+4wHU/s9F1P5vidT9w83U/MgR2P+AUdj97JXY/AzZ2P3hGdj/ZVnY/KGd2P2R3dj+Mh3Y/opd2P6Wndj+Vt3Y/csd2Pz3Xdj/15nY/mvZ2PywGdz+sFXc/GiV3P3U0dz+9Q3c/81J3PxZidz8ocXc/J4B3PxOPdz/unXc/tqx3P2y7dz8Qync/oth3PyLndz+Q9Xc/7AN4PzcSeD9vIHg/li54P6o8eD+uSng/n1h4P39meD9NdHg/CoJ4P7WPeD9PnXg/16p4P064eD+0xXg/CNN4P0zgeD9+7Xg/nvp4P64HeT+tFHk/myF5P3cueT9DO3k//kd5P6hUeT9CYXk/ym15P0J6eT+phnk/AJN5P0afeT98q3k/obd5P7XDeT+6z3k/rdt5P5HneT9k83k/KP95P9sKej9+Fno/ECJ6P5Mtej8GOXo/aUR6P7xPej//Wno/M2Z6P1Zxej9qfHo/b4d6P2OSej9InXo/Hqh6P+Syej+bvXo/Qsh6P9rSej9j3Xo/3ed6P0fyej+i/Ho/7gZ7PysRez9ZG3s/eCV7P4kvez+KOXs/fEN7P2BNez81V3s//GB7P7Nqez9cdHs/9317P4OHez8BkXs/cJp7P9Gjez8krXs/aLZ7P56/ez/GyHs/4NF7P+zaez/q43s/2ux7P7z1ez+Q/ns/Vgd8Pw4QfD+5GHw/ViF8P+YpfD9oMnw/3Dp8P0NDfD+cS3w/6FN8PydcfD9YZHw/fGx8P5N0fD+dfHw/mYR8P4mMfD9rlHw/QZx8PwmkfD/Fq3w/dLN8Pxa7fD+swnw/NMp8P7DRfD8g2Xw/g+B8P9nnfD8j73w/YfZ8P5L9fD+3BH0/0At9P90SfT/dGX0/0SB9P7knfT+WLn0/ZjV9Pyo8fT/jQn0/j0l9PzBQfT/FVn0/Tl19P8xjfT8+an0/pXB9PwB3fT9QfX0/lIN9P82JfT/7j30/HZZ9PzScfT9Aon0/Qah9PzeufT8itH0/Arp9P9e/fT+hxX0/YMt9PxXRfT++1n0/Xdx9P/LhfT98530/++x9P3DyfT/a930/Ov19P48Cfj/bB34/HA1+P1ISfj9/F34/oRx+P7ohfj/IJn4/zCt+P8cwfj+3NX4/njp+P3s/fj9ORH4/F0l+P9dNfj+NUn4/Old+P91bfj92YH4/BmV+P41pfj8Kbn4/fnJ+P+l2fj9Le34/pH9+P/ODfj85iH4/d4x+P6uQfj/WlH4/+Zh+PxKdfj8joX4/LKV+Pyupfj8irX4/ELF+P/a0fj/TuH4/p7x+P3PAfj83xH4/88d+P6bLfj9Rz34/89J+P47Wfj8g2n4/q91+Py3hfj+n5H4/Guh+P4Trfj/n7n4/QvJ+P5X1fj/g+H4/JPx+P2D/fj+UAn8/wQV/P+YIfz8EDH8/Gw9/PyoSfz8yFX8/Mhh/Pysbfz8dHn8/CCF/P+wjfz/JJn8/nil/P20sfz81L38/9jF/P680fz9jN38/Dzp/P7U8fz9TP38/7EF/P31Efz8IR38/jUl/PwtMfz+DTn8/9FB/P19Tfz/DVX8/IVh/P3lafz/LXH8/F19/P1xhfz+bY38/1WV/Pwhofz82an8/XWx/P39ufz+bcH8/sXJ/P8F0fz/Ldn8/0Hh/P896fz/JfH8/vX5/P6uAfz+Ugn8/eIR/P1aGfz8viH8/Aop/P9GLfz+ZjX8/XY9/PxyRfz/Vkn8/iZR/PzmWfz/jl38/iJl/Pyibfz/EnH8/Wp5/P+yffz95oX8/AaN/P4Skfz8Dpn8/fad/P/Kofz9jqn8/z6t/Pzetfz+arn8/+a9/P1Sxfz+qsn8/+7N/P0m1fz+Stn8/17d/Pxi5fz9Vun8/jbt/P8G8fz/yvX8/Hr9/P0fAfz9rwX8/jMJ/P6jDfz/BxH8/1sV/P+fGfz/1x38//8h/PwXKfz8Hy38/Bsx/PwHNfz/5zX8/7c5/P97Pfz/L0H8/tdF/P5zSfz9/038/X9R/PzvVfz8U1n8/6tZ/P73Xfz+N2H8/Wtl/PyPafz/p2n8/rdt/P23cfz8r3X8/5d1/P5zefz9R338/A+B/P7Lgfz9e4X8/B+J/P67ifz9S438/8+N/P5Lkfz8u5X8/x+V/P17mfz/y5n8/hOd/PxPofz+g6H8/Kul/P7Lpfz846n8/u+p/Pzzrfz+7638/N+x/P7Hsfz8p7X8/n+1/PxLufz+E7n8/8+5/P2Dvfz/M738/NfB/P5zwfz8B8X8/ZfF/P8bxfz8l8n8/g/J/P97yfz84838/kPN/P+fzfz879H8/jvR/P9/0fz8u9X8/fPV/P8j1fz8T9n8/W/Z/P6P2fz/p9n8/Lfd/P2/3fz+x938/8Pd/Py/4fz9s+H8/p/h/P+H4fz8a+X8/Uvl/P4j5fz+8+X8/8Pl/PyL6fz9T+n8/g/p/P7L6fz/g+n8/DPt/Pzf7fz9h+38/ivt/P7L7fz/Z+38///t/PyT8fz9I/H8/a/x/P438fz+t/H8/zfx/P+38fz8L/X8/KP1/P0X9fz9g/X8/e/1/P5X9fz+u/X8/x/1/P979fz/1/X8/DP5/PyH+fz82/n8/Sv5/P13+fz9w/n8/gv5/P5T+fz+l/n8/tf5/P8X+fz/U/n8/4/5/P/H+fz/+/n8/C/9/Pxj/fz8k/38/L/9/Pzv/fz9F/38/T/9/P1n/fz9j/38/bP9/P3T/fz98/38/hP9/P4z/fz+T/38/mv9/P6D/fz+m/38/rP9/P7L/fz+3/38/vP9/P8H/fz/F/38/yv9/P87/fz/R/38/1f9/P9j/fz/c/38/3/9/P+H/fz/k/38/5v9/P+n/fz/r/38/7f9/P+//fz/w/38/8v9/P/P/fz/1/38/9v9/P/f/fz/4/38/+f9/P/r/fz/7/38/+/9/P/z/fz/8/38//f9/P/3/fz/+/38//v9/P/7/fz///38///9/P///fz///38///9/PwAAgD8AAIA/AACAPwAAgD8AAIA/AACAPwAAgD8AAIA/AACAPwAAgD8AAIA/AACAPwAAgD8AAIA/AACAPwAAgD/GP3gzYogLNZfIwTVQ6T02t/ecNi586jaZwCM39AJaNzgDjDfj5K43sabVN2wkADiSZRc4yZYwOBK4SzhRyWg4XuWDOB1elDjlzqU4pze4OICYyzhV8d84JEL1OH7FBTnuZRE5Y4IdOc8aKjk/Lzc5s79EOR7MUjmNVGE581hwOV7Zfznj6oc5EieQOUChmDlpWaE5kk+qObWDsznX9bw59aXGOQ6U0DkiwNo5LirlOTnS7zk8uPo5G+4COhafCDoNbw46AF4UOu9rGjramCA6wOQmOqFPLTp82TM6U4I6OiVKQTrwMEg6tjZPOnRbVjotn1063gFlOoiDbDoqJHQ6xON7OizhgTrx34U6Me6JOu4LjjolOZI613WWOgXCmjquHZ860YijOm4DqDqGjaw6GCexOiTQtTqpiLo6qVC/OiEoxDoTD8k6fgXOOmIL0zq/INg6lEXdOuF54jqmvec64xDtOphz8jrE5fc6Z2f9OkF8ATuJTAQ7jSQHO0wECjvG6ww7+9oPO+vREjuV0BU7+9YYOxrlGzv0+h47iBgiO9c9JTvfaig7oZ8rOx3cLjtTIDI7Qmw1O+q/ODtMGzw7Z34/OzvpQjvHW0Y7DNZJOwpYTTvB4VA7MHNUO1YMWDs1rVs7zFVfOxoGYzsgvmY73n1qO1JFbjt/FHI7Yet1O/vJeTtMsH07Kc+AOwjKgjvCyIQ7V8uGO8bRiDsR3Io7N+qMOzf8jjsSEpE7xyuTO1dJlTvCapc7BpCZOyW5mzse5p078RagO55LojslhKQ7hsCmO8AAqTvURKs7wYytO4nYrzspKLI7o3u0O/XStjshLrk7Jo27OwTwvTu6VsA7ScHCO7EvxTvyocc7ChjKO/uRzDvED887ZpHRO98W1DsxoNY7Wi3ZO1u+2zszU9474+vgO2uI4zvJKOY7/8zoOwx16zvwIO47q9DwOz2E8zulO/Y75Pb4O/q1+zvleP471J8APCAFAjxXbAM8edUEPIZABjx+rQc8YBwJPC2NCjzl/ws8iHQNPBXrDjyNYxA8790RPDtaEzxy2BQ8k1gWPJ7aFzyTXhk8c+QaPDxsHDzw9R08jYEfPBQPITyFniI84C8kPCTDJTxSWCc8ae8oPGqIKjxUIyw8KMAtPOVeLzyL/zA8GqIyPJJGNDzz7DU8PZU3PHA/OTyM6zo8kZk8PH5JPjxU+z88Eq9BPLlkQzxIHEU8wNVGPB+RSDxnTko8lw1MPK/OTTywkU88mFZRPGcdUzwf5lQ8vrBWPEV9WDyzS1o8CRxcPEfuXTxrwl88d5hhPGpwYzxESmU8BSZnPK0DaTw842o8ssRsPA6objxRjXA8e3RyPItddDyCSHY8XzV4PCIkejzLFHw8Wgd+PND7fzwW+YA8NvWBPErygjxQ8IM8Se+EPDXvhTwT8IY85fGHPKn0iDxf+Ik8CP2KPKQCjDwyCY08shCOPCUZjzyLIpA84iyRPCw4kjxoRJM8llGUPLZflTzJbpY8zX6XPMSPmDysoZk8h7SaPFPImzwR3Zw8wfKdPGIJnzz1IKA8ejmhPPFSojxZbaM8soikPP2kpTw5wqY8Z+CnPIb/qDyXH6o8mECrPItirDxvha08RKmuPArOrzzB87A8aRqyPAJCszyLarQ8BpS1PHG+tjzN6bc8Gha5PFdDujyFcbs8o6C8PLHQvTyxAb88oDPAPIBmwTxQmsI8EM/DPMEExTxhO8Y88nLHPHKryDzj5Mk8Qx/LPJNazDzTls08A9TOPCIS0DwxUdE8MJHSPB7S0zz8E9U8yVbWPIWa1zwx39g8zCTaPFZr2zzQstw8OPvdPJBE3zzWjuA8DNrhPDAm4zxDc+Q8RcHlPDYQ5zwVYOg847DpPKAC6zxLVew85KjtPGz97jziUvA8RqnxPJkA8zzaWPQ8CLL1PCUM9zwwZ/g8KcP5PA8g+zzkffw8ptz9PFU8/zx5TgA9P/8APXuwAT0uYgI9WBQDPfjGAz0PegQ9nC0FPaHhBT0blgY9DEsHPXQACD1Stgg9p2wJPXEjCj2z2go9apILPZhKDD08Aw09V7wNPed1Dj3uLw89a+oPPV6lED3HYBE9phwSPfvYEj3GlRM9B1MUPb4QFT3qzhU9jY0WPaVMFz00DBg9OMwYPbGMGT2hTRo9Bg8bPeDQGz0wkxw99lUdPTEZHj3i3B49CKEfPaRlID21KiE9O/AhPTe2Ij2ofCM9jkMkPekKJT260iU9/5omPbpjJz3qLCg9j/YoPajAKT03iyo9O1YrPbQhLD2h7Sw9BLotPduGLj0mVC895yEwPRzwMD3GvjE95Y0yPXhdMz1/LTQ9+/00PezONT1RoDY9KnI3PXhEOD06Fzk9cOo5PRu+Oj06kjs9zGY8PdM7PT1PET49Puc+PaG9Pz14lEA9w2tBPYJDQj21G0M9XPRDPXbNRD0Ep0U9BoFGPXxbRz1lNkg9whFJPZLtST3WyUo9jaZLPbiDTD1WYU09aD9OPewdTz3l/E89UNxQPS68UT2AnFI9RX1TPX1eVD0oQFU9RSJWPdYEVz3a51c9UctYPTqvWT2Wk1o9ZXhbPaddXD1bQ109gilePRwQXz0o9189p95gPZjGYT37rmI90ZdjPRmBZD3UamU9AFVmPZ8/Zz2wKmg9MxZpPSkCaj2Q7mo9adtrPbTIbD1xtm09oKRuPUGTbz1UgnA92HFxPc5hcj02UnM9D0N0PVk0dT0WJnY9Qxh3PeIKeD3z/Xg9dfF5PWjlej3M2Xs9os58PejDfT2guX49ya9/PTFTgD23zoA9dUqBPWvGgT2aQoI9Ab+CPaA7gz14uIM9iDWEPdGyhD1RMIU9Cq6FPfsrhj0lqoY9hiiHPSCnhz3yJYg9/KSIPT4kiT24o4k9aiOKPVSjij12I4s90aOLPWMkjD0tpYw9LiaNPWinjT3aKI49g6qOPWQsjz19ro89zjCQPVazkD0XNpE9DrmRPT48kj2lv5I9Q0OTPRrHkz0nS5Q9bc+UPepTlT2e2JU9il2WPa3ilj0HaJc9me2XPWJzmD1j+Zg9m3+ZPQoGmj2wjJo9jhObPaOamz3vIZw9cqmcPSwxnT0duZ09RUGePaXJnj07Up89CNufPQ1koD1I7aA9unahPWMAoj1DiqI9WhSjPaeeoz0rKaQ95rOkPdg+pT0AyqU9X1WmPfXgpj3BbKc9xPinPf6EqD1uEak9FJ6pPfEqqj0EuKo9TkWrPc7Sqz2FYKw9ce6sPZV8rT3uCq49fpmuPUMorz0/t689ckawPdrVsD14ZbE9TfWxPViFsj2YFbM9D6azPbs2tD2ex7Q9tli1PQTqtT2Je7Y9Qw23PTKftz1YMbg9s8O4PURWuT0L6bk9B3y6PTkPuz2gors9PTa8PRDKvD0YXr09VfK9PciGvj1wG789TrC/PWFFwD2q2sA9J3DBPdoFwj3Cm8I94DHDPTLIwz26XsQ9d/XEPWiMxT2PI8Y967rGPXxSxz1C6sc9PYLIPWwayT3Rssk9akvKPTnkyj07fcs9cxbMPeCvzD2BSc09VuPNPWF9zj2fF889E7LPPbtM0D2X59A9qILRPe0d0j1nudI9FVXTPfjw0z0OjdQ9WSnVPdjF1T2MYtY9c//WPY+c1z3fOdg9Y9fYPRt12T0HE9o9JrHaPXpP2z0C7ts9vYzcPa0r3T3Qyt09J2rePbIJ3z1wqd89YkngPYjp4D3iieE9byriPS/L4j0jbOM9Sg3kPaWu5D00UOU99fHlPeqT5j0TNuc9btjnPf166D2/Hek9tMDpPd1j6j04B+s9x6rrPYhO7D198uw9pJbtPf867j2M3+49TITvPT8p8D1lzvA9vXPxPUkZ8j0Hv/I992TzPRoL9D1wsfQ9+Ff1PbP+9T2gpfY9wEz3PRL09z2Xm/g9TUP5PTfr+T1Sk/o9nzv7PR/k+z3RjPw9tTX9Pcve/T0TiP49jTH/PTnb/z2MQgA+lJcAPrXsAD7uQQE+QZcBPq3sAT4xQgI+zpcCPoTtAj5TQwM+O5kDPjvvAz5URQQ+hpsEPtHxBD40SAU+sJ4FPkT1BT7ySwY+t6IGPpb5Bj6NUAc+nKcHPsT+Bz4FVgg+Xq0IPs8ECT5ZXAk+/LMJPrcLCj6KYwo+drsKPnoTCz6Waws+y8MLPhgcDD59dAw++swMPpAlDT4+fg0+BNcNPuMvDj7ZiA4+6OEOPg87Dz5OlA8+pe0PPhRHED6boBA+OvoQPvFTET7BrRE+qAcSPqdhEj6+uxI+7RUTPjNwEz6SyhM+CSUUPpd/FD492hQ++zQVPtGPFT6+6hU+w0UWPuCgFj4V/BY+YVcXPsWyFz5ADhg+02kYPn7FGD5AIRk+Gn0ZPgvZGT4UNRo+NJEaPmztGj67SRs+IqYbPqACHD41Xxw+4rscPqYYHT6BdR0+dNIdPn4vHj6fjB4+1+kePidHHz6NpB8+CwIgPqBfID5MvSA+EBshPup4IT7b1iE+5DQiPgOTIj468SI+h08jPuutIz5nDCQ++WokPqLJJD5iKCU+OIclPibmJT4qRSY+RaQmPncDJz7AYic+H8InPpUhKD4hgSg+xeAoPn5AKT5PoCk+NgAqPjNgKj5IwCo+ciArPrOAKz4L4Ss+eUEsPv2hLD6YAi0+SWMtPhDELT7uJC4+4oUuPu3mLj4NSC8+RKkvPpEKMD71azA+bs0wPv4uMT6jkDE+X/IxPjFUMj4ZtjI+FxgzPit6Mz5V3DM+lD40PuqgND5WAzU+2GU1Pm/INT4cKzY+3402PrjwNj6nUzc+q7Y3PsUZOD71fDg+O+A4PpZDOT4Hpzk+jQo6PiluOj7b0To+ojU7Pn6ZOz5w/Ts+eGE8PpXFPD7HKT0+D449PmzyPT7eVj4+Zrs+PgMgPz61hD8+fek/PlpOQD5Ls0A+UxhBPm99QT6g4kE+50dCPkKtQj6zEkM+OXhDPtPdQz6DQ0Q+R6lEPiEPRT4PdUU+EttFPipBRj5Xp0Y+mQ1HPvBzRz5b2kc+20BIPm+nSD4ZDkk+13RJPqnbST6QQko+jKlKPp0QSz7Bd0s++95LPklGTD6rrUw+IhVNPq18TT5M5E0+AExOPsizTj6kG08+lYNPPprrTz6zU1A+4btQPiIkUT54jFE+4fRRPl9dUj7xxVI+ly5TPlGXUz4fAFQ+AWlUPvfRVD4AO1U+HqRVPk8NVj6VdlY+7t9WPltJVz7bslc+cBxYPhiGWD7T71g+o1lZPobDWT58LVo+hpdaPqQBWz7Va1s+GtZbPnJAXD7dqlw+XBVdPu9/XT6U6l0+TVVePhrAXj75Kl8+7JVfPvIAYD4LbGA+N9dgPndCYT7KrWE+LxliPqiEYj408GI+0ltjPoTHYz5JM2Q+IJ9kPgsLZT4Id2U+GONlPjtPZj5xu2Y+uidnPhWUZz6DAGg+A21oPpfZaD48Rmk+9bJpPsAfaj6djGo+jflqPpBmaz6l02s+zEBsPgaubD5SG20+sIhtPiH2bT6kY24+OdFuPuE+bz6arG8+ZhpwPkSIcD409nA+N2RxPkvScT5xQHI+qa5yPvMccz5Qi3M+vvlzPj1odD7P1nQ+c0V1Pii0dT7vInY+yJF2PrMAdz6vb3c+vd53Pt1NeD4OvXg+UCx5PqWbeT4KC3o+gnp6Pgrqej6kWXs+UMl7Pg05fD7bqHw+uhh9PquIfT6t+H0+wGh+PuTYfj4aSX8+YLl/PtwUgD4QTYA+TYWAPpO9gD7h9YA+Ny6BPpZmgT79noE+bdeBPuUPgj5mSII+7oCCPoC5gj4Z8oI+uyqDPmZjgz4YnIM+09SDPpYNhD5iRoQ+NX+EPhG4hD718IQ+4imFPtZihT7Tm4U+2NSFPuUNhj76RoY+F4CGPj25hj5q8oY+oCuHPt1khz4jnoc+cNeHPsYQiD4jSog+iYOIPve8iD5s9og+6S+JPm9piT78ook+kdyJPi4Wij7TT4o+f4mKPjTDij7w/Io+tDaLPoBwiz5Uqos+L+SLPhIejD79V4w+75GMPunLjD7rBY0+9T+NPgZ6jT4ftI0+P+6NPmcojj6WYo4+zZyOPgzXjj5SEY8+n0uPPvWFjz5RwI8+tfqPPiE1kD6Tb5A+DqqQPo/kkD4ZH5E+qVmRPkGUkT7gzpE+hgmSPjREkj7pfpI+pbmSPmn0kj40L5M+BmqTPt+kkz6/35M+pxqUPpZVlD6LkJQ+iMuUPowGlT6YQZU+qnyVPsO3lT7j8pU+Cy6WPjlplj5vpJY+q9+WPu4alz44Vpc+ipGXPuLMlz5BCJg+p0OYPhN/mD6Hupg+AfaYPoIxmT4KbZk+maiZPi/kmT7LH5o+bluaPhiXmj7I0po+fw6bPj1Kmz4Chps+zcGbPp79mz53OZw+VXWcPjuxnD4n7Zw+GSmdPhJlnT4SoZ0+GN2dPiQZnj43VZ4+UJGePnDNnj6WCZ8+w0WfPvaBnz4vvp8+b/qfPrQ2oD4Bc6A+U6+gPqzroD4LKKE+cGShPtugoT5N3aE+xBmiPkJWoj7GkqI+Uc+iPuELoz53SKM+FIWjPrbBoz5f/qM+DTukPsJ3pD59tKQ+PfGkPgQupT7QaqU+oqelPnvkpT5ZIaY+PV6mPiebpj4X2KY+DBWnPgdSpz4Ij6c+D8ynPhwJqD4uRqg+RoOoPmTAqD6I/ag+sTqpPt93qT4Utak+TvKpPo0vqj7TbKo+HaqqPm3nqj7DJKs+H2KrPn+fqz7m3Ks+URqsPsJXrD45law+tdKsPjYQrT69Ta0+SYutPtrIrT5xBq4+DUSuPq6Brj5Vv64+AP2uPrE6rz5neK8+I7avPuPzrz6pMbA+dG+wPkStsD4Z67A+8yixPtJmsT62pLE+oOKxPo4gsj6BXrI+eZyyPnfasj55GLM+gFazPoyUsz6d0rM+shC0Ps1OtD7sjLQ+EMu0PjkJtT5nR7U+moW1PtHDtT4NArY+TkC2PpN+tj7dvLY+LPu2Pn85tz7Xd7c+NLa3PpX0tz77Mrg+ZXG4PtSvuD5H7rg+vyy5PjtruT68qbk+Qei5Psomuj5YZbo+66O6PoHiuj4cIbs+vF+7Pl+euz4H3bs+tBu8PmRavD4Zmbw+0te8Po8WvT5QVb0+FpS9Pt/SvT6tEb4+f1C+PlWPvj4vzr4+DQ2/Pu9Lvz7Vir8+v8m/Pq0IwD6fR8A+lYbAPo/FwD6NBME+j0PBPpSCwT6ewcE+qwDCPrw/wj7RfsI+6r3CPgb9wj4mPMM+SnvDPnG6wz6d+cM+zDjEPv53xD40t8Q+bvbEPqs1xT7sdMU+MbTFPnnzxT7EMsY+E3LGPmaxxj688MY+FTDHPnJvxz7Srsc+Nu7HPp0tyD4Hbcg+dazIPubryD5aK8k+0WrJPkyqyT7K6ck+SynKPtBoyj5YqMo+4ufKPnAnyz4BZ8s+labLPi3myz7HJcw+ZGXMPgSlzD6o5Mw+TiTNPvhjzT6ko80+U+PNPgUjzj66Ys4+cqLOPi3izj7qIc8+q2HPPm6hzz404c8+/SDQPshg0D6WoNA+Z+DQPjsg0T4RYNE+6p/RPsbf0T6kH9I+hV/SPmif0j5O39I+Nx/TPiFf0z4Pn9M+/97TPvEe1D7mXtQ+3Z7UPtfe1D7THtU+0V7VPtKe1T7V3tU+2x7WPuJe1j7sntY++N7WPgcf1z4YX9c+Kp/XPj/f1z5XH9g+cF/YPouf2D6p39g+yB/ZPupf2T4OoNk+M+DZPlsg2j6FYNo+sKDaPt7g2j4NIds+P2HbPnKh2z6n4ds+3iHcPhdi3D5Sotw+juLcPswi3T4MY90+TqPdPpLj3T7XI94+HWTePmak3j6w5N4+/CTfPkll3z6Ypd8+6OXfPjom4D6OZuA+46bgPjnn4D6RJ+E+6mfhPkWo4T6h6OE+/yjiPl5p4j6+qeI+IOriPoMq4z7nauM+TKvjPrPr4z4bLOQ+hGzkPu6s5D5a7eQ+xy3lPjRu5T6jruU+E+/lPoUv5j73b+Y+arDmPt7w5j5TMec+ynHnPkGy5z658uc+MjPoPqxz6D4mtOg+ovToPh816T6cdek+GrbpPpn26T4ZN+o+mXfqPhq46j6c+Oo+HznrPqJ56z4muus+qvrrPi877D61e+w+O7zsPsL87D5JPe0+0X3tPlm+7T7i/u0+az/uPvV/7j5/wO4+CgHvPpVB7z4ggu8+q8LvPjcD8D7EQ/A+UITwPt3E8D5qBfE+90XxPoSG8T4Sx/E+oAfyPi1I8j67iPI+SsnyPtgJ8z5mSvM+9IrzPoPL8z4RDPQ+n0z0Pi6N9D68zfQ+Sg71PthO9T5mj/U+9M/1PoEQ9j4PUfY+nJH2PinS9j62Evc+Q1P3Ps+T9z5b1Pc+5xT4PnNV+D7+lfg+iNb4PhMX+T6dV/k+Jpj5Pq/Y+T44Gfo+wFn6Pkia+j7P2vo+Vhv7Ptxb+z5hnPs+5tz7Pmod/D7uXfw+cZ78PvPe/D51H/0+9V/9Pnag/T714P0+dCH+PvFh/j5uov4+6+L+PmYj/z7gY/8+WqT/PtPk/z6lEgA/4TIAPxtTAD9WcwA/kJMAP8mzAD8C1AA/OvQAP3IUAT+pNAE/4FQBPxZ1AT9MlQE/gbUBP7XVAT/p9QE/HBYCP042Aj+AVgI/snYCP+KWAj8StwI/QdcCP3D3Aj+dFwM/yzcDP/dXAz8jeAM/TpgDP3i4Az+h2AM/yvgDP/IYBD8ZOQQ/P1kEP2V5BD+JmQQ/rbkEP9DZBD/z+QQ/FBoFPzQ6BT9UWgU/c3oFP5GaBT+tugU/ytoFP+X6BT//GgY/GDsGPzBbBj9IewY/XpsGP3S7Bj+I2wY/m/sGP64bBz+/Owc/0FsHP997Bz/tmwc/+rsHPwfcBz8S/Ac/HBwIPyU8CD8sXAg/M3wIPzmcCD89vAg/QNwIP0P8CD9EHAk/RDwJP0JcCT9AfAk/PJwJPze8CT8x3Ak/KfwJPyEcCj8XPAo/DFwKP/97Cj/ymwo/47sKP9PbCj/B+wo/rhsLP5o7Cz+FWws/bnsLP1abCz88uws/IdsLPwX7Cz/nGgw/yDoMP6haDD+Gegw/YpoMPz66DD8X2gw/8PkMP8cZDT+cOQ0/cFkNP0J5DT8TmQ0/47gNP7DYDT99+A0/SBgOPxE4Dj/YVw4/n3cOP2OXDj8mtw4/6NYOP6f2Dj9lFg8/IjYPP91VDz+WdQ8/TpUPPwS1Dz+41A8/avQPPxsUED/KMxA/eFMQPyRzED/OkhA/drIQPxzSED/B8RA/ZBERPwYxET+lUBE/Q3ARP9+PET95rxE/Ec8RP6fuET88DhI/zi0SP19NEj/ubBI/e4wSPwesEj+QyxI/F+sSP50KEz8gKhM/okkTPyJpEz+fiBM/G6gTP5XHEz8N5xM/gwYUP/clFD9oRRQ/2GQUP0aEFD+yoxQ/G8MUP4PiFD/pARU/TCEVP65AFT8NYBU/an8VP8WeFT8fvhU/dd0VP8r8FT8dHBY/bTsWP7xaFj8IehY/UpkWP5m4Fj/f1xY/IvcWP2QWFz+iNRc/31QXPxp0Fz9Skxc/iLIXP7vRFz/t8Bc/HBAYP0kvGD9zThg/m20YP8GMGD/kqxg/BssYPyTqGD9BCRk/WygZP3NHGT+IZhk/m4UZP6ukGT+5wxk/xeIZP84BGj/VIBo/2T8aP9teGj/afRo/15waP9K7Gj/K2ho/v/kaP7IYGz+iNxs/kFYbP3t1Gz9klBs/SrMbPy7SGz8P8Rs/7Q8cP8kuHD+iTRw/eWwcP02LHD8fqhw/7cgcP7nnHD+DBh0/SiUdPw5EHT/PYh0/joEdP0qgHT8Dvx0/ut0dP278HT8fGx4/zTkeP3lYHj8idx4/yJUeP2u0Hj8M0x4/qvEeP0UQHz/dLh8/ck0fPwVsHz+Uih8/IakfP6vHHz8y5h8/tgQgPzgjID+2QSA/MmAgP6p+ID8gnSA/k7sgPwPaID9w+CA/2hYhP0E1IT+lUyE/BnIhP2SQIT+/riE/F80hP2zrIT++CSI/DSgiP1lGIj+iZCI/6IIiPyuhIj9rvyI/p90iP+H7Ij8YGiM/SzgjP3tWIz+odCM/05IjP/mwIz8dzyM/Pu0jP1sLJD92KSQ/jUckP6FlJD+xgyQ/v6EkP8m/JD/Q3SQ/1PskP9UZJT/SNyU/zFUlP8NzJT+3kSU/p68lP5TNJT9+6yU/ZQkmP0gnJj8oRSY/BGMmP92AJj+zniY/hrwmP1XaJj8h+CY/6RUnP64zJz9wUSc/Lm8nP+mMJz+gqic/VMgnPwTmJz+yAyg/WyEoPwE/KD+kXCg/Q3ooP9+XKD94tSg/DNMoP57wKD8rDik/tispPzxJKT/AZik/P4QpP7uhKT80vyk/qdwpPxr6KT+IFyo/8jQqP1lSKj+8byo/HI0qP3eqKj/Qxyo/JOUqP3UCKz/CHys/DD0rP1JaKz+Udys/05QrPw6yKz9Fzys/eOwrP6gJLD/UJiw//EMsPyFhLD9Cfiw/X5ssP3i4LD+O1Sw/n/IsP60PLT+4LC0/vkktP8FmLT+/gy0/uqAtP7G9LT+l2i0/lPctP4AULj9nMS4/S04uPytrLj8HiC4/4KQuP7TBLj+E3i4/UfsuPxoYLz/eNC8/n1EvP1xuLz8Viy8/yqcvP3vELz8o4S8/0f0vP3YaMD8XNzA/tFMwP01wMD/ijDA/c6kwPwDGMD+J4jA/Dv8wP44bMT8LODE/hFQxP/hwMT9pjTE/1qkxPz7GMT+i4jE/Av8xP18bMj+2NzI/ClQyP1pwMj+mjDI/7agyPzDFMj9v4TI/qv0yP+EZMz8TNjM/QlIzP2xuMz+SijM/tKYzP9HCMz/q3jM/APszPxAXND8dMzQ/JU80PylrND8phzQ/JaM0Pxy/ND8P2zQ//fY0P+gSNT/OLjU/sEo1P41mNT9mgjU/O541Pwu6NT/X1TU/n/E1P2INNj8hKTY/3EQ2P5JgNj9EfDY/8Zc2P5qzNj8/zzY/3+o2P3sGNz8SIjc/pT03PzRZNz++dDc/Q5A3P8SrNz9Bxzc/ueI3Py3+Nz+cGTg/BzU4P21QOD/Pazg/LIc4P4WiOD/ZvTg/KNk4P3P0OD+6Dzk//Co5PzlGOT9yYTk/pnw5P9aXOT8Bszk/KM45P0rpOT9nBDo/gB86P5Q6Oj+jVTo/rnA6P7SLOj+2pjo/s8E6P6vcOj+f9zo/jhI7P3gtOz9eSDs/P2M7Pxt+Oz/zmDs/xbM7P5TOOz9d6Ts/IgQ8P+IePD+dOTw/VFQ8PwVvPD+yiTw/W6Q8P/6+PD+d2Tw/N/Q8P8wOPT9dKT0/6EM9P29ePT/xeD0/bpM9P+etPT9byD0/yeI9PzP9PT+YFz4/+TE+P1RMPj+rZj4//IA+P0mbPj+RtT4/1M8+PxPqPj9MBD8/gB4/P7A4Pz/bUj8/AG0/PyGHPz89oT8/VLs/P2bVPz9z7z8/ewlAP38jQD99PUA/dldAP2pxQD9ai0A/RKVAPyq/QD8K2UA/5fJAP7wMQT+NJkE/WkBBPyFaQT/kc0E/oY1BP1mnQT8NwUE/u9pBP2T0QT8IDkI/pydCP0FBQj/WWkI/ZnRCP/GNQj93p0I/+MBCP3PaQj/q80I/Ww1DP8cmQz8vQEM/kVlDP+5yQz9FjEM/mKVDP+a+Qz8u2EM/cfFDP68KRD/oI0Q/HD1EP0tWRD90b0Q/mYhEP7ihRD/SukQ/5tNEP/bsRD8ABkU/BR9FPwU4RT8AUUU/9WlFP+aCRT/Rm0U/trRFP5fNRT9y5kU/SP9FPxkYRj/lMEY/q0lGP2xiRj8oe0Y/3pNGP4+sRj87xUY/4t1GP4P2Rj8fD0c/tidHP0dARz/TWEc/WnFHP9yJRz9Yokc/z7pHP0DTRz+s60c/EwRIP3QcSD/RNEg/J01IP3llSD/FfUg/C5ZIP02uSD+Jxkg/v95IP/D2SD8cD0k/QidJP2M/ST9/V0k/lW9JP6aHST+xn0k/t7dJP7fPST+y50k/qP9JP5gXSj+DL0o/aEdKP0hfSj8id0o/945KP8emSj+Rvko/VdZKPxTuSj/OBUs/gh1LPzE1Sz/aTEs/fmRLPxx8Sz+1k0s/SKtLP9XCSz9d2ks/4PFLP10JTD/VIEw/RzhMP7NPTD8aZ0w/fH5MP9iVTD8urUw/f8RMP8rbTD8Q80w/UApNP4shTT/AOE0/8E9NPxpnTT8+fk0/XZVNP3asTT+Jw00/l9pNP6DxTT+jCE4/oB9OP5c2Tj+JTU4/dmROP117Tj8+kk4/GalOP++/Tj/A1k4/iu1OP08ETz8PG08/yTFPP31ITz8rX08/1HVPP3eMTz8Vo08/rLlPPz/QTz/L5k8/Uv1PP9MTUD9PKlA/xUBQPzVXUD+fbVA/BIRQP2OaUD+9sFA/EMdQP17dUD+n81A/6QlRPyYgUT9dNlE/j0xRP7tiUT/heFE/AY9RPxylUT8wu1E/QNFRP0nnUT9N/VE/SxNSP0MpUj81P1I/IlVSPwlrUj/qgFI/xpZSP5usUj9rwlI/NdhSP/rtUj+5A1M/cRlTPyUvUz/SRFM/eVpTPxtwUz+3hVM/TZtTP96wUz9oxlM/7dtTP2zxUz/mBlQ/WRxUP8cxVD8uR1Q/kVxUP+1xVD9Dh1Q/lJxUP9+xVD8jx1Q/Y9xUP5zxVD/PBlU//RtVPyUxVT9HRlU/Y1tVP3lwVT+KhVU/lZpVP5mvVT+YxFU/ktlVP4XuVT9yA1Y/WhhWPzwtVj8YQlY/7lZWP75rVj+IgFY/TJVWPwuqVj/EvlY/dtNWPyPoVj/L/FY/bBFXPwcmVz+cOlc/LE9XP7ZjVz86eFc/t4xXPy+hVz+itVc/DspXP3TeVz/V8lc/LwdYP4QbWD/TL1g/HERYP19YWD+cbFg/04BYPwSVWD8vqVg/Vb1YP3TRWD+O5Vg/ovlYP68NWT+3IVk/uTVZP7VJWT+rXVk/m3FZP4aFWT9qmVk/SK1ZPyHBWT/z1Fk/wOhZP4f8WT9HEFo/AiRaP7c3Wj9mS1o/D19aP7JyWj9Phlo/5plaP3etWj8DwVo/iNRaPwfoWj+B+1o/9A5bP2IiWz/JNVs/K0lbP4dcWz/cb1s/LINbP3aWWz+6qVs/+LxbPy/QWz9h41s/jfZbP7MJXD/UHFw/7i9cPwJDXD8QVlw/GGlcPxp8XD8Xj1w/DaJcP/20XD/ox1w/zNpcP6vtXD+DAF0/VhNdPyImXT/pOF0/qUtdP2ReXT8YcV0/x4NdP3CWXT8SqV0/r7tdP0bOXT/X4F0/YfNdP+YFXj9lGF4/3ipeP1E9Xj++T14/JGJeP4V0Xj/ghl4/NZleP4SrXj/NvV4/ENBeP03iXj+E9F4/tQZfP+AYXz8FK18/JD1fPz1PXz9QYV8/XXNfP2WFXz9ml18/YalfP1a7Xz9FzV8/Lt9fPxLxXz/vAmA/xhRgP5cmYD9iOGA/KEpgP+dbYD+gbWA/VH9gPwGRYD+oomA/SbRgP+XFYD9612A/CulgP5P6YD8WDGE/lB1hPwsvYT99QGE/6FFhP01jYT+tdGE/BoZhP1qXYT+nqGE/77lhPzDLYT9s3GE/ou1hP9H+YT/7D2I/HiFiPzwyYj9UQ2I/ZVRiP3FlYj93dmI/d4diP3CYYj9kqWI/UrpiPzrLYj8c3GI/9+xiP839Yj+dDmM/Zx9jPyswYz/pQGM/oVFjP1NiYz//cmM/pYNjP0WUYz/gpGM/dLVjPwLGYz+K1mM/DedjP4n3Yz//B2Q/cBhkP9ooZD8+OWQ/nUlkP/ZZZD9IamQ/lXpkP9uKZD8cm2Q/V6tkP4y7ZD+6y2Q/49tkPwbsZD8j/GQ/OgxlP0scZT9WLGU/WzxlP1tMZT9UXGU/R2xlPzV8ZT8cjGU//ptlP9mrZT+vu2U/fstlP0jbZT8M62U/yvplP4IKZj80GmY/4ClmP4Y5Zj8mSWY/wVhmP1VoZj/jd2Y/bIdmP+6WZj9rpmY/4rVmP1PFZj++1GY/I+RmP4LzZj/bAmc/LhJnP3whZz/DMGc/BUBnP0BPZz92Xmc/pm1nP9B8Zz/0i2c/EptnPyqqZz89uWc/SchnP1DXZz9Q5mc/S/VnP0AEaD8vE2g/GCJoP/swaD/ZP2g/sE5oP4JdaD9ObGg/FHtoP9SJaD+OmGg/QqdoP/C1aD+ZxGg/PNNoP9nhaD9w8Gg/Af9oP4wNaT8RHGk/kSppPws5aT9/R2k/7VVpP1VkaT+3cmk/FIFpP2qPaT+7nWk/BqxpP0u6aT+LyGk/xNZpP/jkaT8m82k/TgFqP3APaj+NHWo/oytqP7Q5aj+/R2o/xFVqP8Rjaj+9cWo/sX9qP5+Naj+Hm2o/aqlqP0a3aj8dxWo/7tJqP7rgaj9/7mo/P/xqP/kJaz+tF2s/WyVrPwQzaz+nQGs/RE5rP9tbaz9taWs/+XZrP3+Eaz//kWs/ep9rP+6saz9eums/x8drPyrVaz+I4ms/4O9rPzP9az+ACmw/xhdsPwglbD9DMmw/eT9sP6lMbD/TWWw/+GZsPxd0bD8wgWw/RI5sP1KbbD9aqGw/XLVsP1nCbD9Qz2w/QdxsPy3pbD8T9mw/8wJtP84PbT+jHG0/ciltPzw2bT8AQ20/vk9tP3dcbT8qaW0/13VtP3+CbT8hj20/vZttP1SobT/ltG0/ccFtP/fNbT932m0/8uZtP2fzbT/W/20/QAxuP6QYbj8DJW4/WzFuP689bj/9SW4/RVZuP4dibj/Ebm4//HpuPy2Hbj9ak24/gJ9uP6Grbj+9t24/08NuP+PPbj/u224/8+duP/Pzbj/t/24/4gtvP9EXbz+6I28/ni9vP307bz9VR28/KVNvP/debz+/am8/gnZvPz+Cbz/3jW8/qZlvP1albz/9sG8/n7xvPzvIbz/S028/Y99vP+/qbz919m8/9gFwP3INcD/nGHA/WCRwP8MvcD8oO3A/iUZwP+NRcD84XXA/iGhwP9JzcD8Xf3A/V4pwP5GVcD/FoHA/9KtwPx63cD9CwnA/Yc1wP3vYcD+P43A/ne5wP6f5cD+rBHE/qQ9xP6IacT+WJXE/hDBxP207cT9RRnE/L1FxPwhccT/bZnE/qnFxP3J8cT82h3E/9JFxP62ccT9gp3E/DrJxP7e8cT9bx3E/+dFxP5LccT8l53E/s/FxPzz8cT/ABnI/PhFyP7cbcj8rJnI/mjByPwM7cj9nRXI/xU9yPx9acj9zZHI/wm5yPwt5cj9Pg3I/j41yP8iXcj/9oXI/LKxyP1e2cj97wHI/m8pyP7bUcj/L3nI/2+hyP+bycj/r/HI/7AZzP+cQcz/dGnM/ziRzP7oucz+gOHM/gkJzP15Mcz81VnM/B2BzP9Rpcz+bc3M/Xn1zPxuHcz/TkHM/hppzPzSkcz/drXM/gLdzPx/Bcz+4ynM/TdRzP9zdcz9m53M/6/BzP2v6cz/mA3Q/XA10P8wWdD84IHQ/nyl0PwAzdD9dPHQ/tEV0PwZPdD9UWHQ/nGF0P99qdD8ddHQ/V310P4uGdD+6j3Q/5Jh0PwmidD8pq3Q/RLR0P1u9dD9sxnQ/eM90P3/YdD+B4XQ/f+p0P3fzdD9q/HQ/WQV1P0IOdT8mF3U/BiB1P+EodT+2MXU/hzp1P1NDdT8aTHU/3FR1P5lddT9RZnU/BG91P7N3dT9cgHU/AYl1P6CRdT87mnU/0aJ1P2KrdT/vs3U/drx1P/nEdT92zXU/79V1P2PedT/S5nU/Pe91P6L3dT8DAHY/Xwh2P7YQdj8IGXY/ViF2P58pdj/jMXY/Ijp2P1xCdj+SSnY/w1J2P+9adj8WY3Y/OWt2P1Zzdj9we3Y/hIN2P5SLdj+ek3Y/pZt2P6ajdj+jq3Y/m7N2P467dj99w3Y/Z8t2P0zTdj8t23Y/CeN2P+Dqdj+y8nY/gPp2P0oCdz8OCnc/zhF3P4kZdz9AIXc/8ih3P6Awdz9IOHc/7T93P4xHdz8nT3c/vlZ3P09edz/cZXc/ZW13P+l0dz9pfHc/5IN3P1qLdz/Mknc/OZp3P6Khdz8GqXc/ZbB3P8C3dz8Xv3c/acZ3P7bNdz//1Hc/RNx3P4Tjdz+/6nc/9vF3Pyn5dz9XAHg/gQd4P6YOeD/GFXg/4xx4P/ojeD8OK3g/HDJ4Pyc5eD8tQHg/Lkd4PyxOeD8kVXg/GVx4PwljeD/0aXg/23B4P753eD+cfng/doV4P0yMeD8dk3g/6pl4P7OgeD93p3g/N654P/K0eD+pu3g/XMJ4PwvJeD+1z3g/W9Z4P/zceD+a43g/M+p4P8fweD9Y93g/5P14P2wEeT/wCnk/bxF5P+oXeT9hHnk/0yR5P0IreT+sMXk/Ejh5P3Q+eT/RRHk/Kkt5P39ReT/QV3k/HV55P2VkeT+qank/6nB5PyZ3eT9dfXk/kYN5P8GJeT/sj3k/E5Z5PzaceT9Vonk/cKh5P4aueT+ZtHk/p7p5P7LAeT+4xnk/usx5P7jSeT+y2Hk/qN55P5rkeT+H6nk/cfB5P1f2eT84/Hk/FgJ6P+8Hej/FDXo/lhN6P2QZej8tH3o/8yR6P7Qqej9xMHo/KzZ6P+A7ej+SQXo/P0d6P+lMej+OUno/MFh6P85dej9nY3o//Wh6P49uej8ddHo/p3l6Py1/ej+vhHo/LYp6P6iPej8elXo/kZp6P/+fej9qpXo/0ap6PzSwej+TtXo/77p6P0bAej+axXo/6sp6PzbQej9+1Xo/wtp6PwPgej9A5Xo/eep6P67vej/f9Ho/Dfp6Pzf/ej9dBHs/fwl7P50Oez+4E3s/zxh7P+Mdez/yIns//id7PwYtez8KMns/Czd7Pwg8ez8BQXs/90V7P+lKez/XT3s/wVR7P6hZez+LXns/a2N7P0doez8fbXs/83F7P8R2ez+Se3s/W4B7PyGFez/kiXs/o457P16Tez8WmHs/ypx7P3qhez8npns/0Kp7P3avez8YtHs/t7h7P1K9ez/pwXs/fcZ7Pw7Lez+bz3s/JNR7P6rYez8t3Xs/rOF7Pyfmez+f6ns/E+97P4Tzez/y93s/XPx7P8MAfD8mBXw/hQl8P+INfD86Enw/kBZ8P+IafD8wH3w/eyN8P8MnfD8HLHw/SDB8P4Y0fD/AOHw/9zx8PypBfD9aRXw/h0l8P7BNfD/WUXw/+VV8PxhafD80Xnw/TWJ8P2JmfD90anw/g258P45yfD+Wdnw/m3p8P51+fD+bgnw/loZ8P46KfD+Cjnw/dJJ8P2KWfD9Nmnw/NJ58PxiifD/5pXw/16l8P7KtfD+JsXw/XrV8Py+5fD/9vHw/x8B8P4/EfD9TyHw/FMx8P9PPfD+N03w/Rdd8P/rafD+r3nw/WuJ8PwXmfD+t6Xw/Uu18P/TwfD+T9Hw/Lvh8P8f7fD9d/3w/7wJ9P38GfT8LCn0/lA19PxsRfT+eFH0/Hhh9P5sbfT8VH30/jCJ9PwAmfT9yKX0/4Cx9P0swfT+zM30/GDd9P3o6fT/ZPX0/NkF9P49EfT/lR30/OEt9P4lOfT/WUX0/IVV9P2hYfT+tW30/7159Py5ifT9qZX0/o2h9P9lrfT8Mb30/PXJ9P2p1fT+VeH0/vXt9P+J+fT8Egn0/JIV9P0CIfT9ai30/cI59P4WRfT+WlH0/pJd9P7CafT+5nX0/v6B9P8KjfT/Cpn0/wKl9P7usfT+zr30/qLJ9P5u1fT+LuH0/eLt9P2O+fT9KwX0/MMR9PxLHfT/xyX0/zsx9P6nPfT+A0n0/VdV9PyfYfT/32n0/xN19P47gfT9V430/GuZ9P9zofT+c630/We59PxPxfT/L830/gPZ9PzP5fT/j+30/kP59PzsBfj/jA34/iQZ+PywJfj/MC34/ag5+PwYRfj+eE34/NRZ+P8gYfj9aG34/6B1+P3Qgfj/+In4/hSV+Pwoofj+MKn4/DC1+P4kvfj8EMn4/fDR+P/I2fj9lOX4/1jt+P0Q+fj+wQH4/GkN+P4FFfj/mR34/SEp+P6hMfj8FT34/YFF+P7lTfj8PVn4/Y1h+P7Vafj8EXX4/UV9+P5thfj/jY34/KWZ+P2xofj+tan4/7Gx+Pyhvfj9icX4/mnN+P9B1fj8DeH4/M3p+P2J8fj+Ofn4/uIB+P+CCfj8FhX4/KId+P0mJfj9oi34/hI1+P5+Pfj+3kX4/zJN+P+CVfj/xl34/AJp+Pw2cfj8Ynn4/IKB+Pyaifj8qpH4/LKZ+Pyyofj8pqn4/Jax+Px6ufj8VsH4/CrJ+P/2zfj/utX4/3Ld+P8m5fj+zu34/m71+P4G/fj9lwX4/R8N+PyfFfj8Fx34/4Mh+P7rKfj+RzH4/Z85+PzrQfj8M0n4/29N+P6jVfj9z134/Pdl+PwTbfj/J3H4/jN5+P03gfj8M4n4/yuN+P4Xlfj8+534/9eh+P6rqfj9e7H4/D+5+P77vfj9s8X4/F/N+P8H0fj9o9n4/Dvh+P7L5fj9U+34/8/x+P5H+fj8uAH8/yAF/P2ADfz/3BH8/iwZ/Px4Ifz+vCX8/Pgt/P8sMfz9WDn8/3w9/P2cRfz/tEn8/cBR/P/IVfz9zF38/8Rh/P24afz/pG38/Yh1/P9kefz9OIH8/wiF/PzQjfz+kJH8/EiZ/P38nfz/qKH8/Uyp/P7orfz8gLX8/gy5/P+Yvfz9GMX8/pTJ/PwI0fz9dNX8/tjZ/Pw44fz9kOX8/uTp/Pww8fz9dPX8/rD5/P/o/fz9GQX8/kUJ/P9lDfz8hRX8/ZkZ/P6pHfz/sSH8/LUp/P2xLfz+pTH8/5U1/Px9Pfz9YUH8/j1F/P8RSfz/4U38/KlV/P1tWfz+KV38/uFh/P+RZfz8OW38/N1x/P15dfz+EXn8/qV9/P8tgfz/tYX8/DGN/Pypkfz9HZX8/YmZ/P3xnfz+UaH8/q2l/P8Bqfz/Ua38/5mx/P/dtfz8Gb38/FHB/PyFxfz8scn8/NXN/Pz10fz9EdX8/SXZ/P013fz9PeH8/UHl/P1B6fz9Oe38/S3x/P0Z9fz9Afn8/OX9/PzCAfz8mgX8/G4J/Pw6Dfz8AhH8/8IR/P9+Ffz/Nhn8/uYd/P6SIfz+OiX8/dop/P12Lfz9DjH8/KI1/PwuOfz/tjn8/zY9/P62Qfz+LkX8/Z5J/P0OTfz8dlH8/9pR/P82Vfz+kln8/eZd/P02Yfz8fmX8/8Zl/P8Gafz+Qm38/XZx/Pyqdfz/1nX8/v55/P4iffz9PoH8/FqF/P9uhfz+fon8/YqN/PySkfz/kpH8/o6V/P2Kmfz8fp38/26d/P5Wofz9PqX8/B6p/P76qfz91q38/Kqx/P92sfz+QrX8/Qq5/P/Kufz+ir38/ULB/P/2wfz+psX8/VbJ/P/6yfz+ns38/T7R/P/a0fz+ctX8/QLZ/P+S2fz+Gt38/KLh/P8i4fz9nuX8/Brp/P6O6fz8/u38/27t/P3W8fz8OvX8/pr1/Pz2+fz/Uvn8/ab9/P/2/fz+QwH8/IsF/P7TBfz9Ewn8/08J/P2LDfz/vw38/e8R/PwfFfz+RxX8/G8Z/P6PGfz8rx38/ssd/PzjIfz+9yH8/Qcl/P8TJfz9Gyn8/x8p/P0fLfz/Hy38/Rcx/P8PMfz9AzX8/u81/PzbOfz+xzn8/Ks9/P6LPfz8a0H8/kNB/PwbRfz970X8/79F/P2LSfz/V0n8/RtN/P7fTfz8n1H8/ltR/PwTVfz9y1X8/3tV/P0rWfz+11n8/INd/P4nXfz/y138/Wdh/P8DYfz8n2X8/jNl/P/HZfz9V2n8/uNp/Pxvbfz98238/3dt/Pz3cfz+d3H8/+9x/P1ndfz+33X8/E95/P2/efz/K3n8/JN9/P37ffz/X338/L+B/P4bgfz/d4H8/M+F/P4nhfz/d4X8/MeJ/P4Xifz/X4n8/KeN/P3rjfz/L438/G+R/P2rkfz+55H8/B+V/P1Tlfz+h5X8/7eV/Pzjmfz+D5n8/zeZ/Pxfnfz9g538/qOd/P+/nfz826H8/feh/P8Pofz8I6X8/TOl/P5Dpfz/U6X8/F+p/P1nqfz+a6n8/2+p/Pxzrfz9c638/m+t/P9rrfz8Y7H8/Vux/P5Psfz/P7H8/C+1/P0ftfz+C7X8/vO1/P/btfz8v7n8/aO5/P6Dufz/Y7n8/D+9/P0Xvfz97738/se9/P+bvfz8b8H8/T/B/P4Lwfz+28H8/6PB/Pxrxfz9M8X8/ffF/P67xfz/e8X8/DvJ/Pz3yfz9s8n8/mvJ/P8jyfz/18n8/IvN/P0/zfz97838/pvN/P9Hzfz/8838/JvR/P1D0fz959H8/ovR/P8v0fz/z9H8/G/V/P0L1fz9p9X8/j/V/P7X1fz/b9X8/APZ/PyX2fz9J9n8/bfZ/P5H2fz+09n8/1/Z/P/r2fz8c938/Pvd/P1/3fz+A938/oPd/P8H3fz/h938/APh/Px/4fz8++H8/Xfh/P3v4fz+Y+H8/tvh/P9P4fz/w+H8/DPl/Pyj5fz9E+X8/X/l/P3r5fz+V+X8/r/l/P8r5fz/j+X8//fl/Pxb6fz8v+n8/R/p/P2D6fz94+n8/j/p/P6b6fz+++n8/1Pp/P+v6fz8B+38/F/t/Pyz7fz9C+38/V/t/P2z7fz+A+38/lPt/P6j7fz+8+38/0Pt/P+P7fz/2+38/CPx/Pxv8fz8t/H8/P/x/P1H8fz9i/H8/c/x/P4T8fz+V/H8/pfx/P7b8fz/G/H8/1fx/P+X8fz/0/H8/A/1/PxL9fz8h/X8/L/1/Pz79fz9M/X8/Wf1/P2f9fz90/X8/gv1/P4/9fz+b/X8/qP1/P7X9fz/B/X8/zf1/P9n9fz/k/X8/8P1/P/v9fz8G/n8/Ef5/Pxz+fz8m/n8/Mf5/Pzv+fz9F/n8/T/5/P1n+fz9i/n8/bP5/P3X+fz9+/n8/h/5/P5D+fz+Y/n8/of5/P6n+fz+x/n8/uf5/P8H+fz/J/n8/0P5/P9j+fz/f/n8/5v5/P+3+fz/0/n8/+/5/PwL/fz8I/38/Dv9/PxX/fz8b/38/If9/Pyf/fz8t/38/Mv9/Pzj/fz89/38/Q/9/P0j/fz9N/38/Uv9/P1f/fz9c/38/YP9/P2X/fz9p/38/bv9/P3L/fz92/38/ev9/P37/fz+C/38/hv9/P4r/fz+O/38/kf9/P5X/fz+Y/38/m/9/P5//fz+i/38/pf9/P6j/fz+r/38/rv9/P7D/fz+z/38/tv9/P7j/fz+7/38/vf9/P8D/fz/C/38/xP9/P8b/fz/J/38/y/9/P83/fz/P/38/0f9/P9L/fz/U/38/1v9/P9j/fz/Z/38/2/9/P9z/fz/e/38/3/9/P+H/fz/i/38/4/9/P+X/fz/m/38/5/9/P+j/fz/p/38/6v9/P+v/fz/s/38/7f9/P+7/fz/v/38/8P9/P/H/fz/x/38/8v9/P/P/fz/0/38/9P9/P/X/fz/2/38/9v9/P/f/fz/3/38/+P9/P/j/fz/5/38/+f9/P/r/fz/6/38/+v9/P/v/fz/7/38/+/9/P/z/fz/8/38//P9/P/3/fz/9/38//f9/P/3/fz/+/38//v9/P/7/fz/+/38//v9/P/7/fz///38///9/P///fz///38///9/P///fz///38///9/P///fz///38/AACAPwAAgD8AAIA/AACAPwAAgD8AAIA/AACAPwAAgD8AAIA/AACAPwAAgD8AAIA/AACAPwAAgD8AAIA/AACAPwAAgD8AAIA/AACAPwAAgD8AAIA/AACAPwAAgD8AAIA/AACAPwAAgD8AAIA/AACAPwAAgD8AAIA/AACAPwAAgD8AAIA/AAAAAAYAAAAHAAAACAAAAAkAAAAKAAAACwAAAAwAAAANAAAADgAAAA8AAAAQAAAAEQAAABIAQcC/AwuhCD605DMJkfMzi7IBNDwgCjQjGhM0YKkcNKfXJjRLrzE0UDs9NHCHSTQjoFY0uJJkNFVtczSIn4E0/AuKNJMEkzRpkpw0Mr+mND+VsTSTH7005GnJNK2A1jQ2ceQ0pknzNIiMATXA9wk1Bu8SNXZ7HDXApiY1N3sxNdoDPTVeTEk1O2FWNblPZDX8JXM1inmBNYbjiTV82ZI1hWScNVKOpjUzYbE1Jei8NdwuyTXOQdY1QS7kNVcC8zWPZgE2T88JNvXDEjaYTRw26HUmNjJHMTZ0zDw2XhFJNmUiVjbODGQ2uN5yNpdTgTYcu4k2cq6SNq82nDaBXaY2NS2xNsewvDbk88g2AQPWNmDr4zYeu/I2okABN+umCTfxmBI3yR8cNx5FJjc9EzE3HpU8N2/WSDei41U398ljN4mXcjevLYE3vpKJN3SDkjfmCJw3viymN0f5sDd5ebw3/rjIN0fE1TeSqOM3+HPyN8AaATiTfgk4+W0SOAbyGzhiFCY4Vt8wONhdPDiSm0g48qRVODOHYzhuUHI40weBOGtqiTiCWJI4KtubOAn8pThoxbA4O0K8OCl+yDighdU42WXjOOgs8jjp9AA5RlYJOQ5DEjlRxBs5teMlOX+rMDmiJjw5xWBIOVNmVTmDRGM5aAlyOQHigDkkQok5nS2SOXutmzljy6U5mZGwOQ0LvDlmQ8g5C0fVOTIj4znt5fE5Hc8AOgUuCTowGBI6qZYbOhWzJTq3dzA6fO87OgomSDrHJ1U65gFjOnjCcTo7vIA66RmJOsYCkjrbf5s6y5qlOthdsDrv07s6swjIOogI1Tqf4OI6B5/xOlypADvQBQk7Xu0ROw9pGzuEgiU7/UMwO2e4Ozth60c7TelUO12/Yjuce3E7f5aAO7rxiDv515E7R1KbO0FqpTsnKrA74py7OxLOxzsXytQ7IJ7iOzVY8TumgwA8p90IPJjCETyCOxs8AVIlPFQQMDxhgTs8yLBHPOWqVDzofGI81DRxPM9wgDyWyYg8Oq2RPMAkmzzFOaU8hfavPOVluzyCk8c8uYvUPLRb4jx5EfE8+10APYm1CD3flxE9Ag4bPY0hJT253C89bUo7PUB2Rz2RbFQ9hTpiPSLucD0qS4A9f6GIPYiCkT1I95o9WAmlPfLCrz34Lrs9A1nHPW1N1D1cGeI90crwPVs4AD53jQg+M20RPpDgGj4n8SQ+LqkvPocTOz7KO0c+TS5UPjf4YT6Ep3A+jyWAPnN5iD7iV5E+3MmaPvnYpD5tj68+G/i6PpUexz4zD9Q+F9fhPj2E8D7GEgA/cmUIP5NCET8rsxo/zsAkP7F1Lz+y3Do/ZQFHPx3wUz/7tWE/+2BwPwAAgD8AAQAAgAAAAFYAAABAAAAAAAAAABMAAAAUAAAAFQAAABYAQezHAwuUQRcAAAAYAAAAEwAAABQAAAAVAAAAFgAAABkAAAAaAAAAGwAAABgAAAATAAAAFAAAABUAAAAWAAAAHAAAAB0AAAAeAAAAgN8AAJzfAADQ4wAA8OMAABDkAAB2b3JiaXMAWGlwaC5PcmcgbGliVm9yYmlzIEkgMjAyMDA3MDQgKFJlZHVjaW5nIEVudmlyb25tZW50KQAAAAAAtx3BBG47ggnZJkMN3HYEE2trxReyTYYaBVBHHrjtCCYP8Mki1taKL2HLSytkmww104bNMQqgjjy9vU84cNsRTMfG0Ege4JNFqf1SQaytFV8bsNRbwpaXVnWLVlLINhlqfyvYbqYNm2MREFpnFEAdeaNd3H16e59wzWZedOC2I5hXq+Kcjo2hkTmQYJU8wCeLi93mj1L7pYLl5mSGWFsrvu9G6ro2YKm3gX1os4QtL60zMO6p6hatpF0LbKCQbTLUJ3Dz0P5WsN1JS3HZTBs2x/sG98MiILTOlT11yiiAOvKfnfv2Rru4+/Gmef/09j7hQ+v/5ZrNvOgt0H3sd3CGNMBtRzAZSwQ9rlbFOasGgiccG0MjxT0ALnIgwSrPnY4SeIBPFqGmDBsWu80fE+uKAaT2SwV90AgIys3JDAerl3iwtlZ8aZAVcd6N1HXb3ZNrbMBSb7XmEWIC+9Bmv0afXghbXlrRfR1XZmDcU2Mwm03ULVpJDQsZRLoW2ECXxqWsINtkqPn9J6VO4OahS7Chv/ytYLsliyO2kpbisi8rrYqYNmyOQRAvg/YN7ofzXamZREBonZ1mK5Aqe+qU5x204FAAdeSJJjbpPjv37TtrsPOMdnH3VVAy+uJN8/5f8LzG6O19wjHLPs+G1v/Lg4a41TSbedHtvTrcWqD72O7gDGlZ/c1tgNuOYDfGT2Qylgh6hYvJflytinPrsEt3Vg0ET+EQxUs4NoZGjytHQop7AFw9ZsFY5ECCVVNdQ1GeOx0lKSbcIfAAnyxHHV4oQk0ZNvVQ2DIsdps/m2taOybWFQORy9QHSO2XCv/wVg76oBEQTb3QFJSbkxkjhlIdDlYv8blL7vVgba3413Bs/NIgK+JlPermvBup6wsGaO+2uyfXAabm09iApd5vnWTaas0jxN3Q4sAE9qHNs+tgyX6NPr3JkP+5ELa8tKerfbCi+zquFeb7qszAuKd73XmjxmA2m3F995+oW7SSH0Z1lhoWMoitC/OMdC2wgcMwcYWZkIpdLo1LWferCFRAtslQReaOTvL7T0or3QxHnMDNQyF9gnuWYEN/T0YAcvhbwXb9C4ZoShZHbJMwBGEkLcVl6UubEV5WWhWHcBkYMG3YHDU9nwKCIF4GWwYdC+wb3A9RppM35rtSMz+dET6IgNA6jdCXJDrNViDj6xUtVPbUKXkmqcXOO2jBFx0rzKAA6silUK3WEk1s0strL998du7bwcuh43bWYOev8CPqGO3i7h29pfCqoGT0c4Yn+cSb5v0J/biJvuB5jWfGOoDQ2/uE1Yu8mmKWfZ67sD6TDK3/l7EQsK8GDXGr3ysypmg286JtZrS82nt1uANdNrW0QPexAAAAANzBGdIPnvKg01/rcqkhJEV14D2Xpr/W5Xp+zzdSQ0iKjoJRWF3duiqBHKP4+2JszyejdR30/J5vKD2HvRObURDPWkjCHAWjsMDEumK6unVVZntsh7Ukh/Vp5Z4nQdgZmp0ZAEhORus6kofy6Oj5Pd80OCQN52fPfzum1q0mNqMg+ve68imoUYD1aUhSjxeHZVPWnreAiXXFXEhsF3R166qotPJ4e+sZCqcqANjdVM/vAZXWPdLKPU8OCySdNa3yMOls6+I6MwCQ5vIZQpyM1nVATc+nkxIk1U/TPQdn7rq6uy+jaGhwSBq0sVHIzs+e/xIOhy3BUWxfHZB1jUxsRkGQrV+TQ/K04Z8zrTPlTWIEOYx71urTkKQ2Eol2Hi8Oy8LuFxkRsfxrzXDlubcOKo5rzzNcuJDYLmRRwfxf9xdRgzYOg1Bp5fGMqPwj9tYzFCoXKsb5SMG0JYnYZg20X9vRdUYJAiqte97rtKmklXueeFRiTKsLiT53ypDsalrlYbab/LNlxBfBuQUOE8N7wSQfutj2zOUzhBAkKlY4Ga3r5Ni0OTeHX0vrRkaZkTiJrk35kHyepnsOQmdi3HnBtHGlAK2jdl9G0aqeXwPQ4JA0DCGJ5t9+YpQDv3tGK4L8+/dD5SkkHA5b+N0XiYKj2L5eYsFsjT0qHlH8M8yY2IyCRBmVUJdGfiJLh2fwMfmox+04sRU+Z1pn4qZDtcqbxAgWWt3axQU2qBnEL3pjuuBNv3v5n2wkEu2w5Qs/i0PdkleCxECE3S8yWBw24CJi+df+o+AFLfwLd/E9EqXZAJUYBcGMytaeZ7gKX35qcCGxXazgqI9/v0P9o35aL77uL6JiLzZwsXDdAm2xxNAXzwvnyw4SNRhR+UfEkOCV7K1nKDBsfvrjM5WIP/KMWkWMQ22ZTVq/ShKxzZbTqB+tdX6ycbRnYKLrjBJ+KpXABFRa99iVQyULyqhX1wuxhf82Njgj9y/q8KjEmCxp3UpWFxJ9itYLr1mJ4N2FSPkP1LTKwwh10xHbKjhjB+shsX2V7oahVPdUcgscJq7KBfSG94JJWjabm4lpcOlVqGk7L9amDPMXv94gSFSs/IlNfscvm9Mb7oIByLFpcxRwcKFuDr+Wss+mRGGQTTa9UVTklWzTWUmtyoua8iH5RjM4KzxN9xzgjO7OM9MFvO8SHG7ygmnjLkNwMf0cm0Mh3YKRW6NNpodiVHRUPb8GiPym1KDBIWl8ADi7r1/TyXOeyhsJ4AUs1SEc/gZ+94zav+5e4Rk48z3YISHuh8pTMkbTgUg4HLaU+QVkR6buFptn98SzWnB5b5tpq7zEgtlgBZsLGntUPMa6Te4V5aacySS/TgAAAACHrNgBDlmxA4n1aQIcsmIHmx66BhLr0wSVRwsFOGTFDr/IHQ82PXQNsZGsDCTWpwmjen8IKo8WCq0jzgtwyIod92RSHH6ROx75PeMfbHroGuvWMBtiI1kZ5Y+BGEisTxPPAJcSRvX+EMFZJhFUHi0U07L1FVpHnBfd60QW4JAVO2c8zTruyaQ4aWV8Ofwidzx7jq898nvGP3XXHj7Y9NA1X1gINNatYTZRAbk3xEayMkPqajPKHwMxTbPbMJBYnyYX9EcnngEuJRmt9iSM6v0hC0YlIIKzTCIFH5QjqDxaKC+QgimmZesrIckzKrSOOC8zIuAuuteJLD17US3AISt2R43zd854mnVJ1EJ03JNJcVs/kXDSyvhyVWYgc/hF7nh/6TZ59hxfe3Gwh3rk94x/Y1tUfuquPXxtAuV9sOmhazdFeWq+sBBoORzIaaxbw2wr9xttogJybyWuqm6IjWRlDyG8ZIbU1WYBeA1nlD8GYhOT3mOaZrdhHcpvYCCxPk2nHeZMLuiPTqlEV088A1xKu6+ESzJa7Um19jVIGNX7Q595I0IWjEpAkSCSQQRnmUSDy0FFCj4oR42S8EZQebRQ19VsUV4gBVPZjN1STMvWV8tnDlZCkmdUxT6/VWgdcV7vsalfZkTAXeHoGFx0rxNZ8wPLWHr2olr9WnpbgENW7Afvju2OGufvCbY/7pzxNOsbXezqkqiF6BUEXem4J5PiP4tL47Z+IuEx0vrgpJXx5SM5KeSqzEDmLWCY5/CL3PF3JwTw/tJt8nl+tfPsOb72a5Vm9+JgD/VlzNf0yO8Z/09Dwf7Gtqj8QRpw/dRde/hT8aP52gTK+12oEvpg00PX53+b1m6K8tTpJirVfGEh0PvN+dFyOJDT9ZRI0li3htnfG17YVu432tFC79tEBeTew6k830pcVd3N8I3cEBvJype3EcseQnjJme6gyAypq82LBXPMAvAazoVcws8ofwzEr9PUxSYmvcehimXGNM1uw7NhtsI6lN/AvTgHwUBifZrHzqWbTjvMmcmXFJhc0B+d23zHnFKJrp7VJXafeAa4lP+qYJV2XwmX8fPRlmS02pPjGAKSau1rkO1Bs5EwqveHtwYvhj7zRoS5X56FLBiVgKu0TYEiQSSDpe38ggjOMomPYuqIBpeDioE7W4sUfFCOk9CIjxol4Y2diTmMoPJooSdesKCuq9miKQcBo7xACqY77NKnshm7pTW1Y6SYlq2vHzp1rpbPHKwRY8SthCTPqAOIF6mKfX6rDdGmqtA64rxXljq93mNTv1nPi77MiIC7SyRYusLRMbhFfem56F4nsm/y/7PmB5axYatOsPTsRbVzQJ20+rX0tn0ZLLcAAAAAt5pt3NkoGrxusndgBUz1fLLWmKDcZO/Aa/6CHAqY6vm9Aocl07DwRWQqnZkP1B+FuE5yWdb8BTlhZmjloy0U9xS3eSt6BQ5LzZ9jl6Zh4YsR+4xXf0n7N8jTluuptf4OHi+T0nCd5LLHB4lurPkLchtjZq510RHOwkt8EvFG6epG3IQ2KG7zVp/0nor0ChyWQ5BxSi0iBiqauGv2+94DE0xEbs8i9hmvlWx0c/6S9m9JCJuzJ7rs05AggQ9Sa/0d5fGQwYtD56E82Yp9VycIYeC9Zb2ODxLdOZV/AVjzF+TvaXo4gdsNWDZBYIRdv+KY6iWPRISX+CQzDZX4VZAT0eIKfg2MuAltOyJksVDc5q3nRotxifT8ET5ukc1fCPko6JKU9IYg45Qxuo5IWkQMVO3eYYiDbBboNPZ7NPa9ByZBJ2r6L5UdmpgPcEbz8fJaRGufhirZ6OadQ4U6/CXt30u/gAMlDfdjkpeav/lpGKNO83V/IEECH5fbb8Ok1vo7E0yX533+4IfKZI1boZoPRxYAYpt4shX7zyh4J65OEMIZ1H0ed2YKfsD8Z6KrAuW+HJiIYnIq/wLFsJLeB/vuzLBhgxDe0/RwaUmZrAK3G7C1LXZs258BDGwFbNANYwQ1uvlp6dRLHolj0XNVCC/xSb+1nJXRB+v1Zp2GKR095qaqp4t6xBX8GnOPkcYYcRPar+t+BsFZCWZ2w2S6F6UMX6A/YYPOjRbjeRd7PxLp+SOlc5T/y8Hjn3xbjkO+EPJRCYqfjWc46O3QooUxu1wHLQzGavFidB2R1e5wTbSIGKgDEnV0baACFNo6b8ixxO3UBl6ACGjs92jfdpq07HsPTFvhYpA1UxXwgsl4LOk3+jBerZfsMB/gjIeFjVDm4+W1UXmIaT/L/wmIUZLV468QyVQ1fRU6hwp1jR1nqU9WG7v4zHZnln4BByHkbNtKGu7H/YCDG5My9HskqJmnRc7xQvJUnJ6c5uv+K3yGIkCCBD73GGnimaoegi4wc15IrfV3/zeYq5GF78smH4IXTeEAC/p7bdeUyRq3I1N3a0I1H471r3JSmx0FMiyHaO5Heery8OOHLp5R8E4py52S64DhgFwajFwyqPs8hTKW4O7MFPxZVnkgN+QOQIB+Y5zhGAt5VoJmpTgwEcWPqnwZ5FT+BVPOk9k9fOS5iuaJZbnrHJ0OcXFBYMMGIddZa/28p+nhCz2EPWWP813SFZ6Bs3P2ZATpm7hqW+zY3cGBBLY/AxgBpW7EbxcZpNiNdHgaxghqrVxltsPuEtZ0dH8KH4r9FqgQkMrGoueqcTiKdhBe4pOnxI9PyXb4L37slfMVEhfvooh6M8w6DVN7oGCPAAAAAI1nDUkazxqSl6gX24OD9CAO5PlpmUzushQr4/sGB+lBi2DkCBzI89ORr/6ahYQdYQjjECifSwfzEiwKugwO0oOBad/KFsHIEZumxViPjSajAuor6pVCPDEYJTF4Cgk7woduNosQxiFQnaEsGYmKz+IE7cKrk0XVcB4i2DmvAWUDImZoSrXOf5E4qXLYLIKRI6HlnGo2TYuxuyqG+KkGjEIkYYELs8mW0D6um5kqhXhip+J1KzBKYvC9LW+5ow+3gC5ousm5wK0SNKegWyCMQ6Ct607pOkNZMrckVHulCF7BKG9TiL/HRFMyoEkaJouq4avsp6g8RLBzsSO9Ol4DygbTZMdPRMzQlMmr3d3dgD4mUOczb8dPJLRKKCn9WAQjR9VjLg5CyznVz6w0nNuH12dW4NouwUjN9UwvwLxSDRiF32oVzEjCAhfFpQ9e0Y7spVzp4ezLQfY3Rib7flQK8cTZbfyNTsXrVsOi5h/XiQXkWu4Irc1GH3ZAIRI/8QKvBXxlokzrzbWXZqq43nKBWyX/5lZsaE5Bt+UpTP73BUZEemJLDe3KXNZgrVGfdIayZPnhvy1uSaj24y6lv/0MfYZwa3DP58NnFGqkal1+j4mm8+iE72RAkzTpJ559+wuUx3ZsmY7hxI5VbKODHHiIYOf1722uYkd6de8gdzy8BpQNMWGZRKbJjp8rroPWP4VgLbLibWQlSnq/qC139roBfUw3ZnAFoM5n3i2papc5golstOWEJSNNk/6uKp63sAhGjj1vS8eqx1wcJ6BRVTOLsq6+7L/nKUSoPKQjpXW2D6/PO2iihqzAtV0hp7gUNYxb77jrVqYvQ0F9oiRMNBMH8Q6eYPxHCcjrnISv5tWQhAUuHeMIZ4pLH7wHLBL1FQAYT5hnFQYPzwLdgqgPlJaD7G8b5OEmjEz2/QEr+7QfCSONkm4uxAXGOR+IoTRWnIrXrRHt2uSGRc0/CyLAdhkOysyUaceFA8HQXo6m3ReajT7sF+ozpYBCJH4NJSk34gVeC29iU0L4ykSZda1J0GGGqivs4adie0mwufYuvfDkArdKaWW6A/7NrdhzqqCRZ4FDaurmTiN9Tln48ClUse4LjIhjbIHB9MSWGnmjm1NtiHio4O914XdHYjr6IG9z6AxlyWVraIDyw39bf6RyEmuPkenm6JygcUCLe/wnhjJNBDsIwGM2QVfLIZrarCzTzofPKEPgwmHUSNW6WS/Y80sD0knGZN8AUczI29yrxZLIgCZpRecrINJPPPtfKDGyQQrpi8xt5MJbxfMZ1qL+UMKJHatP7hDi2EYHOVUhCnBHDQDKymoNg13CGljQpRcRxI706knp+aPeQe54UybjMQAAAAB4DSgb8BpQNogXeC3gNaBsmDiIdxAv8FpoIthBwGtA2bhmaMIwcRDvSHw49CBe4LVYU8iu0ESwg6hJmJg3ykG2T8dprcfQEYC/3Tmb1//h2q/yycEn5bHsX+iZ9/ehAW+PrCl0B7tRWX+2eUIXlKEDb5mJGOeO8TWfg9ku2YlCaKGEanMpkxJeUZ46RTm84gRBscofyaayMrGrmikZ4gKxYe8qqun4UoeR9Xqc+dei3YHaisYJzfLrccDa8O5DA96WTivFHllT6GZUe/MOdqOydnuLqf5s84SGYdufLihDB1YlaxzeMhMxpj87Ks4d42u2EMtwPgezXUYKm0ayE4XQyh6ty0IJ1eY6BP39UiYlvCorDaeiPHWK2jFdkXJ4xQkKde0SgmKVP/pvvSSSTWVl6kBNfmJXNVMaWh1IhdnEZv3U7H11w5RQDc68S2XsZAod4UwRlfY0PO37HCdFsoS/Pb+spLWo1InNpfySpYck092KDMhVnXTlLZBc/muax7gTl++jm4CXjuONv5WLr2fU86JPz3u1N+IDuB/5q/GHYdP8r3pb69dXI+b/TEvEJw0zyQ8Wu953O8PTXyBcUIYOJF2uFaxK1jjUR/4jvGUmYsRoDnlMf3ZUNHJeT5w7xtfkNu7MbCGW4RQsvvp8Dma7BANOoIwUNo30GR6W0zrLpas3474jIJuTWy2ziDMPa8lLAkPSwxU7/7sYE+QTUYt8a1yjZ+NL20qbRvNR82QrEItpAwsDfnsme3NTPeTwihOc/aIIFOraJWzn8j4ExSp/fMgCZPTfekmM0lJSJJvKylyW4tHUgZr8rIyy58Suaqa8o0K9NLQ6kEy5EosKs4nNcr6h1vqp2fuCpPHg6oYpoZKLAboanHmXYpFRjMrYyRSy1eEPOsKZIkLPsTkq7Wl4UuBBY9r3OU6i+hFVPXnIe0V04GDNY5hNtW6wVt1MaBelQUAMLVY4IVVbEDr9EoiihR+guQ0I2JR1BfCPHScozmUqANXtPXj4lTBQ42EpTnUZJGZukTMeQ+k+NliBHO4Z+RHGAnEGvi8JC5Y0oUIOrNlPJrdRWF6aKVV2gUF3rsA5eobbsW3+9slg1u1W4w/DLu4n2Kb5X/Xe9Hfuttavr87bh7RGzP+ZPsHXgpaITxruhWcBZpIfLB6fNzd2ve92DrDHbYanv0D+qpdbuKAMHcCtJAZIulwrMLd0MFiVrHEgmIRqqI/8R9CC1Fx4y0zEAMZk34jRHPLw3DTpmP7sqODzxLNo5LyeEOmUhY9qTav3Z2Wwf3AdnQd9NYZvX+3HF1LF3J9FvfHnSJXqTwENcjcMJWm/G11ExxZ1X680rR7XOYUFXy79KCcj1TMAAAAAEWhXTyLQrp4zuPnR872cOeLVy3bRbTKnwAVl6OZ7OXP3E248xKuX7dXDwKIVxqVKBK7yBTcWC9QmflybzPdy5t2fJanuJ9x4/0+LNz9K7t8uIrmQHZpAQQzyFw4qjEuVO+Qc2ghc5QsZNLJE2THXrMhZgOP74Xky6okufS/yJMg+mnOHDSKKVhxK3RncT7jxzSfvvv6fFm/v90EgyYkdu9jhSvTrWbMl+jHkajo0gYIrXNbNGOQvHAmMeFPjBVYu8m0BYcHV+LDQva//ELjKFwHQnVgyaGSJIwAzxgV+b10UFjgSJ67BwzbGloz2w/Nk56ukK9QTXfrFewq16fmIlPiR39vLKSYK2kFxRRpEFK0LLEPiOJS6Myn87XwPgrHnHurmqC1SH3k8Okg2/D8t3u1XepHe74NAz4fUDyUO+nI0Zq09B95U7Ba2A6PWs2ZLx9sxBPRjyNXlC5+aw3XDAdIdlE7hpW2f8M060DDIXzghoAh3EhjxpgNwpunGC6xc12P7E+TbAsL1s1WNNbYwZSTeZyoXZp77Bg7JtCBwlS8xGMJgAqA7sRPIbP7TzQkWwqVeWfEdp4jgdfDHCvzeuhuUifUoLHAkOUQna/lBQoPoKRXM25HsHcr5u1Lsh+fJ/e+whs5XSVffPx4YHzp78A5SLL896tVuLIKCIWXu0C10hodiRz5+s1ZWKfyWU0wUhzsbW7SD4oql67XFg5XpXpL9vhGhRUfAsC0Qj3AodWdhQCIoUvjb+UOQjLapGaLLuHH1hIvJDFWaoVsaWqQ+8kvMab14dJBsaRzHI09im7heCsz3bbI1JnzaYmm83weBrbdQzp4PqR+PZ/5QShz05Vt0o6pozFp7eaQNNLmhaNyoyT+Tm3HGQooZkQ2sZ82WvQ+a2Y63Ywif3zRHX9pRr06yBuB9Cv8xbGKofobrhgOXg9FMpDsonbVTf9J1Vho6ZD5NdVeGtKRG7uPrYJC/cHH46D9CQBHuUyhGoZMtI0mCRXQGsf2N16CV2piMF1i5nX8P9q7H9ie/r6Fof6rEgG7Ck89demoeTBI9UWpsYcp7BDaFSLzPVFnUmBuZ0f3ziLmqvLsBU22qaQQiQOAqX1GIfRBiMITBc1jTjrNdtmaiNeEpkY0Y+IDlT7emmxMst/NEY4RLvbKVI+r9VSaPFURO2Fp39iGLZp52xKPlfHGyjSs+gTXS75BdhaBQWOBIQTC3B3KITtZj4BmZRZ5FAlT2Ek1nTuucdia807Yj2TunS450lPN3pYWbIOpvEg6XfnpZ2E3CoAlcqvdGnK+Sro3HxeG+fzwwrxdrf4lpN+SYAWCrq7mZerrRzjV61Kvda7z8klgEBUNJbFIMAAAAAMrcoVuUuUO3XmXi7J9uRmpVsucxC9cF3cELpIY+3YzU9AEtj6pkz2NguG44obPKvmtva+U1CokJ/9YoUsun2K0Be3n2Xx6bGpXCOkFUyZ7HnhU/nMBw3XAKrHwr9XpUeT+m9SJhwxfOqx+2lWoUEhOgyLNI/q1RpDRx8P8hUnBf647RBLXrM+h/N5Kzvjw2NXTgl24qhXWC4FnU2R+P/IvVU13Qiza/PEHqHmeA4brhSj0buhRY+VbehFgN6vWo8iApCal+TOtFtJBKHnWb7pi/R0/D4SKtLyv+DHTUKCQmHvSFfUCRZ5GKTcbKS0ZiTIGawxff/yH7FSOAoEKk4L6IeEHl1h2jCRzBAlLdyqbUFxYHj0lz5WODr0Q4fHlsaralzTHowC/dIhyOhuMXKgApy4tbd65pt71yyOyJAzgTQ9+ZSB26e6TXZtr/Fm1+edyx3yKC1D3OSAiclbfetMd9AhWcI2f3cOm7VisosPKt4mxT9rwJsRp21RBBY/aQ4akqMbr3T9NWPZNyDfyY1os2RHfQaCGVPKL9NGddKxw1l/e9bsmSX4IDTv7ZwkVaXwiZ+wRW/BnonCC4s6hRSExijekXPOgL+/Y0qqA3Pw4m/eOvfaOGTZFpWuzKlozEmFxQZcMCNYcvyOkmdAnigvLDPiOpnVvBRVeHYB4zVQB5+YmhIqfsQ85tMOKVrDtGE2bn50g4ggWk8l6k/w2IjK3HVC32mTHPGlPtbkGS5srHWDprnAZfiXDMgygr+PLY1DIueY9sS5tjppc6OGecnr6tQD/l8yXdCTn5fFLGL1QADPP1W1KWF7eYSrbsWUESapOdszHN+FHdByTwhhIHcCbY29F9hr4zkUxiksqNaTZMR7WXFxnQdfvTDNSgLNr88uYGXam4Y79Fcr8eHrO0uph5aBvDJw35L+3RWHTZoKiLE3wJ0E0Z6zyHxUpnRs7u4YwST7rSd61WGKsMDed9JF8toYUEc8Rn6LkYxrN4E2I1ss/DbuyqIYImdoDZcfHgx7stQZzlSKNwL5QCK+6fpq0kQwf2eiblGrD6REFPLGwThfDNSNuVL6QRSY7/0EIqeRqeiyJE+2nOjifIlbpWOGpwipkxLu973eQz2oYlOH4A7+TfW7GBPbd7XZzshIu0vk5XFeUQMvcJ2u5WUhvl8tTROVOPj1yxY0WAEDhQo5CYmn8xw8Qa0y8OxnJ0z83W8gURd6lbdJVFkag0Hm5+HEykor0X+sdf+zAb/qDxEFomO8z7fWWpGZGvdbjKmwRINVHY6W4PvQuCxWGq2QRqDl/Otq8EkNNN6FoP7LOl2cThbwVlujFgh1b7vCYNOreCi/BrI9CuDsE8ZNJgZwBBkIkECwEBAEGciQQLEAEAAAD/////AAAMwwAADMMAQcKJBAsCIMIAQYiKBAsQAQAAAAAAAIAAAAA/AAAAPwBBpooECwKAvwBB6ooECwKAvwBBrosECwKAvwBB8osECwKAvwBBko0ECw7SQgAAAAD//////////wBBsI0EC4cM+AYBAJQHAQAwCAEAzAgBAGgJAQAECgEAoAoBADwLAQDYCwEAdAwBABANAQCsDQEASA4BAOQOAQCADwEAHBABALgQAQAAAAAACwAAANCeCAAgRgIAAgAAAECcAABQwwAAgEYCALBGAgDgRgIAIBIBAFASAQDQRwIAAEsCANBHAgAwTgIAYE4CAPBXAgCAYQIAEGsCAOAVAQCgdAIAYHgCAMB4AgAgeQIAUHkCAIB5AgCweQIA4HkCAEB6AgBwegIAoHoCANAXAQAAewIAEDsDAGAkAQCQJAEAAgAAAASrCABQRgMACwAAALAFBgAgRgIABgAAAECcAABwEQEAgEYCALBGAgDgRgIAIBIBAFASAQDQRwIAAEsCANBHAgAwTgIAYE4CAPBXAgCAYQIAEGsCAOAVAQCgdAIAYHgCAMB4AgAgeQIAUHkCAIB5AgCweQIA4HkCAEB6AgBwegIAoHoCANAXAQAAewIAEDsDAGAkAQCQJAEAAwAAAASrCAAQBgYACwAAAFAFBgAgRgIA/////0CcAABQwwAAgEYCALBGAgDgRgIAIBIBAFASAQDQRwIAAEsCANBHAgAwTgIAYE4CAPBXAgCAYQIAEGsCAOAVAQCgdAIAYHgCAMB4AgAgeQIAUHkCAIB5AgCweQIA4HkCAEB6AgBwegIAoHoCANAXAQAAewIAEDsDAGAkAQCQJAEAAgAAAASrCABgewIACwAAAPAEBgAgRgIAAgAAAJBlAABAnAAAgEYCALBGAgDgRgIAIBIBAFASAQDQRwIAAEsCANBHAgAwTgIAYE4CAPBXAgCAYQIAEGsCAOAVAQCgdAIAYHgCAMB4AgAgeQIAUHkCAIB5AgCweQIA4HkCAEB6AgBwegIAkAQGANAXAQAAewIAEDsDAGAkAQCQJAEAAgAAAASrCABQRgMACwAAADAEBgAgRgIA/////5BlAABAnAAAgEYCALBGAgDgRgIAIBIBAFASAQDQRwIAAEsCANBHAgAwTgIAYE4CAPBXAgCAYQIAEGsCAOAVAQCgdAIAYHgCAMB4AgAgeQIAUHkCAIB5AgCweQIA4HkCAEB6AgBwegIAkAQGANAXAQAAewIAAAAAAGAkAQCQJAEAAgAAAASrCABgewIAAwAAABAEBgAQWAUAAgAAADhKAACQZQAAMFgFADxYBQBQWAUAIBIBAFASAQCgWAUAoFgFAKBYBQCwWQUA4FkFABBdBQAQXQUAQGAFAOAVAQAQFgEAcGMFAHBjBQCQYwUAkGMFAKBjBQCgYwUAsGMFANBjBQDgYwUA8AMGANAXAQAQZAUAMGQFAGAkAQCQJAEAAgAAABSrCADwnAUAAwAAANADBgAQWAUA/////zhKAACQZQAAMFgFADxYBQBQWAUAIBIBAFASAQCgWAUAoFgFAKBYBQCwWQUA4FkFABBdBQAQXQUAQGAFAOAVAQAQFgEAcGMFAHBjBQCQYwUAkGMFAKBjBQCgYwUAsGMFANBjBQDgYwUA8AMGANAXAQAQZAUAMGQFAGAkAQCQJAEAAgAAABSrCADwZwUAAwAAANCcBQAQWAUAAgAAAJg6AAA4SgAAMFgFADxYBQBQWAUAIBIBAFASAQCgWAUAoFgFAKBYBQCwWQUA4FkFABBdBQAQXQUAQGAFAOAVAQAQFgEAcGMFAHBjBQCQYwUAkGMFAKBjBQCgYwUAsGMFANBjBQDgYwUA8GMFANAXAQAQZAUAMGQFAGAkAQCQJAEAAgAAABSrCADwnAUAAwAAAPBXBQAQWAUA/////5g6AAA4SgAAMFgFADxYBQBQWAUAIBIBAFASAQCgWAUAoFgFAKBYBQCwWQUA4FkFABBdBQAQXQUAQGAFAOAVAQAQFgEAcGMFAHBjBQCQYwUAkGMFAKBjBQCgYwUAsGMFANBjBQDgYwUA8GMFANAXAQAQZAUAMGQFAGAkAQCQJAEAAgAAABSrCADwZwUAAgAAANBXBQDwUwUAAgAAACgjAACYOgAACFQFAAhUBQAQVAUAIBIBAFASAQBQVAUAAAAAAFBUBQBQEwEAIFUFACBVBQBBwJkEC5MB4BUBABAWAQBQFwEAAAAAAGgXAQBoFwEAcBcBAHAXAQCQVwUAkBcBAJwXAQCwVwUA0BcBAHAhAQCQIQEAYCQBAJAkAQABAAAAEKsIAPDQAQACAAAA0FMFAPBTBQD/////KCMAAJg6AAAIVAUACFQFABBUBQAgEgEAUBIBAFBUBQAAAAAAUFQFAFATAQAgVQUAIFUFAEHcmgQLkwHgFQEAEBYBAFAXAQAAAAAAaBcBAGgXAQBwFwEAcBcBAJBXBQCQFwEAnBcBALBXBQDQFwEAcCEBAJAhAQBgJAEAkCQBAAEAAAAQqwgAsFQBAAIAAACwUwUAwBEBAAIAAABAHwAAKCMAANgRAQDYEQEA4BEBACASAQBQEgEAgBIBAAAAAACAEgEAUBMBAHATAQBwEwEAQfibBAuTAeAVAQAQFgEAUBcBAAAAAABoFwEAaBcBAHAXAQBwFwEAgBcBAJAXAQCcFwEAsBcBANAXAQBwIQEAkCEBAGAkAQCQJAEAAQAAAACrCADw0AEAAgAAAJBTBQDAEQEA/////0AfAAAoIwAA2BEBANgRAQDgEQEAIBIBAFASAQCAEgEAAAAAAIASAQBQEwEAcBMBAHATAQBBlJ0EC8sD4BUBABAWAQBQFwEAAAAAAGgXAQBoFwEAcBcBAHAXAQCAFwEAkBcBAJwXAQCwFwEA0BcBAHAhAQCQIQEAYCQBAJAkAQABAAAAAKsIALBUAQALAAAAYBEBACBGAgACAAAAUMMAAEANAwCARgIAsEYCAOBGAgAgEgEAUBIBANBHAgAASwIA0EcCADBOAgBgTgIA8FcCAIBhAgAQawIA4BUBAKB0AgBgeAIAwHgCACB5AgBQeQIAgHkCALB5AgDgeQIAQHoCAHB6AgCgegIA0BcBAAB7AgAQOwMAYCQBAJAkAQACAAAABKsIAFBGAwALAAAAYBEBACBGAgD/////UMMAAEANAwCARgIAsEYCAOBGAgAgEgEAUBIBANBHAgAASwIA0EcCADBOAgBgTgIA8FcCAIBhAgAQawIA4BUBAKB0AgBgeAIAwHgCACB5AgBQeQIAgHkCALB5AgDgeQIAQHoCAHB6AgCgegIA0BcBAAB7AgAAAAAAYCQBAJAkAQACAAAABKsIAGB7AgACAAAAYBEBAMARAQACAAAAAAAAAEAfAADYEQEA2BEBAOARAQAgEgEAUBIBAIASAQAAAAAAgBIBAFATAQBwEwEAcBMBAEHooAQLkwHgFQEAEBYBAFAXAQAAAAAAaBcBAGgXAQBwFwEAcBcBAIAXAQCQFwEAnBcBALAXAQDQFwEAcCEBAJAhAQBgJAEAkCQBAAEAAAAAqwgA8NABAAIAAABgEQEAwBEBAP////8AAAAAQB8AANgRAQDYEQEA4BEBACASAQBQEgEAgBIBAAAAAACAEgEAUBMBAHATAQBwEwEAQYSiBAtP4BUBABAWAQBQFwEAAAAAAGgXAQBoFwEAcBcBAHAXAQCAFwEAkBcBAJwXAQCwFwEA0BcBAHAhAQCQIQEAYCQBAJAkAQABAAAAAKsIALBUAQBB5qIEC2LwvwAAAAAAAPC/AAAAAAAA8L8AAAAAAADwvwAAAAAAAPC/AAAAAAAA8L8AAAAAAADwvwAAAAAAAPC/AAAAAAAA8L8AAAAAAADwvwAAAAAAAPC/AAAAAAAA8L+amZmZmZm5vwBB1qMECxPwPwACAAAAAgAAIAAAABkAAAAMAEH0owQLCR4AAAAZAAAADABBiKQECwwUAAAAAAAAAPL///8AQaCkBAt8WgAAAFoAAABfAAAAXwAAAF8AAABfAAAAaQAAAGkAAABpAAAAaQAAAGkAAABpAAAA7P///+z////s////7P///+z////o////4v///9j////Y////0////9P////T////8f////H////x////8f////b////2////+v///wBBrKUECwEKAEG4pQQLKGMAAABjAAAAYwAAAPH////x////8f////H////2////9v////r///8AQfClBAsBCgBB/KUECyhjAAAAYwAAAGMAAADx////8f////H////x////9v////b////6////AEHApgQL5AJjAAAAYwAAAGMAAAAAAAAACgAAAAoAAAD/////CgAAAAoAAAD/////AAAAAAAAAAD2////9v////b////2////+/////v////7////AAAAAAQAAAAIAAAACAAAAAgAAAAKAAAACgAAAGMAAABjAAAAYwAAAPb////2////9v////b////7////+/////v///8AAAAAAAAAAAQAAAAEAAAABAAAAAQAAAAEAAAAYwAAAGMAAABjAAAA4v///+L////i////4v///+L////o////7P////L////2////+v////j////4////+v////r///9jAAAAYwAAAGMAAAD2////9v////b////2////+/////v////7////AAAAAAQAAAAIAAAACAAAAAgAAAAKAAAACgAAAGMAAABjAAAAYwAAAPb////2////9v////b////2////9v////v////7////+////wBBuKkEC5kCYwAAAGMAAABjAAAA4v///+L////i////4v///+L////o////7P////L////2////+v////j////4////+v////r///9jAAAAYwAAAGMAAADx////8f////H////x////8f////T////2////+P///wAAAAACAAAABAAAAAQAAAAFAAAABQAAAGMAAABjAAAAYwAAAOL////i////4v///+L////m////6v///+z////y////9P////T////2////9v////b////2////YwAAAGMAAABjAAAA4v///+L////i////4v///+b////m////5v///+b////m////5v///+b////m////5v///+j///9jAAAAYwAAAGMAQeCrBAvtAuz////s////6P///+j////o////6P///+L////Y////2P///9P////T////0////wAAAAABAAAAAgAAAAMAAAAEAAAABQAAAAYAAAAHAAAACAAAAAgAAAAJAAAACQAAAAoAAAAKAAAACwAAAAsAAAAMAAAADAAAAA0AAAANAAAADgAAAA4AAAAPAAAADwAAABAAAAAQAAAAEQAAABEAAAARAAAAEgAAABIAAAATAAAAEwAAABMAAAAUAAAAFQAAABYAAAAXAAAAGAAAABkAAAAAAAAAAQAAAAIAAAADAAAABAAAAAUAAAAGAAAABgAAAAcAAAAHAAAABgAAAAYAAAAFAAAABQAAAAQAAAAEAAAAAwAAAAMAAAADAAAABAAAAAUAAAAGAAAABwAAAAgAAAAJAAAACgAAAAsAAAAMAAAADQAAAA4AAAAPAAAAEAAAABEAAAASAAAAEwAAABQAAAAVAAAAFgAAABcAAAAYAEHergQLF/A/AAAAAAAA8D9AAAAAQAAAAAgAAAAIAEGGrwQLIuA/AAAAAAAA4D+c////nP///5f///9+////fv///3T///8AQbavBAtjCEAAAAAAAAAQQAAAAAAAABBAAAAAAAAAAAAIAAAAAACgQQAAYEEAAEBBAABAQQAAQEEAAEBBAABAQQAAcMIAAPDBAAAgwgAAIMIAACDCAAAgwgAAIMIAAABAAACWwgAAwMBjAEHUsAQLAWMAQZCxBAsBYwBBvLMEC0kIAAAAAABgQQAAIEEAACBBAAAgQQAAIEEAACBBAAAgQQAAIMIAAPDBAADIwQAAyMEAAMjBAADIwQAAyMEAAABAAACgwgAAwMBjAEHAtAQLAWMAQfy0BAsBYwBBqLcEC0kIAAAAAABAQQAAIEEAACBBAAAgQQAAIEEAACBBAAAgQQAAoMEAAKDBAABwwQAAcMEAAHDBAABwwQAAcMEAAAAAAACgwgAAwMBjAEGsuAQLAWMAQei4BAsBYwBBlLsEC0kIAAAAAAAgQQAAAEEAAABBAAAAQQAAAEEAAABBAAAAQQAAoMEAAHDBAABAwQAAQMEAAEDBAABAwQAAQMEAAAAAAACgwgAAwMBjAEGYvAQLAWMAQdS8BAsBYwBBgL8EC0kIAAAAAAAgQQAAwEAAAMBAAADAQAAAwEAAAMBAAADAQAAAcMEAAHDBAABAwQAAQMEAAEDBAABAwQAAQMEAAAAAAACqwgAAwMBjAEGEwAQLAWMAQcDABAsBYwBB9sIEC5sG8D8AAAAAAAAAQAAAAAAAAAhAAAAAAAAAAAAEAAAABAAAAAQAAAADAAAAAwAAAAMAAAADAAAAAwAAAAMAAAADAAAAAwAAAAMAAAADAAAAAwAAAAMAAAAGAAAABQAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAAAIA/AACAPwAAgD8AAIA/AACAPwAAgD8AAIA/AACAPwAAgD8AAIA/AACAPwAAgD8AAIA/AACAPwAAgD8AAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIEAAAABAAAAAQAAAADAAAAAwAAAAMAAAADAAAAAwAAAAMAAAADAAAAAwAAAAMAAAADAAAAAwAAAAMAAAAGAAAABQAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAAAIA/AACAPwAAgD8AAIA/AACAPwAAgD8AAIA/AACAPwAAgD8AAIA/AACAPwAAgD8AAIA/AACAPwAAgD8AAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIDAAAAAwAAAAMAAAADAAAAAwAAAAMAAAADAAAAAwAAAAMAAAADAAAAAwAAAAMAAAADAAAAAwAAAAMAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAAAIA/AACAPwAAgD8AAIA/AACAPwAAgD8AAIA/AACAPwAAgD8AAIA/AACAPwAAgD8AAIA/AACAPwAAgD8AAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkJQowEAcKMBAJCjAQCwowEA0KMBAACkAQAwpAEAUKQBAJCkAQDQpAEAAKUBAAAAAAABAEGQygQLAQQAQdDKBAsBAgBB0MsECw0BAAAAAgAAAAMAAAAEAEHQzwQLGQQAAAAAAAAAgAAAACEAAAAIAAAAEAAAAEYAQdrRBAsXcEIAAPBBAAD6QwAAgD8AAJBBgAAAAAEAQfDSBAsBBABBsNMECwECAEGw1AQLDQEAAAACAAAAAwAAAAQAQbDYBAsZBAAAAAAAAAAAAQAAQgAAABAAAAAgAAAAjABButoECx9wQgAA8EEAAPpDAACAPwAAkEEAAQAAAgAAAAAAAAABAEHQ2wQLBQMAAAAEAEGQ3AQLBQIAAAACAEHU3AQLAQEAQZDdBAsN/////wIAAAADAAAABABBsN0ECw3/////BQAAAAYAAAAHAEGQ4QQLJQQAAAAAAAAAgAAAAA4AAAAEAAAAOgAAAAIAAAAIAAAAHAAAAFoAQZrjBAsfcEIAAPBBAAD6QwAAgD8AAJBBgAAAAAIAAAAAAAAAAQBBsOQECwUDAAAABABB8OQECwUCAAAAAgBBtOUECwEBAEHw5QQLDf////8CAAAAAwAAAAQAQZDmBAsN/////wUAAAAGAAAABwBB8OkECyUEAAAAAAAAAAABAAAcAAAACAAAAHQAAAAEAAAAEAAAADgAAAC0AEH66wQLJ3BCAADwQQAA+kMAAIA/AACQQQABAAAEAAAAAAAAAAEAAAACAAAAAwBBkO0ECw0CAAAAAwAAAAMAAAADAEHU7QQLCQEAAAACAAAAAgBBkO4ECw3/////AAAAAAEAAAACAEHQ7gQLAQMAQfDuBAsFBAAAAAUAQZDvBAsN/////wYAAAAHAAAACABBsO8ECw3/////CQAAAAoAAAALAEHQ8gQLNQIAAAAAAAAAgAAAAAgAAAAhAAAABAAAABAAAABGAAAAAgAAAAYAAAAMAAAAFwAAAC4AAABaAEHa9AQLL3BCAADwQQAA+kMAAIA/AACQQYAAAAAGAAAAAAAAAAEAAAABAAAAAgAAAAMAAAADAEHw9QQLDQIAAAADAAAAAwAAAAMAQbT2BAsJAQAAAAIAAAACAEHw9gQLDf////8AAAAAAQAAAAIAQbD3BAsBAwBB0PcECwUEAAAABQBB8PcECw3/////BgAAAAcAAAAIAEGQ+AQLDf////8JAAAACgAAAAsAQbD7BAtNAgAAAAAAAACAAAAADAAAAC4AAAAEAAAACAAAABAAAAAXAAAAIQAAAEYAAAACAAAABgAAAAoAAAAOAAAAEwAAABwAAAAnAAAAOgAAAFoAQbr9BAsXcEIAAPBBAAD6QwAAgD8AAJBBgAAAAAEAQdD+BAsBBABBkP8ECwECAEGQgAULDQEAAAACAAAAAwAAAAQAQZCEBQsZBAAAAAAAAAAAAQAAQgAAABAAAAAgAAAAjABBmoYFCzdwQgAA8EEAAPpDAACAPwAAkEEAAQAACAAAAAAAAAABAAAAAgAAAAIAAAADAAAAAwAAAAQAAAAEAEGwhwULEQMAAAAEAAAAAwAAAAQAAAADAEH0hwULDQEAAAABAAAAAgAAAAIAQbCIBQsR/////wAAAAABAAAAAgAAAAMAQfCIBQsBBABBkIkFCwUFAAAABgBBsIkFCwUHAAAACABB0IkFCw3/////CQAAAAoAAAALAEHwiQULDf////8MAAAADQAAAA4AQfCMBQt2AgAAAAAAAAAABAAAXQAAABcAAAB0AQAABgAAAC4AAAC6AAAA7gIAAA4AAAAhAAAAQQAAAIIAAAAEAQAALAIAAAMAAAAKAAAAEgAAABwAAAAnAAAANwAAAE8AAABvAAAAngAAANwAAAA4AQAA0AEAAIoCAABSAwBB+o4FCzdwQgAA8EEAAPpDAABAQAAAkEEABAAACAAAAAAAAAABAAAAAgAAAAIAAAADAAAAAwAAAAQAAAAEAEGQkAULEQMAAAAEAAAAAwAAAAQAAAADAEHUkAULDQEAAAABAAAAAgAAAAIAQZCRBQsR/////wAAAAABAAAAAgAAAAMAQdCRBQsBBABB8JEFCwUFAAAABgBBkJIFCwUHAAAACABBsJIFCw3/////CQAAAAoAAAALAEHQkgULDf////8MAAAADQAAAA4AQdCVBQt2AgAAAAAAAAAACAAAugAAAC4AAADoAgAADAAAAFwAAAB0AQAA3AUAABwAAABCAAAAggAAAAQBAAAIAgAAWAQAAAYAAAAUAAAAJAAAADgAAABOAAAAbgAAAJ4AAADeAAAAPAEAALgBAABwAgAAoAMAABQFAACkBgBB2pcFCy9wQgAA8EEAAPpDAABAQAAAkEEACAAABgAAAAAAAAABAAAAAQAAAAIAAAADAAAAAwBB8JgFCw0CAAAAAwAAAAMAAAADAEG0mQULCQEAAAACAAAAAgBB8JkFCw3/////AAAAAAEAAAACAEGwmgULAQMAQdCaBQsFBAAAAAUAQfCaBQsN/////wYAAAAHAAAACABBkJsFCw3/////CQAAAAoAAAALAEGwngULTgIAAAAAAAAAAAIAAC4AAAC6AAAAEAAAACEAAABBAAAAXQAAAIIAAAAWAQAABwAAABcAAAAnAAAANwAAAE8AAABuAAAAnAAAAOgAAABoAQBBuqAFCxRwQgAA8EEAAPpDAACAPwAAkEEAAgBB0KIFCwT/////AEGQowULBP////8AQZCnBQsJAgAAAAAAAAAMAEGaqQULJ3BCAADwQQAA+kMAAIA/AACQQQoAAADAVAEA0G0BAMBUAQDwbQEAAQBByMIFCwEBAEHMygULAQEAQYzLBQsBAQBB0NsFC1gBAAAAAAAAACAAAAD0iQEADJUBAAyVAQA0lQEANJUBAAEAAAAAAAAAIAAAABBuAQAoeQEAKHkBAFB5AQBQeQEAAAAAAP//////////CgAAAP//////////AEGo3gULBP////8AQazuBQsdAQAAAAEAAAACAAAAAgAAAAQAAAAEAAAAEAAAADwAQajwBQsk/////x4AAAD/////MgAAAP////9QAAAA////////////////AEGo8gULCwIAAABkAAAAkIkBAEHo8gULAxB6AQBB+PIFCwM4egEAQYjzBQsDYHoBAEGY8wULA4h6AQBBqPMFCwOwegEAQbjzBQsP2HoBAAAAAAAAewEAKHsBAEHQ8wULB1B7AQB4ewEAQeDzBQsLoHsBAMh7AQDwewEAQZD0BQuDBAQAAABRAAAAMIkBAAEAAAAAABDgAAAQYAIAAAAAAAAAhIkBAAAAAAAEAAAAUQAAANCIAQABAAAAAAAQ4AAAEGACAAAAAAAAACSJAQAAAAAABAAAAHECAAAwhgEAAQAAAAAAMOAAABBgAwAAAAAAAACwiAEAAAAAAAQAAABxAgAAkIMBAAEAAAAAADDgAAAQYAMAAAAAAAAAEIYBAAAAAAACAAAAUQAAAACDAQABAAAAAABQ4AAAEGAEAAAAAAAAAGCDAQAAAAAAAgAAAFEAAABwggEAAQAAAAAAUOAAABBgBAAAAAAAAADQggEAAAAAAAQAAABRAAAAEIIBAAEAAAAAAHbgAAB2YAIAAAAAAAAAZIIBAAAAAAACAAAAeQAAAGCBAQABAAAAAABU4AAAEGAEAAAAAAAAAOCBAQAAAAAAAgAAAHkAAACwgAEAAQAAAACAu+AAAHZgBAAAAAAAAAAwgQEAAAAAAAIAAAB5AAAAAIABAAEAAAAAAFTgAAAQYAQAAAAAAAAAgIABAAAAAAACAAAA4QAAANB+AQABAAAAAORb4QDg/2AEAAAAAAAAAMB/AQAAAAAAAgAAAOEAAACgfQEAAQAAAADA3eAAAJFgBAAAAAAAAACQfgEAAAAAAAIAAAAhAQAAIHwBAAEAAAAAAHDgAAAQYAUAAAAAAAAAUH0BAEGg+AULoQICBQQGBggICAgICQkJCQkJCQUGBgcHCAgJCAkJCQkJCQkJBQYGBwcICAgJCQkJCQkJCQkHBwcICAkJCQkJCQkJCQoKCQcHBwgICQkJCQkJCQkJCQoKCAgICQkJCQoKCgkKCgoKCgoICAgJCQkJCQkJCgoKCgoKCgkJCQkJCQkJCgoKCgoKCgoKCQkJCQkKCgoKCgoKCgoKCgoJCQkJCQkKCgoKCgoKCgoKCgkJCQkJCgoKCgoKCgoKCgoKCQkJCQoKCgoKCgoKCgoKCgoJCQkJCQoKCgoKCgoKCgoKCgkJCQoKCgoKCgoKCgoKCgoKCQoJCQkKCgoKCgoKCgoKCgoJCgkKCgoKCgoKCgoKCgoKCgkJCgoKCgoKCgoKCgoKCgoKAEHQ+gULQQgAAAAHAAAACQAAAAYAAAAKAAAABQAAAAsAAAAEAAAADAAAAAMAAAANAAAAAgAAAA4AAAABAAAADwAAAAAAAAAQAEGg+wUL4QEBBAQHBwkJBwcICAoKCwsEBwcJCQoKCAgKCgoLCgsEBwcJCQoKCAgKCQsLCwsHCQkMDAsMCgoLCgwLCwsHCQkLCw0MCQkLCgsLDAsJCgoMDA4OCgoLDAwLCwsJCgsLDQ4NCgsLCwwLDAwHCAgKCQsKCwwMCwwODA0HCAgJCgoLDAwMCwwMDA0JCQkLCw0MDAwMCwwMDQwICgoLCgsMDAwMDAwODAwJCwsLDAwMDA0NDAwNDQwKCwsMCwwMDAsMDQwMDA0LCwwMDA0MDAsMDQ0MDA0MCwwMDQ0MDQwNDQ0NDg0AQZD9BQuhAgcAAAAGAAAACAAAAAUAAAAJAAAABAAAAAoAAAADAAAACwAAAAIAAAAMAAAAAQAAAA0AAAAAAAAADgAAAAAAAAABBAQLCwsLCwsLCwsLCwsDCwgLCwsLCwsLCwsLCwsDCQkLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoAQcD/BQuBBgcAAAAGAAAACAAAAAUAAAAJAAAABAAAAAoAAAADAAAACwAAAAIAAAAMAAAAAQAAAA0AAAAAAAAADgAAAAAAAAACBQUGBgcHBwcICAUGBgcHBwcICAgIBQYGBwcHBwgICAgGBwcHBwgICAgICAYHBwcHCAgICAgIBwcHCAgICAgICAgHBwcICAgICAgICAgICAgICAgJCAkJBwgICAgICAkICQkICAgICAgICQkJCQgICAgICAgJCQkJAAAAAAAAAAUAAAAEAAAABgAAAAMAAAAHAAAAAgAAAAgAAAABAAAACQAAAAAAAAAKAAAAAAAAAAEEBAYGCAgKCgsLBAYGBwcJCQsLDQwEBgYHBwkJCwsMDAYHBwkJCwsMDA0NBgcHCQkLCwwMDQ0ICQkLCwwMDQ0ODggJCQsLDAwNDQ4OCQsLDAwNDQ4ODw8JCwsMDA0NDg4PDgsMDA0NDg4PDxAQCwwMDQ0ODg8PDw8AAAAAAAAABQAAAAQAAAAGAAAAAwAAAAcAAAACAAAACAAAAAEAAAAJAAAAAAAAAAoAAAAAAAAAAgQEBgYHBwgICAgEBQUHBwgICQkJCQQFBQcHCAgJCQkJBgcHCAgICAkJCQkGBwcICAgICQkJCQgICAgICQkJCQkJCAgICAgJCQkJCQkICQkJCQkJCgoKCggJCQkJCQkKCgoKCAkJCQkJCQoKCgoICQkJCQkJCgoKCgAAAAAAAAAFAAAABAAAAAYAAAADAAAABwAAAAIAAAAIAAAAAQAAAAkAAAAAAAAACgAAAAAAAAABBAQFBwcFBwcFCQkICgoICgoFCQkHCgoICgoECgoJDAwJCwsHDAsKCw0KDQ0HDAwKDQwKDQ0ECgoJDAwJDAwHDAwKDQ0KDA0HCwwKDQ0KDQsAAAABAAAAAAAAAAIAAAADBAQGBgcHCQkEBAUGBgcHCQkEBAQGBgcHCQkGBgYHBwgICQkGBgYHBwgICQkHBwcICAgJCgoHBwcICAkICgoJCQkJCQoKCgoJCQkJCQoKCgoAQdCFBgshBAAAAAMAAAAFAAAAAgAAAAYAAAABAAAABwAAAAAAAAAIAEGAhgYLUQEEBAcHBwcJCQQGBQgHCAgKCgQGBggICAgKCgcICAkJCQkLCwcICAkJCQkLCwgICAkJCgoMCwgICAkJCgoLCwkKCgsLCwsNDAkKCgsLDAwMDQBB4IYGCyEEAAAAAwAAAAUAAAACAAAABgAAAAEAAAAHAAAAAAAAAAgAQZCHBgvxBAQFBQkJBgcHCQkGBwcJCQkJCQsLCQkJCwsGBwcJCQcHCAkKBwcICQoJCQoKCwkJCgoMBgcHCQkHCAcKCQcIBwoJCQoJDAsKCgkMCgkKCgwLCQoKDAsJCgoMDAsLDAwNCwsMDA0JCQoMCwkKCgwMCgoKDAwLDAsNDAsMCw0MBgcHCQkHCAgKCgcIBwoJCgoKDAwKCgoMCwcIBwoKBwcJCgsICQkLCgoKCwoMCgoLDAwHCAgKCgcJCAsKCAgJCwsKCwoMCwoLCwwMCQoKDAwJCgoMDAoLCw0MCwoMCg4MDAwNDgkKCgwMCQsKDAwKCwsMDAsMCw4MDAwMDg4FBwcJCQcHBwkKBwgICgoKCgoLCwoKCgwMBwgICgoICQgLCgcICQoLCgoKCwwKCgsLDQYHCAoKCAkJCgoHCQcLCgoLCgwMCgsKDAoJCgoMDAoLCw0MCQoKDAwMDAwODQsLDAsOCQoKCwwKCwsMDQkKCgwMDAwMDg0LDAoOCwkJCgsMCQoKDAwJCgoMDAwMDA4OCwwMDQwJCgkMDAkKCwwNCgsKDQsMDA0NDgwMDA0NCQoKDAwKCwoNDAoKCwwNDA0MDg0MDAwNDgsMCw4NCgoLDQ0MDAwODQwKDgoPDQ4ODg4LCwwNDgoMCw0NDAwMDQ8MDQsPDA0NDg4OCQoJDAwJCgoMDAoKCgwMCwsMDA0MDAwODgkKCgwMCgsKDQwKCgsMDQwMDA4NDAwNDQ4JCgoMDQoKCwsMCQsKDQwMDAwNDgwNDA4NCwwLDQ0MDQwODQoLDA0NDQ0NDg8MCw4MDgsLDAwNDAwMDQ4KDAoODQ0NDQ4PDA4LDwoAQZCMBgsRAgAAAAEAAAADAAAAAAAAAAQAQbCMBgvxBAEFBQcHBgcHCQkGBwcJCQgKCQsLCQkJCwsGCAgKCggKCgsLCAkKCwsKCwsMDAoLCwwNBggICgoICgkLCwgKCQsLCgsLDAwKCwsMDAkLCw4NCgwLDg4KDAsODQwNDQ8ODA0NDw4ICwsNDgoLDA0PCgsMDg4MDQ0ODwwNDQ4PBQgICwsICgoMDAgKCgwMCwwMDg0LDAwNDggKCgwMCQsMDQ4KDAwNDQwMDQ4OCw0NDw8HCgoMDAkMCw4MCgsMDQ4MDQwODgwNDQ8QCgwMDw4LDA0PDwsNDQ8QDg4PDxANDg8RDwkMDA4PCw0MDw8LDQ0PDw0ODQ8ODQ4OEQAFCAgLCwgKCgwMCAoKDAwLDAwODgsMDA4OBwoKDAwKDAwNDQkLDAwNCwwNDw8LDA0ODwgKCgwMCgwLDQ0KDAsNDQsNDQ8ODA0MDw0JDAwODgsNDRAPCwwNEA8NDg8QEA0NDw8QCgwMDw4LDQ0OEAsNDQ8QDQ8PEBENDw4QDwgLCw4PCgwMDw8KDAwPEA4PDxARDQ4OEBAJDAwPDwsNDg8RCw0NDxAODxATEQ0PDwARCQwMDw8LDg0QDwsNDQ8QDw8PEhENDw8REQsPDhIQDA4PEREMDw8SEg8PEA8TDhAQAAALDg4QEQwPDhIRDA8PEhIPEQ8SEA4QEBISBwsLDg4KDAwPDwoMDQ8PDQ4PEBAODw8SEgkMDA8PCw0NEA8LDA0QEA4PDxEQDxAQEREJDAwPDwsNDQ8RCw4NEA8NDw8REQ8PDxIRCw4OEQ8MDg8REg0NDxERDhAQExIQDxERAAsODhERDA8PEgAMDw4SEA4RERMAEBIPABAAQbCRBgsRAgAAAAEAAAADAAAAAAAAAAQAQdCRBgu8AgMEBQUGBgUGBgUHBgYHCAYHCAUGBgYIBwYIBwUGBgcICAYHBwYIBwcHCQgJCQYHCAcJBwgJCQUGBgYHBwcICAYIBwgJCQcHCQYHCAgJCQcJBwAAAAEAAAAAAAAAAgAAAAEEBAUHBwUHBwUICAcJCgcJCQUICAcKCQcJCQUICAgKCggKCgcKCgkKDAoMDAcKCgkMCwoMDAUICAgKCggKCgcKCgoMDAkLDAcKCgoMDAkMCgAAAAEAAAAAAAAAAgAAAAQHDQkPCRAICg0HBQgGCQcKBwoLCwYHCAgJCQkMEAgFCAYIBgkHCgwLBwcHBgcHBwsPBwUIBgcFBwYJDQ0JCQgGBgUFCQ4IBggGBgQFAwUNCQkLCAoHCAQFDAsQEQ8RDA0ICA8AAAAA//////////8IAAAA//////////8AQYyWBgsE/////wBBkKYGCxUBAAAAAQAAAAIAAAACAAAABAAAABwAQYyoBgsc/////xkAAAD/////LQAAAP///////////////wBBjKoGCwsCAAAAQAAAAACjAQBBzKoGCwP0lQEAQdyqBgsDHJYBAEHsqgYLA0SWAQBB/KoGCwNslgEAQYyrBgsPlJYBAAAAAAC8lgEA5JYBAEGkqwYLCwyXAQA0lwEAXJcBAEH0qwYLiwMEAAAAUQAAAKCiAQABAAAAAAAQ4AAAEGACAAAAAAAAAPSiAQAAAAAABAAAAFEAAABAogEAAQAAAAAAEOAAABBgAgAAAAAAAACUogEAAAAAAAQAAABxAgAAoJ8BAAEAAAAAADDgAAAQYAMAAAAAAAAAIKIBAAAAAAAEAAAAcQIAAACdAQABAAAAAAAw4AAAEGADAAAAAAAAAICfAQAAAAAAAgAAAFEAAABwnAEAAQAAAAAAUOAAABBgBAAAAAAAAADQnAEAAAAAAAIAAACpAAAAgJsBAAEAAAAAAJ7gAABUYAQAAAAAAAAAMJwBAAAAAAACAAAAGQAAAECbAQABAAAAAAAw4AAAEGADAAAAAAAAAGCbAQAAAAAABAAAAFEAAADgmgEAAQAAAACwE+EAsBNhAgAAAAAAAAA0mwEAAAAAAAIAAADhAAAAsJkBAAEAAAAAYPLgAACVYAQAAAAAAAAAoJoBAAAAAAACAAAAuQEAAJCXAQABAAAAAAB04AAAEGAFAAAAAAAAAFCZAQBBkK8GC5EEAQYFBwcJCQkJCgwMCgsLCgsLCwoLBggICQkKCgkKCwsKCwsLCwoLCwsLBgcICQkJCgsKCwwLCgsLCwsLCwwKCAkJCgkKCgkKCgoKCgkKCgoKCQoKCQkJCQoKCQkKCgsKCQwKCwoJCgoKCAkJCgkKCQkKCgkKCQsKCgoKCgkKCAgJCQoJCwkICQkKCwoKCgsMCQkLCAkICwoLCgoJCwoKCgoKCgoLCwsLCAkJCQoKCgsLDAsMCwoKCgwLCwsKCAoJCwoKCwwKCwwLCwwLDAwKCwsKCQkKCwwKCgoLCgsLCgwMCgsKCwwKCQoKCwoLCwsLCwwLCwsJCwoLCgsKCQkKCwsLCgoLDAwLDAsLCwwMDAwLCQsLDAoLCwsLCwsMCwsMCwsLCgsLCQsKCwsLCgoKCwsLDAoLCgsLCwsMCQsKCwsKCgsLCQsLDAoKCgoKCwsKCQoLCwwLCgoMCwsMCwwLCwoKCwsKDAsKCwoLCgoKCwsKCgsLCwsKCgoMCwsLCwoJCgsLCwwLCwsMCgsLCwkKCwsLCwsLCgoLCwwLCgsMCwoKCwkKCwsLCwsKCwsKDAsLCwwLCwsKCgsLAAAAAAAAAAoAAAAJAAAACwAAAAgAAAAMAAAABwAAAA0AAAAGAAAADgAAAAUAAAAPAAAABAAAABAAAAADAAAAEQAAAAIAAAASAAAAAQAAABMAAAAAAAAAFABBsLMGC+EBAQUFBQUKCgsLCwsLCwsLBQcGCAgJCgsLCwsLCwsLBgYHCQcLCgsLCwsLCwsLBQYGCwgLCwsLCwsLCwsLBQYGCQoLCgsLCwsLCwsLBwoKCwsLCwsLCwsLCwsLBwsICwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsKCgoKCgoKCgoKCgoKCgoKCgoKCgoKAEGgtQYL0QEHAAAABgAAAAgAAAAFAAAACQAAAAQAAAAKAAAAAwAAAAsAAAACAAAADAAAAAEAAAANAAAAAAAAAA4AAAAAAAAAAQgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHAAAAAQAAAAAAAAACAAAAAQQEBgYEBgUHBwQFBgcHBgcHBwcGBwcHBwAAAAAAAAACAAAAAQAAAAMAAAAAAAAABABBgLcGC6UBAQQEBwcJCQsLDAwQEAMGBgkJCwsMDA0OEhADBgcJCQsLDQwODhEQBwkJCwsMDA4ODg4REAcJCQsLDQwNDQ4OEQAJCwsMDQ4ODg0PDhERCQsLDAwODg0ODg8AAAsMDA8ODw4PDg8QEQALDA0NDQ4ODw4PDwAADA4ODw8OEA8PERAAEg0ODg8ODw4PEBEQAAARERIAEBIQAAAAEQAAEAAAEBAADwARAEGwuAYLMQYAAAAFAAAABwAAAAQAAAAIAAAAAwAAAAkAAAACAAAACgAAAAEAAAALAAAAAAAAAAwAQfC4BgtRAQQEBwcHBwkJBAYGCAcICAoKBAYGCAgICAoKBggICQkJCQsLBwgICQkJCQsLBwgICQkKCgwLBwgICQkKCgsLCQoKCwsLDAwMCQoKCwsMDAwMAEHQuQYLIQQAAAADAAAABQAAAAIAAAAGAAAAAQAAAAcAAAAAAAAACABBgLoGC/EEAwUFCAgFBgcJCQYHBgkJCQkJCgsJCQkLCgYHBwoKBwcICgoHCAgKCgoKCgoLCQoKCwwGBwcKCgcICAoKBwgHCgoJCgoMCwoKCgsKCQoKDAsKCgoNCwkKCgwMCwsMDA0LCwsMDQkKCgwMCgoLDAwKCgsMDAsLCw0NCwwMDQ0FBwcKCgcICAoKBwgICgoKCwsMDAoLCgwMBwgICwsHCAkKCwgJCQsLCwoLCgwKCwsMDQcICAoLCAkIDAoICQkLDAoLCg0LCgsLDQwJCwoNDAoKCwwMCgsLDQ0MCg0LDgsMDA8NCQsLDQ0KCwsNDAoLCwwODA0LDgwMDAwODgUHBwoKBwgICgoHCAgLCgoLCwwMCgsKDAwHCAgKCwgJCQwLCAgJCgsKCwsMDQsKCwsNBggICgsICQkLCwcJBwsKCgsLDAwKCwoNCgkLCg0MCgwLDQ0KCgsMDQsMDQ8OCwsNDA0JCgsMDQoLCwwNCgsKDQwMDQ0NDgwMCw4LCAoKDA0KCwsNDQoLCg0NDA0ODw4MDAwODQkKCg0MCgoMDQ0KCwsPDAwMDQ8ODA0NDw0JCgsMDQoMCg0MCgsLDA0MDgwPDQwMDA8OCwwLDg0LCwwODgwNDQ4NDQsPCw8ODg4QDwsMDA0OCw0LDg4MDA0ODwwODA8MDQ8OEA8ICgoMDAoKCgwNCgsLDQ0MDAwNDg0NDQ8PCQoKDAwKCwsNDAoKCw0NDAwMDg4MDA0PDgkKCg0MCgoMDA0KCwoNDQwNDQ4ODA0MDg0LDAwODQwNDA4OCgwMDg4ODg4QDg0MDgwPCgwMDg8MDQ0OEAsMCw8ODQ4ODg8NDgsODABBgL8GCxECAAAAAQAAAAMAAAAAAAAABABBoL8GC/EEAQUFBwcGBwcJCQYHBwkJCAoJCwsICQkLCwYICAoKCAoKCwsICgoLCwoLCwwMCgsLDA0GCAgKCggKCgsLCAoKCwsJCgsMDAoLCwwMCAsLDg0KDAsPDQoMCw4ODA0MEA4MDgwQDwgLCw0OCgsMDQ8KCwwNDwsMDQ4PDAwODhAFCAgLCwkLCwwMCAoLDAwLDAwPDgsMDA4OBwsKDQwKCwwNDgoMDA4NDA0NDg8MDQ0PDwcKCwwNCgwLDg0KDA0NDwwNDA4OCw0NDxAJDAwPDgsNDQ8QCw0NEBANDg8PDwwODxEQCQwMDg8LDQ0PEAsNDRASDQ4OERANDw8REgUICQsLCAsLDAwICgsMDAsMDA4OCwwMDg8HCwoMDQoMDA4NCgsMDQ4LDQ0PDgwNDQ4PBwoLDQ0KDAwNDgoMDA0NCw0NEBAMDQ0PDgkMDBAPCg0NDw8LDQ0RDwwPDxIRDQ4ODxAJDAwPDwsNDQ8QCw0NDw8MDw8QEA0PDhEPBwsLDw8KDQ0QDwoNDQ8QDg8PERMNDw4PEgkMDBAQCw0OERALDQ0REA8PEBETDQ8QABIJDAwQDwsODRERCw0OEBAPEBATEg0PDxETCw4OExAMDg8AEgwQDxIRDw8SEBMODxETEwsODhITDQ8OExMMEA8SEQ8RDwAQDhEQEwAHCwsODgoMDA8PCg0NEA8NDw8RAA4PDxATCQwMEBALDg4QEAsNDRAQDhEQEwAOEhEREwkMDA8QCw0NDxEMDg0TEA0PDxETDxEQERMLDg4TEAwPDxMRDQ4PERMOEBETExAPEBETCw8OEBAMDw8TAAwODxMTDhAQABIPEw4SEABBoMQGCxECAAAAAQAAAAMAAAAAAAAABABBwMQGC4UCAgQEBQYGBQYGBQcHBgcIBgcIBQcHBggIBwkHBQcHBwkJBwgIBgkIBwcKCAoKBggICAoICAoKBQcHBwgIBwgJBggICAoKCAgKBggJCAoKBwoIAAAAAQAAAAAAAAACAAAAAQQEBQcHBQcHBQgICAoKBwoKBQgIBwoKCAoKBAkICAsLCAsLBwsLCgsNCg0NBwsLCg0MCg0NBQkICAsLCAsLBwsLCQ0NCgwNBwsLCg0NCg0LAAAAAQAAAAAAAAACAAAABAcLCQwIBwoGBAUFBwUGEAkFBQYHBwkQBwQGBQcFBxEKBwcIBwcIEgcFBgQFBAUPBwYHBQYEBQ8MDRIMEQsJEQYAAAAGAEHQxgYLE7DOAQDYzgEAAM8BACjPAQBQzwEAQfDGBgsTcMwBAJjMAQDAzAEA6MwBABDNAQBBkMcGC7MBEMkBADjJAQBgyQEAiMkBALDJAQDYyQEAAMoBACjKAQCoxQEA0MUBAPjFAQAgxgEASMYBAHDGAQCYxgEAwMYBAFjAAQCAwAEAqMABANDAAQD4wAEAIMEBAEjBAQBwwQEAmMEBAMDBAQDowQEAEMIBABC7AQA4uwEAYLsBAIi7AQCwuwEA2LsBAAC8AQAovAEAULwBAHi8AQCgvAEAyLwBANC4AQD4uAEAILkBAEi5AQBwuQEAQdDIBgu/AZCxAQC4sQEA4LEBAAiyAQAwsgEAWLIBAICyAQCosgEA0LIBAPiyAQAgswEASLMBAHCzAQCYswEAwLMBAAAAAABYqgEAgKoBAKiqAQDQqgEA+KoBACCrAQBIqwEAcKsBAJirAQDAqwEA6KsBABCsAQA4rAEAYKwBAIisAQAAAAAABKUBACylAQBUpQEAfKUBAKSlAQDMpQEA9KUBABymAQBEpgEAbKYBAJSmAQC8pgEAAAAAAAEAAAAIAAAAUKoBAEGsygYLCwEAAABAAAAAEKoBAEHUygYLCwEAAABAAAAA0KkBAEH8ygYLCwEAAACAAAAAUKkBAEGkywYLCwEAAAAgAAAAMKkBAEHMywYLCwEAAACAAAAAsKgBAEH0ywYLCwEAAAASAAAAkKgBAEGczAYLCwEAAAAyAAAAUKgBAEHEzAYLCwEAAACAAAAA0KcBAEHszAYLCwEAAAASAAAAsKcBAEGUzQYLCwEAAAAyAAAAcKcBAEG8zQYLCwEAAACAAAAA8KYBAEGizgYLTgQIBAgECAQIBQgFCAYIBAgECAUIBQcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwBBgs8GCyACAwMEAwUEBgQGBQcGBwYIBggHCQgKCAwJDQoPCg8LDgBBsc8GCxEEBAQEBAQDBAQEBAQFBAUFBQBBgtAGC04DAwMDBAMEBAUFBgYHBwcICAsICQkJCgsLCwkKCgsLCwsKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoAQeLQBgsgBAMEAwQEBQQFBAYEBgUGBQcFBwYIBggGCAcIBwkHCQgAQZHRBgsRBAUEBAQFBAQEBQQFBAUDBQMAQdDRBguTAwQDBQMFBAUEBQQFBQUFBgUGBQcFCAYIBggGCAYIBwkHCQcLCQsLDAsODA4QDhANEA4QDA8NEA4QDQ4MDw0PDQ0NDwwODg8NDwwPDw8PDw8PDw8PDw8PDw8PDw8PDw8PDwIEBQQFBAUEBQUFBQUFBgUGBQYGBwYHBggHCAcIBwgHBAUFBQUFBQUFBQUFBQUFBQUGBQYGBgYFBgYHBgcGBwYHBggHCAcIBwgHCAcJBwkHCQcJCAkICggKCAoHCgYKCAoICwcKBwsICwsMDAsLDAsNCw0LDQwPDA0NDg4ODg4PDw8QDhETExISEhISEhISEhISEhISEhISEhISEhISEhICBAYRBAUHEQgHChERERERAwQGDwMDBg8HBgkREREREQYIChEGBggQCQgKEREPEBERERERDA8PEAwPDxAQEBAQAwMDDgUEBAsIBgYKEQwLEQYFBQ8FAwQLCAUFCBAJCg4KCAkRCAYGDQoHBwoQCw0OEREREREQEBAQDxAQEBAQEAECAwYFBAcHAQAAABAAAACAsQEAQYDVBgsLAQAAAAgAAABwsQEAQajVBgsLAQAAAAABAABwsAEAQdDVBgsLAQAAAEAAAAAwsAEAQfjVBgsLAQAAAIAAAACwrwEAQaDWBgsLAQAAACAAAACQrwEAQcjWBgsLAQAAAIAAAAAQrwEAQfDWBgsLAQAAACAAAADwrgEAQZjXBgsLAQAAAIAAAABwrgEAQcDXBgsLAQAAABIAAABQrgEAQejXBgsLAQAAADIAAAAQrgEAQZDYBgsLAQAAAIAAAACQrQEAQbjYBgsLAQAAABIAAABwrQEAQeDYBgsLAQAAADIAAAAwrQEAQYjZBgsLAQAAAIAAAACwrAEAQeLZBgtOAwYFBwUHBwcHBwUHBQcFBwUHBwcHBwQHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBgYGBgYGBgYGAEHC2gYLIAMCBAMEBAQFBQYFBgUHBgYGBwcHCAkJCQwKCwoKDAoKAEHx2gYLEQMEBAQEBAQEBAUEBQQFBAQFAEHC2wYLTgMGAwcDBwUHBwcHBwYHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwBBotwGCyADAwMEBAQEBAQFBQUFBgYHBgcGCAYJBwkHCQkLCQwKDABB0dwGCxEEBAQEBAQEBAQEBAQEBAQFBQBBkN0GC4ABAwQDBAMEBAUEBQUFBgYGBwYIBggGCQcKBwoHCgcMBwwHDAkMCwwKDAoMCwwMDAoMCgwKDAkMCwwMDAwMCwwLDAwMDAwMDAwMCgoMDAwMDAoMDAwMDAwMDAwMDAwMDAwMAgQFBAUEBQQFBQUFBQUGBQYFBgYGBgcHBwcHBwgICAgAQbDeBgvrBAYFBwUHBAcECAQIBAgECAMIBAkECQQJBAkECQUJBQkGCQcJCAkJCQoJCwkOCQ8KDwoPCg8KDwsPCg4MDgsODQ4NDw8PDA8PDw0PDQ8NDw8PDw8PDw8PDw8PDw8PDw8PDgQEBAQEBAQEBQUFBQUFBQUFBQYGBgYGBgcGBwYHBgcGBQUFBQUFBgUGBQYFBgUGBQYFBwUHBQcFCAUIBQgFCQUJBgoGCgYLBgsGCwYLBgsGCwYLBgwHCwcLBwsHCwcKBwsHCwcMBwsICwgLCAsIDQgMCQsJCwkLCgwKDAkMCgwLDgwQDAwLDhARERERERERERERERERERERERERERAQEBACBAcNBAUHDwgHChAQDhAQAgQHEAMEBw4ICAoQEBAPEAYICxAHBwkQCwkNEBAQDxAQEBAQDhAQEBAQEBAQEBAQAwMGEAUFBxAJCAsQEBAQEAUFCBAFBQcQCAcJEBAQEBAJCQwQBggLEAkKCxAQEBAQEBAQEA0QEBAPEBAQEBAQEAUEBxAGBQgQCQgKEBAQEBAFBQcPBQQGDwcGCBAQEBAQCQkLDwcHCRAICAkQEBAQEBAQEBAPDw8QDw8OEBAQEBAICAsQCAkKEAsKDhAQEBAQBggKEAYHChAICAsQDhAQEAoLDhAJCQsQCgoLEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEA8QEBAQEBAQEBAQEAwQDxAMDhAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEAECAwYEBwUHAAAAAAAAAAACBggJBwsNDQEDBQUGBgwKAQAAABAAAADAuAEAQbjjBgsLAQAAAAgAAACwuAEAQeDjBgsLAQAAAAABAACwtwEAQYjkBgsLAQAAAEAAAABwtwEAQbDkBgsLAQAAAIAAAADwtgEAQdjkBgsLAQAAACAAAADQtgEAQYDlBgsLAQAAAIAAAABQtgEAQajlBgsLAQAAACAAAAAwtgEAQdDlBgsLAQAAAIAAAACwtQEAQfjlBgsLAQAAABIAAACQtQEAQaDmBgsLAQAAADIAAABQtQEAQcjmBgsLAQAAAIAAAADQtAEAQfDmBgsLAQAAABIAAACwtAEAQZjnBgsLAQAAADIAAABwtAEAQcDnBgsLAQAAAIAAAADwswEAQaLoBgtOAgUCBgMGBAcEBwUJBQsGCwYLBwsGCwYLCQsICwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCgoKCgoKAEGC6QYLIAQCBAIFAwUEBgYGBwcIBwgHCAcJCAkICQgKCAsJDAkMAEGx6QYLEQQFBAUEBQQFAwUDBQMFBAUEAEGC6gYLTgMHAwgDCgMIAwkDCAQJBAkFCQYKBgkHCwcMCQ0KDQwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDABB4uoGCyADAwQDBAQEBAUFBQUFBgUHBQgGCAYJBwoHCggKCAsJCwBBkesGCxEEBQQFAwUDBQMFBAQEBAUFBQBB0OsGC4ABBAMEAwQEBQQFBAUFBgUGBQcFBwYHBggHCAcIBwkICQkJCQoKCgsJDAkMCQ8KDgkNCg0KDAoMCg0KDAsNCw4MDQ0ODg0ODw4QDQ0OEBAQEBAQEBAQEBAQEBAQEBAQEA8PAQUFBQUFBQUGBQYFBgUGBQYGBwcHBwgHCAgJCAoJCgkAQfDsBgvrBAgFCAQJBAkECQQJBAkECQQJBAkECQQIBAgECQUJBQkFCQUJBgoGCgcKCAsJCwsMDQwODQ8NDw4QDhEPEQ8PEBAPEBAQDxIQDxERExMTExMTExMTExMTExMTExMTExMTEwIFBQQFBAUEBQQGBQYFBgUGBQcFBwYIBggGCAYJBgkGBQUFBQYFBgUGBQYFBgUGBQYFBgUGBQYFBwUHBQcFBwUIBggGCAYJBgkGCgYKBgsGCwcLBwwHDAcMBwwHDAcMBwwHDAgNCAwIDAgNCA0JDQkNCQ0JDAoMCg0KDgsODA4NDg0ODg8QDw8PDg8RFRYWFRYWFhYWFhUVFRUVFRUVFRUCAwcNBAQHDwgGCREVEA8VAgUHCwUFBw4JBwoQEQ8QFQQHChEHBwkPCwkLEBUSDxUSFRUVDxERExUTEhQVFRUUAQUHFQUICRUKCQwUFBAUFAQICRQGCAkUCwsNFBQPERQJCw4UCAoPFAsNDxQUFBQUFBQUFA0UFBQSEhQUFBQUFAMGCBQGBwkUCgkMFBQUFBQFBwkUBgYJFAoJDBQUFBQUCAoNFAgJDBQLCgwUFBQUFBIUFBQPERIUEhESFBQUFBQHCgwUCAkLFA4NDhQUFBQUBgkMFAcICxQMCw0UFBQUFAkLDxQICg4UDAsOFBQUFBQUFBQUFBQUFBQUFBQUFBQUCxASFA8PERQUERQUFBQUFAkOEBQMDA8UEQ8SFBQUFBQQExIUDxAUFBERFBQUFBQUFBQUFBQUFBQUFBQUFBQUFAEEAgYDBwUHAAAAAAAAAAACCggOBwwLDgEFAwcECQcNAQAAAAABAAAQugEAQfjxBgsLAQAAAAQAAAADugEAQaDyBgsLAQAAAAoAAAD5uQEAQcjyBgsLAQAAABkAAADguQEAQfDyBgsLAQAAAEAAAACguQEAQbnzBgsnAwQCBAMFBAUFBQUGBgYGBgYGBwcIBgkHDAsQDRAMDw0PDA4MDw8PAEHq8wYLHQMDAwQDBAQEBAQFBQUGBgAAAAACAwIDAwMBAwIDAEGQ9AYLiwIEBQYLBQUGCgcHBgYODQkJBgYGCgYGBgkIBwcJDgwICwgHBwsICAcLCQkHCQ0LCQ0TExITDxAQEwsLCg0KCgkPBQUGDQYGBgsIBwYHDgsKCwYGBgwHBgYLCAcHCw0LCQsJBwYMCAcGDAkICAsNCgcNExMRExEODhMMCggMDQoJEAcIBwwHBwcLCAcHCAwMCwsICAcMCAcGCwgHBwoKCwoLCQgIDQkIBwwKCQcLCQgHCxISDxISEBESDwsKEgsJCRIQEA0QDAsKEAwLCQYPDAsNEBAODg0LDBAMCQkNDQoKDBESEREODw4QDgwODwwKCwwSEhISEhISEhIMDRIQCwkSAQAAAAgAAABQwAEAQbj2BgsLAQAAAEAAAAAQwAEAQeD2BgsLAQAAAEAAAADQvwEAQYj3BgsLAQAAAIAAAABQvwEAQbD3BgsLAQAAACAAAAAwvwEAQdj3BgsLAQAAAIAAAACwvgEAQYD4BgsLAQAAABIAAACQvgEAQaj4BgsLAQAAADIAAABQvgEAQdD4BgsLAQAAAIAAAADQvQEAQfj4BgsLAQAAABIAAACwvQEAQaD5BgsLAQAAADIAAABwvQEAQcj5BgsLAQAAAIAAAADwvAEAQaL6BgtOAwIEAwQEBAUEBwUIBQsGCgYMBwwHDAgMCAwKDAwMDAwLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLAEGC+wYLIAUDBgMGBAcEBwQHBAgECAQIBAgECQQJBQoFCgcKCAoIAEGx+wYLEQQEBAQEBAQFAwUDBQQGBAYEAEGC/AYLTgcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgBB4vwGCyAFAQUDBQMFBAcFCgcKBwwKDgoOCQ4LDg4ODQ0NDQ0NDQBBkf0GCxEEBQQGBAgDCQMJAgkDCAQJBABB0P0GC5MDBAMFAwUDBgMGBAYEBwQHBQgFCAYJBwkHCQgKCQoJCwoLCwsLCwsMDAwNDA0MDgwPDA4MEA0RDREOEQ4QDREOEQ4RDxEPDxAREREREREREREREREREREQEBAQEBAQEBAQAgUFBAUEBQQFBQUFBQUGBQYFBgUHBgcGBwYIBgkHCQcFBQYFBgUGBQYFBgUGBQYFBwUHBQcFBwUHBQcFCAUIBQgFCAUIBggGCAYJBgkGCQYJBgkHCQcJBwkHCgcKCAoICggKCAoICwgLCAsICwgLCQwJDAkMCQwJDAoMCg0LDQsODA4NDw4QDhEPEhAUFBQUFBQUFBQUFBQUFBQUFBQUFAMGChEECAsUCAoLFBQUFBQCBAgSBAYIEQcIChQUERQUAwUIEQMEBhEICAoREQwQFA0NDxQKCgwUDw4PFBQUExMBBAoTAwgNEwcMExMTExMTAgYLEwgNExMJCxMTExMTEwYHDRMJDRMTCg0SEhISEhISEhISEhISEhISEhISEhISAQMEBwIFBgcBAAAACAAAAKDFAQBBgIEHCwsBAAAAQAAAAGDFAQBBqIEHCwsBAAAAQAAAACDFAQBB0IEHCwsBAAAAgAAAAKDEAQBB+IEHCwsBAAAAIAAAAIDEAQBBoIIHCwsBAAAAgAAAAADEAQBByIIHCwsBAAAAEgAAAODDAQBB8IIHCwsBAAAAMgAAAKDDAQBBmIMHCwsBAAAAgAAAACDDAQBBwIMHCwsBAAAAEgAAAADDAQBB6IMHCwsBAAAAMgAAAMDCAQBBkIQHCwsBAAAAgAAAAEDCAQBB8oQHC04HAQYDBwMIBAgFCAgICQcICAcHBwgJCgkJCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCQkAQdKFBwsgBQMFBAYEBgQHBAcECAQIBAkECQQKBAoFCgULBQwGDAYAQYGGBwsRBAQEBAQEBAQEBAQEBAUEBQQAQdKGBwtOBAgDCAQIBAgGCAUIBAgECAYIBwgHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHAEGyhwcLIAMDAwQEBAQFBAUEBgUHBQcGCAYIBgkHCQcKBwkICwgLAEHhhwcLEQQFBAUEBQMFAwUDBQQEBAUFAEGgiAcLkwMFAwUDBgQGBAcEBwQHBAgECAQJBQkFCQUJBgoGCgYLBwoHCggLCQsJCwoLCwwLCwwPDwwOCw4MDgsODQ4MDgsOCw4MDgsOCw4NDQ4ODg4ODg4ODg4ODg4ODg4ODg4ODg4CBQUFBQUFBAUFBQUFBQUFBgUGBQYFBwYHBgcGCAYIBgUFBQUFBQYFBgUGBQYFBgUGBQYFBgUGBQYFBgYGBgcGBwYHBgcGBwYHBggGCAYIBwgHCAcIBwkHCQgJCAkICggKCQoJCgkLCQsJCgoLCgsKCwsLCwsLDA0ODg4PDxAQEBEPEA8QEBEREBERERERERERERERERERERERERERERERBwYJEQcGCBEMCQsQEBAQEAUEBxAFAwYOCQYIDxAQEBAFBAYNAwIECwcEBg0QCwoODAwMEAkHCg8MCQsQEA8PEAEGDBAEDA8QCQ8QEBAQEBACBQsQBQsNEAkNEBAQEBAQBAgMEAUJDBAJDQ8QEBAQEA8QEBALDg0QDA8QEBAQEA8BBgMHAgQFBwEAAABAAAAA0MgBAEHQiwcLCwEAAAAAAQAA0McBAEH4iwcLCwEAAAAJAAAAuccBAEGgjAcLCwEAAAAZAAAAoMcBAEHIjAcLCwEAAABAAAAAYMcBAEHwjAcLCwEAAAAJAAAASccBAEGYjQcLCwEAAAAZAAAAMMcBAEHAjQcLCwEAAABAAAAA8MYBAEGJjgcLJwMCBAMGAwcDCAUIBggICAgICAgICAgICAgICAgICAgICAgICAgIBwBBuY4HCxkCAwMEAwQEBQQGBQYHBggIAAMDAwMCBAMEAEH5jgcLJwMFAgUDBQMGAwYEBwYHCAcJCAkJCQoJCw0LDQoKDQ0NDQ0NDAwMDABBqY8HCxkDBAMEAwUDBgMGBAYEBwUHAAIDAwMDBAMEAEHQjwcLywIFBggPBgkKDwoLDA8PDw8PBAYHDwYHCA8JCAkPDw8PDwYICQ8HBwgPCgkKDw8PDw8PDQ8PDwoLDw8NDQ8PDw8PBAYHDwYICQ8KCgwPDw8PDwIFBg8FBgcPCAYHDw8PDw8FBggPBQYHDwkGBw8PDw8PDgwNDwwKCw8PDw8PDw8PDwcICQ8JCgoPDw4ODw8PDw8FBgcPBwgJDwwJCg8PDw8PBwcJDwcHCA8MCAkPDw8PDw0NDg8MCwwPDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDQ0NDw8PDw8PDw8PDw8PDw8MDQ8PDA0PDw4PDw8PDw8PDw8PDw8NDw8PDw8PDw8PBwUFCQkGBgkMCAcICwgJDwYDAwcHBAMGCQYFBggGCA8IBQUJCAUEBgoHBQULCAcPDg8NDQ0NCAsPCgcGCwkKDwEAAABAAAAAMMwBAEG4kgcLCwEAAAAAAQAAMMsBAEHgkgcLCwEAAAAJAAAAGcsBAEGIkwcLCwEAAAAZAAAAAMsBAEGwkwcLCwEAAABAAAAAwMoBAEHYkwcLCwEAAAAJAAAAqcoBAEGAlAcLCwEAAAAZAAAAkMoBAEGolAcLCwEAAABAAAAAUMoBAEHplAcLJwEHAgcDCAQJBQkICgsLDA4ODg4ODg4ODg4ODg4ODg4ODg4ODQ0NDQBBmZUHCxkDBAMGAwYDBgMHAwgECQQJAAMDAgMDBAMEAEHZlQcLJwMFAwUDBQQFBAUFBQUGBQYFBgUGBQYFBwgJCw0NDQ0NDQ0NDQ0NDQBBiZYHCxkDAwMEBAQEBQQFBAUEBgQGAAMDAwMDAwMDAEGwlgcLywIIDRERCAsREQsNERERERERBgoQEQYKDxEIChAREREREQkNDxEICxERCgwRERERERERERERERERERERERERERERBgsPEQcKDxEIChEREQ8REQQIDREEBw0RBggPERAPEREGCw8RBgkNEQgKEREPEREREBEREQwODxENDg8REREREQUKDhEFCQ4RBwkPEQ8PEREDBwwRAwYLEQUHDREMDBERBQkOEQMHCxEFCA0RDQsQEQwREREJDg8RCgsOERAOEREIDBERCAwREQoMERERERERBQoREQUJDxEHCRERDQ0REQcLEREGCg8RBwkPEQwLEREMDxERCw4REQsKDxEREBERCgcIDQkGBwsKCAgMEREREQcFBQkGBAQICAUFCBAODRAHBQUHBgMDBQgFBAcODAwPCgcICQcFBQYJBgUFDwwJCgEAAAAAAQAAsM0BAEGYmQcLCwEAAAAEAAAAo80BAEHAmQcLCwEAAAAKAAAAmc0BAEHomQcLCwEAAAAZAAAAgM0BAEGQmgcLCwEAAABAAAAAQM0BAEHZmgcLJwIEAwUDBQMGBAcEBwUHBgcGBwgKDQ0NDQ0NDQ0NDQ0NDQ0MDAwMDABBipsHCx0EAwQDBAMFAwUEBQQGBAYAAAAAAgIDAwMDAgICAgBBsJsHC4sCBgcHDAYGBwwHBgYKDwwLDQcHCA0HBwgMBwcHCwwMCw0KCQkLCQkJCgoICAwODAwOCwsMDgsMCw8PDA0PDw8PDwYGBwoGBgYLBwYGCQ4MCw0HBwcKBgYHCQcHBgoNDAoMCQkJCwkJCAkJCAgKDQwKDAwMCw0MDAsMDw0MDw8PDg4GBgYIBgYFBgcHBgULCgkIBwYGBwYGBQYHBwYGCwoJCAgICAkICAcICAgGBwsKCQkOCwoODgsKDw0LCQsPDAwLCwkICAoJCAkLCgkIDAsMCw0KCAkLCggJCgkICQoIDAwPCwoKDQsKCggIBwwKCQsMDwwLDw0LCw8MDgsNDw8NDQEAAAAAAQAA8M8BAEHYnQcLCwEAAAAEAAAA488BAEGAngcLCwEAAAAKAAAA2c8BAEGongcLCwEAAAAZAAAAwM8BAEHQngcLCwEAAABAAAAAgM8BAEGZnwcLJwIEAwUDBQMFBAYFBgUHBgYHBwkJCwsQCw4KCwsNEA8PDw8PDw8PDwBByp8HCx0DAwQDBAMEBAUEBQQGBQYAAAAAAwIDAgMDAgICAgBB8J8HC5ECBwcHCwYGBwsHBgYKDAoKDQcHCAsHBwcLBwYHCgsKCg0KCgkMCQkJCwgICAsNCwoODw8ODw8ODQ4PDAwREREREQcHBgkGBgYJBwYGCAsLCgwHBwcJBwYGCQcGBgkNCgoLCgkICgkICAoICAcJDQwKCxEODg0PDgwNEQ0MDxERDhEHBgYHBgYFBwYGBgYLCQkJBwcGBwcGBgcGBgYGCgkICQoJCAgJCAcICAcGCAsKCQoREQwPDw8MDg4OCgwPDQwNCwoICgsKCAgKCQcHCgkJCwsLCQoLCggJCggGCAoJCQsODQoMDAsKCggHCAoKCwsMEREPERERERERDQwREREOEQDRAQAQ6gEAANEBADDqAQABAEGEqwcLAQEAQYizBwsBAQBBiLsHCwEBAEGMwwcLAQEAQczDBwsBAQBBjMQHCwEBAEGQzAcLAQEAQZDUBwtYAgAAAAAAAAAgAAAAUOoBAAQeAgAEHgIALB4CACweAgACAAAAAAAAACAAAABQ6gEAaPUBAGj1AQCQ9QEAkPUBAAAAAAD//////////woAAAD//////////wBB6NYHCwT/////AEHs5gcLHQEAAAABAAAAAgAAAAIAAAAEAAAACAAAABAAAAAgAEHw6AcLGecDAAAAAAAA5wMAAAQAAAAIAAAAEAAAACAAQejqBwsLAgAAAGQAAACgHQIAQajrBwsDUPYBAEHI6wcLA3j2AQBB2OsHCwOg9gEAQejrBwsDyPYBAEH46wcLD/D2AQAAAAAAGPcBAED3AQBBkOwHCwdo9wEAkPcBAEGg7AcLC7j3AQDg9wEACPgBAEHQ7AcL8QcIAAAAoRkAAPADAgABAAAAAAAQ4AAAEGACAAAAAAAAAJQdAgAAAAAABAAAAHECAABQAQIAAQAAAAAAMOAAABBgAwAAAAAAAADQAwIAAAAAAAIAAABRAAAAwAACAAEAAAAAAFDgAAAQYAQAAAAAAAAAIAECAAAAAAACAAAAUQAAADAAAgABAAAAAABQ4AAAEGAEAAAAAAAAAJAAAgAAAAAAAgAAACEBAACw/gEAAQAAAAAAcOAAABBgBQAAAAAAAADg/wEAAAAAAAQAAABRAAAAUP4BAAEAAAAAAHbgAAB2YAIAAAAAAAAApP4BAAAAAAACAAAAeQAAAKD9AQABAAAAAABU4AAAEGAEAAAAAAAAACD+AQAAAAAAAgAAAKkAAACw/AEAAQAAAAAAnuAAAFRgBAAAAAAAAABg/QEAAAAAAAIAAAAZAAAAcPwBAAEAAAAAADDgAAAQYAMAAAAAAAAAkPwBAAAAAAACAAAAqQAAAID7AQABAAAAAIhd4QCwE2EEAAAAAAAAADD8AQAAAAAAAgAAAOEAAABQ+gEAAQAAAABg8uAAAJVgBAAAAAAAAABA+wEAAAAAAAIAAAC5AQAAMPgBAAEAAAAAAHTgAAAQYAUAAAAAAAAA8PkBAAAAAAACBAQGBgcHCAgICAkICQkJCQkJCQkLCwwHBwcHCAgJCQkJCgoKCgoKCgoLCwsHBwcHCAgJCAkJCQkJCQoKCgoLCwwICAgICAgJCQkJCgoKCgoKCgoLCwsHBwgICAgJCQkJCgoKCgoKCgoLCwsICAgICQkJCQkJCgoKCgoKCgoLCwsICAgICQkJCQkJCgoKCgoKCgoLDAsJCQgJCQkJCQoKCgoKCgoKCgoLCwsLCwgICQkJCQoKCgoKCgoKCgoLDAsMCwkJCQkJCgoKCgoKCgoKCgoLCwsLCwkJCQkKCgoKCgoKCgoKCgoMCwwLCwkJCQoKCgoKCgoKCgoKCgoMCwsLCwsLCgoKCgoKCgoKCgoKCgsLCwwLCwwLCgoKCgoKCgoKCgoKCwoLCwsLCwsLCgoKCgoKCgoKCgoKCgoLCwwLDAsLCgoKCgoKCgoKCgoKCgoLCwwLDAsLCwsKCgoKCgoKCgoKCgoLCwwLCwwLCwwKCgsKCgoKCgoKCgoLCwsLCwsLCwsKCgoKCgoKCgoKCgoMDAsMCwsMDAwLCwoKCgoKCgoKCgsMDAsMDAsMCwsLCwoKCgoKCgoKCgoAAAAAAAAACgAAAAkAAAALAAAACAAAAAwAAAAHAAAADQAAAAYAAAAOAAAABQAAAA8AAAAEAAAAEAAAAAMAAAARAAAAAgAAABIAAAABAAAAEwAAAAAAAAAUAEHQ9AcL4QEBBAQFBQcHCQkLCwwMDQ0GBQUGBgkJCgoMDAwNDw4GBQUHBwkJCgoMDAwNDg0RBwcICAoKCwsMDQ0NDQ0RBwcICAoKCwsNDQ0NDg4RCwsJCQsLDAwMDQ0ODw0RDAwJCQsLDAwNDQ0NDhARERELDAwMDQ0NDg8ODw8REREMDAsLDQ0ODg8ODw8REREPDw0NDg4PDg8PEA8REREPDw0NDQ4ODw8PDxAREREREA4PDg4PDg4PDw8REREREQ4OEA4PDw8PDw8REREREREQEA8RDw8OEQ8REBEREREQDw4PDw8PDw8AQcD2BwuhAgcAAAAGAAAACAAAAAUAAAAJAAAABAAAAAoAAAADAAAACwAAAAIAAAAMAAAAAQAAAA0AAAAAAAAADgAAAAAAAAABAwMKCgoKCgoKCgoKBQYGCgoKCgoKCgoKCgYHCAoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoJCQkJAAAAAAAAAAYAAAAFAAAABwAAAAQAAAAIAAAAAwAAAAkAAAACAAAACgAAAAEAAAALAAAAAAAAAAwAQfD4BwsxAgMDBQUGBgYFBQYGBgUFBgYGBQUGBgYFBQAAAAAAAAACAAAAAQAAAAMAAAAAAAAABABBsPkHC+EBAQQEBgYICAgICQkKCgcFBQcHCAgICAkKCwsHBQUHBwgICQkKCgsLAAgICAgJCQkJCQoLCwAICAgICQkJCQoKCwsADAwJCQkJCgkKCwsLAA0MCQgJCQoKCwsMCwAAAAkJCQkKCgsLDAwAAAAKCgkJCgoLCwwMAAAADQ0KCgsLDAsNDAAAAA4OCgoLCgsLDAwAAAAAAAwMCwsMDA0NAAAAAAAMDAsKDAsNDAAAAAAAAAAGAAAABQAAAAcAAAAEAAAACAAAAAMAAAAJAAAAAgAAAAoAAAABAAAACwAAAAAAAAAMAEGg+wcLoAQCAwMFBQcHBwcHBwoKCQcHBwcICAgICQkJBwcHBwgICAgKCgoHBwcHCAgICAoKCgcHBwcICAgICgoKCAgICAgICAgKCgoICAgICAgICAoKCggICAgICAgICgoKCgoICAgICAgKCgoKCggICAgICAoKCgoKCAgICAgIAAAAAAAAAAUAAAAEAAAABgAAAAMAAAAHAAAAAgAAAAgAAAABAAAACQAAAAAAAAAKAAAAAAAAAAEEBAYGBgcGBgQHBwoJCQoJCQUHBwoJCQoJCQYKCgoKCgsKCgYJCQoJCgsKCgYJCQoJCQsJCgcKCgsLCwsKCgYJCQoKCgsJCQYJCQoKCgoJCQAAAAEAAAAAAAAAAgAAAAEDAwUFCAgICAkJCgoLCwsLAAAACAgICAkJCQkKCgsLDAwAAAAICAgICQkJCQoKCwsMDAAAAAkJCAgKCgoKCwsMDAwMAAAACQkICAoKCgoLCwwMDAwAAAAKCgkJCgoKCgsLDAwNDQAAAAoKCQkKCgoKCwsMDA0NAAAACwsJCQoKCgoLCwwMDQ0AAAAAAAkJCgoKCgsLDAwNDQAAAAAACQkKCgsLDAwMDA0NAAAAAAAJCQoKCwsMCwwMDQ0AAAAAAAoKCwsLCwwMDQwNDQAAAAAAAAALCgsLDAwNDQ0NAAAAAAAAAAsLDAwMDA0NDQ4AAAAAAAAACwsMDAwMDQ0ODQAAAAAAAAAMDAwMDQ0NDQ4OAEHJ/wcLCAwMDQ0NDQ4OAEHg/wcLQQgAAAAHAAAACQAAAAYAAAAKAAAABQAAAAsAAAAEAAAADAAAAAMAAAANAAAAAgAAAA4AAAABAAAADwAAAAAAAAAQAEGwgAgLUQEDAwQFBgYICAAAAAgIBwcJCQAAAAgIBwcJCQAAAAkKCAgJCQAAAAoKCAgJCQAAAAsKCAgKCgAAAAsLCAgKCgAAAAwMCQkKCgAAAAAACQkKCgBBkIEICyEEAAAAAwAAAAUAAAACAAAABgAAAAEAAAAHAAAAAAAAAAgAQcCBCAtEAQIDBwcAAAAAAAAABgYAAAAAAAAABgYAAAAAAAAABwcAAAAAAAAABwcAAAAAAAAACAgAAAAAAAAACQgAAAAAAAAACgoAQaCCCAshBAAAAAMAAAAFAAAAAgAAAAYAAAABAAAABwAAAAAAAAAIAEHQgggLBQIEBAUFAEHpgggLBQQEBAYGAEGCgwgLBQQEBAYGAEGbgwgLBQYGBgcHAEG0gwgLBQYGBgcHAEHQhwgLEQIAAAABAAAAAwAAAAAAAAAEAEHwhwgLFQEFBQAAAAAAAAUHBwAAAAAAAAUHBwBBwYgICxUFCAcAAAAAAAAHCAkAAAAAAAAHCAkAQZKJCAsVBQcIAAAAAAAABwkIAAAAAAAABwkIAEHJjQgLFQUICAAAAAAAAAgJCQAAAAAAAAgJCQBBmo4ICxUHCQkAAAAAAAAICAoAAAAAAAAJCgoAQeuOCAsVBwkJAAAAAAAACAoJAAAAAAAACQoKAEGikwgLFQUICAAAAAAAAAgJCQAAAAAAAAgJCQBB85MICxUHCQkAAAAAAAAJCgoAAAAAAAAICQoAQcSUCAsVBwkJAAAAAAAACQoKAAAAAAAACAoIAEGUuwgLewEAAAAAAAAAAgAAAAQGEggLCAgJCQoEBBIFCQUGBwgKEhISEhEREREREQcFEQYLBgcICQwMCREMCAgJCgoNBwURBggEBQYICgYFEQYIBQQFBwkHBxEICQYFBQYICAgRCQsIBgYGBwkKEQwMCgkHBwgCAAAAZAAAALBFAgBBxLwICwPsHgIAQeS8CAsDFB8CAEH0vAgLAzwfAgBBhL0ICwNkHwIAQZS9CAsPjB8CAAAAAAC0HwIA3B8CAEGsvQgLBwQgAgAsIAIAQby9CAsLVCACAHwgAgCkIAIAQey9CAvbAwgAAAChGQAAACwCAAEAAAAAABDgAAAQYAIAAAAAAAAApEUCAAAAAAAEAAAAcQIAAGApAgABAAAAAAAw4AAAEGADAAAAAAAAAOArAgAAAAAAAgAAAFEAAADQKAIAAQAAAAAAUOAAABBgBAAAAAAAAAAwKQIAAAAAAAIAAABRAAAAQCgCAAEAAAAAAFDgAAAQYAQAAAAAAAAAoCgCAAAAAAACAAAAIQEAAMAmAgABAAAAAABw4AAAEGAFAAAAAAAAAPAnAgAAAAAABAAAAFEAAABgJgIAAQAAAAAAduAAAHZgAgAAAAAAAAC0JgIAAAAAAAIAAAB5AAAAsCUCAAEAAAAAAFTgAAAQYAQAAAAAAAAAMCYCAAAAAAACAAAAqQAAAMAkAgABAAAAAACe4AAAVGAEAAAAAAAAAHAlAgAAAAAAAgAAABkAAACAJAIAAQAAAAAAMOAAABBgAwAAAAAAAACgJAIAAAAAAAQAAABRAAAAICQCAAEAAAAAsBPhALATYQIAAAAAAAAAdCQCAAAAAAACAAAA4QAAAPAiAgABAAAAAGDy4AAAlWAEAAAAAAAAAOAjAgAAAAAAAgAAALkBAADQIAIAAQAAAAAAdOAAABBgBQAAAAAAAACQIgIAQdDBCAuRBAEFBQcHCAcICAoKCQkKCgoLCwoMCwwMDAkICAgICAkKCgoKCwsLCgsLDAwLDAgIBwcICQoKCgkKCgkKCgsLCwsLCwkJCQkICQoKCwoKCwsMCgoMDAsLCgkJCggJCgoKCQoKCwsKCwoKCgwMDAkKCQoJCQoKCwsLCwoKCgsMCwwLDAoLCgsJCgkKCQoKCQoKCwoLCwsLDAsJCgoKCgsLCwsLCgsLCwsKDAoMDAsMCgoLCgkLCgsJCgsKCgoLCwsLDAwKCQkLCgkMCwoMDAsLCwsKCwsMCwoMCQsKCwoKCwoLCQoKCgsMCwsMCwoKCwsJCgoMCgsKCgoJCgoKCgkKCgsLCwsMCwoKCgoLCwoLCwkLCgwKDAsKCwoKCgsKCgsLCgsKCgoKCwsMCgoKCwoLDAsKCwoKCwsKDAoJCgoLCwsKDAoKCwsLCgoLCgoKCwoLCgwLCwoKCgwKCgsJCgsLCwoKCwoKCQsLDAwLDAsLCwsLCwkKCwoMCgoKCgsKCgsKCgwKCgoKCgkMCgoKCgwJCwoKCwoMDAoMDAwKCgoKCQoLCgoMCgoMCwoLCgoMCwoMCgoLCQsKCQoJCgAAAAAAAAAKAAAACQAAAAsAAAAIAAAADAAAAAcAAAANAAAABgAAAA4AAAAFAAAADwAAAAQAAAAQAAAAAwAAABEAAAACAAAAEgAAAAEAAAATAAAAAAAAABQAQfDFCAvhAQEEBAUFCggLCwsLCwsLCwYGBgcGCwoLCwsLCwsLCwcFBgYGCAcLCwsLCwsLCwsHCAgICQkLCwsLCwsLCwsJCAcICQsLCwsLCwsLCwsLCgsLCwsLCwsLCwsLCwsLCwoLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwBB4McIC9EBBwAAAAYAAAAIAAAABQAAAAkAAAAEAAAACgAAAAMAAAALAAAAAgAAAAwAAAABAAAADQAAAAAAAAAOAAAAAAAAAAEICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwAAAAEAAAAAAAAAAgAAAAEDBAUFBwYGBgUHBwcGBgcHBwYGBwcHBgYAAAAAAAAAAgAAAAEAAAADAAAAAAAAAAQAQcDJCAvhAQEEBAcGBwcHBwgICQkHBgYHBwgIBwcICQoKBwYGBwcIBwcHCQkKDAAICAgICAkICAkJCgoACAgICAgJCAkJCQsKAAANCQgJCQkJCgoLCwANAAkJCQkJCQsKCwsAAAAICQoJCgoNCwwMAAAACAkJCQoKDQwMDQAAAAwACgoMCwoLDAwAAAANDQoKCgsMAA0AAAAAAAANCwAMDAwNDAAAAAAAAA0NCw0NCwwAAAAAAAAABgAAAAUAAAAHAAAABAAAAAgAAAADAAAACQAAAAIAAAAKAAAAAQAAAAsAAAAAAAAADABBsMsIC6AEAQMDBgYICAkJCQkKCgoHBwgICQkJCQoKCQcHCAgJCQkJCgoKCAgJCQkJCQkKCgoICAkJCQkICQoKCggICQkJCgoKCgoKCQkJCQkJCgoLCgsJCQkJCgoKCgsLCwoKCQkKCgoJCwoKCgoKCgkJCgoLCwoKCgkJCQoKCgAAAAAAAAAFAAAABAAAAAYAAAADAAAABwAAAAIAAAAIAAAAAQAAAAkAAAAAAAAACgAAAAAAAAABBAQHBgYHBgYEBwcLCQoMCQoEBwcKCgoLCQkGCwoLCwwLCwsGCgoLCwwLCgoGCQoLCwsLCgoHCgsMCwsMCwwGCQkKCQkLCgoGCQkKCgoLCgoAAAABAAAAAAAAAAIAAAABAwMGBggICQkICAoJCgoLCwAAAAcHCAgJCQkJCgoLCwsMAAAABwcICAkJCQkKCgsLDAsAAAAICAkJCgoJCQoKCwsMDAAAAAgICQkKCgkJCwoLCwwMAAAACQkJCQoKCgoLCwsMDAwAAAAJCQkJCgoKCgsLDAwNDQAAAAoKCgoLCwoKCwsMDA0NAAAAAAAKCQoLCgoLCwwMDQ0AAAAAAAkJCgkKCwwMDQ0ODQAAAAAACQkJCgoKCwsNDA0NAAAAAAAKCgoKCwsMDA0NDg4AAAAAAAAACgoLCwwMDQ0NDgAAAAAAAAALCwsLDAwNDg4OAAAAAAAAAAsLCwsMDA0NDg0AAAAAAAAACwsMDA0NDg4ODgBB2c8ICwgMDAwMDQ0ODgBB8M8IC0EIAAAABwAAAAkAAAAGAAAACgAAAAUAAAALAAAABAAAAAwAAAADAAAADQAAAAIAAAAOAAAAAQAAAA8AAAAAAAAAEABBwNAIC1EBAwMFBQcGCAgAAAAHBwcHCAgAAAAHBwcHCAkAAAAICAgICQkAAAAICAgICQkAAAAJCQgICgoAAAAJCQgICgoAAAAKCgkJCgoAAAAAAAkJCgoAQaDRCAshBAAAAAMAAAAFAAAAAgAAAAYAAAABAAAABwAAAAAAAAAIAEHQ0QgLRAECAwcHAAAAAAAAAAYGAAAAAAAAAAYGAAAAAAAAAAcHAAAAAAAAAAcHAAAAAAAAAAgIAAAAAAAAAAkIAAAAAAAAAAoKAEGw0ggLIQQAAAADAAAABQAAAAIAAAAGAAAAAQAAAAcAAAAAAAAACABB4NIICwUBBAQGBgBB+dIICwUEBQYHBwBBktMICwUEBQUHBwBBq9MICwUGBwcICABBxNMICwUGBwcICABB4NcICxECAAAAAQAAAAMAAAAAAAAABABBgNgICxUBBQQAAAAAAAAFBwcAAAAAAAAFBwcAQdHYCAsVBQgIAAAAAAAABwgJAAAAAAAABwgJAEGi2QgLFQUICAAAAAAAAAcJCQAAAAAAAAcJCABB2d0ICxUFCAgAAAAAAAAICgoAAAAAAAAICQkAQareCAsVBwoJAAAAAAAACAkLAAAAAAAACQsLAEH73ggLFQcJCgAAAAAAAAkLCgAAAAAAAAkLCwBBsuMICxUFCAgAAAAAAAAICQkAAAAAAAAICQoAQYPkCAsVBwkJAAAAAAAACQsLAAAAAAAACQoLAEHU5AgLFQcJCgAAAAAAAAkLCwAAAAAAAAgLCQBBpIsJC3ABAAAAAAAAAAIAAAAEBRIHCgYHCAkKBQISBQcFBgcICxEREREREREREREHBBEGCQYICgwPCwcRCQYGBwkLDwYEEQYGBAUICxAGBhEIBgUGCQ0QCAkRCwkICAsNEQkMEQ8ODQwNDhEMDxEREREREBERAEGgjAkLyQGamZmZmZm5vwAAAAAAAAAAmpmZmZmZuT+amZmZmZnJPzMzMzMzM9M/mpmZmZmZ2T8AAAAAAADgPzMzMzMzM+M/ZmZmZmZm5j+amZmZmZnpP83MzMzMzOw/AAAAAAAA8D8AAgAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAAAAAAAEAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAAAAAjAAAAFQAAAAkAQfSNCQsdHgAAABQAAAAIAAAAAAAAwAAAoD8ZAAAADAAAAAIAQZyOCQukAhQAAAAJAAAA/f///wAAAAAAAAAAFAAAAAkAAAD8////AAAAAAAAAAAUAAAACQAAAPz///8AAAAAAAAAABQAAAAGAAAA+v///wAAAAAAAAAAFAAAAAMAAAD2////AAAAAAAAAAASAAAAAQAAAPL///8AAAAAAAAAABIAAAAAAAAA8P///wAAAAAAAAAAEgAAAP7////w////AAAAAAAAAAAMAAAA/v///+z///8AAAAAAAAAAP3////4////8/////H////2////9v////f////3////9/////f////3////AQAAAAEAAAABAAAAAQAAAAEAAAABAAAA/P////b////y////8P////L////z////9P////T////1////9f////b///8AQdiQCQs4+v////T////y////8P////H////x////8v////P////z////9P////T////+/////v////////8AQZyRCQs49P////P////y////8P////D////w////8f////L////z////9P////T////7/////v////////8AQeCRCQs48f////H////x////8P////D////w////8P////L////z////8/////P////2/////P////7///8AQaSSCQuIBPD////w////8P////D////w////8P////D////x////8v////L////z////9f////b//////////////wAAAAAAAAAA8P////D////w////8P////D////w////8P////H////y////8v////P////1////9v//////////////AAAAAAAAAADw////8P////D////w////8P////D////w////8f////L////y////8v////T////4/////P////7////+////AAAAAPD////w////8P////D////w////8P////D////x////8v////L////y////9P////f////8/////v////7///8AAAAA8P////D////w////8P////D////w////8P////H////y////8v////L////0////9/////z////+/////v///wAAAADw////8P////D////w////8P////D////w////8f////L////y////8v////T////3/////P////7////+////AAAAAPD////w////8P////D////w////8P////D////x////8v////L////y////9P////f////8/////v////7///8AAAAA/f////j////z////8f////b////2////9v////b////2////9v////b///8AQcSWCQvUCPz////2////8v////D////x////8v////P////0////9P////T////1//////////////////////////////8AAAAA+v////T////y////8P////H////x////8v////P////z////9P////T////+/////v///////////////////wAAAAD0////8/////L////w////8P////D////x////8v////P////0////9P////r////9////////////////////AAAAAPH////x////8f////D////w////8P////D////y////8/////P////z////9v////z////+//////////////8AAAAA8P////D////w////8P////D////w////8P////H////y////8v////P////1////9v//////////////AAAAAAAAAADw////8P////D////w////8P////D////w////8f////L////y////8/////X////2//////////////8AAAAAAAAAAPD////w////8P////D////w////8P////D////x////8v////L////y////9P////j////8/////v////7///8AAAAA8P////D////w////8P////D////w////8P////H////y////8v////L////0////9/////z////+/////v///wAAAADw////8P////D////w////8P////D////w////8f////L////y////8v////T////3/////P////7////+////AAAAAPD////w////8P////D////w////8P////D////x////8v////L////y////9P////f////8/////v////7///8AAAAA8P////D////w////8P////D////w////8P////H////y////8v////L////0////9/////z////+/////v///wAAAAADAAAAAwAAAA8AAAADAAAAAwAAAA8AAAAKAAAACgAAAGQAAAAKAAAACgAAAGQAAAD2////9v////b////2////9v////z///8AAAAAAAAAAAQAAAAIAAAACAAAAAgAAAAIAAAACgAAAAwAAAAOAAAAFAAAAOL////i////4v///+L////m////7P////D////4////+v////r////+////AgAAAAIAAAADAAAABgAAAAYAAAAPAAAA4v///+L////i////4v///+L////o////7P////L////2////+v////j////4////+v////r////6/////P////7////2////9v////b////2////9v////z///8AAAAAAAAAAAQAAAAEAAAACAAAAAgAAAAIAAAACgAAAAwAAAAOAAAAFAAAAOL////i////4v///+L////m////6v///+z////y////+v////7///8AQaifCQvYBQIAAAADAAAABgAAAOL////i////4v///+L////i////6P///+z////y////9v////r////4////+P////r////6////+v////z////+////9P////T////0////9P////T////4////+v////z///8AAAAABAAAAAQAAAAEAAAABAAAAAoAAAAMAAAADgAAABQAAADi////4v///+L////i////5v///+r////s////8v////b////6/////P////z////+/////v////7////+////AgAAAOL////i////4v///+L////m////6v///+z////y////9v////j////2////9v////j////4////+P////r////8////8v////L////y////8v////L////2////+P////r////+////AgAAAAIAAAACAAAAAgAAAAgAAAAKAAAACgAAABAAAADi////4v///+L////i////5v///+r////s////8v////b////6////+v////r////8/////P////z////+////AAAAAOL////i////4v///+L////m////6v///+z////y////9v////b////2////9v////b////2////9v////j////8////8v////L////y////8v////L////2////+P////r////+////AgAAAAIAAAACAAAAAgAAAAYAAAAIAAAACAAAAA4AAADi////4v///+L////i////5v///+r////s////8v////b////6////+v////r////8/////P////z////+////AAAAAOL////i////4v///+L////m////6v///+z////y////9v////b////2////9v////b////2////9v////j////8////8P////D////w////8P////D////0////9v////r////+////AEGQpQkLvAEEAAAABgAAAAYAAAAMAAAA4v///+L////i////4v///+b////q////7P////L////2////+v////r////6/////P////z////8/////v///wAAAADi////4v///+L////i////5v///+r////s////8v////b////2////9v////b////2////9v////b////4/////P///+z////s////7P///+z////s////7v////L////2/////P///wBB3KYJC7wBBAAAAAQAAAAGAAAACwAAAOD////g////4P///+D////k////6P///+r////w////9v////r////4////+P////r////6////+v////z////+////3v///97////e////3v///+L////m////6P///+7////y////9P////T////0////9P////T////2////9/////v////s////7P///+z////s////7P///+7////y////9v////z///8AQaioCQu8AQQAAAAEAAAABgAAAAsAAADe////3v///97////e////4v///+L////i////6P////D////w////8P////D////w////8P////L////y////9P///9z////c////3P///9z////c////3v///+T////o////7P///+z////s////7P///+z////s////7P///+7////w////6v///+r////q////6v///+r////s////8v////b////6////AEH0qQkLgAoEAAAABAAAAAYAAAALAAAA3v///97////e////3v///+L////i////4v///+L////m////5v///+b////m////5v///+b////m////6P///+r////Y////2P///9j////Y////2P///9j////Y////4P///+L////i////4v///+L////i////4v///+L////i////6P///+j////o////6P///+j////o////6v////L////2////+v////////////////////////8DAAAAAwAAAAUAAAAKAAAA3v///97////e////3v///97////g////4P///+L////m////5v///+b////m////5v///+b////m////5v///+j////Y////2P///9j////Y////2P///9j////Y////4P///+L////i////4v///+L////i////4v///+L////i////6P///+T////k////5P///+T////k////5P///+T////s////8v////j////8/////P////z////8/////P////7///8CAAAA3P///9z////c////3P///97////g////4P///+L////m////5v///+b////m////5v///+b////m////5v///+b////Y////2P///9j////Y////2P///9j////Y////4P///+L////i////4v///+L////i////4v///+L////o////7P///+L////i////4v///+L////i////5v///+j////o////6P///+z////w////8P////D////w////8P////L////0////2P///9j////Y////2P///9j////Y////2P///9j////d////4v///+L////i////4v///+L////i////4v///+b////Y////2P///9j////Y////2P///9j////Y////2P///9j////Y////2P///9j////Y////2P///9j////Y////2P////b////2////9v////b////2/////P///wAAAAAAAAAABAAAAAgAAAAIAAAACAAAAAgAAAAKAAAADAAAAA4AAAAUAAAA4v///+L////i////4v///+b////s////8P////j////6////+v////7///8CAAAAAgAAAAMAAAAGAAAABgAAAA8AAADi////4v///+L////i////4v///+j////s////8v////b////6////+P////j////6////+v////r////8/////v////b////2////9v////b////2/////P///wAAAAAAAAAABAAAAAgAAAAIAAAACAAAAAgAAAAKAAAADAAAAA4AAAAUAAAA4v///+L////i////4v///+b////q////7P////L////2/////P////7///8CAAAAAwAAAAYAAAAGAAAACAAAAAoAAADi////4v///+L////i////5v///+r////s////8v////b////8/////P////z////8/////P////7///8AAAAAAgAAAPT////0////9P////T////0////+P////r////8////AAAAAAQAAAAEAAAABAAAAAQAAAAKAAAADAAAAA4AAAAUAAAA4v///+L////i////4v///+b////q////7P////L////2/////P///wBBgLQJC5AEAgAAAAIAAAAEAAAACAAAAOL////i////4v///+L////m////6v///+z////y////9v////r////6////+v////r////6/////P////7///8AAAAA8v////L////y////8v////L////2////+P////r////+////AgAAAAIAAAACAAAAAgAAAAgAAAAKAAAACgAAABAAAADi////4v///+L////i////5v///+r////s////8v////b////6////////////////////AAAAAAAAAAACAAAABgAAAOL////i////4v///+L////m////6v///+z////y////9v////j////4////+P////j////4////+v////z////+////8v////L////y////8v////L////2////+P////r////+////AgAAAAIAAAACAAAAAgAAAAYAAAAIAAAACAAAAA4AAADi////4v///+L////i////5v///+r////s////8v////b////6////////////////////AAAAAAAAAAACAAAABgAAAOL////i////4v///+L////m////6v///+z////y////9v////j////4////+P////j////4////+v////z////+////8P////D////w////8P////D////0////9v////r////+////AEGguAkLvAEEAAAABgAAAAYAAAAMAAAA4v///+L////i////4v///+b////q////7P////L////2////+v////////////////////////8AAAAAAgAAAAYAAADi////4v///+L////i////5v///+r////s////8v////b////4////+P////j////4////+P////r////8/////v///+z////s////7P///+z////s////7v////L////2/////P///wBB7LkJC7wBBAAAAAYAAAAGAAAADAAAAOD////g////4P///+D////k////6P///+r////w////9P////r////9/////f////3////9/////v///wAAAAAEAAAA3v///97////e////3v///+L////m////6P///+7////y////9v////b////2////9v////b////4////+/////3////s////7P///+z////s////7P///+7////y////9v////z///8AQbi7CQu8AQQAAAAGAAAABgAAAAwAAADe////3v///97////e////4v///+L////o////7P////L////4/////P////z////8/////P////3/////////BAAAAN7////e////3v///97////e////4v///+b////s////8P////P////z////8/////P////z////9f////j////6////7P///+z////s////7P///+z////u////8v////b////8////AEGEvQkLvAEEAAAABgAAAAYAAAAMAAAA3v///97////e////3v///+L////i////4v///+j////w////9v////j////6////+v////r////7/////f///wEAAADe////3v///97////e////4P///+D////k////6v///+7////w////8P////D////w////8P////L////0////9v///+r////q////6v///+r////q////7P////L////2/////P///wBB0L4JC+gGAwAAAAUAAAAFAAAACwAAAN7////e////3v///97////i////4v///+L////o////8P////T////2////+P////j////4////+f////v////+////3P///9z////c////3P///9z////e////5P///+r////s////7P///+z////s////7P///+z////s////8P////L////k////5P///+T////k////5P///+T////k////7P////L////4/////v////7////+/////v///wAAAAACAAAABgAAANz////c////3P///9z////e////4P///+D////o////8P////T////0////9P////T////0////9v////j////7////2P///9j////Y////2P///9j////Y////2P///+D////m////6P///+j////o////6P///+j////o////7P///+7////i////4v///+L////i////4v///+b////o////6P///+j////s////9P////T////0////9P////T////2////+P///9j////Y////2P///9j////Y////2P///9j////Y////3f///+L////n////5////+f////n////5////+f////x////2P///9j////Y////2P///9j////Y////2P///9j////Y////2P///9j////Y////2P///9j////Y////2P///9j////2////9v////b////2////9v////z///8AAAAAAAAAAAQAAAAIAAAACAAAAAgAAAAIAAAACgAAAAwAAAAOAAAAFAAAAOL////i////4v///+L////m////7P////D////4////+v////r////+////AgAAAAIAAAADAAAABgAAAAYAAAAPAAAA4v///+L////i////4v///+L////o////7P////L////2////+v////j////4////+v////r////6/////P////7////x////8f////H////x////8f////T////6/////P///wAAAAACAAAABAAAAAQAAAAFAAAABQAAAAUAAAAIAAAACgAAAOL////i////4v///+L////m////6v///+z////y////+P////z///8AQcjFCQuMDAIAAAADAAAABgAAAOL////i////4v///+L////m////6v///+z////y////9v////r////6////+v////r////8/////P////z////+////8f////H////x////8f////H////0////9v////j///8AAAAAAgAAAAQAAAAEAAAABQAAAAUAAAAFAAAACAAAAAoAAADi////4v///+L////i////5v///+r////s////8v////b////8/////v////7////+/////v///wAAAAABAAAABAAAAOL////i////4v///+L////m////6v///+z////y////9v////j////4////+P////j////6////+v////r////8////8f////H////x////8f////H////0////9v////j///8AAAAAAgAAAAIAAAACAAAABAAAAAQAAAAFAAAABgAAAAoAAADi////4v///+L////i////5v///+r////s////8v////b////8/////f////3////9/////v////////8AAAAAAwAAAOL////i////4v///+L////m////6v///+z////y////9v////b////2////9v////b////4////+P////n////8////8f////H////x////8f////H////0////9v////j///8AAAAAAgAAAAIAAAACAAAABAAAAAQAAAAEAAAABQAAAAgAAADi////4v///+L////i////5v///+r////s////8v////b////8/////f////3////9/////f////7///8AAAAAAgAAAOL////i////4v///+L////m////6v///+z////y////9v////b////2////9v////b////4////+P////j////8////7P///+z////s////7P///+z////u////8v////j/////////AQAAAAEAAAABAAAAAgAAAAMAAAADAAAABAAAAAcAAADi////4v///+L////i////5v///+r////s////8v////b////8/////f////3////9/////f////7/////////AQAAAOL////i////4v///+L////m////6v///+z////y////9v////b////2////9v////b////4////+P////j////8////6P///+j////o////6P///+z////u////8v////j/////////AQAAAAEAAAABAAAAAgAAAAMAAAADAAAABAAAAAcAAADg////4P///+D////g////5P///+j////q////8P////T////6/////P////z////8/////P////3/////////AAAAAN7////e////3v///97////i////6P///+j////u////8v////T////0////9P////T////2////9v////f////7////6P///+j////o////6P///+z////u////8v////j/////////AQAAAAEAAAABAAAAAgAAAAMAAAADAAAABAAAAAcAAADg////4P///+D////g////5P///+j////o////7v////L////4////+v////r////6////+v////v////+////AAAAAN7////e////3v///97////i////5v///+b////o////6v///+3////t////7f///+3////u////7/////D////0////6P///+j////o////6P///+z////u////8v////j/////////AQAAAAEAAAABAAAAAgAAAAMAAAADAAAABAAAAAcAAADg////4P///+D////g////5P///+j////o////6P///+7////y////9P////b////2////9v////j////6/////v///97////e////3v///97////i////5v///+b////m////6P///+j////o////6P///+j////o////6P///+z////w////6P///+j////o////6P///+r////s////8f////b////4/////v///wBB4NEJC8gEAQAAAAIAAAADAAAABwAAANz////c////3P///9z////i////4v///+L////o////7P////D////w////8P////D////y////9P////b////5////3P///9z////c////3P///97////i////5P///+b////o////4v///+L////i////4v///+L////i////6P///+z////k////5P///+T////k////5P///+T////k////7P////L////4/////P////z////8/////P////z////+////AgAAANr////a////2v///9r////c////3v///97////i////6P///+z////s////7P///+z////u////8P////T////2////2P///9j////Y////2P///9j////Y////2P///9r////d////3f///93////d////3f///93////d////3f///+L////i////4v///+L////i////4v///+L////i////5P///+z////y////8v////L////y////8v////L////0////9v///9j////Y////2P///9j////Y////2P///9j////Y////3f///+L////i////4v///+L////i////4v///+L////s////2P///9j////Y////2P///9j////Y////2P///9j////Y////2P///9j////Y////2P///9j////Y////2P///9j////2////9v////b////2////9v////z///8AQbTWCQtABgAAAAYAAAAGAAAABgAAAAoAAAAKAAAADAAAABQAAADs////7P///+z////s////7P///+z////2/////v///wBBiNcJC7wBAgAAAAQAAAAGAAAADwAAAOz////s////7P///+z////s////7P///+z////2////+v////r////6////+v////r////8/////P////z////+////9v////b////2////9v////b////2////+P///wIAAAACAAAAAgAAAAQAAAAEAAAABQAAAAUAAAAFAAAACAAAAAoAAADs////7P///+z////s////7P///+z////s////8v////r///8AQdjYCQuIDAIAAAADAAAABgAAAOz////s////7P///+z////s////7P///+z////y////+P////r////6////+v////r////8/////P////z////+////9v////b////2////9v////b////2////+P////z///8AAAAAAgAAAAQAAAAEAAAABQAAAAUAAAAFAAAACAAAAAoAAADs////7P///+z////s////7P///+z////s////8v////b////8/////v////7////+/////v///wAAAAABAAAABAAAAOz////s////7P///+z////s////7P///+z////y////9v////j////4////+P////j////6////+v////r////8////9v////b////2////9v////b////2////9v////j///8AAAAAAgAAAAIAAAACAAAABAAAAAQAAAAFAAAABgAAAAoAAADs////7P///+z////s////7P///+z////s////8v////b////8/////f////3////9/////v////////8AAAAAAwAAAOz////s////7P///+z////s////7P///+z////y////9v////b////2////9v////b////4////+P////j////8////9v////b////2////9v////b////2////9v////j///8AAAAAAgAAAAIAAAACAAAABAAAAAQAAAAEAAAABQAAAAgAAADs////7P///+z////s////7P///+z////s////8v////b////8/////f////3////9/////f////7///8AAAAAAgAAAOz////s////7P///+z////s////7P///+z////y////9v////b////2////9v////b////4////+P////j////7////8f////H////x////8f////H////x////8f////b////8////AQAAAAEAAAABAAAAAgAAAAMAAAADAAAABAAAAAcAAADs////7P///+z////s////7P///+z////s////8v////b////8/////f////3////9/////f////7/////////AQAAAOz////s////7P///+z////s////7P///+z////y////9v////b////2////9v////b////4////+P////j////5////8f////H////x////8f////H////x////8f////b////8////AQAAAAEAAAABAAAAAgAAAAMAAAADAAAABAAAAAcAAADq////6v///+r////q////6v///+r////q////8P////T////6/////P////z////8/////P////3/////////AAAAAOj////o////6P///+j////o////6P///+j////u////8v////T////0////9P////T////2////9v////f////4////8f////H////x////8f////H////x////8f////b////8////AQAAAAEAAAABAAAAAgAAAAMAAAADAAAABAAAAAcAAADo////6P///+j////o////6P///+j////o////7v////L////4////+v////r////6////+v////v////+////AAAAAOb////m////5v///+b////m////5v///+b////u////8P////H////x////8f////H////z////8/////T////2////8f////H////x////8f////H////x////8f////b////8////AQAAAAEAAAABAAAAAgAAAAMAAAADAAAABAAAAAcAAADo////6P///+j////o////6P///+j////o////7v////L////2////+P////j////4////+P////r////8////AAAAAOb////m////5v///+b////m////5v///+b////q////7P///+3////t////7f///+3////u////7/////D////0////8f////H////x////8f////H////x////8f////b////8////AEHw5AkL7QsBAAAAAgAAAAMAAAAHAAAA5v///+b////m////5v///+b////m////5v///+z////w////9P////b////2////9v////b////4////+v////7////k////5P///+T////k////5P///+T////k////5v///+j////o////6P///+j////o////6P///+j////s////8P///+r////q////6v///+r////q////6v///+r////u////8v////j////8/////P////z////8/////P////7///8CAAAA5v///+b////m////5v///+b////m////5v///+r////u////8P////D////w////8P////L////0////9v////n////i////4v///+L////i////4v///+L////i////4v///+L////i////4v///+L////i////4v///+L////o////7P///+j////o////6P///+j////o////6P///+j////o////6P///+7////y////8v////L////y////8v////T////2////4v///+L////i////4v///+L////i////4v///+L////i////4v///+L////i////4v///+L////i////4v///+z////Y////2P///9j////Y////2P///9j////Y////2P///9j////Y////2P///9j////Y////2P///9j////Y////2P///wAAAAABAAAAAgAAAAMAAAAEAAAABQAAAAYAAAAHAAAACAAAAAkAAAAKAAAACwAAAAwAAAANAAAADgAAAA8AAAAQAAAAEQAAABIAAAATAAAAFAAAABUAAAAWAAAAFwAAABgAAAAZAAAAGgAAABsAAAAcAAAAHQAAAB4AAAAfAAAAIAAAACEAAAAiAAAAIwAAACQAAAAlAAAAJgAAACcAAAAAAAAAAQAAAAIAAAADAAAABAAAAAUAAAAGAAAABgAAAAcAAAAHAAAABwAAAAcAAAAGAAAABgAAAAYAAAAHAAAABwAAAAgAAAAJAAAACgAAAAsAAAAMAAAADQAAAA4AAAAPAAAAEAAAABEAAAARAAAAEQAAABIAAAASAAAAEwAAABMAAAATAAAAFAAAABUAAAAWAAAAFwAAABgAAAAZAAAAAAAAAAEAAAACAAAAAwAAAAQAAAAFAAAABQAAAAUAAAAGAAAABgAAAAYAAAAFAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABQAAAAUAAAAFAAAABgAAAAYAAAAGAAAABwAAAAcAAAAHAAAACAAAAAgAAAAIAAAACQAAAAoAAAALAAAADAAAAA0AAAAOAAAADwAAABAAAAARAAAAEgAAAAAAAAABAAAAAgAAAAMAAAAEAAAABQAAAAYAAAAHAAAACAAAAAkAAAAKAAAACwAAAAwAAAANAAAADgAAAA8AAAAQAAAAEQAAABIAAAATAAAAFAAAABUAAAAWAAAAFwAAABgAAAAZAAAAGgAAABsAAAAcAAAAHQAAAB4AAAAfAAAAIAAAACEAAAAiAAAAIwAAACQAAAAlAAAAJgAAACcAAAAAAAAAAQAAAAIAAAADAAAABAAAAAUAAAAGAAAABwAAAAgAAAAJAAAACgAAAAsAAAAMAAAADAAAAA0AAAANAAAADQAAAA4AAAAOAAAADgAAAA8AAAAPAAAADwAAAA8AAAAQAAAAEAAAABEAAAARAAAAEQAAABIAAAASAAAAEwAAABMAAAATAAAAFAAAABUAAAAWAAAAFwAAABgAAAAZAAAAAAAAAAEAAAACAAAAAwAAAAQAAAAFAAAABgAAAAcAAAAIAAAACAAAAAcAAAAGAAAABQAAAAQAAAAEAAAABAAAAAQAAAAEAAAABQAAAAUAAAAFAAAABgAAAAYAAAAGAAAABwAAAAcAAAAHAAAACAAAAAgAAAAIAAAACQAAAAoAAAALAAAADAAAAA0AAAAOAAAADwAAABAAAAARAAAAEgBB5vAJC5oF4D8AAAAAAADwPwAAAAAAAPA/zczMzMzM9D+amZmZmZn5PwAAAAAAAABAAAAAAAAAAEAAAAAAAAAAQAAAAAAAAABAAAAAAAAAAEAAAAAAAAAAQAAAAAAAAABAAAAAAAAADEAAAAAAAAAQQAAAAAAAABBAMzMzMzMzEUBmZmZmZmYSQAAAAAAAABRAAAAAAAAAFEAAAAAAAAAUQAAAAAAAABRAAAAAAAAAFEAAAAAAAAAUQAAAAAAAABRAIAAAABAAAAAQAAAAEAAAACAAAAAPJwAADycAAA8nAAAPJwAADycAAA8nAAAAAAAAAAEAAIAAAACAAAAAAAEAAAACAAAPJwAADycAAA8nAAAPJwAADycAAA8nAAAAAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAAAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAAAAAAmpmZmZmZyT+amZmZmZnJP5qZmZmZmck/mpmZmZmZ2T8zMzMzMzPjPwAAAACAh8NAAAAAAICHw0AAAAAAgIfDQAAAAACAh8NAAAAAAICHw0AAAAAAgIfDQAAAAAAAAAAAnP///5z///+c////nP///5z///+c////l////5f///+X////l////5L///+I////fv///37///9+////fv///3T///90////dP///3T///90////dP///3T///9q////zczMzMzMK0AzMzMzMzMuQJqZmZmZmS9AAAAAAACAMEAzMzMzMzMxQGZmZmZm5jJAmpmZmZkZNEAAAAAAAABIQAAAAAAAOI9AAAAAAAA4j0AAAAAAADiPQAAAAAAAOI9AAEGO9gkLqQHwPwAAAAAAAPA/AAAAAAAA+D8AAAAAAAAAQAAAAAAAAABAAAAAAAAABECamZmZmZkFQAAAAAAAAAhAmpmZmZmZDUAAAAAAAAAQQAAAAAAAABBAwFQBAMB7AgDAVAEAAHwCAMBUAQBAfAIAwFQBAIB8AgDAVAEAwHwCAMBUAQAAfQIAwFQBAEB9AgDAVAEAgH0CAMBUAQDAfQIAwFQBAAB+AgDAVAEAQH4CAEHA9wkL2AUBAAAAAAAAACAAAAD0iQEAICsDACArAwBIKwMASCsDAAEAAAAAAAAAIAAAAPSJAQAILAMACCwDAEgrAwBIKwMAAQAAAAAAAAAQAAAA9IkBAMAbAwDAGwMA6BsDAOgbAwABAAAAAAAAACAAAAD0iQEAqBwDAKgcAwDoGwMA6BsDAAEAAAAAAAAAEAAAAPSJAQCgDgMAoA4DAMgOAwDIDgMAAQAAAAAAAAAgAAAA9IkBAIgPAwCIDwMAyA4DAMgOAwABAAAAAAAAABAAAAD0iQEAUAEDAFABAwB4AQMAeAEDAAEAAAAAAAAAIAAAAPSJAQA4AgMAOAIDAHgBAwB4AQMAAQAAAAAAAAAQAAAA9IkBADDzAgAw8wIAWPMCAFjzAgABAAAAAAAAACAAAAD0iQEAGPQCABj0AgBY8wIAWPMCAAEAAAAAAAAAEAAAAPSJAQCk5AIApOQCAMzkAgDM5AIAAQAAAAAAAAAgAAAA9IkBAIzlAgCM5QIAzOQCAMzkAgABAAAAAAAAABAAAAAQbgEAhNMCAITTAgCs0wIArNMCAAEAAAAAAAAAIAAAABBuAQBs1AIAbNQCAKzTAgCs0wIAAQAAAAAAAAAQAAAAEG4BACTCAgAkwgIATMICAEzCAgABAAAAAAAAACAAAAAQbgEADMMCAAzDAgBMwgIATMICAAEAAAAAAAAAEAAAABBuAQD0sQIA9LECAByyAgAcsgIAAQAAAAAAAAAgAAAAEG4BANyyAgDcsgIAHLICAByyAgABAAAAAAAAABAAAACAfgIAFJ4CABSeAgA8ngIAPJ4CAAEAAAAAAAAAIAAAAIB+AgD8ngIA/J4CADyeAgA8ngIAAQAAAAAAAAAQAAAAgH4CAJiJAgCYiQIAwIkCAMCJAgABAAAAAAAAACAAAACAfgIAgIoCAICKAgDAiQIAwIkCAAAAAAD//////////woAAAD//////////wBBmP8JCwT/////AEGcjwoLHQEAAAACAAAABAAAAAgAAAAQAAAAIAAAAEcAAACdAEGYkQoLJP///////////////////////////////////////////////wBBmJMKCwsCAAAAZAAAALCdAgBB2JMKCwMUiwIAQeiTCgsDPIsCAEH4kwoLA2SLAgBBiJQKCw+MiwIAAAAAALSLAgDciwIAQaCUCgsHBIwCACyMAgBBsJQKCwdUjAIAfIwCAEHAlAoLB6SMAgDMjAIAQdCUCgsL9IwCAByNAgBEjQIAQYCVCgsLAgAAAGQAAACwigIAQbCVCgu3BQMJDQ0ODw4ODw8FBQkKDAwNDhAPCgYGBggLDA0QDwsHBQMFCAoMDw8KCgcEAwUICgwMDAwJBwUEBggKDQ0MCwkHBQUGCQwODAwKCAYGBgcLDQwODQoIBwcHCgsLDA0MCwoICAkEAAAAUQAAAFCdAgABAAAAAAAQ4AAAEGACAAAAAAAAAKSdAgAAAAAABAAAAHECAACwmgIAAQAAAAAAMOAAABBgAwAAAAAAAAAwnQIAAAAAAAIAAABRAAAAIJoCAAEAAAAAAFDgAAAQYAQAAAAAAAAAgJoCAAAAAAACAAAAIQEAAKCYAgABAAAAAABw4AAAEGAFAAAAAAAAANCZAgAAAAAABAAAAFEAAABAmAIAAQAAAAAAduAAAHZgAgAAAAAAAACUmAIAAAAAAAIAAAB5AAAAkJcCAAEAAAAAAFTgAAAQYAQAAAAAAAAAEJgCAAAAAAACAAAAqQAAAKCWAgABAAAAAACe4AAAVGAEAAAAAAAAAFCXAgAAAAAAAgAAABkAAABglgIAAQAAAAAAMOAAABBgAwAAAAAAAACAlgIAAAAAAAIAAACpAAAAcJUCAAEAAAAAgNDgAAB2YAQAAAAAAAAAIJYCAAAAAAACAAAAeQAAAMCUAgABAAAAAABU4AAAEGAEAAAAAAAAAECVAgAAAAAAAgAAAOEAAACQkwIAAQAAAABg8uAAAJVgBAAAAAAAAACAlAIAAAAAAAIAAAC5AQAAcJECAAEAAAAAAHTgAAAQYAUAAAAAAAAAMJMCAAAAAAACAAAA4QAAAECQAgABAAAAAHWZ4QAYPWEEAAAAAAAAADCRAgAAAAAAAgAAAGkBAACAjgIAAQAAAACQG+EAgLhgBQAAAAAAAADwjwIAAAAAAAEAAAAxAAAAcI0CAAEAAAAAAJjgAAAQYAYAAAAAAAAAsI0CAEHwmgoLMQIEBAUEBQUFBQYGBgYGBgYGBgYHBgcGBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcAQbCbCgvBARgAAAAXAAAAGQAAABYAAAAaAAAAFQAAABsAAAAUAAAAHAAAABMAAAAdAAAAEgAAAB4AAAARAAAAHwAAABAAAAAgAAAADwAAACEAAAAOAAAAIgAAAA0AAAAjAAAADAAAACQAAAALAAAAJQAAAAoAAAAmAAAACQAAACcAAAAIAAAAKAAAAAcAAAApAAAABgAAACoAAAAFAAAAKwAAAAQAAAAsAAAAAwAAAC0AAAACAAAALgAAAAEAAAAvAAAAAAAAADAAQYCdCguhBQEEBAcHCAcIBwkICgkKCgsLDAwEBwYJCQoJCQgKCgsKDAoNDA0MBAYGCQkJCQkJCgoLCwsMDAwMDAcJCAsKCgoLCgsLDAwNDA0NDQ0HCAkKCgsLCgoLCwsMDQ0NDQ4OCAkJCwsMCwwMDQwMDQ0ODw4ODggJCQoLCwsMDA0MDQ0ODg4PDhAICQkLCgwMDAwPDQ0NEQ4PDw8OCAkJCgsLDA0MDQ0NDg8ODg4QDwkLCgwMDQ0NDQ4OEA8ODg4PDxEJCgoLCw0NDQ4ODQ8ODw4PEA8QCgsLDAwNDg8ODw4ODxEQDw8REQoMCw0MDg4NDg8PDw8QEREPERALDAwODQ8ODxARDxEPEQ8PEBEPCwsMDg4ODg4PDxAPEREREBEQDwwMDQ4ODg8ODw8QEBEQEQ8RERAMDgwODg8PDw4OEBAQDxAQDxEPDA0NDg8ODxEPERAREREQERAREQwNDQ4QDw8PEA8REQ8RDxEQEBEAAAAAAAAACQAAAAgAAAAKAAAABwAAAAsAAAAGAAAADAAAAAUAAAANAAAABAAAAA4AAAADAAAADwAAAAIAAAAQAAAAAQAAABEAAAAAAAAAEgAAAAAAAAABAwMLCwsLCwsLCwsLCwsECgsLCwsLCwsLCwsLCwsECgoLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoAQbCiCgvRBAcAAAAGAAAACAAAAAUAAAAJAAAABAAAAAoAAAADAAAACwAAAAIAAAAMAAAAAQAAAA0AAAAAAAAADgAAAAAAAAAEBgYHBwgICAgJCQkJCQkJCQkJCQkGBgYHBwgICAgJCQkJCQkJCQkJCQkGBgYHBwgICAgJCQkJCQkJCQkJCQkHBwcICAgICQgJCQkJCQkJCQkJCQkHBwcICAgICQkJCQkJCQkJCQkJCQkICAgICAkJCQkJCQkJCQkJCgkKCgoICAgICAgJCQkJCQkJCQkJCQkJCgoICAgJCQkJCQkJCQkJCgkKCQoKCgoICAgJCQkJCQkJCQkJCgoJCgoKCgoJCQkJCQkJCQkJCQoJCgoKCgoKCgoICQkJCQkJCQkJCQoKCgoKCgoKCgoJCQkJCQkJCQkJCQoKCgoKCgoKCgoJCQkJCQkJCQkJCQoKCgoKCgoKCgoJCQkJCQkJCgkKCgoKCgoKCgoKCgoJCQkJCQkJCQoKCgoKCgoKCgoKCgoJCQkJCQoKCgoKCgoKCgoKCgoKCgoJCQkJCgkJCgoKCgoKCgoKCgoKCgoJCQkKCQoJCgoKCgoKCgoKCgoKCgoJCQkKCQoKCgoKCgoKCgoKCgoKCgoJCQkJCQoKCgoKCgoKCgoKCgoKCgoJCQkKCgoKCgoKCgoKCgoKCgoKCgoAAAAAAAAACgAAAAkAAAALAAAACAAAAAwAAAAHAAAADQAAAAYAAAAOAAAABQAAAA8AAAAEAAAAEAAAAAMAAAARAAAAAgAAABIAAAABAAAAEwAAAAAAAAAUAEGQpwoL4QEBBAQHBwgICAgJCQoJCwoEBgYICAkJCQkKCgsKDAoEBgYICAkKCQkKCgsLDAwHCAgKCgsLCgoLCwwMDQwHCAgKCgsLCgoLCwwMDA0ICgkLCwwMCwsMDA0NDg0ICQkLCwwMCwwMDA0NDg0ICQkKCgwLDQwNDQ4NDw4ICQkKCgsMDAwNDQ0ODg4JCgoMCw0MDQ0ODQ4ODg8JCgoLDAwMDQ0ODg4PDw8KCwsMDA0NDg4ODg8OEA8KCwsMDA0NDQ4ODg4ODxALDAwNDQ4NDg4PDg8QEBALDAwNDQ4NDg4PDw8QDw8AQYCpCgvRAwcAAAAGAAAACAAAAAUAAAAJAAAABAAAAAoAAAADAAAACwAAAAIAAAAMAAAAAQAAAA0AAAAAAAAADgAAAAAAAAAFBgYHBwcHBwcHBwYGBgcHBwcHBwcHBgYGBwcHBwcHBwcHBwcHBwcHBwcHBwYHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcIBwcHBwcHBwcHBwcHCAgHBwcHBwcHCAcICAcHBwcHBwcICAgIAAAAAAAAAAUAAAAEAAAABgAAAAMAAAAHAAAAAgAAAAgAAAABAAAACQAAAAAAAAAKAAAAAAAAAAEEBQYGBwcICQoKCwsFBgYHBwgICQkKCgsLBQYGBwcICAkJCgoLCwYHBwgICQkKCgsLDAwGBwcICAkJCgoLCwwMCAgICQkKCgsLDAwNDQgICAkJCgoLCwwMDQ0JCQkKCgsLDAwNDQ0NCQkJCgoLCwwMDQ0ODgoKCgsLDAwNDQ4NDw4KCgoLCwwMDQ0ODg4OCwsMDAwNDQ4ODg4PDwsLDAwMDQ0ODg4PDw8AAAAAAAAABgAAAAUAAAAHAAAABAAAAAgAAAADAAAACQAAAAIAAAAKAAAAAQAAAAsAAAAAAAAADABB4KwKCzEEBAQFBQQFBAUFBAQFBQUFBQUFBQUFBQUFAAAAAAAAAAIAAAABAAAAAwAAAAAAAAAEAEGgrQoL4QECBAQGBgcHCAgJCQoKBAYFBwcICAgICQkKCgQFBgcHCAgICAkJCgoGBwcICAgICQkKCgoKBgcHCAgICAkJCgoKCgcICAgICQkJCQoKCwsHCAgICAkJCQkKCgsLCAgICQkJCQkKCgoLCwgICAkJCQkKCQoKCwsJCQkKCgoKCgsLCwsMCQkJCgoKCgoKCwoMCwoKCgoKCwsLCwsMDAwKCgoKCgsLCwsMCwwMAAAAAAAAAAYAAAAFAAAABwAAAAQAAAAIAAAAAwAAAAkAAAACAAAACgAAAAEAAAALAAAAAAAAAAwAQZCvCguxBAUFBQYGBwcHBwcHBQYGBgYHBwcHCAcFBgYGBgcHBwcHBwYGBgcHBwcHBwgIBgYGBwcHBwcHCAgHBwcHBwgHCAgICAcHBwcHBwgICAgIBwcHCAcICAgICAgHBwcHCAgICAgICAcIBwgICAgICAgIBwgICAgICAgICAgAAAAAAAAABQAAAAQAAAAGAAAAAwAAAAcAAAACAAAACAAAAAEAAAAJAAAAAAAAAAoAAAAAAAAAAQQEBQcHBQcHBQgICAkJBwkJBQgIBwkJCAkJBQgICAoKCAoKBwoKCQoMCQsLBwoKCQsKCQsMBQgICAoKCAoKBwoKCQwLCQoLBwoKCQsLCgwKAAAAAQAAAAAAAAACAAAABAUFBgYHBwgICAgJCQoKCwsFBQUGBgcHCAgICAkJCgoLCwUFBQYGBwcICAgICQkKCgsLBgYGBwYHBwgICQkKCgsLDAsGBgYGBwcHCAgJCQoKCwsLDAcHBwcHCAgJCQkJCgoLCwwMBwcHBwcICAkJCQkKCgsLDAwICAgICAkICgkKCgsKDAsNDAgICAgICQkJCgoKCgsLDAwMCAgICQkJCQoKCwoMCwwMDQwICAgJCQkJCgoKCwsLDAwMDQkJCQoKCgoLCgsLDAsNDA0NCQkKCgoKCgoLCwsLDAwNDQ0KCwoLCwsLDAsMDA0MDQ0ODQoKCgsLCwsLDAwMDA0NDQ0OCwsLDAsMDAwMDQ0NDQ4NDg4LCwsLDAwMDAwMDQ0NDQ4ODgBB0LMKC0EIAAAABwAAAAkAAAAGAAAACgAAAAUAAAALAAAABAAAAAwAAAADAAAADQAAAAIAAAAOAAAAAQAAAA8AAAAAAAAAEABBoLQKC1EDBAQFBQcHCAgEBQUGBgcHCQkEBAUGBgcHCQkFBgYHBwgICQkFBgYHBwgICQkHBwcICAkJCgoHBwcICAkJCgoICQkKCQoKCwsICQkJCgoKCwsAQYC1CgshBAAAAAMAAAAFAAAAAgAAAAYAAAABAAAABwAAAAAAAAAIAEGwtQoL8QQDBQUICAUHBwkJBgcHCQkICQkLCggJCQsLBgcHCQkHCAgKCgcICAkKCQoKCwsJCQoLCwYHBwkJBwgICgkHCAgKCgkKCQsLCQoKCwsICQkLCwkKCgwLCQoKCwwLCwsNDQsLCwwNCAkJCwsJCgoLCwkKCgwLCwwLDQwLCwwNDQYHBwkJBwgICgoHCAgKCgkKCgwLCQoKCwwHCAgKCggJCQsLCAkJCgoKCwsMDAoKCwwMBwgICgoICQgKCggJCQoKCgsKDAsKCgsMDAkKCgsMCgsLDAwKCwoMDAwMDA0NCwwMDQ0JCgoLCwkKCgwMCgsLDA0LDAsNDAwMDA0OBgcHCQkHCAgKCgcICAoKCQoKCwsJCgoLDAcICAoKCAkJCwoICAkKCgoLCgwMCgoLCwwHCAgKCggJCQoKCAkJCgoKCwoMDAoLCgwMCQoKDAsKCwsMDAkKCgwMDAwMDQ0LCwwMDgkKCgsMCgsLDAwKCwsMDAsMDA4ODAwMDQ0ICQkLCwkKCgwLCQoKDAwLDAsNDQsLDA0NCQoKDAwKCwsMDAoLCwwMDAwMDg4MDAwNDQkKCgwLCgsKDAwKCwsMDAsMDA4NDAwMDQ4LDAsNDQsMDA0NDAwMDg4NDQ0NDw0NDg8PCwsLDQ0LDAsNDQsMDA0NDA0MDw0NDQ4ODwgJCQsLCQoKCwwJCgoLDAsMCw0NCwwMDQ0JCgoLDAoLCgwMCgoLDA0MDAwODQsMDA0OCQoKDAwKCwsMDAoLCwwMDAwMDg0MDAwODQsLCw0NCwwMDg0LCwwNDQ0NDQ8ODAwNDQ8LDAwNDQwMDA0OCwwMDQ0NDQ4ODw0NDQ4OAEGwugoLEQIAAAABAAAAAwAAAAAAAAAEAEHQugoLzwEBBQUFBwcFBwcFBwcHCQkHCQkFBwcHCQkHCQkFBwcHCQkHCQkICQkJCgsJCwsHCQkJCwoJCwsFBwcHCQkICQoHCQkJCwsJCgsHCQoJCwsJCwoAAAABAAAAAAAAAAIAAAAJEBISERERERERBQgLDAsMEREQEAYGCAgJCg4PEBAGBwcEBgkNEBAQBgYHBAUICw8REAcGBwYGCAkKDhALCAgHBgYDBAoPDgwMCgUGAwMIDQ8RDwsGCAYGCQ4RDw8MCAoJCQwPAgAAAGQAAACQsQIAQdS8CgsDlJ8CAEHkvAoLA7yfAgBB9LwKCwPknwIAQYS9CgsPDKACAAAAAAA0oAIAXKACAEGcvQoLB4SgAgCsoAIAQay9CgsH1KACAPygAgBBvL0KCwckoQIATKECAEHMvQoLC3ShAgCcoQIAxKECAEH8vQoLCwIAAABkAAAAMJ8CAEGwvgoLtwUDCQ0ODg8ODg8PBQQGCAoMDA4PDwkFBAUICgsNEBAKBwQDBQcJCw0NCgkHBAQGCAoMDg0LCQYFBQYIDA4NCwoIBwYGBwoODQsMCggHBgYJDQwLDgwLCQgHCQsLDA4NDgsKCAgJBAAAAFEAAAAwsQIAAQAAAAAAEOAAABBgAgAAAAAAAACEsQIAAAAAAAQAAABxAgAAkK4CAAEAAAAAADDgAAAQYAMAAAAAAAAAELECAAAAAAACAAAAUQAAAACuAgABAAAAAABQ4AAAEGAEAAAAAAAAAGCuAgAAAAAAAgAAACEBAACArAIAAQAAAAAAcOAAABBgBQAAAAAAAACwrQIAAAAAAAQAAABRAAAAIKwCAAEAAAAAAHbgAAB2YAIAAAAAAAAAdKwCAAAAAAACAAAAeQAAAHCrAgABAAAAAABU4AAAEGAEAAAAAAAAAPCrAgAAAAAAAgAAAKkAAACAqgIAAQAAAAAAnuAAAFRgBAAAAAAAAAAwqwIAAAAAAAIAAAAZAAAAQKoCAAEAAAAAADDgAAAQYAMAAAAAAAAAYKoCAAAAAAACAAAAqQAAAFCpAgABAAAAAIDQ4AAAdmAEAAAAAAAAAACqAgAAAAAAAgAAAHkAAACgqAIAAQAAAAAAVOAAABBgBAAAAAAAAAAgqQIAAAAAAAIAAADhAAAAcKcCAAEAAAAAYPLgAACVYAQAAAAAAAAAYKgCAAAAAAACAAAAuQEAAFClAgABAAAAAAB04AAAEGAFAAAAAAAAABCnAgAAAAAAAgAAAFEAAADApAIAAQAAAAAYfeEAGD1hBAAAAAAAAAAgpQIAAAAAAAIAAABpAQAAAKMCAAEAAAAAkBvhAIC4YAUAAAAAAAAAcKQCAAAAAAABAAAAMQAAAPChAgABAAAAAACY4AAAEGAGAAAAAAAAADCiAgBB8MMKCzECAwQFBQUFBQYGBgYGBgYGBgYGBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHAEGwxAoLwQEYAAAAFwAAABkAAAAWAAAAGgAAABUAAAAbAAAAFAAAABwAAAATAAAAHQAAABIAAAAeAAAAEQAAAB8AAAAQAAAAIAAAAA8AAAAhAAAADgAAACIAAAANAAAAIwAAAAwAAAAkAAAACwAAACUAAAAKAAAAJgAAAAkAAAAnAAAACAAAACgAAAAHAAAAKQAAAAYAAAAqAAAABQAAACsAAAAEAAAALAAAAAMAAAAtAAAAAgAAAC4AAAABAAAALwAAAAAAAAAwAEGAxgoLkQQBBAQHBwgHCAYJBwoICwoLCwsLBAcGCQkKCQkJCgoLCgsKCwsNCwQHBwkJCQkJCQoKCwoLCwsMCwwHCQgLCwsLCgoLCwwMDAwMDA4NBwgJCgsLCwoKCwsLCwwMDgwNDggJCQsLCwsLCwwMDgwPDg4ODw4ICQkLCwsLDAsMDA0NDQ0NDQ4OCAkJCwoMCwwMDQ0NDQ8ODg4QEAgJCQoLCwwMDA0NDQ4ODg8QDw8JCgoLDAwNDQ0ODhAODhAQEBAPCQoKCwsMDQ0ODw4QDg8QEBAQDwoLCwwNDQ4PDw8PDxAPEA8QDw8KCwsNDQ4NDQ8ODw8QDw8PEA8QCgwMDg4ODg4QEA8PDxAQEBAQEAsMDA4ODg4PDxAPEA8QDxAQEBAMDA0ODg8QEBAQEBAPEBAQEBAQDA0NDg4ODg8QDxAQEBAQEBAQEAwNDg4OEA8QDxAQEBAQEBAQEBAMDg0ODw8PEA8QEA8QEBAQEBAQAAAAAAAAAAkAAAAIAAAACgAAAAcAAAALAAAABgAAAAwAAAAFAAAADQAAAAQAAAAOAAAAAwAAAA8AAAACAAAAEAAAAAEAAAARAAAAAAAAABIAAAAAAAAAAQMDCQkJCQkJBAkJCQkJCQkJBQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkICAgIAEGgygoLIQQAAAADAAAABQAAAAIAAAAGAAAAAQAAAAcAAAAAAAAACABB0MoKC5EEBAYGBwcICAgICQkJCQkJCQkJCQkJBgYGBwcICAgICQkJCQkJCQkJCQkJBQYGBwcICAkICQkJCQkJCQkJCQkJBwcHCAgICAkJCQkJCQkJCQkJCQkJBwcHCAgICAkJCQkJCQkJCQkJCQkJCAgICAgJCQkJCQkJCQkJCQkKCgkKCAgICAgJCQkJCQkJCQkJCgkKCgkKCAkICQkJCQkJCQkKCQoKCgoKCgoKCAkICQkJCQkJCQkJCQkKCgoKCQoKCQkJCQkJCQkJCQkKCQoKCgoKCgoKCQkJCQkJCQkJCQkKCQoKCgoKCgoKCQkJCQkJCQoJCgoKCgoKCgoKCgoKCQkJCQkJCQkJCQoKCgoKCgoKCgoKCQkJCQkJCgoKCgoKCgoKCgoKCgoKCQkJCQkJCQoKCgoKCgoKCgoKCgoKCQkJCQkJCQoKCgoKCgoKCgoKCgoKCQkJCQkKCgoKCgoKCgoKCgoKCgoKCQkJCgkKCgoKCgoKCgoKCgoKCgoKCQkJCQkKCQoKCgoKCgoKCgoKCgoKCQkJCQkJCgoKCgoKCgoKCgoKCgoKCQkJCgkKCQoKCgoKCgoKCgoKCgoKAAAAAAAAAAoAAAAJAAAACwAAAAgAAAAMAAAABwAAAA0AAAAGAAAADgAAAAUAAAAPAAAABAAAABAAAAADAAAAEQAAAAIAAAASAAAAAQAAABMAAAAAAAAAFABB8M4KC+EBAQQEBwcICAgHCQgKCQsKBAYGCAgKCQkJCgoLCgwKBAYGCAgKCgkJCgoLCwsMBwgICgoLCwsKDAsMDA0LBwgICgoLCwoKCwsMDA0NCAoKCwsMCwwLDQwNDA4NCAoJCwsMDAwMDAwNDQ4NCAkJCwoMCw0MDQ0ODQ4NCAkJCgsMDAwMDQ0ODw4OCQoKDAsNDA0NDg0ODg4OCQoKDAwMDA0NDg4ODw4OCgsLDQwNDA4ODg4ODg8PCgsLDAwNDQ4ODg8PDhAPCwwMDQwODg4NDw4PDw8RCwwMDQ0ODg4PDw4PDw4RAEHg0AoL0QMHAAAABgAAAAgAAAAFAAAACQAAAAQAAAAKAAAAAwAAAAsAAAACAAAADAAAAAEAAAANAAAAAAAAAA4AAAAAAAAABAUFBgYHBwcHBwcFBgYHBwcHBwcHBwUGBgcHBwcHBwcHBgcHBwcHBwcHCAgGBwcHBwcHBwcHCAcHBwcHBwcICAgIBwcHBwcHBwgICAgHBwcIBwgICAgICAcHBwcHCAgICAgIBwcHCAgICAgICAgHBwcICAgICAgICAAAAAAAAAAFAAAABAAAAAYAAAADAAAABwAAAAIAAAAIAAAAAQAAAAkAAAAAAAAACgAAAAAAAAABBAUGBgcHCAgKCgsLBQYGBwcICAkJCwoMCwUGBgcHCAgJCQoLCwwGBwcICAkJCgoLCwwMBgcHCAgJCQoKCwwNDAcICAkJCgoLCwwMDQ0ICAgJCQoKCwsMDA0NCQkJCgoLCwwMDQ0ODgkJCQoKCwsMDA0NDg4KCwsMCw0MDQ0ODg8PCgsLCwwMDQ0ODg4PDwsMDA0NDg0PDg8PEA8LCwwNDQ0ODg4PDw8QAAAAAAAAAAYAAAAFAAAABwAAAAQAAAAIAAAAAwAAAAkAAAACAAAACgAAAAEAAAALAAAAAAAAAAwAQcDUCgsxAwQEBQUEBQUFBQQFBQUFBQUFBQUFBQUFBQAAAAAAAAACAAAAAQAAAAMAAAAAAAAABABBgNUKC+EBAgQEBgYHBwgICQkKCgQGBQcHCAgICAkJCgoEBgYHBwgICAgJCQoKBgcHBwgICAgJCQoKCgYHBwgICAgJCAoJCwoHCAgICAgJCQkKCgsLBwgICAgJCAkJCgoLCwgICAkJCQkJCgoKCwsICAgJCQkJCgkKCgsLCQkJCQoKCgoKCgsLDAkJCQoJCgoKCgsKDAsKCgoKCgsLCwsLDAwMCgoKCgsLCwsLDAsMDAAAAAAAAAAGAAAABQAAAAcAAAAEAAAACAAAAAMAAAAJAAAAAgAAAAoAAAABAAAACwAAAAAAAAAMAEHw1goLsQQEBQUGBgcHBwcICAUFBQYGBwcICAgIBQUFBgYHBwcICAgGBgYHBwcHCAgICAYGBgcHBwcICAgIBwcHBwcICAgICAgHBwcHBwgICAgICAcIBwgICAgICAgIBwgICAgICAgICAgICAgICAgICAgJCQgICAgICAgICAkJAAAAAAAAAAUAAAAEAAAABgAAAAMAAAAHAAAAAgAAAAgAAAABAAAACQAAAAAAAAAKAAAAAAAAAAEEBAUHBwUHBwUICAgJCQcJCQUICAcJCQgJCQUICAgKCggKCgcKCgkKDAkMCwcKCgkLCgkLDAUICAgKCggKCgcKCgkLCwkKCwcKCgkLCwoMCgAAAAEAAAAAAAAAAgAAAAQEBAYGBwcICAgICgoLCwsLBAUFBgYHBwgICQkKCgsLDAwEBQUGBgcHCAgJCQoKCwsMDAYGBgcHCAgJCQkJCgoLCwwMBgYGBwcICAkJCQkKCgsLDAwHBwcICAkICgkKCQsKDAsNDAcHBwgICAkJCgkKCgsLDAwNCAgICQkJCQoKCwoLCwwMDQ0ICAgJCQkKCgoKCwsLDAwMDQgJCQkJCgkLCgsLDAsNDA0NCAkJCQkJCgoLCwsLDAwNDQ0KCgoKCgsKCwsMCw0MDQ0ODQoKCgoKCgsLCwsMDA0NDQ0OCwsLCwsMCwwMDQwNDQ4NDg4LCwsLCwsMDAwMDQ0NDQ4ODgsMDAwMDQwNDA0NDg0ODg4OCwwMDAwMDA0NDQ0NDg4ODg4AQbDbCgtBCAAAAAcAAAAJAAAABgAAAAoAAAAFAAAACwAAAAQAAAAMAAAAAwAAAA0AAAACAAAADgAAAAEAAAAPAAAAAAAAABAAQYDcCgtRAwQEBQUHBwkJBAUEBgYHBwkJBAQFBgYHBwkJBQYGBwcICAoKBgYGBwcICAoKBwcHCAgJCQsKBwcHCAgJCQoLCQkJCgoLCgwLCQkJCQoLCwsMAEHg3AoLIQQAAAADAAAABQAAAAIAAAAGAAAAAQAAAAcAAAAAAAAACABBkN0KC/EEBAUFCAgFBwYJCQUGBwkJCAkJCwsICQkLCwUHBwkJBwgICgoHCAgKCgkKCgwMCQoKCwwFBwcJCQcIBwoKBwgICgoJCgkMCwkKCgwMCAkJDAsJCgoMDAkKCgwMCwwMDg4LCwwNDggJCQsLCQoKDAwJCgoMDAsMCw0NCwwMDg4FBwcJCQcICAoKBwgICgoJCgoMDAkKCgsMBwgICgoICQkLCwgJCQsLCgsLDA0KCwsMDQYICAoKCAkICwoICQkLCwoLCg0MCgsLDQ0JCgoMDAoLCw0NCgsLDQ0MDA0NDgwNDQ4OCQoKDAwKCwoNDAoLCw0NCw0MDg0MDQ0ODgUHBwkJBwgICgoHCAgKCgkKCgwMCQoKDAwHCAgKCggJCQsLCAgJCgsKCwsNDQoKCwwNBwgICgoICQkLCwgJCQsLCgsLDQ0KCwsNDAkKCgwMCgsLDQ0KCgsMDQwNDQ4ODAwNDQ4JCgoMDAoLCw0NCgsLDQ0MDQ0PDgwNDQ4NCAkJCwsJCgoMDAkKCgwMDAwMDg0LDAwODgkKCgwMCgsLDQ0KCwsNDQwNDQ4PDA0NDg8JCgoMDAoLCg0MCgsLDQ0MDQwPDgwNDQ4PCwwMDg4MDQ0ODgwNDQ8ODg4ODhAODg8QEAsMDA4OCwwMDg4MDQ0ODw0ODRAODg4OEBAICQkLCwkKCgwMCQoKDAwLDAwODQsMDA4OCQoKDAwKCwsNDQoKCwwNDA0NDw4MDA0NDgkKCgwMCgsLDQ0KCwsNDQwNDQ4ODA0NDw4LDAwODQwNDQ8OCwwMDQ4ODw4QDw0NDg0QCwwMDg4MDQ0ODwwNDA8ODg4OEA8ODw0QDgBBkOIKCxECAAAAAQAAAAMAAAAAAAAABABBsOIKC88BAQUFBQcHBQcHBQcHCAkJBwkJBQcHBwkJCAkJBQcHBwkJBwkJBwkJCQoLCQsKBwkJCQsKCQoLBQcHBwkJBwkJBwkJCQsKCQoKCAkJCQsLCQsKAAAAAQAAAAAAAAACAAAABg4SEhEREREREQQHCQkKDQ8REREGBwUGCAsQERARBQcFBAYKDhEREQYGBgUHCg0QEREHBgcHBwgHCg8QDAkJBgYFAwULDw4ODQUFBwMECA8REQ0HBwoGBgoPEREQCgsOCgoPEQIAAABkAAAAwMECAEG05AoLA3SzAgBBxOQKCwOcswIAQdTkCgsDxLMCAEHk5AoLA+yzAgBB9OQKCwMUtAIAQYTlCgsPPLQCAAAAAABktAIAjLQCAEGc5QoLB7S0AgDctAIAQazlCgsLBLUCACy1AgBUtQIAQdzlCgsLAgAAAGQAAAAQswIAQZDmCgvnBAMJDg0PDhANDQ4FBQcHCAkLCgwPCgYFBgYJCgoNEAoGBgYGCAkJDA8OBwYGBQYGCAwPCggHBwYHBwcLDQ4KCQgFBgQFCQwKCQkIBgYFAwYLDAsMDAoJCAUFCAoLDw0NDQwIBgcEAAAAUQAAAGDBAgABAAAAAAAQ4AAAEGACAAAAAAAAALTBAgAAAAAABAAAAFEAAAAAwQIAAQAAAAAAEOAAABBgAgAAAAAAAABUwQIAAAAAAAQAAABxAgAAYL4CAAEAAAAAADDgAAAQYAMAAAAAAAAA4MACAAAAAAAEAAAAcQIAAMC7AgABAAAAAAAw4AAAEGADAAAAAAAAAEC+AgAAAAAAAgAAAFEAAAAwuwIAAQAAAAAAUOAAABBgBAAAAAAAAACQuwIAAAAAAAIAAABRAAAAoLoCAAEAAAAAAFDgAAAQYAQAAAAAAAAAALsCAAAAAAAEAAAAUQAAAEC6AgABAAAAAAB24AAAdmACAAAAAAAAAJS6AgAAAAAAAgAAAHkAAACQuQIAAQAAAAAAVOAAABBgBAAAAAAAAAAQugIAAAAAAAIAAAB5AAAA4LgCAAEAAAAAgLvgAAB2YAQAAAAAAAAAYLkCAAAAAAACAAAAeQAAADC4AgABAAAAAABU4AAAEGAEAAAAAAAAALC4AgAAAAAAAgAAAHkAAACAtwIAAQAAAADieOEA6DNhBAAAAAAAAAAAuAIAAAAAAAIAAACpAAAAkLYCAAEAAAAAYBLhAIC4YAQAAAAAAAAAQLcCAAAAAAABAAAAMQAAAIC1AgABAAAAAACY4AAAEGAGAAAAAAAAAMC1AgBBgOsKCzECBAQEBAUFBQUGBgYGBgYGBgYGBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcICAgIAEHA6woLwQEYAAAAFwAAABkAAAAWAAAAGgAAABUAAAAbAAAAFAAAABwAAAATAAAAHQAAABIAAAAeAAAAEQAAAB8AAAAQAAAAIAAAAA8AAAAhAAAADgAAACIAAAANAAAAIwAAAAwAAAAkAAAACwAAACUAAAAKAAAAJgAAAAkAAAAnAAAACAAAACgAAAAHAAAAKQAAAAYAAAAqAAAABQAAACsAAAAEAAAALAAAAAMAAAAtAAAAAgAAAC4AAAABAAAALwAAAAAAAAAwAEGQ7QoL4QEBBAQGBQgGCQgKCQsKBAYGCAgJCQsKCwsLCwQGBggICgkLCwsLCwwGCAgKCgsLDAwNDA0NBggICgoLCwwMDA0ODQgKCgsLDA0ODg4ODw8ICgoLDAwNDQ4ODg4PCQsLDQ0ODg8OEA8RDwkLCwwNDg4PDg8PDxAKDAwNDg8PDw8QERARCg0MDQ4OEBAQEA8QEQsNDQ4PDhEPEBERERELDQ0ODw8PDxEREBEQAAAAAAAAAAYAAAAFAAAABwAAAAQAAAAIAAAAAwAAAAkAAAACAAAACgAAAAEAAAALAAAAAAAAAAwAQYDvCgvxBgEDAwoKCgoKCgoKBAoKCgoKCgoKCgoECgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoJCQkJCQkJCQkJCQkAAAAAAAAABQAAAAQAAAAGAAAAAwAAAAcAAAACAAAACAAAAAEAAAAJAAAAAAAAAAoAAAAAAAAABAUFBgYHBwcHBwcFBgYHBwcHBwcHBwUGBgYHBwcHBwcHBgcHBwcHBwcHCAgGBwcHBwcHBwcICAcHBwcHCAcICAgIBwcHBwcHCAgICAgHBwcHBwgICAgICAcHBwcHCAgICAgIBwcHCAgICAgICAgHBwcICAgICAgICAAAAAAAAAAFAAAABAAAAAYAAAADAAAABwAAAAIAAAAIAAAAAQAAAAkAAAAAAAAACgAAAAAAAAABBAQGBggICgoLCwQGBgcHCQkLCgwMBQYFBwcJCQoLDAwGBwcICAoKCwsNDQYHBwgICgoLDA0NCAkJCgoLCwwMDg4ICQkKCgsLDAwODgoKCgsLDQwODg8PCgoKDAwNDQ4ODw8LDAwNDQ4ODw4QDwsMDA0NDg4PDw8QAAAAAAAAAAUAAAAEAAAABgAAAAMAAAAHAAAAAgAAAAgAAAABAAAACQAAAAAAAAAKAAAAAAAAAAMEBAYGBwcICAgIBAUFBgYIBwgICAgEBQUGBgcICAgICAYHBgcHCAgJCQkJBgYHBwcICAkJCQkHCAcICAkJCQkJCQcHCAgICQkJCQkJCAgICQkJCQoJCQkICAgJCQkJCQkJCggICAkJCQkKCQoKCAgICQkJCQkKCgoAAAAAAAAABQAAAAQAAAAGAAAAAwAAAAcAAAACAAAACAAAAAEAAAAJAAAAAAAAAAoAAAAAAAAAAQQEBQcHBQcHBQkICAkJBwoKBQgJBwkKCAkJBAkJCQsKCAoKBwsKCgoMCgwMBwoKCgwLCgwMBQkJCAoKCQsLBwsKCgwMCgsMBwoLCgwMCgwKAAAAAQAAAAAAAAACAAAAAwQEBQUHBwkJBAUEBgYIBwkJBAQFBgYHBwkJBQYGBwcICAoKBQYGBwcICAoKBwgHCAgKCQsLBwcICAgJCgsLCQkJCgoLCgwLCQkJCgoLCwsMAEGA9goLIQQAAAADAAAABQAAAAIAAAAGAAAAAQAAAAcAAAAAAAAACABBsPYKC1ECAwMGBgcICgoEBQUIBwgICwsDBQUHBwgJCwsGCAcJCQoKDAwGBwgJCgoKDAwICAgKCgwLDQ0ICAkKCgsLDQ0KCwsMDA0NDg4KCwsMDA0NDg4AQZD3CgshBAAAAAMAAAAFAAAAAgAAAAYAAAABAAAABwAAAAAAAAAIAEHA9woL8QQEBQUICAYHBgkJBgYHCQkICQkLCwgJCQoLBgcHCQkHCAgKCgYHCAkKCQoKDAwJCQoLDAYHBwkJBggHCgkHCAgKCgkKCQwLCQoKDAsICQkLCwkKCgwMCQoKDAwLDAwNDgsLDA0NCAkJCwsJCgoMCwkKCgwMCwwLDQ0LDAwNDQYHBwkJBwgHCgoHBwgKCgkKCgwLCQoKDAwHCAgKCggICQsLCAkJCwsKCwsMDAoKCwwNBgcHCgoHCQgLCggICQoLCgsKDQsKCwsMDAkKCgwMCgoLDQ0KCwsNDAwMDQ0ODAwNDg4JCgoMDAkKCgwMCgsLDQ0LDAsODAwNDQ4OBgcHCQkHCAcKCgcHCAoKCQoKDAsJCgoLDAYHBwoKCAkICwoHCAkKCwoLCw0MCgoLCw0HCAgKCggJCQsLCAkJCwsKCwoNDAoLCwwMCQoKDAwKCwsNDAkKCgwNDA0MDg4LCwwMDgkKCgwMCgsLDQ0KCwsNDQwNDA4ODA0MDg0ICQkLCwkKCgwMCQoKDAwLDAwODQsMDA0NCQoKDAwKCwsNDQoLCw0MDA0NDg4MDA0ODgkKCgwMCQsKDQwKCgsMDQsNDA4NDAwNDg4LDAwNDQsMDQ4ODA0NDg4NDQ4OEA0ODhAQCwsLDQ0LDAsODQwMDQ4PDQ4MEA0ODg4PEAgJCQsLCQoKDAwJCgoMDAsMDA4NCwwMDQ4JCgoMDAoLCg0MCQoLDA0MDQwODgwMDQ0OCQoKDAwKCwsMDQoLCw0NDA0MDg4MDQ0ODgsMDA0NDA0MDg4LCwwNDg0PDhAPDQwODRALDAwNDQwNDQ4ODAwMDg4NDg4PDw0ODRAOAEHA/AoLEQIAAAABAAAAAwAAAAAAAAAEAEHg/AoL7wQCBQQICAUHBgkJBQYHCQkICQkNDAgJCgwNBQcHCgkHCQkLCwYICQsLCgsLDg4JCgsNDgUHBwkJBwkICwsHCQkLCwkLCg4NCgsLDg4ICgoODQoLDA8OCQsLDw4NDg4QEAwNDhEQCAoKDQ0JCwsODwoLDA4PDA4NEBANDg8PEQUHBwoKBwkJCwsHCQkLCwoMCw8OCgsMDg4HCQkMDAkLCw0NCQsLDQ0LDQ0OEQsNDQ8QBgkJCwsICwoNDAkLCw0NCw0MEA4LDQ0QEAoMDA8PCw0NEBALDQ0QDw4QERETDhAQEgAJCwsODwoNDBAPCw0NEBAODw4AEA4QEBIABQcHCgoHCQkMCwcJCQsMCgsLDw4KCwwODgYJCQsLCQsLDQ0ICgsMDQsNDREPCwwNDg8HCQkLDAkLCw0NCQsLDQ0LDQwQEAsNDQ8OCQsLDg8LDQ0QDwoMDRAQDxAQAAAODQ8QEgoLCw8PCw0OEBILDQ0QDw8QEBMADg8PEBAICgoNDQoMCxAPCgsLEA8NDxASAA0ODxERCQsLDw8LDQ0QEgsNDRARDxAQAAAPEhAAEQkLCw8PCw0MEQ8LDQ4QEQ8SDwARDxAQEhMNDw4AEg4QEBMSDhAPExMQEhMAABARAAAADA4OERENEA4AEg4QDxIAEBIQExESExEAAAgKCg4OCQwLDw8KCwwPEQ0PDxIQDhAPEhEJCwsQDwsNDQAQCwwNEA8PEBAAEQ8PEBIRCQwLDxELDQ0QEAsODRAQDw8QEhMQEhAAAAwODgAQDhAQABINDg8QABEQEgAAEBAREwANDg4RAA4REAATDg8PEhMREBIAAA8TEABB4IELCxECAAAAAQAAAAMAAAAAAAAABABBgIILC68CAwQEBQYGBQYGBQYGBggIBgcIBQYGBggHBggIBQYGBggHBggIBggICAkJCAkJBggHBwkICAkJBQYGBggHBggIBggICAkJBwgJBggICAkJCAkJAAAAAQAAAAAAAAACAAAAAQQEBAcHBQcHBQgICAoKBwoKBQgIBwoKCAoKBQgICAsKCAoKCAoKCgwNCg0NBwoKCg0MCg0NBQgICAsKCAoLBwoKCg0NCgwNCAsLCg0NCg0MAAAAAQAAAAAAAAACAAAABQwREBAREREREQQHCwsMCREKEREHBwgJBwkLCg8RBwkKCwoMDgwQEQcIBQcEBwcIEBAGCgkKBwoLCxARBggICQUHBQgQEQUFCAcGBwcGBg4MCgwLBwsEBAIHEQ8PDwgPBggFCQIAAABkAAAAINMCAEHkhAsLA6TDAgBB9IQLCwPMwwIAQYSFCwsD9MMCAEGUhQsLAxzEAgBBpIULCwNExAIAQbSFCwsPbMQCAAAAAACUxAIAvMQCAEHMhQsLB+TEAgAMxQIAQdyFCwsLNMUCAFzFAgCExQIAQYyGCwsLAgAAAGQAAABAwwIAQcCGCwvnBAMJDg0ODRAMDQ4FBAYGCAkLCgwPCgUFBgYICgoNEAoGBgYGCAkJDA4NBwYGBAYGBwsOCgcHBwYGBgcKDQ8KCQgFBgUGCg4KCQgIBgYFBAYLCwsMCwoJCQUFCQoMDw0NDQ0IBwcEAAAAUQAAAMDSAgABAAAAAAAQ4AAAEGACAAAAAAAAABTTAgAAAAAABAAAAFEAAABg0gIAAQAAAAAAEOAAABBgAgAAAAAAAAC00gIAAAAAAAQAAABxAgAAwM8CAAEAAAAAADDgAAAQYAMAAAAAAAAAQNICAAAAAAAEAAAAcQIAACDNAgABAAAAAAAw4AAAEGADAAAAAAAAAKDPAgAAAAAAAgAAAFEAAACQzAIAAQAAAAAAUOAAABBgBAAAAAAAAADwzAIAAAAAAAIAAABRAAAAAMwCAAEAAAAAAFDgAAAQYAQAAAAAAAAAYMwCAAAAAAAEAAAAUQAAAKDLAgABAAAAAAB24AAAdmACAAAAAAAAAPTLAgAAAAAAAgAAAHkAAADwygIAAQAAAAAAVOAAABBgBAAAAAAAAABwywIAAAAAAAIAAAB5AAAAQMoCAAEAAAAAgLvgAAB2YAQAAAAAAAAAwMoCAAAAAAACAAAAeQAAAJDJAgABAAAAAABU4AAAEGAEAAAAAAAAABDKAgAAAAAAAgAAAOEAAABgyAIAAQAAAADkW+EA4P9gBAAAAAAAAABQyQIAAAAAAAIAAADhAAAAMMcCAAEAAAAAwN3gAACRYAQAAAAAAAAAIMgCAAAAAAACAAAAIQEAALDFAgABAAAAAABw4AAAEGAFAAAAAAAAAODGAgBBsIsLC6ECAwUFBwcICAgICAgJCAgJCQkFBgYHBwgICAgICAkJCQkJCQUGBgcHCAgICAgICQkJCQkJBwcHCAgICAkJCQkJCQkJCQkHBwcICAgICQkJCQkJCQkJCQgICAgICQkJCQkJCQkJCQkJCAgICAgJCQkJCQkJCQkJCQkICAgJCQkJCQkJCQkJCQkJCQgICAkJCQkJCQkJCQkJCQkJCAkJCQkJCQkJCQkJCQkJCgkICQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCgoJCQkJCQkJCQkJCQkJCQkJCQoJCQkJCQkJCQkJCQoJCQkKCQkJCQkJCQkJCQoJCQkKCQkKCQkJCQkJCQkJCgoKCQoJCgoJCQkJCQkJCQkKCgkKCgkJCgBB4I0LC0EIAAAABwAAAAkAAAAGAAAACgAAAAUAAAALAAAABAAAAAwAAAADAAAADQAAAAIAAAAOAAAAAQAAAA8AAAAAAAAAEABBsI4LC+EBAQQEBwcICQgICQgJCAkJBAcGCAgJCQkJCQkJCQkJBAcGCQkKCgkJCgoKCgsLBwkICgoLCwoKCwsLCwsLBwgJCgoLCwoKCwsLCwsMCAoKCwsMDAsLDAwMDA0MCAoKCwsMCwsLCwwMDAwNCAkJCwoLCwwMDAwNDA0MCAkJCwsLCwwMDAwMDQ0NCQoKCwwMDAwMDQ0NDQ0NCQoKCwsMDAwMDQ0NDQ4NCgoKDAsMDA0NDQ0NDQ0NCgoLCwsMDA0NDQ0NDQ0NCgsLDAwNDAwNDQ0NDQ0OCgsLDAwNDA0NDQ4NDQ4NAEGgkAsLoQIHAAAABgAAAAgAAAAFAAAACQAAAAQAAAAKAAAAAwAAAAsAAAACAAAADAAAAAEAAAANAAAAAAAAAA4AAAAAAAAAAQMCCQgPDw8PDw8PDw8PBAgJDQ4ODg4ODg4ODg4OBQgJDg4ODg4ODg4ODg4OCw4ODg4ODg4ODg4ODg4OCw4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4OAEHQkgsLgQYHAAAABgAAAAgAAAAFAAAACQAAAAQAAAAKAAAAAwAAAAsAAAACAAAADAAAAAEAAAANAAAAAAAAAA4AAAAAAAAAAwUFBgYHBwcHBwcFBgUHBwcHCAcICAUFBgYHBwcHBwgIBgcHBwcIBwgICAgGBgcHBwcICAgICAcHBwgICAgICAgIBwcHBwgICAgICAgHBwcICAgICAgICAcICAgICAgICAgIBwgICAgICAgICAgHCAgICAgICAgICAAAAAAAAAAFAAAABAAAAAYAAAADAAAABwAAAAIAAAAIAAAAAQAAAAkAAAAAAAAACgAAAAAAAAABBAQGBggICQkKCgQGBgcHCQkKCgsLBAYGBwcJCQoKCwsGCAgJCQoKCwsMDAYICAkJCgoLCwwMCAkJCgoLCwwMDQ0ICQkKCgsLDAwNDQoKCgsLDQ0NDQ8OCQoKDAsMDQ0NDg8LDAwNDQ0NDw4PDwsLDA0NDg4ODw8PAAAAAAAAAAUAAAAEAAAABgAAAAMAAAAHAAAAAgAAAAgAAAABAAAACQAAAAAAAAAKAAAAAAAAAAMEBAYGBwcICAgIBAUFBwYICAgICAgEBQUGBwgICAgICAYHBwcHCAgICAgIBgcHBwcICAgICAgHCAgICAgICQkJCQcICAgICAgJCQkJCAgICAgJCQkJCQkICAgICAkJCQkJCQgICAgICQkJCQkJCAgICAgJCQkJCQkAAAAAAAAABQAAAAQAAAAGAAAAAwAAAAcAAAACAAAACAAAAAEAAAAJAAAAAAAAAAoAAAAAAAAAAQQEBQcHBQcHBQkIBwoKCAoKBQgJBwoKBwoJBAgICQsLCAsLBwsLCgoNCg0NBwsLCg0MCg0NBQkICAsLCQsLBwsLCg0NCgwNBwsLCg0NCQ0KAAAAAQAAAAAAAAACAAAAAwQEBQUHBwkJBAUEBgYHBwkJBAQFBgYHCAkJBQYGBwcICAoKBQYGBwcICAoKBwgHCAgKCQsLBwcICAgJCgoLCQkJCgoLCwwLCQkJCgoLCwsMAEHgmAsLIQQAAAADAAAABQAAAAIAAAAGAAAAAQAAAAcAAAAAAAAACABBkJkLC1ECAwMGBggICgoEBQUIBwgICwsDBQUHCAgICwsGCAcJCQoJDAsGBwgJCQkKCwwICAgKCQwLDQ0ICAkJCgsMDQ0KCwsMDA0NDg4KCgsLDA0NDg4AQfCZCwshBAAAAAMAAAAFAAAAAgAAAAYAAAABAAAABwAAAAAAAAAIAEGgmgsL8QQEBQUICAYHBgkJBgYHCQkICQkLCwgJCQsLBgcHCQkHCAgKCgcHCAkKCQoKCwsJCQoLDAYHBwkJBwgHCgkHCAgKCgkKCQwLCQoKDAsICQkLCwkKCgwMCQoKDAwLDAwODQsLDA0NCAkJCwsJCgoMDAkKCgwMCwwLDQwLDAwNDQUHBwkJBwgHCgoHBwgKCgkKCgwLCQoKCwwHCAgKCggICQsLCAkJCwsKCgsMDQoKCwwMBgcHCgoHCQgLCggICQoLCgsKDQsKCwsMDAkKCgwMCgoLDQ0KCwsMDQwMDA0ODAwNDg4JCgoMDAkKCg0MCgsLDQ0LDAsODAwNDQ4OBgcHCQkHCAcKCgcICAoKCQoKDAsJCgoLDAYHBwoKCAkICwoHCAkKCwoLCwwMCgoLCw0HCAgKCggJCQsLCAkICwsKCwoNDAoLCw0MCQoKDAwKCwsNDAkKCgwNDA0MDg4LCwwMDgkKCgwMCgsLDQ0KCwoNDAwMDA4ODA0MDg0ICQkLCwkKCgwMCQoKDAwLDAwODQsMDA0OCQoKDAwKCwsNDQoLCw0NDAwNDg8MDA0ODgkKCgwMCQsKDQwKCgsMDQwNDA4NDAwNDg8LDAwODQsMDA4ODA0NDg4NDQ4OEA0ODg8PCwwLDQ0LDAsODQwMDQ4PDA4MDwwNDg8PEAgJCQsLCQoKDAwJCgoMDAsMDA4NCwwMDQ0JCgoMDAoLCg0MCQoLDA0MDQwODgwMDQ0OCQoKDAwKCwsNDQoLCw0NDA0MDg4MDQ0ODgsLCw0NDA0MDg4LCwwNDg4ODhAPDAwODA8LDAwNDgwNDQ4PCwwMDg4NDg4QEA0ODRANAEGgnwsLEQIAAAABAAAAAwAAAAAAAAAEAEHAnwsL8QQCBQQICAUHBgkJBQYHCQkICQkNDAgJCgwNBQcHCgkHCQkLCwcICQsLCgsLDg4JCgsNDgUHBwkKBgkICwsHCQkLCwkLCg4NCgsLDg0ICgoNDQoLCw8PCQsLDg4NDg4REAwNDhAQCAoKDQ4JCwsODwoLDA4PDA4NEA8NDg4PEQUHBwoKBwkJCwsHCQkLCwoMCw4OCgsLDg4HCQkMCwkLCw0NCQsLDQ0LDQ0ODwsMDQ8QBgkJCwwICwoNDAkLCw0OCw0MEA4LDQ0PEAoMCw4PCw0NDxELDQ0REA8PEBEQDg8QEgAJCwsODwoMDBAPCw0NEBANDw4SDw4QEAAABQcHCgoHCQkLCwcJCQsLCgsLDg4KCwwODgYJCQsLCQsLDQ0ICgsMDQsNDRAPCwwNDhAHCQkLDAkLCw0NCQsLDQ0LDQ0QDwsNDA8PCQsLDw4LDQ0REAoMDQ8QDhAQABIODg8PEQoLDA8PCw0NEBALDQ0QEA4QEBMRDg8PEREICgoODgoMCw8PCgsMEA8ODw8SFA0OEBESCQsLDxALDQ0REQsNDREQDxAQAAAPEBAAAAkLCw8PCg0MEQ8LDQ0REA8RDxQTDxAQEwANDw4AEQ4PEAAUDxAQABMREgAAABAREgAADA4OExINDw4AEQ4PEBMTEBIQABMTFBEUAAgKCg0OCgsLDw8KDAwPEA4PDhMQDg8PABIJCwsQDwsNDQAQCwwNEBEOEBEAEw8QEBIACQsLDxALDQ0QEAsODRIRDxAQEhQPERMAAAwODhERDhAPAAANDg8TABASFAAAEBASEgAMDg4RFA4QEBMADhAOABQQFBEAABEADwATAEHApAsLEQIAAAABAAAAAwAAAAAAAAAEAEHgpAsLrwIDBAQFBgYFBgYFBgYGCAgGBwgFBgYGCAcGCAgFBgYGCAgGCAgGCAgICQkICQkGBwcHCQgICQkFBgYGCAcGCAgGCAgICQkHCAkGCAgICQkICQkAAAABAAAAAAAAAAIAAAABBAQECAcFBwcFCAgICgoHCQoFCAgHCgkICgoFCAgICgoICgoICgoKDA0KDQ0HCgoKDQsKDQ0FCAgICwoICgoHCgoKDQ0KCw0ICgsKDQ0KDQwAAAABAAAAAAAAAAIAAAAECxANEQ0REBERBAcJCQ0KEAwQEQcGBQcICQwMEBEGCQcJCgoPDxERBgcFBwUHBwoQEQcJCAkICgsLDxEHBwcIBQgICQ8RCAcJCQcIBwIHDw4NDQ8FCgQDBhERDw0RBwsHBgkQAgAAAGQAAABA5AIAQcSnCwsDBNUCAEHUpwsLAyzVAgBB5KcLCwNU1QIAQfSnCwsDfNUCAEGEqAsLA6TVAgBBlKgLCw/M1QIAAAAAAPTVAgAc1gIAQayoCwsHRNYCAGzWAgBBvKgLCwuU1gIAvNYCAOTWAgBB7KgLCwsCAAAAZAAAAKDUAgBBoKkLC+cEAwgNDA4MEAsNDgUEBQYHCAoJDA8KBQUFBggJCQ0PCgUFBgYHCAgLDQwHBQYEBgcHCw4LBwcGBgYHBgoODgkICAYHBwcLEAsICAcGBgcEBwwKCgwKCgkKBQYJCgwPDQ4ODggHCAQAAABRAAAA4OMCAAEAAAAAABDgAAAQYAIAAAAAAAAANOQCAAAAAAAEAAAAUQAAAIDjAgABAAAAAAAQ4AAAEGACAAAAAAAAANTjAgAAAAAABAAAAHECAADg4AIAAQAAAAAAMOAAABBgAwAAAAAAAABg4wIAAAAAAAQAAABxAgAAQN4CAAEAAAAAADDgAAAQYAMAAAAAAAAAwOACAAAAAAACAAAAUQAAALDdAgABAAAAAABQ4AAAEGAEAAAAAAAAABDeAgAAAAAAAgAAAFEAAAAg3QIAAQAAAAAAUOAAABBgBAAAAAAAAACA3QIAAAAAAAQAAABRAAAAwNwCAAEAAAAAAHbgAAB2YAIAAAAAAAAAFN0CAAAAAAACAAAAeQAAABDcAgABAAAAAABU4AAAEGAEAAAAAAAAAJDcAgAAAAAAAgAAAHkAAABg2wIAAQAAAACAu+AAAHZgBAAAAAAAAADg2wIAAAAAAAIAAAB5AAAAsNoCAAEAAAAAAFTgAAAQYAQAAAAAAAAAMNsCAAAAAAACAAAAqQAAAMDZAgABAAAAAOhX4QDg/2AEAAAAAAAAAHDaAgAAAAAAAgAAAOEAAACQ2AIAAQAAAADA3eAAAJFgBAAAAAAAAACA2QIAAAAAAAIAAAAhAQAAENcCAAEAAAAAAHDgAAAQYAUAAAAAAAAAQNgCAEGQrgsLoQICBQUHBwgICAgICAkJCQkJCQUGBgcHCAgJCAkJCQkJCQkJBQYGBwcICAkICQkJCQkJCQkHBwcICAkICQkJCQkJCQkJCQcHBwgICQgJCQkJCQkJCQkJCAgICAkJCQkJCQkJCgkKCgoICAgJCAkJCQkJCQkKCQoJCggJCQkJCQkJCQkKCQoKCgoKCAkJCQkJCQoJCgkKCgoKCgoJCQkJCQoJCgoKCgoKCgoKCgkJCQkJCQkKCQoJCgoKCgoKCQkJCQkKCgoKCgoKCgoKCgoJCQkJCQkKCgoKCgoKCgoKCgkJCQkKCgkKCgoKCgoKCgoKCQkJCQkKCgoKCgoKCgoKCgoJCQkJCQoKCgoKCgoKCgoKCgkJCQoJCgoKCgoKCgoKCgoKAEHAsAsLQQgAAAAHAAAACQAAAAYAAAAKAAAABQAAAAsAAAAEAAAADAAAAAMAAAANAAAAAgAAAA4AAAABAAAADwAAAAAAAAAQAEGQsQsL4QEBBAQHBwgICAcIBwkICQkEBwYJCAoKCQgJCQkJCQgFBgYICQoKCQkJCgoKCgsHCAgKCgsLCgoLCwsMCwsHCAgKCgsLCgoLCwwLCwsICQkLCwwMCwsMCwwMDAwICQoLCwwMCwsMDAwMDAwICQkKCgwLDAwMDAwMDA0ICQkLCwsLDAwMDA0MDQ0JCgoLCwwMDA0MDQ0NDg0JCgoLCwwMDA0NDA0NDg0JCwoMCw0MDA0NDQ0NDQ4JCgoMDAwMDA0NDQ0NDg4KCwsMDAwNDQ0ODg0ODg4KCwsMDAwMDQwNDg0ODg4AQYCzCwuhAgcAAAAGAAAACAAAAAUAAAAJAAAABAAAAAoAAAADAAAACwAAAAIAAAAMAAAAAQAAAA0AAAAAAAAADgAAAAAAAAABAwIMCg0NDQ0NDQ0NBAkJDQ0NDQ0NDQ0NDQUKCQ0NDQ0NDQ0NDQ0MDQ0NDQ0NDQ0NDQ0NCw0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0MDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMAAAAAAAAAAYAAAAFAAAABwAAAAQAAAAIAAAAAwAAAAkAAAACAAAACgAAAAEAAAALAAAAAAAAAAwAQbC1CwvBBQMFBQYGBwcHBwcHBQYFBwYHBwgICAgFBQUGBgcHCAgICAYHBgcHCAgICAgIBgYHBwcICAgICAgHBwcICAgICAgICAcHBwgICAgICAgIBwgICAgICAgICAgHCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgAAAAAAAAABQAAAAQAAAAGAAAAAwAAAAcAAAACAAAACAAAAAEAAAAJAAAAAAAAAAoAAAAAAAAAAQQEBgYICAkJCgoEBgYHBwkJCgoLCwQGBgcHCQkKCgsLBggHCQkKCgsLDQwGCAgJCQoKCwsMDQgJCQoKDAwNDA4NCAkJCgoMDA0NDg4JCwsMDA0NDg4PDgkLCwwMDQ0ODg8OCwwMDQ0ODg8ODw4LCwwNDQ4ODg4PDwAAAAAAAAAFAAAABAAAAAYAAAADAAAABwAAAAIAAAAIAAAAAQAAAAkAAAAAAAAACgAAAAAAAAACBAQGBgcHCAgICAQFBQcHCAgJCAgJBAUFBwcICAkJCAkGBwcICAkICQkJCQYHBwgICQkJCQkJBwgICQkJCQkJCQkHCAgJCQkJCQkJCQgJCQkJCQkKCgoKCAkJCQkJCQoKCgoICQkJCQkJCgoKCggJCQkJCQkKCgoKAAAAAAAAAAUAAAAEAAAABgAAAAMAAAAHAAAAAgAAAAgAAAABAAAACQAAAAAAAAAKAAAAAAAAAAEEBAUHBwUHBwUJCQgLCgcLCgUJCQcKCggKCwQJCQkMDAkMDAgMDAsMDAoMDQcMDAsMDAoMDQQJCQkMDAkMDAcMCwoNDQsMDAcMDAoNDQsMDAAAAAEAAAAAAAAAAgAAAAMEBAUFBwcJCQQFBAYGBwcJCQQEBQYGBwcJCQUGBgcHCAgKCgYGBgcHCAgKCgcHBwgICQkLCgcHBwgICQkKCwkJCQoKCwoLCwkJCQoKCwoLCwBBgLsLCyEEAAAAAwAAAAUAAAACAAAABgAAAAEAAAAHAAAAAAAAAAgAQbC7CwtRAgMDBgYICAoKBAUFCAcICAsKAwUFBwgICAoLBggHCgkKCgsLBgcICQkJCgsMCAgICgoLCw0MCAgJCQoLCwwNCgsKDAsNDA4OCgoLCwwMDQ4OAEGQvAsLIQQAAAADAAAABQAAAAIAAAAGAAAAAQAAAAcAAAAAAAAACABBwLwLC/EEBAUFCAgGBwYJCQYGBwkJCAkJCwsICQkLCwYHBwkJBwgICgoGBwgJCgkKCgsMCQkKCwwGBwcJCQYIBwoJBwgICgoJCgkMCwkKCgwLCAkJDAsJCgoMDAkKCgwMCwwMDQ4LCwwNDggJCQsMCQoKDAwJCgoMDAsMCw4NCwwMDQ0FBwcJCQcICAoKBwgICgoJCgoMDAkKCgwMBwgICgoICAkKCwgJCQsLCgoLCw0KCwsMDQYHCAoKBwkICwoICQkLCwoLCg0LCgsLDAwJCgoMDAoKCwwNCgsLDQ0MCw0MDwwNDQ4PCQoKDAwJCwoNDAoLCw0NCw0LDgwMDQ0ODwUHBwkJBwgICgoHCAgKCgkKCgwMCQoKDAwGCAcKCggJCQsLBwgJCgsKCwsMDAoKCwsNBwgICgoICQkLCwgJCAsKCgsLDQwKCwoNCwkKCgwMCgsLDQwJCgoMDQwNDQ4PCwsNDA4JCgoMDAoLCw0NCgsKDQwMDQ0ODgwNCw4MCAkJDAwJCgoMDAkKCgwMDAwMDg4LDAwODQkKCgwMCgsLDQ0KCwsNDAwMDQ4PDA0NDw4JCgoMDAoLCg0MCgsLDA0MDQwPDQwNDQ4PCwwMDg0LDAwODwwNDQ8ODQwODBANDg4PDwsLDA4OCwwLDg0MDQ0ODw0ODBAMDg4PEBAICQkLDAkKCgwMCQoKDA0LDAwNDQwMDQ4OCQoKDAwKCwoNDAoKCwwNDA0NDw4MDA0NDwkKCgwNCgsLDA0KCwsNDQwNDQ4PDA0MDw4LDAsODQwNDQ8OCwsMDQ4ODw4QDw0MDg0QCwwMDQ4MDQ0ODwsMCw4ODg4ODxANDwwQDABBwMELCxECAAAAAQAAAAMAAAAAAAAABABB4MELC+8EAgQFCAgFBwYJCQUGBwkJCAoJDQwICQoMDAUHBwoKBwkJCwsGCAkLCwoLCw4OCQoLDQ4FBwcJCgcJCAsLBwkJCwsJCwoODQoLCw4OCAoKDQ0KCwsPDgkLCw4ODQ4OERAMDQ0PEAgKCg0NCQsLDg8KCwsODwwODRAQDQ8ODxEFBwcKCgcJCQsLBwkJCwsKCwsODgoLDA4OBwkJDAsJCwsNDQkLCw0NDA0NDxALDA0PEAYJCQsLCAsKDQwJCwsNDgsNDBAOCw0NEBEKDAsPDwsNDRAQCw0NERAODw8REQ4QEBESCQsLDg8KDAwPDwsNDRARDQ8NEQ8ODxASAAUHBwoKBwkJCwsHCQkLCwoLCw4OCgsMDg8GCQkMCwkLCw0NCAoLDA0LDQ0QDwsMDQ4PBwkJCwwJCwsNDQkLCw0NCw0NDxALDQ0PDgkLCw8OCw0NEQ8KDAwPDw4QEBERDQ0PDxEKCwwPDwsNDRAQCw0NDw8ODw8SEg4PDxERCAoKDQ0KDAsPDwoLDA8PDg8PEhINDg4SEgkLCw8QCw0NERELDQ0QEA8PEBEADg8RAAAJCwsPDwoNDBIQCw0NDxAOEA8UFA4PEBEADQ4OFBAODxATEg4PDxMAEhAAFBQQEhIAAAwODhISDQ8OEhAODxASFBATEAARERISEwAICgoODgoLCw4PCgsMDw8NDw4TEQ0PDxEACQsLEA8LDQ0QEAoMDQ8RDhAQEhIODw8SAAkLCw8PCw0NEBELDQ0SEQ4SEBISDxEREgAMDg4SEg4PDxQADQ4PEQAQEhEAABAQABEUDA4OEhIOEA8AEg4QDxIAEBMRAAAREhAAQeDGCwsRAgAAAAEAAAADAAAAAAAAAAQAQYDHCwuvAgMEBAUGBgUGBgUGBgYICAYHCAUGBgYIBwYICAUGBgYICAYICAYICAgJCQgJCQYIBwcJCAgJCQUGBgYIBwYICAYIBwgJCQcICQYICAgJCQgJCQAAAAEAAAAAAAAAAgAAAAEEBAUIBwUHBwUICAgKCgcJCgUICAcKCQgKCgUICAgKCggKCggKCgoMDQoNDQcKCgoNCwoNDQQICAgLCggKCgcKCgoNDQoLDQgKCwoNDQoNDAAAAAEAAAAAAAAAAgAAAAQKEQ0RDREREREDBggJCwkPDBARBgUFBwcICgsREQcIBwkJCg0NEREIBgUHBAcFCA4RCQkICQcJCAoQEQwKBwgEBwQHEBEMCwkKBgkFBw4RDg0KDwQIAwUOEREOCw8GCgYIDxECAAAAQAAAAPDyAgBB5ckLCwLmAgBB9MkLCwMo5gIAQYTKCwsDUOYCAEGUygsLA3jmAgBBpMoLCw+g5gIAAAAAAMjmAgDw5gIAQbzKCwsLGOcCAEDnAgBo5wIAQYzLCwsLAgAAAEAAAADA5QIAQcDLCwvxBQMIDAwNDAsNBQQGBwgICQ0JBQQFBQcJDQkGBQYGBwgMDAcFBgQFCA0LBwYGBQUGDAoICAcHBQMICgwNDAwJBgcEAAAAUQAAAJDyAgABAAAAAAAQ4AAAEGACAAAAAAAAAOTyAgAAAAAABAAAAFEAAAAw8gIAAQAAAAAAEOAAABBgAgAAAAAAAACE8gIAAAAAAAQAAABxAgAAkO8CAAEAAAAAADDgAAAQYAMAAAAAAAAAEPICAAAAAAAEAAAAcQIAAPDsAgABAAAAAAAw4AAAEGADAAAAAAAAAHDvAgAAAAAAAgAAAFEAAABg7AIAAQAAAAAAUOAAABBgBAAAAAAAAADA7AIAAAAAAAIAAACpAAAAcOsCAAEAAAAAAJ7gAABUYAQAAAAAAAAAIOwCAAAAAAACAAAAGQAAADDrAgABAAAAAAAw4AAAEGADAAAAAAAAAFDrAgAAAAAAAgAAAKkAAABA6gIAAQAAAADoV+EA4P9gBAAAAAAAAADw6gIAAAAAAAIAAADhAAAAEOkCAAEAAAAAwN3gAACRYAQAAAAAAAAAAOoCAAAAAAACAAAAIQEAAJDnAgABAAAAAABw4AAAEGAFAAAAAAAAAMDoAgAAAAAAAgUFBwcHBwgICAgJCQkJCQkFBgYHBwgICAgJCQkJCQkJCQUGBgcHCAgICAkJCQkJCQkJBwcHCAgICAkJCQkJCQoKCgoHBwcICAgICQkJCQoJCgkKCgcICAgICQkJCQkJCgoKCgoKBwgICAgJCQkJCQkKCgoKCgoICQgJCQkJCQkKCgoKCgoKCggICAkJCQkJCgoKCgoKCgoKCQkJCQkKCgoKCgoKCgoKCgoJCQkJCQoKCgoKCgoKCgoKCgkJCQkKCgoKCgoKCgoKCgoKCQkJCQoKCgoKCgoKCgsKCgoJCQkKCgoKCgoKCgoKCgoKCgkJCQoKCgoKCgoKCgoKCgoKCQoJCgoKCgoKCgoKCgoKCgoJCgkKCgoKCgoKCgoKCwoKCgBBwNELC0EIAAAABwAAAAkAAAAGAAAACgAAAAUAAAALAAAABAAAAAwAAAADAAAADQAAAAIAAAAOAAAAAQAAAA8AAAAAAAAAEABBkNILC+EBAQQEBgYHBwkICggKCQsLBAcGCAcJCQoKCwoLCgwKBAYHCAgJCQoKCwsLCwwMBggICgkLCgwLDAwMDA0NBggICgoKCwsLDAwNDA0NCAkJCwsMCwwMDQ0NDQ0NCAkJCwsLDAwMDQ0NDQ0NCQoKDAsNDQ0NDg0NDg4OCQoLCwwMDQ0NDQ0ODw4OCgsLDAwNDQ4ODg4ODxAQCgsLDA0NDQ0PDg4PEA8QCgwMDQ0ODg4PDw8PDw8QCwwMDQ0ODg4PDw8QDxEQCwwMDQ0NDw8OEBAQEBARCwwMDQ0ODg8ODw8RERAQAEGA1AsLoQIHAAAABgAAAAgAAAAFAAAACQAAAAQAAAAKAAAAAwAAAAsAAAACAAAADAAAAAEAAAANAAAAAAAAAA4AAAAAAAAAAQMDDAwMDAwMDAwMDAMMCwwMDAwMDAwMDAwECwoMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwAAAAAAAAAGAAAABQAAAAcAAAAEAAAACAAAAAMAAAAJAAAAAgAAAAoAAAABAAAACwAAAAAAAAAMAEGw1gsLMQIEBAUFBAUFBgUEBQUFBgUGBQYGBQUGBgYAAAAAAAAAAgAAAAEAAAADAAAAAAAAAAQAQfDWCwvhAQEEBAYGCAgJCQsKDQ0EBgUICAkJCgoLCw4OBAYGCAgJCQoKCwsODgYICAkJCgoLCwwMDw8GCAgJCQoLCwsMDA8PCAkJCwoLCwwMDQ0QEAgJCQoKCwsMDA0NEBAKCgoMCwwMDQ0ODhAQCgoKCwwMDA0NDQ4QEQsMCwwMDQ0ODg8OEhELCwwMDA0NDg4ODxMSDg8ODw8REBEREREVAA4PDxAQEBARERIRFBUAAAAAAAAABgAAAAUAAAAHAAAABAAAAAgAAAADAAAACQAAAAIAAAAKAAAAAQAAAAsAAAAAAAAADABB4NgLC1ECAwMGBgcHCQkEBQUHBwgICgkEBQUHBwgICgoGBwcICAkJCwoGBwcICAkJCgsHCAgJCQoKCwsHCAgJCQoKCwsJCgoLCgsLDAwJCgoKCwsLDAwAQcDZCwshBAAAAAMAAAAFAAAAAgAAAAYAAAABAAAABwAAAAAAAAAIAEHw2QsL8QQEBQUICAUHBgkJBQYHCQkJCQkLCwgJCQsLBQcHCQkHCAgKCgcHCAoKCQoKCwwJCgoLDAUHBwkJBwgHCgoHCAgKCgkKCgwLCQoKDAsJCgkMDAkKCg0MCQoKDAwMDAwODgsMDA0OCQkKDAwJCgoNDQkKCgwNCwwMDg0LDAwODgUHBwkJBwgICgoHCAgKCgoKCgwMCQoKDAwHCAgLCggICQsLCAkJCwsLCwsMDQoLCw0NBggICgoHCQgLCggJCQsLCgsKDQsKCwsNDQkLCg0MCgsLDQ4KCwsODQwMDQwPDA0NDw8JCgoMDQoLCg0MCgsLDQ4MDQsPDQ0NDQ8PBQcHCQkHCAgKCgcICAoKCQoKDAwKCgsMDQYICAoKCAkJCwsHCAkKCwoLCw0NCgoLCw0HCAgKCwgJCQsLCAkICwsKCwsNDQsMCw0MCQoKDQwKCwsODQoKCwwNDA0NDw8MCw0NDgkKCwwNCgsLDQ4KCwsNDQwNDQ8PDA0MDwwICQkMDAkLCg0NCQoKDQ0MDQ0PDwwMDA4OCQoKDQ0KCwsNDgoLCw4NDQ0ODhANDQ0PDwkKCg0NCgsKDg0KCwsNDgwODRAODA0NDg8LDAwPDgsMDQ4PDA0NEA8ODA8MEA4PDxAQCwwMDg4LDQwPDgwNDQ8QDQ8NEQ0ODw8QEQgJCQwMCQoKDA0JCgoNDQwMDA4ODA0NDw8JCgoNDAoLCw4NCgoLDQ4NDQ0PDwwNDg4QCQoKDQ0KCwsNDgoLCw4ODQ0NDw8NDg0QDgsMDA8ODA0NEA8LDA0ODw4PDxEQDQ0PDRALDA0ODw0NDQ8QCw0MDw4ODw8QEA4PDBENAEHw3gsLEQIAAAABAAAAAwAAAAAAAAAEAEGQ3wsL7wQCBAQICAUHBwkJBQcHCQkICgkMDAgJCgwMBQcHCgoHCQkLCwcJCQsLCgwLDg4JCgsNDgUHBwoKBwkJCwsHCQkLCwkLCg4NCgsLDg4ICgoODQoMDA8OCQsLDw4NDg4REQwODhAQCAoKDg4JCwsODwoMDA4PDA4NEBANDg8PEgQHBwoKBwkJDAsHCQkLDAoMCw8OCgsMDg8HCQkMDAkLDA0NCQsMDQ0MDQ0PEAsNDQ8QBwkJDAwJCwoNDAkLDA0OCw0MEA4MDQ0PEAoMDBAPCw0NERALDQ0REA4PDxERDhAQEhQJCwsPEAsNDBAQCw0NEBEODw4SEA4QEBEUBQcHCgoHCQkMCwcJCgsMCgwLDw8KDAwODgcJCQwMCQwLDg0JCgsMDQwNDhAQCwwNDhAHCQkMDAkMCw0NCQwLDQ0LDQ0QEAwNDRAPCQsLEA4LDQ0QEAsMDRAQDhAQERENDg8QEQoMDA8PCw0NEBELDQ0QEA4QDxMTDg8PERIICgoODgoMDA8PCgwMEBAOEA8UEw0PDxEQCQwMEBALDQ0QEgsODRAREBEQFAAPEBISFAkLCw8PCw4MERALDQ0REQ8RDxQUDhAQEQANDw4SEA4PEAASDhAQAAASEAAAFBASEgAADA4OERINDw4UEg4QDxMTEBQQABIQExETAAgKCg4OCgwMEA8KDAwQEA0PDxIRDhAQEwAJCwsQDwsODRIRCwwNERIOERASEg8QERISCQwMEBALDQ0QEgsODRERDxAQEhQQEREUFAwODhIRDhAQABMNDg8SABAAAAAAEBAAExQNDw4AAA4QEBITDhAPABQQFBIAFBEUEQBBkOQLCxECAAAAAQAAAAMAAAAAAAAABABBsOQLC4sCAgUFBQYGBQYGBQYGBwgIBggIBQYGBggIBwgIBQcGBggIBggIBggICAkKCAoKBggICAoICAoKBQYGBggIBggIBggICAoKCAgKBggICAoKCAoJAAAAAQAAAAAAAAACAAAAAQQEBQgHBQcIBQgICAoLCAoLBQgICAsKCAsLBAgICAsLCAsLCAsLCw0OCw8OCAsLCg0MCw4OBAgICAsLCAsLBwsLCw8OCgwOCAsLCw4OCw4NAAAAAQAAAAAAAAACAAAADhEPERAODRAKBwcKDQoPEAkEBAYFBwkQDAgHCAgICxAOBwQGAwUIDw0IBQcEBQcQDAkGCAMDBRAODQcKBQUHDwIAAABAAAAAEAEDAEHw5gsLA4D0AgBBgOcLCwOo9AIAQZDnCwsD0PQCAEGg5wsLA/j0AgBBsOcLCw8g9QIAAAAAAEj1AgBw9QIAQcjnCwsLmPUCAMD1AgDo9QIAQZjoCwsLAgAAAEAAAABA9AIAQcDoCwvxBQYJDQwOCwoNCAQFBwgHCAwLBAMFBQcJDgsGBQYGBgcNDQcFBgQFBw4LBwYGBQUGDQkHCAYHBQMJCQwNDA4KBgcEAAAAUQAAALAAAwABAAAAAAAQ4AAAEGACAAAAAAAAAAQBAwAAAAAABAAAAFEAAABQAAMAAQAAAAAAEOAAABBgAgAAAAAAAACkAAMAAAAAAAQAAABxAgAAsP0CAAEAAAAAADDgAAAQYAMAAAAAAAAAMAADAAAAAAAEAAAAcQIAABD7AgABAAAAAAAw4AAAEGADAAAAAAAAAJD9AgAAAAAAAgAAAFEAAACA+gIAAQAAAAAAUOAAABBgBAAAAAAAAADg+gIAAAAAAAIAAACpAAAAkPkCAAEAAAAAAJ7gAABUYAQAAAAAAAAAQPoCAAAAAAACAAAAGQAAAFD5AgABAAAAAAAw4AAAEGADAAAAAAAAAHD5AgAAAAAAAgAAAFEAAADA+AIAAQAAAADgP+EA4P9gBAAAAAAAAAAg+QIAAAAAAAIAAADhAAAAkPcCAAEAAAAAwN3gAACRYAQAAAAAAAAAgPgCAAAAAAACAAAAIQEAABD2AgABAAAAAABw4AAAEGAFAAAAAAAAAED3AgAAAAAAAgUFBwYHBwgICAgJCQkJCQkFBgYHBwgICAgJCQkJCQkKCgUGBgcHCAgICAkICQkJCQoJBwcHCAgICAkJCQkJCQoKCgoHBwcICAgICQkJCQoJCgoKCgcICAgICQkJCQkJCgoKCgoKBwgICQgJCQkJCgkKCgoKCgoICAgJCQkJCQkJCgoKCgoKCggJCAkJCQkKCQoKCgoKCgoKCQkJCQkJCgkKCgoKCgoKCgoJCQkJCQoJCgoKCgoKCgoKCgkJCQoJCgoKCgoKCgoKCgoKCQkJCgoKCgoKCgoKCgoKCgoJCQkKCgoKCgoKCgoKCgoKCwkKCgoKCgoKCgoKCgoKCgoLCQoKCgoKCgoKCgoKCgoKCgoJCgoKCgoKCgoKCgoLCwsKCwBBwO4LC0EIAAAABwAAAAkAAAAGAAAACgAAAAUAAAALAAAABAAAAAwAAAADAAAADQAAAAIAAAAOAAAAAQAAAA8AAAAAAAAAEABBkO8LC+EBAQQEBgYHBggHCQgKCQsLBAcHCAcJCQoKCwsLCwwMBAcHBwcJCQoKCwsMDAwLBggICQkKCgsLDAwNDA0NBggICQkKCwsLDAwNDg0NCAkJCwsMDAwNDg0ODg4PCAkJCwsLDA0ODQ4PEQ4PCQoKDAwNDQ0ODw8PEBAQCQsLDAwNDQ4ODg8QEBAQCgwMDQ0ODg8PDxARERERCgwLDQ0PDg8OEBEQEBAQCw0MDg4ODg8QERARERERCw0MDg4ODxEQERERERERDA0NDxAPEBEREBARERERDA0NDw8PEBERERAREBERAEGA8QsLkQEHAAAABgAAAAgAAAAFAAAACQAAAAQAAAAKAAAAAwAAAAsAAAACAAAADAAAAAEAAAANAAAAAAAAAA4AAAAAAAAAAQMDCgoKCgoKBAoKCgoKCgoKBAoKCgoKCgoKCgoJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJAEGg8gsLIQQAAAADAAAABQAAAAIAAAAGAAAAAQAAAAcAAAAAAAAACABB0PILCzECBAQFBQQFBQYFBAUFBQYFBgUGBgUFBgYGAAAAAAAAAAIAAAABAAAAAwAAAAAAAAAEAEGQ8wsL4QEBBAQGBggICQkKCw0OBAYFCAgJCQoKCwsODgQGBggICQkKCgsLDg4GCAgJCQoKCwsMDA8PBggICQkKCwsLDAwPDwgJCQsKCwsMDA0NDxAICQkKCwsLDAwNDRAQCgoLCwsMDA0NDQ4REAkKCwwLDAwNDQ0NEBILDAsMDA0NDQ4PDhERCwsMDAwNDQ0ODg8SEQ4PDw8PEBARERMSABQODw4PDxAQEBESEBQSAAAAAAAAAAYAAAAFAAAABwAAAAQAAAAIAAAAAwAAAAkAAAACAAAACgAAAAEAAAALAAAAAAAAAAwAQYD1CwtRAgMDBgYHBwkJBAUFBwcICAoKBAUFBwcICAoKBgcHCAgJCQsKBgcHCAgJCQoKBwgICQkKCgsLBwgICQkKCgsLCQoKCwoLCwwMCQoKCgoLCwwMAEHg9QsLIQQAAAADAAAABQAAAAIAAAAGAAAAAQAAAAcAAAAAAAAACABBkPYLC/EEBAUFCAgFBwYJCQUGBwkJCQkJCwsJCQkLCwUHBwkJBwgICgoHBwgKCgkKCgsMCQoKCwwFBwcJCQcIBwoKBwgICgoJCgkMCwkKCgwLCQoJDAwJCgoNDAkKCgwNDAwMDg4LDAwNDgkJCgwMCQoKDAwJCgoMDQsMCw4NDAwMDg0FBwcJCQcICAoKBwgICgoKCgoMDAkKCgwMBwgICwoICAkLCwgJCQsLCwsLDA0KCwsNDQYICAoKBwkICwoICQkLCwoLCg0LCgsLDQ0JCwoNDAoLCw0NCgsLDQ0MDA0MDwwNDQ8PCQoKDA0KCwoNDAoLCw0ODA0LDw0MDQ0PDwUHBwkJBwgICgoHCAgKCgkKCgwMCgoLDAwGCAgKCggJCQsLBwgJCgsKCwsNDQoKCwsNBwgICgoICQkLCwgJCQsLCgsLDQ0LCwsNDAkKCg0MCgsLDg0KCgsMDQwNDQ8PDAsNDQ4JCgsMDQoLCw0NCgsLDQ0MDQ0PDwwNDA8MCAkJDAwJCwoNDQkKCg0NDA0NDw4MDAwODQkKCg0MCgsLDQ0KCwsODA0NDg4QDA0NDw8JCgoNDQoLCg4NCgsLDQ4MDg0PDg0NDQ8PCw0MDw4LDA0ODwwNDRAODgwPDBAODw8RDwsMDA4OCw0LDw4MDQ0PDw0PDBENDg8PEBAICQkMDAkKCgwNCQoKDQ0MDAwODgwNDQ8PCQoKDQwKCwsODQoKCw0ODA0NDw8MDA0OEAkKCg0NCgsLDQ4KCwsODQwNDQ4PDQ4NEA4LDAwODgwNDQ8OCwwNDg8ODw8QEA0NDw0QCwwMDg8MDQ0ODwsNDA8ODg8PEBAODwwQDQBBkPsLCxECAAAAAQAAAAMAAAAAAAAABABBsPsLC+8EAgQEBwcFBwcJCQUHBwkJCAkJDAwICQkLDAUHBwoKBwkJCwsHCQkKCwoLCw0NCQoLDQ0FBwcKCgcJCQsKBwkJCwsJCwoNDQoLCw4NCAoKDg0KCwsPDgkLCw4ODQ4NEBAMDQ0PDwgKCg0OCQsLDg4KCwsODwwNDQ8PDQ4ODxAFBwcKCgcJCQsLBwkJCwwKCwsODgoLCw4OBwkJDAwJCwsNDQkLCw0NDAwNDw8LDA0PEAcJCQsLCAsKDQwJCwsNDQsNDA8NCw0NDxAJDAsPDgsMDRAPCw0NDxAODg8REA0PEAARCQsLDw8KDQwPDwsNDQ8QDQ8NEA8OEA8AEwUHBwoKBwkJCwsHCQkLCwoMCw4OCgsMDg4HCQkMDAkLCw4NCQoLDA0LDQ0QEAsMDQ0QBwkJDAwJCwsNDQkLCw0NCw0NDw8MDQwPDgkLCw8OCw0MEBAKDAwPDw0PDxETDQ4PEBEKDAwPDwsNDRAQCw0NDxANDw8AAA4PDxAQCAoKDg4KDAwPDwoMCw8QDg8PExQNDg4SEAkLCw8PCw0NERALDQ0QEA8RERQUDg8QERQJCwsPDwoNDBAPCw0NDxEOEA8SAA4QDxIUDA4OAAAODhAAAA0QDwAAERESAAAQERMTAAwODhIADBAOABENDw8SABASEQAREBIRAAAHCgoODgoMCw8PCgwMEA8NDw8SAA4PDxEACQsLDw8LDQ0QEAsMDRAQDg8QEREOEBAQEgkLDBAQCw0NERELDg0UEQ8QEBMADxARABMLDQ4REA4PDxQSDQ4PERMQEhIAFBAQExEADA8OEQAODw8SEw0QDxMUDxISABQRABAAQbCADAsRAgAAAAEAAAADAAAAAAAAAAQAQdCADAuLAgIFBAUGBgUGBgUGBgcICAYICAUGBgYICAcICAUHBgcICAYICAcICAgJCggKCgYICAgKCAgKCgUGBgYICAcICAYICAgKCggICgcICAgKCggKCQAAAAEAAAAAAAAAAgAAAAEEBAUIBwUHCAUICAgKCwgKCwUICAgLCggLCwQICAgLCwgLCwgLCwsNDgsODggLCwoODAsODgQICAgLCwgLCwcLCwsODgoMDggLCwsODgsODQAAAAEAAAAAAAAAAgAAAA4ODg8NDwwQCggHCQkIDBAKBQQGBQYJEA4IBggHCAoQDgcEBgMFCBAPCQUHBAQHEA0KBgcEAwQNDQwHCQUFBgwCAAAAQAAAAGAOAwBBkIMMCwOgAgMAQaCDDAsDyAIDAEGwgwwLA/ACAwBBwIMMCwMYAwMAQdCDDAsPQAMDAAAAAABoAwMAkAMDAEHogwwLC7gDAwDgAwMACAQDAEG4hAwLCwIAAABAAAAAYAIDAEHghAwLsQUFCQ4MDw0KDQcEBQYIBwgMDQQDBQUGCQ8MBgUGBgYHDg4HBAYEBggPDAYGBQUFBg4JBwgGBwUECgoNDg4PCgYIBAAAAFEAAAAADgMAAQAAAAAAEOAAABBgAgAAAAAAAABUDgMAAAAAAAQAAABRAAAAoA0DAAEAAAAAABDgAAAQYAIAAAAAAAAA9A0DAAAAAAAEAAAAcQIAAAALAwABAAAAAAAw4AAAEGADAAAAAAAAAIANAwAAAAAABAAAAHECAABgCAMAAQAAAAAAMOAAABBgAwAAAAAAAADgCgMAAAAAAAIAAABRAAAA0AcDAAEAAAAAAFDgAAAQYAQAAAAAAAAAMAgDAAAAAAACAAAAqQAAAOAGAwABAAAAAACe4AAAVGAEAAAAAAAAAJAHAwAAAAAAAgAAABkAAACgBgMAAQAAAAAAMOAAABBgAwAAAAAAAADABgMAAAAAAAIAAABRAAAAEAYDAAEAAAAAIDXhACD1YAQAAAAAAAAAcAYDAAAAAAACAAAAqQAAACAFAwABAAAAAIDT4AAAemAEAAAAAAAAANAFAwAAAAAAAgAAAKkAAAAwBAMAAQAAAAAAWOAAABBgBAAAAAAAAADgBAMAAAAAAAIFBQYGBwcIBwgICAgFBgYHBwgICAgICAgIBQYGBwcIBwgICAgICAYHBwcICAgICAkJCQkGBwcIBwgICQkJCQkJBwgICAgICAkJCQkJCQcICAgICAgJCQkJCQkICAgICQkJCQkJCQkJCAgICQkJCQkJCQkJCQgICQkJCQkJCQkJCQkICQkJCQkJCQkJCQkJCAkJCQkJCQkJCQkJCQgJCQkJCQkJCQkJCQkAAAAAAAAABgAAAAUAAAAHAAAABAAAAAgAAAADAAAACQAAAAIAAAAKAAAAAQAAAAsAAAAAAAAADABBoIoMC+EBAQQEBwYHBggHCQcJCAQHBggICQgKCQoKCwsEBwcICAgICQoLCwsLBggICgoKCgsLDAwMDAcICAoKCgoLCwwMDQ0HCQkLCgwMDQ0ODQ4OBwkJCgsLDA0NDQ0QDgkKCgwMDQ0ODg8QDxAJCgoMDAwNDg4ODxAPCgwMDQ0PDRAQDxEREQoLCwwODg4PDxERDxELDAwODg4PDw8REBERCgwMDQ4ODhEPEREREQAAAAAAAAAGAAAABQAAAAcAAAAEAAAACAAAAAMAAAAJAAAAAgAAAAoAAAABAAAACwAAAAAAAAAMAEGQjAwLUQEDAgwMDAwMDAQMDAwMDAwMDAUMDAwMDAwMDAwMCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwBB8IwMCyEEAAAAAwAAAAUAAAACAAAABgAAAAEAAAAHAAAAAAAAAAgAQaCNDAsxAgQEBQUEBQUGBQQFBQUGBQYFBgYFBQYGBgAAAAAAAAACAAAAAQAAAAMAAAAAAAAABABB4I0MC6cBAQQEBgYICAoKCwsODQQGBQgICQkLCgwLDw4EBQYICAkJCwsLCw4OBggICgkLCwsLDAwPDwYICAkJCwsLDAwMDw8ICgoLCwsLDAwNDQ8QCAoKCwsLCwwMDQ0QEAoLCwwMDAwNDQ0NERAKCwsMDAwMDQ0NDhARCwwMDQ0NDQ4ODw4SEQsMDA0NDQ0ODg4PExIODw8PDxAQEhMSEgAADg8PEA8RERASERIAQZCPDAsxBgAAAAUAAAAHAAAABAAAAAgAAAADAAAACQAAAAIAAAAKAAAAAQAAAAsAAAAAAAAADABB0I8MC1EBBAQHBwgICQkEBgUICAgICgoEBQYICAgICgoHCAgJCQkJCwsHCAgJCQkJCwsICAgJCQoLDAwICAgJCQoKDAwKCgoLCwwMDQ0KCgoLCwwMDQ0AQbCQDAshBAAAAAMAAAAFAAAAAgAAAAYAAAABAAAABwAAAAAAAAAIAEHgkAwL8QQEBQUICAUHBgkJBQYHCQkJCQkLCwkJCQsLBQcHCQkHCAgKCgcHCAoKCgoKCwwJCgoLDAUHBwkJBggHCgoHCAgKCgkKCgwLCQoKDAsJCgoMDAoKCg0MCQoKDA0MDAwODgsMDA0OCQoKDAwJCgoMDQoKCgwNCwwMDg0MDAwODQUHBwoJBwgICgoHCAgKCgoKCgwMCgoKDAwHCAgLCggICQsLCAkJCwsKCwsMDQoLCw0NBggICgoHCQgLCggJCQsLCgsKDQsKCwsNDQkKCg0NCgsLDQ0KCwsODQwLDQwPDA0NDw8JCgoMDQoLCg0NCgsLDQ0MDQsPDQwNDQ8PBQcHCQoHCAgKCgcICAoKCgoKDAwKCgsMDAYICAoKCAkJCwsHCAkKCwoLCw0NCgoLCw0HCAgKCwgJCQsLCAkICwsKCwsNDQoLCw0MCQoKDQwKCwsODQoKCw0NDA0NDw8MCw0MDgkKCgwNCgsLDQ4KCwsNDQwNDQ8PDA0MDwwICQkMDAkLCg0NCQoKDQ0MDQ0PDwwMDA4OCQoKDQ0KCwsNDgoLCw4MDQ0ODhAMDQ0PDgkKCg0NCgsKDg0KCwsNDgwODRAODQ0NDg8LDQwPDgsMDQ4PDA0NEA8ODA8MEA4PDxEQCwwMDg8LDQsPDgwNDQ8QDQ8MEQ0ODw8QEAgJCQwMCQoKDQ0JCgoNDQwNDA4ODA0NDw8JCgoNDQoLCw4NCgoLDQ4MDQ0PDgwMDg4QCQoKDQ0KCwsNDgoLCw4NDQ0NDw8NDg0QDgsMDA4ODA0NEA8LDA0ODw4PDxAQDg0PDRELDAwODwwNDQ8QCw0MDw8ODw4QEA4PDBENAEHglQwLEQIAAAABAAAAAwAAAAAAAAAEAEGAlgwL7wQCBAQHCAUHBwkJBQcHCQkICQkMCwgJCQsMBQcHCgoHCQkLCwcJCQoLCgsLDQ0JCgsMDQUHBwoKBwkJCwoHCQkLCwkLCg0NCgsLDQ0ICgoODQoLCw8OCQsLDw4NDg0QDgwNDQ8QCAoKDQ4JCwsODwoLCw4PDA0NDw8MDQ4PEAUHBwoKBwkJCwsHCQkLDAoLCw4NCgsLDg4HCQkMDAkLCw0NCQsLDQ0MDQwODgsMDQ8PBwkJDAwICwoNDAkLCw0NCw0MDw0LDQ0PEAkMCw8PCwwMEA8LDA0QEA0ODxAPDQ8PEREJCwsODwoMDA8PCw0MDxANDw4QEA0PDxETBQcHCgoHCQkMCwcJCQsLCgsLDg4KCwsNDgcJCQwMCQsLDQ0JCgsMDQsNDBAPCwwMDg8HCQkMDAkLCw0NCQsLDQwLDQwPEAwNDQ8OCQsLDw4LDQwQDwoLDA8PDQ4OEhENDg4PEQoLCw4PCw0MDxELDQwPEA0PDhIRDg8PEBIHCgoODgoMDA8PCgwMDw8ODw8SEQ0PDxAQCQsLEA8LDQ0QEgsNDRAQDxAQAAAODxASEQkLCw8PCg0MERALDA0QEQ4PEBMTDg8PABQMDg4AAA0OEBMSDQ8QFBEQEgAAAA8QERITCw4OABMMDw4REQ0PDwAAEBEPFBMPERATAAgKCg4PCgwLDw8KCwwQDw0ODhMRDg8PAAAJCwsQDwsNDREQCgwNEBEODw8SEg4PEBQTCQwMAA8LDQ0QEQsNDRMRDhAQEhEPEBAREwsODhISDQ4PAAAMDg8TEg8QEwATDxATExEMDg4QEw0PDwARDQ8OEhIPEA8AEhAREQBBgJsMCxECAAAAAQAAAAMAAAAAAAAABABBoJsMC4sCAgUFBQYGBQYGBQYGBwgIBggIBQYGBggHBwgIBQYGBwgIBggIBggICAkKCAoKBggIBwoICAoKBQYGBggIBwgIBggICAoKCAgKBggICAoKCAoJAAAAAQAAAAAAAAACAAAAAQQEBQgHBQcIBQgICAsLCAoLBQgICAsKCAsLBAgICAsLCAsLCAsLCw0OCw0NBwsLCg0MCw4OBAgICAsLCAsLCAsLCw4NCgwNCAsLCw0NCw0NAAAAAQAAAAAAAAACAAAADQ8REQ8PDBELCQcKCgkMEQoGAwYFBwoRDwoGCQgJCxEPCAQHAwUJEBAKBQgEBQgQDQsFCAMDBQ4NDAcKBQUHDgIAAABAAAAAgBsDAEHgnQwLA/APAwBB8J0MCwMYEAMAQYCeDAsDQBADAEGQngwLA2gQAwBBoJ4MCw+QEAMAAAAAALgQAwDgEAMAQbieDAsLCBEDADARAwBYEQMAQYifDAsLAgAAAEAAAACwDwMAQbCfDAuxBQUIDQoRCwsPBwIEBQgHCRANBAMFBggLFAoEBQUHBggSDwcGBwgKDhQKBgcGCQcIEQkICggKBQQLDBETDhAKBwwEAAAAUQAAACAbAwABAAAAAAAQ4AAAEGACAAAAAAAAAHQbAwAAAAAABAAAAFEAAADAGgMAAQAAAAAAEOAAABBgAgAAAAAAAAAUGwMAAAAAAAQAAABxAgAAIBgDAAEAAAAAADDgAAAQYAMAAAAAAAAAoBoDAAAAAAAEAAAAcQIAAIAVAwABAAAAAAAw4AAAEGADAAAAAAAAAAAYAwAAAAAAAgAAAFEAAADwFAMAAQAAAAAAUOAAABBgBAAAAAAAAABQFQMAAAAAAAIAAACpAAAAABQDAAEAAAAAAJ7gAABUYAQAAAAAAAAAsBQDAAAAAAACAAAAGQAAAMATAwABAAAAAAAw4AAAEGADAAAAAAAAAOATAwAAAAAAAgAAADEAAABgEwMAAQAAAACwH+EAIPVgAwAAAAAAAACgEwMAAAAAAAIAAACpAAAAcBIDAAEAAAAAgNPgAAB6YAQAAAAAAAAAIBMDAAAAAAACAAAAqQAAAIARAwABAAAAAABY4AAAEGAEAAAAAAAAADASAwAAAAAAAgUEBgYHBwgICAgJCAUFBgcHCAgICAkJCQkFBgUHBwgICAgJCQkJBgcHCAgICAkICQkJCQYHBwgHCAgJCQkJCQkHCAgICAkJCQkJCQkJBwgICQgJCAkJCQkJCQgJCAkJCQkJCQkJCgoICAkJCQkJCQkJCgkKCQkJCQkJCQkJCQkJCQgJCQkJCQkJCQkJCQkJCQkJCQkJCQkKCgoJCQkJCQkJCQoJCQoKCQAAAAAAAAAGAAAABQAAAAcAAAAEAAAACAAAAAMAAAAJAAAAAgAAAAoAAAABAAAACwAAAAAAAAAMAEHwpAwL4QEBBAQGBgYGBwcICAkJBQcHCAcHBwkICgkKCwUHBwgIBwcICQoKCwsGCAgJCQkJCwoMDA8MBggICQkJCQsLDAsODAcICAoKDAwNDQ0PDQ0HCAgKCgsLDQwODw8PCQoKCwwNDQ4PDg8ODwgKCgwMDg4PDg4PDw4KDAwODg8ODw8PDg8PCgwMDQ4PDg8PDg8PDwwPDQ8ODw8PDw8PDw8NDQ8PDw8PDw8PDw8PAAAAAAAAAAYAAAAFAAAABwAAAAQAAAAIAAAAAwAAAAkAAAACAAAACgAAAAEAAAALAAAAAAAAAAwAQeCmDAsxAQMCCQkHCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQgICAgICAgICAgICAgICABBoKcMC1EDAAAAAgAAAAQAAAABAAAABQAAAAAAAAAGAAAAAAAAAAIEBAUFBAUFBQUEBQUFBQUGBgYGBQYGBgYAAAAAAAAAAgAAAAEAAAADAAAAAAAAAAQAQYCoDAvhAQEEBAYGCAgKCQsKDg0EBgUICAkJCwoLCw4OBAUGCAgJCQoKCwsODgYICAkJCgoLCwwMEA8HCAgJCQoKCwsMDA8PCQoKCgoLCwwMDAwPDwkKCQoLCwsMDAwNDw8KCgsLCwwMDQwNDRAPCgsLCwsMDA0MDQ0QEQsLDAwMDQ0NDg4PERELCwwMDA0NDQ4ODhASDg8PDw8QEBAQERIAAA4PDw8PERAREhEREgAAAAAAAAAABgAAAAUAAAAHAAAABAAAAAgAAAADAAAACQAAAAIAAAAKAAAAAQAAAAsAAAAAAAAADABB8KkMC1EBBAQHBwcHCQkEBgYICAgICQkEBgYICAgICQkHCAgJCQkJCwoHCAgJCQkJCgoHCAgJCQoKCwsHCAgJCQoKCwsJCQkKCgsLDAwJCQkKCwsLDAwAQdCqDAshBAAAAAMAAAAFAAAAAgAAAAYAAAABAAAABwAAAAAAAAAIAEGAqwwL8QQEBQUJCQUGBgkJBQYGCQkJCgkMDAkJCgwMBQcHCgoHBwgKCgYHCAoKCgoKCw0KCQoMDQUHBwoKBggHCgoHCAcKCgkKCgwMCgoKDQsJCgoNDQoLCg0NCgoKDQ0MDA0ODgwMDQ4OCQoKDQ0KCgoNDQoKCg0NDA0MDw4MDQwPDwUHBgoKBwgICgoHCAgKCgoLCg0NCgoKDAwHCAgLCggICQoLCAkJCwsLCgsLDgsLCw0NBggICgoHCQgLCggJCQsLCgsKDgsKCwsNDQoLCw4NCgoLDg0KCwsODgwLDQwQDQ4ODw8KCgsNDgoLCg4NCgsLDg4MDQwPDQ0NDg8QBQcHCgoHCAgKCgcICAoKCgoKDQ0KCgsMDQYICAsKCAkJCwsHCAkKCwoLCw0NCgoLCw0GCAgKCwgJCQsLCAkIDAoKCwsNDQoLCg4LCgoKDg0KCwsODQoKCw0NDA4OEBAMDA0NDwoLCw0OCgsLDg8KCwoNDQ0ODRAQDA0LDwwJCgoNDQoLCw4NCgoLDQ4NDg0QEA0NDQ8QCQoKDQ0KCgsNDgoLCw8NDQ0ODhINDQ4QDwkKCg0OCgsKDg0KCwsNDg0ODRAPDQ0ODxAMDQwQDgsLDQ8PDQ4NEA8PDBAMEQ4PDxERDA0NDhALDQsQDwwNDg8QDg8NAA4OEBAAAAkKCg0NCgsKDg4KCwsNDQwNDQ4QDQ4OEBAJCgoODgsLCw4NCgoLDg4NDQ0QEA0NDg4RCQoKDQ4KCwsNDwoLCg4ODQ0NDhENDg0RDgwNDRAODQ4NEA8MDA0PEA8PEBIQDw0PDgAMDA0OEA0NDg8QCwwLEA4PEBAREQ4PDBEMAEGAsAwLEQIAAAABAAAAAwAAAAAAAAAEAEGgsAwL8QQBBQUICAUIBwkJBQcICQkJCgkMDAkJCgwMBggICwoICgoLCwgJCgsLCgsLDg0KCwsNDQUICAoKCAoKCwsICgoLCwoLCw0NCgsLDQ0JCwsPDgoMDA8OCgwLDw4NDg4QEAwODREPCQsLDg8KCwwOEAoLDA4QDA0OEBANDQ8PEgUICAsLCAoKDAwICgoMDQsMDA4OCwwMDw8ICgoNDQoMDA0NCgwMDg4MDQ0PDwwNDRAQBwoKDAwKDAsNDQoMDA0ODA0MDw4MDQ0QEAoMDBEQDA0NEA8LDQ0REQ8PDxARDg8PExMKDAwPEAsNDA8SCw0NEBAODw8REQ4PDxETBQgICwsICgoMDAgKCgwMCwwMEA8LDAwODwcKCg0NCgwMDg0KCwwNDQwNDRAQDAwNDw8ICgoNDQoMDA4OCgwMDQ0MDQ0QEAwNDQ8PCgwMEA8LDQ0REAsMDRAPDQ8PExEODw4REAoMDBAQCw0NEBEMDQ0PEQ4PDxETDg8PEREICwsQEAoNDBERCgwNEBAPERAUEw4PERITCQwMEBELDQ4REgsNDRMSEBESExMPEBATEwkMDBARCw4NEhELDQ0RERAREBQTDhAQEhIMDw8TEQ4PEAAUDQ8QFBESEBQAAA8QExQADA8OEhMNEA8UEw0QDxQSERIRABQQERAAAAgLCxAPCgwMEREKDQ0REA4QDxIUDxAQExMJDAwQEAsNDREQCw0OERIPDxAUFBAQERMTCQ0MEBELDg0REQsODhIRDhAPEhMQERISEwwODxMSDQ8QEgANDg8AABAQERQAEREUFAAMDw8TFA0PDwAADhAPAAAPEhAAABESEAATAEGgtQwLEQIAAAABAAAAAwAAAAAAAAAEAEHAtQwLiwICBAQFBgYFBgYFBwcHCAgGCAgFBwcGCAgHCAgEBwcHCAgHCAgHCAgICQoICgoGCAgICggICgoFBwcHCAgHCAgGCAgICgoICAoGCAgICgoICgkAAAABAAAAAAAAAAIAAAABBAQFCAcFBwgFCAgICwsICgoFCAgICwoICwsECAgICwsICwsIDAsLDQ0LDQ4HCwsKDQwLDQ4ECAgICwsICwwICwsLDQ0KDA0ICwsLDg0LDg0AAAABAAAAAAAAAAIAAAAMDQ4NEQwPEQUFBgoKCw8QBAMDBwUHChAHBwcKCQsMEAYFBQkFBgoQCAcHCQYHCRALBwMGBAUIEAwJBAgFBwkQAgAAAEAAAADgKgMAQYC4DAsDEB0DAEGQuAwLAzgdAwBBoLgMCwNgHQMAQbC4DAsDiB0DAEHAuAwLD7AdAwAAAAAA2B0DAAAeAwBB2LgMCwsoHgMAUB4DAHgeAwBBqLkMCwsCAAAAQAAAANAcAwBB0LkMC7EFBQgNChELCw8HAgQFCAcJEA0EAwUGCAsUCgQFBQcGCBIPBwYHCAoOFAoGBwYJBwgRCQgKCAoFBAsMERMOEAoHDAQAAABRAAAAgCoDAAEAAAAAABDgAAAQYAIAAAAAAAAA1CoDAAAAAAAEAAAAUQAAACAqAwABAAAAAAAQ4AAAEGACAAAAAAAAAHQqAwAAAAAABAAAAHECAACAJwMAAQAAAAAAMOAAABBgAwAAAAAAAAAAKgMAAAAAAAQAAABxAgAA4CQDAAEAAAAAADDgAAAQYAMAAAAAAAAAYCcDAAAAAAACAAAAUQAAAFAkAwABAAAAAABQ4AAAEGAEAAAAAAAAALAkAwAAAAAAAgAAAKkAAABgIwMAAQAAAAAAnuAAAFRgBAAAAAAAAAAQJAMAAAAAAAIAAAAZAAAAICMDAAEAAAAAADDgAAAQYAMAAAAAAAAAQCMDAAAAAAAEAAAAcQIAAIAgAwABAAAAACAV4QAg9WADAAAAAAAAAAAjAwAAAAAAAgAAAKkAAACQHwMAAQAAAACA0+AAAHpgBAAAAAAAAABAIAMAAAAAAAIAAACpAAAAoB4DAAEAAAAAAFjgAAAQYAQAAAAAAAAAUB8DAAAAAAACBQQGBgcHCAgICAkIBQUGBwcICAgICQkJCQUGBQcHCAgICAkJCQkGBwcICAgICQgJCQkJBgcHCAcICAkJCQkJCQcICAgICQkJCQkJCQkHCAgJCAkICQkJCQkJCAkICQkJCQkJCQkKCggICQkJCQkJCQkKCQoJCQkJCQkJCQkJCQkJCAkJCQkJCQkJCQkJCQkJCQkJCQkJCQoKCgkJCQkJCQkJCgkJCgoJAAAAAAAAAAYAAAAFAAAABwAAAAQAAAAIAAAAAwAAAAkAAAACAAAACgAAAAEAAAALAAAAAAAAAAwAQZC/DAvhAQEEBAYGBgYHBwgICQkFBwcIBwcHCQgKCQoLBQcHCAgHBwgJCgoLCwYICAkJCQkLCgwMDwwGCAgJCQkJCwsMCw4MBwgICgoMDA0NDQ8NDQcICAoKCwsNDA4PDw8JCgoLDA0NDg8ODw4PCAoKDAwODg8ODg8PDgoMDA4ODw4PDw8ODw8KDAwNDg8ODw8ODw8PDA8NDw4PDw8PDw8PDw0NDw8PDw8PDw8PDw8AAAAAAAAABgAAAAUAAAAHAAAABAAAAAgAAAADAAAACQAAAAIAAAAKAAAAAQAAAAsAAAAAAAAADABBgMEMC/EEAQQECwsJCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsJCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsKCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgBBgMYMCxECAAAAAQAAAAMAAAAAAAAABABBoMYMCzECBAQFBQQFBQUFBAUFBQUFBgYGBgUGBgYGAAAAAAAAAAIAAAABAAAAAwAAAAAAAAAEAEHgxgwL4QEBBAQGBggICgkLCg4NBAYFCAgJCQsKCwsODgQFBggICQkKCgsLDg4GCAgJCQoKCwsMDBAPBwgICQkKCgsLDAwPDwkKCgoKCwsMDAwMDw8JCgkKCwsLDAwMDQ8PCgoLCwsMDA0MDQ0QDwoLCwsLDAwNDA0NEBELCwwMDA0NDQ4ODxERCwsMDAwNDQ0ODg4QEg4PDw8PEBAQEBESAAAODw8PDxEQERIRERIAAAAAAAAAAAYAAAAFAAAABwAAAAQAAAAIAAAAAwAAAAkAAAACAAAACgAAAAEAAAALAAAAAAAAAAwAQdDIDAtRAQQEBwcHBwkJBAYGCAgICAkJBAYGCAgICAkJBwgICQkJCQsKBwgICQkJCQoKBwgICQkKCgsLBwgICQkKCgsLCQkJCgoLCwwMCQkJCgsLCwwMAEGwyQwLIQQAAAADAAAABQAAAAIAAAAGAAAAAQAAAAcAAAAAAAAACABB4MkMC/EEBAUFCQkFBgYJCQUGBgkJCQoJDAwJCQoMDAUHBwoKBwcICgoGBwgKCgoKCgsNCgkKDA0FBwcKCgYIBwoKBwgHCgoJCgoMDAoKCg0LCQoKDQ0KCwoNDQoKCg0NDAwNDg4MDA0ODgkKCg0NCgoKDQ0KCgoNDQwNDA8ODA0MDw8FBwYKCgcICAoKBwgICgoKCwoNDQoKCgwMBwgICwoICAkKCwgJCQsLCwoLCw4LCwsNDQYICAoKBwkICwoICQkLCwoLCg4LCgsLDQ0KCwsODQoKCw4NCgsLDg4MCw0MEA0ODg8PCgoLDQ4KCwoODQoLCw4ODA0MDw0NDQ4PEAUHBwoKBwgICgoHCAgKCgoKCg0NCgoLDA0GCAgLCggJCQsLBwgJCgsKCwsNDQoKCwsNBggICgsICQkLCwgJCAwKCgsLDQ0KCwoOCwoKCg4NCgsLDg0KCgsNDQwODhAQDAwNDQ8KCwsNDgoLCw4PCgsKDQ0NDg0QEAwNCw8MCQoKDQ0KCwsODQoKCw0ODQ4NEBANDQ0PEAkKCg0NCgoLDQ4KCwsPDQ0NDg4SDQ0OEA8JCgoNDgoLCg4NCgsLDQ4NDg0QDw0NDg8QDA0MEA4LCw0PDw0ODRAPDwwQDBEODw8REQwNDQ4QCw0LEA8MDQ4PEA4PDQAODhAQAAAJCgoNDQoLCg4OCgsLDQ0MDQ0OEA0ODhAQCQoKDg4LCwsODQoKCw4ODQ0NEBANDQ4OEQkKCg0OCgsLDQ8KCwoODg0NDQ4RDQ4NEQ4MDQ0QDg0ODRAPDAwNDxAPDxASEA8NDw4ADAwNDhANDQ4PEAsMCxAODxAQEREODwwRDABB4M4MCxECAAAAAQAAAAMAAAAAAAAABABBgM8MC/EEAQUFCAgFCAcJCQUHCAkJCQoJDAwJCQoMDAYICAsKCAoKCwsICQoLCwoLCw4NCgsLDQ0FCAgKCggKCgsLCAoKCwsKCwsNDQoLCw0NCQsLDw4KDAwPDgoMCw8ODQ4OEBAMDg0RDwkLCw4PCgsMDhAKCwwOEAwNDhAQDQ0PDxIFCAgLCwgKCgwMCAoKDA0LDAwODgsMDA8PCAoKDQ0KDAwNDQoMDA4ODA0NDw8MDQ0QEAcKCgwMCgwLDQ0KDAwNDgwNDA8ODA0NEBAKDAwREAwNDRAPCw0NEREPDw8QEQ4PDxMTCgwMDxALDQwPEgsNDRAQDg8PEREODw8REwUICAsLCAoKDAwICgoMDAsMDBAPCwwMDg8HCgoNDQoMDA4NCgsMDQ0MDQ0QEAwMDQ8PCAoKDQ0KDAwODgoMDA0NDA0NEBAMDQ0PDwoMDBAPCw0NERALDA0QDw0PDxMRDg8OERAKDAwQEAsNDRARDA0NDxEODw8REw4PDxERCAsLEBAKDQwREQoMDRAQDxEQFBMODxESEwkMDBARCw0OERILDQ0TEhAREhMTDxAQExMJDAwQEQsODRIRCw0NEREQERAUEw4QEBISDA8PExEODxAAFA0PEBQREhAUAAAPEBMUAAwPDhITDRAPFBMNEA8UEhESEQAUEBEQAAAICwsQDwoMDBERCg0NERAOEA8SFA8QEBMTCQwMEBALDQ0REAsNDhESDw8QFBQQEBETEwkNDBARCw4NERELDg4SEQ4QDxITEBESEhMMDg8TEg0PEBIADQ4PAAAQEBEUABERFBQADA8PExQNDw8AAA4QDwAADxIQAAAREhAAEwBBgNQMCxECAAAAAQAAAAMAAAAAAAAABABBoNQMC4sCAgQEBQYGBQYGBQcHBwgIBggIBQcHBggIBwgIBAcHBwgIBwgIBwgICAkKCAoKBggICAoICAoKBQcHBwgIBwgIBggICAoKCAgKBggICAoKCAoJAAAAAQAAAAAAAAACAAAAAQQEBQgHBQcIBQgICAsLCAoKBQgICAsKCAsLBAgICAsLCAsLCAwLCw0NCw0OBwsLCg0MCw0OBAgICAsLCAsMCAsLCw0NCgwNCAsLCw4NCw4NAAAAAQAAAAAAAAACAAAADA0ODREMDxEFBQYKCgsPEAQDAwcFBwoQBwcHCgkLDBAGBQUJBQYKEAgHBwkGBwkQCwcDBgQFCBAMCQQIBQcJEAIAAABAAAAAQDoDAEHg1gwLA3AsAwBB8NYMCwOYLAMAQYDXDAsDwCwDAEGQ1wwLA+gsAwBBoNcMCw8QLQMAAAAAADgtAwBgLQMAQbjXDAsLiC0DALAtAwDYLQMAQYjYDAsLAgAAAEAAAAAwLAMAQbDYDAuxBQUGDAkOCQkTBgEFBQgHCRMMBAQHBwkLEgkFBgYIBwgRDggHCAgKDBIJBggGCAYIEgkICwgLBwUPEBISEhEPCxIEAAAAUQAAAOA5AwABAAAAAAAQ4AAAEGACAAAAAAAAADQ6AwAAAAAABAAAAFEAAACAOQMAAQAAAAAAEOAAABBgAgAAAAAAAADUOQMAAAAAAAQAAABxAgAA4DYDAAEAAAAAADDgAAAQYAMAAAAAAAAAYDkDAAAAAAAEAAAAcQIAAEA0AwABAAAAAAAw4AAAEGADAAAAAAAAAMA2AwAAAAAAAgAAAFEAAACwMwMAAQAAAAAAUOAAABBgBAAAAAAAAAAQNAMAAAAAAAIAAACpAAAAwDIDAAEAAAAAAJ7gAABUYAQAAAAAAAAAcDMDAAAAAAACAAAAGQAAAIAyAwABAAAAAAAw4AAAEGADAAAAAAAAAKAyAwAAAAAABAAAAHECAADgLwMAAQAAAAAgFeEAIPVgAwAAAAAAAABgMgMAAAAAAAIAAACpAAAA8C4DAAEAAAAAgNPgAAB6YAQAAAAAAAAAoC8DAAAAAAACAAAAqQAAAAAuAwABAAAAAABY4AAAEGAEAAAAAAAAALAuAwAAAAAAAwQEBgYHBwgICQkJCAQFBQYGCAgJCAkJCQkEBQUHBggICAgJCAkIBgcHBwgICAkJCQkJCQYHBwcHCAgJCQkJCQkHCAgICAkICQkKCQkKBwgICAgJCQkJCQkKCggJCQkJCQkJCQoKCQoICQkJCQkJCQkJCQoKCQkJCgkJCgkJCgoKCgkJCQkJCQkKCQoKCgoJCQkKCQkKCgkKCgoKCQkJCgkJCQoKCgoKCgAAAAAAAAAGAAAABQAAAAcAAAAEAAAACAAAAAMAAAAJAAAAAgAAAAoAAAABAAAACwAAAAAAAAAMAEHw3QwL4QEBBAQGBgYGCQgJCAgIBQcHBwcICAgKCAoICQUHBwgHBwgKCgsKDAsHCAgJCQkKCwsLCwsLBwgICAkJCQoKCgsLDAcICAkJCgsLDAsMCwsHCAgJCQoKCwsLDAwLCAoKCgoLCw4LDAwMDQkKCgoKDAsOCw4LDA0KCwsLCw0LDg4NDQ0OCwsLDAsMDAwNDg4NDgwLDAwMDA0NDQ4NDg4LDAwODA0NDA0NDg4OAAAAAAAAAAYAAAAFAAAABwAAAAQAAAAIAAAAAwAAAAkAAAACAAAACgAAAAEAAAALAAAAAAAAAAwAQeDfDAvxBAEFAwsLCwsLCwsICwsLCwsLCwsLCwsLCwsKCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCgsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCAsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsKCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsHCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCgsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoAQeDkDAsRAgAAAAEAAAADAAAAAAAAAAQAQYDlDAsxAgQEBQUEBQUFBQQFBQYFBQYFBgYFBgYGBgAAAAAAAAACAAAAAQAAAAMAAAAAAAAABABBwOUMC6cBAQQEBgYICAoKCwsPDwQFBQgICQkLCwwMEBAEBQYICAkJCwsMDA4OBwgICQkKCgsMDQ0QEQcICAkJCgoMDAwNDw8JCgoKCgsLDAwNDQ8QCQkJCgoLCw0MDQ0REQoLCwsMDAwNDQ4PABIKCwsMDAwNDg0ODhEQCwwMDQ0ODg4ODxAREAsMDA0NDg4ODg8PEREODw8QEBARERAAEQASDg8PEBAADxISABAAQfDmDAsxBgAAAAUAAAAHAAAABAAAAAgAAAADAAAACQAAAAIAAAAKAAAAAQAAAAsAAAAAAAAADABBsOcMC1EBBAQHBwgICQkEBgUIBwgICgkEBgYICAgICgoHCAcJCQkJCwoHCAgJCQkJCgsICAgJCQoKCwsICAgJCQoKCwsJCgoLCgsLDAwJCgoKCwsLDAwAQZDoDAshBAAAAAMAAAAFAAAAAgAAAAYAAAABAAAABwAAAAAAAAAIAEHA6AwL8QQDBQUJCQUGBgoJBQYGCQoKCgoMCwkKCgwMBQcHCgoHBwgKCwcHCAoLCgoLCw0KCgsLDQYHBwoKBwgHCwoHCAcKCgoLCQ0LCgsKDQsKCgoODQoLCw4NCgoLDQ4MDA0PDwwMDQ0OCgoKDA0KCwoNDQoLCw0NDA0MDg0MDQ0ODQUHBwoKBwgICwoHCAgKCgsLCw0NCgsLDAwHCAgLCwcICQoMCAkJCwsLCgwLDgsLDA0NBggICgsHCQcMCggJCgsMCgwKDgsLDAsNDQoLCw4OCgoLDQ4LDAwPDQwLDgwQDA0ODxAKCgsNDgoLCg4MCwwMDQ4MDQsPDA4ODg8PBQcHCgoHCAgKCgcICAoLCgsKDAwKCwsMDQYICAsLCAkJDAsHBwkKDAsLCwwNCwoMCw8HCAgLCwgJCQsLBwkIDAoLDAsNDAsMCg8LCgsKDgwLDAsODQoKCw0ODQ0NEQ8MCw4MDwoKCw0OCwwMDg4KCwoODQ0ODRARDA4LEAwJCgoODQoLCg4OCgsLDQ0NDg4QDwwNDQ4OCQsKDg0KCgwNDgsMCw4NDQ4ODg8NDg4PDwkKCw0OCgsKDw0LCwwMDw0ODA8ODQ0ODg8MDQwQDgsLDA8ODQ8NEA4NDA8MEQ8QDxAQDAwNDQ8LDQsPDg0NDg8RDQ4MAA0ODw4PAAkKCg0NCgsLDQ0KCwsNDQwNDA4ODQ4ODxEJCgoNDQsMCw8MCgoLDRANDg0PDg0NDg8QCgoLDQ4LCwwNDgoMCw4ODQ0NDg8NDw0QDwwNDA8NDA8NDw8LCw0ODw8PDw8RDQwODREMDA4ODw0NDg4QCw0LEA8OEBARAA4NCxAMAEHA7QwLEQIAAAABAAAAAwAAAAAAAAAEAEHg7QwL8QQBBQUICAUIBwkJBQcICQkJCgkMDAkJCgsMBggICgoICgoLCwgJCgsLCgsLDQ0KCwsMDQYICAoKCAoJCwsICgoLCwoLCw0MCgsLDQwJCwsPDQoMCw8NCgsLDw4MDg0QDwwNDREQCQsLDQ8KCwwODwoLDA4PDA0NDxAMDQ0QEAUICAsLCAoKDAwICgoMDAsMDA4OCwwMDg4ICwoNDAoLDAwNCgwMDQ0MDA0NDwsMDQ8OBwoKDAwJDAsNDAoMDA0ODA0MDw0LDQwODwoMDBAOCwwMEA8LDQwREA0NDw8RDQ8PFBEKDAwOEAsMDA8PCw0NDxINDg0PDw0PDhAQBQgICwsICgoMDAgKCgwMCwwMDg4LDAwODwcKCg0MCgwMDg0JCgwMDQsNDQ8PCwwNDQ8ICgoMDQoMDA0NCgwLDQ0LDQwPDwwNDA8NCgwMEA4LDAwQDwoMDBAODg8OEhANDQ4PEAoMDA4QCw0NEBALDQwOEA0PDxISDQ8NEA4ICwsQEAoNDREQCgwMEA8OEA8UEQ0ODhERCQwMEBALDQ4QEQsNDRAQDw8TEgAODw8SEgkMDBEQCw0MERALDA0PEQ8QDwATDg8OExIMDg4AEA0ODhMSDQ8QERAPDxESAA4QEBMADA4OEBINDw0REg0PDhESDxIOEhIQERAAEQgLCw8PCgwMEBAKDQ0QEA0PDhERDg8RERIJDAwQDwsNDRAQCwwNEREODg8REQ4PEAASCQwMEBELDQ0QEQsODRIRDhAOEREPERESEgwODgAQDQ8PEwAMDQ8AAA4REBMAEA8SEgAMDg4RAA0ODhEADQ8OABIPEBAAEg8SDwARAEHg8gwLEQIAAAABAAAAAwAAAAAAAAAEAEGA8wwLgQICBAQFBgYFBgYFBwcHCAgGBwkFBwcGCAcHCQgEBwcHCQgHCAgHCQgICAoJCgoGCAgHCggJCgoFBwcHCAgHCAkGCAgJCgoHCAoGCAkJCgoICggAAAABAAAAAAAAAAIAAAABBAQFCAcFBwgFCAgICgsICgsFCAgICwoICwoECQkICwsICwsIDAsKDA4LDQ0HCwsKDQsLDQ4ECAkICwsICwwHCwsLDg0KCw0ICwwLDQ0KDgwAAAABAAAAAAAAAAIAAAAMDA4MDg4ODgwGBggJCQsODAQCBgYHCw4NBgUHCAkLDg0IBQgGCAwODAcHCAgICg4MBgMEBAQHDgsHBAYGBggOAQBBjPUMC60BAgAAAAIAAAAEAAAABQAAAAUAAAAFAAAABQAAAAUAAAAAAAAACAAAAAcAAAAHAAAABwAAAAcAAAAHAAAABwAAAAcAAAAHAAAABwAAAAcAAAAAAAAACgAAAAoAAAAKAAAACgAAAAoAAAAKAAAACgAAAAoAAAAKAAAACgAAAAoAAAAAAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAMAAAACAAAAAgAAAAEAQcz2DAvZAQgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAAAACAAAAAUAAAAEAAAAAwAAAAAAgD8AAABAAABAQAAAgEAAAIBAAACAQAAAgEAAAIBAAACAQAAAoEAAAMBAAADgQAAAAEEAAABBAAAAQQAAQEEAAEhBAABQQQAAWEEAAGBBAABoQQAAcEEAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAADAAAAAgAAAAEAQbz4DAvZAQgAAAAIAAAACAAAAAgAAAAGAAAABgAAAAUAAAAFAAAABQAAAAUAAAAFAAAABQAAAAUAAAAEAAAAAwAAAAAAgD8AAABAAABAQAAAgEAAAIBAAACgQAAAwEAAAMBAAADAQAAAwEAAAMBAAAAAQQAAAEEAAABBAAAAQQAAQEEAAEhBAABQQQAAWEEAAGBBAABoQQAAcEEAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgMAAAADAAAAAwAAAAMAAAADAAAAAwAAAAMAAAADAAAAAgAAAAEAQaz6DAvZAQgAAAAIAAAACAAAAAgAAAAGAAAABgAAAAUAAAAFAAAABQAAAAUAAAAFAAAABQAAAAUAAAAEAAAAAwAAAAAAgD8AAABAAABAQAAAgEAAAIBAAACgQAAAwEAAAMBAAADAQAAAwEAAAMBAAAAAQQAAAEEAAABBAAAAQQAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgMAAAADAAAAAwAAAAMAAAADAAAAAwAAAAMAAAACAAAAAQAAAAEAQZz8DAvVAQgAAAAIAAAABgAAAAYAAAAFAAAABQAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAMAAAACAAAAAQAAAAAAQEAAAIBAAACAQAAAoEAAAKBAAADAQAAAwEAAAMBAAADAQAAAwEAAAMBAAAAAQQAAAEEAAABBAAAAQQAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgIAAAACAAAAAgAAAAIAAAACAAAAAQAAAAEAAAABAAAAAQBBjP4MC8kBBQAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAAAwAAAAIAAAABAAAAAACAQAAAgEAAAKBAAADAQAAAwEAAAMBAAADAQAAAwEAAAABBAAAAQQAAIEEAACBBAAAgQQAAIEEAACBBAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAgAAAAIAAAACAAAAAQAAAAEAAAABAEH8/wwLNQQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAADAAAAAwAAAAIAAAABAEG6gA0LhwHAQAAAwEAAAMBAAAAAQQAAAEEAAABBAAAAQQAAAEEAAABBAAAAQQAAIEEAACBBAAAgQQAAIEEAACBBAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAgAAAAIAAAACAAAAAQAAAAEAQeyBDQspAwAAAAMAAAADAAAAAwAAAAMAAAACAAAAAgAAAAIAAAACAAAAAgAAAAIAQaqCDQt2wEAAAOBAAAAAQQAAAEEAAABBAAAgQQAAIEEAAEBBAABAQQAAQEEAAEBBAABAQQAAQEEAAEBBAABAQQAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgBB3IMNCxUDAAAAAwAAAAMAAAACAAAAAgAAAAIAQZuEDQt1QQAAAEEAAABBAAAgQQAAIEEAAEBBAABAQQAAQEEAAEBBAABAQQAAQEEAAEBBAABAQQAAQEEAAEBBAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAEHMhQ0LEQMAAAADAAAAAwAAAAIAAAACAEGLhg0LdUEAAABBAAAgQQAAIEEAAEBBAABAQQAAQEEAAEBBAABAQQAAQEEAAEBBAABAQQAAQEEAAEBBAABAQQAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgBBvIcNCw0CAAAAAgAAAAIAAAACAEH7hw0LdUEAACBBAAAgQQAAQEEAAEBBAABAQQAAQEEAAEBBAABAQQAAQEEAAEBBAABAQQAAQEEAAEBBAABAQQAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgBB6okNC3aAQAAAgEAAAIBAAACAQAAAgEAAAIBAAACAQAAAgEAAAIBAAACAQAAAgEAAAIBAAACAQAAAgEAAAIBAAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAEHaiw0LzQGAQAAAgEAAAIBAAACAQAAAgEAAAIBAAACAQAAAgEAAAIBAAACAQAAAgEAAAIBAAACAQAAAgEAAAIBAAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCANEBALBGAwAA0QEA8EYDAADRAQAwRwMAANEBAHBHAwAA0QEAsEcDAADRAQDwRwMAANEBADBIAwAA0QEAcEgDAADRAQCwSAMAANEBAPBIAwAA0QEAMEkDAEGwjQ0L2AUCAAAAAAAAACAAAABUVAQAtAEFANwBBQAEAgUAxAIFAAIAAAAAAAAAIAAAAFRUBACEAwUArAMFAAQCBQDEAgUAAgAAAAAAAAAQAAAAVFQEAOSvBAAMsAQANLAEAPSwBAACAAAAAAAAACAAAABUVAQAtLEEANyxBAA0sAQA9LAEAAIAAAAAAAAAEAAAAFRUBABsXwQAlF8EALxfBAB8YAQAAgAAAAAAAAAgAAAAVFQEADxhBABkYQQAvF8EAHxgBAACAAAAAAAAABAAAABQ6gEANCkEADQpBABcKQQAXCkEAAIAAAAAAAAAIAAAAFDqAQAcKgQAHCoEAFwpBABcKQQAAgAAAAAAAAAQAAAAUOoBANT9AwDU/QMA/P0DAPz9AwACAAAAAAAAACAAAABQ6gEAvP4DALz+AwD8/QMA/P0DAAIAAAAAAAAAEAAAAFDqAQDU0QMA1NEDAPzRAwD80QMAAgAAAAAAAAAgAAAAUOoBALzSAwC80gMA/NEDAPzRAwACAAAAAAAAABAAAABQ6gEARKUDAESlAwBspQMAbKUDAAIAAAAAAAAAIAAAAFDqAQAspgMALKYDAGylAwBspQMAAgAAAAAAAAAQAAAAcEkDANSRAwDUkQMA/JEDAPyRAwACAAAAAAAAACAAAABwSQMAvJIDALySAwD8kQMA/JEDAAIAAAAAAAAAEAAAAHBJAwBkfgMAZH4DAIx+AwCMfgMAAgAAAAAAAAAgAAAAcEkDAEx/AwBMfwMAjH4DAIx+AwACAAAAAAAAABAAAABwSQMAlGkDAJRpAwC8aQMAvGkDAAIAAAAAAAAAIAAAAHBJAwB8agMAfGoDALxpAwC8aQMAAgAAAAAAAAAQAAAAcEkDAIhUAwCIVAMAsFQDALBUAwACAAAAAAAAACAAAABwSQMAcFUDAHBVAwCwVAMAsFQDAAAAAAD//////////woAAAD//////////wBBiJUNCwT/////AEGMpQ0LHQEAAAACAAAABAAAAAgAAAAQAAAAIAAAAEcAAACdAEGMpw0LHQEAAAACAAAAAwAAAAQAAAAIAAAAEAAAAEcAAACdAEGIqQ0LCwIAAABkAAAAMGkDAEHIqQ0LAwRWAwBB2KkNCwMsVgMAQeipDQsDVFYDAEH4qQ0LD3xWAwAAAAAApFYDAMxWAwBBkKoNCwf0VgMAHFcDAEGgqg0LB0RXAwBsVwMAQbCqDQsHlFcDALxXAwBBwKoNCwvkVwMADFgDADRYAwBB8KoNCwsCAAAAZAAAAKBVAwBBoKsNC7cFAwgMDg8PDw0PDwYFCAoMDA0MDg0KBgUGCAkLCw0NDQgFBAUGCAoLDQ4KBwUEBQcJCwwNCwgGBQQFBwkLDAsKCAcFBAUJCg0NCwoIBgUEBwkPDg0MCgkIBwgJDAwODQwLCgkICQQAAABRAAAA0GgDAAEAAAAAABDgAAAQYAIAAAAAAAAAJGkDAAAAAAAEAAAAcQIAADBmAwABAAAAAAAw4AAAEGADAAAAAAAAALBoAwAAAAAAAgAAAFEAAACgZQMAAQAAAAAAUOAAABBgBAAAAAAAAAAAZgMAAAAAAAIAAAAhAQAAIGQDAAEAAAAAAHDgAAAQYAUAAAAAAAAAUGUDAAAAAAAEAAAAUQAAAMBjAwABAAAAAAB24AAAdmACAAAAAAAAABRkAwAAAAAAAgAAAHkAAAAQYwMAAQAAAAAAVOAAABBgBAAAAAAAAACQYwMAAAAAAAIAAACpAAAAIGIDAAEAAAAAAJ7gAABUYAQAAAAAAAAA0GIDAAAAAAACAAAAGQAAAOBhAwABAAAAAAAw4AAAEGADAAAAAAAAAABiAwAAAAAAAgAAAKkAAADwYAMAAQAAAACA0OAAAHZgBAAAAAAAAACgYQMAAAAAAAIAAAB5AAAAQGADAAEAAAAAAFTgAAAQYAQAAAAAAAAAwGADAAAAAAACAAAA4QAAABBfAwABAAAAAGDy4AAAlWAEAAAAAAAAAABgAwAAAAAAAgAAALkBAADwXAMAAQAAAAAAdOAAABBgBQAAAAAAAACwXgMAAAAAAAIAAABpAQAAMFsDAAEAAACAXbDhABg9YQUAAAAAAAAAoFwDAAAAAAACAAAAaQEAAHBZAwABAAAAAJAb4QCAuGAFAAAAAAAAAOBaAwAAAAAAAQAAADEAAABgWAMAAQAAAAAAmOAAABBgBgAAAAAAAACgWAMAQeCwDQsxAgQEBQUFBQUGBgYGBgYGBgYGBgYGBgYGBgYGBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwBBoLENC8EBGAAAABcAAAAZAAAAFgAAABoAAAAVAAAAGwAAABQAAAAcAAAAEwAAAB0AAAASAAAAHgAAABEAAAAfAAAAEAAAACAAAAAPAAAAIQAAAA4AAAAiAAAADQAAACMAAAAMAAAAJAAAAAsAAAAlAAAACgAAACYAAAAJAAAAJwAAAAgAAAAoAAAABwAAACkAAAAGAAAAKgAAAAUAAAArAAAABAAAACwAAAADAAAALQAAAAIAAAAuAAAAAQAAAC8AAAAAAAAAMABB8LINC5ELAQQEBwcHBwgHCQgJCQoKCwsLCwYFBQgICQkJCAoJCwoMDA0MDQ0FBQUICAkJCQkKCgsLDAwNDA0NEQgICQkJCQkJCgoMCw0MDQ0NDRIICAkJCQkJCQsLDAwNDQ0NDQ0RDQwJCQoKCgoLCwwMDA0NDQ4OEg0MCQkKCgoKCwsMDA0NDQ4ODhESEgoKCgoLCwsMDAwODQ4NDQ4SEhIKCQoJCwsMDAwMDQ0PDg4OEhIQDQ4KCwsLDA0NDQ0ODQ0ODhISEg4MCwkLCg0MDQ0NDg4ODQ4SEhESEgsMDAwNDQ4NDg4NDg4OEhISEhEMCgwJDQsNDg4ODg4PDhISERESDg8MDQ0NDg0ODg8ODw4SERISEg8PDAoOCg4ODQ0ODg4OEhASEhISEQ4ODQ4ODQ0ODg4PDxISEhIREREODg4MDg0ODg8ODw4SEhISEhISERANDQ0ODg4ODxAPEhISEhISEhERDQ0NDQ4NDg8PDwAAAAAAAAAJAAAACAAAAAoAAAAHAAAACwAAAAYAAAAMAAAABQAAAA0AAAAEAAAADgAAAAMAAAAPAAAAAgAAABAAAAABAAAAEQAAAAAAAAASAAAAAAAAAAEEAwwMDAwMDAwMDAwMDAwMDAwEBQYMDAwMDAwMDAwMDAwMDAwMBAYGDAwMDAwMDAwMDAwMDAwMDAwMCwwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsAAAAAAAAACQAAAAgAAAAKAAAABwAAAAsAAAAGAAAADAAAAAUAAAANAAAABAAAAA4AAAADAAAADwAAAAIAAAAQAAAAAQAAABEAAAAAAAAAEgAAAAAAAAAEBgYHBwcHCAgICAgICAgICAgICAgKBgYHBwgICAgJCQkJCQkJCQkJCQkKBgYHBwgICAgJCQkJCQkJCQkJCQkKBwcICAgICAkJCQkJCQkJCQkJCQkKCgoICAgICQkJCQkJCQkJCQkJCQkKCgoICAgICQkJCQkJCQkJCQkJCQkKCgoICAgICQkJCQkJCQkJCQkJCQkKCgoJCQkJCQkJCQkJCQkJCQkJCQkKCgoKCgkJCQkJCQkJCQkJCQkJCQkKCgoKCgkJCQkJCQkJCQkJCQkJCQkKCgoKCgkJCQkJCQkJCQkJCQkJCQkKCgoKCgkJCQkJCQkJCQkJCQoJCQkKCgoKCgoKCQkJCQkJCgkJCQkJCQkKCgoKCgoKCQkJCgoKCgoJCQkJCQkKCgoKCgoKCQkKCQoJCQkJCQkJCQoKCgoKCgoKCgoJCQoKCQkJCQkJCQkKCgoKCgoKCgoKCgoKCQkJCQkJCQkKCgoKCgoKCgoKCgoKCQkKCQkJCQkKCgoKCgoKCgoKCgkJCgoJCQoJCQkKCgoKCgoKCgoKCgkJCgkJCQkJCQkKCgoKCgoKCgoKCgkJCQkKCQkJCQkAAAAAAAAACgAAAAkAAAALAAAACAAAAAwAAAAHAAAADQAAAAYAAAAOAAAABQAAAA8AAAAEAAAAEAAAAAMAAAARAAAAAgAAABIAAAABAAAAEwAAAAAAAAAUAEGQvg0L4QEBBAQHBggICAgJCQoKCwoGBQUHBwkJCAkKCgsLDAwGBQUHBwkJCQkKCgsLDAwVBwgICAkJCQkKCgsLDAwVCAgICAkJCQkKCgsLDAwVCwwJCQoKCgoKCwsMDAwVDAwJCAoKCgoLCwwMDQ0VFRUJCQkJCwsLCwwMDA0VFBQJCQkJCgsLCwwMDQ0UFBQNDQoKCwsMDA0NDQ0UFBQNDQoKCwsMDA0NDQ0UFBQUFAwMDAwMDA0NDg4UFBQUFAwMDAsNDA0NDg4UFBQUFA8QDQwNDQ4NDg4UFBQUFBAPDAwNDA4NDg4AQYDADQvRAwcAAAAGAAAACAAAAAUAAAAJAAAABAAAAAoAAAADAAAACwAAAAIAAAAMAAAAAQAAAA0AAAAAAAAADgAAAAAAAAAFBgYGBgcHBwcHBwcGBgYGBwcHBwcHBwYGBgYHBwcHBwcIBgYGBgcHBwcHBwgICAYGBwcHBwcHCAgIBwcHBwcHBwcICAgHBwcHBwcHBwgICAcHBwcHBwcHCAgICAgHBwcHBwcICAgICAcHBwcHBwgICAgIBwcHBwcHAAAAAAAAAAUAAAAEAAAABgAAAAMAAAAHAAAAAgAAAAgAAAABAAAACQAAAAAAAAAKAAAAAAAAAAIEBAYGBwcICAoKCwsGBAQGBggICQkKCgwMBgQFBgYICAkJCgoMDBQGBgYGCAgJCgsLDAwUBgYGBggICgoLCwwMFAoKBwcJCQoKCwsMDBQLCwcHCQkKCgsLDAwUFBQJCQkJCwsMDA0NFBQUCQkJCQsLDAwNDRQUFA0NCgoLCwwNDQ0UFBQNDQoKCwsMDQ0NFBQUFBMMDAwMDQ0ODxMTExMTDAwMDA0NDg4AAAAAAAAABgAAAAUAAAAHAAAABAAAAAgAAAADAAAACQAAAAIAAAAKAAAAAQAAAAsAAAAAAAAADABB4MMNCzEEBAQFBQUEBAUFBQQEBQUFBQUFBQUFBQUFAAAAAAAAAAIAAAABAAAAAwAAAAAAAAAEAEGgxA0LWwIEBAYGBwcHBwgICQkFBAQGBggICQkJCQoKBgQEBgYICAkJCQkKCgAGBgcHCAgJCQoKCwsABgYHBwgICQkKCgsLAAoKCAgJCQoKCwsMDAALCwgICQkKCgsLDAwAQdDFDQsxBgAAAAUAAAAHAAAABAAAAAgAAAADAAAACQAAAAIAAAAKAAAAAQAAAAsAAAAAAAAADABBkMYNC6kDBAUFBgYHBwcHBwcLBQUGBgcHBwcICAsFBQYGBwcHBwgICwUFBgYHBwgICAgLCwsGBgcHBwgICAsLCwYGBwcHCAgICwsLBgYHBwcHCAgLCwsHBwcHBwcICAsLCwoKBwcHBwgICwsLCwsHBwcHBwcLCwsLCwcHBwcHBwAAAAAAAAAFAAAABAAAAAYAAAADAAAABwAAAAIAAAAIAAAAAQAAAAkAAAAAAAAACgAAAAAAAAABBAQFBwcGBwcEBwYJCgoKCgkEBgcJCgoKCQoFCQkJCwsKCwsHCgkLDAsMDAwHCQoLCwwMDAwGCgoKDAwKDAsHCgoLDAwLDAwHCgoLDAwMDAwAAAABAAAAAAAAAAIAAAADBAQFBQYGBwcICAkJCgoKCgAFBAUFBwcICAgICQkKCgsLAAUFBgYHBwgICAgJCQoKCwsABgUGBgcHCAgJCQoKCwsLDAAAAAYGBwcICAkJCgoLCwwMAAAABwcHBwkJCQkKCgsLDAwAAAAHBwcICQkJCQoKCwsMDAAAAAcHCAgJCQoKCwsMDA0NAAAAAAAICAkJCgoLCwwMDAwAQdDKDQtBCAAAAAcAAAAJAAAABgAAAAoAAAAFAAAACwAAAAQAAAAMAAAAAwAAAA0AAAACAAAADgAAAAEAAAAPAAAAAAAAABAAQaDLDQs/AwQEBQUGBggIAAQEBQUGBwgIAAQEBQUHBwgIAAUFBgYHBwkJAAAABgYHBwkJAAAABwcICAkJAAAABwcICAkJAEGAzA0LIQQAAAADAAAABQAAAAIAAAAGAAAAAQAAAAcAAAAAAAAACABBsMwNC30DBQUICAAFBQgIAAUFCAgABwcJCQAAAAkJBgcHCQgACAgJCQAIBwkJAAkKCgoAAAALCgYHBwgJAAgICQkABwgJCQAKCQsKAAAACgoICQgKCgAKCgwLAAoKCwsADA0NDQAAAA0MCAgJCgoACgoLDAAKCgsLAA0MDQ0AAAANDQBBxs0NC2QGCAcKCgAHBwoJAAcHCgoACQkKCgAAAAoKBgcICgoABwcJCgAHBwoKAAkJCgoAAAAKCggJCQsLAAoKCwsACgoLCwAMDAwMAAAADAwICQoLCwAJCgsLAAoKCwsADAwMDAAAAAwMAEHDzg0LZAUIBwoKAAcHCgoABwcKCQAJCQoKAAAACgoGBwgKCgAHBwoKAAcHCQoACQkKCgAAAAoKCAoJDAsACgoMCwAKCQsLAAsMDAwAAAAMDAgJCgsMAAoKCwsACQoLCwAMCwwMAAAADAwAQcDPDQtkBwoJDAwACQkMCwAJCQsLAAoKDAsAAAALDAcJCgwMAAkJCwwACQkLCwAKCgsMAAAACwsJCwoNDAAKCgwMAAoKDAwACwsMDAAAAA0MCQoLDA0ACgoMDAAKCgwMAAsMDAwAAAAMDQBB79ANCzIJCwoNDQAKCgwMAAoKDAwACwwMDAAAAAwMCQoLDQ0ACgoMDAAKCgwMAAwLDQwAAAAMDABBsNENCxECAAAAAQAAAAMAAAAAAAAABABB0NENCxsBBQUABQUABQUGCAgACQgACQgGCAgACAkACAkAQfTRDQsSBQgIAAcHAAgIBQgIAAcIAAgIAEGP0g0LkAEFCQgACAgABwcFCAkACAgABwcAAAABAAAAAAAAAAIAAAAFDRIQERETEhMTBQcKCwwMDRAREgYGBwcJCQoOERMIBwYFBgcJDBMRCAcHBgUGCAsPEwkIBwYFBQYIDQ8LCggIBwUEBAoODA0LCQcGBAIGDBIQEA0IBwcFCA0QERIPCwkJCAoNAgAAAGQAAAAAfgMAQdTTDQsDFGsDAEHk0w0LAzxrAwBB9NMNCwNkawMAQYTUDQsPjGsDAAAAAAC0awMA3GsDAEGc1A0LBwRsAwAsbAMAQazUDQsHVGwDAHxsAwBBvNQNCwekbAMAzGwDAEHM1A0LC/RsAwAcbQMARG0DAEH81A0LCwIAAABkAAAAsGoDAEGw1Q0LtwUDCAwNDg4ODQ4OBgQFCAoKCwsODQkFBAUHCAkKDQ0MBwUEBQYICQwNDQkGBQUFBwkLDgwKBwYFBAYHCgsMCwkIBwUFBgoKDQwKCQgGBgUICg4NDAwLCgkHCAoMDQ4ODQwLCQkKBAAAAFEAAACgfQMAAQAAAAAAEOAAABBgAgAAAAAAAAD0fQMAAAAAAAQAAABxAgAAAHsDAAEAAAAAADDgAAAQYAMAAAAAAAAAgH0DAAAAAAACAAAAUQAAAHB6AwABAAAAAABQ4AAAEGAEAAAAAAAAANB6AwAAAAAAAgAAACEBAADweAMAAQAAAAAAcOAAABBgBQAAAAAAAAAgegMAAAAAAAQAAABRAAAAkHgDAAEAAAAAAHbgAAB2YAIAAAAAAAAA5HgDAAAAAAACAAAAeQAAAOB3AwABAAAAAABU4AAAEGAEAAAAAAAAAGB4AwAAAAAAAgAAAKkAAADwdgMAAQAAAAAAnuAAAFRgBAAAAAAAAACgdwMAAAAAAAIAAAAZAAAAsHYDAAEAAAAAADDgAAAQYAMAAAAAAAAA0HYDAAAAAAACAAAAqQAAAMB1AwABAAAAAIDQ4AAAdmAEAAAAAAAAAHB2AwAAAAAAAgAAAHkAAAAQdQMAAQAAAAAAVOAAABBgBAAAAAAAAACQdQMAAAAAAAIAAADhAAAA4HMDAAEAAAAAYPLgAACVYAQAAAAAAAAA0HQDAAAAAAACAAAAuQEAAMBxAwABAAAAAAB04AAAEGAFAAAAAAAAAIBzAwAAAAAAAgAAACEBAABAcAMAAQAAAAAYneEAGD1hBQAAAAAAAABwcQMAAAAAAAIAAABpAQAAgG4DAAEAAAAAkBvhAIC4YAUAAAAAAAAA8G8DAAAAAAABAAAAMQAAAHBtAwABAAAAAACY4AAAEGAGAAAAAAAAALBtAwBB8NoNCzECBAQEBQUFBQYGBgYGBgYGBgYGBgYGBgcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHAEGw2w0LwQEYAAAAFwAAABkAAAAWAAAAGgAAABUAAAAbAAAAFAAAABwAAAATAAAAHQAAABIAAAAeAAAAEQAAAB8AAAAQAAAAIAAAAA8AAAAhAAAADgAAACIAAAANAAAAIwAAAAwAAAAkAAAACwAAACUAAAAKAAAAJgAAAAkAAAAnAAAACAAAACgAAAAHAAAAKQAAAAYAAAAqAAAABQAAACsAAAAEAAAALAAAAAMAAAAtAAAAAgAAAC4AAAABAAAALwAAAAAAAAAwAEGA3Q0L4QUBBAQHBgcHBwcICAkJCgoKCgsLBgYGCAgJCAgHCggLCgwLDAwNDQUFBggICQkICAoJCwsMDA0NDQ0RCAgJCQkJCQkKCQwKDAwNDA0NEQkICQkJCQkJCgoMDAwMDQ0NDRENDQkJCgoKCgsLDAsNDA0NDg8RDQ0JCAoJCgoLCwwMDg0PDQ4PERERCQoJCgsLDAwMDA0NDg4PDxEREQkICQgLCwwMDAwODQ4ODg8REREMDgkKCwsMDA4NDQ4PDQ8PERERDQsKCAsJDQwNDQ0NDQ4ODhERERERCwwLCw0NDg0PDg0PEA8REREREQsLDAgNDA4NEQ4PDg8OEREREREPDwwMDAwNDg4ODw4RDhEREREREBEMDA0MDQ0ODg4ODg4RERERERERDg4NDA0NDw8ODQ8REREREREREQ0ODQ0NDQ4PDw8ODxEREREREREQDw0ODQ0ODg8ODhAREREREREREBANDg0NDg4PDg8OAAAAAAAAAAkAAAAIAAAACgAAAAcAAAALAAAABgAAAAwAAAAFAAAADQAAAAQAAAAOAAAAAwAAAA8AAAACAAAAEAAAAAEAAAARAAAAAAAAABIAAAAAAAAAAQQDCwsLCwsLCwsLCwsLCwsEBwcLCwsLCwsLCwsLCwsLCwQICwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgBB8OINC0EIAAAABwAAAAkAAAAGAAAACgAAAAUAAAALAAAABAAAAAwAAAADAAAADQAAAAIAAAAOAAAAAQAAAA8AAAAAAAAAEABBwOMNC5EEBAUFBwcHBwgICAgICAgICAgICAgICgYGBwcICAgICQkJCQkJCQkJCQkJCgYGBwcICAgICAgJCQkJCQkJCQkJCgcHCAgICAkJCQkJCQkJCQkJCQkJCgoKCAgICAkJCQkJCQkJCQkJCQkJCgoKCAgICQkJCQkJCQkJCQkJCQkJCgoKCAgICAkJCQkJCQkJCQkJCQkJCgoKCQkJCQkJCQkJCQkJCQkJCQkJCgoKCgoJCQkJCQkJCQkJCQkJCQkJCgoKCgoJCQkJCQkJCQoJCQkJCQkJCgoKCgoJCQkJCQkJCQkJCQkJCQkJCgoKCgoJCQkJCQkJCQoKCgkJCQkJCgoKCgoKCgkJCQkJCgoKCQkJCQkJCgoKCgoKCgkKCgkKCgoKCQoJCgoJCgoKCgoKCgkKCgoKCgoJCQoKCQoKCgoKCgoKCgoKCgoKCgkJCQoJCQkJCgoKCgoKCgoKCgoKCgoJCQoJCgkKCgoKCgoKCgoKCgoKCgoKCQkKCQkJCgoKCgoKCgoKCgoJCQkJCQkKCQkKCgoKCgoKCgoKCgoKCgoJCgkJCgkJCgoKCgoKCgoKCgoKCgkJCgoJCgkJAAAAAAAAAAoAAAAJAAAACwAAAAgAAAAMAAAABwAAAA0AAAAGAAAADgAAAAUAAAAPAAAABAAAABAAAAADAAAAEQAAAAIAAAASAAAAAQAAABMAAAAAAAAAFABB4OcNC+EBAQQEBwYICAgHCQgKCgsKBgUFBwcJCQgICgoLCwwLBgUFBwcJCQkJCgoLCwwMFAgICAgJCQkJCgoLCwwMFAgICAgKCQkJCgoLCwwMFAwMCQkKCgoKCgsMDAwMFAwMCQkKCgoKCwsMDA0NFBQUCQkJCQsKCwsMDAwNFBMTCQkJCQsLCwwMDA0NExMTDQ0KCgsLDAwNDQ0NExMTDg0LCgsLDAwMDQ0NExMTExMMDAwMDQ0NDQ4NExMTExMMDAwLDAwNDg4OExMTExMQDw0MDQ0NDg4OExMTExMREQ0MDQsODQ8PAEHQ6Q0L0QMHAAAABgAAAAgAAAAFAAAACQAAAAQAAAAKAAAAAwAAAAsAAAACAAAADAAAAAEAAAANAAAAAAAAAA4AAAAAAAAABAUGBgYHBwcHBwcIBgYGBwcHBwcHBwgGBgYGBwcHBwcHCAYGBwcHBwcHBwcICAgHBwcHBwcHBwgICAcHBwcHBwcHCAgIBwcHBwcHBwcICAgHBwcHBwcHBwgICAgIBwcHBwcHCAgICAgHBwcHBwcICAgICAcHBwcHBwAAAAAAAAAFAAAABAAAAAYAAAADAAAABwAAAAIAAAAIAAAAAQAAAAkAAAAAAAAACgAAAAAAAAABBAQGBggHCQkKCgwMBgUFBwcICAoKCwsMDAcFBQcHCAgKCgsLDAwVBwcHBwgJCgoLCwwMFQcHBwcJCQoKDAwNDRULCwgICQkLCwwMDQ0VCwsICAkJCwsMDA0NFRUVCgoKCgsLDA0NDRUVFQoKCgoLCw0NDg0VFRUNDQsLDAwNDQ4OFRUVDg4LCwwMDQ0ODhUVFRUUDQ0NDA4OEA8UFBQUFA0NDQ0ODQ8PAAAAAAAAAAYAAAAFAAAABwAAAAQAAAAIAAAAAwAAAAkAAAACAAAACgAAAAEAAAALAAAAAAAAAAwAQbDtDQsxAwQEBQUFBAQFBQUEBAUFBgUFBQUGBgYFBQAAAAAAAAACAAAAAQAAAAMAAAAAAAAABABB8O0NC1sBBAQGBgcHCAgJCQoKBgUFBwcICAkJCgoLCwYFBQcHCAgJCQoKCwsABwcHBwkJCgoKCgsLAAcHBwcJCQoKCgoLCwALCwkJCgoLCwsLDAwADAwJCQoKCwsMDAwMAEGg7w0LMQYAAAAFAAAABwAAAAQAAAAIAAAAAwAAAAkAAAACAAAACgAAAAEAAAALAAAAAAAAAAwAQeDvDQupAwMFBQYGBwcICAgICwQFBgYHBwgICAgLBQUGBgcHCAgICQwFBQYGBwcICAkJDAwMBgYHBwgICQkLCwsGBgcHCAgICAsLCwYGBwcICAgICwsLBwcHCAgICAgLCwsLCwcHCAgICAsLCwsLBwcHBwgICwsLCwsHBwcHCAgAAAAAAAAABQAAAAQAAAAGAAAAAwAAAAcAAAACAAAACAAAAAEAAAAJAAAAAAAAAAoAAAAAAAAAAQQEBQcHBgcHBAcGCgoKCgoKBAYGCgoKCgkKBQoKCQsLCgsLBwoKCwwMDAwMBwoKCwwMDAwMBgoKCgwMCgwMBwoKCwwMDAwMBwoKCwwMDAwMAAAAAQAAAAAAAAACAAAAAwQEBQUHBwgICAgJCQoKCwsABAQGBgcHCAgJCAoKCwsLCwAEBAYGBwcICAkJCgoLCwsLAAYFBgYHBwkJCQkKCgsLDAwAAAAGBgcHCQkJCQoKCwsMDAAAAAcHCAgJCQoKCwsLDAwMAAAABwcICAkJCgoLCwsMDAwAAAAHBwgICQkKCgsLDAwNDQAAAAAACAgJCQoKCwsMDA0NAEGg9A0LQQgAAAAHAAAACQAAAAYAAAAKAAAABQAAAAsAAAAEAAAADAAAAAMAAAANAAAAAgAAAA4AAAABAAAADwAAAAAAAAAQAEHw9A0LPwIEBAUFBwcJCQAEBAYGBwcJCQAEBAYGBwcJCQAFBQYGCAgKCgAAAAYGCAgKCgAAAAcHCQkKCgAAAAcHCAgKCgBB0PUNCyEEAAAAAwAAAAUAAAACAAAABgAAAAEAAAAHAAAAAAAAAAgAQYD2DQt9AwUFCAgABQUICAAFBQgIAAcHCQkAAAAJCQUHBwkJAAgHCgkACAcKCQAKCgsLAAAACwsFBwcJCQAHCAkKAAcICQoACgoLCwAAAAsLCAkJCwoACwoMCwALCgwMAA0NDg4AAAAODQgJCQoLAAoLDAwACgsMDAANDQ4OAAAADQ4AQZb3DQtkBQgHCwoABwcKCgAHBwoKAAkJCgoAAAALCgUHCAoLAAcHCgoABwcKCgAJCQoKAAAACgoICgkMDAAKCgwLAAoKDAwADAwNDAAAAA0MCAkKDAwACgoLDAAKCgsMAAwMDQ0AAAAMDQBBk/gNC2QGCAcLCgAHBwoKAAcHCgoACQkKCwAAAAoKBgcICgsABwcKCgAHBwoKAAkJCgoAAAAKCgkKCQwMAAoKDAwACgoMCwAMDA0NAAAADQwICQoMDAAKCgwMAAoKCwwADAwNDQAAAAwNAEGQ+Q0LZAcKCg0NAAkJDAwACQkMDAAKCgwMAAAADAwHCgoNDQAJCQwMAAkJDAwACgoMDAAAAAwMCQsLDg0ACgoNDAALCg0MAAwMDQwAAAANDQkLCw0OAAoLDA0ACgsNDQAMDAwNAAAADQ0AQb/6DQsyCQsLDg4ACgsNDQALCg0NAAsMDQ0AAAANDAkLCw4OAAsKDQ0ACgsNDQAMDA0NAAAADA0AQYD7DQsRAgAAAAEAAAADAAAAAAAAAAQAQaD7DQsbAQUFAAUFAAUFBQcHAAkIAAkIBgcHAAgJAAgJAEHE+w0LEgUJCAAICAAICAUICQAICAAICABB3/sNC5ABBQkIAAgIAAgIBQgJAAgIAAgIAAAAAQAAAAAAAAACAAAABAsNDg8PEhETEQUGCAkKCgwPExMGBgYGCAgLDhITCAYFBAYHCg0QEQkHBgUGBwkMDxMKCAcGBgYHCQ0PDAoJCAcGBAUKDw0NCwgGBgQCBwwRDxAKCAgHBgkMExIRDQsKCgkLDgIAAABkAAAAcJEDAEGk/Q0LA+R/AwBBtP0NCwMMgAMAQcT9DQsDNIADAEHU/Q0LD1yAAwAAAAAAhIADAKyAAwBB7P0NCwfUgAMA/IADAEH8/Q0LBySBAwBMgQMAQYz+DQsHdIEDAJyBAwBBnP4NCwvEgQMA7IEDABSCAwBBzP4NCwsCAAAAZAAAAIB/AwBBgP8NC7cFAwgLDQ8ODg0PDgYEBQcJCgsLDg0KBAMFBwgJCg0NDAcEBAUGCAkMDg0JBgUFBggJDA4MCQcGBQUGCAsLDAsJCAcGBgcKCw0LCgkIBwYGCQsNDQwMDAoJCAkLDA4PDw4MCwoKDAQAAABRAAAAEJEDAAEAAAAAABDgAAAQYAIAAAAAAAAAZJEDAAAAAAAEAAAAcQIAAHCOAwABAAAAAAAw4AAAEGADAAAAAAAAAPCQAwAAAAAAAgAAAFEAAADgjQMAAQAAAAAAUOAAABBgBAAAAAAAAABAjgMAAAAAAAIAAAAhAQAAYIwDAAEAAAAAAHDgAAAQYAUAAAAAAAAAkI0DAAAAAAAEAAAAUQAAAACMAwABAAAAAAB24AAAdmACAAAAAAAAAFSMAwAAAAAAAgAAAHkAAABQiwMAAQAAAAAAVOAAABBgBAAAAAAAAADQiwMAAAAAAAIAAACpAAAAYIoDAAEAAAAAAJ7gAABUYAQAAAAAAAAAEIsDAAAAAAACAAAAGQAAACCKAwABAAAAAAAw4AAAEGADAAAAAAAAAECKAwAAAAAAAgAAAKkAAAAwiQMAAQAAAACA0OAAAHZgBAAAAAAAAADgiQMAAAAAAAIAAAB5AAAAgIgDAAEAAAAAAFTgAAAQYAQAAAAAAAAAAIkDAAAAAAACAAAA4QAAAFCHAwABAAAAAGDy4AAAlWAEAAAAAAAAAECIAwAAAAAAAgAAALkBAAAwhQMAAQAAAAAAdOAAABBgBQAAAAAAAADwhgMAAAAAAAIAAACpAAAAQIQDAAEAAAAA3H3hAOgzYQQAAAAAAAAA8IQDAAAAAAACAAAAqQAAAFCDAwABAAAAAGAS4QCAuGAEAAAAAAAAAACEAwAAAAAAAQAAADEAAABAggMAAQAAAAAAmOAAABBgBgAAAAAAAACAggMAQcCEDgsxAgQDBAUFBQYGBgYGBgYGBgYHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwBBgIUOC8EBGAAAABcAAAAZAAAAFgAAABoAAAAVAAAAGwAAABQAAAAcAAAAEwAAAB0AAAASAAAAHgAAABEAAAAfAAAAEAAAACAAAAAPAAAAIQAAAA4AAAAiAAAADQAAACMAAAAMAAAAJAAAAAsAAAAlAAAACgAAACYAAAAJAAAAJwAAAAgAAAAoAAAABwAAACkAAAAGAAAAKgAAAAUAAAArAAAABAAAACwAAAADAAAALQAAAAIAAAAuAAAAAQAAAC8AAAAAAAAAMABB0IYOC+EBAQQEBwcHBwcGCAgICAYGBggICQgIBwkICwoFBgYICAkICAgKCQsLEAgICQgJCQkICgkLChAICAkJCgoJCQoKCwsQDQ0JCQoKCQoLCwwLEA0NCQgKCQoKCgoLCxAOEAgJCQkLCgsLDAsQEBAJBwoHCwoLCwwLEBAQDAwJCgsLDAsMDBAQEAwKCgcLCAwLDAwQEA8QEAsMCgoMCwwMEBAQDw8LCwoKDAwMDAAAAAAAAAAGAAAABQAAAAcAAAAEAAAACAAAAAMAAAAJAAAAAgAAAAoAAAABAAAACwAAAAAAAAAMAEHAiA4L4QEBAwMLCwsLCwsLCwsLBAYGCwsLCwsLCwsLCwQHBwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLAAAAAAAAAAYAAAAFAAAABwAAAAQAAAAIAAAAAwAAAAkAAAACAAAACgAAAAEAAAALAAAAAAAAAAwAQbCKDguRBAMFBQcGBwcICAgICAgICAgICAgICAoGBgcHCAgICAkJCQkJCQkJCQkJCQoGBgcHCAgICAkJCQkJCQkJCQkJCQoHBwgICAgJCQkJCQkJCQkJCQkJCQoKCggICAgJCQkJCQkJCQkJCQkJCQoKCggICAkJCQkJCQkJCQkJCQkJCQoKCggICQkJCQkJCQkJCQkJCQkJCQoKCgkJCQkJCQkJCQkJCQkJCQkJCQoLCgoKCQkJCQkJCQkJCQoJCQoJCQoLCgsKCQkJCQkJCQoKCgkKCQkJCQsKCwoKCQkJCQkJCgkJCgkJCgkJCgsKCgsKCQkJCQkKCgkKCgoKCQoKCgoKCgsLCwoJCQkKCgoKCgoKCgoKCgoKCwsKCgoKCgoKCgoKCgoJCgoJCgsLCgsKCwoJCgoJCgoKCgoKCgoKCgsLCwsKCwsKCgoKCgoJCgkKCgkKCQoKCgsKCwoLCwoKCgoKCgkKCgoKCgoKCwoKCgoKCgoKCgoKCgoKCgoKCgoKCgsKCwsKCgoKCQkKCgkJCgkKCgoKCwsKCgoKCgoKCQkKCgoJCQoKCgoKCwoLCgoKCgoKCQoKCgoKCgoKCgAAAAAAAAAKAAAACQAAAAsAAAAIAAAADAAAAAcAAAANAAAABgAAAA4AAAAFAAAADwAAAAQAAAAQAAAAAwAAABEAAAACAAAAEgAAAAEAAAATAAAAAAAAABQAQdCODgvhAQEEBAcHCAgIBwkICQkKCgYFBQcHCQkICAoJCwoMCwYFBQgHCQkICAoKCwsMCxMICAgICgoJCQoKCwsMCxMICAgICgoJCQoKCwsMDBMMDAkJCgoJCgoKCwsMDBMMDAkJCgoKCgoKDAwMDBMTEwkJCQkLCgsLDAsNDRMTEwkJCQkLCgsLCwwNDRMTEw0NCgoLCwwMDAwNDBMTEw4NCgoLCwwMDA0NDRMTExMTDAwMCwwNDg0NDRMTExMTDAwMCwwMDQ4NDhMTExMTEBAMDQwNDQ4PDhMSEhISEA8MCwwLDgwODgBBwJAOC9EDBwAAAAYAAAAIAAAABQAAAAkAAAAEAAAACgAAAAMAAAALAAAAAgAAAAwAAAABAAAADQAAAAAAAAAOAAAAAAAAAAQFBQYGBwcHBwcHCAYGBwcHBwcHBwcIBgYGBwcHBwcHBwgGBgcHBwcHBwcHCAgIBwcHBwcHBwcICAgHBwcHBwcHBwgICAcHBwcHBwcHCAgIBwcHBwcHBwcICAgICAcHBwcHBwgICAgIBwcHBwcHCAgICAgHBwcHBwcAAAAAAAAABQAAAAQAAAAGAAAAAwAAAAcAAAACAAAACAAAAAEAAAAJAAAAAAAAAAoAAAAAAAAAAQQEBgYHCAkJCgoMCwYFBQcHCAgJCgsLDAwHBQUHBwgICgoLCwwMFAcHBwcICQoKCwsMDRQHBwcHCQkKCgsMDQ0UCwsICAkJCwsMDA0NFAsLCAgJCQsLDAwNDRQUFAoKCgoMDA0NDQ0UFBQKCgoKDAwNDQ0OFBQUDg4LCwwMDQ0ODhQUFA4OCwsMDA0NDg4UFBQUEw0NDQ0ODg8OExMTExMNDQ0NDg4PDwAAAAAAAAAGAAAABQAAAAcAAAAEAAAACAAAAAMAAAAJAAAAAgAAAAoAAAABAAAACwAAAAAAAAAMAEGglA4LMQMEBAUFBQQEBQUFBAQFBQYFBQUFBgYGBQUAAAAAAAAAAgAAAAEAAAADAAAAAAAAAAQAQeCUDgtbAQQEBgYHBwgHCQgKCgYFBQcHCAgJCQkKCwsHBQUHBwgICQkKCgsLAAcHBwcJCAkJCgoLCwAICAcHCAkJCQoKCwsACwsJCQoKCwoLCwwMAAwMCQkKCgsLCwsMDABBkJYOCzEGAAAABQAAAAcAAAAEAAAACAAAAAMAAAAJAAAAAgAAAAoAAAABAAAACwAAAAAAAAAMAEHQlg4LqQMDBQUGBgcHCAgICAsEBAYGBwcICAkJCwQEBgYHBwgICQkMBQUGBgcHCQkJCQwMDAYGBwcJCQkJCwsLBwcHBwgICQkLCwsHBwcHCAgJCQsLCwcHCAgICAkJCwsLCwsICAgICAkLCwsLCwgICAgICAsLCwsLBwcICAgIAAAAAAAAAAUAAAAEAAAABgAAAAMAAAAHAAAAAgAAAAgAAAABAAAACQAAAAAAAAAKAAAAAAAAAAEEBAUHBwYHBwQGBwoKCgoKCQQGBgoKCgoJCgUKCgkLDAoLDAcKCgsMDAwMDAcKCgsMDAwMDAYKCgoMDAsMDAcKCgwMDAwLDAcKCgsMDAwMDAAAAAEAAAAAAAAAAgAAAAMEBAUFBwcICAgICQkKCgsLAAQEBgYHBwgICQkKCgsLDAwABAQGBgcHCAgJCQoKCwsMDAAFBQYGCAgJCQkJCgoLDAwMAAAABgYIBwkJCQkKCgsLDAwAAAAHBwgICQkKCgsLDAwNDAAAAAcHCAgJCQoKCwsMDAwNAAAABwcICAkJCgoLCwwMDQ0AAAAAAAgICQkKCgsLDAwNDQBBkJsOC0EIAAAABwAAAAkAAAAGAAAACgAAAAUAAAALAAAABAAAAAwAAAADAAAADQAAAAIAAAAOAAAAAQAAAA8AAAAAAAAAEABB4JsOCz8CBAQFBQcHCQkABAQGBgcHCQkABAQGBgcHCQkABQUGBggICgoAAAAGBggICgoAAAAHBwkJCgoAAAAHBwgICgoAQcCcDgshBAAAAAMAAAAFAAAAAgAAAAYAAAABAAAABwAAAAAAAAAIAEHwnA4LfQMFBQgIAAUFCAgABQUICAAHBwkJAAAACQkFBwcJCQAICAoKAAgHCgkACgoLCwAAAAsLBQcHCQkACAgKCgAHCAkKAAoKCwsAAAALCwgJCQsKAAsLDAwACwoMDAANDg4OAAAADg0ICQkKCwALCwwMAAoLDAwADQ0ODgAAAA0OAEGGng4LZAUIBwsKAAcHCgoABwcKCgAJCQsKAAAACwsFBwgKCwAHBwoKAAcHCgoACQkKCwAAAAsLCAoJDAwACgoMDAAKCgwMAAwMDQ0AAAANDQgJCgwMAAoKDAwACgoLDAAMDA0NAAAADQ0AQYOfDgtkBQgICwsABwcKCgAHBwoKAAkJCgsAAAALCgUICAoLAAcHCgoABwcKCgAJCQsKAAAACgsJCgoMDAAKCgwMAAoKDAwADA0NDQAAAA0MCQoKDAwACgoMDAAKCgwMAA0MDQ0AAAAMDQBBgKAOC2QHCgoODQAJCQwMAAkJDAwACgoMDAAAAAwMBwoKDQ4ACQkMDQAJCQwMAAoKDAwAAAAMDAkLCw4NAAsKDQwACwsNDQAMDA0NAAAADQ0JCwsNDgAKCwwNAAsLDQ0ADAwNDQAAAA0NAEGvoQ4LMgkLCw4OAAoLDQ0ACwoNDQAMDA0NAAAADQwJCwsODgALCg0NAAoLDQ0ADAwODQAAAA0NAEHwoQ4LEQIAAAABAAAAAwAAAAAAAAAEAEGQog4LGwEFBQAFBQAFBQUIBwAJCQAJCAUHCAAJCQAICQBBtKIOCxIFCQkACAgACAgFCAkACAgACAgAQc+iDguQAQUJCQAICAAICAUICQAICAAICAAAAAEAAAAAAAAAAgAAAAQLDA4PDxEREhIFBgYICQoNERITBwUEBggJCw8TEwgGBQUGBwsOEBEJBwcGBwcKDQ8TCggHBgcGBwkOEAwKCQcHBgQFCg8ODQsHBgYEAgcNEBAPCQgICAYJDRMTEQwLCgoJCw4CAAAAZAAAAOCkAwBBlKQOCwNUkwMAQaSkDgsDfJMDAEG0pA4LA6STAwBBxKQOCw/MkwMAAAAAAPSTAwAclAMAQdykDgsHRJQDAGyUAwBB7KQOCweUlAMAvJQDAEH8pA4LB+SUAwAMlQMAQYylDgsLNJUDAFyVAwCElQMAQbylDgsLAgAAAGQAAADwkgMAQfClDgu3BQMICw0ODg0NEA4GAwQHCQkKCw4NCgQDBQcHCQoNDwwHBAQGBggKDQ8MCAYGBgYICg0OCwkHBgYGBwgMCw0KCQgHBgYHCwsNCwoJCQcHBgoLDQ0NDQ0LCQgKDAwPDxAPDAsKCgwEAAAAUQAAAICkAwABAAAAAAAQ4AAAEGACAAAAAAAAANSkAwAAAAAABAAAAHECAADgoQMAAQAAAAAAMOAAABBgAwAAAAAAAABgpAMAAAAAAAIAAABRAAAAUKEDAAEAAAAAAFDgAAAQYAQAAAAAAAAAsKEDAAAAAAACAAAAIQEAANCfAwABAAAAAABw4AAAEGAFAAAAAAAAAAChAwAAAAAABAAAAFEAAABwnwMAAQAAAAAAduAAAHZgAgAAAAAAAADEnwMAAAAAAAIAAAB5AAAAwJ4DAAEAAAAAAFTgAAAQYAQAAAAAAAAAQJ8DAAAAAAACAAAAqQAAANCdAwABAAAAAACe4AAAVGAEAAAAAAAAAICeAwAAAAAAAgAAABkAAACQnQMAAQAAAAAAMOAAABBgAwAAAAAAAACwnQMAAAAAAAIAAACpAAAAoJwDAAEAAAAAgNDgAAB2YAQAAAAAAAAAUJ0DAAAAAAACAAAAeQAAAPCbAwABAAAAAABU4AAAEGAEAAAAAAAAAHCcAwAAAAAAAgAAAOEAAADAmgMAAQAAAABg8uAAAJVgBAAAAAAAAACwmwMAAAAAAAIAAAC5AQAAoJgDAAEAAAAAAHTgAAAQYAUAAAAAAAAAYJoDAAAAAAACAAAAqQAAALCXAwABAAAAANx94QDoM2EEAAAAAAAAAGCYAwAAAAAAAgAAAKkAAADAlgMAAQAAAABgEuEAgLhgBAAAAAAAAABwlwMAAAAAAAEAAAAxAAAAsJUDAAEAAAAAAJjgAAAQYAYAAAAAAAAA8JUDAEGwqw4LMQIEAwQFBQUGBgYGBgYGBgYGBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcAQfCrDgvBARgAAAAXAAAAGQAAABYAAAAaAAAAFQAAABsAAAAUAAAAHAAAABMAAAAdAAAAEgAAAB4AAAARAAAAHwAAABAAAAAgAAAADwAAACEAAAAOAAAAIgAAAA0AAAAjAAAADAAAACQAAAALAAAAJQAAAAoAAAAmAAAACQAAACcAAAAIAAAAKAAAAAcAAAApAAAABgAAACoAAAAFAAAAKwAAAAQAAAAsAAAAAwAAAC0AAAACAAAALgAAAAEAAAAvAAAAAAAAADAAQcCtDgvhAQEEBAcHBwcHBggICAgGBgYICAgICAcJCAoKBQYGCAgJCQgICgoKChAJCQkJCQkJCAoJCwsQCAkJCQkJCQkKCgsLEA0NCQkKCQkKCwsLDBANDgkICggJCQoKDAsQDhAJCQkJCwsMCwwLEBAQCQcJBgsLCwoLCxAQEAsMCQoLCwwLDQ0QEBAMCwoHDAoMDAwMEBAPEBAKCwoLDQ0ODBAQEA8PDAoLCw0LDA0AAAAAAAAABgAAAAUAAAAHAAAABAAAAAgAAAADAAAACQAAAAIAAAAKAAAAAQAAAAsAAAAAAAAADABBsK8OC+EBAQMDCwsLCwsLCwsLCwQHBwsLCwsLCwsLCwsFCAkLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgAAAAAAAAAGAAAABQAAAAcAAAAEAAAACAAAAAMAAAAJAAAAAgAAAAoAAAABAAAACwAAAAAAAAAMAEGgsQ4LkQQDBQUGBgcHBwcIBwgICAgICAgICAgKBgYHBwgICAgICAkJCQkJCQkJCQkKBgYHBwgICAgICAkICQkJCQkJCQkKBwcICAgICAkJCQkJCQkJCQkJCQkKCwsIBwgICAkJCQkJCQkJCQkJCQkLCwsICAgICQkJCQkJCQkJCQkJCQkLCwsICAgICQkJCQkJCQkJCQkJCQkLCwsJCQkJCQkJCQkJCQkJCQkJCQkLCwsLCwkJCQkJCQkJCQkJCQkKCgkLCwsLCwkJCQkJCQoJCQoJCgkJCgkLCwsLCwkJCQkJCQkKCgoKCQoKCQoLCwsLCwkJCQkKCgoJCgoKCgkKCgkLCwsLCwsLCQkJCQoKCgoJCgoKCgoLCwsLCwsLCgkKCgoKCgoKCQoJCgoLCwsLCwsLCgkKCQoKCQoKCgoKCgoLCwsLCwsLCgoKCgoKCgkKCgoKCgkLCwsLCwsLCwsKCgoKCgoKCgoKCgoLCwsLCwsLCwsKCgoKCgoKCgoKCgoLCwsLCwsLCwsKCgoKCgoKCgoJCgoLCwsLCwsLCwsKCgoJCgoKCgoKCgoKCwsLCwsLCwsKCwkKCgoKCgoKCgoAAAAAAAAACgAAAAkAAAALAAAACAAAAAwAAAAHAAAADQAAAAYAAAAOAAAABQAAAA8AAAAEAAAAEAAAAAMAAAARAAAAAgAAABIAAAABAAAAEwAAAAAAAAAUAEHAtQ4L4QEBBAQHBwgIBwcIBwkICgkGBQUICAkJCAgJCQsKCwoGBQUICAkJCAgJCQoKCwsSCAgJCAoKCQkKCgoKCwoSCAgJCQoKCQkKCgsLDAwSDA0JCgoKCQoKCgsLDAsSDQ0JCQoKCgoKCgsLDAwSEhIKCgkJCwsLCwsMDAwSEhIKCQoJCwoLCwsLDQwSEhIODQoKCwsMDAwMDAwSEhIODQoKCwoMDAwMDAwSEhISEgwMCwsMDA0NDQ4SEhISEgwMCwsMCw0NDg0SEhISEhAQCwwMDQ0NDg0SEhISEhAPDAsMCw0LDw4AQbC3DgvRAwcAAAAGAAAACAAAAAUAAAAJAAAABAAAAAoAAAADAAAACwAAAAIAAAAMAAAAAQAAAA0AAAAAAAAADgAAAAAAAAADBQUGBgcHBwcHBwkFBQYGBwcHBwgHCAUFBgYHBwcHBwcJBgYHBwcHCAcHCAkJCQcHBwcHBwcICQkJBwcHBwgICAgJCQkHBwcHBwcICAkJCQgICAgHBwgICQkJCQgICAcHCAgJCQkICAgIBwcICAkJCQgIBwcHBwgIAAAAAAAAAAUAAAAEAAAABgAAAAMAAAAHAAAAAgAAAAgAAAABAAAACQAAAAAAAAAKAAAAAAAAAAEEBAYGCAgICAoKCwoGBQUHBwgICQkKCgwLBgUFBwcICAkJCgoMCxUHBwcHCQkKCgsLDAwVBwcHBwkJCgoLCwwMFQwMCQkKCgsLCwsMDBUMDAkJCgoLCwwMDAwVFRULCwoKCwwMDA0NFRUVCwsKCgwMDAwNDRUVFQ8PCwsMDA0NDQ0VFRUPEAsLDAwNDQ4OFRUVFRQNDQ0NDQ0ODhQUFBQUDQ0NDQ0NDg4AAAAAAAAABgAAAAUAAAAHAAAABAAAAAgAAAADAAAACQAAAAIAAAAKAAAAAQAAAAsAAAAAAAAADABBkLsOCzEDBAQFBQUEBAUFBQQEBQUGBQUFBQYGBgUFAAAAAAAAAAIAAAABAAAAAwAAAAAAAAAEAEHQuw4LWwEEBAYGCAgICAoJCgoGBQUHBwkJCQkKCgsLBgUFBwcJCQoJCwoLCwAGBgcHCQkKCgsLDAwABwcHBwkJCgoLCwwMAAsLCAgKCgsLDAwMDAALDAkICgoLCwwMDQ0AQYC9DgsxBgAAAAUAAAAHAAAABAAAAAgAAAADAAAACQAAAAIAAAAKAAAAAQAAAAsAAAAAAAAADABBwL0OC6kDAwUEBgYHBwgICAgLBAQGBgcHCAgICAsEBAYGBwcICAgICwYGBgYICAgICQkLCwsGBgcICAgICQsLCwcHCAgICAgICwsLBwcICAgICAgLCwsICAgICAgICAsLCwoKCAgICAgICwsLCgoICAgICAgLCwsKCgcHCAgICAAAAAAAAAAFAAAABAAAAAYAAAADAAAABwAAAAIAAAAIAAAAAQAAAAkAAAAAAAAACgAAAAAAAAABBAQFBwcGBwcEBgYJCQoKCgkEBgYJCgkKCQoGCQkKDAsKCwsHCgkLDAwMDAwHCgoLDAwMDAwGCgoKDAwLDAwHCQoLDAwMDAwHCgkMDAwMDAwAAAABAAAAAAAAAAIAAAACBAQGBgcHCAgICAkJCQoKCgAEBAYGCAgJCQkJCgoKCgsLAAQEBgYICAkJCQkKCgoKCwsABgYHBwgICQkJCQoKCwsLCwAAAAcHCAgJCQkJCgoLCwsLAAAABwcJCQoKCgoLCwsLDAwAAAAHBwkJCgoKCgsLCwsMDAAAAAcHCAgJCQoKCwsMDAwMAAAAAAAICAkJCgoLCwwMDAwAQYDCDgtBCAAAAAcAAAAJAAAABgAAAAoAAAAFAAAACwAAAAQAAAAMAAAAAwAAAA0AAAACAAAADgAAAAEAAAAPAAAAAAAAABAAQdDCDgs/AgMEBgYHBwkJAAQEBgYHBwkKAAQEBgYHBwoJAAUFBwcICAoKAAAABwYICAoKAAAABwcJCQsLAAAABwcJCQsLAEGwww4LIQQAAAADAAAABQAAAAIAAAAGAAAAAQAAAAcAAAAAAAAACABB4MMOC30DBQUICAAFBQgIAAUFCAgABwcJCQAAAAkJBQcHCQkACAgKCgAIBwoJAAoKCwsAAAALCwUHBwkJAAgICgoABwgJCgAKCgsLAAAACwsICQkLCwALCwwMAAsKDAwADQ4ODgAAAA4NCAkJCwsACwsMDAAKCwwMAA4NDg4AAAANDgBB9sQOC2QFCAcLCgAHBwoKAAcHCgoACQkLCgAAAAsLBQcICgsABwcKCgAHBwoKAAkJCgsAAAALCwgKCQwMAAoKDAwACgoMDAAMDA0NAAAADQ0ICQoMDAAKCgsMAAoKDAwADAwNDQAAAA0NAEHzxQ4LZAUICAsLAAcHCgoABwcKCgAJCQoLAAAACwoFCAgLCwAHBwoKAAcHCgoACQkLCwAAAAoLCAoKDAwACgoMDAAKCgwMAAwNDQ0AAAAODQgKCgwMAAoKDAwACgoMDAANDA0NAAAADQ0AQfDGDgtkBwoKDg0ACQkNDAAJCQwMAAoKDAwAAAAMDAcKCg0OAAkJDA0ACQkMDAAKCgwMAAAADAwJCwsODQALCg4NAAsLDQ0ADAwNDQAAAA0NCQsLDQ4ACgsNDgALCw0NAAwMDQ0AAAANDQBBn8gOCzIJCwsODgALCw0NAAsKDQ0ADAwNDQAAAA0NCQsLDg4ACwsNDQAKCw0NAAwMDg0AAAANDQBB4MgOCxECAAAAAQAAAAMAAAAAAAAABABBgMkOCxsBBQUABQUABQUFCAcACQkACQgFBwgACQkACAkAQaTJDgsSBQkIAAgIAAgIBQgJAAgIAAgIAEG/yQ4LkAEFCQkACAgACAgFCQkACAgACAgAAAABAAAAAAAAAAIAAAADCQsLDQ4TERETBQQFCAoKDRASEwcEBAUICQwOERMIBgUFBwcKDRASCggHBgUFCAsREwsJBwcFBAUIERMNCwgHBwUFBxASDg0IBgYFBQcQEhIQCggIBwcJEBISEgwKCgkJChESAgAAAGQAAABw0QMAQYTLDgsDxKYDAEGUyw4LA+ymAwBBpMsOCwMUpwMAQbTLDgsDPKcDAEHEyw4LA2SnAwBB1MsOCw+MpwMAAAAAALSnAwDcpwMAQezLDgsHBKgDACyoAwBB/MsOCwtUqAMAfKgDAKSoAwBBrMwOCwsCAAAAZAAAAGCmAwBB4MwOC+cEAwgJDQoMDAwMDAYEBggGCAoKCwwIBQQKBAcICQoLDQgKCAkJCwwNDgoGBAkDBQYICgsLCAYJBQUGBwkLDAkHCwYGBgcICgwLCQwHBwYGBwkNDAoNCQgHBwcICw8LDwsKCQgHBwgAAAChGQAAwLcDAAEAAAAAABDgAAAQYAIAAAAAAAAAZNEDAAAAAAAEAAAAcQIAACC1AwABAAAAAAAw4AAAEGADAAAAAAAAAKC3AwAAAAAABAAAAHECAACAsgMAAQAAAAAAMOAAABBgAwAAAAAAAAAAtQMAAAAAAAIAAABRAAAA8LEDAAEAAAAAAFDgAAAQYAQAAAAAAAAAULIDAAAAAAACAAAAUQAAAGCxAwABAAAAAABQ4AAAEGAEAAAAAAAAAMCxAwAAAAAAAgAAACEBAADgrwMAAQAAAAAAcOAAABBgBQAAAAAAAAAQsQMAAAAAAAQAAABRAAAAgK8DAAEAAAAAAHbgAAB2YAIAAAAAAAAA1K8DAAAAAAACAAAAeQAAANCuAwABAAAAAABU4AAAEGAEAAAAAAAAAFCvAwAAAAAAAgAAAKkAAADgrQMAAQAAAAAAnuAAAFRgBAAAAAAAAACQrgMAAAAAAAIAAAAZAAAAoK0DAAEAAAAAADDgAAAQYAMAAAAAAAAAwK0DAAAAAAACAAAA4QAAAHCsAwABAAAAAIZz4QBQFmEEAAAAAAAAAGCtAwAAAAAAAgAAACEBAADwqgMAAQAAAAAA9eAAAJVgBQAAAAAAAAAgrAMAAAAAAAIAAAC5AQAA0KgDAAEAAAAAAHTgAAAQYAUAAAAAAAAAkKoDAEHQ0Q4LkQQDBQUGBgcHBwcICAgICAgICAgICAkLBQYHBwgHCAgICAkJCQkJCQkJCQkLBQUHBwcHCAgICAkJCQkJCQkJCQkLBwcHBwgICAgJCQkJCQkJCQkKCQoLCwsHBwgICAgJCQkJCQkKCgoKCgoLCwsICAgICQkJCQkJCQoKCgoKCgoLCwsICAgICQkJCQkJCgoKCgoKCgoLCwsJCQkJCQkJCQkJCgoKCgoKCgoLCwsLCwkJCQkJCQoJCgoKCgoKCgoLCwsLCwkJCQkJCQoKCgoKCgoKCgoLCwsLCwkJCQkJCQoKCgoKCgoKCgoLCwsLCwkJCgkKCgoKCgoKCgoKCgoLCwsLCwsLCQkKCgoKCgoKCgoKCgoLCwsLCwsLCgoKCgoKCgoKCgoKCgoLCwsLCwsLCgoKCgoKCgoKCgoKCgoLCwsLCwsLCgoKCgoKCgoKCgoKCgoLCwsLCwsLCwsKCgoKCgoKCgoKCgoLCwsLCwsLCwsKCgoKCgoKCgoKCgoLCwsLCwsLCwsKCgoKCgoKCgoKCgoLCwsLCwsLCwsKCgoKCgoKCgoKCgoLCwsLCwsLCwsLCwoKCgoKCgoKCgoAAAAAAAAACgAAAAkAAAALAAAACAAAAAwAAAAHAAAADQAAAAYAAAAOAAAABQAAAA8AAAAEAAAAEAAAAAMAAAARAAAAAgAAABIAAAABAAAAEwAAAAAAAAAUAEHw1Q4LoQIBBAQFBQcHCQgKCQoKCwoLCwYFBQcHCAkKCgsKDAsMCw0MBgUFBwcJCQoKCwsMDA0MDQ0SCAgICAkJCgsLCwwLDQsNDBIICAgICgoLCwwMDQ0NDQ0OEgwMCQkLCwsLDAwNDA0MDQ0UDQwJCQsLCwsMDA0NDQ4ODRQSEwsMCwsMDA0NDQ0NDQ4NEhMTDAsLCwwMDQwNDQ0ODg0SERMODwwMDA0NDQ4ODg4ODhMTExAPDAsNDA4ODg0NDg4OExITEhMNDQ0NDg4ODQ4ODg4SERMTEw0NDQsNCw0ODg4ODhMRERISEBANDQ0NDg0PDw4OExMRERIQEA0LDgoNDA4ODg4TExMTExIRDQ4NCw4NDg4PDxMTExETEhIODQwLDgsPDw8PAEGg2A4LQQgAAAAHAAAACQAAAAYAAAAKAAAABQAAAAsAAAAEAAAADAAAAAMAAAANAAAAAgAAAA4AAAABAAAADwAAAAAAAAAQAEHw2A4L4QEBAwMNDQ0NDQ0NDQ0NDQ0EBwcNDQ0NDQ0NDQ0NDQ0DCAYNDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDAwMDAwMDAwAQeDaDgtxBwAAAAYAAAAIAAAABQAAAAkAAAAEAAAACgAAAAMAAAALAAAAAgAAAAwAAAABAAAADQAAAAAAAAAOAAAAAAAAAAIEBAUFBgUFBQUGBAUFBQYFBQUFBgYGBQUAAAAAAAAAAgAAAAEAAAADAAAAAAAAAAQAQeDbDgvhAQEEBAYGBwcICAkJCgoGBQUHBwgICAkKCgoKBwUFBwcICAkJCgoKCgAICAgICQkJCQoKCwsACAgICAkJCQkKCgsLAAwMCQkJCgoKCgoLCwANDQkJCQkKCgsLCwsAAAAKCgoKCgoLCwsLAAAACgoKCgoKCwsMDAAAAA4OCwsLCwwMDAwAAAAODgsLCwsMDAwMAAAAAAAMDAwMDAwNDQAAAAAADAwMDAwMDQ0AAAAAAAAABgAAAAUAAAAHAAAABAAAAAgAAAADAAAACQAAAAIAAAAKAAAAAQAAAAsAAAAAAAAADABB0N0OC6AEAgQEBgYHBwgICAgKBQUGBgcHCAgICAoFBQYGBwcICAgICgYGBwcICAgICAgKCgoHBwgICAgICAoKCgcHCAgICAgICgoKBwcICAgICAgKCgoICAgICAgICQoKCgoKCAgICAgICgoKCgoJCQgICAgKCgoKCggICAgICAAAAAAAAAAFAAAABAAAAAYAAAADAAAABwAAAAIAAAAIAAAAAQAAAAkAAAAAAAAACgAAAAAAAAABBAQHBgYHBgYEBwcKCQkLCQkEBwcKCQkLCQkHCgoLCwoLCwsGCQkLCgoLCgoGCQkLCgoLCgoHCwsMCwsMCwsGCQkLCgoLCgoGCQkLCgoLCgoAAAABAAAAAAAAAAIAAAACBAQGBggICQkJCQoKCgoLCwAEBAYGCAgJCQkJCgoLCwwMAAQEBgYICAkJCQkKCgsLDAwABgYHBwgICQkJCQoKCwsMDAAAAAcHCAgJCQkJCgoLCwwMAAAABwcJCQoKCgoLCwsLDAwAAAAHBwgJCgoKCgsLCwsMDAAAAAgICQkKCgoKCwsMDAwMAAAAAAAJCQoKCgoLCwwMDAwAAAAAAAkJCgoKCgsLDAwMDAAAAAAACQkJCgoKCwsMDAwMAAAAAAAKCgoKCwsLDAwMDQ0AAAAAAAAACgoLCwsLDAwNDQAAAAAAAAALCwsLDAwMDQ0NAAAAAAAAAAsLCwsMDAwMDQ0AAAAAAAAADAwMDA0MDQ0NDQBB+eEOCwgMDAwMDQ0NDQBBkOIOC0EIAAAABwAAAAkAAAAGAAAACgAAAAUAAAALAAAABAAAAAwAAAADAAAADQAAAAIAAAAOAAAAAQAAAA8AAAAAAAAAEABB4OIOC1ECBAMGBgcHCQkABAQGBgcHCQkABAQGBgcHCQkABgYHBwcHCQkAAAAHBgcHCQkAAAAICAgICgoAAAAICAgICgoAAAAJCQkJCgoAAAAAAAkJCgoAQcDjDgshBAAAAAMAAAAFAAAAAgAAAAYAAAABAAAABwAAAAAAAAAIAEHw4w4LRAIDAwYGAAAAAAAEBAYGAAAAAAAEBAYGAAAAAAAFBQYGAAAAAAAAAAYGAAAAAAAAAAcHAAAAAAAAAAgHAAAAAAAAAAkJAEHQ5A4LIQQAAAADAAAABQAAAAIAAAAGAAAAAQAAAAcAAAAAAAAACABBgOUOCwUCBAMFBQBBmeUOCwUEBQUGBgBBsuUOCwUDBQUGBgBBy+UOCwUGBgYICABB5OUOCwUFBgYICABBgOoOCxECAAAAAQAAAAMAAAAAAAAABABBoOoOC0QCBAQAAAAFBQAAAAUFAAAACAcAAAAAAAAABAYGAAAACAgAAAAIBwAAAAoKAAAAAAAAAAQGBgAAAAgIAAAABwgAAAAKCgBBtusOCysFCAcAAAAICAAAAAgIAAAACgoAAAAAAAAABQcIAAAACAgAAAAICAAAAAoKAEGz7A4LKwUICAAAAAgIAAAACAgAAAAKCgAAAAAAAAAFCAgAAAAICAAAAAgIAAAACgoAQbDtDgsrCAoKAAAACgoAAAAJCgAAAAsKAAAAAAAAAAgKCgAAAAoKAAAACgoAAAAKCwBBoO8OCxECAAAAAQAAAAMAAAAAAAAABABBwO8OCxUCBAQAAAAAAAAEBwcAAAAAAAAEBgcAQZHwDgsVBQcHAAAAAAAABwkJAAAAAAAABwgJAEHi8A4LFQQHBwAAAAAAAAcJCAAAAAAAAAcJCQBBmfUOCxUEBwcAAAAAAAAHCQkAAAAAAAAHCQkAQer1DgsVBwkJAAAAAAAACQoLAAAAAAAACQoKAEG79g4LFQcJCQAAAAAAAAgKCQAAAAAAAAkKCwBB8voOCxUEBwcAAAAAAAAHCQkAAAAAAAAHCQkAQcP7DgsVBwkJAAAAAAAACQsKAAAAAAAACAkKAEGU/A4LFQcJCQAAAAAAAAkKCgAAAAAAAAkLCgBB5KIPC3sBAAAAAAAAAAIAAAAFCAoOCwsMEA8RBQUHCQcICg0REQcFBQoFBwgLDQ8KCAoICAgLDxISCAUFCAMEBgoOEAkHBgcEAwUJDhIKCQgKBgUGCQ4SDAwLDAgHCAsOEg4NDAoHBQYJDhIODg0KBgUGCAsQAgAAAGQAAABw/QMAQZSkDwsDVNMDAEGkpA8LA3zTAwBBtKQPCwOk0wMAQcSkDwsDzNMDAEHUpA8LA/TTAwBB5KQPCw8c1AMAAAAAAETUAwBs1AMAQfykDwsHlNQDALzUAwBBjKUPCwvk1AMADNUDADTVAwBBvKUPCwsCAAAAZAAAAPDSAwBB8KUPC+cEBAcLCwsLCgsMCwUCCwUGBgcJCwwLCQYKBgcICQoLCwULBwgICQsNDgsGBQgEBQcICgsKBgcHBQUGCAkLCgcICQYGBgcICQsJCQsHBwYGBwkMDAoNCQgHBwcICw0LDgsKCQgHBwgAAAChGQAAwOMDAAEAAAAAABDgAAAQYAIAAAAAAAAAZP0DAAAAAAAEAAAAcQIAACDhAwABAAAAAAAw4AAAEGADAAAAAAAAAKDjAwAAAAAABAAAAHECAACA3gMAAQAAAAAAMOAAABBgAwAAAAAAAAAA4QMAAAAAAAIAAABRAAAA8N0DAAEAAAAAAFDgAAAQYAQAAAAAAAAAUN4DAAAAAAACAAAAUQAAAGDdAwABAAAAAABQ4AAAEGAEAAAAAAAAAMDdAwAAAAAAAgAAACEBAADg2wMAAQAAAAAAcOAAABBgBQAAAAAAAAAQ3QMAAAAAAAQAAABRAAAAgNsDAAEAAAAAAHbgAAB2YAIAAAAAAAAA1NsDAAAAAAACAAAAeQAAANDaAwABAAAAAABU4AAAEGAEAAAAAAAAAFDbAwAAAAAAAgAAAKkAAADg2QMAAQAAAAAAnuAAAFRgBAAAAAAAAACQ2gMAAAAAAAIAAAAZAAAAoNkDAAEAAAAAADDgAAAQYAMAAAAAAAAAwNkDAAAAAAACAAAAqQAAALDYAwABAAAAAIhd4QCwE2EEAAAAAAAAAGDZAwAAAAAAAgAAAOEAAACA1wMAAQAAAABg8uAAAJVgBAAAAAAAAABw2AMAAAAAAAIAAAC5AQAAYNUDAAEAAAAAAHTgAAAQYAUAAAAAAAAAINcDAEHgqg8LkQQCBQUGBgcHBwcICAgICAgICAkJCQkLBgYHBwgICAgJCQkJCQkJCQoKCgoLBgYHBwgICAgJCQkJCQkKCQoKCgoLBwcHBwgICQkJCQkJCQoKCgoKCgoMCwsHBwgICQkJCQkJCgoKCgoKCgoMCwwICAgICQkJCQkKCgoKCgoKCgoLCwsICAgICQkJCQoKCgoKCgoKCgoLCwwJCQkJCQkKCQoKCgoKCgoKCgoLCwsLCwkJCQkKCgoKCgoKCgoKCgoLDAsLCwkJCQoKCgoKCgoKCgoKCgoLCwsLCwkJCQkKCgoKCgoKCgoKCgoLCwsMDAoKCgoKCgoKCgoKCgoKCgoLDAsMCwsLCQoKCgoKCgoKCgoKCgoLDAsLCwsLCgoKCgoKCgoKCgoKCgoLCwsMCwsLCgoKCgoKCgoKCgoKCgoMCwsMCwsLCgoKCgoKCgoKCgoKCgoLCwsLCwsLCwsKCgoKCgoKCgoKCgoLCwsLDAwLCwsLCwsLCgoKCgoKCgoMDAwLCwsMCwsLCgoKCgoKCgoKCgoMCwwMDAwMCwwLCwoKCgoKCgoKCgoMDAwMCwsLCwsLCwoKCgoKCgoKCgoAAAAAAAAACgAAAAkAAAALAAAACAAAAAwAAAAHAAAADQAAAAYAAAAOAAAABQAAAA8AAAAEAAAAEAAAAAMAAAARAAAAAgAAABIAAAABAAAAEwAAAAAAAAAUAEGArw8L4QEBBAQFBQcHCQgKCQoKCgoGBQUHBwkICgkLCgwMDQ0GBQUHBwkJCgoLCwwMDA0TCAgICAkJCgoMCwwMDQ0TCAgICAkJCwsMDA0NDQ0TDAwJCQsLCwsMCw0MDQ0SDAwJCQsKCwsMDAwNDQ4TEhILCwsLDAwNDA0NDg4QEhILCwsKDAsNDQ0NDQ4REhIODwsMDA0NDQ0ODg4SEhIPDwwKDQoNDQ0NDQ4SERIREgwNDA0NDQ4OEA4SERISEQ0MDQoMDA4ODg4REhISEg4PDAwNDA4ODw8SEhIREg8ODAsMDA4ODg8AQfCwDwuhAgcAAAAGAAAACAAAAAUAAAAJAAAABAAAAAoAAAADAAAACwAAAAIAAAAMAAAAAQAAAA0AAAAAAAAADgAAAAAAAAABAwMMDAwMDAwMDAwMBAcHDAwMDAwMDAwMDAMICAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMAAAAAAAAAAYAAAAFAAAABwAAAAQAAAAIAAAAAwAAAAkAAAACAAAACgAAAAEAAAALAAAAAAAAAAwAQaCzDwsxAgQEBQUGBQUFBQYFBAUFBgUFBQUGBgYFBQAAAAAAAAACAAAAAQAAAAMAAAAAAAAABABB4LMPC+EBAQQEBgYHBwgICQkKCgYFBQcHCAgICAkKCwsHBQUHBwgICQkKCgsLAAgICAgJCQkJCgoLCwAICAgICQkJCQoKCwsADAwJCQkJCgoKCgsLAA0NCQkKCQoKCwsLDAAAAAoKCgoKCgsLDAwAAAAKCgoKCgoLCwwMAAAADg4LCwsLDAwMDAAAAA4OCwsLCwwMDA0AAAAAAAwMDAwMDA0NAAAAAAANDAwMDAwNDQAAAAAAAAAGAAAABQAAAAcAAAAEAAAACAAAAAMAAAAJAAAAAgAAAAoAAAABAAAACwAAAAAAAAAMAEHQtQ8LoAQCBAQGBgcHBwcICAoFBQYGBwcICAgICgUFBgYHBwgICAgKBgYHBwgICAgICAoKCgcHCAgICAgICgoKCAcICAgICAgKCgoHBwgICAgICAoKCggICAgICAgICgoKCgoICAgICAgKCgoKCgkJCAgJCAoKCgoKCAgICAkJAAAAAAAAAAUAAAAEAAAABgAAAAMAAAAHAAAAAgAAAAgAAAABAAAACQAAAAAAAAAKAAAAAAAAAAEEBAcGBgcGBgQHBwoJCQsJCQQHBwoJCQsJCQcKCgsLCgsLCwYJCQsKCgsKCgYJCQsKCgsKCgcLCwwLCwwLCwYJCQsKCgsKCgYJCQsKCgsKCgAAAAEAAAAAAAAAAgAAAAIEBAYGCAgJCQgICQkKCgsLAAQEBgYICAkJCQkKCgsLCwsABAQHBggICQkJCQoKCwsLCwAGBgcHCAgJCQkJCgoLCwsMAAAABwcICAkJCQkKCgsLDAwAAAAICAgICQkJCQoKCwsMDAAAAAgICAgJCQkJCgoLCwwMAAAACQkJCQoKCgoLCwsLDAwAAAAAAAkJCgoKCgsLCwsMDAAAAAAACQkJCgoKCwsLCwwMAAAAAAAJCQkJCgoLCwsMDAwAAAAAAAoKCgoLCwsLDAwNDAAAAAAAAAAKCgsLCwsMDAwMAAAAAAAAAAsLCwsMDAwMDQ0AAAAAAAAACwsLCwwMDAwNDQAAAAAAAAAMDAwMDAwNDQ0NAEH5uQ8LCAwMDAwMDQ0NAEGQug8LQQgAAAAHAAAACQAAAAYAAAAKAAAABQAAAAsAAAAEAAAADAAAAAMAAAANAAAAAgAAAA4AAAABAAAADwAAAAAAAAAQAEHgug8LUQIDAwYGBwcJCQAEBAYGBwcJCQAEBQYGBwcJCQAGBgcHCAgKCgAAAAcHCAgKCQAAAAkICAgKCgAAAAgICAgKCgAAAAoKCQkLCwAAAAAACQkKCgBBwLsPCyEEAAAAAwAAAAUAAAACAAAABgAAAAEAAAAHAAAAAAAAAAgAQfC7DwtEAgMDBgYAAAAAAAQEBgYAAAAAAAQEBgYAAAAAAAUFBgYAAAAAAAAABgYAAAAAAAAABwgAAAAAAAAABwcAAAAAAAAACQkAQdC8DwshBAAAAAMAAAAFAAAAAgAAAAYAAAABAAAABwAAAAAAAAAIAEGAvQ8LBQIDAwYGAEGZvQ8LBQQFBAYGAEGyvQ8LBQQEBQYGAEHLvQ8LBQYGBgkJAEHkvQ8LBQYGBwkJAEGAwg8LEQIAAAABAAAAAwAAAAAAAAAEAEGgwg8LRAIFBQAAAAUFAAAABQUAAAAHBwAAAAAAAAAFBgYAAAAHBwAAAAcHAAAACgoAAAAAAAAABQYGAAAABwcAAAAHBwAAAAoKAEG2ww8LKwUIBwAAAAcHAAAABwcAAAAJCQAAAAAAAAAFBwgAAAAHBwAAAAcHAAAACQkAQbPEDwsrBQcHAAAABwcAAAAHBwAAAAkJAAAAAAAAAAUHBwAAAAcHAAAABwcAAAAJCQBBsMUPCysHCgoAAAAJCQAAAAkJAAAACgoAAAAAAAAACAoKAAAACQkAAAAJCQAAAAoKAEGgxw8LEQIAAAABAAAAAwAAAAAAAAAEAEHAxw8LFQIEBAAAAAAAAAUGBgAAAAAAAAUGBwBBkcgPCxUFBwcAAAAAAAAHCAgAAAAAAAAGCAgAQeLIDwsVBQcHAAAAAAAABggHAAAAAAAABwgIAEGZzQ8LFQUHBwAAAAAAAAcICAAAAAAAAAcICABB6s0PCxUHCAgAAAAAAAAICQkAAAAAAAAICQkAQbvODwsVBggIAAAAAAAACAkIAAAAAAAACAkJAEHy0g8LFQQHBwAAAAAAAAcICAAAAAAAAAcICABBw9MPCxUGCAgAAAAAAAAICQkAAAAAAAAICAkAQZTUDwsVBwgIAAAAAAAACAkJAAAAAAAACAkJAEHk+g8LewEAAAAAAAAAAgAAAAQHDgoPCgwPEA8EAgsFCgYICw4ODgoHCwYICgsNDwkECwUJBgkMDg8OCQYJBAUHCgwNCQUHBgUFBwoNDQoICQgHBggKDg4NCwoKBwcICw4PDQwJCQYFBwoOEQ8NCwoGBgcJDBECAAAAZAAAANAoBABBlPwPCwNU/wMAQaT8DwsDfP8DAEG0/A8LA6T/AwBBxPwPCwPM/wMAQdT8DwsD9P8DAEHk/A8LDxwABAAAAAAARAAEAGwABABB/PwPCweUAAQAvAAEAEGM/Q8LC+QABAAMAQQANAEEAEG8/Q8LCwIAAABkAAAA8P4DAEHw/Q8L5wQFBgsLCwsKCgwLBQILBQYGBwkLDQ0KBwsGBwgJCgwLBQsGCAcJCw4PCwYGCAQFBwgKDQoFBwcFBQYICgsKBwcIBgUFBwkJCwgICwgHBgYHCQwLCg0JCQcHBwkLDQwPDAsJCAgICAAAAKEZAAAgDwQAAQAAAAAAEOAAABBgAgAAAAAAAADEKAQAAAAAAAQAAABxAgAAgAwEAAEAAAAAADDgAAAQYAMAAAAAAAAAAA8EAAAAAAAEAAAAcQIAAOAJBAABAAAAAAAw4AAAEGADAAAAAAAAAGAMBAAAAAAAAgAAAFEAAABQCQQAAQAAAAAAUOAAABBgBAAAAAAAAACwCQQAAAAAAAIAAABRAAAAwAgEAAEAAAAAAFDgAAAQYAQAAAAAAAAAIAkEAAAAAAACAAAAIQEAAEAHBAABAAAAAABw4AAAEGAFAAAAAAAAAHAIBAAAAAAABAAAAFEAAADgBgQAAQAAAAAAduAAAHZgAgAAAAAAAAA0BwQAAAAAAAIAAAB5AAAAMAYEAAEAAAAAAFTgAAAQYAQAAAAAAAAAsAYEAAAAAAACAAAAqQAAAEAFBAABAAAAAACe4AAAVGAEAAAAAAAAAPAFBAAAAAAAAgAAABkAAAAABQQAAQAAAAAAMOAAABBgAwAAAAAAAAAgBQQAAAAAAAIAAACpAAAAEAQEAAEAAAAA6FfhAOD/YAQAAAAAAAAAwAQEAAAAAAACAAAA4QAAAOACBAABAAAAAMDd4AAAkWAEAAAAAAAAANADBAAAAAAAAgAAACEBAABgAQQAAQAAAAAAcOAAABBgBQAAAAAAAACQAgQAQeCCEAuhAgIFBQYGBwcHBwcHCAgICAgICgYGBwcIBwgICAgICQkJCQkKBgYHBwcHCAgICAkJCQkJCQoHBwcHCAgICAkJCQkJCQkJCgoKBwcICAgJCQkJCQkJCQkLCwsICAgICQkJCQkJCQkJCQoKCggICAgJCQkJCQkJCQkJCgoKCAkJCQkJCQkJCQkJCgkKCgoLCwkJCQkJCQkJCQkJCQsKCwsLCQkJCQkJCgoJCQoJCwoLCwsJCQkJCQkJCQoKCgkLCwsLCwkJCQkKCgkJCQkKCQsLCwsLCwsJCQkJCQkKCgoKCwsLCwsLCwoJCgoJCgkJCgkLCgoLCwsLCQoJCQkJCgoKCgsLCwsLCwoKCgkJCgkKCQoKCgoLCwsLCwsLCQkJCQkKCgoAQZCFEAtBCAAAAAcAAAAJAAAABgAAAAoAAAAFAAAACwAAAAQAAAAMAAAAAwAAAA0AAAACAAAADgAAAAEAAAAPAAAAAAAAABAAQeCFEAvhAQEEBAYGBwcIBwkJCgoKCgYFBQcHCAgKCAsKDAwNDQYFBQcHCAgKCQsLDAwNDBIICAgICQkKCQsKDAwNDRIICAgICQkKCgsLDQwODRILCwkJCgoLCwsMDQwNDhILCwkICwoLCwsLDAwODRISEgoLCgsMDAwMDQwODRISEgoLCwkMCwwMDA0NDRISEQ4OCwsMDA0MDgwODRISEg4OCwoMCQwNDQ0NDRISERASDQ0MDA0LDgwODhESEhESDQwNCgwLDg4ODhESEhISDxAMDA0KDgwODxISEhAREA4MCw0KDQ0ODwBB0IcQC6ECBwAAAAYAAAAIAAAABQAAAAkAAAAEAAAACgAAAAMAAAALAAAAAgAAAAwAAAABAAAADQAAAAAAAAAOAAAAAAAAAAEEBAwMDAwMDAwMDAwECQgMDAwMDAwMDAwMAgkHDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAsMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsAAAAAAAAABgAAAAUAAAAHAAAABAAAAAgAAAADAAAACQAAAAIAAAAKAAAAAQAAAAsAAAAAAAAADABBgIoQCzECBAQFBQYFBQUFBgQFBQUGBQUFBQYGBgUFAAAAAAAAAAIAAAABAAAAAwAAAAAAAAAEAEHAihAL4QEBBAQGBgcHCAgJCQoKBgUFBwcICAgICQkKCgcFBQcHCAgICAkJCwoACAgICAkJCQkKCgsLAAgICAgJCQkJCgoLCwAMDAkJCgoKCgsLCwwADQ0JCQoKCgoLCwwMAAAACgoKCgsLDAwMDAAAAAoKCgoLCwwMDAwAAAAODgsLCwsMDA0NAAAADg4LCwsLDAwNDQAAAAAADAwMDA0NDg0AAAAAAA0NDAwNDA4NAAAAAAAAAAYAAAAFAAAABwAAAAQAAAAIAAAAAwAAAAkAAAACAAAACgAAAAEAAAALAAAAAAAAAAwAQbCMEAugBAIEBAYGBwcHBwgICgUFBgYHBwgICAgKBQUGBgcHCAgICAoGBgcHCAgICAgICgoKBwcIBwgICAgKCgoICAgICAgICAoKCgcICAgICAgICgoKCAgICAgICAgKCgoKCggICAgICAoKCgoKCQkICAkICgoKCgoICAgICAgAAAAAAAAABQAAAAQAAAAGAAAAAwAAAAcAAAACAAAACAAAAAEAAAAJAAAAAAAAAAoAAAAAAAAAAQQEBwYGBwYGBAcHCgkJCwkJBAcHCgkJCwkJBwoKCwsKDAsLBgkJCwoKCwoKBgkJCwoKCwoKBwsLCwsLDAsLBgkJCwoKCwoKBgkJCwoKCwoKAAAAAQAAAAAAAAACAAAAAgMDBgYHBwgICAgJCQoKCwoABQUHBwgICQkJCQoKCgoLCwAFBQcHCAgJCQkJCgoKCgsLAAYGBwcICAkJCQkKCgsLCwsAAAAHBwgICQkJCQoKCwsLDAAAAAgICAgJCQkJCgoLCwwMAAAACAgICAkJCQkKCgsLDAwAAAAJCQkJCgoKCgsKCwsMDAAAAAAACQkKCgoKCwsLCwwMAAAAAAAJCAkJCgoLCwwMDAwAAAAAAAgICQkKCgsLDAsMDAAAAAAACQoKCgsLCwsMDA0NAAAAAAAAAAoKCgoLCwwMDQ0AAAAAAAAACwsLCwwMDAwNDQAAAAAAAAALCwsLDAwMDA0NAAAAAAAAAAsLDAwMDA0NDQ0AQdmQEAsIDAwMDA0NDQ0AQfCQEAtBCAAAAAcAAAAJAAAABgAAAAoAAAAFAAAACwAAAAQAAAAMAAAAAwAAAA0AAAACAAAADgAAAAEAAAAPAAAAAAAAABAAQcCREAtRAQMEBgYHBwkJAAUFBwcHCAkJAAUFBwcICAkJAAcHCAgICAoKAAAACAgICAoKAAAACQkJCQoKAAAACQkJCQoKAAAACgoKCgsLAAAAAAAKCgsLAEGgkhALIQQAAAADAAAABQAAAAIAAAAGAAAAAQAAAAcAAAAAAAAACABB0JIQC0QCAwMGBgAAAAAABAQGBgAAAAAABAQGBgAAAAAABQUGBgAAAAAAAAAGBgAAAAAAAAAHCAAAAAAAAAAHBwAAAAAAAAAJCQBBsJMQCyEEAAAAAwAAAAUAAAACAAAABgAAAAEAAAAHAAAAAAAAAAgAQeCTEAsFAgQDBgYAQfmTEAsFBAQEBgYAQZKUEAsFBAQEBgYAQauUEAsFBgYGCQkAQcSUEAsFBgYHCQkAQeCYEAsRAgAAAAEAAAADAAAAAAAAAAQAQYCZEAtEAgUFAAAABQUAAAAFBQAAAAcIAAAAAAAAAAUGBgAAAAcHAAAABwcAAAAKCgAAAAAAAAAFBgYAAAAHBwAAAAcHAAAACgoAQZaaEAsrBQcHAAAABwcAAAAHBwAAAAkJAAAAAAAAAAUHBwAAAAcHAAAABwcAAAAJCQBBk5sQCysFBwcAAAAHBwAAAAcHAAAACQkAAAAAAAAABQcHAAAABwcAAAAHBwAAAAkJAEGQnBALKwgKCgAAAAkJAAAACQkAAAAKCgAAAAAAAAAICgoAAAAJCQAAAAkJAAAACgoAQYCeEAsRAgAAAAEAAAADAAAAAAAAAAQAQaCeEAsVAgQEAAAAAAAABQYGAAAAAAAABQYGAEHxnhALFQUHBwAAAAAAAAcICAAAAAAAAAYHCABBwp8QCxUFBwcAAAAAAAAGCAcAAAAAAAAHCAgAQfmjEAsVBQcHAAAAAAAABwgIAAAAAAAABwgIAEHKpBALFQcICAAAAAAAAAgICQAAAAAAAAgJCQBBm6UQCxUGCAgAAAAAAAAHCQgAAAAAAAAICQkAQdKpEAsVBQcHAAAAAAAABwgIAAAAAAAABwgIAEGjqhALFQYICAAAAAAAAAgJCQAAAAAAAAcICQBB9KoQCxUGCAgAAAAAAAAICQkAAAAAAAAICQgAQcTREAt7AQAAAAAAAAACAAAACgkNCw4KDA0NDgcCDAUKBQcKDA4MBgkIBwcJCw0QCgQMBQoGCAwOEAwGCAcGBQcLDBAKBAgFBgQGCQ0QCgYKBwcGBwkNDwwJCwkIBgcKDA4OCwoJBgUGCQsNDw0LCgYFBggJCwIAAABkAAAA8FMEAEH00hALA7QqBABBhNMQCwPcKgQAQZTTEAsDBCsEAEGk0xALAywrBABBtNMQCwNUKwQAQcTTEAsPfCsEAAAAAACkKwQAzCsEAEHc0xALB/QrBAAcLAQAQezTEAsLRCwEAGwsBACULAQAQZzUEAsLAgAAAGQAAABQKgQAQdDUEAvnBAYGDAoKCgkKDAwGAQoFBgYHCQsODAkICwcICQsNDwoFDAcIBwkMDg8KBgcIBQYHCQwOCQYIBwYGBwkMDAkHCQkHBgYHCgoKCQoLCAcGBggKDAsNDQsKCAgICgsNDw8ODQoICAkIAAAAoRkAAEA6BAABAAAAAAAQ4AAAEGACAAAAAAAAAORTBAAAAAAABAAAAHECAACgNwQAAQAAAAAAMOAAABBgAwAAAAAAAAAgOgQAAAAAAAQAAABxAgAAADUEAAEAAAAAADDgAAAQYAMAAAAAAAAAgDcEAAAAAAACAAAAUQAAAHA0BAABAAAAAABQ4AAAEGAEAAAAAAAAANA0BAAAAAAAAgAAAFEAAADgMwQAAQAAAAAAUOAAABBgBAAAAAAAAABANAQAAAAAAAIAAAAhAQAAYDIEAAEAAAAAAHDgAAAQYAUAAAAAAAAAkDMEAAAAAAAEAAAAUQAAAAAyBAABAAAAAAB24AAAdmACAAAAAAAAAFQyBAAAAAAAAgAAAHkAAABQMQQAAQAAAAAAVOAAABBgBAAAAAAAAADQMQQAAAAAAAIAAACpAAAAYDAEAAEAAAAAAJ7gAABUYAQAAAAAAAAAEDEEAAAAAAACAAAAGQAAACAwBAABAAAAAAAw4AAAEGADAAAAAAAAAEAwBAAAAAAAAgAAAKkAAAAwLwQAAQAAAAC4VOEAoPtgBAAAAAAAAADgLwQAAAAAAAIAAACpAAAAQC4EAAEAAAAAgNngAACRYAQAAAAAAAAA8C4EAAAAAAACAAAAIQEAAMAsBAABAAAAAABw4AAAEGAFAAAAAAAAAPAtBABBwNkQC6ECAgQEBgYHBwcHBwcICAgICAgKBwcHBwcHCAgICAkJCQkJCQoHBwcHCAgICAgICQkJCQkJCggICAgICAgICQkJCQkJCQkKCgoIBwgICAgJCQkJCQkJCQoLCwgICAgJCQkJCQkKCQkJCgsKCAgICAkJCQkJCQkKCgoKCwoICAkJCQkJCQoJCQoJCgsKCwsLCAgJCQkJCQkJCQoKCwsLCwsJCQkJCQkKCQkJCgoLCwsLCwkJCQkJCQkJCQoJCgsLCwsLCQkJCQoKCQkJCgoKCwsLCwsLCwkJCQoJCQoKCgoLCwoLCwsLCgkKCgkJCQkKCgsKCwsLCwsJCQkJCgkKCgoKCwoLCwsLCwoKCQkKCQoKCgoKCgoLCwsLCwsJCQoJCgkKCgBB8NsQC0EIAAAABwAAAAkAAAAGAAAACgAAAAUAAAALAAAABAAAAAwAAAADAAAADQAAAAIAAAAOAAAAAQAAAA8AAAAAAAAAEABBwNwQC+EBAQQEBgYHBggICgkKCgYFBQcHCAcKCQsLDA0GBQUHBwgICgoLCw0NEggICAgJCQoKDAwMDRIICAgICQkKCgwMDQ0SCwsICAoKCwsMCw0MEgsLCQcKCgsLCwwMDREREQoKCwsMDAwKDAwRERELCgsKDQwLDAwMERERDw4LCwwLDQoNDBEREQ4ODAoLCw0NDQ0RERAREA0NDAoNCg4NERAREBENDAwKDQsODgAAAAAAAAAGAAAABQAAAAcAAAAEAAAACAAAAAMAAAAJAAAAAgAAAAoAAAABAAAACwAAAAAAAAAMAEGw3hAL4QEBBQQMDAwMDAwMDAwMBAkICwsLCwsLCwsLCwIIBwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsKCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLAAAAAAAAAAYAAAAFAAAABwAAAAQAAAAIAAAAAwAAAAkAAAACAAAACgAAAAEAAAALAAAAAAAAAAwAQaDgEAsxAgQEBQQGBQUFBQYFBQUFBgUFBQUGBgYFBQAAAAAAAAACAAAAAQAAAAMAAAAAAAAABABB4OAQC+EBAQQEBgYHBwcHCAgJCQYFBQcHCAgICAkJCgoHBgUHBwgICAgJCQoKAAgICAgJCQkJCgoLCwAICAgICQkJCQoKCwsADAwJCQoKCgoLCwsLAA0NCQkKCgoKCwsMDAAAAAoKCgoLCwwMDA0AAAAKCgoKCwsMDAwMAAAADg4KCwsLDAwNDQAAAA4OCwoLCw0MDQ0AAAAAAAwMCwwNDA4OAAAAAAAMDAwMDQwODgAAAAAAAAAGAAAABQAAAAcAAAAEAAAACAAAAAMAAAAJAAAAAgAAAAoAAAABAAAACwAAAAAAAAAMAEHQ4hALoAQCAwQGBgcHBwcHBwkHBwYGBwcICAgICQYGBgYHBwgICAgKBwcHBwcHCAgICAoKCgcHBwcICAgICgoKBwcICAgICAgKCgoHCAgICAgICAoKCggICAgICAgICgoKCgoICAgICAgKCgoKCgkJCAgICAoKCgoKCAgICAgIAAAAAAAAAAUAAAAEAAAABgAAAAMAAAAHAAAAAgAAAAgAAAABAAAACQAAAAAAAAAKAAAAAAAAAAEEBAcGBgcGBgQHBwoJCQsJCQQHBwoJCQoJCQcKCgsKCwsKCwYJCQsKCgsKCgYJCQsKCwsKCgcLCgsLCwwLCwYJCQsKCgsLCgYJCQsKCgwKCwAAAAEAAAAAAAAAAgAAAAEEAwYGCAgJCQkJCQkKCgsLAAcHBwcICAkJCQkKCgsLDAsABwcHBwgICQkJCQoKCwsLDAAICAcHCQkKCgkJCgoLCwwMAAAABwcJCQoKCgkKCgsLDAwAAAAICAkJCgoKCgsLCwsMDAAAAAgICQkKCgoKCwsMDAwMAAAACQkJCQoKCgoLCwwMDAwAAAAAAAkJCgoKCgsLDAwNDQAAAAAACQkKCgsLCwsMDA0NAAAAAAAJCQoKCwsLCwwMDQ0AAAAAAAoKCgoLCwwMDQwNDQAAAAAAAAAKCgsLDAwNDQ0NAAAAAAAAAAsLDAwMDA0NDQ4AAAAAAAAACwsMDAwMDQ0NDgAAAAAAAAAMDAwMDQ0NDQ4OAEH55hALCAwMDQ0NDQ4OAEGQ5xALQQgAAAAHAAAACQAAAAYAAAAKAAAABQAAAAsAAAAEAAAADAAAAAMAAAANAAAAAgAAAA4AAAABAAAADwAAAAAAAAAQAEHg5xALUQEDAwYGBwcJCQAHBwcHBwcJCQAHBwcHBwcJCQAICAcHCAgKCgAAAAcHCAgKCgAAAAkJCAgKCgAAAAkJCAgKCgAAAAoKCQkLCwAAAAAACQkLCwBBwOgQCyEEAAAAAwAAAAUAAAACAAAABgAAAAEAAAAHAAAAAAAAAAgAQfDoEAtEAQMDBgYAAAAAAAYGBgYAAAAAAAYGBgYAAAAAAAcHBgYAAAAAAAAABgcAAAAAAAAABwgAAAAAAAAACAgAAAAAAAAACQkAQdDpEAshBAAAAAMAAAAFAAAAAgAAAAYAAAABAAAABwAAAAAAAAAIAEGA6hALBQIEAwYGAEGZ6hALBQQEBAYGAEGy6hALBQQEBAYGAEHL6hALBQYGBgkJAEHk6hALBQYGBwkJAEGA7xALEQIAAAABAAAAAwAAAAAAAAAEAEGg7xALRAEEBAAAAAcHAAAABwcAAAAICAAAAAAAAAAEBgYAAAAICAAAAAgIAAAACQkAAAAAAAAABAYGAAAACAgAAAAICAAAAAkJAEG28BALKwcICAAAAAsLAAAACwsAAAAMCwAAAAAAAAAHCAgAAAAKCwAAAAsLAAAACwwAQbPxEAsrBggIAAAACwsAAAALCwAAAAwMAAAAAAAAAAYICAAAAAoLAAAACgsAAAALCwBBsPIQCysICQkAAAALDAAAAAsMAAAADAsAAAAAAAAACAoJAAAADAsAAAAMCwAAAAsMAEGg9BALEQIAAAABAAAAAwAAAAAAAAAEAEHA9BALFQIEBAAAAAAAAAUGBgAAAAAAAAUGBwBBkfUQCxUFBwcAAAAAAAAHCAgAAAAAAAAGCAgAQeL1EAsVBQcHAAAAAAAABggHAAAAAAAABwgIAEGZ+hALFQUHBwAAAAAAAAcICAAAAAAAAAcICABB6voQCxUHCAgAAAAAAAAICQkAAAAAAAAICQkAQbv7EAsVBggIAAAAAAAACAkIAAAAAAAACAkJAEHy/xALFQQHBwAAAAAAAAcICAAAAAAAAAcICABBw4ARCxUGCAgAAAAAAAAICQkAAAAAAAAICAkAQZSBEQsVBwgIAAAAAAAACAkJAAAAAAAACAkJAEHkpxELiAEBAAAAAAAAAAIAAAALCQ0MDAsMDA0PCAILBAgFBwoMDw0HCgkICAoNERELBAwFCQUICw4QDAYIBwYGCAsNEAsECQUGBAYKDRALBgsHBwYHCg0PDQkMCQgGCAoMDg4KCggGBQYJCw0PCwsJBgUGCAkMAAAAAP//////////CQAAAP//////////AEHsqhELBP////8AQfC6EQsZAQAAAAIAAAACAAAABAAAAAgAAAAQAAAAIABB+LwRCxHnAwAABAAAAAgAAAAQAAAAIABB7L4RCwsCAAAAUQAAAJCvBABBlL8RCwsCAAAAUQAAADCvBABB1L8RCwPAiAQAQeS/EQsD6IgEAEH0vxELAxCJBABBhMARCwM4iQQAQZTAEQsPYIkEAAAAAACIiQQAsIkEAEGswBELB9iJBAAAigQAQbzAEQsLKIoEAFCKBAB4igQAQZTBEQsDRGIEAEGkwRELA2xiBABBtMERCwOUYgQAQcTBEQsDvGIEAEHUwRELD+RiBAAAAAAADGMEADRjBABB7MERCwdcYwQAhGMEAEH8wRELC6xjBADUYwQA/GMEAEG8whELCwIAAABRAAAA8GEEAEHkwhELCwIAAABRAAAAkGEEAEGQwxELUQUECAoJCQoLDAQCBQYGCAoLDQgEBggHCQwMDgoGCAQFBgkLDAkFBgUFBgkLCwkHCQYFBQcKCgoJCwgHBgcJCwsMDQoKCQgJCwsPDwwNCwkKCwBB8MMRC68EBQUJCgkJCgsMBQEFBgYHCgwOCQUGCAgKDA4OCgUIBQYICw0OCQUHBgYICgwLCQcJBwYGBwoKCgkMCQgHBwoMCwsNDAoJCAkLCw4PDw0LCQkLAAAACAAAAKEZAAAQbwQAAQAAAAAAEOAAABBgAgAAAAAAAAC0iAQAAAAAAAQAAABxAgAAcGwEAAEAAAAAADDgAAAQYAMAAAAAAAAA8G4EAAAAAAACAAAAUQAAAOBrBAABAAAAAABQ4AAAEGAEAAAAAAAAAEBsBAAAAAAAAgAAAFEAAABQawQAAQAAAAAAUOAAABBgBAAAAAAAAACwawQAAAAAAAIAAAAhAQAA0GkEAAEAAAAAAHDgAAAQYAUAAAAAAAAAAGsEAAAAAAAEAAAAUQAAAHBpBAABAAAAAAB24AAAdmACAAAAAAAAAMRpBAAAAAAAAgAAAHkAAADAaAQAAQAAAAAAVOAAABBgBAAAAAAAAABAaQQAAAAAAAIAAACpAAAA0GcEAAEAAAAAAJ7gAABUYAQAAAAAAAAAgGgEAAAAAAACAAAAGQAAAJBnBAABAAAAAAAw4AAAEGADAAAAAAAAALBnBAAAAAAAAgAAAKkAAACgZgQAAQAAAAC4VOEAoPtgBAAAAAAAAABQZwQAAAAAAAIAAACpAAAAsGUEAAEAAAAAgNngAACRYAQAAAAAAAAAYGYEAAAAAAACAAAAIQEAADBkBAABAAAAAABw4AAAEGAFAAAAAAAAAGBlBABBsMgRC6ECAgUFBgYHBgcHCAgICAgICAgKBgYHBwcHCAgJCQkJCQkJCQoGBgcHCAgICAkJCQkJCQkJCgcHBwcICAgJCQkJCQkJCQkKCgoHBwgICQkJCQkJCQkJCQoLCwgICAgJCQkJCQkKCgkKCgoKCAgICAkJCQkJCQkJCgoLCgoICAkJCQkJCQkJCQkKCQoKCgsLCAgJCQkJCQkJCQkJCwsLCwsJCQkJCQkJCQoJCgkLCwsLCwkICQkJCQkJCQoKCQsLCgsLCQkJCQkJCQkJCgoJCwsLCwsLCwkJCgkJCQkKCQoKCwoLCwsLCQoKCgkJCQkJCQoLCwsLCwsJCQkJCQkJCQoJCwsKCwsLCwoKCQkJCQkJCgkKCwoLCwsLCwsJCQoJCQkJCQBB4MoRC0EIAAAABwAAAAkAAAAGAAAACgAAAAUAAAALAAAABAAAAAwAAAADAAAADQAAAAIAAAAOAAAAAQAAAA8AAAAAAAAAEABBsMsRC+EBAQQEBgYHBwkJCgsMDAYFBQcHCAcKCgsLDAwGBQUHBwgICgoLCwwMEAcHCAgJCQsLDAwNDREHBwgHCQkLCgwMDQ0TCwoICAoKCwsMDA0NEwsLCQcLCgsLDAwNDBMTEwoKCgoLDAwMDQ4SExMLCQsJDQwMDA0NExQTDQ8LCwwMDQ0ODRITFA8NDAoNCg0NDQ4UFBQUFA0ODAwNDA0NFBQUFBQNDAwMDgwODQAAAAAAAAAGAAAABQAAAAcAAAAEAAAACAAAAAMAAAAJAAAAAgAAAAoAAAABAAAACwAAAAAAAAAMAEGgzREL4QEBAwMNDQ0NDQ0NDQ0NAwYGDQ0NDQ0NDQ0NDQQIBw0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NAAAAAAAAAAYAAAAFAAAABwAAAAQAAAAIAAAAAwAAAAkAAAACAAAACgAAAAEAAAALAAAAAAAAAAwAQZDPEQsxAgQEBAUGBQUFBQYFBQUFBgUFBQUGBgYFBQAAAAAAAAACAAAAAQAAAAMAAAAAAAAABABB0M8RC+EBAQQEBgYHBwcHCAgJCQcFBQcHCAgICAkJCgoHBQYHBwgICAgJCQsKAAgICAgJCQkJCgoLCwAICAgICQkJCQoKCwsADAwJCQoKCgoLCwsLAA0NCQkJCQoKCwsMDAAAAAkKCQoLCwwLDQwAAAAKCgkJCwsMDA0MAAAADQ0KCgsLDAwNDQAAAA4OCgoLCwwMDQ0AAAAAAAsMCwsMDQ4NAAAAAAAMDAsLDQwODQAAAAAAAAAGAAAABQAAAAcAAAAEAAAACAAAAAMAAAAJAAAAAgAAAAoAAAABAAAACwAAAAAAAAAMAEHA0RELoAQCBAQGBgcHBwcICAoFBQYGBwcICAgICgUFBgYHBwgICAgKBwcHBwgICAgICAoKCgcHBwcICAgICgoKBwcICAgICAgKCgoHBwgICAgICAoKCggICAgICAkICgoKCgoICAgICAgKCgoKCgkJCAgICAoKCgoKCAgICAgIAAAAAAAAAAUAAAAEAAAABgAAAAMAAAAHAAAAAgAAAAgAAAABAAAACQAAAAAAAAAKAAAAAAAAAAEEBAcGBgcGBgQHBwoJCQsJCQQHBwoJCQsJCQcKCgoLCwsKCgYJCQsLCgsKCgYJCQsKCwsKCgcLCwsLCwsLCwYJCQsKCgsLCgYJCQoKCgsKCwAAAAEAAAAAAAAAAgAAAAIDAwYGBwcICAgICQkKCgsLAAUFBgYICAkJCQkKCgoKCwsABQUGBggICQkJCQoKCgoLCwAHBwcHCAgJCQkJCgoLCwwMAAAABwcICAkJCQkKCgsLDAwAAAAICAgICQkKCgoLCwsMDAAAAAgICAgJCQoKCgoLCwwMAAAACQkJCQoKCgoLCwwMDAwAAAAAAAkJCgoKCgsLDAwNDQAAAAAACQkJCQoKCwsMDA0NAAAAAAAJCQkJCgoLCwwMDQ0AAAAAAAkJCgoLCwwMDAwNDQAAAAAAAAAKCgsLDAwMDA0NAAAAAAAAAAsLCwsMDA0NDQ0AAAAAAAAACwsLCwwMDQ0NDQAAAAAAAAALCwwMDAwNDQ4OAEHp1RELCAwMDAwNDQ4OAEGA1hELQQgAAAAHAAAACQAAAAYAAAAKAAAABQAAAAsAAAAEAAAADAAAAAMAAAANAAAAAgAAAA4AAAABAAAADwAAAAAAAAAQAEHQ1hELUQEDAwYGBwcJCQAGBgcHCAgJCQAGBgcHCAgJCQAHBwgICAgKCgAAAAgICAgKCgAAAAgICQkLCwAAAAkJCQkLCwAAAAoKCgoLCwAAAAAACQkLCwBBsNcRCyEEAAAAAwAAAAUAAAACAAAABgAAAAEAAAAHAAAAAAAAAAgAQeDXEQtEAQMDBwcAAAAAAAUFBgYAAAAAAAUFBwcAAAAAAAcHBwcAAAAAAAAABwcAAAAAAAAACAkAAAAAAAAACAgAAAAAAAAACgoAQcDYEQshBAAAAAMAAAAFAAAAAgAAAAYAAAABAAAABwAAAAAAAAAIAEHw2BELBQIDBAYGAEGJ2RELBQQEBAYGAEGi2RELBQQEBAYGAEG72RELBQYGBgkJAEHU2RELBQYGBwkJAEHw3RELEQIAAAABAAAAAwAAAAAAAAAEAEGQ3hELFQEFBQAAAAAAAAUHBwAAAAAAAAUHBwBB4d4RCxUFCAcAAAAAAAAHCQkAAAAAAAAHCAkAQbLfEQsVBQcHAAAAAAAABwkIAAAAAAAABwkJAEHp4xELFQUIBwAAAAAAAAgJCQAAAAAAAAgJCQBBuuQRCxUHCQkAAAAAAAAJCQoAAAAAAAAJCgoAQYvlEQsVBwkJAAAAAAAACAoJAAAAAAAACQoKAEHC6RELFQUHCAAAAAAAAAgJCQAAAAAAAAgJCQBBk+oRCxUHCQkAAAAAAAAJCgoAAAAAAAAICQoAQeTqEQsVBwkJAAAAAAAACQoKAAAAAAAACQoJAEG0kRILjQYBAAAAAAAAAAIAAAAIAAAAoRkAAICVBAABAAAAAAAQ4AAAEGACAAAAAAAAACSvBAAAAAAABAAAAHECAADgkgQAAQAAAAAAMOAAABBgAwAAAAAAAABglQQAAAAAAAIAAABRAAAAUJIEAAEAAAAAAFDgAAAQYAQAAAAAAAAAsJIEAAAAAAACAAAAUQAAAMCRBAABAAAAAABQ4AAAEGAEAAAAAAAAACCSBAAAAAAAAgAAACEBAABAkAQAAQAAAAAAcOAAABBgBQAAAAAAAABwkQQAAAAAAAQAAABRAAAA4I8EAAEAAAAAAHbgAAB2YAIAAAAAAAAANJAEAAAAAAACAAAAeQAAADCPBAABAAAAAABU4AAAEGAEAAAAAAAAALCPBAAAAAAAAgAAAKkAAABAjgQAAQAAAAAAnuAAAFRgBAAAAAAAAADwjgQAAAAAAAIAAAAZAAAAAI4EAAEAAAAAADDgAAAQYAMAAAAAAAAAII4EAAAAAAACAAAAqQAAABCNBAABAAAAALhU4QCg+2AEAAAAAAAAAMCNBAAAAAAAAgAAAKkAAAAgjAQAAQAAAACA2eAAAJFgBAAAAAAAAADQjAQAAAAAAAIAAAAhAQAAoIoEAAEAAAAAAHDgAAAQYAUAAAAAAAAA0IsEAAAAAAACBAQGBgYGBwcICAgICAgICAoKCgcHBwcICAkJCQkJCQkJCgoKBwcIBwgICQkJCQkJCQkKCgoHBwgICAkJCQkJCQoJCQoKCgcHCAgJCAkJCQkKCQkKCgsLCAgICAkJCQkJCQoJCQoKCgoICAgICQkJCQkJCQkKCgsLCwgICQkJCQkJCQkJCQoKCgoLCwsICAkJCQkKCQkJCQkLCwsLCwkJCQkJCQkJCQkJCQsKCgsLCQkJCQkJCQkJCgoKCgsKCwsJCQkJCQkJCQkKCgkKCgsLCwsLCQkJCgkJCQkJCQoLCwsLCwsKCgoKCQkJCQkJCgsLCwsLCwkKCQkJCQoJCQkLCwsLCwsLCgoJCQkJCQkKCQsLCgsLCwsKCwkJCQkJCQkJAEHQlxILQQgAAAAHAAAACQAAAAYAAAAKAAAABQAAAAsAAAAEAAAADAAAAAMAAAANAAAAAgAAAA4AAAABAAAADwAAAAAAAAAQAEGgmBIL4QEBBAQGBQcHCQkKCgwMBgUFBwcICAoKDAsMDAYFBQcHCAgKCgsLDAwPBwcICAkJCwsMDA0MDwgICAcJCQoKDAwNDRALCggICgoLCwwMDQ0QCwsJCAsKCwsMDA0MEBAQCgsKCwwMDAwNDRAQEAsJCwkODAwMDQ0QEBAMDgsMDAwNDQ4NEBAQDw0MCg0KDQ4NDRAQEBAQDQ4MDQ0MDQ0QEBAQEA0MDAsODA8NAAAAAAAAAAYAAAAFAAAABwAAAAQAAAAIAAAAAwAAAAkAAAACAAAACgAAAAEAAAALAAAAAAAAAAwAQZCaEgvhAQEEAwoKCgoKCgoKCgoECAYKCgoKCgoKCgoKBAgHCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoAAAAAAAAABgAAAAUAAAAHAAAABAAAAAgAAAADAAAACQAAAAIAAAAKAAAAAQAAAAsAAAAAAAAADABBgJwSCzECAwMFBQYGBgUFBgYGBQUGBgYFBQYGBgUFAAAAAAAAAAIAAAABAAAAAwAAAAAAAAAEAEHAnBIL4QEBBAQGBgcHBwcICAoJBwUGBwcICAgICQkKCgcFBQcHCAgICAkJCgoACAgICAkJCQkKCgsKAAgICAgJCQkJCgoLCwAMDAkJCQoKCgsLCwsADQ0JCQkJCgoLCwsLAAAACgoKCgsLDAsMDAAAAAoKCgkLCwwLDQwAAAANDQoKCwsMDA0NAAAADg4KCgsLDAwNDQAAAAAACwwLCwwMDg0AAAAAAAwLCwsNCg4NAAAAAAAAAAYAAAAFAAAABwAAAAQAAAAIAAAAAwAAAAkAAAACAAAACgAAAAEAAAALAAAAAAAAAAwAQbCeEgugBAIDAwYGBwcHBwgICgoKBgYHBwgICAgKCgoGBgcHCAgICAoKCgcHBwcICAgICgoKBwcHBwgICAgKCgoHBwgICAgICAoKCgcHCAgICAgICgoKCAgICAgICAgKCgoKCggICAgICAoKCgoKCQkICAgICgoKCgoICAgICAgAAAAAAAAABQAAAAQAAAAGAAAAAwAAAAcAAAACAAAACAAAAAEAAAAJAAAAAAAAAAoAAAAAAAAAAQQEBwYGBwYGBAcHCgkJCwkJBAcHCgkJCwkJBgoKCwsLCwoKBgkJCwoKCwoKBgkJCwoLCwoKBwsKCwsLDAsLBwkJCwoKCwsKBgkJCgoKDAoLAAAAAQAAAAAAAAACAAAAAQQDBgYHBwgICAgJCQoKCwsAAAAHBwgICQkJCQoKCgoLCwAAAAcHCAgJCQkJCgoKCgsLAAAABwcICAkJCQkKCgsLCwsAAAAHBwgICQkJCQoKCwsMCwAAAAgICQkJCgoKCgoLCwwMAAAACAgJCQoJCgoKCgsLDAwAAAAJCQkJCgoKCgsLDAwMDAAAAAAACQkKCgoKCwsMDAwMAAAAAAAJCQoKCgsLCwwMDQ0AAAAAAAkJCgoKCgsLDAwNDQAAAAAACgoKCgsLDAwMDA0NAAAAAAAAAAoKCwsMDAwMDQ0AAAAAAAAACwsMDAwMDQ0NDQAAAAAAAAALCwsLDAwNDQ0NAAAAAAAAAAwMDAwMDA0NDg4AQdmiEgsIDAwMDA0NDg4AQfCiEgtBCAAAAAcAAAAJAAAABgAAAAoAAAAFAAAACwAAAAQAAAAMAAAAAwAAAA0AAAACAAAADgAAAAEAAAAPAAAAAAAAABAAQcCjEgtRAQMDBgUGBggIAAAABwcHBwkJAAAABwcHBwkJAAAABwcICAoKAAAABwcICAoKAAAACQkICAoKAAAACAgICAoKAAAACgoJCQsLAAAAAAAJCQsLAEGgpBILIQQAAAADAAAABQAAAAIAAAAGAAAAAQAAAAcAAAAAAAAACABB0KQSC0QBAwIHBwAAAAAADQ0GBgAAAAAADAAGBgAAAAAAAAAHBwAAAAAAAAAHBwAAAAAAAAAICQAAAAAAAAAICAAAAAAAAAALCgBBsKUSCyEEAAAAAwAAAAUAAAACAAAABgAAAAEAAAAHAAAAAAAAAAgAQeClEgsFAgMEBgUAQfmlEgsFBAQEBgYAQZKmEgsFBAQFBgYAQaumEgsFBgYGCAgAQcSmEgsFBgYGCAgAQeCqEgsRAgAAAAEAAAADAAAAAAAAAAQAQYCrEgsVAgQEAAAAAAAABQcGAAAAAAAABQYHAEHRqxILFQUHBwAAAAAAAAcICAAAAAAAAAcICABBoqwSCxUFBwcAAAAAAAAHCAgAAAAAAAAHCAgAQdmwEgsVBAcHAAAAAAAABwgIAAAAAAAABwgIAEGqsRILFQcICAAAAAAAAAgJCgAAAAAAAAgJCQBB+7ESCxUGCAgAAAAAAAAICQgAAAAAAAAICQkAQbK2EgsVBAcHAAAAAAAABwgIAAAAAAAABwgJAEGDtxILFQYICAAAAAAAAAgKCQAAAAAAAAgICQBB1LcSCxUHCAgAAAAAAAAICQkAAAAAAAAICQkAQaTeEgtdAQAAAAAAAAACAAAABAcNDg4PEBISBAIFCAcJDA8PCgQFCgYICw8RDAUHBQYICw4RCwUGBgUGCQ0RDAYHBgUGCAwODgcIBgYHCQsODggJBgUGCQsNEAoKBwYHCAoLAEGQ3xILXwYIDQwNDg8QEAQCBAcGCAsNDwoEBAgGCAsOEQsFBgUGCAwOEQsFBQYFBwoNEAwGBwgHCAoNDw0ICAcHCAoMDw8HBwUFBwkMDg8ICAYGBwgKCwAAAAIAAABRAAAAYAEFAEGM4BILCwIAAABRAAAAAAEFAEHM4BILA+DYBABB3OASCwMI2QQAQezgEgsDMNkEAEH84BILA1jZBABBjOESCw+A2QQAAAAAAKjZBADQ2QQAQaThEgsH+NkEACDaBABBtOESCwtI2gQAcNoEAJjaBABBjOISCwPEsgQAQZziEgsD7LIEAEGs4hILAxSzBABBvOISCwM8swQAQcziEgsPZLMEAAAAAACMswQAtLMEAEHk4hILB9yzBAAEtAQAQfTiEgsLLLQEAFS0BAB8tAQAQbTjEgsLAgAAAFEAAABwsgQAQdzjEgsLAgAAAFEAAAAQsgQAQZDkEgtRBQQJCgkKCwwNBAEFBwcJCwwOCAUHCQgKDQ0NCgcJBAYHCgwOCQYHBgYHCgwMCQgJBwYHCAsMCwsLCQgHCAoMDA0ODAsJCQkMDBERDxAMCgsNAEHw5BILrwQFBAgJCAkKDA8EAQUFBggLDAwIBQgJCQsNDAwJBQgFBwkMDQ0IBggHBwkLCwsJBwkHBwcHCgwKCgsJCAcHCQsLDA0MCwkICQsNEBAPDwwKCwwAAAAIAAAAoRkAADC/BAABAAAAAAAQ4AAAEGACAAAAAAAAANTYBAAAAAAABAAAAHECAACQvAQAAQAAAAAAMOAAABBgAwAAAAAAAAAQvwQAAAAAAAIAAABRAAAAALwEAAEAAAAAAFDgAAAQYAQAAAAAAAAAYLwEAAAAAAACAAAAUQAAAHC7BAABAAAAAABQ4AAAEGAEAAAAAAAAANC7BAAAAAAAAgAAACEBAADwuQQAAQAAAAAAcOAAABBgBQAAAAAAAAAguwQAAAAAAAQAAABRAAAAkLkEAAEAAAAAAHbgAAB2YAIAAAAAAAAA5LkEAAAAAAACAAAAeQAAAOC4BAABAAAAAABU4AAAEGAEAAAAAAAAAGC5BAAAAAAAAgAAAKkAAADwtwQAAQAAAAAAnuAAAFRgBAAAAAAAAACguAQAAAAAAAIAAAAZAAAAsLcEAAEAAAAAADDgAAAQYAMAAAAAAAAA0LcEAAAAAAACAAAAUQAAACC3BAABAAAAAKA74QCg+2AEAAAAAAAAAIC3BAAAAAAAAgAAAKkAAAAwtgQAAQAAAACA2eAAAJFgBAAAAAAAAADgtgQAAAAAAAIAAAAhAQAAsLQEAAEAAAAAAHDgAAAQYAUAAAAAAAAA4LUEAEGw6RILoQICBQUGBgcHBwcICAgICAgICAoGBgcHBwcICAkJCQkJCQkJCgYGBwcIBwgICQkJCQkJCQkKBwcHBwgICAkJCQkJCQkJCQoKCgcHCAgJCAkJCQkKCQkKCgoLCAgICAkJCQkJCQkKCQoKCgoICAgICQkJCQkJCQkKCgsKCggICQkJCQkJCQkJCQoKCgoKCwsICAkJCQkJCQkJCQoLCwsLCwkJCQkJCQkJCgkKCQsLCgsLCQkJCQkJCQkJCQoJCwsKCwsJCQkJCQkJCQkJCgkLCgsLCwsLCQkKCQkJCQkJCQoLCgsLCwsKCgoKCQkJCQkJCgsLCwsLCwkKCQkJCQkJCQkLCwoLCwsKCgoJCQkJCQkJCQoLCgsLCwsLCwkJCQkJCQkJAEHg6xILQQgAAAAHAAAACQAAAAYAAAAKAAAABQAAAAsAAAAEAAAADAAAAAMAAAANAAAAAgAAAA4AAAABAAAADwAAAAAAAAAQAEGw7BIL4QEBBAQGBgcHCQkKCwwMBgUFBwcICAoKDAsMDAYFBQcHCAgKCgwLDAwRBwcICAkJCgoMDA0NEgcHCAcJCQoKDAwMDRMKCggICgoLCwwMDQ4TCwoIBwoKCwsMDA0MExMTCgoKCgsLDAwNDRMTEwsJCwkODA0MDQ0TFBINDgsLDAwNDQ4NFBQUDw0LCg0LDQ0ODRQUFBQUDQ4MDA0NDQ0UFBQUFA0NDAwQDQ8NAAAAAAAAAAYAAAAFAAAABwAAAAQAAAAIAAAAAwAAAAkAAAACAAAACgAAAAEAAAALAAAAAAAAAAwAQaDuEgtRAQMDCwsLCwsLAwcGCwsLCwsLBAgHCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMAEGA7xILIQQAAAADAAAABQAAAAIAAAAGAAAAAQAAAAcAAAAAAAAACABBsO8SCzECBAQEBAYFBQUFBgUFBQUGBgYFBQYGBgUFAAAAAAAAAAIAAAABAAAAAwAAAAAAAAAEAEHw7xIL4QEBBAQGBgcHBwcICAkJBwUFBwcICAgICQkKCgcGBQcHCAgICAkJCgoACAgICAkJCQkKCgsLAAgICAgJCQkJCgoLCwAMDAkJCgoKCgsLCwsADQ0JCQkJCgoLCwsMAAAACQoKCgsLDAsMDAAAAAoKCQkLCwwMDAwAAAANDQoKCwsMDA0NAAAADg4KCgsLDAwNDQAAAAAACwwLCw0MDQ0AAAAAAAwMCwsNDA4OAAAAAAAAAAYAAAAFAAAABwAAAAQAAAAIAAAAAwAAAAkAAAACAAAACgAAAAEAAAALAAAAAAAAAAwAQeDxEgugBAIEBAYGBwcHBwcICQUFBgYHBwgICAgJBQUGBgcHCAgICAoHBwcHBwcICAgICgoKBwcHBwgICAgKCgoICAgICAgICAoKCggICAgICAgICgoKCAgICAgICAgKCgoKCggICAgICAoKCgoKCQkICAgICgoKCgoICAgICAgAAAAAAAAABQAAAAQAAAAGAAAAAwAAAAcAAAACAAAACAAAAAEAAAAJAAAAAAAAAAoAAAAAAAAAAQQEBwYGBwYGBAcHCgkJCwkJBAcHCgkJCwkJBwoKCgsLCwoKBgkJCwsKCwoKBgkJCwoLCwoKBwsKCwsLCwsLBgkJCwoKCwsKBgkJCwoKCwoLAAAAAQAAAAAAAAACAAAAAQQEBgYICAgICAgJCQoKCwsABgYHBwgICQkJCQoKCgsLCwAFBgcHCAgJCQkJCgoKCwsLAAcHCAgICAkJCQkKCgsLDAwAAAAICAgICQkJCQoKCwsMDAAAAAgICQkKCgoKCwsLCwwMAAAACAgJCQoKCgoLCwsLDAwAAAAJCQkJCgoKCgsLDAwMDQAAAAAACQkKCgoKCwsMDA0NAAAAAAAJCQoKCwsLCwwMDQ0AAAAAAAkJCgoLCgsLDAwNDQAAAAAACgoKCgsLDAwMDQ0NAAAAAAAAAAoKCwsMDAwNDQ0AAAAAAAAACwsMDAwMDQ0ODgAAAAAAAAALCwwLDAwNDQ0NAAAAAAAAAAwMDAwNDQ0NDg4AQYn2EgsIDAwMDA0NDg4AQaD2EgtBCAAAAAcAAAAJAAAABgAAAAoAAAAFAAAACwAAAAQAAAAMAAAAAwAAAA0AAAACAAAADgAAAAEAAAAPAAAAAAAAABAAQfD2EgtRAQQDBgYHBwkJAAUFBwcIBwkJAAUFBwcICAkJAAcHCAgICAoKAAAACAgICAoKAAAACQkJCQsLAAAACQkJCQsLAAAACgoKCgsLAAAAAAAJCQsLAEHQ9xILIQQAAAADAAAABQAAAAIAAAAGAAAAAQAAAAcAAAAAAAAACABBgPgSC0QBAwMHBwAAAAAABQQHBwAAAAAABQUHBwAAAAAABgcICAAAAAAAAAAICAAAAAAAAAAJCgAAAAAAAAAJCQAAAAAAAAALCwBB4PgSCyEEAAAAAwAAAAUAAAACAAAABgAAAAEAAAAHAAAAAAAAAAgAQZD5EgsFAQQEBgYAQan5EgsFBAUFBwcAQcL5EgsFBAUFBwcAQdv5EgsFBgcHCQkAQfT5EgsFBwcHCQkAQZD+EgsRAgAAAAEAAAADAAAAAAAAAAQAQbD+EgsVAQUFAAAAAAAABQcHAAAAAAAABQcHAEGB/xILFQUIBwAAAAAAAAcJCQAAAAAAAAcICQBB0v8SCxUFBwcAAAAAAAAHCQgAAAAAAAAHCQkAQYmEEwsVBQgHAAAAAAAACAkJAAAAAAAACAkJAEHahBMLFQcJCQAAAAAAAAkKCgAAAAAAAAkKCgBBq4UTCxUHCQkAAAAAAAAICgkAAAAAAAAJCgoAQeKJEwsVBQcIAAAAAAAABwkJAAAAAAAACAkJAEGzihMLFQcJCQAAAAAAAAkKCgAAAAAAAAkJCgBBhIsTCxUHCQkAAAAAAAAJCgoAAAAAAAAJCgoAQdSxEwuNBgEAAAAAAAAAAgAAAAgAAAChGQAAUOcEAAEAAAAAABDgAAAQYAIAAAAAAAAA9AAFAAAAAAAEAAAAcQIAALDkBAABAAAAAAAw4AAAEGADAAAAAAAAADDnBAAAAAAAAgAAAFEAAAAg5AQAAQAAAAAAUOAAABBgBAAAAAAAAACA5AQAAAAAAAIAAABRAAAAkOMEAAEAAAAAAFDgAAAQYAQAAAAAAAAA8OMEAAAAAAACAAAAIQEAABDiBAABAAAAAABw4AAAEGAFAAAAAAAAAEDjBAAAAAAABAAAAFEAAACw4QQAAQAAAAAAduAAAHZgAgAAAAAAAAAE4gQAAAAAAAIAAAB5AAAAAOEEAAEAAAAAAFTgAAAQYAQAAAAAAAAAgOEEAAAAAAACAAAAqQAAABDgBAABAAAAAACe4AAAVGAEAAAAAAAAAMDgBAAAAAAAAgAAABkAAADQ3wQAAQAAAAAAMOAAABBgAwAAAAAAAADw3wQAAAAAAAQAAABxAgAAMN0EAAEAAAAAoBvhAKD7YAMAAAAAAAAAsN8EAAAAAAACAAAAqQAAAEDcBAABAAAAAIDZ4AAAkWAEAAAAAAAAAPDcBAAAAAAAAgAAACEBAADA2gQAAQAAAAAAcOAAABBgBQAAAAAAAADw2wQAAAAAAAIEBAYGBwcHBwgICAgICAgICgoKBwcHCAgICQkJCQkJCQkKCgoHBwcHCAgJCQkJCQkJCQoKCgcHCAgICAkJCQkJCgkJCgoKBwcICAkICQkJCQoJCQoKCgoICAgICQgJCQkJCQoJCgoKCgcHCAgJCQkJCQkKCQoKCgoKCAgICQkJCQkJCQoKCgkLCgoKCggICQkJCQkKCQkJCgoKCgsLCQkJCQkJCQkKCQkKCwoKCwsJCQkJCQkJCQkJCgkLCwoLCwkJCQkJCQkJCQkKCQsKCgsLCwsJCQkJCQkJCQkJCgoKCwsLCwkKCQoJCQkJCgkKCwoLCgoKCgoJCQkKCQkJCgsLCgsLCgsKCgoJCQkJCgkJCgsKCwsLCwoLCgoJCgkJCQoAQfC3EwtBCAAAAAcAAAAJAAAABgAAAAoAAAAFAAAACwAAAAQAAAAMAAAAAwAAAA0AAAACAAAADgAAAAEAAAAPAAAAAAAAABAAQcC4EwvhAQEEBAYGBwcJCQsMDQwGBQUHBwgICgkMDAwMBgUFBwcICAoJDAsLDRAHBwgICQkKCgwMDQwQBwcIBwkJCgoLDAwNEAoKCAgKCgsMDAwNDRALCggHCwoLCwwLDQ0QEBAKCgoKCwsNDA0NEBAQCwkLCQ8NDA0NDRAQEA8NCwsMDQwMDg0QEBAODQsLDQwODQ0NEBAQEBANDQ0MDg0ODhAQEBAQDQ0MDA4ODw0AAAAAAAAABgAAAAUAAAAHAAAABAAAAAgAAAADAAAACQAAAAIAAAAKAAAAAQAAAAsAAAAAAAAADABBsLoTC/EEAQUFCgoGCQgKCgYKCQoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoICgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwoLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwBBsL8TCxECAAAAAQAAAAMAAAAAAAAABABB0L8TCzECAwMFBQYGBgUFBgYGBQUGBgYFBQYGBgUFAAAAAAAAAAIAAAABAAAAAwAAAAAAAAAEAEGQwBML4QEBBAQGBgcHBwcICAkJBwUFBwcICAgICQkKCgcFBgcHCAgICAkJCgoACAgICAkJCQkKCgsLAAgICAgJCQkJCgoLCwAMDAkJCgoKCgsLCwsADQ0JCQkJCgoLCwsMAAAACgoKCgsLCwsMDAAAAAoKCQkLCwsMDAwAAAANDQoKCwsMDA0NAAAADg4KCgsLDAwNDQAAAAAACwsLCw0MDQ0AAAAAAAwMCwsMDA0NAAAAAAAAAAYAAAAFAAAABwAAAAQAAAAIAAAAAwAAAAkAAAACAAAACgAAAAEAAAALAAAAAAAAAAwAQYDCEwugBAIDAwYGBwcHBwcICgoKBgYHBwgICAgKCgoGBgcHCAgICAoKCgcHBwcICAgICgoKBwcHBwgICAgKCgoIBwgICAgICAoKCgcHCAgICAgICgoKCAgICAgICAgKCgoKCggICAgICAoKCgoKCQkICAgICgoKCgoICAgICAgAAAAAAAAABQAAAAQAAAAGAAAAAwAAAAcAAAACAAAACAAAAAEAAAAJAAAAAAAAAAoAAAAAAAAAAQQEBwYGBwYGBAcHCgkJCgkJBAYHCgkJCwkJBwoKCwsLDAoLBgkJCwoLCwoKBgkJCwoLCwoKBwsKDAsLCwsLBwkJCgoKCwsKBgkJCwoKCwoKAAAAAQAAAAAAAAACAAAAAQQDBgYIBwgICAgJCQoKCwsAAAAHBwgICQkJCQkKCgoLCwAAAAcHCAgJCQkJCgoKCgsLAAAABwcICAkJCQkKCgsLCwsAAAAHBwgICQkJCQoKCwsLCwAAAAgICQkJCQoKCgoLCwwMAAAACAgJCQkJCgoKCgsLDAwAAAAJCQkJCgoKCgsLCwwMDAAAAAAACQkKCgoKCwsLCwwMAAAAAAAJCQoKCgoLCwwMDQ0AAAAAAAkJCgoKCgsLDAwNDQAAAAAACgoLCwsLCwwMDA0NAAAAAAAAAAsKCwsLCwwMDQ0AAAAAAAAACwsMCwwMDAwNDQAAAAAAAAALCwsMDAwMDQ0NAAAAAAAAAAwMDAwMDQ0NDg4AQanGEwsIDAwMDA0NDg4AQcDGEwtBCAAAAAcAAAAJAAAABgAAAAoAAAAFAAAACwAAAAQAAAAMAAAAAwAAAA0AAAACAAAADgAAAAEAAAAPAAAAAAAAABAAQZDHEwtRAQMDBgYGBggIAAAABwcHBwkJAAAABwcHBwkJAAAABwcHCAkJAAAABwcHBwkJAAAACQkICAoKAAAACAkICAoKAAAACgoJCQoKAAAAAAAJCQoKAEHwxxMLIQQAAAADAAAABQAAAAIAAAAGAAAAAQAAAAcAAAAAAAAACABBoMgTC0QBAwIIBwAAAAAAAAAGBgAAAAAAAAAGBgAAAAAAAAAHBwAAAAAAAAAHBwAAAAAAAAAICAAAAAAAAAAICAAAAAAAAAAJCQBBgMkTCyEEAAAAAwAAAAUAAAACAAAABgAAAAEAAAAHAAAAAAAAAAgAQbDJEwsFAQQEBgYAQcnJEwsFBAUFBwYAQeLJEwsFBAUGBwcAQfvJEwsFBgcHCQkAQZTKEwsFBgcHCQkAQbDOEwsRAgAAAAEAAAADAAAAAAAAAAQAQdDOEwsVAQUFAAAAAAAABQcHAAAAAAAABQcHAEGhzxMLFQUIBwAAAAAAAAcJCQAAAAAAAAcJCQBB8s8TCxUFBwcAAAAAAAAHCQkAAAAAAAAHCQkAQanUEwsVBQcHAAAAAAAACAoJAAAAAAAABwkJAEH61BMLFQcJCQAAAAAAAAkKCwAAAAAAAAkLCgBBy9UTCxUHCQkAAAAAAAAJCwkAAAAAAAAJCgsAQYLaEwsVBQcHAAAAAAAABwkJAAAAAAAACAkJAEHT2hMLFQcJCQAAAAAAAAkLCgAAAAAAAAkJCwBBpNsTCxUHCQoAAAAAAAAJCgsAAAAAAAAJCwoAQfSBFAtdAQAAAAAAAAACAAAABgYMDQ0OEBERBAIFCAcJDA8PCQQFCQcJDBASCwYHBAYICw4SCgUGBQUHCg4RCgUHBwYHCg0QCwUHBwcICgwPDQYHBQUHCQwNEAgJBgYHCQoMAEHgghQLXwkIDAsMDQ4OEAYBBQYGCQwOEQkEBQkHCQ0PEAgFCAYICg0REQkGBwcICQ0PEQsICQkJCgwQEA0HCAcHCQwODw0GBwUFBwoNDQ4HCAUGBwkKDAAAAAIAAABRAAAAMFMFAEHcgxQLCwIAAABRAAAA0FIFAEGchBQLA7AqBQBBrIQUCwPYKgUAQb2EFAsCKwUAQcyEFAsDKCsFAEHchBQLD1ArBQAAAAAAeCsFAKArBQBB9IQUCwfIKwUA8CsFAEGEhRQLCxgsBQBALAUAaCwFAEHchRQLA5QEBQBB7IUUCwO8BAUAQfyFFAsD5AQFAEGMhhQLAwwFBQBBnIYUCw80BQUAAAAAAFwFBQCEBQUAQbSGFAsHrAUFANQFBQBBxIYUCwv8BQUAJAYFAEwGBQBBhIcUCwsCAAAAUQAAAEAEBQBBrIcUCwsCAAAAUQAAAOADBQBB4IcUC1EDAwgICAgKDA4DAgYHBwgKDBAHBgcJCAoMDhAIBggEBQcJCw0HBggFBgcJCw4ICAoHBwYICg0JCwwJCQcICgwKDQ8LCwoJCg0NEBEODw4NDhEAQcCIFAuvBAQEBwgHCAoMEQMBBgYHCAoMDwcGCQkJCwwOEQgGCQYHCQsNEQcGCQcHCAkMDwgICggHBwcKDgkKDAoICAgKDgsNDw0MCwsMEBESEhMUEhAQFAAAAAgAAAChGQAAABEFAAEAAAAAABDgAAAQYAIAAAAAAAAApCoFAAAAAAAEAAAAcQIAAGAOBQABAAAAAAAw4AAAEGADAAAAAAAAAOAQBQAAAAAAAgAAAFEAAADQDQUAAQAAAAAAUOAAABBgBAAAAAAAAAAwDgUAAAAAAAIAAABRAAAAQA0FAAEAAAAAAFDgAAAQYAQAAAAAAAAAoA0FAAAAAAACAAAAIQEAAMALBQABAAAAAABw4AAAEGAFAAAAAAAAAPAMBQAAAAAABAAAAFEAAABgCwUAAQAAAAAAduAAAHZgAgAAAAAAAAC0CwUAAAAAAAIAAAB5AAAAsAoFAAEAAAAAAFTgAAAQYAQAAAAAAAAAMAsFAAAAAAACAAAAqQAAAMAJBQABAAAAAACe4AAAVGAEAAAAAAAAAHAKBQAAAAAAAgAAABkAAACACQUAAQAAAAAAMOAAABBgAwAAAAAAAACgCQUAAAAAAAIAAABRAAAA8AgFAAEAAAAAoDvhAKD7YAQAAAAAAAAAUAkFAAAAAAACAAAAqQAAAAAIBQABAAAAAIDZ4AAAkWAEAAAAAAAAALAIBQAAAAAAAgAAACEBAACABgUAAQAAAAAAcOAAABBgBQAAAAAAAACwBwUAQYCNFAuhAgMEBAYGBwcICAgICQkJCQkJCgYGBgYHBwgICAkJCQkJCQkKBgYGBgcHCAgICAkJCQkJCQoHBwcHCAgICAkJCQkJCQkJCgoKBwcHCAgICQkJCQkJCQkKCgoICAgICAgJCQkJCQkJCQoKCggICAgICAkJCQkJCQkJCwoLCAgICAgICQkJCQkJCQkKCgoLCwgICAgJCQkJCQkJCQsKCwsLCQkJCQkJCQkJCQkJCgsKCwsJCQkJCQkJCQkJCQoLCwoLCwkJCQkJCQkJCQkJCQsKCwsLCwsJCQkJCQkJCQkJCgsLCwsLCwkKCgoJCQkJCQkLCgsLCwsLCQkJCQkJCQkJCQsLCwsLCwsKCgkJCQkJCQkJCgsLCwsLCwsLCQkJCQkJCQkAQbCPFAtBCAAAAAcAAAAJAAAABgAAAAoAAAAFAAAACwAAAAQAAAAMAAAAAwAAAA0AAAACAAAADgAAAAEAAAAPAAAAAAAAABAAQYCQFAvhAQEEBAYGCAgJCQoLCwsGBQUHBwgICgoKCwsLBgUFBwcICAoKCwwMDA4HBwcICQkLCwsMCwwRBwcIBwkJCwsMDAwMDgsLCAgKCgsMDA0LDA4LCwgICgoLDAwNDQwODw4KCgoKCwwMDAwLDg0QCgoKCQwLDAwNDg4PDg4NCgoLCwwLDQsODA8NDgsKDAoMDA0NDQ0ODw8MDAsLDAsNDA4ODg4RDAwLCg0LDQ0AAAAAAAAABgAAAAUAAAAHAAAABAAAAAgAAAADAAAACQAAAAIAAAAKAAAAAQAAAAsAAAAAAAAADABB8JEUC1EBBAQMCw0NDg4EBwcLDQ4ODg4DCAMODg4ODg4OCgwODg4ODg4ODgUOCA4ODg4ODA4NDg4ODg4ODg0OCg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4AQdCSFAshBAAAAAMAAAAFAAAAAgAAAAYAAAABAAAABwAAAAAAAAAIAEGAkxQLMQIEBAQFBgUFBQUGBQUFBQYFBQUFBgYGBQUAAAAAAAAAAgAAAAEAAAADAAAAAAAAAAQAQcCTFAvhAQEEBAYGBwcHBwkJCgoHBQUHBwgICAgKCQsKBwUFBwcICAgICQoLCwAICAgICQkJCQoKCwsACAgICAkJCQkKCgsLAAwMCQkJCgoKCwsMDAANDQkJCQkKCgsLDAwAAAAKCgoKCwsMDAwNAAAACgoKCgsLDAwMDAAAAA4OCwsLCwwNDQ0AAAAODgsKCwsMDA0NAAAAAAAMDAwMDQ0NDgAAAAAADQwMDA0NDQ4AAAAAAAAABgAAAAUAAAAHAAAABAAAAAgAAAADAAAACQAAAAIAAAAKAAAAAQAAAAsAAAAAAAAADABBsJUUC6AEAgQEBQUHBwcHCAgKBQUGBgcHCAgICAoFBQYGBwcICAgICgcHBwcICAgICAgKCgoHBwcHCAgICAoKCggICAgICAgICgoKCAgICAgICAgKCgoICAgICAgJCQoKCgoKCAgICAkJCgoKCgoJCQkJCAkKCgoKCggJCAgJCAAAAAAAAAAFAAAABAAAAAYAAAADAAAABwAAAAIAAAAIAAAAAQAAAAkAAAAAAAAACgAAAAAAAAABBAQHBgYHBgYEBwYKCQkLCQkEBgcKCQkLCQkHCgoKCwsLCwoGCQkLCgoLCgoGCQkLCgsLCgoHCwsLCwsMCwsHCQkLCgoMCgoHCQkLCgoLCgoAAAABAAAAAAAAAAIAAAABBAQGBggICQkICAkJCgoLCwAGBgcHCAgJCQkJCgoLCwwMAAYFBwcICAkJCQkKCgsLDAwABwcHBwgICQkJCQoKCwsMDAAAAAcHCAgJCQoKCwsLCwwMAAAACAgJCQoKCgoLCwwMDAwAAAAICAkJCgoKCgsLDAwMDAAAAAkJCQkKCgoKCwsMDA0NAAAAAAAJCQoKCgoLCwwMDQ0AAAAAAAkJCgoLCwwMDQ0NDQAAAAAACQkKCgsLDAwMDQ0NAAAAAAAKCgsLCwsMDA0NDg4AAAAAAAAACwsLCwwMDQ0ODgAAAAAAAAALCwwMDQ0NDQ4OAAAAAAAAAAsLDAwNDQ0NDg4AAAAAAAAADAwMDQ0NDg4ODgBB2ZkUCwgMDA0NDg4ODgBB8JkUC0EIAAAABwAAAAkAAAAGAAAACgAAAAUAAAALAAAABAAAAAwAAAADAAAADQAAAAIAAAAOAAAAAQAAAA8AAAAAAAAAEABBwJoUC1EBBAMGBgcHCQkABQUHBwgHCQkABQUHBwgICQkABwcICAgICgoAAAAICAgICgoAAAAJCQkJCgoAAAAJCQkJCgoAAAAKCgoKCwsAAAAAAAoKCwsAQaCbFAshBAAAAAMAAAAFAAAAAgAAAAYAAAABAAAABwAAAAAAAAAIAEHQmxQLRAEDBAcHAAAAAAAEBAcHAAAAAAAEBQcHAAAAAAAGBwgIAAAAAAAAAAgIAAAAAAAAAAkJAAAAAAAAAAoJAAAAAAAAAAsLAEGwnBQLIQQAAAADAAAABQAAAAIAAAAGAAAAAQAAAAcAAAAAAAAACABB4JwUCwUBBAQGBgBB+ZwUCwUEBQUHBwBBkp0UCwUEBQUHBwBBq50UCwUGBwcJCQBBxJ0UCwUHBwcJCQBB4KEUCxECAAAAAQAAAAMAAAAAAAAABABBgKIUCxUBBAUAAAAAAAAFBwcAAAAAAAAFBwcAQdGiFAsVBQgIAAAAAAAACAkJAAAAAAAABwgJAEGioxQLFQUICAAAAAAAAAcJCAAAAAAAAAgJCQBB2acUCxUFCAgAAAAAAAAICgkAAAAAAAAICQkAQaqoFAsVBwoJAAAAAAAACQkKAAAAAAAACQoKAEH7qBQLFQcJCQAAAAAAAAgKCQAAAAAAAAkKCgBBsq0UCxUFCAgAAAAAAAAICQkAAAAAAAAICQoAQYOuFAsVBwkJAAAAAAAACQoKAAAAAAAACAkKAEHUrhQLFQcJCgAAAAAAAAkKCgAAAAAAAAkKCQBBpNUUC40GAQAAAAAAAAACAAAACAAAAKEZAAAgOQUAAQAAAAAAEOAAABBgAgAAAAAAAADEUgUAAAAAAAQAAABxAgAAgDYFAAEAAAAAADDgAAAQYAMAAAAAAAAAADkFAAAAAAACAAAAUQAAAPA1BQABAAAAAABQ4AAAEGAEAAAAAAAAAFA2BQAAAAAAAgAAAFEAAABgNQUAAQAAAAAAUOAAABBgBAAAAAAAAADANQUAAAAAAAIAAAAhAQAA4DMFAAEAAAAAAHDgAAAQYAUAAAAAAAAAEDUFAAAAAAAEAAAAUQAAAIAzBQABAAAAAAB24AAAdmACAAAAAAAAANQzBQAAAAAAAgAAAHkAAADQMgUAAQAAAAAAVOAAABBgBAAAAAAAAABQMwUAAAAAAAIAAACpAAAA4DEFAAEAAAAAAJ7gAABUYAQAAAAAAAAAkDIFAAAAAAACAAAAGQAAAKAxBQABAAAAAAAw4AAAEGADAAAAAAAAAMAxBQAAAAAABAAAAHECAAAALwUAAQAAAACgG+EAoPtgAwAAAAAAAACAMQUAAAAAAAIAAACpAAAAEC4FAAEAAAAAgNngAACRYAQAAAAAAAAAwC4FAAAAAAACAAAAIQEAAJAsBQABAAAAAABw4AAAEGAFAAAAAAAAAMAtBQAAAAAAAwQDBgYHBwgICQkJCQkJCQkKCwsGBgcHCAgJCQkJCQkJCQoKCgYGBwcICAkJCQkJCQkJCgoKBwcHCAgICQkJCQkJCgkKCwoHBgcHCAgJCQkJCQkJCgoKCwcHCAgICAkJCQkJCQkJCgoKBwcICAgICQkJCQkJCQoLCwsICAgICAgJCQkJCQkJCQsKCgsLCAgICQkJCQkJCgkKCgoKCwsJCQkJCQkJCQkJCQkLCwoLCwkJCQkJCQkJCQoKCgoLCgsLCQkJCQkJCQkJCQkJCwoKCwsLCwkJCQkJCQkJCgoKCwsKCwsLCQoKCQkJCQkJCQoLCwsLCwsJCQkJCQkJCQkJCwsLCwsLCwoKCQkJCQkJCQkLCwsKCwsLCwsJCQkKCQkJCQBBwNsUC0EIAAAABwAAAAkAAAAGAAAACgAAAAUAAAALAAAABAAAAAwAAAADAAAADQAAAAIAAAAOAAAAAQAAAA8AAAAAAAAAEABBkNwUC+EBAQQEBgYICAkKCgsLCwYFBQcHCAgJCgkLCwwFBQUHBwgJCgoMDA4NDwcHCAgJCgsLCgwKCw8HCAgICQkLCw0MDA0PCgoICAoKDAwLDgoKDwsLCAgKCgwNDQ4PDQ8PDwoKCgoMDA0MDQoPDw8KCgsKDQsNDQ8NDw8PDQ0KCwsLDAoOCw8PDg4NCgoMCw0NDg4PDw8PDwsLCwsMCw8MDw8PDw8MDAsLDgwNDgAAAAAAAAAGAAAABQAAAAcAAAAEAAAACAAAAAMAAAAJAAAAAgAAAAoAAAABAAAACwAAAAAAAAAMAEGA3hQL8QQBBwcLCwgLCwsLBAsDCwsLCwsLCwsLCwsLCwsKCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsKCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwcLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsKCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCgsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCAsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMAEGA4xQLEQIAAAABAAAAAwAAAAAAAAAEAEGg4xQLMQIDAwUFBgYGBQUGBgYFBQYGBgUFBgYGBQUAAAAAAAAAAgAAAAEAAAADAAAAAAAAAAQAQeDjFAvhAQEEBAYGBwcICAkJCgoGBQUHBwgICAgJCQsLBwUFBwcICAgICQoLCwAICAgICQkJCQoKCwsACAgICAkJCQkKCgsLAAwMCQkJCgoKCwsLDAANDQkJCQkKCgsLCwwAAAAKCgoKCwsMDAwNAAAACgoKCgsLDAwNDAAAAA4OCwoLDAwNDQ4AAAAPDwsLDAsMDA4NAAAAAAAMDAwMDQ0ODgAAAAAADQ0MDA0NDQ4AAAAAAAAABgAAAAUAAAAHAAAABAAAAAgAAAADAAAACQAAAAIAAAAKAAAAAQAAAAsAAAAAAAAADABB0OUUC6AEAQQEBgYHBwgICAgKCgoHBggICAgICAoKCgcGBwcICAgICgoKBwcICAgICAgKCgoHBwgICAgICAoKCggICAgJCQkJCgoKCAgICAkJCQkKCgoJCQkJCQkJCQoKCgoKCQkJCQkJCgoKCgoJCQkJCQkKCgoKCgkJCQkJCQAAAAAAAAAFAAAABAAAAAYAAAADAAAABwAAAAIAAAAIAAAAAQAAAAkAAAAAAAAACgAAAAAAAAABBAQHBgYHBgYEBgYKCQkLCQkEBgYKCQkKCQkHCgoLCwsMCwsHCQkLCwoLCgoHCQkLCgsLCgoHCgoLCwsMCwsHCQkLCgoLCgoHCQkLCgoLCgoAAAABAAAAAAAAAAIAAAABBAMGBgcHCAgICAkJCgoKCgAAAAcHCAgJCQkJCgoKCgsLAAAABwcICAkJCQkKCgoKCwsAAAAHBwgICQkJCQoKCwsLDAAAAAcHCAgJCQkJCgoLCwsLAAAACAgJCQkJCgoKCgsLDAwAAAAICAkJCQkKCgoLCwsMDAAAAAkJCgkKCgoKCwsLCwwMAAAAAAAJCQoKCgoLCwwMDAwAAAAAAAkJCgoKCwsLDAwNDQAAAAAACQkKCgoKCwsMDA0NAAAAAAAKCgsKCwsLDA0MDQ0AAAAAAAAACwoLCwwMDAwNDQAAAAAAAAALCwwMDAwNDQ0OAAAAAAAAAAsLDAwMDA0NDQ4AAAAAAAAADAwMDQ0NDQ0ODgBB+ekUCwgMDA0MDQ0ODgBBkOoUC0EIAAAABwAAAAkAAAAGAAAACgAAAAUAAAALAAAABAAAAAwAAAADAAAADQAAAAIAAAAOAAAAAQAAAA8AAAAAAAAAEABB4OoUC1EBAwMGBgYGCAgAAAAGBgcHCQkAAAAGBgcHCQkAAAAHBwgICgoAAAAHBwgICgoAAAAJCQkJCgoAAAAJCQkJCgoAAAAKCgoKCwsAAAAAAAoKCwsAQcDrFAshBAAAAAMAAAAFAAAAAgAAAAYAAAABAAAABwAAAAAAAAAIAEHw6xQLRAECAwcHAAAAAAAAAAYGAAAAAAAAAAYGAAAAAAAAAAcHAAAAAAAAAAcHAAAAAAAAAAkIAAAAAAAAAAgIAAAAAAAAAAoKAEHQ7BQLIQQAAAADAAAABQAAAAIAAAAGAAAAAQAAAAcAAAAAAAAACABBgO0UCwUBBAQHBgBBme0UCwUEBQUHBwBBsu0UCwUEBQUHBwBBy+0UCwUGBwcJCQBB5O0UCwUGBwcJCQBBgPIUCxECAAAAAQAAAAMAAAAAAAAABABBoPIUCxUBBAQAAAAAAAAFBwcAAAAAAAAFBwcAQfHyFAsVBQgIAAAAAAAACAkJAAAAAAAABwkKAEHC8xQLFQUICAAAAAAAAAcKCQAAAAAAAAgKCQBB+fcUCxUFCAgAAAAAAAAICgoAAAAAAAAICQoAQcr4FAsVBwoKAAAAAAAACQkLAAAAAAAACgsLAEGb+RQLFQcKCgAAAAAAAAkLCQAAAAAAAAoLCwBB0v0UCxUFCAgAAAAAAAAICgoAAAAAAAAICgoAQaP+FAsVBwoKAAAAAAAACgsLAAAAAAAACQkLAEH0/hQLFQcKCgAAAAAAAAoLCwAAAAAAAAkLCQBBxKUVC10BAAAAAAAAAAIAAAAFBgwODA4QERIEAgULBwoMDg8JBAULBwoNDxIPBgcFBggLDRALBQYFBQYJDQ8MBQcGBQYJDA4MBgcIBgcJDA0OCAgHBQUICgwQCQkIBgYHCQkAQbCmFQtRCgkMDwwNEA4QBwEFDgcKDRAQCQQGEAgLEBAQDgQHEAkMDhAQCgUHDgkMDg8PDQgJDgoMDQ4PDQkJBwYICwwMDggIBQQFCAsMEAoKBgUGCAkKAEGVpxULE0C/QAAAAAAAWMtAAAAAAACC5EAAQbWnFQsTcLdAAAAAAACUwUAAAAAAAEDfQABB1acVCyNwx0AAAAAAAIjTQAAAAAAAauhAAAAAAAAAAACamZmZmZm5vwBBhqgVCxPwPwACAAAAAgAAHgAAABkAAAAMAEGkqBULCR4AAAAZAAAADABBuKgVCwwUAAAAAAAAAPL///8AQdCoFQsc7P///+z////s////7P///+z////w////9v///wBB/KgVCzQKAAAAAgAAAAAAAABjAAAAYwAAAGMAAADs////7P///+z////s////7P////D////2////AEHAqRULAQUAQcypFQsoYwAAAGMAAABjAAAA7P///+z////s////7P///+z////w////9v///wBBkKoVC8QCYwAAAGMAAABjAAAAAAAAAPb////2////9v////b////7////+/////v///8AAAAABAAAAAoAAAAKAAAADAAAAAwAAAAMAAAAYwAAAGMAAABjAAAA8f////H////x////8f////b////2////+////wAAAAAAAAAABAAAAAQAAAAFAAAABQAAAAoAAABjAAAAYwAAAGMAAADi////4v///+L////i////4v///+j////s////8v////b////6////+P////j////6////+v///2MAAABjAAAAYwAAAPb////2////9v////b////7////+/////v///8AAAAABAAAAAoAAAAKAAAADAAAAAwAAAAMAAAAYwAAAGMAAABjAAAA8f////H////x////8f////b////2////+/////v////7////AEHorBULmQJjAAAAYwAAAGMAAADi////4v///+L////i////4v///+j////s////8v////b////6////+P////j////6////+v///2MAAABjAAAAYwAAAPH////x////8f////H////x////9P////b////4////AAAAAAIAAAAEAAAABAAAAAUAAAAFAAAAYwAAAGMAAABjAAAA4v///+L////i////4v///+b////q////7P////L////0////9P////b////2////9v////b///9jAAAAYwAAAGMAAADi////4v///+L////i////5v///+b////m////5v///+b////m////5v///+b////m////6P///2MAAABjAAAAYwBBkK8VCxgzMzMzMzPTPwAAAAAAAOA/AAAAAAAA4D8AQbavFQsyEkAAAAAAAAAWQAAAAAAAAD5ABgAAAAYAAAAAAAAAAEC/QAAAAAAAZMlAAAAAAAB85UAAQfWvFQtRQM9AAAAAAABY20AAAAAAAEDvQAAAAAAAavhAmpmZmZmZub+amZmZmZmpPwAAAAAAAOA/AAAAAAAA8D8ABAAAAAIAAAACAAAABAAAAAQAAAAEAEHQsBULCR4AAAAZAAAADABB5LAVCwkZAAAAFgAAAAwAQfiwFQsFFAAAAAwAQYyxFQswDwAAAAAAAADy////AAAAAAAAAADs////7P///+z////s////7P////D////2////AEHMsRULAQoAQeSxFQsc7P///+z////s////7P///+z////w////9v///wBBkLIVCwEKAEGoshULHOz////s////7P///+z////s////8P////b///8AQeyyFQsk4v///+L////i////4v///+L////m////7P////b////7////AEGwsxUL7AIKAAAACgAAAP////8KAAAACgAAAP////8UAAAAFAAAAP////8UAAAAFAAAAP/////x////8f////H////x////8f////b////2////+////wQAAAAKAAAACgAAAAoAAAAKAAAADAAAAAwAAAAOAAAAFAAAAPH////x////8f////H////x////9v////b////7////AAAAAAAAAAAEAAAABQAAAAUAAAAGAAAACAAAAAgAAAAPAAAA4v///+L////i////4v///+L////o////7P////L////2////+v////j////4////+v////r////6////+v////r////x////8f////H////x////8f////b////2////+////wQAAAAEAAAABAAAAAQAAAAFAAAABQAAAAYAAAAIAAAADwAAAPH////x////8f////H////x////8f////H////2////+/////v////7////AEGsthULbAQAAAAKAAAA4v///+L////i////4v///+L////o////7P////L////2////9v////b////2////9v////b////2////9v////b////x////8f////H////x////8f////T////2////+P///wBBtLcVC8QBBAAAAAoAAADs////7P///+z////s////8P////T////s////8v////b////2////9v////b////2////9v////b////5////+////+L////i////4v///+L////m////5v///+b////m////5v///+b////m////5v///+b////o////7P///+z////s////8f////H////x////8f////H////0////9v////j////7////+/////v////7////+////wBBhLkVC5QFBgAAAOL////i////4v///+L////m////6v///+z////u////7v///+7////s////7P///+z////s////7P///+z////w////4v///+L////i////4v///+b////m////5v///+b////m////5v///+b////m////5v///+j////s////7P///+z////x////8f////H////x////8f////b////2////+////wQAAAAKAAAACgAAAAoAAAAKAAAADAAAAAwAAAAOAAAAFAAAAPH////x////8f////H////x////9v////b////7////AAAAAAAAAAAEAAAABQAAAAUAAAAGAAAACAAAAAgAAAAPAAAA4v///+L////i////4v///+L////o////7P////L////2////+v////j////4////+v////r////6////+v////r////x////8f////H////x////8f////b////2////+////wQAAAAGAAAABgAAAAYAAAAGAAAACAAAAAoAAAAMAAAAFAAAAPH////x////8f////H////x////8f////H////2////+/////v////7////BAAAAAUAAAAGAAAACAAAAAgAAAAPAAAA4v///+L////i////4v///+L////o////7P////L////2////9v////b////2////9v////b////2////9v////b////x////8f////H////x////8f////T////2////+P///wAAAAACAAAABAAAAAQAAAAFAAAABQAAAAUAAAAIAAAADAAAAOz////s////7P///+z////w////9P///+z////y////9v////b////4////AEGovhULgAECAAAABQAAAOL////i////4v///+L////m////5v///+b////m////5v///+b////m////5v///+b////o////7P///+z////s////8f////H////x////8f////H////0////9v////j////7////+/////v////7////+////wBBtL8VC/ABBgAAAOL////i////4v///+L////m////6v///+z////y////9P////T////2////9v////b////2////9v////b////6////4v///+L////i////4v///+b////m////5v///+b////m////5v///+b////m////5v///+j////s////7P///+z////2////9v////b////2////+/////v////7////AAAAAAQAAAAGAAAACAAAAAgAAAAKAAAACgAAAAoAAAAOAAAAFAAAAPb////2////9v////b////2////+/////7////+////AEGwwRULwAEEAAAABQAAAAYAAAAIAAAACAAAAA8AAADi////4v///+L////i////4v///+j////s////8v////b////6////+P////j////6////+v////r////6////+v////b////2////9v////b////7////+/////v///8AAAAABAAAAAYAAAAGAAAABgAAAAYAAAAIAAAACgAAAAwAAAAUAAAA8f////H////x////8f////H////2////+/////v///8AQfzCFQvIAQQAAAAFAAAABgAAAAgAAAAIAAAADwAAAOL////i////4v///+L////i////6P///+z////y////9v////r////4////+P////r////6////+v////r////6////8f////H////x////8f////H////0////9v////j///8AAAAAAgAAAAQAAAAEAAAABQAAAAUAAAAFAAAACAAAAAwAAADs////7P///+z////s////8P////T////s////9v////v////7////AEHYxBULgAECAAAABQAAAOL////i////4v///+L////m////5v///+b////m////5v///+b////m////5v///+b////o////7P///+z////s////8f////H////x////8f////H////0////9v////j////7////+/////v////7////+////wBB5MUVC5wIBgAAAOL////i////4v///+L////m////6v///+z////y////9P////T////2////9v////b////2////9v////b////6////4v///+L////i////4v///+b////m////5v///+b////m////5v///+b////m////5v///+j////s////7P///+z///8AAAAAAAAAAJqZmZmZmek/AAAAAAAA8D8AAAAAAADwPwABAAAAAQAADycAAAAAAAAIAAAACAAAAAgAAAAIAAAAMzMzMzMz0z8AAAAAAADgPwAAAAAAAOA/AAAAAAAA4D+c////nP///5z///+X////fv///37///9+////dP///wAAAAAAABpAAAAAAAAAIEAAAAAAAAA+QAAAAAAAwFhAAAAAAAAA8D8AAAAAAAAAQAAAAAAAAAhAAAAAAAAAEEAEAAAABAAAAAQAAAADAAAAAwAAAAMAAAADAAAAAwAAAAMAAAADAAAAAwAAAAMAAAADAAAAAwAAAAMAAAAGAAAABQAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAQEAAAEBAAACAQAAAgEAAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIEAAAABAAAAAQAAAADAAAAAwAAAAMAAAADAAAAAwAAAAMAAAADAAAAAwAAAAMAAAADAAAAAwAAAAMAAAAGAAAABQAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAABAAAAAQAAAAEAAAEBAAACAQAAAgEAAAIBAAACAQAAAgEAAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIDAAAAAwAAAAMAAAADAAAAAwAAAAMAAAADAAAAAwAAAAMAAAADAAAAAwAAAAMAAAADAAAAAwAAAAMAAAAFAAAABAAAAAMAAAADAAAAAwAAAAMAAAADAAAAAwAAAAMAAAADAAAAAwAAAAMAAAADAAAAAwAAAAMAAAAAAIBAAACAQAAAgEAAAIBAAACAQAAAgEAAAIBAAACAQAAAgEAAAIBAAACAQAAAgEAAAIBAAACAQAAAgEAAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAQfvOFQuMAUEAAABBAAAAQQAAAEEAAABBAAAAQQAAAEEAAABBAAAAQQAAAEEAAABBAAAAQQAAAEEAAABBAAAAQQAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQgAAxkIAAMZCAADGQsBUAQAQaAUAwFQBADBoBQDAVAEAcGgFAEGQ0BULqwEBAAAAAAAAACAAAAD0iQEAhI4FAISOBQCsjgUArI4FAAEAAAAAAAAAIAAAABBuAQAkfQUAJH0FAEx9BQBMfQUAAQAAAAAAAAAgAAAAEG4BAAx+BQAMfgUATH0FAEx9BQABAAAAAAAAACAAAACAfgIAsGgFALBoBQDYaAUA2GgFAAEAAAAAAAAAIAAAAIB+AgCYaQUAmGkFANhoBQDYaAUAAgAAAGQAAADAfAUAQfDRFQsDJGoFAEGA0hULA0xqBQBBkNIVCwN0agUAQaDSFQsPnGoFAAAAAADEagUA7GoFAEG40hULBxRrBQA8awUAQcjSFQsHZGsFAIxrBQBB2NIVCwe0awUA3GsFAEHo0hULCwRsBQAsbAUAVGwFAEGY0xULCwIAAABkAAAAwGkFAEHA0xULtwUFCAoKCgsLDA4SBwUFBggJCgwOEQkFBAUGCAoLDRMJBQQEBQYJCgwRCAYFBAQFBwoLDwgHBwYFBQYJCw4ICQgHBgUGBwsOCQsLCQcGBgYJDgsODw0JCAcHCQ4NDxMRDAsKCQoOBAAAAFEAAABgfAUAAQAAAAAAEOAAABBgAgAAAAAAAAC0fAUAAAAAAAQAAABxAgAAwHkFAAEAAAAAADDgAAAQYAMAAAAAAAAAQHwFAAAAAAACAAAAUQAAADB5BQABAAAAAABQ4AAAEGAEAAAAAAAAAJB5BQAAAAAAAgAAACEBAACwdwUAAQAAAAAAcOAAABBgBQAAAAAAAADgeAUAAAAAAAQAAABRAAAAUHcFAAEAAAAAAHbgAAB2YAIAAAAAAAAApHcFAAAAAAACAAAAeQAAAKB2BQABAAAAAABU4AAAEGAEAAAAAAAAACB3BQAAAAAAAgAAAKkAAACwdQUAAQAAAAAAnuAAAFRgBAAAAAAAAABgdgUAAAAAAAIAAAAZAAAAcHUFAAEAAAAAADDgAAAQYAMAAAAAAAAAkHUFAAAAAAACAAAAqQAAAIB0BQABAAAAAIDQ4AAAdmAEAAAAAAAAADB1BQAAAAAAAgAAAHkAAADQcwUAAQAAAAAAVOAAABBgBAAAAAAAAABQdAUAAAAAAAIAAADhAAAAoHIFAAEAAAAAYPLgAACVYAQAAAAAAAAAkHMFAAAAAAACAAAAuQEAAIBwBQABAAAAAAB04AAAEGAFAAAAAAAAAEByBQAAAAAAAgAAAOEAAABQbwUAAQAAAAB1meEAGD1hBAAAAAAAAABAcAUAAAAAAAIAAABpAQAAkG0FAAEAAAAAkBvhAIC4YAUAAAAAAAAAAG8FAAAAAAABAAAAMQAAAIBsBQABAAAAAACY4AAAEGAGAAAAAAAAAMBsBQBBgNkVCzECAwQEBAUFBgUGBgYGBgYHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHCAgHCAgICAgIAEHA2RULwQEYAAAAFwAAABkAAAAWAAAAGgAAABUAAAAbAAAAFAAAABwAAAATAAAAHQAAABIAAAAeAAAAEQAAAB8AAAAQAAAAIAAAAA8AAAAhAAAADgAAACIAAAANAAAAIwAAAAwAAAAkAAAACwAAACUAAAAKAAAAJgAAAAkAAAAnAAAACAAAACgAAAAHAAAAKQAAAAYAAAAqAAAABQAAACsAAAAEAAAALAAAAAMAAAAtAAAAAgAAAC4AAAABAAAALwAAAAAAAAAwAEGQ2xULoQUBBAQHBwcHBwYJBwoIDAwNDQ4OBAcHCQkJCAkICgkLCQ4JDgoNCwQHBwkJCQkICQoKCwsMDQwNDg8HCQkKCwoKCgoLDA0NDQ4RDg8QBwkJCgoKCgoKCwwNDQ4ODw8SEggJCQsKCwsLDA0MDg4QDw8REg8ICQkKCgsLCwsNDQ4ODw8PEBASBwkICgoLCwwMDg4PDxAQDxEQEggJCQoKCwwMDA0NEA8REBESERIJCgoMCw0NDg0ODg8REBIREhESCQoKDAsMDQ0ODxAODxASEhISEQsLCw0NDg4QDw8PEA8PEhISERALCwwNDQ8ODxAQEBEQDxIREhASDA0NDw8PEBIQERAREBERERISEQ0NDQ8NEA8REBAQEhISEhARERINDw4PDxIREhISEBIREhESEBERDg4ODxAREBISEhESERISEhAQEA4REBEPEBISERIREhESEhIREhEPEA8SDxIREBISEhISEhESEBIRAAAAAAAAAAkAAAAIAAAACgAAAAcAAAALAAAABgAAAAwAAAAFAAAADQAAAAQAAAAOAAAAAwAAAA8AAAACAAAAEAAAAAEAAAARAAAAAAAAABIAAAAAAAAAAQUDCQgJCQkJCQkJCQkJBQcICQkJCQkJCQkJCQkJBQcICQkJCQkJCQkJCQkJCQkJCQkJCQkJCQoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKAEHA4BUL0QQHAAAABgAAAAgAAAAFAAAACQAAAAQAAAAKAAAAAwAAAAsAAAACAAAADAAAAAEAAAANAAAAAAAAAA4AAAAAAAAAAwUFBwcICAgICQkJCQkJCQkJCQkJBQYGBwcICAkJCQkJCQkJCQkKCgoKBQYGBwcICAkJCQkJCQkJCQkJCQkJBwcHCAgJCAkJCQkJCQoKCgoKCgoKBwcHCAgJCQkJCQkJCQoJCgoKCQoJCAgICQgJCQkJCgkKCgoKCgoKCgoKCAgICAkJCQkJCQkKCgoKCgoKCgoKCAkJCQkJCQkJCgoKCgoKCgoKCgoKCAkJCQkJCQkKCgoKCgoKCgoKCgoKCQkJCQkJCQoKCgoKCgoKCgoKCgoKCQkJCQkJCQoKCgoKCgoKCgoKCgoKCQkJCQkKCgoKCgoKCgoKCgoKCgoKCQkJCQkKCgoKCgoKCgoKCgoKCgoKCQkJCgoKCgoKCgoKCgoKCgoKCgoKCQkJCgoKCgoKCgoKCgoKCgoKCgoKCQkKCgoKCgoKCgoKCgoKCgoKCgoKCQoKCgoKCgoKCgoKCgoKCgoKCgoKCQoKCgoKCgoKCgoKCgoKCgoKCgoKCQoKCgoKCgoKCgoKCgoKCgoKCgoKCQoKCgoKCgoKCgoKCgoKCgoKCgoKCQoKCgoKCgoKCgoKCgoKCgoKCgoKAAAAAAAAAAoAAAAJAAAACwAAAAgAAAAMAAAABwAAAA0AAAAGAAAADgAAAAUAAAAPAAAABAAAABAAAAADAAAAEQAAAAIAAAASAAAAAQAAABMAAAAAAAAAFABBoOUVC+EBAQQEBwcICAcHCQgKCQsLBAcGCQgJCQkJCgkLCQwJBAYHCAgJCQkJCgoKCwsMBwkICgoLCwoKCwsMDA0MBwgICgoKCwoKCwsLDAwNCAkJCwsLCwsLDAwNDQ0NCAkJCwsLCwsLDAwNDQ0OCAkJCgoLCwwLDQ0ODQ4OCAkJCgoLCwwMDAwNDQ4OCQoKCwsMDA0MDQ0ODg8PCQoKCwsMDAwNDQ0ODg4PCgsLDAwNDQ4NDg4PDg8PCgsLDAwNDA0ODg4ODg8PCwwMDQ0NDQ4ODw4PDxAQCwwMDQ0NDQ4ODg8PDxAQAEGQ5xUL0QMHAAAABgAAAAgAAAAFAAAACQAAAAQAAAAKAAAAAwAAAAsAAAACAAAADAAAAAEAAAANAAAAAAAAAA4AAAAAAAAAAgUFBwcHBwcHCAgFBgYHBwcHCAgICAUGBgcHBwcICAgIBwcHBwcICAgICAgHBwcHBwgICAgICAcHBwgICAgICAgIBwcHCAgICAgICAgHCAgICAgICAgICAcICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAAAAAAAAAAFAAAABAAAAAYAAAADAAAABwAAAAIAAAAIAAAAAQAAAAkAAAAAAAAACgAAAAAAAAABBAQHBwgICAgJCQoKBAYGCAgJCQkJCgoLCgQGBggICQkJCQoKCwsHCAgKCQoKCgoLCwwMBwgICgoKCgoKCwsMDAgJCQoKCwsLCwwMDQ0ICQkKCgsLCwsMDA0NCAkJCwoLCwwMDQ0ODQgJCQoKCwsMDA0NDQ0JCgoLCwwMDQ0NDQ4OCQoKCwsMDA0NDQ0ODgoLCwwMDQ0ODQ4ODw4KCwsMDA0NDg0ODg8OAAAAAAAAAAYAAAAFAAAABwAAAAQAAAAIAAAAAwAAAAkAAAACAAAACgAAAAEAAAALAAAAAAAAAAwAQfDqFQsxAgUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQAAAAAAAAACAAAAAQAAAAMAAAAAAAAABABBsOsVC+EBAQUEBwcICAgICgoLCwQGBgcHCQkJCQoKCwsEBgYHBwkJCQkKCgsLBwgICQkJCQoKCwsMDAcHBwkICgkKCgsLDAwICQkJCgoKCwsMDA0NCAkJCgkKCgsLDAwNDQgJCQoKCwsLCwwMDQ0ICQkKCgsLDAsMDA0NCgoKCwsMDAwMDQ0ODgoKCgsLDAwMDA0NDg4LCwsMDA0NDQ0ODg4OCwsLDAwNDQ0NDg4ODgAAAAAAAAAGAAAABQAAAAcAAAAEAAAACAAAAAMAAAAJAAAAAgAAAAoAAAABAAAACwAAAAAAAAAMAEGg7RULsQQCBQUGBgcHCAgICAUGBgcHBwcICAgIBQYGBgcHBwgICAgGBwcHBwgICAgICAYHBwcHCAgICAgIBwcHCAgICAgICAgHBwcICAgICAgICAgICAgICAgICAkJCAgICAgICAgICQkICAgICAgICQkJCQgICAgICAgJCQkJAAAAAAAAAAUAAAAEAAAABgAAAAMAAAAHAAAAAgAAAAgAAAABAAAACQAAAAAAAAAKAAAAAAAAAAEEBAUHBwUHBwUICAcJCQcJCgUICAcKCQcKCQUICAgLCggKCgcKCgkJDAoMDAcKCgkMCgoLDAUICAgKCggLCwcLCgoMCwkKDAcKCwoMDAkMCQAAAAEAAAAAAAAAAgAAAAIFBQYGBwcICAkJCgoLCwsLBQUFBwYIBwkJCQkKCgsLDAwFBQUGBgcICAkJCQoKCwsMDAYHBgcHCAgJCQkJCgoLCwwMBgYHBwcICAkJCQkKCgsLDAwHCAgICAkJCQkKCgsLCwsMDAcHCAgICQkJCQoKCwsLCwwMCAkJCQkJCQoKCgoLCwwMDAwICQkJCQkJCgoKCgsLDAwMDAkJCQkJCgoKCgoLCwsMDA0NCQkJCQkKCgoKCwoLCwwMDQ0KCgoKCgsLCwsLCwsMDAwNDQoKCgoKCwsLCwsLDAsMDA0NCwsLCwsLCwwMDAwMDA0NDQ0LCwsLCwsLDAwMDA0MDQ0NDQsMDAwMDAwMDA0NDQ0NDQ4OCwwMDAwMDAwNDQ0NDQ0NDg4AQeDxFQtBCAAAAAcAAAAJAAAABgAAAAoAAAAFAAAACwAAAAQAAAAMAAAAAwAAAA0AAAACAAAADgAAAAEAAAAPAAAAAAAAABAAQbDyFQtRAgQEBgYHBwkJBAUFBgYIBwkJBAUFBgYHCAkJBgYGBwcICAoKBgYGBwcICAoKBwgHCAgJCQsKBwcICAgJCQoLCQkJCgoLCgsLCQkJCgoKCwsLAEGQ8xULIQQAAAADAAAABQAAAAIAAAAGAAAAAQAAAAcAAAAAAAAACABBwPMVC/EEAwUFCAgFBwcJCQUHBwkJCQoJCwsJCQkLCwUHBwkJBwgICgoHCAgKCgoKCgwMCQoKCwwFBwcJCQcICAoKBwgICgoJCgoMCwoKCgwMCQoKDAwKCgoMDAkKCgwMDAwMDg4LDAwNDgkKCgwMCQoKDAwKCgoMDAsMDA4NDAwMDg0FBwcJCQcICAoKBwgICgoKCgoMDAoKCgwMBwgICwoICQkLCwgJCQsLCgsLDA0KCwsMDQcICAoKCAkICwoICQkLCwoLCg0MCgsLDQ0KCwoNDAoLCw0NCgsLDQ0MDA0NDgwNDQ4OCQoKDAwKCwoNDAoLCw0NDA0MDg0MDQ0ODwUHBwkKBwgICgoHCAgKCgoKCgwMCgoLDAwHCAgKCggJCQsLCAgJCgsKCwsNDQoKCwwNBwgICgoICQkLCwgJCQsLCgsLDQwKCwsNDAkKCgwMCgsLDQ0KCgsMDQwNDQ8ODAwNDA4JCgsMDQoLCw0NCgsLDQ0MDQ0ODgwNDA4NCAoKDAwJCwoNDAkKCgwNDA0NDg4MDAwODgkKCg0NCgsLDQ0KCwsNDQ0NDQ4PDA0NDg8JCgoMDQoLCg0NCgsLDA0MDQwPDgwNDQ4PCwwMDw4MDA0ODwwNDQ8ODQ0PDhAODg4QDwsMDA4OCwwMDg4MDQ0ODw0ODQ8NDg4ODxAICQoMDAkKCg0MCQoLDA0MDAwODgwNDQ4OCQoKDQwKCwsNDQoKCw0NDA0NDw4MDA0ODwkKCg0NCgsLDQ0KCwsNDQwNDQ4ODQ0NDw8LDAwODQwNDQ8OCwwMDg4ODg4QDw0NDg0QCwwMDg4MDQ0ODwwNDA4ODg4OEBAODw0QDgBBwPgVCxECAAAAAQAAAAMAAAAAAAAABABB4PgVC88BAQUFBQcHBQcHBQcHBwkJBwkJBQcHBwkJCAkJBQcHCAkJBwkJBwkJCQoLCQoKBwkJCQoJCQoLBQgHBwkJCAkJBwkJCQsKCQkKBwkJCQoKCQsKAAAAAQAAAAAAAAACAAAACAsNDQ8QExMTEwsICAkJCw0PExQOCAcHCAkMDQ8UDwkGBQUHCgwOEg4JBwUDBAcKDBANCggGAwMFCAsOCwoJBwUEBAYLDgoKCggGBQUGCg4KCgoJCAcHBwoOCwwMDAsKCgoMEAIAAABkAAAAII4FAEHk+hULA6R+BQBB9PoVCwPMfgUAQYT7FQsD9H4FAEGU+xULAxx/BQBBpPsVCwNEfwUAQbT7FQsPbH8FAAAAAACUfwUAvH8FAEHM+xULB+R/BQAMgAUAQdz7FQsLNIAFAFyABQCEgAUAQYz8FQsLAgAAAGQAAABAfgUAQcD8FQvnBAMGCggMCA4IDhMFAwUFBwYLBxATBwUGBwcJCwwTEwYEBwUHBgoHEhIIBgcHBwcICRISBwUIBQcFCAYSEgwJCgkJCQgJEhIIBwoGCAUGBAsSCw8QDAsICAYJEg4SEhIQEBANEBIEAAAAUQAAAMCNBQABAAAAAAAQ4AAAEGACAAAAAAAAABSOBQAAAAAABAAAAFEAAABgjQUAAQAAAAAAEOAAABBgAgAAAAAAAAC0jQUAAAAAAAQAAABxAgAAwIoFAAEAAAAAADDgAAAQYAMAAAAAAAAAQI0FAAAAAAAEAAAAcQIAACCIBQABAAAAAAAw4AAAEGADAAAAAAAAAKCKBQAAAAAAAgAAAFEAAACQhwUAAQAAAAAAUOAAABBgBAAAAAAAAADwhwUAAAAAAAIAAABRAAAAAIcFAAEAAAAAAFDgAAAQYAQAAAAAAAAAYIcFAAAAAAAEAAAAUQAAAKCGBQABAAAAAAB24AAAdmACAAAAAAAAAPSGBQAAAAAAAgAAAHkAAADwhQUAAQAAAAAAVOAAABBgBAAAAAAAAABwhgUAAAAAAAIAAAB5AAAAQIUFAAEAAAAAgLvgAAB2YAQAAAAAAAAAwIUFAAAAAAACAAAAeQAAAJCEBQABAAAAAABU4AAAEGAEAAAAAAAAABCFBQAAAAAAAgAAAOEAAABggwUAAQAAAADkW+EA4P9gBAAAAAAAAABQhAUAAAAAAAIAAADhAAAAMIIFAAEAAAAAwN3gAACRYAQAAAAAAAAAIIMFAAAAAAACAAAAIQEAALCABQABAAAAAABw4AAAEGAFAAAAAAAAAOCBBQBBsIEWC6ECAQYGBwgICwoJCQsJCgkLCwkGBwYLCAsJCgoLCQsKCgoLCQUHBwgICgsICAsJCQoLCQoLCAkGCAgJCQoKCwsLCQsKCQsICAgJCAkKCwkJCwsKCQkLCggLCAkICwkKCQoLCwoKCQoKCAgJCgoKCQsJCgsLCwsKCQsJCQsLCggLCwsJCgoLCgsLCQsKCQsKCgoKCQsKCwoJCQoLCQgKCwsKCgsJCwoLCwoLCQkICggJCwkICgoJCwoLCgsJCwgKCwsLCwoKCwsLCwoLCwoJCAoKCQsKCwsLCQkJCwsLCgoJCQoJCwsLCwgKCwoLCwoLCwkJCQoJCwkLCwsLCwoLCwoLCgsLCQsKCwoJCgkKCgsLCwsJCgkKCwsKCwsLCwsLCgsLCgBB4IMWC0EIAAAABwAAAAkAAAAGAAAACgAAAAUAAAALAAAABAAAAAwAAAADAAAADQAAAAIAAAAOAAAAAQAAAA8AAAAAAAAAEABBsIQWC+EBAQYFCQkKCgYHCQkKCgoKBQoICggKCggICgkKCgoKBQgJCgoKCggKCgoKCgoKCQoKCgoKCgkJCgoKCgoKCQkICQoKCgkKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCggKCgoKCgoKCgoKCgoKBggICgoKCAoKCgoKCgoKBQgICgoKCQkKCgoKCgoKCgkKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJAEGghhYLoQIHAAAABgAAAAgAAAAFAAAACQAAAAQAAAAKAAAAAwAAAAsAAAACAAAADAAAAAEAAAANAAAAAAAAAA4AAAAAAAAAAQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAEHQiBYLgQYHAAAABgAAAAgAAAAFAAAACQAAAAQAAAAKAAAAAwAAAAsAAAACAAAADAAAAAEAAAANAAAAAAAAAA4AAAAAAAAAAgUFBgYHBwgICAgEBgYHBwgHCAgICAQGBgcHBwcICAgIBgcHBwcICAgICAkGBwcHBwgICAgJCQcHBwgICAgJCQkJBwcHCAgICAkJCQkICAgICAkJCQkJCQgICAgICQkJCQkJCAgICQgJCQkJCQkICAgJCQkJCQkJCQAAAAAAAAAFAAAABAAAAAYAAAADAAAABwAAAAIAAAAIAAAAAQAAAAkAAAAAAAAACgAAAAAAAAABBAQFBQgICgoMDAQHBwgICQkMCw4NBAcHBwgJCgsLDQwFCAgJCQsLDA0PDgUHCAkJCwsNDREPCAkKCwsMDREOERAICgkLCwwMDQ8PEQoLCwwNDg8PEBARCQsLDAwODxEPDxALDgwODxAPEBAQDwsNDQ4ODw8QEA8QAAAAAAAAAAUAAAAEAAAABgAAAAMAAAAHAAAAAgAAAAgAAAABAAAACQAAAAAAAAAKAAAAAAAAAAIEBAYGBwcICAgIBAYFBwcICAgICAgEBQYHBwgICAgICAYHBwgICAgJCQkJBgcHCAgICAkJCQkHCAgICAkJCQoJCgcICAgICQkJCQoJCAgICQkKCgoKCgoICAgJCQkJCgoKCggICAkJCQoKCgoKCAgICQkKCgoKCgoAAAAAAAAABQAAAAQAAAAGAAAAAwAAAAcAAAACAAAACAAAAAEAAAAJAAAAAAAAAAoAAAAAAAAAAQQEBAgIBAgIBQsJCAwLCAwLBQoLCAsMCAsMBAsLCw4NCg0NCA4NDA4QDBAPCA4ODRAODA8QBAsLCg4NCw4OCA8ODA8PDA4QCA4OCxAPDA8NAAAAAQAAAAAAAAACAAAAAwQEBgYHBwkJBAQEBgYICAkJBAQEBgYHBwkJBgYGBwcICAoJBgYGBwcICAkKBwgHCAgJCQoKBwgICAgJCQoKCQkJCgoKCgsLCQkJCgoKCgsLAEHgjhYLIQQAAAADAAAABQAAAAIAAAAGAAAAAQAAAAcAAAAAAAAACABBkI8WC1EBBAQHBwcHCQkEBgYICAgICgoEBQYICAgICgoHCAgJCQkJCwsHCAgJCQkJCwsHCAgKCQsLDAsHCAgJCQsLDAwJCgoLCwwMDQwJCgoLCwwMDA0AQfCPFgshBAAAAAMAAAAFAAAAAgAAAAYAAAABAAAABwAAAAAAAAAIAEGgkBYL8QQEBQUICAYGBwkJBgYGCQkJCgkLCwkJCgsLBgcHCgkHBwgJCgcHCAoKCgoKCgwJCQoLDAYHBwkJBwgHCgoHCAcKCgkKCQwLCgoJDAoJCgoMCwoKCgwMCQoKDAwMCwwNDQsLDAwNCQoKCwwJCgoMDAoKCgwMCwwLDg0LDAwODQUHBwoKBwgICgoHCAcKCgoKCgwMCgoKDAwGCAcKCgcHCQoLCAkJCwoKCgsLDQoKCwwNBggICgoHCQgLCggJCQoLCgsKDQsKCwoMDAoLCgwLCgoKDA0KCwsNDAsLDQsODAwNDg4JCgoMDQoLCg0MCgsLDA0LDAsODAwNDQ8OBQcHCgoHBwgKCgcICAoKCgoKCwwKCgoMDAcICAoKCAkICwoHCAkKCwoLCwwMCgoLCw0HBwgKCggICQoLBwkHCwoKCwsNDAsLCg0LCQoKDAwKCwsNDAoKCwwMDA0NDg4LCwwMDgoKCwwMCgsLDA0KCgoNDAwNDQ8ODA0KDgsICgoMDAoLCg0NCQoKDAwMDQ0PDgsMDA0NCQoKDQwKCgsNDQoLCg0MDAwNDg8MDQwPDQkKCgwNCgsKDQwKCgsMDQwODA8NDAwNDg8LDAsODQsLDA4PDA0MDw4NCw8LEA0ODhAPCwwMDg4LDAsODQwMDQ4PDQ4MEAwODg4PDwgKCgwMCQoKDAwKCgsNDQsMDA0NDA0NDg8JCgoNDAoLCw0MCgoLDQ0MDQwPDgwMDQ0QCQkKDA0KCgsMDQoLCg0NDAwNDQ8NDQwPDQsMDA4ODA0MDw4LCwwNDg4ODhAPDQwPDBALCwwNDgwNDQ4PCgwLDg0ODw4QEA0OCw8LAEGglRYLEQIAAAABAAAAAwAAAAAAAAAEAEHAlRYL8QQBBQUICAYHBwkJBQcHCQkJCgkLCwkJCgsLBggICgoICQoLCwgJCgsLCgsLDA0KCwsNDQYICAoKCAoJCwsICgkLCwoLCw0NCgsLDQwJCwsODQoMDA8OCgwLDg0MDQ0PDwwNDRAOCQsLDQ4KCwwODgoMDA4PDA0NDg8MDQ4PEAUICAsLCAoKDAwICgoMDAsMDA4OCwwMDg4ICgoMDAkLDAwNCgwMDQ0MDA0ODwsNDQ8PBwoKDAwJDAsNDAoLDA0NDA0MDw4LDA0PDwoMDA8OCw0NEA8LDQ0QDw4NDg8QDQ8PEREKDAwODwsMDA8PCw0NDxANDw0QDw0PDxARBQgICwsICgoMDAgKCgwMCwwMDg4LDAwODgcKCgwMCgwMDg0JCwwMDQwNDQ8PDAwNDQ8HCgoMDQoLDA0NCgwLDQ0LDQ0PDwwNDA8OCQwMDw4LDQ0PDwsMDQ8PDQ4OERMNDQ4QEAoMDA4PCw0NDxALDQwQDw0PDxESDg8NEA8ICwsPDgoMDBAPCgwMEBAODw8SEQ0ODxASCQwMDw8LDA4QEQsNDRAPDw8PERIODxAREQkMDA8PCw4NEBALDQ0QEA8QDxESDhAPERAMDg4REAwODxIRDQ8PEREPDxIQFA8QERISCw4OEBENDw4SEQ0PDxERDxEPEhEPERATEggLCw4PCgwMDw8KDAwQEA0ODhEQDg8PEREJDAwPEAsNDRAQCwwNEBAOEA8UEQ4QEBERCQwMDxALDQ0QEQsNDREQDg8PERIPDw8SEgsODhEQDQ8PERENDg4SEQ8QEBITDw8RERMLDg4QEQ0PDhETDQ8OEhEPERASEg8RDxIQAEHAmhYLEQIAAAABAAAAAwAAAAAAAAAEAEHgmhYLrwIDBAQFBgYFBgYFBgYGBwgGBwgFBgYGCAcGCAcFBgYGCAgGCAgGCAgHBwoICQkGCAgHCQgICQoFBgYGCAgHCAgGCAgICgkHCAkGCAgICQkHCggAAAABAAAAAAAAAAIAAAABBAQFBwcFBwcFCAcHCgoHCQoFBwgHCgkHCgoFCAgICgoICgoHCgoKCwwKDA0HCgoJDQsKDA0FCAgICgoICgoHCgoKDAwJCwwHCgsKDAwKDQsAAAABAAAAAAAAAAIAAAAFBwoJCwoPCw0QBgQGBgcHCgkMEAoGBQYGBwoLEBAJBgcGBwcKCA4QCwYFBAUGCAkPEAkGBgUGBgkIDhAMBwYGBQYGBw0QCAYHBgUFBAQLEAkICQkHBwYFDRAODhAPEA8QEBAQAgAAAEAAAABwnAUAQcSdFgsDbI8FAEHUnRYLA5SPBQBB5J0WCwO8jwUAQfSdFgsD5I8FAEGEnhYLDwyQBQAAAAAANJAFAFyQBQBBnJ4WCwuEkAUArJAFANSQBQBB7J4WC4sDBAAAAFEAAAAQnAUAAQAAAAAAEOAAABBgAgAAAAAAAABknAUAAAAAAAQAAABRAAAAsJsFAAEAAAAAABDgAAAQYAIAAAAAAAAABJwFAAAAAAAEAAAAcQIAABCZBQABAAAAAAAw4AAAEGADAAAAAAAAAJCbBQAAAAAABAAAAHECAABwlgUAAQAAAAAAMOAAABBgAwAAAAAAAADwmAUAAAAAAAIAAABRAAAA4JUFAAEAAAAAAFDgAAAQYAQAAAAAAAAAQJYFAAAAAAACAAAAqQAAAPCUBQABAAAAAACe4AAAVGAEAAAAAAAAAKCVBQAAAAAAAgAAABkAAACwlAUAAQAAAAAAMOAAABBgAwAAAAAAAADQlAUAAAAAAAQAAABRAAAAUJQFAAEAAAAAsBPhALATYQIAAAAAAAAApJQFAAAAAAACAAAA4QAAACCTBQABAAAAAGDy4AAAlWAEAAAAAAAAABCUBQAAAAAAAgAAALkBAAAAkQUAAQAAAAAAdOAAABBgBQAAAAAAAADAkgUAQYCiFguRBAEGBgcIBwcKCQoJCwoJCwoJCQkJCgYIBwkJCAgKCgkLCwwMCgkLCQwKCQYJCAkMCAgLCQsLDAsMDAoLCwoKCwcKCQkJCQkKCQoJCgoMCgoKCwwKCgcJCQkKCQkKCgkJCQsLCgoKCgkJDAcJCgkLCQoJCgsLCwoLDAkMCwoKCgcJCQkJCgwKCQsMCgsMDAsJCgsKCwcJCgoLCgkKCwsLCgwMDAsLCgsLDAgJCgwLCgoMDAwMDAoLCwkLCgwLCwgJCgoLDAsLCgoKDAwMCQoMDAwMDAgKCwoKDAkLDAwLDAwMDAoMCgoKCggMCwsLCgoLDAwMDAsMDAwLCwsMCgkKCgwKDAoMDAoKCgsMDAwLDAwMCwoLDAwMCwwMCwwMCwwMDAwLDAwKCgoKCwsMCwwMDAwMDAwLDAsKCwsMCwsJCgoKDAoKCwkLDAsMCwwMCgsKDAkJCQwLCgsKDAoMCgwMDAsLCwsLCgkKCgsKCwsMCwoLDAwMCwsJDAoMCQoMCgoLCgsLDAsKCwoLCwsLDAsLCgkKCgoJCwsKCQwKCwwLDAwLDAsMCwoLCgwLDAsMCwwKCwoKDAsKCwsLCgAAAAAAAAAKAAAACQAAAAsAAAAIAAAADAAAAAcAAAANAAAABgAAAA4AAAAFAAAADwAAAAQAAAAQAAAAAwAAABEAAAACAAAAEgAAAAEAAAATAAAAAAAAABQAQaCmFgvhAQEFBQYFCQoLCwoKCgoKCgUICAgKCgoKCgoKCgoKCgUICQkJCgoKCgoKCgoKCgUKCAoKCgoKCgoKCgoKCgQICQoKCgoKCgoKCgoKCgkKCgoKCgoKCgoKCgoKCgkKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgBBkKgWC9EBBwAAAAYAAAAIAAAABQAAAAkAAAAEAAAACgAAAAMAAAALAAAAAgAAAAwAAAABAAAADQAAAAAAAAAOAAAAAAAAAAEICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwAAAAEAAAAAAAAAAgAAAAEEBQYGBAYGBgYEBgYGBgYGBgcHBgYGBwcAAAAAAAAAAgAAAAEAAAADAAAAAAAAAAQAQfCpFgujAQEEBAcHCgoMDA0NEhEDBgYJCQsLDQ0ODhIRAwYGCQkLCw0NDg4REgcJCQsLDQ0ODg8PAAAHCQkLCw0NDg4PEBMSCgsLDQ0ODhAPERIAAAoLCw0NDg4PDxASAAALDQ0ODg8PEREAEwAACw0NDg4ODxASABMAAA0ODg8PEhESEgATAAANDg4PEBAQEhITAAAAEBERABETEwATAAAAABATEBESABMAQaCrFgsxBgAAAAUAAAAHAAAABAAAAAgAAAADAAAACQAAAAIAAAAKAAAAAQAAAAsAAAAAAAAADABB4KsWC1EBBAQHBwcHCQkEBgYICAgICQkEBgYICAgICQkHCAgJCQkJCwoHCAgJCQkJCgsHCAgJCQoKCwsHCAgJCQoKCwsJCQkKCgsLDAwJCQkKCgsLDAwAQcCsFgshBAAAAAMAAAAFAAAAAgAAAAYAAAABAAAABwAAAAAAAAAIAEHwrBYL8QQDBQUICAYGBgkJBgYGCQkJCgkLCwkJCQsLBgcHCgoHBwgKCgcHCAoKCgoKCwwJCgoLDAYHBwoKBwgHCgoHCAcKCgoLCgwLCgoKDQoJCgoMDAoLCg4MCQsLDQ0LDA0NDQsMDA8NCQoKDA0JCwoMDQoKCwwNCwwMDA0LDAwNDQUHBwoKBwgICgoHCAgKCgoLCgwNCgoLDAwGCAgLCgcICQoMCAkJCwsLCgsLDAoLCw0MBwgICgsICQgLCggJCQsLCgwKDQsKCwsNDQoLCg4NCgoLDQ0KDAsODQwLDQwNDQwNDg4KCwsNDQoLCgwNCgwMDA4MDAwODAwNDBEPBQcHCgoHCAgKCgcICAsKCgoLDAwKCwsMDQYICAsKCAkJCwsHCAkKCwsLCwwMCgoLDA0GCAgKCwgJCQsLBwkHCwoKDAwNDQsLCg0LCQsKDg0LCwsPDQoKCw0NDA0NDg4MCwwMDQoLCwwNCgsMDQ0KCwoNDAwMDQ4ADA0LDQsICgoNDQoLCw4NCgsLDQwNDg4ODwwMDA8OCQsKDQwKCgsNDgsLCw8MDQwODxANDQ0ODQkLCwwMCgwLDQ0KCwsNDg0NDQ8PDQ0OEQ8LDAwODgoLDA0PDA0NAA8NCw4MEA4QDgAPCwwMDhALDQwQDwwNDQ4PDA4MDw0PDg4QEAgKCg0NCgsKDQ4KCwsNDQ0NDA4ODg0NEBEJCgoMDgoMCw4NCgsMDQ4MDAwPDw0NDQ4OCQoKDQ0KCwwMDgoLCg0NDQ0NDhANDQ0ODgsMDQ8NDA4NDhAMDA0NDg0ODhEPDQwRDRALDA0ODwwNDg4RCwwLDg4NEA4QAA4PCw8LAEHwsRYLEQIAAAABAAAAAwAAAAAAAAAEAEGQshYL8QQBBQUHBwYHBwgIBgcICAgICQkLCwgJCQsLBgkICgoICgoLCwgKCgsLCgsKDQwJCwoNDQYICQoKCAoKCwsICgoLCwkKCw0MCgoLDAwICwsODQoMCw8NCQwLDw4MDg0QDgwNDREOCAsLDQ4JCwwODwoLDA0PCw0NDhAMDQ4OEAUJCQsLCQsLDAwICwsMDAsMDA8OCgwMDw8ICwsNDAoMDA0NCgwMDg0MDA0ODwsNDREQBwsLDQ0KDAwODQoMDA0ODA0MDw4LDQ0PDgkMDBAPCw0NERAKDQ0QEA0ODw8QDQ8OExEJDAwOEAsNDQ8QCg0NERANDg0RDwwPDxARBQkJCwsICwsNDAkLCwwMCgwMDg8LDAwODgcLCg0MCgwMDg0KCwwNDQsNDQ8QDAwNDw8HCwsNDQoNDQ4OCgwMDQ0LDQ0QDwwNDQ8OCQwMDw8KDQ0REAsMDQ8PDA8OEhINDg4QEQkMDA8QCg0NDxALDQ0PEA0PDxERDQ8OEA8HCwsPEAoNDBARCgwNDxEPEBASEQ0PDxESCAwMEBALDQ4REgsNDRIQDxEQERMODw8REAgMDBAPCw4NEhELDQ4SEQ8QEBIRDRAQEhILDw4SEQ0ODxIADA8PABEREBEREg4QEhIACw4OEQAMDw4REwwPDhIADxIQABEOEhASAAcLCxAPCgwMEhAKDQ0QDw0PDhERDhAQExIIDAwQEAsNDRIQCw0OERAODw8TEg8QEAATCAwMEBELDQ0REQsODRERDQ8PERMPERETAAsODxMRDA8QEhIMDg8TEQ4QEQASEBATEQALDg4SEwwPDhERDRAOERAOERASEg8SDwASAEGQtxYLEQIAAAABAAAAAwAAAAAAAAAEAEGwtxYLlQICBAQFBgYFBgYFBwcHCAkHCAkFBwcHCQgHCQcEBwcHCQkHCAgGCQgHCAsJCwoGCAkICwgJCgsEBwcHCAgHCQkGCQgJCwoICAsGCAkJCgsICwgAAAABAAAAAAAAAAIAAAABBAQFBwcFBwgFCAgICgoICgsFCAgICgoICgoECQkJDAsICwsIDAsKDA4KDQ0HCwsKDgwLDg4ECQkICwsJCwwHCwsKDQ4KDA4ICwwKDg4KDQwAAAABAAAAAAAAAAIAAAADBQgHDggJEwUCBQUJBgkTCAQFBwgJDRMHBAYFCQYJEwwIBwkKCw0TCAUIBgkGBxMICAoHBwQFEwwREw8SDQsSCQAAAAMAAAADAAAACQAAAAkAAAAJAEHVuRYLMnDHQAAAAAAAiNNAAAAAAAB85UAAAAAAAP/0QADRAQAQnQUAANEBADCdBQAA0QEAcJ0FAEGQuhYLqwECAAAAAAAAACAAAABQ6gEAtNsFALTbBQDc2wUA3NsFAAIAAAAAAAAAIAAAAFDqAQB0sgUAdLIFAJyyBQCcsgUAAgAAAAAAAAAgAAAAUOoBAFyzBQBcswUAnLIFAJyyBQACAAAAAAAAACAAAABwSQMAsJ0FALCdBQDYnQUA2J0FAAIAAAAAAAAAIAAAAHBJAwCYngUAmJ4FANidBQDYnQUAAgAAAGQAAAAQsgUAQfC7FgsDJJ8FAEGAvBYLA0yfBQBBkLwWCwN0nwUAQaC8FgsPnJ8FAAAAAADEnwUA7J8FAEG4vBYLBxSgBQA8oAUAQci8FgsHZKAFAIygBQBB2LwWCwe0oAUA3KAFAEHovBYLCwShBQAsoQUAVKEFAEGYvRYLCwIAAABkAAAAwJ4FAEHAvRYLtwUEBwkJCQgJCg0QBQQFBgcHCAkMEAYFBQUHBwkKDA8HBgUEBQYICQoNCAcHBQUFBwkKDAcHBwYFBQYHCgwICAgHBwUFBgkLCAkJCAgGBgUICwoLDAwLCQkICQwNDg8PDgwMCwsNBAAAAFEAAACwsQUAAQAAAAAAEOAAABBgAgAAAAAAAAAEsgUAAAAAAAQAAABxAgAAEK8FAAEAAAAAADDgAAAQYAMAAAAAAAAAkLEFAAAAAAACAAAAUQAAAICuBQABAAAAAABQ4AAAEGAEAAAAAAAAAOCuBQAAAAAAAgAAACEBAAAArQUAAQAAAAAAcOAAABBgBQAAAAAAAAAwrgUAAAAAAAQAAABRAAAAoKwFAAEAAAAAAHbgAAB2YAIAAAAAAAAA9KwFAAAAAAACAAAAeQAAAPCrBQABAAAAAABU4AAAEGAEAAAAAAAAAHCsBQAAAAAAAgAAAKkAAAAAqwUAAQAAAAAAnuAAAFRgBAAAAAAAAACwqwUAAAAAAAIAAAAZAAAAwKoFAAEAAAAAADDgAAAQYAMAAAAAAAAA4KoFAAAAAAACAAAAqQAAANCpBQABAAAAAIDQ4AAAdmAEAAAAAAAAAICqBQAAAAAAAgAAAHkAAAAgqQUAAQAAAAAAVOAAABBgBAAAAAAAAACgqQUAAAAAAAIAAADhAAAA8KcFAAEAAAAAYPLgAACVYAQAAAAAAAAA4KgFAAAAAAACAAAAuQEAANClBQABAAAAAAB04AAAEGAFAAAAAAAAAJCnBQAAAAAAAgAAACEBAABQpAUAAQAAAAAYneEAGD1hBQAAAAAAAACApQUAAAAAAAIAAABpAQAAkKIFAAEAAAAAkBvhAIC4YAUAAAAAAAAAAKQFAAAAAAABAAAAMQAAAIChBQABAAAAAACY4AAAEGAGAAAAAAAAAMChBQBBgMMWCzECBAQEBAUFBQUGBgYGBgYGBgcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHAEHAwxYLwQEYAAAAFwAAABkAAAAWAAAAGgAAABUAAAAbAAAAFAAAABwAAAATAAAAHQAAABIAAAAeAAAAEQAAAB8AAAAQAAAAIAAAAA8AAAAhAAAADgAAACIAAAANAAAAIwAAAAwAAAAkAAAACwAAACUAAAAKAAAAJgAAAAkAAAAnAAAACAAAACgAAAAHAAAAKQAAAAYAAAAqAAAABQAAACsAAAAEAAAALAAAAAMAAAAtAAAAAgAAAC4AAAABAAAALwAAAAAAAAAwAEGQxRYL4QUBBAQHBwcHBwcICAoJCwoNCw4NBgYGCAgICAgHCQgLCQ0LDgwODQUGBggICAgICAkJCwsNCw4NDw8RCAgICAkJCQgLCQwKDQsODA4NEQgICAgJCQkJCgoLCw0NDQ4QDxEMDAgICQkKCgsLDAsNDA0MDg0QDAwICAkJCgoLCwwMDQ0ODg8PERERCQkJCQsLDAwMDQ0NEA4ODhEREQkICQgLCgwMDQ0ODg8PEBAREREMDAoKCwwMDQ0ODQ8PDhAPERERDAwKCAwJDQwODg8ODxAQEBERERERCwsMDA4ODhAPEA8QDxEREREREQsJDAoNCw8OEBAREBAPEREREREPDwwMDg4PEBAPEBARERERERERDg4MCg4LDwwREA8QERARERERERERDQ0ODg4QEREQEREREREREREREQ0JDQwPDRAQEREREREREREREREPEQ4ODxAQERAREBEREREREREREREODQ8QEBEQERERAAAAAAAAAAkAAAAIAAAACgAAAAcAAAALAAAABgAAAAwAAAAFAAAADQAAAAQAAAAOAAAAAwAAAA8AAAACAAAAEAAAAAEAAAARAAAAAAAAABIAAAAAAAAAAQQDCggKCgoKCgoKCgoKCgoGCgoKCgoKCgoKCgoKCgoKCgYKCQoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgBBgMsWC0EIAAAABwAAAAkAAAAGAAAACgAAAAUAAAALAAAABAAAAAwAAAADAAAADQAAAAIAAAAOAAAAAQAAAA8AAAAAAAAAEABB0MsWC5EEAgQEBgYHBwgICAgICAgICAgICAgICwsLBwcICAgICQkJCQkJCQkJCQkJCgsKBwcICAgICQkJCQkJCQkJCQkJCwsLCAgICAkJCQkJCQkJCQkJCQkJCwsLCAgICAkJCQkJCQkJCgkKCgoKCwsLCAgJCQkJCQkJCQoKCgoKCgoKCwsLCAgJCQkJCQkJCgoKCgoKCgoKCwsLCQkJCQkJCQkKCgoKCgoKCgoKCwsLCwsJCQkJCQkKCgoKCgoKCgoKCwsLCwsJCQkJCgoKCgoKCgoKCgoKCwsLCwsJCQkJCgoKCgoKCgoKCgoKCwsLCwsKCQoKCgoKCgoKCgoKCgoKCwsLCwsLCwoKCgoKCgoKCgoKCgoKCwsLCwsLCwoKCgoKCgoKCgoKCgoKCwsLCwsLCwoKCgoKCgoKCgoKCgoKCwsLCwsLCwoKCgoKCgoKCgoKCgoKCwsLCwsLCwsLCgoKCgoKCgoKCgoKCwsLCwsLCwsLCgoKCgoKCgoKCgoKCwsLCwsLCwsLCgoKCgoKCgoKCgoKCwsLCwsLCwsLCgoKCgoKCgoKCgoKCwsLCwsLCwsLCwsKCgoKCgoKCgoKAAAAAAAAAAoAAAAJAAAACwAAAAgAAAAMAAAABwAAAA0AAAAGAAAADgAAAAUAAAAPAAAABAAAABAAAAADAAAAEQAAAAIAAAASAAAAAQAAABMAAAAAAAAAFABB8M8WC+EBAQQEBgYHBwcHCAgJCQoKBgYGCAgJCQgICQkKCgsLBgUFCAcJCQgICQkKCgsLFAgICAgJCQkJCgoLCgwLFAgICAgJCQkJCgoLCwwMFAwMCQkKCgoKCwsMDA0MFA0NCQkKCgoKCwsMDA0NFBQUCQkJCQoKCwsMDA0MFBQUCQkJCAoKDAsMDA0NFBQUDQ0KCgsLDAwNDQ0NFBQUDQ0KCgsKDAsNDQ4OFBQUFBQLCwsLDAwNDQ4OFBQUFBQLCgsLDQsNDQ4OFBQVFRUODgsMDQ0NDQ4OFRUVFRUPDwwLDQwODQ8OAEHg0RYL0QMHAAAABgAAAAgAAAAFAAAACQAAAAQAAAAKAAAAAwAAAAsAAAACAAAADAAAAAEAAAANAAAAAAAAAA4AAAAAAAAAAgQEBgYHBwcHBwcJCQkGBwcHBwcICAkJCQYGBwcHBwgICQkJBwcHBwgICAgJCQkHBwcHCAgICAkJCQcHBwcICAgICQkJBwcHBwcHCAgJCQkHBwgIBwcICAkJCQkJCAgHBwgICQkJCQkICAcHCAgJCQkJCQcHBwcICAAAAAAAAAAFAAAABAAAAAYAAAADAAAABwAAAAIAAAAIAAAAAQAAAAkAAAAAAAAACgAAAAAAAAABBAQHBwgICAgKCQoKBQUFBwcJCQoKCwoMCwYFBQcHCQkKCgsLDAwUBwcHBwkJCgoLCwwMFAcHBwcJCQsKDAsMDBQLCwgICgoLCwwMDQ0UDAwICAkJCwsMDA0NFBQVCgoKCgsLDAwNDRUVFQoKCgoLCwwMDQ0VFRUODgsLDAwNDQ0OFRUVEA8LCwwLDQ0ODhUVFRUVDQ0MDA0NDg4VFRUVFQ0NDAwNDQ4OAAAAAAAAAAYAAAAFAAAABwAAAAQAAAAIAAAAAwAAAAkAAAACAAAACgAAAAEAAAALAAAAAAAAAAwAQcDVFgsxAgMDBQUGBgYFBQYGBgUFBgYGBQUGBgYFBQAAAAAAAAACAAAAAQAAAAMAAAAAAAAABABBgNYWC1sBBAQGBggHCAgJCQoKBQUFBwcJCQkJCwsMDAYFBQcHCQkKCQsLDAwABwcHBwkJCgoLCwwMAAcHBwcJCQoKCwsMDAALCwgICgoLCwwMDQ0ADAwJCQoKCwsMDA0NAEGw1xYLMQYAAAAFAAAABwAAAAQAAAAIAAAAAwAAAAkAAAACAAAACgAAAAEAAAALAAAAAAAAAAwAQfDXFgupAwIDAwYGBgYHBwcHCwoKBgYHBwgICAgKCgoGBgcHCAgICAsLCwcHCAgICAkJCwsLBgcICAgICQkLCwsHBwgICAgICAsLCwcHCAgICAkJCwsLCAgICAgICAgLCwsLCwgICAgICAwLCwsLCAgICAgIDAsLCwsHBwgICAgAAAAAAAAABQAAAAQAAAAGAAAAAwAAAAcAAAACAAAACAAAAAEAAAAJAAAAAAAAAAoAAAAAAAAAAQQEBQcHBgcHBAYGCgsKCgoLBAYGCgoLCgsKBQoKCQwLCgwMBwoKDAwMDA0NBwsKCwwMDA0NBgsKCgwMCwwMBwsKDA0NDAwMBwoLDA0NDAwMAAAAAQAAAAAAAAACAAAAAgMDBQUGBgYGBwcICAgICQkAAAAGBgcHCAgICAkJCgoLCgAAAAYGBwcICAgICQkKCgoKAAAABgYICAkJCQkKCgsLCwsAAAAHBggICQkJCQoKCwsLCwAAAAcHCAgJCQoKCwsLCwwMAAAABwcICAkJCgoLCwsLDAwAAAAHCAgICQkKCgsLDAwNDQAAAAAACAgJCQoKCwsMDA0NAEGw3BYLQQgAAAAHAAAACQAAAAYAAAAKAAAABQAAAAsAAAAEAAAADAAAAAMAAAANAAAAAgAAAA4AAAABAAAADwAAAAAAAAAQAEGA3RYLPwEDAwUFBwcICAAAAAYGCAgJCQAAAAYGCAgJCQAAAAcHCAkKCgAAAAcHCQkKCgAAAAgICQkLCwAAAAcHCQkLCwBB4N0WCyEEAAAAAwAAAAUAAAACAAAABgAAAAEAAAAHAAAAAAAAAAgAQZDeFgt9AgQEBwcAAAAICAAAAAgIAAAACAgAAAAICAQEBAgHAAAACAgAAAAICAAAAAkJAAAACQkEBAQHCAAAAAgIAAAACAgAAAAJCQAAAAkJBwgICgkAAAAMCwAAAAsMAAAADg0AAAAODgcICAkKAAAACwwAAAALCwAAAA4OAAAADg4AQdjfFgsyCAgICwsAAAAMCwAAAAwMAAAADQwAAAANDQgICAsLAAAACwsAAAAMDAAAAA0NAAAADQ0AQdXgFgsyCAkIDAsAAAAMDAAAAAwLAAAADQ0AAAANDQgICAsMAAAACwwAAAALDAAAAA0OAAAADQ0AQdLhFgsyCAkJDg4AAAANDQAAAA0NAAAADQwAAAANDQgJCQ4OAAAADQ0AAAANDQAAAAwNAAAADQ0AQc/iFgsyCAkJDg4AAAANDQAAAA0NAAAADQ0AAAANDAgJCQ4OAAAADQ0AAAANDQAAAA0NAAAADAwAQZDjFgsRAgAAAAEAAAADAAAAAAAAAAQAQbDjFgsVAQMDAAAAAAAABAUFAAAAAAAABAUFAEGE5BYLewEAAAAAAAAAAgAAAAcKDAsMDQ8QEg8KCAgICQoMDQ4RCgcHBwcICgwPEgoHBwUFBggKDQ8KBwYFBAQGCQwPCwcHBQQDBAcLDQwJCAcFBAQFCg0LCwsJBwUFBQkMDQwNDAoICAcJDQ4ODg4NCwsKCg0CAAAAZAAAAFDbBQBBtOUWCwP0swUAQdTlFgsDHLQFAEHk5RYLA0S0BQBB9OUWCwNstAUAQYTmFgsPlLQFAAAAAAC8tAUA5LQFAEGc5hYLBwy1BQA0tQUAQazmFgsLXLUFAIS1BQCstQUAQdzmFgsLAgAAAGQAAACQswUAQZDnFgu/BAIFFAcKBwgKCwsEAhQFCAYHCQoKFBQUFBMTExMTEwcFEwYKBwkLDRELCBMKBwcICgsPBwUTBwcFBgkLEAcGEwgHBgYHCQ0JCRMLCQgGBwgNDA4TEA0KCQgJDQ4RExISEQwLCw0IAAAAoRkAAKDBBQABAAAAAAAQ4AAAEGACAAAAAAAAAETbBQAAAAAABAAAAHECAAAAvwUAAQAAAAAAMOAAABBgAwAAAAAAAACAwQUAAAAAAAIAAABRAAAAcL4FAAEAAAAAAFDgAAAQYAQAAAAAAAAA0L4FAAAAAAACAAAAUQAAAOC9BQABAAAAAABQ4AAAEGAEAAAAAAAAAEC+BQAAAAAAAgAAACEBAABgvAUAAQAAAAAAcOAAABBgBQAAAAAAAACQvQUAAAAAAAQAAABRAAAAALwFAAEAAAAAAHbgAAB2YAIAAAAAAAAAVLwFAAAAAAACAAAAeQAAAFC7BQABAAAAAABU4AAAEGAEAAAAAAAAANC7BQAAAAAAAgAAAKkAAABgugUAAQAAAAAAnuAAAFRgBAAAAAAAAAAQuwUAAAAAAAIAAAAZAAAAILoFAAEAAAAAADDgAAAQYAMAAAAAAAAAQLoFAAAAAAACAAAAqQAAADC5BQABAAAAAIhd4QCwE2EEAAAAAAAAAOC5BQAAAAAAAgAAAOEAAAAAuAUAAQAAAABg8uAAAJVgBAAAAAAAAADwuAUAAAAAAAIAAAC5AQAA4LUFAAEAAAAAAHTgAAAQYAUAAAAAAAAAoLcFAEHg6xYLkQQBBAQGBgcHCAcICAkJCQkKCgoJCgoLDAwICAgICQkJCQoKCgoKCwsKDAsLDQsHBwgICAgJCQkKCgoKCQoKCwsMCwsICAgICQkKCgoKCwsLCwsLCwwLDAwICAkJCQkJCgoKCgoKCwsLCwsLDAsJCQkJCgoKCgsKCwsLCwsLDAwMDAsJCQkJCgoKCgsLCwsLCwsLCwwMDA0JCgoJCwoKCgoLCwsLCwoLDAsMDAsMCwoJCgoLCgsLCwsLCwsLCwwMCwwMDAoKCgsKCwsLCwsLCwsLCwsMDQwMCwkKCgsLCgsLCwwLCwsLCwwMDQ0MDQoKDAoLCwsLCwsLCwsMDAsNDAwMDA0MCwsLCwsLDAsMCwsLCwwMDQwLDAwLCwsLCwwLCwsLDAsLDAsMDQ0MDAwMCwsLCwsMCwsMCwwLCwsLDQwMDAwNCwsLDAwLCwsMCwwMDAsMDQwLCwwMCwwLCwsMDAsMCwsLDAwMDA0MDQwMDAwLCwwLCwsLCwsMDAwNDAsNDQwMCwwKCwsLCwwLDAwLDAwNDAwNDAwMDAwLDAwMCwwLCwsMDQwNDQ0NDQwNDQwMDQsLCwsLDAsLDAsAAAAAAAAACgAAAAkAAAALAAAACAAAAAwAAAAHAAAADQAAAAYAAAAOAAAABQAAAA8AAAAEAAAAEAAAAAMAAAARAAAAAgAAABIAAAABAAAAEwAAAAAAAAAUAEGA8BYL4QEBBAQEBAgIDA0ODg4ODg4GBgYGBgoJDg4ODg4ODg4HBgUGBgoJDA0NDQ0NDQ0NBwcJCQsLDA0NDQ0NDQ0NBwcICAsMDQ0NDQ0NDQ0NDAwKCg0MDQ0NDQ0NDQ0NDAwKCg0NDQ0NDQ0NDQ0NDQ0NDA0MDQ0NDQ0NDQ0NDQ0NDA0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0MDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0MDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0AQfDxFguhAgcAAAAGAAAACAAAAAUAAAAJAAAABAAAAAoAAAADAAAACwAAAAIAAAAMAAAAAQAAAA0AAAAAAAAADgAAAAAAAAABCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAAAAAAAAAAYAAAAFAAAABwAAAAQAAAAIAAAAAwAAAAkAAAACAAAACgAAAAEAAAALAAAAAAAAAAwAQaD0FgsxAgMDBQUGBgYFBQYGBgUFBgYGBQUGBgYFBQAAAAAAAAACAAAAAQAAAAMAAAAAAAAABABB4PQWC+EBAQQEBgYHBwcHCAgJCQYFBQcICAkICAkJCgsGBQUICAkJCAgJCgoLAAgICAkJCQkJCgoLCwAJCQkICQkJCQoKCwsADQ0JCQoKCgoLCwwMAA4NCQkKCgoKCwsMDAAAAAoKCQkLCwwMDQwAAAAKCgkJCgoMDA0NAAAADQ4LCgsLDAwNDgAAAA4OCgoLCwwMDQ0AAAAAAAwMDAwNDQ4PAAAAAAAMDAwMDQ0ODwAAAAAAAAAGAAAABQAAAAcAAAAEAAAACAAAAAMAAAAJAAAAAgAAAAoAAAABAAAACwAAAAAAAAAMAEHQ9hYLoAQCAwMFBgcHBwcICAoKCgYGBwcICAgICgoKBgYHBwgICAgKCgoHBwcHCAgICAoKCgcHBwcICAgICgoKBwcICAgICAgKCgoHBwgICAgICAoKCggICAgICAkJCgoKCgoICAgICQkKCgoKCgkJCAgJCQoKCgoKCAgICAkJAAAAAAAAAAUAAAAEAAAABgAAAAMAAAAHAAAAAgAAAAgAAAABAAAACQAAAAAAAAAKAAAAAAAAAAEEBAYGBgcGBgQHBwoJCgoKCQQHBwoKCgsKCgYKCgsLCwsKCgYKCQsLCwsKCgYKCgsLCwsKCgcLCwsLCwwMCwYKCgsKCgsLCwYKCgoLCgsLCwAAAAEAAAAAAAAAAgAAAAEDAwYGCAgJCQkJCgoLCwwMAAAABwcICAkJCQkKCgsLDAwAAAAHBwgICQkJCQoKCwsMDAAAAAgICAkKCQoKCgoLCwwMAAAACAgJCQoKCgoLCwsMDAwAAAAICAkJCgoKCgsLDAwMDAAAAAgICQkKCgoKCwsMDA0NAAAACQkJCQoKCgoLCwwMDQ0AAAAAAAkJCgoKCgsLDAwNDQAAAAAACQkKCgsLDAwMDA0NAAAAAAAJCQoKCwsMDAwMDQ0AAAAAAAoKCwoLCwwMDQ0NDQAAAAAAAAAKCgsLDAwNDQ0NAAAAAAAAAAsLDAwMDA0NDg4AAAAAAAAACwsMDAwMDQ0ODgAAAAAAAAAMDAwMDQ0NDQ4OAEH5+hYLCAwMDQ0NDQ4OAEGQ+xYLQQgAAAAHAAAACQAAAAYAAAAKAAAABQAAAAsAAAAEAAAADAAAAAMAAAANAAAAAgAAAA4AAAABAAAADwAAAAAAAAAQAEHg+xYLUQEDAwUFBgYICAAAAAcHBwcJCQAAAAcHBwcJCQAAAAgICAgJCQAAAAgICAgKCgAAAAkJCAgKCgAAAAkJCAgKCgAAAAoKCQkKCgAAAAAACQkKCgBBwPwWCyEEAAAAAwAAAAUAAAACAAAABgAAAAEAAAAHAAAAAAAAAAgAQfD8FgtEAQIDBwcAAAAAAAAABgYAAAAAAAAABgYAAAAAAAAABwcAAAAAAAAABwcAAAAAAAAACAgAAAAAAAAACAkAAAAAAAAACgoAQdD9FgshBAAAAAMAAAAFAAAAAgAAAAYAAAABAAAABwAAAAAAAAAIAEGA/hYLBQEEBAYGAEGZ/hYLBQQFBQcHAEGy/hYLBQQFBQcHAEHL/hYLBQcHBwkJAEHk/hYLBQYHBwkJAEGAgxcLEQIAAAABAAAAAwAAAAAAAAAEAEGggxcLFQEFBQAAAAAAAAUHBwAAAAAAAAUHBwBB8YMXCxUFCAcAAAAAAAAHCQkAAAAAAAAHCAkAQcKEFwsVBQcIAAAAAAAABwkIAAAAAAAABwkJAEH5iBcLFQUIBwAAAAAAAAgJCQAAAAAAAAcJCQBByokXCxUHCQkAAAAAAAAJCQsAAAAAAAAJCwoAQZuKFwsVBwkJAAAAAAAACAsJAAAAAAAACQoLAEHSjhcLFQUHCAAAAAAAAAcJCQAAAAAAAAgJCQBBo48XCxUHCQkAAAAAAAAJCwoAAAAAAAAICQsAQfSPFwsVBwkJAAAAAAAACQoLAAAAAAAACQsJAEHEthcLewEAAAAAAAAAAgAAAAUGEQgMCQoKDA0FAhEECQUHCAsNEBAQEBAQEBAQEAYEEAUKBQcKDhANCRALCAcICQ0QBwQQBQcEBggLDQgGEAcIBQUHCQ0JCBAJCAYGBwkNCwsQCgoHBwcJDQ0NEA0NCQkJCg0CAAAAZAAAAGADBgBB9LcXCwOc3AUAQZS4FwsDxNwFAEGkuBcLA+zcBQBBtLgXCwMU3QUAQcS4FwsPPN0FAAAAAABk3QUAjN0FAEHcuBcLB7TdBQDc3QUAQey4FwsLBN4FACzeBQBU3gUAQZy5FwvbAwgAAAChGQAAsOkFAAEAAAAAABDgAAAQYAIAAAAAAAAAVAMGAAAAAAAEAAAAcQIAABDnBQABAAAAAAAw4AAAEGADAAAAAAAAAJDpBQAAAAAAAgAAAFEAAACA5gUAAQAAAAAAUOAAABBgBAAAAAAAAADg5gUAAAAAAAIAAABRAAAA8OUFAAEAAAAAAFDgAAAQYAQAAAAAAAAAUOYFAAAAAAACAAAAIQEAAHDkBQABAAAAAABw4AAAEGAFAAAAAAAAAKDlBQAAAAAABAAAAFEAAAAQ5AUAAQAAAAAAduAAAHZgAgAAAAAAAABk5AUAAAAAAAIAAAB5AAAAYOMFAAEAAAAAAFTgAAAQYAQAAAAAAAAA4OMFAAAAAAACAAAAqQAAAHDiBQABAAAAAACe4AAAVGAEAAAAAAAAACDjBQAAAAAAAgAAABkAAAAw4gUAAQAAAAAAMOAAABBgAwAAAAAAAABQ4gUAAAAAAAQAAABRAAAA0OEFAAEAAAAAsBPhALATYQIAAAAAAAAAJOIFAAAAAAACAAAA4QAAAKDgBQABAAAAAGDy4AAAlWAEAAAAAAAAAJDhBQAAAAAAAgAAALkBAACA3gUAAQAAAAAAdOAAABBgBQAAAAAAAABA4AUAQYC9FwuRBAEFBQcICAcJCQkMDAsMDAoKCwwMDAsMDAgJCAcJCgoLCwoLDAoMCgwMDAsMCwkICAkKCQgJCgwMCwsMCwoLDAsMDAgJCQkKCwwLDAsLCwsMDAsLDAwLCwkJCAkJCwkJCgkLCwsLDAsLCgwMDAkMCwoLCwsLDAwMCwsLDAoMDAwKCgkKCQoKCQkJCgoMCgsLCQsLCgsLCwoKCgkJCgoJCQoLCwoLCgsKCwsKCwsLCgkKCgkKCQkLCQkLCgoLCwoKCwoLCAkLCwoJCgsLCgsLCgoKCwoJCgoLCQoKCQsKCgoKCwoLCwkLCgsKCgsLCgoKCQoKCwsLCQoKCgoKCwoKCgkKCgsKCgoKCgkKCwoKCgoLCwsKCgoKCgsKCwoLCgoKCQsLCgoKCwsKCgoKCgoKCgsLCQoKCgsKCwoKCgsJCgsKCwoKCQoKCgsKCwoKCgoKCwsKCwsKCgsLCgkJCgoKCgoJCwkKCgoLCwoKCgoLCwsKCQkKCgsKCgoKCgsLCwoKCgsLCwkKCgoKCQoJCgsKCwoKCwsKCwsLCwsKCwoKCgkLCwoLCwsLCwsLCwsKCwoKCgoLCgoLCQoKCgAAAAAAAAAKAAAACQAAAAsAAAAIAAAADAAAAAcAAAANAAAABgAAAA4AAAAFAAAADwAAAAQAAAAQAAAAAwAAABEAAAACAAAAEgAAAAEAAAATAAAAAAAAABQAQaDBFwvhAQEFBQUFCQsLCgoKCgoKCgcGBgYGCgoKCgoKCgoKCgcGBgYGCgkKCgoKCgoKCgoHBwgJCgoKCgoKCgoKCgoIBwoKCgkKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgBBkMMXC9EBBwAAAAYAAAAIAAAABQAAAAkAAAAEAAAACgAAAAMAAAALAAAAAgAAAAwAAAABAAAADQAAAAAAAAAOAAAAAAAAAAEICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwAAAAEAAAAAAAAAAgAAAAEEAwUFBwcHBgYHBwcFBQcHBwYGBwcHBgYAAAAAAAAAAgAAAAEAAAADAAAAAAAAAAQAQfDEFwvhAQEEBAcHBwcHBggICgoGBQYICAgICAgICQoKBwYGCAgICAgICAgKCgAICAgICQgJCQkKCgoACQgICAkJCAgJCQoKAAwLCAgJCQkJCgoLCgAMDQgICQoJCQsLCwwAAAAICAgICgkMDQwOAAAACAgICQoKDAwNDgAAAA0NCQkLCwAADgAAAAAODgoKDAsMDg4OAAAAAAALCw0NDg0ODgAAAAAADA0NDA0ODg4AAAAAAAAABgAAAAUAAAAHAAAABAAAAAgAAAADAAAACQAAAAIAAAAKAAAAAQAAAAsAAAAAAAAADABB4MYXC6AEAQMEBgYHBwgICAgKCgoHBwgICAkJCQoKCgYHCAgICAkICgoKBwcICAkJCQkKCgoHBwgICQkICQoKCggICQkJCQkJCwsLCAgJCQkJCQoKCwsJCQkJCQkJCgsLCwoLCQkJCQoJCwsLCgsKCgkJCgoLCwsLCwkJCQkKCgAAAAAAAAAFAAAABAAAAAYAAAADAAAABwAAAAIAAAAIAAAAAQAAAAkAAAAAAAAACgAAAAAAAAABBAQGBgYHBgYEBwcLCgoLCwoEBwcKCgoLCgoGCgoLCwsLCwoGCQkLDAwLCQkGCQoLDAwLCQoHCwsLCwsMDQwGCQoLCgoMDQ0GCgkLCgoLDA0AAAABAAAAAAAAAAIAAAABAwQGBgcHCAgICAkJCgoLCwAAAAcHCAgJCQkJCgoKCwsLAAAABgYICAkJCQkKCgsLCwsAAAAHBwgICQkJCQoKCwsMDAAAAAcHCAgJCQkJCgoLCwwMAAAACAgJCQoKCgoLCwwMDAwAAAAICAkJCgoKCgsLDAwMDQAAAAkJCQkKCgoKCwsMDA0NAAAAAAAKCgoKCgoLCwwMDQ0AAAAAAAkJCgoLCwwMDQ0NDQAAAAAACQkKCgsLDAwNDQ0OAAAAAAAKCgoLCwsMDA0NDQ4AAAAAAAAACgoLCwwMDQ0ODgAAAAAAAAALCwwMDQ0NDQ4OAAAAAAAAAAsLDAwMDQ0ODw4AAAAAAAAADAwMDA0NDQ4ODwBBicsXCwgMDA0NDg0ODgBBoMsXC0EIAAAABwAAAAkAAAAGAAAACgAAAAUAAAALAAAABAAAAAwAAAADAAAADQAAAAIAAAAOAAAAAQAAAA8AAAAAAAAAEABB8MsXC1EBAwMGBgYGCAgAAAAHBwcHCAgAAAAHBwcHCAgAAAAHBwgICQkAAAAHBwgICQkAAAAICQgICgoAAAAICAgICgoAAAAKCgkJCgoAAAAAAAkJCgoAQdDMFwshBAAAAAMAAAAFAAAAAgAAAAYAAAABAAAABwAAAAAAAAAIAEGAzRcLRAEDAgcIAAAAAAAAAAYGAAAAAAAAAAYGAAAAAAAAAAcHAAAAAAAAAAcHAAAAAAAAAAgIAAAAAAAAAAgIAAAAAAAAAAkJAEHgzRcLIQQAAAADAAAABQAAAAIAAAAGAAAAAQAAAAcAAAAAAAAACABBkM4XCwUBBAQGBgBBqc4XCwUEBgYHBgBBws4XCwUEBgYGBgBB284XCwUGBgYJCQBB9M4XCwUGBgYJCQBBkNMXCxECAAAAAQAAAAMAAAAAAAAABABBsNMXCxUBBAQAAAAAAAAFBwcAAAAAAAAFBwcAQYHUFwsVBQgIAAAAAAAACAkKAAAAAAAABwkKAEHS1BcLFQUICAAAAAAAAAcJCQAAAAAAAAcJCQBBidkXCxUFCAgAAAAAAAAICgoAAAAAAAAICgoAQdrZFwsVBwoKAAAAAAAACQkMAAAAAAAACgwLAEGr2hcLFQcKCgAAAAAAAAkMCgAAAAAAAAoLDABB4t4XCxUFCAgAAAAAAAAICgoAAAAAAAAICgoAQbPfFwsVBwoKAAAAAAAACgwLAAAAAAAACQoMAEGE4BcLFQcKCgAAAAAAAAoLDAAAAAAAAAkMCQBB1IYYC3ABAAAAAAAAAAIAAAADBBMHCQcICwkMBAETBgcHCAoLDRISEhISEhISEhIIBhIICQkLDA4SCQYSCQcICQsMEgcGEggHBwcJCxEICBIJBwYGCAsRCgoSDAkIBwkMEg0PEg8NCwoLDxIOEhISEhIQEBISAEHVhxgLkgVAz0AAAAAAAFjbQAAAAAAAauhAAAAAAAD59UAAAAAAAAAjQAAAAAAAACZAAAAAAAAAPkAAAAAAAMBYQAAAAAAATM1AAAAAAACI00AAAAAAAHzlQAAAAAAA//RAAAAAAABM3UAAAAAAAILkQAAAAAAAZOlAAAAAAABA70AAAAAAAJTxQAAAAAAAC/NAAAAAAAD/9EAAAAAAAHb2QAAAAAAA2/pAAAAAAABM/UAAAAAAABcBQQAAAACAMQdBmpmZmZmZKEAAAAAAAAAqQAAAAAAAACpAAAAAAAAALEAAAAAAAAAuQAAAAAAAwFhAAAAAAADAWEAAAAAAAMBYQAAAAAAAwFhAAAAAAADAWEAAAAAAAMBYQAAAAAAAwFhAAAAAAACU0UAAAAAAAFjbQAAAAAAAF+FAAAAAAAD55UAAAAAAAFjrQAAAAAAATO1AAAAAAIBP8kAAAAAAAPn1QAAAAAAAavhAAAAAAIAT/EAAAAAAgE8CQQAAAACAMQdBAAAAAABA30AAAAAAAHDnQAAAAAAATO1AAAAAAAAX8UAAAAAAAIjzQAAAAAAA//RAAAAAAABw90AAAAAAANv6QAAAAAAATP1AAAAAAAAXAUEAAAAAAIgDQQAAAAAITA1BAAAAAABYy0AAAAAAAIjTQAAAAAAAWNtAAAAAAACO4kAAAAAAAHbmQAAAAAAAXupAAAAAAIBP8kAAAAAAAHD3QAAAAAAATP1AAAAAAAAXAUEAAAAAAPkFQQAAAAAITA1BcAYGAIAfBgBwBgYA4B8GAHAGBgBAIAYAcAYGAKAgBgBwBgYAACEGAHAGBgBgIQYAwCEGANA6BgDAIQYAMDsGAMAhBgCQOwYAwCEGAPA7BgDAIQYAUDwGAEHwjBgLAQIAQYiNGAsBAQBB+JQYCwECAEG4lRgLAQIAQfSVGAsJBAAAAAAAAAADAEH4nRgLDQIAAAAEAAAAAQAAAAMAQfilGAsBAgBBkKYYCwEBAEH8rRgLBQEAAAACAEG8rhgLBQEAAAACAEH8rhgLCQQAAAAAAAAAAwBBgLcYCw0CAAAABAAAAAEAAAADAEGAvxgLwQQCAAAAAAAAAB4AAABQHggApHcIAKR3CADMdwgAzHcIAAIAAAAAAAAAHgAAAFAeCACMeAgAjHgIAMx3CADMdwgAAQAAAAIAAAAGAAAA2EgGALR4CAC0eAgA3HgIANx4CAACAAAAAAAAAA8AAABQHggAhFAIAIRQCACsUAgArFAIAAIAAAAAAAAAHgAAAFAeCABsUQgAbFEIAKxQCACsUAgAAQAAAAIAAAAGAAAA2EgGAJRRCACUUQgAvFEIALxRCAACAAAAAAAAAA8AAABQHggAaCkIAGgpCACQKQgAkCkIAAIAAAAAAAAAHgAAAFAeCABQKggAUCoIAJApCACQKQgAAQAAAAIAAAAGAAAA2EgGAHgqCAB4KggAoCoIAKAqCAACAAAAAAAAAA8AAADAdAcAgOkHAIDpBwCo6QcAqOkHAAIAAAAAAAAAHgAAAMB0BwBo6gcAaOoHAKjpBwCo6QcAAQAAAAIAAAAGAAAA2EgGAJDqBwCQ6gcAuOoHALjqBwACAAAAAAAAAA8AAADAdAcAsLQHALC0BwDYtAcA2LQHAAIAAAAAAAAAHgAAAMB0BwCYtQcAmLUHANi0BwDYtAcAAQAAAAIAAAAGAAAA2EgGAMC1BwDAtQcA6LUHAOi1BwACAAAAAAAAAA8AAADAdAcA2H8HANh/BwAAgAcAAIAHAAIAAAAAAAAAHgAAAMB0BwDAgAcAwIAHAACABwAAgAcAAQAAAAIAAAAGAAAA2EgGAOiABwDogAcAEIEHABCBBwACAEHYwxgLAQEAQcjLGAsBAgBBiMwYCwECAEHI3BgLAQIAQeDcGAsBAQBBzOQYCwUBAAAAAgBBjOUYCwUBAAAAAgBB0PUYC/gDAgAAAAAAAAAPAAAAsDwGAPA/BwDwPwcAGEAHABhABwACAAAAAAAAAB4AAACwPAYA2EAHANhABwAYQAcAGEAHAAEAAAACAAAABgAAANhIBgAAQQcAAEEHAChBBwAoQQcAAgAAAAAAAAAPAAAAsDwGADAPBwAwDwcAWA8HAFgPBwACAAAAAAAAAB4AAACwPAYAGBAHABgQBwBYDwcAWA8HAAEAAAACAAAABgAAANhIBgDwUwYA8FMGABhUBgAYVAYAAgAAAAAAAAAPAAAAsDwGAADdBgAA3QYAKN0GACjdBgACAAAAAAAAAB4AAACwPAYA6N0GAOjdBgAo3QYAKN0GAAEAAAACAAAABgAAANhIBgDwUwYA8FMGABhUBgAYVAYAAgAAAAAAAAAPAAAAsDwGAGifBgBonwYAkJ8GAJCfBgACAAAAAAAAAB4AAACwPAYAUKAGAFCgBgCQnwYAkJ8GAAEAAAACAAAABgAAANhIBgDwUwYA8FMGABhUBgAYVAYAAgAAAAAAAAAPAAAAsDwGAMhHBgDIRwYA8EcGAPBHBgACAAAAAAAAAB4AAACwPAYAsEgGALBIBgDwRwYA8EcGAAEAAAACAAAABgAAANhIBgDwUwYA8FMGABhUBgAYVAYAAAAAAP//////////CAAAAP//////////AEHI+xgLBP////8AQcyLGQsVAQAAAAIAAAAEAAAABwAAABEAAAAfAEHMjRkLFQEAAAACAAAABAAAAAcAAAARAAAAHwBByI8ZCwsBAAAACAAAAGCfBgBBiZAZCwJYBgBBlJAZCwMoWAYAQaCQGQsHUFgGAHhYBgBBsJAZCwegWAYAyFgGAEHAkBkLB/BYBgAYWQYAQdCQGQsfQFkGAGhZBgAYWQYAAAAAAJBZBgC4WQYA4FkGAAhaBgBBsJEZCwsBAAAACAAAAPhXBgBB3JEZCxT//////////wIAAAD//////////wBB8JMZCwT/////AEHwoxkLASAAQfClGQsE/////wBB8KcZCwsCAAAABAAAAPRXBgBBmKgZCwfYVAYAAFUGAEGoqBkLCyhVBgBQVQYAeFUGAEHYqRkLyQICAAAAqQAAABBXBgABAAAAAACe4AAAVGAEAAAAAAAAAMBXBgAAAAAAAgAAABkAAADQVgYAAQAAAAAAMOAAABBgAwAAAAAAAADwVgYAAAAAAAIAAAAJAAAAtFYGAAEAAAAAiDPhAIgzYQIAAAAAAAAAwFYGAAAAAAABAAAAGQAAADBWBgABAAAAAMAS4QAAmWAFAAAAAAAAAFBWBgAAAAAAAQAAABkAAACgVQYAAQAAAAAAeOAAABBgBQAAAAAAAADAVQYAAAAAAAQEBAQEBAQFBQUFBQUFBQUFBQUFBQUFBQUAAAAAAAAADAAAAAsAAAANAAAACgAAAA4AAAAJAAAADwAAAAgAAAAQAAAABwAAABEAAAAGAAAAEgAAAAUAAAATAAAABAAAABQAAAADAAAAFQAAAAIAAAAWAAAAAQAAABcAAAAAAAAAGABBsKwZC9EBAQIDBAUHBwgICQkKCgsLDAwNDQ4ODw8PDwAAAAAAAAAMAAAACwAAAA0AAAAKAAAADgAAAAkAAAAPAAAACAAAABAAAAAHAAAAEQAAAAYAAAASAAAABQAAABMAAAAEAAAAFAAAAAMAAAAVAAAAAgAAABYAAAABAAAAFwAAAAAAAAAYAAAAAQMCBQUGBgYGAAAAAQAAAAAAAAACAAAAAAAAAAQEBAUFBAUFBQUEBQUFBQUFBQQFBQUFBQQAAAAAAAAAAgAAAAEAAAADAAAAAAAAAAQAQZCuGQuhBwEEBAcHCgoMDAwMDQwFBQUIBgsJDAwNDAwMBAUFBggJCwwMDQwMDAcHCAkJCwgMCQwMDAwHCAgJCQgLCQwMDAsMCgoKCwsLCwsKCwsMCwoKCgsLCwsKCwsLCwwLCwsMCwwLDAsNCw0LCwsLCwwLDAoNCwwLDQwMDA0MDQ0NDA4MDg0MDAwMDQ0NDA4MDg0ODQ4ODg4ODg4ODw4PDg0ODQ4ODg4ODw4ODg8AAAAAAAAABgAAAAUAAAAHAAAABAAAAAgAAAADAAAACQAAAAIAAAAKAAAAAQAAAAsAAAAAAAAADAAAAAIDAQMDAwMDAwMDAwUAAADzAAAAYJ4GAAEAAAAAABDgAAAQYAIAAAAAAAAAVJ8GAAAAAAAFAAAANQwAAACSBgABAAAAAAAw4AAAEGADAAAAAAAAAECeBgAAAAAABQAAAPMAAAAAkQYAAQAAAAAAOOAAADhgAgAAAAAAAAD0kQYAAAAAAAUAAADzAAAAAJAGAAEAAAAAABDgAAAQYAIAAAAAAAAA9JAGAAAAAAAFAAAA8wAAAACPBgABAAAAAABU4AAAVGACAAAAAAAAAPSPBgAAAAAABQAAADUMAACgggYAAQAAAAAAMOAAABBgAwAAAAAAAADgjgYAAAAAAAUAAAA1DAAAQHYGAAEAAAAAAHzgAABcYAMAAAAAAAAAgIIGAAAAAAABAAAABwAAABB2BgABAAAAAAA44AAAEGADAAAAAAAAACB2BgAAAAAABQAAAPMAAAAQdQYAAQAAAAAAleAAAJVgAgAAAAAAAAAEdgYAAAAAAAUAAADzAAAAEHQGAAEAAAAAAFzgAABcYAIAAAAAAAAABHUGAAAAAAAFAAAANQwAALBnBgABAAAAAGqY4QBqeGEDAAAAAAAAAPBzBgAAAAAABQAAADUMAABQWwYAAQAAAACIU+EAiDNhAwAAAAAAAACQZwYAAAAAAAEAAAAZAAAAwFoGAAEAAAAAwBLhAACZYAUAAAAAAAAA4FoGAAAAAAABAAAAGQAAADBaBgABAAAAAAB44AAAEGAFAAAAAAAAAFBaBgAAAAAABAQEBAQEBAUFBQUFBQUFBQUFBQUFBQUFBQAAAAAAAAAMAAAACwAAAA0AAAAKAAAADgAAAAkAAAAPAAAACAAAABAAAAAHAAAAEQAAAAYAAAASAAAABQAAABMAAAAEAAAAFAAAAAMAAAAVAAAAAgAAABYAAAABAAAAFwAAAAAAAAAYAEHAtRkLgQEBAwIFBAcHCAgJCgoKCwsLDAwMDQ0NDQ0NAAAAAAAAAAwAAAALAAAADQAAAAoAAAAOAAAACQAAAA8AAAAIAAAAEAAAAAcAAAARAAAABgAAABIAAAAFAAAAEwAAAAQAAAAUAAAAAwAAABUAAAACAAAAFgAAAAEAAAAXAAAAAAAAABgAQdC2GQu1GAEEBBAQBAkLDxAEDAgQEAwQEBAQDRAQEBAFCAoQEAkJDg8QDA4OEBAQEBAQEBAQEBAQBQsIEA8MDhAQEAkPCRAQEBAQEBAQEBAQEA8QEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQBgsLEBAMDRAQEAwQDhAQEBAQEBAQEBAQEAsPDxAQDhAQEBAQEBAQEBAQEBAQEBAQEBAMDxAQEBAQEBAQDhAPEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAFCwsQEAwPEBAQDBAOEBAQEBAQEBAQEBAQDA8PEBAOEBAQEBAQEBAQEBAQEBAQEBAQEAsPDxAQEBAQEBAPEA4QEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAGCwwQEAsPEBAQDRAOEBAQEBAQEBAQEBAQCxAOEBAOEBAQEBAQEBAQEBAQEBAQEBAQEAwODhAQEBAQEBAPEBAQEBAQEBAQEBAQEBAQEBAQEBAPEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEAgNDxAQDw8QEBAOEBAQEBAQEBAQEBAQEBAOEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQDxAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQBwwMEBANDBAQEA4QDhAQEBAQEBAQEBAQEA0QEBAQDg4QEBAQEBAQEBAQEBAQEBAQEBAMDhAQEBAQEBAQDhAOEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQBgsLEBANDxAQEAsPDhAQEBAQEBAOEBAQEAsQEBAQEBAQEBAPEBAQEBAQEBAQEBAQEBALEA4QEA4QEBAQDQ8QEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAHCwsQEA0NEBAQDRANEBAQEBAQEBAQEBAQDBAPEBAOEBAQEBAQEBAQEBAQEBAQEBAQEAwOEBAQEBAQEBAOEA0QEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEAgNDhAQDxAQEBAOEBAQEBAQEBAQEBAQEBAPEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQDxAPEBAQEBAQEBAQDxAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAPEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEA8QEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQAEGQzxkLEQIAAAABAAAAAwAAAAAAAAAEAEGwzxkLtRgBDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQBB8OcZCxECAAAAAQAAAAMAAAAAAAAABABBkOgZC4cEBgcHBwcHBwcHBwcIBwgIBwgIBwgHBwgIBwgIBwgICAgICAgICAgICAgJCAgJCAgICAgICAgIBwgICAgICAgICAgICAgICAgICAgICAgICAkIBwgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgJCAgJCAgICAkJCAkJBwgICAgICAgICAgICAgICAkICAgICAkJCAkIBwgICAgICAgICAgICAgJCAgICAgICAgICAgIBwgICAgICAgICAgICAgJCAkJCAgICAgJCAgICAgICAgICAgICAgICAkJCAkJCAgICAkICAkIAAEAAAAAAAAAAgAAAAIFBQUHBwUHBwUHBwcICQcJCQUHBwcJCQcJCAUHCAgJCggJCggJCgoKDAoLCwgKCgoLDAoLCgUIBwgKCggKCQgKCgoKCwoMCwgKCQoLCwoMCgUICAcJCggKCQcJCgkKCwkLCwgKCQoLCwkLCgcJCQkKCwkLCwkJCwoKDQsMDAkLCwsMDQsNCwcJCQkKCwkLCgkLCgoKDAsNDAkLCwsMDAoMCgUICAgJCgcKCQgJCgkKCwoLCwcKCQkLCwkLCgcJCQkKCwkLCgkLCwoKDAsMDAkKCwsMDQoMCgcJCQkLCwkLCgkLCwsLDQsNDAkLCQsMDAoNCgABAAAAAAAAAAIAAAACAwMDAwMDAEGg7BkL1RgDAAAAAgAAAAQAAAABAAAABQAAAAAAAAAGAAAAAAAAAAQGBgkJBgcICgsGCAcKCggKCgwMCAoKDAwGBwgKCgcICQoLCAkJCwsKCgsMDQoLCw0NBggHCgoICQkLCwcJCAsKCgsLDQ0KCwoNDAkKCgsMCgoLDA0KCwsMDQwMDQwODA0NDg4JCgoMCwoLCw0MCgsKDQwMDQ0ODgwNDA4MBwgICgsICQoLDAgJCQsMCgsMDQ4KCwsNDQgJCgsMCQoLDA0KCgsMDAsMDA0OCwwMDg4ICQkLDAoKCwwNCQoKDAwLDAwODgsMDA4NCwsMDA0LDAwNDgwMDQ4ODQ0ODhANDg4PDwsMCw0NDAwMDg4LDAwODQ0ODg8PDQ4NDw4HCAgLCggKCQwLCAoJDAsKCwsNDQoMCw4NCAkJDAsJCgoMDAoLCg0MCwwMDQ4LDAwODggKCQwLCgsKDAwJCwoNCwsMDA4OCwwMDg0LCwwNDQsMDA0ODAwMDg4NDQ4ODw0ODg8PCwwLDQwMDAwODgsMDA4NDQ4ODw8NDg0PDgoLCwwNCwwMDQ4LDAwNDg0NDg4QDQ4ODw8LDAwMDgwMDQ0PDA0NDQ8ODg8PEA4ODw8QCwwMDQ4MDQ0ODwwNDQ4ODg4PDxAODg4PDw0ODg4PDg4PDxAODw8PEA8PEBASEBAQERENDg4PDw4ODxAQDg4OEA8QEBAREQ8QEBEQCgsLDQwLDAwODQsMDA4NDQ4ODw8NDg0QDgsMDA4NDA0NDg4MDQ0PDg4ODg8PDg8OEA8LDAwODAwNDQ8ODA0MDw0ODw4QDw4PDhAPDQ4ODw8ODg4PEA4PDhAQDxAQEBEQEBAREQ0ODg8ODg8PEA8ODw4QDxAQEBERDxAPEhAGCAgLCwgJCgsMCAoJDAwKCwsNDQoMCw4NCAkJCwwJCgoMDAkKCgwMCwsMDQ4LDAwODggKCQwLCgsLDAwJCwoNDAsMDA4OCwwMDg0KCwsNDQsMDA0OCwwMDg4NDQ4NDw0ODg8PCwwLDQ0MDAwODgsMDA4NDQ4ODw8NDg0PDggJCQsLCQoKDAwJCgoMDAsMDA0OCwwMDg4JCQoLDAoKCwwNCgoLDA0MDA0NDwwMDQ4OCQoKDAwKCwsNDQoLCw0NDA0NDg8MDQwODgsLDAwODAwNDQ4MDA0NDg0NDg4QDg4ODw8LDAwODQwNDQ4ODA0NDw4ODg4QEA0ODhAOBwkJDAsJCgoMDAkLCg0MCwwMDQ4LDQwODQkKCgwMCgoLDA0KDAsNDQwMDQ0ODA0NDw4JCgoMDAsLCw0NCgwKDQwMDQ0ODwwNDA8NCwwMDg0MDA0NDgwNDQ8ODQ0ODRAODw4QDwwMDA4ODQ0NDg4MDQwODQ4PDxAQDQ4NEA0KCwwNDgsMDQ0PDAwNDg4NDg4PEA0ODhAPDAwNDA4MDA0NDw0NDQ0PDg4PDhAODw8PEAwNDA4ODQ0NDw8MDQ0PDw4PDxAQDg8PEBANDg4NEA4ODw4QDg4PDhAPDxAPEhAQEBARDg4OEA8ODw8QEA4PDxAQEBAQEREPEBAREAoMCw4NDA0NDg4MDQwPDg4ODg8PDg8OEA8MDQwODQwNDQ8ODQ4NDw4ODw8QEA4PDxEPDA0MDg4NDg4PDw0ODQ8ODw8PEBAODw8RDw4ODhAPDg8PEBAODw8QDxAQEBAREBEQEhEODg4QDw8PDxAQDg8OEA8QEBEREQ8QDxEQBggICwsICQoMDAgKCQwLCgsMDQ0KCwsNDQgJCgsMCQoLDA0KCwsMDAsMDA0OCwwMDg4ICQkMCwkKCgwMCQoKDAwLDAwODgsMCw4NCwsMDQ0LDAwNDgwMDA4ODQ0ODg8NDg4PDwoLCw0NCwwMDg4LDAwODQ0ODg8PDQ4NDw0HCQkLDAkKCwwNCQoKDAwLDA0NDgsMDA4OCQoKDAwKCgsMDQsMCw0NDAwNDQ8MDQ0PDgkKCgwMCgsMDQ0KCwoNDAwNDQ4PDA0MDg0MDAwODgwMDQ0ODQ0NDw4ODQ4NEA4PDxAQCwwMDQ4MDQ0ODwwNDA4NDg4PDxANDg0PDQgJCQsLCQoKDAwJCgoMDAsMDA4OCwwLDg0JCgoMDAoLCw0NCgsLDQ0MDA0ODwwNDQ8OCQoJDAsKCwoNDAoLCg0MDA0MDg4MDQwPDQsMDA0ODA0NDg4MDQ0ODg4ODg4QDg4OEA8LDAsODAwNDA8NDA0MDw0ODg4QDw0ODRAOCgsMDQ4MDA0NDwwNDQ4ODg4PDxAODg4PEAwMDQ4ODA0ODg8NDg4PDw4PDw8RDw8PEBAMDA0NDg0NDg4PDA0NDg8PDw8PEQ4PDw8PDg4OEBAODw8PEA8PDxAQEA8QEBIQEBEREQ4ODg8QDw8PEBEODw4QEBAQERESEBAPERAKDAsODQwMDA4OCw0MDg0NDg4PDw0ODRAPDAwNDg4MDQ0PDw0NDQ8PDg8PEBAODw8REAwNDA4MDQ0NDw0MDQwPDQ4PDxAPDg8OEA4ODg4QEA4PDxAQDg8PEBAPEBAQERAREBIRDQ4OEA0ODw8QDg4PDhAOEBAQERAPEA8SDwkLCw0NCwwMDg4LDAwODg0ODg8PDQ4ODw8LDAwODgsMDQ4PDA0NDw4NDg4PEA0ODhAQCwwMDg4MDQ0PDwwNDQ8ODg4OEBAODw4QDwwNDQ4PDA0ODxANDg4QEA4ODxARDw8PERENDg4PDw4PDhAQDg8OEA8PEBAREQ8QDxEQCgwMDQ4LDA0ODgwNDA4ODQ4ODxANDg4QDwsMDA4ODAwNDg8MDQ0PDw0NDw8RDg4PEBAMDQwODgwNDQ8PDA0NDw4ODw8QEA4PDhAQDQwODRANDQ8OEA4NDw8QDg4QDxEPDxAQEQ0ODhAPDg8PEBAODw4QDxAQEBERDxAQEhAKDAwODgwMDQ4ODA0MDw4NDg4PEA4PDhAPCwwMDg4MDQ0ODw0ODQ8PDg4PDxAODw8REAwNDQ4ODQ0ODw8MDg0PDw4PDxAQDg8PEQ8NDg0PDw0ODg8QDg8OERAPDw8PERAQEBIRDg4OEBAPDw8QEA4PDhAQEBAREREQEBAREAsMDQ4ODA0NDw8MDQ0PDw4PDxAQDg8PERAMDQ0ODw0NDg4QDQ4ODxAPDhAPEQ8PEBARDA0NDw8NDg4QEA0ODhAPDw8QEREPEA8REA4ODw0QDw4QDhEPDxAOERAPEQ8SEBAREBIODw8REA8QEBERDxAPERAQERESEhARDxIQCwwMDg4NDQ4ODw0ODRAODw8PEBAPEA8REAwNDQ8ODQ0ODw8ODw4QDw8PEA8QEBAQEhAMDQ0PDw4ODw8QDQ4NEA8QEBAREQ8QDxEPDg8OEA8ODw8QEA8QDxEQEA8QDxEREhESEQ8PDxAQEBAQEREODw8REBEREhISEBEPEg8JCwsNDQsMDA4OCwwMDg4NDg4PEA0ODg8PCwwMDg4MDQ0ODwwNDQ4ODg4PDxAODg4QEAsMDA4ODA0NDg8LDQwODg0ODhAQDQ4OEA8NDg4PDw4ODw8QDg8OEBAPDxAQEQ8QEBERDA0NDw8NDg4QDwwODRAPDxAPEREODw8RDwoMDA4ODAwNDg8MDQwODg4ODw8QDQ4OEBAMDQ0ODg0NDg4PDQ4NDw8ODw8PEQ4PDxAQCwwMDg4NDQ4PDwwNDQ8ODg8PEBEODw4QDw4ODhAQDg8PEBAPDw8QEA8QEBASEBEQEhENDQ4PDw4ODxAQDQ4OEA8QEBEREQ8PDxEPCgwMDg0MDA0ODgsNDA4ODQ4OEBANDg4QDwwMDQ4ODA0NDg8NDQ0PDw4ODxAQDg8PEBALDAwODgwNDQ8PDA0MDw4ODw4QEA0PDRAPDQ4ODxAODw8PEQ4PDxAQEA8QEBEQEBAREQ0ODBANDg8NEA8NDw0QDg8QDxEQDxAOEQ8LDAwODw0NDg4QDQ4NDw4PDxAQEQ8PDxAQDA0NDw8NDQ4PEA4PDhAPDw8QDxEQEBAREQwNDQ4PDg4PDxANDg0PDxAQEBERDxAPEA8PDw8QEA4PDxAREBAQEREQDxEPEhESERISDg4PDxEPDxAQEQ4PDxAQERERERIQEA8RDwsMDA4ODA0NDw8MDQ0PDw4PDxAQDg8OERANDQ0PDw0ODg8QDQ4OEBAPDxAQEQ8QEBERDA0NDw4NDg4QDw0ODRAODxAQERAPEA4RDw4PDxARDw8QEBEPEBARERAPERASEBEREhIODw4QDQ8QDxEODxAOEQ4QERASEBARDxIPAEGAhRoLEQIAAAABAAAAAwAAAAAAAAAEAEGghRoLtRgGCAgKCQgJCQoKCAkJCgoICgoKCggKCgoKCQkJCgoJCgoKCwkKCgsLCgoKCwsKCgoLCwkJCQoKCQoKCwsJCgoLCgoKCgsLCgoKCwsKCgoKCwoKCwsLCgsLCwsLCwsLCwsLCwsLCgoKCwoKCwsLCwoLCgsLCwsLCwsKCwsLCwkKCgoLCgoLCwsKCwsLCwoLCwsLCgsLCwsKCgsLCwsLCwsLCwsLCwwLCwwMDAsLCwwMCgsLCwsLCwsMDAsLCwsLCwsLDAwLCwsMDAsLCwsLCwwMDAwLDAwMDAsMDAwMDAwMDAwLCwsLCwsMDAwMCwwLDAwLDAwMDAwMDAwMCQoKCwoKCwsLCwoLCwsLCgsLCwsKCwsLCwoLCwsLCwsLCwsLCwsMDAsLDAwMCwsLDAwKCwoLCwsLCwsLCwsLCwsLCwsMDAsLCwwMCwsLCwsLDAwMDAsMDAwMCwwMDAwMDAwMDAsLCwsLCwwMDAwLDAsMDAwMDAwMCwwMDAwLCwsLCwsMDAwMCwwMDAwMDAwMDAwMDAwMCwwMDAwMDAwMDAwMDAwMDAwMDQ0MDAwNDQsMDAwMDAwMDAwMDAwMDAwMDA0NDAwMDQ0MDAwMDAwMDAwNDAwMDQ0MDQ0NDQwNDQ0NDAwMDAwMDAwNDQwMDA0NDA0NDQ0MDQ0NDQsLCwsLCwwMDAwLDAwMDAwMDAwMDAwMDAwLDAwMDAwMDAwMDAwMDAwMDAwNDQwMDA0NCwwMDAwMDAwMDAwMDAwMDAwMDQ0MDAwNDQwMDAwMDAwMDQ0MDAwNDQwNDQ0NDA0NDQ0MDAwMDAwMDA0NDAwMDQwMDQ0NDQwNDQ0NBwoKCwsKCgsLCwoLCwsLCgsLCwsKCwsLCwoKCgsLCgsLCwsLCwsLDAsLCwwMCwsLDAwKCwsLCwsLCwwLCwsLDAsLCwsMDAsLCwwMCwsLCwsLCwsMDAsLDAwMCwwMDAwLDAwMDAsLCwsLCwwMDAwLCwwMDAsMDAwMCwwMDAwKCwsLCwsLCwsMCwsLCwsLCwsMDAsLCwwMCwsLCwsLCwwMDAsLCwwMCwwMDAwLDAwMDAsLCwsLCwwLDAwLCwsMDAsMDAwMCwwMDAwLCwsLDAsMDAwMCwwMDAwMDAwMDAwMDAwMCwsLDAwLDAwMDAsMDAwMDAwMDAwMDAwMDAoLCgsLCwsLDAwLCwsMDAsMDAwMCwwMDAwKCwsMCwsLDAwMCwwMDAwMDAwMDAwMDAwMCwsLDAsLDAwMDAsMCwwMDAwMDAwMDAwMDAsMCwwMDAwMDAwMDAwMDAwMDAwNDAwMDAwLDAwMDAwMDAwMDAwMDAwMDAwMDQwMDA0MCwsLDAwMDAwMDAsMDAwMDAwMDAwMDAwMDQsMDAwMDAwMDAwMDAwMDAwMDQ0NDAwMDQ0LDAwMDAwMDAwNDAwMDAwMDA0NDQwNDA0NDAwMDAwMDAwNDQwMDA0NDA0NDQ0MDQ0NDQwMDAwMDAwMDQ0MDQwNDQwNDQ0NDA0NDQ0LCwsMDAwMDAwMCwwMDAwMDAwNDQwMDA0NCwwMDAwMDAwMDAwMDA0NDA0MDQ0MDQ0NDQsMDAwMDAwMDQ0MDAwNDAwNDQ0NDA0NDQ0MDAwMDAwMDQ0NDA0NDQ0NDQ0NDQ0NDQ0NDAwMDAwMDQ0NDQwMDA0NDQ0NDQ0NDQ0NDQcKCgsLCgsLCwsKCwsLCwoLCwsLCgsLCwsKCwsLCwsLCwsLCwsLDAsLCwwMDAsLCwwMCgoKCwsLCwsMCwoLCwsLCwsLDAwLCwsMDAsLCwsLCwsMDAwLDAsMDAsMDAwMCwwMDAwLCwsLCwsLCwwMCwwLDAwLDAwMDAsMDAwMCgoKCwsLCwsMDAsLCwwMCwwMDAwLDAwMDAsLCwsLCwsMDAwLDAwMDAwMDAwMDAwMDAwLCwsLCwsMDAwMCwwLDAwMDAwMDAwMDAwMCwwMDAwMDAwMDAwMDAwMDAwMDA0MDAwNDAsLCwwMDAwMDAwMDAwMDAwMDAwMDAwMDAwKCwsLCwsLCwsLCwsLCwsLCwsMDAsLCwwMCwsLCwsLCwwMDAsMCwwMCwwMDAwLDAwMDAsLCwsLCwsLDAwLCwsMDAsMDAwMCwwMDAwLCwsMCwwMDAwMDAwMDAwMDAwMDAwMDAwMCwsLDAsLDAwMDAsMDAwMDAwMDAwMDAwMDAsLCwwMCwwMDAwMDAwMDAwMDA0NDAwMDQwLDAwMDAwMDAwNDAwMDQ0MDQ0NDQwNDQ0NCwwMDAwMDAwMDQwMDAwMDA0NDQ0MDQ0NDQwMDAwMDAwNDQ0MDQwNDQ0NDQ0NDQ0NDQ0MDAwMDAwNDQ0NDA0MDQ0NDQ0NDQ0NDQ0NCwsLDAwLDAwMDAsMDAwMDAwMDAwMDAwMDAsMDAwMDAwMDAwMDAwMDAwNDA0NDAwMDQ0LDAwMDAwMDAwMDAwMDAwMDAwNDQwNDA0NDAwMDAwMDAwNDQwMDA0NDQ0NDQ0MDQ0NDQwMDAwMDA0MDQ0MDQwNDAwNDQ0NDA0NDQ0ICwsMDAsMDAwMCwwMDAwMDAwMDAwMDAwMCwsLDAwLDAwMDAwMDAwMDAwMDQ0MDAwNDQsLCwwMDAwMDAwMDAwMDAwMDA0NDAwMDQ0LDAwMDAwMDAwNDAwMDAwMDA0NDQwMDQ0NCwwMDAwMDAwNDAwMDA0NDA0NDQ0MDQ0NDQsLCwwMCwwMDAwLDAwMDAwMDAwMDAwMDAwLDAwMDAwMDAwMDAwMDAwMDAwNDQwMDA0NCwwMDAwMDAwMDAwMDAwMDA0MDQ0MDQwNDQwMDAwMDAwMDA0MDAwNDQwNDQ0NDA0NDQ0MDAwMDAwMDA0NDAwMDQ0MDQ0NDQwNDQ0NCwsLDAwLDAwMDAsMDAwMDAwMDQwMDAwMDQsMDAwMDAwMDA0MDAwMDQwNDQ0NDA0NDQ0LDAwMDAwMDAwNDAwMDQwMDQ0NDQwNDQ0NDAwMDAwMDAwNDQwMDQ0NDA0NDQ0MDQ0NDQwMDAwMDA0NDQ0MDQwNDQwNDQ0NDQ0NDQ0LCwsMDAwMDAwMDAwMDAwMDAwMDAwMDAwMCwwMDAwMDAwMDAwMDAwMDAwNDQ0MDQ0NDQsMDAwMDAwMDAwMDAwMDAwNDQ0NDA0MDQ0MDAwMDAwMDA0NDAwMDQ0MDQ0NDQwNDQ0NDAwMDAwMDQwNDQwMDA0NDQ0NDQ0MDQ0NDQsLCwwMDAwMDAwMDAwMDAwMDAwNDAwMDQwLDAwMDAwMDAwMDAwMDQ0MDA0NDQwNDQ0NCwwMDAwMDAwMDQwMDA0MDA0NDQ0MDQ0NDQwMDAwMDAwMDQ0MDAwNDQ0NDQ0NDQ0NDQ0MDAwMDAwNDQ0NDA0MDQ0NDQ0NDQ0NDQ0NCAsLCwsLDAwMDAsMDAwMDAwMDAwLDAwMDAsLCwwMDAwMDAwMDAwMDAwMDAwNDAwMDQ0LCwsMDAwMDAwMDAwMDAwMDAwNDQwMDA0MDAwMDAwMDAwMDAwMDA0NDA0NDQ0MDQ0NDQsMDAwMDAwMDA0MDAwNDAwNDQ0NDA0MDQ0LCwsMDAwMDAwMCwwMDAwMDAwNDQwMDA0MCwwMDAwMDAwMDAwMDA0NDAwNDQ0MDQ0NDQsMDAwMDAwMDQ0MDAwMDAwNDQ0NDA0NDQ0MDAwMDAwMDQ0NDAwNDQ0NDQ0NDQwNDQ0NDAwMDAwMDQwNDQwMDA0NDQ0NDQ0MDQ0NDQsLCwwMCwwMDAwLDAwMDAwMDAwMDAwMDAwLDAwMDAwMDAwMDAwMDAwMDQwNDQwMDA0NCwwMDAwMDAwMDQwMDAwMDAwMDQ0MDQwNDQwMDAwMDAwMDQwMDAwNDQwNDQ0NDA0NDQ0MDAwMDAwMDA0NDAwMDQwMDQ0NDQwNDQ0NCwsLDAwMDAwMDAwMDAwMDAwMDAwMDAwNDQsMDAwMDAwMDA0MDAwMDAwNDQ0NDA0NDQ0LDAwMDAwMDAwNDAwMDAwMDQ0NDQwNDQ0NDAwMDAwMDAwNDQwMDQ0NDQ0NDQ0NDQ0NDQwMDAwMDA0NDQ0MDAwNDA0NDQ0NDA0NDQ0LCwsMDAwMDAwMDAwMDAwMDAwMDAwMDAwNCwwMDAwMDAwMDAwMDA0MDAwMDQ0MDQ0NDQsMDAwMDAwMDAwMDAwMDAwNDQ0NDA0MDQ0MDAwMDAwMDQ0NDA0MDQ0MDQ0NDQ0NDQ0NDAwMDAwMDAwMDQwMDA0NDQ0NDQ0MDQ0NDQBB4J0aCxECAAAAAQAAAAMAAAAAAAAABABBgJ4aC7UeAgUFBAcHBAcGBQcHBwgJBwkJBQcHBwkJBwkIBgcICAkKCAoKCAkKCgsMCgsMCAoKCgsMCgwLBggHCAoKCAoJCAoKCgsMCgwMCAoJCgwLCgwLBQgICAoKCAoKBwkKCQoLCgsLCAoKCgwMCgwLBwkJCQsLCQsLCQoLCwsMCwwMCQsLCwwMCwwMBwkJCgsMCgwLCQsKCwsMDA0NCQsLDA0NCw0LBQgICAoKCAoKCAoKCgsMCgwMBwkJCQsLCQsKBwkJCgsMCgwLCQsLCwsNDA0NCQoLDA0NCwwLBwkJCQsLCQsLCQsLCwwMCwwMCQsKCwwMCgwLAAEAAAAAAAAAAgAAAAQGBgYHBwYHBwYHBwcHCAcHCAYHBwcHBwcHBwcICAgICAgICAgICAgJCQgJCQgICAgJCQgJCQcICAgICAgICAgICAgJCQgJCQgICAgJCQgJCQUICAgICAgICAgICAgJCQgJCQgICAgJCQgJCQgICAgJCQgJCQgICQkJCQkJCQgJCQkJCQkJCQcICAgJCQgJCQgJCAkJCQkJCQgICAkJCQkJCQYICAgICAgICAgICAgJCQgJCQgICAgJCQgJCQcICAgJCQgJCQgICQkJCQkJCQgICAkJCQkJCQgICAgJCQgJCQgJCQkJCQkJCQgJCAkJCQkJCQABAAAAAAAAAAIAAAACBQQEBwcEBwYFBgcHCAkHCQkFBwYHCQkHCQgGCAgICgoICgoICQoKCwwKDAwICgoKDAwKDAsGCAgICgoICgoICgoKCwwKDAwICgkKDAsKDAsFCAgICgoICgoICQoKCwsKCwsICgoKCwwKDAsICgoKCwsKCwsKCwsLDA0LDA0KCwsLDQ0LDQ0HCQkKCwwKDAsJCwsLDA0MDg0JCwsMDQ4LDQwFCAgICgoICgoICgoKCwwKDAwICgkKDAsJCwsHCQkKCwwKDAsJCwsLDA0MDg0JCwsMDQ4LDQwICgoKCwsKCwsKCwsLDQ0LDQ0KCwoLDQwLDQwAAQAAAAAAAAACAAAABAYGCAgFBwcJCQUHBwkJBggICwsGCAgLCwYHBwkJBwgJCgsHCQkLCggJCgwMCAoKDAwGBwcJCQcJCQoKBwkICwoICgoMDAgKCQwMCAkJCwsJCgoMDAkLCwwNCwwMDQ4LDAwODggJCQsLCQsKDQwJCgoNDAsMDA4OCwwMDg0HCAkKCggKCgsLCAoKCwsKCwsNDQoLCw0NCAkKCgsKCwsMDQoLCwwMCwsMDQ4LDAwODggKCgsLCgsLDA0KCwsMDAsMDA4OCwwMDg4KCwsMDQsMDA0ODA0NDg4NDQ4OEA0ODg8QCgsLDQ0MDAwODgsMDA4ODQ4ODxANDg4QDwcICAoKCAoKCwsICgoMCwoLCw0NCgsLDQ0ICgoLCwoLCwwMCgsLDAwLDAwODgsMDA4OCAoJCwoKCwsNDAoLCg0MCwwMDg4LDAsODQoLCw0NCwwMDg4MDAwODg0ODg8QDQ4ODw8KCwsNDAwMDA4OCwwMDg0NDg4QDw0ODRAOCgsLDQ0MDA0ODwwNDQ4PDQ4PDxANDg4QEAsMDQ4ODQ0ODxANDg4PEA4PDxARDg8QERELDAwODg0ODg8QDQ4ODw8ODw8QEg4PDxEQDQ4PDxAPDxAQEg8PDxEREBARERIQEBASEg4ODhAQDw8PEBEPDw8QERARERISEBAREhEKCwsODQwNDQ8OCw0NDw4NDw8QEA0ODhAQCwwMDg4NDQ0PDw0ODQ8PDw8PERAODw8REAsNDA4ODQ4NDw8NDg0PDw4PDxERDg8PERAODg4QEA4PDxERDw8QERAREBESEhARERISDQ4OEA8PDw8REQ4QDxAQEREREhIQERAUEwYICAoKCAoKCwsICgoMCwoLCw0NCgsLDQ0ICQoLCwoLCwwMCgsLDQwLDAwODgsMDA4OCQoKCwsKCwsMDAoLCw0MCwwMDg4LDAwODgoKCwwNCwwMDg4LDAwODg0ODg8QDQ4ODxAKCwsNDQwMDA4ODA0MDg4NDg4QEA0ODg8PCQoKCwwKCwsMDQoLCw0MCwwMDg4LDAwODgoKCwwNCwwMDQ4LDAwNDgwNDg4PDA0NDw8KCwsNDQsMDA0OCwwMDg0MDQ0PDwwNDQ8PDAsNDA4NDQ4ODw0NDg4PDg8PEBEODw8QEQwNDA4ODQ4ODw8NDg4PDw4PDxARDg8PEBEICQkLCwoLCwwNCgsLDQwMDQ0ODwsNDA8OCQsKDAwLDAwNDgsMDA4NDQ0ODw8NDg0PDwkLCwwMCwwMDg4LDAwODQ0ODg8QDQ4NDw4LDAwODQwNDQ4PDQ4OEA8PDw8PEA8QDxERCwwMDg4NDg4PDwwNDQ8ODw8PEREODw8RDwsMDA4ODA0NDw8MDQ0PDw4PDxERDg8PEBAMDQ0ODw0ODhAQDg4ODxAPEBAREQ8QEBERDA0NDw8ODg4QEA4ODxAQDxAQEREPEBAREQ4PDw8QDw8QEBIPEBARERERERISEBERExIODw8QEQ8QEBERDxAQEhEQERETEhERERMSCgwMDg4NDQ4PDwwODRAPDw8PEREODw8REAwNDQ8ODQ4OEBAODg8REA8QEBERDxAQEhEMDQ0PDg4PDxAQDQ8OEA8QERATEQ8QEBERDg8PEQ8PEA8RERAREBIRERESEhIRERITEg4PDxAQDxAQERIPEBASEBESEhMTERIREhMGCAgKCggKCgsLCAoKDAsKCwsNDQkLCw0NCQoKCwsKCwsMDAoLCwwMCwwMDg4LDAwODggKCQsLCgsLDAwKCwsMDAsMDA4OCwwMDg4KCwsNDQsMDQ4ODAwMDg4NDg4PEA0ODhAQCgsKDQwLDAwODgsMDA4ODQ4ODxANDg4QDwgJCQsLCgsLDA0KCwsNDAwNDQ4PDA0NDw4KCwsMDAsLDA0OCwwMDg4NDQ4PEA0ODg8PCQoLDAwLDAwNDgsMDA4NDQ4ODxAMDg0PDwsMDA4ODA0NDg8NDg4QDw4PDw8RDw8QEBELDAwNDg0ODg8PDA0NDw4PEA8QEQ4QDxEPCQoKDAsKCwsNDQoLCw0MCwwMDg4LDAwODgoLCwwNCwwMDQ4LDAwODgwNDQ8PDA0NDw8KCwoNDAsMDA0NCwwMDg0MDQ0PDwwNDQ8ODA0MDg4NDg4PDw0ODg8PDg8PEBAODw8QEAsNCw4MDQ0NDw4MDg0PDg8PDxEQDg8OEQ8KDAwODg0NDg8QDA4NDw8ODxAREQ4PEBERDA0NDg8NDg4QEA4ODxAQEBAQEREQEBASEgwNDQ4PDg4PEBANDg4QDxAQEBESDxAQEREODw8QEA8PEBERDxAQERIREhISExESEhMTDg8PEBAPEBAREQ8QEBERERESFBIREhESEgsMDA4ODA0ODw8MDQ0PDw4PDxARDg8PEBEMDQ0PDw4ODhAQDg4OEBAPEBAREQ8QEBERDA0NDw4NDg4QDw4PDhAPDxAQEREPEBAREA4PDxAQDxAQEREQEBARERERERMSEREREhMODw4RDw8QEBERDxAPEREQERESEhARERIRBgsLDQ0LDAwODgsMDA4ODQ4OEBANDg4QEAsMDA4ODA0NDw8MDQ0PDw4PDxARDg8PERILDAwODgwNDQ8PDA0NDw8ODw8REQ4PDxAQDQ4ODxAODw8QEQ4PDxEQDxAREhEQEBASEQ4ODxAQDg8PEhAODw8REBARERISEBEQEhELDAwODgwNDQ8PDA0NDw8ODw8REQ4PDxAQDA0NDw8NDg4PEA0ODhAQDxAQEREPDxAREQwNDQ8PDg4OEBANDg4QEA8QEBERDxAQEREODg8PEA8PEBARDw8QEBEQEREREhARERISDg8PEBAPEBAREQ8QEBEREREREhMRERESEgoMDA4ODA0ODxANDg0PDw4PDxERDg8QEREMDQ0PDw0ODg8PDg8OEBAPEBAREg8REBIRDA0NDw8ODg4QEA0ODhAPDxAQERIPEBAREQ4ODhAQDw8QEREPEBARERERERIUERERExMODw8QEA8REBISDxAPERAREhMTExERERIRDQ4OEBAODw8REQ4PDxARDxEREhIQEBESEQ4PDxARDxAQEREPEBARERARERISEREREhMODw8QEQ8QEBERDxAQEREQERESEhERERMTEBAQEBIQEREREhERERETEhISExMSEhITFBAQERISEBIREhIREREUExISExUUEhQSEhMKDAwODg4ODw8RDg8OEQ8QEBESEhASERMSDA4NEA8ODg8PEQ8QEBIREBESERMRExIUEwwNDQ8PDxARERIOEA4REBESEhMTEREREhIPDw8REA8QEBERERMREhISEhISFRMUExQTDw8QEBERERIUFA8QEBIREhMTExQSExITEQYLCw0NCwwMDg4LDAwODg0ODhAQDQ4OEBALDAwODgwNDQ8PDA0NDw8ODw8REQ4PDxEQCwwMDg4MDQ0PDwwNDQ8PDg8PEBAODw8QEA0ODhAQDw8PEBAODw8REBARERMSEBEREhINDg4PDw4PDxEQDg8PERAQERAREg8QEBISCgwMDg4MDQ4PDwwNDQ8PDg8PEREODw8REAwNDQ8PDg4ODxAODw8QEA8QEBESEBAQEhIMDQ0ODg4ODxAQDQ4OEBAPEBASEg8QEBMRDg8PEBEPDxARERAREBESERESERMRERISEw4ODhAQDxAQEREPEA8RERERERMUEBEREhILDAwODgwNDQ8PDA0NDw8ODw8QEA4PDhAQDA0NDw8ODg4QEA0ODhAQDxAQEhEPEBAREQwNDQ8PDQ4OEBANDg4QEA8QDxISDxAPERAODw8QEA8QEBERDxAQEhEQERESEhARERISDg8OEA8PEA8REQ8QDxEQEBEREhIRERATEQoMDA4PDg4PDxEODw4RDxARERESEBEREhIMDg0QDw4OEA8RDxEQEhERERIRExISEhMSDA0ODw8PEBAQEQ4PDhIQEhESExMREhEUEg8PDxERDxAQERISEhITEhISExIUEhMTFRUPDxAQERESEhISDxAQERERExQTFBESEhMRDQ4OEBAODw8QEQ4PDxEREBARERIPERAREQ4PDxAQDxAQEREQEBAREREREhESEREREhQODw8REA8QEBERDxAQERERERESEhARERMSEBAREREREhETEhERERITERQSExURExITFA8RDxEQEBEREhIRERESERITEhMVEhIRExMAQcC8GgsRAgAAAAEAAAADAAAAAAAAAAQAQeC8GguTAgEFBQQICAQICAUHCAgJCggKCgUIBwgKCggKCQcJCQkLCwkLCwkLCwsMDQsNDQkLCwsNDQsNDQcJCQkLCwkLCwkLCwsNDQsNDQkLCwsNDQsNDAUJCQkLCwkLCwkLCwsMDQsNDQkLCwsNDQsNDQkLDAsNDQwNDQsMDQ0ODw0ODgwNDQ0PDw0PDggKCgsNDQwODQsMDA0ODw0PDwsMDA0PDw0PDgUJCQkLCwkLCwkLCwsNDQsNDQkLCgsNDQsNDAgKCgsNDQwNDQsMDA0ODw4PDwoMDA0ODw0PDgkMCwwNDQsNDQwNDQ0PDw0ODwsNDA0PDg0PDgABAAAAAAAAAAIAAAADAwMDAwMDAwIAAABAAAAAwNwGAEGovxoLA8CgBgBBtL8aCwPooAYAQcC/GgsHEKEGADihBgBB0L8aCwdgoQYAiKEGAEHgvxoLB7ChBgDYoQYAQfG/GgseogYAKKIGANihBgAAAAAAUKIGAHiiBgCgogYAyKIGAEHQwBoLCwIAAABAAAAAgKAGAEGAwRoL8QUCBw4QERIUFQcEBggLDA4QDQUEBAgJCw0PCAQDBQcJChELCAQEBgkJEQsJBwYFBwgTDQsJCQcICBUPDQsKCAgHBQAAAPMAAADA2wYAAQAAAAAAEOAAABBgAgAAAAAAAAC03AYAAAAAAAUAAAA1DAAAYM8GAAEAAAAAADDgAAAQYAMAAAAAAAAAoNsGAAAAAAAFAAAA8wAAAGDOBgABAAAAAAA44AAAOGACAAAAAAAAAFTPBgAAAAAABQAAAPMAAABgzQYAAQAAAAAAEOAAABBgAgAAAAAAAABUzgYAAAAAAAUAAADzAAAAYMwGAAEAAAAAAFTgAABUYAIAAAAAAAAAVM0GAAAAAAAFAAAANQwAAADABgABAAAAAAAw4AAAEGADAAAAAAAAAEDMBgAAAAAABQAAADUMAACgswYAAQAAAAAAfOAAAFxgAwAAAAAAAADgvwYAAAAAAAEAAAAHAAAAcLMGAAEAAAAAADjgAAAQYAMAAAAAAAAAgLMGAAAAAAAFAAAA8wAAAHCyBgABAAAAAACV4AAAlWACAAAAAAAAAGSzBgAAAAAABQAAAPMAAABwsQYAAQAAAAAAXOAAAFxgAgAAAAAAAABksgYAAAAAAAUAAADzAAAAcLAGAAEAAAAAanjhAGp4YQIAAAAAAAAAZLEGAAAAAAAFAAAANQwAABCkBgABAAAAAIhT4QCIM2EDAAAAAAAAAFCwBgAAAAAAAQAAABkAAACAowYAAQAAAADAEuEAAJlgBQAAAAAAAACgowYAAAAAAAEAAAAZAAAA8KIGAAEAAAAAAHjgAAAQYAUAAAAAAAAAEKMGAAAAAAAEBAQEBAQEBQUFBQUFBQUFBQUFBQUFBQUFAAAAAAAAAAwAAAALAAAADQAAAAoAAAAOAAAACQAAAA8AAAAIAAAAEAAAAAcAAAARAAAABgAAABIAAAAFAAAAEwAAAAQAAAAUAAAAAwAAABUAAAACAAAAFgAAAAEAAAAXAAAAAAAAABgAQYDHGguBAQEDAgQFBwcICAkJCgoLCwwMDQ0ODg8PDw8AAAAAAAAADAAAAAsAAAANAAAACgAAAA4AAAAJAAAADwAAAAgAAAAQAAAABwAAABEAAAAGAAAAEgAAAAUAAAATAAAABAAAABQAAAADAAAAFQAAAAIAAAAWAAAAAQAAABcAAAAAAAAAGABBkMgaC7UYAQcHDAwFCwwMDAUMCwwMDAwMDAwMDQ0NDQcLCw0NDQwNDQ0NDQ0NDQ0NDQ0NDQ0NDQ0HDQoNDQ0NDQ0NDA0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0HDQwNDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQwNDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQgNDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0MDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDA0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQgNDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0MDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0KDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0IDQwNDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQsNDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NCw0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0AQdDgGgsRAgAAAAEAAAADAAAAAAAAAAQAQfDgGguHBgEICAgICAgICAgICAgICAkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQABAAAAAAAAAAIAAAAEBwcHBwgHCAcHBwgHCAgICAgHCAcICAgHCAgHCAgICAgICAgICAgICAkICAkICAgICQgICAgHCAgICAgICAgICAgICAgICAgICAgICQgICQgHCAgICAgICAgICAgICAkICAkICAgICQkICQgICAgICAgICAgICAgICAkICQkICAgICQkICQkHCAgICAgICAgICAgICAkICQgICAgICQkICQgHCAgICAgICAgICAgICAkICQkICAgICQgICQgHCAgICAgICAgICAgICAkICQkICAgICQkICQgICAgICAgICAgICAgICQkICQkICAgICQkICQgAAQAAAAAAAAACAAAAAgYGBQcHBQcHBQcHBwcJBwkJBgcHCAkJBwkHBggICAkKCAkJCAkKCQkKCgoKCAkJCgoLCQoKBggICAkJCAoJCAkJCQoKCgsKCAoJCgsKCQsJBggIBwkJBwkJBwkJCAkKCQoKCAkJCQoKCQoJBwkJCQkKCQoKCQkKCgkLCgsLCQoKCgsLCgsKBgkICQkKCQoJCAoKCQkKCgsLCQoKCgsLCQsJBggIBwkJBwkJCAkJCQkKCQoKBwkJCQoKCAoJBggJCQkKCQoJCQoKCQkLCgsLCAkKCgsLCQoJBwkJCQoKCQoJCQoKCgoLCgsLCQoJCgsLCgsJAAEAAAAAAAAAAgAAAAIDAwMDAwMAQYDnGgvVGAMAAAACAAAABAAAAAEAAAAFAAAAAAAAAAYAAAAAAAAAAgYGCQkFBwgKCwUIBwsKCAoLDA0ICwoNDAYHCAoLBwgKCgwICQkMDAoKDAwOCgwMDg0GCAcLCggJCQwMBwoIDAsKDAwNDgoMCg4MCQoLCw0KCgsLDQsMDA0ODAwNCw8NDg4PDgkLCg0LCwwMDQ0KCwoNCw0ODg8PDA0MDwsGCAkLDAgJCwwNCAoKDQ0LDA0ODwsMDQ4OCQkKDA0KCgwMDgoLCw0ODAwODg8NDQ4PDwkKCg0NCgsLDQ4KCwoODQ0NDg8PDA4NDw4MDA0NDgwNDg0PDQ4ODw8ODg8OEA8PDxAQDA0NDg4NDg4PDwwODQ8ODg8PEBAODw4QDgYJCAwLCAoKDQ0ICwkNDAsMDA4OCw0MDw4JCgoNDQoKCw0OCgwLDg0MDQ4ODw0NDQ8OCQoJDQwKCwsODQoMCg4MDQ4NDw8MDgwPDgwNDQ4ODQ0NDg8NDg4PDw4ODw4QDg8PEBAMDQwODQ0ODg8PDA4NDw0PDw8QEA4PDhAOCwwMDQ4MDQ4OEAwNDQ8PDg4QDxEODw8QEAwNDg4PDQ0PDxAODg4PEA8PEBARDw8QEBENDQ0PDw4ODw8QDQ4ODxAPDxAQEQ8QDxEQDg8PEBAPDxAQEQ8QEBEREBAREBIQEREREQ8PDxAQDxAQEREPEBAREBARERISEBEQERALDAwPDQ0NDQ8PDA4NEA4ODw8QEA4PDhEPDQ0NDw4NDg4QDw4ODhAPDw8QEBEPEA8REAwODQ8ODg4OEA8NDg0QDw8QEBEQDxAPERAPDw8QEA8PEBARDxAQEREQEBERERERERIRDg8PEBAPEBAREA8QDxEQEREREhEQERASEAYJCQwMCAoKDA0ICgoNDAoMDA4PCw0MDw4ICQoMDQkKCw0OCgsLDg0MDA0ODwwNDQ8PCAoKDQ0KCwsNDgoMCg4NDA0NDw8MDg0PDgsMDA0ODAwNDQ8MDQ0PDw4NDw4QDg8PEBAMDQ0ODg0NDg8ODA4NDw4ODw8QDw4PDhAOBwkKDAwJCgsNDgkLCg0NCwwNDg8MDQ0PDgkKCwwNCgoMDQ4LCwwODgwMDg4PDQ0ODw8JCwsNDQsMDA4OCgwKDg0NDg4PDw0ODRAODAwNDg8NDQ4OEA0ODg8PDg4PDhEODw8QEAwNDQ8ODQ4ODw8NDg0QDg8PDxAQDg8OEA4HCgkNDAoLDAwOCgwLDgwMDQ0ODwwODQ8OCQsKDQ0KCwwNDgwNDA8NDQ0ODQ8NDg4QDwoLCw0NDAwNDg4LDAsODQ4ODg8QDQ4NEA0MDQ0ODgwNDQ4PDg4ODw8ODQ8NEA8PDxEQDQ0NDg4ODg4PDwwNDQ8ODxAQEBAODw4QDQsMDQ4PDA0ODxANDg4PDw4ODw8RDg8PEBANDQ4ODw0NDw4QDg4PDxAPDhAPEQ8QEBARDQ4ODw8ODg8QEA0PDhAQDxAQEREPEA8REA4PDw8RDw8QDxEPEBAQERAQERASERERERIPDw8REA8QEBERDxAQERAQERESEhAREBIRCw0MDw4NDQ4PDw0ODRAODw8PEBAPEA8REA0ODQ8ODQ0ODw8ODw4QDw8PEBAQDxAPEhANDg4PDw4PDw8QDQ8NEA8PEBAREQ8QDxEQDw8PEBAPDw8QERAQEBEQEBAREBERERESEQ8PDxAQEBAQEREPEA8REBERERISEBEQEQ8GCQkMDAgKCgwNCAoKDQwLDA0ODwoMDA4OCQoKDQ0KCgwNDgoLCw4NDA0ODg8MDQ0PDwgKCQ0MCgsLDQ4JCwoODQwNDQ8PDA0MDw4MDQ0ODgwNDQ4PDQ4ODg8ODg8OEA4PDxAQCwwMDg0NDQ0PDwwNDA8NDg8PEBAODw4QDgcJCgwNCgoMDA4KDAsODQwNDg4PDA0NDw4KCwsNDQsLDA0ODA0MDg4NDQ4NEA4ODg8PCQoLDQ4MDA0NDwoMCg4NDQ4ODxANDg0PDQ0ODQ4PDA0NDg8ODg4PDw4NDw0QDxAQEBAMDQ0ODg4ODg8PDA0NDw4PDxAQEA4PDRANBwoJDAwJCgsNDQkLCg4NDA0NDg8LDQwPDgkLCw0NCgoMDQ4LDAwODg0NDg4QDQ4OEA8JCwoNDAsMCw4OCgwKDg0NDg0PDwwODBAODA0NDg8NDQ4OEA0ODg8PDg4PDhAPDw8QEAwNDA8ODQ4ODw8MDg0QDg4PDxAQDg8OEQ4LDA0ODw0NDg4QDQ4NDw8PDxAQEQ8PDxAQDQ4NDw8NDQ8PEA4PDxAQDw8QDxEQEBAREQ0NDg4PDg4PDxANDg0PDw8QEBARDxAPEBAPDw8QEA8PEBAREBAQEREQEBEQEhERERISDw8PEBAQEBAREQ8PDxAQERERERIQEBARDwsNDA8ODQ0ODw8MDg0QDg4PDxAQDg8OEA8NDg4PDw0ODhAQDg8OEBAPDxAREQ8QEBERDQ4NDw4ODg4QDw0PDRAODxAPERAPEA4RDw4QDxARDxAQEBEPEBARERAQERESEBEREhEODw8RDw8QEBEQDxAPEQ8QERESERAREBIPCgwMDg4MDQ0PDwwNDQ8PDQ4ODxAODw4QEAwNDQ8PDA0ODw8NDg4PDw4ODxARDg8PERAMDQ0PDw0ODg8QDQ4OEA8ODw8QEQ4PDxEQDQ4ODxAODg8PEA4PDxAQDw8QEBEPEBAREQ4PDxAQDw8PEBAPDw8QEBAREBEREBAQEhALDAwODgwNDg8PDA0NDw8NDg8QEA4PDxAQDA0NDw8NDQ4PEA0ODg8QDg4PEBEPDw8QEQwNDQ8PDQ4ODxANDg4QDw8PDxARDxAPERAODg8PEA4ODw8RDw8QEBEPDxAPEhAQEBERDg8PEBAPEBAREQ8PDxEQEBEQEREQEBASEAsMDA4ODQ0ODw8NDg0PDw4PDxAQDg8PEBAMDQ0PDw0NDg8PDg4OEA8PDw8PEA8QDxEQDA0NDw8ODg8PEA0ODRAPDw8QEBEPEA8RDw4PDhAQDg8PEBAPEA8REA8PEA8REBEQEREODw8QEA8QEBARDg8PEBAQEREREhAQEBEQDA0NDw8NDQ4PEA0ODhAPDg8PEBEODw8REA0ODg8QDg4PDxEODw8QEA8OEA8RDxAQERENDg4QEA4PDxAQDg8OEBAPEBAREQ8QDxEQDw8QDxEPDxAPEQ8QEBAREA8RDxIREREREQ8PDxEREBAQEREPEA8RERARERISEBEPEg8LDAwPDw0NDw4QDQ4NEA4PDxAQEQ8QDxEPDA4NEA4NDQ4OEA4PDhAPDw8QDxEQEBAREAwNDg8QDw8PDxANDw0QDhAQEBERDxAPEQ8PEA8QDw4ODxAQEBAQERAPDxAPERERERIRDw8PEBAQEBAQEQ4PDxEQERERERIPEA8SDgoMDA4ODA0NDw8MDQ0PDw4ODw8QDQ8OEBAMDQ0PDw0ODg8QDQ4ODw8ODw8QEQ4PDxEQDA0NDw8NDg4PDwwODQ8PDg8PEBEODw4RDw4PDxAQDg8PEBEPDw8REBAQEBAREBAQERENDg4QDw4PDxAQDg8OEBAPEBAREQ8QDxEQCwwMDg8NDQ4ODw0ODQ8PDg8PEBAODw8QEAwODQ8PDQ0ODxAODw4QDw8PEA8RDxAQERAMDQ0PDw4ODw8QDQ4NEA8PDxAQEQ8PDxAQDg8PEBAODw8QEA8QEBEREBAQEBEQERESEQ4ODw8QDw8QEBEODw8QEBAQEBERDxAPEQ8LDAwODgwNDg8PDA0NDw8ODw8QEA0PDhAQDA0NDw8NDg4PEA0ODhAQDw8PEBEPDw8REAwNDQ8PDQ4OEA8NDg0QDw8QDxERDg8OERAODw8QEA8PEBARDxAQEREQEBAQEhAREBIRDg8OEA8PDw8REA4PDhEPEBEQEREPEA8RDwsMDA8PDQ0PDhANDw0QDg8PEA8RDxAPERAMDg0PDw0NDw8QDw8PEA8PDxAPERAQEBEQDA0ODxAODg8PEA0ODRAOEBAQEBEPEA8RDw8QDxAQDg8PEBAQEBAREA8PEA8REREREhEPDw8PEBAQEBARDg8OEA8REREREg8QDxEPDA0NDw8NDg4PEA0ODhAPDg8PEBEODw8REA0ODhAPDQ4PEBAODw8QEA8PEBARDxAQERENDg0QDw4PDxAQDQ8OEA8PEBAREQ8QDhEPDw8QEREPDxAQERAQEBEREA8REBIRERESEg8PDxEOEBAQERAPEA8RDxARERIREBEPEg8AQeD/GgsRAgAAAAEAAAADAAAAAAAAAAQAQYCAGwu1GAcJCQoKCQoKCgsJCgoLCgkKCgsLCQoKCwsJCgoLCwoKCgsLCgoKCwsKCwsLCwoLCwsLCQoKCwsKCgoLCwkKCgsLCgsLCwsKCwsLCwoLCwsLCgsLCwsLCwsLCwsLCwsLCwsLCwwKCwsLCwsLCwsLCgsLCwsLCwsLCwsLCwsLCQoKCwsKCgsLCwoKCwsLCgsLCwwKCwsMDAoKCwsLCgsLCwwLCwsMDAsLDAwMCwsMDAwKCwsLCwsLCwwMCgsLDAwLDAsMDAsMCwwMCwsLCwwLCwwMDAsMDAwMDAwMDAwMDAwMDAsLCwwMCwwMDAwLDAsMDAwMDAwMDAwMDAwJCgoLCwoLCgsLCgsKCwsKCwsMDAoLCwwLCgsLCwsKCwsLDAsLCwwMCwsMDAwLCwsMDAoLCgsLCwsLDAwKCwsMCwsMCwwMCwwLDAwLCwsMDAsLDAwMCwwMDAwMDAwMDAwMDAwMCwsLDAsLDAwMDAsMCwwMDAwMDAwMDAwMDAoLCwsLCwsLDAwLCwsMDAsMDAwMCwwMDAwLCwsMDAsLDAwMCwwMDAwMDAwMDAwMDAwMCwsLDAwLDAwMDAsMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDQwNDAwMDA0MDAwMDAwMDAwMDAwMDAwMDAwMDAwMDA0MCgsLCwsLCwsMDAsLCwwMCwwMDAwLDAwMDAsLCwwMCwwMDAwLDAwMDAwMDAwMDAwMDAwLCwsMDAsMDAwMCwwLDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDA0MDA0MDQwJCgoLCwoKCwsLCgsKCwsKCwsMDAoLCwwMCgoLCwsKCwsLDAoLCwwMCwsMDAwLCwsMDAoLCgsLCwsLDAwKCwsMCwsMCwwMCwwLDAwLCwsLDAsLDAwMCwwMDAwLDAwMDAsMDAwMCwsLDAsLDAwMDAsMCwwMDAwMDAwMDAwMDAoKCwsLCgsLDAwKCwsMDAsLCwwMCwsMDAwKCwsLDAsLDAwMCwsMDAwLCwwMDAsMDAwMCwsLDAwLDAwMDAsMCwwMCwwMDAwLDAwMDAsLDAwMCwwMDAwMDAwMDAwMDAwMDAwMDAwLDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMCQoKCwsKCwsLDAoLCwwLCwwLDAwLDAsMDAoLCwwLCwsLDAwLDAsMDAsMDAwMCwwMDAwKCwsMDAsMCwwMCwwLDAwMDAwMDAsMDAwMCwwLDAwLDAwMDAwMDAwMDAwMDAwMDAwMDAsMDAwMDAwMDAwLDAwMDAwMDAwMDAwMDAwLCwsMDAsMDAwMCwwMDAwMDAwMDAwMDAwMCwsMDAwMDAwMDAwMDAwMDAwMDA0MDAwMDAsMDAwMDAwMDAwMDAwMDAwMDA0NDAwMDQ0MDAwMDAwMDAwNDAwMDA0MDA0MDQwNDQ0NDAwMDAwMDAwNDAwMDA0MDA0NDQ0MDQ0NDQoLCwwMCwwMDAwLDAwMDAwMDAwMDAwMDAwLCwwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMCwwMDAwMDAwMDAwMDA0MDAwMDQ0MDAwNDAwMDAwMDAwMDAwMDAwNDQwNDQwNDA0NDQ0MDAwMDAwMDA0MDAwMDQwMDQ0NDQwNDQ0NCQoKCwsKCgsLCwoLCgsLCgsLDAwKCwsMDAoLCwsLCgsLDAwLCwsMDAsLDAwMCwsMDAwKCwoLCwoLCwwMCgsLDAsLDAsMDAsLCwwMCwsLCwwLCwwMDAsMDAwMDAwMDAwMDAwMDAsLCwwLCwwMDAwLDAsMDAwMDAwMCwwMDAwJCgoLCwoLCwsMCgsLDAsLCwwMDAsLDAwMCgsLDAwLCwwMDAsLDAwMDAwMDAwMDAwMDAoLCwwMCwsLDAwLCwsMDAsMDAwMCwwMDAwLDAwMDAsMDAwMDAwMDAwMDAwMDAwMDAwMCwsMDAwMDAwMDAsMDAwMDAwMDAwMDAwMDAoLCgsLCgsLDAwKCwsMDAsLCwwMCwwLDAwLCwsMDAsLDAwMCwsMDAwLDAwMDAsMDAwMCgsLDAsLDAsMDAsMCwwMCwwMDAwLDAsMDAsMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwLDAsMDAwMDAwMDAwMDAwMDAwMDAwMDAwMCwsLDAwLCwwMDAsMDAwMDAwMDAwMDAwMDAsMDAwMDAwMDA0MDAwMDAwMDA0NDAwMDQ0LDAwMDAwMDAwMDAwMDAwMDAwMDQwMDAwMDAwMDAwMDA0MDQwMDA0NDA0NDA0MDQ0NDQwMDAwMDAwMDAwMDAwMDAwNDQ0NDA0MDQwLCwsMDAsMDAwMCwwMDAwMDAwMDAwMDAwMCwwMDAwMDAwMDAwMDAwMDAwMDQ0MDAwNDQsMCwwMDAwMDAwMDAwMDAwMDA0MDAwMDQwMDAwMDAwMDA0NDAwMDA0MDQ0NDQwNDQ0NDAwMDAwMDAwNDAwMDA0MDA0NDQ0MDQ0NDAoLCwwMCwsLDAwLCwsMDAsMDAwMCwwMDAwLCwsMDAsLDAwMCwwMDAwLDAwMDAwMDAwMCwsLDAwLDAwMDAsMCwwMDAwMDAwMDAwMDAsMDAwMCwwMDAwMDAwMDAwMDAwNDAwMDAwLDAwMDAwMDAwMDAwMDAwMDAwNDAwMDAwMCwsLDAwLDAwMDAsMDAwMDAwMDAwLDAwMDAsLDAwMCwwMDAwMDAwMDAwMDAwNDAwMDQ0LDAwMDAwMDAwMDAwMDAwMDAwNDQwMDA0NDAwMDAwMDAwMDQwMDAwNDAwNDA0MDA0NDQwMDAwMDAwMDA0MDAwNDAwNDQ0NDA0NDQ0KCwsMDAsMDAwMCwwMDAwLDAwMDAwMDAwMCwsMDAwLDAwMDAwMDAwMDAwMDA0MDAwNDQsMCwwMDAwMDAwLDAwMDAwMDA0NDAwMDQwMDAwMDAwMDAwMDAwMDQwMDAwMDQwNDA0NDAwMDAwMDAwNDAwMDA0MDA0MDQ0MDQwNDAsLCwwMCwwMDAwLDAwMDAwMDAwMDAwMDAwLDAwMDAwMDAwMDAwMDAwMDA0MDQwMDQ0NCwwMDAwMDAwMDAwMDA0MDAwMDQ0MDAwNDAwMDAwMDAwNDA0MDAwMDQwMDQwNDA0NDA0MDAwMDAwNDQ0MDAwMDQwMDQ0NDQwNDQ0MCwsLDAwLDAwMDAsMDAwMDAwMDAwMDAwMDAsMDAwMDAwMDAwMDAwMDAwMDAwNDAwNDQ0LDAwMDAwMDAwNDAwMDQwMDQwNDQwNDA0MDAwMDAwMDAwMDAwMDAwMDAwNDA0MDQ0NDAwMDAwMDA0MDQwMDAwNDAwNDQ0MDA0MDQwKCwsMDAsLCwwMCwsLDAwLDAwMDAsMDAwMCwsLDAwLCwwMDAsMDAwMDAwMDAwMDAwMDAsLCwwMCwwMDAwLDAsMDAwMDAwMCwwMDAwLDAwMDAwMDAwMDAwMDAwMDAwMDQwMDAwMCwwMDAwMDAwMDAsMDAwMDAwMDAwMDAwMDAoLCwwMCwsMDAwLDAwMDAsMDAwMDAwMDAwLCwwMDAwMDAwMDAwMDAwMDAwMDQwMDA0NCwsLDAwMDAwMDAsMDAwMDAwMDQ0MDAwNDQwMDAwMDAwMDA0MDAwMDQwMDQwNDAwNDQ0MDAwMDAwMDAwNDAwMDAwMDA0NDQwMDA0MCwsLDAwLDAwMDAsMDAwMDAwMDAwLDAwMDAsMDAwMDAwMDAwMDAwMDAwMDA0NDAwMDQ0LDAsMDAwMDAwMCwwMDAwMDAwNDQwMDA0MDAwMDAwMDAwMDQwMDA0NDA0NDQ0MDQ0NDQwMDAwMDAwMDQwMDAwNDAwNDA0NDA0MDQwLCwsMDAsMDAwMCwwMDAwMDAwMDAwMDAwMCwwMDAwMDAwMDQwMDA0NDAwNDA0MDA0NDQsMDAwMDAwMDAwMDAwMDAwMDA0NDAwMDQwMDAwMDAwMDAwNDAwMDQ0MDA0MDQwNDQ0NDAwMDAwMDA0MDQwMDAwMDA0NDAwMDQwMDAsLCwwMCwwMDAwLDAwMDAwMDAwMDAwMDAwLDAwMDAwMDAwNDAwMDA0MDA0NDQwMDA0NCwwMDAwMDAwMDAwMDAwMDA0MDQ0MDQwNDAwMDAwMDAwMDA0MDQwNDQwNDQwNDA0NDQ0MDAwMDAwMDA0MDA0MDQwMDQwNDAwNDA0MAEHAmBsLEQIAAAABAAAAAwAAAAAAAAAEAEHgmBsLtR4CBQUEBwgECAcFBwgHBwoICQkFBwcICQkHCgcFBwgICQsICgoICQoKCgwLDAwICgoKDAwKDAsFCAcICgoICwkICgoKCwwKDAwICgkLDAwKDAoFCAgHCgoICwoHCQoJCgwKDAwICgoKDAwKDAsHCQoJCwwKDAsJCQwKCg0MDA0KDAsMDQ0LDQsHCgkKCwwKDQsJCwsLCw0MDg0KCwsMDg4LDgsFCAgICgsHCgoICgoKCwwKDAwHCgkKDAwJDAoHCQoKCw0KDAsKCwsLCw4MDg4JCwsMDQ4LDQsHCgkKCwwJDAoKCwwLCw0MDQ0JDAkMDQwKDQoAAQAAAAAAAAACAAAABgcHBwcIBwgHBwcIBwgICAgIBwgHBwgIBwgIBwgICAgICAgICAgICAgICAgICAgICAgICAgIBwgICAgICAgICAgICAgICAgICAgICAgICAgIBwgICAgICAgICAgICAgICAgICAgICAgICAgIBwgICAgICAgICAgICAgJCAgJCAgICAkJCAkJBwgICAgICAgICAgICAgICAkICAgICAkJCAkIBwgICAgICAgICAgICAgICAgICAgICAgICAgIBwgICAgICAgICAgICAgJCAkJCAgICAgJCAgICAgICAgICAgICAgICAkJCAkJCAgICAkICAkIAAEAAAAAAAAAAgAAAAIFBQUHBwUHBwUHBwcICQcJCQUHBwcJCQcJCAUHCAcJCggJCQgJCgkKDAoLCwgKCQoLDAkLCgUIBwgKCQcKCQgJCgkKCwoMCwgKCQoLCwkMCgUICAcJCggKCQcJCgkKCwkLCwgKCQoLCwoMCgcJCgkKDAkLCwkJDAsKDQsLDQoMCwsNDQsNDAcJCQkLCwkMCwkLCgoLDAsNDAkLCwwNDQsNCwUICAgJCgcKCQgJCgoKDAoLCwcKCQkLCwkLCgcJCQkLDAkLCwkLCwsLDQwNDQkKCwsMDQoMCwcKCQkLCwkMCgoLDAsMDQwNDQkMCQsNCwoNCgABAAAAAAAAAAIAAAAEBgYJCQYICAoKBggICgoICQoMDAgKCQwMBggICgoICAkKCwgJCQsLCQoLDA0KCwsNDQYICAoKCAkJCwsICQgLCgoLCw0NCQsKDQwJCgoMDAoKCwwNCgsLDQ0MDA0MDwwNDQ8OCQoKDAwKCwsNDQoLCg0MDA0NDg8MDQwPDAcICAoLCAkKCwwICQkLCwoLCw0OCgsLDQ0ICQkLDAkKCwsNCQoKDAwLCwwNDwsMDA4OCAkJCwsJCgsMDQkKCgwMCwwMDg8LDAwODgoLDA0NCwwMDQ4MDAwODg0NDg4QDg4OEA8KCwsNDQwMDA4OCwwMDg0ODg4PEA0ODRAOBwgICwoICQkLCwgKCQwLCgsLDQ0KCwsODQgJCQwLCQoKDAwJCwoNDAsMDA0OCwwMDw4ICQkMCwkKCgwMCQsKDQsLDAwODgsMDA4NCgsLDQ0LDAwNDgwNDA4ODQ0ODhANDg4QDwoLCw0NDAwMDg4LDAwODQ0ODg8PDQ4NEA4JCgsMDQsLDAwOCwsMDQ4NDQ4OEA0NDg8PCwsMDA4MDA0NDwwMDQ0PDg4PDxAODg4PEAsMDA0ODAwNDg8MDQwODg4ODw8QDg4OEBANDQ4PEA4ODw8QDg8PEBAPDxAQEhAQEBERDQ4ODw8ODg8QEA4PDhAQEBAQERIPEBAREAkLCg0MCwwLDg0LDAsODA0ODQ8ODQ4NEA4LDAwODQwMDQ4ODA0MDw4ODg4QEA4PDhEPCwwLDgwMDQwPDQwNDA8NDg4OEA8ODw4QDw0ODg8PDg4PEBAODw4QEA8PEBAREBAQERENDg4QDw4PDxAQDg8OEQ8QEBAREQ8QDxIQBwgICgsICQkLDAgJCQwLCgsLDQ4KCwsODQgJCQsLCQoKDAwJCgoMDAsMDA0OCwwMDg4ICQkMCwkKCwwNCQsKDQwLDAwODgsMDA4NCgsLDQ0LDAwNDgsMDA4ODQ0ODhANDg4QDwoMCw0NDAwMDg4LDAwODQ4ODg8QDQ4OEA4ICQkLCwkKCgwMCQoKDAwLCwwNDgsMDA4OCQkKCwwKCgsMDQoKCwwNDAwNDg8MDA0ODwkKCgwMCgsLDQ0KCwsNDQwNDQ8PDA0NDw4LCwwNDgwMDQ0PDAwNDg8ODg8OEA4ODw8QCwwMDg4MDQ0PDwwNDQ8ODg8PEBAODw4RDwgJCQsLCQoKDAwJCwoNDAsMDA4OCw0MDw0JCgoMDAoKCwwNCgwLDQ0MDA0NDwwNDQ8OCQoKDAwLCwwNDQoMCg0MDA0NDw8MDQ0PDQsMDA4ODAwNDg4MDQ0PDg0NDg0QDg8OEBALDAwODg0NDQ8PDA0MDw4ODw8QEQ4PDRANCgsLDQ4LDAwNDwsMDA4ODQ4ODxANDg4QEAsLDAwODAwNDQ8MDQ0NDw4ODw4RDg4PDxALDAwODgwNDQ8PDA0NDw8ODw8QEQ4PDxAQDQ4ODhAODg8OEQ4PDw4REBARDxIQEBEQEg0ODhAQDg8PERAODw8REBARERISEBEQEhEKCwsODQsMDA4OCw0MDw4ODg4QDw4PDhAPCwwMDg0MDQ0PDg0ODQ8ODg8PEBAODw8RDwsMDA4ODQ0NDw8MDQ0PDg8PDxERDg8PEQ8NDg4QDw4PDxAQDw8PERAQEBAQERAREBIRDg4OEBAPDw8QEA4PDhEQEBERERIQERASEAcICAsLCAkJCwwICQkMCwoLCw0OCgsLDg0ICQkLDAkKCwwNCQsKDQwLDAwNDgsMDA4OCAkJCwsJCgoMDAkKCg0MCwwMDg4LDAsODQoLDA0NCwwMDQ4MDQwODg0NDg4QDQ4OEA8KCwsNDQsMDA4OCwwMDg0NDg4PEA0ODRAOCAkJCwsJCgsMDQkKCgwMCwwNDQ4LDAwODgkKCgwMCgoLDA0LDAsNDQwMDQ0PDA0NDw8JCgoMDAoLDA0OCgsKDQwMDQ0ODwwNDA8NDAwMDg4MDA0ODw0NDQ8PDg4PDRAODw8QEAsMDA4ODA0NDg8MDQwODg4ODxAQDQ4NEA4ICQkLCwkKCgwMCQoKDAwLDAwODgsMCw4OCQoKDAwKCwsNDQoLCw0NDA0NDg8MDQ0PDgkKCQwLCgsKDQwKCwoNDAwNDA8ODA0MDw4LDAwODgwNDQ4PDA0NDw8ODg8PEQ4PDxAQCwwLDg0MDQwPDgwNDA8NDg8OEA8NDw4RDgoLCw0OCwwNDQ8LDAwODg4ODw8RDQ4ODxALDAwODgwMDQ4PDQ0NDw8ODw8PEQ8PDxAQCwwMDQ4NDQ4ODwwNDQ4PDg8PEBEODw8QEA4ODhAQDg4PDxEPDw8REBAQERASEBEREhENDg4PEA4PDxARDg8PEBAQEREREhAQEBEQCgsLDg0LDAwODgsMDA8NDQ4OEA8NDg4QDwsMDA4ODA0NDw8MDQ0PDw4PDxARDg8PERALDAsODAwNDQ8NDA0MDw0ODw8QDw4PDhEODQ4OEBAODw8QEQ4PDxAREBARERIQERESEg0ODhANDg8PEQ4ODw4RDhAREBEQEBEQEg8ICwsNDQoMDA4OCwwMDg4NDQ4PEA0ODhAPCgsLDg4LDAwODwsMDA8ODQ4ODxANDg4QEAsMDA4ODA0NDw8MDQwPDg4ODxAQDg8OEBAMDQ0PDwwNDg8QDQ4OEBAODw8QEQ8PEBERDQ4OEA8ODw8QEA4PDhAQEBAQEREPEBASEAoLCw0OCwwMDg8LDAwPDg0ODhAQDQ4OEBALCwwODgwMDQ4PDA0NDw8ODg8PEQ4ODxAQCwwMDw4MDQ0PDwwNDQ8PDg8PEREODw8REA0MDg4QDQ0PDhEODQ8PEQ8OEA8SEA8QEBINDg4QEA4PDxERDg8PERAQERESEhAREBIRCgsLDg0LDAwODgsNDA8ODQ4ODxANDg4QEAsMDA4ODA0NDg8MDQ0PDw4ODw8QDg8PERALDAwODg0NDQ8PDA0NDw4ODw8QEQ4PDhEPDQ4NEA8ODg4PEA4PDhAQDw8QEBEQEBASEQ4ODhAQDw8PERAODw4REBAQERESEBEQEhALDQ0PDwwNDg8QDA4ODw8ODw8QEQ4PDxERDA0ODhANDg4OEA4ODg8QDw8QDxIPEBAREQ0ODhAQDg4PEBAODw4QEA8QEBESDxAQEhEODhANEQ8PEA4SDw8QDhIQEBIPExEREhASDxAPEREPEBESEhAQEBIRERISExMREhETEgsMDA8ODQ0ODxANDg0QDg8PDxARDxAPERAMDQ0PDg0NDg8PDg8OEA8PDxAQERAQEBIRDA0NDw8ODg8QEA0ODRAPEBAQERIPEA8REA4PDhEPDg8PEBAPEA8REBAPEA8RERIREhEPDw8QERAQEBERDxAPERAREhISEhAREBIPCAsLDQ0LDAwODgoMDA4ODQ4ODxANDg0QDwsMDA4ODAwNDg8MDQ0PDw4ODw8QDg4OEBAKCwsODgsMDA4PCwwMDw4NDg4QEA0ODhAPDQ4ODxAODg8QEA4PDxAQDxAQEBIQEBAREQwNDQ8PDQ4OEBAMDg0QDw8QDxERDhAPERAKCwsNDgsMDQ4PCw0MDg4ODg8QEA0ODhAQCwwMDg4MDQ0ODw0ODQ8PDg8PEBEODw8REAsMDA4ODA0NDw8MDQwPDg4PDxARDg8PEBAODg4QEA4ODxAQDw8PEBAQEBEQEhARERISDQ0ODxAODg8QEQ0ODhAQEBARERIPEA8REAoLCw4NCwwMDg4LDAwPDg0ODhAQDQ4OEBALDAwODgwNDQ8PDA0NDw8ODw8QEQ4PDxEQCwwLDg4MDQ0PDwwNDA8ODg8OEBAODw4REA4ODhAQDg8PEBEODw8RERAQERESEBEREhINDgwQDg4PDREPDQ8NEQ4QEA8SEA8RDhIPCwwMDg8NDQ4OEA0ODQ8ODw8QEBEPEA8REAwNDQ8PDQ0ODxAODw4QEA8PEA8SEBAQEhEMDQ0PDw4ODw8QDQ4NDw8QEBAQEg8QDxEQDw8PERAPDxAQERAQEBIREBARDxIREhETEg4ODw8RDw8QEBEODw8QEBEREhETEBEPEQ8LDQwPDwwODg8PDA4NEA8PDw8REQ4PDxEQDA4OEBAODg8QEA4ODhAQDxARERIPEBASEQwODRAODQ4OEA8NDw4QDg8QEBERDxAPEg8PDxAREQ8QEBESEBAQEhIRERISExEREhMTDg8OEQ0PEA8SDg8QDxIOERIREhAQEhATDwBBoLcbCxECAAAAAQAAAAMAAAAAAAAABABBwLcbC8sCAgUFBAcHBAcHBQcHBwgJBwkJBQcHBwkJBwkIBgcICAkKCAkKCAkKCgoMCgsMCAoKCgsMCgsLBggHCAoJCAoJCAoKCgsLCgwLCAoJCgwLCgwKBQgICAoKCAoKBwkKCQoLCQsLCAoKCgwMCgwLBwkJCQoLCQsLCQkLCgsMCgsMCQsLCwwMCwwMBwkJCgsLCgwLCQsKCwsMCw0MCgsLDA0NCw0LBQgICAoKCAoKCAoKCgsMCgwLBwoJCQsLCQsKBwkJCgsMCgsLCgsLCwsNDA0NCQoLDAwNCwwLBwkJCQsLCQsKCQsLCwwMCwwMCQsJCgwLCgwLAAEAAAAAAAAAAgAAAAMJDxEUFRYXBQUHCQsNERQJBQUGCAoPEgsHBQQGCQ0RDgkHBQYHCg4RCggGBgQFCBQODQoIBAMEFxEQDgwGBAQCAAAAQAAAAPAOBwBBwLobCwNQ3gYAQcy6GwsDeN4GAEHYuhsLB6DeBgDI3gYAQei6GwsH8N4GABjfBgBB+LobCwdA3wYAaN8GAEGIuxsLH5DfBgC43wYAaN8GAAAAAADg3wYACOAGADDgBgBY4AYAQei7GwsLAgAAAEAAAAAQ3gYAQZC8GwvxBQIHDhARERIUBgMFCAoLDQ8NBQMFCAkLDA8HBAMFBwkLEAoHBQYHCQoRCwgHBwYICBMNCwkJCAgJFA4NCwoICQkFAAAA8wAAAPANBwABAAAAAAAQ4AAAEGACAAAAAAAAAOQOBwAAAAAABQAAADUMAACQAQcAAQAAAAAAMOAAABBgAwAAAAAAAADQDQcAAAAAAAUAAADzAAAAkAAHAAEAAAAAADjgAAA4YAIAAAAAAAAAhAEHAAAAAAAFAAAA8wAAAJD/BgABAAAAAAAQ4AAAEGACAAAAAAAAAIQABwAAAAAABQAAAPMAAACQ/gYAAQAAAAAAVOAAAFRgAgAAAAAAAACE/wYAAAAAAAUAAAA1DAAAMPIGAAEAAAAAADDgAAAQYAMAAAAAAAAAcP4GAAAAAAAFAAAANQwAANDlBgABAAAAAAB84AAAXGADAAAAAAAAABDyBgAAAAAAAQAAAAcAAACg5QYAAQAAAAAAOOAAABBgAwAAAAAAAACw5QYAAAAAAAUAAADzAAAAoOQGAAEAAAAAAJXgAACVYAIAAAAAAAAAlOUGAAAAAAAFAAAA8wAAAKDjBgABAAAAAABc4AAAXGACAAAAAAAAAJTkBgAAAAAABQAAAPMAAACg4gYAAQAAAABMXeEATF1hAgAAAAAAAACU4wYAAAAAAAUAAADzAAAAoOEGAAEAAAAAiDPhAIgzYQIAAAAAAAAAlOIGAAAAAAABAAAAGQAAABDhBgABAAAAAMAS4QAAmWAFAAAAAAAAADDhBgAAAAAAAQAAABkAAACA4AYAAQAAAAAAeOAAABBgBQAAAAAAAACg4AYAAAAAAAQEBAQEBAQFBQUFBQUFBQUFBQUFBQUFBQUAAAAAAAAADAAAAAsAAAANAAAACgAAAA4AAAAJAAAADwAAAAgAAAAQAAAABwAAABEAAAAGAAAAEgAAAAUAAAATAAAABAAAABQAAAADAAAAFQAAAAIAAAAWAAAAAQAAABcAAAAAAAAAGABBkMIbC4EBAQMCBAUHBwgICQkKCgsLDAwNDQ4ODw8PDwAAAAAAAAAMAAAACwAAAA0AAAAKAAAADgAAAAkAAAAPAAAACAAAABAAAAAHAAAAEQAAAAYAAAASAAAABQAAABMAAAAEAAAAFAAAAAMAAAAVAAAAAgAAABYAAAABAAAAFwAAAAAAAAAYAEGgwxsLhwgBBQUECgoFCgoFCgoKCgoKCgoFCgoKCgoJCgoGCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoHCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoGCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoGCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCwsAAQAAAAAAAAACAAAAAQgICAgICAgICAgICAgICQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJAAEAAAAAAAAAAgAAAAQHBwYHCAYIBwcHCAcHCAgICAcHBwgICAcICAcICAgICAgICAgICAgICQgJCQgICAgJCQgJCAcICAgICAgICAgICAgICQgJCQgICAgJCQgJCAcICAgICAgICAgICAgICQgJCQgICAgJCQgJCAcICAgICQgJCAgICAgICQgJCQgICAkJCQgJCQcICAgICAgICAgICAgICQgJCQgICAgJCQgJCAcICAgICAgICAgICAgICQgJCQgICAgJCQgJCAcICAgICAgICAgICAgICQgJCQgICAgJCQgJCAgICAgICAgICAgICAgJCQgJCQgICAkJCQgJCAABAAAAAAAAAAIAAAACBQYFBwgFCAcFBwcHBwkICQkFBwcICQkHCQcGCAgICQoICQkICQoJCQsKCgsICgkKCgsJCgoGCAgICQkICgkICQoJCgoKCwoICgkKCwoJCwkGCAgHCQkICQkHCQkJCQoJCgoICQkJCgoJCgkHCQkJCgoJCgoJCQoKCQsKCwsJCgoKCwsKCwoGCQgJCgoJCgkICgoJCQoKCwsJCgoKCwsJCwkGCAgICQkHCQkICQkJCQoJCgoHCQkJCgoJCgkGCAkJCQoJCgoJCgoJCQsKCwsICgoKCwsJCgkHCQkJCgoJCgoJCgoKCgsKCwsJCgkKCwsKCwkAAQAAAAAAAAACAAAAAgMDAwMDAwBBsMsbC9UYAwAAAAIAAAAEAAAAAQAAAAUAAAAAAAAABgAAAAAAAAACBgYJCQUHCAoLBQgHCwoICgsMDQgLCg0MBgcICgsHCAoKDAgJCQwLCgoMCw4KCwwODQYIBwsKCAkJCwwHCggMCgoMDA0OCgwKDgsJCgsLDAoKCwsNCwwMDQ0MCw0LDw0ODQ4OCQsKDAsLDAwNDQoLCg0LDQ0ODg4MDQsOCwcICQsMCQkLDA0JCgoNDAsMDQ0PCwwMDg4JCgoMDQoKDAwOCwsLDQ0MDA0NDwwNDQ8OCQoKDA0KCwsNDgoMCw4NDA0NDg8MDQ0PDgwMDQ0ODA0NDQ8NDg4ODw4ODw4QDg8PEBAMDQ0ODg0NDg8ODA0NDw4ODw8PEA4PDhAOBwkIDAsJCgoMDQkLCQ0MCwwMDg4LDQwPDQkKCg0MCgsMDQ4KDAsODQwNDQ4PDQ0NDw4JCgoNDAsLCw0NCgwKDgwNDQ0ODwwNDA8NDA0NDg4MDQ0ODw0ODQ8PDg4PDhAODw8QDwwNDA4NDQ0NDw4MDQ0PDQ4PDxAPDg8OEA4LDAwNDgwNDg4PDA0NDg8ODg8PEA4PDxAQDA0NDg8NDQ4OEA0ODg8PDw8QDxEPDw8QEAwNDQ4PDQ4ODxANDg4PDw8PEBARDw8PERAODw8QEA8PEA8QDxAQEBEQEBEQEhAQERIRDg8PEBAPEBAQEQ8QDxEQEBERERIQEBAREAsMDA4NDA0NDw4MDg0PDg4PDxAQDg8OEA8MDQ0PDg0ODg8PDQ4OEA8PDw8QEA8QDxEQDA0NDw4NDg4PDw0ODRAODw8PEBAPDw8RDw4PDxAQDw8PEBAPEBARERAQEREREBEREhEODw8QDw8PEBAQDw8PEQ8RERESERAREBIQBgkJDAwICgoMDQkLCg0MCgwMDg4LDQwODggKCgwMCQoLDA4KCwsNDQwMDQ0PDA0NDw4JCgoNDQoLCw0NCgwKDg0MDQ0ODwwNDQ8OCwwMDQ4MDA0NDwwNDQ4ODQ0ODRAODw8QDwsMDA4ODQ0NDw4MDQ0PDg4PDxAPDg4OEA4HCQoMDAkKCw0NCQsKDQ0LDA0ODwwNDQ8OCQoLDA0KCgwNDgsLDA4ODAwODg8NDQ0PDwkLCw0NCwwMDg4KDAoODQ0ODQ8PDA4NDw4MDA0NDwwMDg0PDQ4ODw8ODg8OEQ4PDxAQDA0NDw4NDg4PDwwODQ8ODg8PEBAODw4QDgcKCgwMCgsLDA0KDAoODAwNDQ4PDA0NDw4JCwoNDAoKDAwOCw0MDg0NDQ4NDw0ODg8OCgsLDQ0MDAwNDgoMCg4MDQ4ODw8NDg0PDQwNDQ4ODAwNDg8NDg4PDw0NDg0PDg8PEBAMDQ0ODg0ODg8PDA0NDw0PDw8QEA0ODRANCwwNDg4MDQ4ODwwNDQ8PDg4PDxEODw8QEAwNDg4PDQ0ODhANDg4PEA4OEA8RDw8QEBAMDQ0PDw0ODg8QDQ4ODxAPDxAREQ8QDxEQDg8PDxAPDxAPEQ8PEBAREBAQEBIQEBEREQ4PDxAQDxAQEBEPEA8REBAREREREBEQEhELDAwODg0NDg4PDQ4NDw4ODw8PEA4PDxEPDA0NDw4NDQ4PDw4PDhAPDw8PDxAPEA8REAwNDQ8PDg4ODxANDg0QDw8PEBARDxAPEQ8ODw8QEA4PDxAQDxAQERAPDxAPERARERIRDg8PEBAPEBAQEQ4PDxEQERERERIPEBASDwYJCQwMCQoLDA0ICgoNDAsMDQ4OCgwMDg0JCgoMDQoKDA0OCgsLDQ0MDQ0ODwwNDQ8OCAoKDAwKCwsNDQkLCg0NDA0NDg8MDQwPDQsMDA4ODA0NDQ8NDQ0ODw4ODw4QDg8PDw8LDAwODQwNDQ8ODA0MDw0ODg8QEA0ODRANBwoKDAwKCgwMDgoLCw0MDA0NDQ8MDQ0PDgoLCw0NCgoMDA4MDAwODQ0NDg0PDQ4ODw4JCgsNDQsMDA0OCgwKDgwNDQ4ODw0NDA8NDA0NDg4MDQ0ODw0ODg8PDQ0PDRAPDw8QEAwNDQ4ODQ4ODw8MDQwPDg8PDxAQDQ4NDw0HCgkMDAkKCw0NCQsKDQ0LDQ0ODwsNDA8OCQsLDQ0KCgwNDgsMDA4ODA0ODg8NDQ0PDwkLCg0MCwwLDg4KDAoODQ0ODQ8PDA4MDw4MDQ0ODw0NDg4PDQ4ODw8ODg8OEQ4PDxAQDA0MDw0NDg4PDwwODQ8NDg8PEBAODw4QDgsMDA4ODQ0ODg8NDg0PDw4PDxARDg8PEA8MDQ0PDw0NDg8QDg4OEA8PDxAPEQ8QDxEQDA0NDg8ODg8PEA0ODQ8PDw8QEBEPDw8QDw4PDxAQDg8PEBEPEBARERAPEA8REBEREREODw8PEA8PEBARDg8PEBAQEBEREg8QDxEPCw0MDg4MDQ0PDwwODQ8ODg8PEBAODw4QDwwNDQ8PDQ4ODxANDg4QEA8PEBARDxAPERAMDQ0PDg0ODhAPDQ4NEA4PEA8REA8PDhIPDg8PEBAPDxAQEQ8QDxEQEBARERIQERESEQ4PDxAPDxAPERAPDw8RDxARERIREBEQEg8KDAwODgwNDQ4ODA0NDg4NDg4PDw0ODhAPCwwNDg4MDQ0PDwwNDQ8PDQ4PDxAODw8QEAwNDQ4ODQ0ODw8NDg0PDw4PDxAQDg8OEA8NDg4PDw0ODg8QDg4PEBAODw8PEQ8QEBERDQ4ODw8ODw8QEA4PDxAQDxAQEBEPEA8REAsMDA4ODA0NDg8MDQ0PDg0ODg8QDQ4OEA8MDQ0ODw0NDg8PDQ4ODw8ODg8PEQ4PDxAQDA0NDw8NDg4PDw0ODQ8PDg8PEBEODw8QEA0NDg8QDg4PDxAODw8QEA8PEA8SDxAQEREODw8QEA8PDxAQDg8PERAQEBAREQ8QEBEQCgwMDg4MDQ0ODwwNDQ8ODg4PDxAODw4QDwwNDQ8ODQ0ODw8NDg4PDw4ODw8QDg8PEBAMDQ0PDw0ODg8QDQ4NDw4PDw8QEA4PDxAPDQ4OEA8ODg4PEA4PDxAQDw8QDxEQERAREQ4ODw8QDw8QEBAODw4QDxAQEBERDxAPEQ8LDQ0ODw0NDg8PDQ4NDw8ODw8PEA4PDxEPDQ0ODw8NDg8PEA4ODhAQDw4QDxEPEBAREA0ODg8PDg4OEBANDw4QDw8PEBERDxAPERAODw8PEA8PEA8RDxAQEBEQEBEPEhARERERDg8PEBAPEBAREQ8QDxEQEBEREhIQEQ8SEAoMDA4ODQ0ODg8NDg0PDg4PDw8QDw8PEA8MDQ0PDgwMDg4PDg8OEA8PDg8OEQ8QEBEQDA0NDg8ODg8PEA0ODBAODxAQEBEPEA4RDw4PDhAPDg4PDw8PEA8REA8OEA4QEBEREhEODg8PEA8QEBARDg8OEA8QEBEREQ8QDhEOCgwMDg0MDQ0ODgsNDA4ODQ4ODxANDg4QDwwNDQ4ODQ0ODw8NDg0PDw4ODw8QDg8PEBALDQwODgwNDQ8PDA0NDw8ODw8QEA0ODhAPDQ4ODw8ODw8PEA4PDxAQDxAQEBEQEBAREQ0ODg8PDg8PEBANDg4QDw8QEBERDw8PEQ8LDAwODgwNDQ4PDA0NDw4ODg8PEA4ODhAPDA0NDw4NDQ4PDw0ODhAPDg8PDxAPDw8QEAwNDQ4PDQ0ODw8NDg0PDw8PDxAQDg8OEA8ODg8QEA4PDw8QDxAPEBAPDxAPERAQEBERDQ4ODxAODw8QEA4ODhAQEBAQEREPDw8RDwsMDA4ODA0NDg8MDQ0PDg4ODg8QDQ4OEA8MDQ0PDw0NDg8QDQ4ODw8ODw8QEQ4PDxEQDA0NDw4NDg4PDw0ODQ8PDg8PEBAODw4RDw4PDxAQDg8PEBEPDw8REQ8QEBAREBEQERENDw4QDw4PDxAQDg8OEA8QEBAREQ8QDxEPCgwMDg4NDQ4ODw0ODQ8ODg8PDxEODw8QDwwNDQ8ODAwODg8ODw4QDw8OEA8RDxAQERAMDQ0ODw4ODw8QDA4MDw4PEBAQEQ8QDhEODg8OEBAODg8PEA8QEBEQDw4QDhEQERESEQ4ODw8QDw8QEBEODw4QDxARERESDxAOEQ4LDQ0PDg0NDg8PDA4NDw8ODw8PEQ4PDhAPDQ4ODw8NDg8PEA4PDhAQDw8QEBEPEBAREQ0ODQ8PDg4OEBANDw4QDw8QEBERDxAOEQ8PDw8QEQ8PEBARDxAQEREQDxEQERERERISDg8PEQ8PEBAREA8QDxEPEBEREREQEQ8SDwBBkOQbCxECAAAAAQAAAAMAAAAAAAAABABBsOQbC7UYBwgICgoICQkKCwgJCQoKCQoKCwsJCgoLCwgJCQoKCQkKCwsJCgoLCwoKCwsLCgsLCwsICQkKCgkKCgsLCQoJCwsKCwsLCwoLCgsLCgoKCwsKCwsLCwoLCwsLCwsLCwwLCwsLDAoKCgsLCgsLCwsKCwsLCwsLCwwLCwsLDAsICQoLCwkKCwsLCQoKCwsKCwsMDAoLCwwMCgoKCwsKCgsLDAoLCwwMCwsMDAwLCwwMDAoKCgsLCgsLDAwKCwsMCwsMDAwMCwwLDAwLCwsLDAsLDAwMCwwMDAwMDAwMDAwMDAwMCwsLDAwLDAwMDAsMCwwMDAwMDAwMDAwMDAgKCQsLCQoKCwsJCgoLCwoLCwwMCgsLDAwKCgoLCwoLCwwMCgsLDAwLCwwMDAsMDAwMCgoKCwsKCwsMDAoLCgwLCwwLDAwLDAsMDAsLCwwMCwwMDAwLDAwMDAwMDAwMDAwMDAwLCwsMCwsMDAwMCwwLDAwMDAwMDAwMDAwMCgsLCwwLCwwMDAsLCwwMCwwMDAwLDAwMDAsLDAwMCwwMDAwMDAwMDAwMDQwNDAwMDQ0LDAsMDAsMDAwMCwwMDAwMDAwNDQwMDA0NDAwMDAwMDAwMDQwMDQ0NDA0NDQ0MDQ0NDQwMDAwMDAwNDQ0MDAwNDAwNDQ0NDA0NDQ0KCwsMCwsLCwwMCwwLDAwLDAwMDAsMDAwMCwsLDAwLDAwMDAwMDAwMDAwMDQ0MDAwNDQsMCwwMDAwMDAwLDAsMDAwMDA0NDAwMDQwMDAwMDAwMDA0NDAwMDQ0MDQ0NDQwNDQ0NDAwMDAwMDAwNDQwNDA0MDA0NDQ0NDQ0NDQgKCgsLCQoKCwsJCgoLCwoLCwwMCgsLDAwJCgoLCwoKCwsMCgsLDAwLCwwMDAsLDAwMCgoKCwsKCwsMDAoLCgwLCwwLDAwLDAsMDAsLCwwMCwsMDAwLDAwMDAsMDAwMDAwMDAwLCwsMCwsMDAwMCwwMDAwMDAwMDAwMDAwMCQoKCwsKCwsLDAoLCwwMCwsLDAwLCwsMDAoKCwsMCwsMDAwLCwsMDAsLDAwMCwwMDAwKCwsMDAsLCwwMCwwLDAwLDAwMDAsMDAwMCwsMDAwLDAwMDAwMDAwMDAwMDA0MDAwMDQsMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDQwJCgoLCwoLCwwMCgsLDAsLDAsMDAsMCwwMCgsLDAwLCwsMDAsMCwwMCwwMDAwMDAwMDAoLCwwMCwwLDAwLDAsMDAwMDA0MDAwMDAwLDAsMDAsMDAwMDAwMDAwMDAwMDQwMDAwNCwwMDAwMDAwNDAsMDAwMDAwMDQwMDAwNDAoLCwwMCwwMDAwLDAwMDAwMDAwNDAwMDQ0LCwwMDAwMDAwNDAwMDAwMDA0MDQwMDQ0NCwwMDAwMDAwNDQwMDA0MDA0MDQ0MDQwNDQwMDAwMDAwNDA0MDQ0NDQ0NDQ0NDQ0NDQ0MDAwNDQwNDQ0NDA0NDQ0NDQ0NDQ0NDQ0NCgsLDAwLDAwMDAsMDAwMDAwMDQ0MDAwNDQsMDAwMDAwMDA0MDAwNDAwMDQ0NDA0NDQ0LDAwMDAwMDA0NDAwMDQwMDQ0NDQwNDA0NDAwMDAwMDQ0NDQwNDQ0NDQ0NDQ0NDQ0NDQwMDA0MDA0NDQ0MDQ0NDQ0NDQ0NDQ0NDQ0ICgoLCwkKCgsLCQoKCwsKCwsMDAoLCwwMCgoKCwsKCwsLDAoLCwwMCwsMDAwLCwwMDAkKCgsLCgsLDAwKCwoMCwsMCwwMCwwLDAwLCwsMDAsLDAwMCwwMDAwMDAwMDAwMDAwMCwsLDAsLDAwMDAsMCwwMDAwMDAwMDAwMDAkKCgsLCgsLDAwKCwsMDAsLDAwMCwwMDAwKCwsMDAsLDAwMCwwMDAwMDAwMDAwMDAwMCgsLDAwLCwwMDAsLCwwMDAwMDAwLDAwMDAsMDAwMDAwMDAwMDAwMDAwMDQwNDAwMDQwLDAwMDAwMDAwMCwwMDAwMDAwNDAwMDA0MCQoKCwsKCwsMDAoLCwwMCwsLDAwLDAsMDAoLCwwMCwsMDAwLCwsMDAsMDAwMCwwMDAwKCwoMCwsLCwwMCwwLDAwLDAwMDAsMCwwMCwwMDAwMDAwMDAwMDAwMDAwMDA0MDAwMDQsMCwwMDAwMDAwLDAwMDAwMDA0MDAwMDQwKCwsMDAsMDAwMCwwMDAwMDAwNDQwMDA0NCwwMDAwMDAwMDQwMDA0NDAwNDQ0MDQ0NDQsMDAwMDAwMDA0MDAwMDAwNDQ0NDA0MDQ0MDAwMDQwNDQ0NDA0NDQ0NDQ0NDQ0NDQ0NDAwMDAwMDQ0NDQwNDA0NDQ0NDQ0NDQ0NDQsLCwwMCwwMDAwLDAwMDAwMDA0NDAwMDQwLDAwMDAwMDA0NDAwMDQ0MDA0NDQwNDQ0NCwwLDAwMDAwNDAwMDA0MDA0MDQ0MDQwNDAwMDAwNDAwNDQ0MDQ0NDQ0NDQ0NDQ0NDQ0MDAwMDAwNDQ0NDA0MDQwNDQ0NDQ0NDQ0NCgsLDAwKCwsMDAoLCwwMCwwMDAwLDAwMDAsLCwwMCwsMDAwLDAwMDAwMDA0NDAwMDQ0LCwsMDAsMDAwMCwwLDQwMDAwNDQwMDA0NCwwMDAwMDAwMDQwMDA0NDAwNDQ0MDQwNDQsMDAwMDAwMDQwMDAwNDAwNDQ0NDA0NDQ0KCwsMDAsMDAwMCwwMDAwMDAwNDQwMDA0NCwsMDAwLDAwMDQwMDA0NDAwNDQ0MDA0NDQsMDAwMDAwMDQ0MDAwNDQwNDQ0NDA0MDQ0MDAwMDQwMDQwNDAwNDQ0MDA0NDQwNDQ0NDAwMDA0MDA0NDQwMDA0NDQ0NDQ0MDQ0NDQoLCwwMCwwMDAwLDAwMDAwMDA0NDAwMDQ0LDAwMDAsMDAwNDAwMDQ0MDA0NDQwNDQ0NCwwMDAwMDAwNDQwMDA0MDA0MDQ0MDQwNDQwMDAwMDAwMDQ0MDQwNDQwNDQ0NDQ0NDQ0MDAwNDAwNDQ0NDA0MDQ0NDQ0NDQ0NDQ0NCwsLDAwLDAwMDAsMDAwMDAwMDQ0MDAwNDQsMDAwMDAwMDA0MDAwNDQwMDQ0NDAwNDQ0LDAwMDAwMDA0NDAwMDQ0MDQ0NDQwNDA0NDAwMDAwMDA0MDQwNDQ0NDA0NDA0NDQ0NDQwMDAwMDA0NDQ0MDQwNDQ0NDQ0NDQ0NDQ0KCwsMDAsMDAwNCwwMDQwMDAwNDQwMDA0NCwwMDAwMDAwNDQwNDA0NDAwNDQ0MDQ0NDQsMDAwNDAwMDQ0MDAwNDAwNDQ0NDA0MDQ0MDAwMDAwMDQ0NDA0NDQ0NDQ0NDQ0NDQ0NDAwMDQwMDQ0NDQwNDA0NDQ0NDQ0NDQ0NDQoLCwwMCgsLDAwKCwsMDAsMDAwMCwwMDAwLCwsMDAsLDAwNCwwMDAwMDAwNDQwMDA0NCgsLDAwLDAwMDAsMCwwMDAwMDQ0MDAwNDAsMDAwMDAwMDA0MDAwNDQwMDQ0NDA0NDQ0LDAwMDAwMDA0NDAwMDQwMDQ0NDQwNDA0NCgsLDAwLDAwMDAsMDAwMDAwMDQ0MDAwNDQsMDAwMDAwMDA0MDAwNDQwMDQ0NDAwNDQ0LDAwMDAwMDA0NCwwMDQwMDQ0NDQwNDA0NDAwMDA0MDA0NDQwNDQ0NDQ0NDQ0NDQ0NDQwMDA0MDAwNDQ0MDAwNDQ0NDQ0NDA0NDQ0KCwsMDAsMDAwMCwwMDAwMDAwNDQwMDA0NCwwMDAwMDAwMDQwMDA0NDAwNDQ0MDA0NDQsMCwwMDAwMDQ0LDAwNDAwNDA0NDA0MDQ0MDAwMDAwMDQ0NDA0MDQ0MDQ0NDQ0NDQ0NDAwMDQwMDQwNDQwNDA0NDQ0NDQ0MDQwNDQoLCwwMCwwMDAwLDAwNDAwMDA0NDAwMDQ0LDAwMDAwMDAwNDAwMDQ0MDA0NDQwNDQ0NCwwMDAwMDAwNDQwMDA0MDA0NDQ0MDQwNDQwMDAwNDAwNDQ0MDQ0NDQ0NDQ0NDQ0NDQ0MDAwMDAwNDQ0NDA0MDQ0NDQ0NDQ0NDQ0NCwsLDAwLDAwMDAsMDAwMDAwMDQ0MDAwNDQsMDAwMDAwMDQ0MDAwNDQwMDQ0NDA0NDQ0LDAwMDAwMDA0NDAwMDQwMDQwNDQwNDA0NDAwMDAwMDQ0NDQwNDQ0NDQ0NDQ0NDQ0NDQwMDAwMDA0NDQ0MDQwNDA0NDQ0NDQ0NDQwAQfD8GwsRAgAAAAEAAAADAAAAAAAAAAQAQZD9Gwu1HgEFBQUHCAUIBwUHCAcICggKCgUIBwgKCgcKCAYICQkKDAkLCwkKCwsLDQsNDQkLCwsMDQsNCwYJCAkLCwkMCgkLCwsLDQsNDQkLCgsNDQsNCwYJCQgKCwkMCwgKCwoLDQsNDQkLCwsNDAsNCwgKCgkLDAoMDAoKDAsLDgwNDgoMDAwNDQsOCwgLCgsMDQsODAoMCwsMDg0PDgoMDA0ODwwODAUJCQkLDAgLCgkLCwsLDQsMDQgLCgsNDQoNCwgKCwsMDgsNDAoMDAwMDg4PDgoLDA0ODwsODAgKCgoMDAkMCwoMDAsLDgwNDQoMCgwODQsNCwABAAAAAAAAAAIAAAAGBwcHBwcHBwcHBwgHCAgHCAgHCAcHCAgHCAgHCAgICAgICAgICAgICAkICAkICAgICAgICQgHCAgICAgICAgICAgICAkICAgICAgICQgICQgHCAgHCAgHCAgHCAgICAgICAgICAgICQgICQgHCAgICAkICAgICAgICAkICQkICAgJCQkICQkHCAgICAgICAgICAgICAkICQkICAgICQkICQgHCAgHCAgHCAgICAgICAkICAkHCAgICAgICAgHCAgICAgICAgICAgICAkICQkICAgICQkICQgHCAgICAgICQgICAgICQkJCQkICAgICQkICQgAAQAAAAAAAAACAAAAAgUFBAcHBAcHBQcIBwgKCAkJBQcHCAkJBwoIBQcICAkKCAoKCAkKCgoMCgwMCAoKCgwMCgwLBQgHCAoKCAoJCAoKCgsMCgwMCAoJCgwMCgwKBQgIBwoKCAoKBwkKCQoMCgwMCAoKCgwMCgwLBwkKCQsMCgwLCQkMCwoODAwNCgwLDA0NCw4MBwoJCgsLCgwLCQsLCwsNDA4NCgwMDA4OCw4MBQgICAoKBwoKCAoKCgsMCgwMBwoJCgwMCQwKBwkKCgsMCgsLCgwMCwwODA4OCQsLDA0OCw0LBwoJCgsMCQwLCgsMCwwODA0NCQwJDA0MCw4KAAEAAAAAAAAAAgAAAAQGBgkJBggICgoGCAgKCggKCgwNCAoKDQwGCAgKCggICQoLCAkJCwsKCgsMDQoLCw0NBggICgoICQkLCwgJCAsKCgsLDQ0KCwoNDAkKCgwMCgoLDA0KCwsNDQwMDQwPDQ0NDw4JCgoMDAoLCw0NCgsKDQwMDQ0ODwwNDA8MBggICgsICQoLDAgJCQsLCgsMDQ4KCwsNDQgJCQsMCQoLDA0JCgoMDQsMDQ0PCwwMDg4ICQkLDAkKCwwNCQoKDQwLDA0ODwsMDA4NCgsMDQ4LDA0NDwwNDQ4ODQ0ODhAODw4QDwoMCw4NDAwNDg4LDAwODg4ODw8QDQ4OEA4GCAgLCggJCQsLCAoJDAsKCwsNDQoMCw4NCAkJDAsJCgoMDQkLCg0MCwwMDg4LDQwPDggJCQwLCQoKDQwJCwoNDAsMDA4OCw0MDw0KCwwNDgsMDQ0ODA0MDg4NDQ4OEA4PDhAQCgwLDg0MDQ0ODgsNDA8NDg4PEBANDg0QDgkKCwwNCwsMDQ4LCwwNDg0NDg4QDQ4ODw8LCwwNDgwMDQ0PDA0NDg8ODg8PEQ4ODxAQCwwMDQ4MDA0ODwwNDA4PDg4PDxEODw4QEA0ODg8QDg4PDxEODw8QEA8QERASEBEQERENDg4QDw4PDxAQDg8OEA8QEBEREhAQEBEQCQsKDQwLDAsODQsMCw4NDQ4OEA8NDg0QDgsMDA4NDAwNDg4MDQ0PDg4ODxAQDg8OEQ8LDAsODQwNDQ8ODA0MDw0ODw4QEA4PDhEPDQ4ODxAODg8QEA4PDxAQDxAQEBEQEBAREQ0ODhAPDg8PERAODw4RDxAREREREBAQEhAGCAgLCwgJCQsMCAkJDAsKCwsNDgoLCw4NCAkJCwwJCgoMDQkKCg0MCwsMDQ8LDAwPDggJCQwLCQoLDA0JCwoNDAsMDA4PCw0MDw4KCwsNDgsMDA0OCwwMDg4NDQ4OEA0ODhAPCwwLDg0MDQ0ODgsNDA4NDg4PEBANDg4QDggJCQsMCQoKDA0JCgoNDAsMDA4PCwwMDg4JCQoLDQoKDAwOCgoLDQ0MDA0OEAwMDQ8PCQoKDQwKCwsNDgoMCw4NDA0NDw8MDQ0PDwsLDA0PDAwNDQ8MDQ0ODw4ODw8RDg8PEBALDQwPDg0NDQ8PDA4NDw4PDw8QEA4PDxEPBwkJDAsJCgoMDAkLCg0MCwwMDg4LDQwPDgkKCgwMCgoLDA0KCwsODQwMDQ4PDA0NDw4JCgoMDAoLCw0NCgsKDgwMDQ0PDwwNDA8NCwwMDg4MDA0ODwwNDQ8PDg0ODRAODw8QEAsMDA4ODQ0ODw8MDQwPDg8PDxAQDg8OEQ4KCwwNDgsMDQ4PCwwMDg8NDg8PEQ4ODhAQCwwNDA8MDA4NEA0NDg0QDg4PDhEPDw8PEQsNDA8PDQ0ODxAMDg0QDw8PDxERDw8PERAODg8OEA4OEA4RDw8PDhEQEBEPEhERERASDg8PERAPEBAREQ8QDxEQEREREhIQERASEQoLCw4NCwwMDg4LDQwPDg4ODhAQDg8OEA8LDAwPDQwNDQ8ODQ4NEA4ODw8QEA8QDxEQCw0MDw4NDQ4PDwwODRAODw8PEREOEA8REA4ODhAPDg8PEBAPEA8REBAQEBAREBEREhEODw8QEA8PEBEQDg8PERARERESEhAREBIQBggICwsICQkLDAgJCQwLCgsMDQ4KCwsODQgJCQsMCQoLDA0JCwoNDAsMDQ4PCwwMDw4ICQkMCwkKCgwNCQoKDQwLDAwODwsMDA4NCwsMDQ4LDA0NDwwNDQ4ODQ4ODhAODw4QEAoLCw4NCwwMDg4LDAwODQ0ODg8QDQ4NEA4HCQkLCwkKCwwNCQoKDAwLDA0ODwsMDA4OCQoKDAwKCgsMDQoLCw0NDAwNDQ8MDQ0PDwkKCgwMCgsLDQ0KCwoNDAwNDQ4PDA0MDw0LDAwODgwMDQ4PDQ4NDw8ODQ8NEA8PDxAQCwwMDg4MDQ0ODwwNDA8ODg8PEBENDg0QDQgJCQwLCQoKDA0JCgoNDAsMDA4PCwwMDw4JCgoMDQoLDA0OCgsLDg0MDQ0PDwwNDQ8PCQoJDQsKCwoNDQoMCg4MDA0MDw8MDQwPDgsMDQ4PDA0ODg8NDQ0PDw4PDw8RDw8PEBALDAsPDQwNDQ8ODA0MEA0ODw8QEA4PDhEOCgsLDQ4LDA0ODwsMDA4ODg4PDxEODg4PEAsMDQ4PDA0ODhANDg0PDw4PEA8RDw8PERELDAwNDw0NDg4QDA0NDg8PDw8QEQ4PDxAQDg8PEBAODw8QEQ8PEBAREBAREBIRERESEg4ODw8QDw8PEBEODw8QEBARERESEBAQERAKCwsODQsNDA8OCw0MDw4ODw4QEA0PDhEPCwwNDw8MDQ4PEA0ODRAPDw8PEBEPDw8REAsNCw8MDQ4NEA0MDgwQDQ8PDxEPDhAOEQ4ODw8QEQ8PEBARDxAPEREQEBEREhARERISDg8OEQ0PEA8RDw8QDxEOEBEQEhAQERASDwkLCw0NCgwMDg4LDAwODg0ODg8QDQ4OEBAKCwwODgsMDQ4PCw0NDw8NDg4PEA4PDxAQCwwMDg4MDQ0PDwwNDA8ODg8PEBAODw4REAwNDQ8QDQ0ODxANDg4QEA4PEBARDxAQERENDg4QDw4PDxEQDg8OEQ8QEBERERAQEBIQCgsMDg4LDA0ODwsNDA8PDQ4PEBAODw8REAsLDQ4PDAwODhAMDQ4PDw4ODxARDw8PEREMDQwPDw0ODhAPDQ4NEA8PEA8REQ8QDxEQDQwPDhAODQ8OEQ4NDw8RDw4RDxIQDxEREg4PDxEQDxAQEREPEA8REBARERISEBEQEhEKCwsODgsMDA4PCw0MDw4NDg4QEA4PDhAQCwwMDg4MDA0PDwwNDQ8PDg4PEBAODw8REAsMDA8PDQ0NDw8MDQ0PDw8PDxERDg8PERANDg0QDw4ODhAQDg8OERAPDxAQERAREBIRDg8PEBAPDw8REQ4PDxEQEBEREhIQERASEAwNDQ8PDQ4OEBANDg4QEA4PEBASDxAQERENDQ4OEA4ODw8RDg4PDxEPDxEPEhAQERESDQ4OEBAODw8QEQ4PDxEQEBEQERIQERASEQ8OEA0SEA8RDhIQDxEOEhEQEg8TERESEBMPEBARERARERISEBEQEhESEhITEhESERMRCwwMDw8NDQ4PEA0ODRAPDw8PEBEPEA8REAwNDQ8PDQ0ODxAODw4QDw8PEBAREBAQEhEMDQ0PDw4ODxAQDQ4NEA8QEBAREQ8QDxIQDw8PEQ8ODw8QEBAREBEQEBAREBEREhETEg8PEBEREBAQEREPEA8REBESEhISEBEQEhAJCwsNDQsMDA4OCgwMDg4NDg4PEA0ODhAPCwwMDg4MDA0ODwwNDQ8PDg4PEBEODw8QEAoMCw4OCw0NDw8LDQwPDg4ODxAQDQ4OEA8NDg4PEA4ODw8RDg8PEBEQEBAQEhAQERERDA0NEA8NDg4QEAwODRAPDxAQEREOEA8REAoLCw4OCwwNDg8LDAwPDg4ODxAQDQ4OEBALDAwODwwNDg8PDQ0NDw8ODw8QEQ8PDxARCwwMDg4MDQ0PDwwNDA8PDg8PEBEODw4QEA4ODxAQDg8PEBEPEA8RERAQERASEBEREhINDQ4PEA4ODxARDg4OEA8QEBEREg8QDxEQCgwLDg4LDQ0PDwsNDA8PDg8PEBANDw4QEAwMDQ8PDQ0ODxANDg4QDw8PEBARDw8PERELDQsPDgwODRAPDA4MEA4PDw8REQ4PDhEPDg8PEBEPDxAQEQ8QEBEREBARERIQERESEg0ODBAODg8NEQ8ODw0RDhARDxIRDxEOEg8LDAwODw0NDg8QDQ4NEA8PDxAQEQ8PDxAQDA0NDw8NDQ4PEA4PDhAQDw8QEBIQEBASEQwNDQ8PDg4PDxANDg0PDxAQEBESDxAPERAPEA8REA8PEBAREBEQEREQEBEQEhESEhISDg8PDxEQDxEQEQ4PDxAQERESEhMQEBAREAwNDQ8PDQ4OEBANDg4QEA8QEBERDxAPEhANDg4QEA4PDxARDg8PERAQEBEREhAREBISDQ4NEA4ODw4RDw4PDhEOEBEQEhEPEQ8SDw8QEBESEBARERIQEREREhEREhITERISExIPEA4RDRARDxIOEBEPEg4SEhETEBESEBMPAEHQmxwLEQIAAAABAAAAAwAAAAAAAAAEAEHwmxwLywICBQUEBwcEBwcFBwcHCAkHCQkFBwcHCQkHCQgGBwgICQoICQoICQoKCgwKCwsICgoKCwwKCwsGCAcICgkICgkICgoKCwsKDAsICgkKCwsKDAoFCAgICgoICgoHCQoJCgsJCwsICgoKCwwKDAsHCQkJCgsJCwsJCQsKCwwLCwwJCwsLDAwLDAwHCQkKCwsKDAsJCwoLCwwLDQwKCwsMDQ0LDQsFCAgICgoICgoICgoKCwwKDAsHCgkJCwsJCwoHCQkKCwwKCwsKCwsLCw0MDQ0JCgsLDA0LDAsHCQkJCwsJCwoJCwsLDAwLDAwJCwkLDAsKDAsAAQAAAAAAAAACAAAAAwkOEBETFhYFBAYJCw0RFAkFBQYJCw8TCwcFBQcJDREOCQcGBgcLDhALCQcGBAQIEw8NCwkEAwQVEBAPDAYEBAIAAABAAAAAsD8HAEHwnhwLA4AQBwBB/J4cCwOoEAcAQYifHAsH0BAHAPgQBwBBmJ8cCwcgEQcASBEHAEGonxwLB3ARBwCYEQcAQbifHAsfwBEHAOgRBwCYEQcAAAAAABASBwA4EgcAUFUGAHhVBgBBmKAcCwsCAAAAQAAAAEAQBwBBwKAcC6cMAgcNDxARExQGAwQHCQoMDw0EAwQHCAsNDgcEBAYHCgsQCQcGBwgJChAJCAcHBggIEgwKCgkICAkUDg0MCwgJCQUAAADzAAAAsD4HAAEAAAAAABDgAAAQYAIAAAAAAAAApD8HAAAAAAAFAAAANQwAAFAyBwABAAAAAAAw4AAAEGADAAAAAAAAAJA+BwAAAAAABQAAAPMAAABQMQcAAQAAAAAAOOAAADhgAgAAAAAAAABEMgcAAAAAAAUAAADzAAAAUDAHAAEAAAAAABDgAAAQYAIAAAAAAAAARDEHAAAAAAAFAAAA8wAAAFAvBwABAAAAAABU4AAAVGACAAAAAAAAAEQwBwAAAAAABQAAADUMAADwIgcAAQAAAAAAMOAAABBgAwAAAAAAAAAwLwcAAAAAAAUAAAA1DAAAkBYHAAEAAAAAAHzgAABcYAMAAAAAAAAA0CIHAAAAAAABAAAABwAAAGAWBwABAAAAAAA44AAAEGADAAAAAAAAAHAWBwAAAAAABQAAAPMAAABgFQcAAQAAAAAAleAAAJVgAgAAAAAAAABUFgcAAAAAAAUAAADzAAAAYBQHAAEAAAAAAFzgAABcYAIAAAAAAAAAVBUHAAAAAAAFAAAA8wAAAGATBwABAAAAAExd4QBMXWECAAAAAAAAAFQUBwAAAAAABQAAAPMAAABgEgcAAQAAAACIM+EAiDNhAgAAAAAAAABUEwcAAAAAAAEEBQUKCgUKCgUKCgoKCgoKCgUKCgoKCgoKCgcKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgYKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgYKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgkKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgkKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgYKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgkKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgkKCgoKCgoKCgoKCgoKCgoKCgoLCwsLCwsLCwABAAAAAAAAAAIAAAABCAgICAgICAgICAgICAgJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkAAQAAAAAAAAACAAAAAgYGBgcIBggHBgcHBwcIBwgIBgcHBwgIBwgHBggICAkJCAkJCAkJCQkKCQoKCAkJCQoKCQoJBggICAkJCAkJCAkJCQkKCQoKCAkJCQoJCQoJBggICAkJCAkJCAkJCQkKCQkKCAkJCQoJCQoJBwgICAkJCAkJCAgJCQkJCQkJCAkJCQoJCQkJBwkJCQkKCQoJCQkJCQkKCgoKCQkJCgoKCQoJBggICAkJCAkJCAkJCQkKCQoKCAkJCQoJCQoJBwkJCQkKCQoJCQkJCQkKCgoKCQkJCgoKCQoJBwgICAkJCAkJCAkJCQkKCQkKCAkICQkJCQoJAAEAAAAAAAAAAgAAAAEFBQUHCQUJBwUHCAcHCgkKCgUIBwkKCgcKBwYJCQkKDAkLCwkKCwsLDQwNDQkLCwwNDQsNCwYJCQkLCwkMCgkLCwsLDQwNDQkLCgwNDQsNCwYJCQkLDAkMCwkKCwoKDQwNDQkLCwwNDAsNCwcJCgkKDAoMCwoKDAoKDAwMDQoLCwwMDQoMCgcKCgsLDgsOCwoMCwsLDg4ODgoLDA4ODgsOCwYJCQkLDAkMCwkLCwsLDQwMDQkLCgwNDQoNCgcKCgsLDgsOCwoMCwsLDg4PDgoLDA0ODwsOCwcKCQoLDAkMCgoLCwoKDAwNDAkMCgwNDAoMCgABAAAAAAAAAAIAAAACAwMDAwMDAEHwrBwL1RgDAAAAAgAAAAQAAAABAAAABQAAAAAAAAAGAAAAAAAAAAIGBgoKBQcICwwFCAcMCwkLCw0PCQsLDw0GBwgLCwcHCQsNCAkJDQwLCwwMDwsMDA8OBggHCwsICQkMDQcJBw0LCwwMDg8LDAsPDAoLCwwOCgsMDA8MDQ0ODw0MDgwQDw8PEBAKCwsODAwNDQ8OCgwLDwwPDw8QEQ0ODBEMBggIDAwICQoNDQgJCQ0NDAwNDxAMDQ0QDwgJCgwNCQkLDQ4KCwsODg0NDg8QDQ4OEBAICgkNDQoLCw4OCQoKDg0NDg4QEQ0NDRAPDA0NDhANDQ4OEA4ODhAQDw8QDxIQERESEgwNDQ8PDg4OEBANDg0QDxAQERISDxAPEg8GCAgMDAgJCQ0NCAoJDQ0MDQ0PEAwNDBAPCAkKDQ0JCgoNDgoLCw4ODQ0NDxANDg4REAgKCQ0NCgsLDg4JCwkODQ0ODhAQDQ4NEA4MDQ0PEA0NDg8QDg4OEBAPDxAPEhERERISDA0NEA4ODg4QEA0ODRAOEBEREhIPEA8SDwsMDQ4QDQ0ODxENDg4QERAQERETEBEREhMNDQ4QEA4ODxARDg8PEREREBERExEREhMTDQ4OEBAODg8REg4PDhERERESEhMRERESExAQEBESEREREhMRERESExISExIUExQTFRQQERESEhEREhMTERERExITExMTFBMTExQTCw0MEA4NDg4REA0ODREPEBEREhIQERATEQ0ODhAQDg4OEREODw8REBERERMTERIRExINDg0REA4PDxERDg8OEhARERETExEREBMREBEREhMRERESEhESERMSEhMSExMTFBMUFBAREBIREREREhIREhETERMTExMUEhMTFBIGCAgMDAgJCQ0NCAoJDQ0LDQ0PEAwNDRAPCAkJDQ0JCQoNDgoLCw4ODAwNDhANDg4REAgKCQ0NCgsLDg4JCwoODQ0ODhAQDQ4NEA8MDQ0OEAwNDg4QDQ4OEBAPDhAPEhARERIRDA0NEA8ODg4QEA0ODRAPEBAREREPEA8SDwcJCQ0NCQkLDQ4JCgoODQwNDg8QDA4NEQ8JCQoNDgoJCw0PCwsLDg4NDA4OEQ4ODhEQCQoKDg0LCwsODgoLCg8NDg4OEBENDg0RDg0NDg4QDQ0ODhEODg4QEA8OEA8SEREREhINDg0QDw4ODxEQDQ4NEQ8REBEREQ8QDhIOBwkJDQ0JCgoNDgkLCg4NDQ4OEBANDg4RDwkKCg4NCQoLDQ4LDAsPDg0NDg4QDg8PEREJCgoODgsMDA4PCgsKDw0ODw8REQ4PDREODQ4NEBANDQ4PEA4PDxERDw4QDxIREhEUEg0ODhAQDw8PERENDg0RDxEREhISDxAOEw4MDQ0PEA0NDxARDQ4OEBAPDxERExARERMSDQ0ODxEODQ8PEQ4PDxAREA8SEBMRERESEw0ODhEQDg8PEREODw4REBERERITEBEQExEQEBEQEhAQERATERESEhMSERIRFRMTExQTEBEREhIRERISExAREBISExMTExQSEhEUEgsNDRAPDQ4OEBENDw4REBARERISERERExINDg0REA4NDhARDxAPEhAREBERExISEhQSDQ4OEBEPDw8REg4PDhIQEhISExQREhAUERAREBISEBAREhIREhITEhIRExEUExQTFhQQEBESEhIRERMTEBEQEhETFBMWFRITEhURBggIDAwICQoNDQgJCQ0NDA0NDxALDQ0QDwgJCg0NCQoLDQ4KCwsODg0NDg8QDQ4OEBAICQkNDQoLCw4OCQoJDg0NDg4QEQwODBAODA0NDxANDQ4PEA0ODg8RDw8QDxIQEBEREQwNDRAODQ4OEBAMDg0QDhARERISDw8OEg4HCQkNDQkKCw0OCQoKDg0NDg4PEQ0ODhAPCQoKDg4KCgsNDwsMDA8ODg0PDhEODw8REQkKCg0OCwsMDg8JCwoODQ4PDxASDQ4NEA4NDg4QEA0NDg8RDw8PEBEPDhAPEhEREhMSDQ4OEBAODw8REQ0ODRAPERESEhIPEA4SDwcJCQ0NCQoKDQ4JCwoODQwNDg8QDA4NEA8JCgoNDgoKCw0OCwsLDw4NDQ4OEA4ODhEQCQoJDg0LCwsODgoLCQ8NDg4OEBANDgwRDg0NDg8QDQ0ODxAODw4QEQ8OEA4SEBEREhINDg0QDg4ODhAQDQ4NEQ4RERESEg8QDhIPCw0NEBANDg8QEQ0ODhEQEBEREhMRERETEg0ODhERDQ0PEBIPDw8REREQEhEUEhESExMNDg4QEQ8PEBASDg8OEBARERISFBESEBIREBEQExIQEBESExISEhMTEhESERUUExMVFRAQERISERESExMQERATEhQUFBMVEhIRFBIMDQ0QDw0ODhAQDQ4NERAQERESEg8RDxMRDQ4OEBEODg8QEQ4PDxEREBARERIRERETEw0ODREPDg8PERAODw0RDxESERMSEBEPFBAQERESEhAQERISERIRExIRERISFBMUExQTEBAQExARERETEhAREBMQExMTExMSExETEQsNDRAQDQ4OERENDg4REQ8RERMTEBIRFBMMDg4REQ0ODxESDg8PERIQEBESFBESEhQSDQ4OEREODw8REg4PDxERERIRExMREhETEw8QEBISDxAREhMQERETExEREhIVEhMTFRMQERESEhEREhMTERIRExMTExMUFBITEhUTDA0NEBANDg4QEQ0PDhEQDxARERMQERETEg0NDhARDg0PEBEODw8REQ8PEREUERESExINDg4REA8PDxESDg8OERARERESEhAREBMREA8RERMQDxEQExEQERITERATEBQTEhMTExARERISEREREhMQERATEhQTExQTEhIRFBELDQ0QEA0ODxARDg8OEhARERESFRESERQTDQ4OERANDg8QEg8QDxIRERARERMREhIUEw0ODhARDw8QERIODw4SERESEhMUERIQExEQEQ8TEhAQEBISERIRFBMSERIRFBQUExYUEBEREhMSEhITFBAREBMSFBMTFBQSExEUEQ0ODhARDg4QEBIOEA8REBAQERESEREQExIODg8QEQ4OEBASEBAQEREQDxEQExISEhMTDg8PEREPEBAREg4QDhIQERESEhMQERATERAQERASEBAREBMSEhIREhEQEhAUExMTExMQERESEhEREhMTEBEQExESExMTFBESEBQQCw4NEREODhAQEg4QDhMQEhITEhMSExIVEg0PDhIQDg4QEBIQERATERIQExEUExMTFRMNDg8REhEQERETDhAOEhAUExMUFRITEBURERIQExEQEBESEhMTEhUSERESERQUFBQWFBEREhIUExMTEhQQERETExUVFRQVERMRFxELDQ0QEA0ODhERDQ4OEREQERETFA8QEBMTDQ4OEBEODw8REg4PDxERERESExMRERITEw0ODhEQDg8PERENDw4SERESEhMUEBEQExIQEBESEhERERITERIRExMTExMTFBMUExQUDxAQEhEQEREUEg8QEBMRExMTFBQREhEVEQsNDRAQDQ4PEBENDw4REBEREhIUERERExMNDg4REQ4ODxESDw8PEhERERIRFBISERQSDQ4OEBEPDxAREg4PDRERERISExQRERATERARERISEBAREhISEhITExIRExIVExQUFBQQDxESEhEREhIUEBAQEhEUExQVFhESERQRDA0NEBANDg8QEQ0ODhEQEBESEhMPEBATEg0ODhARDg4PEBEODw8RERAQERETERERExINDg0REA4PDxERDQ8NERARERETEw8RDxMREBEREhIQEBERExESERMTEhETERMTExMUEw8RDxMQEREQExIQEQ8SEBMTExQTERMQExALDg4REQ8OEBASDxAOEhASEhMSFRITEhQSDQ8OEhEODhAQEhAREBMRERETERYTExMVEw0ODxESERARERMOEA4SEBMTExQVEhIQFBEREhATEg8RERMTExMSFRMSERQRFRYVFBUVERATEhQTEhMSFBAREBMSFRQVExcSExAUEQ0ODhEQDg4PEBIOEA4REBAQERETEBEQExEODw8REQ4OEBARDxAQEhEQEBERExESERMSDg8OERAQEBAREQ4QDhEQEhISEhMQEQ8TEBERERISEA8RERISEhITExEQEhATExMTExMQERATEBISERMSEBEQExATExQTExESEBQQAEHQxRwLEQIAAAABAAAAAwAAAAAAAAAEAEHwxRwLtRgGCAgKCggJCQoLCAoJCwoJCgoLCwkKCgsLCAkJCgoJCQoLCwoKCgsLCgsLCwsKCwsLCwgJCQsKCgoKCwsJCgkLCwoLCwsLCgsKCwsKCgsLCwoLCwsLCwsLCwsLCwsLCwsLCwsLCgsKCwsLCwsLCwoLCwsLCwsLCwsLCwsLCwgJCgsLCgoLCwsKCgoLCwoLCwwMCgsLDAwKCgsLCwoKCwsMCwsLDAwLCwwMDAsLDAwMCgoKCwsLCwsMDAoLCwwMCwwMDAwLDAsMDAsLCwsMCwsMDAwLDAwMDAwMDAwMDAwMDAwLCwsMCwsMDAwMCwwMDAwMDAwMDAwMDAwMCAoJCwsKCgoLCwoLCgsLCgsLDAwKCwsMDAoKCgsLCgsLDAwLCwsMDAsLDAwMCwwMDAwKCwoLCwsLCwwMCgsKDAsLDAsMDAsMCwwMCwsLDAwLCwwMDAsMDAwMDAwMDAwMDAwMDAsLCwwLCwwMDAwLDAsMDAwMDAwMDAwMDAwKCwsLDAsLDAwMCwsLDAwLDAwMDAsMDAwMCwsMDAwLDAwMDAwMDAwMDAwMDAwMDAwMDQsMCwwMDAwMDAwLDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDA0MDQwMDAwNDAwMDAwMDAwMDAwMDAwMDA0NDQ0MDAwNDAoLCwwLCwsMDAwLDAsMDAsMDAwMCwwMDAwLCwwMDAsMDAwMDAwMDAwMDAwMDAwMDAwMCwwLDAwMDAwMDAsMDAwMDAwMDAwMDAwNDAwMDAwMDAwMDAwMDAwMDAwMDAwNDAwMDA0MDAwMDAwMDAwMDAwMDAwMDAwNDQwNDA0MCAoKCwsKCgsLCwoLCgsLCgsLDAwKCwsMDAkKCwsLCgoLDAwKCwsMDAsLDAwMCwwMDAwKCwoLCwsLCwwMCgsLDAwLDAwMDAsMCwwMCwsLDAwLCwwMDAsMDAwMDAwMDAwMDAwMDAsLCwwMCwwMDAwLDAwMDAwMDAwMDAwMDAwJCgoLCwoLCwwMCgsLDAwLCwwMDAsMDAwMCgsLDAwLCwwMDAsLDAwMCwsMDAwMDAwMDAoLCwwMCwwMDAwLDAsMDAwMDAwMDAwMDAwLCwwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMCwwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAkKCgsLCgsLDAwKCwsMCwsMDAwMCwwMDAwKCwsMDAsLCwwMCwwMDAwMDAwMDAwMDAwMCgsLDAwLDAwMDAsMCwwMDAwMDAwMDAwMDAsMDAwMCwwMDAwMDAwMDAwMDAwMDAwMDAwLDAwMDAwMDAwMCwwMDAwMDAwMDAwMDAwMCwsLDAwLDAwMDAsMDAwMDAwMDAwMDAwMDQsMDAwMDAwMDAwMDAwMDAwMDQwNDAwNDQ0LDAwMDAwMDA0NDAwMDQwMDAwNDQwNDA0NDAwMDAwMDAwMDQwNDQ0NDA0NDQ0NDQ0NDQwMDAwMDAwNDQ0MDQwNDQwNDQ0NDA0NDQ0LCwsMDAsMDAwMCwwMDAwMDAwMDAwMDAwMCwwMDAwMDAwMDAwMDAwMDAwNDA0MDAwNDQsMDAwMDAwMDA0MDAwNDAwNDA0NDA0MDQ0MDAwMDAwMDQ0NDAwNDQ0MDQ0MDQ0NDQ0NDAwMDAwMDQwNDQwNDA0MDA0NDQ0MDQ0NDQgKCgsLCgoLCwsJCwoLCwoLCwwMCgsLDAwKCgsLCwoLCwwMCwsLDAwLCwwMDAsMDAwMCQsKCwsKCwsMDAoLCgwMCwwMDAwLDAsMDAsLCwwMCwwMDAwLDAwMDAwMDAwMDAwMDAwLCwsMDAsMDAwMCwwLDAwMDAwMDAwMDAwMCQoKCwsKCwsMDAoLCwwMCwwMDAwLDAwMDAoLCwwMCwsMDAwLDAwMDAwMDAwMDAwMDAwKCwsMDAsLDAwMCwsLDAwMDAwMDAsMDAwMCwwMDAwLDAwMDAwMDAwMDAwMDAwMDAwMDAsMDAwMDAwMDAwLDAwMDAwMDAwMDAwMDAwJCgoLCwoLCwwMCgsLDAwLDAwMDAsMCwwMCgsLDAwLCwwMDAsLDAwMDAwMDAwMDAwMDAoLCwwMCwwLDAwLDAsMDAwMDAwMCwwLDAwLDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMCwwLDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAsLCwwMCwwMDAwLDAwMDAwMDAwMDAwMDAwLDAwMDAwMDAwMDAwMDQ0MDAwNDQwMDQ0NCwwMDAwMDAwMDAwMDAwMDA0MDQ0MDAwNDAwMDAwMDAwNDQ0MDA0NDQwNDQwNDA0NDQ0MDAwMDAwMDQ0NDAwMDQwMDQ0NDQwNDQ0NCwsLDAwLDAwMDAsMDAwMDAwMDAwMDAwMDAsMDAwMDAwMDAwMDAwNDAwMDQ0NDAwMDQ0LDAwMDAwMDA0MDAwMDQwMDQwNDQwNDA0MDAwMDAwMDA0NDQwNDQ0NDA0NDQ0NDQ0NDQwMDAwMDA0MDQwMDQwNDA0NDQ0NDA0NDQ0KCwsMDAsMDAwMCwwMDAwMDAwMDAwMDAwMCwsMDAwLDAwMDAwMDAwMDAwMDQ0MDAwNDQsMDAwMDAwMDAwMDAwMDAwMDA0NDAwMDQwMDAwMDAwMDAwNDAwMDA0MDA0MDQwNDQ0NDAwMDAwMDAwNDAwMDA0MDA0NDQ0MDQwNDQsLCwwMCwwMDAwLDAwMDAwMDAwNDAwMDQwLDAwMDAwMDAwNDAwMDA0MDA0NDQwMDQ0NCwwMDAwMDAwMDQwMDA0MDA0MDQ0MDQwNDQwMDAwMDAwNDA0MDA0NDQwMDQ0NDQ0NDQ0MDAwMDAwNDQ0NDA0MDQwMDQ0NDQwNDQ0NCwsLDAwLDAwMDAsMDAwMDAwMDAwMDAwMDQsMDAwMDAwMDA0MDAwNDQwMDQ0NDAwNDQ0LDAwMDAwMDA0NDAwMDQwMDQwNDQwNDA0NDAwMDAwMDAwMDQwNDA0NDA0NDQ0MDQ0NDQwMDAwMDA0MDQ0MDAwNDQwNDQ0NDA0MDQ0LDAwMDAsMDAwMCwwMDAwMDAwMDAwMDAwMCwwMDAwMDAwMDAwMDAwMDAwNDA0MDAwNDQsMDAwMDAwMDAwMDAwMDAwMDA0NDA0MDQ0MDAwMDAwMDQwNDAwNDA0MDA0MDQwNDQ0NDAwMDAwMDAwMDAwMDA0MDA0NDQ0MDQwNDAsLCwwMCwwMDAwLDAwMDAwMDAwMDAwMDAwLDAwMDAwMDAwMDAwMDAwMDAwMDAwMDA0NCwwMDAwMDAwMDAwMDAwMDAwMDQ0MDAwNDAwMDAwMDAwMDAwMDAwMDAwMDQwMDA0MDAwMDAwMDAwMDA0MDAwMDQwMDQwNDAwNDA0MCgsLDAwLDAwMDAsMCwwMCwwMDAwLDAwMDAsMDAwMDAwMDAwMDAwMDAwMDAwNDAwMDQ0LDAsMDAwMDAwMCwwMDAwMDAwNDQwMDA0MDAwMDAwMDAwMDQwMDAwNDA0NDA0MDQ0NDQwMDAwMDAwMDQ0MDAwNDAwNDQ0NDA0MDQwLCwsMDAsMDAwMCwwMDAwMDAwNDQwMDA0MCwwMDAwMDAwMDQwMDA0NDAwNDQ0MDA0NDQsMDAwMDAwMDQ0MDAwNDAwNDA0NDAwMDQ0MDAwMDAwMDQ0NDAwNDQ0MDA0NDQwNDQ0NDAwMDAwMDA0NDQwMDA0MDA0NDQ0MDQ0NDQsLCwwMCwwMDAwLDAwMDAwMDAwNDAwMDQ0LDAwMDAwMDAwNDAwMDQ0MDA0NDQwMDQ0NCwwMDAwMDAwNDAwMDA0MDA0MDQ0MDQwNDQwMDAwMDAwMDQ0MDQwNDQwNDQ0NDQ0NDQ0MDAwMDAwNDA0NDA0MDQwMDQ0NDQwNDA0NCwsLDAwLDAwMDAsMDAwMDAwMDAwMDAwMDAsMDAwMDAwMDAwMDAwMDAwMDAwNDAwMDQ0LDAwMDAwMDAwMDAwMDAwMDAwNDQwMDAwMDAwMDAwMDAwMDQwMDAwNDAwMDA0MDA0MDQwMDAwMDAwMDAwMDAwMDAwMDQwMDA0MDAwLDAsMDAsMDAwMCwwMDAwMDAwMDAwMDAwMCwwMDAwMDAwMDQwMDAwMDAwMDQ0MDAwNDQsMDAwMDAwMDAwMDAwMDAwNDA0NDAwMDQwMDAwMDAwMDAwNDAwMDQ0MDA0MDQwNDQ0NDAwMDAwMDAwNDAwMDA0MDA0MDQ0MDQwNDABBsN4cCxECAAAAAQAAAAMAAAAAAAAABABB0N4cC7UeAgUFBQcIBQgHBQcHBwcJBwkJBQcHCAkJBwkHBggICAkKCAkJCAkKCQkLCgsLCAkJCgsLCQsKBggICAkJCAoJCAkJCQoLCgsKCAoJCgsLCQsJBggIBwkJCAoJBwkJCQkKCQoKCAkJCQoKCQsKBwkJCAoKCQoKCQkKCgoLCgsLCQoKCgsLCgsKBwkJCQkKCQoJCAoJCQkLCgsLCQoKCgsLCQsJBggICAkKBwkJCAkJCQoKCQoKBwkJCQoKCQoJBwkJCQkKCQoJCQoKCQkLCgsLCAkKCgsLCQsJBwkJCQoKCAoKCQoKCgoLCgsLCQoJCgsLCgsKAAEAAAAAAAAAAgAAAAUHBwYHBwYHBwYHBwcICAcICAYHBwcICAcICAcHCAcICAcICAgICAgICQgJCQgICAgJCQgJCAcIBwcICAcICAgICAgICQgJCQgICAgJCQgJCAYICAcICAcICAcICAgICQgJCQgICAgJCQgJCAcICAgICQgJCQgICQgJCQkJCQgJCQkJCQkJCQcICAgJCQgJCAgICAgJCQkJCQgJCAkJCQkJCQYICAcICAcICAgICAgICQgJCQcICAgJCQgJCAcICAgICQgJCAgICQkJCQkJCQgICAkJCQgJCQcICAgJCQgJCAgJCQkJCQkJCQgJCAkJCQkJCQABAAAAAAAAAAIAAAABBQUFBwgFCAcFBwgICAoICgoFCAcICgoICggGCAkICgwJCwsJCgsLCw0MDQ0JCwsLDQ0LDQwGCQgJCwsIDAoJCwsLDA0LDQ0JCwoLDQ0LDQsFCQkICwsJDAsICgsKCw0LDQ0JCwsLDQ0LDQwICgsKDA0KDQwKCg0LCw4MDQ4LDQwNDg4MDgwICwoLDA0LDgwKDQwMDA0NDw4LDA0NDg8MDgwFCQkJCwwICwsJCwsLDA0LDQ0ICwoLDQ0KDQsICgsLDA4LDQwLDQwMDA4NDw4KDA0NDg8MDQwICwoKDA0KDQwLDA0MDA4NDg4KDQoMDg0LDgsAAQAAAAAAAAACAAAABAYGCQkGBwgKCgYIBwoKCAoKDA0ICgoNDAYICAoKBwgJCgsICQkLCwoKCwwNCgsLDg0GCAgKCggJCQsLBwkICwoKCwsNDgoLCg0MCQoKDAwKCgsMDQoLCw0NDAwNDA8NDg0PDgkKCg0MCgsLDQ0KCwoNDA0NDg4PDA0MDwwGCAgKCwgJCgsMCAkJCwsKCwwNDgoLCw4NCAkJCwwJCgsMDQkKCwwNCwsNDQ8LDAwODggJCQwMCQoLDA0JCgoNDAsMDQ4PCwwMDg4LCwwNDgsMDQ0PDA0NDg8NDQ4OEA4PDxAQCwwLDg0MDQ0ODgsNDA4NDg8PEBANDg4QDgYICAsKCAkJDAsICgkMCwoLCw0NCgwLDg0ICQkMDAkKCgwNCQsKDQwLDAwODgsNDA8OCAkJDAsJCgoNDAkLCg0MDAwMDg4LDQwPDQsLDA0OCwwNDQ4MDQ0ODw0NDg4QDg8PEBALDAsODQwNDQ8OCw0MDw0ODw8QEA0PDRAOCQoLDA0LCwwNDgsMDA0ODQ0ODhANDg4PEAsLDA0ODAwNDg8MDQ0ODw4ODw8RDg8PEBELDAwODgwNDQ4PDA0MDw8ODw8QEQ4PDxAQDQ4ODxAODg8PEQ8PDxAREBAREBIQERESEg0ODhAPDg8PERAODw8QEBARERISEBAQERAJCwoNDAsMDA4NCwwLDw0NDg4QDw0ODREOCwwMDg4MDA0PDwwNDQ8ODg4PEBAODw8REAsMCw4NDA0NDw4MDQwPDQ4PDxAQDg8OEQ8NDg4PEA4PDxARDg8PEBEQEBARERARERISDQ8OEA8PDw8REA4PDhEPEBEREhIQERASEAYICAsLCAkJCwwICQkMCwoLCw0OCgwLDg0HCQkLDAkKCgwNCQoKDQwLCwwNDwsMDA8OCAkJDAsJCgoNDQkLCg0MDAwMDg8LDQwPDQoLCw0OCwwMDQ8LDAwODg0NDg4QDg8OEBALDAsODQwNDQ8OCw0MDw0ODw8QEA0ODhAOCAkJCwwJCgsMDQkKCg0MCwwNDg8LDAwPDgkJCwsNCgoMDA4KCgsNDgwMDQ4QDA0NDw8JCwoNDAoLCw0OCgwLDg0MDQ0PEAwNDQ8PCwsNDQ8MDA4NDw0NDg4PDg4PDhEPDw8QEAwNDA8ODQ4ODw8MDg0PDg8PDxERDg8OEQ8HCQkMCwkKCgwMCQsKDQwLDAwODgsNDA8OCQoKDAwKCgsMDQoLCw4NDAwNDg8MDQ0QDwkKCg0MCgsLDQ0KCwoODA0NDQ8PDA0MDw4LDAwODgwMDQ4PDQ4NDw8ODQ8OEA8QDxEQDAwMDg4NDQ4PDwwNDA8ODw8QEBEODw4RDgoLDA0OCwwNDg8LDA0ODw0ODw8RDg8PEBALDA0MDwwMDg0QDQ0ODRAODhAOEg8PEBARDA0MDw8NDg4PEA0ODRAPDw8QERIPDw8REA4ODw4RDw4QDhEPDxAPEhAQERATERERERIODw8REA8QEBERDxAPEhARERISEhAREBIRCgsLDg0LDAwPDgsNDA8ODg8PEBAODw8REAsMDA8ODA0NDw4NDg0QDg4PDxAQDxAPEhALDQwPDw0ODg8PDA4NEA8PEBAREQ8QDxEQDg8OEBAODw8QEA8QDxEQEBAREBEREhETEg4PDxEQDxAQEREPDw8SEBESEhISEBEQExAGCAgLCwgJCQsMCAkJDAsKCwwNDgoLCw4NCAkJCwwJCgsMDQkKCg0NCwwNDQ8LDAwPDgcJCQwLCQoKDA0JCgoNDAsMDA4PCwwLDg0LCwwNDgsMDQ0PDA0NDg8NDg4OEA4PDxAQCgsLDg0LDAwODgsMDA8NDg4OEBANDg0QDgcJCQsMCQoKDA0JCgoMDAsMDQ4PCwwMDg4JCgoMDQoKCwwOCgsLDQ0MDA0ODw0NDQ8PCQoKDAwKCwsNDgoLCg0MDA0NDxAMDQwPDgsMDQ4ODAwNDg8NDg0PDw4ODw4RDxAPERALDAwODg0NDQ8PDA0MDw4PDw8QEQ4PDhAOCAkJDAsJCgoMDQkLCg0MCwwMDg8LDAwPDgkKCw0NCgsMDQ4KCwsODQwNDQ8PDA0NEA8JCwkNCwoLCg4NCgwKDgwMDQ0PDwwNDBAODAwNDg8MDQ4OEA0ODg8PDg4PDxEPEA8REAsNCw8NDQ4NDw4MDgwQDQ8PDxAQDg8OEQ4KCwsNDgsMDQ4PCwwMDg8ODg8QEQ4PDxAQCwwNDg8MDQ4PEA0ODg8QDw8QEBIPEBAREQsMDA4PDQ0ODhAMDQ0PDw8PEBASDg8PEBAODw8QEQ8PEBARDxAQEREQEBEQExESERISDg4PEBAPDxAQEQ4PDxAQERESEhMQERAREAoMCw4NCw0MDw4LDQwPDg4PDxAQDQ8OEQ8MDQ0PDw0NDg8QDQ4OEBAODw8REQ8QEBERCw0MDwwNDg0QDQwODBANDxAPERAOEA4SDg4PDxARDw8QEBEPEBARERAQERESERIREhIODw4RDg8QDxIPDxAPEg4RERESERAREBMQCQsLDQ0KDAwODgsMDA8ODQ4OEBANDg4QEAoLDA4OCwwNDg8MDQ0PDw0ODxAQDg8PERALDAwPDgwNDQ8PDA0MDw8ODw8QEQ4PDhEQDA0ODxANDQ4PEA0ODxAQDg8QEBIPEBASEg0ODhAPDg8PERAODw8REBARERISEBEQEhEKDAwODgsMDQ8PDA0NDw8NDg8QEQ4PDxEQCwsNDg8MDA4PEA0NDg8QDg4PEBEPDxAREQwNDA8PDQ4OEBANDg0QDw8QDxERDxAPEhANDA8OEQ4NEA4RDg4QDxIPDhEQEhAQERESDg8PERAPEBAREQ8QDxIQEREREhIQERATEQoLCw4OCwwMDw8LDQwPDw4PDhAQDg8PERALDAwPDgwMDQ8PDQ4NEA8ODw8QEA8QDxIRCw0MDw8NDg0PDwwODRAPDxAPEREPEA8SEA0ODRAQDg8OEBAODw8REBAQEBASEBIRExIODw8REA8QEBERDw8PERARERISExAREBIQDA0NDxANDg4QEQ0ODhAQDw8QERIPEBASEQ0NDg4RDg4PDxEODg8QEQ8PERASEBEREhINDg4REA4PDxERDg8OERAQERESEhAREBIRDw4QDRIQDxEOExAQEQ8SERASDxMSEhIREw8QEBIREBEREhIQERATERITEhMTERIRFBILDAwPDw0NDg8QDQ4NEA8PEBAREQ8QEBIRDA4NEA8NDQ4PEA4PDhEQEBAQEBEQERETEQwNDhAQDg8PEBENDw0RDxARERISEBEQEhAPEA8REA8PDxEREBEQEhEREBEQEhITEhQSDxAQEREQERESEg8QDxIREhITExMREhATEAkLCw0NCwwMDg8KDAwODg0ODhAQDQ4OEBALDAwODgwMDQ8PDA0NDw8ODw8QEQ4PDxAQCgwLDg4MDQ0PDwsNDA8ODg8PEBENDw4REA0ODg8QDg8PEBEODw8QERAQERESEBEREhIMDg0QDw0PDhEQDQ4NEQ8PEBASEg8QDxIQCgsLDg4LDA0ODwsMDA8PDg8PEBEODw8QEAsMDQ8PDA0ODxANDg4PEA8PEBASDw8QERELDAwODw0NDg8QDA0NDw8PDxAREg4PDxEQDg8PEBEPDxAQEQ8QEBEREBAREBMRERITEg0NDhAQDg8QEREODg8QEBAQERISEBAQEhAKDAwODgwNDQ8PCw0MDw8ODw8QEQ0PDhEQDA0NDw8NDQ4PEA0ODhAQDw8QERIPDxAREQsNDA8ODQ4NEA8MDgwQDg8QDxERDhAOERAODw8QEQ8PEBASDxAQEREQERERExERERISDQ8MEQ4OEA4RDw4PDREOEBEQEhEPEQ4TDwsMDA8PDQ0ODxANDg0QDw8QEBESDxAQEREMDg0QEA0NDw8RDg8PERAQEBEQExARERISDA0ODxAODg8QEQ0ODRAPEBEREhMPEBAREA8QEBIRDw8QERIQERESEhAQEhATEhMTFBMPDxAQERAQERESDw8PERASEhMSFBEREBIQDA0NEA8NDg4QEA0ODhAQDxAQERIPEA8SEQ0ODhAQDg8PEBEODw8RERARERISEBEREhINDg0RDg4PDhEQDg8OEQ8QERESEg8RDxMPEBAQERIQEBERExARERITERESEhQSEhITEw8QDhINEBEQEw8QEQ8TDhISEhMRERIQFA8AQZD9HAsRAgAAAAEAAAADAAAAAAAAAAQAQbD9HAvLAgIFBQUHBwUHBwUHBwcICQcJCQUHBwcJCQcJCAUHCAgJCggJCQgJCgkKDAoLCwgJCgoLCwkLCwUIBwgJCQgKCQgKCQkLCwoLCwgKCQoLCwkMCgUICAcJCggKCQcJCQkKCwkLCwgKCgoLCwoMCwcJCQkKCwkLCwkJCwoKDQsLDAkLCwsMDQsNDAcJCQkLCwkMCgkLCgoLDAsNDAkLCwsNDQsNCwUICAgJCgcKCQgKCgoLCwoLCwcJCQkLCwkLCgcJCQkKDAkLCwkLCwsLDQsNDQkKCwsMDQoMCwcJCQkLCwkLCgkLCwsMDQsNDAkLCQsMCwoNCgABAAAAAAAAAAIAAAACCA0PEBIVFgUEBggKDBEVCQUFBggLDxMLBgUFBgcMDg4IBwUEBAkLEAsJBwQDBwoWDw4MCAcJCxUQDwwJBQYIAgAAAEAAAACAdAcAQbCAHQsDUEUHAEG8gB0LA3hFBwBByIAdCwegRQcAyEUHAEHYgB0LB/BFBwAYRgcAQeiAHQsHQEYHAGhGBwBB+IAdCx+QRgcAuEYHAGhGBwAAAAAA4EYHAAhHBwBgQgcAiEIHAEHYgR0LCwIAAABAAAAAEEUHAEGAgh0LCwIAAAAEAAAABEUHAEGogh0LB+hBBwAQQgcAQbiCHQsLOEIHAGBCBwCIQgcAQeiDHQvJAgIAAACpAAAAIEQHAAEAAAAAAJ7gAABUYAQAAAAAAAAA0EQHAAAAAAACAAAAGQAAAOBDBwABAAAAAAAw4AAAEGADAAAAAAAAAABEBwAAAAAAAgAAAAkAAADEQwcAAQAAAACIM+EAiDNhAgAAAAAAAADQQwcAAAAAAAEAAAAZAAAAQEMHAAEAAAAAwBLhAACZYAUAAAAAAAAAYEMHAAAAAAABAAAAGQAAALBCBwABAAAAAAB44AAAEGAFAAAAAAAAANBCBwAAAAAABAQEBAQEBAUFBQUFBQUFBQUFBQUFBQUFBQAAAAAAAAAMAAAACwAAAA0AAAAKAAAADgAAAAkAAAAPAAAACAAAABAAAAAHAAAAEQAAAAYAAAASAAAABQAAABMAAAAEAAAAFAAAAAMAAAAVAAAAAgAAABYAAAABAAAAFwAAAAAAAAAYAEHAhh0L0QEBAgMFBQYGBwcICAkJCgoLCwwMDQ0ODg4OAAAAAAAAAAwAAAALAAAADQAAAAoAAAAOAAAACQAAAA8AAAAIAAAAEAAAAAcAAAARAAAABgAAABIAAAAFAAAAEwAAAAQAAAAUAAAAAwAAABUAAAACAAAAFgAAAAEAAAAXAAAAAAAAABgAAAABBAQEBAQEBAQAAAABAAAAAAAAAAIAAAAAAAAABAQEBQUEBQUFBQQFBAQFBQUFBQUFBQUFBQAAAAAAAAACAAAAAQAAAAMAAAAAAAAABABBoIgdC5cOAQQECAgKCgoKCQgLCwQGBQgGCgoKCgoJCgkEBQYGCQoKCgoJCgkKCAkICQgJCQoJCwoMCggICQgJCQkJCgoLCgwJCgoLCgsKDAsMCw0LCQoKCgsKCwsMCwwLDAsMDAwMDQwNDA0MDQ0LDAwMDAwMDA0NDQ0NDAwMDQ0NDQ0NDQ0NDQwNDA0NDQ0NDQ0NDQ0MDQ0NDg4NDQ0NDQ0NDA0MDQ0NDQ0NDQ0NDQAAAAAAAAAGAAAABQAAAAcAAAAEAAAACAAAAAMAAAAJAAAAAgAAAAoAAAABAAAACwAAAAAAAAAMAAAAAQMCAwAAAAAAAAAAAwcMDg4QEhMGAgQGCAkMDgwDAwUHCAsNDQYEBQcICgsOCAcHBwcJCg8JCAcHBggJEQsLCgkICQkTDg0LCgkJCQUAAADzAAAAgHMHAAEAAAAAABDgAAAQYAIAAAAAAAAAdHQHAAAAAAAFAAAANQwAACBnBwABAAAAAAAw4AAAEGADAAAAAAAAAGBzBwAAAAAABQAAAPMAAAAgZgcAAQAAAAAAOOAAADhgAgAAAAAAAAAUZwcAAAAAAAUAAADzAAAAIGUHAAEAAAAAABDgAAAQYAIAAAAAAAAAFGYHAAAAAAAFAAAA8wAAACBkBwABAAAAAABU4AAAVGACAAAAAAAAABRlBwAAAAAABQAAADUMAADAVwcAAQAAAAAAMOAAABBgAwAAAAAAAAAAZAcAAAAAAAUAAAA1DAAAYEsHAAEAAAAAAHzgAABcYAMAAAAAAAAAoFcHAAAAAAABAAAABwAAADBLBwABAAAAAAA44AAAEGADAAAAAAAAAEBLBwAAAAAABQAAAPMAAAAwSgcAAQAAAAAAleAAAJVgAgAAAAAAAAAkSwcAAAAAAAUAAADzAAAAMEkHAAEAAAAAAFzgAABcYAIAAAAAAAAAJEoHAAAAAAAFAAAA8wAAADBIBwABAAAAAExd4QBMXWECAAAAAAAAACRJBwAAAAAABQAAAPMAAAAwRwcAAQAAAACIM+EAiDNhAgAAAAAAAAAkSAcAAAAAAAEHBwYJCQcJCQYJCQkJCQkJCQgJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQgJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQcJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQcJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgABAAAAAAAAAAIAAAABCAgICAgICAgICAgICAgJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkAAQAAAAAAAAACAAAAAgYGBQcIBQgHBgcHBwcICAgIBgcHBwgIBwgHBggICAkKCAkJCAkJCQkKCgoKCAkJCgoKCQoKBggICAkJCAoJCQkJCQkKCgoKCAkJCgoKCQoJBggJCAkJCAkJCAkJCQkKCQoKCAkJCQoKCQoJBwgJCAkJCQkJCAkJCQkJCQkJCAkJCQkJCQkJBwkJCQoKCQoKCQoJCQkKCgoKCQoJCgoKCQoJBggICAkJCAkJCAkJCQkKCQoKCAkJCQoKCQoJBwkJCQoKCQoJCQkKCgkKCgoKCQkJCgoKCQoJBwkICAkJCAkJCQkJCQkJCQkJCAkICQkJCQkJAAEAAAAAAAAAAgAAAAEFBQUHCQUJBwUHCAcHCgkJCgUIBwkKCQcKBwYJCQkKDAoMCwkKCwsKDQwMDQoLCwwNDQsNCwYJCQoLDAkMCwoLCwsLDQwNDQkLCgwNDQsNCgYJCgkLDAoMCwkKCwoKDQsNDQoLCwwNDAsNCwcJCgkKDAoLCwoKCwoKDAwLDAoLCgwMDAoMCgcKCgsLDQsNCwoMCwsKDQ0ODQoLDA0NDgsNCgYKCQoLDAkMCwkLCwsLDQwMDQkLCgwNDQoNCgcKCgsLDgsNCwoMCwsKDg0ODQoLDA0NDgsNCgcKCQoKDAkMCgoLCwoKDAwMDAkLCgsMDAoMCQABAAAAAAAAAAIAAAACAwMDAwMDAEHAlh0L1RgDAAAAAgAAAAQAAAABAAAABQAAAAAAAAAGAAAAAAAAAAEGBgoKBgcJCw0FCQcNCwgLDA0PCAwLDw0GBwgLCwcICgsNCQoKDQ0LCw0MEAwNDRAPBggHCwsJCgoNDQcKBw0LDA0NDxALDQsQDAoLCwsNCwsNDA8NDQ0ODw0MDwwRDxAQEBAKCwsOCw0NDQ8OCw0LDwwPDxAQEA0PDBEMBggJDAwJCgwNDwkLCw8ODA0PEBINDg4REAkKCw0OCwoNDhALDAwPDw4NEA8SDg8PEREJCwsODgsMDQ8QCw0LDw4PDw8REg4PDhEPDQ4ODxAODg8PEQ8QDxEREBARDxMREhITEg0ODhAPDw8QEREODw4SDxERERMTEBEPExAGCQgNDAkLCw4PCQwKDw0NDg4QEQwPDRIQCQsLDg4LCw0ODwsNDBAPDg4PDxIODw8SEQkLCg4NCwwMDw8LDQoQDg4PDxASDhANEg8NDg4QEA4ODw8RDxAPEREQEBEQExESERITDQ4OEA8PDw8REQ4PDhEPEREREhMQEQ8TDwsNDQ8QDQ4PEBIODw8RERAQEhIUERIRExQNDg4QEQ8PEBESDxAQERESERMSExISEhMVDg4PEBEPDxASEg8QEBESEhITExUSExMWFBAQERETEREREhQREhIUExMTFBMAExMUFBURERETEhISFBMTEhISFBQTExQUFBQVFBUTCw0NEA8ODw8REQ4PDhIQEBISFBMQExEVEg0ODxARDw8QEhIPEA8TEhISEhMTEhISFhQNDg4QEA8QEBIRDxAPEhESEhITExESERUSEBEREhIREhMTExIUEhMTExQVExUUFBQAFRARERMTEhISExUREhITEhQTFRQVExQUFhMHCQkNDQgKCw4PCQwLDw4LDQ4QEQ0PDhEQCAoLDg4KCgwOEAsMDBAPDQwPDxIODw8TEQkLCw4OCwwMDw8LDQsQDg4PDhERDhAOEg8MDQ4PEA0NDw4RDw8PEREPDhEOExESEhMSDQ4OEBAPDw8REQ4PDhIPERIREhEQEhATDwcKCg0NCQoMDg8KDAsPDgwNDhARDQ8OEhAKCgwNDgoKDQ0QDAwNDw8NDA8PEg8PEBIRCgsLDg4MDQ0PEAoNChAODg8PEREODw0RDw0NDg8QDg0PDhIPDxAQERAPEg8SERISEhINDw4REA8QEBERDg8NEQ8RERISEhARDhQOCAoKDg4LCw0OEAsNCxAODg8QEBIOEA8SEAoMCw8OCwsNDhANDg0QDw8OEA8TEBEQFBIKCwwODw0NDhAQCw4LEA4QEBESEw8RDhQPDg8OERANDg8PEhAREBMSEA8SDxMSExIVFQ4ODxAREBAREhINDw4RDxISExIWEBIPFQ8MDQ4QEA4OEBASDg8PERIQEBISFBISERQUDQ4PDxEPDhAQEhAQEBETEQ8SERUSEhITEw4PDxIRDxAQEhMPEA8SEhESEhQVERMRFBMQEBEQExEREhEUEhISEhMTEhQRFhQUExQUERESEhMSEhQVFBESERQUFRUVFRUTFRIWFAsNDREQDg4QEBIOEA4SEBESExMUEhMSFRMODw4REA4OEBISEBEQEhESERMSFBMTEhQUDQ4PEBEQEBESEw4QDhMREhMSFBQSFBEVEhERERMSEBESEhMSExIVFRISFBEVExQUFhUQERISExISExUUEBERFBIVFRYVFhIVEgASBwkJDQ0JCwwODwgLCg8ODQ4PEBILDg0RDwkLCw4OCwsNDhALDAwPDw4OEA8SDg4PEREICwoODgsMDA8PCgwKEA4ODw8REg0PDBIPDQ4OEBAODg8PEQ8PDxAREA8RDxMRERESEgwODRAPDw8PERENDw0RDhESEhITDxEOEw4ICgoODgsLDQ4QCw0LEA4ODxAREw4QDxIRCgwLDw4LCw4OEQ0ODREPDw4RDxMQERATEQoLDA4PDQ0ODxELDQsRDhAQERITDxAOEg8ODw4QEA0ODw8SEBAQEhIQDxIPFBITEhUSDg4PEBEQEBEREg0PDhEQExMTExMPEg8UDwcKCg0NCgsMDg8JDAoPDg0ODxARDA8NERAKCwsODgoKDQ4QDA0NEA8ODRAPEg8PEBERCgwKDg0MDQwPDwoNChANDxAPERINEAwSDw0ODhARDg0PDxIPEA8RERAOEQ8TERISExMNDw0RDg8PDxIRDg8NEQ4SERISEw8RDxMPCw0NEBEODhAQEg4QDxIRERITEhUSEhEUEg0PDhEQDg4QERIQERATERIRExIWEhMTFRUNDg8QEhAQEREUDhAOEhESEhMTFRESERUSERIRExIQERESExISEhYWEhETEQAUFRMVFBEREhIVEhISExURERETExQUFhUVExQSFBEMDg0REA4PDxESDhAOEhAREhIVFBASEBUSDg8PEREPDxASEg8REBISERETExQSExIUEw4PDhEPDxAQEhEPEA4TDxISEhMUERQPFREQERISExEREhIUEhMSExUTEhMTFRQAExUUEBEQExASEhITExESERQRExQUFgATFBEVEQsNDhARDg8PERIODw8SEhARERMUEBIRExUNDg8REQ4PEBETDxAQEhMQERITFRESFBUVDQ8PEREPEBASEw8QEBITERESExYRExIWEw8QERMTEBESEhQREhITFBMSFBIWFBMTFhUQERESExISEhMUERISFBMUExQWFBMUFRUUDA4OEBANDhAREg4QDxISDxERExMREhITEw0ODxARDg4QEBQPEBARExAPEhEUEhETExMODw8RERAQEBISDxAPExIREhIUFRESERUSEA8RERMRDxIRFBMREhMUEhATERYUExQTFBEREhMTEhITFBQREhESEhUVFBQVEhQRFRMLDg4QEQ8OEBETDhAOEhESEhMTFRETEhQUDQ8OEREODhAREhAREBMSEhETEhQSFRIUFA0PDxAREBAREhMOEA8TEhMTExUUEhMRFBIQERATEhARERMUERMSFBMSERUSABUUFAAUERESEhMSExMUFhARERQSFRYUFBYSFhIWEgwODhERDg8QERMOEA8REREREhIVERMRFBMODw8QEg8OEBATEBEQExIREBQRFBIUExMUDg8PEhEQEBESEw4QDxMREhUSExUREhETEhEREhEUERASERUSExMTExIRExEUFBUUFRQRERETExMSEhQVEBIQExIUFBUVFBITEAARDA4OEREPDxIREw8SDxQQFBMVEhYUFBQWEw4QDhQRDg8RERQSEhEUEhIRExEVFBUUABUODxARExIRExIVDhIPFREVFBUUABIVERUREhMRFBIQERETExMVFAAUEhEVEQAWABUAFhERExIUFBQVExYQERIUEhYWABYAERURFhELDg0QEA4PDxESDg8OEhEREhITFBARERUTDQ4PEREPEBASEg8QEBMSEhISExQREhIUEw0PDhERDxAQERIOEA8TERESExUVERIRFBIQERETExESExMUEhMSFRUVFBMVFhQUExUUDxEQExMREhIUFRASERQSExMVFRUTExMUEgsODREQDg4QEBMOEA8TEBISEhMWERIRFBMNDw4REQ8PEBETEBEQFBISERMSFRMTEhYADQ4PERIQEBEREw4QDxMSEhMTFBUSEhEUEhESERQSEBEREhQSExIUFBISFREVFBUVABMQEBISExMSFBMUEBERFBIVFBUWFhIUERURDA4OERAODxASEg0PDhIRERISExMPERATEw4PDxERDw8QEhMPEBATEhEREhIUEhISFRQNDw4REA8QDxISDhAOEhESEhITFRASEBQRERIREhMRERISExITExUTExIUEhUVFBQVFBARDxQRERMRExMREg8UERMUExUWERQQABEMDg4REhAPEhAUEBIPFREUEhUTFhMVEwATDhAPExEODxEQFRITEhURExEVERYUFRUAFQ4PEBETEhETEhUOEQ8UERUWFRQWEhURFRERExEVEhARERMUExUUFRQREhQRFQAWFBUWEREUEhUVFBYUFRARERUTABYAFRUSFhEVEQwODhEQDg8QERIOEA8SERERFBMUEBIRFRIODw8REQ4PEBETEBEQEhIREBMSExITEhUUDg8PEhEQEBATEg8QDhQQEhITExQQExAVEREREhMTEBASEhMTExIUFBIQExIUFhUUExQQEhEUEBITEhMSEBIQFBEVFBUUFBITERUQAEGgrx0LEQIAAAABAAAAAwAAAAAAAAAEAEHArx0LtRgFBwcKCgcICQoLBwkICwoJCgoLCwkKCgsLBwkJCgoICQoKCwkKCgsLCgoLCwsKCwsMDAcJCQoKCQoKCwsICgkLCgoLCwsLCgsKCwsKCgoLCwoKCwsLCwsLCwsLCwwLDAsMCwwMCgoKCwsKCwsLCwoLCgsLCwwLDAwLDAsMCwgJCQsLCQoKCwwJCgoLCwoLCwwMCgsLDAwJCgoLCwoKCwsMCgsLDAwLCwwMDAsMDAwMCQoKCwsKCwsMDAoLCgwMCwwMDAwLDAwMDAsLCwwMCwsMDAwMDAwMDAwMDAwMDAwMDAwLCwsMDAsMDAwMCwwMDAwMDAwMDAwMDAwMCAkJCwsJCgoLCwkKCgsLCgsLDAwKCwsMDAkKCgsLCgoLDAwKCwsMDAsMDAwMCwwMDAwJCgoLCwoLCwwMCgsKDAsLDAwMDAsMCwwMCwsLDAwLDAwMDAsMDAwMDAwMDAwMDAwMDAsLCwwMCwwMDAwLDAsMDAwMDAwMDAwMDAwKCwsMDAsMDAwMCwwMDAwMDA0NDQwMDA0NCwwMDAwMDAwMDQwMDA0NDAwNDQ0MDQ0NDQsMDAwMDAwMDQ0MDAwNDQwNDQ0NDA0NDQ0MDAwMDQwNDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDAwMDQwNDQ0NDQwNDQ0NDQ0NDQ0NDQ0NDQoLCwwMCwwMDAwLDAsMDAwMDA0MDAwMDQ0LDAwMDAwMDA0NDAwMDQ0MDQ0NDQwNDQ0NCwwMDAwMDAwNDQwMDA0MDA0NDQ0MDQwNDQwMDAwNDA0NDQ0MDQ0NDQ0NDQ0NDQ0NDQ0MDAwNDA0NDQ0NDA0NDQ0NDQ0NDQ0NDQ0NCAkJCwsJCgoLCwkKCgwLCgsLDAwKCwsMDAkKCgsLCgoLCwwKCwsMDAsLDAwMCwwMDAwJCgoLCwoLCwwMCgsKDAwLDAwMDAsMDAwMCwsLDAwLCwwMDAsMDAwMDAwMDAwMDAwMDAsLCwwMCwwMDAwLDAwMDAwMDAwMDAwMDAwJCgoLCwoKCwwMCgsLDAwLCwwMDAsMDAwMCgoLCwwLCwwMDAsLDAwMCwsMDA0MDAwMDAoLCwwMCwwLDAwLDAsMDAwMDAwMDAwMDAwLCwwMDAwMDAwMDAwMDA0MDA0MDQwMDQ0NCwwMDAwMDAwMDAwMDAwMDAwMDQwMDAwNDAgKCgsLCgsLDAwKCwoMDAsMDAwMCwwMDAwKCwoMDAoKCwwMCwwMDAwMDAwMDQwMDA0NCgsLDAwLDAwMDAoMCwwMDAwMDQ0MDQwNDAsMDAwMCwwMDA0MDAwNDQwMDQwNDA0NDQ0LDAwMDAwMDA0NDAwMDQwMDQ0NDQwNDA0MCwsLDAwLDAwMDQsMDAwMDAwMDQ0MDA0NDQsMDAwMDAwMDA0MDA0NDQwMDQ0NDQ0NDQ0LDAwMDAwNDA0NDAwMDQ0MDQ0NDQwNDQ0NDAwMDA0MDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQwMDA0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0KCwsMDAsMDAwNCwwMDQwMDQ0NDQwNDQ0NCwwMDAwMDAwNDQwNDA0NDQ0NDQ0NDQ0NDQsMDA0MDA0MDQ0MDQwNDQ0NDQ0NDQ0NDQ0MDQ0NDQwNDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDA0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQgJCQsLCQoKCwwJCgoLCwoLCwwMCgsLDAwJCgoLCwoKCwwMCgsLDAwLCwwMDAsMDAwMCQoKCwsKCwsMDAoLCgwMCwwMDAwLDAsMDAsLCwwMCwsMDAwMDAwMDAwMDAwMDAwMDAwLCwsMDAsMDAwMCwwLDAwMDAwMDAwMDAwMCAoKCwsKCgsMDAoLCwwMCwwMDAwLDAwMDAoLCwwMCgsMDAwLDAwMDAwMDAwNDAwMDQ0KCgsMDAsMDAwMCgsKDAwMDAwNDQwMDA0MCwwMDAwLDAwMDQwMDA0NDAwNDA0MDQ0NDQsMDAwMDAwMDQ0LDAwNDAwNDQ0NDA0MDQwJCgoLCwoLCwwMCgsLDAwLDAwMDAsMCwwMCgsLDAwLCwwMDAsLDAwMDAwMDA0MDAwNDAoLCgwLCwwLDAwLDAsMDAwMDAwMDAwLDAwLDAwMDAwMDAwMDAwMDAwMDA0MDQwNDQ0NCwwLDAwMDAwNDAwMDAwMDA0MDQ0MDAwNDAoLCwwMCwwMDA0LDAwNDAwMDQ0NDA0NDQ0LDAwMDQwMDQ0NDAwNDQ0NDQ0NDQ0NDQ0NCwwMDAwMDA0NDQwNDA0NDQ0NDQ0NDQ0NDQwNDQ0NDA0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0MDA0NDQ0NDQ0NDA0NDQ0NDQ0NDQ0NDQ0NCwsLDAwLDAwMDAsMDAwMDAwNDQ0MDQwNDQsMDAwMDAwNDQ0MDA0NDQwNDQ0NDA0NDQ0LDAwMDAwNDA0NDAwMDQwNDQ0NDQwNDA0NDAwMDQ0MDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQwMDA0MDQ0NDQ0MDQ0NDQ0NDQ0NDQ0NDQ0KCwsMDAsMDAwMCwwMDAwMDAwNDQwMDA0NCwwMDAwLDAwNDQwMDA0NDAwNDQ0MDQ0NDQsMDAwMDAwMDQ0MDAwNDAwNDQ0NDA0MDQ0MDAwMDAwMDQ0NDA0NDQ0MDQ0NDQ0NDQ0NDAwMDQwMDQ0NDQwNDA0NDQ0NDQ0NDQ0NDQoLCwwMCwwMDA0LDAwNDAwMDA0NDAwMDQ0LDAwMDAwMDQ0NDAwMDQ0MDA0NDQwNDQ0NCwwMDAwMDAwNDQwMDA0NDA0NDQ0MDQ0NDQwMDAwNDAwNDQ0MDQ0NDQwNDQ0NDQ0NDQ0MDAwNDQ0NDQ0NDA0NDQ0NDQ0NDQ0NDQ0NCgsLDAwLDAwMDQsMDA0MDA0NDQ0MDQwNDQsMDA0NDAwMDQ0MDA0NDQwNDQ0NDQ0NDQ0LDAwNDAwNDA0NDA0MDQ0NDQ0NDQwNDQ0NDAwMDQ0MDQ0NDQwNDQ0NDQ0NDQ0NDQ0NDQwMDA0NDA0NDQ0MDQ0NDQ0NDQ0NDQ0NDQ0LCwsMDAsMDAwMCwwMDAwMDAwNDQwMDA0NCwwMDAwMDAwMDQwMDA0NDAwNDQ0MDQ0NDQsMDAwMDAwMDQ0MDAwNDAwNDQ0NDA0MDQ0MDAwMDAwMDQwNDA0NDQ0MDQ0MDQ0NDQ0NDAwMDAwMDQ0NDQwNDA0NDQ0NDQ0MDQ0NDAoLCwwMCwwMDAwLDAwMDAwMDA0NDA0MDQ0LDAwMDAwMDA0NDAwMDQ0MDA0NDQ0NDQ0NCwwMDAwMDQwNDQwNDA0NDA0NDQ0MDQwNDQwMDAwMDA0NDQ0MDQ0NDQ0NDQ0NDQ0NDQ0MDAwNDAwNDQ0NDA0MDQ0NDQ0NDQ0NDQ0NCgsLDAwLDAwMDAsMDAwMDAwMDQ0MDAwNDQsMDAwMDAwMDQ0MDAwNDQwMDQ0NDAwNDQ0LDAsMDAwMDA0NCwwMDQ0MDQ0NDQwNDA0NDAwMDAwMDQ0NDQwNDQ0NDQ0NDQ0NDQ0NDQwMDA0MDA0NDQ0MDQwNDQ0NDQ0NDA0NDQ0KCwsMDAsMDAwNCwwMDQwMDA0NDQwNDQ0NCwwMDQ0MDA0NDQwMDQ0NDA0NDQ0NDQ0NDQsMDA0MDA0MDQ0MDAwNDQwNDQ0NDQ0NDQ0MDA0NDQwNDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDAwMDQ0NDQ0NDQwNDQ0NDQ0NDQ0NDQ0NDQoMCwwMCwwMDA0LDAwMDAwMDA0NDAwMDQ0LDAwMDQwMDA0NDAwMDQ0MDQ0NDQwNDQ0NCwwMDQwMDAwNDQwMDA0NDA0NDQ0MDQwNDQwNDA0NDA0NDQ0MDQ0NDQ0NDQ0NDQ0NDQ0MDAwNDA0NDQ0NDA0MDQ0NDQ0NDQwNDQ0NCgsLDAwLDAwMDQsMDAwMDAwMDQ0MDAwNDQsMDAwMDAwNDQ0MDQ0NDQwMDQ0NDQ0NDQ0LDAwMDAwNDA0NDAwMDQ0MDQ0NDQwNDA0NDAwMDA0MDQ0NDQwNDQ0NDA0NDQ0NDQ0NDQwMDAwMDA0NDQ0MDQ0NDQ0NDQ0NDA0NDQ0LDAsMDAsMDAwMCwwMDAwMDAwMDQwMDA0MCwwMDAwMDAwMDQwMDA0NDAwNDQ0MDQ0NDQsMDAwMDAwMDQ0MDAwNDAwNDQ0NDA0MDQ0MDAwMDAwMDQ0NDA0NDQ0NDQ0MDQ0NDQ0NDAwMDAwMDQ0NDQwNDA0MDQ0NDQ0NDQ0NDABBgMgdCxECAAAAAQAAAAMAAAAAAAAABABBoMgdC7UeAQUFBQcJBQkHBQcIBwcKCQoKBQgHCQoKBwoHBggJCQoMCQsLCQoLCwsNDA0NCQsLCwwNCw0LBgkICQsLCQwKCQsLCwsNCw0MCQsKDA0NCw0LBgkJCAoLCQwLCQoLCgoMCw0NCQsLCw0MCw0LCAoKCQoMCgwLCgoMCgoNDA0NCgwLDA0NCg0KBwoKCwsNCw4LCgwLCwsNDQ4NCgwMDg4OCw4LBgkJCQsMCAsKCQsLCwsNCwwNCAsKCw0NCgwKBwoKCwsOCw0LCgwMCwsODg4OCgsMDQ0OCw0LCAoKCgsMCQwKCgsMCwoNDA0NCgwKDA0NCw0KAAEAAAAAAAAAAgAAAAUGBgYHBwYHBwYHBwcHCAcICAYHBwcICAcIBwcICAgICAgICAgICAgICQgJCQgICAgJCQgJCQcIBwgICAgICAgICAgJCQgJCQgICAgJCQgJCAYICAcICAcICAcICAgICQgJCQgICAgJCQgJCAcICAgJCQgJCQgICQkJCQkJCQgJCQkJCQkJCQcICAgICQgJCAgICAgJCQkJCQgJCAkJCQgJCQYICAcICAcICAgICAgICQgJCQcICAgJCQgJCAcICAgICQgJCAgICQgJCQkJCQgICAkJCQgJCQcICAgJCQgJCQgJCQkJCQkJCQgJCAkJCQkJCQABAAAAAAAAAAIAAAABBQYFBwgFCAcFBwgHCAoICgoFCAcICgoHCggGCAkICgsJCgoJCgsKCwwLDAwJCwoLDAwKDAsGCQgJCgoICwoJCgsKCwwLDAwJCwoLDAwKDAsGCQkICgsJCwoICgoKCgwLDAwJCwoLDAwKDAsICgoKCwwKDAsKCgwLCw0MDQ0KDAsMDQ0LDQsHCgoKCwwKDAsKDAsLCwwMDg0KDAwMDg4LDQsGCQkJCgsICwoJCgsKCwwLDAwICwoLDAwKDAoHCgoKCwwKDAsKDAwLCw0MDQ0KCwwMDQ4LDAsICgoKCwwKDAsKCwwLCw0MDQ0KDAoMDQ0LDQsAAQAAAAAAAAACAAAABAYGCQkGBwgKCgYIBwoKCAoKDA0ICgoNDAYHCAoKBwgJCgsICQkLCwoKCwwOCgsLDg0GCAcKCggJCQsLBwkICwoKCwsNDgoLCg4MCQoKDAwKCgsMDQoLCw0NDAwNDA8NDg0PDgkKCgwMCgsLDQ0KCwoNDA0NDg4PDA0MDwwGBwgKCwgJCgsMCAkJCwwKCwwNDgoLCw4NCAkKCwwJCgsMDQkKCwwNCwwNDQ8MDA0PDggJCQwMCQoLDA0JCgoNDAwMDQ4PCwwMDg4LCwwNDgsMDQ0PDA0NDg8ODQ8OEA4PDxAQCwwLDg0MDQ0PDgsNDA4NDg8PDxANDg4QDgYIBwsKCAkJCwwICgkMCwoLCw0OCgwLDg0ICQkMDAkKCgwNCQsKDQwLDAwNDgwNDA8OCAoJDAsJCwoNDAkLCg0MDA0MDg8LDQwPDQsLDA0OCwwNDQ8MDQ0ODw0ODg4QDg8PEBALDAsODQwNDQ8OCw0MDw0ODw8QEA0PDRAOCQoLDA4LCwwNDwsMDA0ODQ4PDxENDg4PEAsLDA0PDAwNDhAMDQ0ODw4OEA8RDw8PEBELDAwODgwNDQ8QDA0NDw8PDw8QEQ4PDxAQDg4PDxEODw8PEQ8PEBAREBAREBIRERESEg4PDhAQDw8QEREODw8REBERERISEBAQEREJCwoODAsMDA4NCwwLDw0NDg4QDw0PDhEPCwwMDw4MDQ0PDwwNDQ8PDg8PEBAPDw8REAsMCw8NDA0NDw4MDQwQDg8PDxEQDg8OEQ8ODg8QEA4PDxAQDxAPEREQEBARERERERIRDg8OEA8PDw8REA8PDxEPEREREhIQERASEAYICAsLCAkJCwwICQkMCwoLCw0OCgwLDg0HCQkLDAkKCgwNCQoKDQ0LCwwNDwsMDA8OCAkJDAsJCwoNDQkLCg0MDA0MDg8LDQwPDQoLDA0OCwwMDQ8MDA0ODw0NDg4QDg8PEBALDAsODQwNDQ8OCw0MDw0ODw8PEA0ODhAOBwkJCwwJCgsMDQkKCg0MCwwMDg8LDAwPDgkJCwsNCgoMDA4KCwwNDgwMDQ4QDA0NDw8JCwoNDQoMDA0OCgwLDg0MDQ0PEAwNDQ8OCwsNDQ8MDA4NEA0NDQ4PDg4PDhEPDw8QEAwNDA8ODQ4ODw8MDg0QDg8PEBARDg8OEQ8HCQkMCwkKCgwNCQsKDQwLDAwODgsNDA8OCQoKDQwKCgsMDQoMCw4NDAwNDQ8MDg0QDwkKCg0MCwsMDQ0KDAoODA0NDQ8PDA0MDw0LDAwODgwMDQ4PDQ4NDw8ODQ8NEA8QDxEQDA0MDg4NDg4PDwwNDA8ODw8QEBEODw0QDQoLDA0OCwwNDg8MDQ0PDw4ODw8RDg8PEBAMDA0MDwwMDg0QDQ0ODhAODhAPEQ8PEBARDA0NDw8NDg4QEA0ODRAPDxAQEREODw8REA4ODw4RDw8QDxEPDxAPERAQERASERERERIODw8REA8QEBERDxAPERARERESEhAREBIRCgwLDg4MDQ0PDwwNDA8ODg8PEBAODw8REAsNDA8ODA0NDw8NDg0QDg8PDxAQDxAPERAMDQ0PDw0ODhAQDA4NEA8PEBAREQ8QDxEQDg8PEBAODw8QEA8QEBEQEBAQEBEREhESEQ4PDxEQDxAQEREPEA8REBEREhISEBEQEhAGCAgLCwgJCQsMCAkJDAsKCwwNDgoLCw4NCAkJCwwJCgsMDQkKCw0NCwwNDQ8MDAwPDgcJCQwLCQoKDQ0JCgoNDAsMDA4PCwwLDw0LCwwNDgsMDQ0PDA0NDg8NDg4OEA4PDxAQCgwLDg0MDQwODgsMDA8NDg8PEBANDg0QDgcJCQsMCQoLDA0JCgoNDAsMDQ4PCwwMDg4JCgoMDQoKDAwOCwwLDQ0MDA4NDw0NDQ8PCQoKDA0KCwwNDgoLCg0MDQ0ODxAMDQwPDQwNDQ4ODAwNDg8NDg4PDw4NDw0QDxAPERALDAwODg0NDg8PDA0MDw4PDxAQEQ4ODRANBwkJDAsJCgoMDQkLCg0MCwwMDg8LDAwPDgkKCw0NCgsMDQ4KDAwODQwNDQ4QDA0NEA8JCwkNCwoMCw0NCgwKDgwMDQ0PDwwNDBAODAwNDg8MDQ4ODw0ODg8PDg4PDxEPEA8REAsNCw8NDQ4NDw4MDgwQDQ8PDxAQDg8OEQ4KCwwODgwMDQ4PDA0NDw8ODw8QEQ4PDxAQDAwNDw8NDQ4PEA0ODhAQDw8QEBEPEBAREQsMDQ4PDQ0ODxAMDQ0PDw8PEBARDw8PEBAODw8QEQ8PEBARDxAQEREQEBEQEhERERISDg8PEBAPEBAQEQ8PDxAQEREREhIQEBAREAoMCw4NDA0NDw8LDQwPDg4PDxAQDg8OEQ8MDQ0PDw0NDhAQDQ4OEBAPDw8QEQ8QEBERDA0MDwwNDg0QDgwODBANDxAPERAOEA4RDw4PDxARDw8QEREPEBARERAQERESERIREhIODw4RDg8QDxEPDxAPEQ8RERESERAREBIQCQsLDg4LDAwODgsMDA8ODQ4OEBANDw4QEAoLDA4OCwwNDw8MDQ0PDw0ODxARDg8PERALDAwPDgwNDQ8PDA0NDw8ODw8QEA4PDxEQDA0ODxANDg4PEA0ODxAQDw8QEBIQEBASEQ4ODhAPDw8PERAODw8REBARERIREBAQEhAKDAwODgsMDQ8PDA0NDw8NDg8QEQ4PDxEQCwwNDg8MDA4PEA0NDg8QDg4PEBEPDxAREQwNDQ8PDQ4OEBANDg0QDw8QDxERDxAPERANDQ8OEQ4NEA8RDw4QDxEPDxEQEhAQERESDg8PERAPEBAREQ8QDxEQEREREhIQERASEQoMCw4OCwwNDw8MDQwPDw4PDxAQDg8PERALDAwPDwwNDQ8PDQ4NEA8ODw8QEA8QDxEQCw0NDw8NDg4PDwwODRAPDxAPEREPEA8REA0PDhAQDg8OEBAPEA8REA8QEBAREBEQEhEODw8QEA8QEBERDw8PERARERESEhAQEBIQDA0NDxANDg4PEA0ODhAQDw8QEBIPEBAREQ0NDg8QDg4PDxEODw8QEQ8PERASEBARERENDg4QEA4PDxERDg8OERAQERAREhAREBIRDw8QDhEQDxEOEhAQEA8SEBASDxMSEhIREw8QEBIREBEREhEQERASERISEhMTERIQEhELDAwPDw0NDg8QDQ4NEA8PEBAQEQ8QEBEQDA4NEA8NDQ4PEA4PDhEPDw8QEBEQERASEQwNDg8QDg8PEBANDg0QDxAQEBERDxAPEQ8PEA8REA8PDxAQEBEQEhAQDxAPERESERIRDw8QEREQEBEREQ8QDxEQEhISEhIQERASDwkLCw4OCwwMDg8KDAwPDg0ODxAQDQ4OEBALDAwODwwMDQ8PDA0NDw8ODw8QEQ4PDxAQCgwMDg4MDQ0PDwsNDA8PDg8PEBENDw4QEA4ODg8QDg8PEBEODw8QERAQERASEBEREREMDg0QDw0PDhAQDQ4OEA8QEBAREQ8QDxEQCgsLDg4MDA0ODwsNDA8ODg8PEBEODw8QEAwNDQ8PDA0ODxANDg4PDw8PEBARDw8QERELDAwPDw0NDg8QDA0NDw8PDxAQEQ4PDxAQDg8PEBAPDw8QEQ8QEBEREBAREBIREREREg0ODxAQDw8QEBEODg4QEBAQERESEBAQERAKDAwODgwNDQ8PCw0MDw8ODw8QEQ0PDhEQDA0NDw8NDQ4PEA0ODhAQDw8QEBEPDxAREQsNDA8ODQ4NEA8MDgwQDw8QDxERDg8OERAODw8QEQ8PEBARDxAQEREQEBEREhERERISDQ8NEQ4OEA4REA4PDREPEBEQEhEPEQ8SEAsMDA8PDQ0ODxANDg0QDw8QEBARDxAQERAMDg0QDw0NDg8QDg8PEBAQDxAQERAQEBERDA0ODxAODg8PEQ0ODRAPEBARERIPEA8RDw8QDxERDw8QEBEQERARERAPEQ8SERIREhIPDxAQERAQERASDw8PEBARERIREhAQDxEPDA0NDw8NDg4QEA0ODhAQDxAQERIPEA8SEA0ODhAQDg4PEBEODw8RERAQERESEBAREhENDg0QDg4PDxEQDg8OEQ8QERESEQ8RDxIQDxAQEREQEBEREhARERISERASERMSEhISEg8QDxEOEBAQEg8QEQ8SDhISEhIRERIQEw8AQeDmHQsRAgAAAAEAAAADAAAAAAAAAAQAQYDnHQvYAgIFBQUHBwUHBwUHBwcICQcJCQUHBwcJCQcJCAUHCAgJCggJCggJCgkKDAoLCwgKCgoLCwkLCwUIBwgJCQgKCQgKCgkLCwoLCwgKCQoLCwkMCgUICAcJCggKCQcJCQkKCwkLCwgKCQoLCwoLCwcJCQkKCwkLCwkJCwoKDQsLDAkLCwsMDQsNDAcJCQkLCwkLCgkLCgoLDAsNDAkLCwsMDQsNCwUICAgJCgcKCQgJCgoLCwoLCwcJCQkLCwkLCgcJCQkKCwkLCwkLCwsLDQsNDAkKCwsMDQoMCwcJCQkLCwkLCgkLCwsMDQsNDAkLCQsMCwoNCgABAAAAAAAAAAIAAAAEBwwODxIUFAUDBAYJCw8TCQQDBAcJDRILBgMDBQgNEw4JBgUHChAUEAsJCAoKDhAVDg0LCAcLDhUODQkGBQoMAAAAAP//////////CAAAAP//////////AEHY6x0LBP////8AQdz7HQsVAQAAAAEAAAACAAAABwAAABEAAAAfAEHg/R0LEWMAAABjAAAABwAAABEAAAAfAEHY/x0LCwIAAABAAAAAcLQHAEGYgB4LA0CFBwBBpIAeCwNohQcAQbCAHgsHkIUHALiFBwBBwIAeCwfghQcACIYHAEHQgB4LBzCGBwBYhgcAQeCAHgsfgIYHAKiGBwBYhgcAAAAAANCGBwD4hgcASIIHAHCCBwBBwIEeCwsCAAAAQAAAAACFBwBB6IEeCwsCAAAABAAAAPSEBwBBkIIeCwfQgQcA+IEHAEGggh4LCyCCBwBIggcAcIIHAEHQgx4LwwECAAAAqQAAABCEBwABAAAAAACe4AAAVGAEAAAAAAAAAMCEBwAAAAAAAgAAABkAAADQgwcAAQAAAAAAMOAAABBgAwAAAAAAAADwgwcAAAAAAAIAAAAJAAAAtIMHAAEAAAAAiDPhAIgzYQIAAAAAAAAAwIMHAAAAAAABAAAAGQAAADCDBwABAAAAAMAS4QAAmWAFAAAAAAAAAFCDBwAAAAAAAQAAABkAAACgggcAAQAAAAAAeOAAABBgBQAAAAAAAADAggcAQaCFHguBAQQEBAQEBAQFBQUFBQUFBQUFBQUFBQUFBQUAAAAAAAAADAAAAAsAAAANAAAACgAAAA4AAAAJAAAADwAAAAgAAAAQAAAABwAAABEAAAAGAAAAEgAAAAUAAAATAAAABAAAABQAAAADAAAAFQAAAAIAAAAWAAAAAQAAABcAAAAAAAAAGABBsIYeC9EBAQMCBQQHBwgICQkKCgsLDAwNDQ4ODw8PDwAAAAAAAAAMAAAACwAAAA0AAAAKAAAADgAAAAkAAAAPAAAACAAAABAAAAAHAAAAEQAAAAYAAAASAAAABQAAABMAAAAEAAAAFAAAAAMAAAAVAAAAAgAAABYAAAABAAAAFwAAAAAAAAAYAAAAAQQEBAQEBAQEAAAAAQAAAAAAAAACAAAAAAAAAAMEBAUFBAQFBQUEBQQFBQUFBgUGBQYFBgUAAAAAAAAAAgAAAAEAAAADAAAAAAAAAAQAQZCIHguXDgEEBAgICQgJCQoKCgoEBgUIBwkJCQkKCQoKBAUGBwgJCQkJCQoJCggJCAkICgkLCQwKCwoICAkICQkKCQsKCwoMCQoKCwoLCwwLDAwMDAkKCgsLCwsLDAwMDAwKCwsMDAwMDAwMDAwMCgsLDAwMDAwMDAwMDAsMDAwMDAwMDAwNDAwLDAsMDAwMDAwMDAwMDAwMDAwMDQwMDAwMDAsNDAwMDQwMDAwMDAwAAAAAAAAABgAAAAUAAAAHAAAABAAAAAgAAAADAAAACQAAAAIAAAAKAAAAAQAAAAsAAAAAAAAADAAAAAEDAgMAAAAAAAAAAAMFDQkJDBASBAIUBgcKDxQKBwUFBggKDQgFBQMFBwoLCQcGBQUHCQkLCggHBgYICA8PCgoJBwgJERMNDAoICQkFAAAA8wAAAHCzBwABAAAAAAAQ4AAAEGACAAAAAAAAAGS0BwAAAAAABQAAADUMAAAQpwcAAQAAAAAAMOAAABBgAwAAAAAAAABQswcAAAAAAAUAAADzAAAAEKYHAAEAAAAAADjgAAA4YAIAAAAAAAAABKcHAAAAAAAFAAAA8wAAABClBwABAAAAAAAQ4AAAEGACAAAAAAAAAASmBwAAAAAABQAAAPMAAAAQpAcAAQAAAAAAVOAAAFRgAgAAAAAAAAAEpQcAAAAAAAUAAAA1DAAAsJcHAAEAAAAAADDgAAAQYAMAAAAAAAAA8KMHAAAAAAAFAAAANQwAAFCLBwABAAAAAAB84AAAXGADAAAAAAAAAJCXBwAAAAAAAQAAAAcAAAAgiwcAAQAAAAAAOOAAABBgAwAAAAAAAAAwiwcAAAAAAAUAAADzAAAAIIoHAAEAAAAAAJXgAACVYAIAAAAAAAAAFIsHAAAAAAAFAAAA8wAAACCJBwABAAAAAABc4AAAXGACAAAAAAAAABSKBwAAAAAABQAAAPMAAAAgiAcAAQAAAABMXeEATF1hAgAAAAAAAAAUiQcAAAAAAAUAAADzAAAAIIcHAAEAAAAAiDPhAIgzYQIAAAAAAAAAFIgHAAAAAAABCQkHCQkICAkJCQkJCQkICQkHCQkJCQkJCQkHCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkGCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkFCQgJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkICQgJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkFCgkKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoICgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoAAQAAAAAAAAACAAAAAQgICAgICAgICAgICAgICQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJAAEAAAAAAAAAAgAAAAIGBgYHBwcHBwcICAkJCQkHBwgICAkJCQkICAYHBwgICAgICAkICAkICQkICAoICAoJCQoICAYGBggGBggHBwgHBwoICAkHBwkHBwoICAkHBwcHBwoICAsJCQoJCQsJCQsICAsJCQwJCQwICAcHBwoJCQoJCQoJCQsKCgoJCQsJCgsKCwoJCQkICAoJCQoJCQsJCQsKCgsJCQsJCQsKCgsJCQgICAsJCQsJCQsJCQwJCQwICAsJCQwJCQwICAgHBwoJCQoJCQoJCQsLCwsJCQsKCgsLCwsJCQoJCQsJCQsJCgsKCgsKCgsJCQsKCgsKCgsJCQABAAAAAAAAAAIAAAABBwcHCAgHCAgHCQkLCwsJCAgICQkMCwwJCAgGBwcKCwsKCgoLCwsODg4MCwwLCwsPDw4NDAwFBgYIBQUIBwcIBwcMCgoKBwYJCAgMCgoKBgYHCAgMCgoMCgoLCgoQDg4NCgoMCgoPDg4OCgoHBwcNCwsNCwsMCwsQDg4ODAwMCwsSDw8ODAwKCQoOCwsNCwsMCwsRDg4OCwsNCwsQDw8OCwsHCAgNCwsMCgoMCgoQDg0NCgoMCgoRDg4OCgoIBwcMCwsNCwsMCwsQDw4ODAwMCwsQDw8ODAwLCgoOCwsNCwsNCwsRDg4OCwsNCwsSDg8PCwoAAQAAAAAAAAACAAAAAgMDAwMDAwBBsJYeC9UYAwAAAAIAAAAEAAAAAQAAAAUAAAAAAAAABgAAAAAAAAABBwYPDwcICA8PCAgIDw8ADQ0QEAAODhAQBwkJEBAKCwsREQoICA8QAA4OEhIADg4QEAkJCRAQDAsLEREKCQkPDwAODhMTAA4OEBAADw8SEQAAABQUAA0NEBAAEREWFAAPDxERAA8PEhIAFhUUFQANDRAQABISABYADw8REQYHBw0NCQoKDw8LCgoPDwAVFhISAAAAEhIKCgoPDwwNDRERDAsLDw8AFhYSEgAAFRISDAsLDw8PDg4SEg0LCw8PAAAVEhMAFRYSEwAWABITAAAAAAAAFRUSEgAWAAAVAAAAExIAAAASEwAAAAAAABQUEhEAABYAFQAAABMTBgYGDQ0IBgYLCwkHBw0NAAoKCwsADAwODgkICA4ODAoKDQ0KBwcNDQALCw8PAAsLDQ0JCAgODg0KCg0OCwcHDQ0ACwsPDwALCw0NAAwMDw8AFRUREQAKCg0NAA4OFBQADAwNDQAMDA8PABUWERIACgoNDQAQEBQVAAwMDQ0ACwsNDQAMDBAQAAwMEBAAEBAAFQAREgAAAAwMDw8ADw8SEgAMDBAQABAQFRYAEREWFQAMDBAQAA8PExMADAwQEAAQEBYWABEQFgAAERIAAAAAAAAAAA8PFRQAExQAFgASEgAAABIRAAAAAAAAAAAQEBYVABQUABYAFBMAAAALCwwMAAoKCwsACwsMDAAMDAoKAA0NDAwACwsNDQANDQwMAAoKDAwADQ0ODQAMDAwMAAwMDQ0ADg4NDQAKCgwMAA0NDg4ADQwMDAAODg4OABUVEBAADAwMDAAQEBQVAA0NCwsADg4ODgAUFBAPAAwMDAwAEREUFAANDQsLBwgIEBALCgoPDwwKChERAA4OEA8ADw8REQsJCRAQDgwMERENCQkQDwAODhMSAA4OEBAMCgoREhANDRESDgoKEBAADg4TEwAODxERAA8PEhMAAAAUFAANDRERABESABYADw8QEQAPDxISAAAAFBUADg4REQATEgAAABAQEREIBwcODgwLCw8PDQsLDw8AAAASEwAVFBISDAoLDxAODQ0SEg4LCw8PABQUExIAFAASEg0LCxAQEQ8PExMODAwPDwAVABIUABYWEhMAFhYTEwAAAAAAABUWExIAAAAAFQAAABMTAAAWFBQAAAAAAAAWABISAAAAABYAAAATFAsKCg4ODgsLDQ0OCwsPDwAODQwMAA8PEBANCwsPDxANDQ8PDwoKDg8ADg4QEAAODg8PDQsLDw8SDg4PDw8KCg8OAA4OEBAADg4PDwAPDxEQABUWEhIADQ0ODgASERQVAA8PDg4ADxAQEQAAABMSAA0NDw4AExMAAAAPDw4OAAwMDg0ADQ0QEAAMDBAQABAQFgAAERIAFgANDRAQAA8PEhIADAwQEAAQEBYWABERAAAADQ0REQAQEBMUAAwMEREAEREWAAARERYVABISAAAAAAAAAAAQEBUVABMTAAAAEhIAFgASEgAWAAAAAAAAEBAWAAAUFAAAABMSAAAADAwPDwAMDA8OAA0NDw8ADg4ODgAPDxAQAA0NDxAADw8QEAAMDA8PAA4OEBAADg4PDwANDQ8QAA8PEBAADAwPDwAPDxERAA4ODw8ADw8REQAVFRMTAA0NDg4AEREWAAAODg8PAA8PEREAFgASFAANDQ8PABISABYADw8ODwgICBEQDAoKEBANCgoREAAPDxERAA8PEREMCwsSEg8MDBISDwoKEBEADg4SEgAODhERDQoKEBARDg4REQ8KChAPAA8PExQADg4PEAAQEBMTAAAAFRYADQ0REQASEQAVAA8PEREADw8SEwAAFgAVAA0NEBEAExMAFgAQDxAQCQgIDg4MCwsPDw0LCw8PABUUExIAAAATEgwLCxAPDw0NERIOCwsPDwAWFhMSABYVEhIOCwsPDxEODhISDwwMDw8AFhYUEwAAFRISAAAWFBQAAAAAAAAUFRISAAAAFRUAAAAUEwAWFRMTAAAAAAAAABYREgAAFgAWABYAExMACwsPDwALCw4OAAwMDw8ADw8ODgAQEBAQAAwMEBAADg4QEAALCw8PAA8PEREADw8PDwAMDBAQAA4ODw8ACwsPDwAPDxERAA8PDg8AEBAREQAAABMTAA4ODw8AEhIVAAAPDw4PABAQEREAFQATEwAODg8PABQUFgAAEA8ODgAMDA0NAAwMEBAADAwQEAAQEBYVABIRFQAADQ0QEAAPDxITAAwMEBAAEBEWAAAREQAWAA0NERAADw8TEwAMDBAQABAQFRQAERAWAAASEhYVAAAAAAAADxAVFQATEwAAABIRAAAAEhIVAAAAAAAAABAQFhYAFBUAAAASEwAWAA0NEBAADAwPDwANDRAQAA4ODw8ADw8REQANDREQAA8PEREADAwQEAAPDxERAA4OEBAADQ0QEQAPDxERAAwMEBAADg4REQAODhAQABAQEREAFQAVEwANDRAQABERAAAADw8QEAAQDxISABYAFBQADQ0PDwASEgAAAA8PDw8ADAwREQAODhERAA4OEREAERESEQARERMSAA0NEREAEBASEgANDRAQABERExMAEBAREQANDRISABEREhIADQ0REQARERMTABAREREAERETEwAVABUTAA4OEBAAFBMAFQAQEBAQABESExMAAAAAFQAPDxARABUUAAAAERIQEQAJCQ4OAA4ODxAADg4PDwAAABISABUAEhMADAwPDwAQEBERAA4ODg4AFgATEgAWABESAA4OEA8AEhITEgAODw8PAAAVFBQAAAASEgAVFRMTAAAAAAAAFRUSEgAWABQUABYAExMAFgATFAAAAAAAAAAVERIAAAAWFgAAABMSABIUEBAAFRQREQAAFRISABYVEhIAABYTEwAUFBERAAAAEhIAExQREQAWABMVABYVEhIAFBMREgAAABMTABQUEREAFhYVFQAUABISABYWEhIAAAAUFgAUFBAQAAAAFQAAFRQQEQAWABMUAAAAFRQAExUREQAAAAAAABUVEREADAwNDQAODhAQAA4OEBAAEhIAAAATEhYAAA0NEBAAEBASEgANDRAQABESFQAAEhIVAAANDRAQABERExQADQ0QEQASEhUAABISFQAAEhMAFQAAAAAAABAQFRQAFBQAAAASEwAAABISAAAAAAAAAAAQEAAVABYWAAAAExMAAAAQEBMUABEQFhUAEREVFAATEgAWABMTFhYAEA8WFgATEwAVAA8PFBQAEhMAFQASEhYWABAQFRQAFBMVFgAQDxQUABMTABYAEhIVAAATEhUWAAAAAAAAEBATFQAUFgAWABISFBUAExIAFgAAABYAABAQFBQAFRUAAAASEhUAAAwMEREADw4REQAODhISABERERIAEhISEgANDRISABARExIADQ0QEQARERITABEREREADQ0REQAREhISAA0NEBAAEhITFAAQEREQABESExIAAAAWFQAPDxAQABQUFRYAEREQEAAQERISAAAAFRUADw8QEAAVFAAAABEREBAACgoODgAODg8PAA4ODw8AFgASEgAAABMTAA0NDxAAERASEgAODg8PABUVExIAFhUSEQAODg8PABISExIADw8ODgAWFRMTABYVERIAAAATEwAAAAAAABQWEREAABYWFAAAABMSABUWExIAAAAAAAAWFhESAAAAFRYAAAATEgAUFBERABUVERIAFRYSEgAVABISABYAExMAExUSEgAAFhISABYVEREAFgAUFAAAABISABYVEhIAFQATEwAUFRERAAAWFhQAFRYREQAAFRMSAAAAFRUAFRQQEQAAAAAAABUAEREAFQATFAAAABQWABQUEREAAAAAAAAVFRERAAwMDQ0ADg4QEAAODhAQABISFQAAExMWAAANDRAQABAQEhIADQ0QEAASEhUWABISABYADQ0QEAARERQSAA0NEBAAExIAFgASEhYVABITAAAAAAAAAAAQEBUVABUVAAAAEhMAAAATExUAAAAAAAAAEBAAFQAUFAAAABQUAAAAEBAVFAASERUWABESABUAEhMWFgATEwAWABARFRYAFBMAAAAQEBQVABMTAAAAExMAFgARERUVABMUAAAAEBAAFAATFAAVABISABYAExQWFgAAAAAWABERABUAFRUAAAASExcVABQTAAAAAAAAAAAREQAUAAAAAAAAExMXFgBBkK8eCxECAAAAAQAAAAMAAAAAAAAABABBsK8eC7UYBAUFCQkMCQkMDAwKCg0NDQsLDAwNDQ0MDA0KCg0NDQ0NDQ0NCgoNDA0LCw0NDQ4ODQwNCgoNDQwNDQ0NDQoKDAwNCwsNDQ0ODgwMDQwMDQ0NDQ0NDQ0LCwwMDQsLDQ0NDg4MDA0ODg0NDg0NDg4ODg4MDA0ODg0NDg4ODAwMCAgMDA0MDAsLDQsLCwsODAwLCw4MDAoLDgwMDAwODAwMDA0NDQsLDgwMCwsODAwMDA4MDAwMDgwMDAwODQ0LCw4MDAsLDgwMDAwODQ0MDA4MDAwMDg0NCwsODAwLCw4NDQsLDw0NDAwODAwMDA8NDQwMDgwMCwsPDQ0LCwwJCQsLDQcHCwsNCAgMDA4KCgoKDg4OCwsOCAgMDA4ODgwMDgcHCwsOCQkMDA4ODgsLDggIDAwODg4MDA4HBwsLDgkJDAwODg4LCw4KCgwMDg4ODQ0OCQkLCw4KCgwLDw4OCwsODw8MDA8ODg4ODw4OCwsPDg4MDA8ODgsLDgsLCgoPCgoKCg8KCgoKDwsLCQkPDA0JCQ8LCwsLDw0NCwsPCgoKCg8LCwoKDw0NCwsPCwsLCw8NDQsLDwoKCgoPCwsKCg8NDQoLDwwMCwsPDQ0LCg8LCwoKDwsMCgkPDQ0KCg8ODgsLDw0NCwsPDg4KCg8NDQoKDw4OCgoODQ0KCg8NDQoKDw0NCgoODg4ICQ8ODgkJDw4OCwsPDg4KCg8ODgoKDw4OCwsPDg4KCg8ODgsLDw4OCgoPDg4KCg8ODgoKDw4OCQkPDg4LCw8ODgsLDw4OCgoPDg4KCg4ODgkJDw8PCwsPDg4MDA8PDwoKDw4PCgoPDw8JCQ8KCg0NEQgIDAwRCgkNDRILCwwMEg4ODAwRCQkNDRENDQwMEggIDAwSCgoMDBIODgwMEgoKDQ0SDQ0NDRIJCQwMEgoKDQ0SDg4MDBILCw0NEg4ODQ0SCgoMDBELCwwMEg4ODAwSDg4NDRIODg0NEw4PDAwSDg4MDBIPDwwMDQcHCwsODw8LCw4QDwsLDg8PCwsODw8LCw4PDwsMDg8PDAwNDw8LCw4PDwsLDw8PDAwODw8MDA4QEAwMDg8PCwsODw8LCw8PDwwMDw8PDAwODw8MDA4PDwsLDg8PCwsPDg8MDA8PDwwMDxAQDAwPDw8MDA4PDwwMDw8PDAwNDQ0LCw4ODwsLDg4ODAwODw8KCg8PDwsLDg8PDAwODg4LCw4PDwsLDg8PDAwPDw8LCw4PDwwMDg4PCwsODw8LCw4PDwwMDw8PCwsPDw8MDA4PDwwMDg8PCgoODw8LCw8PDwoKDw8PDAwPDw8ODg8PDwsLDw8PCwsPDw8LCw4KCgoKDwkJDAsPCgoMDA8LCwsLDw0NDAwQCgoMDA8NDQwMDwkJCwsPCgoNDA8NDQsLDwoKDAwPDQ0MDA8JCQsLDwoKDAwPDQ0LCw8LCwwMDw0NDQ0PCgoLCw8LCwwMDw0OCwsPDg4NDRAODhQTDw4OCwsPDQ4MDA8ODgsLDg0NCgoODg0LCw8NDgwMDw4ODAwPDg4LCw8ODgwMDw8ODQ0PDg4LCw8ODgsLDw4ODQ0PDg4MDA8ODg0NDw4OCwsPDg4LCw8ODg0NDw4ODAwPDg4MDA8ODgwMDw4OCwsPDw8MDA8PDw0NEA4ODAwPDw8NDQ8PDwwMDw8PDAwOCgoNDREJCQwMEQkJDQ0RCwsMDBIODgwMEgoKDQ0SDg0MDBIJCQwMEgoKDA0SDg4MDBEJCQwMEQ0ODAwRCQkMDBEKCgwMEQ4OCwsSCwsMDBIODgwNEgoKDAwSCwsMDBIODgsLEg8PDAwSDg4NDRIODwwMEQ4ODAwRDw8MDA0HBwsLDg8PCwsODw8LCw4PDwsLDg8PCwsODw8LCw4PDwwMDg8PCwsODw8LCw8PDwwMDg8PCwsODw8MDA4PDwsLDw8PCwsPDw8MDA4PDwwMDg8QDAwODw8LCw4PDwsLDw8PDAwPDw8MDA8QEAwMDw8PDAwPDw8MDA8PDwwMDQ0NDAwODg4LCw4ODgwMDg4OCgoPDw8LCw4PDwwMDg4OCwsODw8LCw4ODgwMDw8OCwsODw8MDA4ODgsLDg8PCwsODg4LCw8ODgoKDg8PDAwODg4MDA4PDwoKDg8PCwsPDw8KCg8PDwwMDw4ODQ0PDw8KCg8ODgsLDw8PCgoOCgoKCg4JCQwMDwoKDAwOCwsLCw8NDgwMDwoKDQ0PDQ0MDA8JCQwMDwoKDQ0PDQ4LCw8KCgwMDw0NDAwPCQkLCw8KCgwMDw0NCwsPCwsMDA8NDQ0NDwoKCwsPCwsMDA8ODgsLDw4ODQ0PDg4UEw8ODgsLDw4ODAwPDg4LCw4NDQsLDw0NCwsPDg0MDA8ODgsMDw4OCwsPDg4MDA4ODg0NDw4OCwsPDg4LCw8ODg0NDw4ODAwPDg4NDQ4ODgsLDw4OCwsPDg4NDQ8ODgwMDw4ODAwPDg4MDA8ODgsLDg4ODAwPDw8NDRAODgwMDw8PDQ0PDg4MDA8PDwwMDwsLDQ0SCgoMDBELCwwMEgwMCwsSDg4MDBIKCg0NEg4ODAwSCgoMDBILCwwMEg4ODAwSCwsMDRIODgwMEgoKDAwSCwsMDBIODgsLEgsLDAwSDg4MDBEKCgsLEQwMCwsRDg4LCxIPDwwMEg4ODQ0SDw8LCxIPDgwMEg8PCwsOCAgLCw4PDwoKDg8PCwsODw8LCw8PDwwMDw8PCwsPDw8MDA4PDwoKDw8PCwsPDw8MDA8PDwsLDw8PDQ0ODw8KCg8PDwsLDw8PDAwPDw8MDA8QEAwMDw4OCwsPDw8LCw8PDwwMEA8PDQ0PEBANDRAPDwwMDw8PDAwPDw8MDA4NDQsLDg4OCwsODg4MDA8ODgsLDw8OCwsPDg4MDA8ODgwMDg8PCwsPDg4MDA8ODgsLDw4PDAwPDg4MDA4PDwsLDw4OCwsPDg4LCw8PDgwMDw4ODAwPDw8KCw8ODgsLDw8PCgoPDw8MDBAODg0NDw8PCwsPDg4LCw8PDwsLDgsLCQkOCgoMDA8LCwwMDwwMDAwPDg4NDQ8LCwwMDw4ODQ0OCgoMDA8LCw0NDw4ODAwPCgoMDA4ODg0NDgoKCwsPCwsMDA8ODgwMDwwMDQ0PDg4ODg8LCwsLDwwLDAwPDg4LCw8PDw0ODw4OFBMPDg4MDA8ODg0NDw4ODAwODQ0KCg4NDQsLDg0NCwsPDg4MDA8ODgwMDw4ODAsODg4NDQ8ODgsLDw4OCwsPDg4ODg8ODgsMDw4ODQ0ODg4LCw8ODgsLDw4ODg4PDg4MDA8ODg0NDw4OCwsODg4MDA8ODg0NDw8PDQ0PDg4NDQ8PDw0NDw4ODQ0PDw8NDQ8ODg0NEg8PDAwSDw8MDBIQEAsLEhERDAwSDw8NDRIREQwMEg8PDAwSDxAMDBIREQwMEg8PDQwREBEMDBEPDwsMEg8PDAwSERELCxIQEAwMEhEQDAwSDw8LCxIPDwwMEhERCwsSEREMDBIQEA0NEhERCwsREBALCxIREQsLDw8PCwsQDw8LCxAPDwsLEA8PDAwRDw8ODhAPDwsLEQ8PDg4QDw8LCxAPDwwMEg8PDQ0QDw8LCxEPDw4OEA8PCwsQDw8MDBEPDw0NEA8PDAwREA8ODhAPDwsLEA8PDAwSDw8NDREPDw4OERAQDw8SDg8NDRIPDw4OEg8PDQ0PDQ0MDA8ODgwMEA4ODAwQDg4MDBEODwwMEA4ODAwRDg4NDRAPDwwMEA4ODAwRDg4MDBAODgwMEQ4ODQ0PDw8LCxAODgwMEQ4ODAwQDw8MDBEODg0MEA8PCwsQDg4MDBEPDwsLEQ8PDQ0RDg4NDRIPDwwMEQ4ODAwRDw8MDA4PDwkJDg8PDAwPEA8NDQ8PDw4ODw8PFRMPDw8NDQ8PDxMTDw8PDAwPEBAODg8PDxMTDxAPDQ0PEBATFA8PDwwNDxAQDg4PDw8UEw8PDw4ODxAQExMPDw8ODQ8PDw4ODw8PExMPEBAUEw8REBUUDw8PFBMPEBAUFA8PDxMUDg0NCgoODg4LCw4ODgwMDw4ODQ0PDw4UFA8ODgwMDg4OExMPDg4LCw8ODgwMDw4OFBMPDg4MDA4ODhQUDg4OCwsPDg4MDA8ODhQVDw4ODQ0PDg4UFA8ODgwMDw4ODQ0ODw8UFA8PDxQTDw4OFBMPDw8UFA8ODhUUDw8PFBQAQfDHHgsRAgAAAAEAAAADAAAAAAAAAAQAQZDIHgvYBQEGBgYHBwcICAcICAoLCwkICAgICAsLDAkICAUHBwkLCwoLCwoLCwwODgsMDAoMDA0ODgwMDAUGBgcGBggHBwgHBwsKCgoHBwkICAwLCwoHBwcHBwsKCgwKCgsKCg8NDQ0KCgwLCw8NDQ4LCwcHBwsLCwwLCwwLCw4ODg0MDAwMDBAPDw4MDAAKCgALCwAMDAALCwAODgALCwAMDAAPDwALCwcICAwLCgwKCgwLCw8NDQ4LCwwKChAODg4KCggHBwwLCwwLCwwLCw8ODg4MDA0MDA8ODg8NDQALCwAMDAAMDAAMDAAPDwAMDAANDQAPDgAMDAABAAAAAAAAAAIAAAADBQUACAgACAgACQkACgoACAgACAgACgoACAgABwcACAgABwcACAgACAgACAgACAgACAgACAgABwcABgYABwcABwcACgoABgYABwcACgoABQUACAgABwcACAgACAgACQkABwcACAgACQkABwcABgYACQoACgoACgoACwsACQkACgoACwsACQkACAgACAgACAgACQkACQkABwcACAgACQkABwcACAgABwcABwcACAgACQkABwcABwcACAgABgYABgYACgoACgoACgoADAwACQkACgoADAwACQkACAgABwcABwcACAgACQkABwcACAgACQkABgYAAQAAAAAAAAACAAAAAQYGBQcIAAgIBgkJBwoKAAgIAAkJAAwMAAgIBAcHBgoKAAwMBwsLCAwMAAwMAA0MAA8PAAwMAAcHAAcHAAcHAAgIAAoKAAcHAAgIAAsLAAcHBQcHCAkJAAoKCAkJCwsLAAoJAAsLAA0NAAoKBgcHCAoKAAwMCQoKCgwMAAwMAAwMAA8PAAwMAAoKAAsLAAsLAAsLAA0NAAsLAAsLAA8PAAoKAAgIAAoKAAwMAAsLAAwMAAwMAAwMAA8PAAsLAAcHAAoKAAwMAAoKAAwMAAwMAA0NAA4OAAwMAEGEzh4LaQEAAAAAAAAAAgAAAAMJCQAAAAgIAAAACQkAAAAMDAAAAAAAAAAACgoAAAAAAAAAAAkJAAAACwsAAAAAAAAAAAoKAAAAAAAAAAAJCQAAAAsLAAAAAAAAAAAMDAAAAAAAAAAACwsAAAAMDABBjs8eCwIHBwBBi9AeC1wHBwAAAAUFAAAABwcAAAAJCQAAAAAAAAAABwcAAAAAAAAAAAUFAAAABwcAAAAAAAAAAAcHAAAAAAAAAAAFBQAAAAcHAAAAAAAAAAAJCQAAAAAAAAAABwcAAAAJCQBBiNEeC1wLCwAAAAkJAAAACgoAAAAKCgAAAAAAAAAACgoAAAAAAAAAAAkJAAAACgoAAAAAAAAAAAoKAAAAAAAAAAAJCQAAAAoKAAAAAAAAAAAMDAAAAAAAAAAACwsAAAAMDABBgtMeC1wJCQAAAAcHAAAACAgAAAAKCgAAAAAAAAAACAgAAAAAAAAAAAcHAAAACQkAAAAAAAAAAAkJAAAAAAAAAAAICAAAAAkJAAAAAAAAAAAKCgAAAAAAAAAACQkAAAALCwBB/9MeCwIFBQBB+dUeC1wKCgAAAAcHAAAACQkAAAAKCgAAAAAAAAAACQkAAAAAAAAAAAgIAAAACQkAAAAAAAAAAAkJAAAAAAAAAAAICAAAAAkJAAAAAAAAAAALCwAAAAAAAAAACQkAAAAKCgBB89ceC1wJCQAAAAcHAAAACAgAAAAKCwAAAAAAAAAACQkAAAAAAAAAAAgIAAAACQkAAAAAAAAAAAgIAAAAAAAAAAAHBwAAAAkJAAAAAAAAAAALCwAAAAAAAAAACQkAAAAKCgBB8NgeCwIFBQBB6toeC1wKCgAAAAcHAAAACQkAAAAKCgAAAAAAAAAACQkAAAAAAAAAAAcIAAAACQkAAAAAAAAAAAkJAAAAAAAAAAAICAAAAAkJAAAAAAAAAAAKCgAAAAAAAAAACQkAAAALCwBB5NweC1wKCgAAAAkJAAAACgoAAAALCwAAAAAAAAAACQkAAAAAAAAAAAgIAAAACgoAAAAAAAAAAAoKAAAAAAAAAAAJCQAAAAoKAAAAAAAAAAALCwAAAAAAAAAACQkAAAAMDABB4d0eCwIHBwBB298eC1wKCgAAAAkJAAAACgoAAAAMDAAAAAAAAAAACgoAAAAAAAAAAAkJAAAACgoAAAAAAAAAAAoKAAAAAAAAAAAICAAAAAoKAAAAAAAAAAALCwAAAAAAAAAACgoAAAALCwBB0OYeCxECAAAAAQAAAAMAAAAAAAAABABB8OYeCwMBAgIAQeToHgtXAQAAAAAAAAACAAAAAwUQCQkNEhUEAhUGBgoPFRATBgUHCg0QCAYFBAQIDRAIBQYEBAcMDw0KCQcHCQ0QEg8NDAkHCg4VEg0NBwUIDAIAAABAAAAAQOkHAEHw6R4LAxC6BwBB/OkeCwM4ugcAQYjqHgsHYLoHAIi6BwBBmOoeCwewugcA2LoHAEGp6h4LBrsHACi7BwBBuOoeCx9QuwcAeLsHACi7BwAAAAAAoLsHAMi7BwAgtwcASLcHAEGY6x4LCwIAAABAAAAA0LkHAEHA6x4LCwIAAAAEAAAAxLkHAEHo6x4LB6i2BwDQtgcAQfjrHgsL+LYHACC3BwBItwcAQajtHgvJAgIAAACpAAAA4LgHAAEAAAAAAJ7gAABUYAQAAAAAAAAAkLkHAAAAAAACAAAAGQAAAKC4BwABAAAAAAAw4AAAEGADAAAAAAAAAMC4BwAAAAAAAgAAAAkAAACEuAcAAQAAAACIM+EAiDNhAgAAAAAAAACQuAcAAAAAAAEAAAAZAAAAALgHAAEAAAAAwBLhAACZYAUAAAAAAAAAILgHAAAAAAABAAAAGQAAAHC3BwABAAAAAAB44AAAEGAFAAAAAAAAAJC3BwAAAAAABAQEBAQEBAUFBQUFBQUFBQUFBQUFBQUFBQAAAAAAAAAMAAAACwAAAA0AAAAKAAAADgAAAAkAAAAPAAAACAAAABAAAAAHAAAAEQAAAAYAAAASAAAABQAAABMAAAAEAAAAFAAAAAMAAAAVAAAAAgAAABYAAAABAAAAFwAAAAAAAAAYAEGA8B4L0QEBAwIFBAcHCAgJCQoKCwsMDA0NDg4PDw8PAAAAAAAAAAwAAAALAAAADQAAAAoAAAAOAAAACQAAAA8AAAAIAAAAEAAAAAcAAAARAAAABgAAABIAAAAFAAAAEwAAAAQAAAAUAAAAAwAAABUAAAACAAAAFgAAAAEAAAAXAAAAAAAAABgAAAABBAQEBAQEBAQAAAABAAAAAAAAAAIAAAAAAAAAAwQEBQUEBAUFBQQFBAUFBQUGBQYFBgUGBQAAAAAAAAACAAAAAQAAAAMAAAAAAAAABABB4PEeC5cOAQQECAgICAkJCgoKCgQGBQgHCQkJCQoJCwkEBQYHCAkJCQkJCgkKCAkICQgKCQsJDAoMCggICQgJCQoJCwoMCgwJCgoLCgwLDAsMDAwMCQoKCwsLCwsMDAwMDAoLCwwMDAwMDAwMDAwKCwsMDAwMDAwMDAwMCwwMDAwMDQwNDA0MDAsMDAwMDAwNDAwMDAwMDAwNDQwNDA0MDQwMDA0MDQwNDA0MDQwMDAAAAAAAAAAGAAAABQAAAAcAAAAEAAAACAAAAAMAAAAJAAAAAgAAAAoAAAABAAAACwAAAAAAAAAMAAAAAQMCAwAAAAAAAAAAAwQNCQkMDxEEAhIFBwoOEgsIBgUGCAsOCAUFAwUICw0JBgcFBQcJCgsKCQgGBggKDg4LCwkICQoREQ4NCgkKCgUAAADzAAAAQOgHAAEAAAAAABDgAAAQYAIAAAAAAAAANOkHAAAAAAAFAAAANQwAAODbBwABAAAAAAAw4AAAEGADAAAAAAAAACDoBwAAAAAABQAAAPMAAADg2gcAAQAAAAAAOOAAADhgAgAAAAAAAADU2wcAAAAAAAUAAADzAAAA4NkHAAEAAAAAABDgAAAQYAIAAAAAAAAA1NoHAAAAAAAFAAAA8wAAAODYBwABAAAAAABU4AAAVGACAAAAAAAAANTZBwAAAAAABQAAADUMAACAzAcAAQAAAAAAMOAAABBgAwAAAAAAAADA2AcAAAAAAAUAAAA1DAAAIMAHAAEAAAAAAHzgAABcYAMAAAAAAAAAYMwHAAAAAAABAAAABwAAAPC/BwABAAAAAAA44AAAEGADAAAAAAAAAADABwAAAAAABQAAAPMAAADwvgcAAQAAAAAAleAAAJVgAgAAAAAAAADkvwcAAAAAAAUAAADzAAAA8L0HAAEAAAAAAFzgAABcYAIAAAAAAAAA5L4HAAAAAAAFAAAA8wAAAPC8BwABAAAAAExd4QBMXWECAAAAAAAAAOS9BwAAAAAABQAAAPMAAADwuwcAAQAAAACIM+EAiDNhAgAAAAAAAADkvAcAAAAAAAEJCQYJCQUJCQgJCQkJCQkJCQkJCQkJCQgJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQgJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQcJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQgJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgABAAAAAAAAAAIAAAABCAgICAgICAgICAgICAgJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkAAQAAAAAAAAACAAAAAgYGBwcHBwcHBwgICQkJCQcHCAgICQkJCQcIBgcHCAgICAgICQgICgkJCggICggICgkJCggIBgYGCAYGCAcHCAcHCggICQcHCQcHCggJCQcHBwcHCggICwgICggIDAkJDAgICwkJDAkJCwgIBwcHCgkJCgkJCgkJCwoKCgkJCwkJCwoKCwkJCQgICgkJCgkJCwkJCwoKCwkJCwkJCwoKCwkJCAgICwkJCwkJCwkJDAkJDAgIDAkJDAkJDAgICAcHCgkJCgkJCwkJCwsLCwkJCwoKCwsLCwkJCgkJCwkJCwkKCwoJCwoKCwkJCwkKCwoKCwkJAAEAAAAAAAAAAgAAAAEGBgcHBwcICAcJCQsLCwkICAgJCQwLCwkICAYHBwoLCgoKCgsLCg4NDgwLCwsLCw8ODg0MDAUGBggFBQgHBwgICAwKCgkHBwkHCAwKCgoHBwcICAwKCgwKCgsKCg8NDQ0KCgsKChANDg4KCgcHBwwLCwwLCwsLCxAPDw4MDAwLCxAPEA4MDAoJCQ4LCw0LCwwLCxAODg4LCwwLCxEPDw4LCwcICAwLCwwKCgwKChAODQ4KCgwKChEODg4KCggHBw0LCwwLCwwLCxAPDg4MDAwLCxAPDg8MDAsKCg0LCw0MCw0LCxEODg4LCw0LCxEODw4LCwABAAAAAAAAAAIAAAACAwMDAwMDAEGAgB8L1RgDAAAAAgAAAAQAAAABAAAABQAAAAAAAAAGAAAAAAAAAAIGBg4OBgcHDg4HBwcPDwAMDA8PAA0NDw8HCAgPDwoKChAQCQgIDw8ADQ0SEQANDRAQCAgIDw8MCwsQEAkICA8PAA0NEhIADQ0QEAAODhERABQAExQADAwQEAAQEBQWAA4OEBAADg4REQAUFhQTAA0NDxAAERIAFQAPDxAQBQcHDQ0ICQkODgoKCg4OABQWEhIAFhUSEQkKCg4ODAwMEREMCgoODgAAFBERABYVERILCgoODg4NDRISDAsLDg4AFhUSEwAUABERABYAEhIAAAAAAAAUFBERABYAFhUAFQATEgAWFhISAAAAAAAAFQAREQAWABQUAAAAExIGBgYMDAgGBgoKCAYGDQwACgoLCwALCw0NCAcHDQ0LCQkNDQoGBgwMAAoKDg4ACgoNDQkHBw0NDAoKDQ0KBgYMDAALCw8PAAoKDQ0ADAwPDgATFBARAAkJDQ0ADg4UFQAMCw0MAAwMDw4AFBMREQAKCgwNAA8PFhUADAwMDQAKCgwMAAsLDw8ACwsPDwAPDxYWABARAAAACwsPDwAODhISAAsLEBAAEA8AFQAQEAAAAAwMDw8ADg4TEwALCw8PAA8PFgAAEBAWAAAQEAAVAAAAAAAADw8TFAASEgAAABERAAAAEREAAAAAAAAAABAPFhUAFBQAAAASEgAAAAoKDAwACgoLCwALCwwMAAsLCQkADQwMDAALCw0NAA0NDAwACgoMDAANDA0NAAwMDAwACwsNDQANDQwMAAoKDAwADQ0ODQAMDAwMAA4NDQ4AFBUPDwALCwwMAA8QFBQADA0KCgANDQ4NABQUDw8ACwsMDAAQERUVAA0NCwsGBwcQDwsJCQ4PDAkJEBAADQ0PDwAODhERCgkJEBAODAwQEAwJCQ8PAA0NERIADQ0PDwwKChERDwwMERENCQkQEAANDRITAA4OEBAADw8SEgAAABQTAAwMERAAEBEAFQAODxAQAA8PEhIAABYTFQANDRAQABIRFhYADw8QEAcHBw0NCwoKDw8MCgoODgAVABIRABUWEhILCgoPDw4MDBERDgsLDg4AFRQSEgAWFRIRDAsKEBAQDg4REw4LCw8PAAAWExMAFRYSEgAVABITAAAAFgAAFhUREQAAABQWAAAVEhIAAAATFAAAAAAAAAAVEREAAAAWFQAAABMTCgkJDg0NCgoMDA0KCg4OAA0NDAwADw4QDw0KCg4ODwwMDg4PCgoODgAODg8PAA4NDg4NCgoPDxENDQ8PDgoKDg4ADg4PEAAODg8PAA8PEBAAFRYREgAMDA4OABERFBUADg4ODgAPDxAQABUWEhIADQ0ODgASEhYAAA8PDg4ACwsNDQAMDBAPAAwMEBAAEBAAAAAQEQAWAAwMEBAADg4REgALCxAQAA8PABUAEBAVFgAMDBAQAA8PExMADAwREAAQEBUWABAQAAAAEREAFgAAAAAAAA8PExQAERMAAAARERYAABERABYAAAAAAAAPDxUAABMUAAAAExIWAAALDA4OAAsLDg4ADAwPDwANDQ0NAA4OEBAADAwPDwAODhAPAAsLDw8ADQ0QEAANDQ8PAAwMDw8ADw4QEAALCw8PAA4OEREADQ0PDwAPDxAQAAAAEhIADAwODgAQEBYAAA4ODw8ADw8QEQAVFhISAA0NDw4AEhEWAAAODg8PCAgIEA8MCgoQDwwKChAQAA4OEBEADg4REAwKChESDgwMEhIOCgoQEAAODhISAA4OEBAMCQkQEBENDRARDgkJDw8ADg4SEwANDQ8PAA8PEhMAAAAWFQANDRAQABAQFgAADw8QEAAODhIRAAAAFAAADQ0QEAASEgAAAA8PEBAIBwcNDQwKCg8PDAoKDg4AFhYTEgAAABISDAoKDw8ODQ0REQ4LCw8PABMUEhIAFhUREg0LCw8PEA0NEhIOCwsODwAWFRQTABYVEREAABYTEgAAAAAAABYUEREAAAAVFAAAABMRAAAWExMAAAAAAAAWFBIRAAAAAAAAAAASEgAKCg4OAAsLDg4ACwsPDwAODg4OAA8PEBAACwsQEAANDRAQAAsLDw8ADg4QEAAODg8PAAsLDw8ADQ0PDwAKCg8PAA8PEREADg4ODgAQEBAQAAAWExMADQ0ODgAREQAAAA8PDg4AEBAREQAAFhISAA0NDg4AFRIAAAAPDw4OAAsLDQ0ADAwPDwAMDBAPABAQAAAAEREWFgAMDBAQAA4OEhIACwwQEAAPEAAVABAQFhUADAwQEAAPDxMUAAsMEBAADw8UFgAQEAAWABERFgAAAAAAAAAPDxUWABMSAAAAEREAAAAREQAWAAAAAAAAEA8WAAATEwAAABESAAAADAwPDwAMDA8PAAwMDw8ADQ0ODgAPDxARAAwMEBAADg4QEAAMCw8QAA4OEBEADg4QEAANDBAQAA8PEBAACwsPDwAODhAQAA4ODw8ADw8SEQAAFgAUAA0NDw8AEBEWFgAODg8PAA8PERIAFAATEwANDQ8PABISFgAADg4PDwALCxAQAA4OERAADQ0REQAQEBERABEREhMADAwQEQAPDxISAAwMEBAAEBATEgAQEBEQAAwNEREAERASEQANDBAQABAQEhMAEBAQEQAQEBISABYAFhYADQ0QEAATEhYUABAPEBAAEBESEgAAABYUAA4OEBAAExMAAAAQEBAQAAkJDQ0ADQ0PDwAODg8PAAAWERIAFgASEwAMDA8PAA8QEREADg4ODgAWABISABUWEREADQ0PDwARERESAA4ODw8AFhUVEwAUFRERABUVExIAAAAAAAAVFRERAAAAFhYAABYTEgAAFRMSAAAAABYAExQREQAAAAAWAAAAExIAExMPEAAVExARAAAVEREAABYREQAWFhITABQUEBAAABYSEgAUExARABYVFBMAABUREQAVFBERAAAAEhIAExMREAAWABMTABUWERIAABYTEgAAABMUABMTEBAAFhYWAAAUFhAQABYUEhMAAAAUEwAUFBAQAAAAAAAAFhQREAALCw0NAA4NDw8ADQ0QDwASERUAABISFQAADAwPDwAPEBESAAwMDw8AEREWFAAREhYAAAwMERAAEBETEwANDRAQABERABYAEREAFQASEhQWAAAAAAAADw8VFAAUEwAAABISFgAAEREWAAAAAAAAAA8QFBYAFBUAAAATEgAAAA8PExMAERAUFAAQERQVABIRAAAAExMAAAAPDxUTABMTAAAADw8WFgASEgAWABESFhUADw8UEwATEwAAAA8PFBYAEhMUAAASERUVABISExYAAAAAAAAPDxQTABMTAAAAEhIVFgASEhYAAAAAAAAADw8TFAAVFQAAABERFBQADAwREQAODhARAA0OEREAEBAREQARERETAA0NEREAEBASEgANDRAQABAQEhIAEBAREQANDRERABEREhEADAwPEAAREhMUABAQEBAAERASEwAAFhUWAA4OEBAAExMAAAAQEBAQABAQEhEAABYVFQAODhAQABYUFgAAEBAPDwAJCQ0NAA4ODw8ADg4ODgAWFhISAAAWEhIADAwPDwAQEBIRAA4ODg4AFBUSEgAWFRERAA0NDw8AERESEgAODg4OAAAVEhMAABYREQAWFhMSAAAAAAAAExUREQAAABYUAAAVEhMAABYSEgAAAAAWABQWEREAAAAUFgAAABISABMVEBAAFBYQEQAUABERABYAEhEAFQASEwAUFBERABYAEhIAFRQREQAAFBQTAAAVEhEAFRUREQAWABIRABMTEREAABYUFQAAFRERABYAEhIAAAAUFgAUExAQAAAAAAAAFhYREQAWABITAAAAFRQAExUQEQAAAAAAABYWERAACwsNDQANDQ8PAA0NDw8AEREWFQASEhYAAAwNEA8ADxASEgANDRAQABERABYAEREWFgANDRAQABAQExIADQ0QEAASEQAUABIRFAAAEREVAAAAAAAAAA8PFRYAExQAAAASEgAAABIRAAAAAAAAAAAQEBYWABQUAAAAFRMAAAAPDxQTABAQFhQAEREAFgASEgAWABMRAAAADxAWFAASEwAAABAQFhQAEhIAFgASEhYAABAQFRQAExQAFgAQEAAWABISABYAEhIAFQATEgAWAAAAAAAAEBAVFAAUAAAAABISFQAAEhIAAAAAAAAAABAQFRMAAAAAAAASEgAVAEHgmB8LEQIAAAABAAAAAwAAAAAAAAAEAEGAmR8LtRgDBAUICAwKCgwMDAoKDAwNCwsMDA0MDAwMDQoKDQ0NDQ0NDQ0KCg0NDQsLDQ0ODQ0MDA0KCg0NDQ0NDQ0NCgoMDA0LCw0NDQ0NDAwNDAwNDQ0NDQ0NDgsLDAwODAwNDA4ODgwMDQ4ODQ0ODQ0NDQ4ODgwMDg0NDQ0ODg4MDAwICAsLDAwMCwsMCwsKCg0MDAoKDQwMCgoNDAwMDA4MDAwMDQ0NCwsODAwLCw4MDAwMDgwMDAwNDAwMDA0NDQsLDgwMCwsODAwMDA4NDQwMDgwMDAsODQ0LCw4NDAsLDg0NCwsODQ0MDA4MDAwMDw0NDAwODAwLCw4NDQsLDAkJCgoMBwcLCwwJCQwMDQoKCgoODg4LCw0JCQwMDg4ODAwNCAgLCw4JCQwMDg4OCwsNCQkMDA4ODgwMDggICwsOCQkMDA4ODgsLDgoKDAwODg4NDQ4JCQsLDgoKDAwODg4LCw4ODwwMDw4ODg4PDg4LCw4ODgwMDg4OCwsOCwsKCg4KCgoKDgoKCgoPCwsJCQ4MDAkJDwsLCwsPDQ0LCw8KCgoKDwsLCgoPDQ0LCw8LCwsLDw0NCwsPCgoKCg8LCwoKDw0NCwsPDAwLCw8NDQsLDwsLCgoPDAwKCg8NDQoKDw4OCwsPDQ0LCw8ODgoLDw0NCgoPDQ4KCg4NDQoKDg0NCgoODQ0KCg4NDQkJDg4OCQkPDg4LCw8ODgoKDw4OCgoPDg4LCw8ODgoKDw4OCwsPDg4KCg4ODgoKDw4OCgoODg4KCg8ODgsLDw4OCwsODg4KCg8ODgoKDg4OCQkPDw8LCw8ODgwMDw8OCgoPDg4KCg4PDwkJDgoKDAwRCQkMDBEKCg0NEQsLDAwSDg4MDBEKCg0NEQ4ODAwRCQkMDBELCwwMEQ4ODAwSCgoNDRIODg0NEgkJDAwSCgoNDRIODgwMEgsLDQ0SDg4NDRIKCgwMEQsLDAwRDg4MDBIPDw0NEg4ODg4SDw8MDBIODgwMEg8PDAwNBwcLCw4PDwsLDg8PDAwODw8LCw8PDwsLDg8PDAwODw8MDA4PDwsLDg8PCwsPDw8MDA4PDwwMDg8PDAwODw8LCw4PDwsLDw8PDAwPDw8MDA4PDwwMDg8ODAwODw8LCw8ODgwMDw8PDAwPEBAMDA8PDwwMDw8PDAwPDw8MDA0NDQsKDg4PCwsODg4MDA8ODgoKDw8PCwsODw8MDA4ODgsLDg8PCwsODw8MDA8PDwsLDg8PDAwODg4MDA4PDwsLDg8PDAwPDw8LCw8PDwwMDw4ODAwODw8LCw4PDwsLDw8PCgoPDxAMDA8PDw4ODw8PCwsPDw8MDA8PDwsLDgsLCgoPCQkMDA8KCgwMDwsLCwsPDg4MDA8KCg0NDw4ODAwPCQkMDA8KCg0NDw0NDAsPCgoMDA8ODgwMDwkJCwsPCwsMDA8NDQsLDwsLDQ0PDQ4NDg8LCwsLDwsLDAwPDg4LCw8ODg0NDw4OFBQPDg4MDA8ODgwMDw4OCwsODQ0KCg4NDQwMDg4NDAwPDg4MDA8ODgsLDw4ODAwPDg4NDQ8ODgwLDw4OCwsPDg4NDQ8ODgwMDw4ODQ0PDg4MCw8ODgwMDw4ODQ0PDg4NDQ8ODgwMDw4ODAwPDg4MDA8PDw0NDw8PDQ0PDg4NDQ8PDw0NDw4PDAwPDw8NDQ4KCgwNEQkJDAwRCgoNDRELCwwMEg4ODAwSCgoNDRIODgwMEQkJDAwSCgsNDRIODgwMEQoKDAwRDg4MDBEJCQwMEQsLDAwRDg4MDBILCwwMEg4ODQ0SCwsMDBILCwwMEg4ODAwSDw8MDBIODg0NEg8PDAwRDg4MDBEPDwwMDQcHCwsODw8LCw4PDwsLDg8ODAwPDw8MCw4PDwwMDg8PDAwODw8LCw4PDwsLDw8PDQ0ODw8LCw4PDw0MDg8PCwsODw8LCw8PDw0NDg8PDAwPDw8MDA8PDwsLDw8PCwsPDw8MDA8PDw0NDxAQDAwPDw8MDQ8PDwwMDw8PDAwNDQ0LCw4ODgsLDg4ODAwODg4KCg8ODgsLDg8PDAwODg4MDA4PDwsLDg8ODAwPDg4LCw4PDwwMDg4OCwsODw8LCw4ODgwMDw8OCwsPDw8MDA8ODgwMDg8PCwsODw4LCw8PDwoKDw8PDAwPDg4ODQ8PDwsLDw8PCwsPDw8KCg4LCwoKDwkJDAwPCgoMDA8LCwsLDw4ODAwPCgoNDQ8NDQwMDwkJDAwPCwsNDQ8ODgwMDwoKDQ0PDQ4MDA8JCQwMDwoKDQ0PDQ0LCw8LCw0NDw4ODQ0PCgoLCw8LCwwMDw4OCwsPDg4NDQ8ODhUUDw4OCwsPDg4MDA8ODgsLDg0NCgoODQ0LCw8ODgwMDw4ODAwODg4MDA8ODgwMDw4ODQ0ODg4LCw8ODgsLDw4ODQ0PDg4MDA8ODg0NDg4OCwsPDg4LCw4ODg0NDw4ODAwPDg4MDA8ODgwMDw4ODAwODg4NDQ8PDw0NEA4ODA0PDw8NDQ8ODgwMDw8PDQ0PCwsNDBIKCgwMEQsLDAwSDAwLCxIODgwMEgsLDQ0RDg4MDBIKCgwMEgwMDAwSDg8MDBILCw0NEg4ODAwRCgoMDBILCwwMEg8ODAwRDAwMDBEODgwMEQsLCwsRDAwMCxEPDwsLEg8PDAwSDg8NDRIPDwsLEQ8PDAwSDw8LCw4JCQsLDg8PCwsPDw8LCw8PDwwLDw8PDAwPDw8LCw8PDw0NDg8PCwsPDw8LCw8PDw0NDw8PCwsPDw8NDQ8PDwsLDw8PCwsPDw8NDQ8PDwwMDw8PDQ0PDw4LCw8PDwwMDw8PDAwQDw8NDQ8QEA0NEA8PDAwPDw8NDA8PDwwMDQwMCwsODg4LCw4ODgwMDw4OCwsPDg4MDA8ODgwMDw4ODAwODw8LCw8ODgwMDw4OCwsPDg4MDA8ODgwMDg8PCwsPDg4MDA8ODgsLDw8PDAwPDg4MDA8PDwsLDw4OCwsPDg8LCw8PDwwMDw4ODQ0QDw8LCw8ODgwMDw8PCwsOCwsJCQ8KCgwMDgsLDAwPDAwMDA8ODg0NDwsLDQ0PDg4NDQ8KCgwMDwwMDQ0PDg4NDQ8LCwwMDw4ODQ0OCgoMDA8MDA0NDw4ODAwPDAwNDQ8ODg8PDwsLDAwPDAwMDQ8ODgwMDw8PDg4PDg4UFA8ODgwMDw4ODQ0PDg4MDA4NDQoKDg0NCwsODQ0MDA4ODgwMDw4ODQ0PDg4MDA4ODg4ODg4OCwsPDg4MDA8ODg4ODw4ODAwODg4ODg4ODgsLDw4ODAwODg4ODg8ODgwMDw4ODQ0PDg4MDA8ODgwMDg4ODg0PDw8ODg8ODg0NDw8PDg4PDg4NDQ8PDw0NDg0NDQ0SDw8MDBIPDw0MEg8QCwsSEBEMDBIPDw0NEhERDAwSDw8MDBEPDwwMEhERDAwSDw8NDRIQEQwMEQ8PDAwSDw8MDBIQEQsMEhAQDAwREBEMDBIPDwsLEg8PDAwSERELCxEREQwMEhAQDQ0SERELCxIQEAwMEhERCwsPDg4LCxAPDwsLEA8PDAwQDw8MDBEPDw4NEA8PDAwRDw8ODhAPDwsLEA8PDAwSDw8NDRAPDwsLEQ8PDg4QDw8LCxAPDwwMEQ8PDQ0QDw8MDBEQDw4OEA4PDAwQDw8MDBIPDw0NEQ8PDg4REBAPDxEPDw0NEQ8PDg4SDw8NDQ8MDQsLDw4ODAwQDg4MDBAODgwMEA4ODAwQDg4NDBEODg0NEA8PDAwQDg4MDBEODgwMEA4ODAwRDg4NDQ8PDwwMEA4ODAwRDg4MDBEPDwwMEQ4ODQ0QDw8MDBAODgwMEQ8PDAwSDw8NDREODg0NEQ8PDAwRDg4MDBEPDwwMDg8PCQkPDw8MDA8PDw0NDw8PDg4PDw8TEw8PEA0NDw8QExQPDw8NDA8QEA4ODw8PExMPDw8NDQ8QDxQTDg8PDQ0PDw8ODg8PDxMTDw8PDg4PEBATFA8PDw4ODw8PDg4PDw8TEw8PDxQTDxAQFBMPDw8TEw8QEBQUDw8PExQODQ0KCg4ODgsLDg4ODAwPDg4NDQ8ODhMUDw4ODAwODg4UEw4ODgsLDw4ODAwPDg4UFA8ODgwMDg4OFBMODg4LCw8ODgwMDw4OExQPDg4NDQ8ODhYTDw8ODAwPDg4NDQ4PDxYUDw8PFBQPDg4VFA8PDxQVDw4OFBQODw8UFABBwLEfCxECAAAAAQAAAAMAAAAAAAAABABB4LEfC9gFAQYGBwcHBwcHBwgICgsLCQgICAgICwsLCggIBQcHCQsLCgsLCgsLDA0OCwwMCgsLDQ4ODAwMBQYGCAYGCAcHCAcHCwoKCgcHCQcHDAsLCwcHBwcHCwoKDAoKCwoKDw0NDQoKDAsLDw0NDgsLBwcHCwsLDAsLDAsLDg4ODgwMDAwMEA8PDgwMAAoKAAsLAAsMAAsLAA4OAAsLAAwMAA8PAAsLCAgIDAoKDAoKDQsLDw0NDgsLDAoKEA4ODgoKCAcHDAsLDQsLDAsLDw4ODgwMDQwMDw4ODwwMAAsLAAwMAAwMAAwMAA8PAAwMAA0NAA4PAAwMAAEAAAAAAAAAAgAAAAMEBAAICAAICAAJCQAKCgAICAAJCQAKCgAICAAHBwAICAAICAAICAAICAAICAAICAAICAAICAAHBwAGBgAHBwAHBwAKCgAGBgAHBwAKCgAGBQAICAAHBwAICAAICAAJCQAHBwAICAAJCQAHBwAGBgAJCgAKCgAKCgALCwAJCQAKCgALCwAJCQAICAAICAAICAAJCQAJCQAICAAICAAJCQAHBwAICAAHBwAHBwAICAAJCQAHBwAHBwAJCQAGBgAGBgAKCgAKCgAKCgAMDAAJCQAKCgAMDAAJCQAICAAHBwAICAAICAAJCQAHBwAICAAJCQAHBwABAAAAAAAAAAIAAAABBQUFCAgACAgGCQkICgoACAgACQkADAwACAgEBwcGCgoADAwHCwsJDAwADAwADQ0ADw8ADAwABwcABwcACAgACAgACgoABwcACAgACwsABwcFBwcJCQkACwoJCQkLDAwACgoACwsADQ0ACwsGBwcJCgoADAwKCwsLDAwADAwADQ0ADw8ADAwACgoACwsACwsADAwADQ0ACwsADAwADw8ACwsACAgACgoADAwACwsADAwADAwADAwADw8ACwsABwcACgoADAwACgoADA0ADAwADQ0ADg4ADAwAQdS3HwtpAQAAAAAAAAACAAAAAwcHAAAACAgAAAAICAAAAAsLAAAAAAAAAAAKCQAAAAAAAAAACQkAAAAKCwAAAAAAAAAACQkAAAAAAAAAAAkJAAAACgoAAAAAAAAAAAwMAAAAAAAAAAALCwAAAAwMAEHeuB8LAgcHAEHbuR8LXAcHAAAABQUAAAAHBwAAAAkJAAAAAAAAAAAHBwAAAAAAAAAABQUAAAAICAAAAAAAAAAABwcAAAAAAAAAAAUGAAAABwcAAAAAAAAAAAkJAAAAAAAAAAAICAAAAAkJAEHYuh8LXAsLAAAACQkAAAAKCgAAAAoKAAAAAAAAAAAKCgAAAAAAAAAACQkAAAAKCgAAAAAAAAAACgoAAAAAAAAAAAkJAAAACgoAAAAAAAAAAAsMAAAAAAAAAAALCwAAAAwMAEHSvB8LXAkJAAAABwcAAAAICAAAAAoKAAAAAAAAAAAICAAAAAAAAAAABwcAAAAJCQAAAAAAAAAACQkAAAAAAAAAAAgIAAAACQkAAAAAAAAAAAoKAAAAAAAAAAAJCQAAAAsLAEHPvR8LAgUFAEHJvx8LXAkJAAAABwcAAAAJCQAAAAoKAAAAAAAAAAAJCQAAAAAAAAAACAgAAAAJCQAAAAAAAAAACQkAAAAAAAAAAAcHAAAACQkAAAAAAAAAAAsLAAAAAAAAAAAJCQAAAAoKAEHDwR8LXAkJAAAABwcAAAAICAAAAAoKAAAAAAAAAAAJCQAAAAAAAAAACAcAAAAJCQAAAAAAAAAACAgAAAAAAAAAAAcHAAAACQkAAAAAAAAAAAsLAAAAAAAAAAAJCQAAAAoKAEHAwh8LAgUFAEG6xB8LXAkJAAAABwcAAAAJCQAAAAoKAAAAAAAAAAAJCQAAAAAAAAAABwcAAAAJCQAAAAAAAAAACQkAAAAAAAAAAAgIAAAACQkAAAAAAAAAAAoKAAAAAAAAAAAJCQAAAAsLAEG0xh8LXAoKAAAACQkAAAAKCgAAAAsMAAAAAAAAAAAKCgAAAAAAAAAACAgAAAALCwAAAAAAAAAACgoAAAAAAAAAAAkJAAAACgoAAAAAAAAAAAsLAAAAAAAAAAAJCQAAAAwMAEGxxx8LAgcHAEGryR8LXAoKAAAACQkAAAAKCgAAAAwMAAAAAAAAAAAKCgAAAAAAAAAACQkAAAALCwAAAAAAAAAACgoAAAAAAAAAAAkJAAAACwsAAAAAAAAAAAwMAAAAAAAAAAAKCgAAAAsLAEGg0B8LEQIAAAABAAAAAwAAAAAAAAAEAEHA0B8LAwECAgBBtNIfC1cBAAAAAAAAAAIAAAAEBRAJCQwREgQCEgYFCQ0PCgcHBgcJDQ0IBQYFBQcLDAgEBwQDBgoMCwgJBwYICwwPDQ0LCQcKDBAMEAwGBQgLAgAAAEAAAAAQHggAQcDTHwsD4O4HAEHM0x8LAwjvBwBB2NMfCwcw7wcAWO8HAEHo0x8LB4DvBwCo7wcAQfjTHwsH0O8HAPjvBwBBiNQfCx8g8AcASPAHAPjvBwAAAAAAcPAHAJjwBwDw6wcAGOwHAEHo1B8LCwIAAABAAAAAoO4HAEGQ1R8LCwIAAAAEAAAAlO4HAEG41R8LB3jrBwCg6wcAQcjVHwsLyOsHAPDrBwAY7AcAQfjWHwvJAgIAAACpAAAAsO0HAAEAAAAAAJ7gAABUYAQAAAAAAAAAYO4HAAAAAAACAAAAGQAAAHDtBwABAAAAAAAw4AAAEGADAAAAAAAAAJDtBwAAAAAAAgAAAAkAAABU7QcAAQAAAACIM+EAiDNhAgAAAAAAAABg7QcAAAAAAAEAAAAZAAAA0OwHAAEAAAAAwBLhAACZYAUAAAAAAAAA8OwHAAAAAAABAAAAGQAAAEDsBwABAAAAAAB44AAAEGAFAAAAAAAAAGDsBwAAAAAAAwQEBAQFBQUFBQUFBQUFBQUFBQUFBQUFBQAAAAAAAAAMAAAACwAAAA0AAAAKAAAADgAAAAkAAAAPAAAACAAAABAAAAAHAAAAEQAAAAYAAAASAAAABQAAABMAAAAEAAAAFAAAAAMAAAAVAAAAAgAAABYAAAABAAAAFwAAAAAAAAAYAEHQ2R8L0QEBAwIFBAcHCAgJCQoKCwsMDA0NDg4PDw8PAAAAAAAAAAwAAAALAAAADQAAAAoAAAAOAAAACQAAAA8AAAAIAAAAEAAAAAcAAAARAAAABgAAABIAAAAFAAAAEwAAAAQAAAAUAAAAAwAAABUAAAACAAAAFgAAAAEAAAAXAAAAAAAAABgAAAABBAQEBAQEBAQAAAABAAAAAAAAAAIAAAAAAAAAAgQEBQUEBQUGBQQFBQUGBQUGBgYFBgUGBgAAAAAAAAACAAAAAQAAAAMAAAAAAAAABABBsNsfC5cOAQQEBwcICAkJCgoLCwQGBQgHCQgKCQsKCwsEBQYHCAgJCQoKCgoLCAkICggKCQsKCwsLCwgICQgKCQoKCwsLCwsJCgoLCwsLCwsMCwwLCQoKCgsLCwsLCwwLDAoLCwwLDAwMDAwMDAwKCwsLCwwMDA0MDAwMCwwMDAwNDQwMDAwMDAsMDAwMDQ0MDQwMDAwMDQ0NDQ0NDA0MDQwMDA0NDQ0NDQ0MDQwMDAAAAAAAAAAGAAAABQAAAAcAAAAEAAAACAAAAAMAAAAJAAAAAgAAAAoAAAABAAAACwAAAAAAAAAMAAAAAQMCAwAAAAAAAAAAAwQJCAgKDRAEAgkFBwoOEgkHBgUHCQwQBwUFAwUICw0IBwcFBQcJCwoKCQgGBggKDQ4NCwkICQoREhAOCwoKCgUAAADzAAAAEB0IAAEAAAAAABDgAAAQYAIAAAAAAAAABB4IAAAAAAAFAAAANQwAALAQCAABAAAAAAAw4AAAEGADAAAAAAAAAPAcCAAAAAAABQAAAPMAAACwDwgAAQAAAAAAOOAAADhgAgAAAAAAAACkEAgAAAAAAAUAAADzAAAAsA4IAAEAAAAAABDgAAAQYAIAAAAAAAAApA8IAAAAAAAFAAAA8wAAALANCAABAAAAAABU4AAAVGACAAAAAAAAAKQOCAAAAAAABQAAADUMAABQAQgAAQAAAAAAMOAAABBgAwAAAAAAAACQDQgAAAAAAAUAAAA1DAAA8PQHAAEAAAAAAHzgAABcYAMAAAAAAAAAMAEIAAAAAAABAAAABwAAAMD0BwABAAAAAAA44AAAEGADAAAAAAAAAND0BwAAAAAABQAAAPMAAADA8wcAAQAAAAAAleAAAJVgAgAAAAAAAAC09AcAAAAAAAUAAADzAAAAwPIHAAEAAAAAAFzgAABcYAIAAAAAAAAAtPMHAAAAAAAFAAAA8wAAAMDxBwABAAAAAExd4QBMXWECAAAAAAAAALTyBwAAAAAABQAAAPMAAADA8AcAAQAAAACIM+EAiDNhAgAAAAAAAAC08QcAAAAAAAEJCQYJCQUJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCgoKCgoKCgoKCgoKCgoKCgABAAAAAAAAAAIAAAABCAgICAgICAgICAgICAgJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkAAQAAAAAAAAACAAAAAgYGBwcHBwcHBwgICQkJCAcHCAgICQkJCQgIBgcHCQgICQcHCQgICggICggICggICggJCggIBwYGCAYGCQYGCQcHCggICQYGCQcHCgkICQcHBwcHCwgICwkJCgkJDAkJDAgICwkJDAkJDAgICAcHCgkJCgkJCgkJCwoLCwkJCwkJCwsLCwkJCggICwkJCgkJCwkJCwoKCwkJCwkJDAoKCwkJCAgICwkJDAkJCwkJDAkJDAgIDAkJDAkKDAgICQcHCwkJCwoKCwkJCwsLCwkJCwoKDAsLCwkKCgkJCwkJCwoKCwoKCwsLCwkJCwkKCwsLCwkJAAEAAAAAAAAAAgAAAAEHBwcICAcICAcJCQoLCwkICAcICQsLCwkICAYHBwoKCgoKCgoKCg4ODgwLCwoLCw8ODg0LCwYGBggFBQgHBwgHBwsKCgkHBwkHBwwKCgoHBwYIBwwKCgwKCgsKCg8ODQ0KCgsKChAODg4KCgcHBwwLCwwLCwsLCxAODg0MDAsLCxEPDw4MDAoJCQ0LCw0LCwwLCxAODQ4LCwwLCxEPDg4LCwcICAwLCwwKCgwKChANDg0KCgsKChEODg4KCgcHBwwLCwwLCwwLCw8ODw4MDAwLCxEPDw4MDAoKCQ0LCw0LCw0LCxAODg4LCw0LCxAPDw8LCwABAAAAAAAAAAIAAAACAwMDAwMDAEHQ6R8L1RgDAAAAAgAAAAQAAAABAAAABQAAAAAAAAAGAAAAAAAAAAIGBg4OBgcHDg4HBwcPDwANDRAQAA0NDw8HCAgPDwkKChEQCQgIDw8ADQ0SEQANDRAQCAgIDw8MCwsQEQkICA4OAA0NEhEADQ0QDwAODhIRABQWEhQADAwQEAAQEBYUAA4OEBAADg4REQAWFhYTAAwNEBAAEREAAAAPDxAQBQcHDQ0JCQkPDgoKCg4OABUVEhEAFRYSEQkKCg4ODAwMEREMCgoODgATFRIRABQWEhILCgoODg4NDRIRDAsLDg4AFhMREgAUABIRABYVEREAAAAAAAAUFhERABYAFRMAFgASEgAAFhITAAAAAAAAExUREQAAABQUAAAAEhIGBgYNDAgGBgsLCAYGDQ0ACQkLCwALCw4OCQcHDQ0LCQkNDQoGBg0NAAoKDg4ACgoNDQkHBw0ODQkJDQ0KBgYNDAALCw8PAAoKDQ0ADAwPDwATABERAAkJDQ0ADQ4TFAALCw0NAAsLDg4AExQREgAKCg0NAA8PFRMADAwNDQAKCgwNAAsLDw8ACwsPDwAPDxYAABARFgAACwsPDwAODhIRAAsLDxAADw8WFQAQEAAUAAwMEA8ADw4TEwALCxAQAA8PFQAAEA8AAAAQEBYVAAAAAAAADw8UFAASEgAAABARAAAAEREAFgAAAAAAAA8PFRYAFBIAAAASERYAAAoKDAsACgoKCgALCwwMAAsLCQkADQ0MDAALCwwMAA0NDAwACgoMDAANDA0NAAwMDAwACwsMDAANDQwMAAoKDAwADQ0NDgAMDAwMAA0ODg4AFBUPDwAMCwwMAA8QFBYADQwLCwANDQ4NABQAEA8ADAwMDAAQEBYVAA0NDAwGBwcQEAsJCQ8PDAkJEBAADQ0ODgAODhARCgkJEBAODAwQEAwJCQ8PAA0NEhIADQ0PEAwKChESDwwMERENCQkQEAANDRESAA4OEBAADw8SEgAWABQUAAwMEBAAEBAUFgAODhAQAA8OEhIAABYTFQANDRARABERFhYADw8QEAcHBw4OCwoKDw8MCgoPDgAWABISAAAVERILCgoPDw4MDBERDgsLDw8AFhQSEgAAFBIRDAoKEBARDg4TEg4LCw8PABUWExMAFRYSEgAWABMVAAAAAAAAFhYSEQAAABUUABYWFBMAABYUFAAAAAAAABQVEREAABYVFQAAABISCgkJDg4NCgoNDQ0KCw4OAA0NDAwADw8QEA0KCg8PDwwMDg4PCgoODwAODhAPAA4ODw8NCgoPDxINDQ8PDwoKDg8ADg4QEAAODg8PAA8PEBAAFgASEgAMDQ4OABERFgAADg4ODgAPDxAQABYAEhEADQ0ODgATEhUWAA8PDg4ACwsNDQAMDBAQAAwMEBAADxAVAAAQEQAWAAwMEBAADg4REgALCxAQAA8PFRYAEBAAAAAMDBAQAA8PABMADAwQEQAQEBYAABAQABYAEREAFgAAAAAAAA8PFBMAEhIAAAAREgAAABERAAAAAAAAAAAPDwAWABQSAAAAEhIWFgALCw4OAAwMDg4ADAwPDwANDQ4OAA4OERAADAwQEAAODhAQAAsLDw8ADQ0QEAANDQ8PAAwMDw8ADw4QEAALCw8PAA4OEREADQ0PDwAPDxERAAAAExIADQwPDwAQEAAAAA4ODw8ADg4QEQAWABISAA0NDw8AEREAAAAODg8PCAgIEBAMCgoQEA0JCRAQAA4OEREADg4REAwKChIRDgsLEhIOCQoQEAANDRITAA4NEBAMCQkQEBENDRERDgkJDw8ADg4TFAANDQ8PAA8PEhMAABYWFgANDRERABAQExUADg4QEAAODhISAAAAAAAADQ0QEAASEgAAAA8PEBAIBwcODgwKCg8PDQoKDw4AFgASEgAWABISDAoKEA8PDAwREQ4LCw8PABQVExIAAAAREg0LCw8PEA0NEhIPCwsODgAWFRMTABUWEhIAFhYUEgAAAAAAABYTEREAAAAWFQAAFhMRAAAWExMAAAAAAAAWFRIRAAAAFgAAAAATEwAKCg4OAAsLDw4ACwsPDwAODg8OAA8PEBAACwsQEAANDRAQAAsLDw8ADg4REAAODg8PAAsLEBAADg0PDwALCw8PAA8PEREADg4PDgAQEBERAAAWEhIADQ0PDwARERYAAA8PDw4ADxAQEQAAFhITAA0NDw8AFBIVAAAPDw4OAAsLDQ0ADAwQEAAMDBAPAA8QFhYAEREAAAAMDBAQAA4OEhIACwsQEAAPEBYUABAQABYADAwQEAAPDxIUAAsLEBAADw8AAAAQEAAAABERFgAAAAAAAAAPDwAVABISAAAAERAAAAARERYWAAAAAAAADw8VAAAUFgAAABISAAAADAwPDwAMDA8PAAwMEBAADQ0PDwAPDxERAA0MEBAADg4QEAAMCxAQAA4OEREADg4QEAAMDBAQAA8PERAACwsPEAAODhERAA4OEBAADw8SEgAAABYTAA0NDxAAEBEAAAAODhAQAA8PEhEAAAAUFAANDRAPABERFhYADg4PDwALCxAQAA0NEBEADQ0REgAQEBERABEREhIADAwREQAQDxISAAwMEBAAEBASEgAPDxERAAwMEREAEBATEgAMDBARABAQExMADxAQEQAQEBMRAAAAFBYADQ0QEAATEhUAAA8PEBAAEBASEgAAABYVAA4OEBAAFRMVFgAQEBAQAAkJDg4ADQ0PDwAODg8PAAAUEhMAABYSEgAMDA8PAA8PERIADg0ODgAUABISABUAEhEADQ0PEAARERISAA4ODw8AFhYUEwAUFRISABQWExMAAAAAAAAUFBERAAAWFhUAFgASEgAUFhMTAAAAAAAAFRUREgAAABUUAAAWExIAEhIPDwAWFREQAAAWEREAFBYSEgAAFhQUABUTEBAAFRUSEgATExERAAAWExMAFhQREQAVExAQABYWExIAExQQEAAWFRMVABUWERIAFRQSEgAAABMUABQTEBAAFhYAAAAVFREQABYUExIAAAAUFAAUExAQAAAAAAAAFRYREQALCw0NAA0NDxAADQ0QEAAREhUAABESAAAADAwPEAAPDxMSAAwMEBAAEREWAAAREQAWAAwMERAAEBATFAAMDBAQABERAAAAEREAFQAREBYAAAAAAAAADw8UFgAUEgAAABISAAAAEREVAAAAAAAAAA8PFRYAExQWAAATEgAAAA4OEhIAEBAWFAAQEBYTABERFBYAExMAAAAPDxQAABIVABQADw8VFAASEQAAABERABYADw8TEwATEgAAAA8PFAAAEhIWFgAREQAUABISAAAAABYAAAAPDxMUABQTAAAAEREUFQAREhQWAAAAABYADw8UFAAWFAAAABESFAAADAwREAAODhERAA0NEREAEBASEgAREBERAA0NEREADxASEgANDRAQABAQEhIAEBAREAANDRAQABEREhEADAwPEAARERMTABAQEBAAEBETEgAAABUWAA4OEBAAEhIAFgAQEBAQABAQEhEAAAAVFAAODhAQABUWFgAAEBAQEAAJCQ4NAA0ODxAADg0PDgAWABISABUAERIADQ0PDwAPEBIRAA4ODw4AFBYSEgAWFRERAA0NDw8AERETEwAODg4OAAAWEhIAABYREQAAFhMUAAAAAAAAFRQREAAAABUWAAAAEhMAAAASEgAAAAAAABYAEREAAAAUFgAAABITABITEBAAFhQREQAWFhESABYWEhEAABYSEwAUFBESAAAWExIAFhYREQAWABMTAAAWEhIAFBYREQAAFhISABMUEREAFgAUEwAWFRERAAAAEhIAAAAWEwAUABERABYAABYAABQREgAWABMTAAAAABMAExUREQAAAAAAABQVERAACwsNDQANDRAQAA0NDxAAEREVFgAREgAAAAwMEBAADw8SEgANDRAQABEQFRUAEREAAAANDRAQABAQExIADQ0QEAAREQAWABESFBYAERIAAAAAAAAAAA8PFAAAEhMAAAAREQAAABIRFgAAAAAAAAAPEBUUABQUAAAAEhMAAAAPDxYWABEQFBYAEREUFgASEgAVABMSAAAAEBAUFAATExYAAA8QFRYAEhMWAAAREgAAABAQFgAAExMAFQAPEBQAABISABYAEhEAAAASEgAAAAAAAAAAEBAWFQAUFQAAABESFgAAEhIAAAAAAAAAABAQFBMAFhUAAAASEhYWAEGwgiALEQIAAAABAAAAAwAAAAAAAAAEAEHQgiALtRgDBAQICAsJCQwMCwoKDAwMCgoLCwwMDAwMDAsLDQ0MDAwNDQwKCgwMDAsLDQ0MDQ0NDQwLCw0NDAwMDQ0MCgoMDAwLCw0NDA0NDAwMCwsNDQwNDQ0NDAsLDAwMCwsMDAwNDQwMDA0NDQ0MDQ0NDQ0NDQwMDA0NDQ0MDQ0MDAsICAoKDAsLCwsMCgoKCg0LCwoKDQsLCgoNDAwMDA0LCwsLDQwMCwsNDAwLCw0MDAwLDQwMDAwNCwsLCw0MDAsLDQsMCwsNDAwLCw4MDAsLDQsLCwsODAwLCw0LDAoKDgwMCwsODAwLCw4LCwsLDgwMCwsNDAwLCw4MDAsLCwgICgoMBwcKCgwJCQsLDQkJCQkNDQ0KCg0JCQwMDQ0NDAwNCQgLCw0KCgwMDg0NCwsNCQkLCw0NDQwMDQkJCgoNCgoLCw0NDQoKDgoKCwsODg4MDA0JCQoKDQoKCwsODQ4KCg4ODgsMDg4ODg4ODQ0KCg0ODgsLDg4OCgoOCQkJCQ4JCQkJDgoKCQkOCgoICA4LCwgIDwsLCgoPDAwKCg8KCgoKDwsLCgoPDQ0KCg8LCwoKDwwMCgoPCgoKCg8LCwoKDw0NCgoPCwsKCg8MDAoKDwsLCQkPCwsJCQ8NDQkJDw0NCgoPDAwKCg8NDQoKDw0MCQkPDQ0JCQ4MDAkJDg0NCQkODQ0JCQ4NDQcHDg0NCAgPDg4KCg8ODgoKDw4OCgoPDg4KCg8ODgkJDw4OCgoPDg4KCg4ODgkJDw4OCgoODg4JCQ8ODgoKDw4OCgoODg4JCQ4ODgkJDg4OCAgPDg4KCg8ODgsLDw4OCQkPDg4JCQ4ODggIDQkJDAwRCwsMDBEMDAwMEQwMCwsSDw8MDBEMDAwMEQ4PDQ0RDAwMDBENDQwNEQ8PDAwSDQ0NDRIPDw0NEgwMDAwSDQ0NDRIPDwwMEg0NDAwSDw8NDRINDQwMEQ0NDAwRDw8MDBIPDw0NEg8PDQ4SDxAMDBIPDwwMEhAQDAwNCAgKCg4PDgsLDg8PDAwPDg4MCw8PDwwMDw8PDAwPDw8NDQ8PDwwMDw8PDQ0PDw8NDQ8PDw0NDw8QDQ0PDw8MDA8PDw0NDw8PDQ0PDw8NDQ8PDw0NDw8ODAwPDw8MDBAPDgwMEA8PDQ0QEBANDRAPDwwMDw8PDQ0PDw8MDA0MDAoKDg4OCwsPDg4MDA8ODgsLDw4OCwsPDw8NDQ8ODg0NDw8PDAwPDg8NDRAPDwwMDw8PDQ0QDg4NDQ8PDwwMDw8PDQ0QDw8MDBAPDwwMEA4ODQ0PDw8LCw8PDwwMEA8PCwsQDw8NDRAODw4OEA8PDAwQDw4MDBAPDwwMDgoKCQkOCwsMDA4MDA0NDgwMDAwPDg4NDQ8NDQ4ODw4ODw8PDAwNDQ8NDQ4ODw4ODQ0PDQ0NDg8ODg8PDwwMDQ0PDQ0ODg8ODg0NDw0NDg4PDg4PDw8NDQwMDw0NDQ0PDg4NDA8PDw4PDw8OFBQPDg4NDQ8ODg0NDw4ODQ0ODAwJCQ4ODgwMDg0NDA0ODg4MDA8ODgwMDw4ODg0PDg4ODg8ODg0NDw4ODQ0PDw8ODg8ODg0NDw4ODg4PDg4NDQ8ODg0NDw8PDw4PDw8NDQ8ODg4ODw4ODQ0PDg4NDQ4PDw4ODw8PDg4PDg4ODg8PDw4ODw4ODQ4PDw8ODg0KCgwMEQsLDAwRDAwMDBEMDAsLEQ8PDAsSDQ0NDRIPDw0NEQwMDAwSDQ0NDREPDwwMEQwMDAwRDw8NDREMDAwMEQ0NDAwRDw8MDBIODQwMEg8PDQ0SDQ0MDBINDQwMEhAQDAwSEBAMDBIPDw0NEhAQDAwRDw8MDBEQEAwMDQgICgoODg8MDA4PDwwMDw4ODAwPDw4MDA8PDw0NDw8PDQ0PDw8MDBAPDw0NEA8PDQ0PDw8MDA8PDw4ODw8PDAwPDw8NDRAPDw0NDw8PDQ0QDw8NDQ8PDgwMDw8PDAwQDg8NDRAPDw0NDxAPDQ0QDw4NDRAPDw0NEA8PDQ0NDAwLCw4ODgsLDg4ODAwPDg4LCxAODgsLDw8PDA0QDg4NDQ8PDwwMDw4ODQ0QDw8MDA8PDwwMDw4ODQ0PDw8MDA8ODgwMEA8PDAwQDw8MDBAODg0NDw8PCwsPDw4MDBAPDwsLEA8PDAwQDg4NDRAPDwsLEA4ODAwQDw8LCw4KCgkJDgsLDAwODAwNDg4MDAwMDg4ODQ0PDQ0ODg8ODg8PDwwMDQ0PDQ0ODg8PDw4ODw0NDg4PDw8PDw8MDA0NDw0NDg4PDg4NDQ8NDQ4ODw4ODw8PDAwNDQ8NDQ0NDg4ODQ0PDw8ODw8PDxUTDw4ODQ0PDg4ODg4ODg0NDgwMCQkODg4MDA4ODQ0NDg4ODAwODg4MDA8ODg0NDw4ODg4PDg4NDQ8ODg0NDw8PDw8PDg4NDQ8ODg4ODw4ODQ0PDg4NDQ4PDw8PDw4PDQ0PDg4ODg8ODg0NDw4ODQ0ODw8ODg8PDw4ODw4ODg4PDw8PDw8ODg4NDg8PDg4NCgoMDBIMDAwMEQwMDAwSDQ0LCxIPDgsLEQ0NDQ0SDw8MDBIMDAwMEQ0NDAwSDw8MDBINDQ0MEg8PDQ0SDQ0MDBINDQwMEg8PDAwRDQ0MDBEPDwwMEQwMCwsRDQ0LCxEPDwsLEhAQDAwSDw8NDRIPDwsLEQ8PDAwSDw8LCw0ICAoKDg4OCwsPDw8MDA8ODgsLEA4ODAwPDw8MDA8PDw0NDw8PDAwPDw8MDBAPDw0NDw8PDAwPDw8NDRAPDwwMDw8PDAwQDw8NDRAPDwwMDw8PDQ0PDg4MDA8PDwwMEA8ODAwQDw8NDRAQEA0NEA4PDQ0PDw8NDRAPDwwMDQwMCgoODg4LCw8ODgwMDw4OCwsQDg4LCw8ODwwMDw4ODQ0PDw8MDA8ODgwMDw4PDAwPDw8MDBAODg0NDw8PCwwQDg4MDBAPDwwMDw8PDAwQDg4MDA8PDwsLDw4OCwwPDw4LCxAPDwwMEA4ODQ0QDw8LCxAODgwMEA8PCwsNCgoICA4MDAwMDgwMDQ0ODAwMDA4ODg0NDw0NDg4PDw4PDw8NDQ0NDw0NDg4PDg8ODg8NDQ0NDw8PDw8PDAwNDA8NDQ4ODw4ODQ0PDQ0ODQ8PDxAQDw0NDAwPDQ0NDQ4ODgwMDw8PDg4PDw8UFA8ODg0NDw8ODg4PDg4NDQ0MDAkJDg0NDAwODQ0MDA4ODgwMDg4ODQ0PDg4NDQ8ODg4ODw8ODAwPDg4NDQ8ODw4PDw4ODQ0PDg4ODg8ODgwMDw4ODQ0ODw4PDg8ODg0NDw4ODg4PDg4MDA8ODg0NDw8PDg4PDw8ODhAODg4ODw8PDg4PDg4ODg4PDw4ODQ0NDA0RDw8MDBEPDwwMEg8PCwsREBALCxIQEA0NEhEQDQ0SEBAMDBIQEAwMEhERDAwREBAMDREQEAwNERAQDAwREBAMDBIREAwMEhAQDAwREBEMDBIPDwsLEg8PDAwRERELCxEREQwMERAQDQ0SEBALCxIQEAwMEhEQCwsODg4KChAPDgsLEA8PDAwQDg4MDBEODg0NEQ8PDQ0RDw8ODhAPDwwMEA8PDQ0SDw8ODhAPDwwMEA8PDg4QDw8MDBAPDw0NEQ8PDQ0RDw8NDREPDw4OEA4ODAwRDw8MDBIPDw0NEQ8PDg4REBAPDxEPDg0NEQ8PDg4RDw8NDQ4MDAsLDw4ODAwQDg4MDBAODgsLEQ4ODAwQDw4NDRAODg0NEA8PDAwQDg4NDREPDw0NEA8PDQ0RDg4NDRAPDwwMEA4ODAwQDw8MDBEPDwwMEQ4ODQ0QDw8MDBAODgwMEA8PDAwRDw8NDREODg0NEQ8PDAwRDg4MDBEPDwwMDg4OCAgODg4NDQ4PDw4ODg4ODg4PDw8TEw8PDw4ODw8QFBMPDw8ODg8QEA8PDw8PExMPDw8ODg8QEBMUDw8PDg4PDw8PDw8PDxMTDw8PDw8PDxATFA8ODw4ODw8PDw8PDw8UEw8PDxUTDxAQFBQPDw4TEw8PEBQVDw8PFBMNDAwJCQ4ODgwMDg0NDQ0ODg4NDQ8ODhQTDw4ODg0PDg4TEw8PDg0NDw4ODg4PDw8TFA8ODg0NDw4OFBMODw4NDQ8ODg4NDw8PExQPDw4ODg8ODhUTDw8PDQ0PDg4ODg4PDxQUDw8PFRQPDg4TFA8PDxQUDw4OExQPDw8VEwBBkJsgCxECAAAAAQAAAAMAAAAAAAAABABBsJsgC9gFAQYGBgcHBwgIBwgICgsLCQgIBwgICwsLCQgIBgcHCQsLCQsLCgsLDA0NCwwMCgsLDQ4ODAwMBgYGCAYGCAcHCQcHCwoKCgYGCQcHDAoKCwYHBwcHCwoKDAoKCwoKDg0NDQoKDAsLDw0NDgoKCAcHDAsLDAsLCwsLDg4ODQwMDAsLDw8PDQwMAAoKAAsLAAsLAAsLAA4OAAsLAAsLAA8PAAsLBwgIDAoKDAoKDAsLDw0NDgsLDAoKEA4ODgoKCAcHDAsLDAsLDAsLEA4ODgwMDQwMDw4ODwwMAAsLAAwMAAwMAAwMAA8PAAwMAAwMAA4OAAwMAAEAAAAAAAAAAgAAAAIDAwAICAAICAAJCQAJCQAJCQAJCQAJCQAICAAGBgAHBwAHBwAICAAICAAICAAICAAICAAICAAGBgAGBgAGBgAICAAJCQAHBwAICAAJCQAGBgAICAAJCQAJCQAKCgAKCgAKCgAKCgALCwAJCQAHBwAKCgAKCgAMCwAMDAALCwALCwAMDAAKCgAHBwAKCgAKCgAMDAALDAALCwALCwALCwAKCgAICAAJCQAJCQAKCgAKCgAKCQAKCgAKCgAJCQAGBgAKCgAKCgALCwAMDAALCwALCwAMDAALCwAHBwAJCQAJCQALCwALCwAKCgAKCgALCwAJCQABAAAAAAAAAAIAAAABBQUGBwcACAgGCQkICwsACAgACQkADAwACAgFBwcHCgoADAwICwsJDAwACwwADAwADw8ADAwABgYABgYABwcABwcACgoABwcACAgACwsABwcGBwcKCQkACwoKCQkMDAwACgoACwsADQ0ACwsHBgYKCgoACwsLCwsMDAwACwsADAwADw8ACwsACwsACwsADAwADAwADg4ADAwADAwADw8ACwsACAgACgoACwsACwsADAwADAwACwsADw8ACwsABgYACgoADAwACgoADQ0ADAwADQ0ADg4ADAwAQaShIAtpAQAAAAAAAAACAAAAAQQEAAAACAgAAAAJCQAAAAoKAAAAAAAAAAAKCgAAAAAAAAAACQkAAAALCwAAAAAAAAAACgoAAAAAAAAAAAkJAAAACwsAAAAAAAAAAAsLAAAAAAAAAAAKCgAAAAsLAEGuoiALAgcHAEGroyALXAcHAAAABgYAAAAHBwAAAAgIAAAAAAAAAAAICAAAAAAAAAAABwcAAAAJCQAAAAAAAAAACAgAAAAAAAAAAAcHAAAACQkAAAAAAAAAAAkJAAAAAAAAAAAICAAAAAkJAEGopCALXAgIAAAACAgAAAAKCgAAAAkJAAAAAAAAAAAKCgAAAAAAAAAACQkAAAALCwAAAAAAAAAACgoAAAAAAAAAAAkJAAAACwoAAAAAAAAAAAsLAAAAAAAAAAAKCgAAAAsLAEGipiALXAgIAAAACgoAAAALCwAAAAwMAAAAAAAAAAALCwAAAAAAAAAACgoAAAANDQAAAAAAAAAADQ0AAAAAAAAAAAwMAAAADQ0AAAAAAAAAAA0NAAAAAAAAAAAMDAAAAA0NAEGfpyALAgYGAEGZqSALXAkJAAAACwsAAAAMDAAAAAwMAAAAAAAAAAANDQAAAAAAAAAADAsAAAAMDAAAAAAAAAAADQ0AAAAAAAAAAAwMAAAADQ0AAAAAAAAAAA0NAAAAAAAAAAAMDAAAAA0NAEGTqyALXAgIAAAACgoAAAALCwAAAAwMAAAAAAAAAAANDQAAAAAAAAAADAwAAAANDQAAAAAAAAAACwsAAAAAAAAAAAoKAAAADQ0AAAAAAAAAAA4NAAAAAAAAAAANDAAAAA0NAEGQrCALAgYGAEGKriALXAkJAAAACwsAAAAMDAAAAAwMAAAAAAAAAAAMDAAAAAAAAAAADAwAAAANDQAAAAAAAAAADQ0AAAAAAAAAAAwMAAAADAwAAAAAAAAAAA0NAAAAAAAAAAAMDAAAAA0NAEGEsCALXAkJAAAACwsAAAAMDAAAAAwMAAAAAAAAAAAMDAAAAAAAAAAACwsAAAAODgAAAAAAAAAADQ0AAAAAAAAAAAwMAAAADA0AAAAAAAAAAAwMAAAAAAAAAAALCwAAAA4NAEGBsSALAgcHAEH7siALXAkJAAAACwsAAAAMDAAAAA0NAAAAAAAAAAANDQAAAAAAAAAADAwAAAANDQAAAAAAAAAADAwAAAAAAAAAAAwMAAAADg4AAAAAAAAAAA4OAAAAAAAAAAAMDAAAAA0NAEHwuSALEQIAAAABAAAAAwAAAAAAAAAEAEGQuiALAwECAgBBhLwgC2QBAAAAAAAAAAIAAAAEBAwJCAwPEQQCCwYFCQ0PCwcIBwcKDg0IBQcFBQgMDAgEBwQDBgsMCwgJBwYICwwPDQ4MCQcKDRAMEQwHBQgLAAAAAP//////////BwAAAP//////////AEHoviALBP////8AQezOIAsRAQAAAAIAAAAHAAAAEQAAAB8AQfDQIAsNYwAAAAcAAAARAAAAHwBB6NIgCwsCAAAAMQAAAFBQCABBpNMgCwPELggAQbDTIAsH7C4IABQvCABBwNMgCwc8LwgAZC8IAEHQ0yALB4wvCAC0LwgAQeDTIAsb3C8IAAQwCAC0LwgAAAAAACwwCADYKwgAACwIAEHQ1CALCwIAAAAxAAAAkC4IAEH41CALCwIAAAAEAAAAhC4IAEGg1SALB2ArCACIKwgAQbDVIAsLsCsIANgrCAAALAgAQeDWIAvDAQIAAACpAAAAoC0IAAEAAAAAAJ7gAABUYAQAAAAAAAAAUC4IAAAAAAACAAAAGQAAAGAtCAABAAAAAAAw4AAAEGADAAAAAAAAAIAtCAAAAAAAAgAAAAkAAABELQgAAQAAAACIM+EAiDNhAgAAAAAAAABQLQgAAAAAAAEAAAAZAAAAwCwIAAEAAAAAwBLhAACZYAUAAAAAAAAA4CwIAAAAAAABAAAAGQAAADAsCAABAAAAAAB44AAAEGAFAAAAAAAAAFAsCABBsNggC4EBAwQEBQQFBAUFBQUFBQUFBQUFBQUFBQUFBQAAAAAAAAAMAAAACwAAAA0AAAAKAAAADgAAAAkAAAAPAAAACAAAABAAAAAHAAAAEQAAAAYAAAASAAAABQAAABMAAAAEAAAAFAAAAAMAAAAVAAAAAgAAABYAAAABAAAAFwAAAAAAAAAYAEHA2SAL0QEBAwIFBAcHCAgJCQoKCwsMDA0NDQ4QEBAQAAAAAAAAAAwAAAALAAAADQAAAAoAAAAOAAAACQAAAA8AAAAIAAAAEAAAAAcAAAARAAAABgAAABIAAAAFAAAAEwAAAAQAAAAUAAAAAwAAABUAAAACAAAAFgAAAAEAAAAXAAAAAAAAABgAAAABBAQEBAQEBAQAAAABAAAAAAAAAAIAAAAAAAAAAQQEBgYFBQUGBgUGBQYGBgYHBwcGBwYHBwAAAAAAAAACAAAAAQAAAAMAAAAAAAAABABBoNsgC68FAQQEBwcICAkJCgoLCwQGBQgGCQgKCQoKCwoFBQYGCAgJCQoKCgoLBwgICQgKCQoJCwoLCgcICAgKCQoKCgoLCgsJCgoLCwsLDAsMCwwLCQoKCwsLCwsLCwwLDAsLCwwMDAwMDAwMDAsLDAsMDAwMDAwMDAsMDAwMDA0MDQwMDAwMDAwMDA0NDQ0MDQwMDAwMDQ0MDQwNDA0MDAwMDQ0NDQ0NDAwMDAwLDAAAAAAAAAAGAAAABQAAAAcAAAAEAAAACAAAAAMAAAAJAAAAAgAAAAoAAAABAAAACwAAAAAAAAAMAAAAAQMCAwAAAAAAAAAAAwMHBwkNEAMCBAYKDREHBAQGCQwOBwYGBQcJDAoKCQYGCQwODg0JCAoLEhIPDQsKCwAAAAUAAADzAAAAUE8IAAEAAAAAABDgAAAQYAIAAAAAAAAARFAIAAAAAAAFAAAA8wAAAFBOCAABAAAAAAA44AAAOGACAAAAAAAAAERPCAAAAAAABQAAAPMAAABQTQgAAQAAAAAAEOAAABBgAgAAAAAAAABETggAAAAAAAUAAADzAAAAUEwIAAEAAAAAAFTgAABUYAIAAAAAAAAARE0IAAAAAAAFAAAANQwAAPA/CAABAAAAAAAw4AAAEGADAAAAAAAAADBMCAAAAAAABQAAADUMAACQMwgAAQAAAAAAfOAAAFxgAwAAAAAAAADQPwgAAAAAAAEAAAAHAAAAYDMIAAEAAAAAADjgAAAQYAMAAAAAAAAAcDMIAAAAAAAFAAAA8wAAAGAyCAABAAAAAACV4AAAlWACAAAAAAAAAFQzCAAAAAAABQAAAPMAAABgMQgAAQAAAAAAXOAAAFxgAgAAAAAAAABUMggAAAAAAAUAAADzAAAAYDAIAAEAAAAAiDPhAIgzYQIAAAAAAAAAVDEIAEHg4CALhwYBCAgICAgICAkJCQkJCQkJCQkJCQkJCQkJCQkICQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkHCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkHCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkAAQAAAAAAAAACAAAAAgcHBwcHBwcHBwgICQgICAcHCAgICQgICQcHBgYGCQgHCQcHCQgICggICggICggICggICggIBwYGCQYGCQcHCQcHCggICQYGCQcHCggICQcHBwgICwkJCwkJCwgJDAkJDAgICwkJDAkJDAgICAcHCgkJCgoJCgkJCwoKCwkJCwkJCwoLCwkJCggICwkJCgkJCwkJCwoKCwkJCwkJCwoKCwkJCQgICwkJDAkJCwkJDAkJDAgIDAkJDAkJDAgICQcHCwkJCwoKCwkJCwsLCwkJCwoKCwsLCwkJCgkJCwkJCwoKCwkJCwoKCwkJCwkKCwoKCwkJAAEAAAAAAAAAAgAAAAEGBgcICAcICAcJCAoLCwkICAcICAsLCwkICAYHBwoKCgoKCgoKCg4NDQwLCwoKCg4ODQwLCwYGBggFBQgHBwkHBwsKCgkHBwkHBwwKCgoHBwcICAwLCgwKCgsKCg8NDQ0KCgsKChEODQ0KCgcHBwwLDAwLCwwLCxAODg0MDAwLCxEPDg4MDAoJCQ0LCw0LCw0LCxEODQ4LCwwLCxAPDg4LCwcICAwLCwwKCgwKCg8NDQ4LCgwKChAODg4KCggHBwwLCwwLCwwLCxEODg4MDAwLCxAPDw4MDAoKCg0LCw0LCw0LDBAODg4LCw0MCxAPDw4LCwABAAAAAAAAAAIAAAACAwMDAwMDAEHw5iAL1BgDAAAAAgAAAAQAAAABAAAABQAAAAAAAAAGAAAAAAAAAAIGBg4OBgcHDg4HBwcODgANDRAQAA0NDw4HCAgPDwkKChAQCQgIDw8ADQ0REAANDQ8QCAgIDw8MCwsQEAkICA4OAA0NERIADQ0PDwAODhAQAAAAExIADAwQDwAPEAAUAA4OEBAADg4REQAAABMSAAwMDw8AEREAFAAODhAQBQYHDAwJCQkODgoKCg4OABUVEhEAFBQSEQkKCg4ODAwMEBAMCgoODgAUExIRAAAUERILCgoODg4NDRISDQsLDg4AFBQREgAVFRERABUAEhIAAAAAAAAUExARAAAAExMAAAASEgAVFRISAAAAAAAAFBQQEQAAABUVAAAAEhMGBgYNDAgGBgsLCAYGDQ0ACQkLCwALCg4OCQcHDQ0LCQkNDQoGBg0NAAoKDg8ACgoNDQkHBw0NDQoJDQ0KBgYNDQAKCg8OAAoKDQ0ACwsPDwATFBERAAkJDQ0ADQ0UFAALCw0NAAsLDw8AExMREQAKCg0NAA8PFBQADAwNDQAKCgwMAAsLDw8ACwsPDwAPDxQAABAQABUACwsPDwAODhIRAAsLDw8ADxATFAAQEBUVAAwMDw8ADw4SEgALCxAQAA8PFRUAEA8AAAAQEBUAAAAAAAAADg4UFAASEgAAABARFQAAEBAVFQAAAAAAAA8PFRUAFBMAFQAREQAAAAoKDAsACgoKCwALCwwMAAsLCQkADQ0LDAALCwwMAA0NDAwACgoMDAAMDA0NAAwMDAwACwsMDAANDQwMAAoKDAwADQ0ODgAMDAwMAA4ODg0AExQPDwAMCwwMAA8PFRQADQ0LCwANDQ0NABMADw8ADAwMDAAREBMAAA0NDAwHBwcQEAsJCQ8PDAkJEBAADQ0PDgAODhEQCgkJEBAOCwsREAwJCA8PAA0NEhIADQ0PDwwKChIRDwwMEREOCQkQEAANDRITAA4NERAADg4SEgAAABQVAAwMEBAAEBAUFQAODhEQAA4OEhMAAAATFQANDRERABERABUADw8QEAgHBw4OCwoKDw8MCgoPDwAUFBISAAAAERELCgoQEA4MDBIRDgsLDw8AFBUSEgAAExIRDAoKEBARDg4TEw4LCw8PABUVExMAFRQTEgAVABITAAAAAAAAFBQSEQAVAAAAAAAAExIAAAASEwAAAAAAAAAVERIAAAAAFQAAFRITCwkJDg4NCgoNDQ0LCw8PAA0NDAwADw8QEA0KCg8PEAwMDw8PCgoPDwAODRAPAA4NDw8NCgoPDxIODg8PDwoKDg8ADg4QEAAODhAPAA8PERAAFQASEgAMDQ8PABAQAAAADg4PDwAPDxAQABUUEhIADQ0PDwATEgAAAA8PDw8ACwsNDQAMDBAQAAwMEBAADxAUAAAQEQAAAAwMEBAADg4SEgALCxARAA8PFAAAEBAAAAAMDBAQAA8PExMACwsREQAQEBUAABAQAAAAEREUFAAAAAAAAA8PFAAAERIAAAAREQAAABAQABUAAAAAAAAPDxUAABMSAAAAEhEAAAALCw4OAAsLDw8ADAwQEAANDQ4OAA4OEREADAwQEAAODhAQAAsLEA8ADQ0QEQANDRAQAAwMDxAADw4QEAALCw8PAA4OEREADQ0QEAAPDhISABUAExMADQ0PDwAQEBQUAA4OEA8ADg4REQAVABQSAA0NDw8AEREAAAAODhAPCAgIEBAMCQkQEA0JCRAQAA4OEhEADg4QEQwKChIRDgsLEhIOCQkQEAANDRISAA0NERAMCQkQERENDRAQDgkJDw8ADg4UFAANDQ8PAA8OEhIAAAAUFQAMDRARABAQFBUADg4QEQAODhIRAAAAFBUADQ0QEAATEQAVAA4PEBAIBwcODQwKCg8PDQoKDw8AFRUSEwAUFRISDAoKEA8PDAwREQ4LCw8PABUVExIAABUREg0LCw8PEA0NEhMPCwsPDgAVABMTAAAVEhIAABUTEwAAAAAAABQTEREAAAAVAAAVABITAAAUFBMAAAAAAAAVFBIRAAAAABQAAAASEwAKCg8OAAsLDg4ACwsPEAAODg8PAA8PEBAACwsQEAAODRAQAAsLDw8ADg4QEAAODg8PAAsLDw8ADQ0PDwALCw8PAA8PEhEADg4PDwAPEBISAAAAFBQADg0QDwARERUAAA8PDw8AEA8REQAAABMTAA0NDw8AFBMAAAAPDw8PAAsLDQ0ADAwQEAAMDBAQAA8PFRUAERAAAAAMDBAQAA4OEREACwsQEAAPDwAAABAQFQAADAwREAAODxQUAAsLEBAADw8AFAAQEAAVABARFQAAAAAAAAAPDwAVABISAAAAERAAAAARERUAAAAAAAAADw8AFAATFBUAABESAAAADAwPDwAMDA8PAAwMEBAADQ0PDwAPDxERAA0MERAADg4REAALCxAQAA4OEREADg4REQAMDBAQAA8PEREACwsQEAAODhERAA4OEBAADw8SEQAAABMAAA0NEBAAEBAAFQAODhAQAA8PEhEAAAATEwANDRAQABIRABUADg8QEAALCxAQAA0NEREADQ0REQAQEBARABAQEhIADAwREQAQDxIRAAwMEBAAEA8TEwAQDxERAAwMERIAEBASEgAMDBAQABAQExMADxAREQAPEBISAAAAFBQADQ0QEAASEhUUAA8PEBAAEBATEgAAABMUAA4OEREAExMAFQAPEBAQAAkJDg4ADQ0PDwAODg8PAAAVExMAABUSEgAMDA8PAA8PEhIADg0PDwAVFRITABUUEhIADQ0QEAARERITAA4ODw8AABUTEwAVFBITABQUExMAAAAAAAATFBERAAAAFRUAFQASFAAVABIVAAAAAAAAFRUTEgAAAAAAAAAAExMAEhIPDwASFBEQABQAEREAFQAREQAVFBMUABMTEBAAFRUREgATExERABQVFRUAFBQSEgATExAQAAAVEhMAEhMQEQAVFRMUABUTEhIAFRQTFQAAABQVABMTERAAAAAAAAAVFBERABQVExIAAAAAFQATEhARAAAAAAAAFBQREQALCw4OAA0NEBAADQ0QEAARERUAABESAAAADAwQEAAPDxESAAwMEBAAEBAAFAAREQAVAAwMEREAEBATFAAMDBERABERABQAEREAAAARERUAAAAAAAAADw8AFAATEwAAABISAAAAEREAAAAAAAAAAA8PAAAAFBMAAAATEgAAAA4OFRMAEBAUFQAQEBQUABERFAAAEREUFAAPDxQUABMSFAAADw8UFAAREhUUABERFBUADw8TEwATEhUVAA8PExQAERIAAAARERQUABESFBUAAAAAAAAPDxQUABMTAAAAERETFQAREQAVAAAAABUADw8UEwAAFAAAABERFRQADAwQEAAODhERAA0NEREAEBAREgAREBISAA0NEhEADxATEgANDRAQABAQExMAEBAREQANDBERABAQEhEADAwQEAARERMSABAPEBAAEBESEwAAABQUAA4OERAAEhIVAAAQEBAQABAQEhEAABUVFQAODhAQABUUFQAAEBAQEAAKCg4OAA4ODxAADg4PDwAAFRISAAAVEhMADQ0QEAAQEBIRAA4ODw8AFAASEgAVABIRAA0NEA8AERETEwAODg8PABQUEhMAAAASEQAAFRISAAAAAAAAFBUSEQAAAAAAAAAAExMAABUSEgAAAAAAABUAEhEAAAAAFQAAABMUABMTEBAAABUSEQAVABISABQAExIAFRQTEwAVExESAAAVExMAFRMSEgAVABQSAAAVEhIAFBUREQAVABISABUTEREAFQAAFAAAFBESAAAAExQAAAAUEwATFRESABUAAAAAFRUSEQAAFRISAAAAABUAFBMQEQAAAAAAABUUEREACwsNDQANDRAQAA0NEBAAEREAFQASExUAAAwMEBAADw8TEgANDRAQABARFRMAEREVFQANDRAQABAQFBIADQ0QEAAREQAAABISAAAAEhEAFAAAAAAAAA8PFRUAExIAAAARERUVABERAAAAAAAAAAAPDxQVABQUAAAAExMAAAAODxUTABAQABUAERAVFQAREhUUABISABUAEBAAFAATEwAAABAPABQAEhIAAAAREQAVABAQFBQAFBMAAAAPEBUWABISAAAAEhEAAAASEgAAAAAAAAAAEBAVFAATFAAAABIRFQAAERIAAAAAAAAAABAQABQAABQAAAASEhYAQdD/IAsRAgAAAAEAAAADAAAAAAAAAAQAQfD/IAu1GAIDBAcHCgwMDAwKCwsNDQsMDAsLDAwMDAwLDQ0NDQwMDA0ODA0NDQ0MDQ0NDQwNDQ0NCw0NDQ0MDAwODgwNDQwMDAwNDQ0MDQ0NDQwNDQ0NDAwMDg4MDQ0MDAwNDQ0NDA0NDAwMDQ0NDQwMDA4ODA0NDAwMDQ0NDQwNDQwMCgoLCgoLCwsLCwsJCQoKDAsLCgoMCgoKCg0MDAwMDQsLCwsNDAwMDA0LCwsLDQwMDAwNDAwMDA0LCwsLDQwMDAwNCwsLCw0MDAsLDQwMCwsNCwsLCw0MDAsLDQsLCwsNDAwLCw0MDAsLDQsLCwsNDAwLCw0LCwsLDQwMCwsLCwsKCgsLCwkJCwwMCwsMDAwJCQ0NDQoKDQ0NCwsNDQ0ODg0NDQsKDQ0ODAwNDQ0LCw0NDQsLDQ0NDg4NDQ0KCg0NDQsLDQ0NCgoNDg0LCw0ODg4ODQ0NCgoNDg4LCw0NDQoKDQ4OCwsNDQ0ODg4NDQoKDQ4OCwsNDQ0KCg4MDAkJDgwMCQkOCwsJCQ4MDAgIDgsLBwcPDQ0KCg8MDAoKDw0NCgoPDAwKCg8NDQoKDw0NCgoPDAwKCg8NDQoKDwwMCgoPDQ0KCg8NDQoKDwwMCgoPDQ0JCQ8MDAkJDg0NCQkPDQ0KCg8MDAoKDw0NCQkPDAwJCQ8NDQkJDQwMCQkNDQ0ICA0NDQkJDQ0NBwcODQ0ICA4ODgoKDw4OCwsODg4JCQ8ODgoKDw4OCQkODg4KCg8ODgsLDw4OCQkODg4KCg4ODgkJDw4PCgoPDg4LCw4ODgkJDg4OCQkODg4ICA8ODgoKDw4OCwsODg4JCQ8ODgkJDg4OCAgMDAwNDRAQEAsLERAQDAwREBALCxEQEAsLEREQDQ0REBANDRIREAwMERAQDQ0REBEMDBIREQ0NERAQDg4SEREMDBIQEA0NERERDQwRERENDREQEA0NEhERDAwREBANDBEREQwMEhERDQ0SEBAODhIREQwMERERDQ0SERIMDA0ODgoKEA4ODQ0RDw8ODhEODgwNEA4ODQ0RDw8ODhAQEA8PEQ8PDg4REBAODxEPDw4OEQ8QDg4REBAPDxEPDw0NEQ8PDg4SDw8NDhEPDw4OEBAQDw8RDw8NDREPDw4OEQ8PDQ0RDw8ODhAQEA8PEQ8PDQ0RDw8ODhIPDw0NDQsLCgoQDg4NDBAODg0NEA8ODAwQDg4MDBAPDw4OEA4ODg4RDw8NDRAPDw4OEQ8PDQ4RDw8ODhEPDg4OEQ8PDQ0RDw8ODhEPDw0NEQ8PDg4RDg4ODhEPDw0NEQ8PDQ0RDw8NDREPDw4OEQ8PDg4RDw8NDREPDw0NEQ8PDQ0ODg8ICA4ODhMTDg8PEhMODg4TEg4ODhMTDw8PExIPEBATEw8PDxMTDxAQFBMPDw8TEw8PDxMTEBAQFBMPDw8TEg8QEBQTDw8PEhIPDw8TFA8QEBMTDw8PFBMPDw8UEw8PDxMSDw8PExMPEBATFA8PDxMTDw8PExQPDw8TEw4MDAkJDg4OExMODg4TEw4ODxQTDw4OEhMPDw8TEw8PDhQTDw8PFBMPDw4UEw8PDxQTDw8PExQPDg4TFA8PDxQUDw4OFBMPDw8TEw8PDxMTDw4OExMPDw8TFA8PDxQUDw8PExMPDw8UExAODhMTDw8PFBMPDg8UEw4PDxQTDAwMDQ0QEBALCxAQEAwMERAQCwsRDxALCxEREQ0NEhARDQ0SERENDBEQEQ0NERERDQ0QEBAMDBEQEA0NERAQDAwREBAMDREREQwMERERDQ0SEBANDRIREQwMEhERDAwREREMDBEREQwMERAQDQ0REREMDBEQEAwMERERDAwNDg4JCRAODg0NEA8PDg4RDg4NDRAODg0NEQ8PDw8QEBAPDxEPDw4OEQ8PDw8RDw8ODhEPDw4OEBAQDw8RDw8ODhEPDw4OEQ8PDg4RDw8ODhAQEA8PEg8PDg0RDw8ODhEPDw0NEQ8PDg4QEBAPDxEPDw4NEQ8PDg4RDw8NDQ0LCwsLEA4ODAwQDg4NDRAPDgwMEQ4ODAwRDw8NDREODg4OEQ8PDQ0RDg8ODREPDw0NEA8PDQ0QDg4ODhEPDw0NEA4ODQ0QDw8NDREPDw0NEQ4ODg4RDw8MDBEPDw0NEQ8PDAwQDw8NDREODg0OEQ8PDAwRDg4NDREPDwwMDg4OCAgODg4SEg4PDxMTDg4OExMODw4SEw8PDxITDxAQFBQPDw8TFA8QEBMUDw8PExQPDxATEw8QEBQUDw8PFBMPEBAUEw8PDxMUDw8PExMPEBAUEw8PDxMTDxAPFBMPDw8TEw8PDxMUDxAQFBQPDw8TEw8PDxQUDw8PExMODAwJCQ4ODhISDg4OExQODg4SEg4ODhITDw8PExQPDg4TEw8PDxMTDw4PExMPDw8SFA8PDxMTDw4OExMPDw8UEw8PDhQUDw8PExMPDw8TEw8ODhMTDw8PExMPDg4TFA4PDxMTDw8PExMPDg4UEw8PDxMTDw4OFBMPDw8TEw0MDA0NEREQCwsQEBAMDBEREAsLERAQCwsRERENDREQEA0NEhERDAwREBANDRIREQwMEhERDQ0SEBENDREREQwMEhERDQ0SEREMDBEQEQwMERAQDQ0REBALCxEQEAwMERERCwsREREMDBIQEA0NEhERDAsREBAMDBIREQsLDQ4OCQkQDg4NDRAPDw4OEQ4ODAwQDg4NDREPDw4OERAQDxASDw8ODhEPDw4OEQ8PDg4SDw8ODhAQEA8QEg8PDg4REA8ODhIPDw4OEQ8PDg4REBAPDxIODw0NEQ8PDg4SDw8NDREPDw4OERAPDw8RDw8NDREPDw4OEg8PDQ0NCwsKChAODgwMEA4ODAwRDg8LCxEODgsLEQ8PDQ0RDg4ODREPDw0NEA8PDQ0RDw8NDREPDw0NEQ4ODg4RDw8NDREODw0NEA8PDQ0RDw8NDREODg0NEQ8PDAwQDg4MDBEPDwwMEQ8PDQ0RDg4NDREPDwwMEQ4ODAwRDw8MDA0PDggIDg4OExMODw8SEw4ODhITDg8OExMPEA8TEw8QEBMUDw8PExMPEBATEw8QEBMTDw8PExMPEBAUFA8PDxMTDw8PExMPDw8TEw8PDxMTDxAQFBMPDw8TEw8PDxMTDw8PExMPEA8TEw8QEBUTDw8PFBQPDw8UFQ8PDxMUDgwMCAgODg4TEw4NDRMTDg4OExMODQ4TEw8PDxQUDw4OFBMPDw8TFA8ODhMUDw8PFBMPDw8TFA8ODhQUDw8PFBMPDg4TEw8PDxMTDw8PFBMPDg4VEw8PDxQVDw4OFRMPDw8TEw8PDxQUDw4OExUPDw8TEw8ODhMUDw8PExMNDAwNDREQEAsLERAPDAwSEBALCxEQEAsLEhERDQ0SEBANDREREQwNEhEQDQ0SERENDREREQ0NERAQDQ0SEBEMDBEQEA0MERERDAwSERENDBIQEA0NEhERDAwREBAMDBEREQsLERAQDAwREBANDREQEAsLERAQDAwRERELCw0ODgkJEA4ODQ0QDw8ODhEODgwMEA4ODQ0RDw8ODhEPEA8PEQ8PDg4RDxAODxIPDw4OEQ8PDg4QEBAPDxIPDw0OEQ8PDg4SDw8ODhEPDw4OERAQDw8RDw8NDREPDw4OEg8PDQ0RDw8ODhEQEA8PEQ8PDQ0RDw8ODhIPDw0NDQsLCgoQDg4MDBAODg0NEQ4OCwsRDg4MDBEPDw4OEQ4ODg4RDw8NDREPDg0NEA8PDQ0QDw8NDREODg4OEQ8PDQ0RDg4NDRAPDw0NEA8PDQ0RDg4NDREPDwwMEQ4ODAwQDw8MDBEPDw0NEQ4ODQ0RDw8MDBEODgwMEA8PDAwODg4ICA4ODhISDg8PExIODg4SEg4ODhITDxAPExMPERAUFA8PDxMTDxAQExMPDw8TEw8QDxITDxAQFBQPDw8TEw8QEBMUDw8PExMPDxATEw8QEBQUDw8PExMPDw8TFA8PDxMTDw8PExMPEBAUFA8PDxMUDxAQFBQPDw8TEw0MDAgIDg4OExQODg4TEw4ODhITDg4OExQPDw8TFA8ODhUUDw8PFBQPDw4TEw8PDxMTDw8PExMPDg4TFA8PDxMUDw4OExMPDw8TEw8PDxMTEA4OExMPDw8UFA8ODhUTDw8PExMPDw8TFBAODhMUDw8PExMPDg4TEw8PDxQTAEGwmCELEQIAAAABAAAAAwAAAAAAAAAEAEHQmCELigMBBgYGBwcHCAgHCAgKCwsJCAgHCQkLDAwJCAgGBwcJCwsKCwsKCwsNDQ0LDAwKCwsNDg4MDAwGBgYIBgYIBgYJBwcMCgoKBgYJBwcMCgoLBwYHCAgMCgoMCgoLCgoPDQ0NCgoMCwsPDQ0OCwsIBwcMCwsMCwsLCwsODg4NDAwMCwsQDw8ODAwACgoACwsADAwACwsADg4ACwsACwsADw8ACwsHCAgNCgoMCgoMCwsPDQ0OCwsMCgoQDg4OCgoIBwcMCwsNCwsMCwsPDg4ODAwNDAwPDg4PDAwACwsADAwADAwADAwADw8ADAwADAwADw4ADAwAAQAAAAAAAAACAAAAAQMDAAgIAAgIAAoKAAkJAAoKAAoKAAkJAAoKAAcHAAcHAAcHAAgIAAgIAAgIAAkJAAgIAAgIAAcHAAgIAAgIAAoKAAkJAAkJAAoKAAkJAAoKAAgIAAsLAAsLAAwMAAsLAAwMAAwMAAwMAAwMAAgIAAsLAAsLAA0MAAwMAA0MAA0NAAwMAA0NAAcHAEHzmyELOAgIAAsLAAsLAA0MAAwMAAwMAAwMAAsLAAwMAAgIAAwMAAwMAA0NAAwMAA0NAA0NAAwNAA0NAAcHAEHEnCELkwEBAAAAAAAAAAIAAAABBAQABwcACAgACQkADAwACAgACQkADAwACAgABgYACwsACwsADAwADg4ACwsADAwADg4ACwsABgYABgUABwYABwcACgoABgYABwcACgoABwcABwcACgoACwsACwsADg4ACgoADAwADg4ADAwABgYACwsACwsADAwADg4ACwsADAwADw8ACwsAQfOdIQs1CAgACwsACwsADAwADw8ADAwACwsADw8ACwsABgYACwsADAwADAwADw8ACwsADAwADg4ADAwAQcSeIQsPAQAAAAAAAAACAAAAAQICAEHEoCELSwEAAAAAAAAAAgAAAAQFBwgKDQ4EAgQGCAsMBwQDBQgMDggFBAQIDAwJBwcHCQoLDQsLCQcICg0LCgYFBwkAAAACAAAAMQAAAHB3CABBwKEhCwPkVQgAQcyhIQsHDFYIADRWCABB3KEhCwdcVggAhFYIAEHsoSELB6xWCADUVggAQfyhIQsb/FYIACRXCADUVggAAAAAAExXCAD0UggAHFMIAEHsoiELCwIAAAAxAAAAsFUIAEGUoyELCwIAAAAEAAAApFUIAEG8oyELB3xSCACkUggAQcyjIQsLzFIIAPRSCAAcUwgAQfykIQvDAQIAAACpAAAAwFQIAAEAAAAAAJ7gAABUYAQAAAAAAAAAcFUIAAAAAAACAAAAGQAAAIBUCAABAAAAAAAw4AAAEGADAAAAAAAAAKBUCAAAAAAAAgAAAAkAAABkVAgAAQAAAACIM+EAiDNhAgAAAAAAAABwVAgAAAAAAAEAAAAZAAAA4FMIAAEAAAAAwBLhAACZYAUAAAAAAAAAAFQIAAAAAAABAAAAGQAAAFBTCAABAAAAAAB44AAAEGAFAAAAAAAAAHBTCABB0KYhC4EBAwQEBQQFBAUFBQUFBQUFBQUFBQUFBQUFBQAAAAAAAAAMAAAACwAAAA0AAAAKAAAADgAAAAkAAAAPAAAACAAAABAAAAAHAAAAEQAAAAYAAAASAAAABQAAABMAAAAEAAAAFAAAAAMAAAAVAAAAAgAAABYAAAABAAAAFwAAAAAAAAAYAEHgpyEL0QEBAwIFBQYGBwcICAkJCgoLCwwMDA4ODg8PAAAAAAAAAAwAAAALAAAADQAAAAoAAAAOAAAACQAAAA8AAAAIAAAAEAAAAAcAAAARAAAABgAAABIAAAAFAAAAEwAAAAQAAAAUAAAAAwAAABUAAAACAAAAFgAAAAEAAAAXAAAAAAAAABgAAAABBAQEBAQEBAQAAAABAAAAAAAAAAIAAAAAAAAAAQQEBgYFBQUHBQUFBQYHBwYHBwcGBwcHBwAAAAAAAAACAAAAAQAAAAMAAAAAAAAABABBwKkhC68FAQMEBwcICAkJCQoKCgUGBQgHCQgJCQoJCwoFBQcHCAgJCQkJCgoLCAkICgkKCQoJCwoLCggICQkKCQoJCwoLCgsKCwsLCwsLCwsLCwsLCgsLCwwLCwsLCwsKDAwMDAwMDAsMDAwLCwsMDAwMDAwMCwwLDAsLDQwMDA0MDAwMCwwLCw0NDQwMDAwMDAsLCwoNDQ0MDQwNCw0KDAsLDQ0MDQwMDAwLDAsLCwAAAAAAAAAGAAAABQAAAAcAAAAEAAAACAAAAAMAAAAJAAAAAgAAAAoAAAABAAAACwAAAAAAAAAMAAAAAQMCAwAAAAAAAAAAAgMGBwoOEAMCBQcLDhEGBQUHCgwOBwcGBgcJDQoLCQYGCQsPDw0KCQoMEhIQDgwNEAAAAAUAAADzAAAAcHYIAAEAAAAAABDgAAAQYAIAAAAAAAAAZHcIAAAAAAAFAAAA8wAAAHB1CAABAAAAAAA44AAAOGACAAAAAAAAAGR2CAAAAAAABQAAAPMAAABwdAgAAQAAAAAAEOAAABBgAgAAAAAAAABkdQgAAAAAAAUAAADzAAAAcHMIAAEAAAAAAFTgAABUYAIAAAAAAAAAZHQIAAAAAAAFAAAANQwAABBnCAABAAAAAAAw4AAAEGADAAAAAAAAAFBzCAAAAAAABQAAADUMAACwWggAAQAAAAAAfOAAAFxgAwAAAAAAAADwZggAAAAAAAEAAAAHAAAAgFoIAAEAAAAAADjgAAAQYAMAAAAAAAAAkFoIAAAAAAAFAAAA8wAAAIBZCAABAAAAAACV4AAAlWACAAAAAAAAAHRaCAAAAAAABQAAAPMAAACAWAgAAQAAAAAAXOAAAFxgAgAAAAAAAAB0WQgAAAAAAAUAAADzAAAAgFcIAAEAAAAAiDPhAIgzYQIAAAAAAAAAdFgIAEGAryELhwYBCAgICAgICAgJCQkJCQkJCQkJCQkJCQkJCQkICQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkICQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkHCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkICQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkAAQAAAAAAAAACAAAAAgcHBwgIBwcHBwgICAgJCAcHCAgICQkJCQcHBgYGCQcHCQcHCQgICggICggICggICggICggIBwYGCQYGCQYGCQcHCggICQYGCQcHCggICQcHBwgICwkJCwkJCwkJDAkJDAgIDAkJDAoJDAgICAcHCgkJCwkJCwkJCwsKCwkJCwoJCwoLCwkJCggICwkJCwkJCwkJCwoKCwkJCwkJCwoKCwkJCQgIDAkJDAkJCwkJDAkJDAgIDAkJDAkJDAgICQcHCwkKCwoJCwkJCwsLCwkJCwoKCwsLCwkJCgkJCwkJCwoKCwoJCwoKCwkJCwoKCwoLCwkJAAEAAAAAAAAAAgAAAAEGBgYICAcICAcJCAoLCwkICAcICAsLCwkICAYHBwoKCgoKCgoKCg4NDQwLCwoKCg4ODQ0LCwYGBggFBQgHBwgHBwsJCQkHBwgHBwwKCgoHBwcICAwLCwwKCgsKCg4NDQ0KCgsKCxAODg0KCgcIBwwMDAwLCwwLCxAODw0MDAsLCxEPDg4NDQoJCQ0LCw0LCwwLCxAODQ4LCwwLCxAPDg4LCwcICAwLCwwKCgwKChAODQ0LCwwKChAODg0KCggICAwMDAwLCwwLCxAODw4MDAwLCxAPDw4MDAoKCg0LCw0LCwwMDBAODg4LCwwLCxEODw4LCwABAAAAAAAAAAIAAAACAwMDAwMDAEGQtSEL1RgDAAAAAgAAAAQAAAABAAAABQAAAAAAAAAGAAAAAAAAAAIGBg4OBggIDg4HBwcODgANDQ8QAA0NDw8HCAgPDwkKChAQCQgIDg8ADQ0REQANDRAQCAgIDw8MCwsQEAkICA4OAA0NEREADQ0PDwAODhAQAAAAEhMADAwQDwAQEAAUAA4OEBAADg4REQAAABMTAAwMDw8AEhEVFQAODhAQBQcHDA0JCgkODgsKCg4OAAAAEhEAFBUSEgkKCg4ODAwMERAMCgoODgAUFBIRABUVERELCgoODg8NDRISDQsLDg4AFAASEgAUFRIRABUAEhMAAAAAFQAVFBARAAAAFRUAAAAUEgAUABESAAAAAAAAABQQEQAAABQAAAAAEhIGBgYNDQgFBQsLCQYGDQ0ACQkMDAAKCg4OCQcHDQ0MCQkNDQoGBg0NAAoKDg4ACgoNDQkHBw0NDQoKDQ0LBgYNDQAKCg8PAAoKDQ0ADAsPDwAUExEQAAkJDQ0ADQ0UEwALCw0NAAsLDw8AFBMREQAKCg0NAA4PABUADAwNDQAKCgwMAAsLDw8ACwsPDwAPDxQUABAQAAAACwsPDwAODhERAAsLDw8ADw8UFQAQEBUVAAwMDw8ADw8SFAALCxAPAA8PFRUAEBAAFQAQEAAAAAAAAAAADg4VFQAREgAAABARFAAAEBAAAAAAAAAAAA8PFBQAExIAFQASEQAAAAoKCwsACgoKCgALCwwMAAsLCQkADQ0MDAALCwwMAA0NDAwACgoMDAAMDA0NAAwMDAwACwsMDAANDQwMAAoKDAwADQ0NDQAMDAwMAA4NDQ0AExUPDwAMCwwMABAPExMADQ0LCwANDQ0NAAAVDxAADAwMDAAQEBMVAA0NDAwHBwcQEAsJCRAQDAkJEBAADQ0QEAAODhEQCwkJEBAODAsREQ0ICQ8PAA0NExMADQ0QDwwKChERDwwMExIOCQkREAAODhIAAA4NEBAADg8SEQAVABMVAAwMEBAAEBAAAAAODhAQAA4OEhIAABUUAAANDRARABISAAAADw4REAgHBw4OCwoKDw8NCgoPDwAVFBMTABUAERILCgoPEA4MDBISDgsLDw4AFRQSEwAAFRISDAsLEBAQDg4SFA4LCxAPABQUExMAABQSEgAVABITAAAAAAAAFBQREgAAABQUAAAAExMAAAAUEgAAAAAAAAAVEhIAFRUAFQAAABMUCwkJDg4NCgoODg0LCw8PAA0NDQ0ADg4QEA0LCw8PEAwMDw8OCgoODgAODhAQAA4ODw8NCgoPDxENDg8QDwoKDw8ADg4REAAODg8PAA8PEREAABUSEgANDQ8PABAQFRQADg4PDgAPDhARAAAUFBMADQ0PDwATEgAAAA8PDw8ACwsODgAMDBAQAAwMEBAADxAVFQAQERUAAAwMERAADg4SEwALCxAQAA8PFBUAEBAVAAAMDBEQAA8PExMADAwQEQAQDwAAABAQAAAAEREAFQAAAAAAAA4PFAAAEREAAAAREQAAABEQAAAAAAAAAAAPDwAAABISAAAAEhEAAAALCw4OAAwMDw8ADAwPDwANDQ4OAA4OEREADAwQEAAODhAQAAsLDw8ADQ0QEQANDRAQAAwMDw8ADg4REAALCw8PAA4OEREADQ0QEAAPDxESABUUFBUADAwPDwAQEBQVAA4ODw8ADg4REQAAABITAAwNDw8AEhEVAAAODw8PCAgIEBAMCgoQEA0JCRAQAA4OEhEADg4QEQwKChIRDgwLEhIOCQkQEAANDRISAA0NERAMCQkQERENDRERDgkJDw8ADg4UEwANDRAQAA8PExIAAAAUEwAMDRERABAQFAAADg4QEQAODhMSAAAAFBQADQ0QEAASEQAAAA8PEBAJBwcODgwKCg8PDQoKDw8AFQASEwAUFRMSDAoKEA8PDQ0SEg4LCw8PAAAAExIAABUSEg0LCw8PEA4OERMPCwsPDwAVFRQSAAAVEhIAABUVEwAAAAAAABMUEhEAAAAVFQAVABQSAAAVExMAAAAAAAAUFRERAAAAAAAAFQASFAAKCg4OAAsLDw8ACwsPDwAODg8PAA8PEBAACwwQEAANDRAQAAsLDw8ADg4REQAODg8PAAsLEA8ADg4PDwALCw8PAA8PEREADg4PDwAQEBISAAAAFBMADg0QDwARERUAAA8PDw8AEA8REAAUABQSAA0ODw8AExIAFQAPDw8PAAsLDg4ADAwQEAAMDBAQABAPFBUAERAAAAAMDBAQAA4OEhIACwsQEAAPDxUUABAQAAAADAwQEQAPDhMTAAsMEBAADw8VAAAQEAAAABARAAAAAAAAAAAPDxUAABERAAAAEREAAAAREAAAAAAAAAAADw8AFAATFAAAABERAAAADAwPDwAMDA8PAAwMEBAADQ0PDwAPDxERAA0NERAADg4REQALCxAQAA4OEREADQ0QEAAMDBAQAA8PEBEACwsPEAAODhERAA0OEBAADw8SEgAVFBQTAA0NEBEAEBAAAAAODhAQAA8PEhIAAAAUEwANDRAQABERAAAADg4QEAALCxAQAA0NEhEADQ0REQAQEBERABAQERIADAwREQAPDxISAAwMEBAAEBATEwAPDxARAAwMEREAERESEgAMDBERABAQExMADxAREQAQEBIRAAAAFRUADQ0QEAAREQAUAA8PEBEAEBATEgAAFRQVAA4OERAAFAAAAAAPEBARAAkJDg4ADQ0QEAAODg8PAAAUExMAAAATEwAMDA8PAA8QExIADg4PDwAVABISABQAERIADQ0QEAARERETAA4OEA8AFRQUEwAAABMTAAAAExIAAAAAAAAUFBESAAAAFRUAAAASEgAVABITAAAAAAAAFBUSEgAAABQVAAAAExMAEhIPDwAUFRERABMVEREAAAAREgAAABQTABMTEREAAAASEgATFBARAAAVFBQAExQTEgATFBAQAAAAEhMAExQREQAAFQAUABUVERMAFAATFAAAABQAABMSERAAAAAAAAAAFBERABQVEhQAAAAAFQATFBERAAAAAAAAFBUREQALCw4OAA0NEBEADQ0QEAAREQAVABIRFQAADQ0QEAAPDxISAAwMEBAAERAVAAAREQAAAAwMEREAERETFQANDBAQABERAAAAEREAAAASEQAVAAAAAAAADw8UAAAUEgAAABESAAAAEBEAAAAAAAAAAA8PAAAAExMAAAASEgAAAA4OEhIAEBAAFQAQEBUVABERABQAEREUAAAQDwAAABQUAAAADw8UFAARERUAABESFBQADw8UFAASEgAAAA8PExQAERIAAAARERQUABIRFQAAAAAAFQAPDxQUABMTAAAAEREVAAAREQAAAAAAFQAADw8TEwAUFQAAABIRFRUADAwQEAAODhERAA0NERIAEBASEQAQEBISAA0NEhIADxATEgANDRAQABAQFBIAEBAREQAMDRERABEQEhIADAwQEAAREBQTABAQEBAAEBESFAAAABUUAA4OERAAExIAFAAQEBEQABAQERIAABUVFQAODhAQABQUFQAAEBAQEAAKCg4OAA4ODxAADg4PDwAAFRISAAAVEhMADQ0QEAAQEBISAA4ODw8AFQASEgAVABISAA0NEBAAERETFAAODg8PAAAAEhQAABUSEgAAFRMSAAAAAAAAFBUSEQAAABUVAAAAExMAFQASEwAAAAAAABUUEREAABUUAAAAABMTABMUDxAAABQSEQAUFRESABUAEhIAAAATEwAUFBESAAAAEhMAFBQSEQAAAAAUAAAVERIAFBUREQAAABISABMTEREAAAAVFQAUFBERAAAAFRMAAAAUEwAVFBESAAAAAAAAABQSEQAVFBISAAAAFBUAFBQREQAAAAAAABQAEREACwsNDgANDRAQAA0NEBAAEREAAAAREgAAAA0NEBAADxASEgANDRARABARFAAAERIUAAANDRERABAQFBUADQ0QEAARERUAABESAAAAERIAFQAAAAAAAA8PFAAAExMAAAAREQAAABIRFRQAAAAAAAAQEBQVABUUABUAExUAAAAPDwAAABARABMAEBAAAAAREQAAABMSAAAAEBAUFAAUEhUAAA8PFRUAEhIAAAASEwAAABAPABUAFBMAAAAQEAAAABQSABUAERIVAAASEwAAAAAAAAAAEBAUFAATFAAAABERAAAAEhEUFQAAAAAAABAQABQAFBYAAAASEgAWAEHwzSELEQIAAAABAAAAAwAAAAAAAAAEAEGQziELtRgCBAQICAoMDAsLCQsLDA0LDAwLCwsMDAwMCg0MDQ0LDAwNDQsMDA0NCwwNDQ0LDQ0NDQoNDQwNCwwMDg4LDQwMDAsMDA0NCw0NDAwLDQ0NDQsMDA0NCw0NDAwLDAwNDQsNDQwMCw0NDQ0LDAwODgsNDQwMCwwMDQ0LDQ0MDAsKCgoKDAoKCwsLCAgLCw0KCgoKDAoKCgoNCwsLCw0KCgsLDQsLDAwNCwsLCw0LCwwMDQsLDAwNCgoLCw0LCwsLDQsKCwsNCwsLCw0LCwsLDQoKCwsNCwsLCwwKCwsLDQsLCwsNCwsLCw0KCgsLDQsLCwsNCwsLCw0LCwsLCwoKCgoMCgoJCQwMDAsLDQwMCQkNDAwKCgwMDAwMDQ0NDg4NDAwLCw0NDQwMDQwMCwsNDA0LCw0NDQ4ODQwMCgoNDQ0LCw0MDAoKDQ0NCwsNDQ0ODg0MDAoKDQ0NCwsNDA0KCg0NDQsLDQ0NDg4NDAwKCg0NDQsLDQ0MCgoODAwICA4MDAkJDgsLCQkODAwICA4LCwcHDg0NCgoPDAwKCg8NDQoKDwwMCQkPDQ0KCg8NDQoKDwwMCgoPDQ0KCg4MDAkJDg0NCQkODQ0JCQ8MDAkJDw0NCQkODAwJCQ4NDQkJDg0NCQkPDAwJCQ4NDQkJDgwMCQkODQ0JCQ0MDAgIDQ0NCAgODQ0JCQ0NDQcHDg0NCAgODg4KCg4ODgsLDg4OCQkODg4KCg4ODgkJDg4OCgkPDg4LCw4ODgkJDg4OCgoODg4JCQ4ODgkJDw4OCwsODg4ICA4ODgkJDg4OCAgODg4JCQ8ODgsLDg4OCAgODg4JCQ4ODggIDAwMDQ0QDw8LCxAPEAwMERAQCwsRDw8MCxAQEAwNEA8PDQ0QEBAMDBAQDw0NEBAQDAwQEBANDREQEA4OEREQDAwREBANDREREAwNEBARDQwREBAODREQEAwMERAQDAwREBEMDBEREQ0NEBAQDQ4RERAMDBAQEA0NERERDAwNDg4KChAODgwMEA8PDg4QDg4MDA8ODg0NEQ8PDg0QEA8PDxAPDw4OEA8PDg4RDw8ODhAPDw4OEBAPDw8RDw8NDRAPDw4OEQ8PDQ0RDw8ODhAPDw8PEA4ODQ0QDw8ODhAODg0NEQ8PDg4QEA8PDxEODg0NEA8PDg4RDg4NDQ0LCwoKEA4ODQ0PDg4NDRAODgwMEA4ODAwPDw8ODhAODg4OEA8ODg4QDg4ODhAPDw4NEA8PDg4QDg4ODhEPDw4OEA4ODg4QDw8NDhAPDw4OEA4ODg4QDw8NDRAODg0NEA8PDQ0QDw8ODhAODg4OEQ8PDQ0QDw4NDREPDw0NDg4OCQkODg4REQ4PDxISDg4OEhMODg4SEg8PDxMSDxAPEhQPDw8SEw8PDxMTDw8PEhQPDw8SEw8PEBQSDw8PEhIPDw8TEw8PDxITDw8PEhMPDw8TEw4PDhMTDw8PFBMPDg4TEg4PDxITDw8QFBQODg4SEw8PDxMSDg4OEhIODAwJCQ0ODhISDg0NEhMODg4SEg4ODhISDw8PExMPDg4TEg4PDxMSDw4OEhIPDw8TEg4PDxMTDw4OExIODw8TEg8ODhMSDg8PExIPDw8VEg8ODhMSDg8PEhMODw4UEw4PDxITDg8PExMPDg4TFA4PDxISDg4OExMODw8TEgwMDA0NEA8PCwsQDw8MDBAQEAsLEA8PCwsQEBANDREQEA0NERERDAwQEBANDREQEQ0MDxAQDAwQDw8NDREQEAwMEBAPDAwQEBAMDBEREA0MEBAQDQ0REBAMDBEQEAwMEREQDAwQERAMDBEPDw0NERAQDAwQEBAMDBAQEAwMDQ0NCQkPDg4NDRAPDg4OEA4ODQ0PDg4NDREPDw4OEA8PDw8QDw8ODhAPDw8PEQ8PDg4QDw8ODhAPDw8PEQ4PDg4QDw8ODhEPDw0OEQ8PDg4QDw8PDxEODg0NEA8PDg4RDg4NDREPDw4OEA8QDw8RDg4NDRAPDw4OEg4ODQ0NCwsLCw8ODgwMDw4ODQ0QDg4MDBANDgwMEA8PDQ0QDg4ODhAPDw0NEA4ODQ0QDg8NDQ8PDw0NEA4ODg0QDg4NDRAODg0NEA8PDQ0QDw8NDRAODg4OEA8PDAwQDg4NDRAPDwwMEA8PDQ0QDg4ODhEPDgwMEA4ODQ0QDw8MDA4ODggIDg4OERIODw8REg4ODhESDg4OEhIODw8SEg4QDxMTDw8PEhMPEA8UEw8PDxISDg8PEhMPEBAUEw8PDxMRDg8PFBIODw8SEg4PDxITDg8PExQODg4SEg4PDxITDg4OEhMODw8TEg8QEBQVDg4PExMODw8TEw4ODhMSDQwMCQkNDg4SEw4ODhITDg4OEhIODg4SEg4PDxMTDw4OExIPDw8TEw8ODhMUDg8PEhMODw8UEg8ODhISDg8PEhIODg4TEw4PDxISDg8PExIPDg4TEw4PDxMSDw4OExIODg8SEw4PDxMSDw4OEhMODw4TFA4ODhMTDg8PExMMDAwNDRAQEAsLEBAQDAwREBALCxEPDwsLEBAQDQ0RDxANDRAQEAwMERAQDQ0RERAMDBEREA0NERAQDQ0REREMDBEQEA0NERERDAwQEBAMDBEPDw0NERAQCwsREBAMDBAQEAsLEBEQDAwREBANDREREAwMEREQDAwREBALCw0ODgkJEA4ODQ0QDg8ODhAODgwMEA4ODQ0RDw8ODhAPDw8PEQ8PDg4QDw8ODhEPDw4OEA8PDg4QDw8PEBEODw4OEA8PDg4RDw8ODhAPDw4OEA8PDw8RDg4NDRAPDw4OEA4ODQ0RDw8ODhAQDw8PEQ4ODQ0QDw8ODhEODg0NDQsLCgoQDg4MDA8NDQ0MEA4OCwsQDg4LCxAODw0OEA4ODQ0QDw8NDRAODg0NEA8PDQ0QDw8NDREODg4OEQ8PDQ0QDg8NDRAPDw0NEA8PDQ0QDg4NDREPDwwMEA4ODAwQDw8MDBAPDw0NEA4ODQ0RDw8MDBEODgwMEA8PDAwNDg4ICA0ODhISDQ8PERIODg4SEw4ODhMSDg8PExIPDxAVEg8PDxMTDhAQExMODw8SEw4PDxMUDhAQExIPDw8SEw4PDxMSDw8PEhIPDw8UEg8QEBQTDg8OEhMODxATFA4PDxMSDw8PExIPEBAUEw8ODhISDg8PExMODw8SEg0MDAgIDQ4OExIODQ0UEg4ODhMSDg0NEhMODw8UEw8ODhMTDg8PExIPDg4UFA8PDxMSDg8PExIPDg4TEg4PDxQTDg4OFBMODw8TEg8PDxISDw4OEhIODw8TEw4ODhMTDg8PExMPDw8TEg8ODhQTDw8PExMODg4UEw4PDxQUDAwMDQ0REBALCxAQDwwMERAQCwsRDw8LCxEREQ0NERAQDQ0REREMDBEQEA0NEREQDA0QERANDREQDw0NERAQDAwREBAMDREQEQwMERERDAwREA8NDREQEAwMERAQDAwREBALCxAQEAwMEQ8PDQ0REA8LCxAQEAwMERAQCwsNDg4JCRAODg0NEA4PDg4QDg4MDBAODg0NEQ8PDg8QDw8PDxEPDw4OEA8PDw4QDw8ODhAPDw4OEA8QDw8RDw4ODhAPDw4OEQ8PDQ0QDw8ODhAQEA8PEQ4ODQ0QDw8ODhIODw0NEA8PDg4QEA8PDxAODg0NEA8PDg4RDg8NDQ0LCwoKDw4ODAwPDg4NDRAODgwMEA0ODAwQDg8ODRAODg4OEA8PDQ0QDg4NDRAPDw0NDw8PDQ0QDg4ODhEPDw0NEA4ODQ0QDw8NDRAPDw0NEA4ODQ0RDw8MDBAODgwMEA4PDAwQDw8NDRAODg0NEQ8PDAwQDg4MDBAPDwwMDg4OCAgODg4REQ4PDxISDg4OEhEODg4SEg4PDxIUDxAPExIPDw8TEg8PEBMSDw8PEhIODw8SEg8QEBITDw8PEhIPDw8TFA8PDxISDw8PEhIPEBATEw8ODxMTDw8PExQODg8SEg8PDxMTDxAQExMPDw4SEw8PDxQUDw8OEhINDAwICA0ODhISDg4OEhIODg4SFA4ODhISDg8PExIPDg4SEw8PDxITDw4OEhMPDw8SEg4PDhITDw4OFRMPDw8TEg4ODhMSDg8PExIPDw8UEw8ODhQSDg8PEhMODg4TEg4PDxITDw8PEhMPDg4TEw8PDxMTDg4OExQODw8SEwBB0OYhCxECAAAAAQAAAAMAAAAAAAAABABB8OYhC4oDAQYGBwgIBwgIBwkJCgwLCQgIBwkJCwwMCQkJBgcHCgsLCgsLCgsLDQ0ODAwMCwsLDg4ODAwMBgUFCQYFCQYGCQcHDAoKCwYGCgcHDQoKDAcHBwgIDAoKDAoKCwoKDw0NDQkJDAsLEA0NDwsLCAcHDAwMDAsLDAsLDg4ODgwMDAwMEA8PDgwMAAoKAAwMAAwMAAsLAA4OAAsLAAwMAA8PAAsLCAgIDQsLDQoKDQsLDw0NDgsLDAoKEA4ODgoKCQcHDQsLDQsLDAsLEA4ODgwMDQwMDw4ODw0MAAsLAAwMAAwMAAwMAA8PAAwMAA0MAA4PAAwMAAEAAAAAAAAAAgAAAAEDAwAJCQAJCQAKCgAJCQAKCgAKCgAJCQAKCgAHBwAHBwAGBgAICAAHBwAICAAICQAICAAICAAHBwAJCQAICAAKCgAJCQAKCgAKCgAJCQAKCgAJCQALCwALCwAMDAALCwAMDAANDQAMDAANDAAICAAMDAAMDAANDQAMDAANDQANDQANDQANDQAHBwBBk+ohCzgJCQALCwAMDAANDQAMDAANDQANDQAMDAAMDAAICAAMDAAMDAANDQANDQANDgAODQANDQANDQAHBwBB5OohC5MBAQAAAAAAAAACAAAAAQUFAAcHAAgIAAkJAAwMAAgIAAkJAAwMAAgIAAYGAAsLAAwMAAwMAA8PAAsLAAwMAA8PAAwMAAUFAAUFAAYGAAcHAAsLAAYGAAcHAAoLAAYGAAcHAAsLAAwMAAsLAA8PAAoKAAwMAA8PAAwMAAYGAAwMAAwMAAwMAA8PAAsLAAwMAA8PAAwMAEGT7CELNQgIAAwMAAwMAAwMAA8PAAwMAAsMAA8QAAsLAAYGAAsMAAwMAAwMABAPAAwMAA0MAA8OAAwMAEHk7CELDwEAAAAAAAAAAgAAAAECAgBB5O4hC0sBAAAAAAAAAAIAAAADAwcICg0QAwIFBwkNEAYEBAYKDg8HBQUHCg0OCQgJCQkLDQwLDAkHCAsODAoGBQcKAAAAAgAAADEAAACQnggAQeDvIQsDBH0IAEHs7yELByx9CABUfQgAQfzvIQsHfH0IAKR9CABBjPAhCwfMfQgA9H0IAEGc8CELGxx+CABEfggA9H0IAAAAAABsfggAFHoIADx6CABBjPEhCwsCAAAAMQAAANB8CABBtPEhCwsCAAAABAAAAMR8CABB3PEhCweceQgAxHkIAEHs8SELC+x5CAAUeggAPHoIAEGc8yELwwECAAAAqQAAAOB7CAABAAAAAACe4AAAVGAEAAAAAAAAAJB8CAAAAAAAAgAAABkAAACgewgAAQAAAAAAMOAAABBgAwAAAAAAAADAewgAAAAAAAIAAAAJAAAAhHsIAAEAAAAAiDPhAIgzYQIAAAAAAAAAkHsIAAAAAAABAAAAGQAAAAB7CAABAAAAAMAS4QAAmWAFAAAAAAAAACB7CAAAAAAAAQAAABkAAABweggAAQAAAAAAeOAAABBgBQAAAAAAAACQeggAQfD0IQuBAQMFBAUEBQQFBQUEBQUFBQUFBQUFBQUFBQUAAAAAAAAADAAAAAsAAAANAAAACgAAAA4AAAAJAAAADwAAAAgAAAAQAAAABwAAABEAAAAGAAAAEgAAAAUAAAATAAAABAAAABQAAAADAAAAFQAAAAIAAAAWAAAAAQAAABcAAAAAAAAAGABBgPYhC9EBAQMCBQQHBwgICQkKCgsLDAwNDQ4ODw8PDwAAAAAAAAAMAAAACwAAAA0AAAAKAAAADgAAAAkAAAAPAAAACAAAABAAAAAHAAAAEQAAAAYAAAASAAAABQAAABMAAAAEAAAAFAAAAAMAAAAVAAAAAgAAABYAAAABAAAAFwAAAAAAAAAYAAAAAQQEBAQEBAQEAAAAAQAAAAAAAAACAAAAAAAAAAEEBAcHBAUGBwcEBgUHBwcGBwYHBwcGBwYAAAAAAAAAAgAAAAEAAAADAAAAAAAAAAQAQeD3IQuvBQEDAwgICgoKCgoKCgoFBwUJCAoKCgoLCgsKBQUHCAkKCgsKCgsKCwoKCgsLCwsLCwsKCwsKCgoKCwsLCwsKCwsLCwsLCwsMCwoLCwsLCwsLCwsLCwsKCgsLDAsLCwsLCwwLCwsKCwsLCwsLCwsKCwsKCwoLCwsLCwsLCwsLDAsLDAwLCwsLCwsLCwsLCwsMCwoLCwsLCwsLDAsNCwsLCwsLCwsLCwsMCw0AAAAAAAAABgAAAAUAAAAHAAAABAAAAAgAAAADAAAACQAAAAIAAAAKAAAAAQAAAAsAAAAAAAAADAAAAAEDAgMAAAAAAAAAAAIDBgcJDREDAgUHCQ0RBgUFBgkMEAcHBgYHCg0KCgkHBgoNDQ0MCgoLDxEREQ4ODxEAAAAFAAAA8wAAAJCdCAABAAAAAAAQ4AAAEGACAAAAAAAAAISeCAAAAAAABQAAAPMAAACQnAgAAQAAAAAAOOAAADhgAgAAAAAAAACEnQgAAAAAAAUAAADzAAAAkJsIAAEAAAAAABDgAAAQYAIAAAAAAAAAhJwIAAAAAAAFAAAA8wAAAJCaCAABAAAAAABU4AAAVGACAAAAAAAAAISbCAAAAAAABQAAADUMAAAwjggAAQAAAAAAMOAAABBgAwAAAAAAAABwmggAAAAAAAUAAAA1DAAA0IEIAAEAAAAAAHzgAABcYAMAAAAAAAAAEI4IAAAAAAABAAAABwAAAKCBCAABAAAAAAA44AAAEGADAAAAAAAAALCBCAAAAAAABQAAAPMAAACggAgAAQAAAAAAleAAAJVgAgAAAAAAAACUgQgAAAAAAAUAAADzAAAAoH8IAAEAAAAAAFzgAABcYAIAAAAAAAAAlIAIAAAAAAAFAAAA8wAAAKB+CAABAAAAAIgz4QCIM2ECAAAAAAAAAJR/CABBoP0hC4cGAQgICAgICAgICAgICAgJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCAkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJAAEAAAAAAAAAAgAAAAIGBwYICAcHCAcICAkJCQgHBwgICAkJCQkICAYGBgkHBwkHBwkICAoICAoICAoICAoJCAoICAcGBgkGBgkGBgkHBwoICAoGBgkHBwoICAoGBgcHBwsJCQsJCQoJCQwKCgwICAsJCQ0JCgwICAgHBwsJCgsKCgoJCQsLCwsJCQsKCQwLCwsJCgoICAsJCgsJCQsJCQwKCgsJCQsJCQwKCwsJCQgICAwJCQwJCQsJCQ0JCQ0ICAwJCQ0KCgwICAkHBwsKCgsKCgsKCgwLCwsKCQsKCgsLCwsJCQsJCQwKCgsKCgwKCgsLCwsJCQsKCgwLCwsJCQABAAAAAAAAAAIAAAABBwcGCAgHCAgHCQkLCwsJCAgHCQkLDAsJCQkGBwcKCwsKCgoKCwsPDg4MDAwLCwsODg4MDAwFBgYIBQUIBwcICAgMCgoKBwcIBwcMCgoKBwcGBwcMCwsMCgoLCgoODg0NCgoLCgoQDg4OCwoHBwcNDAwMDAsLCwsPDhENDAwMCwsPDw8ODQ0KCQkODAsNCwsMCwsQDw4OCwsMCwsRDg4PCwsHCAgMCwsNCgoLCgoRDg0OCgoMCgoSDw8OCgoIBwcNDAwNCwsMCwsQDg8ODAwMCwsSEBAODAwLCgoNDAsNCwsNDAwADw4OCwsNCwsQDw8PCwsAAQAAAAAAAAACAAAAAgMDAwMDAwBBsIMiC90GAwAAAAIAAAAEAAAAAQAAAAUAAAAAAAAABgAAAAAAAAABBwcODgYICA8QBwgIEA8ADg4REQAODhAQBwkJEBAKCwsREgkICBAQAA4OExMADg4REAgJCRAQDAwMEREKCQkQEAAPDhIUAA4OEREADw8SEQAVAAAVAA0NEREAEREAAAAPDxERAA8PERIAAAAAFQANDRERABISABUAEA8REgYHBw4OCQoKEBALCgoPDwAVABQVAAAAEhQKCgoPEAwNDRISDAsLDw8AAAAUFAAAFRMTDAsLDw8PDg4SEg0LCw8QAAAAFBMAAAAUFQAAFBMTAAAAAAAAFAAREgAAFQAAAAAAFQAAFQAUEwAAAAAAABUAEhIAAAAVAAAAAAAUBwYGDQ0JBgYMDAkHBw4OAAoKDAwACwsPDwkHBw4ODAkJDg4KBwcODQALCxAPAAsLDg4JBwcODg0KCg4OCwcHDg0ACwsQEAALCw4OAAwMEBAAEwAREgAKCg4OAA8OAAAADAwODgAMDA8PABQAEhMACgoODgAQDwAUAA0NDg4ACwsNDQAMDRAQAAwMEBAAEBAAFQAREgAAAAwMEBAADw8SAAAMDBAQABEQFRUAEBEAAAANDREQABAQFBUADAwREAAREQAVABERFRUAERIAAAAAAAAAAA8PAAAAEhUAAAASEwAAABIRFRUAAAAAAAAQEAAAAAAAAAAAExMAAAALCwwMAAsLCgoADAwNDQAMDAkJAA4ODQ0ADAwNDQAODgwNAAsLDAwADQ0NDQANDQ0NAAwMDQ0ADg4MDAALCwwMAA4NDg4ADQ0NDQAPDw4PAAAAEBAADAwNDQAQERQVAA4NDAwADg4ODgAVABAQAAwMDQ0AEhEVAAAODg0NBwgIERELCgoSEgwKChERAA8PFBIADw8REQsJCRERDgwMExMNCQkQEAAPDgATAA4OEBAMCgoUEhANDRUUDgoKEREADw8VFAAPDhERAA8PFRUAABUAAAANDRISABMQAAAADw8REAAQEAAVAAAAABUADQ4SEQAUEwAAAA8PEhIIBwcPDwwLCxEQDQsLEBAAAAAVFAAAAAAUCwoKEREODQ0TEg4LCxAQABQAFRMAABUAFAwLCxEREA8PABMOCwsREAAVAAATAAAAFRQAABUUAEGWiiIL5AkTFQAAAAAAAAAAExQAAAAUFQAAAAAAABQAExUAAAAAAAAAABUUCwoJDw8OCwsPDw4LCxAQAA4ODg4AEA8REA0LCxAQEA0NEBAPCgoPDwAODxERAA4OEA8NCwsQEBEPDhAQDwoKDw8ADw8REgAPDxAQABAQEREAFQAVFAANDQ8PABISABUADw8PDwAQEBERAAAAABIADQ0PDwATEgAAAA8PEBAADAwPDwANDRERAA0NERIAEBEVAAAUEgAAAA0NEREADw8AEgAMDBESABAQAAAAEREVAAANDRISABAQFRUADAwREgAQERUAABERABUAERIAAAAAAAAAABAPABUAFRMAAAASEgAAABITAAAAAAAAAAAQEBUVABQTAAAAExUAFQAMDA8PAAwMDxAADQ0QEAAODg8PABAPEREADQ0REQAPDxASAAwMEBAADg4REQAPDhAQAA0NEBAAEA8REQAMDBAQAA8PEhIADg4REAAQEBESAAAAFBUADQ0QEQAREQAAAA8PEBAADxAREQAAABMAAA0NDxAAExIAAAAQDxARCAgIERENCwoREg0KChERAA8PFBMADw8REQwKChMSDwwMFBIOCgoREAAPDxQUAA4PEBANCgoREREODgASDwoKEREAEA8UFAAODhERAA8QFBQAABUAAAANDRERABIRAAAADxAREgAPDxIVAAAAFQAADQ0SEgATEwAAABAQEhEJCAgPDwwLCxAQDQsLEA8AAAAAFQAVABMTDAsLERIPDQ0SEw4LCxAQAAAVFRMAAAAVFA0LCxIREQ4PFBUPCwwQEAAAABQAAAAVABMAAAAAEwAAAAAAABUVExMAAAAVAAAAABMVAAAAExQAAAAVAAAAFRMTAAAAAAAAAAAVFAALCw8PAAwMDxAADAwQEAAPDxAPABAQEREADAwREQAODhERAAsLEBAADw8TEgAPDxAQAAwMERAADg8QEAALCw8PABAQEhMADw8PEAARERIUABUAFRMADg4QEAASEgAAABAQDw8AEBASEQAAABMUAA4OEBAAExMAAAAQEQ8PAAwMDg8ADQ0QEQAMDBERABEQAAAAEhEVAAANDRMRAA8PFBUADAwREQAREQAAABERAAAADQ0REgAQEBUAAAwMEREAEREAAAAREQAAABIVAAAAAAAAAAAPDxUAABQVAAAAEhMAAAASEQAAAAAAAAAAEBAVAAAVFQAAABITAAAADAwQEAANDRARAA0NERAADg4QEAAQDxMSAA0NEREADw8SEgAMDBAQAA8PEhMADw8REAANDRERABAQEhEADAwREAAPDxISAA8PEREAEBAAEwAAAAAAAA4OEBEAEhIAAAAPDxERABAQFRMAFQAVFQANDhAQABMTAAAADxAQEAALCxEQAA8OExIADg4TEwASERIUABEREhMADQ0REQAQERUSAA0NERAAEhETAAAQERISAAwMExIAEhIUFAANDRERABERFQAAEBEREgASERMSAAAAAAAADg4REQATExUAABAQEBEAERETFAAAAAAVAA8PERIAFRUAAAARERESAAoKDw8ADw4REgAODhAQAAAAEgAAFQATAAANDREQABEREgAADg4QDwAAABUAABUAExIADQ0REQASEhQUAA8PEBAAAAAVFQAAABQUAAAAEwAAAAAAAAAVFBISAEGDlCILgQUUAAAAABQAAAAAAAAAABMSAAAAABUAAAASFAASExARABUTEREAABUSEgAAFRQTAAAAFBQAABUREQAAABMTABQUEREAAAAAFAAAFBISABUUEREAAAAUFQATABERAAAVAAAAFAASEwAAABUVAAAAABUAFBQREQAAAAAAABUAEhEAAAAUEwAAAAAVABQUEREAAAAAAAAVFRISAAwMDw4ADg4REQAODhEQABISFQAAExQAAAANDRIRABAQExIADQ0REQAREQAAABERFQAADQ0REQARERUUAA0NEhEAEhMVFQATEgAAABIRAAAAAAAAAAAPEAAAABUVAAAAFBIVAAAREgAAAAAAAAAADxAAAAAAFAAAAAATAAAADw8SEwASERUAABASABQAERIVAAASFAAAABAQFRUAExQVAAAQDwAVABIUAAAAEhMAAAAQDxUVABUAAAAAEA8VAAAUEwAAABIVFQAAFBIAAAAAAAAAABAQABQAFQAAAAAREhQVABISFRUAAAAAAAAQEBQAAAAVAAAAFRIAAAAMDBQRAA8PExIADg4TEgASERUTABERFREADQ0VEwAQERQTAA0NEBAAEREUFQAQEBMRAA0NEhIAERMTEwANDRERABISABMAEBESEgAQERMVAAAAAAAADw8QEQAUExUAABEREREAEREVEwAAAAAAAA8PEREAFQAAAAASEhERAAoKDw8ADw8REQAPDhAQAAAAFRMAFRUTFQANDREQABEREhMADg8QDwAAABUTABUVEhMADg4QEQASEhITAA8PDxAAABUAFQAAABMUAAAAFRMAAAAAAAAVFRMRAAAAAAAAAAAVFQAVAAAVAAAAAAAAFRUTEgBBjZkiC8gCEwAVEhIRABUAFBQAAAASFAAAFRIVAAAAFRIAAAAAEwAAABUVABQVERMAFQAVAAAVABISABQVERIAAAAVEwAUFRESAAAAFRUAAAAUEwAAABUVAAAAAAAAFRUTEgAAAAAAAAAVExIAFRUTAAAAABUAABUVEhEAAAAAAAAVABUSAAwMDg4ADw4REQAODhEQABMRAAAAExMAAAANDRERABERFBQADQ0SEgASEQAAABIVAAAADQ0REQASEhUUAA4OEhMAExIVAAATEwAAABQSFAAAAAAAAAAPEAAAABUVAAAAExMAAAASEgAAAAAAAAAAEBAAFQAAAAAAABMUAAAADw8UFQARERUVABERAAAAExIAAAASEwAAABEQABUAABQAAAAQEAAUABMTABUAExIAFQAQEAAAABUVAAAAEBAAAAAVFQAAABMTAAAAFABB3psiCycREQAVAAAUAAAAFBIVFQATEgAUAAAAAAAAEBEVAAAAFQAAABMUFRQAQZCcIgsRAgAAAAEAAAADAAAAAAAAAAQAQbCcIgu1GAIDBAkJCgwMDAsKDAwNDAsNDAsLCwwMDAsLDQ0NDQsMDA4ODA0NDQ0LDQ0NDQsNDQ0NCw0NDQ0LDAwODgwNDQwMCw0NDQ0LDQ0MDAsNDQ0NDAwNDg4MDQ0MDAsNDQ0NCw0NDAwLDQ0NDQwNDQ4ODA0NDAwLDQ0NDQsNDQwMCwoKCgoMCgoLCwwJCQsLDQsLCgoNCgoKCg0LCwwMDQoKDAwODAsMDA0LCwsMDQwMDAwNCwsMDA0KCgwMDgsLDAwNCwsMDA0LCwwMDgwMDAwOCgoLCw4MCwsLDQsLCwsNDAwLCw4MDAwLDgoKCwsODAsLCw0LCwsLDQwMCwsLCwsKCgwKCwkJDAwMCwsNDAwJCQ0NDQoKDQ0NDAwNDQ0ODg0MDAsLDg0NDAwODQ0LCw0NDQwLDQ0NDg4NDAwKCg4NDQsLDQ0NCgoNDQ0LCw4NDQ4ODgwMCgoNDQ0LCw0NDQoKDQ0NCwsODQ0ODg4NDQoKDQ0NCwsNDQ0KCg4MDAgIDgwMCQkOCwsJCQ4MDAgIDgwMBwcPDQ0KCg8MDAoKDw0NCgoPDA0JCQ8NDQoKDw0NCgoPDAwKCg8NDQoKDw0NCQkPDQ0KCg8NDQoKDwwMCgoPDQ0JCQ4NDAkJDg0NCQkPDQ0KCg8MDAoKDw0NCQkPDQ0JCQ4NDQkJDgwMCAgNDQ0ICA4ODQkJDg4NBwcODg4ICA4ODgoKDw4ODAwODg4JCQ8ODgoKDg4OCQkODg4KCQ8ODgwMDg4OCQkPDg4KCg4ODgkJDw4PCQkPDg4LCw4ODggIDg4OCQkODg4ICA4PDgoKDw4OCwsODg4ICA8ODgkJDg4OCAgMDAwNDRAQDwwMERAQDQ0REBALCxEQEAwMERARDQ0REBAODhEREAwMEhAQDQ0REBEMDBEREQ0NEhAQDg4SEREMDBEREQ0NEhERDQ0RERENDREQEA4OERERDAwQEBENDREREAwMEhERDQ0SEBAODhIREQwMExARDQ0REBEMDA0ODgoKEA4ODQ0RDw8ODhEODg0NEA4ODQ0REA8ODhAQEA8PEQ8PDg4RDw8ODhEPDw4OERAPDg4QEBAPDxIPDw0NEBAPDg4RDw8ODREPDw4OEBAQDw8SDw4NDREPDw4OEg4PDQ0SDw8ODhAQEA8PEQ8PDQ0RDw8ODhEPDw0NDQsLCgoQDg4NDREODw4OEQ8PDAwRDg4MDBAPDw4OEA4ODg4QDw8ODhAPDw4OEA8PDg4QDw8ODhAPDg8PEQ8PDg4RDw8ODhEPDw4OEQ8QDg4QDg4ODhEPDw0NEQ8PDQ0QDw8NDREQEA4OEQ8ODw4RDw8NDREPDw0NEQ8PDQ0ODg4JCQ4ODhITDg8PExIODg4TEw8ODhMTDxAQExMPEBATEw8PDxMTDxAQExQPDw8TEw8PDxMTDxAQFBQPDw8SEw8PEBMUDw8PExIPDw8SEg8QEBUUDw8PExMPDw8TEw8PDhMUDw8PFBMPEBATFA8PDxMTDw8PFBUPDg8TEw4MDAkJDg4PFRMODg4SEw4PDxMUDg4OExMPDw8TFA8PDhUTDw8PFBMPDg8UFQ8PDxISDw8PFBUQDg4SEw8PDxQTDw8PEhUPDw8TEw8PDxMUEA8OFBMPEA8TEw8PDxMADg8PExMPDw8TEw8PDhQTDw8PFBMPDw8TEw8PDxQTDAwMDQ0QDxALCxAQEAwMERAQCwsREBAMCxEREQ0NEhAQDg4SEhENDREQEA0NERERDQ0REBEMDBEPEA0NERARDAwREBANDBEQEAwMEhERDQ0SEBANDhIREQwMERAQDAwREREMDBIREQ0NERAQDg4REREMDBEQEAwMEhERDAwNDg4JCRAODg0NEA8PDg4QDg4NDRAODg0NERAPDw8QDxAQDxEPDw4OEQ8PDw8RDw8ODhEPDw4OEA8QEBARDw8ODhAPDw4PEA8PDg4RDw8PDxAQEA8QEg8ODQ4RDw8ODhEODg0NEQ8PDg4QDw8PDxEPDg4OEQ8PDg4RDg4NDQ0LCwsLEA4ODAwQDg4NDRAODgwMEA4ODAwQDw8NDREODg4OEQ8PDQ0QDw8ODRAPDw0NEA8PDQ0QDg4ODhAPDw0NEA4PDQ0RDw8NDREPDw0NEA4ODg4RDw8MDBEODw0NEQ8PDAwQDw8NDREODg4OEQ8PDAwRDw8NDRAPDwwMDg8PCAgODg4TEg4PDxMUDg4OExMODg8TFA8QDxMVDxAQFRMPDw8UEw8QEBMUDw8PExIPEA8UEw8QEBMUDw8PExMPEA8UFA4PDxMTDw8PFRMPERATFA8ODwAVDw8PExQODg4TEw8PDxQTDxAQExMPDw8TEg8PDxQTDg4PEhIODAwJCQ4ODhISDg4OEhIODw4TEg4ODhMSDw8PExQPDg4SEg8PDxQTDw8PEhQPDw8TEg8PDxMTDw4OExUPDw8UFA8PDxITDg8PExQPDw8UEw8ODhMVDw8PEhMPDg8UEw4PDxUVDg8PExQPDg4TFA8PDxMUDw8OFBQODw8UEw0MDA0NERAQCwsREBAMDBIREAsLEhAQCwsRERENDRIQEA0NEhERDAwSEBANDRIREQwMEhERDQ0SEBAODhIQEQwMEhERDQ0REREMDBEREQwMERAPDQ0SEBALCxEQEAwMERARCwsSERENDBEQEA0NERERDAwREBEMDBIREQsLDg4OCQkQDg4NDREPDw4OEQ4ODQ0QDg4NDREPDw4OEBAQEA8SDw8ODhEQDw8PEQ8PDg4RDw8ODxAQEA8QEg8PDg4RDw8ODxEPDw4OEQ8PDg4QEBAPEBEODg0NEQ8PDg4SDw8NDREPDw4OEBAQDw8RDg4NDREPDw4OEQ4ODQ0NCwsLCxAODgwMEA4ODA0RDw4LCxEODgsLEQ8PDQ4RDg4ODhEPDw0NEQ4ODQ0RDw8NDREPDw0NEQ4ODg4RDw8NDRIODw0NEQ8PDQ0QDw8NDREODg0NEQ8PDAwQDg4MDBAPDwwMERAPDQ0RDg4NDREPDwwMEA8PDAwQDw8MDA0PDwgIDg4OEhMODw8TFA4ODhISDg8PEhIPEBATEw8QERQUDw8PExMPEBASFA8PDxMTDw8QEhIPERATEw8PDxIVDxAQFRQPDw8TFQ8QDxQTDxARFBQPDw8TEw8QEBUUDw8PExQPDw8TEw8QEBQTDw8PExMPEA8UFQ8PDxUTDgwMCAgODg4UEg4NDRMTDg4OExIPDg4TFA4PDxQUDw4OFRQPDw8UFA8PDhUTDw8PExMPDw8TFA8ODhQUDw8PExQPDg4TFA8PDxQUDw8PFBMPDg4UFQ8PDxQVDw4OFAAPEA8UFQ8PDxMUDw4OExMPDw8TFA8PDxMTDw8PEhQNDAwNDRIQEQwMERAQDAwRERALCxIQEAsLERESDQ0SEBAODhIREQ0NEhAQDQ0SEREMDBEREA0NERAQDQ4SEREMDBIQEAwNERARDAwREhENDRIQEA0NEhERDAwREBAMDBEREQsLERARDAwREBANDREQEAsLERAQDAwSEBELCw4ODgkJEA4PDQ0RDw8ODhEODgwMEA4ODQ0SDw8PDxEPEA8QEg8PDg4RDxAPDxEPDw4OEg8PDg4QEBAQDxEPDw4OEA8PDg4RDw8ODhEPDw4OERAQDw8RDw4NDREPDw4OEQ8PDQ0RDw8ODhAQEA8PEg8ODg4RDw8ODhIPDw0NDQwMCwsQDg4MDBAODg0NEQ8PDAwRDg4MDBEPDw4OEQ4ODg4RDw8NDREPDg0NEQ8PDQ0RDw8NDRAODg4OEQ8PDQ0QDg4NDRAPDw0NEQ8QDQ0RDg4ODREPDwwMEA8ODAwRDw8MDBAPEA0NEA4ODg0RDw8MDBAODgwMEQ8PDAwODw8ICA4ODhISDg8PExIODg4SEg4PDxMUDxAPFRIPEBASAA8PDxMUDxAQFAAPEA8TEg8PDxMTDxAQFRMPDw8TEw8QEBQUDw8PExMPDw8TEg8QEBQUDw4PFBMPDw8TFA8PDxMTDxAPExQPEBATFA8PDxMTDxAPFBQPDw8UEg0MDAgIDg4OExQODg4TEw4PDxQUDg4OEhMPDw8UAA8ODhIUDw8PExMPDw8VEw8PDxMUDw8PFBUPDg4UEw8PDxQTDw8OFRMPDw8TEg8PDxQTDw4OExMPDxAUEw8PDxQADw8PExUPDw8WFA8ODhYTDw8PExQPDg4UEw4PDxMVAEHwtCILEQIAAAABAAAAAwAAAAAAAAAEAEGQtSILigMBBgYGCAgGCAgHCQkKCwsICAgHCQkLDAwJCQkGBwcKCwsKCwsKCwsNDQ0MDAwKDAsODg4MDAwGBQUJBgYJBgYJBwcMCgoLBwYJBwcNCwsMBwcHCAgMCgoMCgoLCgoPDQ0NCQkMCwsPDg4PCwsIBwcMCwsMCwsLCwsODQ4ODAwMCwsQDw8ODAwACgoADAwADAwACwsADg4ACwsACwsADw8ACwsHCAgNCwsMCgoMCwsPDQ0OCwsMCgoQDg4PCgoJBwcNCwwNDAsMCwsPDg4ODAwNDAwQDw8PDAwACwsADAwADA0ADAwADw8ADAwADAwAEA8ADAwAAQAAAAAAAAACAAAAAQMDAAkJAAkJAAoKAAkJAAoKAAoKAAoKAAoKAAcHAAcHAAYGAAgIAAcHAAgIAAgIAAcHAAgIAAcHAAkJAAgJAAoKAAkJAAoKAAoLAAkJAAoKAAkJAAsLAAwMAAwMAAsLAAwMAA0NAAwMAA0NAAgIAAwMAAwMAA0NAA0NAA0NAA0NAA0NAA0NAAcHAEGzuCILOAkJAAsLAAwMAA0NAAwMAA0NAA0NAAwMAAwMAAkJAAwMAA0NAA4OAA0NAA4OAA4OAA0NAA4OAAcHAEGEuSILkwEBAAAAAAAAAAIAAAABBQUABwcACAgACQkADAwACAgACQkADQ0ACAgABgYACwsADAwADAwADg4ACwwADAwADw8ADAwABQUABQUABgYABwcACgoABgYABwcACwsABgYABwcACwsADAsACwsADg4ACgoADAwADw8ADAwABgYADAwADAwADAwADg4ACwsADAwAEBAADAwAQbO6Igs1CAgADAwADAwADAwADw8ADAwACwsAEBAACwsABgYADAwADAwADQ0ADw8ADAwADQ0ADw8ADAwAQYS7IgsPAQAAAAAAAAACAAAAAQICAEGEvSILPQEAAAAAAAAAAgAAAAQDBwkMEBADAgUHCw4PBwQFBgkMDwgFBQUICg4JBwYGCAoMDAoKBwYICg8MCgYEBwkAQdW9Igt++dVAAAAAAABA30AAAAAAAIjjQAAAAAAAcOdAAAAAAABY60AAAAAAAEDvQAAAAAAAiPNAAAAAAABw90AAAAAAAFj7QAAAAAAAQP9AAAAAAACIA0EAAAAAiIQOQXdhc20tbWVkaWEtZW5jb2RlcnMtMC43LjAAYXVkaW8vb2dnAEHgviILpxZPu2EFZ6zdPxgtRFT7Iek/m/aB0gtz7z8YLURU+yH5P+JlLyJ/K3o8B1wUMyamgTy9y/B6iAdwPAdcFDMmppE8AAAAAAAA4D8AAAAAAADgvwMAAAAEAAAABAAAAAYAAACD+aIARE5uAPwpFQDRVycA3TT1AGLbwAA8mZUAQZBDAGNR/gC73qsAt2HFADpuJADSTUIASQbgAAnqLgAcktEA6x3+ACmxHADoPqcA9TWCAES7LgCc6YQAtCZwAEF+XwDWkTkAU4M5AJz0OQCLX4QAKPm9APgfOwDe/5cAD5gFABEv7wAKWosAbR9tAM9+NgAJyycARk+3AJ5mPwAt6l8Auid1AOXrxwA9e/EA9zkHAJJSigD7a+oAH7FfAAhdjQAwA1YAe/xGAPCrawAgvM8ANvSaAOOpHQBeYZEACBvmAIWZZQCgFF8AjUBoAIDY/wAnc00ABgYxAMpWFQDJqHMAe+JgAGuMwAAZxEcAzWfDAAno3ABZgyoAi3bEAKYclgBEr90AGVfRAKU+BQAFB/8AM34/AMIy6ACYT94Au30yACY9wwAea+8An/heADUfOgB/8soA8YcdAHyQIQBqJHwA1W76ADAtdwAVO0MAtRTGAMMZnQCtxMIALE1BAAwAXQCGfUYA43EtAJvGmgAzYgAAtNJ8ALSnlwA3VdUA1z72AKMQGABNdvwAZJ0qAHDXqwBjfPgAerBXABcV5wDASVYAO9bZAKeEOAAkI8sA1op3AFpUIwAAH7kA8QobABnO3wCfMf8AZh5qAJlXYQCs+0cAfn/YACJltwAy6IkA5r9gAO/EzQBsNgkAXT/UABbe1wBYO94A3puSANIiKAAohugA4lhNAMbKMgAI4xYA4H3LABfAUADzHacAGOBbAC4TNACDEmIAg0gBAPWOWwCtsH8AHunyAEhKQwAQZ9MAqt3YAK5fQgBqYc4ACiikANOZtAAGpvIAXHd/AKPCgwBhPIgAinN4AK+MWgBv170ALaZjAPS/ywCNge8AJsFnAFXKRQDK2TYAKKjSAMJhjQASyXcABCYUABJGmwDEWcQAyMVEAE2ykQAAF/MA1EOtAClJ5QD91RAAAL78AB6UzABwzu4AEz71AOzxgACz58MAx/goAJMFlADBcT4ALgmzAAtF8wCIEpwAqyB7AC61nwBHksIAezIvAAxVbQByp5AAa+cfADHLlgB5FkoAQXniAPTfiQDolJcA4uaEAJkxlwCI7WsAX182ALv9DgBImrQAZ6RsAHFyQgCNXTIAnxW4ALzlCQCNMSUA93Q5ADAFHAANDAEASwhoACzuWABHqpAAdOcCAL3WJAD3faYAbkhyAJ8W7wCOlKYAtJH2ANFTUQDPCvIAIJgzAPVLfgCyY2gA3T5fAEBdAwCFiX8AVVIpADdkwABt2BAAMkgyAFtMdQBOcdQARVRuAAsJwQAq9WkAFGbVACcHnQBdBFAAtDvbAOp2xQCH+RcASWt9AB0nugCWaSkAxsysAK0UVACQ4moAiNmJACxyUAAEpL4AdweUAPMwcAAA/CcA6nGoAGbCSQBk4D0Al92DAKM/lwBDlP0ADYaMADFB3gCSOZ0A3XCMABe35wAI3zsAFTcrAFyAoABagJMAEBGSAA/o2ABsgK8A2/9LADiQDwBZGHYAYqUVAGHLuwDHibkAEEC9ANLyBABJdScA67b2ANsiuwAKFKoAiSYvAGSDdgAJOzMADpQaAFE6qgAdo8IAr+2uAFwmEgBtwk0ALXqcAMBWlwADP4MACfD2ACtAjABtMZkAObQHAAwgFQDYw1sA9ZLEAMatSwBOyqUApzfNAOapNgCrkpQA3UJoABlj3gB2jO8AaItSAPzbNwCuoasA3xUxAACuoQAM+9oAZE1mAO0FtwApZTAAV1a/AEf/OgBq+bkAdb7zACiT3wCrgDAAZoz2AATLFQD6IgYA2eQdAD2zpABXG48ANs0JAE5C6QATvqQAMyO1APCqGgBPZagA0sGlAAs/DwBbeM0AI/l2AHuLBACJF3IAxqZTAG9u4gDv6wAAm0pYAMTatwCqZroAds/PANECHQCx8S0AjJnBAMOtdwCGSNoA912gAMaA9ACs8C8A3eyaAD9cvADQ3m0AkMcfACrbtgCjJToAAK+aAK1TkwC2VwQAKS20AEuAfgDaB6cAdqoOAHtZoQAWEioA3LctAPrl/QCJ2/4Aib79AOR2bAAGqfwAPoBwAIVuFQD9h/8AKD4HAGFnMwAqGIYATb3qALPnrwCPbW4AlWc5ADG/WwCE10gAMN8WAMctQwAlYTUAyXDOADDLuAC/bP0ApACiAAVs5ABa3aAAIW9HAGIS0gC5XIQAcGFJAGtW4ACZUgEAUFU3AB7VtwAz8cQAE25fAF0w5ACFLqkAHbLDAKEyNgAIt6QA6rHUABb3IQCPaeQAJ/93AAwDgACNQC0AT82gACClmQCzotMAL10KALT5QgAR2ssAfb7QAJvbwQCrF70AyqKBAAhqXAAuVRcAJwBVAH8U8ADhB4YAFAtkAJZBjQCHvt4A2v0qAGsltgB7iTQABfP+ALm/ngBoak8ASiqoAE/EWgAt+LwA11qYAPTHlQANTY0AIDqmAKRXXwAUP7EAgDiVAMwgAQBx3YYAyd62AL9g9QBNZREAAQdrAIywrACywNAAUVVIAB77DgCVcsMAowY7AMBANQAG3HsA4EXMAE4p+gDWysgA6PNBAHxk3gCbZNgA2b4xAKSXwwB3WNQAaePFAPDaEwC6OjwARhhGAFV1XwDSvfUAbpLGAKwuXQAORO0AHD5CAGHEhwAp/ekA59bzACJ8ygBvkTUACODFAP/XjQBuauIAsP3GAJMIwQB8XXQAa62yAM1unQA+cnsAxhFqAPfPqQApc98Atcm6ALcAUQDisg0AdLokAOV9YAB02IoADRUsAIEYDAB+ZpQAASkWAJ96dgD9/b4AVkXvANl+NgDs2RMAi7q5AMSX/AAxqCcA8W7DAJTFNgDYqFYAtKi1AM/MDgASiS0Ab1c0ACxWiQCZzuMA1iC5AGteqgA+KpwAEV/MAP0LSgDh9PsAjjttAOKGLADp1IQA/LSpAO/u0QAuNckALzlhADghRAAb2cgAgfwKAPtKagAvHNgAU7SEAE6ZjABUIswAKlXcAMDG1gALGZYAGnC4AGmVZAAmWmAAP1LuAH8RDwD0tREA/Mv1ADS8LQA0vO4A6F3MAN1eYABnjpsAkjPvAMkXuABhWJsA4Ve8AFGDxgDYPhAA3XFIAC0c3QCvGKEAISxGAFnz1wDZepgAnlTAAE+G+gBWBvwA5XmuAIkiNgA4rSIAZ5PcAFXoqgCCJjgAyuebAFENpACZM7EAqdcOAGkFSABlsvAAf4inAIhMlwD50TYAIZKzAHuCSgCYzyEAQJ/cANxHVQDhdDoAZ+tCAP6d3wBe1F8Ae2ekALqsegBV9qIAK4gjAEG6VQBZbggAISqGADlHgwCJ4+YA5Z7UAEn7QAD/VukAHA/KAMVZigCU+isA08HFAA/FzwDbWq4AR8WGAIVDYgAhhjsALHmUABBhhwAqTHsAgCwaAEO/EgCIJpAAeDyJAKjE5ADl23sAxDrCACb06gD3Z4oADZK/AGWjKwA9k7EAvXwLAKRR3AAn3WMAaeHdAJqUGQCoKZUAaM4oAAnttABEnyAATpjKAHCCYwB+fCMAD7kyAKf1jgAUVucAIfEIALWdKgBvfk0ApRlRALX5qwCC39YAlt1hABY2AgDEOp8Ag6KhAHLtbQA5jXoAgripAGsyXABGJ1sAADTtANIAdwD89FUAAVlNAOBxgABBk9UiC11A+yH5PwAAAAAtRHQ+AAAAgJhG+DwAAABgUcx4OwAAAICDG/A5AAAAQCAlejgAAACAIoLjNgAAAAAd82k1AAAAAAAA8D8AAAAAAAD4PwAAAAAAAAAABtDPQ+v9TD4AQfvVIgsFQAO44j8AQYDWIgsfQKMBAIA6AwCwOgMA4DoDAMhXBQCwnAUAvJwFADCvWA==")}return i(x);})();
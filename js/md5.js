@@ -0,0 +1,110 @@
+/**
+ * MP3 Combiner - MD5
+ * 나누어 들어오는 데이터의 MD5 계산 (RFC 1321, FLAC STREAMINFO 서명용)
+ * Web Crypto는 MD5를 지원하지 않아 직접 구현
+ */
+
+class Md5 {
+    constructor() {
+        this.state = new Int32Array([0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476]);
+        this.block = new Uint8Array(64);
+        this.blockView = new DataView(this.block.buffer);
+        this.blockLength = 0;
+        this.totalLength = 0;
+        this.words = new Int32Array(16);
+    }
+
+    /**
+     * 데이터 추가
+     * @param {Uint8Array} bytes - 데이터
+     */
+    update(bytes) {
+        this.totalLength += bytes.length;
+        let offset = 0;
+
+        while (offset < bytes.length) {
+            const count = Math.min(64 - this.blockLength, bytes.length - offset);
+            this.block.set(bytes.subarray(offset, offset + count), this.blockLength);
+            this.blockLength += count;
+            offset += count;
+
+            if (this.blockLength === 64) {
+                this.processBlock();
+                this.blockLength = 0;
+            }
+        }
+    }
+
+    /**
+     * 패딩을 붙여 계산 완료
+     * @returns {Uint8Array} 16바이트 해시
+     */
+    digest() {
+        const bitLength = this.totalLength * 8;
+        const padding = new Uint8Array((this.blockLength < 56 ? 56 : 120) - this.blockLength + 8);
+        padding[0] = 0x80;
+
+        const view = new DataView(padding.buffer);
+        view.setUint32(padding.length - 8, bitLength % 0x100000000, true);
+        view.setUint32(padding.length - 4, Math.floor(bitLength / 0x100000000), true);
+        this.update(padding);
+
+        const hash = new Uint8Array(16);
+        const hashView = new DataView(hash.buffer);
+        this.state.forEach((value, index) => hashView.setInt32(index * 4, value, true));
+        return hash;
+    }
+
+    /**
+     * 64바이트 블록 하나 처리
+     */
+    processBlock() {
+        const x = this.words;
+        for (let i = 0; i < 16; i++) {
+            x[i] = this.blockView.getInt32(i * 4, true);
+        }
+
+        let [a, b, c, d] = this.state;
+        for (let i = 0; i < 64; i++) {
+            let f;
+            let g;
+            if (i < 16) {
+                f = (b & c) | (~b & d);
+                g = i;
+            } else if (i < 32) {
+                f = (d & b) | (~d & c);
+                g = (5 * i + 1) % 16;
+            } else if (i < 48) {
+                f = b ^ c ^ d;
+                g = (3 * i + 5) % 16;
+            } else {
+                f = c ^ (b | ~d);
+                g = (7 * i) % 16;
+            }
+
+            const sum = (a + f + Md5.K[i] + x[g]) | 0;
+            const shift = Md5.SHIFTS[i];
+            a = d;
+            d = c;
+            c = b;
+            b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+        }
+
+        this.state[0] += a;
+        this.state[1] += b;
+        this.state[2] += c;
+        this.state[3] += d;
+    }
+}
+
+// 라운드별 회전 크기와 상수 (floor(abs(sin(i + 1)) * 2^32))
+Md5.SHIFTS = [
+    7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+    5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+    4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+    6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+];
+Md5.K = Int32Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000));
+
+// 전역으로 내보내기 (window와 Worker 모두 self 사용)
+self.Md5 = Md5;
@@ -0,0 +1,442 @@
+/**
+ * MP3 Combiner - MP3 Frames
+ * MPEG 오디오 프레임 분석과 재인코딩 없는 MP3 이어 붙이기 (Xing/Info 헤더 새로 작성)
+ * LAME 태그의 인코더 지연/패딩 값으로 갭리스 재생 정보 읽기/쓰기
+ */
+
+class Mp3Frames {
+    /**
+     * 프레임 헤더 파싱 (Layer III만 지원)
+     * @param {Uint8Array} bytes - 데이터
+     * @param {number} offset - 헤더 위치
+     * @returns {Object|null} {version, sampleRate, bitrate, channels, channelMode, frameLength, samplesPerFrame, sideInfoLength}
+     */
+    static parseHeader(bytes, offset) {
+        if (offset + 4 > bytes.length) return null;
+        if (bytes[offset] !== 0xFF || (bytes[offset + 1] & 0xE0) !== 0xE0) return null;
+
+        const versionBits = (bytes[offset + 1] >> 3) & 0x03;  // 0: 2.5, 2: 2, 3: 1
+        const layerBits = (bytes[offset + 1] >> 1) & 0x03;    // 1: Layer III
+        const bitrateIndex = bytes[offset + 2] >> 4;
+        const sampleRateIndex = (bytes[offset + 2] >> 2) & 0x03;
+        const padding = (bytes[offset + 2] >> 1) & 0x01;
+        const channelModeBits = bytes[offset + 3] >> 6;       // 3: 모노
+
+        if (versionBits === 1 || layerBits !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+            return null;
+        }
+
+        const isMpeg1 = versionBits === 3;
+        const bitrate = (isMpeg1 ? Mp3Frames.BITRATES_V1 : Mp3Frames.BITRATES_V2)[bitrateIndex];
+        const sampleRate = Mp3Frames.SAMPLE_RATES[sampleRateIndex] / (isMpeg1 ? 1 : versionBits === 2 ? 2 : 4);
+        const samplesPerFrame = isMpeg1 ? 1152 : 576;
+        const channels = channelModeBits === 3 ? 1 : 2;
+
+        return {
+            version: isMpeg1 ? 1 : versionBits === 2 ? 2 : 2.5,
+            sampleRate,
+            bitrate,
+            channels,
+            channelMode: ['stereo', 'joint', 'dual', 'mono'][channelModeBits],
+            frameLength: Math.floor((samplesPerFrame / 8) * bitrate * 1000 / sampleRate) + padding,
+            samplesPerFrame,
+            sideInfoLength: isMpeg1 ? (channels === 1 ? 17 : 32) : (channels === 1 ? 9 : 17)
+        };
+    }
+
+    /**
+     * MP3 파일의 오디오 프레임 분석
+     * 앞의 ID3v2 태그, 끝의 ID3v1/APEv2 태그, 첫 프레임의 Xing/Info/VBRI 헤더는 제외하고 실제 오디오 프레임만 모음
+     * @param {File} file - MP3 파일
+     * @returns {Promise<Object|null>} {ranges, frameCount, byteLength, sampleRate, channels, version, samplesPerFrame, sideInfoLength, bitrates, frameOffsets, encoderHeader, gapless} (MP3가 아니면 null)
+     */
+    static async analyze(file) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        let position = 0;
+        let end = bytes.length;
+
+        // 앞쪽 ID3v2 태그 (여러 개일 수 있음)
+        while (position + 10 <= end && bytes[position] === 0x49 && bytes[position + 1] === 0x44 && bytes[position + 2] === 0x33) {
+            const size = (bytes[position + 6] << 21) | (bytes[position + 7] << 14) | (bytes[position + 8] << 7) | bytes[position + 9];
+            position += 10 + size + (bytes[position + 5] & 0x10 ? 10 : 0);
+        }
+
+        // 뒤쪽 ID3v1 / APEv2 태그
+        if (end >= 128 && Mp3Frames.matchString(bytes, end - 128, 'TAG')) {
+            end -= 128;
+        }
+        if (end >= 32 && Mp3Frames.matchString(bytes, end - 32, 'APETAGEX')) {
+            const view = new DataView(bytes.buffer, end - 32);
+            end -= view.getUint32(12, true) + (view.getUint32(20, true) & 0x80000000 ? 32 : 0);
+        }
+
+        const first = Mp3Frames.findFrame(bytes, position, end);
+        if (first === -1) return null;
+
+        const reference = Mp3Frames.parseHeader(bytes, first);
+        const result = {
+            ranges: [],
+            frameOffsets: [],
+            bitrates: new Set(),
+            frameCount: 0,
+            byteLength: 0,
+            sampleRate: reference.sampleRate,
+            channels: reference.channels,
+            version: reference.version,
+            samplesPerFrame: reference.samplesPerFrame,
+            sideInfoLength: reference.sideInfoLength,
+            encoderHeader: Mp3Frames.readEncoderHeader(bytes, first, reference)
+        };
+        result.gapless = result.encoderHeader ? result.encoderHeader.gapless : null;
+
+        // 인코더 정보 프레임은 오디오가 아니므로 건너뜀
+        position = result.encoderHeader ? first + reference.frameLength : first;
+
+        while (position < end) {
+            const header = Mp3Frames.parseHeader(bytes, position);
+            if (!header || header.sampleRate !== reference.sampleRate || position + header.frameLength > end) {
+                // 동기가 깨진 경우 다음 프레임 찾기
+                const next = Mp3Frames.findFrame(bytes, position + 1, end);
+                if (next === -1) break;
+                position = next;
+                continue;
+            }
+
+            if (header.channels !== result.channels) {
+                throw new Error('파일 중간에 채널 구성이 바뀝니다.');
+            }
+
+            // 연속된 프레임은 하나의 범위로 묶음
+            const lastRange = result.ranges[result.ranges.length - 1];
+            if (lastRange && lastRange.end === position) {
+                lastRange.end += header.frameLength;
+            } else {
+                result.ranges.push({ start: position, end: position + header.frameLength });
+            }
+
+            result.frameOffsets.push(result.byteLength);
+            result.bitrates.add(header.bitrate);
+            result.frameCount++;
+            result.byteLength += header.frameLength;
+            position += header.frameLength;
+        }
+
+        return result;
+    }
+
+    /**
+     * 유효한 프레임 헤더 찾기 (다음 프레임도 이어지는 위치만 인정하여 잘못된 동기 패턴 배제)
+     * @returns {number} 위치 (없으면 -1)
+     */
+    static findFrame(bytes, start, end) {
+        for (let i = start; i + 4 <= end; i++) {
+            const header = Mp3Frames.parseHeader(bytes, i);
+            if (!header) continue;
+
+            const next = i + header.frameLength;
+            if (next + 4 > end || Mp3Frames.parseHeader(bytes, next)) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * 첫 프레임의 인코더 정보 헤더 확인 (Xing/Info: 사이드 정보 뒤, VBRI: 헤더 뒤 32바이트)
+     * Xing 헤더 뒤에 LAME 태그가 있으면 인코더 지연/패딩도 읽음
+     * @returns {Object|null} {type, offset, gapless: {delay, padding}|null}
+     */
+    static readEncoderHeader(bytes, offset, header) {
+        const xingOffset = offset + 4 + header.sideInfoLength;
+        if (Mp3Frames.matchString(bytes, xingOffset, 'Xing') || Mp3Frames.matchString(bytes, xingOffset, 'Info')) {
+            return { type: 'xing', offset: xingOffset, gapless: Mp3Frames.readLameTag(bytes, xingOffset) };
+        }
+        if (Mp3Frames.matchString(bytes, offset + 36, 'VBRI')) {
+            return { type: 'vbri', offset: offset + 36, gapless: null };
+        }
+        return null;
+    }
+
+    /**
+     * Xing 헤더 뒤의 LAME 태그에서 인코더 지연/패딩 읽기 (FFmpeg가 쓰는 Lavf/Lavc 태그도 같은 구조)
+     * @param {Uint8Array} bytes - 데이터
+     * @param {number} xingOffset - Xing 헤더 위치
+     * @returns {{delay: number, padding: number}|null} 앞쪽 지연과 끝 패딩 (샘플)
+     */
+    static readLameTag(bytes, xingOffset) {
+        // 플래그에 따라 프레임 수(4), 바이트 수(4), TOC(100), 품질(4) 필드가 있음
+        const flags = new DataView(bytes.buffer, bytes.byteOffset).getUint32(xingOffset + 4);
+        const position = xingOffset + 8 + (flags & 1 ? 4 : 0) + (flags & 2 ? 4 : 0) + (flags & 4 ? 100 : 0) + (flags & 8 ? 4 : 0);
+
+        if (position + Mp3Frames.LAME_TAG_LENGTH > bytes.length ||
+            !['LAME', 'Lavf', 'Lavc'].some(name => Mp3Frames.matchString(bytes, position, name))) {
+            return null;
+        }
+
+        // 21~23번째 바이트: 지연 12비트 + 패딩 12비트
+        return {
+            delay: (bytes[position + 21] << 4) | (bytes[position + 22] >> 4),
+            padding: ((bytes[position + 22] & 0x0F) << 8) | bytes[position + 23]
+        };
+    }
+
+    /**
+     * 디코딩 결과에서 잘라낼 구간 계산용 갭리스 정보
+     * 디코더는 LAME 지연 외에 디코더 지연(529샘플)만큼 늦게 소리를 출력함
+     * @param {Object|null} analysis - analyze 결과
+     * @returns {{sampleRate: number, start: number, length: number, rawLength: number}|null} 원본 샘플레이트 기준 (정보가 없으면 null)
+     */
+    static getGaplessInfo(analysis) {
+        if (!analysis || !analysis.gapless) return null;
+
+        const { delay, padding } = analysis.gapless;
+        const rawLength = analysis.frameCount * analysis.samplesPerFrame;
+        const length = rawLength - delay - padding;
+        if (length <= 0) return null;
+
+        return {
+            sampleRate: analysis.sampleRate,
+            start: delay + Mp3Frames.DECODER_DELAY,
+            length,
+            rawLength
+        };
+    }
+
+    /**
+     * 여러 MP3 파일이 재인코딩 없이 이어 붙일 수 있는지 확인
+     * @param {Object[]} analyses - analyze 결과 목록
+     * @returns {string|null} 불가능한 이유 (가능하면 null)
+     */
+    static getIncompatibility(analyses) {
+        if (analyses.some(analysis => !analysis || analysis.frameCount === 0)) {
+            return 'MP3가 아니거나 오디오 프레임을 찾을 수 없는 파일이 있습니다.';
+        }
+
+        const [reference] = analyses;
+        if (analyses.some(analysis => analysis.sampleRate !== reference.sampleRate || analysis.version !== reference.version)) {
+            return '샘플레이트가 다른 파일이 있습니다.';
+        }
+        if (analyses.some(analysis => analysis.channels !== reference.channels)) {
+            return '모노와 스테레오 파일이 섞여 있습니다.';
+        }
+        return null;
+    }
+
+    /**
+     * 분석된 파일들의 프레임을 이어 붙이고 앞에 새 Xing/Info 프레임 추가
+     * 프레임 데이터는 복사하지 않고 File.slice로 참조함
+     * @param {File[]} files - MP3 파일
+     * @param {Object[]} analyses - analyze 결과 목록
+     * @returns {{parts: Array<Blob|Uint8Array>, encoding: Object, segments: Array<{startTime: number, endTime: number}>, duration: number}}
+     */
+    static concat(files, analyses) {
+        const [reference] = analyses;
+        const frameCount = analyses.reduce((sum, analysis) => sum + analysis.frameCount, 0);
+        const audioBytes = analyses.reduce((sum, analysis) => sum + analysis.byteLength, 0);
+        const bitrates = new Set(analyses.flatMap(analysis => Array.from(analysis.bitrates)));
+        const isVbr = bitrates.size > 1;
+
+        // 전체 스트림 기준 프레임 위치 (TOC 계산용)
+        const frameOffsets = [];
+        let baseOffset = 0;
+        analyses.forEach(analysis => {
+            analysis.frameOffsets.forEach(offset => frameOffsets.push(baseOffset + offset));
+            baseOffset += analysis.byteLength;
+        });
+
+        // 이어 붙인 스트림의 앞 지연은 첫 파일, 끝 패딩은 마지막 파일 값 (중간 파일의 지연/패딩은 그대로 남음)
+        const last = analyses[analyses.length - 1];
+        const xingFrame = Mp3Frames.createXingFrame(reference, {
+            tag: isVbr ? 'Xing' : 'Info',
+            frameCount,
+            audioBytes,
+            frameOffsets,
+            gapless: reference.gapless && last.gapless
+                ? { delay: reference.gapless.delay, padding: last.gapless.padding }
+                : null
+        });
+
+        const parts = [xingFrame];
+        files.forEach((file, index) => {
+            analyses[index].ranges.forEach(range => parts.push(file.slice(range.start, range.end)));
+        });
+
+        // 파일별 구간 (프레임 수 기준)
+        const frameDuration = reference.samplesPerFrame / reference.sampleRate;
+        const segments = [];
+        let startTime = 0;
+        analyses.forEach(analysis => {
+            const endTime = startTime + analysis.frameCount * frameDuration;
+            segments.push({ startTime, endTime });
+            startTime = endTime;
+        });
+
+        const duration = frameCount * frameDuration;
+        return {
+            parts,
+            segments,
+            duration,
+            encoding: {
+                format: 'mp3',
+                mode: 'copy',
+                bitrate: Math.round((audioBytes * 8) / duration / 1000),
+                vbr: isVbr,
+                channelMode: reference.channels === 1 ? 'mono' : 'joint',
+                sampleRate: reference.sampleRate
+            }
+        };
+    }
+
+    /**
+     * Xing/Info 헤더를 담은 무음 프레임 생성 (프레임 수, 바이트 수, 100단계 TOC 포함)
+     * 갭리스 정보가 있으면 뒤에 LAME 태그(인코더 지연/패딩)도 기록
+     * @param {Object} reference - 기준 프레임 정보 (version, sampleRate, channels, sideInfoLength)
+     * @param {Object} info - {tag: 'Xing'|'Info', frameCount, audioBytes, frameOffsets, gapless: {delay, padding}|null}
+     * @returns {Uint8Array}
+     */
+    static createXingFrame(reference, info) {
+        const isMpeg1 = reference.version === 1;
+        const bitrates = isMpeg1 ? Mp3Frames.BITRATES_V1 : Mp3Frames.BITRATES_V2;
+        const samplesPerFrame = isMpeg1 ? 1152 : 576;
+        const required = 4 + reference.sideInfoLength + 120 + Mp3Frames.LAME_TAG_LENGTH;
+
+        // Xing 헤더가 들어갈 수 있는 가장 낮은 비트레이트 선택
+        let bitrateIndex = 1;
+        while (bitrateIndex < 14 && Math.floor((samplesPerFrame / 8) * bitrates[bitrateIndex] * 1000 / reference.sampleRate) < required) {
+            bitrateIndex++;
+        }
+        const frameLength = Math.floor((samplesPerFrame / 8) * bitrates[bitrateIndex] * 1000 / reference.sampleRate);
+
+        const frame = new Uint8Array(frameLength);
+        const versionBits = isMpeg1 ? 3 : reference.version === 2 ? 2 : 0;
+        const sampleRateIndex = Mp3Frames.SAMPLE_RATES.indexOf(reference.sampleRate * (isMpeg1 ? 1 : versionBits === 2 ? 2 : 4));
+        frame[0] = 0xFF;
+        frame[1] = 0xE0 | (versionBits << 3) | (1 << 1) | 1; // Layer III, CRC 없음
+        frame[2] = (bitrateIndex << 4) | (sampleRateIndex << 2);
+        frame[3] = (reference.channels === 1 ? 3 : 1) << 6;   // 모노 또는 조인트 스테레오
+
+        const offset = 4 + reference.sideInfoLength;
+        const view = new DataView(frame.buffer);
+        Mp3Frames.writeString(frame, offset, info.tag);
+        view.setUint32(offset + 4, 0x0F);                          // 프레임 수, 바이트 수, TOC, 품질
+        view.setUint32(offset + 8, info.frameCount);               // 오디오 프레임 수 (Xing 프레임 제외)
+        view.setUint32(offset + 12, info.audioBytes + frameLength); // 바이트 수 (Xing 프레임 포함)
+
+        // TOC: 재생 위치 i%에 해당하는 파일 위치를 0~255로 표시
+        const totalBytes = info.audioBytes + frameLength;
+        for (let i = 0; i < 100; i++) {
+            const frameIndex = Math.min(info.frameOffsets.length - 1, Math.floor((i / 100) * info.frameOffsets.length));
+            const position = frameLength + (info.frameOffsets[frameIndex] || 0);
+            frame[offset + 16 + i] = Math.min(255, Math.floor((position / totalBytes) * 256));
+        }
+        view.setUint32(offset + 116, 0); // 품질 (알 수 없음)
+
+        if (info.gapless) {
+            Mp3Frames.writeLameTag(frame, offset + 120, {
+                isVbr: info.tag === 'Xing',
+                bitrate: Math.round((info.audioBytes * 8 * reference.sampleRate) / (info.frameCount * samplesPerFrame * 1000)),
+                delay: info.gapless.delay,
+                padding: info.gapless.padding,
+                musicLength: totalBytes
+            });
+        }
+
+        return frame;
+    }
+
+    /**
+     * LAME 태그 기록 (지연/패딩 외의 음질 관련 필드는 0)
+     * @param {Uint8Array} frame - Xing 프레임
+     * @param {number} position - 태그 위치 (Xing 헤더 바로 뒤)
+     * @param {Object} info - {isVbr, bitrate, delay, padding, musicLength}
+     */
+    static writeLameTag(frame, position, info) {
+        const view = new DataView(frame.buffer);
+        const delay = Math.min(0xFFF, Math.max(0, info.delay));
+        const padding = Math.min(0xFFF, Math.max(0, info.padding));
+
+        Mp3Frames.writeString(frame, position, Mp3Frames.LAME_VERSION);
+        frame[position + 9] = info.isVbr ? 4 : 1;               // 태그 버전 0, VBR 방식 (1: CBR, 4: VBR)
+        frame[position + 20] = info.isVbr ? 0 : Math.min(255, info.bitrate);
+        frame[position + 21] = delay >> 4;
+        frame[position + 22] = ((delay & 0x0F) << 4) | (padding >> 8);
+        frame[position + 23] = padding & 0xFF;
+        view.setUint32(position + 28, info.musicLength);        // 음악 길이 (Xing 프레임부터 끝까지 바이트)
+
+        // 마지막 2바이트: 프레임 처음부터 태그 CRC 직전까지의 CRC-16
+        view.setUint16(position + 34, Mp3Frames.crc16(frame.subarray(0, position + 34)));
+    }
+
+    /**
+     * 인코더 출력 앞에 갭리스 정보를 담은 Xing/Info 프레임 추가
+     * 지연은 LAME 기본값, 패딩은 전체 프레임 샘플 수에서 지연과 원본 길이를 뺀 값
+     * @param {Blob} blob - 인코더가 출력한 MP3 프레임 (태그 없음)
+     * @param {number} sampleCount - 인코딩한 샘플 수
+     * @param {boolean} isVbr - VBR 여부
+     * @returns {Promise<Blob>}
+     */
+    static async addInfoFrame(blob, sampleCount, isVbr) {
+        const analysis = await Mp3Frames.analyze(blob);
+        if (!analysis || analysis.frameCount === 0) {
+            return blob;
+        }
+
+        const delay = Mp3Frames.ENCODER_DELAY;
+        const frame = Mp3Frames.createXingFrame(analysis, {
+            tag: isVbr ? 'Xing' : 'Info',
+            frameCount: analysis.frameCount,
+            audioBytes: analysis.byteLength,
+            frameOffsets: analysis.frameOffsets,
+            gapless: { delay, padding: analysis.frameCount * analysis.samplesPerFrame - delay - sampleCount }
+        });
+
+        return new Blob([frame, blob], { type: blob.type });
+    }
+
+    /**
+     * CRC-16 (다항식 0x8005, 반사 입력, LAME 태그 형식)
+     * @param {Uint8Array} bytes
+     * @returns {number}
+     */
+    static crc16(bytes) {
+        let crc = 0;
+        for (let i = 0; i < bytes.length; i++) {
+            crc ^= bytes[i];
+            for (let bit = 0; bit < 8; bit++) {
+                crc = crc & 1 ? (crc >>> 1) ^ 0xA001 : crc >>> 1;
+            }
+        }
+        return crc;
+    }
+
+    /**
+     * 지정 위치의 바이트가 문자열과 같은지 확인
+     */
+    static matchString(bytes, offset, string) {
+        if (offset < 0 || offset + string.length > bytes.length) return false;
+        for (let i = 0; i < string.length; i++) {
+            if (bytes[offset + i] !== string.charCodeAt(i)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * 문자열을 바이트로 기록
+     */
+    static writeString(bytes, offset, string) {
+        for (let i = 0; i < string.length; i++) {
+            bytes[offset + i] = string.charCodeAt(i);
+        }
+    }
+}
+
+Mp3Frames.BITRATES_V1 = [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320];
+Mp3Frames.BITRATES_V2 = [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160];
+Mp3Frames.SAMPLE_RATES = [44100, 48000, 32000];
+Mp3Frames.LAME_TAG_LENGTH = 36; // Xing 헤더 뒤 LAME 확장 태그 공간
+Mp3Frames.LAME_VERSION = 'LAME3.100';
+Mp3Frames.ENCODER_DELAY = 576; // LAME 인코더 지연 (샘플)
+Mp3Frames.DECODER_DELAY = 529; // MP3 디코더 지연 (샘플)
+
+// 전역으로 내보내기
+window.Mp3Frames = Mp3Frames;
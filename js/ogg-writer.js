@@ -0,0 +1,309 @@
+/**
+ * MP3 Combiner - Ogg Writer
+ * Ogg 컨테이너 페이지 생성 (RFC 3533), Opus 헤더 (RFC 7845), 인코딩된 Ogg 스트림의 comment header 교체
+ */
+
+class OggWriter {
+    /**
+     * @param {number} serial - 스트림 일련번호 (없으면 임의 값)
+     */
+    constructor(serial = Math.floor(Math.random() * 0x100000000)) {
+        this.serial = serial >>> 0;
+        this.sequence = 0;
+        this.pages = [];
+        this.segments = [];          // 현재 페이지의 세그먼트 (각 255바이트 이하)
+        this.granulePosition = -1;   // 현재 페이지에서 끝난 마지막 패킷의 위치 (끝난 패킷이 없으면 -1)
+        this.continued = false;      // 현재 페이지가 이전 페이지의 패킷을 이어 받는지 여부
+    }
+
+    /**
+     * 패킷 추가 (255바이트 단위 세그먼트로 나누어 페이지에 담음)
+     * @param {Uint8Array} packet - 패킷 데이터
+     * @param {number} granulePosition - 패킷이 끝나는 위치 (코덱별 단위)
+     * @param {Object} options - 옵션
+     * @param {boolean} options.flush - 패킷 뒤에서 페이지를 닫음 (헤더 패킷용)
+     * @param {boolean} options.last - 마지막 패킷 (EOS 페이지로 닫음)
+     */
+    writePacket(packet, granulePosition, options = {}) {
+        // 길이가 255의 배수이면 0바이트 세그먼트로 패킷 끝을 표시
+        const segmentCount = Math.floor(packet.length / 255) + 1;
+
+        for (let i = 0; i < segmentCount; i++) {
+            this.segments.push(packet.subarray(i * 255, Math.min(packet.length, (i + 1) * 255)));
+            if (i === segmentCount - 1) {
+                this.granulePosition = granulePosition;
+            }
+            if (this.segments.length === 255) {
+                this.flushPage(false, i < segmentCount - 1);
+            }
+        }
+
+        const bodyLength = this.segments.reduce((sum, segment) => sum + segment.length, 0);
+        if (options.last) {
+            this.flushPage(true);
+        } else if (options.flush || bodyLength >= OggWriter.PAGE_SIZE) {
+            this.flushPage();
+        }
+    }
+
+    /**
+     * 현재 페이지 닫기
+     * @param {boolean} isLast - EOS 페이지 여부
+     * @param {boolean} packetContinues - 마지막 패킷이 다음 페이지로 이어지는지 여부
+     */
+    flushPage(isLast = false, packetContinues = false) {
+        if (this.segments.length === 0 && !isLast) return;
+
+        const headerType = (this.continued ? 0x01 : 0) | (this.sequence === 0 ? 0x02 : 0) | (isLast ? 0x04 : 0);
+        this.pages.push(OggWriter.createPage(headerType, this.granulePosition, this.serial, this.sequence, this.segments));
+
+        this.sequence++;
+        this.segments = [];
+        this.granulePosition = -1;
+        this.continued = packetContinues;
+    }
+
+    /**
+     * 완성된 페이지 목록
+     * @returns {Uint8Array[]}
+     */
+    getPages() {
+        return this.pages;
+    }
+
+    /**
+     * Ogg 페이지 생성 (27바이트 헤더 + 세그먼트 테이블 + 본문, CRC는 CRC 필드를 0으로 두고 계산)
+     * @param {number} headerType - 플래그 (0x01: 이어짐, 0x02: BOS, 0x04: EOS)
+     * @param {number} granulePosition - 위치 (-1이면 끝난 패킷 없음)
+     * @param {number} serial - 스트림 일련번호
+     * @param {number} sequence - 페이지 번호
+     * @param {Uint8Array[]} segments - 세그먼트
+     * @returns {Uint8Array}
+     */
+    static createPage(headerType, granulePosition, serial, sequence, segments) {
+        const bodyLength = segments.reduce((sum, segment) => sum + segment.length, 0);
+        const page = new Uint8Array(27 + segments.length + bodyLength);
+        const view = new DataView(page.buffer);
+
+        page.set([0x4F, 0x67, 0x67, 0x53]); // "OggS", 버전 0
+        page[5] = headerType;
+        // 64비트 위치 (리틀 엔디언, -1은 모든 비트 1)
+        if (granulePosition < 0) {
+            view.setUint32(6, 0xFFFFFFFF, true);
+            view.setUint32(10, 0xFFFFFFFF, true);
+        } else {
+            view.setUint32(6, granulePosition % 0x100000000, true);
+            view.setUint32(10, Math.floor(granulePosition / 0x100000000), true);
+        }
+        view.setUint32(14, serial, true);
+        view.setUint32(18, sequence, true);
+        page[26] = segments.length;
+
+        let position = 27 + segments.length;
+        segments.forEach((segment, index) => {
+            page[27 + index] = segment.length;
+            page.set(segment, position);
+            position += segment.length;
+        });
+
+        view.setUint32(22, OggWriter.crc32(page), true);
+        return page;
+    }
+
+    /**
+     * Ogg CRC-32 (다항식 0x04C11DB7, 반사 없음, 초깃값 0)
+     * @param {Uint8Array} bytes - 데이터
+     * @returns {number}
+     */
+    static crc32(bytes) {
+        const table = OggWriter.getCrcTable();
+        let crc = 0;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = (crc << 8) ^ table[((crc >>> 24) ^ bytes[i]) & 0xFF];
+        }
+        return crc >>> 0;
+    }
+
+    /**
+     * CRC 표 (최초 1회만 계산)
+     * @returns {Uint32Array}
+     */
+    static getCrcTable() {
+        if (!OggWriter.crcTable) {
+            const table = new Uint32Array(256);
+            for (let i = 0; i < 256; i++) {
+                let crc = i << 24;
+                for (let bit = 0; bit < 8; bit++) {
+                    crc = crc & 0x80000000 ? (crc << 1) ^ 0x04C11DB7 : crc << 1;
+                }
+                table[i] = crc >>> 0;
+            }
+            OggWriter.crcTable = table;
+        }
+        return OggWriter.crcTable;
+    }
+
+    /**
+     * Opus 식별 헤더 (OpusHead, 채널 매핑 0: 모노/스테레오)
+     * @param {number} channels - 채널 수 (1 또는 2)
+     * @param {number} preSkip - 디코딩 후 버릴 앞부분 샘플 수 (48kHz 기준)
+     * @param {number} inputSampleRate - 원본 샘플레이트 (정보용)
+     * @returns {Uint8Array}
+     */
+    static createOpusHead(channels, preSkip, inputSampleRate) {
+        const head = new Uint8Array(19);
+        const view = new DataView(head.buffer);
+        head.set(new TextEncoder().encode('OpusHead'));
+        head[8] = 1; // 버전
+        head[9] = channels;
+        view.setUint16(10, preSkip, true);
+        view.setUint32(12, inputSampleRate, true);
+        view.setInt16(16, 0, true); // 출력 게인
+        head[18] = 0; // 채널 매핑 방식
+        return head;
+    }
+
+    /**
+     * 코덱에 맞는 comment header 패킷 생성
+     * @param {string} codec - 'opus' 또는 'vorbis'
+     * @param {Uint8Array} comment - Vorbis comment 본문 (VorbisCommentWriter.createComment 결과)
+     * @returns {Uint8Array}
+     */
+    static createCommentPacket(codec, comment) {
+        if (codec === 'opus') {
+            return OggWriter.concat([new TextEncoder().encode('OpusTags'), comment]);
+        }
+        // Vorbis: 패킷 종류 3 + "vorbis" + 본문 + 프레이밍 비트
+        return OggWriter.concat([new Uint8Array([0x03, 0x76, 0x6F, 0x72, 0x62, 0x69, 0x73]), comment, new Uint8Array([0x01])]);
+    }
+
+    /**
+     * 인코딩된 Ogg(Vorbis/Opus) 스트림의 comment header를 새 태그로 교체
+     * 헤더 패킷만 다시 페이지로 만들고 오디오 페이지는 페이지 번호와 CRC만 고쳐 그대로 사용
+     * @param {Uint8Array} bytes - Ogg 파일
+     * @param {Object} tags - 태그 (VorbisCommentWriter.createComment 참고)
+     * @param {Array<{title: string, startTime: number}>} chapters - 챕터 목록
+     * @returns {Uint8Array[]} 새 파일 데이터
+     */
+    static replaceComment(bytes, tags, chapters = []) {
+        const pages = OggWriter.readPages(bytes);
+        if (pages.length === 0) {
+            throw new Error('Ogg 스트림을 읽을 수 없습니다.');
+        }
+
+        // 헤더 패킷 수집 (Opus: 식별/태그 2개, Vorbis: 식별/태그/설정 3개, 헤더는 항상 페이지 끝에서 끝남)
+        const packets = [];
+        let current = [];
+        let headerCount = 0;
+        let audioPageIndex = pages.length;
+
+        for (let index = 0; index < pages.length; index++) {
+            const page = pages[index];
+            let offset = page.bodyOffset;
+            page.segments.forEach(size => {
+                current.push(bytes.subarray(offset, offset + size));
+                offset += size;
+                if (size < 255) {
+                    packets.push(OggWriter.concat(current));
+                    current = [];
+                }
+            });
+
+            if (packets.length > 0 && headerCount === 0) {
+                headerCount = OggWriter.matchString(packets[0], 0, 'OpusHead') ? 2 : 3;
+            }
+            if (headerCount > 0 && packets.length >= headerCount) {
+                audioPageIndex = index + 1;
+                break;
+            }
+        }
+
+        if (headerCount === 0 || packets.length < headerCount) {
+            throw new Error('Ogg 헤더 패킷을 찾을 수 없습니다.');
+        }
+
+        // 기존 벤더 문자열 유지
+        const codec = headerCount === 2 ? 'opus' : 'vorbis';
+        const commentOffset = codec === 'opus' ? 8 : 7;
+        const oldComment = packets[1];
+        const vendorLength = new DataView(oldComment.buffer, oldComment.byteOffset + commentOffset, 4).getUint32(0, true);
+        const vendor = new TextDecoder().decode(oldComment.subarray(commentOffset + 4, commentOffset + 4 + vendorLength));
+
+        const writer = new OggWriter(pages[0].serial);
+        writer.writePacket(packets[0], 0, { flush: true });
+        writer.writePacket(OggWriter.createCommentPacket(codec, VorbisCommentWriter.createComment(vendor, tags, chapters)), 0, { flush: codec === 'opus' });
+        if (codec === 'vorbis') {
+            writer.writePacket(packets[2], 0, { flush: true });
+        }
+
+        // 오디오 페이지는 번호만 다시 매김
+        const output = writer.getPages();
+        for (let index = audioPageIndex; index < pages.length; index++) {
+            const page = bytes.slice(pages[index].offset, pages[index].offset + pages[index].length);
+            const view = new DataView(page.buffer);
+            view.setUint32(18, writer.sequence++, true);
+            view.setUint32(22, 0, true);
+            view.setUint32(22, OggWriter.crc32(page), true);
+            output.push(page);
+        }
+
+        return output;
+    }
+
+    /**
+     * Ogg 페이지 목록 읽기 (첫 번째 논리 스트림만, 잘못된 페이지에서 멈춤)
+     * @param {Uint8Array} bytes - Ogg 파일
+     * @returns {Array<{offset: number, length: number, serial: number, segments: number[], bodyOffset: number}>}
+     */
+    static readPages(bytes) {
+        const pages = [];
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let offset = 0;
+
+        while (offset + 27 <= bytes.length && OggWriter.matchString(bytes, offset, 'OggS')) {
+            const serial = view.getUint32(offset + 14, true);
+            const segmentCount = bytes[offset + 26];
+            const segments = Array.from(bytes.subarray(offset + 27, offset + 27 + segmentCount));
+            const bodyLength = segments.reduce((sum, size) => sum + size, 0);
+            const length = 27 + segmentCount + bodyLength;
+
+            if (offset + length > bytes.length) break;
+            if (pages.length === 0 || serial === pages[0].serial) {
+                pages.push({ offset, length, serial, segments, bodyOffset: offset + 27 + segmentCount });
+            }
+            offset += length;
+        }
+
+        return pages;
+    }
+
+    /**
+     * 지정 위치의 바이트가 문자열과 같은지 확인
+     */
+    static matchString(bytes, offset, text) {
+        for (let i = 0; i < text.length; i++) {
+            if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * 바이트 배열 이어 붙이기
+     */
+    static concat(arrays) {
+        const length = arrays.reduce((sum, array) => sum + array.length, 0);
+        const result = new Uint8Array(length);
+        let offset = 0;
+        arrays.forEach(array => {
+            result.set(array, offset);
+            offset += array.length;
+        });
+        return result;
+    }
+}
+
+OggWriter.PAGE_SIZE = 4096; // 페이지를 닫는 본문 크기 기준 (바이트)
+OggWriter.crcTable = null;
+
+// 전역으로 내보내기 (window와 Worker 모두 self 사용)
+self.OggWriter = OggWriter;
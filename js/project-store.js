@@ -0,0 +1,161 @@
+/**
+ * MP3 Combiner - Project Store
+ * 병합 프로젝트(파일 순서, 파일별 설정, 옵션)와 원본 파일을 IndexedDB에 저장
+ * 원본 파일은 프로젝트와 따로 저장하여 설정만 바뀌었을 때 다시 쓰지 않음
+ */
+
+class ProjectStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * IndexedDB 사용 가능 여부
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * 데이터베이스 열기 (처음 한 번만 열고 재사용)
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(ProjectStore.DB_NAME, ProjectStore.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('projects', { keyPath: 'id' });
+                    const files = db.createObjectStore('files', { keyPath: 'key' });
+                    files.createIndex('projectId', 'projectId');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * 프로젝트 저장 (목록에서 빠진 파일은 삭제, 새 파일만 추가)
+     * @param {Object} project - 프로젝트 레코드 ({id, name, createdAt, updatedAt, fileCount, duration, data})
+     * @param {Array<{id: string, file: File}>} files - 프로젝트의 원본 파일
+     * @returns {Promise<void>}
+     */
+    async save(project, files) {
+        const db = await this.open();
+        const transaction = db.transaction(['projects', 'files'], 'readwrite');
+        const fileStore = transaction.objectStore('files');
+        transaction.objectStore('projects').put(project);
+
+        const keys = new Map(files.map(entry => [ProjectStore.getFileKey(project.id, entry.id), entry.file]));
+        const request = fileStore.index('projectId').getAllKeys(IDBKeyRange.only(project.id));
+        request.onsuccess = () => {
+            const existing = new Set(request.result);
+            existing.forEach(key => {
+                if (!keys.has(key)) fileStore.delete(key);
+            });
+            keys.forEach((file, key) => {
+                if (!existing.has(key)) fileStore.put({ key, projectId: project.id, file });
+            });
+        };
+
+        return ProjectStore.complete(transaction);
+    }
+
+    /**
+     * 최근 프로젝트 목록 (최근 수정 순)
+     * @returns {Promise<Object[]>}
+     */
+    async list() {
+        const db = await this.open();
+        const transaction = db.transaction('projects', 'readonly');
+        const projects = await ProjectStore.result(transaction.objectStore('projects').getAll());
+        return projects.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * 프로젝트와 원본 파일 불러오기
+     * @param {string} id - 프로젝트 ID
+     * @returns {Promise<{project: Object, files: Map<string, File>}|null>}
+     */
+    async load(id) {
+        const db = await this.open();
+        const transaction = db.transaction(['projects', 'files'], 'readonly');
+        const [project, records] = await Promise.all([
+            ProjectStore.result(transaction.objectStore('projects').get(id)),
+            ProjectStore.result(transaction.objectStore('files').index('projectId').getAll(IDBKeyRange.only(id)))
+        ]);
+        if (!project) return null;
+
+        const files = new Map(records.map(record => [record.key.slice(id.length + 1), record.file]));
+        return { project, files };
+    }
+
+    /**
+     * 프로젝트와 원본 파일 삭제
+     * @param {string} id - 프로젝트 ID
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        const db = await this.open();
+        const transaction = db.transaction(['projects', 'files'], 'readwrite');
+        const fileStore = transaction.objectStore('files');
+        transaction.objectStore('projects').delete(id);
+
+        const request = fileStore.index('projectId').getAllKeys(IDBKeyRange.only(id));
+        request.onsuccess = () => request.result.forEach(key => fileStore.delete(key));
+
+        return ProjectStore.complete(transaction);
+    }
+
+    /**
+     * 오래된 프로젝트 정리 (최근 수정 순으로 maxCount개만 유지)
+     * @param {number} maxCount - 유지할 프로젝트 수
+     * @returns {Promise<void>}
+     */
+    async prune(maxCount) {
+        const projects = await this.list();
+        for (const project of projects.slice(maxCount)) {
+            await this.remove(project.id);
+        }
+    }
+
+    /**
+     * 원본 파일 키 (프로젝트 ID/파일 ID)
+     */
+    static getFileKey(projectId, fileId) {
+        return `${projectId}/${fileId}`;
+    }
+
+    /**
+     * 요청 결과를 Promise로 변환
+     */
+    static result(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * 트랜잭션 완료를 Promise로 변환
+     */
+    static complete(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('저장이 취소되었습니다.'));
+        });
+    }
+}
+
+ProjectStore.DB_NAME = 'mp3-combiner';
+ProjectStore.DB_VERSION = 1;
+
+// 전역으로 내보내기
+window.ProjectStore = ProjectStore;
@@ -0,0 +1,613 @@
+/**
+ * MP3 Combiner - Tag Reader
+ * 입력 파일의 태그 읽기 (MP3: ID3v1/v2, FLAC/OGG: Vorbis comment, M4A: iTunes 아톰, WAV: LIST/INFO)
+ * 파일 전체를 읽지 않고 태그가 있는 부분만 잘라서 읽음
+ */
+
+class TagReader {
+    /**
+     * 태그 읽기 (형식은 확장자가 아닌 파일 시그니처로 판별)
+     * 태그가 없거나 읽을 수 없으면 빈 값을 반환 (오류를 던지지 않음)
+     * @param {File} file - 오디오 파일
+     * @returns {Promise<{title: string, artist: string, album: string, year: string, genre: string, track: number|null, disc: number|null, picture: {mimeType: string, data: Uint8Array}|null}>}
+     */
+    static async read(file) {
+        const tags = TagReader.createEmptyTags();
+
+        try {
+            const head = await TagReader.readBytes(file, 0, 12);
+            const signature = TagReader.decodeLatin1(head.subarray(0, 4));
+
+            if (signature.startsWith('ID3')) {
+                const size = await TagReader.readId3v2(file, 0, tags);
+                // ID3 태그 뒤에 FLAC이 오는 경우도 있음
+                const next = await TagReader.readBytes(file, size, 4);
+                if (TagReader.decodeLatin1(next) === 'fLaC') {
+                    await TagReader.readFlac(file, size, tags);
+                }
+                await TagReader.readId3v1(file, tags);
+            } else if (signature === 'fLaC') {
+                await TagReader.readFlac(file, 0, tags);
+            } else if (signature === 'OggS') {
+                await TagReader.readOgg(file, tags);
+            } else if (TagReader.decodeLatin1(head.subarray(4, 8)) === 'ftyp') {
+                await TagReader.readMp4(file, tags);
+            } else if (signature === 'RIFF' && TagReader.decodeLatin1(head.subarray(8, 12)) === 'WAVE') {
+                await TagReader.readWav(file, tags);
+            } else {
+                await TagReader.readId3v1(file, tags);
+            }
+        } catch (error) {
+            console.warn(`Failed to read tags from ${file.name}:`, error);
+        }
+
+        return tags;
+    }
+
+    /**
+     * 빈 태그 객체
+     */
+    static createEmptyTags() {
+        return { title: '', artist: '', album: '', year: '', genre: '', track: null, disc: null, picture: null };
+    }
+
+    // ==================== ID3 ====================
+
+    /**
+     * ID3v2 태그 읽기 (v2.2 ~ v2.4)
+     * @returns {Promise<number>} 태그 전체 크기 (헤더 포함)
+     */
+    static async readId3v2(file, offset, tags) {
+        const header = await TagReader.readBytes(file, offset, 10);
+        const major = header[3];
+        const flags = header[5];
+        const size = TagReader.readSynchsafe(header, 6);
+        const tagSize = 10 + size + (flags & 0x10 ? 10 : 0); // 푸터 포함
+
+        let data = await TagReader.readBytes(file, offset + 10, size);
+        if ((flags & 0x80) && major < 4) {
+            data = TagReader.removeUnsynchronisation(data);
+        }
+
+        let position = 0;
+        if (flags & 0x40) {
+            // 확장 헤더 건너뛰기
+            position = major === 3 ? 4 + TagReader.readUint32(data, 0) : TagReader.readSynchsafe(data, 0);
+        }
+
+        const idLength = major === 2 ? 3 : 4;
+        const headerLength = major === 2 ? 6 : 10;
+
+        while (position + headerLength <= data.length) {
+            const id = TagReader.decodeLatin1(data.subarray(position, position + idLength));
+            if (!/^[A-Z0-9]+$/.test(id)) break; // 패딩
+
+            let frameSize;
+            if (major === 2) {
+                frameSize = (data[position + 3] << 16) | (data[position + 4] << 8) | data[position + 5];
+            } else if (major === 4) {
+                frameSize = TagReader.readSynchsafe(data, position + 4);
+            } else {
+                frameSize = TagReader.readUint32(data, position + 4);
+            }
+
+            let frame = data.subarray(position + headerLength, position + headerLength + frameSize);
+            if (major === 4) {
+                const formatFlags = data[position + 9];
+                if (formatFlags & 0x02) frame = TagReader.removeUnsynchronisation(frame);
+                if (formatFlags & 0x01) frame = frame.subarray(4); // 데이터 길이 표시자
+            }
+
+            TagReader.applyId3Frame(id, frame, tags);
+            position += headerLength + frameSize;
+        }
+
+        return tagSize;
+    }
+
+    /**
+     * ID3v2 프레임 값을 태그에 반영 (이미 값이 있으면 유지)
+     */
+    static applyId3Frame(id, frame, tags) {
+        const textFields = {
+            TIT2: 'title', TT2: 'title',
+            TPE1: 'artist', TP1: 'artist',
+            TALB: 'album', TAL: 'album',
+            TYER: 'year', TYE: 'year', TDRC: 'year',
+            TCON: 'genre', TCO: 'genre',
+            TRCK: 'track', TRK: 'track',
+            TPOS: 'disc', TPA: 'disc'
+        };
+
+        if (textFields[id]) {
+            const text = TagReader.decodeId3Text(frame);
+            TagReader.setTag(tags, textFields[id], text);
+        } else if ((id === 'APIC' || id === 'PIC') && !tags.picture) {
+            tags.picture = TagReader.parseId3Picture(frame, id === 'PIC');
+        }
+    }
+
+    /**
+     * ID3 텍스트 프레임 디코딩 (여러 값이면 첫 번째 값)
+     */
+    static decodeId3Text(frame) {
+        const text = TagReader.decodeText(frame.subarray(1), frame[0]);
+        return text.split('\0')[0].trim();
+    }
+
+    /**
+     * APIC/PIC 프레임에서 이미지 추출
+     */
+    static parseId3Picture(frame, isV22) {
+        const encoding = frame[0];
+        let position = 1;
+        let mimeType;
+
+        if (isV22) {
+            const format = TagReader.decodeLatin1(frame.subarray(1, 4)).toUpperCase();
+            mimeType = format === 'PNG' ? 'image/png' : 'image/jpeg';
+            position = 4;
+        } else {
+            const end = frame.indexOf(0, position);
+            mimeType = TagReader.decodeLatin1(frame.subarray(position, end)) || 'image/jpeg';
+            position = end + 1;
+        }
+
+        position += 1; // 그림 종류
+        position = TagReader.skipTerminatedString(frame, position, encoding);
+
+        return { mimeType: TagReader.normalizeImageType(mimeType), data: frame.slice(position) };
+    }
+
+    /**
+     * ID3v1 태그 읽기 (파일 끝 128바이트, 비어 있는 항목만 채움)
+     */
+    static async readId3v1(file, tags) {
+        if (file.size < 128) return;
+
+        const data = await TagReader.readBytes(file, file.size - 128, 128);
+        if (TagReader.decodeLatin1(data.subarray(0, 3)) !== 'TAG') return;
+
+        const field = (start, length) => TagReader.decodeLatin1(data.subarray(start, start + length)).split('\0')[0].trim();
+        TagReader.setTag(tags, 'title', field(3, 30));
+        TagReader.setTag(tags, 'artist', field(33, 30));
+        TagReader.setTag(tags, 'album', field(63, 30));
+        TagReader.setTag(tags, 'year', field(93, 4));
+
+        // ID3v1.1: 주석 마지막 바이트에 트랙 번호
+        if (data[125] === 0 && data[126] !== 0) {
+            TagReader.setTag(tags, 'track', String(data[126]));
+        }
+    }
+
+    // ==================== Vorbis comment (FLAC, OGG) ====================
+
+    /**
+     * FLAC 메타데이터 블록 읽기 (VORBIS_COMMENT, PICTURE)
+     */
+    static async readFlac(file, offset, tags) {
+        let position = offset + 4;
+        let isLast = false;
+
+        while (!isLast && position + 4 <= file.size) {
+            const header = await TagReader.readBytes(file, position, 4);
+            isLast = (header[0] & 0x80) !== 0;
+            const type = header[0] & 0x7F;
+            const length = (header[1] << 16) | (header[2] << 8) | header[3];
+
+            if (type === 4) {
+                TagReader.parseVorbisComment(await TagReader.readBytes(file, position + 4, length), tags);
+            } else if (type === 6 && !tags.picture) {
+                tags.picture = TagReader.parseFlacPicture(await TagReader.readBytes(file, position + 4, length));
+            }
+
+            position += 4 + length;
+        }
+    }
+
+    /**
+     * Ogg 스트림의 두 번째 패킷(comment header)에서 Vorbis comment 읽기 (Vorbis, Opus)
+     */
+    static async readOgg(file, tags) {
+        const packets = [[]];
+        let position = 0;
+
+        // 두 번째 패킷이 완성될 때까지 페이지 읽기 (최대 16MB)
+        while (packets.length < 3 && position < Math.min(file.size, 16 * 1024 * 1024)) {
+            const header = await TagReader.readBytes(file, position, 27);
+            if (TagReader.decodeLatin1(header.subarray(0, 4)) !== 'OggS') break;
+
+            const segmentCount = header[26];
+            const segments = await TagReader.readBytes(file, position + 27, segmentCount);
+            const bodyLength = segments.reduce((sum, size) => sum + size, 0);
+            const body = await TagReader.readBytes(file, position + 27 + segmentCount, bodyLength);
+
+            let bodyOffset = 0;
+            for (const size of segments) {
+                packets[packets.length - 1].push(body.subarray(bodyOffset, bodyOffset + size));
+                bodyOffset += size;
+                // 255 미만 세그먼트에서 패킷이 끝남
+                if (size < 255) packets.push([]);
+            }
+
+            position += 27 + segmentCount + bodyLength;
+        }
+
+        if (packets.length < 3) return;
+
+        const comment = TagReader.concat(packets[1]);
+        const type = TagReader.decodeLatin1(comment.subarray(0, 8));
+        if (type.startsWith('\x03vorbis')) {
+            TagReader.parseVorbisComment(comment.subarray(7), tags);
+        } else if (type === 'OpusTags') {
+            TagReader.parseVorbisComment(comment.subarray(8), tags);
+        }
+    }
+
+    /**
+     * Vorbis comment 본문 파싱 (벤더 문자열 + "KEY=value" 목록, 리틀 엔디언 길이)
+     */
+    static parseVorbisComment(data, tags) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        let position = 4 + view.getUint32(0, true);
+        const count = view.getUint32(position, true);
+        position += 4;
+
+        const fields = {
+            TITLE: 'title', ARTIST: 'artist', ALBUM: 'album', DATE: 'year',
+            GENRE: 'genre', TRACKNUMBER: 'track', DISCNUMBER: 'disc'
+        };
+
+        for (let i = 0; i < count && position + 4 <= data.length; i++) {
+            const length = view.getUint32(position, true);
+            const entry = TagReader.decodeText(data.subarray(position + 4, position + 4 + length), 3);
+            position += 4 + length;
+
+            const separator = entry.indexOf('=');
+            const key = entry.slice(0, separator).toUpperCase();
+            const value = entry.slice(separator + 1).trim();
+
+            if (fields[key]) {
+                TagReader.setTag(tags, fields[key], value);
+            } else if (key === 'METADATA_BLOCK_PICTURE' && !tags.picture) {
+                const binary = atob(value);
+                const bytes = new Uint8Array(binary.length);
+                for (let j = 0; j < binary.length; j++) {
+                    bytes[j] = binary.charCodeAt(j);
+                }
+                tags.picture = TagReader.parseFlacPicture(bytes);
+            }
+        }
+    }
+
+    /**
+     * FLAC PICTURE 블록 파싱 (빅 엔디언 길이)
+     */
+    static parseFlacPicture(data) {
+        let position = 4; // 그림 종류
+        const mimeLength = TagReader.readUint32(data, position);
+        const mimeType = TagReader.decodeLatin1(data.subarray(position + 4, position + 4 + mimeLength));
+        position += 4 + mimeLength;
+        position += 4 + TagReader.readUint32(data, position); // 설명
+        position += 16; // 너비, 높이, 색 깊이, 색 수
+        const length = TagReader.readUint32(data, position);
+
+        return { mimeType: TagReader.normalizeImageType(mimeType), data: data.slice(position + 4, position + 4 + length) };
+    }
+
+    // ==================== MP4 (M4A) ====================
+
+    /**
+     * MP4 moov > udta > meta > ilst 아톰 읽기
+     */
+    static async readMp4(file, tags) {
+        const ilst = await TagReader.findIlst(file);
+        if (!ilst) return;
+
+        const data = await TagReader.readBytes(file, ilst.start, ilst.end - ilst.start);
+        const fields = {
+            '©nam': 'title', '©ART': 'artist', '©alb': 'album',
+            '©day': 'year', '©gen': 'genre'
+        };
+
+        let position = 0;
+        while (position + 8 <= data.length) {
+            const size = TagReader.readUint32(data, position);
+            if (size < 8) break;
+            const name = TagReader.decodeLatin1(data.subarray(position + 4, position + 8));
+            const item = data.subarray(position + 8, position + size);
+            position += size;
+
+            // 항목 안의 'data' 아톰: 크기(4) + 'data'(4) + 형식(4) + 로캘(4) + 값
+            if (item.length < 16 || TagReader.decodeLatin1(item.subarray(4, 8)) !== 'data') continue;
+            const dataType = TagReader.readUint32(item, 8) & 0xFFFFFF;
+            const value = item.subarray(16, TagReader.readUint32(item, 0));
+
+            if (fields[name]) {
+                TagReader.setTag(tags, fields[name], TagReader.decodeText(value, 3));
+            } else if (name === 'trkn' || name === 'disk') {
+                const number = (value[2] << 8) | value[3];
+                if (number > 0) TagReader.setTag(tags, name === 'trkn' ? 'track' : 'disc', String(number));
+            } else if (name === 'covr' && !tags.picture) {
+                tags.picture = { mimeType: dataType === 14 ? 'image/png' : 'image/jpeg', data: value.slice() };
+            }
+        }
+    }
+
+    /**
+     * moov > udta > meta > ilst 아톰 찾기
+     * @returns {Promise<{start: number, end: number}|null>} ilst 내용 범위
+     */
+    static async findIlst(file) {
+        const moov = await TagReader.findAtom(file, 0, file.size, 'moov');
+        if (!moov) return null;
+
+        const udta = await TagReader.findAtom(file, moov.start, moov.end, 'udta');
+        const meta = udta
+            ? await TagReader.findAtom(file, udta.start, udta.end, 'meta')
+            : await TagReader.findAtom(file, moov.start, moov.end, 'meta');
+        if (!meta) return null;
+
+        // meta는 버전/플래그 4바이트 뒤에 하위 아톰이 옴
+        return TagReader.findAtom(file, meta.start + 4, meta.end, 'ilst');
+    }
+
+    /**
+     * M4A의 iTunSMPB 값으로 갭리스 정보 읽기 (AAC 프라이밍/패딩 샘플)
+     * 값 형식: " 00000000 [지연] [패딩] [원본 샘플 수] ..." (16진수)
+     * @returns {Promise<{sampleRate: number, start: number, length: number, rawLength: number}|null>} 원본 샘플레이트 기준 (정보가 없으면 null)
+     */
+    static async readMp4GaplessInfo(file) {
+        const ilst = await TagReader.findIlst(file);
+        if (!ilst) return null;
+
+        const data = await TagReader.readBytes(file, ilst.start, ilst.end - ilst.start);
+        let text = null;
+        let position = 0;
+        while (position + 8 <= data.length && text === null) {
+            const size = TagReader.readUint32(data, position);
+            if (size < 8) break;
+            const name = TagReader.decodeLatin1(data.subarray(position + 4, position + 8));
+            const item = data.subarray(position + 8, position + size);
+            position += size;
+            if (name !== '----') continue;
+
+            // 자유 형식 항목: mean, name, data 하위 아톰
+            const children = {};
+            let childPosition = 0;
+            while (childPosition + 8 <= item.length) {
+                const childSize = TagReader.readUint32(item, childPosition);
+                if (childSize < 8) break;
+                children[TagReader.decodeLatin1(item.subarray(childPosition + 4, childPosition + 8))] = item.subarray(childPosition + 8, childPosition + childSize);
+                childPosition += childSize;
+            }
+            if (children.name && children.data && TagReader.decodeLatin1(children.name.subarray(4)) === 'iTunSMPB') {
+                text = TagReader.decodeText(children.data.subarray(8), 3);
+            }
+        }
+        if (!text) return null;
+
+        const fields = text.trim().split(/\s+/).map(value => parseInt(value, 16));
+        const [, delay, padding, length] = fields;
+        if (fields.length < 4 || !(length > 0)) return null;
+
+        // 샘플레이트는 오디오 트랙의 mdhd 타임스케일
+        const sampleRate = await TagReader.readMp4SampleRate(file);
+        if (!sampleRate) return null;
+
+        return { sampleRate, start: delay, length, rawLength: delay + length + padding };
+    }
+
+    /**
+     * moov > trak > mdia > mdhd 타임스케일 (오디오 트랙은 샘플레이트와 같음)
+     * @returns {Promise<number|null>}
+     */
+    static async readMp4SampleRate(file) {
+        const moov = await TagReader.findAtom(file, 0, file.size, 'moov');
+        const trak = moov && await TagReader.findAtom(file, moov.start, moov.end, 'trak');
+        const mdia = trak && await TagReader.findAtom(file, trak.start, trak.end, 'mdia');
+        const mdhd = mdia && await TagReader.findAtom(file, mdia.start, mdia.end, 'mdhd');
+        if (!mdhd) return null;
+
+        // 버전 1은 생성/수정 시간이 8바이트
+        const header = await TagReader.readBytes(file, mdhd.start, 24);
+        return TagReader.readUint32(header, header[0] === 1 ? 20 : 12) || null;
+    }
+
+    /**
+     * 지정 범위에서 아톰 찾기 (헤더만 읽으며 이동)
+     * @returns {Promise<{start: number, end: number}|null>} 아톰 내용 범위
+     */
+    static async findAtom(file, start, end, type) {
+        let position = start;
+
+        while (position + 8 <= end) {
+            const header = await TagReader.readBytes(file, position, 16);
+            let size = TagReader.readUint32(header, 0);
+            const name = TagReader.decodeLatin1(header.subarray(4, 8));
+            let headerLength = 8;
+
+            if (size === 1) {
+                size = TagReader.readUint32(header, 8) * 0x100000000 + TagReader.readUint32(header, 12);
+                headerLength = 16;
+            } else if (size === 0) {
+                size = end - position;
+            }
+            if (size < headerLength) return null;
+
+            if (name === type) {
+                return { start: position + headerLength, end: Math.min(end, position + size) };
+            }
+            position += size;
+        }
+
+        return null;
+    }
+
+    // ==================== WAV ====================
+
+    /**
+     * WAV LIST/INFO 청크와 id3 청크 읽기
+     */
+    static async readWav(file, tags) {
+        const fields = { INAM: 'title', IART: 'artist', IPRD: 'album', ICRD: 'year', IGNR: 'genre', ITRK: 'track', IPRT: 'track' };
+        let position = 12;
+
+        while (position + 8 <= file.size) {
+            const header = await TagReader.readBytes(file, position, 12);
+            const id = TagReader.decodeLatin1(header.subarray(0, 4));
+            const size = new DataView(header.buffer, header.byteOffset).getUint32(4, true);
+
+            if (id === 'LIST' && TagReader.decodeLatin1(header.subarray(8, 12)) === 'INFO') {
+                const data = await TagReader.readBytes(file, position + 12, size - 4);
+                const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+                let offset = 0;
+                while (offset + 8 <= data.length) {
+                    const subId = TagReader.decodeLatin1(data.subarray(offset, offset + 4));
+                    const subSize = view.getUint32(offset + 4, true);
+                    if (fields[subId]) {
+                        const value = TagReader.decodeText(data.subarray(offset + 8, offset + 8 + subSize), 3);
+                        TagReader.setTag(tags, fields[subId], value.split('\0')[0].trim());
+                    }
+                    offset += 8 + subSize + (subSize % 2);
+                }
+            } else if (id === 'id3 ' || id === 'ID3 ') {
+                await TagReader.readId3v2(file, position + 8, tags);
+            }
+
+            position += 8 + size + (size % 2);
+        }
+    }
+
+    // ==================== 공통 ====================
+
+    /**
+     * 태그 값 설정 (이미 값이 있으면 유지, 트랙/디스크는 "3/12"에서 번호만 사용)
+     */
+    static setTag(tags, key, value) {
+        if (!value) return;
+
+        if (key === 'track' || key === 'disc') {
+            const number = parseInt(value, 10);
+            if (tags[key] === null && number > 0) tags[key] = number;
+            return;
+        }
+        if (key === 'year') {
+            value = value.slice(0, 4);
+        }
+        if (key === 'genre') {
+            // ID3 "(17)Rock" 또는 "(17)" 형식의 장르 번호 제거
+            value = value.replace(/^\(\d+\)/, '').trim();
+        }
+        if (!tags[key] && value) {
+            tags[key] = value;
+        }
+    }
+
+    /**
+     * 파일의 일부를 바이트 배열로 읽기
+     */
+    static async readBytes(file, start, length) {
+        const end = Math.min(file.size, start + length);
+        if (start >= end) return new Uint8Array(0);
+        return new Uint8Array(await file.slice(start, end).arrayBuffer());
+    }
+
+    /**
+     * ID3 텍스트 인코딩(0: ISO-8859-1, 1: BOM 있는 UTF-16, 2: UTF-16BE, 3: UTF-8)에 따라 디코딩
+     */
+    static decodeText(bytes, encoding) {
+        switch (encoding) {
+            case 1: {
+                const bigEndian = bytes[0] === 0xFE && bytes[1] === 0xFF;
+                const hasBom = bigEndian || (bytes[0] === 0xFF && bytes[1] === 0xFE);
+                return new TextDecoder(bigEndian ? 'utf-16be' : 'utf-16le').decode(hasBom ? bytes.subarray(2) : bytes);
+            }
+            case 2:
+                return new TextDecoder('utf-16be').decode(bytes);
+            case 3:
+                return new TextDecoder('utf-8').decode(bytes);
+            default:
+                return TagReader.decodeLatin1(bytes);
+        }
+    }
+
+    /**
+     * ISO-8859-1 디코딩
+     */
+    static decodeLatin1(bytes) {
+        let text = '';
+        for (let i = 0; i < bytes.length; i++) {
+            text += String.fromCharCode(bytes[i]);
+        }
+        return text;
+    }
+
+    /**
+     * 인코딩에 맞는 널 종료 문자열 건너뛰기 (UTF-16은 2바이트 널)
+     */
+    static skipTerminatedString(bytes, position, encoding) {
+        if (encoding === 1 || encoding === 2) {
+            while (position + 1 < bytes.length && (bytes[position] !== 0 || bytes[position + 1] !== 0)) {
+                position += 2;
+            }
+            return position + 2;
+        }
+        const end = bytes.indexOf(0, position);
+        return end === -1 ? bytes.length : end + 1;
+    }
+
+    /**
+     * 비동기화(unsynchronisation) 해제: 0xFF 0x00 → 0xFF
+     */
+    static removeUnsynchronisation(bytes) {
+        const result = new Uint8Array(bytes.length);
+        let length = 0;
+        for (let i = 0; i < bytes.length; i++) {
+            result[length++] = bytes[i];
+            if (bytes[i] === 0xFF && bytes[i + 1] === 0x00) i++;
+        }
+        return result.subarray(0, length);
+    }
+
+    /**
+     * 이미지 MIME 형식 정리 ("jpg", "image/jpg" → "image/jpeg")
+     */
+    static normalizeImageType(mimeType) {
+        const type = mimeType.toLowerCase();
+        if (type.includes('png')) return 'image/png';
+        if (type.includes('gif')) return 'image/gif';
+        if (type.includes('webp')) return 'image/webp';
+        return 'image/jpeg';
+    }
+
+    /**
+     * 28비트 synchsafe 정수 읽기
+     */
+    static readSynchsafe(bytes, offset) {
+        return (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+    }
+
+    /**
+     * 빅 엔디언 32비트 정수 읽기
+     */
+    static readUint32(bytes, offset) {
+        return ((bytes[offset] << 24) >>> 0) + ((bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]);
+    }
+
+    /**
+     * 바이트 배열 이어 붙이기
+     */
+    static concat(arrays) {
+        const result = new Uint8Array(arrays.reduce((sum, array) => sum + array.length, 0));
+        let offset = 0;
+        for (const array of arrays) {
+            result.set(array, offset);
+            offset += array.length;
+        }
+        return result;
+    }
+}
+
+// 전역으로 내보내기
+window.TagReader = TagReader;
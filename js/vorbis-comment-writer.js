@@ -0,0 +1,110 @@
+/**
+ * MP3 Combiner - Vorbis Comment Writer
+ * Ogg(Vorbis/Opus)와 FLAC에 기록할 Vorbis comment 생성 (기본 정보, 표지 이미지, 챕터)
+ */
+
+class VorbisCommentWriter {
+    /**
+     * Vorbis comment 본문 생성 (벤더 문자열 + "KEY=value" 목록, 리틀 엔디언 길이)
+     * Ogg에서는 코덱별 머리(OpusTags, \x03vorbis)를 붙이고, FLAC에서는 그대로 VORBIS_COMMENT 블록에 기록
+     * @param {string} vendor - 벤더(인코더) 문자열
+     * @param {Object} tags - 태그 (title, artist, album, year, genre, picture)
+     * @param {Array<{title: string, startTime: number}>} chapters - 챕터 목록 (시간: 초)
+     * @returns {Uint8Array}
+     */
+    static createComment(vendor, tags = {}, chapters = []) {
+        const encoder = new TextEncoder();
+        const entries = [encoder.encode(vendor)];
+        VorbisCommentWriter.getFields(tags, chapters).forEach(field => entries.push(encoder.encode(field)));
+
+        const length = entries.reduce((sum, entry) => sum + 4 + entry.length, 4);
+        const comment = new Uint8Array(length);
+        const view = new DataView(comment.buffer);
+        let position = 0;
+
+        entries.forEach((entry, index) => {
+            view.setUint32(position, entry.length, true);
+            comment.set(entry, position + 4);
+            position += 4 + entry.length;
+
+            // 벤더 문자열 다음에 항목 수
+            if (index === 0) {
+                view.setUint32(position, entries.length - 1, true);
+                position += 4;
+            }
+        });
+
+        return comment;
+    }
+
+    /**
+     * 태그와 챕터를 "KEY=value" 항목으로 변환 (값이 없는 항목은 제외)
+     * 챕터는 Ogg/FLAC 플레이어가 읽는 CHAPTERxxx / CHAPTERxxxNAME 형식 사용
+     * @returns {string[]}
+     */
+    static getFields(tags = {}, chapters = []) {
+        const fields = [];
+        const textFields = { TITLE: tags.title, ARTIST: tags.artist, ALBUM: tags.album, DATE: tags.year, GENRE: tags.genre };
+        Object.entries(textFields).forEach(([key, value]) => {
+            if (value) fields.push(`${key}=${value}`);
+        });
+
+        if (tags.picture) {
+            fields.push(`METADATA_BLOCK_PICTURE=${VorbisCommentWriter.encodeBase64(VorbisCommentWriter.createPictureBlock(tags.picture))}`);
+        }
+
+        chapters.forEach((chapter, index) => {
+            const id = `CHAPTER${String(index + 1).padStart(3, '0')}`;
+            fields.push(`${id}=${VorbisCommentWriter.formatChapterTime(chapter.startTime)}`);
+            if (chapter.title) fields.push(`${id}NAME=${chapter.title}`);
+        });
+
+        return fields;
+    }
+
+    /**
+     * FLAC PICTURE 블록 생성 (앞표지, 빅 엔디언 길이, 크기 정보는 0으로 기록)
+     * @param {{mimeType: string, data: Uint8Array}} picture - 표지 이미지
+     * @returns {Uint8Array}
+     */
+    static createPictureBlock(picture) {
+        const mimeType = new TextEncoder().encode(picture.mimeType);
+        const block = new Uint8Array(32 + mimeType.length + picture.data.length);
+        const view = new DataView(block.buffer);
+
+        view.setUint32(0, 3); // 그림 종류: 앞표지
+        view.setUint32(4, mimeType.length);
+        block.set(mimeType, 8);
+        // 설명 길이, 너비, 높이, 색 깊이, 색 수는 0
+        view.setUint32(28 + mimeType.length, picture.data.length);
+        block.set(picture.data, 32 + mimeType.length);
+
+        return block;
+    }
+
+    /**
+     * 챕터 시간 포맷팅 (HH:MM:SS.mmm)
+     */
+    static formatChapterTime(seconds) {
+        const totalMs = Math.round(seconds * 1000);
+        const hours = Math.floor(totalMs / 3600000);
+        const minutes = Math.floor(totalMs / 60000) % 60;
+        const secs = Math.floor(totalMs / 1000) % 60;
+        const ms = totalMs % 1000;
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
+    }
+
+    /**
+     * 바이트 배열을 Base64로 인코딩 (큰 이미지도 처리하도록 나누어 변환)
+     */
+    static encodeBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+}
+
+// 전역으로 내보내기 (window와 Worker 모두 self 사용)
+self.VorbisCommentWriter = VorbisCommentWriter;
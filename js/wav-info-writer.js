@@ -0,0 +1,81 @@
+/**
+ * MP3 Combiner - WAV Info Writer
+ * WAV 파일 뒤에 붙일 메타데이터 청크 생성 (LIST/INFO, 표지 이미지용 id3 청크)
+ */
+
+class WavInfoWriter {
+    /**
+     * LIST/INFO 청크 생성 (값이 없으면 빈 배열)
+     * @param {Object} tags - 태그 (title, artist, album, year, genre)
+     * @returns {Uint8Array}
+     */
+    static createInfoChunk(tags = {}) {
+        const fields = { INAM: tags.title, IART: tags.artist, IPRD: tags.album, ICRD: tags.year, IGNR: tags.genre };
+        const subChunks = Object.entries(fields)
+            .filter(([, value]) => value)
+            .map(([id, value]) => {
+                // 널 종료 UTF-8 문자열
+                const text = new TextEncoder().encode(value);
+                const content = new Uint8Array(text.length + 1);
+                content.set(text);
+                return WavInfoWriter.createChunk(id, content);
+            });
+
+        if (subChunks.length === 0) {
+            return new Uint8Array(0);
+        }
+
+        return WavInfoWriter.createChunk('LIST', Id3Writer.concat([
+            new Uint8Array([0x49, 0x4E, 0x46, 0x4F]), // "INFO"
+            ...subChunks
+        ]));
+    }
+
+    /**
+     * id3 청크 생성 (LIST/INFO에 없는 표지 이미지를 ID3 태그로 기록)
+     * @param {Uint8Array} tag - ID3v2 태그 바이트
+     * @returns {Uint8Array}
+     */
+    static createId3Chunk(tag) {
+        return tag.length > 0 ? WavInfoWriter.createChunk('id3 ', tag) : new Uint8Array(0);
+    }
+
+    /**
+     * RIFF 청크 생성 (ID 4바이트 + 리틀 엔디언 크기 + 내용, 홀수 길이면 1바이트 패딩)
+     * @param {string} id - 청크 ID
+     * @param {Uint8Array} content - 청크 내용
+     * @returns {Uint8Array}
+     */
+    static createChunk(id, content) {
+        const chunk = new Uint8Array(8 + content.length + (content.length % 2));
+        for (let i = 0; i < 4; i++) {
+            chunk[i] = id.charCodeAt(i);
+        }
+        new DataView(chunk.buffer).setUint32(4, content.length, true);
+        chunk.set(content, 8);
+        return chunk;
+    }
+
+    /**
+     * WAV Blob 뒤에 청크를 붙이고 RIFF 크기 갱신
+     * @param {Blob} blob - WAV 파일
+     * @param {Uint8Array[]} chunks - 추가할 청크
+     * @returns {Blob}
+     */
+    static appendChunks(blob, chunks) {
+        const extra = chunks.filter(chunk => chunk.length > 0);
+        if (extra.length === 0) {
+            return blob;
+        }
+
+        const extraLength = extra.reduce((sum, chunk) => sum + chunk.length, 0);
+        const header = new Uint8Array(8);
+        header.set([0x52, 0x49, 0x46, 0x46]); // "RIFF"
+        new DataView(header.buffer).setUint32(4, blob.size - 8 + extraLength, true);
+
+        return new Blob([header, blob.slice(8), ...extra], { type: blob.type });
+    }
+}
+
+// 전역으로 내보내기
+window.WavInfoWriter = WavInfoWriter;
@@ -0,0 +1,71 @@
+/**
+ * MP3 Combiner - ZIP Reader
+ * 무압축(store) ZIP 아카이브의 파일 목록 읽기 (프로젝트 번들 가져오기용)
+ * 파일 내용은 원본 Blob을 잘라 참조하므로 아카이브 전체를 메모리에 올리지 않음
+ */
+
+class ZipReader {
+    /**
+     * 아카이브의 파일 읽기
+     * @param {Blob} blob - ZIP 파일
+     * @returns {Promise<Map<string, Blob>>} 파일명 → 내용
+     */
+    static async read(blob) {
+        const end = await ZipReader.findEndOfDirectory(blob);
+        const directory = new DataView(await blob.slice(end.offset, end.offset + end.length).arrayBuffer());
+        const decoder = new TextDecoder();
+        const files = new Map();
+
+        let position = 0;
+        for (let i = 0; i < end.count; i++) {
+            if (directory.getUint32(position, true) !== 0x02014B50) {
+                throw new Error('ZIP 파일의 목록이 손상되었습니다.');
+            }
+
+            const method = directory.getUint16(position + 10, true);
+            const size = directory.getUint32(position + 20, true);
+            const nameLength = directory.getUint16(position + 28, true);
+            const extraLength = directory.getUint16(position + 30, true);
+            const commentLength = directory.getUint16(position + 32, true);
+            const localOffset = directory.getUint32(position + 42, true);
+            const name = decoder.decode(new Uint8Array(directory.buffer, position + 46, nameLength));
+            position += 46 + nameLength + extraLength + commentLength;
+
+            if (name.endsWith('/')) continue; // 폴더
+            if (method !== 0) {
+                throw new Error(`압축된 항목은 읽을 수 없습니다: ${name}`);
+            }
+
+            // 로컬 헤더의 파일명/추가 필드 길이는 중앙 디렉터리와 다를 수 있음
+            const local = new DataView(await blob.slice(localOffset, localOffset + 30).arrayBuffer());
+            const dataOffset = localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+            files.set(name, blob.slice(dataOffset, dataOffset + size));
+        }
+
+        return files;
+    }
+
+    /**
+     * 중앙 디렉터리 끝 레코드 찾기 (주석이 있으면 뒤에서부터 검색)
+     * @param {Blob} blob - ZIP 파일
+     * @returns {Promise<{count: number, length: number, offset: number}>}
+     */
+    static async findEndOfDirectory(blob) {
+        const start = Math.max(0, blob.size - 22 - 0xFFFF);
+        const tail = new DataView(await blob.slice(start).arrayBuffer());
+
+        for (let i = tail.byteLength - 22; i >= 0; i--) {
+            if (tail.getUint32(i, true) === 0x06054B50) {
+                return {
+                    count: tail.getUint16(i + 10, true),
+                    length: tail.getUint32(i + 12, true),
+                    offset: tail.getUint32(i + 16, true)
+                };
+            }
+        }
+        throw new Error('ZIP 파일이 아닙니다.');
+    }
+}
+
+// 전역으로 내보내기
+window.ZipReader = ZipReader;
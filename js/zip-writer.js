@@ -0,0 +1,187 @@
+/**
+ * MP3 Combiner - ZIP Writer
+ * 여러 파일을 무압축(store) ZIP 아카이브 하나로 묶기
+ * 파일 내용은 스트림으로 읽어 CRC만 계산하고 Blob 조각으로 참조하므로 전체를 다시 복사하지 않음
+ */
+
+class ZipWriter {
+    constructor() {
+        this.parts = [];
+        this.entries = [];
+        this.names = new Set();
+        this.offset = 0;
+    }
+
+    /**
+     * 파일 추가 (이름이 겹치면 "이름 (2).확장자" 형태로 바꿈)
+     * @param {string} filename - 아카이브 안의 파일명
+     * @param {Blob} blob - 파일 내용
+     * @param {Date} modified - 수정 시각
+     * @param {Function} onProgress - 진행률 콜백 (0~1)
+     * @returns {Promise<string>} 실제로 기록한 파일명
+     */
+    async addFile(filename, blob, modified = new Date(), onProgress = () => {}) {
+        const name = this.getUniqueName(filename);
+        const nameBytes = new TextEncoder().encode(name);
+        const crc = await ZipWriter.crc32Blob(blob, onProgress);
+
+        if (this.offset + 30 + nameBytes.length + blob.size > ZipWriter.MAX_SIZE || this.entries.length >= ZipWriter.MAX_ENTRIES) {
+            throw new Error('ZIP 파일은 4GB, 65535개를 넘을 수 없습니다. 파일을 나누어 다운로드하세요.');
+        }
+
+        const entry = {
+            nameBytes,
+            crc,
+            size: blob.size,
+            offset: this.offset,
+            time: ZipWriter.toDosTime(modified),
+            date: ZipWriter.toDosDate(modified)
+        };
+
+        const header = new Uint8Array(30 + nameBytes.length);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, 0x04034B50, true); // 로컬 파일 헤더 서명
+        view.setUint16(4, ZipWriter.VERSION, true);
+        view.setUint16(6, ZipWriter.FLAG_UTF8, true);
+        view.setUint16(8, 0, true); // 압축 방식: store
+        view.setUint16(10, entry.time, true);
+        view.setUint16(12, entry.date, true);
+        view.setUint32(14, crc, true);
+        view.setUint32(18, blob.size, true);
+        view.setUint32(22, blob.size, true);
+        view.setUint16(26, nameBytes.length, true);
+        view.setUint16(28, 0, true);
+        header.set(nameBytes, 30);
+
+        this.parts.push(header, blob);
+        this.entries.push(entry);
+        this.offset += header.length + blob.size;
+        return name;
+    }
+
+    /**
+     * 중앙 디렉터리를 붙여 아카이브 완성
+     * @returns {Blob}
+     */
+    finish() {
+        const directoryLength = this.entries.reduce((sum, entry) => sum + 46 + entry.nameBytes.length, 0);
+        if (this.offset + directoryLength + 22 > ZipWriter.MAX_SIZE) {
+            throw new Error('ZIP 파일은 4GB, 65535개를 넘을 수 없습니다. 파일을 나누어 다운로드하세요.');
+        }
+
+        const directory = new Uint8Array(directoryLength + 22);
+        const view = new DataView(directory.buffer);
+        let position = 0;
+
+        this.entries.forEach(entry => {
+            view.setUint32(position, 0x02014B50, true); // 중앙 디렉터리 서명
+            view.setUint16(position + 4, ZipWriter.VERSION, true); // 만든 버전
+            view.setUint16(position + 6, ZipWriter.VERSION, true); // 필요한 버전
+            view.setUint16(position + 8, ZipWriter.FLAG_UTF8, true);
+            view.setUint16(position + 10, 0, true);
+            view.setUint16(position + 12, entry.time, true);
+            view.setUint16(position + 14, entry.date, true);
+            view.setUint32(position + 16, entry.crc, true);
+            view.setUint32(position + 20, entry.size, true);
+            view.setUint32(position + 24, entry.size, true);
+            view.setUint16(position + 28, entry.nameBytes.length, true);
+            // 추가 필드, 주석, 디스크 번호, 내부/외부 속성은 모두 0
+            view.setUint32(position + 42, entry.offset, true);
+            directory.set(entry.nameBytes, position + 46);
+            position += 46 + entry.nameBytes.length;
+        });
+
+        // 중앙 디렉터리 끝 레코드
+        view.setUint32(position, 0x06054B50, true);
+        view.setUint16(position + 8, this.entries.length, true);
+        view.setUint16(position + 10, this.entries.length, true);
+        view.setUint32(position + 12, directoryLength, true);
+        view.setUint32(position + 16, this.offset, true);
+
+        return new Blob([...this.parts, directory], { type: 'application/zip' });
+    }
+
+    /**
+     * 아카이브 안에서 겹치지 않는 파일명 생성
+     * @param {string} filename - 원하는 파일명
+     * @returns {string}
+     */
+    getUniqueName(filename) {
+        const dot = filename.lastIndexOf('.');
+        const base = dot > 0 ? filename.slice(0, dot) : filename;
+        const extension = dot > 0 ? filename.slice(dot) : '';
+
+        let name = filename;
+        for (let count = 2; this.names.has(name.toLowerCase()); count++) {
+            name = `${base} (${count})${extension}`;
+        }
+        this.names.add(name.toLowerCase());
+        return name;
+    }
+
+    /**
+     * Blob을 조각 단위로 읽으며 CRC-32 계산
+     * @param {Blob} blob - 파일 내용
+     * @param {Function} onProgress - 진행률 콜백 (0~1)
+     * @returns {Promise<number>}
+     */
+    static async crc32Blob(blob, onProgress = () => {}) {
+        const reader = blob.stream().getReader();
+        let crc = 0;
+        let loaded = 0;
+
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            crc = ZipWriter.crc32(value, crc);
+            loaded += value.length;
+            onProgress(blob.size > 0 ? loaded / blob.size : 1);
+        }
+        return crc;
+    }
+
+    /**
+     * CRC-32 (ZIP, 다항식 0xEDB88320) 이어서 계산
+     * @param {Uint8Array} bytes - 데이터
+     * @param {number} crc - 이전까지의 CRC
+     * @returns {number}
+     */
+    static crc32(bytes, crc = 0) {
+        const table = ZipWriter.CRC_TABLE;
+        let value = ~crc;
+        for (let i = 0; i < bytes.length; i++) {
+            value = table[(value ^ bytes[i]) & 0xFF] ^ (value >>> 8);
+        }
+        return ~value >>> 0;
+    }
+
+    /**
+     * MS-DOS 시각 (2초 단위)
+     */
+    static toDosTime(date) {
+        return (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    }
+
+    /**
+     * MS-DOS 날짜 (1980년 기준)
+     */
+    static toDosDate(date) {
+        const year = Math.max(0, date.getFullYear() - 1980);
+        return (year << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    }
+}
+
+ZipWriter.VERSION = 20; // 2.0 (UTF-8 파일명 플래그를 읽는 최소 버전)
+ZipWriter.FLAG_UTF8 = 0x0800;
+ZipWriter.MAX_SIZE = 0xFFFFFFFF; // ZIP64 없이 기록할 수 있는 최대 크기
+ZipWriter.MAX_ENTRIES = 0xFFFF;
+ZipWriter.CRC_TABLE = Uint32Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+// 전역으로 내보내기
+window.ZipWriter = ZipWriter;